@@ -26,7 +26,8 @@
 
 import { revalidatePath } from 'next/cache';
 import { requireRole } from '@/lib/api/auth';
-import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { actionFail, actionOk, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import type { ActionResult } from '@/lib/types';
 import { parseSection } from '@/lib/act-import/parse-questions';
 import { parseScale } from '@/lib/act-import/parse-scale';
@@ -139,6 +140,8 @@ async function parseSectionAction(
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
   }
+  const rl = await checkRateLimit('ai.generate', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   const { supabase } = ctx as { supabase: any };
 
@@ -233,6 +236,8 @@ export async function parseScaleAction(
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
   }
+  const rl = await checkRateLimit('ai.generate', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   const { supabase } = ctx as { supabase: any };
 
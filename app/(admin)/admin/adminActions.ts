@@ -0,0 +1,30 @@
+// Shared pieces of the /admin registry Server Actions (api-keys,
+// webhooks, lti): the admin gate that hands a failure back as the
+// action's result, and the disabled checkbox on each registry row.
+
+import { requireRole } from '@/lib/api/auth';
+import { actionFail, ApiError } from '@/lib/api/response';
+import type { ActionResult, AuthContext } from '@/lib/types';
+
+/**
+ * The caller's context if they are an admin; otherwise the failure to
+ * return from the action as-is (`if ('ok' in ctx) return ctx;`).
+ */
+export async function adminActionContext(): Promise<AuthContext | ActionResult<never>> {
+  try {
+    return await requireRole(['admin']);
+  } catch (err) {
+    if (err instanceof ApiError) return err.toActionResult();
+    return actionFail('Unexpected error');
+  }
+}
+
+/**
+ * disabled_at after saving a row's form: the form's `disabled` box
+ * ('on' to disable) against the row's current value. A row that stays
+ * disabled keeps the time it was first disabled.
+ */
+export function nextDisabledAt(formData: FormData, current: string | null): string | null {
+  if (formData.get('disabled') !== 'on') return null;
+  return current ?? new Date().toISOString();
+}
@@ -0,0 +1,207 @@
+// Client forms for /admin/api-keys. Scope options come in as props
+// from the page: lib/api/apiKeys.ts pulls in node:crypto, so nothing
+// here imports its values.
+//
+// A freshly issued key is rendered once, from the action's return
+// value, with a copy button. Reloading the page loses it for good —
+// that is the point.
+
+'use client';
+
+import { startTransition, useActionState, useState } from 'react';
+import { Button } from '@/lib/ui/Button';
+import { useConfirm } from '@/lib/ui/ConfirmDialog';
+import {
+  createApiConsumer,
+  issueApiKey,
+  revokeApiKey,
+  rotateApiKey,
+  updateApiConsumer,
+  type IssuedKey,
+} from './actions';
+import f from '../../forms.module.css';
+
+export interface ScopeOption {
+  value: string;
+  label: string;
+}
+
+function OneTimeKey({ issued }: { issued: IssuedKey }) {
+  const [copied, setCopied] = useState(false);
+  return (
+    <div className={f.hint} role="status">
+      <strong>Copy this key now — it won&apos;t be shown again.</strong>
+      <div className={f.row}>
+        <code style={{ wordBreak: 'break-all' }}>{issued.key}</code>
+        <Button
+          type="button"
+          size="sm"
+          variant="secondary"
+          onClick={() => {
+            navigator.clipboard?.writeText(issued.key).then(() => setCopied(true));
+          }}
+        >
+          {copied ? 'Copied' : 'Copy'}
+        </Button>
+      </div>
+      <span className={f.muted}>Send it to the partner over a secure channel; they pass it as the x-api-key header.</span>
+    </div>
+  );
+}
+
+function ScopeChecks({ scopes, selected = [] }: { scopes: ScopeOption[]; selected?: readonly string[] }) {
+  return (
+    <fieldset className={f.fieldset}>
+      <legend className={f.legend}>Scopes</legend>
+      {scopes.map((s) => (
+        <label key={s.value} className={f.row}>
+          <input type="checkbox" name="scope" value={s.value} defaultChecked={selected.includes(s.value)} />
+          <span>{s.label}</span>
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+export function NewConsumerForm({ scopes }: { scopes: ScopeOption[] }) {
+  const [state, action, pending] = useActionState(createApiConsumer, null);
+  return (
+    <form action={action} className={f.form}>
+      <div className={f.grid}>
+        <label className={f.label}>
+          <span className={f.labelText}>Consumer name</span>
+          <input name="name" className={f.input} placeholder="e.g. Lessonworks" required />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>First key expires</span>
+          <input name="expires_at" type="date" className={f.input} />
+        </label>
+      </div>
+      <ScopeChecks scopes={scopes} />
+      <label className={f.label}>
+        <span className={f.labelText}>Student allow-list</span>
+        <textarea name="student_ids" className={f.input} rows={3} placeholder="Blank = every student" />
+      </label>
+      <p className={f.formHint}>
+        With an allow-list, the consumer only finds, reads and provisions those students; students it provisions are
+        added automatically.
+      </p>
+      <div className={f.actions}>
+        <Button type="submit" variant="primary" disabled={pending}>
+          {pending ? 'Creating…' : 'Create consumer + key'}
+        </Button>
+        {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      </div>
+      {state?.ok && <OneTimeKey issued={state.data} />}
+    </form>
+  );
+}
+
+export function ConsumerSettingsForm({
+  consumerId,
+  scopes,
+  selected,
+  studentIds,
+  disabled,
+}: {
+  consumerId: string;
+  scopes: ScopeOption[];
+  selected: readonly string[];
+  studentIds: readonly string[] | null;
+  disabled: boolean;
+}) {
+  const [state, action, pending] = useActionState(updateApiConsumer, null);
+  return (
+    <form action={action} className={f.form}>
+      <input type="hidden" name="consumer_id" value={consumerId} />
+      <ScopeChecks scopes={scopes} selected={selected} />
+      <label className={f.label}>
+        <span className={f.labelText}>Student allow-list</span>
+        <textarea
+          name="student_ids"
+          className={f.input}
+          rows={3}
+          defaultValue={(studentIds ?? []).join('\n')}
+          placeholder="Blank = every student"
+        />
+      </label>
+      <label className={f.row}>
+        <input type="checkbox" name="disabled" defaultChecked={disabled} />
+        <span>Disabled — every key for this consumer is refused</span>
+      </label>
+      <div className={f.actions}>
+        <Button type="submit" size="sm" variant="secondary" disabled={pending}>
+          {pending ? 'Saving…' : 'Save consumer'}
+        </Button>
+        {state?.ok && <span className={f.ok}>Saved.</span>}
+        {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      </div>
+    </form>
+  );
+}
+
+export function IssueKeyForm({ consumerId }: { consumerId: string }) {
+  const [state, action, pending] = useActionState(issueApiKey, null);
+  return (
+    <form action={action} className={f.form}>
+      <input type="hidden" name="consumer_id" value={consumerId} />
+      <div className={f.row}>
+        <input name="label" className={f.input} placeholder="Label (e.g. staging)" />
+        <input name="expires_at" type="date" className={f.input} aria-label="Expires" />
+        <Button type="submit" size="sm" variant="secondary" disabled={pending}>
+          {pending ? 'Issuing…' : 'Issue another key'}
+        </Button>
+      </div>
+      {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      {state?.ok && <OneTimeKey issued={state.data} />}
+    </form>
+  );
+}
+
+export function KeyRowActions({ keyId, defaultOverlapHours }: { keyId: string; defaultOverlapHours: number }) {
+  const [rotateState, rotateAction, rotatePending] = useActionState(rotateApiKey, null);
+  const [revokeState, revokeAction, revokePending] = useActionState(revokeApiKey, null);
+  const [confirm, confirmDialog] = useConfirm();
+
+  async function onRevoke(e: React.FormEvent<HTMLFormElement>) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const ok = await confirm({
+      title: 'Revoke this key?',
+      body: 'Calls with it are refused immediately. This cannot be undone.',
+      confirmLabel: 'Revoke',
+      tone: 'danger',
+    });
+    if (ok) startTransition(() => revokeAction(new FormData(form)));
+  }
+
+  return (
+    <div className={f.form}>
+      <form action={rotateAction} className={f.row}>
+        <input type="hidden" name="key_id" value={keyId} />
+        <input
+          name="overlap_hours"
+          type="number"
+          min={0}
+          defaultValue={defaultOverlapHours}
+          className={f.inputNarrow}
+          aria-label="Overlap hours"
+          title="Hours the old key keeps working"
+        />
+        <Button type="submit" size="sm" variant="secondary" disabled={rotatePending}>
+          {rotatePending ? '…' : 'Rotate'}
+        </Button>
+      </form>
+      <form onSubmit={onRevoke}>
+        <input type="hidden" name="key_id" value={keyId} />
+        <Button type="submit" size="sm" variant="danger" disabled={revokePending}>
+          {revokePending ? '…' : 'Revoke'}
+        </Button>
+      </form>
+      {rotateState && !rotateState.ok && <span className={f.err}>{rotateState.error}</span>}
+      {revokeState && !revokeState.ok && <span className={f.err}>{revokeState.error}</span>}
+      {rotateState?.ok && <OneTimeKey issued={rotateState.data} />}
+      {confirmDialog}
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+// Server Actions for /admin/api-keys — the external API key registry
+// (lib/api/apiKeys.ts). Admin-only; every table is admin-only under
+// RLS, so these run on the caller's client rather than the service
+// role.
+//
+// A plaintext key exists only in the return value of createApiConsumer,
+// issueApiKey and rotateApiKey: the page shows it once and the database
+// keeps its hash.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { adminActionContext, nextDisabledAt } from '../adminActions';
+import { actionOk, actionFail } from '@/lib/api/response';
+import {
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  generateApiKey,
+  isApiScope,
+  parseStudentAllowList,
+  rotatedKeyExpiry,
+  type ApiScope,
+} from '@/lib/api/apiKeys';
+import type { ActionResult, AuthContext } from '@/lib/types';
+
+const PAGE = '/admin/api-keys';
+
+export type IssuedKey = {
+  consumerId: string;
+  keyId: string;
+  prefix: string;
+  /** Plaintext. Shown once; never stored. */
+  key: string;
+};
+
+function readScopes(formData: FormData): ApiScope[] {
+  return formData.getAll('scope').filter(isApiScope);
+}
+
+function readExpiry(formData: FormData): { value: string | null; error?: string } {
+  const raw = formData.get('expires_at');
+  if (typeof raw !== 'string' || !raw.trim()) return { value: null };
+  const ms = Date.parse(raw);
+  if (Number.isNaN(ms)) return { value: null, error: 'Invalid expiry date' };
+  if (ms <= Date.now()) return { value: null, error: 'Expiry must be in the future' };
+  return { value: new Date(ms).toISOString() };
+}
+
+async function insertKey(
+  ctx: AuthContext,
+  consumerId: string,
+  { label, expiresAt, rotatedFrom = null }: { label: string | null; expiresAt: string | null; rotatedFrom?: string | null },
+): Promise<ActionResult<{ data: IssuedKey }>> {
+  const { key, prefix, hash } = generateApiKey();
+  const { data, error } = await ctx.supabase
+    .from('api_keys')
+    .insert({
+      consumer_id: consumerId,
+      key_prefix: prefix,
+      key_hash: hash,
+      label,
+      expires_at: expiresAt,
+      rotated_from: rotatedFrom,
+      created_by: ctx.user.id,
+    })
+    .select('id')
+    .single();
+  if (error || !data) return actionFail(`Failed to issue key: ${error?.message ?? 'unknown'}`);
+  return actionOk({ consumerId, keyId: data.id, prefix, key });
+}
+
+/**
+ * Register a partner and issue its first key.
+ *
+ * Form contract:
+ *   name         — required, unique
+ *   scope        — repeated; at least one of API_SCOPES
+ *   student_ids  — optional allow-list (uuids, whitespace/comma
+ *                  separated); blank = every student
+ *   expires_at   — optional expiry for the first key
+ */
+export async function createApiConsumer(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: IssuedKey }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const name = String(formData.get('name') ?? '').trim();
+  if (!name) return actionFail('Name is required');
+  const scopes = readScopes(formData);
+  if (scopes.length === 0) return actionFail('Pick at least one scope');
+  const allow = parseStudentAllowList(String(formData.get('student_ids') ?? ''));
+  if (allow.invalid.length > 0) return actionFail(`Not a student id: ${allow.invalid.slice(0, 3).join(', ')}`);
+  const expiry = readExpiry(formData);
+  if (expiry.error) return actionFail(expiry.error);
+
+  const { data: consumer, error } = await ctx.supabase
+    .from('api_consumers')
+    .insert({ name, scopes, student_ids: allow.ids, created_by: ctx.user.id })
+    .select('id')
+    .single();
+  if (error || !consumer) {
+    if (error?.code === '23505') return actionFail('A consumer with that name already exists');
+    return actionFail(`Failed: ${error?.message ?? 'unknown'}`);
+  }
+
+  const res = await insertKey(ctx, consumer.id, { label: 'Initial key', expiresAt: expiry.value });
+  revalidatePath(PAGE);
+  return res;
+}
+
+/**
+ * Change a consumer's scopes, allow-list or disabled state. Applies to
+ * every one of its keys on their next call.
+ *
+ * Form contract:
+ *   consumer_id  — required
+ *   scope        — repeated; may be empty (the consumer can then call
+ *                  nothing, which is what disabled is for — prefer it)
+ *   student_ids  — allow-list as in createApiConsumer
+ *   disabled     — 'on' to disable
+ */
+export async function updateApiConsumer(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { consumerId: string } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const consumerId = formData.get('consumer_id');
+  if (typeof consumerId !== 'string' || !consumerId) return actionFail('consumer_id required');
+  const allow = parseStudentAllowList(String(formData.get('student_ids') ?? ''));
+  if (allow.invalid.length > 0) return actionFail(`Not a student id: ${allow.invalid.slice(0, 3).join(', ')}`);
+
+  const { data: current } = await ctx.supabase
+    .from('api_consumers')
+    .select('disabled_at')
+    .eq('id', consumerId)
+    .maybeSingle();
+  if (!current) return actionFail('Consumer not found');
+
+  const { error } = await ctx.supabase
+    .from('api_consumers')
+    .update({
+      scopes: readScopes(formData),
+      student_ids: allow.ids,
+      disabled_at: nextDisabledAt(formData, current.disabled_at),
+    })
+    .eq('id', consumerId);
+  if (error) return actionFail(`Failed: ${error.message}`);
+
+  revalidatePath(PAGE);
+  return actionOk({ consumerId });
+}
+
+/**
+ * Issue an additional key for a consumer (e.g. a staging deploy).
+ *
+ * Form contract:
+ *   consumer_id  — required
+ *   label        — optional
+ *   expires_at   — optional
+ */
+export async function issueApiKey(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: IssuedKey }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const consumerId = formData.get('consumer_id');
+  if (typeof consumerId !== 'string' || !consumerId) return actionFail('consumer_id required');
+  const expiry = readExpiry(formData);
+  if (expiry.error) return actionFail(expiry.error);
+  const label = String(formData.get('label') ?? '').trim() || null;
+
+  const res = await insertKey(ctx, consumerId, { label, expiresAt: expiry.value });
+  revalidatePath(PAGE);
+  return res;
+}
+
+/**
+ * Replace a key. The new key is live at once and keeps the old key's
+ * expiry, so rotating never extends a key's life; the old one keeps
+ * working for `overlap_hours` (default DEFAULT_ROTATION_OVERLAP_HOURS,
+ * 0 = retire now) so the partner can redeploy without downtime.
+ *
+ * Form contract:
+ *   key_id         — required, must be unrevoked
+ *   overlap_hours  — optional
+ */
+export async function rotateApiKey(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: IssuedKey }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const keyId = formData.get('key_id');
+  if (typeof keyId !== 'string' || !keyId) return actionFail('key_id required');
+  const rawOverlap = formData.get('overlap_hours');
+  const overlap = rawOverlap == null || rawOverlap === '' ? DEFAULT_ROTATION_OVERLAP_HOURS : Number(rawOverlap);
+  if (!Number.isFinite(overlap) || overlap < 0) return actionFail('Overlap must be 0 or more hours');
+
+  const { data: old } = await ctx.supabase
+    .from('api_keys')
+    .select('id, consumer_id, label, expires_at, revoked_at')
+    .eq('id', keyId)
+    .maybeSingle();
+  if (!old) return actionFail('Key not found');
+  if (old.revoked_at) return actionFail('That key is revoked; issue a new one instead');
+  if (old.expires_at && new Date(old.expires_at).getTime() <= Date.now()) {
+    return actionFail('That key has expired; issue a new one instead');
+  }
+
+  const res = await insertKey(ctx, old.consumer_id, {
+    label: old.label,
+    expiresAt: old.expires_at,
+    rotatedFrom: old.id,
+  });
+  if (!res.ok) return res;
+
+  const { error } = await ctx.supabase
+    .from('api_keys')
+    .update({ expires_at: rotatedKeyExpiry(old.expires_at, overlap) })
+    .eq('id', old.id);
+  if (error) return actionFail(`New key issued, but the old key's expiry failed to update: ${error.message}`);
+
+  revalidatePath(PAGE);
+  return res;
+}
+
+/** Revoke a key immediately. Form contract: key_id — required. */
+export async function revokeApiKey(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { keyId: string } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const keyId = formData.get('key_id');
+  if (typeof keyId !== 'string' || !keyId) return actionFail('key_id required');
+
+  const { error } = await ctx.supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', keyId)
+    .is('revoked_at', null);
+  if (error) return actionFail(`Failed: ${error.message}`);
+
+  revalidatePath(PAGE);
+  return actionOk({ keyId });
+}
@@ -0,0 +1,277 @@
+// Admin · API keys — the registry behind /api/public/students/* and
+// /api/external/score-report (lib/externalAuth.ts).
+//
+// One section per consumer: its scopes and student allow-list, then
+// every key it holds with seven days of usage from api_request_logs
+// (calls, refusals and errors, last call) and rotate / revoke. A
+// recent-calls table at the bottom covers every consumer, including
+// the legacy EXTERNAL_API_KEY caller and unknown keys, so the env
+// secret can be retired once its traffic reaches zero.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import {
+  API_SCOPES,
+  API_SCOPE_LABELS,
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  summarizeKeyUsage,
+  usageKey,
+} from '@/lib/api/apiKeys';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import {
+  ConsumerSettingsForm,
+  IssueKeyForm,
+  KeyRowActions,
+  NewConsumerForm,
+  type ScopeOption,
+} from './ApiKeyForms';
+import f from '../../forms.module.css';
+import a from '../../admin.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const USAGE_DAYS = 7;
+const USAGE_ROW_CAP = 20_000;
+const RECENT_CALLS = 50;
+
+const SCOPE_OPTIONS: ScopeOption[] = API_SCOPES.map((s) => ({ value: s, label: API_SCOPE_LABELS[s] }));
+
+interface ConsumerRow {
+  id: string;
+  name: string;
+  scopes: string[];
+  student_ids: string[] | null;
+  disabled_at: string | null;
+  created_at: string;
+}
+
+interface KeyRow {
+  id: string;
+  consumer_id: string;
+  key_prefix: string;
+  label: string | null;
+  expires_at: string | null;
+  revoked_at: string | null;
+  rotated_from: string | null;
+  created_at: string;
+}
+
+interface LogRow {
+  key_id: string | null;
+  consumer_name: string | null;
+  scope: string;
+  method: string;
+  endpoint: string;
+  status: number;
+  created_at: string;
+}
+
+function fmt(ts: string | null) {
+  return ts ? new Date(ts).toLocaleString() : '—';
+}
+
+function keyStatus(k: KeyRow, nowMs: number) {
+  if (k.revoked_at) return `Revoked ${fmt(k.revoked_at)}`;
+  if (k.expires_at && Date.parse(k.expires_at) <= nowMs) return `Expired ${fmt(k.expires_at)}`;
+  if (k.expires_at) return `Active · expires ${fmt(k.expires_at)}`;
+  return 'Active';
+}
+
+export default async function AdminApiKeysPage() {
+  const { profile, supabase } = await requireUser();
+
+  if (profile.role !== 'admin') {
+    if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
+    if (profile.role === 'student') redirect('/dashboard');
+    redirect('/');
+  }
+
+  // Snapshot "now" once so key status and the usage window agree.
+  // eslint-disable-next-line react-hooks/purity
+  const nowMs = Date.now();
+  const since = new Date(nowMs - USAGE_DAYS * 86_400_000).toISOString();
+
+  const [consumersRes, keysRes, logsRes] = await Promise.all([
+    supabase
+      .from('api_consumers')
+      .select('id, name, scopes, student_ids, disabled_at, created_at')
+      .order('name', { ascending: true }),
+    supabase
+      .from('api_keys')
+      .select('id, consumer_id, key_prefix, label, expires_at, revoked_at, rotated_from, created_at')
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('api_request_logs')
+      .select('key_id, consumer_name, scope, method, endpoint, status, created_at')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(USAGE_ROW_CAP),
+  ]);
+  const consumers = (consumersRes.data ?? []) as ConsumerRow[];
+  const keys = (keysRes.data ?? []) as KeyRow[];
+  const logs = (logsRes.data ?? []) as LogRow[];
+  const usage = summarizeKeyUsage(logs);
+  const prefixById = new Map(keys.map((k) => [k.id, k.key_prefix]));
+  const legacyUsage = [...usage.entries()].filter(([k]) => k.startsWith('legacy'));
+
+  return (
+    <main className={a.container}>
+      <nav className={a.breadcrumb}>
+        <Link href="/admin">&larr; Admin</Link>
+      </nav>
+
+      <header className={a.header}>
+        <div className={a.eyebrow}>Admin · Integrations</div>
+        <h1 className={a.h1}>API keys</h1>
+        <p className={a.sub}>
+          Keys for partners calling the external API &mdash; student search and provisioning, practice data, and
+          score-report PDFs. Each partner is a consumer with its own keys, scopes and (optionally) a student
+          allow-list.
+        </p>
+        <p className={a.help}>
+          Only a hash of each key is stored. Rotate to hand a partner a new key while the old one keeps working
+          for the overlap window; revoke to cut a key off immediately.
+        </p>
+      </header>
+
+      {(process.env.EXTERNAL_API_KEY || legacyUsage.length > 0) && (
+        <section className={a.section}>
+          <h2 className={a.h2}>Legacy shared key</h2>
+          <p className={f.warnInline}>
+            {process.env.EXTERNAL_API_KEY
+              ? 'EXTERNAL_API_KEY is still set and accepted with every scope.'
+              : 'EXTERNAL_API_KEY is no longer set.'}{' '}
+            {legacyUsage.length > 0
+              ? `${legacyUsage[0][1].calls} call(s) used it in the last ${USAGE_DAYS} days (last ${fmt(legacyUsage[0][1].lastAt)}).`
+              : `No calls used it in the last ${USAGE_DAYS} days.`}{' '}
+            Issue the partner a consumer key below, then unset the env var.
+          </p>
+        </section>
+      )}
+
+      <section className={a.section}>
+        <h2 className={a.h2}>New consumer</h2>
+        <NewConsumerForm scopes={SCOPE_OPTIONS} />
+      </section>
+
+      {consumers.map((c) => {
+        const own = keys.filter((k) => k.consumer_id === c.id);
+        return (
+          <section key={c.id} className={a.section}>
+            <h2 className={a.h2}>
+              {c.name}
+              {c.disabled_at && <span className={f.muted}> · disabled {fmt(c.disabled_at)}</span>}
+            </h2>
+            <p className={f.muted}>
+              {c.scopes.length > 0
+                ? c.scopes.map((s) => API_SCOPE_LABELS[s as keyof typeof API_SCOPE_LABELS] ?? s).join(' · ')
+                : 'No scopes'}{' '}
+              · {c.student_ids == null ? 'every student' : `${c.student_ids.length} allow-listed student(s)`}
+            </p>
+
+            <div className={f.tableWrap}>
+              <Table>
+                <thead>
+                  <tr>
+                    <Th>Key</Th>
+                    <Th>Status</Th>
+                    <Th>Calls ({USAGE_DAYS}d)</Th>
+                    <Th>Errors</Th>
+                    <Th>Last call</Th>
+                    <Th>Actions</Th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {own.length === 0 && (
+                    <tr>
+                      <Td colSpan={6} className={f.tdMuted}>
+                        No keys.
+                      </Td>
+                    </tr>
+                  )}
+                  {own.map((k) => {
+                    const u = usage.get(k.id);
+                    const live = !k.revoked_at && !(k.expires_at && Date.parse(k.expires_at) <= nowMs);
+                    return (
+                      <tr key={k.id}>
+                        <Td>
+                          <code>swk_{k.key_prefix}_…</code>
+                          <div className={f.tdMuted}>
+                            {k.label ?? 'Unlabelled'} · issued {fmt(k.created_at)}
+                            {k.rotated_from && ` · replaces swk_${prefixById.get(k.rotated_from) ?? '?'}`}
+                          </div>
+                        </Td>
+                        <Td>{keyStatus(k, nowMs)}</Td>
+                        <Td>{u?.calls ?? 0}</Td>
+                        <Td>{u?.errors ?? 0}</Td>
+                        <Td>
+                          {fmt(u?.lastAt ?? null)}
+                          {u?.lastStatus != null && <div className={f.tdMuted}>HTTP {u.lastStatus}</div>}
+                        </Td>
+                        <Td>
+                          {live ? (
+                            <KeyRowActions keyId={k.id} defaultOverlapHours={DEFAULT_ROTATION_OVERLAP_HOURS} />
+                          ) : (
+                            <span className={f.muted}>—</span>
+                          )}
+                        </Td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </div>
+
+            <IssueKeyForm consumerId={c.id} />
+            <details>
+              <summary className={a.sectionLabel}>Scopes, allow-list and status</summary>
+              <ConsumerSettingsForm
+                consumerId={c.id}
+                scopes={SCOPE_OPTIONS}
+                selected={c.scopes}
+                studentIds={c.student_ids}
+                disabled={!!c.disabled_at}
+              />
+            </details>
+          </section>
+        );
+      })}
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Recent calls</h2>
+        {logs.length === 0 ? (
+          <p className={f.muted}>No calls in the last {USAGE_DAYS} days.</p>
+        ) : (
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>When</Th>
+                  <Th>Consumer</Th>
+                  <Th>Key</Th>
+                  <Th>Endpoint</Th>
+                  <Th>Status</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {logs.slice(0, RECENT_CALLS).map((l, i) => (
+                  <tr key={`${l.created_at}-${i}`}>
+                    <Td>{fmt(l.created_at)}</Td>
+                    <Td>{l.consumer_name ?? <span className={f.muted}>unknown key</span>}</Td>
+                    <Td>{l.key_id ? <code>swk_{prefixById.get(l.key_id) ?? '?'}_…</code> : usageKey(l) === 'unauthenticated' ? '—' : 'env'}</Td>
+                    <Td>
+                      {l.method} {l.endpoint}
+                      <div className={f.tdMuted}>{l.scope}</div>
+                    </Td>
+                    <Td>{l.status}</Td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
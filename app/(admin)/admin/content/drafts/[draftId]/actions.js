@@ -9,7 +9,9 @@
 //   promoteDraft — copy the non-NULL fields onto questions_v2,
 //                 clear the target's rendered columns + hash so
 //                 the next render pass picks it up, and mark the
-//                 draft row 'promoted'.
+//                 draft row 'promoted'. A new-question draft
+//                 (question_id NULL, from the QTI import) inserts
+//                 an unpublished row instead and records its id.
 //   rejectDraft — flip status to 'rejected' (keeps the draft row
 //                 for audit history but hides it from the default
 //                 list).
@@ -22,6 +24,9 @@
 import { redirect } from 'next/navigation';
 import { revalidatePath } from 'next/cache';
 import { requireRole } from '@/lib/api/auth';
+import { renderRow } from '@/lib/content/render-math.mjs';
+import { findDomain, findSkill } from '@/lib/practice/sat-taxonomy';
+import { revisionContext } from '@/lib/content/question-revisions';
 
 function emptyToNull(v) {
   return v == null || v === '' ? null : v;
@@ -94,13 +99,30 @@ export async function promoteDraft(draftId) {
   // are non-null (only those get copied).
   const { data: draft, error: loadErr } = await supabase
     .from('question_content_drafts')
-    .select('id, question_id, status, stem_html, stimulus_html, rationale_html, options, hints')
+    .select('id, question_id, status, stem_html, stimulus_html, rationale_html, options, hints, new_question')
     .eq('id', draftId)
     .maybeSingle();
 
   if (loadErr || !draft) throw new Error('draft not found');
   if (draft.status === 'promoted') throw new Error('already promoted');
 
+  if (draft.question_id == null) {
+    const questionId = await insertNewQuestion(supabase, draft);
+    const { error: dErr } = await supabase
+      .from('question_content_drafts')
+      .update({
+        question_id: questionId,
+        status: 'promoted',
+        promoted_at: new Date().toISOString(),
+        promoted_by: user.id,
+      })
+      .eq('id', draftId);
+    if (dErr) throw new Error(`promoteDraft (mark): ${dErr.message}`);
+
+    revalidatePath('/admin/content/drafts');
+    redirect(`/admin/questions/${questionId}`);
+  }
+
   const update = {};
   if (draft.stem_html      != null) update.stem_html      = draft.stem_html;
   if (draft.stimulus_html  != null) update.stimulus_html  = draft.stimulus_html;
@@ -125,6 +147,7 @@ export async function promoteDraft(draftId) {
   update.stimulus_rendered    = null;
   update.rationale_rendered   = null;
   update.options_rendered     = null;
+  update.revision_context     = revisionContext('draft', { note: `Draft ${draftId}` });
 
   const { error: qErr } = await supabase
     .from('questions_v2')
@@ -147,6 +170,61 @@ export async function promoteDraft(draftId) {
   redirect('/admin/content/drafts');
 }
 
+// New-question promotion. Same row shape createQuestion writes —
+// unpublished, taxonomy names re-resolved from the canonical table,
+// math pre-rendered — so an imported question is indistinguishable
+// from an authored one once it lands.
+async function insertNewQuestion(supabase, draft) {
+  const meta = draft.new_question ?? {};
+  if (meta.question_type !== 'mcq' && meta.question_type !== 'spr') {
+    throw new Error('new-question draft has no question type');
+  }
+  if (!draft.stem_html) throw new Error('new-question draft has no stem');
+  if (meta.question_type === 'mcq' && !Array.isArray(draft.options)) {
+    throw new Error('new-question draft has no answer choices');
+  }
+
+  const domain = findDomain(meta.domain_code);
+  const skill = domain ? findSkill(domain.code, meta.skill_code) : null;
+  const content = {
+    stem_html: draft.stem_html,
+    stimulus_html: draft.stimulus_html || null,
+    rationale_html: draft.rationale_html || null,
+    options: meta.question_type === 'mcq' ? draft.options : null,
+  };
+  const rendered = renderRow({ id: 'new', ...content });
+
+  const { data, error } = await supabase
+    .from('questions_v2')
+    .insert({
+      question_type: meta.question_type,
+      ...content,
+      hints: Array.isArray(draft.hints) ? draft.hints : [],
+      correct_answer: meta.correct_answer ?? null,
+      domain_code: domain?.code ?? null,
+      domain_name: domain?.name ?? null,
+      skill_code: skill?.code ?? null,
+      skill_name: skill?.name ?? null,
+      difficulty: meta.difficulty ?? null,
+      score_band: meta.score_band ?? null,
+      pattern_id: meta.pattern_id ?? null,
+      source: meta.source || 'qti-import',
+      source_external_id: meta.source_external_id ?? null,
+      is_published: false,
+      stem_rendered: rendered.stem_rendered,
+      stimulus_rendered: rendered.stimulus_rendered,
+      rationale_rendered: rendered.rationale_rendered,
+      options_rendered: rendered.options_rendered,
+      rendered_source_hash: rendered.rendered_source_hash,
+      rendered_at: new Date().toISOString(),
+      revision_context: revisionContext('import', { note: `Draft ${draft.id}` }),
+    })
+    .select('id')
+    .single();
+  if (error) throw new Error(`promoteDraft (insert): ${error.message}`);
+  return data.id;
+}
+
 export async function rejectDraft(draftId) {
   const { user, supabase } = await requireRole(['admin']);
 
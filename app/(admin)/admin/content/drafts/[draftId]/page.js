@@ -9,6 +9,11 @@
 // Below the preview: the raw HTML editor (four textareas + options
 // jsonb + notes + status) with save / promote / reject buttons.
 //
+// New-question drafts (question_id NULL, from the QTI import) have
+// no production row: the left pane shows the import metadata that
+// promotion will insert with, and the merged preview takes its type,
+// answer key and taxonomy from draft.new_question.
+//
 // Math preview is live per save — saveDraft re-renders the preview
 // by recomputing the server-side render on every load. Fast enough
 // (MathJax warmup ~1.5s cold, ~50ms per expression after) because
@@ -40,7 +45,7 @@ export default async function DraftEditorPage({ params }) {
     .from('question_content_drafts')
     .select(`
       id, question_id, status, notes,
-      stem_html, stimulus_html, rationale_html, options, hints,
+      stem_html, stimulus_html, rationale_html, options, hints, new_question,
       created_at, updated_at, created_by, promoted_at
     `)
     .eq('id', draftId)
@@ -48,16 +53,20 @@ export default async function DraftEditorPage({ params }) {
 
   if (!draft) notFound();
 
-  const { data: current } = await supabase
-    .from('questions_v2')
-    .select(`
-      id, display_code, question_type,
-      stem_html, stimulus_html, rationale_html, options, correct_answer,
-      domain_name, skill_name, difficulty, score_band, source
-    `)
-    .eq('id', draft.question_id)
-    .maybeSingle();
+  const isNew = draft.question_id == null;
+  const { data: live } = isNew
+    ? { data: null }
+    : await supabase
+      .from('questions_v2')
+      .select(`
+        id, display_code, question_type,
+        stem_html, stimulus_html, rationale_html, options, correct_answer,
+        domain_name, skill_name, difficulty, score_band, source
+      `)
+      .eq('id', draft.question_id)
+      .maybeSingle();
 
+  const current = live ?? (isNew ? newQuestionRow(draft) : null);
   if (!current) notFound();
 
   // Merge: draft fields override current row fields, NULL means
@@ -72,10 +81,10 @@ export default async function DraftEditorPage({ params }) {
   // Render both sides through the shared math-renderer. If there's
   // no math, the fields pass through unchanged and the read path
   // still renders fine via QuestionRenderer's dangerouslySetInnerHTML.
-  const currentRendered = renderRow({ id: 'current', ...current });
+  const currentRendered = isNew ? null : renderRow({ id: 'current', ...current });
   const mergedRendered  = renderRow({ id: 'merged',  ...merged });
 
-  const currentVM = buildVM(current, currentRendered, current);
+  const currentVM = isNew ? null : buildVM(current, currentRendered, current);
   const mergedVM  = buildVM(merged,  mergedRendered,  current);
 
   const isPromoted = draft.status === 'promoted';
@@ -89,29 +98,37 @@ export default async function DraftEditorPage({ params }) {
       <header style={S.header}>
         <div>
           <h1 style={S.h1}>
-            {current.display_code || current.id.slice(0, 8)}
+            {isNew
+              ? `New · ${draft.new_question?.source_external_id ?? 'untitled'}`
+              : current.display_code || current.id.slice(0, 8)}
           </h1>
           <div style={S.sub}>
             Draft <code>{draft.id.slice(0, 8)}</code> · status <strong>{draft.status}</strong> ·
             updated {formatDate(draft.updated_at)}
           </div>
         </div>
-        <div style={{ display: 'flex', gap: '0.5rem' }}>
-          <Link
-            href={`/admin/questions/${current.id}`}
-            target="_blank"
-            style={S.secondaryBtn}
-          >
-            Open in review
-          </Link>
-        </div>
+        {!isNew && (
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <Link
+              href={`/admin/questions/${current.id}`}
+              target="_blank"
+              style={S.secondaryBtn}
+            >
+              Open in review
+            </Link>
+          </div>
+        )}
       </header>
 
       <section style={S.panes}>
         <div style={S.pane}>
-          <h2 style={S.paneTitle}>Current (production)</h2>
+          <h2 style={S.paneTitle}>{isNew ? 'New question (not in production)' : 'Current (production)'}</h2>
           <Card style={{ padding: '1rem' }}>
-            <QuestionRenderer mode="teacher" question={currentVM.question} result={currentVM.result} />
+            {isNew ? (
+              <NewQuestionMeta meta={draft.new_question} />
+            ) : (
+              <QuestionRenderer mode="teacher" question={currentVM.question} result={currentVM.result} />
+            )}
           </Card>
         </div>
         <div style={S.pane}>
@@ -172,9 +189,9 @@ function DraftEditor({ draft }) {
           </select>
         </label>
         <div style={S.rowNote}>
-          Leave a field blank to leave the corresponding column on
-          questions_v2 unchanged. Promotion copies only the non-blank
-          fields onto the production row.
+          {draft.question_id == null
+            ? 'Promotion inserts this as a new, unpublished questions_v2 row using these fields and the import metadata above.'
+            : 'Leave a field blank to leave the corresponding column on questions_v2 unchanged. Promotion copies only the non-blank fields onto the production row.'}
         </div>
         <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
           <button type="submit" style={S.primaryBtn}>Save</button>
@@ -210,6 +227,56 @@ function Field({ label, name, value, rows = 5, mono = false }) {
   );
 }
 
+// The questions_v2-shaped stand-in for a new-question draft: content
+// columns empty (the draft supplies them), everything else from the
+// import's new_question.
+function newQuestionRow(draft) {
+  const meta = draft.new_question ?? {};
+  return {
+    id: draft.id,
+    display_code: null,
+    question_type: meta.question_type ?? 'mcq',
+    stem_html: '',
+    stimulus_html: null,
+    rationale_html: null,
+    options: null,
+    correct_answer: meta.correct_answer ?? null,
+    domain_name: meta.domain_name ?? null,
+    skill_name: meta.skill_name ?? null,
+    difficulty: meta.difficulty ?? null,
+    score_band: meta.score_band ?? null,
+    source: meta.source ?? null,
+  };
+}
+
+function NewQuestionMeta({ meta }) {
+  const m = meta ?? {};
+  const answer = m.question_type === 'spr'
+    ? formatSprCorrect(m.correct_answer)
+    : (extractMcqCorrectId(m.correct_answer) ?? '—');
+  const rows = [
+    ['Type', m.question_type],
+    ['Answer', answer],
+    ['Domain', m.domain_name ? `${m.domain_name} (${m.domain_code})` : null],
+    ['Skill', m.skill_name ? `${m.skill_name} (${m.skill_code})` : null],
+    ['Difficulty', m.difficulty],
+    ['Score band', m.score_band],
+    ['Source', m.source],
+    ['Source ID', m.source_external_id],
+    ['Title', m.title],
+  ];
+  return (
+    <dl style={S.meta}>
+      {rows.map(([k, v]) => (
+        <div key={k} style={{ display: 'contents' }}>
+          <dt style={S.metaKey}>{k}</dt>
+          <dd style={S.metaVal}>{v ?? '—'}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
 // ──────────────────────────────────────────────────────────────
 // VM builder: shapes questions_v2 + rendered fields into the
 // { question, result } pair QuestionRenderer expects. correct_answer
@@ -295,6 +362,9 @@ const S = {
     padding: '0.5rem 1rem', background: 'white', color: '#991b1b',
     border: '1px solid #fca5a5', borderRadius: 6, fontWeight: 600, cursor: 'pointer',
   },
+  meta: { display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: '0.375rem 1rem', margin: 0, fontSize: '0.9rem' },
+  metaKey: { color: '#6b7280', fontWeight: 600 },
+  metaVal: { margin: 0 },
   secondaryBtn: {
     padding: '0.375rem 0.75rem', background: 'white', color: '#374151',
     border: '1px solid #d1d5db', borderRadius: 6, fontWeight: 500,
@@ -1,7 +1,9 @@
 // Admin drafts list — every open question_content_drafts row,
 // linking to its side-by-side editor. Status defaults to
 // 'pending'; the list excludes 'promoted' so once a draft has
-// shipped it falls off the board.
+// shipped it falls off the board. New-question drafts (QTI import,
+// question_id NULL) show the packaged identifier and type from
+// new_question instead of a live question's.
 
 import Link from 'next/link';
 import { redirect } from 'next/navigation';
@@ -20,7 +22,7 @@ export default async function DraftsListPage() {
     .from('question_content_drafts')
     .select(`
       id, question_id, status, notes, created_at, updated_at,
-      stem_html, stimulus_html, rationale_html, options, hints,
+      stem_html, stimulus_html, rationale_html, options, hints, new_question,
       question:questions_v2(display_code, question_type)
     `)
     .neq('status', 'promoted')
@@ -34,10 +36,11 @@ export default async function DraftsListPage() {
     notes: d.notes,
     updated_at: d.updated_at,
     display_code: d.question?.display_code ?? null,
-    question_type: d.question?.question_type ?? null,
+    question_type: d.question?.question_type ?? d.new_question?.question_type ?? null,
+    new_external_id: d.question_id ? null : (d.new_question?.source_external_id ?? 'untitled'),
     // "Touches" — which content fields the draft proposes to
     // change. NULL means "leave as-is"; non-null means "replace".
-    touches: [
+    touches: d.question_id == null ? 'new question' : [
       d.stem_html      != null && 'stem',
       d.stimulus_html  != null && 'stimulus',
       d.rationale_html != null && 'rationale',
@@ -79,7 +82,9 @@ export default async function DraftsListPage() {
               <tr key={r.id}>
                 <Td>
                   <Link href={`/admin/content/drafts/${r.id}`}>
-                    {r.display_code || r.question_id.slice(0, 8)}
+                    {r.new_external_id != null
+                      ? `New · ${r.new_external_id}`
+                      : (r.display_code || r.question_id.slice(0, 8))}
                   </Link>
                 </Td>
                 <Td>{r.question_type ?? ''}</Td>
@@ -76,6 +76,10 @@ export default async function AdminContentPage({ searchParams }) {
           <Link href="/admin/content/patterns" className={a.link}>→ Question patterns</Link>
           {' '}— the sub-skill catalog: recognition cue + process per question format.
         </p>
+        <p className={a.sub}>
+          <Link href="/admin/content/qti" className={a.link}>→ QTI exchange</Link>
+          {' '}— export questions as QTI 3.0 packages; import packages as drafts.
+        </p>
       </header>
 
       <Section
@@ -0,0 +1,203 @@
+// QTI package import panel.
+//
+// Same two-step shape as the pattern CSV importer: "Preview" runs the
+// Server Action as a dry run and shows the per-item plan (draft an
+// update, draft a new question, unchanged, skipped and why); "Create
+// drafts" sends the same file again for the server to re-read,
+// re-plan and write. The package is parsed on the server only — the
+// planner needs live rows and open drafts anyway, and a browser copy
+// of the XML tooling would be dead weight.
+
+'use client';
+
+import { useRef, useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { Button } from '@/lib/ui/Button';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import { importQtiPackage, type QtiImportSummary } from './actions';
+import f from '../../../forms.module.css';
+import a from '../../../admin.module.css';
+
+const MAX_PREVIEW_ROWS = 25;
+
+const KIND_LABEL: Record<QtiImportSummary['rows'][number]['kind'], string> = {
+  update: 'update',
+  create: 'new',
+  unchanged: 'unchanged',
+  skip: 'skip',
+};
+
+export function QtiImportPanel() {
+  const router = useRouter();
+  const fileRef = useRef<HTMLInputElement>(null);
+  const [pending, startTransition] = useTransition();
+
+  const [file, setFile] = useState<File | null>(null);
+  const [source, setSource] = useState('');
+  const [preview, setPreview] = useState<QtiImportSummary | null>(null);
+  const [notice, setNotice] = useState<{ kind: 'ok' | 'err'; text: string } | null>(null);
+
+  function run(dryRun: boolean) {
+    if (!file) return;
+    setNotice(null);
+    const fd = new FormData();
+    fd.set('package', file);
+    fd.set('source', source);
+    if (dryRun) fd.set('dryRun', '1');
+    startTransition(async () => {
+      const res = await importQtiPackage(fd);
+      if (!res.ok) {
+        setNotice({ kind: 'err', text: res.error });
+        return;
+      }
+      if (dryRun) {
+        setPreview(res.data);
+        return;
+      }
+      const { written, issues } = res.data;
+      setPreview(null);
+      setNotice({
+        kind: issues.length > 0 && written === 0 ? 'err' : 'ok',
+        text:
+          `Import finished — ${written} draft${written === 1 ? '' : 's'} created` +
+          (issues.length > 0 ? `, ${issues.length} problem${issues.length === 1 ? '' : 's'}: ${issues.join(' · ')}` : '.'),
+      });
+      if (written > 0) {
+        setFile(null);
+        if (fileRef.current) fileRef.current.value = '';
+        router.refresh();
+      }
+    });
+  }
+
+  const toWrite = preview ? preview.counts.update + preview.counts.create : 0;
+
+  return (
+    <section className={a.section}>
+      <h2 className={a.h2}>Import</h2>
+
+      <div className={f.grid}>
+        <label className={f.label}>
+          <span className={f.labelText}>QTI 3.0 package (.zip)</span>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".zip,application/zip"
+            onChange={(e) => {
+              setFile(e.target.files?.[0] ?? null);
+              setPreview(null);
+              setNotice(null);
+            }}
+            disabled={pending}
+          />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>Source label</span>
+          <input
+            className={f.input}
+            value={source}
+            onChange={(e) => {
+              setSource(e.target.value);
+              setPreview(null);
+            }}
+            placeholder="qti-import"
+            disabled={pending}
+          />
+        </label>
+      </div>
+      <p className={f.formHint}>
+        The source label is stamped on new questions and matches partner items imported before under
+        the same label. Packages exported from this page match by question id regardless of label.
+      </p>
+
+      {preview && <ImportPreview summary={preview} />}
+
+      {notice && (
+        <p className={notice.kind === 'ok' ? f.ok : f.err} role="status">
+          {notice.text}{' '}
+          {notice.kind === 'ok' && (
+            <Link href="/admin/content/drafts" className={a.link}>
+              Review drafts &rarr;
+            </Link>
+          )}
+        </p>
+      )}
+
+      <div className={f.actions}>
+        <Button variant="secondary" onClick={() => run(true)} disabled={pending || !file}>
+          {pending && !preview ? 'Reading…' : 'Preview'}
+        </Button>{' '}
+        <Button variant="primary" onClick={() => run(false)} disabled={pending || !preview || toWrite === 0}>
+          {pending && preview ? 'Importing…' : `Create ${toWrite} draft${toWrite === 1 ? '' : 's'}`}
+        </Button>
+      </div>
+    </section>
+  );
+}
+
+function ImportPreview({ summary }: { summary: QtiImportSummary }) {
+  const { counts, rows, warnings } = summary;
+  return (
+    <div className={f.tableWrap} style={S.preview}>
+      <h3 className={a.sectionLabel}>Preview of {summary.fileName} — nothing is saved yet</h3>
+      <p className={f.muted} style={{ marginTop: 0 }}>
+        <strong>{counts.update}</strong> update draft{counts.update === 1 ? '' : 's'} ·{' '}
+        <strong>{counts.create}</strong> new-question draft{counts.create === 1 ? '' : 's'} ·{' '}
+        <strong>{counts.unchanged}</strong> unchanged · <strong>{counts.skip}</strong> skipped
+      </p>
+
+      {warnings.length > 0 && (
+        <ul className={f.err} style={S.issues}>
+          {warnings.map((w) => (
+            <li key={w}>{w}</li>
+          ))}
+        </ul>
+      )}
+
+      <Table style={{ fontSize: '0.82rem' }}>
+        <thead>
+          <tr>
+            <Th>Item</Th>
+            <Th>Action</Th>
+            <Th>Question</Th>
+            <Th>Detail</Th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, MAX_PREVIEW_ROWS).map((row, i) => (
+            <tr key={`${row.identifier}-${i}`}>
+              <Td style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{row.identifier}</Td>
+              <Td>
+                <span style={{ ...S.badge, ...S[row.kind] }}>{KIND_LABEL[row.kind]}</span>
+              </Td>
+              <Td style={{ fontFamily: 'monospace' }}>{row.question ?? '—'}</Td>
+              <Td className={f.tdMuted}>{row.detail}</Td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+      {rows.length > MAX_PREVIEW_ROWS && (
+        <p className={f.muted}>
+          Showing the first {MAX_PREVIEW_ROWS} of {rows.length} items.
+        </p>
+      )}
+    </div>
+  );
+}
+
+const S: Record<string, React.CSSProperties> = {
+  preview: {
+    marginTop: '1rem',
+    padding: '0.75rem 1rem',
+    border: '1px solid #e5e7eb',
+    borderRadius: 8,
+    background: '#f9fafb',
+  },
+  issues: { margin: '0 0 0.75rem', paddingLeft: '1.25rem' },
+  badge: { padding: '2px 8px', borderRadius: 999, fontSize: '0.7rem', fontWeight: 700 },
+  create: { background: '#dcfce7', color: '#166534' },
+  update: { background: '#e0e7ff', color: '#3730a3' },
+  unchanged: { background: '#f3f4f6', color: '#4b5563' },
+  skip: { background: '#fef3c7', color: '#92400e' },
+};
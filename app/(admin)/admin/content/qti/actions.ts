@@ -0,0 +1,255 @@
+// Server Action for the QTI 3.0 package import (lib/qti/).
+//
+// One action, two modes. A dry run reads the package and plans it
+// against live rows without writing anything; the commit re-reads
+// and re-plans from scratch — the uploaded file rides along again
+// rather than trusting the preview — then uploads the figures the
+// written drafts use and inserts one question_content_drafts row per
+// planned item. Nothing here touches questions_v2: review and
+// promotion happen in /admin/content/drafts.
+//
+// Drafts are admin-only under RLS (qcd_admin_all), so the normal
+// RLS-scoped client is enough. Storage writes go to the public
+// question-figures bucket the same way the authoring uploader does.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { requireRole } from '@/lib/api/auth';
+import { actionOk, actionFail, ApiError } from '@/lib/api/response';
+import { figurePath, uploadFigureBytes } from '@/lib/content/upload-figure-server';
+import { extensionForMediaType, type PackageFile } from '@/lib/qti/html';
+import { EXPORT_QUESTION_COLUMNS, questionIdFromIdentifier, type ExportQuestion } from '@/lib/qti/item';
+import { QtiPackageError, readQtiPackage } from '@/lib/qti/package';
+import { DEFAULT_IMPORT_SOURCE, planQtiImport, type PlanEntry } from '@/lib/qti/import-plan';
+import type { ActionResult, AuthContext, Json } from '@/lib/types';
+
+// Just under next.config's 16mb serverActions bodySizeLimit.
+const MAX_PACKAGE_BYTES = 15 * 1024 * 1024;
+const IN_CHUNK = 200;
+const OPEN_STATUSES = ['pending', 'review'];
+
+export interface QtiImportRow {
+  identifier: string;
+  kind: PlanEntry['kind'];
+  /** display_code for matched questions. */
+  question: string | null;
+  detail: string;
+}
+
+export interface QtiImportSummary {
+  dryRun: boolean;
+  fileName: string;
+  counts: Record<PlanEntry['kind'], number>;
+  rows: QtiImportRow[];
+  warnings: string[];
+  /** Drafts actually inserted (0 on a dry run). */
+  written: number;
+  issues: string[];
+}
+
+function chunks<T>(xs: T[]): T[][] {
+  const out: T[][] = [];
+  for (let i = 0; i < xs.length; i += IN_CHUNK) out.push(xs.slice(i, i + IN_CHUNK));
+  return out;
+}
+
+// Same trim/cap the authoring form applies to source labels, plus a
+// charset: the label ends up in note text and index keys.
+function normalizeImportSource(raw: FormDataEntryValue | null): string | null {
+  const s = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (!s) return DEFAULT_IMPORT_SOURCE;
+  return /^[a-z0-9][a-z0-9_.-]{0,47}$/.test(s) ? s : null;
+}
+
+function describe(entry: PlanEntry): QtiImportRow {
+  switch (entry.kind) {
+    case 'update':
+      return {
+        identifier: entry.identifier,
+        kind: entry.kind,
+        question: entry.displayCode,
+        detail: `changes ${entry.fields.length > 0 ? entry.fields.join(', ') : 'nothing (answer key noted)'}`,
+      };
+    case 'create':
+      return {
+        identifier: entry.identifier,
+        kind: entry.kind,
+        question: null,
+        detail: `new question (${entry.draft.new_question?.question_type ?? 'unknown type'})`,
+      };
+    case 'unchanged':
+      return { identifier: entry.identifier, kind: entry.kind, question: entry.displayCode, detail: 'matches the bank' };
+    case 'skip':
+      return { identifier: entry.identifier, kind: entry.kind, question: null, detail: entry.reason };
+  }
+}
+
+/**
+ * Preview or commit a QTI package import.
+ *
+ * FormData: `package` (the .zip), `source` (label for new questions
+ * and partner-item matching; default "qti-import"), `dryRun` ("1").
+ */
+export async function importQtiPackage(formData: FormData): Promise<ActionResult<{ data: QtiImportSummary }>> {
+  let ctx: AuthContext;
+  try {
+    ctx = await requireRole(['admin']);
+  } catch (err) {
+    if (err instanceof ApiError) return err.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  const { supabase, user } = ctx;
+
+  const file = formData.get('package');
+  if (!(file instanceof File) || file.size === 0) return actionFail('Choose a QTI package (.zip) first.');
+  if (file.size > MAX_PACKAGE_BYTES) {
+    return actionFail('That package is over 15 MB — split it and import the parts.');
+  }
+  const source = normalizeImportSource(formData.get('source'));
+  if (!source) {
+    return actionFail('Source label: lowercase letters, digits, dot, dash or underscore, up to 48 characters.');
+  }
+  const dryRun = formData.get('dryRun') === '1';
+
+  const bucket = supabase.storage.from('question-figures');
+  const figureUrl = (_path: string, f: PackageFile) =>
+    bucket.getPublicUrl(figurePath(f.bytes, extensionForMediaType(f.mediaType) ?? 'bin')).data.publicUrl;
+
+  let read;
+  try {
+    read = readQtiPackage(new Uint8Array(await file.arrayBuffer()), { figureUrl });
+  } catch (err) {
+    if (err instanceof QtiPackageError) return actionFail(err.message);
+    throw err;
+  }
+
+  // ── Live rows, open drafts and patterns the planner needs ──────
+  const identifiers = read.items.map((i) => i.identifier);
+  const ownIds = identifiers.map(questionIdFromIdentifier).filter((id): id is string => id != null);
+  const byId = new Map<string, ExportQuestion>();
+  const byExternalId = new Map<string, ExportQuestion>();
+  for (const ids of chunks(ownIds)) {
+    const { data, error } = await supabase
+      .from('questions_v2')
+      .select(EXPORT_QUESTION_COLUMNS)
+      .in('id', ids)
+      .is('deleted_at', null);
+    if (error) return actionFail(error.message);
+    for (const q of (data ?? []) as unknown as ExportQuestion[]) byId.set(q.id, q);
+  }
+  for (const ids of chunks(identifiers)) {
+    const { data, error } = await supabase
+      .from('questions_v2')
+      .select(EXPORT_QUESTION_COLUMNS)
+      .eq('source', source)
+      .in('source_external_id', ids)
+      .is('deleted_at', null);
+    if (error) return actionFail(error.message);
+    for (const q of (data ?? []) as unknown as ExportQuestion[]) {
+      if (q.source_external_id) byExternalId.set(q.source_external_id, q);
+    }
+  }
+
+  const liveIds = [...new Set([...byId.keys(), ...[...byExternalId.values()].map((q) => q.id)])];
+  const openDraftQuestionIds = new Set<string>();
+  for (const ids of chunks(liveIds)) {
+    const { data, error } = await supabase
+      .from('question_content_drafts')
+      .select('question_id')
+      .in('question_id', ids)
+      .in('status', OPEN_STATUSES);
+    if (error) return actionFail(error.message);
+    for (const d of data ?? []) if (d.question_id) openDraftQuestionIds.add(d.question_id);
+  }
+  const { data: openNew, error: openNewErr } = await supabase
+    .from('question_content_drafts')
+    .select('new_question')
+    .is('question_id', null)
+    .in('status', OPEN_STATUSES)
+    .eq('new_question->>source', source);
+  if (openNewErr) return actionFail(openNewErr.message);
+  const openNewDraftExternalIds = new Set(
+    (openNew ?? [])
+      .map((d) => (d.new_question as { source_external_id?: unknown } | null)?.source_external_id)
+      .filter((id): id is string => typeof id === 'string'),
+  );
+
+  const packagedPatterns = [
+    ...new Set(read.items.map((i) => i.metadata.patternId).filter((id): id is string => !!id)),
+  ].filter((id) => /^[0-9a-f-]{36}$/i.test(id));
+  const patternIds = new Set<string>();
+  for (const ids of chunks(packagedPatterns)) {
+    const { data, error } = await supabase.from('question_patterns').select('id').in('id', ids);
+    if (error) return actionFail(error.message);
+    for (const p of data ?? []) patternIds.add(p.id);
+  }
+
+  const plan = planQtiImport(read.items, {
+    fileName: file.name,
+    source,
+    byId,
+    byExternalId,
+    openDraftQuestionIds,
+    openNewDraftExternalIds,
+    patternIds,
+    figureUrl,
+  });
+
+  const summary: QtiImportSummary = {
+    dryRun,
+    fileName: file.name,
+    counts: plan.counts,
+    rows: plan.entries.map(describe),
+    warnings: read.warnings,
+    written: 0,
+    issues: [],
+  };
+  if (dryRun) return actionOk(summary);
+
+  // ── Commit: figures first, so no draft points at a missing file ─
+  const writes = plan.entries.filter(
+    (e): e is Extract<PlanEntry, { kind: 'update' | 'create' }> => e.kind === 'update' || e.kind === 'create',
+  );
+  const failedFigures = new Set<string>();
+  for (const path of new Set(writes.flatMap((e) => e.figures))) {
+    const f = read.figures.get(path);
+    const ext = f ? extensionForMediaType(f.mediaType) : null;
+    if (!f || !ext) continue;
+    try {
+      await uploadFigureBytes(supabase, f.bytes, ext, f.mediaType);
+    } catch (err) {
+      failedFigures.add(path);
+      summary.issues.push(`${path}: ${err instanceof Error ? err.message : 'upload failed'}`);
+    }
+  }
+
+  for (const entry of writes) {
+    const missing = entry.figures.filter((p) => failedFigures.has(p));
+    if (missing.length > 0) {
+      summary.issues.push(`${entry.identifier}: not drafted — figure upload failed (${missing.join(', ')}).`);
+      continue;
+    }
+    const d = entry.draft;
+    const { error } = await supabase.from('question_content_drafts').insert({
+      question_id: d.question_id,
+      new_question: d.new_question as unknown as Json,
+      stem_html: d.stem_html,
+      stimulus_html: d.stimulus_html,
+      rationale_html: d.rationale_html,
+      options: d.options as unknown as Json,
+      hints: d.hints as unknown as Json,
+      notes: d.notes,
+      status: d.status,
+      created_by: user.id,
+    });
+    if (error) {
+      summary.issues.push(`${entry.identifier}: ${error.message}`);
+      continue;
+    }
+    summary.written += 1;
+  }
+
+  if (summary.written > 0) revalidatePath('/admin/content/drafts');
+  return actionOk(summary);
+}
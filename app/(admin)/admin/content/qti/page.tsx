@@ -0,0 +1,134 @@
+// Admin · Content · QTI exchange — export a slice of questions_v2 as a
+// QTI 3.0 content package and import packages back as drafts.
+//
+// Export is a plain GET form onto /api/admin/qti/export, so the
+// browser handles the download and a large slice never passes through
+// client JS. Import goes through the QtiImportPanel Server Action and
+// only ever writes question_content_drafts — the review/promote step
+// in /admin/content/drafts is unchanged, which is what makes it safe
+// to accept partner-authored packages at all.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { SAT_TAXONOMY } from '@/lib/practice/sat-taxonomy';
+import { Button } from '@/lib/ui/Button';
+import { QtiImportPanel } from './QtiImportPanel';
+import f from '../../../forms.module.css';
+import a from '../../../admin.module.css';
+
+export const dynamic = 'force-dynamic';
+
+interface PatternOption {
+  id: string;
+  name: string;
+  skill_code: string;
+}
+
+export default async function AdminQtiPage() {
+  const { profile, supabase } = await requireUser();
+
+  if (profile.role !== 'admin') {
+    if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
+    if (profile.role === 'student') redirect('/dashboard');
+    redirect('/');
+  }
+
+  const { data: patternRows } = await supabase
+    .from('question_patterns')
+    .select('id, name, skill_code')
+    .order('skill_code', { ascending: true })
+    .order('sequence', { ascending: true });
+  const patterns = (patternRows ?? []) as PatternOption[];
+
+  return (
+    <main className={a.container}>
+      <nav className={a.breadcrumb}>
+        <Link href="/admin/content">&larr; Question content</Link>
+      </nav>
+
+      <header className={a.header}>
+        <div className={a.eyebrow}>Admin · Content</div>
+        <h1 className={a.h1}>QTI exchange</h1>
+        <p className={a.sub}>
+          Move questions in and out of the bank as IMS QTI 3.0 content packages &mdash; stems,
+          passages, answer choices, answer keys, rationales, hints, math and figures.
+        </p>
+        <p className={a.help}>
+          Imports never edit live questions. Every packaged item becomes a{' '}
+          <Link href="/admin/content/drafts" className={a.link}>
+            content draft
+          </Link>{' '}
+          for review: matched questions get a draft of just the fields that changed, unknown items
+          get a new-question draft that promotion creates unpublished.
+        </p>
+      </header>
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Export</h2>
+        <form method="get" action="/api/admin/qti/export" className={f.form}>
+          <div className={f.grid}>
+            <label className={f.label}>
+              <span className={f.labelText}>Domain</span>
+              <select name="domain" className={f.select} defaultValue="">
+                <option value="">All domains</option>
+                {SAT_TAXONOMY.map((d) => (
+                  <option key={d.code} value={d.code}>
+                    {d.subjectCode === 'math' ? 'Math' : 'R&W'} · {d.name} ({d.code})
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={f.label}>
+              <span className={f.labelText}>Skill</span>
+              <select name="skill" className={f.select} defaultValue="">
+                <option value="">All skills</option>
+                {SAT_TAXONOMY.map((d) => (
+                  <optgroup key={d.code} label={d.name}>
+                    {d.skills.map((s) => (
+                      <option key={s.code} value={s.code}>
+                        {s.name} ({s.code})
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </label>
+            <label className={f.label}>
+              <span className={f.labelText}>Pattern</span>
+              <select name="pattern" className={f.select} defaultValue="" disabled={patterns.length === 0}>
+                <option value="">Any pattern</option>
+                {patterns.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.skill_code} · {p.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={f.label}>
+              <span className={f.labelText}>Status</span>
+              <select name="status" className={f.select} defaultValue="published">
+                <option value="published">Published (not broken)</option>
+                <option value="unpublished">Unpublished</option>
+                <option value="broken">Flagged broken</option>
+                <option value="all">All</option>
+              </select>
+            </label>
+          </div>
+          <p className={f.formHint}>
+            Up to 2,000 questions per package; deleted questions are never exported. Item identifiers
+            are <code>SW-&lt;question id&gt;</code>, so an edited package imports back onto the same
+            questions. Numeric answer tolerance has no QTI equivalent and is left out.
+          </p>
+          <div className={f.actions}>
+            <Button type="submit" variant="primary">
+              Download package
+            </Button>
+          </div>
+        </form>
+      </section>
+
+      <QtiImportPanel />
+    </main>
+  );
+}
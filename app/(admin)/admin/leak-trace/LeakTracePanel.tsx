@@ -0,0 +1,185 @@
+// Leak-trace form + report. The pasted text goes to the server as-is:
+// the zero-width watermark is exactly the part a trim or a rich-text
+// editor would lose, so the textarea value is never normalised here.
+
+'use client';
+
+import { useState, useTransition } from 'react';
+import Link from 'next/link';
+import { Button } from '@/lib/ui/Button';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import { traceLeak, type LeakTraceReport, type LeakUser } from './actions';
+import f from '../../forms.module.css';
+import a from '../../admin.module.css';
+
+const KIND_LABEL: Record<LeakUser['accesses'][number]['kind'], string> = {
+  answered: 'Answered',
+  practice_session: 'Practice set',
+  practice_test: 'Practice test',
+};
+
+function fmt(ts: string | null) {
+  return ts ? new Date(ts).toLocaleString() : '—';
+}
+
+export function LeakTracePanel() {
+  const [pending, startTransition] = useTransition();
+  const [text, setText] = useState('');
+  const [report, setReport] = useState<LeakTraceReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  function run() {
+    setError(null);
+    const fd = new FormData();
+    fd.set('text', text);
+    startTransition(async () => {
+      const res = await traceLeak(fd);
+      if (!res.ok) {
+        setReport(null);
+        setError(res.error);
+        return;
+      }
+      setReport(res.data);
+    });
+  }
+
+  return (
+    <>
+      <section className={a.section}>
+        <label className={f.label}>
+          <span className={f.labelText}>Leaked text</span>
+          <textarea
+            className={f.input}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={8}
+            style={{ fontFamily: 'inherit', resize: 'vertical' }}
+            disabled={pending}
+          />
+        </label>
+        {error && (
+          <p className={f.err} role="status">
+            {error}
+          </p>
+        )}
+        <div className={f.actions}>
+          <Button variant="primary" onClick={run} disabled={pending || !text.trim()}>
+            {pending ? 'Tracing…' : 'Trace'}
+          </Button>
+        </div>
+      </section>
+
+      {report && <LeakReport report={report} />}
+    </>
+  );
+}
+
+function LeakReport({ report }: { report: LeakTraceReport }) {
+  const { tags, unmatchedTags, questions, users } = report;
+  return (
+    <>
+      <section className={a.section}>
+        <h2 className={a.h2}>Watermark</h2>
+        {tags.length === 0 ? (
+          <p className={f.muted}>
+            No watermark found. The text was retyped or stripped, so it can&rsquo;t be traced to an
+            account.
+          </p>
+        ) : (
+          <p className={f.muted}>
+            Tag{tags.length === 1 ? '' : 's'}:{' '}
+            {tags.map((t) => (
+              <code key={t} style={{ marginRight: 8 }}>
+                {t}
+              </code>
+            ))}
+            {unmatchedTags.length > 0 && <> &middot; no account for {unmatchedTags.join(', ')}</>}
+          </p>
+        )}
+      </section>
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Matching questions</h2>
+        {questions.length === 0 ? (
+          <p className={f.muted}>No question in the bank contains the pasted phrases.</p>
+        ) : (
+          <Table style={{ fontSize: '0.85rem' }}>
+            <thead>
+              <tr>
+                <Th>Question</Th>
+                <Th>Skill</Th>
+                <Th>Phrases matched</Th>
+              </tr>
+            </thead>
+            <tbody>
+              {questions.map((q) => (
+                <tr key={q.id}>
+                  <Td style={{ fontFamily: 'monospace' }}>
+                    <Link href={`/admin/questions/${q.id}`} className={a.link}>
+                      {q.displayCode ?? q.id}
+                    </Link>
+                  </Td>
+                  <Td>{q.skill ?? '—'}</Td>
+                  <Td>
+                    {q.phrases} of {report.phrases.length}
+                  </Td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </section>
+
+      {users.map((u) => (
+        <section key={u.id} className={a.section}>
+          <h2 className={a.h2}>
+            <Link href={`/admin/users/${u.id}`} className={a.link}>
+              {u.name ?? u.email ?? u.id}
+            </Link>{' '}
+            <span className={f.muted} style={{ fontWeight: 400, fontSize: '0.9rem' }}>
+              {u.role}
+              {u.email && u.name ? ` · ${u.email}` : ''}
+              {u.bannedAt ? ` · banned ${fmt(u.bannedAt)}` : ''}
+            </span>
+          </h2>
+          <p className={f.muted}>
+            {questions.length === 0
+              ? 'Recent question accesses:'
+              : u.matchedAccesses === 0
+                ? 'Never served any of the matching questions in the history below.'
+                : `Served a matching question ${u.matchedAccesses} time${u.matchedAccesses === 1 ? '' : 's'}, first on ${fmt(u.firstMatchedAt)}.`}
+          </p>
+          {u.accesses.length === 0 ? (
+            <p className={f.muted}>No question accesses on record.</p>
+          ) : (
+            <Table style={{ fontSize: '0.82rem' }}>
+              <thead>
+                <tr>
+                  <Th>When</Th>
+                  <Th>How</Th>
+                  <Th>Questions</Th>
+                  <Th>Matched</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {u.accesses.map((e, i) => (
+                  <tr key={`${e.at}-${i}`} style={e.matched.length > 0 ? S.hit : undefined}>
+                    <Td>{fmt(e.at)}</Td>
+                    <Td>{KIND_LABEL[e.kind]}</Td>
+                    <Td style={{ fontFamily: 'monospace' }}>{e.question ?? e.questionCount}</Td>
+                    <Td style={{ fontFamily: 'monospace' }}>{e.matched.join(', ') || '—'}</Td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+          {u.truncated && <p className={f.muted}>Showing the {u.accesses.length} most recent accesses.</p>}
+        </section>
+      ))}
+    </>
+  );
+}
+
+const S: Record<string, React.CSSProperties> = {
+  hit: { background: '#fef3c7' },
+};
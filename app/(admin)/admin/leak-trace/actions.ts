@@ -0,0 +1,266 @@
+// Server Action for /admin/leak-trace.
+//
+// Decodes the watermark tags in pasted text, resolves each tag to the
+// account(s) whose id starts with it, finds the question(s) the text
+// came from, and lists every time those accounts were served
+// questions — answers, practice sessions and practice tests — with the
+// matched questions highlighted.
+//
+// Investigating another user's history crosses every RLS boundary
+// (practice_sessions are owner-only), so this runs on the service
+// client via requireServiceRole, which audit-logs the bypass.
+
+'use server';
+
+import { requireServiceRole } from '@/lib/api/auth';
+import { actionOk, actionFail, ApiError } from '@/lib/api/response';
+import { findWatermarkTags } from '@/lib/content/watermark';
+import {
+  buildAccessTimeline,
+  likePattern,
+  rankPhraseMatches,
+  searchPhrases,
+  tagUuidRange,
+  type AccessKind,
+} from '@/lib/content/leak-trace';
+import type { ActionResult } from '@/lib/types';
+
+const MAX_TEXT = 50_000;
+const MAX_QUESTIONS = 10;
+const MAX_USERS_PER_TAG = 5;
+const RECENT_ATTEMPTS = 200;
+const RECENT_SETS = 50;
+const MAX_EVENTS = 100;
+
+export interface LeakQuestion {
+  id: string;
+  displayCode: string | null;
+  skill: string | null;
+  /** How many of the searched phrases it contains. */
+  phrases: number;
+}
+
+export interface LeakAccess {
+  at: string;
+  kind: AccessKind;
+  /** Questions exposed by this access. */
+  questionCount: number;
+  /** Display codes (or ids) of the matched questions it exposed. */
+  matched: string[];
+  /** The single question for an answer; null for sets. */
+  question: string | null;
+}
+
+export interface LeakUser {
+  tag: string;
+  id: string;
+  name: string | null;
+  email: string | null;
+  role: string;
+  createdAt: string | null;
+  bannedAt: string | null;
+  accesses: LeakAccess[];
+  matchedAccesses: number;
+  /** First time a matched question was served to this user. */
+  firstMatchedAt: string | null;
+  truncated: boolean;
+}
+
+export interface LeakTraceReport {
+  tags: string[];
+  /** Tags that no account id starts with. */
+  unmatchedTags: string[];
+  phrases: string[];
+  questions: LeakQuestion[];
+  users: LeakUser[];
+}
+
+export async function traceLeak(formData: FormData): Promise<ActionResult<{ data: LeakTraceReport }>> {
+  const raw = formData.get('text');
+  const text = typeof raw === 'string' ? raw.slice(0, MAX_TEXT) : '';
+  if (!text.trim()) return actionFail('Paste the leaked text first.');
+
+  let service;
+  try {
+    ({ service } = await requireServiceRole('admin: leak trace', { allowedRoles: ['admin'] }));
+  } catch (err) {
+    if (err instanceof ApiError) return err.toActionResult();
+    return actionFail('Unexpected error');
+  }
+
+  const tags = findWatermarkTags(text);
+  const phrases = searchPhrases(text);
+  if (tags.length === 0 && phrases.length === 0) {
+    return actionFail('No watermark and no searchable text found. Paste the text exactly as copied.');
+  }
+
+  try {
+    // ── Which questions is this? ────────────────────────────────
+    const hits = await Promise.all(
+      phrases.flatMap((phrase) =>
+        (['stem_html', 'stimulus_html'] as const).map(async (column) => {
+          const { data, error } = await service
+            .from('questions_v2')
+            .select('id')
+            .ilike(column, likePattern(phrase))
+            .is('deleted_at', null)
+            .limit(MAX_QUESTIONS);
+          if (error) throw error;
+          return { phrase, questionIds: (data ?? []).map((r) => r.id) };
+        }),
+      ),
+    );
+    const ranked = rankPhraseMatches(hits).slice(0, MAX_QUESTIONS);
+    const matchedIds = ranked.map((r) => r.questionId);
+    const questionMeta = await loadQuestionMeta(service, matchedIds);
+    const questions: LeakQuestion[] = ranked.map((r) => ({
+      id: r.questionId,
+      displayCode: questionMeta.get(r.questionId)?.display_code ?? null,
+      skill: questionMeta.get(r.questionId)?.skill_name ?? null,
+      phrases: r.phrases,
+    }));
+    const label = (id: string) => questionMeta.get(id)?.display_code ?? id;
+
+    // ── Whose copy is it? ───────────────────────────────────────
+    const users: LeakUser[] = [];
+    const unmatchedTags: string[] = [];
+    for (const tag of tags) {
+      const { from, to } = tagUuidRange(tag);
+      const { data: profiles, error } = await service
+        .from('profiles')
+        .select('id, first_name, last_name, email, role, created_at, banned_at')
+        .gte('id', from)
+        .lte('id', to)
+        .limit(MAX_USERS_PER_TAG);
+      if (error) throw error;
+      if (!profiles?.length) {
+        unmatchedTags.push(tag);
+        continue;
+      }
+      for (const p of profiles) {
+        const events = await loadAccessTimeline(service, p.id, matchedIds);
+        // Answered questions need their codes; sets only list matches.
+        const answeredIds = events.filter((e) => e.kind === 'answered').map((e) => e.questionIds[0]);
+        const codes = await loadQuestionMeta(service, answeredIds.filter((id) => !questionMeta.has(id)));
+        const matchedEvents = events.filter((e) => e.matched.length > 0);
+        users.push({
+          tag,
+          id: p.id,
+          name: [p.first_name, p.last_name].filter(Boolean).join(' ') || null,
+          email: p.email,
+          role: p.role,
+          createdAt: p.created_at,
+          bannedAt: p.banned_at,
+          accesses: events.slice(0, MAX_EVENTS).map((e) => ({
+            at: e.at,
+            kind: e.kind,
+            questionCount: e.questionIds.length,
+            matched: e.matched.map(label),
+            question:
+              e.kind === 'answered'
+                ? (codes.get(e.questionIds[0])?.display_code ?? label(e.questionIds[0]))
+                : null,
+          })),
+          matchedAccesses: matchedEvents.length,
+          firstMatchedAt: matchedEvents.at(-1)?.at ?? null,
+          truncated: events.length > MAX_EVENTS,
+        });
+      }
+    }
+
+    return actionOk({ tags, unmatchedTags, phrases, questions, users });
+  } catch (err) {
+    return actionFail(err instanceof Error ? err.message : 'Leak trace failed');
+  }
+}
+
+type Service = Awaited<ReturnType<typeof requireServiceRole>>['service'];
+
+async function loadQuestionMeta(service: Service, ids: string[]) {
+  const out = new Map<string, { display_code: string | null; skill_name: string | null }>();
+  const unique = [...new Set(ids)];
+  for (let i = 0; i < unique.length; i += 200) {
+    const { data, error } = await service
+      .from('questions_v2')
+      .select('id, display_code, skill_name')
+      .in('id', unique.slice(i, i + 200));
+    if (error) throw error;
+    for (const q of data ?? []) out.set(q.id, q);
+  }
+  return out;
+}
+
+// Recent answers plus every answer to a matched question, recent
+// practice sessions, and recent practice tests with their question
+// lists resolved through the module tables. A test lists every
+// module's questions, including the adaptive route not taken, so it
+// over-counts exposure; answers are the precise signal.
+async function loadAccessTimeline(service: Service, userId: string, matchedIds: string[]) {
+  const [recent, matched, sessions, tests] = await Promise.all([
+    service
+      .from('attempts')
+      .select('id, question_id, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(RECENT_ATTEMPTS),
+    matchedIds.length > 0
+      ? service
+          .from('attempts')
+          .select('id, question_id, created_at')
+          .eq('user_id', userId)
+          .in('question_id', matchedIds)
+      : Promise.resolve({ data: [], error: null }),
+    service
+      .from('practice_sessions')
+      .select('question_ids, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(RECENT_SETS),
+    service
+      .from('practice_test_attempts_v2')
+      .select('practice_test_id, started_at')
+      .eq('user_id', userId)
+      .order('started_at', { ascending: false })
+      .limit(RECENT_SETS),
+  ]);
+  for (const r of [recent, matched, sessions, tests]) if (r.error) throw r.error;
+
+  const attempts = new Map<string, { question_id: string; created_at: string }>();
+  for (const a of [...(recent.data ?? []), ...(matched.data ?? [])]) attempts.set(a.id, a);
+
+  const testIds = [...new Set((tests.data ?? []).map((t) => t.practice_test_id))];
+  const questionsByTest = new Map<string, string[]>();
+  if (testIds.length > 0) {
+    const { data: modules, error: modErr } = await service
+      .from('practice_test_modules_v2')
+      .select('id, practice_test_id')
+      .in('practice_test_id', testIds);
+    if (modErr) throw modErr;
+    const testByModule = new Map((modules ?? []).map((m) => [m.id, m.practice_test_id]));
+    if (testByModule.size > 0) {
+      const { data: items, error: itemErr } = await service
+        .from('practice_test_module_items_v2')
+        .select('question_id, practice_test_module_id')
+        .in('practice_test_module_id', [...testByModule.keys()]);
+      if (itemErr) throw itemErr;
+      for (const it of items ?? []) {
+        const testId = testByModule.get(it.practice_test_module_id);
+        if (!testId) continue;
+        if (!questionsByTest.has(testId)) questionsByTest.set(testId, []);
+        questionsByTest.get(testId)!.push(it.question_id);
+      }
+    }
+  }
+
+  return buildAccessTimeline(
+    {
+      attempts: [...attempts.values()],
+      sessions: sessions.data ?? [],
+      tests: (tests.data ?? []).map((t) => ({
+        started_at: t.started_at,
+        question_ids: questionsByTest.get(t.practice_test_id) ?? [],
+      })),
+    },
+    matchedIds,
+  );
+}
@@ -0,0 +1,50 @@
+// Admin · Leak trace — paste question text found outside the product
+// and see whose copy it was.
+//
+// Every served question carries its viewer's watermark (an invisible
+// zero-width tag, lib/content/watermark.ts); score-report PDFs carry it
+// in their keywords. The LeakTracePanel action decodes the tags, finds
+// the question(s) by phrase, and lists each matching account's
+// question accesses with timestamps.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { LeakTracePanel } from './LeakTracePanel';
+import a from '../../admin.module.css';
+
+export const dynamic = 'force-dynamic';
+
+export default async function AdminLeakTracePage() {
+  const { profile } = await requireUser();
+
+  if (profile.role !== 'admin') {
+    if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
+    if (profile.role === 'student') redirect('/dashboard');
+    redirect('/');
+  }
+
+  return (
+    <main className={a.container}>
+      <nav className={a.breadcrumb}>
+        <Link href="/admin">&larr; Admin</Link>
+      </nav>
+
+      <header className={a.header}>
+        <div className={a.eyebrow}>Admin · Content protection</div>
+        <h1 className={a.h1}>Trace a leak</h1>
+        <p className={a.sub}>
+          Paste question text found outside the product &mdash; a Discord message, a shared doc, an
+          answer key &mdash; exactly as it was copied.
+        </p>
+        <p className={a.help}>
+          The invisible watermark names the account the copy was served to. A copy with no watermark
+          (retyped, or cleaned by a tool) can still be matched to its question, but not to a person.
+          For a score-report PDF, paste the document keywords from its properties.
+        </p>
+      </header>
+
+      <LeakTracePanel />
+    </main>
+  );
+}
@@ -0,0 +1,151 @@
+// Client forms for /admin/lti. Nothing here imports lib/lti values —
+// lib/lti/lti-server.ts pulls in node:crypto.
+
+'use client';
+
+import { useActionState } from 'react';
+import { Button } from '@/lib/ui/Button';
+import { createLtiPlatform, retryGradePush, updateLtiPlatform } from './actions';
+import f from '../../forms.module.css';
+
+export interface PlatformValues {
+  issuer: string;
+  client_id: string;
+  deployment_ids: string[];
+  auth_login_url: string;
+  auth_token_url: string;
+  jwks_url: string;
+  match_email: boolean;
+  allow_teacher_provisioning: boolean;
+}
+
+function PlatformFields({ values }: { values?: PlatformValues }) {
+  return (
+    <>
+      <div className={f.grid}>
+        <label className={f.label}>
+          <span className={f.labelText}>Issuer</span>
+          <input name="issuer" className={f.input} defaultValue={values?.issuer} placeholder="https://canvas.instructure.com" required />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>Client ID</span>
+          <input name="client_id" className={f.input} defaultValue={values?.client_id} required />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>Deployment IDs</span>
+          <input
+            name="deployment_ids"
+            className={f.input}
+            defaultValue={values?.deployment_ids.join(' ')}
+            placeholder="Space- or comma-separated"
+            required
+          />
+        </label>
+      </div>
+      <div className={f.grid}>
+        <label className={f.label}>
+          <span className={f.labelText}>Authorization (OIDC) URL</span>
+          <input name="auth_login_url" type="url" className={f.input} defaultValue={values?.auth_login_url} required />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>Token URL</span>
+          <input name="auth_token_url" type="url" className={f.input} defaultValue={values?.auth_token_url} required />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>Key set (JWKS) URL</span>
+          <input name="jwks_url" type="url" className={f.input} defaultValue={values?.jwks_url} required />
+        </label>
+      </div>
+      <label className={f.row}>
+        <input type="checkbox" name="match_email" defaultChecked={values?.match_email ?? false} />
+        <span>
+          Match existing accounts by email — only for an LMS whose email addresses the school controls. Off, every
+          LMS user gets their own Studyworks account.
+        </span>
+      </label>
+      <label className={f.row}>
+        <input
+          type="checkbox"
+          name="allow_teacher_provisioning"
+          defaultChecked={values?.allow_teacher_provisioning ?? false}
+        />
+        <span>
+          Create teacher accounts for instructors — anyone the course lists as an instructor gets a Studyworks teacher
+          account on first launch. Off, instructors need an existing teacher account.
+        </span>
+      </label>
+    </>
+  );
+}
+
+export function NewPlatformForm() {
+  const [state, action, pending] = useActionState(createLtiPlatform, null);
+  return (
+    <form action={action} className={f.form}>
+      <div className={f.grid}>
+        <label className={f.label}>
+          <span className={f.labelText}>Name</span>
+          <input name="name" className={f.input} placeholder="e.g. Lincoln High Canvas" required />
+        </label>
+      </div>
+      <PlatformFields />
+      <div className={f.actions}>
+        <Button type="submit" variant="primary" disabled={pending}>
+          {pending ? 'Registering…' : 'Register platform'}
+        </Button>
+        {state?.ok && <span className={f.ok}>Registered.</span>}
+        {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      </div>
+    </form>
+  );
+}
+
+export function PlatformSettingsForm({
+  platformId,
+  values,
+  disabled,
+}: {
+  platformId: string;
+  values: PlatformValues;
+  disabled: boolean;
+}) {
+  const [state, action, pending] = useActionState(updateLtiPlatform, null);
+  return (
+    <form action={action} className={f.form}>
+      <input type="hidden" name="platform_id" value={platformId} />
+      <PlatformFields values={values} />
+      <label className={f.row}>
+        <input type="checkbox" name="disabled" defaultChecked={disabled} />
+        <span>Disabled — launches are refused; placed links and pending grades wait</span>
+      </label>
+      <div className={f.actions}>
+        <Button type="submit" size="sm" variant="secondary" disabled={pending}>
+          {pending ? 'Saving…' : 'Save platform'}
+        </Button>
+        {state?.ok && <span className={f.ok}>Saved.</span>}
+        {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      </div>
+    </form>
+  );
+}
+
+const RETRY_RESULT: Record<string, string> = {
+  sent: 'Sent.',
+  pending: 'Failed — retrying on the backoff.',
+  dead: 'Failed.',
+  skipped: 'Not sent; the link or platform is gone.',
+};
+
+export function RetryPushButton({ pushId }: { pushId: string }) {
+  const [state, action, pending] = useActionState(retryGradePush, null);
+  return (
+    <form action={action} className={f.row}>
+      <input type="hidden" name="push_id" value={pushId} />
+      <Button type="submit" size="sm" variant="secondary" disabled={pending}>
+        {pending ? 'Sending…' : 'Retry'}
+      </Button>
+      {state?.ok && <span className={state.data.result === 'sent' ? f.ok : f.err}>{RETRY_RESULT[state.data.result]}</span>}
+      {state && !state.ok && <span className={f.err}>{state.error}</span>}
+    </form>
+  );
+}
@@ -0,0 +1,203 @@
+// Server Actions for /admin/lti — LMS platform registrations
+// (lib/lti) and the grade passback log. Admin-only; platforms are
+// admin-only under RLS, so those writes run on the caller's client.
+// Retrying a grade push goes through the service role because only the
+// passback path writes the outbox.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { adminActionContext, nextDisabledAt } from '../adminActions';
+import { actionOk, actionFail } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { attemptGradePush, type GradePushResult } from '@/lib/lti/lti-server';
+import type { ActionResult } from '@/lib/types';
+
+const PAGE = '/admin/lti';
+
+type PlatformFields = {
+  issuer: string;
+  client_id: string;
+  deployment_ids: string[];
+  auth_login_url: string;
+  auth_token_url: string;
+  jwks_url: string;
+  match_email: boolean;
+  allow_teacher_provisioning: boolean;
+};
+
+const URL_FIELDS = [
+  ['auth_login_url', 'Authorization URL'],
+  ['auth_token_url', 'Token URL'],
+  ['jwks_url', 'Key set URL'],
+] as const;
+
+function urlError(label: string, value: string): string | null {
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    return `${label} is not a URL`;
+  }
+  const localHttp = url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(localHttp && process.env.NODE_ENV !== 'production')) {
+    return `${label} must be https`;
+  }
+  return null;
+}
+
+function readFields(formData: FormData): { fields?: PlatformFields; error?: string } {
+  const issuer = String(formData.get('issuer') ?? '').trim();
+  const clientId = String(formData.get('client_id') ?? '').trim();
+  if (!issuer) return { error: 'Issuer is required' };
+  if (!clientId) return { error: 'Client ID is required' };
+  const deploymentIds = [
+    ...new Set(
+      String(formData.get('deployment_ids') ?? '')
+        .split(/[\s,]+/)
+        .map((d) => d.trim())
+        .filter(Boolean),
+    ),
+  ];
+  if (deploymentIds.length === 0) return { error: 'Add at least one deployment ID' };
+  const urls = {} as Record<(typeof URL_FIELDS)[number][0], string>;
+  for (const [key, label] of URL_FIELDS) {
+    const value = String(formData.get(key) ?? '').trim();
+    const err = urlError(label, value);
+    if (err) return { error: err };
+    urls[key] = value;
+  }
+  return {
+    fields: {
+      issuer,
+      client_id: clientId,
+      deployment_ids: deploymentIds,
+      ...urls,
+      match_email: formData.get('match_email') === 'on',
+      allow_teacher_provisioning: formData.get('allow_teacher_provisioning') === 'on',
+    },
+  };
+}
+
+/**
+ * Register an LMS.
+ *
+ * Form contract:
+ *   name            — required, unique
+ *   issuer          — the platform's iss claim
+ *   client_id       — the id the platform issued this tool
+ *   deployment_ids  — whitespace- or comma-separated; at least one
+ *   auth_login_url, auth_token_url, jwks_url — https (http://localhost
+ *                     outside production)
+ *   match_email     — 'on' to link launches to existing accounts by email
+ *   allow_teacher_provisioning — 'on' to let instructor launches
+ *                     create teacher accounts
+ */
+export async function createLtiPlatform(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { platformId: string } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const name = String(formData.get('name') ?? '').trim();
+  if (!name) return actionFail('Name is required');
+  const { fields, error: fieldErr } = readFields(formData);
+  if (!fields) return actionFail(fieldErr ?? 'Invalid platform');
+
+  const { data, error } = await ctx.supabase
+    .from('lti_platforms')
+    .insert({ name, ...fields, created_by: ctx.user.id })
+    .select('id')
+    .single();
+  if (error || !data) {
+    if (error?.code === '23505') return actionFail('That name, or that issuer and client ID, is already registered');
+    return actionFail(`Failed: ${error?.message ?? 'unknown'}`);
+  }
+
+  revalidatePath(PAGE);
+  return actionOk({ platformId: data.id });
+}
+
+/**
+ * Change a platform's registration or disabled state. A disabled
+ * platform can't launch; its links and pending grades stay put.
+ *
+ * Form contract: platform_id plus the createLtiPlatform fields (minus
+ * name), and disabled — 'on' to disable.
+ */
+export async function updateLtiPlatform(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { platformId: string } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const platformId = formData.get('platform_id');
+  if (typeof platformId !== 'string' || !platformId) return actionFail('platform_id required');
+  const { fields, error: fieldErr } = readFields(formData);
+  if (!fields) return actionFail(fieldErr ?? 'Invalid platform');
+
+  const { data: current } = await ctx.supabase
+    .from('lti_platforms')
+    .select('disabled_at')
+    .eq('id', platformId)
+    .maybeSingle();
+  if (!current) return actionFail('Platform not found');
+
+  const { error } = await ctx.supabase
+    .from('lti_platforms')
+    .update({
+      ...fields,
+      disabled_at: nextDisabledAt(formData, current.disabled_at),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', platformId);
+  if (error) {
+    if (error.code === '23505') return actionFail('Another platform already uses that issuer and client ID');
+    return actionFail(`Failed: ${error.message}`);
+  }
+
+  revalidatePath(PAGE);
+  return actionOk({ platformId });
+}
+
+/**
+ * Send a dead grade push again with a fresh retry budget, attempted
+ * immediately. Form contract: push_id — required.
+ */
+export async function retryGradePush(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { pushId: string; result: GradePushResult } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const pushId = formData.get('push_id');
+  if (typeof pushId !== 'string' || !pushId) return actionFail('push_id required');
+
+  logger.info(
+    { event: 'service_role_bypass', reason: 'manual lti grade push retry', user_id: ctx.user.id, caller_role: 'admin' },
+    'service_role_bypass',
+  );
+  const svc = createServiceClient();
+  const { data: reset, error } = await svc
+    .from('lti_grade_pushes')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('id', pushId)
+    .eq('status', 'dead')
+    .select('id');
+  if (error) return actionFail(`Failed: ${error.message}`);
+  if (!reset?.length) return actionFail('Only a failed push can be retried');
+
+  let result: GradePushResult;
+  try {
+    result = await attemptGradePush(svc, pushId);
+  } catch (err) {
+    return actionFail(`Retry failed: ${(err as Error).message}`);
+  }
+
+  revalidatePath(PAGE);
+  return actionOk({ pushId, result });
+}
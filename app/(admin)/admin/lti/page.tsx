@@ -0,0 +1,243 @@
+// Admin · LTI — registered LMS platforms (lib/lti) and the grade
+// passback log.
+//
+// The top section is what a school's LMS admin needs to register the
+// tool: the login, launch and key set URLs for this deployment, and
+// whether the signing key is configured. Then one section per platform
+// with its links and learners, and the most recent grade pushes.
+
+import Link from 'next/link';
+import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { MAX_GRADE_ATTEMPTS } from '@/lib/lti/launch';
+import { toolEndpoints, toolJwks, toolOrigin } from '@/lib/lti/lti-server';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import { NewPlatformForm, PlatformSettingsForm, RetryPushButton } from './LtiForms';
+import f from '../../forms.module.css';
+import a from '../../admin.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const LOG_ROWS = 100;
+const COUNT_ROW_CAP = 20_000;
+
+interface PlatformRow {
+  id: string;
+  name: string;
+  issuer: string;
+  client_id: string;
+  deployment_ids: string[];
+  auth_login_url: string;
+  auth_token_url: string;
+  jwks_url: string;
+  match_email: boolean;
+  allow_teacher_provisioning: boolean;
+  disabled_at: string | null;
+}
+
+function fmt(ts: string | null) {
+  return ts ? new Date(ts).toLocaleString() : '—';
+}
+
+function keyId(): string | null {
+  try {
+    return toolJwks().keys[0]?.kid ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export default async function AdminLtiPage() {
+  const { profile, supabase } = await requireUser();
+
+  if (profile.role !== 'admin') {
+    if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
+    if (profile.role === 'student') redirect('/dashboard');
+    redirect('/');
+  }
+
+  const h = await headers();
+  const endpoints = toolEndpoints(toolOrigin(`${h.get('x-forwarded-proto') ?? 'https'}://${h.get('host')}`));
+  const kid = keyId();
+
+  const [platformsRes, linksRes, usersRes, pushesRes] = await Promise.all([
+    supabase
+      .from('lti_platforms')
+      .select('id, name, issuer, client_id, deployment_ids, auth_login_url, auth_token_url, jwks_url, match_email, allow_teacher_provisioning, disabled_at')
+      .order('name', { ascending: true }),
+    supabase.from('lti_resource_links').select('platform_id, lineitem_url').limit(COUNT_ROW_CAP),
+    supabase.from('lti_users').select('platform_id').limit(COUNT_ROW_CAP),
+    supabase
+      .from('lti_grade_pushes')
+      .select(
+        'id, score_given, score_maximum, completed_at, status, attempts, next_attempt_at, last_status_code, last_error, sent_at, link:lti_resource_links!lti_grade_pushes_resource_link_id_fkey(title, context_title, platform_id), student:profiles!lti_grade_pushes_profile_id_fkey(first_name, last_name, email)',
+      )
+      .order('created_at', { ascending: false })
+      .limit(LOG_ROWS),
+  ]);
+  const platforms = (platformsRes.data ?? []) as PlatformRow[];
+  const platformName = new Map(platforms.map((p) => [p.id, p.name]));
+  const counts = new Map<string, { links: number; graded: number; users: number }>();
+  const bump = (id: string) => {
+    const c = counts.get(id) ?? { links: 0, graded: 0, users: 0 };
+    counts.set(id, c);
+    return c;
+  };
+  for (const l of linksRes.data ?? []) {
+    const c = bump(l.platform_id);
+    c.links++;
+    if (l.lineitem_url) c.graded++;
+  }
+  for (const u of usersRes.data ?? []) bump(u.platform_id).users++;
+  const pushes = pushesRes.data ?? [];
+
+  return (
+    <main className={a.container}>
+      <nav className={a.breadcrumb}>
+        <Link href="/admin">&larr; Admin</Link>
+      </nav>
+
+      <header className={a.header}>
+        <div className={a.eyebrow}>Admin · Integrations</div>
+        <h1 className={a.h1}>LTI</h1>
+        <p className={a.sub}>
+          Schools launch Studyworks from Canvas, Schoology, Moodle or any LTI 1.3 LMS. Teachers add assignments and
+          lessons to a course with deep linking; practice-set scores go to the course gradebook.
+        </p>
+        <p className={a.help}>
+          A launch signs the user in to their own Studyworks account for that LMS. Students launching a teacher&apos;s
+          link join that teacher&apos;s roster and the assignment. Failed grade pushes retry with backoff, up to{' '}
+          {MAX_GRADE_ATTEMPTS} attempts.
+        </p>
+      </header>
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Tool registration</h2>
+        <p className={f.muted}>Give these to the LMS admin when they add Studyworks as an LTI 1.3 tool.</p>
+        <div className={f.tableWrap}>
+          <Table>
+            <tbody>
+              <tr>
+                <Td>OIDC login (initiation) URL</Td>
+                <Td><code>{endpoints.login}</code></Td>
+              </tr>
+              <tr>
+                <Td>Target link, redirect and deep-linking URL</Td>
+                <Td><code>{endpoints.launch}</code></Td>
+              </tr>
+              <tr>
+                <Td>Public key set (JWKS) URL</Td>
+                <Td><code>{endpoints.jwks}</code></Td>
+              </tr>
+              <tr>
+                <Td>Signing key</Td>
+                <Td>
+                  {kid ? (
+                    <>
+                      Configured · kid <code>{kid}</code>
+                    </>
+                  ) : (
+                    <span className={f.err}>LTI_PRIVATE_KEY is not set — launches work, deep linking and grades don&apos;t.</span>
+                  )}
+                </Td>
+              </tr>
+            </tbody>
+          </Table>
+        </div>
+        <p className={f.muted}>
+          Ask for the placements course navigation / link selection (deep linking) and the AGS scopes for line items
+          and scores. Links open in a new window.
+        </p>
+      </section>
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Register a platform</h2>
+        <NewPlatformForm />
+      </section>
+
+      {platforms.map((p) => {
+        const c = counts.get(p.id);
+        return (
+          <section key={p.id} className={a.section}>
+            <h2 className={a.h2}>
+              {p.name}
+              {p.disabled_at && <span className={f.muted}> · disabled {fmt(p.disabled_at)}</span>}
+            </h2>
+            <p className={f.muted}>
+              <code>{p.issuer}</code> · client <code>{p.client_id}</code> · {p.deployment_ids.length} deployment(s)
+              {p.match_email && ' · matches accounts by email'}
+              {p.allow_teacher_provisioning && ' · creates teacher accounts'}
+            </p>
+            <p>
+              {c?.users ?? 0} linked user(s) · {c?.links ?? 0} placed link(s), {c?.graded ?? 0} graded
+            </p>
+            <details>
+              <summary className={a.sectionLabel}>Registration and status</summary>
+              <PlatformSettingsForm platformId={p.id} values={p} disabled={!!p.disabled_at} />
+            </details>
+          </section>
+        );
+      })}
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Grade passback</h2>
+        {pushes.length === 0 ? (
+          <p className={f.muted}>No scores sent yet.</p>
+        ) : (
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>Completed</Th>
+                  <Th>Student</Th>
+                  <Th>Link</Th>
+                  <Th>Score</Th>
+                  <Th>Status</Th>
+                  <Th>Last result</Th>
+                  <Th>Actions</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {pushes.map((g) => {
+                  const student = g.student;
+                  const name = student ? [student.first_name, student.last_name].filter(Boolean).join(' ') || student.email : '—';
+                  return (
+                    <tr key={g.id}>
+                      <Td>{fmt(g.completed_at)}</Td>
+                      <Td>{name}</Td>
+                      <Td>
+                        {g.link?.title ?? '—'}
+                        <div className={f.tdMuted}>
+                          {[g.link ? platformName.get(g.link.platform_id) : null, g.link?.context_title].filter(Boolean).join(' · ')}
+                        </div>
+                      </Td>
+                      <Td>
+                        {Number(g.score_given)} / {Number(g.score_maximum)}
+                      </Td>
+                      <Td>
+                        {g.status}
+                        <div className={f.tdMuted}>
+                          {g.status === 'sent'
+                            ? fmt(g.sent_at)
+                            : g.status === 'pending'
+                              ? `attempt ${g.attempts + 1} at ${fmt(g.next_attempt_at)}`
+                              : `after ${g.attempts} attempt(s)`}
+                        </div>
+                      </Td>
+                      <Td>
+                        {g.last_status_code != null ? `HTTP ${g.last_status_code}` : g.attempts > 0 ? 'No response' : '—'}
+                        {g.last_error && <div className={f.tdMuted}>{g.last_error}</div>}
+                      </Td>
+                      <Td>{g.status === 'dead' && <RetryPushButton pushId={g.id} />}</Td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
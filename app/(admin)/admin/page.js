@@ -213,6 +213,11 @@ export default async function AdminLandingPage() {
           <NavCard href="/admin/questions" title="Question content" desc="Browse and edit the question bank." />
           <NavCard href="/admin/questions/new" title="Write a question" desc="Author a new Studyworks question." />
           <NavCard href="/admin/concept-tags" title="Concept tags" desc="Rename, merge, and delete question concept tags." />
+          <NavCard href="/admin/leak-trace" title="Trace a leak" desc="Decode the watermark in leaked question text." />
+          <NavCard href="/admin/scraping" title="Scraping review" desc="Flagged accounts, load cadence, and throttle or suspend." />
+          <NavCard href="/admin/api-keys" title="API keys" desc="Partner keys, scopes, rotation, and usage for the external API." />
+          <NavCard href="/admin/webhooks" title="Webhooks" desc="Partner event subscriptions, delivery log, dead letters, and replay." />
+          <NavCard href="/admin/lti" title="LTI" desc="LMS platform registrations, tool URLs, and grade passback." />
           <NavCard href="/admin/content/units" title="Curriculum units" desc="Lesson coverage plus syllabus order, time, and mastery settings." />
           <NavCard href="/admin/reading-coach" title="Reading Coach" desc="Author passages, rubrics, and choices for guided reading practice." />
           <NavCard href="/admin/performance" title="Student performance" desc="Aggregate stats across cohorts." />
@@ -222,6 +227,7 @@ export default async function AdminLandingPage() {
           <NavCard href="/admin/act/imports" title="ACT test imports" desc="Upload ACT PDFs, parse, review, approve." />
           <NavCard href="/admin/users/relationships" title="User relationships" desc="Teacher ↔ student assignments." />
           <NavCard href="/admin/users/codes" title="Signup codes" desc="Issue + audit invite codes." />
+          <NavCard href="/tutor/roster/import" title="Roster import" desc="OneRoster CSV from a school SIS: accounts, classes, and drops." />
         </div>
       </section>
 
@@ -0,0 +1,57 @@
+// "Roll back to this revision" — confirm, run the Server Action, then
+// show the newest revision (the one the rollback just created).
+
+'use client';
+
+import { useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/lib/ui/Button';
+import { rollbackQuestionRevision } from './actions';
+
+export function RollbackButton({
+  questionId,
+  revisionId,
+  revisionNumber,
+}: {
+  questionId: string;
+  revisionId: string;
+  revisionNumber: number;
+}) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+
+  function onClick() {
+    if (
+      !window.confirm(
+        `Restore revision ${revisionNumber}? Students see the restored content immediately; ` +
+          'the change is recorded as a new revision.',
+      )
+    ) {
+      return;
+    }
+    setError(null);
+    startTransition(async () => {
+      const res = await rollbackQuestionRevision({ questionId, revisionId });
+      if (!res.ok) {
+        setError(res.error);
+        return;
+      }
+      router.push(`/admin/questions/${questionId}/history`);
+      router.refresh();
+    });
+  }
+
+  return (
+    <span style={{ display: 'inline-flex', gap: '0.5rem', alignItems: 'center' }}>
+      <Button variant="secondary" onClick={onClick} disabled={pending}>
+        {pending ? 'Rolling back…' : `Roll back to revision ${revisionNumber}`}
+      </Button>
+      {error && (
+        <span role="alert" style={{ color: '#b91c1c', fontSize: '0.85rem' }}>
+          {error}
+        </span>
+      )}
+    </span>
+  );
+}
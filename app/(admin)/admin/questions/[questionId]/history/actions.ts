@@ -0,0 +1,124 @@
+// Server Action for the question history page: one-click rollback.
+//
+// A rollback never rewrites history. It writes the chosen revision's
+// content back onto questions_v2 like any other edit, tagged
+// revision_context.source = 'rollback' + restored_from, so the
+// revision trigger appends a NEW revision that records where it came
+// from. Attempts pinned to intermediate revisions keep their link.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { requireRole } from '@/lib/api/auth';
+import { actionOk, actionFail, ApiError } from '@/lib/api/response';
+import {
+  REVISION_COLUMNS,
+  changedRevisionFields,
+  revisionContext,
+  rollbackPatch,
+  type QuestionRevision,
+} from '@/lib/content/question-revisions';
+import type { ActionResult, AuthContext } from '@/lib/types';
+// Shared .mjs MathJax renderer; no type declarations.
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { renderRow } from '@/lib/content/render-math.mjs';
+
+/**
+ * Restore a question's content to an earlier revision.
+ *
+ * @returns the number of the revision the rollback created.
+ */
+export async function rollbackQuestionRevision({
+  questionId,
+  revisionId,
+}: {
+  questionId: string;
+  revisionId: string;
+}): Promise<ActionResult<{ data: { revisionNumber: number } }>> {
+  if (!questionId || !revisionId) return actionFail('questionId and revisionId required');
+
+  let ctx: AuthContext;
+  try {
+    ctx = await requireRole(['admin']);
+  } catch (err) {
+    if (err instanceof ApiError) return err.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  const { supabase, user } = ctx;
+
+  const { data: question, error: qErr } = await supabase
+    .from('questions_v2')
+    .select('id, question_type, current_revision_id, deleted_at')
+    .eq('id', questionId)
+    .maybeSingle();
+  if (qErr) return actionFail(qErr.message);
+  if (!question || question.deleted_at) return actionFail('Question not found');
+  if (question.current_revision_id === revisionId) return actionFail('That is already the current revision.');
+
+  const { data: revRows, error: rErr } = await supabase
+    .from('question_revisions')
+    .select(REVISION_COLUMNS)
+    .eq('question_id', questionId)
+    .in('id', [revisionId, question.current_revision_id].filter((id): id is string => !!id));
+  if (rErr) return actionFail(rErr.message);
+  const revs = (revRows ?? []) as unknown as QuestionRevision[];
+  const target = revs.find((r) => r.id === revisionId);
+  const current = revs.find((r) => r.id === question.current_revision_id);
+  if (!target) return actionFail('Revision not found');
+  if (target.question_type && target.question_type !== question.question_type) {
+    return actionFail(`Revision ${target.revision_number} is a ${target.question_type} question; this one is ${question.question_type}.`);
+  }
+  if (current && changedRevisionFields(current, target).length === 0) {
+    return actionFail(`Revision ${target.revision_number} matches the current content — nothing to roll back.`);
+  }
+
+  const patch = rollbackPatch(target);
+  let rendered;
+  try {
+    rendered = renderRow({
+      id: questionId,
+      stem_html: patch.stem_html,
+      stimulus_html: patch.stimulus_html,
+      rationale_html: patch.rationale_html,
+      options: patch.options,
+    });
+  } catch (e) {
+    return actionFail(`Math render failed: ${e instanceof Error ? e.message : String(e)}`);
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error: uErr } = await supabase
+    .from('questions_v2')
+    .update({
+      ...(patch as Record<string, unknown>),
+      stem_rendered: rendered.stem_rendered,
+      stimulus_rendered: rendered.stimulus_rendered,
+      rationale_rendered: rendered.rationale_rendered,
+      options_rendered: rendered.options_rendered,
+      rendered_source_hash: rendered.rendered_source_hash,
+      rendered_at: now,
+      updated_at: now,
+      last_fixed_by: user.id,
+      last_fixed_at: now,
+      revision_context: revisionContext('rollback', {
+        restored_from: target.id,
+        note: `Rolled back to revision ${target.revision_number}`,
+      }),
+    })
+    .eq('id', questionId)
+    .select('current_revision_id')
+    .single();
+  if (uErr) return actionFail(uErr.message);
+
+  const { data: created } = await supabase
+    .from('question_revisions')
+    .select('revision_number')
+    .eq('id', updated.current_revision_id ?? '')
+    .maybeSingle();
+
+  revalidatePath(`/admin/questions/${questionId}`, 'layout');
+  revalidatePath('/practice', 'layout');
+  revalidatePath('/tutor', 'layout');
+  return actionOk({ revisionNumber: created?.revision_number ?? 0 });
+}
@@ -0,0 +1,445 @@
+// Admin · Question history — every content revision of one question
+// (question_revisions, migration 20261019230000), with a side-by-side
+// rendered comparison, a source-level diff of each changed field, and
+// rollback.
+//
+// URL state only: ?rev=N picks the revision on the right (default:
+// newest), ?against=M the one on the left (default: N − 1). Revisions
+// are rendered on read through the shared MathJax renderer — they
+// store source HTML, not the rendered_* caches, which are refreshed
+// out of band on the live row.
+
+import Link from 'next/link';
+import { notFound, redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { Card } from '@/lib/ui/Card';
+import { QuestionRenderer } from '@/lib/ui/QuestionRenderer';
+import { inferLayoutMode } from '@/lib/ui/question-layout';
+import { formatDateTime } from '@/lib/formatters';
+import { extractMcqCorrectId, formatSprCorrect } from '@/lib/practice/correct-answer';
+import { findDomain, findSkill } from '@/lib/practice/sat-taxonomy';
+import {
+  REVISION_COLUMNS,
+  REVISION_FIELD_LABELS,
+  REVISION_SOURCE_LABELS,
+  changedRevisionFields,
+  diffRevisionOptions,
+  diffText,
+  revisionHints,
+  type QuestionRevision,
+  type RevisionField,
+  type TextSegment,
+} from '@/lib/content/question-revisions';
+// Shared .mjs MathJax renderer; no type declarations.
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { renderRow } from '@/lib/content/render-math.mjs';
+import { RollbackButton } from './RollbackButton';
+
+export const dynamic = 'force-dynamic';
+
+const MAX_REVISIONS = 200;
+// Attempt counts are one head query each; older revisions than this
+// show "—" rather than fanning out further.
+const MAX_COUNTED = 30;
+
+interface PageProps {
+  params: Promise<{ questionId: string }>;
+  searchParams: Promise<{ rev?: string; against?: string }>;
+}
+
+export default async function QuestionHistoryPage({ params, searchParams }: PageProps) {
+  const { questionId } = await params;
+  const sp = await searchParams;
+  const { profile, supabase } = await requireUser();
+  if (profile.role !== 'admin') redirect('/');
+
+  const { data: question } = await supabase
+    .from('questions_v2')
+    .select('id, display_code, question_type, domain_code, current_revision_id, deleted_at')
+    .eq('id', questionId)
+    .maybeSingle();
+  if (!question || question.deleted_at) notFound();
+
+  const { data: revRows } = await supabase
+    .from('question_revisions')
+    .select(REVISION_COLUMNS)
+    .eq('question_id', questionId)
+    .order('revision_number', { ascending: false })
+    .limit(MAX_REVISIONS);
+  const revisions = (revRows ?? []) as unknown as QuestionRevision[];
+
+  const authorIds = [...new Set(revisions.map((r) => r.author_id).filter((id): id is string => !!id))];
+  const { data: authorRows } = authorIds.length
+    ? await supabase.from('profiles').select('id, first_name, last_name, email').in('id', authorIds)
+    : { data: [] };
+  const authorName = new Map(
+    (authorRows ?? []).map((p) => [
+      p.id,
+      [p.first_name, p.last_name].filter(Boolean).join(' ') || p.email || p.id.slice(0, 8),
+    ]),
+  );
+
+  const attemptCounts = new Map<string, number>();
+  await Promise.all(
+    revisions.slice(0, MAX_COUNTED).map(async (r) => {
+      const { count } = await supabase
+        .from('attempts')
+        .select('id', { count: 'exact', head: true })
+        .eq('question_revision_id', r.id);
+      attemptCounts.set(r.id, count ?? 0);
+    }),
+  );
+
+  const byNumber = new Map(revisions.map((r) => [r.revision_number, r]));
+  const newest = revisions[0] ?? null;
+  const selected = byNumber.get(Number(sp.rev)) ?? newest;
+  const against = selected
+    ? (byNumber.get(Number(sp.against)) ?? byNumber.get(selected.revision_number - 1) ?? null)
+    : null;
+  const isCurrent = selected?.id === question.current_revision_id;
+  const title = question.display_code || question.id.slice(0, 8);
+  const layout = inferLayoutMode(question.domain_code);
+  const changed = selected && against ? changedRevisionFields(against, selected) : [];
+
+  return (
+    <main style={S.main}>
+      <nav style={{ marginBottom: '1rem' }}>
+        <Link href={`/admin/questions/${question.id}`} style={S.backLink}>
+          ← Back to question
+        </Link>
+      </nav>
+
+      <header style={S.header}>
+        <div style={S.eyebrow}>Question history</div>
+        <h1 style={S.h1}>{title}</h1>
+        <p style={S.sub}>
+          {revisions.length} revision{revisions.length === 1 ? '' : 's'}. Every content change is kept;
+          rolling back restores an older revision as a new one. Attempts stay linked to the revision
+          the student answered.
+        </p>
+      </header>
+
+      {!selected ? (
+        <Card style={{ padding: '1rem' }}>No revisions recorded for this question yet.</Card>
+      ) : (
+        <>
+          <section style={S.toolbar}>
+            <div>
+              <strong>Revision {selected.revision_number}</strong>
+              {isCurrent && <span style={S.currentPill}>current</span>} ·{' '}
+              {REVISION_SOURCE_LABELS[selected.source] ?? selected.source} ·{' '}
+              {formatDateTime(selected.created_at)}
+              {selected.author_id && <> · {authorName.get(selected.author_id) ?? 'unknown author'}</>}
+              {against ? <> · compared with revision {against.revision_number}</> : <> · first revision</>}
+            </div>
+            {!isCurrent && (
+              <RollbackButton
+                questionId={question.id}
+                revisionId={selected.id}
+                revisionNumber={selected.revision_number}
+              />
+            )}
+          </section>
+
+          <section style={S.panes}>
+            <div style={S.pane}>
+              <h2 style={S.paneTitle}>
+                {against ? `Revision ${against.revision_number}` : 'No earlier revision'}
+              </h2>
+              <Card style={{ padding: '1rem' }}>
+                {against ? (
+                  <QuestionRenderer mode="teacher" layout={layout} {...revisionVM(against)} />
+                ) : (
+                  <p style={S.muted}>Revision {selected.revision_number} is where this question&apos;s history starts.</p>
+                )}
+              </Card>
+            </div>
+            <div style={S.pane}>
+              <h2 style={S.paneTitle}>Revision {selected.revision_number}</h2>
+              <Card style={S.selectedCard}>
+                <QuestionRenderer mode="teacher" layout={layout} {...revisionVM(selected)} />
+              </Card>
+            </div>
+          </section>
+
+          {against && (
+            <section style={{ marginTop: '1.5rem' }}>
+              <h2 style={S.paneTitle}>Source changes</h2>
+              {changed.length === 0 ? (
+                <p style={S.muted}>Same content as revision {against.revision_number}.</p>
+              ) : (
+                changed.map((field) => (
+                  <FieldChange
+                    key={field}
+                    field={field}
+                    before={against}
+                    after={selected}
+                    questionType={question.question_type}
+                  />
+                ))
+              )}
+            </section>
+          )}
+        </>
+      )}
+
+      <section style={{ marginTop: '2rem' }}>
+        <h2 style={S.paneTitle}>All revisions</h2>
+        <table style={S.table}>
+          <thead>
+            <tr>
+              <th style={S.th}>#</th>
+              <th style={S.th}>When</th>
+              <th style={S.th}>Source</th>
+              <th style={S.th}>Author</th>
+              <th style={S.th}>Changed</th>
+              <th style={S.th}>Attempts</th>
+              <th style={S.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {revisions.map((r) => {
+              const restored = r.restored_from ? revisions.find((x) => x.id === r.restored_from) : null;
+              return (
+                <tr key={r.id} style={r.id === selected?.id ? S.rowSelected : undefined}>
+                  <td style={S.td}>
+                    {r.revision_number}
+                    {r.id === question.current_revision_id && <span style={S.currentPill}>current</span>}
+                  </td>
+                  <td style={S.td}>{formatDateTime(r.created_at)}</td>
+                  <td style={S.td}>
+                    {REVISION_SOURCE_LABELS[r.source] ?? r.source}
+                    {restored && <> (from {restored.revision_number})</>}
+                    {r.note && <div style={S.note}>{r.note}</div>}
+                  </td>
+                  <td style={S.td}>{r.author_id ? (authorName.get(r.author_id) ?? '—') : '—'}</td>
+                  <td style={S.td}>
+                    {r.source === 'baseline' || r.revision_number === 1
+                      ? '—'
+                      : r.changed_fields
+                          .map((f) => REVISION_FIELD_LABELS[f as RevisionField] ?? f)
+                          .join(', ')}
+                  </td>
+                  <td style={S.td}>{attemptCounts.has(r.id) ? attemptCounts.get(r.id) : '—'}</td>
+                  <td style={S.td}>
+                    <Link href={`?rev=${r.revision_number}`} style={S.link}>
+                      View
+                    </Link>
+                    {selected && r.id !== selected.id && (
+                      <>
+                        {' · '}
+                        <Link href={`?rev=${selected.revision_number}&against=${r.revision_number}`} style={S.link}>
+                          Compare
+                        </Link>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {revisions.length === MAX_REVISIONS && (
+          <p style={S.muted}>Showing the newest {MAX_REVISIONS} revisions.</p>
+        )}
+      </section>
+    </main>
+  );
+}
+
+function revisionVM(r: QuestionRevision) {
+  const rendered = renderRow({
+    id: r.id,
+    stem_html: r.stem_html,
+    stimulus_html: r.stimulus_html,
+    rationale_html: r.rationale_html,
+    options: r.options,
+  });
+  const optsSrc: Array<Record<string, unknown>> = Array.isArray(rendered.options_rendered)
+    ? rendered.options_rendered
+    : Array.isArray(r.options)
+      ? r.options
+      : [];
+  const isSpr = r.question_type === 'spr';
+  const domain = findDomain(r.domain_code);
+  return {
+    question: {
+      questionId: r.question_id,
+      questionType: isSpr ? ('spr' as const) : ('mcq' as const),
+      stimulusHtml: rendered.stimulus_rendered ?? r.stimulus_html ?? undefined,
+      stemHtml: rendered.stem_rendered ?? r.stem_html ?? '',
+      options: optsSrc.map((opt, idx) => {
+        const label = String(opt.label ?? opt.id ?? String.fromCharCode(65 + idx));
+        return {
+          id: label,
+          label,
+          content_html: String(opt.content_html_rendered ?? opt.content_html ?? opt.text ?? ''),
+        };
+      }),
+      taxonomy: {
+        domain_name: domain?.name ?? r.domain_code,
+        skill_name: findSkill(r.domain_code, r.skill_code)?.name ?? r.skill_code,
+        difficulty: r.difficulty,
+      },
+    },
+    result: {
+      correctOptionId: !isSpr ? extractMcqCorrectId(r.correct_answer) : null,
+      correctAnswerDisplay: isSpr ? formatSprCorrect(r.correct_answer) : null,
+      rationaleHtml: rendered.rationale_rendered ?? r.rationale_html,
+    },
+  };
+}
+
+function answerDisplay(questionType: string | null, raw: unknown): string {
+  if (raw == null) return '—';
+  if (questionType === 'spr') return formatSprCorrect(raw);
+  const labels = (raw as { option_labels?: unknown }).option_labels;
+  if (Array.isArray(labels) && labels.length > 1) return labels.join(' or ');
+  return extractMcqCorrectId(raw) ?? '—';
+}
+
+function scalarDisplay(field: RevisionField, r: QuestionRevision): string {
+  if (field === 'domain_code') {
+    return r.domain_code ? `${findDomain(r.domain_code)?.name ?? 'Unknown'} (${r.domain_code})` : '—';
+  }
+  if (field === 'skill_code') {
+    return r.skill_code ? `${findSkill(r.domain_code, r.skill_code)?.name ?? 'Unknown'} (${r.skill_code})` : '—';
+  }
+  const v = r[field];
+  return v == null || v === '' ? '—' : String(v);
+}
+
+function FieldChange({
+  field,
+  before,
+  after,
+  questionType,
+}: {
+  field: RevisionField;
+  before: QuestionRevision;
+  after: QuestionRevision;
+  questionType: string | null;
+}) {
+  let body: React.ReactNode;
+  if (field === 'stem_html' || field === 'stimulus_html' || field === 'rationale_html') {
+    body = <Segments segments={diffText(before[field], after[field])} />;
+  } else if (field === 'options') {
+    body = diffRevisionOptions(before.options, after.options).map((o) => (
+      <div key={o.label} style={{ marginBottom: '0.35rem' }}>
+        <strong>{o.label}</strong>
+        {o.before == null ? ' (added)' : o.after == null ? ' (removed)' : ''}:{' '}
+        <Segments segments={diffText(o.before, o.after)} inline />
+      </div>
+    ));
+  } else if (field === 'hints') {
+    body = (
+      <Segments segments={diffText(revisionHints(before.hints).join('\n'), revisionHints(after.hints).join('\n'))} />
+    );
+  } else if (field === 'correct_answer') {
+    body = (
+      <span>
+        <del style={S.del}>{answerDisplay(questionType, before.correct_answer)}</del> →{' '}
+        <ins style={S.ins}>{answerDisplay(questionType, after.correct_answer)}</ins>
+      </span>
+    );
+  } else {
+    body = (
+      <span>
+        <del style={S.del}>{scalarDisplay(field, before)}</del> → <ins style={S.ins}>{scalarDisplay(field, after)}</ins>
+      </span>
+    );
+  }
+  return (
+    <div style={S.change}>
+      <div style={S.changeLabel}>{REVISION_FIELD_LABELS[field]}</div>
+      {body}
+    </div>
+  );
+}
+
+function Segments({ segments, inline = false }: { segments: TextSegment[]; inline?: boolean }) {
+  const Tag = inline ? 'code' : 'pre';
+  return (
+    <Tag style={inline ? S.inlineSource : S.source}>
+      {segments.map((s, i) =>
+        s.op === 'same' ? (
+          <span key={i}>{s.text}</span>
+        ) : s.op === 'del' ? (
+          <del key={i} style={S.del}>
+            {s.text}
+          </del>
+        ) : (
+          <ins key={i} style={S.ins}>
+            {s.text}
+          </ins>
+        ),
+      )}
+    </Tag>
+  );
+}
+
+const S: Record<string, React.CSSProperties> = {
+  main: { maxWidth: 1200, margin: '2rem auto', padding: '0 1.5rem', fontFamily: 'system-ui, sans-serif' },
+  backLink: { color: 'var(--color-app-primary, #102a43)', textDecoration: 'none', fontSize: '0.9rem' },
+  header: { marginBottom: '1.25rem', paddingBottom: '0.75rem', borderBottom: '1px solid #e5e7eb' },
+  eyebrow: { fontSize: '0.75rem', fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.08em', color: '#9ca3af' },
+  h1: { fontSize: '1.6rem', fontWeight: 700, margin: '0.15rem 0 0.35rem' },
+  sub: { color: '#6b7280', fontSize: '0.9rem', margin: 0 },
+  toolbar: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '1rem',
+    flexWrap: 'wrap',
+    marginBottom: '1rem',
+    fontSize: '0.9rem',
+  },
+  currentPill: {
+    marginLeft: 6,
+    padding: '1px 8px',
+    borderRadius: 999,
+    fontSize: '0.7rem',
+    fontWeight: 700,
+    background: '#dcfce7',
+    color: '#166534',
+  },
+  panes: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' },
+  pane: { minWidth: 0 },
+  paneTitle: {
+    fontSize: '0.8rem',
+    color: '#6b7280',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    margin: '0 0 0.5rem',
+    fontWeight: 600,
+  },
+  selectedCard: {
+    padding: '1rem',
+    borderColor: 'var(--color-app-primary, #102a43)',
+    borderWidth: 2,
+    borderStyle: 'solid',
+  },
+  muted: { color: '#6b7280', fontSize: '0.85rem' },
+  change: { marginBottom: '1rem' },
+  changeLabel: { fontWeight: 600, fontSize: '0.85rem', marginBottom: '0.25rem' },
+  source: {
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    fontSize: '0.8rem',
+    background: '#f9fafb',
+    border: '1px solid #e5e7eb',
+    borderRadius: 6,
+    padding: '0.6rem 0.75rem',
+    margin: 0,
+  },
+  inlineSource: { whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '0.8rem' },
+  del: { background: '#fee2e2', color: '#991b1b' },
+  ins: { background: '#dcfce7', color: '#166534', textDecoration: 'none' },
+  note: { color: '#6b7280', fontSize: '0.75rem' },
+  table: { width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' },
+  th: { textAlign: 'left', padding: '0.4rem 0.5rem', borderBottom: '1px solid #e5e7eb', color: '#6b7280', fontWeight: 600 },
+  td: { padding: '0.4rem 0.5rem', borderBottom: '1px solid #f3f4f6', verticalAlign: 'top' },
+  rowSelected: { background: '#eef2ff' },
+  link: { color: 'var(--color-app-primary, #102a43)' },
+};
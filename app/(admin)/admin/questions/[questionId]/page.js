@@ -18,6 +18,7 @@ export default async function AdminQuestionDetailPage({ params }) {
         backLabel: 'Admin · Questions',
         baseHref: '/admin/questions',
         generateHref: `/admin/questions/${questionId}/generate`,
+        historyHref: `/admin/questions/${questionId}/history`,
       }}
     />
   );
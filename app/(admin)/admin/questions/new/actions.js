@@ -29,6 +29,7 @@ import { revalidatePath } from 'next/cache';
 import { requireRole } from '@/lib/api/auth';
 import { findDomain, findSkill } from '@/lib/practice/sat-taxonomy';
 import { renderRow } from '@/lib/content/render-math.mjs';
+import { revisionContext } from '@/lib/content/question-revisions';
 
 function fail(message) {
   return { error: message };
@@ -188,6 +189,7 @@ export async function createQuestion(payload) {
     options_rendered: rendered.options_rendered,
     rendered_source_hash: rendered.rendered_source_hash,
     rendered_at: new Date().toISOString(),
+    revision_context: revisionContext('manual'),
   };
 
   const { data, error } = await supabase
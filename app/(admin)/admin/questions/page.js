@@ -9,18 +9,28 @@
 // columns out of the SELECT; clicking through loads them at the
 // detail page.
 //
+// The Calibrated column reads item_calibration (written weekly by
+// /api/cron/calibrate-items): the empirical difficulty b on the IRT θ
+// scale, the score band it implies, and the sample size behind it.
+// Rows under MIN_CALIBRATION_N responses show the count only, greyed —
+// they don't override the authored label anywhere yet.
+//
 // URL params (all optional):
 //   ?q=<text>         — case-insensitive substring match on
 //                       display_code OR stem_html
 //   ?broken=1         — only rows with is_broken = true
 //   ?trimmed=1        — only rows with "TRIMMED" in any field
 //   ?hasmath=1        — only rows with <math> or <img role="math">
+//   ?mislabeled=1     — only rows whose calibrated difficulty
+//                       disagrees with the authored label
+//                       (item_calibration.label_flag)
 //   ?page=N           — 1-indexed; 50 rows per page
 
 import Link from 'next/link';
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
 import { formatDate } from '@/lib/formatters';
+import { calibratedScoreBand } from '@/lib/practice-test/calibration';
 import { Table, Th, Td } from '@/lib/ui/Table';
 import a from '../../admin.module.css';
 
@@ -37,6 +47,7 @@ export default async function AdminQuestionsPage({ searchParams }) {
   const broken   = sp.broken   === '1';
   const trimmed  = sp.trimmed  === '1';
   const hasmath  = sp.hasmath  === '1';
+  const mislabeled = sp.mislabeled === '1';
   // Set by the pattern catalog's per-pattern question count
   // (/admin/content/patterns). Not a FilterBar control — it is a
   // drill-in from elsewhere, so it shows as a dismissible chip.
@@ -44,10 +55,15 @@ export default async function AdminQuestionsPage({ searchParams }) {
   const page     = Math.max(1, Number(sp.page) || 1);
   const offset   = (page - 1) * PAGE_SIZE;
 
+  // !inner under the mislabeled filter so the label_flag condition
+  // narrows the questions, not just the embedded row.
+  const calibrationEmbed = mislabeled
+    ? 'item_calibration!inner(b, n_attempts, reliable, label_flag)'
+    : 'item_calibration(b, n_attempts, reliable, label_flag)';
   let query = supabase
     .from('questions_v2')
     .select(
-      'id, display_code, question_type, domain_name, skill_name, difficulty, is_broken, stem_html, updated_at',
+      `id, display_code, question_type, domain_name, skill_name, difficulty, score_band, is_broken, stem_html, updated_at, ${calibrationEmbed}`,
       { count: 'exact' },
     )
     .is('deleted_at', null);
@@ -55,6 +71,7 @@ export default async function AdminQuestionsPage({ searchParams }) {
   if (pattern) query = query.eq('pattern_id', pattern);
   if (broken)  query = query.eq('is_broken', true);
   if (trimmed) query = query.or('stem_html.ilike.%TRIMMED%,stimulus_html.ilike.%TRIMMED%,rationale_html.ilike.%TRIMMED%');
+  if (mislabeled) query = query.not('item_calibration.label_flag', 'is', null);
   if (hasmath) query = query.or('stem_html.ilike.%<math%,stem_html.ilike.%role="math"%,stimulus_html.ilike.%<math%,stimulus_html.ilike.%role="math"%');
   if (q) {
     // display_code prefix OR stem text contains. ilike handles both
@@ -112,13 +129,13 @@ export default async function AdminQuestionsPage({ searchParams }) {
             {patternRow ? `“${patternRow.name}” (${patternRow.skill_code})` : 'with this pattern'}
           </strong>
           {' · '}
-          <Link href={toUrl({ q, broken, trimmed, hasmath })} style={S.clearLink}>clear</Link>
+          <Link href={toUrl({ q, broken, trimmed, hasmath, mislabeled })} style={S.clearLink}>clear</Link>
           {' · '}
           <Link href="/admin/content/patterns" style={S.clearLink}>pattern catalog →</Link>
         </p>
       )}
 
-      <FilterBar current={{ q, broken, trimmed, hasmath, pattern }} />
+      <FilterBar current={{ q, broken, trimmed, hasmath, mislabeled, pattern }} />
 
       {(rows ?? []).length === 0 ? (
         <p style={S.empty}>No questions match the current filters.</p>
@@ -131,6 +148,8 @@ export default async function AdminQuestionsPage({ searchParams }) {
               <Th>Domain</Th>
               <Th>Skill</Th>
               <Th style={{ textAlign: 'center' }}>Diff</Th>
+              <Th style={{ textAlign: 'center' }}>Band</Th>
+              <Th>Calibrated</Th>
               <Th>Flags</Th>
               <Th>Stem preview</Th>
               <Th>Updated</Th>
@@ -150,6 +169,10 @@ export default async function AdminQuestionsPage({ searchParams }) {
                 <Td>{r.domain_name ?? '—'}</Td>
                 <Td>{r.skill_name ?? '—'}</Td>
                 <Td style={{ textAlign: 'center' }}>{r.difficulty ?? '—'}</Td>
+                <Td style={{ textAlign: 'center' }}>{r.score_band ?? '—'}</Td>
+                <Td style={{ whiteSpace: 'nowrap', fontSize: '0.8rem' }}>
+                  <CalibrationCell calibration={calibrationOf(r)} />
+                </Td>
                 <Td>
                   <FlagPills row={r} />
                 </Td>
@@ -165,7 +188,7 @@ export default async function AdminQuestionsPage({ searchParams }) {
         </Table>
       )}
 
-      <Pagination current={page} last={lastPage} params={{ q, broken, trimmed, hasmath, pattern }} />
+      <Pagination current={page} last={lastPage} params={{ q, broken, trimmed, hasmath, mislabeled, pattern }} />
     </main>
   );
 }
@@ -200,14 +223,49 @@ function FilterBar({ current }) {
         <input type="checkbox" name="hasmath" value="1" defaultChecked={current.hasmath} />
         Has math
       </label>
+      <label style={S.toggle}>
+        <input type="checkbox" name="mislabeled" value="1" defaultChecked={current.mislabeled} />
+        Label disagrees
+      </label>
       <button type="submit" style={S.submit}>Apply</button>
       <Link href="/admin/questions" style={S.clearLink}>Clear</Link>
     </form>
   );
 }
 
+// One-to-one embeds come back as an object; tolerate the array shape
+// older PostgREST versions return.
+function calibrationOf(row) {
+  const c = row.item_calibration;
+  return Array.isArray(c) ? (c[0] ?? null) : (c ?? null);
+}
+
+function CalibrationCell({ calibration }) {
+  if (!calibration) return <span style={{ color: 'var(--fg3)' }}>—</span>;
+  const n = calibration.n_attempts;
+  if (!calibration.reliable) {
+    return <span style={{ color: 'var(--fg3)' }} title="Too few responses to override the label">n={n}</span>;
+  }
+  const b = Number(calibration.b);
+  return (
+    <span title={`b = ${b.toFixed(2)} on the ability scale, from ${n} first attempts`}>
+      band {calibratedScoreBand(b)}{' '}
+      <span style={{ color: 'var(--fg3)' }}>
+        ({b >= 0 ? '+' : ''}{b.toFixed(2)}, n={n})
+      </span>
+    </span>
+  );
+}
+
 function FlagPills({ row }) {
   const flags = [];
+  const labelFlag = calibrationOf(row)?.label_flag;
+  if (labelFlag) {
+    flags.push([
+      labelFlag === 'harder_than_labeled' ? 'harder than label' : 'easier than label',
+      'var(--color-diff-med-bg)', 'var(--color-diff-med-fg)', 'var(--color-diff-med-bd)',
+    ]);
+  }
   if (row.is_broken) {
     flags.push(['broken', 'var(--color-danger-bg)', 'var(--color-diff-hard-fg)', 'var(--color-danger)']);
   }
@@ -256,12 +314,13 @@ function Pagination({ current, last, params }) {
   );
 }
 
-function toUrl({ q, broken, trimmed, hasmath, pattern, page }) {
+function toUrl({ q, broken, trimmed, hasmath, mislabeled, pattern, page }) {
   const params = new URLSearchParams();
   if (q)       params.set('q',       q);
   if (broken)  params.set('broken',  '1');
   if (trimmed) params.set('trimmed', '1');
   if (hasmath) params.set('hasmath', '1');
+  if (mislabeled) params.set('mislabeled', '1');
   if (pattern) params.set('pattern', pattern);
   if (page && page !== 1) params.set('page', String(page));
   const qs = params.toString();
@@ -0,0 +1,91 @@
+// Row actions for /admin/scraping. Each posts to the user-detail
+// page's banUser / unbanUser Server Actions, so a scraper response is
+// the same moderation record (and the same revalidation) as a ban
+// from the account page. Suspend is a ban, so it sends the BAN
+// confirmation the action requires — after a confirm dialog here.
+
+'use client';
+
+import { useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/lib/ui/Button';
+import { useConfirm } from '@/lib/ui/ConfirmDialog';
+import type { RestrictionMode } from '@/lib/api/scraperPolicy';
+import { banUser, unbanUser } from '../users/[userId]/actions';
+import s from './Scraping.module.css';
+import f from '../../forms.module.css';
+
+export function ScrapingActions({
+  userId,
+  mode,
+  banned,
+  isSelf,
+}: {
+  userId: string;
+  mode: RestrictionMode | null;
+  banned: boolean;
+  isSelf: boolean;
+}) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+  const [confirm, confirmDialog] = useConfirm();
+
+  function run(action: RestrictionMode | 'clear') {
+    setError(null);
+    const fd = new FormData();
+    fd.set('user_id', userId);
+    if (action !== 'clear') {
+      fd.set('action', action);
+      fd.set('reason', 'Scraping review');
+    }
+    if (action === 'suspend') fd.set('confirm', 'BAN');
+    startTransition(async () => {
+      const res = action === 'clear' ? await unbanUser(null, fd) : await banUser(null, fd);
+      if (!res.ok) {
+        setError(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  async function suspend() {
+    const ok = await confirm({
+      title: 'Suspend this account?',
+      body: 'The account is banned and deactivated, and every question load is refused until it is cleared.',
+      confirmLabel: 'Suspend',
+      tone: 'danger',
+    });
+    if (ok) run('suspend');
+  }
+
+  if (isSelf) return <span className={f.muted}>Your account</span>;
+
+  return (
+    <>
+      <div className={s.actions}>
+        <Button size="sm" variant="secondary" disabled={pending || mode === 'throttle'} onClick={() => run('throttle')}>
+          Throttle
+        </Button>
+        <Button size="sm" variant="secondary" disabled={pending} onClick={() => run('reauth')}>
+          Require re-auth
+        </Button>
+        <Button size="sm" variant="danger" disabled={pending || banned} onClick={suspend}>
+          Suspend
+        </Button>
+        {(mode || banned) && (
+          <Button size="sm" variant="secondary" disabled={pending} onClick={() => run('clear')}>
+            Clear
+          </Button>
+        )}
+      </div>
+      {error && (
+        <p className={f.err} role="status">
+          {error}
+        </p>
+      )}
+      {confirmDialog}
+    </>
+  );
+}
@@ -0,0 +1,213 @@
+// Admin · Scraping — accounts the scraper detector flagged recently.
+//
+// Reads the per-user daily signals record_scraper_signals() persists
+// (scraper_signal_days; admin-only RLS, so the caller's client is
+// enough), rolls the window up per account with summarizeSignalDays,
+// and shows each account's loads, flagged loads, tightest cadence and
+// inter-request interval histogram next to its current restriction.
+// The row actions go through the same banUser / unbanUser Server
+// Actions as the user-detail page.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { scraperEnforcementStage } from '@/lib/flags-server';
+import {
+  INTERVAL_BUCKETS,
+  summarizeSignalDays,
+  type RestrictionMode,
+  type SignalDay,
+} from '@/lib/api/scraperPolicy';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import { ScrapingActions } from './ScrapingActions';
+import s from './Scraping.module.css';
+import f from '../../forms.module.css';
+import a from '../../admin.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const WINDOW_DAYS = 14;
+const MAX_ACCOUNTS = 200;
+
+const STAGE_HELP = {
+  off: 'Detection is off: nothing is measured, and restrictions below are not applied.',
+  shadow: 'Shadow: cadence is measured and recorded but never acted on. Restrictions below are applied.',
+  throttle: 'Throttle: blocked-cadence loads are slowed. Restrictions below are applied.',
+  enforce: 'Enforce: blocked-cadence loads are refused and suspicious ones slowed. Restrictions below are applied.',
+} as const;
+
+const RESTRICTION_LABEL: Record<RestrictionMode, string> = {
+  throttle: 'Throttled',
+  reauth: 'Re-auth required',
+  suspend: 'Suspended',
+};
+
+interface ProfileRow {
+  id: string;
+  email: string | null;
+  first_name: string | null;
+  last_name: string | null;
+  role: string;
+  banned_at: string | null;
+}
+
+interface RestrictionRow {
+  user_id: string;
+  mode: RestrictionMode;
+  reason: string | null;
+  created_at: string;
+}
+
+function fmtMs(ms: number | null) {
+  if (ms == null) return '—';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+export default async function AdminScrapingPage() {
+  const { profile, supabase } = await requireUser();
+
+  if (profile.role !== 'admin') {
+    if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
+    if (profile.role === 'student') redirect('/dashboard');
+    redirect('/');
+  }
+
+  const stage = await scraperEnforcementStage();
+  // eslint-disable-next-line react-hooks/purity
+  const since = new Date(Date.now() - WINDOW_DAYS * 86_400_000).toISOString().slice(0, 10);
+
+  const { data: flaggedRows } = await supabase
+    .from('scraper_signal_days')
+    .select('user_id')
+    .gte('day', since)
+    .or('suspicious.gt.0,blocked.gt.0')
+    .order('day', { ascending: false })
+    .limit(MAX_ACCOUNTS * WINDOW_DAYS);
+  const userIds = [...new Set((flaggedRows ?? []).map((r) => r.user_id))].slice(0, MAX_ACCOUNTS);
+
+  let days: SignalDay[] = [];
+  let profiles = new Map<string, ProfileRow>();
+  let restrictions = new Map<string, RestrictionRow>();
+  if (userIds.length > 0) {
+    const [daysRes, profilesRes, restrictionsRes] = await Promise.all([
+      supabase
+        .from('scraper_signal_days')
+        .select(
+          'user_id, day, question_loads, suspicious, blocked, min_median_ms, interval_histogram, last_seen_at',
+        )
+        .gte('day', since)
+        .in('user_id', userIds),
+      supabase
+        .from('profiles')
+        .select('id, email, first_name, last_name, role, banned_at')
+        .in('id', userIds),
+      supabase
+        .from('scraper_restrictions')
+        .select('user_id, mode, reason, created_at')
+        .in('user_id', userIds),
+    ]);
+    days = (daysRes.data ?? []) as SignalDay[];
+    profiles = new Map(((profilesRes.data ?? []) as ProfileRow[]).map((p) => [p.id, p]));
+    restrictions = new Map(((restrictionsRes.data ?? []) as RestrictionRow[]).map((r) => [r.user_id, r]));
+  }
+
+  const accounts = summarizeSignalDays(days);
+
+  return (
+    <main className={a.container}>
+      <nav className={a.breadcrumb}>
+        <Link href="/admin">&larr; Admin</Link>
+      </nav>
+
+      <header className={a.header}>
+        <div className={a.eyebrow}>Admin · Content protection</div>
+        <h1 className={a.h1}>Scraping review</h1>
+        <p className={a.sub}>
+          Accounts whose question loads came faster than a person reads in the last {WINDOW_DAYS} days,
+          worst first.
+        </p>
+        <p className={a.help}>
+          {STAGE_HELP[stage]} The stage is the <code>scraper_enforcement</code> feature flag. Throttle
+          slows an account&apos;s question loads, re-auth refuses content until the user signs in again,
+          and suspend bans the account. Clear lifts the restriction and any ban.
+        </p>
+      </header>
+
+      <section className={a.section}>
+        {accounts.length === 0 ? (
+          <p className={f.muted}>No flagged accounts in this window.</p>
+        ) : (
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>Account</Th>
+                  <Th>Loads</Th>
+                  <Th>Suspicious</Th>
+                  <Th>Blocked</Th>
+                  <Th>Tightest median</Th>
+                  <Th>Interval between loads</Th>
+                  <Th>Status</Th>
+                  <Th>Actions</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.map((acc) => {
+                  const p = profiles.get(acc.userId);
+                  const r = restrictions.get(acc.userId);
+                  const name = [p?.first_name, p?.last_name].filter(Boolean).join(' ') || p?.email || acc.userId;
+                  const peak = Math.max(1, ...acc.histogram);
+                  return (
+                    <tr key={acc.userId}>
+                      <Td>
+                        <Link href={`/admin/users/${acc.userId}`} className={a.link}>
+                          {name}
+                        </Link>
+                        <div className={f.tdMuted}>
+                          {p?.role ?? 'unknown'} · {acc.days}d · last {new Date(acc.lastSeenAt).toLocaleString()}
+                        </div>
+                      </Td>
+                      <Td>{acc.questionLoads}</Td>
+                      <Td>{acc.suspicious}</Td>
+                      <Td>{acc.blocked}</Td>
+                      <Td>{fmtMs(acc.minMedianMs)}</Td>
+                      <Td>
+                        <div className={s.histogram}>
+                          {acc.histogram.map((n, i) => (
+                            <div
+                              key={INTERVAL_BUCKETS[i].label}
+                              className={s.bucket}
+                              title={`${INTERVAL_BUCKETS[i].label}: ${n}`}
+                            >
+                              <div
+                                className={i < 2 ? s.barHot : s.bar}
+                                style={{ height: `${Math.round((n / peak) * 100)}%` }}
+                              />
+                              <span className={s.bucketLabel}>{INTERVAL_BUCKETS[i].label}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </Td>
+                      <Td>
+                        {p?.banned_at ? 'Banned' : r ? RESTRICTION_LABEL[r.mode] : '—'}
+                        {r?.reason && <div className={f.tdMuted}>{r.reason}</div>}
+                      </Td>
+                      <Td>
+                        <ScrapingActions
+                          userId={acc.userId}
+                          mode={r?.mode ?? null}
+                          banned={!!p?.banned_at}
+                          isSelf={acc.userId === profile.id}
+                        />
+                      </Td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -38,9 +38,37 @@ export async function Relationships({ supabase, subject }) {
       </p>
     );
   }
+  if (role === 'guardian') {
+    return <GuardianRelationships supabase={supabase} subject={subject} />;
+  }
   return null;
 }
 
+// Read-only: guardian links are requested by the guardian and answered
+// by the student or a tutor (GuardianLinksSettings), never set by hand.
+async function GuardianRelationships({ supabase, subject }) {
+  const { data: links } = await supabase
+    .from('guardian_links')
+    .select('id, status, relationship, requested_email, profiles!guardian_links_student_id_fkey(id, first_name, last_name, email)')
+    .eq('guardian_id', subject.id)
+    .order('requested_at', { ascending: true });
+
+  return (
+    <div style={S.section}>
+      <h3 style={S.h3}>Linked students ({(links ?? []).filter((l) => l.status === 'approved').length})</h3>
+      <ul style={S.list}>
+        {(links ?? []).map((row) => (
+          <li key={row.id} style={S.listRow}>
+            <span>{displayName(row.profiles) || row.profiles?.email || row.requested_email}</span>
+            <span style={S.empty}>{row.relationship} · {row.status}</span>
+          </li>
+        ))}
+        {(links ?? []).length === 0 && <li style={S.empty}>No link requests.</li>}
+      </ul>
+    </div>
+  );
+}
+
 async function StudentRelationships({ supabase, subject }) {
   const [{ data: tsa }, { data: teachers }] = await Promise.all([
     supabase
@@ -12,6 +12,7 @@ const ROLES = [
   { value: 'manager', label: 'Manager' },
   { value: 'admin', label: 'Admin' },
   { value: 'contributor', label: 'Contributor' },
+  { value: 'guardian', label: 'Guardian' },
 ];
 
 export function RoleChanger({ userId, currentRole }) {
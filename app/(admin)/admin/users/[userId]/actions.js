@@ -12,8 +12,13 @@ import { actionOk, actionFail, ApiError } from '@/lib/api/response';
 // outside-Bluebook-contributor role: no roster, no subscription, reaches
 // only /contribute. Tutors do NOT need it — they hold the contribution
 // capability through is_teacher() — so switching a tutor to it would
-// cost them their roster for nothing.
-const VALID_ROLES = ['practice', 'student', 'teacher', 'manager', 'admin', 'contributor'];
+// cost them their roster for nothing. `guardian` is a parent account
+// that reads linked students through guardian_can_view(); its links come
+// from approved requests, not from this page.
+const VALID_ROLES = ['practice', 'student', 'teacher', 'manager', 'admin', 'contributor', 'guardian'];
+
+// Mirrors the scraper_restrictions.mode CHECK constraint.
+const RESTRICTION_MODES = ['throttle', 'reauth', 'suspend'];
 
 function getUserId(formData) {
   const userId = formData.get('user_id');
@@ -163,12 +168,23 @@ export async function toggleActive(_prev, formData) {
  * with the ban. Distinct from toggleActive's "Inactive" state, which
  * is for routine archiving by a teacher or admin.
  *
+ * Also the entry point for the scraper-detection responses on
+ * /admin/scraping. With an `action` field it records a
+ * scraper_restrictions row, which lib/api/scraperGuard.ts applies
+ * to every question load whenever the scraper_enforcement flag is
+ * not 'off':
+ *
+ *   throttle — hold question loads to the 'scraper.throttled' limit
+ *   reauth   — refuse content until the user signs in again
+ *   suspend  — refuse content and ban as above (needs confirm=BAN)
+ *
  * Form contract:
  *   user_id   — required
- *   confirm   — must equal "BAN" to proceed
- *   reason    — optional free text (currently logged via
- *               revalidatePath only; persisted reason field is a
- *               follow-up if we want an audit trail)
+ *   action    — optional: 'throttle' | 'reauth' | 'suspend'; absent
+ *               means a plain ban
+ *   confirm   — must equal "BAN" for a plain ban or a suspend
+ *   reason    — optional free text, stored on the restriction row
+ *               (a plain ban still doesn't persist it)
  */
 export async function banUser(_prev, formData) {
   let ctx;
@@ -190,25 +206,52 @@ export async function banUser(_prev, formData) {
     return actionFail('You cannot ban your own account.');
   }
 
-  if (formData.get('confirm') !== 'BAN') {
+  const action = formData.get('action') || null;
+  if (action !== null && !RESTRICTION_MODES.includes(action)) {
+    return actionFail(`Invalid action: ${action}`);
+  }
+  const bans = action === null || action === 'suspend';
+
+  if (bans && formData.get('confirm') !== 'BAN') {
     return actionFail('Type BAN to confirm.');
   }
 
-  const { error } = await ctx.supabase
-    .from('profiles')
-    .update({ banned_at: new Date().toISOString(), is_active: false })
-    .eq('id', userId);
+  if (action !== null) {
+    const now = new Date().toISOString();
+    const reason = formData.get('reason');
+    const { error } = await ctx.supabase.from('scraper_restrictions').upsert(
+      {
+        user_id: userId,
+        mode: action,
+        reauth_after: action === 'reauth' ? now : null,
+        reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+        created_by: ctx.user.id,
+        created_at: now,
+      },
+      { onConflict: 'user_id' },
+    );
+    if (error) return actionFail(`Failed: ${error.message}`);
+  }
 
-  if (error) return actionFail(`Failed: ${error.message}`);
+  if (bans) {
+    const { error } = await ctx.supabase
+      .from('profiles')
+      .update({ banned_at: new Date().toISOString(), is_active: false })
+      .eq('id', userId);
+
+    if (error) return actionFail(`Failed: ${error.message}`);
+  }
 
   revalidatePath(`/admin/users/${userId}`);
   revalidatePath('/admin/users');
-  return actionOk({ banned: true });
+  revalidatePath('/admin/scraping');
+  return actionOk({ banned: bans, restriction: action });
 }
 
 /**
- * Reverse a ban. Clears banned_at; leaves is_active alone so the
- * admin can decide whether to also reactivate the account.
+ * Reverse a ban. Clears banned_at and any scraper restriction;
+ * leaves is_active alone so the admin can decide whether to also
+ * reactivate the account.
  */
 export async function unbanUser(_prev, formData) {
   let ctx;
@@ -233,8 +276,16 @@ export async function unbanUser(_prev, formData) {
 
   if (error) return actionFail(`Failed: ${error.message}`);
 
+  const { error: restrictionErr } = await ctx.supabase
+    .from('scraper_restrictions')
+    .delete()
+    .eq('user_id', userId);
+
+  if (restrictionErr) return actionFail(`Failed: ${restrictionErr.message}`);
+
   revalidatePath(`/admin/users/${userId}`);
   revalidatePath('/admin/users');
+  revalidatePath('/admin/scraping');
   return actionOk({ banned: false });
 }
 
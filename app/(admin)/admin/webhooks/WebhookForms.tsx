@@ -0,0 +1,250 @@
+// Client forms for /admin/webhooks. Event, format and consumer options
+// come in as props from the page: lib/webhooks/events.ts pulls in
+// node:crypto, so nothing here imports its values.
+//
+// A generated signing secret is rendered once, from the action's
+// return value, like a freshly issued API key.
+
+'use client';
+
+import { startTransition, useActionState, useState } from 'react';
+import { Button } from '@/lib/ui/Button';
+import { useConfirm } from '@/lib/ui/ConfirmDialog';
+import {
+  createWebhookSubscription,
+  dismissDeadLetter,
+  replayWebhookDelivery,
+  rotateWebhookSecret,
+  updateWebhookSubscription,
+  type IssuedSecret,
+} from './actions';
+import f from '../../forms.module.css';
+
+export interface Option {
+  value: string;
+  label: string;
+}
+
+export interface SubscriptionOptions {
+  events: Option[];
+  formats: Option[];
+  consumers: Option[];
+}
+
+function OneTimeSecret({ issued }: { issued: IssuedSecret & { generated: boolean } }) {
+  const [copied, setCopied] = useState(false);
+  if (!issued.generated) return <span className={f.ok}>Secret saved.</span>;
+  return (
+    <div className={f.hint} role="status">
+      <strong>Copy this signing secret now — it won&apos;t be shown again.</strong>
+      <div className={f.row}>
+        <code style={{ wordBreak: 'break-all' }}>{issued.secret}</code>
+        <Button
+          type="button"
+          size="sm"
+          variant="secondary"
+          onClick={() => {
+            navigator.clipboard?.writeText(issued.secret).then(() => setCopied(true));
+          }}
+        >
+          {copied ? 'Copied' : 'Copy'}
+        </Button>
+      </div>
+      <span className={f.muted}>
+        The receiver verifies the x-studyworks-signature header with it (see scripts/webhook-receiver.mjs).
+      </span>
+    </div>
+  );
+}
+
+function EndpointFields({
+  options,
+  url = '',
+  events = [],
+  format = 'standard',
+  consumerId = null,
+}: {
+  options: SubscriptionOptions;
+  url?: string;
+  events?: readonly string[];
+  format?: string;
+  consumerId?: string | null;
+}) {
+  return (
+    <>
+      <div className={f.grid}>
+        <label className={f.label}>
+          <span className={f.labelText}>Endpoint URL</span>
+          <input name="url" type="url" className={f.input} defaultValue={url} placeholder="https://partner.example.com/hooks" required />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>Body format</span>
+          <select name="format" className={f.select} defaultValue={format}>
+            {options.formats.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>API consumer</span>
+          <select name="consumer_id" className={f.select} defaultValue={consumerId ?? ''}>
+            <option value="">None — every student</option>
+            {options.consumers.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <fieldset className={f.fieldset}>
+        <legend className={f.legend}>Events</legend>
+        {options.events.map((e) => (
+          <label key={e.value} className={f.row}>
+            <input type="checkbox" name="event" value={e.value} defaultChecked={events.includes(e.value)} />
+            <span>
+              <code>{e.value}</code> · {e.label}
+            </span>
+          </label>
+        ))}
+      </fieldset>
+    </>
+  );
+}
+
+export function NewSubscriptionForm({ options }: { options: SubscriptionOptions }) {
+  const [state, action, pending] = useActionState(createWebhookSubscription, null);
+  return (
+    <form action={action} className={f.form}>
+      <div className={f.grid}>
+        <label className={f.label}>
+          <span className={f.labelText}>Name</span>
+          <input name="name" className={f.input} placeholder="e.g. District SIS" required />
+        </label>
+        <label className={f.label}>
+          <span className={f.labelText}>Signing secret</span>
+          <input name="secret" className={f.input} placeholder="Blank = generate" autoComplete="off" />
+        </label>
+      </div>
+      <EndpointFields options={options} />
+      <p className={f.formHint}>
+        With an API consumer, only events about students on its allow-list are sent. Failed deliveries retry with
+        backoff for about two days before landing in dead letters.
+      </p>
+      <div className={f.actions}>
+        <Button type="submit" variant="primary" disabled={pending}>
+          {pending ? 'Creating…' : 'Create subscription'}
+        </Button>
+        {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      </div>
+      {state?.ok && <OneTimeSecret issued={state.data} />}
+    </form>
+  );
+}
+
+export function SubscriptionSettingsForm({
+  subscriptionId,
+  options,
+  url,
+  events,
+  format,
+  consumerId,
+  disabled,
+}: {
+  subscriptionId: string;
+  options: SubscriptionOptions;
+  url: string;
+  events: readonly string[];
+  format: string;
+  consumerId: string | null;
+  disabled: boolean;
+}) {
+  const [state, action, pending] = useActionState(updateWebhookSubscription, null);
+  return (
+    <form action={action} className={f.form}>
+      <input type="hidden" name="subscription_id" value={subscriptionId} />
+      <EndpointFields options={options} url={url} events={events} format={format} consumerId={consumerId} />
+      <label className={f.row}>
+        <input type="checkbox" name="disabled" defaultChecked={disabled} />
+        <span>Disabled — nothing is enqueued, and pending deliveries wait</span>
+      </label>
+      <div className={f.actions}>
+        <Button type="submit" size="sm" variant="secondary" disabled={pending}>
+          {pending ? 'Saving…' : 'Save subscription'}
+        </Button>
+        {state?.ok && <span className={f.ok}>Saved.</span>}
+        {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      </div>
+    </form>
+  );
+}
+
+export function RotateSecretForm({ subscriptionId }: { subscriptionId: string }) {
+  const [state, action, pending] = useActionState(rotateWebhookSecret, null);
+  return (
+    <form action={action} className={f.form}>
+      <input type="hidden" name="subscription_id" value={subscriptionId} />
+      <div className={f.row}>
+        <input name="secret" className={f.input} placeholder="New secret (blank = generate)" autoComplete="off" />
+        <Button type="submit" size="sm" variant="secondary" disabled={pending}>
+          {pending ? '…' : 'Replace secret'}
+        </Button>
+      </div>
+      {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      {state?.ok && <OneTimeSecret issued={state.data} />}
+    </form>
+  );
+}
+
+const REPLAY_RESULT: Record<string, string> = {
+  delivered: 'Delivered.',
+  pending: 'Failed — retrying on the backoff.',
+  dead: 'Failed.',
+  skipped: 'Queued; the subscription is disabled.',
+};
+
+export function ReplayButton({ deliveryId }: { deliveryId: string }) {
+  const [state, action, pending] = useActionState(replayWebhookDelivery, null);
+  return (
+    <form action={action} className={f.row}>
+      <input type="hidden" name="delivery_id" value={deliveryId} />
+      <Button type="submit" size="sm" variant="secondary" disabled={pending}>
+        {pending ? 'Sending…' : 'Replay'}
+      </Button>
+      {state?.ok && (
+        <span className={state.data.result === 'delivered' ? f.ok : f.err}>{REPLAY_RESULT[state.data.result]}</span>
+      )}
+      {state && !state.ok && <span className={f.err}>{state.error}</span>}
+    </form>
+  );
+}
+
+export function DismissDeadLetterButton({ deadLetterId }: { deadLetterId: string }) {
+  const [state, action, pending] = useActionState(dismissDeadLetter, null);
+  const [confirm, confirmDialog] = useConfirm();
+
+  async function onDismiss(e: React.FormEvent<HTMLFormElement>) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const ok = await confirm({
+      title: 'Dismiss this dead letter?',
+      body: 'The event will not be sent. It stays in the delivery log and can still be replayed from there.',
+      confirmLabel: 'Dismiss',
+      tone: 'danger',
+    });
+    if (ok) startTransition(() => action(new FormData(form)));
+  }
+
+  return (
+    <form onSubmit={onDismiss} className={f.row}>
+      <input type="hidden" name="dead_letter_id" value={deadLetterId} />
+      <Button type="submit" size="sm" variant="danger" disabled={pending}>
+        {pending ? '…' : 'Dismiss'}
+      </Button>
+      {state && !state.ok && <span className={f.err}>{state.error}</span>}
+      {confirmDialog}
+    </form>
+  );
+}
@@ -0,0 +1,232 @@
+// Server Actions for /admin/webhooks — outbound webhook subscriptions
+// (lib/webhooks/events.ts) and their delivery log. Admin-only;
+// subscriptions and dead letters are admin-only under RLS, so those
+// writes run on the caller's client. Replay goes through the service
+// role because it records a delivery attempt, which only the delivery
+// path may write.
+//
+// A generated signing secret exists only in the return value of
+// createWebhookSubscription and rotateWebhookSecret; the page never
+// renders a stored secret back.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { adminActionContext, nextDisabledAt } from '../adminActions';
+import { actionOk, actionFail } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import {
+  generateWebhookSecret,
+  isWebhookEvent,
+  isWebhookFormat,
+  webhookUrlError,
+  type WebhookEventType,
+  type WebhookFormat,
+} from '@/lib/webhooks/events';
+import { replayDelivery, type AttemptResult } from '@/lib/webhooks/deliver';
+import type { ActionResult } from '@/lib/types';
+
+const PAGE = '/admin/webhooks';
+const MIN_SECRET_LENGTH = 16;
+
+export type IssuedSecret = {
+  subscriptionId: string;
+  /** Plaintext signing secret. Shown once. */
+  secret: string;
+};
+
+type SubscriptionFields = {
+  url: string;
+  events: WebhookEventType[];
+  format: WebhookFormat;
+  consumer_id: string | null;
+};
+
+function readFields(formData: FormData): { fields?: SubscriptionFields; error?: string } {
+  const url = String(formData.get('url') ?? '').trim();
+  const urlError = webhookUrlError(url, { allowLocalHttp: process.env.NODE_ENV !== 'production' });
+  if (urlError) return { error: urlError };
+  const events = formData.getAll('event').filter(isWebhookEvent);
+  if (events.length === 0) return { error: 'Pick at least one event' };
+  const format = formData.get('format') ?? 'standard';
+  if (!isWebhookFormat(format)) return { error: 'Unknown body format' };
+  if (format === 'lessonworks_sync' && events.some((e) => e !== 'mastery.snapshot')) {
+    return { error: 'The Lessonworks sync format only carries mastery.snapshot' };
+  }
+  const consumerId = String(formData.get('consumer_id') ?? '').trim() || null;
+  return { fields: { url, events, format, consumer_id: consumerId } };
+}
+
+/** Optional admin-supplied secret (e.g. a partner's existing key);
+ *  blank generates one. */
+function readSecret(formData: FormData): { secret: string; generated: boolean; error?: string } {
+  const raw = String(formData.get('secret') ?? '').trim();
+  if (!raw) return { secret: generateWebhookSecret(), generated: true };
+  if (raw.length < MIN_SECRET_LENGTH) {
+    return { secret: '', generated: false, error: `Secret must be at least ${MIN_SECRET_LENGTH} characters` };
+  }
+  return { secret: raw, generated: false };
+}
+
+/**
+ * Register a receiver.
+ *
+ * Form contract:
+ *   name         — required, unique
+ *   url          — https (http://localhost outside production)
+ *   event        — repeated; at least one of WEBHOOK_EVENTS
+ *   format       — 'standard' | 'lessonworks_sync'
+ *   consumer_id  — optional API consumer whose allow-list scopes it
+ *   secret       — optional; blank = generate
+ */
+export async function createWebhookSubscription(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: IssuedSecret & { generated: boolean } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const name = String(formData.get('name') ?? '').trim();
+  if (!name) return actionFail('Name is required');
+  const { fields, error: fieldErr } = readFields(formData);
+  if (!fields) return actionFail(fieldErr ?? 'Invalid subscription');
+  const secret = readSecret(formData);
+  if (secret.error) return actionFail(secret.error);
+
+  const { data, error } = await ctx.supabase
+    .from('webhook_subscriptions')
+    .insert({ name, ...fields, secret: secret.secret, created_by: ctx.user.id })
+    .select('id')
+    .single();
+  if (error || !data) {
+    if (error?.code === '23505') return actionFail('A subscription with that name already exists');
+    return actionFail(`Failed: ${error?.message ?? 'unknown'}`);
+  }
+
+  revalidatePath(PAGE);
+  return actionOk({ subscriptionId: data.id, secret: secret.secret, generated: secret.generated });
+}
+
+/**
+ * Change a subscription's endpoint, events, format, consumer or
+ * disabled state. Pending deliveries keep their payload but go to the
+ * new URL on their next attempt.
+ *
+ * Form contract: subscription_id plus the createWebhookSubscription
+ * fields (minus name and secret), and disabled — 'on' to disable.
+ */
+export async function updateWebhookSubscription(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { subscriptionId: string } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const subscriptionId = formData.get('subscription_id');
+  if (typeof subscriptionId !== 'string' || !subscriptionId) return actionFail('subscription_id required');
+  const { fields, error: fieldErr } = readFields(formData);
+  if (!fields) return actionFail(fieldErr ?? 'Invalid subscription');
+
+  const { data: current } = await ctx.supabase
+    .from('webhook_subscriptions')
+    .select('disabled_at')
+    .eq('id', subscriptionId)
+    .maybeSingle();
+  if (!current) return actionFail('Subscription not found');
+
+  const { error } = await ctx.supabase
+    .from('webhook_subscriptions')
+    .update({
+      ...fields,
+      disabled_at: nextDisabledAt(formData, current.disabled_at),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', subscriptionId);
+  if (error) return actionFail(`Failed: ${error.message}`);
+
+  revalidatePath(PAGE);
+  return actionOk({ subscriptionId });
+}
+
+/**
+ * Replace the signing secret. Takes effect on the next attempt, so
+ * coordinate with the receiver first — it should accept signatures
+ * from either secret until the switch is done.
+ *
+ * Form contract: subscription_id — required; secret — optional, blank
+ * = generate.
+ */
+export async function rotateWebhookSecret(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: IssuedSecret & { generated: boolean } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const subscriptionId = formData.get('subscription_id');
+  if (typeof subscriptionId !== 'string' || !subscriptionId) return actionFail('subscription_id required');
+  const secret = readSecret(formData);
+  if (secret.error) return actionFail(secret.error);
+
+  const { data, error } = await ctx.supabase
+    .from('webhook_subscriptions')
+    .update({ secret: secret.secret, updated_at: new Date().toISOString() })
+    .eq('id', subscriptionId)
+    .select('id');
+  if (error) return actionFail(`Failed: ${error.message}`);
+  if (!data?.length) return actionFail('Subscription not found');
+
+  revalidatePath(PAGE);
+  return actionOk({ subscriptionId, secret: secret.secret, generated: secret.generated });
+}
+
+/**
+ * Send a delivery again — from the log or the dead-letter list — as a
+ * new delivery with a fresh retry budget, attempted immediately.
+ *
+ * Form contract: delivery_id — required.
+ */
+export async function replayWebhookDelivery(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { deliveryId: string; result: AttemptResult } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const deliveryId = formData.get('delivery_id');
+  if (typeof deliveryId !== 'string' || !deliveryId) return actionFail('delivery_id required');
+
+  logger.info(
+    { event: 'service_role_bypass', reason: 'manual webhook replay', user_id: ctx.user.id, caller_role: 'admin' },
+    'service_role_bypass',
+  );
+  const res = await replayDelivery(createServiceClient(), deliveryId, ctx.user.id);
+  if (!res.ok) return actionFail(res.error);
+
+  revalidatePath(PAGE);
+  return actionOk({ deliveryId: res.deliveryId, result: res.result });
+}
+
+/** Close a dead letter without replaying it. Form contract:
+ *  dead_letter_id — required. */
+export async function dismissDeadLetter(
+  _prev: unknown,
+  formData: FormData,
+): Promise<ActionResult<{ data: { deadLetterId: string } }>> {
+  const ctx = await adminActionContext();
+  if ('ok' in ctx) return ctx;
+
+  const deadLetterId = formData.get('dead_letter_id');
+  if (typeof deadLetterId !== 'string' || !deadLetterId) return actionFail('dead_letter_id required');
+
+  const { error } = await ctx.supabase
+    .from('webhook_dead_letters')
+    .update({ resolved_at: new Date().toISOString(), resolved_by: ctx.user.id })
+    .eq('id', deadLetterId)
+    .is('resolved_at', null);
+  if (error) return actionFail(`Failed: ${error.message}`);
+
+  revalidatePath(PAGE);
+  return actionOk({ deadLetterId });
+}
@@ -0,0 +1,412 @@
+// Admin · Webhooks — outbound event subscriptions (lib/webhooks) and
+// their delivery log.
+//
+// One section per subscription: endpoint, events, format and the
+// optional API consumer scoping it, with seven days of delivery counts,
+// then settings and secret rotation. Below that, open dead letters
+// (replay or dismiss) and the delivery log, filterable by subscription
+// and status; ?delivery=<id> opens one delivery's attempts and payload.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import {
+  MAX_DELIVERY_ATTEMPTS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_LABELS,
+  WEBHOOK_FORMATS,
+  type WebhookFormat,
+} from '@/lib/webhooks/events';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import {
+  DismissDeadLetterButton,
+  NewSubscriptionForm,
+  ReplayButton,
+  RotateSecretForm,
+  SubscriptionSettingsForm,
+  type SubscriptionOptions,
+} from './WebhookForms';
+import f from '../../forms.module.css';
+import a from '../../admin.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const STATS_DAYS = 7;
+const STATS_ROW_CAP = 20_000;
+const LOG_ROWS = 100;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'] as const;
+
+const FORMAT_LABELS: Record<WebhookFormat, string> = {
+  standard: 'Signed JSON envelope',
+  lessonworks_sync: 'Lessonworks sync ({ students: [...] }, x-api-key)',
+};
+
+interface SubscriptionRow {
+  id: string;
+  name: string;
+  url: string;
+  events: string[];
+  format: string;
+  consumer_id: string | null;
+  disabled_at: string | null;
+  created_at: string;
+}
+
+interface DeliveryRow {
+  id: string;
+  subscription_id: string;
+  event_id: string;
+  event_type: string;
+  student_id: string | null;
+  status: string;
+  attempts: number;
+  next_attempt_at: string;
+  last_status_code: number | null;
+  last_error: string | null;
+  delivered_at: string | null;
+  replay_of: string | null;
+  created_at: string;
+}
+
+interface DeadLetterRow {
+  id: string;
+  delivery_id: string;
+  subscription_id: string;
+  event_type: string;
+  attempts: number;
+  last_status_code: number | null;
+  last_error: string | null;
+  created_at: string;
+}
+
+function fmt(ts: string | null) {
+  return ts ? new Date(ts).toLocaleString() : '—';
+}
+
+function logHref(params: { subscription?: string; status?: string; delivery?: string }) {
+  const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => !!v) as [string, string][]);
+  const s = qs.toString();
+  return s ? `/admin/webhooks?${s}#log` : '/admin/webhooks#log';
+}
+
+export default async function AdminWebhooksPage({
+  searchParams,
+}: {
+  searchParams: Promise<{ subscription?: string; status?: string; delivery?: string }>;
+}) {
+  const sp = (await searchParams) ?? {};
+  const { profile, supabase } = await requireUser();
+
+  if (profile.role !== 'admin') {
+    if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
+    if (profile.role === 'student') redirect('/dashboard');
+    redirect('/');
+  }
+
+  // eslint-disable-next-line react-hooks/purity
+  const since = new Date(Date.now() - STATS_DAYS * 86_400_000).toISOString();
+  const statusFilter = (DELIVERY_STATUSES as readonly string[]).includes(sp.status ?? '') ? sp.status : undefined;
+
+  let logQuery = supabase
+    .from('webhook_deliveries')
+    .select(
+      'id, subscription_id, event_id, event_type, student_id, status, attempts, next_attempt_at, last_status_code, last_error, delivered_at, replay_of, created_at',
+    )
+    .order('created_at', { ascending: false })
+    .limit(LOG_ROWS);
+  if (sp.subscription) logQuery = logQuery.eq('subscription_id', sp.subscription);
+  if (statusFilter) logQuery = logQuery.eq('status', statusFilter);
+
+  const [subsRes, consumersRes, statsRes, deadRes, logRes] = await Promise.all([
+    supabase
+      .from('webhook_subscriptions')
+      .select('id, name, url, events, format, consumer_id, disabled_at, created_at')
+      .order('name', { ascending: true }),
+    supabase.from('api_consumers').select('id, name').order('name', { ascending: true }),
+    supabase
+      .from('webhook_deliveries')
+      .select('subscription_id, status')
+      .gte('created_at', since)
+      .limit(STATS_ROW_CAP),
+    supabase
+      .from('webhook_dead_letters')
+      .select('id, delivery_id, subscription_id, event_type, attempts, last_status_code, last_error, created_at')
+      .is('resolved_at', null)
+      .order('created_at', { ascending: false }),
+    logQuery,
+  ]);
+  const subs = (subsRes.data ?? []) as SubscriptionRow[];
+  const consumers = consumersRes.data ?? [];
+  const deadLetters = (deadRes.data ?? []) as DeadLetterRow[];
+  const log = (logRes.data ?? []) as DeliveryRow[];
+  const subName = new Map(subs.map((s) => [s.id, s.name]));
+  const consumerName = new Map(consumers.map((c) => [c.id, c.name]));
+
+  const stats = new Map<string, Record<string, number>>();
+  for (const row of statsRes.data ?? []) {
+    const s = stats.get(row.subscription_id) ?? { pending: 0, delivered: 0, dead: 0 };
+    s[row.status] = (s[row.status] ?? 0) + 1;
+    stats.set(row.subscription_id, s);
+  }
+
+  const options: SubscriptionOptions = {
+    events: WEBHOOK_EVENTS.map((e) => ({ value: e, label: WEBHOOK_EVENT_LABELS[e] })),
+    formats: WEBHOOK_FORMATS.map((v) => ({ value: v, label: FORMAT_LABELS[v] })),
+    consumers: consumers.map((c) => ({ value: c.id, label: c.name })),
+  };
+
+  const detail = sp.delivery ? await loadDeliveryDetail(supabase, sp.delivery) : null;
+
+  return (
+    <main className={a.container}>
+      <nav className={a.breadcrumb}>
+        <Link href="/admin">&larr; Admin</Link>
+      </nav>
+
+      <header className={a.header}>
+        <div className={a.eyebrow}>Admin · Integrations</div>
+        <h1 className={a.h1}>Webhooks</h1>
+        <p className={a.sub}>
+          Partners subscribe an HTTPS endpoint to events &mdash; completed practice tests and assignments, the
+          nightly mastery snapshot, provisioned students and activated plans. Lessonworks is one of these
+          subscriptions.
+        </p>
+        <p className={a.help}>
+          Every body is signed (HMAC-SHA256 in the x-studyworks-signature header). Failed deliveries retry with
+          backoff, up to {MAX_DELIVERY_ATTEMPTS} attempts, then land in dead letters for replay.
+        </p>
+      </header>
+
+      <section className={a.section}>
+        <h2 className={a.h2}>New subscription</h2>
+        <NewSubscriptionForm options={options} />
+      </section>
+
+      {subs.map((s) => {
+        const st = stats.get(s.id);
+        return (
+          <section key={s.id} className={a.section}>
+            <h2 className={a.h2}>
+              {s.name}
+              {s.disabled_at && <span className={f.muted}> · disabled {fmt(s.disabled_at)}</span>}
+            </h2>
+            <p className={f.muted}>
+              <code>{s.url}</code> · {FORMAT_LABELS[s.format as WebhookFormat] ?? s.format}
+              {s.consumer_id && ` · scoped to ${consumerName.get(s.consumer_id) ?? 'a deleted consumer'}`}
+            </p>
+            <p className={f.muted}>{s.events.join(' · ')}</p>
+            <p>
+              Last {STATS_DAYS} days: {st?.delivered ?? 0} delivered · {st?.pending ?? 0} pending · {st?.dead ?? 0}{' '}
+              dead · <Link href={logHref({ subscription: s.id })}>delivery log</Link>
+            </p>
+            <details>
+              <summary className={a.sectionLabel}>Endpoint, events and status</summary>
+              <SubscriptionSettingsForm
+                subscriptionId={s.id}
+                options={options}
+                url={s.url}
+                events={s.events}
+                format={s.format}
+                consumerId={s.consumer_id}
+                disabled={!!s.disabled_at}
+              />
+            </details>
+            <details>
+              <summary className={a.sectionLabel}>Signing secret</summary>
+              <RotateSecretForm subscriptionId={s.id} />
+            </details>
+          </section>
+        );
+      })}
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Dead letters</h2>
+        {deadLetters.length === 0 ? (
+          <p className={f.muted}>None open.</p>
+        ) : (
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>Dead since</Th>
+                  <Th>Subscription</Th>
+                  <Th>Event</Th>
+                  <Th>Last failure</Th>
+                  <Th>Actions</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {deadLetters.map((d) => (
+                  <tr key={d.id}>
+                    <Td>{fmt(d.created_at)}</Td>
+                    <Td>{subName.get(d.subscription_id) ?? '—'}</Td>
+                    <Td>
+                      <Link href={logHref({ delivery: d.delivery_id })}>{d.event_type}</Link>
+                    </Td>
+                    <Td>
+                      {d.last_status_code != null ? `HTTP ${d.last_status_code}` : 'No response'}
+                      <div className={f.tdMuted}>
+                        {d.attempts} attempt(s){d.last_error && ` · ${d.last_error}`}
+                      </div>
+                    </Td>
+                    <Td>
+                      <div className={f.row}>
+                        <ReplayButton deliveryId={d.delivery_id} />
+                        <DismissDeadLetterButton deadLetterId={d.id} />
+                      </div>
+                    </Td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </section>
+
+      {detail && (
+        <section className={a.section}>
+          <h2 className={a.h2}>Delivery {detail.delivery.id.slice(0, 8)}</h2>
+          <p className={f.muted}>
+            {subName.get(detail.delivery.subscription_id) ?? '—'} · {detail.delivery.event_type} ·{' '}
+            <code>{detail.delivery.event_id}</code> · {detail.delivery.status}
+            {detail.delivery.replay_of && (
+              <>
+                {' '}
+                · replay of{' '}
+                <Link href={logHref({ delivery: detail.delivery.replay_of })}>
+                  {detail.delivery.replay_of.slice(0, 8)}
+                </Link>
+              </>
+            )}
+          </p>
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>#</Th>
+                  <Th>When</Th>
+                  <Th>Result</Th>
+                  <Th>Duration</Th>
+                  <Th>Response</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {detail.attempts.length === 0 && (
+                  <tr>
+                    <Td colSpan={5} className={f.tdMuted}>
+                      Not attempted yet.
+                    </Td>
+                  </tr>
+                )}
+                {detail.attempts.map((t) => (
+                  <tr key={t.attempt}>
+                    <Td>{t.attempt}</Td>
+                    <Td>{fmt(t.created_at)}</Td>
+                    <Td>{t.status_code != null ? `HTTP ${t.status_code}` : t.error}</Td>
+                    <Td>{t.duration_ms} ms</Td>
+                    <Td className={f.tdMuted}>{t.response_excerpt ?? '—'}</Td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+          <details>
+            <summary className={a.sectionLabel}>Payload</summary>
+            <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>
+              {JSON.stringify(detail.delivery.payload, null, 2)}
+            </pre>
+          </details>
+          {detail.delivery.status !== 'pending' && <ReplayButton deliveryId={detail.delivery.id} />}
+        </section>
+      )}
+
+      <section className={a.section} id="log">
+        <h2 className={a.h2}>Delivery log</h2>
+        <p className={f.muted}>
+          <Link href={logHref({ subscription: sp.subscription })}>All</Link>
+          {DELIVERY_STATUSES.map((st) => (
+            <span key={st}>
+              {' · '}
+              {statusFilter === st ? (
+                <strong>{st}</strong>
+              ) : (
+                <Link href={logHref({ subscription: sp.subscription, status: st })}>{st}</Link>
+              )}
+            </span>
+          ))}
+          {sp.subscription && (
+            <>
+              {' · '}
+              {subName.get(sp.subscription) ?? 'unknown subscription'} (
+              <Link href={logHref({ status: statusFilter })}>every subscription</Link>)
+            </>
+          )}
+        </p>
+        {log.length === 0 ? (
+          <p className={f.muted}>No deliveries.</p>
+        ) : (
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>Created</Th>
+                  <Th>Subscription</Th>
+                  <Th>Event</Th>
+                  <Th>Status</Th>
+                  <Th>Last result</Th>
+                  <Th>Actions</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {log.map((d) => (
+                  <tr key={d.id}>
+                    <Td>
+                      {fmt(d.created_at)}
+                      {d.replay_of && <div className={f.tdMuted}>replay</div>}
+                    </Td>
+                    <Td>{subName.get(d.subscription_id) ?? '—'}</Td>
+                    <Td>
+                      <Link href={logHref({ delivery: d.id })}>{d.event_type}</Link>
+                    </Td>
+                    <Td>
+                      {d.status}
+                      <div className={f.tdMuted}>
+                        {d.status === 'delivered'
+                          ? fmt(d.delivered_at)
+                          : d.status === 'pending'
+                            ? `attempt ${d.attempts + 1} at ${fmt(d.next_attempt_at)}`
+                            : `after ${d.attempts} attempt(s)`}
+                      </div>
+                    </Td>
+                    <Td>
+                      {d.last_status_code != null ? `HTTP ${d.last_status_code}` : d.attempts > 0 ? 'No response' : '—'}
+                      {d.last_error && <div className={f.tdMuted}>{d.last_error}</div>}
+                    </Td>
+                    <Td>{d.status !== 'pending' && <ReplayButton deliveryId={d.id} />}</Td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
+
+async function loadDeliveryDetail(supabase: TypedSupabaseClient, deliveryId: string) {
+  const [{ data: delivery }, { data: attempts }] = await Promise.all([
+    supabase
+      .from('webhook_deliveries')
+      .select('id, subscription_id, event_id, event_type, status, payload, replay_of')
+      .eq('id', deliveryId)
+      .maybeSingle(),
+    supabase
+      .from('webhook_delivery_attempts')
+      .select('attempt, status_code, error, duration_ms, response_excerpt, created_at')
+      .eq('delivery_id', deliveryId)
+      .order('attempt', { ascending: true }),
+  ]);
+  return delivery ? { delivery, attempts: attempts ?? [] } : null;
+}
@@ -38,6 +38,9 @@ export default async function AdminTreeLayout({ children }) {
     if (profile.role === 'practice') {
       redirect('/subscribe');
     }
+    if (profile.role === 'guardian') {
+      redirect('/guardian');
+    }
     redirect('/');
   }
 
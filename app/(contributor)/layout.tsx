@@ -37,6 +37,7 @@ export default async function ContributorTreeLayout({
   if (!isStaff && !isContributor) {
     if (profile.role === 'student') redirect('/dashboard');
     if (profile.role === 'practice') redirect('/practice/start');
+    if (profile.role === 'guardian') redirect('/guardian');
     redirect('/');
   }
 
@@ -0,0 +1,100 @@
+// Client islands for the guardian portal: the link request form and
+// the per-row Withdraw / Unlink button.
+
+'use client';
+
+import { useActionState, useRef, useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/lib/ui/Button';
+import { useConfirm } from '@/lib/ui/ConfirmDialog';
+import { revokeGuardianLink } from '@/lib/guardian/guardian-link-actions';
+import type { ActionResult } from '@/lib/types';
+import { requestGuardianLink } from './actions';
+import s from './Guardian.module.css';
+
+export function RequestLinkForm() {
+  const formRef = useRef<HTMLFormElement>(null);
+  const [state, formAction, pending] = useActionState<ActionResult | null, FormData>(
+    async (prev, formData) => {
+      const result = await requestGuardianLink(prev, formData);
+      if (result?.ok) formRef.current?.reset();
+      return result;
+    },
+    null,
+  );
+  return (
+    <form ref={formRef} action={formAction}>
+      <div className={s.inlineForm}>
+        <input
+          name="email"
+          type="email"
+          required
+          placeholder="student@example.com"
+          aria-label="Your student's email address"
+          className={s.input}
+          disabled={pending}
+        />
+        <select name="relationship" defaultValue="parent" aria-label="Relationship" className={s.select} disabled={pending}>
+          <option value="parent">Parent</option>
+          <option value="guardian">Guardian</option>
+        </select>
+        <Button type="submit" variant="primary" size="sm" disabled={pending}>
+          {pending ? 'Sending…' : 'Ask to link'}
+        </Button>
+      </div>
+      {state && !state.ok && <p role="alert" className={s.error}>{state.error}</p>}
+      {state?.ok && (
+        <p className={s.ok}>Request sent. It appears here as soon as your student or their tutor approves it.</p>
+      )}
+    </form>
+  );
+}
+
+export function UnlinkButton({
+  linkId,
+  studentId,
+  approved,
+}: {
+  linkId: string;
+  studentId: string;
+  approved: boolean;
+}) {
+  const router = useRouter();
+  const [confirm, confirmDialog] = useConfirm();
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+
+  async function onClick() {
+    if (approved) {
+      const ok = await confirm({
+        title: 'Unlink this student?',
+        body: 'You stop seeing their progress. Linking again needs a new approval.',
+        confirmLabel: 'Unlink',
+        tone: 'danger',
+      });
+      if (!ok) return;
+    }
+    setError(null);
+    startTransition(async () => {
+      const f = new FormData();
+      f.set('id', linkId);
+      f.set('student_id', studentId);
+      const res = await revokeGuardianLink(null, f);
+      if (!res.ok) {
+        setError(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <>
+      <button type="button" className={s.linkBtn} disabled={pending} onClick={onClick}>
+        {approved ? 'Unlink' : 'Withdraw'}
+      </button>
+      {error && <span role="alert" className={s.error}>{error}</span>}
+      {confirmDialog}
+    </>
+  );
+}
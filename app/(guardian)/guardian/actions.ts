@@ -0,0 +1,53 @@
+// Guardian portal actions — asking to link with a student. Withdrawing
+// a request or ending a link uses the shared revokeGuardianLink
+// (lib/guardian/guardian-link-actions.ts).
+//
+// The request is written by request_guardian_link() in
+// 20261019330000_guardians.sql, which checks the caller is a guardian
+// and finds the student by email. It says when no student account uses
+// the address, so the request is rate limited (guardian.link_request).
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { requireRole } from '@/lib/api/auth';
+import { actionFail, actionOk, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import type { ActionResult } from '@/lib/types';
+
+const REQUEST_MESSAGES: Record<string, string> = {
+  not_guardian: 'Only parent and guardian accounts can ask to link with a student.',
+  bad_relationship: 'Choose parent or guardian.',
+  no_student: 'No student account uses that email. Check it with your student.',
+  already_linked: 'You are already linked with that student.',
+  already_pending: 'You have already asked. Your student or their tutor needs to approve it.',
+};
+
+export async function requestGuardianLink(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  let ctx;
+  try {
+    ctx = await requireRole(['guardian']);
+  } catch (e) {
+    return e instanceof ApiError ? e.toActionResult() : actionFail('Unexpected error');
+  }
+
+  const rl = await checkRateLimit('guardian.link_request', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
+
+  const email = String(formData.get('email') || '').trim();
+  const relationship = String(formData.get('relationship') || 'parent');
+  if (!email) return actionFail("Enter your student's email address.");
+
+  const { data: outcome, error } = await ctx.supabase.rpc('request_guardian_link', {
+    p_email: email,
+    p_relationship: relationship,
+  });
+  if (error) return actionFail('Could not send the request.');
+  if (outcome !== 'requested') return actionFail(REQUEST_MESSAGES[outcome] ?? 'Could not send the request.');
+
+  revalidatePath('/guardian');
+  return actionOk();
+}
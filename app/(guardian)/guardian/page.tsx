@@ -0,0 +1,86 @@
+// Guardian portal home — the linked students, requests still waiting
+// for approval, and the form to ask for a new link.
+//
+// Read through the guardian's RLS-scoped client (loadLinkedStudents).
+// A pending request shows the address the guardian typed, not the
+// student's name: until the student or a tutor approves, asking
+// reveals nothing about who owns the account.
+
+import Link from 'next/link';
+import { requireUserPage } from '@/lib/api/auth';
+import { formatDate } from '@/lib/formatters';
+import { loadLinkedStudents } from '@/lib/guardian/load-guardian-links';
+import { RequestLinkForm, UnlinkButton } from './GuardianForms';
+import s from './Guardian.module.css';
+
+export const dynamic = 'force-dynamic';
+
+export default async function GuardianHomePage() {
+  const { user, profile, supabase } = await requireUserPage();
+  const links = await loadLinkedStudents(supabase, user.id);
+  const approved = links.filter((l) => l.status === 'approved');
+  const pending = links.filter((l) => l.status === 'pending');
+
+  return (
+    <main className={s.container}>
+      <header className={s.header}>
+        <div className={s.eyebrow}>Family</div>
+        <h1 className={s.h1}>{profile.first_name ? `Welcome, ${profile.first_name}` : 'My students'}</h1>
+        <p className={s.sub}>
+          See each linked student&rsquo;s study plan, scores, assignments and the notes their tutor
+          shares with you. This view is read-only.
+        </p>
+      </header>
+
+      <section className={s.card}>
+        <div className={s.cardHeader}>
+          <h2 className={s.sectionLabel}>Linked students</h2>
+        </div>
+        {approved.length === 0 ? (
+          <p className={s.muted}>No linked students yet. Ask to link below.</p>
+        ) : (
+          <ul className={s.list}>
+            {approved.map((l) => (
+              <li key={l.linkId} className={s.row}>
+                <Link href={`/guardian/students/${l.studentId}`} className={s.rowLink}>
+                  {l.label}
+                </Link>
+                <UnlinkButton linkId={l.linkId} studentId={l.studentId} approved />
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {pending.length > 0 && (
+        <section className={s.card}>
+          <div className={s.cardHeader}>
+            <h2 className={s.sectionLabel}>Waiting for approval</h2>
+          </div>
+          <ul className={s.list}>
+            {pending.map((l) => (
+              <li key={l.linkId} className={s.row}>
+                <span className={s.rowMain}>
+                  {l.label}
+                  <span className={s.muted}> · asked {formatDate(l.requestedAt)}</span>
+                </span>
+                <UnlinkButton linkId={l.linkId} studentId={l.studentId} approved={false} />
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className={s.card}>
+        <div className={s.cardHeader}>
+          <h2 className={s.sectionLabel}>Link a student</h2>
+        </div>
+        <p className={s.muted}>
+          Enter the email your student signs in with. They, or their tutor, approve the request
+          from their account.
+        </p>
+        <RequestLinkForm />
+      </section>
+    </main>
+  );
+}
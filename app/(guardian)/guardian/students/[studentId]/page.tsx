@@ -0,0 +1,285 @@
+// Guardian · one linked student — read-only progress: the Today plan,
+// score history, assignments and their completion, and the tutor notes
+// marked to share.
+//
+// Everything loads through the guardian's RLS-scoped client, so the
+// *_guardian_select policies (20261019330000_guardians.sql) are the
+// real gate and this page can't show more than they allow. The
+// guardian_can_view() call up front turns an unlinked or pending
+// student into a 404 instead of a page of empty cards. Shaping lives
+// in lib/guardian/progress.ts and lib/plan/today.ts.
+
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { requireUserPage } from '@/lib/api/auth';
+import { formatDate } from '@/lib/formatters';
+import { assignmentProgressOf, cardName, scoreHistoryOf } from '@/lib/guardian/progress';
+import { buildTodayView, taskTitle, taskWhy } from '@/lib/plan/today';
+import type { TodayTaskRow } from '@/lib/plan/today';
+import type { PlanTaskType } from '@/lib/plan/generate-plan';
+import s from '../../Guardian.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const NOTES_SHOWN = 20;
+const SCORES_SHOWN = 12;
+
+const ASSIGNMENT_STATE: Record<string, { label: string; className: string }> = {
+  late: { label: 'Overdue', className: s.pillLate },
+  open: { label: 'To do', className: s.pillOpen },
+  completed: { label: 'Done', className: s.pillDone },
+};
+
+export default async function GuardianStudentPage({
+  params,
+}: {
+  params: Promise<{ studentId: string }>;
+}) {
+  const { studentId } = await params;
+  const { supabase } = await requireUserPage();
+
+  const { data: linked } = await supabase.rpc('guardian_can_view', { target: studentId });
+  if (!linked) notFound();
+
+  const [
+    { data: card },
+    { data: plan },
+    { data: testRows },
+    { data: officialRows },
+    { data: assignmentRows },
+    { data: noteRows },
+  ] = await Promise.all([
+    supabase.from('profile_cards').select('first_name, last_name').eq('id', studentId).maybeSingle(),
+    supabase
+      .from('study_plans')
+      .select('id, goal_score, test_date')
+      .eq('student_id', studentId)
+      .eq('status', 'active')
+      .order('test_type', { ascending: false }) // 'sat' > 'act', as on Today
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('practice_test_attempts_v2')
+      .select(`
+        id, finished_at, composite_score, rw_scaled, math_scaled, sections_only,
+        practice_test:practice_tests_v2(name)
+      `)
+      .eq('user_id', studentId)
+      .eq('status', 'completed')
+      .order('finished_at', { ascending: false })
+      .limit(SCORES_SHOWN),
+    supabase
+      .from('sat_official_scores')
+      .select('id, test_date, composite_score, rw_score, math_score, test_type')
+      .eq('student_id', studentId)
+      .order('test_date', { ascending: false }),
+    supabase
+      .from('assignment_students_v2')
+      .select(`
+        completed_at,
+        assignment:assignments_v2 (id, assignment_type, title, due_date, archived_at, deleted_at, created_at)
+      `)
+      .eq('student_id', studentId),
+    supabase
+      .from('tutor_notes')
+      .select('id, author_id, body, session_at')
+      .eq('student_id', studentId)
+      .eq('shareable', true)
+      .order('session_at', { ascending: false })
+      .limit(NOTES_SHOWN),
+  ]);
+
+  const { data: taskRows } = plan
+    ? await supabase
+        .from('plan_tasks')
+        .select('id, week_index, scheduled_date, task_type, payload, status, completed_at, source')
+        .eq('plan_id', plan.id)
+        .order('scheduled_date', { ascending: true, nullsFirst: true })
+        .order('created_at', { ascending: true })
+    : { data: null };
+
+  const authorIds = [...new Set((noteRows ?? []).map((n) => n.author_id))];
+  const { data: authorCards } = authorIds.length
+    ? await supabase.from('profile_cards').select('id, first_name, last_name').in('id', authorIds)
+    : { data: [] };
+  const authors = new Map((authorCards ?? []).map((c) => [c.id, c]));
+
+  const today = new Date().toISOString().slice(0, 10);
+  const tasks: TodayTaskRow[] = (taskRows ?? []).map((t) => ({
+    id: t.id,
+    weekIndex: t.week_index,
+    scheduledDate: t.scheduled_date,
+    taskType: t.task_type as PlanTaskType,
+    payload: (t.payload ?? {}) as Record<string, unknown>,
+    status: (t.status ?? 'pending') as TodayTaskRow['status'],
+    completedAt: t.completed_at,
+    source: t.source ?? 'generated',
+  }));
+  const view = plan ? buildTodayView(tasks, today, plan.test_date) : null;
+
+  const scores = scoreHistoryOf(
+    (testRows ?? []).map((t) => ({ ...t, testName: t.practice_test?.name ?? null })),
+    officialRows ?? [],
+  ).slice(0, SCORES_SHOWN);
+  const assignments = assignmentProgressOf(assignmentRows ?? [], today);
+  const assignmentTotal = assignments.items.length;
+
+  const name = cardName(card, 'Your student');
+
+  return (
+    <main className={s.container}>
+      <header className={s.header}>
+        <Link href="/guardian" className={s.back}>← My students</Link>
+        <h1 className={s.h1}>{name}</h1>
+        <div className={s.pills}>
+          {plan?.goal_score != null && (
+            <span className={s.pill}>Target <strong>{plan.goal_score}</strong></span>
+          )}
+          {view?.daysToTest != null && view.daysToTest >= 0 && (
+            <span className={s.pill}>
+              {view.daysToTest === 0
+                ? 'Test day'
+                : `${view.daysToTest} day${view.daysToTest === 1 ? '' : 's'} to test`}
+            </span>
+          )}
+        </div>
+      </header>
+
+      {/* ---------- Today ---------- */}
+      <section className={s.card}>
+        <div className={s.cardHeader}>
+          <h2 className={s.sectionLabel}>Today&rsquo;s plan</h2>
+          {view?.week && view.week.count > 0 && (
+            <span className={s.muted}>
+              Week {view.week.index + 1} of {view.week.total} · {view.week.done} of {view.week.count} done
+            </span>
+          )}
+        </div>
+        {!view ? (
+          <p className={s.muted}>No study plan yet.</p>
+        ) : view.due.length === 0 && view.doneToday.length === 0 ? (
+          <p className={s.muted}>
+            {view.planFinished ? 'Plan complete — every task is done.' : 'Nothing due today.'}
+            {view.upNext &&
+              ` Up next: ${taskTitle(view.upNext)}${
+                view.upNext.scheduledDate ? ` · ${formatDate(view.upNext.scheduledDate)}` : ''
+              }.`}
+          </p>
+        ) : (
+          <ul className={s.list}>
+            {view.doneToday.map((t) => (
+              <li key={t.id} className={s.row}>
+                <span className={s.rowMain}>{taskTitle(t)}</span>
+                <span className={`${s.pill} ${s.pillDone}`}>Done</span>
+              </li>
+            ))}
+            {view.due.map((t) => (
+              <li key={t.id} className={s.row}>
+                <span className={s.rowMain}>
+                  {taskTitle(t)}
+                  {taskWhy(t) && <span className={s.muted}> · {taskWhy(t)}</span>}
+                </span>
+                {t.scheduledDate != null && t.scheduledDate < today ? (
+                  <span className={`${s.pill} ${s.pillLate}`}>Catch-up</span>
+                ) : (
+                  <span className={`${s.pill} ${s.pillOpen}`}>To do</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* ---------- Scores ---------- */}
+      <section className={s.card}>
+        <div className={s.cardHeader}>
+          <h2 className={s.sectionLabel}>Score history</h2>
+        </div>
+        {scores.length === 0 ? (
+          <p className={s.muted}>No practice tests or official scores yet.</p>
+        ) : (
+          <table className={s.table}>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Test</th>
+                <th className={s.num}>Total</th>
+                <th className={s.num}>R&amp;W</th>
+                <th className={s.num}>Math</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scores.map((p) => (
+                <tr key={`${p.source}:${p.id}`}>
+                  <td>{formatDate(p.date)}</td>
+                  <td>{p.label}</td>
+                  <td className={s.num}><strong>{p.composite}</strong></td>
+                  <td className={s.num}>{p.rw ?? '—'}</td>
+                  <td className={s.num}>{p.math ?? '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {/* ---------- Assignments ---------- */}
+      <section className={s.card}>
+        <div className={s.cardHeader}>
+          <h2 className={s.sectionLabel}>Assignments</h2>
+          {assignmentTotal > 0 && (
+            <span className={s.muted}>
+              {assignments.completed} of {assignmentTotal} done
+              {assignments.late > 0 && ` · ${assignments.late} overdue`}
+            </span>
+          )}
+        </div>
+        {assignmentTotal === 0 ? (
+          <p className={s.muted}>No assignments from a tutor yet.</p>
+        ) : (
+          <ul className={s.list}>
+            {assignments.items.map((a) => {
+              const state = ASSIGNMENT_STATE[a.state];
+              return (
+                <li key={a.id} className={s.row}>
+                  <span className={s.rowMain}>
+                    {a.title}
+                    <span className={s.muted}>
+                      {a.state === 'completed'
+                        ? ` · finished ${formatDate(a.completedAt)}`
+                        : a.dueDate
+                          ? ` · due ${formatDate(a.dueDate)}`
+                          : ''}
+                    </span>
+                  </span>
+                  <span className={`${s.pill} ${state.className}`}>{state.label}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+
+      {/* ---------- Shared notes ---------- */}
+      <section className={s.card}>
+        <div className={s.cardHeader}>
+          <h2 className={s.sectionLabel}>Notes from the tutor</h2>
+        </div>
+        {(noteRows ?? []).length === 0 ? (
+          <p className={s.muted}>No notes shared yet. Tutors choose which session notes to share.</p>
+        ) : (
+          <ul className={s.notes}>
+            {(noteRows ?? []).map((n) => (
+              <li key={n.id} className={s.note}>
+                <div className={s.muted}>
+                  {formatDate(n.session_at)} · {cardName(authors.get(n.author_id), 'Tutor')}
+                </div>
+                <p className={s.noteBody}>{n.body}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </main>
+  );
+}
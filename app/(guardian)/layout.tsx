@@ -0,0 +1,49 @@
+// Guardian-tree shell.
+//
+// Its own route group because the audience shares nothing with the
+// other trees: a parent account with no practice, no roster and no
+// subscription, reading linked students through guardian_can_view().
+// Every other role is sent to its own home — the portal's pages assume
+// a guardian caller, and a staff member looking at a student already
+// has the tutor student page.
+//
+// Chrome follows the contributor tree: a short nav of the surfaces a
+// guardian can actually reach.
+
+import { redirect } from 'next/navigation';
+import { requireUserPage } from '@/lib/api/auth';
+import { sidebarEnabledFor } from '@/lib/flags-server';
+import { AppNav } from '@/lib/ui/AppNav';
+import { AppShell } from '@/lib/ui/AppSidebar';
+import { guardianLinks, guardianSections } from '@/lib/ui/nav-links';
+
+export default async function GuardianTreeLayout({
+  children,
+}: {
+  children: React.ReactNode;
+}) {
+  const { user, profile } = await requireUserPage();
+
+  if (profile.role !== 'guardian') redirect('/');
+
+  const navUser = {
+    email: user.email ?? '',
+    role: profile.role,
+    firstName: profile.first_name ?? null,
+  };
+
+  if (await sidebarEnabledFor(profile.role)) {
+    return (
+      <AppShell user={navUser} sections={guardianSections()}>
+        {children}
+      </AppShell>
+    );
+  }
+
+  return (
+    <>
+      <AppNav user={navUser} links={guardianLinks()} />
+      {children}
+    </>
+  );
+}
@@ -10,6 +10,11 @@
 // can fail with a clean message instead of an RLS miss returning 0
 // rows and looking like a generic "not found".
 //
+// Adaptive assignments have no shared question_ids: each start that
+// doesn't resume draws the student's own set from the recipe
+// (lib/practice/adaptive-server.ts), so a Redo re-draws from their
+// mastery as it stands now.
+//
 // Signature is (prevState, formData) to match useActionState's
 // contract and the rest of the Phase 2 Server Actions. The form on
 // the detail page carries assignment_id as a hidden input.
@@ -18,8 +23,10 @@
 
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { isQuestionSetType } from '@/lib/practice/adaptive';
+import { drawAdaptiveSet } from '@/lib/practice/adaptive-server';
 
 export async function startAssignmentPractice(_prevState, formData) {
   let ctx;
@@ -32,13 +39,8 @@ export async function startAssignmentPractice(_prevState, formData) {
   const { user, supabase } = ctx;
 
   // Same 20-per-minute cap as the generic /practice/start action.
-  const rl = await rateLimit(`practice-start:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many session starts. Please wait a moment and try again.');
-  }
+  const rl = await checkRateLimit('practice.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const assignmentId = formData?.get?.('assignment_id');
   if (!assignmentId || typeof assignmentId !== 'string') {
@@ -49,7 +51,7 @@ export async function startAssignmentPractice(_prevState, formData) {
   // missing row here means "not mine" — same user-visible treatment.
   const { data: assignment } = await supabase
     .from('assignments_v2')
-    .select('id, assignment_type, question_ids, deleted_at')
+    .select('id, assignment_type, question_ids, filter_criteria, deleted_at')
     .eq('id', assignmentId)
     .maybeSingle();
   if (!assignment || assignment.deleted_at) {
@@ -58,8 +60,7 @@ export async function startAssignmentPractice(_prevState, formData) {
   // 'lesson_pack' assignments materialize their pack's question
   // ids into the same question_ids column at creation time, so
   // they take the same start-a-session path as 'questions'.
-  if (assignment.assignment_type !== 'questions'
-      && assignment.assignment_type !== 'lesson_pack') {
+  if (!isQuestionSetType(assignment.assignment_type)) {
     return actionFail('This assignment type is not a question set.');
   }
 
@@ -77,10 +78,11 @@ export async function startAssignmentPractice(_prevState, formData) {
     return actionFail('You are not assigned to this assignment.');
   }
 
-  const questionIds = Array.isArray(assignment.question_ids)
+  const isAdaptive = assignment.assignment_type === 'adaptive';
+  let questionIds = Array.isArray(assignment.question_ids)
     ? assignment.question_ids.filter(Boolean)
     : [];
-  if (questionIds.length === 0) {
+  if (!isAdaptive && questionIds.length === 0) {
     return actionFail('This assignment has no questions.');
   }
 
@@ -109,6 +111,14 @@ export async function startAssignmentPractice(_prevState, formData) {
     redirect(`/practice/s/${resumable.id}/${resumable.current_position ?? 0}`);
   }
 
+  const filterCriteria = { assignment_id: assignmentId };
+  if (isAdaptive) {
+    const drawn = await drawAdaptiveSet(supabase, user.id, assignment);
+    if ('error' in drawn) return actionFail(drawn.error);
+    questionIds = drawn.questionIds;
+    filterCriteria.adaptive = drawn.state;
+  }
+
   const { data: session, error: insertErr } = await supabase
     .from('practice_sessions')
     .insert({
@@ -117,7 +127,7 @@ export async function startAssignmentPractice(_prevState, formData) {
       mode: 'practice',
       question_ids: questionIds,
       current_position: 0,
-      filter_criteria: { assignment_id: assignmentId },
+      filter_criteria: filterCriteria,
     })
     .select('id')
     .single();
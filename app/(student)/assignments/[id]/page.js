@@ -14,6 +14,11 @@
 //                     Start/Continue button that creates a session
 //                     and redirects into /practice/s/<sid>/0.
 //
+//   'adaptive'      — the same view over the student's own drawn set
+//                     (assignment_students_v2.question_ids). Before the
+//                     first Start there is no set yet, so it explains
+//                     the draw and lists the skills instead.
+//
 //   'practice_test' — shows a launch link to the next-tree
 //                     /practice/test/<testId> launch page, which
 //                     handles attempt creation and routing into
@@ -34,6 +39,7 @@ import Link from 'next/link';
 import { notFound, redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
 import { expandToAttemptIds } from '@/lib/practice/weak-queue';
+import { isQuestionSetType, parseAdaptiveCriteria, studentQuestionIds } from '@/lib/practice/adaptive';
 import { formatDate, isPastDueDate } from '@/lib/formatters';
 import { Button } from '@/lib/ui/Button';
 import { startAssignmentPractice } from './actions';
@@ -81,7 +87,7 @@ export default async function AssignmentDetailPage({ params }) {
       .maybeSingle(),
     supabase
       .from('assignment_students_v2')
-      .select('completed_at')
+      .select('completed_at, question_ids')
       .eq('assignment_id', assignmentId)
       .eq('student_id', user.id)
       .maybeSingle(),
@@ -142,8 +148,8 @@ export default async function AssignmentDetailPage({ params }) {
   // lesson_pack stores a materialized question_ids snapshot just
   // like a 'questions' assignment, so the data-loading and
   // rendering path is identical from here down.
-  if (assignment.assignment_type === 'questions' || assignment.assignment_type === 'lesson_pack') {
-    const questionIds = Array.isArray(assignment.question_ids) ? assignment.question_ids : [];
+  if (isQuestionSetType(assignment.assignment_type)) {
+    const questionIds = studentQuestionIds(assignment, enrolled.question_ids);
     if (questionIds.length > 0) {
       // Expand to include legacy v1 ids so attempts predating the
       // v2 copy still count toward this assignment's progress.
@@ -230,8 +236,7 @@ export default async function AssignmentDetailPage({ params }) {
       </header>
 
       <section style={{ marginTop: '1.5rem' }}>
-        {(assignment.assignment_type === 'questions'
-          || assignment.assignment_type === 'lesson_pack') && (
+        {isQuestionSetType(assignment.assignment_type) && (
           <QuestionsView
             assignment={assignment}
             rows={questionRows ?? []}
@@ -251,6 +256,9 @@ export default async function AssignmentDetailPage({ params }) {
 }
 
 function QuestionsView({ assignment, rows, completed, latestSessionId }) {
+  if (rows.length === 0 && assignment.assignment_type === 'adaptive') {
+    return <AdaptivePreview assignment={assignment} />;
+  }
   if (rows.length === 0) {
     return <p style={{ color: '#6b7280' }}>This assignment has no questions.</p>;
   }
@@ -334,6 +342,36 @@ function QuestionsView({ assignment, rows, completed, latestSessionId }) {
   );
 }
 
+// Adaptive assignment before its first Start: nothing is drawn yet.
+function AdaptivePreview({ assignment }) {
+  const criteria = parseAdaptiveCriteria(assignment.filter_criteria);
+  const skills = criteria?.skillSelections ?? [];
+  return (
+    <section style={{
+      padding: '1rem', background: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: 8,
+    }}>
+      <p style={{ marginTop: 0, color: '#374151' }}>
+        {criteria?.size ?? 0} questions picked for you when you start, based on what
+        you&apos;ve already mastered. Questions get harder as you get them right and
+        easier when you miss.
+      </p>
+      {skills.length > 0 && (
+        <ul style={{ margin: '0 0 1rem 0', paddingLeft: '1.25rem', color: '#4b5563', fontSize: '0.875rem' }}>
+          {skills.map((sk) => (
+            <li key={`${sk.domain}|${sk.skill}`}>{sk.skill}</li>
+          ))}
+        </ul>
+      )}
+      <StartAssignmentButton
+        assignmentId={assignment.id}
+        label="Start"
+        disabled={false}
+        startAction={startAssignmentPractice}
+      />
+    </section>
+  );
+}
+
 function PracticeTestView({ assignment }) {
   const pt = assignment.practice_test;
   const sections = assignment.filter_criteria?.sections;
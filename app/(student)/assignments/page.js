@@ -19,6 +19,7 @@ import Link from 'next/link';
 import { requireUser } from '@/lib/api/auth';
 import { AssignmentTypeBadge } from '@/lib/ui/AssignmentTypeBadge';
 import { expandToAttemptIds } from '@/lib/practice/weak-queue';
+import { isQuestionSetType, questionSetSize, studentQuestionIds } from '@/lib/practice/adaptive';
 import { formatDate, isPastDueDate } from '@/lib/formatters';
 import s from './AssignmentsPage.module.css';
 
@@ -220,9 +221,11 @@ function PendingCard({ row }) {
 // ──────────────────────────────────────────────────────────────
 
 // lesson_pack carries the same question_ids shape as 'questions',
-// so per-question progress + accuracy treat them the same.
+// and an adaptive row carries the student's own drawn set (see
+// loadAssignmentsData), so per-question progress + accuracy treat
+// them the same.
 function isQuestionLikeRow(row) {
-  return row.assignment_type === 'questions' || row.assignment_type === 'lesson_pack';
+  return isQuestionSetType(row.assignment_type);
 }
 
 function CompletedCard({ row }) {
@@ -324,6 +327,7 @@ async function loadAssignmentsData(supabase, userId) {
     .from('assignment_students_v2')
     .select(`
       completed_at,
+      question_ids,
       assignment:assignments_v2 (
         id,
         teacher_id,
@@ -344,18 +348,25 @@ async function loadAssignmentsData(supabase, userId) {
     `)
     .eq('student_id', userId);
 
+  // An adaptive assignment's questions are the student's own draw on
+  // the junction row; swap them in so everything below reads one
+  // question_ids regardless of type.
   const rows = (junctionRows ?? [])
-    .map((r) => ({ ...r.assignment, student_completed_at: r.completed_at }))
+    .filter((r) => r.assignment)
+    .map((r) => ({
+      ...r.assignment,
+      question_ids: studentQuestionIds(r.assignment, r.question_ids),
+      student_completed_at: r.completed_at,
+    }))
     .filter((a) => a && a.id && !a.deleted_at && !a.archived_at);
 
   const teacherIds = Array.from(
     new Set(rows.map((r) => r.teacher_id).filter(Boolean)),
   );
   // lesson_pack materializes question_ids the same way 'questions'
-  // does, so both go through the per-question aggregation below.
-  const questionRows = rows.filter(
-    (r) => r.assignment_type === 'questions' || r.assignment_type === 'lesson_pack',
-  );
+  // does, so both (and adaptive draws) go through the per-question
+  // aggregation below.
+  const questionRows = rows.filter((r) => isQuestionSetType(r.assignment_type));
   const allQuestionIds = Array.from(
     new Set(
       questionRows.flatMap((r) =>
@@ -470,7 +481,7 @@ async function loadAssignmentsData(supabase, userId) {
     );
     r.teacher = teacherById.get(r.teacher_id) ?? null;
 
-    if (r.assignment_type === 'questions' || r.assignment_type === 'lesson_pack') {
+    if (isQuestionSetType(r.assignment_type)) {
       const qs = Array.isArray(r.question_ids) ? r.question_ids : [];
       r.total_count = qs.length;
 
@@ -556,9 +567,11 @@ function displayTitle(row) {
 
 function displaySubtitle(row) {
   if (row.description) return row.description;
-  if (row.assignment_type === 'questions' || row.assignment_type === 'lesson_pack') {
-    const n = Array.isArray(row.question_ids) ? row.question_ids.length : 0;
-    return n === 0 ? null : `${n} question${n === 1 ? '' : 's'}`;
+  if (isQuestionSetType(row.assignment_type)) {
+    const n = questionSetSize(row);
+    if (n === 0) return null;
+    const label = `${n} question${n === 1 ? '' : 's'}`;
+    return row.assignment_type === 'adaptive' ? `${label}, picked for you` : label;
   }
   if (row.assignment_type === 'practice_test') {
     const sections = row.filter_criteria?.sections;
@@ -23,6 +23,7 @@ import {
   InboxIcon,
   PerformanceIcon,
   ProgressIcon,
+  ScoreIcon,
 } from '@/lib/ui/icons';
 import { IconTile } from '@/lib/ui/IconTile';
 import { HelpDashboardBanner } from '../help/HelpDashboardBanner';
@@ -51,6 +52,9 @@ export function DashboardInteractive({
   updateTargetScoreAction,
   // §6.4: no active study plan → point at the first-run wizard.
   hasActivePlan = false,
+  // Score prediction from lib/practice-test/score-prediction.ts, or
+  // null before the first full practice test / official score.
+  prediction = null,
 }) {
   const [optimisticTarget, setOptimisticTarget] = useOptimistic(
     stats.targetScore,
@@ -255,6 +259,56 @@ export function DashboardInteractive({
         />
       </section>
 
+      {/* ---------- Score outlook ----------
+          Point estimate + 80% range today, the projection to the
+          registered test date, and the superscore outlook. Same
+          numbers the tutor and the score-report PDF see. */}
+      <section className={s.card}>
+        <div className={s.cardHeader}>
+          <div>
+            <div className={s.sectionLabel}>
+              <IconTile icon={ScoreIcon} palette="cyan" size="sm" />
+              Score outlook
+            </div>
+            <div className={s.cardSub}>
+              {prediction
+                ? 'Where 8 in 10 sittings would land, from your practice tests, official scores and skill mastery.'
+                : 'Take a full practice test to see your predicted score.'}
+            </div>
+          </div>
+          {!prediction && (
+            <Link href="/practice/tests" className={s.cardHeaderLink}>
+              Practice tests →
+            </Link>
+          )}
+        </div>
+        {prediction && (
+          <div className={s.outlookGrid}>
+            <OutlookFigure
+              value={prediction.point}
+              label="Predicted today"
+              range={`${prediction.low}–${prediction.high}`}
+            />
+            {prediction.projected && (
+              <OutlookFigure
+                value={prediction.projected.point}
+                label={`On ${formatDate(prediction.testDate)}`}
+                range={`${prediction.projected.low}–${prediction.projected.high}`}
+              />
+            )}
+            {prediction.officialSuperscore != null && (
+              <OutlookFigure
+                value={prediction.projectedSuperscore ?? prediction.officialSuperscore}
+                label={prediction.projectedSuperscore != null ? 'Projected superscore' : 'Superscore'}
+                range={prediction.projectedSuperscore != null
+                  ? `Official now ${prediction.officialSuperscore}`
+                  : null}
+              />
+            )}
+          </div>
+        )}
+      </section>
+
       {/* ---------- Recently finished ---------- */}
       <section className={s.card}>
         <div className={s.cardHeader}>
@@ -464,6 +518,16 @@ function StatTile({ value, label, spark, delta }) {
   );
 }
 
+function OutlookFigure({ value, label, range }) {
+  return (
+    <div className={s.outlookFigure}>
+      <div className={s.statValue}>{value}</div>
+      <div className={s.statLabel}>{label}</div>
+      {range && <div className={s.outlookRange}>{range}</div>}
+    </div>
+  );
+}
+
 // Latest non-null value of a field across the trend buckets.
 // Used for "where the student stands today" reads.
 function lastNonNull(rows, field) {
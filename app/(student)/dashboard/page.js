@@ -26,6 +26,8 @@ import { requireUser } from '@/lib/api/auth';
 import { hasAssignedTutor } from '@/lib/api/hasAssignedTutor';
 import { loadDashboardAggregate } from '@/lib/practice/load-dashboard-aggregate';
 import { loadDashboardAggregateAct } from '@/lib/practice/load-dashboard-aggregate-act';
+import { loadScorePrediction } from '@/lib/practice-test/load-score-prediction';
+import { isQuestionSetType, questionSetSize, studentQuestionIds } from '@/lib/practice/adaptive';
 import { updateTargetScore } from './actions';
 import { DashboardInteractive } from './DashboardInteractive';
 
@@ -79,6 +81,7 @@ export default async function StudentDashboardPage() {
     { data: recentActAttempts },
     hasTutor,
     { data: activePlanRow },
+    prediction,
   ] = await Promise.all([
     loadDashboardAggregate(user.id),
     // Sibling ACT aggregator. Returns zeroed totals when the
@@ -145,9 +148,10 @@ export default async function StudentDashboardPage() {
       .from('assignment_students_v2')
       .select(`
         completed_at,
+        question_ids,
         assignment:assignments_v2 (
           id, assignment_type, title, due_date, created_at, archived_at, deleted_at,
-          question_ids,
+          question_ids, filter_criteria,
           lesson:lessons (title),
           practice_test:practice_tests_v2 (name)
         )
@@ -227,6 +231,9 @@ export default async function StudentDashboardPage() {
       .eq('status', 'active')
       .limit(1)
       .maybeSingle(),
+    // Predicted score card — the same shared loader the tutor
+    // student page and the score-report PDF use.
+    loadScorePrediction(supabase, user.id, nowIso.slice(0, 10)),
   ]);
 
   // Weekly accuracy trend for the "Your weekly progress" card.
@@ -308,8 +315,16 @@ export default async function StudentDashboardPage() {
 
   // Split assignments into pending (actionable) and completed
   // (feed into the unified "Recently finished" strip below).
+  // Adaptive assignments carry the student's own draw on the junction.
   const allAssignments = (assignmentRows ?? [])
-    .map((r) => ({ ...r.assignment, student_completed_at: r.completed_at }))
+    .filter((r) => r.assignment)
+    .map((r) => ({
+      ...r.assignment,
+      question_ids: r.assignment.assignment_type === 'adaptive'
+        ? studentQuestionIds(r.assignment, r.question_ids)
+        : r.assignment.question_ids,
+      student_completed_at: r.completed_at,
+    }))
     .filter((a) => a && a.id && !a.deleted_at && !a.archived_at);
 
   // Pending = open + non-archived + non-deleted. Sort newest-first
@@ -334,7 +349,7 @@ export default async function StudentDashboardPage() {
         ?? (a.assignment_type === 'practice_test' ? a.practice_test?.name : null)
         ?? 'Assignment',
       due_date: a.due_date,
-      n_questions: Array.isArray(a.question_ids) ? a.question_ids.length : null,
+      n_questions: isQuestionSetType(a.assignment_type) ? questionSetSize(a) : null,
     }));
   const pendingTotalCount = allAssignments.filter((a) => !a.student_completed_at).length;
 
@@ -410,7 +425,7 @@ export default async function StudentDashboardPage() {
   for (const a of completedAssignments.slice(0, RECENT_FINISHED_PER_TYPE)) {
     const sessionId = latestSessionByAssignment.get(a.id) ?? null;
     let metric = 'Completed';
-    if ((a.assignment_type === 'questions' || a.assignment_type === 'lesson_pack') && Array.isArray(a.question_ids)) {
+    if (isQuestionSetType(a.assignment_type) && Array.isArray(a.question_ids)) {
       const qidSet = new Set(a.question_ids);
       const firstByQid = new Map();
       for (const at of recentAttempts ?? []) {
@@ -463,6 +478,7 @@ export default async function StudentDashboardPage() {
       accountCreatedAt={fullProfile?.created_at ?? null}
       updateTargetScoreAction={updateTargetScore}
       hasActivePlan={Boolean(activePlanRow)}
+      prediction={prediction}
     />
   );
 }
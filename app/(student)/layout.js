@@ -11,6 +11,9 @@
 // check lives INSIDE AppShell (client-side pathname), because
 // layouts don't re-render on soft navigation.
 //
+// A past_due subscriber in read-only grace gets the billing banner
+// above the page (proxy.js sets x-billing-grace-until).
+//
 // requireUser() runs once per request to populate the nav. It also
 // double-gates role: an admin or teacher who somehow lands on a
 // /next/(student) URL gets redirected to their own tree before
@@ -24,6 +27,7 @@ import { maybeSendWelcomeEmail } from '@/lib/email/maybeSendWelcomeEmail';
 import { sidebarEnabledFor } from '@/lib/flags-server';
 import { AppNav } from '@/lib/ui/AppNav';
 import { AppShell } from '@/lib/ui/AppSidebar';
+import { BillingGraceBanner } from '@/lib/ui/BillingGraceBanner';
 import { SidebarFooterStrip } from '@/lib/ui/SidebarFooterStrip';
 import {
   STUDENT_LINKS,
@@ -50,7 +54,10 @@ function isSharedInfraPath(pathname) {
 
 export default async function StudentTreeLayout({ children }) {
   const { user, profile, supabase } = await requireUserPage();
-  const pathname = (await headers()).get('x-pathname') ?? '';
+  const requestHeaders = await headers();
+  const pathname = requestHeaders.get('x-pathname') ?? '';
+  const graceEndsAt = requestHeaders.get('x-billing-grace-until');
+  const banner = graceEndsAt ? <BillingGraceBanner graceEndsAt={graceEndsAt} /> : null;
   const sharedInfra = isSharedInfraPath(pathname);
 
   // Bounce non-students out of this tree. Same gates the individual
@@ -63,6 +70,9 @@ export default async function StudentTreeLayout({ children }) {
     if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
   }
   if (profile.role === 'practice') redirect('/subscribe');
+  // Guardians read a linked student's progress from their own portal,
+  // never from inside the student tree — shared infra included.
+  if (profile.role === 'guardian') redirect('/guardian');
 
   const navUser = {
     email: user.email,
@@ -160,6 +170,7 @@ export default async function StudentTreeLayout({ children }) {
     }
     return (
       <AppShell user={navUser} sections={sections} footer={footer}>
+        {banner}
         {children}
       </AppShell>
     );
@@ -168,6 +179,7 @@ export default async function StudentTreeLayout({ children }) {
   return (
     <>
       <AppNav user={navUser} links={links} />
+      {banner}
       {children}
     </>
   );
@@ -15,7 +15,7 @@
 // stem_html, and each option's content_html — via dangerouslySetInnerHTML
 // in the JSX below. No JSON payload is sent to the client. An attacker
 // hitting /practice/s/*/0 sees formatted HTML, not a scrapable object.
-// Watermarking is applied via lib/content/watermark.js before
+// Watermarking is applied via lib/content/watermark.ts before
 // rendering, keying off the authenticated user id.
 //
 // The correct answer and rationale are NOT fetched in this page when
@@ -27,19 +27,22 @@
 import { notFound, redirect } from 'next/navigation';
 import Link from 'next/link';
 import { requireUser } from '@/lib/api/auth';
+import { guardQuestionLoad } from '@/lib/api/scraperGuard';
 import { submitAnswer } from '@/lib/practice/session-actions';
 import { loadDetourPreference } from '@/lib/practice/detour-preference.mjs';
 import { loadQuestion } from '@/lib/practice/load-question';
 import { loadQuestionAction } from '@/lib/practice/load-question-action';
 import { PracticeInteractive } from '@/lib/practice/PracticeInteractive';
 import { QuestionMap } from '@/lib/practice/QuestionMap';
+import { QuestionLoadBlocked } from '@/lib/practice/QuestionLoadBlocked';
 import s from './Runner.module.css';
 
 export const dynamic = 'force-dynamic';
 
 export default async function PracticeQuestionPage({ params }) {
   const { sessionId, position: positionStr } = await params;
-  const { user, profile, supabase } = await requireUser();
+  const ctx = await requireUser();
+  const { user, profile, supabase } = ctx;
 
   if (profile.role === 'admin') redirect('/admin');
   if (profile.role === 'teacher' || profile.role === 'manager') redirect('/tutor/dashboard');
@@ -48,6 +51,11 @@ export default async function PracticeQuestionPage({ params }) {
   const position = Number(positionStr);
   if (!Number.isInteger(position) || position < 0) notFound();
 
+  // Refreshes and deep links count toward scraper cadence the same as
+  // loadQuestionAction calls do.
+  const blocked = await guardQuestionLoad(ctx);
+  if (blocked) return <QuestionLoadBlocked message={blocked.error} />;
+
   // Both reads go out together — the detour switch is independent of
   // the question payload, and this page is already round-trip
   // sensitive enough that a serial extra hop would be felt.
@@ -107,7 +115,7 @@ export default async function PracticeQuestionPage({ params }) {
       total={payload.total}
       sessionId={sessionId}
       sessionMode={payload.sessionMode}
-      detoursEnabled={detours.enabled}
+      detoursEnabled={detours.enabled && !payload.adaptive}
       initialQuestion={payload.question}
       initialAttempt={payload.initialAttempt}
       initialDesmos={payload.desmos}
@@ -28,8 +28,8 @@
 
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { fetchAll } from '@/lib/supabase/fetchAll';
 import { expandToAttemptIds } from '@/lib/practice/weak-queue';
 
@@ -84,8 +84,8 @@ export async function createSession(_prev, formData) {
   // Rate limit: at most 20 sessions per minute per user. Tight
   // against scrapers fishing for filtered question-id sets;
   // generous for real students.
-  const rl = await rateLimit(`practice-start:${user.id}`, { limit: 20, windowMs: 60_000 });
-  if (!rl.ok) return actionFail('Too many session starts. Please wait and try again.');
+  const rl = await checkRateLimit('practice.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   // Quick-find from the search bar. Two shapes:
   //   - explicit_question_id     (single id) → 1-question session
@@ -350,8 +350,8 @@ export async function createActSession(_prev, formData) {
 
   // Same per-user rate limit as SAT — the practice-start key is shared
   // so a student can't bypass it by switching tabs.
-  const rl = await rateLimit(`practice-start:${user.id}`, { limit: 20, windowMs: 60_000 });
-  if (!rl.ok) return actionFail('Too many session starts. Please wait and try again.');
+  const rl = await checkRateLimit('practice.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const filters = parseActFilters(formData);
 
@@ -35,16 +35,20 @@
 
 'use server';
 
-import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
+import { logger } from '@/lib/api/logger';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { gradeAnswer } from '@/lib/practice-test/grading';
 import {
-  chooseModule2Route,
+  chooseModule2RouteByAbility,
   availableRoutes,
   resolveRoute,
 } from '@/lib/practice-test/adaptive-routing';
+import { reliableParams } from '@/lib/practice-test/calibration';
 import { recomputeAttemptScores } from '@/lib/practice-test/recompute-scores';
+import { storeScorePrediction } from '@/lib/practice-test/load-score-prediction';
+import { emitWebhookEvent } from '@/lib/webhooks/deliver';
 
 const GRACE_SECONDS = 15;
 
@@ -84,8 +88,8 @@ export async function startTestAttempt(_prev, formData) {
   // Rate limit: at most 10 test starts per hour. A student might
   // restart a test after a false start, but 10/hour is far above
   // any legitimate pattern.
-  const rl = await rateLimit(`test-start:${user.id}`, { limit: 10, windowMs: 60 * 60_000 });
-  if (!rl.ok) return actionFail('Too many test starts. Wait a few minutes.');
+  const rl = await checkRateLimit('test.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   // Validate the test exists and is published.
   const { data: test } = await supabase
@@ -535,8 +539,12 @@ export async function resumeTestModule(_prev, formData) {
 
 export async function finishModule(_prev, formData) {
   let ctx;
-  try { ctx = await requireUser(); }
-  catch (err) {
+  try {
+    ctx = await requireUser();
+    // Submitting a module opens the next one — new practice, which
+    // read-only billing grace doesn't allow.
+    await assertNotInBillingGrace();
+  } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
   }
@@ -580,12 +588,16 @@ export async function finishModule(_prev, formData) {
   // does the join server-side.
   const { data: itemRows } = await supabase
     .from('practice_test_item_attempts_v2')
-    .select('attempt:attempts(is_correct)')
+    .select('practice_test_module_item_id, attempt:attempts(is_correct)')
     .eq('practice_test_module_attempt_id', moduleAttemptId);
 
   let correctCount = 0;
+  const correctItemIds = new Set();
   for (const row of itemRows ?? []) {
-    if (row.attempt?.is_correct) correctCount += 1;
+    if (row.attempt?.is_correct) {
+      correctCount += 1;
+      correctItemIds.add(row.practice_test_module_item_id);
+    }
   }
 
   // Close the current module.
@@ -606,14 +618,47 @@ export async function finishModule(_prev, formData) {
   const testId        = test.id;
   const sectionsOnly  = moduleAttempt.practice_test_attempt.sections_only;
 
-  // CASE A: module 1 of a section → route module 2 adaptively.
+  // CASE A: module 1 of a section → route module 2 adaptively, on
+  // the IRT ability estimate from the module-1 response pattern
+  // (raw-threshold fallback when the items lack parameters). The
+  // estimate is stamped on the module-1 attempt so the route can be
+  // explained after the fact. Items with a reliable item_calibration
+  // row are placed on their empirical a / b instead of the authored
+  // labels.
   if (moduleNumber === 1) {
     const threshold = subject === 'RW' ? test.rw_route_threshold : test.math_route_threshold;
-    const preferred = chooseModule2Route({
+    const { data: module1Items } = await supabase
+      .from('practice_test_module_items_v2')
+      .select('id, question:questions_v2(question_type, difficulty, score_band, item_calibration(a, b, reliable))')
+      .eq('practice_test_module_id', currentModule.id);
+    const decision = chooseModule2RouteByAbility({
       subject,
-      module1CorrectCount: correctCount,
       threshold,
+      items: (module1Items ?? []).map((it) => ({
+        questionType: it.question?.question_type ?? null,
+        difficulty: it.question?.difficulty ?? null,
+        scoreBand: it.question?.score_band ?? null,
+        calibrated: reliableParams(it.question?.item_calibration),
+        correct: correctItemIds.has(it.id),
+      })),
     });
+    const preferred = decision.route;
+    // The stamp only explains the route; the module is already closed,
+    // so a failed write is logged and routing carries on.
+    const { error: stampError } = await supabase
+      .from('practice_test_module_attempts_v2')
+      .update({
+        route_method: decision.method,
+        theta: decision.theta,
+        theta_se: decision.se,
+      })
+      .eq('id', moduleAttemptId);
+    if (stampError) {
+      logger.warn(
+        { moduleAttemptId, method: decision.method, err: stampError.message },
+        'practice_test_route_stamp_failed',
+      );
+    }
 
     // Pick the available route for module 2 — fall back gracefully
     // if the test is missing its hard / easy module. The `order by`
@@ -711,10 +756,17 @@ async function closeTestAttempt(supabase, attemptId) {
     .update({ finished_at: new Date().toISOString() })
     .eq('id', attemptId)
     .is('finished_at', null)
-    .select('user_id, practice_test_id');
+    .select('id, user_id, practice_test_id, finished_at');
 
   await recomputeAttemptScores(supabase, attemptId);
 
+  const closed = updatedRows?.[0];
+
+  // The report's score outlook, as of today and with this attempt's
+  // fresh scores in it. Stored once here so the results page reads it
+  // instead of recomputing it on every load.
+  if (closed) await storeScorePrediction(supabase, closed);
+
   // Mirror the question-assignment auto-completion path
   // (markAssignmentCompletedIfDone in lib/practice/session-actions.ts).
   // When this attempt's user has any practice-test assignments pointing
@@ -723,16 +775,41 @@ async function closeTestAttempt(supabase, attemptId) {
   // recent-completions panel and the student's recently-finished list.
   // Idempotent — the IS NULL guard on completed_at protects against
   // double calls (e.g. deriveFinishReturn's idempotent re-route).
-  const closed = updatedRows?.[0];
   if (closed) {
     await markPracticeTestAssignmentsCompletedIfDone(
       supabase,
       closed.user_id,
       closed.practice_test_id,
     );
+    await emitPracticeTestCompleted(supabase, attemptId, closed);
   }
 }
 
+// practice_test.completed webhook event. Only the call that stamped
+// finished_at gets here, and the attempt id keys the event, so a
+// double submit can't send it twice.
+async function emitPracticeTestCompleted(supabase, attemptId, closed) {
+  const { data: scored } = await supabase
+    .from('practice_test_attempts_v2')
+    .select('finished_at, sections_only, composite_score, rw_scaled, math_scaled')
+    .eq('id', attemptId)
+    .maybeSingle();
+  emitWebhookEvent(
+    'practice_test.completed',
+    {
+      student_id: closed.user_id,
+      attempt_id: attemptId,
+      practice_test_id: closed.practice_test_id,
+      finished_at: scored?.finished_at ?? null,
+      sections_only: scored?.sections_only ?? null,
+      composite_score: scored?.composite_score ?? null,
+      rw_scaled: scored?.rw_scaled ?? null,
+      math_scaled: scored?.math_scaled ?? null,
+    },
+    { studentId: closed.user_id, key: attemptId },
+  );
+}
+
 // Practice-test counterpart to markAssignmentCompletedIfDone for the
 // question-assignment flow. We don't track an explicit attempt ↔
 // assignment link on practice_test_attempts_v2; the contract is
@@ -754,12 +831,26 @@ async function markPracticeTestAssignmentsCompletedIfDone(supabase, userId, prac
     .is('deleted_at', null);
   const ids = (matchingAssignments ?? []).map((a) => a.id);
   if (ids.length === 0) return;
-  await supabase
+  const { data: completed } = await supabase
     .from('assignment_students_v2')
     .update({ completed_at: new Date().toISOString() })
     .eq('student_id', userId)
     .in('assignment_id', ids)
-    .is('completed_at', null);
+    .is('completed_at', null)
+    .select('assignment_id, completed_at');
+  for (const row of completed ?? []) {
+    emitWebhookEvent(
+      'assignment.completed',
+      {
+        student_id: userId,
+        assignment_id: row.assignment_id,
+        assignment_type: 'practice_test',
+        completed_at: row.completed_at,
+        via: 'auto',
+      },
+      { studentId: userId, key: `${row.assignment_id}:${userId}:${row.completed_at}` },
+    );
+  }
 }
 
 // If finishModule runs a second time against an already-closed
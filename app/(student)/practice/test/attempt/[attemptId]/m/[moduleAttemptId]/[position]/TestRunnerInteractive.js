@@ -26,6 +26,11 @@
 // timeLimitSeconds arrives already multiplied by the student's
 // time-accommodation on the parent attempt, so no client-side
 // multiplication here.
+//
+// Pacing coach: when `pacingPlan` is set (tutor-enabled per student;
+// see page.js), a small "On pace / Behind pace" badge sits under the
+// timer. It re-evaluates on the timer tick against the live navigator
+// state — lib/practice-test/pacing.ts owns the math.
 
 'use client';
 
@@ -48,6 +53,7 @@ import { ToolButton } from '@/lib/ui/ToolButton';
 import { DesmosSavedStateButton } from '@/lib/practice/DesmosSavedStateButton';
 import { BookmarkIcon, CalculatorIcon } from '@/lib/ui/icons';
 import { useConfirm } from '@/lib/ui/ConfirmDialog';
+import { pacingStatus } from '@/lib/practice-test/pacing';
 import { NavPopover } from './NavPopover';
 import s from './TestRunner.module.css';
 
@@ -65,6 +71,7 @@ export function TestRunnerInteractive({
   attemptId,
   moduleAttemptId,
   initialPayload,
+  pacingPlan = null,
   recordItemAnswerAction,
   toggleMarkForReviewAction,
   finishModuleAction,
@@ -697,6 +704,15 @@ export function TestRunnerInteractive({
     return s.timer;
   }, [secondsRemaining]);
 
+  const pace = useMemo(() => {
+    if (!pacingPlan) return null;
+    return pacingStatus(pacingPlan, {
+      elapsedMs: (moduleInfo.timeLimitSeconds - secondsRemaining) * 1000,
+      answered: navItems.map((it) => it.answered),
+      position,
+    });
+  }, [pacingPlan, moduleInfo.timeLimitSeconds, secondsRemaining, navItems, position]);
+
   const subjectName = moduleInfo.subject === 'RW' ? 'Reading and Writing' : 'Math';
   const moduleLabel = `Section ${moduleInfo.subject === 'RW' ? 1 : 2}, Module ${moduleInfo.moduleNumber}: ${subjectName}`;
 
@@ -743,6 +759,16 @@ export function TestRunnerInteractive({
           <div className={timerClass} aria-live="off" suppressHydrationWarning>
             {formatClock(secondsRemaining)}
           </div>
+          {pace && (
+            <div
+              className={`${s.paceBadge} ${pace.state === 'behind' ? s.paceBehind : s.paceOnPace}`}
+              suppressHydrationWarning
+            >
+              {pace.state === 'behind'
+                ? `Behind pace · ${formatClock(Math.ceil(-pace.slackMs / 1000))}`
+                : 'On pace'}
+            </div>
+          )}
         </div>
         <div className={s.topBarRight}>
           {/* Desmos saved state first — leftmost on the top bar.
@@ -11,14 +11,22 @@
 // direct hits, refreshes, and deep links still land here and
 // resolve any position.
 //
+// Pacing coach: when the student's tutor has turned it on
+// (profiles.pacing_coach_enabled), the module's pacing plan is built
+// here once and handed to the island, which keeps it across
+// instant-next moves — the plan is fixed for the module's lifetime.
+//
 // Bluebook-style: no correct-answer reveal during the test.
 // QuestionRenderer is invoked in mode='practice' with result=null,
 // so the inputs stay editable and no reveal styling appears.
 
 import { notFound, redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
+import { guardQuestionLoad } from '@/lib/api/scraperGuard';
 import { loadTestQuestion } from '@/lib/practice-test/load-test-question';
 import { loadTestQuestionAction } from '@/lib/practice-test/load-test-question-action';
+import { loadModulePacingPlan } from '@/lib/practice-test/load-pacing';
+import { QuestionLoadBlocked } from '@/lib/practice/QuestionLoadBlocked';
 import {
   recordItemAnswer,
   toggleMarkForReview,
@@ -31,11 +39,15 @@ export const dynamic = 'force-dynamic';
 
 export default async function PracticeTestRunnerPage({ params }) {
   const { attemptId, moduleAttemptId, position: positionStr } = await params;
-  const { user, profile, supabase } = await requireUser();
+  const ctx = await requireUser();
+  const { user, profile, supabase } = ctx;
 
   const position = Number(positionStr);
   if (!Number.isInteger(position) || position < 0) notFound();
 
+  const blocked = await guardQuestionLoad(ctx);
+  if (blocked) return <QuestionLoadBlocked message={blocked.error} />;
+
   const result = await loadTestQuestion(
     { userId: user.id, role: profile.role, supabase },
     { attemptId, moduleAttemptId, position },
@@ -45,11 +57,26 @@ export default async function PracticeTestRunnerPage({ params }) {
 
   const payload = result.payload;
 
+  const { data: pacingPref } = await supabase
+    .from('profiles')
+    .select('pacing_coach_enabled')
+    .eq('id', user.id)
+    .maybeSingle();
+  const pacingPlan = pacingPref?.pacing_coach_enabled
+    ? await loadModulePacingPlan(supabase, {
+        userId: user.id,
+        moduleId: payload.moduleInfo.moduleId,
+        subject: payload.moduleInfo.subject,
+        timeLimitSeconds: payload.moduleInfo.timeLimitSeconds,
+      })
+    : null;
+
   return (
     <TestRunnerInteractive
       attemptId={attemptId}
       moduleAttemptId={moduleAttemptId}
       initialPayload={payload}
+      pacingPlan={pacingPlan}
       recordItemAnswerAction={recordItemAnswer}
       toggleMarkForReviewAction={toggleMarkForReview}
       finishModuleAction={finishModule}
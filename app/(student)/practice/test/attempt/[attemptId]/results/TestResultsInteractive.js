@@ -53,6 +53,7 @@ export function TestResultsInteractive({
   domains,
   opportunity,
   timing,
+  pacing = null,
   reviewItems,
   pdfData,
   viewerRole = 'student',
@@ -168,7 +169,7 @@ export function TestResultsInteractive({
     setPdfError(null);
     try {
       const { generateScoreReportPdf } = await import('@/lib/generateScoreReportPdf');
-      const doc = generateScoreReportPdf(pdfData);
+      const doc = generateScoreReportPdf(pdfData, { watermarkUserId: currentUserId });
       const safe = (pdfData.test_name || 'Practice-Test').replace(/[^a-zA-Z0-9]+/g, '-');
       doc.save(`${safe}-Score-Report.pdf`);
     } catch (err) {
@@ -286,6 +287,11 @@ export function TestResultsInteractive({
             </div>
           );
         })()}
+        {sectionsOnly && (
+          <AbilityLine
+            ability={sectionsOnly === 'RW' ? sections.RW?.ability : sections.MATH?.ability}
+          />
+        )}
       </section>
 
       {!sectionsOnly && (
@@ -297,6 +303,7 @@ export function TestResultsInteractive({
             correct={sections.RW?.correct}
             total={sections.RW?.total}
             routeCode={sections.RW?.routeCode}
+            ability={sections.RW?.ability}
           />
           <SectionTile
             label="Math"
@@ -305,6 +312,7 @@ export function TestResultsInteractive({
             correct={sections.MATH?.correct}
             total={sections.MATH?.total}
             routeCode={sections.MATH?.routeCode}
+            ability={sections.MATH?.ability}
           />
         </section>
       )}
@@ -437,6 +445,32 @@ export function TestResultsInteractive({
         </section>
       )}
 
+      {/* ---------- Pacing: where time went on missed questions ---------- */}
+      {pacing?.anySinks && (
+        <section className={s.card}>
+          <div className={s.cardHeader}>
+            <div className={s.sectionLabel}>
+              <IconTile icon={TimeSpentIcon} palette="gold" size="sm" />
+              Pacing
+            </div>
+            <div className={s.cardHeaderHint}>
+              Each question gets a time budget from the module&apos;s time
+              limit and its difficulty. These are the missed questions that
+              ran well past theirs — time that could have gone elsewhere.
+            </div>
+          </div>
+          <div className={s.timingGrid}>
+            {pacing.modules.filter((m) => m.sinks.length > 0).map((m) => (
+              <PacingTile
+                key={`${m.subject}__${m.moduleNumber}`}
+                entry={m}
+                onJump={setSelectedOrdinal}
+              />
+            ))}
+          </div>
+        </section>
+      )}
+
       {/* Per-question review: map on the left, detail on the right
           on wide screens; stacks on narrow. The map column sticks
           to the top of the viewport so it stays reachable as the
@@ -862,7 +896,7 @@ function RecalculateScoreDialog({
 
 // ──────────────────────────────────────────────────────────────
 
-function SectionTile({ label, tone, scaled, correct, total, routeCode }) {
+function SectionTile({ label, tone, scaled, correct, total, routeCode, ability }) {
   const cls = tone === 'rw' ? s.sectionTileRw : s.sectionTileMath;
   const routeLabel = formatRouteLabel(routeCode);
   return (
@@ -886,6 +920,26 @@ function SectionTile({ label, tone, scaled, correct, total, routeCode }) {
           Module 2 · {routeLabel}
         </div>
       )}
+      <AbilityLine ability={ability} />
+    </div>
+  );
+}
+
+// IRT ability estimate (θ ± SE) for the section — which items the
+// student got right, not just how many. Absent when the section's
+// items lack difficulty labels (the estimate is null).
+function AbilityLine({ ability }) {
+  if (!ability) return null;
+  const sign = ability.theta > 0 ? '+' : '';
+  return (
+    <div
+      className={s.sectionTileAbility}
+      title={
+        'Ability estimate from which questions were answered correctly, '
+        + 'weighted by difficulty. 0 is average; the ± is the standard error.'
+      }
+    >
+      Ability {sign}{ability.theta.toFixed(2)} ± {ability.se.toFixed(2)}
     </div>
   );
 }
@@ -947,6 +1001,39 @@ function TimingTile({ label, value, rows, onJump }) {
   );
 }
 
+function PacingTile({ entry, onJump }) {
+  return (
+    <div className={s.timingTile}>
+      <div className={s.timingTileLabel}>
+        {SUBJECT_FULL[entry.subject] ?? entry.subject} · Module {entry.moduleNumber}
+      </div>
+      <div className={s.timingTileValue}>+{formatDuration(entry.overrunMs)}</div>
+      <div className={s.timingStatSub}>
+        over budget on {entry.sinks.length} missed question{entry.sinks.length === 1 ? '' : 's'}
+        {entry.basis === 'history' ? ' · budgets from your usual pace' : ''}
+      </div>
+      <ul className={s.timingList}>
+        {entry.sinks.slice(0, 5).map((r) => (
+          <li key={r.ordinal} className={s.timingItem}>
+            <button
+              type="button"
+              className={s.timingItemBtn}
+              onClick={() => onJump?.(r.ordinal)}
+            >
+              <span className={s.timingItemOrdinal}>
+                Q{r.modulePosition}{r.skillName ? ` · ${r.skillName}` : ''}
+              </span>
+              <span className={s.timingItemMs}>
+                {formatDuration(r.timeSpentMs)} / {formatDuration(r.budgetMs)}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 function TimingStat({ label, value, subtitle, tone }) {
   const cls = [
     s.timingStat,
@@ -31,8 +31,9 @@
 
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { actComposite } from '@/lib/practice/superscore';
 import type { ActionResult } from '@/lib/types';
 
 // Per-section time limits in milliseconds. Matches the standard
@@ -76,8 +77,8 @@ export async function startActPracticeTest(
 
   // Same per-user rate limit as the other practice-start paths so
   // tab-hopping can't bypass it.
-  const rl = await rateLimit(`practice-start:${user.id}`, { limit: 20, windowMs: 60_000 });
-  if (!rl.ok) return actionFail('Too many session starts. Please wait and try again.');
+  const rl = await checkRateLimit('practice.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const sourceTest = String(formData.get('source_test') ?? '').trim();
   if (!sourceTest) return actionFail('Pick a test form.');
@@ -241,13 +242,12 @@ export async function finalizeActPracticeTest(
     }
   }
 
-  // Composite — rounded average of the four section scales. Only
-  // computable when all four are present; otherwise leave null so
-  // the results page can show a section-only line.
-  const sectionScales = [scaled.english, scaled.math, scaled.reading, scaled.science];
-  const composite = sectionScales.every((v) => v != null)
-    ? Math.round((sectionScales as number[]).reduce((a, b) => a + b, 0) / 4)
-    : null;
+  // Composite — average of the four section scales, rounded half up
+  // the way ACT does (actComposite). Only computable when all four
+  // are present; otherwise leave null so the results page can show a
+  // section-only line (the roster's ACT superscore still combines
+  // section-only sittings).
+  const composite = actComposite(scaled);
 
   // Upsert by practice_session_id so re-finalizing (e.g. a tutor
   // clicks Submit Set again on behalf of the student) refreshes the
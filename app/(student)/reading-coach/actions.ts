@@ -0,0 +1,138 @@
+// Server Actions for the student Reading Coach.
+//
+// startReadingCoachSession — plain <form action> from the landing page
+//   ("Start" on an item, or "Try another" with no item). Resumes the
+//   caller's open session on that item if there is one; otherwise
+//   locks a new session to the item's current published version, so
+//   a later publish never changes the content mid-session. Failures
+//   redirect back to /reading-coach?error=… like the Today actions.
+//
+// submitReadingCoachChoice — the answer step. Only legal when the
+//   server-derived state is at `choice` (pre-answer resolved); the
+//   choice row is read server-side and its is_correct decides
+//   choice_correct — the client never sends correctness. Completes the
+//   session as independent or scaffolded.
+//
+// Paraphrase turns don't go through an action: they POST to
+// /api/reading-coach/evaluate (status codes for 409/429 matter there).
+
+'use server';
+
+import { redirect } from 'next/navigation';
+import { revalidatePath } from 'next/cache';
+import { assertWriter, requirePlan } from '@/lib/api/auth';
+import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { checkRateLimit, rateLimitMessage } from '@/lib/api/rateLimitPolicy';
+import { readingCoachOpen } from '@/lib/flags-server';
+import { isUuid } from '@/lib/reading-coach/limits';
+import { listReadingCoachLibrary, loadReadingCoachSession } from '@/lib/reading-coach/session';
+import { completionModeFor } from '@/lib/reading-coach/state';
+import type { ActionResult } from '@/lib/types';
+
+function fail(message: string): never {
+  redirect(`/reading-coach?error=${encodeURIComponent(message)}`);
+}
+
+export async function startReadingCoachSession(formData: FormData): Promise<void> {
+  let ctx;
+  try {
+    ctx = await requirePlan('standard');
+    assertWriter(ctx);
+  } catch (e) {
+    fail(e instanceof ApiError ? e.message : 'Unexpected error');
+  }
+  if (!(await readingCoachOpen())) redirect('/dashboard');
+  const { user, supabase } = ctx;
+
+  const rl = await checkRateLimit('reading-coach.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) fail(rateLimitMessage(rl));
+
+  const requested = String(formData.get('item_id') ?? '');
+  const library = await listReadingCoachLibrary(supabase, user.id);
+  if (library.length === 0) fail('No Reading Coach passages are published yet.');
+
+  let entry;
+  if (requested) {
+    if (!isUuid(requested)) fail('Unknown passage');
+    entry = library.find((e) => e.itemId === requested);
+    if (!entry) fail('That passage is not available.');
+  } else {
+    // "Try another": an untouched passage first, then the least
+    // practiced one. Open sessions resume rather than duplicate.
+    entry = library.find((e) => !e.inProgressSessionId && e.completedCount === 0)
+      ?? [...library].sort((a, b) => a.completedCount - b.completedCount)[0];
+  }
+
+  if (entry.inProgressSessionId) redirect(`/reading-coach/s/${entry.inProgressSessionId}`);
+
+  const { data: session, error } = await supabase
+    .from('reading_coach_sessions')
+    .insert({
+      user_id: user.id,
+      item_version_id: entry.currentVersionId,
+      source: 'self_guided',
+    })
+    .select('id')
+    .single();
+  if (error || !session) fail('Could not start a session');
+
+  revalidatePath('/reading-coach');
+  redirect(`/reading-coach/s/${session.id}`);
+}
+
+export async function submitReadingCoachChoice(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult<{ data: { correct: boolean } }>> {
+  const sessionId = String(formData.get('session_id') ?? '');
+  const choiceId = String(formData.get('choice_id') ?? '');
+  if (!isUuid(sessionId) || !isUuid(choiceId)) return actionFail('Choose an answer first');
+
+  let ctx;
+  try {
+    ctx = await requirePlan('standard');
+    assertWriter(ctx);
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  if (!(await readingCoachOpen())) return actionFail('Reading Coach is not available');
+  const { user, supabase } = ctx;
+
+  const loaded = await loadReadingCoachSession(supabase, sessionId);
+  if (!loaded || loaded.session.user_id !== user.id) return actionFail('Session not found');
+  if (loaded.state.phase !== 'choice') {
+    return actionFail(
+      loaded.state.phase === 'debrief' ? 'You already answered this one' : 'Finish the earlier steps first',
+    );
+  }
+
+  const { data: choice } = await supabase
+    .from('reading_coach_choices')
+    .select('id, is_correct')
+    .eq('id', choiceId)
+    .eq('item_version_id', loaded.version.id)
+    .maybeSingle();
+  if (!choice) return actionFail('Unknown choice');
+
+  const now = new Date().toISOString();
+  const { data: updated, error } = await supabase
+    .from('reading_coach_sessions')
+    .update({
+      status: 'completed',
+      completion_mode: completionModeFor(loaded.state),
+      selected_choice_id: choice.id,
+      choice_correct: choice.is_correct,
+      completed_at: now,
+      last_activity_at: now,
+    })
+    .eq('id', sessionId)
+    .eq('status', 'in_progress')
+    .select('id');
+  if (error) return actionFail('Could not save your answer');
+  if (!updated?.length) return actionFail('You already answered this one');
+
+  revalidatePath('/reading-coach');
+  revalidatePath(`/reading-coach/s/${sessionId}`);
+  return actionOk({ correct: choice.is_correct });
+}
@@ -0,0 +1,117 @@
+// Student · Reading Coach — the library of published passages and the
+// way into a session (docs/reading-coach-implementation-plan.md PR 3).
+//
+// Behind the reading_coach flag (404 when off) and the standard-plan
+// entitlement (<Gated>, with an upgrade note as the fallback). Each
+// row shows the student's own progress — in progress, completed
+// (independently or with help) — and starts or resumes through the
+// startReadingCoachSession form action. Not in the sidebar yet; PR 4
+// links it from Learn and the Study section.
+
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { requireUserPage } from '@/lib/api/auth';
+import { readingCoachOpen } from '@/lib/flags-server';
+import { Gated } from '@/lib/ui/Gated';
+import { listReadingCoachLibrary } from '@/lib/reading-coach/session';
+import { startReadingCoachSession } from './actions';
+import s from './ReadingCoachHome.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const GENRE_LABELS: Record<string, string> = {
+  literature: 'Literature',
+  history: 'History',
+  social_science: 'Social science',
+  science: 'Science',
+};
+
+const DIFFICULTY_LABELS = ['', 'Easier', 'Medium', 'Harder'];
+
+interface PageProps {
+  searchParams: Promise<{ error?: string }>;
+}
+
+export default async function ReadingCoachHomePage({ searchParams }: PageProps) {
+  if (!(await readingCoachOpen())) notFound();
+  const { user, supabase } = await requireUserPage();
+  const { error } = await searchParams;
+
+  const library = await listReadingCoachLibrary(supabase, user.id);
+
+  return (
+    <main className={s.container}>
+      <header className={s.header}>
+        <div className={s.eyebrow}>Reading Coach</div>
+        <h1 className={s.h1}>Read like a tutor is beside you</h1>
+        <p className={s.lede}>
+          Name the job, put the passage in your own words, answer before you see the choices — then
+          check your reasoning against the answer. One passage takes about ten minutes.
+        </p>
+      </header>
+
+      {error && (
+        <div role="alert" className={s.errorCard}>
+          {error}
+        </div>
+      )}
+
+      <Gated
+        minPlan="standard"
+        fallback={
+          <section className={s.card}>
+            <p className={s.empty}>
+              Reading Coach comes with a Studyworks plan.{' '}
+              <Link href="/subscribe">See plans</Link>
+            </p>
+          </section>
+        }
+      >
+        {library.length === 0 ? (
+          <section className={s.card}>
+            <p className={s.empty}>No passages are ready yet — check back soon.</p>
+          </section>
+        ) : (
+          <>
+            <form action={startReadingCoachSession} className={s.tryAnother}>
+              <button type="submit" className={s.primaryBtn}>
+                Start the next passage
+              </button>
+            </form>
+            <ul className={s.list}>
+              {library.map((e) => (
+                <li key={e.itemId} className={s.row}>
+                  <div className={s.rowMain}>
+                    <span className={s.title}>{e.title}</span>
+                    <span className={s.meta}>
+                      {GENRE_LABELS[e.genre] ?? e.genre} · {DIFFICULTY_LABELS[e.difficulty] ?? ''}
+                      {e.completedCount > 0 && (
+                        <>
+                          {' · '}
+                          {e.lastCompletion?.mode === 'scaffolded' ? 'Completed with help' : 'Completed'}
+                          {e.completedCount > 1 ? ` ×${e.completedCount}` : ''}
+                        </>
+                      )}
+                    </span>
+                  </div>
+                  {e.inProgressSessionId ? (
+                    <Link href={`/reading-coach/s/${e.inProgressSessionId}`} className={s.secondaryBtn}>
+                      Resume
+                    </Link>
+                  ) : (
+                    <form action={startReadingCoachSession}>
+                      <input type="hidden" name="item_id" value={e.itemId} />
+                      <button type="submit" className={s.secondaryBtn}>
+                        {e.completedCount > 0 ? 'Practice again' : 'Start'}
+                      </button>
+                    </form>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </Gated>
+    </main>
+  );
+}
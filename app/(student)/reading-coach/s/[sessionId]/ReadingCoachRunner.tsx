@@ -0,0 +1,440 @@
+// Reading Coach runner — the student's five-phase workflow
+// (Job → Passage → Pre-answer → Choice → Review).
+//
+// Everything shown comes from the server-built RunnerView; the client
+// holds no step logic. A response POSTs to /api/reading-coach/evaluate
+// with the step key the server last rendered; on success the page
+// refreshes and the server re-derives the next step. A 409 (stale
+// tab, double submit) just refreshes too.
+//
+// Text survives errors and reloads: the draft for each step is kept in
+// localStorage until the server accepts it, and a retried submit of
+// the same draft reuses its clientRequestId so the server replays the
+// stored turn instead of evaluating twice.
+
+'use client';
+
+import { useActionState, useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import type { ActionResult } from '@/lib/types';
+import { MAX_RESPONSE_CHARS } from '@/lib/reading-coach/limits';
+import type { ReadingCoachDebrief, ReadingCoachPhase, StepResolution } from '@/lib/reading-coach/state';
+import type { ReadingCoachStage } from '@/lib/reading-coach/types';
+import { startReadingCoachSession, submitReadingCoachChoice } from '../../actions';
+import s from './ReadingCoach.module.css';
+
+export interface RunnerStepView {
+  key: string;
+  stage: ReadingCoachStage;
+  label: string;
+  prompt: string;
+  unitTextHtml: string | null;
+  resolution: StepResolution | null;
+  attempts: Array<{
+    attemptNumber: number;
+    text: string;
+    status: string;
+    verdict: string | null;
+    feedback: string | null;
+  }>;
+  attemptNumber: number;
+  maxAttempts: number;
+  model: string | null;
+}
+
+export interface RunnerView {
+  sessionId: string;
+  title: string;
+  questionStemHtml: string;
+  passageHtml: string | null;
+  phase: ReadingCoachPhase;
+  steps: RunnerStepView[];
+  currentKey: string | null;
+  choices: Array<{
+    id: string;
+    label: string;
+    html: string;
+    correct: boolean | null;
+    rationaleHtml: string | null;
+  }> | null;
+  selectedChoiceId: string | null;
+  completionMode: 'independent' | 'scaffolded' | null;
+  debrief: (ReadingCoachDebrief & { scaffoldedSteps: Array<{ label: string; issue: string | null }> }) | null;
+}
+
+const PHASES: Array<{ key: ReadingCoachPhase; label: string }> = [
+  { key: 'task', label: 'Job' },
+  { key: 'passage', label: 'Passage' },
+  { key: 'preanswer', label: 'Pre-answer' },
+  { key: 'choice', label: 'Choice' },
+  { key: 'debrief', label: 'Review' },
+];
+
+const RESOLUTION_LABELS: Record<StepResolution, string> = {
+  passed: 'Done',
+  uncertain: 'Compared with a model',
+  scaffolded: 'Model shown',
+  branched: 'Going part by part',
+};
+
+function draftKey(sessionId: string, stepKey: string) {
+  return `reading-coach:${sessionId}:${stepKey}`;
+}
+
+function PhaseIndicator({ phase }: { phase: ReadingCoachPhase }) {
+  const currentIndex = PHASES.findIndex((p) => p.key === phase);
+  return (
+    <ol className={s.phases} aria-label="Progress">
+      {PHASES.map((p, i) => {
+        const state = i < currentIndex ? 'done' : i === currentIndex ? 'current' : 'todo';
+        return (
+          <li
+            key={p.key}
+            className={`${s.phase} ${s[`phase_${state}`]}`}
+            aria-current={state === 'current' ? 'step' : undefined}
+          >
+            <span className={s.phaseMarker} aria-hidden="true">
+              {state === 'done' ? '✓' : i + 1}
+            </span>
+            {p.label}
+            {state === 'done' && <span className={s.srOnly}> (done)</span>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+function ResolvedStep({ step }: { step: RunnerStepView }) {
+  const last = step.attempts[step.attempts.length - 1];
+  return (
+    <section className={s.resolved}>
+      <div className={s.resolvedHead}>
+        <span className={s.stepLabel}>{step.label}</span>
+        {step.resolution && <span className={s.resolutionTag}>{RESOLUTION_LABELS[step.resolution]}</span>}
+      </div>
+      {step.unitTextHtml && <div className={s.unitText} dangerouslySetInnerHTML={{ __html: step.unitTextHtml }} />}
+      {last && (
+        <p className={s.yourText}>
+          <span className={s.muted}>You wrote: </span>
+          {last.text}
+        </p>
+      )}
+      {last?.feedback && step.resolution === 'passed' && <p className={s.feedback}>{last.feedback}</p>}
+      {step.model && (
+        <p className={s.model}>
+          <span className={s.modelLabel}>Model: </span>
+          {step.model}
+        </p>
+      )}
+    </section>
+  );
+}
+
+function CurrentStep({ sessionId, step }: { sessionId: string; step: RunnerStepView }) {
+  const router = useRouter();
+  const [text, setText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const requestIdRef = useRef<{ text: string; id: string } | null>(null);
+  const feedbackRef = useRef<HTMLDivElement>(null);
+
+  // Restore this step's draft after a reload.
+  useEffect(() => {
+    const saved = window.localStorage.getItem(draftKey(sessionId, step.key));
+    if (saved) setText(saved);
+  }, [sessionId, step.key]);
+
+  const lastAttempt = step.attempts[step.attempts.length - 1] ?? null;
+  useEffect(() => {
+    if (lastAttempt) feedbackRef.current?.focus();
+  }, [lastAttempt?.attemptNumber]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  function onChange(next: string) {
+    setText(next);
+    window.localStorage.setItem(draftKey(sessionId, step.key), next);
+  }
+
+  async function onSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    if (submitting || !text.trim()) return;
+    setSubmitting(true);
+    setError(null);
+    // Same draft → same clientRequestId, so a retry after a dropped
+    // connection replays the stored turn.
+    if (requestIdRef.current?.text !== text) {
+      requestIdRef.current = { text, id: crypto.randomUUID() };
+    }
+    try {
+      const res = await fetch('/api/reading-coach/evaluate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sessionId,
+          stepKey: step.key,
+          responseText: text,
+          clientRequestId: requestIdRef.current.id,
+        }),
+      });
+      const json = await res.json().catch(() => null);
+      if (res.status === 409) {
+        router.refresh();
+        return;
+      }
+      if (!res.ok || !json?.ok) {
+        setError(json?.error ?? 'Something went wrong. Your text is saved — try again.');
+        return;
+      }
+      requestIdRef.current = null;
+      // A failed turn keeps the text for another try; its message
+      // arrives with the refresh as the step's latest feedback.
+      if (json.data?.status !== 'failed') {
+        window.localStorage.removeItem(draftKey(sessionId, step.key));
+        setText('');
+      }
+      router.refresh();
+    } catch {
+      setError('Connection problem. Your text is saved — try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  const busy = submitting;
+  const over = text.length > MAX_RESPONSE_CHARS;
+
+  return (
+    <section className={s.current} aria-labelledby="rc-current-label">
+      <div className={s.stepHead}>
+        <h2 id="rc-current-label" className={s.stepLabel}>
+          {step.label}
+        </h2>
+        <span className={s.attemptTag}>
+          Try {Math.min(step.attemptNumber, step.maxAttempts)} of {step.maxAttempts}
+        </span>
+      </div>
+      {step.unitTextHtml && <div className={s.unitText} dangerouslySetInnerHTML={{ __html: step.unitTextHtml }} />}
+
+      {step.attempts.length > 0 && (
+        <ol className={s.attempts}>
+          {step.attempts.map((a) => (
+            <li key={a.attemptNumber} className={s.attempt}>
+              <p className={s.yourText}>{a.text}</p>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div ref={feedbackRef} tabIndex={-1} aria-live="polite" className={s.feedbackSlot}>
+        {lastAttempt?.feedback && (
+          <p className={lastAttempt.status === 'failed' ? s.feedbackError : s.feedback}>
+            <span className={s.srOnly}>Feedback: </span>
+            {lastAttempt.feedback}
+          </p>
+        )}
+      </div>
+
+      <form onSubmit={onSubmit} className={s.form}>
+        <label htmlFor="rc-response" className={s.prompt}>
+          {step.prompt}
+        </label>
+        <textarea
+          id="rc-response"
+          className={s.textarea}
+          value={text}
+          onChange={(e) => onChange(e.target.value)}
+          rows={4}
+          maxLength={MAX_RESPONSE_CHARS + 200}
+          disabled={busy}
+          aria-describedby="rc-count"
+        />
+        <div className={s.formFoot}>
+          <span id="rc-count" className={over ? s.countOver : s.count}>
+            {text.length} / {MAX_RESPONSE_CHARS}
+          </span>
+          <button type="submit" className={s.primaryBtn} disabled={busy || over || !text.trim()}>
+            {busy ? 'Checking…' : 'Check'}
+          </button>
+        </div>
+        {error && (
+          <p role="alert" className={s.feedbackError}>
+            {error}
+          </p>
+        )}
+      </form>
+    </section>
+  );
+}
+
+function ChoiceStep({ view }: { view: RunnerView }) {
+  const router = useRouter();
+  const [state, action, pending] = useActionState<ActionResult | null, FormData>(async (prev, formData) => {
+    const result = await submitReadingCoachChoice(prev, formData);
+    if (result.ok) router.refresh();
+    return result;
+  }, null);
+
+  return (
+    <section className={s.current} aria-labelledby="rc-choice-label">
+      <h2 id="rc-choice-label" className={s.stepLabel}>
+        Now choose the best answer
+      </h2>
+      <form action={action} className={s.form}>
+        <input type="hidden" name="session_id" value={view.sessionId} />
+        <fieldset className={s.choices} disabled={pending}>
+          <legend className={s.srOnly}>Answer choices</legend>
+          {(view.choices ?? []).map((c) => (
+            <label key={c.id} className={s.choice}>
+              <input type="radio" name="choice_id" value={c.id} required />
+              <span className={s.choiceLabel}>{c.label}</span>
+              <span className={s.choiceText} dangerouslySetInnerHTML={{ __html: c.html }} />
+            </label>
+          ))}
+        </fieldset>
+        <div className={s.formFoot}>
+          <span />
+          <button type="submit" className={s.primaryBtn} disabled={pending}>
+            {pending ? 'Saving…' : 'Lock in answer'}
+          </button>
+        </div>
+        {state && !state.ok && (
+          <p role="alert" className={s.feedbackError}>
+            {state.error}
+          </p>
+        )}
+      </form>
+    </section>
+  );
+}
+
+function Debrief({ view }: { view: RunnerView }) {
+  const d = view.debrief;
+  if (!d) return null;
+  return (
+    <section className={s.current} aria-labelledby="rc-debrief-label">
+      <h2 id="rc-debrief-label" className={s.stepLabel}>
+        {d.correct ? 'Correct' : `Not quite — the answer is ${d.correctLabel}`}
+      </h2>
+      <p className={s.feedback} role="status">
+        {d.correct
+          ? view.completionMode === 'scaffolded'
+            ? 'You got there with some help along the way.'
+            : 'You worked it out on your own.'
+          : d.divergence
+            ? `Where it went off track: ${d.divergence.label.toLowerCase()}.`
+            : 'Compare your reasoning with the answer below.'}
+      </p>
+
+      <dl className={s.chain}>
+        {d.taskText && (
+          <>
+            <dt>The job</dt>
+            <dd>{d.taskText}</dd>
+          </>
+        )}
+        {d.passageMap.length > 0 && (
+          <>
+            <dt>Your passage map</dt>
+            <dd>
+              <ul className={s.mapList}>
+                {d.passageMap.map((m) => (
+                  <li key={m.key}>{m.text}</li>
+                ))}
+              </ul>
+            </dd>
+          </>
+        )}
+        {d.preanswerText && (
+          <>
+            <dt>Your pre-answer</dt>
+            <dd>{d.preanswerText}</dd>
+          </>
+        )}
+        {d.scaffoldedSteps.length > 0 && (
+          <>
+            <dt>Where you needed the model</dt>
+            <dd>
+              {d.scaffoldedSteps.map((st) => `${st.label}${st.issue ? ` (${st.issue.toLowerCase()})` : ''}`).join('; ')}
+            </dd>
+          </>
+        )}
+      </dl>
+
+      <ul className={s.choices}>
+        {(view.choices ?? []).map((c) => {
+          const selected = c.id === view.selectedChoiceId;
+          return (
+            <li
+              key={c.id}
+              className={`${s.choice} ${c.correct ? s.choiceCorrect : selected ? s.choiceWrong : ''}`}
+            >
+              <span className={s.choiceLabel}>{c.label}</span>
+              <div className={s.choiceBody}>
+                <span className={s.choiceText} dangerouslySetInnerHTML={{ __html: c.html }} />
+                <span className={s.choiceTags}>
+                  {c.correct && <strong>Correct answer</strong>}
+                  {selected && <strong>{c.correct ? ' · Your choice' : 'Your choice'}</strong>}
+                </span>
+                {c.rationaleHtml && (
+                  <div className={s.rationale} dangerouslySetInnerHTML={{ __html: c.rationaleHtml }} />
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className={s.endActions}>
+        <form action={startReadingCoachSession}>
+          <button type="submit" className={s.primaryBtn}>
+            Try another
+          </button>
+        </form>
+        <Link href="/learn" className={s.secondaryBtn}>
+          Return to Learn
+        </Link>
+      </div>
+    </section>
+  );
+}
+
+export function ReadingCoachRunner({ view }: { view: RunnerView }) {
+  const current = view.steps.find((st) => st.key === view.currentKey) ?? null;
+  const resolved = view.steps.filter((st) => st.key !== view.currentKey);
+
+  return (
+    <main className={s.container}>
+      <nav className={s.breadcrumb}>
+        <Link href="/reading-coach">← Reading Coach</Link>
+      </nav>
+      <h1 className={s.h1}>{view.title}</h1>
+      <PhaseIndicator phase={view.phase} />
+
+      <div className={s.layout}>
+        <div className={s.textCol}>
+          <section className={s.question}>
+            <span className={s.muted}>Question</span>
+            <div dangerouslySetInnerHTML={{ __html: view.questionStemHtml }} />
+          </section>
+          {view.passageHtml && (
+            <section className={s.passage}>
+              <span className={s.muted}>Passage</span>
+              <div dangerouslySetInnerHTML={{ __html: view.passageHtml }} />
+            </section>
+          )}
+        </div>
+
+        <div className={s.workCol}>
+          {resolved.map((st) => (
+            <ResolvedStep key={st.key} step={st} />
+          ))}
+          {current && <CurrentStep key={current.key} sessionId={view.sessionId} step={current} />}
+          {view.phase === 'choice' && <ChoiceStep view={view} />}
+          {view.phase === 'debrief' && <Debrief view={view} />}
+          <p className={s.disclosure}>Feedback is automated and can be imperfect.</p>
+        </div>
+      </div>
+    </main>
+  );
+}
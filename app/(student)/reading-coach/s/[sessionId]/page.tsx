@@ -0,0 +1,126 @@
+// Student · Reading Coach session — loads the session through RLS,
+// derives its state (lib/reading-coach/state.ts) and hands the runner
+// a view that contains only what the current phase may show:
+//
+//   - the question from the start; the passage once the task step is
+//     resolved;
+//   - choices (label + text, no correctness) only at `choice`;
+//   - rationales, the correct choice and the debrief only once the
+//     session is completed;
+//   - a step's model answer only after it resolved by the scaffold or
+//     as `uncertain`.
+//
+// Resuming is just loading this page again — everything comes from
+// the stored turns. Question, passage and choice HTML carry the
+// student's watermark like every other served question.
+
+import { notFound } from 'next/navigation';
+import { requireUserPage } from '@/lib/api/auth';
+import { readingCoachOpen } from '@/lib/flags-server';
+import { applyWatermark } from '@/lib/content/watermark';
+import { getReadingCoachVersionChoices } from '@/lib/reading-coach/content';
+import { readingCoachErrorLabel, modelAnswerFor } from '@/lib/reading-coach/evaluator';
+import { isUuid } from '@/lib/reading-coach/limits';
+import { loadReadingCoachSession } from '@/lib/reading-coach/session';
+import { buildReadingCoachDebrief, type ReadingCoachStepState } from '@/lib/reading-coach/state';
+import type { StoredVersionRubric } from '@/lib/reading-coach/types';
+import { ReadingCoachRunner, type RunnerStepView, type RunnerView } from './ReadingCoachRunner';
+
+export const dynamic = 'force-dynamic';
+
+const PROMPTS: Record<ReadingCoachStepState['stage'], string> = {
+  task: 'In your own words, what is this question asking you to do?',
+  passage: 'Sum up the passage in a sentence or two.',
+  processing_unit: 'Put this part of the passage in your own words.',
+  preanswer: 'Before you see the choices: what is your answer to the question?',
+};
+
+function stepView(step: ReadingCoachStepState, rubric: StoredVersionRubric): RunnerStepView {
+  const unitIndex = step.unitKey ? rubric.processingUnits.findIndex((u) => u.key === step.unitKey) : -1;
+  const label =
+    step.stage === 'task'
+      ? 'Name the job'
+      : step.stage === 'passage'
+        ? 'The passage'
+        : step.stage === 'preanswer'
+          ? 'Your pre-answer'
+          : `Part ${unitIndex + 1} of ${rubric.processingUnits.length}`;
+  const showModel = step.resolution === 'scaffolded' || step.resolution === 'uncertain';
+  return {
+    key: step.key,
+    stage: step.stage,
+    label,
+    prompt: PROMPTS[step.stage],
+    unitTextHtml: unitIndex >= 0 ? rubric.processingUnits[unitIndex].textHtml : null,
+    resolution: step.resolution,
+    attempts: step.attempts.map((a) => ({
+      attemptNumber: a.attempt_number,
+      text: a.student_text,
+      status: a.status,
+      verdict: a.verdict,
+      feedback: a.feedback_text,
+    })),
+    attemptNumber: step.misses + 1,
+    maxAttempts: step.maxAttempts,
+    model: showModel ? modelAnswerFor(rubric, step.stage, step.unitKey) : null,
+  };
+}
+
+export default async function ReadingCoachSessionPage({
+  params,
+}: {
+  params: Promise<{ sessionId: string }>;
+}) {
+  if (!(await readingCoachOpen())) notFound();
+  const { user, supabase } = await requireUserPage();
+  const { sessionId } = await params;
+  if (!isUuid(sessionId)) notFound();
+
+  const loaded = await loadReadingCoachSession(supabase, sessionId);
+  if (!loaded || loaded.session.user_id !== user.id) notFound();
+  const { session, version, rubric, state } = loaded;
+
+  const choiceRows = state.choicesRevealed ? await getReadingCoachVersionChoices(supabase, version.id) : [];
+  const completed = state.phase === 'debrief';
+  const debrief = completed
+    ? buildReadingCoachDebrief(state, choiceRows, session.selected_choice_id)
+    : null;
+
+  const view: RunnerView = {
+    sessionId: session.id,
+    title: loaded.itemTitle,
+    questionStemHtml: applyWatermark(version.question_stem_html, user.id),
+    passageHtml: state.passageRevealed ? applyWatermark(version.passage_html, user.id) : null,
+    phase: state.phase,
+    steps: state.steps.map((st) => stepView(st, rubric)),
+    currentKey: state.current?.key ?? null,
+    choices: state.choicesRevealed
+      ? choiceRows.map((c) => ({
+          id: c.id,
+          label: c.label,
+          html: applyWatermark(c.choice_html, user.id),
+          // Correctness and rationale only once the answer is locked in.
+          correct: completed ? c.is_correct : null,
+          rationaleHtml: completed ? applyWatermark(c.rationale_html, user.id) : null,
+        }))
+      : null,
+    selectedChoiceId: session.selected_choice_id,
+    completionMode: session.completion_mode as RunnerView['completionMode'],
+    debrief: debrief
+      ? {
+          ...debrief,
+          scaffoldedSteps: state.steps
+            .filter((st) => st.resolution === 'scaffolded')
+            .map((st) => {
+              const lastMiss = [...st.attempts].reverse().find((a) => a.error_code);
+              return {
+                label: stepView(st, rubric).label,
+                issue: lastMiss?.error_code ? readingCoachErrorLabel(lastMiss.error_code) : null,
+              };
+            }),
+        }
+      : null,
+  };
+
+  return <ReadingCoachRunner view={view} />;
+}
@@ -19,8 +19,8 @@
 
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { buildWeakQueue, selectDrillQuestionIds } from '@/lib/practice/weak-queue';
 import { buildWeakQueueAct } from '@/lib/practice/weak-queue-act';
 
@@ -38,13 +38,8 @@ export async function createWeakQueueDrill(_prevState, formData) {
   }
   const { user, supabase } = ctx;
 
-  const rl = await rateLimit(`review-start:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many review sessions started. Please wait a moment.');
-  }
+  const rl = await checkRateLimit('review.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const size = clampSize(formData.get('size'));
   const scored = await buildWeakQueue(supabase, user.id);
@@ -71,13 +66,8 @@ export async function createSkillDrill(_prevState, formData) {
   }
   const { user, supabase } = ctx;
 
-  const rl = await rateLimit(`review-skill:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many review sessions started. Please wait a moment.');
-  }
+  const rl = await checkRateLimit('review.skill', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const skillName = String(formData.get('skill') ?? '').trim();
   if (!skillName) return actionFail('Missing skill.');
@@ -141,13 +131,8 @@ export async function createActWeakQueueDrill(_prevState, formData) {
   }
   const { user, supabase } = ctx;
 
-  const rl = await rateLimit(`review-start:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many review sessions started. Please wait a moment.');
-  }
+  const rl = await checkRateLimit('review.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const size = clampSize(formData.get('size'));
   const scored = await buildWeakQueueAct(supabase, user.id);
@@ -175,13 +160,8 @@ export async function createActCategoryDrill(_prevState, formData) {
   }
   const { user, supabase } = ctx;
 
-  const rl = await rateLimit(`review-skill:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many review sessions started. Please wait a moment.');
-  }
+  const rl = await checkRateLimit('review.skill', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   // Field name stays `skill` so the existing SkillDrillButton form
   // can be reused without branching. The value carries the ACT
@@ -15,8 +15,8 @@
 
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import {
   buildReviewSessionQuestionIds,
   getDueReviewItems,
@@ -39,13 +39,8 @@ export async function createDueReviewSession(
   }
   const { user, supabase } = ctx;
 
-  const rl = await rateLimit(`review-start:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many review sessions started. Please wait a moment.');
-  }
+  const rl = await checkRateLimit('review.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const nowIso = new Date().toISOString();
   try {
@@ -34,7 +34,7 @@
 import { redirect } from 'next/navigation';
 import { revalidatePath } from 'next/cache';
 import { requireUser } from '@/lib/api/auth';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { checkRateLimit, rateLimitMessage } from '@/lib/api/rateLimitPolicy';
 import { MANUAL_COMPLETE_TYPES } from '@/lib/plan/today';
 import { SAT_TAXONOMY } from '@/lib/practice/sat-taxonomy';
 import {
@@ -124,8 +124,8 @@ export async function startPlanTask(formData: FormData): Promise<void> {
         fail('ACT drills are not supported yet.');
       }
       // Shares the practice-start budget so plan starts can't bypass it.
-      const rl = await rateLimit(`practice-start:${user.id}`, { limit: 20, windowMs: 60_000 });
-      if (!rl.ok) fail('Too many session starts. Please wait a moment and try again.');
+      const rl = await checkRateLimit('practice.start', { key: user.id, role: ctx.profile.role });
+      if (!rl.ok) fail(rateLimitMessage(rl));
 
       const fc = (payload.filter_criteria ?? {}) as Record<string, unknown>;
       const skillCode = str(fc, 'skill_code') ?? str(payload, 'skill_code');
@@ -237,8 +237,8 @@ export async function startPlanTask(formData: FormData): Promise<void> {
       if (plan.testType !== 'sat') {
         redirect('/review');
       }
-      const rl = await rateLimit(`practice-start:${user.id}`, { limit: 20, windowMs: 60_000 });
-      if (!rl.ok) fail('Too many session starts. Please wait a moment and try again.');
+      const rl = await checkRateLimit('practice.start', { key: user.id, role: ctx.profile.role });
+      if (!rl.ok) fail(rateLimitMessage(rl));
 
       const nowIso = new Date().toISOString();
       try {
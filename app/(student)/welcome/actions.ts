@@ -9,8 +9,8 @@
 import { revalidatePath } from 'next/cache';
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { logger } from '@/lib/api/logger';
 import { selectDiagnosticQuestions } from '@/lib/plan/diagnostic';
 import { generateStudyPlan, activatePlan } from '@/lib/plan/plan-actions';
@@ -84,8 +84,8 @@ export async function startDiagnosticAction(
   const { user, supabase } = ctx;
 
   // Same key as the practice launcher so the two share one budget.
-  const rl = await rateLimit(`practice-start:${user.id}`, { limit: 20, windowMs: 60_000 });
-  if (!rl.ok) return actionFail('Too many session starts. Please wait and try again.');
+  const rl = await checkRateLimit('practice.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   // Resume an open diagnostic instead of minting a second one.
   const { data: open } = await supabase
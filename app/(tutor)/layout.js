@@ -17,18 +17,28 @@
 // out as the unified Operate · Teach · Train union (same union
 // (admin)/layout.js renders) so the top bar doesn't switch
 // identity when the admin moves between subtrees.
+//
+// The sidebar's Coaching link carries an unread-thread badge for
+// teachers and managers (§5.1) — one count query, sidebar path only.
+//
+// An outside tutor whose card failed gets the billing banner while in
+// read-only grace (proxy.js sets x-billing-grace-until).
 
 import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
 import { requireUserPage } from '@/lib/api/auth';
 import { sidebarEnabledFor } from '@/lib/flags-server';
 import { AppNav } from '@/lib/ui/AppNav';
 import { AppShell } from '@/lib/ui/AppSidebar';
+import { BillingGraceBanner } from '@/lib/ui/BillingGraceBanner';
+import { loadCoachingUnreadCount } from '@/lib/tutor/load-coaching';
 import { tutorLinksForRole, tutorSectionsForRole } from '@/lib/ui/nav-links';
 
 export default async function TutorTreeLayout({ children }) {
-  const { user, profile } = await requireUserPage();
+  const { user, profile, supabase } = await requireUserPage();
 
   if (profile.role === 'student' || profile.role === 'practice') redirect('/dashboard');
+  if (profile.role === 'guardian') redirect('/guardian');
   if (!['teacher', 'manager', 'admin'].includes(profile.role)) redirect('/');
 
   const navUser = {
@@ -37,9 +47,16 @@ export default async function TutorTreeLayout({ children }) {
     firstName: profile.first_name ?? null,
   };
 
+  const graceEndsAt = (await headers()).get('x-billing-grace-until');
+  const banner = graceEndsAt ? <BillingGraceBanner graceEndsAt={graceEndsAt} /> : null;
+
   if (await sidebarEnabledFor(profile.role)) {
+    const coachingUnread = profile.role === 'admin'
+      ? 0
+      : await loadCoachingUnreadCount(supabase, user.id);
     return (
-      <AppShell user={navUser} sections={tutorSectionsForRole(profile.role)}>
+      <AppShell user={navUser} sections={tutorSectionsForRole(profile.role, { coachingUnread })}>
+        {banner}
         {children}
       </AppShell>
     );
@@ -48,6 +65,7 @@ export default async function TutorTreeLayout({ children }) {
   return (
     <>
       <AppNav user={navUser} links={tutorLinksForRole(profile.role)} />
+      {banner}
       {children}
     </>
   );
@@ -25,9 +25,10 @@
 'use server';
 
 import { revalidatePath } from 'next/cache';
-import { requireUser } from '@/lib/api/auth';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
 import { actionFail, actionOk, ApiError } from '@/lib/api/response';
 import { expandToAttemptIds } from '@/lib/practice/weak-queue';
+import { studentQuestionIds } from '@/lib/practice/adaptive';
 
 const MAX_ADD_AT_ONCE = 100;
 
@@ -50,6 +51,7 @@ export async function addAssignmentMembers(_prev, formData) {
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
@@ -105,6 +107,7 @@ export async function submitAssignmentOnBehalf(_prev, formData) {
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
@@ -132,7 +135,7 @@ export async function submitAssignmentOnBehalf(_prev, formData) {
       .maybeSingle(),
     ctx.supabase
       .from('assignment_students_v2')
-      .select('student_id')
+      .select('student_id, question_ids')
       .eq('assignment_id', assignmentId)
       .eq('student_id', studentId)
       .maybeSingle(),
@@ -184,10 +187,9 @@ export async function submitAssignmentOnBehalf(_prev, formData) {
     // the session system should be the same thing — an assignment
     // IS a session driven by the tutor — so close that gap by
     // synthesizing a real session row tied to the student's
-    // earliest attempt on these questions.
-    const questionIds = Array.isArray(assignment.question_ids)
-      ? assignment.question_ids.filter(Boolean)
-      : [];
+    // earliest attempt on these questions. An adaptive student who
+    // never started has no drawn set, so their session is empty.
+    const questionIds = studentQuestionIds(assignment, junction.question_ids).filter(Boolean);
 
     let createdAtIso = assignment.created_at ?? new Date().toISOString();
     if (questionIds.length > 0) {
@@ -289,6 +291,7 @@ export async function archiveAssignment(_prev, formData) {
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
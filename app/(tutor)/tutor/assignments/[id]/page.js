@@ -13,8 +13,20 @@ import Link from 'next/link';
 import { notFound, redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
 import { expandToAttemptIds } from '@/lib/practice/weak-queue';
+import { fetchInChunks } from '@/lib/supabase/fetchAll';
+import {
+  isQuestionSetType,
+  parseAdaptiveCriteria,
+  questionSetSize,
+  studentQuestionIds,
+} from '@/lib/practice/adaptive';
 import { AssignmentTypeBadge } from '@/lib/ui/AssignmentTypeBadge';
-import { formatDate, isPastDueDate } from '@/lib/formatters';
+import { formatDate, formatShortDate, isPastDueDate } from '@/lib/formatters';
+import {
+  describeSchedule,
+  parseRepeatSchedule,
+  RUN_OUTCOME_LABELS,
+} from '@/lib/practice/recurring';
 import { buildLessonCheckRollup, tallyFirstTry } from '@/lib/lesson/progress-report.mjs';
 import { addAssignmentMembers, submitAssignmentOnBehalf } from './actions';
 import { reassignAssignment } from './reassign-actions';
@@ -26,6 +38,9 @@ import s from './AssignmentDetail.module.css';
 
 export const dynamic = 'force-dynamic';
 
+// Enough for a couple of months of a weekly series on a full roster.
+const SERIES_HISTORY_RUN_LIMIT = 400;
+
 export default async function TutorAssignmentDetailPage({ params }) {
   const { id: assignmentId } = await params;
   const { user, profile, supabase } = await requireUser();
@@ -42,7 +57,7 @@ export default async function TutorAssignmentDetailPage({ params }) {
       .from('assignments_v2')
       .select(`
         id, assignment_type, title, description, due_date, archived_at, deleted_at,
-        created_at, question_ids, filter_criteria, lesson_id, practice_test_id,
+        created_at, question_ids, filter_criteria, lesson_id, practice_test_id, template_id,
         teacher:profiles!assignments_v2_teacher_id_fkey (id, first_name, last_name),
         lesson:lessons (id, title),
         practice_test:practice_tests_v2 (id, code, name)
@@ -52,7 +67,7 @@ export default async function TutorAssignmentDetailPage({ params }) {
     supabase
       .from('assignment_students_v2')
       .select(`
-        student_id, completed_at, created_at,
+        student_id, completed_at, created_at, question_ids,
         student:profiles!assignment_students_v2_student_id_fkey (id, first_name, last_name, email, role)
       `)
       .eq('assignment_id', assignmentId),
@@ -60,6 +75,12 @@ export default async function TutorAssignmentDetailPage({ params }) {
 
   if (!assignment || assignment.deleted_at) notFound();
 
+  // Assignments generated by a recurring template carry its id; the
+  // series history below reads that template's run log.
+  const seriesHistory = assignment.template_id
+    ? await loadSeriesHistory(supabase, assignment.template_id)
+    : null;
+
   // For 'questions' assignments, compute per-student progress from
   // the v2 attempts table directly (not question_status, which the
   // new tree doesn't maintain). Latest attempt per (user, question)
@@ -67,17 +88,26 @@ export default async function TutorAssignmentDetailPage({ params }) {
   // behavior. Also feed the cohort-wide accuracy stat at the top.
   // lesson_pack carries the same question_ids snapshot as
   // 'questions', so every per-question section on this page treats
-  // them the same. One predicate, used everywhere below.
-  const isQuestionLike =
-    assignment.assignment_type === 'questions'
-    || assignment.assignment_type === 'lesson_pack';
+  // them the same. One predicate, used everywhere below. An adaptive
+  // assignment is question-like too, but each student has their own
+  // drawn set (junction question_ids): per-student numbers run over
+  // that set, and questionIds below is the union across the cohort.
+  const isQuestionLike = isQuestionSetType(assignment.assignment_type);
+  const isAdaptive = assignment.assignment_type === 'adaptive';
   // Lesson assignments get their own progress surface: per-student
   // block/check progress from lesson_progress (RLS can_view lets the
   // tutor read student rows) plus the struggled-blocks rollup below.
   const isLesson =
     assignment.assignment_type === 'lesson' && Boolean(assignment.lesson_id);
-  const questionIds =
-    isQuestionLike && Array.isArray(assignment.question_ids)
+  const questionIdsByStudent = new Map(
+    (junctionRows ?? []).map((r) => [
+      r.student_id,
+      isQuestionLike ? studentQuestionIds(assignment, r.question_ids) : [],
+    ]),
+  );
+  const questionIds = isAdaptive
+    ? Array.from(new Set([...questionIdsByStudent.values()].flat()))
+    : isQuestionLike && Array.isArray(assignment.question_ids)
       ? assignment.question_ids
       : [];
   const studentIds = (junctionRows ?? []).map((r) => r.student_id);
@@ -103,21 +133,28 @@ export default async function TutorAssignmentDetailPage({ params }) {
   // section below can show display_code + skill + per-question
   // cohort accuracy. Skipped when the assignment has no question
   // pool (lesson / practice-test types).
+  //
+  // Both id lists go in chunks: an adaptive cohort's union can run
+  // well past what fits in one request URL.
   const [attemptRowsRes, questionMetaRes, sessionRowsRes, lessonBlocksRes, lessonProgressRes] = await Promise.all([
     attemptQuestionIds.length > 0 && studentIds.length > 0
-      ? supabase
-          .from('attempts')
-          .select('user_id, question_id, is_correct, created_at')
-          .in('user_id', studentIds)
-          .in('question_id', attemptQuestionIds)
-          .gte('created_at', assignmentFloor)
-          .order('created_at', { ascending: false })
+      ? fetchInChunks(attemptQuestionIds, (ids) =>
+          supabase
+            .from('attempts')
+            .select('user_id, question_id, is_correct, created_at')
+            .in('user_id', studentIds)
+            .in('question_id', ids)
+            .gte('created_at', assignmentFloor)
+            .order('created_at', { ascending: false }),
+        ).then((data) => ({ data }))
       : Promise.resolve({ data: [] }),
     questionIds.length > 0
-      ? supabase
-          .from('questions_v2')
-          .select('id, display_code, domain_name, skill_name, score_band')
-          .in('id', questionIds)
+      ? fetchInChunks(questionIds, (ids) =>
+          supabase
+            .from('questions_v2')
+            .select('id, display_code, domain_name, skill_name, score_band')
+            .in('id', ids),
+        ).then((data) => ({ data }))
       : Promise.resolve({ data: [] }),
     // Latest practice session per student for this assignment.
     // Powers the per-row "Report" link: when a student has at
@@ -190,7 +227,7 @@ export default async function TutorAssignmentDetailPage({ params }) {
   let cohortDone = 0;
   let cohortCorrect = 0;
   for (const studentId of studentIds) {
-    for (const qid of questionIds) {
+    for (const qid of questionIdsByStudent.get(studentId) ?? []) {
       const qKey = v2ByLegacy.get(qid) ?? qid;
       const att = firstAttemptByPair.get(`${studentId}::${qKey}`);
       if (!att) continue;
@@ -250,6 +287,8 @@ export default async function TutorAssignmentDetailPage({ params }) {
       completed_at: r.completed_at,
       done: stats.done,
       correct: stats.correct,
+      // Before an adaptive student starts, their set is the recipe size.
+      total: questionSetSize(assignment, questionIdsByStudent.get(r.student_id)),
       lesson: lessonStatsByStudent.get(r.student_id) ?? null,
       reportSessionId:
         reportSession && reportSession.status === 'completed'
@@ -335,7 +374,8 @@ export default async function TutorAssignmentDetailPage({ params }) {
     ?? (assignment.assignment_type === 'practice_test' ? assignment.practice_test?.name : null)
     ?? 'Assignment';
 
-  const totalQuestions = questionIds.length;
+  const totalQuestions = isAdaptive ? questionSetSize(assignment) : questionIds.length;
+  const skillRows = isAdaptive ? buildSkillRows(assignment, questionIds, questionMeta, statusByQuestion) : [];
   // Cohort-wide first-try accuracy across every submitted lesson check.
   let lessonAnswered = 0;
   let lessonFirstTry = 0;
@@ -408,7 +448,9 @@ export default async function TutorAssignmentDetailPage({ params }) {
             sub={
               cohortDone > 0
                 ? `${cohortDone.toLocaleString()} attempts across cohort`
-                : 'No attempts yet'
+                : isAdaptive
+                  ? 'Per student, drawn at start'
+                  : 'No attempts yet'
             }
           />
         )}
@@ -493,8 +535,8 @@ export default async function TutorAssignmentDetailPage({ params }) {
               <tbody>
                 {students.map((stu) => {
                   const donePct =
-                    totalQuestions > 0
-                      ? Math.round((stu.done / totalQuestions) * 100)
+                    stu.total > 0
+                      ? Math.round((stu.done / stu.total) * 100)
                       : null;
                   const accPct =
                     stu.done > 0
@@ -544,10 +586,10 @@ export default async function TutorAssignmentDetailPage({ params }) {
                         <>
                           <td className={s.tdNum}>
                             {stu.done}
-                            <span className={s.muted}> / {totalQuestions}</span>
+                            <span className={s.muted}> / {stu.total}</span>
                           </td>
                           <td className={s.tdProgress}>
-                            {totalQuestions > 0 && (
+                            {stu.total > 0 && (
                               <div className={s.progress}>
                                 <div
                                   className={s.progressBar}
@@ -601,7 +643,7 @@ export default async function TutorAssignmentDetailPage({ params }) {
                             studentId={stu.id}
                             studentName={stu.name}
                             done={stu.done}
-                            total={totalQuestions}
+                            total={stu.total}
                             action={submitAssignmentOnBehalf}
                           />
                         ) : (
@@ -634,7 +676,118 @@ export default async function TutorAssignmentDetailPage({ params }) {
         />
       )}
 
-      {isQuestionLike && questionIds.length > 0 && (
+      {isAdaptive && skillRows.length > 0 && (
+        <section className={s.card}>
+          <div className={s.cardHeader}>
+            <div>
+              <div className={s.h2}>Skills</div>
+              <div className={s.cardHint}>
+                Each student gets their own questions, so results are grouped by skill.
+              </div>
+            </div>
+            <span className={s.cardTag}>{skillRows.length} skills</span>
+          </div>
+          <ul className={s.questionList}>
+            {skillRows.map((row, i) => {
+              const accuracyPct =
+                row.done > 0 ? Math.round((row.correct / row.done) * 100) : null;
+              const statusClass =
+                accuracyPct == null
+                  ? s.qStatusPending
+                  : accuracyPct >= 80
+                    ? s.qStatusCorrect
+                    : accuracyPct >= 50
+                      ? s.qStatusOk
+                      : s.qStatusWrong;
+              return (
+                <li key={row.skill} className={s.qRow}>
+                  <span className={s.qIndex}>{i + 1}</span>
+                  <div className={s.qInfo}>
+                    <div className={s.qCode}>{row.skill}</div>
+                    <div className={s.qMeta}>
+                      {row.domain && (
+                        <>
+                          <span>{row.domain}</span>
+                          <span className={s.muted}> · </span>
+                        </>
+                      )}
+                      <span>{row.questions} distinct question{row.questions === 1 ? '' : 's'} drawn</span>
+                    </div>
+                  </div>
+                  <span className={`${s.qStatus} ${statusClass}`}>
+                    {row.done === 0
+                      ? 'No answers yet'
+                      : `${row.correct} of ${row.done} correct${accuracyPct != null ? ` · ${accuracyPct}%` : ''}`}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
+      {seriesHistory && (
+        <section className={s.card}>
+          <div className={s.cardHeader}>
+            <div>
+              <div className={s.h2}>Series history</div>
+              <div className={s.cardHint}>
+                {seriesHistory.name} · {seriesHistory.scheduleLabel}
+                {seriesHistory.paused
+                  ? ' · Paused'
+                  : seriesHistory.nextRunOn
+                    ? ` · Next set ${formatShortDate(seriesHistory.nextRunOn)}`
+                    : ''}
+              </div>
+            </div>
+            <span className={s.cardTag}>
+              {seriesHistory.occurrences.length} set{seriesHistory.occurrences.length === 1 ? '' : 's'}
+            </span>
+          </div>
+          <div className={s.tableWrap}>
+            <table className={s.table}>
+              <thead>
+                <tr>
+                  <th className={s.th}>Set</th>
+                  <th className={s.th}>Student</th>
+                  <th className={s.th}>Result</th>
+                  <th className={s.th}>Completed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {seriesHistory.occurrences.flatMap((occ) =>
+                  occ.runs.map((run, i) => (
+                    <tr key={`${occ.occurrenceOn}:${run.studentId}`}>
+                      <td className={s.td}>{i === 0 ? formatShortDate(occ.occurrenceOn) : ''}</td>
+                      <td className={s.td}>{run.studentName}</td>
+                      <td className={s.td}>
+                        {run.assignmentId && run.assignmentId !== assignment.id ? (
+                          <Link href={`/tutor/assignments/${run.assignmentId}`} className={s.nameLink}>
+                            {run.label}
+                          </Link>
+                        ) : (
+                          <span className={run.outcome === 'created' ? undefined : s.muted}>
+                            {run.assignmentId === assignment.id ? 'This assignment' : run.label}
+                          </span>
+                        )}
+                      </td>
+                      <td className={s.td}>
+                        {run.completedAt ? (
+                          <span className={s.completedTag}>✓ {formatShortDate(run.completedAt)}</span>
+                        ) : (
+                          <span className={s.muted}>{run.assignmentId ? 'Open' : '—'}</span>
+                        )}
+                      </td>
+                    </tr>
+                  )),
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {isQuestionLike && !isAdaptive && questionIds.length > 0 && (
         <section className={s.card}>
           <div className={s.cardHeader}>
             <div>
@@ -726,6 +879,96 @@ export default async function TutorAssignmentDetailPage({ params }) {
 
 // ──────────────────────────────────────────────────────────────
 
+// Adaptive cohort results by skill, in the recipe's order: the
+// recipe's skills first, then any skill that only shows up on the
+// drawn questions.
+function buildSkillRows(assignment, questionIds, questionMeta, statusByQuestion) {
+  const rows = new Map();
+  for (const sel of parseAdaptiveCriteria(assignment.filter_criteria)?.skillSelections ?? []) {
+    rows.set(sel.skill, { skill: sel.skill, domain: sel.domain, questions: 0, done: 0, correct: 0 });
+  }
+  for (const qid of questionIds) {
+    const meta = questionMeta.get(qid);
+    const skill = meta?.skill_name ?? 'Other';
+    const row = rows.get(skill) ?? { skill, domain: meta?.domain_name ?? null, questions: 0, done: 0, correct: 0 };
+    const stat = statusByQuestion.get(qid) ?? { done: 0, correct: 0 };
+    row.questions += 1;
+    row.done += stat.done;
+    row.correct += stat.correct;
+    rows.set(skill, row);
+  }
+  return [...rows.values()];
+}
+
+// The recurring series this assignment belongs to: the template's
+// schedule plus its most recent occurrences, one row per student per
+// occurrence with the outcome and, for created sets, completion.
+// Both tables are owner-scoped under RLS, so a viewer who isn't the
+// series owner (or an admin) gets null and the section stays hidden.
+async function loadSeriesHistory(supabase, templateId) {
+  const [{ data: template }, { data: runs }] = await Promise.all([
+    supabase
+      .from('assignment_templates')
+      .select('id, name, repeat_every, repeat_weekday, repeat_interval_days, next_run_on, paused_at')
+      .eq('id', templateId)
+      .maybeSingle(),
+    supabase
+      .from('assignment_template_runs')
+      .select(`
+        occurrence_on, student_id, assignment_id, outcome,
+        student:profiles!assignment_template_runs_student_id_fkey (first_name, last_name, email)
+      `)
+      .eq('template_id', templateId)
+      .order('occurrence_on', { ascending: false })
+      .limit(SERIES_HISTORY_RUN_LIMIT),
+  ]);
+  if (!template) return null;
+
+  const assignmentIds = [...new Set((runs ?? []).map((r) => r.assignment_id).filter(Boolean))];
+  const completedAt = new Map();
+  if (assignmentIds.length > 0) {
+    const junction = await fetchInChunks(assignmentIds, (ids) =>
+      supabase
+        .from('assignment_students_v2')
+        .select('assignment_id, student_id, completed_at')
+        .in('assignment_id', ids),
+    );
+    for (const j of junction) completedAt.set(`${j.assignment_id}:${j.student_id}`, j.completed_at);
+  }
+
+  const byOccurrence = new Map();
+  for (const r of runs ?? []) {
+    const name =
+      [r.student?.first_name, r.student?.last_name].filter(Boolean).join(' ')
+      || r.student?.email
+      || 'Student';
+    const list = byOccurrence.get(r.occurrence_on) ?? [];
+    list.push({
+      studentId: r.student_id,
+      studentName: name,
+      assignmentId: r.assignment_id,
+      outcome: r.outcome,
+      label: RUN_OUTCOME_LABELS[r.outcome] ?? r.outcome,
+      completedAt: r.assignment_id
+        ? completedAt.get(`${r.assignment_id}:${r.student_id}`) ?? null
+        : null,
+    });
+    byOccurrence.set(r.occurrence_on, list);
+  }
+
+  const schedule = parseRepeatSchedule(template);
+  return {
+    name: template.name,
+    scheduleLabel: schedule ? describeSchedule(schedule) : 'No longer recurring',
+    nextRunOn: template.next_run_on,
+    paused: template.paused_at != null,
+    occurrences: [...byOccurrence.entries()].map(([occurrenceOn, list]) => ({
+      occurrenceOn,
+      runs: list.sort((a, b) => a.studentName.localeCompare(b.studentName)),
+    })),
+  };
+}
+
 function StatTile({ label, value, sub, tone = 'neutral' }) {
   return (
     <div className={`${s.statTile} ${s[`statTile_${tone}`] ?? ''}`}>
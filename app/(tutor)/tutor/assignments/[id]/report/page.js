@@ -17,6 +17,11 @@
 // per-student studentAnswer; instead a `cohort` payload listing
 // who answered correctly, who got it wrong, and who hasn't
 // attempted at all yet.
+//
+// Adaptive assignments report over the union of the students' drawn
+// sets, ordered by skill then difficulty. Each item's cohort counts
+// only the students who drew it, and a per-skill student matrix
+// carries the comparison that positions can't.
 
 import { notFound, redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
@@ -27,6 +32,12 @@ import { expandToAttemptIds } from '@/lib/practice/weak-queue';
 import { inferLayoutMode } from '@/lib/ui/question-layout';
 import { loadQuestionNotesByQuestion } from '@/lib/practice/load-question-notes';
 import { GroupAssignmentReport } from '@/lib/practice/GroupAssignmentReport';
+import {
+  isQuestionSetType,
+  questionSetSize,
+  studentQuestionIds,
+} from '@/lib/practice/adaptive';
+import { fetchInChunks } from '@/lib/supabase/fetchAll';
 import { loadPatternCatalog, canTagPatterns } from '@/lib/practice/load-question-patterns';
 
 // Mirrors the constants in build-session-review.js. The cohort
@@ -54,14 +65,14 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
       .from('assignments_v2')
       .select(`
         id, assignment_type, title, description, due_date, archived_at, deleted_at,
-        created_at, question_ids
+        created_at, question_ids, filter_criteria
       `)
       .eq('id', assignmentId)
       .maybeSingle(),
     supabase
       .from('assignment_students_v2')
       .select(`
-        student_id, completed_at, created_at,
+        student_id, completed_at, created_at, question_ids,
         student:profiles!assignment_students_v2_student_id_fkey (id, first_name, last_name, email, role)
       `)
       .eq('assignment_id', assignmentId),
@@ -72,9 +83,9 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
   // Group reports run on the per-question attempt grain. Both
   // 'questions' assignments and 'lesson_pack' assignments
   // materialize question_ids the same way, so the aggregator
-  // doesn't need to branch — only this gate does.
-  if (assignment.assignment_type !== 'questions'
-      && assignment.assignment_type !== 'lesson_pack') {
+  // doesn't need to branch. Adaptive ones keep a set per student,
+  // which the cohort loop below narrows to.
+  if (!isQuestionSetType(assignment.assignment_type)) {
     return (
       <EmptyReport
         title={assignment.title ?? 'Assignment'}
@@ -84,15 +95,32 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
     );
   }
 
-  const questionIds = Array.isArray(assignment.question_ids)
-    ? assignment.question_ids.filter(Boolean)
-    : [];
+  const isAdaptive = assignment.assignment_type === 'adaptive';
+  // Per-student sets (adaptive only) and the report's item list: the
+  // assignment's own order, or the union of every drawn set.
+  const setByStudent = new Map();
+  let questionIds;
+  if (isAdaptive) {
+    const union = new Set();
+    for (const r of junctionRows ?? []) {
+      const ids = studentQuestionIds(assignment, r.question_ids);
+      setByStudent.set(r.student_id, new Set(ids));
+      for (const id of ids) union.add(id);
+    }
+    questionIds = [...union];
+  } else {
+    questionIds = Array.isArray(assignment.question_ids)
+      ? assignment.question_ids.filter(Boolean)
+      : [];
+  }
   if (questionIds.length === 0) {
     return (
       <EmptyReport
         title={assignment.title ?? 'Assignment'}
         backHref={`/tutor/assignments/${assignmentId}`}
-        body="This assignment has no question pool, so there's no report to render."
+        body={isAdaptive
+          ? "No student has started this assignment yet, so there are no drawn questions to compare."
+          : "This assignment has no question pool, so there's no report to render."}
       />
     );
   }
@@ -134,25 +162,27 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
   // this assignment, matching the per-student report and the
   // assignment detail page.
   const assignmentFloor = assignment.created_at ?? '1970-01-01T00:00:00Z';
-  const [
-    { data: questions },
-    { data: attemptRows },
-  ] = await Promise.all([
-    supabase
-      .from('questions_v2')
-      .select(
-        'id, question_type, stimulus_html, stem_html, options, stimulus_rendered, stem_rendered, options_rendered, rationale_html, rationale_rendered, correct_answer, domain_code, domain_name, skill_code, skill_name, difficulty, score_band, display_code, pattern_id',
-      )
-      .in('id', questionIds),
+  // Chunked: an adaptive cohort's union can outgrow one request URL.
+  const [questions, attemptRows] = await Promise.all([
+    fetchInChunks(questionIds, (ids) =>
+      supabase
+        .from('questions_v2')
+        .select(
+          'id, question_type, stimulus_html, stem_html, options, stimulus_rendered, stem_rendered, options_rendered, rationale_html, rationale_rendered, correct_answer, domain_code, domain_name, skill_code, skill_name, difficulty, score_band, display_code, pattern_id',
+        )
+        .in('id', ids),
+    ),
     studentIds.length > 0 && attemptQuestionIds.length > 0
-      ? supabase
-          .from('attempts')
-          .select('user_id, question_id, is_correct, created_at')
-          .in('user_id', studentIds)
-          .in('question_id', attemptQuestionIds)
-          .gte('created_at', assignmentFloor)
-          .order('created_at', { ascending: true })
-      : Promise.resolve({ data: [] }),
+      ? fetchInChunks(attemptQuestionIds, (ids) =>
+          supabase
+            .from('attempts')
+            .select('user_id, question_id, is_correct, created_at')
+            .in('user_id', studentIds)
+            .in('question_id', ids)
+            .gte('created_at', assignmentFloor)
+            .order('created_at', { ascending: true }),
+        )
+      : Promise.resolve([]),
   ]);
 
   // First in-window attempt per (student, question) wins. attempts
@@ -160,7 +190,7 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
   // sides (assignment qids and attempt qids) get normalized through
   // v2ByLegacy so v1- and v2-era ids line up on the same key.
   const firstByPair = new Map();
-  for (const a of attemptRows ?? []) {
+  for (const a of attemptRows) {
     const qKey = v2ByLegacy.get(a.question_id) ?? a.question_id;
     const key = `${a.user_id}::${qKey}`;
     if (!firstByPair.has(key)) firstByPair.set(key, a);
@@ -171,7 +201,19 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
 
   // Per-question cohort breakdown. correct/incorrect/omitted each
   // hold { id, name } so the client can render names on hover.
-  const questionContentById = new Map((questions ?? []).map((q) => [q.id, q]));
+  const questionContentById = new Map(questions.map((q) => [q.id, q]));
+
+  // Adaptive items read skill by skill, easiest first, so the map's
+  // skill groups come out in a stable order.
+  if (isAdaptive) {
+    const rank = (qid) => questionContentById.get(v2KeyForAssignmentQid(qid));
+    questionIds.sort((a, b) => {
+      const qa = rank(a);
+      const qb = rank(b);
+      return (qa?.skill_name ?? '').localeCompare(qb?.skill_name ?? '')
+        || (qa?.difficulty ?? 0) - (qb?.difficulty ?? 0);
+    });
+  }
 
   let cohortDone = 0;
   let cohortCorrect = 0;
@@ -194,6 +236,8 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
     const omitted = [];
 
     for (const stu of students) {
+      // Students who didn't draw this question aren't omissions.
+      if (isAdaptive && !setByStudent.get(stu.id)?.has(qid)) continue;
       const a = firstByPair.get(`${stu.id}::${qKey}`);
       if (!a) {
         omitted.push({ id: stu.id, name: stu.name });
@@ -325,6 +369,9 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
 
   const cohortAccuracy =
     cohortDone > 0 ? cohortCorrect / cohortDone : null;
+  const skillComparison = isAdaptive
+    ? buildSkillComparison(students, setByStudent, questionContentById, firstByPair, v2KeyForAssignmentQid)
+    : null;
   const completedCount = students.filter((s) => s.completedAt).length;
   // Questions where at least one student got it wrong — what the
   // tutor will most want to spend the meeting on.
@@ -441,7 +488,7 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
         cohortCorrect,
         totalStudents: students.length,
         completedCount,
-        totalQuestions: questionIds.length,
+        totalQuestions: questionSetSize(assignment),
         wrongQuestionCount,
         byScoreBand: Array.from(byScoreBand.entries())
           .sort((a, b) => a[0] - b[0])
@@ -468,12 +515,39 @@ export default async function TutorAssignmentGroupReportPage({ params }) {
       currentUserId={user.id}
       canFlagBroken={['manager', 'admin'].includes(profile.role)}
       canViewStats={QUESTION_STATS_ROLES.includes(profile.role)}
+      groupBy={isAdaptive ? 'skill' : undefined}
+      skillComparison={skillComparison}
     />
   );
 }
 
 // ──────────────────────────────────────────────────────────────
 
+// { skills: [skill_name], cells: { [studentId]: { [skill]: { drawn,
+// answered, correct } } } } over each student's own drawn set, with
+// the same first-attempt-in-window rule as the items.
+function buildSkillComparison(students, setByStudent, contentById, firstByPair, v2Key) {
+  const skills = new Set();
+  const cells = {};
+  for (const stu of students) {
+    const row = {};
+    for (const qid of setByStudent.get(stu.id) ?? []) {
+      const qKey = v2Key(qid);
+      const skill = contentById.get(qKey)?.skill_name ?? 'Other';
+      skills.add(skill);
+      const cell = row[skill] ?? (row[skill] = { drawn: 0, answered: 0, correct: 0 });
+      cell.drawn += 1;
+      const a = firstByPair.get(`${stu.id}::${qKey}`);
+      if (a) {
+        cell.answered += 1;
+        if (a.is_correct) cell.correct += 1;
+      }
+    }
+    cells[stu.id] = row;
+  }
+  return { skills: [...skills].sort((a, b) => a.localeCompare(b)), cells };
+}
+
 function EmptyReport({ title, backHref, body }) {
   return (
     <main style={{
@@ -7,7 +7,8 @@
 //   1. Latest completed v2 session for (student, assignment).
 //      That's the canonical case and the report stays identical
 //      to /tutor/sessions/[sessionId].
-//   2. Synthetic session built from assignment.question_ids and
+//   2. Synthetic session built from assignment.question_ids (an
+//      adaptive assignment: the student's own drawn set) and
 //      assignment.created_at. Used when the student worked the
 //      questions outside the v2 runner (multiple sessions,
 //      pre-cutover imports, manual "Submit for student" without
@@ -23,6 +24,7 @@ import { requireUser } from '@/lib/api/auth';
 import { QUESTION_STATS_ROLES } from '@/lib/practice/question-stats';
 import { buildSessionReview } from '@/lib/practice/build-session-review';
 import { expandToAttemptIds } from '@/lib/practice/weak-queue';
+import { studentQuestionIds } from '@/lib/practice/adaptive';
 import { AssignmentReport } from '@/lib/practice/AssignmentReport';
 import { buildLessonCheckRows } from '@/lib/lesson/progress-report.mjs';
 import { LessonStudentReport } from '../../LessonProgressSections';
@@ -64,7 +66,7 @@ export default async function TutorAssignmentStudentReportPage({ params, searchP
       .maybeSingle(),
     supabase
       .from('assignment_students_v2')
-      .select('student_id, completed_at, created_at')
+      .select('student_id, completed_at, created_at, question_ids')
       .eq('assignment_id', assignmentId)
       .eq('student_id', studentId)
       .maybeSingle(),
@@ -133,19 +135,23 @@ export default async function TutorAssignmentStudentReportPage({ params, searchP
     );
   }
 
-  const questionIds = Array.isArray(assignment.question_ids)
-    ? assignment.question_ids.filter(Boolean)
-    : [];
+  const isAdaptive = assignment.assignment_type === 'adaptive';
+  const questionIds = studentQuestionIds(assignment, junction.question_ids).filter(Boolean);
 
   // No questions on the assignment (practice-test type, or a
-  // malformed pool). Nothing to report on.
+  // malformed pool), or an adaptive student who hasn't drawn a set
+  // yet. Nothing to report on.
   if (questionIds.length === 0) {
     return (
       <EmptyReport
         ownerName={ownerName}
         title={assignment.title ?? 'Assignment'}
         backHref={`/tutor/assignments/${assignmentId}`}
-        body="This assignment has no question pool, so there's no report to render."
+        body={
+          isAdaptive
+            ? "This student hasn't started yet — their questions are picked when they do."
+            : "This assignment has no question pool, so there's no report to render."
+        }
       />
     );
   }
@@ -229,6 +235,7 @@ export default async function TutorAssignmentStudentReportPage({ params, searchP
         canFlagBroken={['manager', 'admin'].includes(profile.role)}
         canViewStats={QUESTION_STATS_ROLES.includes(profile.role)}
         rebuildHref={`/tutor/assignments/${assignmentId}/students/${studentId}?rebuild=1`}
+        groupBy={isAdaptive ? 'skill' : undefined}
       />
     );
   }
@@ -291,6 +298,7 @@ export default async function TutorAssignmentStudentReportPage({ params, searchP
       currentUserId={view.currentUserId}
       canFlagBroken={['manager', 'admin'].includes(profile.role)}
       canViewStats={QUESTION_STATS_ROLES.includes(profile.role)}
+      groupBy={isAdaptive ? 'skill' : undefined}
     />
   );
 }
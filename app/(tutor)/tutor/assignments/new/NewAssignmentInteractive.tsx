@@ -1,4 +1,4 @@
-// Teacher assignment-creation form. One form, four type-specific
+// Teacher assignment-creation form. One form, five type-specific
 // payload groups toggled by the selected assignment_type.
 //
 // Key design points:
@@ -14,6 +14,10 @@
 // - The selected skills are serialized to a single hidden input
 //   as JSON because the payload shape is nested; getAll('field')
 //   can't represent nested objects cleanly.
+// - "adaptive" reuses the same skill picker and weights, minus the
+//   bands, difficulty and attempt filters: those are decided per
+//   student at start time from their mastery, toward the goal set
+//   here.
 //
 // Client state is minimal: the working selection (which skills
 // are chosen, their bands + weight), the type toggle, and the
@@ -25,6 +29,7 @@ import { useActionState, useMemo, useState } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 import type { ActionResult } from '@/lib/types';
 import type { LessonCatalogItem } from '@/lib/lesson/catalog';
+import { DEFAULT_MASTERY_GOAL, MAX_MASTERY_GOAL, MIN_MASTERY_GOAL } from '@/lib/practice/adaptive';
 import { LessonPicker } from './LessonPicker';
 import styles from './NewAssignmentInteractive.module.css';
 
@@ -45,6 +50,8 @@ type PersonOption = { id: string; name: string; email: string | null };
 type PracticeTestOption = { id: string; label: string };
 type LessonPackOption = { id: string; name: string; questionCount: number };
 type TemplateOption = { id: string; name: string };
+/** A class the teacher owns, with its current (not dropped) students. */
+type ClassGroupOption = { id: string; name: string; studentIds: string[] };
 
 /** Server-resolved one-click prefill (§4.3): a template or a
  *  student's weak skills. Skills are the persisted shape (no
@@ -69,6 +76,9 @@ type TemplateDeleteAction = (
 
 interface Props {
   students: PersonOption[];
+  /** Class chips above the student list; picking one selects the
+   *  whole class. Empty hides the row. */
+  classGroups?: ClassGroupOption[];
   /**
    * Teachers under this manager. Empty for non-managers — when
    * empty, the Target toggle is hidden and the form falls back
@@ -108,6 +118,7 @@ function difficultyLabel(d: number): string {
 
 export function NewAssignmentInteractive({
   students,
+  classGroups = [],
   teachers = [],
   domains,
   difficulties,
@@ -127,8 +138,9 @@ export function NewAssignmentInteractive({
 
   const hasTeachers = teachers.length > 0;
   const [assignmentType, setAssignmentType] = useState<
-    'questions' | 'practice_test' | 'lesson' | 'lesson_pack'
+    'questions' | 'practice_test' | 'lesson' | 'lesson_pack' | 'adaptive'
   >('questions');
+  const isAdaptive = assignmentType === 'adaptive';
 
   // Deep-link support:
   //   ?target=trainees&teacher=<id> — manager flow from the teacher
@@ -318,6 +330,21 @@ export function NewAssignmentInteractive({
     });
   };
 
+  // A class chip is "on" when every one of its students is selected;
+  // clicking it then clears them, otherwise it adds the rest.
+  const classSelected = (c: ClassGroupOption) => c.studentIds.every((id) => selectedStudents.has(id));
+  const toggleClass = (c: ClassGroupOption) => {
+    const on = classSelected(c);
+    setSelectedStudents((prev) => {
+      const next = new Set(prev);
+      for (const id of c.studentIds) {
+        if (on) next.delete(id);
+        else next.add(id);
+      }
+      return next;
+    });
+  };
+
   const toggleDifficulty = (d: number) => {
     setGlobalDifficulties((prev) => {
       const next = new Set(prev);
@@ -386,6 +413,7 @@ export function NewAssignmentInteractive({
             { value: 'practice_test', label: 'Practice test' },
             { value: 'lesson', label: 'Lesson' },
             { value: 'lesson_pack', label: 'Lesson pack' },
+            { value: 'adaptive', label: 'Adaptive' },
           ].map((t) => (
             <label
               key={t.value}
@@ -486,6 +514,22 @@ export function NewAssignmentInteractive({
             </label>
           </div>
         )}
+        {target === 'students' && classGroups.length > 0 && (
+          <div className={styles.classRow}>
+            {classGroups.map((c) => (
+              <button
+                key={c.id}
+                type="button"
+                className={`${styles.classChip} ${classSelected(c) ? styles.classChipActive : ''}`}
+                aria-pressed={classSelected(c)}
+                onClick={() => toggleClass(c)}
+              >
+                {c.name}
+                <span className={styles.classChipCount}>{c.studentIds.length}</span>
+              </button>
+            ))}
+          </div>
+        )}
         {visiblePeople.length === 0 ? (
           <p className={styles.empty}>{peopleEmpty}</p>
         ) : (
@@ -512,14 +556,23 @@ export function NewAssignmentInteractive({
       </section>
 
       {/* Type-specific groups */}
-      {assignmentType === 'questions' && (
+      {(assignmentType === 'questions' || isAdaptive) && (
         <section className={styles.card}>
           <div className={styles.sectionLabel}>Question pool</div>
-          <p className={styles.sectionHint}>
-            Pick which skills the assignment should cover. Each skill has
-            its own score bands and a weight that controls how many of
-            its questions appear relative to the others.
-          </p>
+          {isAdaptive ? (
+            <p className={styles.sectionHint}>
+              Pick which skills the assignment should cover. Each student
+              gets their own set when they start, weighted toward the
+              skills they are furthest from the mastery goal on, and the
+              difficulty steps up or down as they answer.
+            </p>
+          ) : (
+            <p className={styles.sectionHint}>
+              Pick which skills the assignment should cover. Each skill has
+              its own score bands and a weight that controls how many of
+              its questions appear relative to the others.
+            </p>
+          )}
           {prefill && selectedSkills.length > 0 && (
             <p className={styles.prefillBanner}>
               Prefilled from <strong>{prefill.label}</strong> — adjust freely before creating.
@@ -625,7 +678,7 @@ export function NewAssignmentInteractive({
                         </button>
                       </div>
 
-                      {s.availableBands.length > 0 && (
+                      {!isAdaptive && s.availableBands.length > 0 && (
                         <div>
                           <div className={styles.controlLabel}>
                             Score bands
@@ -685,7 +738,7 @@ export function NewAssignmentInteractive({
           </div>
 
           {/* Global difficulty */}
-          {difficulties.length > 0 && (
+          {!isAdaptive && difficulties.length > 0 && (
             <div style={{ marginTop: '16px' }}>
               <div className={styles.controlLabel}>Difficulty (all skills)</div>
               <div className={styles.chipRow}>
@@ -707,30 +760,32 @@ export function NewAssignmentInteractive({
           )}
 
           {/* Not-attempted filter */}
-          <div style={{ marginTop: '16px' }}>
-            <div className={styles.controlLabel}>Attempt status</div>
-            <label className={styles.notAttempted}>
-              <input
-                type="checkbox"
-                name="unanswered_only"
-                value="1"
-                checked={unattemptedOnly}
-                onChange={(e) => setUnattemptedOnly(e.target.checked)}
-              />
-              <span className={styles.notAttemptedText}>
-                <span>Only questions not yet attempted</span>
-                <span className={styles.muted}>
-                  {selectedStudents.size > 1
-                    ? `Excludes any question already attempted by any of the ${selectedStudents.size} selected students.`
-                    : 'Excludes any question already attempted by a selected student.'}
+          {!isAdaptive && (
+            <div style={{ marginTop: '16px' }}>
+              <div className={styles.controlLabel}>Attempt status</div>
+              <label className={styles.notAttempted}>
+                <input
+                  type="checkbox"
+                  name="unanswered_only"
+                  value="1"
+                  checked={unattemptedOnly}
+                  onChange={(e) => setUnattemptedOnly(e.target.checked)}
+                />
+                <span className={styles.notAttemptedText}>
+                  <span>Only questions not yet attempted</span>
+                  <span className={styles.muted}>
+                    {selectedStudents.size > 1
+                      ? `Excludes any question already attempted by any of the ${selectedStudents.size} selected students.`
+                      : 'Excludes any question already attempted by a selected student.'}
+                  </span>
                 </span>
-              </span>
-            </label>
-          </div>
+              </label>
+            </div>
+          )}
 
           <div className={styles.fieldRow} style={{ marginTop: '16px' }}>
             <label className={styles.fieldLabel} htmlFor="size">
-              Size (1–50)
+              {isAdaptive ? 'Size per student (1–50)' : 'Size (1–50)'}
             </label>
             <input
               id="size"
@@ -743,42 +798,65 @@ export function NewAssignmentInteractive({
             />
           </div>
 
-          {/* Save-as-template (§4.3): stores the recipe above under a
-              name so the next assignment starts from this shelf. */}
-          <div style={{ marginTop: '16px' }}>
-            <label className={styles.notAttempted}>
+          {isAdaptive && (
+            <div className={styles.fieldRow} style={{ marginTop: '16px' }}>
+              <label className={styles.fieldLabel} htmlFor="mastery_goal">
+                Mastery goal ({MIN_MASTERY_GOAL}–{MAX_MASTERY_GOAL})
+              </label>
               <input
-                type="checkbox"
-                name="save_template"
-                value="1"
-                checked={saveTemplate}
-                onChange={(e) => setSaveTemplate(e.target.checked)}
+                id="mastery_goal"
+                name="mastery_goal"
+                type="number"
+                min={MIN_MASTERY_GOAL}
+                max={MAX_MASTERY_GOAL}
+                step={5}
+                defaultValue={DEFAULT_MASTERY_GOAL}
+                className={`${styles.input} ${styles.inputSm}`}
               />
-              <span className={styles.notAttemptedText}>
-                <span>Save these filters as a template</span>
-                <span className={styles.muted}>
-                  Skills, weights, bands, difficulty, and size — reusable from
-                  &ldquo;Start from a template&rdquo; on this page.
-                </span>
+              <span className={styles.muted}>
+                Skills a student is already at the goal on get only a small share of their set.
               </span>
-            </label>
-            {saveTemplate && (
-              <div className={styles.fieldRow} style={{ marginTop: '8px' }}>
-                <label className={styles.fieldLabel} htmlFor="template_name">
-                  Template name
-                </label>
+            </div>
+          )}
+
+          {/* Save-as-template (§4.3): stores the recipe above under a
+              name so the next assignment starts from this shelf. */}
+          {!isAdaptive && (
+            <div style={{ marginTop: '16px' }}>
+              <label className={styles.notAttempted}>
                 <input
-                  id="template_name"
-                  name="template_name"
-                  type="text"
-                  maxLength={120}
-                  required
-                  placeholder="e.g. Algebra tune-up, 10 medium"
-                  className={styles.input}
+                  type="checkbox"
+                  name="save_template"
+                  value="1"
+                  checked={saveTemplate}
+                  onChange={(e) => setSaveTemplate(e.target.checked)}
                 />
-              </div>
-            )}
-          </div>
+                <span className={styles.notAttemptedText}>
+                  <span>Save these filters as a template</span>
+                  <span className={styles.muted}>
+                    Skills, weights, bands, difficulty, and size — reusable from
+                    &ldquo;Start from a template&rdquo; on this page.
+                  </span>
+                </span>
+              </label>
+              {saveTemplate && (
+                <div className={styles.fieldRow} style={{ marginTop: '8px' }}>
+                  <label className={styles.fieldLabel} htmlFor="template_name">
+                    Template name
+                  </label>
+                  <input
+                    id="template_name"
+                    name="template_name"
+                    type="text"
+                    maxLength={120}
+                    required
+                    placeholder="e.g. Algebra tune-up, 10 medium"
+                    className={styles.input}
+                  />
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Hidden serialized payload fields. The Server Action reads
               skill_selections (JSON) and difficulty[] separately. */}
@@ -787,7 +865,7 @@ export function NewAssignmentInteractive({
             name="skill_selections"
             value={skillSelectionsJson}
           />
-          {Array.from(globalDifficulties).map((d) => (
+          {!isAdaptive && Array.from(globalDifficulties).map((d) => (
             <input
               key={d}
               type="hidden"
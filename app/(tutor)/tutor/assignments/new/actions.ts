@@ -19,31 +19,40 @@
 // each skill entry gets an allocation proportional to its weight,
 // and we shuffle + slice each skill's candidate pool independently
 // then union the IDs. If a skill has fewer matches than its
-// allocation, we redistribute the deficit across the others.
+// allocation, we redistribute the deficit across the others. The
+// sampler lives in lib/practice/sample-questions.ts, shared with the
+// recurring-assignments cron.
 //
 // Legacy "flat filter" shape is still parsed for API-only callers
 // (domain[], skill[], score_band[]) — mostly for completeness; the UI
 // now always posts skill_selections.
+//
+// Adaptive payload: the same skill_selections (bands ignored), size,
+// and mastery_goal (int MIN..MAX_MASTERY_GOAL). Nothing is sampled
+// here — each student's set is drawn when they start
+// (lib/practice/adaptive-server.ts), so the row stores only the recipe.
 
 'use server';
 
 import { redirect } from 'next/navigation';
-import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
-import { fetchAll } from '@/lib/supabase/fetchAll';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import {
+  DEFAULT_MASTERY_GOAL,
+  MAX_MASTERY_GOAL,
+  MIN_MASTERY_GOAL,
+} from '@/lib/practice/adaptive';
+import {
+  fetchAttemptedIds,
+  sampleWeightedQuestions,
+  type SkillSelection,
+} from '@/lib/practice/sample-questions';
 import type { ActionResult } from '@/lib/types';
 
 const MAX_QUESTIONS = 50;
 const MAX_STUDENTS_PER_ASSIGNMENT = 200;
 
-type SkillSelection = {
-  domain: string;
-  skill: string;
-  scoreBands: number[];
-  weight: number;
-};
-
 type PayloadRow = {
   question_ids?: string[];
   practice_test_id?: string;
@@ -63,6 +72,7 @@ export async function createAssignment(
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error loading user');
@@ -79,16 +89,11 @@ export async function createAssignment(
     return actionFail('Only teachers can create assignments.');
   }
 
-  const rl = await rateLimit(`assignment-create:${user.id}`, {
-    limit: 10,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many assignments in a short time. Please slow down.');
-  }
+  const rl = await checkRateLimit('assignment.create', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const assignmentType = String(formData.get('assignment_type') || '');
-  if (!['questions', 'practice_test', 'lesson', 'lesson_pack'].includes(assignmentType)) {
+  if (!['questions', 'adaptive', 'practice_test', 'lesson', 'lesson_pack'].includes(assignmentType)) {
     return actionFail('Select an assignment type.');
   }
 
@@ -118,6 +123,8 @@ export async function createAssignment(
   let typePayload: PayloadResult;
   if (assignmentType === 'questions') {
     typePayload = await buildQuestionsPayload(supabase, formData, studentIds);
+  } else if (assignmentType === 'adaptive') {
+    typePayload = await buildAdaptivePayload(supabase, formData);
   } else if (assignmentType === 'practice_test') {
     typePayload = await buildPracticeTestPayload(supabase, formData);
   } else if (assignmentType === 'lesson_pack') {
@@ -249,96 +256,25 @@ async function buildQuestionsPayload(
     return { ok: false, error: 'Pick at least one skill.' };
   }
 
-  // Allocate the `size` across selections proportional to weight,
-  // using the largest-remainder method so the sum is exactly `size`.
-  const allocations = allocateByWeight(
-    selections.map((s) => s.weight),
-    size,
-  );
-
-  // Fetch candidates per selection in parallel. Each query applies
-  // that skill's own score-band filter plus the global difficulty
-  // filter; the is_published + is_broken=false gate is shared.
-  // When the "not attempted" filter is on, the students' attempt
-  // history is fetched alongside so the two waves overlap.
-  const [candidatePools, attempted] = await Promise.all([
-    Promise.all(
-      selections.map(async (sel) => {
-        let q = supabase
-          .from('questions_v2')
-          .select('id')
-          .eq('is_published', true)
-          .eq('is_broken', false)
-          .eq('domain_name', sel.domain)
-          .eq('skill_name', sel.skill);
-
-        if (sel.scoreBands.length > 0) {
-          q = q.in('score_band', sel.scoreBands);
-        }
-        if (difficulties.length > 0) {
-          q = q.in('difficulty', difficulties);
-        }
-
-        const { data, error } = await q.limit(500);
-        if (error) return { ids: [] as string[], error: error.message };
-        return { ids: (data ?? []).map((r: { id: string }) => r.id) };
-      }),
-    ),
-    unansweredOnly
-      ? fetchAttemptedIds(supabase, studentIds)
-      : Promise.resolve<{ ids: Set<string>; error?: string }>({
-          ids: new Set<string>(),
-        }),
-  ]);
-
-  const firstErr = candidatePools.find((p) => p.error);
-  if (firstErr) {
-    return { ok: false, error: `Failed to load questions: ${firstErr.error}` };
-  }
+  // When the "not attempted" filter is on, drop every candidate any
+  // selected student has already attempted, so the set is genuinely
+  // new to all of them.
+  const attempted = unansweredOnly
+    ? await fetchAttemptedIds(supabase, studentIds)
+    : { ids: new Set<string>() };
   if (attempted.error) {
     return { ok: false, error: `Failed to check attempt history: ${attempted.error}` };
   }
 
-  // Drop every candidate any selected student has already attempted,
-  // so a "not attempted" set is genuinely new to all of them. Done
-  // before sampling so the deficit-redistribution below works
-  // against the post-filter pools.
-  if (unansweredOnly && attempted.ids.size > 0) {
-    for (const pool of candidatePools) {
-      pool.ids = pool.ids.filter((id: string) => !attempted.ids.has(id));
-    }
-  }
-
-  // Sample per skill; if any skill's pool is smaller than its
-  // allocation, the overflow is passed to the next skill with
-  // remaining capacity. That keeps the total close to `size` even
-  // when the tutor picks a very narrow skill.
-  const picked = new Set<string>();
-  const perSkillPicks: string[][] = selections.map(() => []);
-  let deficit = 0;
-
-  for (let i = 0; i < selections.length; i += 1) {
-    const ids = [...candidatePools[i].ids].filter((id) => !picked.has(id));
-    shuffleInPlace(ids);
-    const want = allocations[i] + deficit;
-    const take = ids.slice(0, Math.min(want, ids.length));
-    take.forEach((id) => picked.add(id));
-    perSkillPicks[i] = take;
-    deficit = want - take.length;
-  }
-
-  // If still under size after a first pass, top up from any pool
-  // that had spare candidates. This is rare.
-  if (picked.size < size && deficit > 0) {
-    for (let i = 0; i < selections.length && picked.size < size; i += 1) {
-      const leftovers = candidatePools[i].ids.filter((id: string) => !picked.has(id));
-      shuffleInPlace(leftovers);
-      const want = size - picked.size;
-      leftovers.slice(0, want).forEach((id: string) => picked.add(id));
-    }
-  }
+  const sampled = await sampleWeightedQuestions(supabase, {
+    selections,
+    difficulties,
+    size,
+    exclude: attempted.ids,
+  });
+  if (!sampled.ok) return { ok: false, error: sampled.error };
 
-  if (picked.size === 0) {
+  if (sampled.questionIds.length === 0) {
     return {
       ok: false,
       error: unansweredOnly
@@ -347,13 +283,10 @@ async function buildQuestionsPayload(
     };
   }
 
-  const questionIds = Array.from(picked);
-  shuffleInPlace(questionIds);
-
   return {
     ok: true,
     row: {
-      question_ids: questionIds,
+      question_ids: sampled.questionIds,
       filter_criteria: {
         skillSelections: selections,
         difficulties,
@@ -364,46 +297,62 @@ async function buildQuestionsPayload(
   };
 }
 
-// Collect every question_id that any of the given students has at
-// least one `attempts` row for. A question counts as "attempted" for
-// the set if even one selected student has touched it, so the Set is
-// the union across all students.
-//
-// Runs on the caller's RLS-scoped client. The attempts_select policy
-// is `can_view(user_id)`, which already grants a teacher their own
-// students' (and a manager their trainees') attempt rows — i.e. every
-// person the New Assignment picker can list — so no service-role
-// bypass is needed. Paged via fetchAll rather than a single capped
-// query, since PostgREST silently truncates at max-rows (the
-// db-max-rows bug the rebuild exists to kill; CLAUDE.md, Finding #1).
-//
-// Only v2-era attempts match: `attempts.question_id` holds whichever
-// id space the question was practiced under, and v1 ids never collide
-// with questions_v2 ids, so legacy v1 practice is not considered.
-async function fetchAttemptedIds(
+// ──────────────────────────────────────────────────────────────
+// Adaptive payload: validate the recipe. A skill with no published
+// questions is rejected here rather than silently shrinking every
+// student's draw later.
+// ──────────────────────────────────────────────────────────────
+
+async function buildAdaptivePayload(
   supabase: any, // eslint-disable-line @typescript-eslint/no-explicit-any
-  studentIds: string[],
-): Promise<{ ids: Set<string>; error?: string }> {
-  const ids = new Set<string>();
-  if (studentIds.length === 0) return { ids };
+  formData: FormData,
+): Promise<PayloadResult> {
+  const selections = parseSkillSelections(formData.get('skill_selections'));
+  if (selections.length === 0) {
+    return { ok: false, error: 'Pick at least one skill.' };
+  }
 
-  try {
-    const rows = await fetchAll<{ question_id: string }>((from: number, to: number) =>
-      supabase
-        .from('attempts')
-        .select('question_id')
-        .in('user_id', studentIds)
-        .order('id', { ascending: true })
-        .range(from, to),
-    );
-    for (const r of rows) ids.add(r.question_id);
-  } catch (err) {
+  const rawSize = Number(formData.get('size') ?? 10);
+  const size = Math.min(
+    Math.max(Number.isFinite(rawSize) ? Math.floor(rawSize) : 10, 1),
+    MAX_QUESTIONS,
+  );
+  const rawGoal = Number(formData.get('mastery_goal') ?? DEFAULT_MASTERY_GOAL);
+  if (!Number.isFinite(rawGoal) || rawGoal < MIN_MASTERY_GOAL || rawGoal > MAX_MASTERY_GOAL) {
     return {
-      ids,
-      error: err instanceof Error ? err.message : 'Failed to load attempt history.',
+      ok: false,
+      error: `Mastery goal must be between ${MIN_MASTERY_GOAL} and ${MAX_MASTERY_GOAL}.`,
     };
   }
-  return { ids };
+
+  const counts = await Promise.all(
+    selections.map(async (sel) => {
+      const { count } = await supabase
+        .from('questions_v2')
+        .select('id', { count: 'exact', head: true })
+        .eq('is_published', true)
+        .eq('is_broken', false)
+        .eq('domain_name', sel.domain)
+        .eq('skill_name', sel.skill);
+      return count ?? 0;
+    }),
+  );
+  const empty = selections.find((_, i) => counts[i] === 0);
+  if (empty) {
+    return { ok: false, error: `No published questions for ${empty.skill}.` };
+  }
+
+  return {
+    ok: true,
+    row: {
+      filter_criteria: {
+        type: 'adaptive',
+        skillSelections: selections.map(({ domain, skill, weight }) => ({ domain, skill, weight })),
+        size,
+        masteryGoal: Math.round(rawGoal),
+      },
+    },
+  };
 }
 
 function parseSkillSelections(raw: FormDataEntryValue | null): SkillSelection[] {
@@ -439,46 +388,6 @@ function parseSkillSelections(raw: FormDataEntryValue | null): SkillSelection[]
   return out;
 }
 
-// Largest-remainder allocation: each weight gets floor(size * w/W)
-// questions, then the leftover units go to the selections with the
-// largest fractional remainders. Guarantees the sum is exactly `size`.
-function allocateByWeight(weights: number[], size: number): number[] {
-  const total = weights.reduce((a, b) => a + b, 0);
-  if (total <= 0 || weights.length === 0) return weights.map(() => 0);
-
-  const raw = weights.map((w) => (size * w) / total);
-  const floored = raw.map((r) => Math.floor(r));
-  const leftover = size - floored.reduce((a, b) => a + b, 0);
-
-  if (leftover > 0) {
-    // Largest-remainder distribution. When fractional parts tie
-    // (the common case is uniform weights with size < N: every
-    // selection raw = size/N, every frac equal), break ties with
-    // a per-call random tag rather than ascending array index.
-    // Without this, a tutor who hit "Add all in domain" for
-    // Reading first and then Math at size=10 with all weights=1
-    // ended up with 0 Math questions: every leftover unit went
-    // to the first leftover-many indices in input order, which
-    // were entirely RW. The random tiebreaker spreads the units
-    // across the tied set in expectation. Two assignments built
-    // with the same shape get independent draws.
-    const order = raw
-      .map((r, i) => ({ i, frac: r - Math.floor(r), tieBreak: Math.random() }))
-      .sort((a, b) => b.frac - a.frac || a.tieBreak - b.tieBreak);
-    for (let k = 0; k < leftover; k += 1) {
-      floored[order[k % order.length].i] += 1;
-    }
-  }
-  return floored;
-}
-
-function shuffleInPlace<T>(arr: T[]): void {
-  for (let i = arr.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-}
-
 // ──────────────────────────────────────────────────────────────
 // Practice test + lesson payloads. Unchanged from the JS version.
 // ──────────────────────────────────────────────────────────────
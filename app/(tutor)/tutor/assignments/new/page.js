@@ -8,6 +8,10 @@
 // toggles which field group is shown based on the selected type;
 // the Server Action validates per-type on submit.
 //
+// Class groups — the teacher's classes, rostered or not — let the
+// student picker take a whole class at once. Enrollments a roster
+// import flagged as dropped (class_enrollments.dropped_at) are left out.
+//
 // One-click authoring (§4.3) enters through search params, resolved
 // server-side into a `prefill` prop:
 //   ?from_student=<id> — "Assign from weaknesses": the student's
@@ -18,6 +22,16 @@
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
 import { loadLessonCatalog } from '@/lib/lesson/catalog-server';
+// Same floors the session workspace's prep card uses for one student;
+// the recurring weak_skills rule reads them too.
+import {
+  MAX_WEAK_SKILLS,
+  WEAKNESS_ACCURACY_BELOW,
+  WEAKNESS_MIN_SKILL_ATTEMPTS,
+  WEAKNESS_MIN_STUDENT_ATTEMPTS,
+  WEAKNESS_WINDOW_DAYS,
+  weakSkillSelections,
+} from '@/lib/practice/recurring';
 import { createAssignment } from './actions';
 import { deleteAssignmentTemplate } from './template-actions';
 import { NewAssignmentInteractive } from './NewAssignmentInteractive';
@@ -25,14 +39,6 @@ import styles from './NewAssignmentInteractive.module.css';
 
 export const dynamic = 'force-dynamic';
 
-// Same floors the session workspace's prep card uses for one
-// student; window matches the performance page's 30 days.
-const WEAKNESS_WINDOW_DAYS = 30;
-const WEAKNESS_MIN_SKILL_ATTEMPTS = 3;
-const WEAKNESS_MIN_STUDENT_ATTEMPTS = 3;
-const WEAKNESS_ACCURACY_BELOW = 0.6;
-const WEAKNESS_MAX_SKILLS = 6;
-
 export default async function NewAssignmentPage({ searchParams }) {
   const { user, profile, supabase } = await requireUser();
   const params = (await searchParams) ?? {};
@@ -66,6 +72,7 @@ export default async function NewAssignmentPage({ searchParams }) {
     { data: teacherJunctions },
     lessonCatalog,
     { data: templateRows },
+    { data: classRows },
   ] = await Promise.all([
     // The picker needs names/emails only, so read profiles directly.
     // (This used to select from student_practice_stats, whose
@@ -116,11 +123,21 @@ export default async function NewAssignmentPage({ searchParams }) {
     loadLessonCatalog(supabase, { status: 'published', visibility: 'shared' }),
     // The teacher's template shelf. RLS is owner-scoped, but the
     // explicit filter keeps admins from seeing a cross-tutor menu.
+    // Recurring templates live on /tutor/assignments/recurring.
     supabase
       .from('assignment_templates')
       .select('id, name, assignment_type, filter_criteria')
       .eq('teacher_id', user.id)
+      .is('repeat_every', null)
       .order('created_at', { ascending: false }),
+    // Classes this user teaches, with their enrollments. The explicit
+    // teacher filter keeps a manager's or admin's picker to their own
+    // classes, same as the template shelf.
+    supabase
+      .from('classes')
+      .select('id, name, class_enrollments(student_id, dropped_at)')
+      .eq('teacher_id', user.id)
+      .order('name', { ascending: true }),
   ]);
 
   // Bucket junction rows by pack id so the picker shows "12
@@ -163,6 +180,19 @@ export default async function NewAssignmentPage({ searchParams }) {
       email: s.email,
     }));
 
+  // Class chips only offer students the picker can actually show, so a
+  // class never selects someone outside this teacher's visibility.
+  const studentIds = new Set(students.map((s) => s.id));
+  const classGroups = (classRows ?? [])
+    .map((c) => ({
+      id: c.id,
+      name: c.name,
+      studentIds: (c.class_enrollments ?? [])
+        .filter((e) => !e.dropped_at && studentIds.has(e.student_id))
+        .map((e) => e.student_id),
+    }))
+    .filter((c) => c.studentIds.length > 0);
+
   // Reshape the pre-aggregated taxonomy rows (one per skill) into
   // the nested domain → skills[] structure the picker expects, and
   // collect the global difficulty list across skills. Difficulty
@@ -221,23 +251,14 @@ export default async function NewAssignmentPage({ searchParams }) {
       p_min_student_attempts: WEAKNESS_MIN_STUDENT_ATTEMPTS,
       p_struggling_threshold: WEAKNESS_ACCURACY_BELOW,
     });
-    const weak = (perfRows ?? [])
-      .filter((r) => r.attempts > 0 && r.accuracy < WEAKNESS_ACCURACY_BELOW)
-      .sort((a, b) => b.missed - a.missed || a.accuracy - b.accuracy)
-      .slice(0, WEAKNESS_MAX_SKILLS);
+    const weak = weakSkillSelections(perfRows ?? [], MAX_WEAK_SKILLS);
     if (weak.length > 0) {
       const studentRow = students.find((s) => s.id === fromStudentParam);
       prefill = {
         label: studentRow
           ? `${studentRow.name}'s weak skills, last ${WEAKNESS_WINDOW_DAYS} days`
           : `Weak skills, last ${WEAKNESS_WINDOW_DAYS} days`,
-        // Heaviest-missed skills get more of the set: 2× / 1.5× / 1×.
-        skills: weak.map((r, i) => ({
-          domain: r.domain_name,
-          skill: r.skill_name,
-          scoreBands: [],
-          weight: i === 0 ? 2 : i === 1 ? 1.5 : 1,
-        })),
+        skills: weak,
         difficulties: [],
         size: null,
         unansweredOnly: false,
@@ -269,6 +290,7 @@ export default async function NewAssignmentPage({ searchParams }) {
         // recipe changes.
         key={templateParam ?? fromStudentParam ?? 'blank'}
         students={students}
+        classGroups={classGroups}
         teachers={teachers}
         domains={domains}
         difficulties={difficulties}
@@ -2,7 +2,9 @@
 // createAssignment (the save_template fields) — a template is only
 // ever born from a real assignment, so there's no standalone
 // create here. Deletion is the one management verb the shelf
-// needs; RLS (owner or admin) is the real gate.
+// needs; RLS (owner or admin) is the real gate. Recurring templates
+// (/tutor/assignments/recurring) are deleted through here too; the
+// assignments they generated stay, unlinked from the series.
 
 'use server';
 
@@ -35,5 +37,6 @@ export async function deleteAssignmentTemplate(
   if (error) return actionFail('Could not delete the template');
 
   revalidatePath('/tutor/assignments/new');
+  revalidatePath('/tutor/assignments/recurring');
   return actionOk();
 }
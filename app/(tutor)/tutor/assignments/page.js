@@ -8,7 +8,8 @@
 //     - The student's name lives on the tile.
 //     - Per-question progress bar reflects THAT student's
 //       attempted-vs-total + accuracy on the assignment's
-//       question_ids.
+//       question_ids (an adaptive assignment: the student's own
+//       drawn set on the junction row).
 //     - Click destination skips the cohort detail entirely:
 //       complete → /practice/review/<session_id> (the report);
 //       incomplete → /tutor/assignments/<id> (which carries the
@@ -31,6 +32,7 @@ import { AssignmentTypeBadge } from '@/lib/ui/AssignmentTypeBadge';
 import { ClipboardCheckIcon, InboxIcon } from '@/lib/ui/icons';
 import { IconTile } from '@/lib/ui/IconTile';
 import { formatShortDate, isPastDueDate } from '@/lib/formatters';
+import { isQuestionSetType, questionSetSize, studentQuestionIds } from '@/lib/practice/adaptive';
 import { ArchiveButton } from './ArchiveButton';
 import { AssignmentsToolbar } from './AssignmentsToolbar';
 import { filterAndSort, paginate } from './helpers';
@@ -62,7 +64,7 @@ export default async function TutorAssignmentsPage({ searchParams }) {
     .from('assignments_v2')
     .select(`
       id, assignment_type, title, description, due_date,
-      archived_at, deleted_at, created_at, question_ids,
+      archived_at, deleted_at, created_at, question_ids, filter_criteria,
       lesson:lessons (title),
       practice_test:practice_tests_v2 (name)
     `)
@@ -79,7 +81,7 @@ export default async function TutorAssignmentsPage({ searchParams }) {
     ? await supabase
         .from('assignment_students_v2')
         .select(`
-          assignment_id, student_id, completed_at,
+          assignment_id, student_id, completed_at, question_ids,
           student:profiles!assignment_students_v2_student_id_fkey (
             id, first_name, last_name, email
           )
@@ -97,7 +99,7 @@ export default async function TutorAssignmentsPage({ searchParams }) {
   // Identify single-student questions-type assignments — these get
   // the per-student attempt query so the tile shows real progress.
   const singleStudentRows = allAssignments
-    .filter((a) => (a.assignment_type === 'questions' || a.assignment_type === 'lesson_pack'))
+    .filter((a) => isQuestionSetType(a.assignment_type))
     .map((a) => ({ a, junc: byAssignment.get(a.id) ?? [] }))
     .filter((p) => p.junc.length === 1);
 
@@ -111,7 +113,7 @@ export default async function TutorAssignmentsPage({ searchParams }) {
   const qidsByUser = new Map();
   for (const { a, junc } of singleStudentRows) {
     const uid = junc[0].student_id;
-    const qids = Array.isArray(a.question_ids) ? a.question_ids : [];
+    const qids = studentQuestionIds(a, junc[0].question_ids);
     if (qids.length === 0) continue;
     const existing = qidsByUser.get(uid) ?? new Set();
     for (const q of qids) existing.add(q);
@@ -205,11 +207,12 @@ export default async function TutorAssignmentsPage({ searchParams }) {
 
       let done = 0;
       let correct = 0;
-      const total = Array.isArray(a.question_ids) ? a.question_ids.length : 0;
+      const qids = studentQuestionIds(a, j.question_ids);
+      const total = qids.length;
       const sessionInfo =
         sessionByAssignmentUser.get(`${a.id}::${j.student_id}`) ?? null;
-      if ((a.assignment_type === 'questions' || a.assignment_type === 'lesson_pack') && total > 0) {
-        for (const qid of a.question_ids) {
+      if (isQuestionSetType(a.assignment_type) && total > 0) {
+        for (const qid of qids) {
           const arr = attemptsByPairAsc.get(`${j.student_id}::${qid}`) ?? [];
           if (arr.length === 0) continue;
           const attempt = sessionInfo
@@ -287,6 +290,9 @@ export default async function TutorAssignmentsPage({ searchParams }) {
           <Link href="/tutor/lesson-packs" className={s.secondaryBtn}>
             Lesson packs
           </Link>
+          <Link href="/tutor/assignments/recurring" className={s.secondaryBtn}>
+            Recurring
+          </Link>
           <Link href="/tutor/assignments/new" className={s.newBtn}>
             + New assignment
           </Link>
@@ -470,7 +476,7 @@ function AssignmentRow({ row, nowMs, archived = false }) {
   let progressPct = null;
   let progressText = null;
   if (isSingle && single) {
-    if ((row.assignment_type === 'questions' || row.assignment_type === 'lesson_pack') && single.total > 0) {
+    if (isQuestionSetType(row.assignment_type) && single.total > 0) {
       progressPct = Math.round((single.done / single.total) * 100);
       const accuracyPct =
         single.done > 0 ? Math.round((single.correct / single.done) * 100) : null;
@@ -539,7 +545,11 @@ function AssignmentRow({ row, nowMs, archived = false }) {
 
 function displaySubtitle(row) {
   if (row.description) return row.description;
-  if ((row.assignment_type === 'questions' || row.assignment_type === 'lesson_pack')) {
+  if (row.assignment_type === 'adaptive') {
+    const n = questionSetSize(row);
+    return n === 0 ? null : `${n} questions per student, adaptive`;
+  }
+  if (isQuestionSetType(row.assignment_type)) {
     const n = Array.isArray(row.question_ids) ? row.question_ids.length : 0;
     return n === 0 ? null : `${n} question${n === 1 ? '' : 's'}`;
   }
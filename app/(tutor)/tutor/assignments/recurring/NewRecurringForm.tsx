@@ -0,0 +1,190 @@
+// Client island for the "new series" form on the recurring page.
+// Posts to createRecurringTemplate(); the rule and schedule pickers
+// only toggle which of their follow-up inputs are shown, so the
+// action still sees one flat FormData.
+
+'use client';
+
+import { useActionState, useState } from 'react';
+import { formatShortDate } from '@/lib/formatters';
+import {
+  MAX_DUE_OFFSET_DAYS,
+  MAX_INTERVAL_DAYS,
+  MAX_WEAK_SKILLS,
+  WEEKDAY_NAMES,
+  type GenerationRule,
+} from '@/lib/practice/recurring';
+import { createRecurringTemplate } from './actions';
+import s from '../../lesson-packs/LessonPacksList.module.css';
+import r from './RecurringAssignments.module.css';
+
+const RULE_OPTIONS: { value: GenerationRule; label: string; hint: string }[] = [
+  { value: 'weak_skills', label: 'Weak skills', hint: "Each student's lowest-accuracy skills from the last 30 days" },
+  { value: 'review_queue', label: 'Review queue', hint: 'The questions each student has due for review' },
+  { value: 'fixed_skills', label: 'Fixed skills', hint: 'The skill mix from one of your saved templates' },
+];
+
+export function NewRecurringForm({
+  templates,
+  students,
+}: {
+  templates: { id: string; name: string }[];
+  students: { id: string; name: string }[];
+}) {
+  const [state, formAction, pending] = useActionState(createRecurringTemplate, null);
+  const [rule, setRule] = useState<GenerationRule>('weak_skills');
+  const [repeatEvery, setRepeatEvery] = useState<'week' | 'days'>('week');
+
+  return (
+    <form action={formAction} className={s.newForm}>
+      <label className={s.newFormLabel}>
+        <span className={s.newFormLabelText}>Series name</span>
+        <input
+          name="name"
+          type="text"
+          required
+          maxLength={120}
+          placeholder="e.g. Weekly weak-skills drill"
+          className={s.newFormInput}
+          disabled={pending}
+        />
+      </label>
+
+      <fieldset className={r.fieldset} disabled={pending}>
+        <legend className={s.newFormLabelText}>Each set is</legend>
+        <div className={r.choiceRow}>
+          {RULE_OPTIONS.map((o) => (
+            <label key={o.value} className={r.choice}>
+              <input
+                type="radio"
+                name="generation_rule"
+                value={o.value}
+                checked={rule === o.value}
+                onChange={() => setRule(o.value)}
+              />
+              <span>
+                <span className={r.choiceLabel}>{o.label}</span>
+                <span className={r.choiceHint}>{o.hint}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        <div className={r.inlineFields}>
+          {rule === 'fixed_skills' ? (
+            templates.length === 0 ? (
+              <span className={r.note}>
+                Save a question-set template from New assignment first; its skills are reused here.
+              </span>
+            ) : (
+              <label className={s.newFormLabel}>
+                <span className={s.newFormLabelText}>Saved template</span>
+                <select name="source_template_id" className={s.newFormInput} required>
+                  {templates.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </label>
+            )
+          ) : (
+            <label className={s.newFormLabel}>
+              <span className={s.newFormLabelText}>Questions per set</span>
+              <input name="size" type="number" min={1} max={50} defaultValue={10} className={s.newFormInput} required />
+            </label>
+          )}
+          {rule === 'weak_skills' && (
+            <label className={s.newFormLabel}>
+              <span className={s.newFormLabelText}>Weak skills</span>
+              <input
+                name="top_n"
+                type="number"
+                min={1}
+                max={MAX_WEAK_SKILLS}
+                defaultValue={3}
+                className={s.newFormInput}
+                required
+              />
+            </label>
+          )}
+        </div>
+      </fieldset>
+
+      <fieldset className={r.fieldset} disabled={pending}>
+        <legend className={s.newFormLabelText}>Schedule</legend>
+        <div className={r.inlineFields}>
+          <label className={s.newFormLabel}>
+            <span className={s.newFormLabelText}>Repeat</span>
+            <select
+              name="repeat_every"
+              className={s.newFormInput}
+              value={repeatEvery}
+              onChange={(e) => setRepeatEvery(e.target.value === 'days' ? 'days' : 'week')}
+            >
+              <option value="week">Weekly</option>
+              <option value="days">Every N days</option>
+            </select>
+          </label>
+          {repeatEvery === 'week' ? (
+            <label className={s.newFormLabel}>
+              <span className={s.newFormLabelText}>On</span>
+              <select name="repeat_weekday" className={s.newFormInput} defaultValue="1">
+                {WEEKDAY_NAMES.map((d, i) => (
+                  <option key={d} value={i}>{d}</option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <label className={s.newFormLabel}>
+              <span className={s.newFormLabelText}>Every (days)</span>
+              <input
+                name="repeat_interval_days"
+                type="number"
+                min={1}
+                max={MAX_INTERVAL_DAYS}
+                defaultValue={7}
+                className={s.newFormInput}
+                required
+              />
+            </label>
+          )}
+          <label className={s.newFormLabel}>
+            <span className={s.newFormLabelText}>Due after (days, optional)</span>
+            <input
+              name="due_offset_days"
+              type="number"
+              min={0}
+              max={MAX_DUE_OFFSET_DAYS}
+              placeholder="No due date"
+              className={s.newFormInput}
+            />
+          </label>
+        </div>
+      </fieldset>
+
+      <fieldset className={r.fieldset} disabled={pending}>
+        <legend className={s.newFormLabelText}>Students</legend>
+        {students.length === 0 ? (
+          <span className={r.note}>No students on your roster yet.</span>
+        ) : (
+          <div className={r.studentGrid}>
+            {students.map((st) => (
+              <label key={st.id} className={r.studentOption}>
+                <input type="checkbox" name="student_id" value={st.id} />
+                <span>{st.name}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </fieldset>
+
+      <div className={s.newFormFooter}>
+        <button type="submit" className={s.newFormBtn} disabled={pending}>
+          {pending ? 'Creating…' : '+ New series'}
+        </button>
+        {state && !state.ok && <span className={s.newFormError}>{state.error}</span>}
+        {state?.ok && (
+          <span className={r.note}>Series created. The first set goes out {formatShortDate(state.data.nextRunOn)}.</span>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,83 @@
+// Per-row pause/resume and delete buttons on the recurring list.
+// Delete goes through the template shelf's deleteAssignmentTemplate —
+// a series is just a template with a schedule. Assignments it already
+// generated are left alone.
+
+'use client';
+
+import { useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { useConfirm } from '@/lib/ui/ConfirmDialog';
+import { deleteAssignmentTemplate } from '../new/template-actions';
+import { setRecurringTemplatePaused } from './actions';
+import s from '../../lesson-packs/LessonPacksList.module.css';
+import r from './RecurringAssignments.module.css';
+
+export function SeriesActions({
+  templateId,
+  name,
+  paused,
+}: {
+  templateId: string;
+  name: string;
+  paused: boolean;
+}) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+  const [confirm, confirmDialog] = useConfirm();
+
+  function onTogglePause() {
+    startTransition(async () => {
+      const res = await setRecurringTemplatePaused(templateId, !paused);
+      if (!res.ok) {
+        window.alert(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  async function onDelete() {
+    const ok = await confirm({
+      title: `Delete "${name}"?`,
+      body: 'No more sets will go out for this series. Assignments it already created stay with your students.',
+      confirmLabel: 'Delete',
+      tone: 'danger',
+    });
+    if (!ok) return;
+    startTransition(async () => {
+      const fd = new FormData();
+      fd.set('template_id', templateId);
+      const res = await deleteAssignmentTemplate(null, fd);
+      if (!res.ok) {
+        window.alert(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <div className={r.rowActions}>
+      <button
+        type="button"
+        onClick={onTogglePause}
+        disabled={pending}
+        className={r.pauseBtn}
+        aria-label={`${paused ? 'Resume' : 'Pause'} ${name}`}
+      >
+        {paused ? 'Resume' : 'Pause'}
+      </button>
+      <button
+        type="button"
+        onClick={onDelete}
+        disabled={pending}
+        className={s.deleteBtn}
+        aria-label={`Delete ${name}`}
+      >
+        {pending ? '…' : 'Delete'}
+      </button>
+      {confirmDialog}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+// Recurring assignment template actions. A recurring template is an
+// assignment_templates row with a schedule, a roster and a generation
+// rule; /api/cron/recurring-assignments materializes its occurrences.
+// Deletion reuses deleteAssignmentTemplate from the template shelf.
+//
+// Everything here runs on the caller's RLS-scoped client: templates
+// are owner-only, and the roster is checked against the profiles the
+// tutor can see (can_view) before it's stored.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { assertNotInBillingGrace, requireRole } from '@/lib/api/auth';
+import { actionFail, actionOk, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import {
+  firstOccurrence,
+  isGenerationRule,
+  MAX_DUE_OFFSET_DAYS,
+  MAX_INTERVAL_DAYS,
+  MAX_WEAK_SKILLS,
+  parseRepeatSchedule,
+  type RepeatSchedule,
+} from '@/lib/practice/recurring';
+import type { Json } from '@/lib/types/database';
+import type { ActionResult } from '@/lib/types';
+
+const MAX_QUESTIONS = 50;
+const MAX_STUDENTS = 200;
+
+function intField(formData: FormData, name: string): number | null {
+  const raw = String(formData.get(name) ?? '').trim();
+  if (!raw) return null;
+  const n = Number(raw);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+export async function createRecurringTemplate(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult<{ data: { nextRunOn: string } }>> {
+  let ctx;
+  try {
+    ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  const { user, profile, supabase } = ctx;
+
+  const rl = await checkRateLimit('assignment.create', { key: user.id, role: profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
+
+  const name = String(formData.get('name') || '').trim();
+  if (!name) return actionFail('Give the series a name.');
+  if (name.length > 120) return actionFail('Name is too long (max 120 characters).');
+
+  const rule = String(formData.get('generation_rule') || '');
+  if (!isGenerationRule(rule)) return actionFail('Pick how each set is generated.');
+
+  // ── Schedule ──────────────────────────────────────────────────
+  let schedule: RepeatSchedule;
+  if (formData.get('repeat_every') === 'week') {
+    const weekday = intField(formData, 'repeat_weekday');
+    if (weekday == null || !(weekday >= 0 && weekday <= 6)) return actionFail('Pick a weekday.');
+    schedule = { every: 'week', weekday };
+  } else if (formData.get('repeat_every') === 'days') {
+    const days = intField(formData, 'repeat_interval_days');
+    if (days == null || !(days >= 1 && days <= MAX_INTERVAL_DAYS)) {
+      return actionFail(`Repeat every 1 to ${MAX_INTERVAL_DAYS} days.`);
+    }
+    schedule = { every: 'days', days };
+  } else {
+    return actionFail('Pick a schedule.');
+  }
+
+  const dueOffset = intField(formData, 'due_offset_days');
+  if (dueOffset != null && !(dueOffset >= 0 && dueOffset <= MAX_DUE_OFFSET_DAYS)) {
+    return actionFail(`Due dates can be 0 to ${MAX_DUE_OFFSET_DAYS} days after each set goes out.`);
+  }
+
+  // ── Generation rule payload ───────────────────────────────────
+  let filterCriteria: Record<string, unknown>;
+  if (rule === 'fixed_skills') {
+    // The skills come from a saved template — the shelf's recipe is
+    // already a lossless capture of the weighted skill picker.
+    const sourceId = String(formData.get('source_template_id') || '');
+    if (!sourceId) return actionFail('Pick a saved template for the skills.');
+    const { data: source } = await supabase
+      .from('assignment_templates')
+      .select('filter_criteria')
+      .eq('id', sourceId)
+      .eq('teacher_id', user.id)
+      .is('repeat_every', null)
+      .maybeSingle();
+    const fc = source?.filter_criteria as Record<string, unknown> | null | undefined;
+    if (!fc || !Array.isArray(fc.skillSelections) || fc.skillSelections.length === 0) {
+      return actionFail('That template has no skills to draw from.');
+    }
+    filterCriteria = { ...fc };
+  } else {
+    const size = intField(formData, 'size');
+    if (size == null || !(size >= 1 && size <= MAX_QUESTIONS)) {
+      return actionFail(`Size must be 1 to ${MAX_QUESTIONS} questions.`);
+    }
+    filterCriteria = { size };
+    if (rule === 'weak_skills') {
+      const topN = intField(formData, 'top_n');
+      if (topN == null || !(topN >= 1 && topN <= MAX_WEAK_SKILLS)) {
+        return actionFail(`Pick 1 to ${MAX_WEAK_SKILLS} weak skills.`);
+      }
+      filterCriteria.topN = topN;
+    }
+  }
+
+  // ── Roster ────────────────────────────────────────────────────
+  const studentIds = [...new Set(formData.getAll('student_id').map(String).filter(Boolean))];
+  if (studentIds.length === 0) return actionFail('Select at least one student.');
+  if (studentIds.length > MAX_STUDENTS) {
+    return actionFail(`A series can include at most ${MAX_STUDENTS} students.`);
+  }
+  // profiles RLS is can_view(id): anyone missing here isn't the
+  // tutor's to assign to. The cron runs on the service role, so this
+  // is the check that keeps the roster honest at creation time.
+  const { data: visible } = await supabase
+    .from('profiles')
+    .select('id')
+    .in('id', studentIds)
+    .eq('role', 'student');
+  if ((visible ?? []).length !== studentIds.length) {
+    return actionFail('Some of those students are not on your roster.');
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const nextRunOn = firstOccurrence(schedule, today);
+  const { error } = await supabase.from('assignment_templates').insert({
+    teacher_id: user.id,
+    name,
+    assignment_type: 'questions',
+    generation_rule: rule,
+    filter_criteria: filterCriteria as Json,
+    repeat_every: schedule.every,
+    repeat_weekday: schedule.every === 'week' ? schedule.weekday : null,
+    repeat_interval_days: schedule.every === 'days' ? schedule.days : null,
+    due_offset_days: dueOffset,
+    student_ids: studentIds,
+    next_run_on: nextRunOn,
+  });
+  if (error) return actionFail(`Could not create the series: ${error.message}`);
+
+  revalidatePath('/tutor/assignments/recurring');
+  return actionOk({ nextRunOn });
+}
+
+/**
+ * Pause or resume a series. Resuming picks the schedule back up from
+ * today rather than replaying what the pause skipped.
+ */
+export async function setRecurringTemplatePaused(
+  templateId: string,
+  paused: boolean,
+): Promise<ActionResult> {
+  let ctx;
+  try {
+    ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  if (!templateId) return actionFail('templateId required');
+
+  const { data: row } = await ctx.supabase
+    .from('assignment_templates')
+    .select('repeat_every, repeat_weekday, repeat_interval_days, next_run_on')
+    .eq('id', templateId)
+    .not('repeat_every', 'is', null)
+    .maybeSingle();
+  if (!row) return actionFail('Series not found.');
+
+  const update: { paused_at: string | null; next_run_on?: string } = {
+    paused_at: paused ? new Date().toISOString() : null,
+  };
+  const today = new Date().toISOString().slice(0, 10);
+  const schedule = parseRepeatSchedule(row);
+  if (!paused && schedule && row.next_run_on && row.next_run_on < today) {
+    update.next_run_on = firstOccurrence(schedule, today);
+  }
+
+  const { error } = await ctx.supabase.from('assignment_templates').update(update).eq('id', templateId);
+  if (error) return actionFail('Could not update the series');
+
+  revalidatePath('/tutor/assignments/recurring');
+  return actionOk();
+}
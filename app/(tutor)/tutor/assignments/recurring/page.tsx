@@ -0,0 +1,194 @@
+// Tutor → recurring assignments. Sibling to /tutor/lesson-packs and
+// borrows its list vocabulary. A series is an assignment_templates row
+// with a schedule; the daily /api/cron/recurring-assignments run turns
+// each due occurrence into one assignment per student.
+//
+// Two surfaces on the page:
+//
+//   1. "New series" form — name, generation rule, schedule, due-date
+//      offset and roster; posts to createRecurringTemplate().
+//
+//   2. The tutor's series, each with its schedule, rule, next run (or
+//      Paused) and a link to the latest generated set, whose page
+//      carries the full series history.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { IconTile } from '@/lib/ui/IconTile';
+import { ClockIcon } from '@/lib/ui/icons';
+import { formatShortDate } from '@/lib/formatters';
+import {
+  describeRule,
+  describeSchedule,
+  isGenerationRule,
+  parseRepeatSchedule,
+} from '@/lib/practice/recurring';
+import { NewRecurringForm } from './NewRecurringForm';
+import { SeriesActions } from './SeriesActions';
+import s from '../../lesson-packs/LessonPacksList.module.css';
+import r from './RecurringAssignments.module.css';
+
+export const dynamic = 'force-dynamic';
+
+export default async function TutorRecurringAssignmentsPage() {
+  const { user, profile, supabase } = await requireUser();
+  if (!['teacher', 'manager', 'admin'].includes(profile.role)) {
+    redirect('/');
+  }
+
+  // The explicit teacher filter keeps an admin's list to their own
+  // series, same as the template shelf.
+  const [{ data: seriesRows }, { data: shelfRows }, { data: studentRows }] = await Promise.all([
+    supabase
+      .from('assignment_templates')
+      .select(`
+        id, name, generation_rule, filter_criteria, repeat_every, repeat_weekday,
+        repeat_interval_days, due_offset_days, student_ids, next_run_on, paused_at, created_at
+      `)
+      .eq('teacher_id', user.id)
+      .not('repeat_every', 'is', null)
+      .order('created_at', { ascending: false }),
+    // Saved shelf templates with a skill recipe are the source for the
+    // fixed-skills rule.
+    supabase
+      .from('assignment_templates')
+      .select('id, name, filter_criteria')
+      .eq('teacher_id', user.id)
+      .eq('assignment_type', 'questions')
+      .is('repeat_every', null)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('profiles')
+      .select('id, first_name, last_name, email')
+      .eq('role', 'student')
+      .order('last_name', { ascending: true, nullsFirst: false }),
+  ]);
+
+  const series = seriesRows ?? [];
+  const seriesIds = series.map((t) => t.id);
+
+  // Latest created assignment per series, for the "latest set" link.
+  // Runs come back newest-first, so the first hit per template wins.
+  const { data: runRows } = seriesIds.length
+    ? await supabase
+        .from('assignment_template_runs')
+        .select('template_id, assignment_id, occurrence_on')
+        .in('template_id', seriesIds)
+        .eq('outcome', 'created')
+        .not('assignment_id', 'is', null)
+        .order('occurrence_on', { ascending: false })
+        .limit(500)
+    : { data: [] };
+  const latestByTemplate = new Map<string, { assignmentId: string; occurrenceOn: string }>();
+  for (const run of runRows ?? []) {
+    if (!run.assignment_id || latestByTemplate.has(run.template_id)) continue;
+    latestByTemplate.set(run.template_id, { assignmentId: run.assignment_id, occurrenceOn: run.occurrence_on });
+  }
+
+  const templates = (shelfRows ?? [])
+    .filter((t) => {
+      const fc = t.filter_criteria as { skillSelections?: unknown } | null;
+      return Array.isArray(fc?.skillSelections) && fc.skillSelections.length > 0;
+    })
+    .map((t) => ({ id: t.id, name: t.name }));
+
+  const students = (studentRows ?? []).map((p) => ({
+    id: p.id,
+    name: [p.first_name, p.last_name].filter(Boolean).join(' ') || p.email || 'Student',
+  }));
+
+  const rows = series.map((t) => {
+    const schedule = parseRepeatSchedule(t);
+    const criteria = (t.filter_criteria ?? {}) as { size?: number; topN?: number; skillSelections?: unknown[] };
+    return {
+      id: t.id,
+      name: t.name,
+      scheduleLabel: schedule ? describeSchedule(schedule) : 'No schedule',
+      ruleLabel: isGenerationRule(t.generation_rule)
+        ? describeRule(t.generation_rule, criteria)
+        : t.generation_rule,
+      studentCount: t.student_ids.length,
+      dueOffsetDays: t.due_offset_days,
+      nextRunOn: t.next_run_on,
+      paused: t.paused_at != null,
+      latest: latestByTemplate.get(t.id) ?? null,
+    };
+  });
+
+  return (
+    <main className={s.container}>
+      <nav className={s.breadcrumb}>
+        <Link href="/tutor/assignments">← Assignments</Link>
+      </nav>
+
+      <header className={s.header}>
+        <div className={s.headerLeft}>
+          <div className={s.eyebrow}>Tutor · Recurring assignments</div>
+          <h1 className={s.h1}>Recurring assignments</h1>
+          <p className={s.sub}>
+            Set up a series once and a fresh set goes out to each student on schedule.
+            A student who hasn&apos;t finished the previous set is skipped for the next one.
+          </p>
+        </div>
+      </header>
+
+      <NewRecurringForm templates={templates} students={students} />
+
+      <section className={s.section}>
+        <div className={s.sectionHead}>
+          <h2 className={s.sectionTitle}>
+            <IconTile icon={ClockIcon} palette="navy" size="md" />
+            {rows.length === 0 ? 'No series yet' : `${rows.length} series`}
+          </h2>
+        </div>
+
+        {rows.length === 0 ? (
+          <div className={s.emptyCard}>
+            <div className={s.emptyTitle}>Nothing here yet.</div>
+            <div className={s.emptyBody}>
+              Use the form above to start a series, e.g. ten questions from each
+              student&apos;s weak skills every Monday.
+            </div>
+          </div>
+        ) : (
+          <ul className={s.cardList}>
+            {rows.map((t) => (
+              <li key={t.id} className={s.cardRow}>
+                <div className={`${s.packCard} ${r.seriesCard}`}>
+                  <div className={s.packTop}>
+                    <div className={s.packTitle}>{t.name}</div>
+                    <span className={s.packCount}>
+                      {t.paused ? 'Paused' : t.nextRunOn ? `Next ${formatShortDate(t.nextRunOn)}` : ''}
+                    </span>
+                  </div>
+                  <div className={s.packSub}>
+                    {t.scheduleLabel} · {t.ruleLabel}
+                  </div>
+                  <div className={s.packMeta}>
+                    {t.studentCount} student{t.studentCount === 1 ? '' : 's'}
+                    {' · '}
+                    {t.dueOffsetDays == null
+                      ? 'No due date'
+                      : t.dueOffsetDays === 0
+                        ? 'Due the same day'
+                        : `Due ${t.dueOffsetDays} day${t.dueOffsetDays === 1 ? '' : 's'} later`}
+                    {t.latest && (
+                      <>
+                        {' · '}
+                        <Link href={`/tutor/assignments/${t.latest.assignmentId}`} className={r.latestLink}>
+                          Latest set ({formatShortDate(t.latest.occurrenceOn)})
+                        </Link>
+                      </>
+                    )}
+                  </div>
+                </div>
+                <SeriesActions templateId={t.id} name={t.name} paused={t.paused} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,204 @@
+// Client islands for the coaching channel: the manager's new-note
+// form (embedded on /tutor/teachers/[teacherId]), the reply form,
+// the tutor's Acknowledge button, the manager's Resolve / Reopen
+// button, and the mark-read effect on the thread page. Same
+// useActionState shape as the session workspace's NotesPanel.
+
+'use client';
+
+import { useActionState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import {
+  COACHING_CATEGORIES,
+  COACHING_CATEGORY_LABELS,
+  COACHING_SIGNALS,
+  COACHING_SIGNAL_LABELS,
+} from '@/lib/tutor/coaching';
+import type { ActionResult } from '@/lib/types';
+import {
+  acknowledgeCoachingThread,
+  markCoachingThreadRead,
+  replyToCoachingThread,
+  setCoachingThreadStatus,
+  startCoachingThread,
+} from './actions';
+import s from './Coaching.module.css';
+
+interface Option {
+  id: string;
+  label: string;
+}
+
+export function NewThreadForm({
+  teacherId,
+  teacherName,
+  students,
+  assignments,
+  defaultSignal,
+}: {
+  teacherId: string;
+  teacherName: string;
+  students: Option[];
+  assignments: Option[];
+  defaultSignal?: string | null;
+}) {
+  const router = useRouter();
+  const [state, formAction, pending] = useActionState<ActionResult | null, FormData>(
+    async (prev, formData) => {
+      const result = await startCoachingThread(prev, formData);
+      if (result.ok) router.push(`/tutor/coaching/${result.data.threadId}`);
+      return result;
+    },
+    null,
+  );
+
+  return (
+    <form action={formAction} className={s.form}>
+      <input type="hidden" name="teacher_id" value={teacherId} />
+      <div className={s.formRow}>
+        <label className={s.field}>
+          Category
+          <select name="category" className={s.select} defaultValue="general" disabled={pending}>
+            {COACHING_CATEGORIES.map((c) => (
+              <option key={c} value={c}>{COACHING_CATEGORY_LABELS[c]}</option>
+            ))}
+          </select>
+        </label>
+        <label className={s.field}>
+          About a signal
+          <select
+            name="related_signal"
+            className={s.select}
+            defaultValue={defaultSignal ?? ''}
+            disabled={pending}
+          >
+            <option value="">—</option>
+            {COACHING_SIGNALS.map((sig) => (
+              <option key={sig} value={sig}>{COACHING_SIGNAL_LABELS[sig]}</option>
+            ))}
+          </select>
+        </label>
+        <label className={s.field}>
+          About a student
+          <select name="related_student_id" className={s.select} defaultValue="" disabled={pending}>
+            <option value="">—</option>
+            {students.map((o) => (
+              <option key={o.id} value={o.id}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className={s.field}>
+          About an assignment
+          <select name="related_assignment_id" className={s.select} defaultValue="" disabled={pending}>
+            <option value="">—</option>
+            {assignments.map((o) => (
+              <option key={o.id} value={o.id}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <textarea
+        name="body"
+        className={s.textarea}
+        rows={4}
+        placeholder={`A coaching note for ${teacherName}…`}
+        required
+        maxLength={8000}
+        disabled={pending}
+      />
+      <div className={s.formFoot}>
+        <span className={s.hint}>
+          Only you and {teacherName} can see this thread.
+        </span>
+        <button type="submit" className={s.primaryBtn} disabled={pending}>
+          {pending ? 'Posting…' : 'Post note'}
+        </button>
+      </div>
+      {state && !state.ok ? <p className={s.formError}>{state.error}</p> : null}
+    </form>
+  );
+}
+
+export function ReplyForm({ threadId }: { threadId: string }) {
+  const formRef = useRef<HTMLFormElement>(null);
+  const [state, formAction, pending] = useActionState<ActionResult | null, FormData>(
+    async (prev, formData) => {
+      const result = await replyToCoachingThread(prev, formData);
+      if (result?.ok) formRef.current?.reset();
+      return result;
+    },
+    null,
+  );
+
+  return (
+    <form ref={formRef} action={formAction} className={s.form}>
+      <input type="hidden" name="thread_id" value={threadId} />
+      <textarea
+        name="body"
+        className={s.textarea}
+        rows={3}
+        placeholder="Reply…"
+        required
+        maxLength={8000}
+        disabled={pending}
+      />
+      <div className={s.formFoot}>
+        <span />
+        <button type="submit" className={s.primaryBtn} disabled={pending}>
+          {pending ? 'Sending…' : 'Reply'}
+        </button>
+      </div>
+      {state && !state.ok ? <p className={s.formError}>{state.error}</p> : null}
+    </form>
+  );
+}
+
+export function AcknowledgeButton({ threadId }: { threadId: string }) {
+  const [state, formAction, pending] = useActionState<ActionResult | null, FormData>(
+    acknowledgeCoachingThread,
+    null,
+  );
+  return (
+    <form action={formAction}>
+      <input type="hidden" name="thread_id" value={threadId} />
+      <button type="submit" className={s.primaryBtn} disabled={pending}>
+        {pending ? 'Saving…' : 'Acknowledge'}
+      </button>
+      {state && !state.ok ? <p className={s.formError}>{state.error}</p> : null}
+    </form>
+  );
+}
+
+export function StatusButton({ threadId, status }: { threadId: string; status: string }) {
+  const next = status === 'resolved' ? 'open' : 'resolved';
+  const [state, formAction, pending] = useActionState<ActionResult | null, FormData>(
+    setCoachingThreadStatus,
+    null,
+  );
+  return (
+    <form action={formAction}>
+      <input type="hidden" name="thread_id" value={threadId} />
+      <input type="hidden" name="status" value={next} />
+      <button type="submit" className={s.secondaryBtn} disabled={pending}>
+        {pending ? 'Saving…' : next === 'resolved' ? 'Mark resolved' : 'Reopen'}
+      </button>
+      {state && !state.ok ? <p className={s.formError}>{state.error}</p> : null}
+    </form>
+  );
+}
+
+/** Stamps the caller's read marker once the thread has rendered, then
+ *  refreshes so the sidebar badge drops. Only mounted when unread. */
+export function MarkThreadRead({ threadId }: { threadId: string }) {
+  const router = useRouter();
+  useEffect(() => {
+    let cancelled = false;
+    markCoachingThreadRead(threadId).then((res) => {
+      if (!cancelled && res.ok) router.refresh();
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [threadId, router]);
+  return null;
+}
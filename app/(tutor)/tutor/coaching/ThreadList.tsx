@@ -0,0 +1,75 @@
+// Coaching thread rows — shared by the inbox (/tutor/coaching) and
+// the manager's teacher page. `viewerId` picks which participant's
+// name to show: the other one.
+
+import Link from 'next/link';
+import { formatRelativeShort } from '@/lib/formatters';
+import {
+  COACHING_CATEGORY_LABELS,
+  COACHING_SIGNAL_LABELS,
+  isCoachingCategory,
+  isCoachingSignal,
+} from '@/lib/tutor/coaching';
+import type { CoachingThreadSummary } from '@/lib/tutor/load-coaching';
+import s from './Coaching.module.css';
+
+export function ThreadList({
+  threads,
+  viewerId,
+  emptyText,
+}: {
+  threads: CoachingThreadSummary[];
+  viewerId: string;
+  emptyText: string;
+}) {
+  if (threads.length === 0) return <div className={s.empty}>{emptyText}</div>;
+  return (
+    <ul className={s.threadList}>
+      {threads.map((t) => {
+        const counterpart = t.managerId === viewerId ? t.teacherName : t.managerName;
+        return (
+          <li key={t.id}>
+            <Link href={`/tutor/coaching/${t.id}`} className={s.threadRow}>
+              <span className={t.unread ? s.unreadDot : s.readDot} aria-label={t.unread ? 'Unread' : undefined} />
+              <div className={s.threadMain}>
+                <div className={t.unread ? `${s.threadTitle} ${s.threadTitleUnread}` : s.threadTitle}>
+                  {counterpart}
+                </div>
+                <div className={s.threadSnippet}>{t.body}</div>
+                <ThreadTags thread={t} />
+              </div>
+              <div className={s.threadSide}>
+                <span>{formatRelativeShort(t.lastActivityAt) ?? '—'}</span>
+                <span>
+                  {t.replyCount} {t.replyCount === 1 ? 'reply' : 'replies'}
+                </span>
+              </div>
+            </Link>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export function ThreadTags({ thread }: { thread: CoachingThreadSummary }) {
+  return (
+    <div className={s.threadMeta}>
+      <span className={`${s.pill} ${s.pillCategory}`}>
+        {isCoachingCategory(thread.category) ? COACHING_CATEGORY_LABELS[thread.category] : thread.category}
+      </span>
+      {isCoachingSignal(thread.relatedSignal) && (
+        <span className={`${s.pill} ${s.pillSignal}`}>{COACHING_SIGNAL_LABELS[thread.relatedSignal]}</span>
+      )}
+      {thread.status === 'resolved' ? (
+        <span className={`${s.pill} ${s.pillResolved}`}>Resolved</span>
+      ) : thread.acknowledgedAt ? (
+        <span className={`${s.pill} ${s.pillAcked}`}>Acknowledged</span>
+      ) : (
+        <span className={`${s.pill} ${s.pillPending}`}>Not yet acknowledged</span>
+      )}
+      {thread.relatedStudent && <span>· {thread.relatedStudent.name}</span>}
+      {thread.relatedAssignment && <span>· {thread.relatedAssignment.title}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+// One coaching thread (§5.1): the manager's opening note, what it's
+// about (student, assignment report, effectiveness signal), the
+// replies, and the per-role controls — the tutor acknowledges, the
+// manager resolves or reopens, both reply. Opening an unread thread
+// stamps the read marker (MarkThreadRead) so the sidebar badge drops.
+//
+// RLS makes a thread the caller isn't part of read as missing, so
+// that case is a plain 404.
+
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { loadCoachingThread } from '@/lib/tutor/load-coaching';
+import { COACHING_SIGNAL_LABELS, isCoachingSignal } from '@/lib/tutor/coaching';
+import { AcknowledgeButton, MarkThreadRead, ReplyForm, StatusButton } from '../CoachingForms';
+import { ThreadTags } from '../ThreadList';
+import s from '../Coaching.module.css';
+
+export const dynamic = 'force-dynamic';
+
+type PageProps = { params: Promise<{ threadId: string }> };
+
+function fmtDateTime(iso: string) {
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+export default async function CoachingThreadPage({ params }: PageProps) {
+  const { threadId } = await params;
+  const { user, profile, supabase } = await requireUser();
+
+  const loaded = await loadCoachingThread(supabase, user.id, threadId);
+  if (!loaded) notFound();
+  const { thread, replies } = loaded;
+
+  const isTutor = thread.teacherId === user.id;
+  const isManager = thread.managerId === user.id || profile.role === 'admin';
+  const isParticipant = thread.teacherId === user.id || thread.managerId === user.id;
+
+  return (
+    <main className={s.container}>
+      {thread.unread && <MarkThreadRead threadId={thread.id} />}
+
+      <Link href="/tutor/coaching" className={s.breadcrumb}>
+        ← Coaching
+      </Link>
+
+      <header className={s.header}>
+        <div className={s.eyebrow}>Coaching · {thread.managerName} → {thread.teacherName}</div>
+        <h1 className={s.h1}>
+          {isTutor ? `From ${thread.managerName}` : `With ${thread.teacherName}`}
+        </h1>
+        <ThreadTags thread={thread} />
+      </header>
+
+      {(thread.relatedStudent || thread.relatedAssignment || isCoachingSignal(thread.relatedSignal)) && (
+        <div className={s.related}>
+          {thread.relatedStudent && (
+            <Link href={`/tutor/students/${thread.relatedStudent.id}`}>
+              Student: {thread.relatedStudent.name} →
+            </Link>
+          )}
+          {thread.relatedAssignment && (
+            <Link href={`/tutor/assignments/${thread.relatedAssignment.id}`}>
+              Assignment report: {thread.relatedAssignment.title} →
+            </Link>
+          )}
+          {isCoachingSignal(thread.relatedSignal) && isManager && (
+            <Link href="/tutor/teachers">
+              {COACHING_SIGNAL_LABELS[thread.relatedSignal]} on the Teachers tab →
+            </Link>
+          )}
+        </div>
+      )}
+
+      <ol className={s.thread}>
+        <li className={`${s.message} ${s.messageOpening}`}>
+          <div className={s.messageHead}>
+            <span className={s.messageAuthor}>{thread.managerName}</span>
+            <span>{fmtDateTime(thread.createdAt)}</span>
+          </div>
+          <p className={s.messageBody}>{thread.body}</p>
+        </li>
+        {replies.map((r) => (
+          <li
+            key={r.id}
+            className={r.authorId === user.id ? `${s.message} ${s.messageMine}` : s.message}
+          >
+            <div className={s.messageHead}>
+              <span className={s.messageAuthor}>{r.authorName}</span>
+              <span>{fmtDateTime(r.createdAt)}</span>
+            </div>
+            <p className={s.messageBody}>{r.body}</p>
+          </li>
+        ))}
+      </ol>
+
+      <div className={s.actionsRow}>
+        {isTutor && !thread.acknowledgedAt && <AcknowledgeButton threadId={thread.id} />}
+        {thread.acknowledgedAt && (
+          <span className={s.hint}>
+            {thread.teacherName} acknowledged this {fmtDateTime(thread.acknowledgedAt)}.
+          </span>
+        )}
+        {isManager && <StatusButton threadId={thread.id} status={thread.status} />}
+        {isManager && (
+          <Link
+            href={`/tutor/assignments/new?target=trainees&teacher=${thread.teacherId}`}
+            className={s.secondaryBtn}
+          >
+            + Assign training
+          </Link>
+        )}
+      </div>
+
+      {isParticipant && (
+        <section className={s.card}>
+          <ReplyForm threadId={thread.id} />
+        </section>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,201 @@
+// Server Actions for the coaching channel (§5.1).
+//
+// startCoachingThread — a manager opens a thread with one of their
+//   tutors, optionally tied to a student, an assignment, or an
+//   effectiveness signal. RLS is the real gate (manager_teacher_
+//   assignments row for the pair; linked student/assignment must be
+//   the tutor's); requireRole just turns a role miss into a clean
+//   error instead of a silent failed insert.
+// replyToCoachingThread — either participant. The reply trigger
+//   bumps the thread's activity and reopens it if resolved.
+// acknowledgeCoachingThread — the tutor only (enforced by the
+//   tutor_feedback_guard_update trigger).
+// setCoachingThreadStatus — the manager resolves or reopens.
+// markCoachingThreadRead — called from the thread page on view;
+//   revalidates the tutor layout so the sidebar badge drops.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { assertNotInBillingGrace, requireRole } from '@/lib/api/auth';
+import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { isCoachingCategory, isCoachingSignal } from '@/lib/tutor/coaching';
+import type { ActionResult } from '@/lib/types';
+
+const MAX_BODY_LENGTH = 8000;
+
+function optionalId(formData: FormData, key: string): string | null {
+  const v = formData.get(key);
+  return typeof v === 'string' && v ? v : null;
+}
+
+function readBody(formData: FormData): { body: string } | { error: string } {
+  const body = String(formData.get('body') ?? '').trim();
+  if (!body) return { error: 'Write the note first' };
+  if (body.length > MAX_BODY_LENGTH) return { error: `Notes cap at ${MAX_BODY_LENGTH} characters` };
+  return { body };
+}
+
+export async function startCoachingThread(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult<{ data: { threadId: string } }>> {
+  let ctx;
+  try {
+    ctx = await requireRole(['manager', 'admin']);
+    await assertNotInBillingGrace();
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+
+  const teacherId = optionalId(formData, 'teacher_id');
+  if (!teacherId) return actionFail('teacherId required');
+  const parsed = readBody(formData);
+  if ('error' in parsed) return actionFail(parsed.error);
+
+  const category = formData.get('category') || 'general';
+  if (!isCoachingCategory(category)) return actionFail('Unknown category');
+  const signal = optionalId(formData, 'related_signal');
+  if (signal && !isCoachingSignal(signal)) return actionFail('Unknown signal');
+
+  const { data, error } = await ctx.supabase
+    .from('tutor_feedback')
+    .insert({
+      manager_id: ctx.user.id,
+      teacher_id: teacherId,
+      category,
+      body: parsed.body,
+      related_student_id: optionalId(formData, 'related_student_id'),
+      related_assignment_id: optionalId(formData, 'related_assignment_id'),
+      related_signal: signal,
+    })
+    .select('id')
+    .single();
+  // An RLS rejection surfaces as an insert error (not-my-tutor, or a
+  // student/assignment that isn't theirs).
+  if (error || !data) return actionFail('Could not post the note');
+
+  revalidatePath(`/tutor/teachers/${teacherId}`);
+  revalidatePath('/tutor/teachers');
+  revalidatePath('/tutor/coaching');
+  return actionOk({ threadId: data.id });
+}
+
+export async function replyToCoachingThread(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  let ctx;
+  try {
+    ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+
+  const threadId = optionalId(formData, 'thread_id');
+  if (!threadId) return actionFail('threadId required');
+  const parsed = readBody(formData);
+  if ('error' in parsed) return actionFail(parsed.error);
+
+  const { error } = await ctx.supabase.from('tutor_feedback_replies').insert({
+    feedback_id: threadId,
+    author_id: ctx.user.id,
+    body: parsed.body,
+  });
+  if (error) return actionFail('Could not post the reply');
+
+  // Your own reply counts as having read the thread.
+  await ctx.supabase
+    .from('tutor_feedback_reads')
+    .upsert({ feedback_id: threadId, user_id: ctx.user.id, last_read_at: new Date().toISOString() });
+
+  revalidatePath(`/tutor/coaching/${threadId}`);
+  revalidatePath('/tutor/coaching');
+  return actionOk();
+}
+
+export async function acknowledgeCoachingThread(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  let ctx;
+  try {
+    ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+
+  const threadId = optionalId(formData, 'thread_id');
+  if (!threadId) return actionFail('threadId required');
+
+  const { data, error } = await ctx.supabase
+    .from('tutor_feedback')
+    .update({ acknowledged_at: new Date().toISOString() })
+    .eq('id', threadId)
+    .eq('teacher_id', ctx.user.id)
+    .is('acknowledged_at', null)
+    .select('id');
+  if (error) return actionFail('Could not acknowledge the note');
+  if (!data?.length) return actionFail('Only the tutor can acknowledge this note');
+
+  revalidatePath(`/tutor/coaching/${threadId}`);
+  revalidatePath('/tutor/coaching');
+  return actionOk();
+}
+
+export async function setCoachingThreadStatus(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  let ctx;
+  try {
+    ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+
+  const threadId = optionalId(formData, 'thread_id');
+  const status = formData.get('status');
+  if (!threadId) return actionFail('threadId required');
+  if (status !== 'open' && status !== 'resolved') return actionFail('Unknown status');
+
+  const { data, error } = await ctx.supabase
+    .from('tutor_feedback')
+    .update({ status })
+    .eq('id', threadId)
+    .select('teacher_id');
+  // The guard trigger raises for anyone but the manager or an admin.
+  if (error || !data?.length) return actionFail('Only the manager can change this thread');
+
+  revalidatePath(`/tutor/coaching/${threadId}`);
+  revalidatePath('/tutor/coaching');
+  revalidatePath(`/tutor/teachers/${data[0].teacher_id}`);
+  revalidatePath('/tutor/teachers');
+  return actionOk();
+}
+
+export async function markCoachingThreadRead(threadId: string): Promise<ActionResult> {
+  let ctx;
+  try {
+    ctx = await requireRole(['teacher', 'manager', 'admin']);
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  if (!threadId) return actionFail('threadId required');
+
+  const { error } = await ctx.supabase
+    .from('tutor_feedback_reads')
+    .upsert({ feedback_id: threadId, user_id: ctx.user.id, last_read_at: new Date().toISOString() });
+  if (error) return actionFail('Could not mark the thread read');
+
+  revalidatePath('/tutor', 'layout');
+  return actionOk();
+}
@@ -0,0 +1,54 @@
+// Coaching inbox (§5.1). Every coaching thread the caller is part
+// of — a tutor sees the notes their manager has left them, a manager
+// the threads they've opened with their tutors. Open threads first,
+// resolved below; unread ones carry a dot (and count toward the
+// sidebar badge). Managers start threads from a tutor's page
+// (/tutor/teachers/[teacherId]), where the roster and assignments to
+// tie a note to are already loaded.
+
+import Link from 'next/link';
+import { requireUser } from '@/lib/api/auth';
+import { loadCoachingThreads } from '@/lib/tutor/load-coaching';
+import { ThreadList } from './ThreadList';
+import s from './Coaching.module.css';
+
+export const dynamic = 'force-dynamic';
+
+export default async function CoachingInboxPage() {
+  const { user, profile, supabase } = await requireUser();
+  const threads = await loadCoachingThreads(supabase, user.id);
+  const open = threads.filter((t) => t.status !== 'resolved');
+  const resolved = threads.filter((t) => t.status === 'resolved');
+  const isManager = profile.role === 'manager' || profile.role === 'admin';
+
+  return (
+    <main className={s.container}>
+      <header className={s.header}>
+        <div className={s.eyebrow}>Coaching</div>
+        <h1 className={s.h1}>Coaching notes</h1>
+        <p className={s.sub}>
+          {isManager ? (
+            <>
+              Threads with the tutors on your team. To start one, open a
+              tutor from <Link href="/tutor/teachers">Teachers</Link>.
+            </>
+          ) : (
+            'Notes from your manager about your teaching. Reply to talk it through, and acknowledge once you’ve read one.'
+          )}
+        </p>
+      </header>
+
+      <section className={s.card}>
+        <h2 className={s.sectionTitle}>Open · {open.length}</h2>
+        <ThreadList threads={open} viewerId={user.id} emptyText="No open threads." />
+      </section>
+
+      {resolved.length > 0 && (
+        <section className={s.card}>
+          <h2 className={s.sectionTitle}>Resolved · {resolved.length}</h2>
+          <ThreadList threads={resolved} viewerId={user.id} emptyText="" />
+        </section>
+      )}
+    </main>
+  );
+}
@@ -9,10 +9,10 @@
 
 import { redirect } from 'next/navigation';
 import { revalidatePath } from 'next/cache';
-import { requireUser } from '@/lib/api/auth';
-import { actionFail, actionOk, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
-import type { ActionResult, Fail } from '@/lib/types';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
+import { actionFail, actionRateLimited, actionOk, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import type { ActionResult, Fail, UserRole } from '@/lib/types';
 
 const MAX_QUESTIONS_PER_PACK = 200;
 const SEARCH_PAGE_SIZE = 25;
@@ -25,7 +25,7 @@ const TAG_SEARCH_ROLES = new Set(['manager', 'admin']);
 
 type Ctx = {
   user: { id: string };
-  profile: { role: string };
+  profile: { role: UserRole };
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   supabase: any;
 };
@@ -45,6 +45,19 @@ async function ensureTutor(): Promise<Ctx | Fail> {
   return c;
 }
 
+/** ensureTutor plus the read-only billing grace check, for the writes. */
+async function ensureTutorWriter(): Promise<Ctx | Fail> {
+  const ctx = await ensureTutor();
+  if ('ok' in ctx) return ctx;
+  try {
+    await assertNotInBillingGrace();
+  } catch (err) {
+    if (err instanceof ApiError) return err.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  return ctx;
+}
+
 // ─── createPack ─────────────────────────────────────────────
 // Called from the list page's "New pack" form. Inserts a row and
 // redirects straight into the builder so the tutor can start adding
@@ -53,14 +66,11 @@ export async function createPack(
   _prevState: ActionResult | null,
   formData: FormData,
 ): Promise<ActionResult | null> {
-  const ctx = await ensureTutor();
+  const ctx = await ensureTutorWriter();
   if ('ok' in ctx) return ctx;
 
-  const rl = await rateLimit(`lesson-pack-create:${ctx.user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) return actionFail('Too many packs created in a short time.');
+  const rl = await checkRateLimit('lesson-pack.create', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const name = String(formData.get('name') || '').trim();
   const description = String(formData.get('description') || '').trim() || null;
@@ -88,7 +98,7 @@ export async function renamePack(
   name: string,
   description: string | null,
 ): Promise<ActionResult> {
-  const ctx = await ensureTutor();
+  const ctx = await ensureTutorWriter();
   if ('ok' in ctx) return ctx;
 
   const trimmedName = name.trim();
@@ -114,7 +124,7 @@ export async function renamePack(
 // Hard delete. The cascade on lesson_pack_questions cleans up
 // junction rows. Called from the list view's per-row delete button.
 export async function deletePack(packId: string): Promise<ActionResult> {
-  const ctx = await ensureTutor();
+  const ctx = await ensureTutorWriter();
   if ('ok' in ctx) return ctx;
 
   const { error } = await ctx.supabase
@@ -136,7 +146,7 @@ export async function addQuestionToPack(
   packId: string,
   questionId: string,
 ): Promise<ActionResult<{ data: { position: number; total: number } }>> {
-  const ctx = await ensureTutor();
+  const ctx = await ensureTutorWriter();
   if ('ok' in ctx) return ctx;
 
   // Count first so we can enforce the per-pack cap and pick the
@@ -179,7 +189,7 @@ export async function removeQuestionFromPack(
   packId: string,
   questionId: string,
 ): Promise<ActionResult> {
-  const ctx = await ensureTutor();
+  const ctx = await ensureTutorWriter();
   if ('ok' in ctx) return ctx;
 
   const { error: delErr } = await ctx.supabase
@@ -227,7 +237,7 @@ export async function reorderPackQuestions(
   packId: string,
   orderedQuestionIds: string[],
 ): Promise<ActionResult> {
-  const ctx = await ensureTutor();
+  const ctx = await ensureTutorWriter();
   if ('ok' in ctx) return ctx;
 
   const { data: current, error: readErr } = await ctx.supabase
@@ -301,6 +311,8 @@ export async function searchQuestions(input: {
 > {
   const ctx = await ensureTutor();
   if ('ok' in ctx) return ctx;
+  const rl = await checkRateLimit('question.search', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const page = Math.max(1, Math.floor(input.page ?? 1));
   const offset = (page - 1) * SEARCH_PAGE_SIZE;
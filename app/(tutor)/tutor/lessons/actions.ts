@@ -1,12 +1,13 @@
 'use server';
 
 import { redirect } from 'next/navigation';
-import { assertWriter, requireRole } from '@/lib/api/auth';
+import { assertNotInBillingGrace, assertWriter, requireRole } from '@/lib/api/auth';
 import { actionFail, ApiError } from '@/lib/api/response';
 
 async function tutorContext() {
   const ctx = await requireRole(['teacher', 'manager']);
   assertWriter(ctx);
+  await assertNotInBillingGrace();
   return ctx;
 }
 
@@ -10,9 +10,9 @@
 //     wrappers share QuestionReviewPage so the rendered content is
 //     identical.
 //
-// No watermarking is applied to the rendered content here. The viewer
-// is a trusted role (teacher / manager / admin) inspecting question
-// bank content for pedagogy, flagging, or review purposes.
+// The rendered content is watermarked with the viewer's id like every
+// other served question (see lib/content/watermark.ts); trusted roles
+// can still leak a copy.
 
 import { QuestionReviewPage } from '@/lib/practice/QuestionReviewPage';
 
@@ -2,8 +2,8 @@
 // of profile fields to updateStudentProfile.
 //
 // Field set tracks what tutors actually maintain in our spreadsheet
-// today: name, school, graduation year, target score, planned SAT
-// test date, start date, active flag. Anything else (role, email,
+// today: name, school, graduation year, target score (SAT and/or
+// ACT), planned SAT test date, start date, active flag. Anything else (role, email,
 // is_admin, etc.) lives elsewhere — admin-side, not here.
 //
 // Submission flow: Form → useTransition → action → close + router
@@ -32,6 +32,9 @@ export function QuickEditModal({ student, onClose }) {
   const [targetScore, setTargetScore] = useState(
     student.targetScore == null ? '' : String(student.targetScore),
   );
+  const [targetActScore, setTargetActScore] = useState(
+    student.targetActScore == null ? '' : String(student.targetActScore),
+  );
   const [startDate, setStartDate] = useState(student.startDate ?? '');
   const [isActive, setIsActive] = useState(student.isActive !== false);
 
@@ -45,6 +48,7 @@ export function QuickEditModal({ student, onClose }) {
       high_school: highSchool.trim() || null,
       graduation_year: graduationYear === '' ? null : Number(graduationYear),
       target_sat_score: targetScore === '' ? null : Number(targetScore),
+      target_act_score: targetActScore === '' ? null : Number(targetActScore),
       start_date: startDate || null,
       is_active: isActive,
     };
@@ -109,7 +113,7 @@ export function QuickEditModal({ student, onClose }) {
             />
           </label>
 
-          <div className={s.fieldRow}>
+          <div className={`${s.fieldRow} ${s.fieldRow3}`}>
             <label className={s.field}>
               <span className={s.fieldLabel}>Graduation year</span>
               <input
@@ -135,6 +139,19 @@ export function QuickEditModal({ student, onClose }) {
                 className={s.input}
               />
             </label>
+            <label className={s.field}>
+              <span className={s.fieldLabel}>Target ACT score</span>
+              <input
+                type="number"
+                inputMode="numeric"
+                min={1}
+                max={36}
+                step={1}
+                value={targetActScore}
+                onChange={(e) => setTargetActScore(e.target.value)}
+                className={s.input}
+              />
+            </label>
           </div>
 
           {/* SAT test date intentionally not editable here.
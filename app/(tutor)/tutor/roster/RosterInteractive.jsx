@@ -5,15 +5,21 @@
 //
 // Two table shapes share the surface:
 //
-//   Active view    — Name / Email / Target / School / Class / Status / Actions
+//   Active view    — Name / Email / Target / Plan / Readiness / School / Class / Actions
 //   Archived view  — Name / Starting / Final / Impact / Target / Reach / Actions
 //
 // The archived view's columns are the only signals a tutor cares
 // about for past students: where they started, where they ended,
 // how much we moved them, and how close they got to the goal.
+// ACT students show the same columns on the ACT composite scale,
+// tagged "ACT" (archive.testType, set by the page).
 // All other detail still lives on the per-student profile page,
 // which stays accessible.
 //
+// `focus` ({ label, studentIds }) comes from a Team home drill-down
+// (§5.3): the table narrows to exactly that tile's students, under a
+// banner whose Clear link drops back to the full roster.
+//
 // Sort + filter state lives in plain useState; the roster fits
 // comfortably in memory so we don't round-trip via URL parameters.
 // Switching the status filter to "inactive" implicitly switches
@@ -36,11 +42,19 @@ function planUrgency(st) {
   return st.plan ? PLAN_URGENCY[st.plan.status] ?? 4 : 5;
 }
 
+// Same idea for the readiness sort (§5.4): not ready → at risk →
+// ready → no upcoming test; ties go to the sooner test.
+const READINESS_URGENCY = { not_ready: 0, at_risk: 1, ready: 2 };
+function readinessUrgency(st) {
+  return st.readiness ? READINESS_URGENCY[st.readiness.verdict] ?? 3 : 4;
+}
+
 // Sort definitions for the active view.
 const ACTIVE_SORTS = {
   name:    { label: 'Name (A→Z)',         cmp: (a, b) => nameOf(a).localeCompare(nameOf(b)) },
   nameDesc:{ label: 'Name (Z→A)',         cmp: (a, b) => nameOf(b).localeCompare(nameOf(a)) },
   plan:    { label: 'Plan (behind first)', cmp: (a, b) => planUrgency(a) - planUrgency(b) || (b.plan?.overdueCount ?? 0) - (a.plan?.overdueCount ?? 0) },
+  readiness: { label: 'Readiness (at risk first)', cmp: (a, b) => readinessUrgency(a) - readinessUrgency(b) || (a.readiness?.daysToTest ?? 0) - (b.readiness?.daysToTest ?? 0) },
   target:  { label: 'Target ↑',           cmp: (a, b) => (a.targetScore ?? 0) - (b.targetScore ?? 0) },
   targetDesc: { label: 'Target ↓',        cmp: (a, b) => (b.targetScore ?? 0) - (a.targetScore ?? 0) },
   graduation:  { label: 'Class (oldest)', cmp: (a, b) => (a.graduationYear ?? 9999) - (b.graduationYear ?? 9999) },
@@ -74,7 +88,7 @@ function nameOf(st) {
     || '—';
 }
 
-export function RosterInteractive({ students, canEdit }) {
+export function RosterInteractive({ students, canEdit, focus = null }) {
   const [query, setQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState('active'); // active | inactive | all
   const [activeSort, setActiveSort] = useState('name');
@@ -87,8 +101,10 @@ export function RosterInteractive({ students, canEdit }) {
 
   const trimmed = query.trim().toLowerCase();
 
+  const focusIds = useMemo(() => (focus ? new Set(focus.studentIds) : null), [focus]);
+
   const view = useMemo(() => {
-    let rows = students;
+    let rows = focusIds ? students.filter((st) => focusIds.has(st.id)) : students;
 
     if (statusFilter === 'active') rows = rows.filter((st) => st.isActive);
     else if (statusFilter === 'inactive') rows = rows.filter((st) => !st.isActive);
@@ -106,10 +122,20 @@ export function RosterInteractive({ students, canEdit }) {
     }
 
     return [...rows].sort(SORTS[sort]?.cmp ?? SORTS.name.cmp);
-  }, [students, trimmed, statusFilter, sort, SORTS]);
+  }, [students, focusIds, trimmed, statusFilter, sort, SORTS]);
 
   return (
     <>
+      {focus && (
+        <div className={s.focusBanner}>
+          <span>
+            Team filter: <strong>{focus.label}</strong>
+            {' · '}{focus.studentIds.length} student{focus.studentIds.length === 1 ? '' : 's'}
+          </span>
+          <Link href="/tutor/roster" className={s.focusClear}>Clear</Link>
+          <Link href="/tutor/team" className={s.focusClear}>← Team home</Link>
+        </div>
+      )}
       <div className={s.toolbar}>
         <input
           type="search"
@@ -148,9 +174,11 @@ export function RosterInteractive({ students, canEdit }) {
         <div className={s.empty}>
           {trimmed
             ? 'No students match that search.'
-            : showingArchived
-              ? 'No past students yet. Archive a student to move them here.'
-              : 'No students on your roster yet.'}
+            : focus
+              ? 'No students match this team filter right now.'
+              : showingArchived
+                ? 'No past students yet. Archive a student to move them here.'
+                : 'No students on your roster yet.'}
         </div>
       ) : showingArchived ? (
         <ArchivedTable students={view} canEdit={canEdit} />
@@ -180,6 +208,7 @@ function ActiveTable({ students, canEdit, onEdit }) {
             <th className={s.th}>Email</th>
             <th className={s.thNum}>Target</th>
             <th className={s.th}>Plan</th>
+            <th className={s.th}>Readiness</th>
             <th className={s.th}>School</th>
             <th className={s.thNum}>Class</th>
             <th className={s.thAction} aria-label="Actions" />
@@ -216,6 +245,19 @@ function ActiveTable({ students, canEdit, onEdit }) {
                 ) : null}
                 {!st.plan && !st.hasPlanDraft ? <span className={s.muted}>—</span> : null}
               </td>
+              <td className={s.td}>
+                {st.readiness ? (
+                  <Link
+                    href={`/tutor/students/${st.id}`}
+                    className={`${s.planChip} ${s[`readiness_${st.readiness.verdict}`] ?? ''}`}
+                    title={readinessTitle(st.readiness)}
+                  >
+                    {st.readiness.label}
+                  </Link>
+                ) : (
+                  <span className={s.muted}>—</span>
+                )}
+              </td>
               <td className={s.td}>{st.highSchool ?? <span className={s.muted}>—</span>}</td>
               <td className={s.tdNum}>{st.graduationYear ?? '—'}</td>
               <td className={s.tdAction}>
@@ -271,7 +313,10 @@ function ArchivedTable({ students, canEdit }) {
                   </Link>
                 </td>
                 <td className={s.tdNum}>{a.startingScore ?? '—'}</td>
-                <td className={s.tdNum}>{a.finalScore ?? '—'}</td>
+                <td className={s.tdNum}>
+                  {a.finalScore ?? '—'}
+                  {a.testType === 'act' && <span className={s.scaleTag}>ACT</span>}
+                </td>
                 <td className={s.tdNum}>
                   {a.impact == null
                     ? '—'
@@ -279,7 +324,9 @@ function ArchivedTable({ students, canEdit }) {
                         {a.impact > 0 ? '+' : ''}{a.impact}
                       </span>}
                 </td>
-                <td className={s.tdNum}>{st.targetScore ?? '—'}</td>
+                <td className={s.tdNum}>
+                  {(a.testType === 'act' ? st.targetActScore : st.targetScore) ?? '—'}
+                </td>
                 <td className={s.tdNum}>
                   {a.targetReachPct == null
                     ? '—'
@@ -322,6 +369,11 @@ function ArchiveButton({ studentId, archive }) {
   );
 }
 
+function readinessTitle(r) {
+  const when = r.daysToTest === 0 ? 'Test today' : `Test in ${r.daysToTest} day${r.daysToTest === 1 ? '' : 's'}`;
+  return [when, ...r.reasons].join('\n');
+}
+
 function impactToneClass(impact, styles) {
   if (impact > 0) return styles.impactPositive;
   if (impact < 0) return styles.impactNegative;
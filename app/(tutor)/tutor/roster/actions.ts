@@ -22,8 +22,9 @@
 'use server';
 
 import { revalidatePath } from 'next/cache';
-import { requireRole, requireServiceRole } from '@/lib/api/auth';
+import { assertNotInBillingGrace, requireRole, requireServiceRole } from '@/lib/api/auth';
 import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { REVIEW_SCHEDULERS, type ReviewScheduler } from '@/lib/review/schedule';
 import type { ActionResult, Database } from '@/lib/types';
 
 type ProfilesUpdate = Database['public']['Tables']['profiles']['Update'];
@@ -38,11 +39,17 @@ const ALLOWED_FIELDS = [
   'high_school',
   'graduation_year',
   'target_sat_score',
+  'target_act_score',
   'start_date',
   'is_active',
   // §3.2 step-back offers, driven from the student-detail page.
   // Tri-state — see lib/practice/detour-preference.mjs.
   'practice_detours_enabled',
+  // Review-queue scheduler (sm2_lite | fsrs); null defers to the
+  // review_scheduler_fsrs flag. See lib/review/schedule.ts.
+  'review_scheduler',
+  // Live pacing badge in the practice-test runner; tutor-only switch.
+  'pacing_coach_enabled',
 ] as const;
 
 export interface UpdateStudentProfileInput {
@@ -61,6 +68,7 @@ export async function updateStudentProfile(
   let ctx;
   try {
     ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
   } catch (e) {
     if (e instanceof ApiError) return e.toActionResult();
     return actionFail('Unexpected error');
@@ -79,7 +87,7 @@ export async function updateStudentProfile(
     if (!(key in patch)) continue;
     let value = patch[key];
     if (value === '') value = null;
-    if (key === 'graduation_year' || key === 'target_sat_score') {
+    if (key === 'graduation_year' || key === 'target_sat_score' || key === 'target_act_score') {
       if (value != null) {
         const n = Number(value);
         if (!Number.isFinite(n)) {
@@ -88,7 +96,13 @@ export async function updateStudentProfile(
         value = n;
       }
     }
-    if (key === 'is_active') {
+    if (key === 'target_act_score' && value != null) {
+      // ACT composite scale; the column's check constraint agrees.
+      if (!Number.isInteger(value) || (value as number) < 1 || (value as number) > 36) {
+        return actionFail('target_act_score must be a whole number from 1 to 36');
+      }
+    }
+    if (key === 'is_active' || key === 'pacing_coach_enabled') {
       // Coerce 'true'/'false' strings (from FormData / radios) plus
       // booleans. Anything else collapses to false rather than
       // silently writing garbage.
@@ -105,6 +119,11 @@ export async function updateStudentProfile(
         return actionFail('practice_detours_enabled must be true, false, or null');
       }
     }
+    if (key === 'review_scheduler') {
+      if (value !== null && !REVIEW_SCHEDULERS.includes(value as ReviewScheduler)) {
+        return actionFail(`review_scheduler must be one of ${REVIEW_SCHEDULERS.join(', ')}, or null`);
+      }
+    }
     updates[key] = value;
   }
 
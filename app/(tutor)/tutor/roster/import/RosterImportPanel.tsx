@@ -0,0 +1,349 @@
+// OneRoster CSV import panel.
+//
+// The export from a SIS is a folder (or zip) of CSVs; the panel takes
+// the unzipped files through one multi-file picker and keys each by
+// name (bundleFileKey), so the order they are picked in and any
+// export-tool prefix don't matter. Only the four files the import uses
+// plus manifest.csv are read — academicSessions, courses and the rest
+// are ignored.
+//
+// Preview runs the parse + plan on the server (matching by email
+// needs profiles the browser can't read) and shows the diff; Import
+// sends the same files again and the server re-plans before writing.
+
+'use client';
+
+import { useRef, useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/lib/ui/Button';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import { bundleFileKey, ONEROSTER_FILES, rosterPlanIsNoop } from '@/lib/roster/oneroster';
+import { commitRosterImport, previewRosterImport, type RosterFiles, type RosterPreview } from './actions';
+import f from '@/app/(admin)/forms.module.css';
+import a from '@/app/(admin)/admin.module.css';
+
+export function RosterImportPanel() {
+  const router = useRouter();
+  const fileRef = useRef<HTMLInputElement>(null);
+  const [pending, startTransition] = useTransition();
+  const [files, setFiles] = useState<RosterFiles>({});
+  const [skipped, setSkipped] = useState<string[]>([]);
+  const [preview, setPreview] = useState<RosterPreview | null>(null);
+  const [notice, setNotice] = useState<{ kind: 'ok' | 'err'; text: string } | null>(null);
+
+  const loaded = Object.keys(files);
+  const missing = ONEROSTER_FILES.filter((k) => !(k in files));
+
+  async function handleFiles(list: FileList | null) {
+    setPreview(null);
+    setNotice(null);
+    const next: RosterFiles = {};
+    const ignored: string[] = [];
+    for (const file of Array.from(list ?? [])) {
+      const key = bundleFileKey(file.name);
+      if (!key) {
+        ignored.push(file.name);
+        continue;
+      }
+      try {
+        next[key] = await file.text();
+      } catch {
+        setNotice({ kind: 'err', text: `Could not read ${file.name}.` });
+        return;
+      }
+    }
+    setFiles(next);
+    setSkipped(ignored);
+  }
+
+  function reset() {
+    setFiles({});
+    setSkipped([]);
+    setPreview(null);
+    if (fileRef.current) fileRef.current.value = '';
+  }
+
+  function handlePreview() {
+    setNotice(null);
+    startTransition(async () => {
+      const res = await previewRosterImport({ files });
+      if (!res.ok) {
+        setNotice({ kind: 'err', text: res.error });
+        return;
+      }
+      setPreview(res.data);
+    });
+  }
+
+  function handleImport() {
+    setNotice(null);
+    startTransition(async () => {
+      const res = await commitRosterImport({ files });
+      if (!res.ok) {
+        setNotice({ kind: 'err', text: res.error });
+        return;
+      }
+      const { summary } = res.data;
+      const parts = [
+        `${summary.usersCreated} account${summary.usersCreated === 1 ? '' : 's'} created`,
+        `${summary.usersLinked} linked`,
+        `${summary.classesCreated + summary.classesUpdated} class${
+          summary.classesCreated + summary.classesUpdated === 1 ? '' : 'es'
+        } written`,
+        `${summary.enrollmentsAdded} enrollment${summary.enrollmentsAdded === 1 ? '' : 's'} added`,
+        summary.studentsDropped > 0 ? `${summary.studentsDropped} dropped` : null,
+        summary.issues > 0 ? `${summary.issues} row${summary.issues === 1 ? '' : 's'} skipped` : null,
+      ].filter(Boolean);
+      setNotice({ kind: 'ok', text: `Import finished — ${parts.join(', ')}.` });
+      reset();
+      router.refresh();
+    });
+  }
+
+  const noop = preview !== null && preview.fatal.length === 0 && rosterPlanIsNoop(preview.summary);
+
+  return (
+    <section className={a.section}>
+      <h2 className={a.h2}>Import a roster export</h2>
+      <p className={f.formHint}>
+        Export the roster from your SIS as OneRoster 1.1 CSV in <strong>bulk</strong> mode, unzip it,
+        and select the files. <code>orgs.csv</code>, <code>users.csv</code>, <code>classes.csv</code>{' '}
+        and <code>enrollments.csv</code> are required; other files in the export are ignored.
+      </p>
+
+      <label className={f.label}>
+        <span className={f.labelText}>Roster files</span>
+        <input
+          ref={fileRef}
+          type="file"
+          multiple
+          accept=".csv,text/csv"
+          onChange={(e) => handleFiles(e.target.files)}
+          disabled={pending}
+        />
+      </label>
+      {loaded.length > 0 && (
+        <p className={f.muted} style={{ marginTop: 0 }}>
+          Loaded {loaded.map((k) => `${k}.csv`).join(', ')}
+          {missing.length > 0 ? ` — still missing ${missing.map((k) => `${k}.csv`).join(', ')}` : ''}.
+          {skipped.length > 0 ? ` Ignored ${skipped.length} other file${skipped.length === 1 ? '' : 's'}.` : ''}
+        </p>
+      )}
+
+      {notice && (
+        <p className={notice.kind === 'ok' ? f.ok : f.err} role="status">
+          {notice.text}
+        </p>
+      )}
+
+      <div className={f.actions}>
+        <Button variant="secondary" onClick={handlePreview} disabled={pending || loaded.length === 0}>
+          {pending && !preview ? 'Checking…' : 'Preview'}
+        </Button>{' '}
+        <Button
+          variant="primary"
+          onClick={handleImport}
+          disabled={pending || !preview || preview.fatal.length > 0 || noop}
+        >
+          {pending && preview ? 'Importing…' : 'Import'}
+        </Button>{' '}
+        <Button variant="secondary" onClick={reset} disabled={pending || loaded.length === 0}>
+          Clear
+        </Button>
+      </div>
+
+      {preview && <PreviewView preview={preview} noop={noop} />}
+    </section>
+  );
+}
+
+function PreviewView({ preview, noop }: { preview: RosterPreview; noop: boolean }) {
+  if (preview.fatal.length > 0) {
+    return (
+      <div style={S.preview}>
+        <h3 className={a.sectionLabel}>This export can&rsquo;t be imported</h3>
+        <ul className={f.err} style={S.list}>
+          {preview.fatal.map((msg) => (
+            <li key={msg}>{msg}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  const s = preview.summary;
+  return (
+    <div style={S.preview}>
+      <h3 className={a.sectionLabel}>Preview — nothing is saved yet</h3>
+      <p className={f.muted} style={{ marginTop: 0 }}>
+        <strong>{s.usersCreated}</strong> new accounts · <strong>{s.usersLinked}</strong> linked to
+        existing accounts · <strong>{s.usersUpdated}</strong> updated · <strong>{s.classesCreated}</strong>{' '}
+        new classes · <strong>{s.classesUpdated}</strong> classes changed ·{' '}
+        <strong>{s.enrollmentsAdded}</strong> enrollments added · <strong>{s.studentsDropped}</strong>{' '}
+        dropped
+        {s.ignoredUsers > 0 ? (
+          <>
+            {' '}
+            · {s.ignoredUsers} administrators, aides or disabled users ignored
+          </>
+        ) : null}
+      </p>
+      {noop && <p className={f.ok}>The roster already matches this export — nothing to import.</p>}
+
+      {preview.issues.length > 0 && (
+        <>
+          <h4 className={a.sectionLabel}>Rows that will be skipped ({s.issues})</h4>
+          <ul className={f.err} style={S.list}>
+            {preview.issues.map((issue, i) => (
+              <li key={`${issue.file}-${issue.line}-${i}`}>
+                <strong>
+                  {issue.file}.csv{issue.line > 0 ? ` line ${issue.line}` : ''}:
+                </strong>{' '}
+                {issue.message}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {preview.newUsers.length > 0 && (
+        <>
+          <h4 className={a.sectionLabel}>New accounts</h4>
+          <Table style={S.table}>
+            <thead>
+              <tr>
+                <Th>Name</Th>
+                <Th>Email</Th>
+                <Th>Role</Th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.newUsers.map((u) => (
+                <tr key={u.email ?? u.name}>
+                  <Td>{u.name}</Td>
+                  <Td className={f.tdMuted}>{u.email}</Td>
+                  <Td>{u.role}</Td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <p className={f.formHint}>
+            New accounts have no password. Tell users to sign in with &ldquo;Forgot password&rdquo;
+            using their school email.
+          </p>
+        </>
+      )}
+
+      {preview.linkedUsers.length > 0 && (
+        <>
+          <h4 className={a.sectionLabel}>Existing accounts</h4>
+          <Table style={S.table}>
+            <thead>
+              <tr>
+                <Th>Name</Th>
+                <Th>Email</Th>
+                <Th>Change</Th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.linkedUsers.map((u) => (
+                <tr key={u.email ?? u.name}>
+                  <Td>{u.name}</Td>
+                  <Td className={f.tdMuted}>{u.email}</Td>
+                  <Td>{u.promote ? 'Practice account becomes a student' : 'Linked to the roster'}</Td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+
+      {preview.classes.some((c) => c.action !== 'keep') && (
+        <>
+          <h4 className={a.sectionLabel}>Classes</h4>
+          <Table style={S.table}>
+            <thead>
+              <tr>
+                <Th>Class</Th>
+                <Th>Action</Th>
+                <Th>Students</Th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.classes
+                .filter((c) => c.action !== 'keep')
+                .map((c) => (
+                  <tr key={c.title}>
+                    <Td>{c.title}</Td>
+                    <Td>
+                      <span style={c.action === 'create' ? S.createBadge : S.updateBadge}>{c.action}</span>
+                      {c.changes.length > 0 && <div className={f.muted}>{c.changes.join('; ')}</div>}
+                    </Td>
+                    <Td>{c.students}</Td>
+                  </tr>
+                ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+
+      {preview.drops.length > 0 && (
+        <>
+          <h4 className={a.sectionLabel}>Students dropped from a class</h4>
+          <Table style={S.table}>
+            <thead>
+              <tr>
+                <Th>Student</Th>
+                <Th>Class</Th>
+                <Th />
+              </tr>
+            </thead>
+            <tbody>
+              {preview.drops.map((d) => (
+                <tr key={`${d.studentName}-${d.className}`}>
+                  <Td>{d.studentName}</Td>
+                  <Td>{d.className}</Td>
+                  <Td className={f.tdMuted}>{d.leftRoster ? 'No longer in the roster' : 'Moved class'}</Td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <p className={f.formHint}>
+            Dropped students keep their account and history; they stop appearing in the class when
+            you assign work.
+          </p>
+        </>
+      )}
+
+      {preview.truncated && <p className={f.muted}>Long lists are cut short here; the import covers every row.</p>}
+    </div>
+  );
+}
+
+const S: Record<string, React.CSSProperties> = {
+  preview: {
+    marginTop: '1rem',
+    padding: '0.75rem 1rem',
+    border: '1px solid #e5e7eb',
+    borderRadius: 8,
+    background: '#f9fafb',
+  },
+  list: { margin: '0 0 0.75rem', paddingLeft: '1.25rem' },
+  table: { fontSize: '0.82rem', marginBottom: '0.75rem' },
+  createBadge: {
+    padding: '2px 8px',
+    borderRadius: 999,
+    fontSize: '0.7rem',
+    fontWeight: 700,
+    background: '#dcfce7',
+    color: '#166534',
+  },
+  updateBadge: {
+    padding: '2px 8px',
+    borderRadius: 999,
+    fontSize: '0.7rem',
+    fontWeight: 700,
+    background: '#e0e7ff',
+    color: '#3730a3',
+  },
+};
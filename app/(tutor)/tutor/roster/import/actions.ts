@@ -0,0 +1,184 @@
+// Server Actions for /tutor/roster/import — OneRoster 1.1 CSV roster
+// import (lib/roster/oneroster.ts).
+//
+// previewRosterImport is the dry run: parse, read the rostered state,
+// plan, and return the diff without writing. commitRosterImport does
+// all of that again and applies the result — the preview may be stale
+// and a client payload is never authoritative.
+//
+// Managers and admins only. Both actions run on the service role
+// (requireServiceRole logs the bypass): matching by email reads
+// profiles outside RLS and a commit creates auth users. A manager can
+// only link accounts list_visible_users already shows them; their
+// import adds any new teacher to their team.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { requireServiceRole, type ServiceRoleContext } from '@/lib/api/auth';
+import { actionFail, actionOk, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { logger } from '@/lib/api/logger';
+import {
+  ONEROSTER_FILES,
+  parseOneRosterBundle,
+  planRosterImport,
+  summarizeRosterPlan,
+  type OneRosterFile,
+  type RosterIssue,
+  type RosterPlan,
+  type RosterPlanSummary,
+} from '@/lib/roster/oneroster';
+import { applyRosterPlan, loadRosterState } from '@/lib/roster/oneroster-server';
+import type { ActionResult, Fail } from '@/lib/types';
+
+/** Rows per list in the preview; counts always cover everything. */
+const PREVIEW_ROWS = 200;
+
+export type RosterFiles = Partial<Record<OneRosterFile | 'manifest', string>>;
+
+export type RosterPreview = {
+  summary: RosterPlanSummary;
+  fatal: string[];
+  issues: RosterIssue[];
+  newUsers: { name: string; email: string | null; role: string }[];
+  linkedUsers: { name: string; email: string | null; role: string; promote: boolean }[];
+  classes: { title: string; action: 'create' | 'update' | 'keep'; changes: string[]; students: number }[];
+  drops: { studentName: string; className: string; leftRoster: boolean }[];
+  /** Some list was cut at PREVIEW_ROWS. */
+  truncated: boolean;
+};
+
+export type RosterCommit = {
+  importId: string;
+  summary: RosterPlanSummary;
+  issues: RosterIssue[];
+};
+
+type Prepared =
+  | { kind: 'fatal'; fatal: string[] }
+  | { kind: 'plan'; ctx: ServiceRoleContext; plan: RosterPlan };
+
+async function prepare(files: RosterFiles, reason: string): Promise<Prepared | Fail> {
+  const known = new Set<string>([...ONEROSTER_FILES, 'manifest']);
+  if (!files || typeof files !== 'object') return actionFail('Choose the roster CSV files first.');
+  for (const [key, text] of Object.entries(files)) {
+    if (!known.has(key) || typeof text !== 'string') return actionFail(`Unexpected file: ${key}`);
+  }
+
+  let ctx: ServiceRoleContext;
+  try {
+    ctx = await requireServiceRole(reason, { allowedRoles: ['manager', 'admin'] });
+  } catch (err) {
+    if (err instanceof ApiError) return err.toActionResult();
+    return actionFail('Unexpected error');
+  }
+  const rl = await checkRateLimit('roster.import', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
+
+  const bundle = parseOneRosterBundle(files);
+  if (bundle.fatal.length > 0) return { kind: 'fatal', fatal: bundle.fatal };
+
+  const isManager = ctx.profile.role === 'manager';
+  let visibleProfileIds: Set<string> | null = null;
+  if (isManager) {
+    const { data, error } = await ctx.supabase.rpc('list_visible_users', {});
+    if (error) return actionFail(`Could not read your team: ${error.message}`);
+    visibleProfileIds = new Set((data ?? []).map((r) => r.user_id));
+  }
+
+  try {
+    const state = await loadRosterState(ctx.service, bundle, {
+      managerId: isManager ? ctx.user.id : null,
+      visibleProfileIds,
+    });
+    return { kind: 'plan', ctx, plan: planRosterImport(bundle, state) };
+  } catch (err) {
+    logger.error({ err, user_id: ctx.user.id }, 'roster import: state read failed');
+    return actionFail(`Could not read the current roster: ${err instanceof Error ? err.message : 'unknown'}`);
+  }
+}
+
+function toPreview(plan: RosterPlan): RosterPreview {
+  const cap = <T>(rows: T[]) => rows.slice(0, PREVIEW_ROWS);
+  const studentsPerClass = new Map<string, number>();
+  for (const e of plan.enrollments) {
+    studentsPerClass.set(e.classSourcedId, (studentsPerClass.get(e.classSourcedId) ?? 0) + 1);
+  }
+  const newUsers = plan.users.filter((u) => u.action === 'create');
+  const linkedUsers = plan.users.filter((u) => u.action === 'link' || u.promote);
+  return {
+    summary: summarizeRosterPlan(plan),
+    fatal: [],
+    issues: cap(plan.issues),
+    newUsers: cap(newUsers).map((u) => ({ name: u.name, email: u.email, role: u.role })),
+    linkedUsers: cap(linkedUsers).map((u) => ({ name: u.name, email: u.email, role: u.role, promote: u.promote })),
+    classes: cap(plan.classes).map((c) => ({
+      title: c.title,
+      action: c.action,
+      changes: c.changes,
+      students: studentsPerClass.get(c.sourcedId) ?? 0,
+    })),
+    drops: cap(plan.drops).map((d) => ({ studentName: d.studentName, className: d.className, leftRoster: d.leftRoster })),
+    truncated: [plan.issues, newUsers, linkedUsers, plan.classes, plan.drops].some((rows) => rows.length > PREVIEW_ROWS),
+  };
+}
+
+/**
+ * Dry run. Returns what committing these files would do; writes
+ * nothing. A bundle-level problem comes back in `fatal` rather than as
+ * a failure so the panel can list every one.
+ */
+export async function previewRosterImport({
+  files,
+}: {
+  files: RosterFiles;
+}): Promise<ActionResult<{ data: RosterPreview }>> {
+  const prepared = await prepare(files, 'roster import preview');
+  if ('ok' in prepared) return prepared;
+  if (prepared.kind === 'fatal') {
+    return actionOk({ ...toPreview(EMPTY_PLAN), fatal: prepared.fatal });
+  }
+  return actionOk(toPreview(prepared.plan));
+}
+
+/** Re-plan against current state and apply. Idempotent: committing the
+ *  same bundle twice changes nothing the second time. */
+export async function commitRosterImport({
+  files,
+}: {
+  files: RosterFiles;
+}): Promise<ActionResult<{ data: RosterCommit }>> {
+  const prepared = await prepare(files, 'roster import commit');
+  if ('ok' in prepared) return prepared;
+  if (prepared.kind === 'fatal') return actionFail(prepared.fatal.join(' '));
+
+  const { ctx, plan } = prepared;
+  let result: Awaited<ReturnType<typeof applyRosterPlan>>;
+  try {
+    result = await applyRosterPlan(ctx.service, plan, {
+      actorId: ctx.user.id,
+      managerId: ctx.profile.role === 'manager' ? ctx.user.id : null,
+    });
+  } catch (err) {
+    logger.error({ err, user_id: ctx.user.id }, 'roster import: apply failed');
+    return actionFail(`Import stopped part way: ${err instanceof Error ? err.message : 'unknown'}. Fix the cause and run it again — finished rows are kept and won't be repeated.`);
+  }
+
+  revalidatePath('/tutor/roster', 'layout');
+  revalidatePath('/tutor/assignments/new');
+  return actionOk({ importId: result.importId, summary: result.summary, issues: result.issues.slice(0, PREVIEW_ROWS) });
+}
+
+const EMPTY_PLAN: RosterPlan = {
+  orgs: [],
+  users: [],
+  classes: [],
+  enrollments: [],
+  teacherLinks: [],
+  managerLinks: [],
+  drops: [],
+  userDrops: [],
+  issues: [],
+  ignoredUsers: 0,
+};
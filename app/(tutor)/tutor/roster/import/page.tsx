@@ -0,0 +1,155 @@
+// Tutor · Roster · Import — OneRoster 1.1 CSV roster import.
+//
+// A school's SIS export becomes accounts, class groups and teacher
+// rosters in one pass: preview the diff, then import. Re-importing the
+// next export is the update path — unchanged rows are left alone,
+// students the export no longer lists are flagged as dropped. See
+// lib/roster/oneroster.ts for the matching rules and the migration
+// 20261019270000 for the tables.
+//
+// Managers and admins only. The recent-imports list reads roster_imports
+// under RLS, so a manager sees their own imports and an admin sees all.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { formatDateTime } from '@/lib/formatters';
+import { Table, Th, Td } from '@/lib/ui/Table';
+import { RosterImportPanel } from './RosterImportPanel';
+import a from '@/app/(admin)/admin.module.css';
+import f from '@/app/(admin)/forms.module.css';
+
+export const dynamic = 'force-dynamic';
+
+type ImportSummary = {
+  usersCreated?: number;
+  usersLinked?: number;
+  classesCreated?: number;
+  classesUpdated?: number;
+  enrollmentsAdded?: number;
+  studentsDropped?: number;
+  issues?: number;
+  drops?: { student_id: string; student_name: string; class_name: string; left_roster: boolean }[];
+};
+
+export default async function RosterImportPage() {
+  const { profile, supabase } = await requireUser();
+
+  if (profile.role === 'student' || profile.role === 'practice') redirect('/dashboard');
+  if (profile.role === 'teacher') redirect('/tutor/dashboard');
+  if (!['manager', 'admin'].includes(profile.role)) redirect('/');
+
+  const { data: importRows } = await supabase
+    .from('roster_imports')
+    .select('id, org_sourced_ids, summary, created_at, importer:profiles!roster_imports_imported_by_fkey(first_name, last_name, email)')
+    .order('created_at', { ascending: false })
+    .limit(10);
+
+  const imports = (importRows ?? []).map((r) => ({
+    ...r,
+    summary: (r.summary ?? {}) as ImportSummary,
+  }));
+  const latestDrops = imports[0]?.summary.drops ?? [];
+
+  return (
+    <main className={a.container}>
+      <nav className={a.breadcrumb}>
+        <Link href="/tutor/roster" className={a.link}>
+          Roster
+        </Link>{' '}
+        / Import
+      </nav>
+      <header className={a.header}>
+        <div className={a.eyebrow}>Roster</div>
+        <h1 className={a.h1}>Import from your SIS</h1>
+        <p className={a.sub}>
+          Create student and teacher accounts, class groups and teacher rosters from a OneRoster
+          export. Run it again with each new export to pick up enrollment changes.
+        </p>
+      </header>
+
+      <RosterImportPanel />
+
+      <section className={a.section}>
+        <h2 className={a.h2}>Recent imports</h2>
+        {imports.length === 0 ? (
+          <p className={f.empty}>No imports yet.</p>
+        ) : (
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>When</Th>
+                  <Th>By</Th>
+                  <Th>Accounts</Th>
+                  <Th>Classes</Th>
+                  <Th>Enrollments</Th>
+                  <Th>Dropped</Th>
+                  <Th>Skipped rows</Th>
+                </tr>
+              </thead>
+              <tbody>
+                {imports.map((r) => {
+                  const s = r.summary;
+                  const importer = Array.isArray(r.importer) ? r.importer[0] : r.importer;
+                  const by = importer
+                    ? [importer.first_name, importer.last_name].filter(Boolean).join(' ') || importer.email
+                    : '—';
+                  return (
+                    <tr key={r.id}>
+                      <Td>{formatDateTime(r.created_at)}</Td>
+                      <Td className={f.tdMuted}>{by}</Td>
+                      <Td>
+                        {s.usersCreated ?? 0} new · {s.usersLinked ?? 0} linked
+                      </Td>
+                      <Td>
+                        {s.classesCreated ?? 0} new · {s.classesUpdated ?? 0} changed
+                      </Td>
+                      <Td>{s.enrollmentsAdded ?? 0}</Td>
+                      <Td>{s.studentsDropped ?? 0}</Td>
+                      <Td>{s.issues ?? 0}</Td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </section>
+
+      {latestDrops.length > 0 && (
+        <section className={a.section}>
+          <h2 className={a.h2}>Dropped by the last import</h2>
+          <p className={a.help}>
+            These students are no longer listed in the class. Their accounts, history and teacher
+            access are unchanged; they just stop appearing when the class is picked for an assignment.
+          </p>
+          <div className={f.tableWrap}>
+            <Table>
+              <thead>
+                <tr>
+                  <Th>Student</Th>
+                  <Th>Class</Th>
+                  <Th />
+                </tr>
+              </thead>
+              <tbody>
+                {latestDrops.map((d) => (
+                  <tr key={`${d.student_id}-${d.class_name}`}>
+                    <Td>
+                      <Link href={`/tutor/students/${d.student_id}`} className={a.link}>
+                        {d.student_name}
+                      </Link>
+                    </Td>
+                    <Td>{d.class_name}</Td>
+                    <Td className={f.tdMuted}>{d.left_roster ? 'No longer in the roster' : 'Moved class'}</Td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        </section>
+      )}
+    </main>
+  );
+}
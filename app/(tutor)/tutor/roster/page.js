@@ -14,23 +14,44 @@
 // score, impact, and target reach %. Computed on the fly from
 // their official scores + practice-test attempts so a recent
 // addition surfaces without any "snapshot at archive time" step.
+// ACT students (ACT practice tests and no SAT history) get the same
+// columns on the ACT composite scale, against target_act_score.
 // See lib/practice/superscore.js for the math.
+//
+// Readiness (§5.4): the verdict the daily readiness cron stored in
+// student_readiness, against each student's next registered test.
+// Computing it live would be several queries per student; the
+// tutor student page shows the live version.
+//
+// Manager drill-down (§5.3): the Team home's tiles link here as
+// ?team=<filter>[&teacher=<id>]. The page re-derives that tile's
+// student set from the same loader (loadTeamHealth) and narrows the
+// table to it, with a banner to clear the filter.
 
+import Link from 'next/link';
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
 import { adherenceSummaryLine, ADHERENCE_LABELS, computeAdherence } from '@/lib/plan/adherence';
-import { buildArchiveSummary } from '@/lib/practice/superscore';
+import { READINESS_LABELS } from '@/lib/plan/readiness';
+import { buildActArchiveSummary, buildArchiveSummary } from '@/lib/practice/superscore';
+import { loadTeamHealth } from '@/lib/tutor/load-team-health';
+import { isTeamHealthFilter, studentIdsForFilter, TEAM_HEALTH_FILTER_LABELS } from '@/lib/tutor/team-health';
 import { RosterInteractive } from './RosterInteractive';
 import s from './Roster.module.css';
 
 export const dynamic = 'force-dynamic';
 
-export default async function TutorRosterPage() {
+export default async function TutorRosterPage({ searchParams }) {
   const { profile, supabase } = await requireUser();
 
   if (profile.role === 'student' || profile.role === 'practice') redirect('/dashboard');
   if (!['teacher', 'manager', 'admin'].includes(profile.role)) redirect('/');
 
+  const { team: teamFilter, teacher: teamTeacher } = (await searchParams) ?? {};
+  const focus = isTeamHealthFilter(teamFilter) && ['manager', 'admin'].includes(profile.role)
+    ? await loadTeamFocus(supabase, teamFilter, typeof teamTeacher === 'string' ? teamTeacher : null)
+    : null;
+
   // Profiles read is RLS-scoped via can_view, so we get exactly
   // the tutor's roster without any extra filter here. created_at
   // is the signup timestamp — used as the start-date fallback for
@@ -38,7 +59,7 @@ export default async function TutorRosterPage() {
   const { data: rows } = await supabase
     .from('profiles')
     .select(
-      'id, email, first_name, last_name, high_school, graduation_year, target_sat_score, start_date, is_active, created_at',
+      'id, email, first_name, last_name, high_school, graduation_year, target_sat_score, target_act_score, start_date, is_active, created_at',
     )
     .eq('role', 'student')
     .order('last_name', { ascending: true, nullsFirst: false })
@@ -80,6 +101,24 @@ export default async function TutorRosterPage() {
     });
   }
 
+  // Readiness (§5.4) — RLS-scoped like the profiles read above; rows
+  // exist only for students with an upcoming registered test.
+  const { data: readinessRows } = await supabase
+    .from('student_readiness')
+    .select('student_id, verdict, reasons, test_date, days_to_test');
+  const readinessByStudent = new Map(
+    (readinessRows ?? []).map((r) => [
+      r.student_id,
+      {
+        verdict: r.verdict,
+        label: READINESS_LABELS[r.verdict] ?? r.verdict,
+        reasons: Array.isArray(r.reasons) ? r.reasons : [],
+        testDate: r.test_date,
+        daysToTest: r.days_to_test,
+      },
+    ]),
+  );
+
   const baseStudents = (rows ?? []).map((p) => {
     const startDate = p.start_date ?? null;
     return {
@@ -90,11 +129,13 @@ export default async function TutorRosterPage() {
       highSchool: p.high_school,
       graduationYear: p.graduation_year,
       targetScore: p.target_sat_score,
+      targetActScore: p.target_act_score,
       startDate,
       effectiveStartDate: startDate ?? p.created_at ?? null,
       isActive: p.is_active !== false, // null → treat as active
       plan: adherenceByStudent.get(p.id) ?? null,
       hasPlanDraft: draftStudents.has(p.id),
+      readiness: readinessByStudent.get(p.id) ?? null,
     };
   });
 
@@ -105,11 +146,13 @@ export default async function TutorRosterPage() {
 
   let officialByStudent = new Map();
   let practiceByStudent = new Map();
+  let actPracticeByStudent = new Map();
 
   if (inactiveIds.length > 0) {
     const [
       { data: officialRows },
       { data: practiceRows },
+      { data: actPracticeRows },
     ] = await Promise.all([
       supabase
         .from('sat_official_scores')
@@ -120,6 +163,11 @@ export default async function TutorRosterPage() {
         .select('user_id, finished_at, started_at, composite_score, rw_scaled, math_scaled, status')
         .in('user_id', inactiveIds)
         .eq('status', 'completed'),
+      supabase
+        .from('act_practice_test_attempts')
+        .select('user_id, finished_at, started_at, english_scaled, math_scaled, reading_scaled, science_scaled')
+        .in('user_id', inactiveIds)
+        .eq('status', 'completed'),
     ]);
 
     for (const r of officialRows ?? []) {
@@ -144,17 +192,38 @@ export default async function TutorRosterPage() {
       });
       practiceByStudent.set(r.user_id, arr);
     }
+    for (const r of actPracticeRows ?? []) {
+      const arr = actPracticeByStudent.get(r.user_id) ?? [];
+      arr.push(r);
+      actPracticeByStudent.set(r.user_id, arr);
+    }
   }
 
   const students = baseStudents.map((st) => {
     if (st.isActive) return st;
+    const official = officialByStudent.get(st.id) ?? [];
+    const practice = practiceByStudent.get(st.id) ?? [];
+    const actPractice = actPracticeByStudent.get(st.id) ?? [];
+    // ACT student: ACT history and no SAT history — or no history at
+    // all and only an ACT target. Anyone with SAT scores stays on
+    // the SAT scale, as before.
+    const isAct = official.length === 0 && practice.length === 0
+      && (actPractice.length > 0 || (st.targetActScore != null && st.targetScore == null));
+    if (isAct) {
+      const summary = buildActArchiveSummary({
+        practiceTests: actPractice,
+        startDate: st.effectiveStartDate,
+        targetScore: st.targetActScore,
+      });
+      return { ...st, archive: { ...summary, testType: 'act' } };
+    }
     const summary = buildArchiveSummary({
-      officialScores: officialByStudent.get(st.id) ?? [],
-      practiceTests: practiceByStudent.get(st.id) ?? [],
+      officialScores: official,
+      practiceTests: practice,
       startDate: st.effectiveStartDate,
       targetScore: st.targetScore,
     });
-    return { ...st, archive: summary };
+    return { ...st, archive: { ...summary, testType: 'sat' } };
   });
 
   return (
@@ -167,9 +236,41 @@ export default async function TutorRosterPage() {
           {' '}{students.filter((st) => st.isActive).length} active.
           Archive a student to move them to the past-students view
           with their starting / final score summary.
+          {['manager', 'admin'].includes(profile.role) && (
+            <>
+              {' '}
+              <Link href="/tutor/roster/import" className={s.nameLink}>
+                Import from your SIS
+              </Link>
+            </>
+          )}
         </p>
       </header>
-      <RosterInteractive students={students} canEdit={['teacher', 'manager', 'admin'].includes(profile.role)} />
+      <RosterInteractive
+        students={students}
+        canEdit={['teacher', 'manager', 'admin'].includes(profile.role)}
+        focus={focus}
+      />
     </main>
   );
 }
+
+// The Team home tile's student set, labelled for the roster banner.
+// A failed load drops the filter rather than the page — the full
+// roster is still the right fallback.
+async function loadTeamFocus(supabase, filter, teacherId) {
+  try {
+    const health = await loadTeamHealth(supabase);
+    const teacherName = teacherId
+      ? health.teachers.find((t) => t.teacherId === teacherId)?.teacherName ?? null
+      : null;
+    return {
+      label: teacherName
+        ? `${TEAM_HEALTH_FILTER_LABELS[filter]} · ${teacherName}`
+        : TEAM_HEALTH_FILTER_LABELS[filter],
+      studentIds: [...studentIdsForFilter(health, filter, teacherId)],
+    };
+  } catch {
+    return null;
+  }
+}
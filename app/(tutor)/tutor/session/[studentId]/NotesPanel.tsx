@@ -1,5 +1,5 @@
 // Client island for the workspace's notes card: the wrap-up note
-// form + delete buttons on the author's own notes. useActionState
+// form + delete and share toggles on the author's own notes. useActionState
 // keeps pending/error handling serverless-form-shaped, same as
 // StudyPlanInteractive.
 
@@ -35,6 +35,10 @@ export function NoteForm({ studentId, action }: { studentId: string; action: Not
         disabled={pending}
       />
       <div className={s.noteFormFoot}>
+        <label className={s.shareCheck}>
+          <input type="checkbox" name="shareable" disabled={pending} />
+          Share with family
+        </label>
         <span className={s.noteHint}>
           Saving stamps this session — the prep card&rsquo;s &ldquo;since last session&rdquo; starts
           here next time.
@@ -75,3 +79,34 @@ export function DeleteNoteButton({
     </form>
   );
 }
+
+/** Author-only: flips whether linked guardians can read the note. */
+export function ShareNoteToggle({
+  noteId,
+  studentId,
+  shareable,
+  action,
+}: {
+  noteId: string;
+  studentId: string;
+  shareable: boolean;
+  action: NoteAction;
+}) {
+  const [state, formAction, pending] = useActionState<ActionResult | null, FormData>(action, null);
+
+  return (
+    <form action={formAction} className={s.deleteNoteForm}>
+      <input type="hidden" name="note_id" value={noteId} />
+      <input type="hidden" name="student_id" value={studentId} />
+      <input type="hidden" name="shareable" value={String(!shareable)} />
+      <button
+        type="submit"
+        className={shareable ? `${s.shareBtn} ${s.shareBtnOn}` : s.shareBtn}
+        disabled={pending}
+        title={state && !state.ok ? state.error : shareable ? 'Stop sharing with family' : 'Share with family'}
+      >
+        {shareable ? 'Shared with family' : 'Share'}
+      </button>
+    </form>
+  );
+}
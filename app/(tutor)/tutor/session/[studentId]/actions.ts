@@ -9,11 +9,15 @@
 //
 // deleteTutorNote — author-only (RLS: author or admin); the
 // workspace only renders the button for the author's own notes.
+//
+// setTutorNoteShareable — author-only the same way. A shareable note
+// is readable by the student's linked guardians
+// (tutor_notes_guardian_select); the default is private.
 
 'use server';
 
 import { revalidatePath } from 'next/cache';
-import { requireRole } from '@/lib/api/auth';
+import { assertNotInBillingGrace, requireRole } from '@/lib/api/auth';
 import { actionFail, actionOk, ApiError } from '@/lib/api/response';
 import type { ActionResult } from '@/lib/types';
 
@@ -26,6 +30,7 @@ export async function addTutorNote(
   let ctx;
   try {
     ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
   } catch (e) {
     if (e instanceof ApiError) return e.toActionResult();
     return actionFail('Unexpected error');
@@ -43,6 +48,7 @@ export async function addTutorNote(
     student_id: studentId,
     author_id: ctx.user.id,
     body,
+    shareable: formData.get('shareable') === 'on',
   });
   // An RLS rejection surfaces as an insert error (not-my-student).
   if (error) return actionFail('Could not save the note');
@@ -58,6 +64,7 @@ export async function deleteTutorNote(
   let ctx;
   try {
     ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
   } catch (e) {
     if (e instanceof ApiError) return e.toActionResult();
     return actionFail('Unexpected error');
@@ -75,3 +82,30 @@ export async function deleteTutorNote(
   }
   return actionOk();
 }
+
+export async function setTutorNoteShareable(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  let ctx;
+  try {
+    ctx = await requireRole(['teacher', 'manager', 'admin']);
+    await assertNotInBillingGrace();
+  } catch (e) {
+    if (e instanceof ApiError) return e.toActionResult();
+    return actionFail('Unexpected error');
+  }
+
+  const noteId = formData.get('note_id');
+  const studentId = formData.get('student_id');
+  if (!noteId || typeof noteId !== 'string') return actionFail('noteId required');
+  const shareable = formData.get('shareable') === 'true';
+
+  const { error } = await ctx.supabase.from('tutor_notes').update({ shareable }).eq('id', noteId);
+  if (error) return actionFail('Could not update the note');
+
+  if (typeof studentId === 'string' && studentId) {
+    revalidatePath(`/tutor/session/${studentId}`);
+  }
+  return actionOk();
+}
@@ -22,8 +22,8 @@ import { loadStudentPlanState } from '@/lib/plan/load-plan-state';
 import { buildPrepCard } from '@/lib/tutor/prep';
 import { getDueReviewItems, summarizeDue } from '@/lib/review/queue';
 import type { Database } from '@/lib/types';
-import { addTutorNote, deleteTutorNote } from './actions';
-import { NoteForm, DeleteNoteButton } from './NotesPanel';
+import { addTutorNote, deleteTutorNote, setTutorNoteShareable } from './actions';
+import { NoteForm, DeleteNoteButton, ShareNoteToggle } from './NotesPanel';
 import s from './SessionWorkspace.module.css';
 
 export const dynamic = 'force-dynamic';
@@ -37,7 +37,7 @@ type PerformanceRow =
   Database['public']['Functions']['get_roster_skill_performance']['Returns'][number];
 type NoteRow = Pick<
   Database['public']['Tables']['tutor_notes']['Row'],
-  'id' | 'author_id' | 'body' | 'session_at'
+  'id' | 'author_id' | 'body' | 'session_at' | 'shareable'
 >;
 
 /** With no session note yet, the prep window defaults to two weeks. */
@@ -103,7 +103,7 @@ export default async function SessionWorkspacePage({ params }: PageProps) {
       .maybeSingle(),
     supabase
       .from('tutor_notes')
-      .select('id, author_id, body, session_at')
+      .select('id, author_id, body, session_at, shareable')
       .eq('student_id', studentId)
       .order('session_at', { ascending: false })
       .limit(6),
@@ -467,11 +467,21 @@ export default async function SessionWorkspacePage({ params }: PageProps) {
                     <div className={s.noteMeta}>
                       <span>{fmtDate(n.session_at)}</span>
                       {n.author_id === user.id ? (
-                        <DeleteNoteButton
-                          noteId={n.id}
-                          studentId={studentId}
-                          action={deleteTutorNote}
-                        />
+                        <span>
+                          <ShareNoteToggle
+                            noteId={n.id}
+                            studentId={studentId}
+                            shareable={n.shareable}
+                            action={setTutorNoteShareable}
+                          />
+                          <DeleteNoteButton
+                            noteId={n.id}
+                            studentId={studentId}
+                            action={deleteTutorNote}
+                          />
+                        </span>
+                      ) : n.shareable ? (
+                        <span className={s.sharedTag}>Shared with family</span>
                       ) : null}
                     </div>
                     <p className={s.noteBody}>{n.body}</p>
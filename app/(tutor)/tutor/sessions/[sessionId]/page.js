@@ -127,6 +127,7 @@ export default async function TutorSessionReviewPage({ params }) {
       canFlagBroken={['manager', 'admin'].includes(profile.role)}
       canViewStats={QUESTION_STATS_ROLES.includes(profile.role)}
       rebuildHref={rebuildHref}
+      groupBy={session.filter_criteria?.adaptive ? 'skill' : undefined}
     />
   );
 }
@@ -0,0 +1,73 @@
+// Pacing-coach switch for the tutor's student-detail page.
+//
+// On = the practice-test runner shows an "On pace / Behind pace"
+// badge under the timer, from the per-question budgets in
+// lib/practice-test/pacing.ts. Off by default — it's a coaching aid,
+// not part of the Bluebook experience. Writes go through the roster's
+// updateStudentProfile, which carries pacing_coach_enabled on its
+// allowlist. Takes effect from the next module the student opens.
+
+'use client';
+
+import { useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Toggle } from '@/lib/ui/Toggle';
+import { updateStudentProfile } from '@/app/(tutor)/tutor/roster/actions';
+import s from './StudentDetail.module.css';
+
+interface PacingCoachCardProps {
+  studentId: string;
+  enabled: boolean;
+}
+
+export function PacingCoachCard({ studentId, enabled }: PacingCoachCardProps) {
+  // Optimistic: move the switch now, reconcile on router.refresh().
+  const [checked, setChecked] = useState(enabled);
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+  const router = useRouter();
+
+  function onToggle(next: boolean) {
+    setChecked(next);
+    setError(null);
+    startTransition(async () => {
+      const res = await updateStudentProfile({
+        studentId,
+        patch: { pacing_coach_enabled: next },
+      });
+      if (!res.ok) {
+        setChecked(!next);
+        setError(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <section className={s.card}>
+      <div className={s.cardHeader}>
+        <div className={s.sectionLabel}>Practice tests</div>
+      </div>
+
+      <div className={s.toggleRow}>
+        <Toggle
+          checked={checked}
+          onChange={onToggle}
+          disabled={pending}
+          label="Pacing coach"
+        />
+        <div className={s.toggleText}>
+          <span className={s.toggleLabel}>Pacing coach</span>
+          <span className={s.toggleHelp}>
+            {checked
+              ? 'The test runner shows whether the student is on pace, using per-question budgets from their own time on easy, medium and hard questions.'
+              : 'The test runner shows only the clock, as on test day.'}
+          </span>
+        </div>
+      </div>
+
+      {error && <p role="alert" className={`${s.error} ${s.toggleError}`}>{error}</p>}
+    </section>
+  );
+}
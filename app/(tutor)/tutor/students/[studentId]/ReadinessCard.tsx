@@ -0,0 +1,78 @@
+// Test-readiness card for the tutor's student-detail page (§5.4).
+//
+// The live verdict against the student's next registered test (the
+// TestRegistrationsCard just below): ready / at risk / not ready, the
+// top reasons, and each of the four signals with its grade so a tutor
+// can see why — not just what. Computed by the page from data it
+// already loads (computeReadiness); the roster shows the copy the
+// daily cron stored. Server-rendered, no interaction.
+
+import {
+  AT_RISK_NOTIFY_DAYS,
+  READINESS_LABELS,
+  type Readiness,
+  type ReadinessSignalKey,
+} from '@/lib/plan/readiness';
+import s from './StudentDetail.module.css';
+
+const SIGNAL_LABELS: Record<ReadinessSignalKey, string> = {
+  high_weight: 'High-weight skills',
+  full_tests: 'Full tests',
+  coverage: 'Coverage',
+  adherence: 'Plan',
+};
+
+function fmtTestDate(iso: string) {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+export function ReadinessCard({ readiness }: { readiness: Readiness | null }) {
+  return (
+    <section className={s.card}>
+      <div className={s.cardHeader}>
+        <div className={s.sectionLabel}>Test readiness</div>
+        {readiness && (
+          <span className={s.cardHeaderHint}>
+            {fmtTestDate(readiness.testDate)} ·{' '}
+            {readiness.daysToTest === 0 ? 'today' : `in ${readiness.daysToTest}d`}
+          </span>
+        )}
+      </div>
+
+      {!readiness ? (
+        <p className={s.empty}>Add an upcoming test registration to see a readiness verdict.</p>
+      ) : (
+        <>
+          <div className={s.readinessHead}>
+            <span className={`${s.readinessPill} ${s[`readiness_${readiness.verdict}`] ?? ''}`}>
+              {READINESS_LABELS[readiness.verdict]}
+            </span>
+            {readiness.verdict === 'at_risk' && readiness.daysToTest <= AT_RISK_NOTIFY_DAYS && (
+              <span className={s.cardHeaderHint}>Inside the {AT_RISK_NOTIFY_DAYS}-day alert window</span>
+            )}
+          </div>
+          {readiness.reasons.length > 0 && (
+            <ul className={s.readinessReasons}>
+              {readiness.reasons.map((r) => (
+                <li key={r}>{r}</li>
+              ))}
+            </ul>
+          )}
+          <ul className={s.readinessSignals}>
+            {readiness.signals.map((sig) => (
+              <li key={sig.key} className={s.readinessSignal} title={sig.reason}>
+                <span className={`${s.readinessDot} ${s[`grade_${sig.grade}`] ?? ''}`} aria-hidden />
+                <span>{SIGNAL_LABELS[sig.key]}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
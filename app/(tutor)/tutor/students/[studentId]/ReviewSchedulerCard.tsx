@@ -0,0 +1,80 @@
+// Review-queue scheduler switch for the tutor's student-detail page.
+//
+// On = FSRS (lib/review/fsrs.ts): intervals from a memory model fitted
+// to this student's own review history, stretched toward the test
+// date. Off = SM-2-lite, the original fixed-ladder scheduler. Writes go
+// through the roster's updateStudentProfile, which carries
+// review_scheduler on its allowlist.
+//
+// Unset (null) defers to the review_scheduler_fsrs flag; toggling
+// always stores an explicit choice.
+
+'use client';
+
+import { useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Toggle } from '@/lib/ui/Toggle';
+import { updateStudentProfile } from '@/app/(tutor)/tutor/roster/actions';
+import s from './StudentDetail.module.css';
+
+interface ReviewSchedulerCardProps {
+  studentId: string;
+  scheduler: string | null;
+}
+
+export function ReviewSchedulerCard({ studentId, scheduler }: ReviewSchedulerCardProps) {
+  // Optimistic: move the switch now, reconcile on router.refresh().
+  const [checked, setChecked] = useState(scheduler === 'fsrs');
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+  const router = useRouter();
+
+  function onToggle(next: boolean) {
+    setChecked(next);
+    setError(null);
+    startTransition(async () => {
+      const res = await updateStudentProfile({
+        studentId,
+        patch: { review_scheduler: next ? 'fsrs' : 'sm2_lite' },
+      });
+      if (!res.ok) {
+        setChecked(!next);
+        setError(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <section className={s.card}>
+      <div className={s.cardHeader}>
+        <div className={s.sectionLabel}>Review scheduling</div>
+      </div>
+
+      <div className={s.toggleRow}>
+        <Toggle
+          checked={checked}
+          onChange={onToggle}
+          disabled={pending}
+          label="Adaptive review spacing"
+        />
+        <div className={s.toggleText}>
+          <span className={s.toggleLabel}>Adaptive review spacing</span>
+          <span className={s.toggleHelp}>
+            {checked
+              ? 'Review gaps follow a memory model fitted to this student and stretch toward their test date.'
+              : 'Review gaps follow the standard ladder, capped at 30 days.'}
+          </span>
+          {scheduler == null && (
+            <span className={s.toggleHelp}>
+              Nobody has set this yet — the site-wide default applies. Changes take effect from each item&apos;s next review.
+            </span>
+          )}
+        </div>
+      </div>
+
+      {error && <p role="alert" className={`${s.error} ${s.toggleError}`}>{error}</p>}
+    </section>
+  );
+}
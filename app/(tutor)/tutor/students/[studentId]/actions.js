@@ -3,9 +3,10 @@
 'use server';
 
 import { revalidatePath } from 'next/cache';
-import { requireUser, requireServiceRole } from '@/lib/api/auth';
+import { assertNotInBillingGrace, requireUser, requireServiceRole } from '@/lib/api/auth';
 import { actionOk, actionFail, ApiError } from '@/lib/api/response';
 import { recomputeAttemptScores } from '@/lib/practice-test/recompute-scores';
+import { storeScorePrediction } from '@/lib/practice-test/load-score-prediction';
 
 /**
  * Per-student practice history v1 → v2 import. The button calls this
@@ -27,6 +28,7 @@ export async function importStudentPracticeHistory(_prev, formData) {
   let userCtx;
   try {
     userCtx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
@@ -78,11 +80,16 @@ export async function importStudentPracticeHistory(_prev, formData) {
   // abandoned and score-only-import attempts alone.
   const { data: importedAttempts } = await svcCtx.service
     .from('practice_test_attempts_v2')
-    .select('id')
+    .select('id, user_id, finished_at, score_prediction')
     .eq('user_id', studentId);
   for (const a of importedAttempts ?? []) {
     await recomputeAttemptScores(svcCtx.service, a.id);
   }
+  // Score-report outlooks, once every attempt is scored so each one
+  // sees the tests finished before it.
+  for (const a of importedAttempts ?? []) {
+    if (!a.score_prediction) await storeScorePrediction(svcCtx.service, a);
+  }
 
   revalidatePath(`/tutor/students/${studentId}`);
   return actionOk(data);
@@ -104,6 +111,7 @@ async function authorizeStudentEdit(studentId) {
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return { ok: false, result: err.toActionResult() };
     return { ok: false, result: actionFail('Unexpected error') };
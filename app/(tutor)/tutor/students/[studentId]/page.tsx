@@ -19,6 +19,10 @@ import { requireUser } from '@/lib/api/auth';
 import { formatDate, formatRelativeShort, isPastDueDate } from '@/lib/formatters';
 import { adherenceSummaryLine, ADHERENCE_LABELS } from '@/lib/plan/adherence';
 import { loadStudentPlanState } from '@/lib/plan/load-plan-state';
+import { toReadinessFullTests } from '@/lib/plan/load-readiness';
+import { computeReadiness, nextRegisteredTestDate } from '@/lib/plan/readiness';
+import { loadScorePrediction } from '@/lib/practice-test/load-score-prediction';
+import { SITTING_SD } from '@/lib/practice-test/score-prediction';
 import { loadDashboardAggregate } from '@/lib/practice/load-dashboard-aggregate';
 import { loadDashboardAggregateAct } from '@/lib/practice/load-dashboard-aggregate-act';
 import { resolveDetoursEnabled } from '@/lib/practice/detour-preference.mjs';
@@ -36,6 +40,13 @@ import { EditTargetStartButton } from './EditTargetStartModal';
 import { OfficialScoresCard } from './OfficialScoresCard';
 import { ScoreProgressChart } from './ScoreProgressChart';
 import { StepBackOffersCard } from './StepBackOffersCard';
+import { ReviewSchedulerCard } from './ReviewSchedulerCard';
+import { PacingCoachCard } from './PacingCoachCard';
+import { ReadinessCard } from './ReadinessCard';
+import { WeeklyDigestSettings } from '@/lib/digest/WeeklyDigestSettings';
+import { loadDigestRecipients } from '@/lib/digest/load-weekly-digest';
+import { GuardianLinksSettings } from '@/lib/guardian/GuardianLinksSettings';
+import { loadGuardianLinks } from '@/lib/guardian/load-guardian-links';
 import { TestRegistrationsCard } from './TestRegistrationsCard';
 import { UploadBluebookCard } from './UploadBluebookCard';
 import s from './StudentDetail.module.css';
@@ -84,6 +95,9 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
     planState,
     { data: coverageRows },
     { data: tutorLinks },
+    prediction,
+    digestRecipients,
+    guardianLinks,
   ] = await Promise.all([
     supabase
       .from('student_practice_stats')
@@ -91,7 +105,7 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
       .eq('user_id', studentId),
     supabase
       .from('profiles')
-      .select('created_at, start_date, practice_detours_enabled')
+      .select('created_at, start_date, practice_detours_enabled, review_scheduler, pacing_coach_enabled')
       .eq('id', studentId)
       .maybeSingle(),
     // Assignments inbox for this student. Includes both SAT and
@@ -130,7 +144,7 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
     // start_date for older students.
     supabase
       .from('practice_test_attempts_v2')
-      .select('started_at, finished_at, composite_score, rw_scaled, math_scaled')
+      .select('started_at, finished_at, composite_score, rw_scaled, math_scaled, sections_only')
       .eq('user_id', studentId)
       .eq('status', 'completed'),
     // Self-guided sessions for this student, SAT + ACT. Includes
@@ -189,6 +203,13 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
       .select('teacher_id')
       .eq('student_id', studentId)
       .limit(1),
+    // Predicted score + 80% range, and the projection to the test
+    // date — same shared loader as the student dashboard and PDF.
+    loadScorePrediction(supabase, studentId, new Date().toISOString().slice(0, 10)),
+    // Weekly progress email recipients — the family-facing digest.
+    loadDigestRecipients(supabase, studentId),
+    // Parent / guardian accounts linked or asking to link.
+    loadGuardianLinks(supabase, studentId),
   ]);
 
   if (rpcErr) {
@@ -213,6 +234,8 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
     start_date?: string | null;
     created_at?: string | null;
     practice_detours_enabled?: boolean | null;
+    review_scheduler?: string | null;
+    pacing_coach_enabled?: boolean | null;
   } | null;
   const startDateRaw = studentProfile?.start_date ?? null;
   const effectiveStartDate = startDateRaw ?? studentProfile?.created_at ?? null;
@@ -394,6 +417,23 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
     return { total: rows.length, started, mastered, decayed };
   })();
 
+  // Test readiness (§5.4) against the next registered test, from
+  // the coverage / completed-test / adherence reads above — the same
+  // computeReadiness the daily cron stores for the roster.
+  const today = new Date().toISOString().slice(0, 10);
+  const readiness = computeReadiness({
+    today,
+    testDate: nextRegisteredTestDate((registrations ?? []).map((r) => r.test_date), today),
+    goalScore: student.targetScore ?? null,
+    coverage: (coverageRows ?? []).map((c) => ({
+      domainCode: c.domain_code,
+      skillCode: c.skill_code,
+      status: c.status,
+    })),
+    fullTests: toReadinessFullTests(completedTestRowsForScore ?? []),
+    adherence: planState.adherence,
+  });
+
   return (
     <main className={s.container}>
       <Link href="/tutor/dashboard" className={s.breadcrumb}>
@@ -529,6 +569,19 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
             <div className={s.snapshotColTitle}>Scores</div>
             <dl className={s.snapshotList}>
               <ProfileRow label="Target" value={student.targetScore ?? '—'} />
+              <ProfileRow
+                label="Predicted"
+                value={prediction?.point ?? '—'}
+                sub={prediction ? `80%: ${prediction.low}–${prediction.high}` : undefined}
+              />
+              {prediction?.projected && (
+                <ProfileRow
+                  label="On test day"
+                  value={prediction.projected.point}
+                  sub={`80%: ${prediction.projected.low}–${prediction.projected.high}`}
+                  tone={projectionTone(prediction.projected.point, student.targetScore)}
+                />
+              )}
               <ProfileRow
                 label="Starting score"
                 value={scoreSummary.startingScore ?? '—'}
@@ -866,6 +919,9 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
             </section>
           )}
 
+          {/* Test readiness (§5.4) */}
+          <ReadinessCard readiness={readiness} />
+
           {/* Test registrations */}
           <TestRegistrationsCard
             studentId={student.id}
@@ -894,6 +950,34 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
             tests={(publishedTests ?? []) as Array<{ id: string; name: string; code: string | null }>}
           />
 
+          {/* Weekly progress email — shared with the student's own
+              Account page; either side manages the addresses. */}
+          <section className={s.card}>
+            <div className={s.cardHeader}>
+              <div className={s.sectionLabel}>Weekly progress email</div>
+            </div>
+            <WeeklyDigestSettings
+              studentId={student.id}
+              recipients={digestRecipients}
+              viewer="staff"
+              studentName={student.name}
+            />
+          </section>
+
+          {/* Parent & guardian accounts — approvals shared with the
+              student's own Account page. */}
+          <section className={s.card}>
+            <div className={s.cardHeader}>
+              <div className={s.sectionLabel}>Parent &amp; guardian accounts</div>
+            </div>
+            <GuardianLinksSettings
+              studentId={student.id}
+              links={guardianLinks}
+              viewer="staff"
+              studentName={student.name}
+            />
+          </section>
+
           {/* §3.2 step-back offers — shared with the student's own
               Account page; either side can change it. */}
           <StepBackOffersCard
@@ -902,6 +986,16 @@ export default async function TutorStudentDetailPage({ params }: PageProps) {
             isExplicit={typeof detourPreference === 'boolean'}
             hasAssignedTutor={hasAssignedTutor}
           />
+
+          <ReviewSchedulerCard
+            studentId={student.id}
+            scheduler={studentProfile?.review_scheduler ?? null}
+          />
+
+          <PacingCoachCard
+            studentId={student.id}
+            enabled={!!studentProfile?.pacing_coach_enabled}
+          />
         </aside>
       </div>
     </main>
@@ -999,6 +1093,15 @@ function impactTone(delta: number | null): 'good' | 'bad' | undefined {
   return delta > 0 ? 'good' : 'bad';
 }
 
+// Projection against target: at or above is good, within one
+// sitting's test-day noise is ok.
+function projectionTone(projected: number, target: number | null): 'good' | 'ok' | 'bad' | undefined {
+  if (target == null) return undefined;
+  if (projected >= target) return 'good';
+  if (projected >= target - SITTING_SD) return 'ok';
+  return 'bad';
+}
+
 // Roster's archived view uses a four-step scale (hit / close / mid /
 // low). Three-step here to fit the StatTile palette (good / ok / bad).
 function reachTone(pct: number | null): 'good' | 'ok' | 'bad' | undefined {
@@ -10,7 +10,7 @@
 'use server';
 
 import { revalidatePath } from 'next/cache';
-import { requireUser } from '@/lib/api/auth';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
 import { ApiError } from '@/lib/api/response';
 import { generateStudyPlan, activatePlan } from '@/lib/plan/plan-actions';
 import {
@@ -31,6 +31,7 @@ const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
 async function ensureUser(): Promise<ActionResult | null> {
   try {
     await requireUser();
+    await assertNotInBillingGrace();
     return null;
   } catch (err) {
     return err instanceof ApiError ? err.toActionResult() : { ok: false, error: 'Unauthorized' };
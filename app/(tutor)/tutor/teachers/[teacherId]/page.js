@@ -1,7 +1,10 @@
 // Manager → per-teacher detail. Shows the teacher's profile,
 // their roster (with the same RosterFinder used on the tutor
-// dashboard, scoped to this teacher's students), and their
-// recent assignments.
+// dashboard, scoped to this teacher's students), their recent
+// assignments, and the coaching channel (§5.1): the manager's
+// threads with this teacher plus the new-note form. The Teachers
+// tab's effectiveness links land here with ?signal= to preset the
+// note's signal when no thread about it exists yet.
 //
 // Role gated to manager + admin via the tutor layout. RLS via
 // can_view does the heavy lifting — managers can read their
@@ -12,17 +15,21 @@ import Link from 'next/link';
 import { requireUser } from '@/lib/api/auth';
 import { formatRelativeShort } from '@/lib/formatters';
 import { AssignmentTypeBadge } from '@/lib/ui/AssignmentTypeBadge';
-import { GoalIcon, InboxIcon } from '@/lib/ui/icons';
+import { FeedbackIcon, GoalIcon, InboxIcon } from '@/lib/ui/icons';
 import { IconTile } from '@/lib/ui/IconTile';
+import { loadCoachingThreads } from '@/lib/tutor/load-coaching';
 import { RosterFinder } from '../../dashboard/RosterFinder';
+import { NewThreadForm } from '../../coaching/CoachingForms';
+import { ThreadList } from '../../coaching/ThreadList';
 import s from './TeacherDetail.module.css';
 
 export const dynamic = 'force-dynamic';
 
 const RECENT_ASSIGNMENTS_LIMIT = 12;
 
-export default async function ManagerTeacherDetailPage({ params }) {
+export default async function ManagerTeacherDetailPage({ params, searchParams }) {
   const { teacherId } = await params;
+  const { signal } = (await searchParams) ?? {};
   const { user, profile, supabase } = await requireUser();
 
   if (profile.role === 'student' || profile.role === 'practice') redirect('/dashboard');
@@ -55,6 +62,7 @@ export default async function ManagerTeacherDetailPage({ params }) {
     { data: trainingAssignmentJunctions },
     { data: trainingSessions },
     { data: trainingTests },
+    coachingThreads,
   ] = await Promise.all([
     // profile_cards doesn't expose email; the page needs it for
     // the teacher header. profiles_select via can_view(id) covers
@@ -118,6 +126,7 @@ export default async function ManagerTeacherDetailPage({ params }) {
       .eq('user_id', teacherId)
       .order('started_at', { ascending: false })
       .limit(6),
+    loadCoachingThreads(supabase, user.id, { teacherId }),
   ]);
 
   if (!teacher) notFound();
@@ -323,6 +332,47 @@ export default async function ManagerTeacherDetailPage({ params }) {
 
       {students.length > 0 && <RosterFinder students={students} />}
 
+      <section className={s.card} id="coaching">
+        <div className={s.cardHeader}>
+          <div>
+            <div className={s.h2}>
+              <IconTile icon={FeedbackIcon} palette="gold" size="md" />
+              Coaching
+            </div>
+            <div className={s.cardHint}>
+              Notes for {teacherName} — tie one to a student, an
+              assignment, or an effectiveness signal. They can reply
+              and acknowledge; only the two of you see the thread.
+            </div>
+          </div>
+          <div className={s.cardHeaderRight}>
+            <Link href="/tutor/coaching" className={s.assignTrainingBtn}>
+              All threads →
+            </Link>
+          </div>
+        </div>
+        <ThreadList
+          threads={coachingThreads}
+          viewerId={user.id}
+          emptyText={`No coaching threads with ${teacherName} yet.`}
+        />
+        <div className={s.coachingForm}>
+          <NewThreadForm
+            teacherId={teacher.id}
+            teacherName={teacherName}
+            students={students.map((st) => ({ id: st.id, label: st.name }))}
+            assignments={(assignments ?? []).map((a) => ({
+              id: a.id,
+              label: a.title
+                ?? (a.assignment_type === 'lesson' ? a.lesson?.title : null)
+                ?? (a.assignment_type === 'practice_test' ? a.practice_test?.name : null)
+                ?? 'Assignment',
+            }))}
+            defaultSignal={typeof signal === 'string' ? signal : null}
+          />
+        </div>
+      </section>
+
       <section className={s.card}>
         <div className={s.cardHeader}>
           <div>
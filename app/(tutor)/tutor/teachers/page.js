@@ -3,6 +3,10 @@
 // teacher's roster size + cohort stats at a glance, and a click
 // drills into the per-teacher detail view.
 //
+// Each effectiveness signal links to the coaching thread about it
+// (§5.1) — the open one if there is one — or, failing that, to the
+// teacher page's new-note form with the signal preset.
+//
 // Role gated to manager + admin via the tutor layout. RLS does
 // the heavy lifting — the manager_teacher_assignments table is
 // scoped via can_view, and the student_practice_stats view is
@@ -14,6 +18,8 @@ import Link from 'next/link';
 import { requireUser } from '@/lib/api/auth';
 import { formatRelativeShort } from '@/lib/formatters';
 import { loadTeamEffectiveness } from '@/lib/tutor/load-team-effectiveness';
+import { loadSignalThreads } from '@/lib/tutor/load-coaching';
+import { COACHING_SIGNALS } from '@/lib/tutor/coaching';
 import s from './Teachers.module.css';
 
 export const dynamic = 'force-dynamic';
@@ -78,7 +84,7 @@ export default async function TutorTeachersPage() {
     studentsByTeacher.get(r.teacher_id).push(r.student_id);
   }
 
-  const [{ data: studentRows }, effectByTeacher] = await Promise.all([
+  const [{ data: studentRows }, effectByTeacher, signalThreads] = await Promise.all([
     allStudentIds.length > 0
       ? supabase
           .from('student_practice_stats')
@@ -86,6 +92,7 @@ export default async function TutorTeachersPage() {
           .in('user_id', allStudentIds)
       : Promise.resolve({ data: [] }),
     loadTeamEffectiveness(supabase, studentsByTeacher),
+    loadSignalThreads(supabase, user.id, teacherIds),
   ]);
   const studentById = new Map(
     (studentRows ?? []).map((r) => [r.user_id, r]),
@@ -124,6 +131,14 @@ export default async function TutorTeachersPage() {
       accuracy: total > 0 ? Math.round((correct / total) * 100) : null,
       lastActivityAt,
       effect: effectByTeacher.get(t.id) ?? null,
+      signalLinks: Object.fromEntries(
+        COACHING_SIGNALS.map((signal) => {
+          const thread = signalThreads.get(`${t.id}:${signal}`);
+          return [signal, thread
+            ? { href: `/tutor/coaching/${thread.id}`, label: thread.status === 'open' ? 'Open thread →' : 'Past thread →' }
+            : { href: `/tutor/teachers/${t.id}?signal=${signal}#coaching`, label: 'Discuss →' }];
+        }),
+      ),
     };
   });
 
@@ -222,49 +237,54 @@ export default async function TutorTeachersPage() {
 
 // ──────────────────────────────────────────────────────────────
 
+// The card is a div, not one big link: the effectiveness row under
+// it carries its own coaching links, and links can't nest.
 function TeacherCard({ teacher }) {
   return (
-    <Link href={`/tutor/teachers/${teacher.id}`} className={s.teacherCard}>
-      <div className={s.teacherTop}>
-        <div className={s.teacherAvatar} aria-hidden="true">
-          {initialsOf(teacher.name)}
+    <div className={s.teacherCard}>
+      <Link href={`/tutor/teachers/${teacher.id}`} className={s.teacherLink}>
+        <div className={s.teacherTop}>
+          <div className={s.teacherAvatar} aria-hidden="true">
+            {initialsOf(teacher.name)}
+          </div>
+          <div className={s.teacherMain}>
+            <div className={s.teacherName}>{teacher.name}</div>
+            {teacher.email && (
+              <div className={s.teacherEmail}>{teacher.email}</div>
+            )}
+          </div>
+          <div className={s.teacherChevron} aria-hidden="true">→</div>
         </div>
-        <div className={s.teacherMain}>
-          <div className={s.teacherName}>{teacher.name}</div>
-          {teacher.email && (
-            <div className={s.teacherEmail}>{teacher.email}</div>
-          )}
+        <div className={s.teacherMetrics}>
+          <Metric label="Students" value={teacher.students} />
+          <Metric
+            label="Active · 7d"
+            value={teacher.activeThisWeek}
+            tone={teacher.activeThisWeek > 0 ? 'good' : null}
+          />
+          <Metric
+            label="Attempts · 7d"
+            value={teacher.weekAttempts.toLocaleString()}
+          />
+          <Metric
+            label="Accuracy"
+            value={teacher.accuracy == null ? '—' : `${teacher.accuracy}%`}
+            tone={accuracyTone(teacher.accuracy)}
+          />
+          <span className={s.teacherLast}>
+            {formatRelativeShort(teacher.lastActivityAt) ?? 'No activity'}
+          </span>
         </div>
-        <div className={s.teacherChevron} aria-hidden="true">→</div>
-      </div>
-      <div className={s.teacherMetrics}>
-        <Metric label="Students" value={teacher.students} />
-        <Metric
-          label="Active · 7d"
-          value={teacher.activeThisWeek}
-          tone={teacher.activeThisWeek > 0 ? 'good' : null}
-        />
-        <Metric
-          label="Attempts · 7d"
-          value={teacher.weekAttempts.toLocaleString()}
-        />
-        <Metric
-          label="Accuracy"
-          value={teacher.accuracy == null ? '—' : `${teacher.accuracy}%`}
-          tone={accuracyTone(teacher.accuracy)}
-        />
-        <span className={s.teacherLast}>
-          {formatRelativeShort(teacher.lastActivityAt) ?? 'No activity'}
-        </span>
-      </div>
-      <EffectivenessRow effect={teacher.effect} />
-    </Link>
+      </Link>
+      <EffectivenessRow effect={teacher.effect} links={teacher.signalLinks} />
+    </div>
   );
 }
 
 // §5.2 tutor-effectiveness signals: mastery movement, assignment
-// completion, plan adherence — all over the 4-week window.
-function EffectivenessRow({ effect }) {
+// completion, plan adherence — all over the 4-week window. Each one
+// links to its coaching thread (§5.1).
+function EffectivenessRow({ effect, links }) {
   const movement = effect?.movement ?? null;
   const completion = effect?.completion ?? null;
   const adherence = effect?.adherence ?? null;
@@ -289,17 +309,35 @@ function EffectivenessRow({ effect }) {
 
   return (
     <div className={s.effectRow}>
-      <Metric label={deltaLabel} value={deltaValue} tone={deltaTone} />
-      <Metric
-        label={completionLabel}
-        value={completionValue}
-        tone={completion?.rate == null ? null : completion.rate >= 0.8 ? 'good' : completion.rate >= 0.5 ? 'ok' : 'warn'}
-      />
-      <AdherencePills adherence={adherence} />
+      <span className={s.signalCell}>
+        <Metric label={deltaLabel} value={deltaValue} tone={deltaTone} />
+        <SignalLink link={links?.mastery} />
+      </span>
+      <span className={s.signalCell}>
+        <Metric
+          label={completionLabel}
+          value={completionValue}
+          tone={completion?.rate == null ? null : completion.rate >= 0.8 ? 'good' : completion.rate >= 0.5 ? 'ok' : 'warn'}
+        />
+        <SignalLink link={links?.completion} />
+      </span>
+      <span className={s.signalCell}>
+        <AdherencePills adherence={adherence} />
+        <SignalLink link={links?.adherence} />
+      </span>
     </div>
   );
 }
 
+function SignalLink({ link }) {
+  if (!link) return null;
+  return (
+    <Link href={link.href} className={s.signalLink}>
+      {link.label}
+    </Link>
+  );
+}
+
 function AdherencePills({ adherence }) {
   if (!adherence) return null;
   const parts = [];
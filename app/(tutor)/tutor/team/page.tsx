@@ -0,0 +1,263 @@
+// Manager → Team home (§5.3). Every managed tutor's roster in one
+// place, so a manager no longer walks the team tutor by tutor:
+//
+//   - plan adherence distribution across the team (computeAdherence,
+//     the same classification the roster chips use),
+//   - students with no plan, students with no recent activity,
+//   - registered tests coming up, soonest first,
+//   - drafts the weekly re-pace job has parked for review,
+//   - and the same counts per tutor.
+//
+// Every tile and every per-tutor count drills down to the roster
+// filtered to exactly those students (/tutor/roster?team=…&teacher=…).
+// One RPC-backed loader (loadTeamHealth → get_team_roster_health)
+// feeds the whole page; the Teachers tab stays the home of the
+// per-tutor effectiveness signals and coaching links.
+
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { requireUser } from '@/lib/api/auth';
+import { loadTeamHealth } from '@/lib/tutor/load-team-health';
+import {
+  TEAM_HEALTH_FILTER_LABELS,
+  TEAM_STALE_DAYS,
+  TEAM_UPCOMING_TEST_DAYS,
+  type TeamHealth,
+  type TeamHealthFilter,
+} from '@/lib/tutor/team-health';
+import s from './Team.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const ADHERENCE_TILES: readonly TeamHealthFilter[] = ['behind', 'not_started', 'on_track', 'ahead'];
+
+const TUTOR_COLUMNS: readonly { filter: TeamHealthFilter; label: string }[] = [
+  { filter: 'behind', label: 'Behind' },
+  { filter: 'no_plan', label: 'No plan' },
+  { filter: 'stale', label: `Idle ${TEAM_STALE_DAYS}d+` },
+  { filter: 'test_soon', label: 'Test soon' },
+  { filter: 'repace_draft', label: 'Drafts' },
+];
+
+function drillHref(filter: TeamHealthFilter, teacherId?: string) {
+  const params = new URLSearchParams({ team: filter });
+  if (teacherId) params.set('teacher', teacherId);
+  return `/tutor/roster?${params}`;
+}
+
+function fmtTestDate(iso: string) {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+export default async function TeamHomePage() {
+  const { profile, supabase } = await requireUser();
+
+  if (profile.role === 'student' || profile.role === 'practice') redirect('/dashboard');
+  if (profile.role === 'teacher') redirect('/tutor/dashboard');
+  if (!['manager', 'admin'].includes(profile.role)) redirect('/');
+
+  let health: TeamHealth;
+  try {
+    health = await loadTeamHealth(supabase);
+  } catch (err) {
+    return (
+      <main className={s.container}>
+        <Header />
+        <div className={s.errorCard} role="alert">
+          Failed to load your team: {err instanceof Error ? err.message : String(err)}
+        </div>
+      </main>
+    );
+  }
+
+  if (health.teachers.length === 0) {
+    return (
+      <main className={s.container}>
+        <Header />
+        <div className={s.emptyCard}>
+          <div className={s.emptyTitle}>No tutors assigned to you yet.</div>
+          <div className={s.emptyBody}>
+            An admin assigns tutors to managers; once that happens their
+            rosters roll up here.
+          </div>
+        </div>
+      </main>
+    );
+  }
+
+  const total = health.students.length;
+  const teacherNames = new Map(health.teachers.map((t) => [t.teacherId, t.teacherName]));
+
+  return (
+    <main className={s.container}>
+      <Header />
+
+      <section className={s.section}>
+        <div className={s.sectionHead}>
+          <h2 className={s.sectionTitle}>Plan adherence</h2>
+          <span className={s.sectionCount}>
+            {total} active student{total === 1 ? '' : 's'} · {health.teachers.length} tutor
+            {health.teachers.length === 1 ? '' : 's'}
+          </span>
+        </div>
+        <AdherenceBar health={health} />
+        <div className={s.tiles}>
+          {ADHERENCE_TILES.map((filter) => (
+            <Tile key={filter} filter={filter} value={health.counts[filter]} tone={filter === 'behind' ? 'warn' : null} />
+          ))}
+        </div>
+      </section>
+
+      <section className={s.section}>
+        <div className={s.sectionHead}>
+          <h2 className={s.sectionTitle}>Needs attention</h2>
+        </div>
+        <div className={s.tiles}>
+          <Tile filter="no_plan" value={health.counts.no_plan} sub="No active study plan" tone={health.counts.no_plan > 0 ? 'warn' : null} />
+          <Tile filter="stale" value={health.counts.stale} sub={`No practice in ${TEAM_STALE_DAYS}+ days`} tone={health.counts.stale > 0 ? 'warn' : null} />
+          <Tile filter="test_soon" value={health.counts.test_soon} sub={`Registered test in the next ${TEAM_UPCOMING_TEST_DAYS} days`} />
+          <Tile filter="repace_draft" value={health.counts.repace_draft} sub="Proposed by the weekly re-pace" />
+        </div>
+      </section>
+
+      <section className={s.section}>
+        <div className={s.sectionHead}>
+          <h2 className={s.sectionTitle}>By tutor</h2>
+          <Link href="/tutor/teachers" className={s.sectionLink}>Effectiveness signals →</Link>
+        </div>
+        <div className={s.tableWrap}>
+          <table className={s.table}>
+            <thead>
+              <tr>
+                <th className={s.th}>Tutor</th>
+                <th className={s.thNum}>Students</th>
+                {TUTOR_COLUMNS.map((c) => (
+                  <th key={c.filter} className={s.thNum}>{c.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {health.teachers.map((t) => (
+                <tr key={t.teacherId} className={s.row}>
+                  <td className={s.td}>
+                    <Link href={`/tutor/teachers/${t.teacherId}`} className={s.nameLink}>
+                      {t.teacherName}
+                    </Link>
+                  </td>
+                  <td className={s.tdNum}>{t.students}</td>
+                  {TUTOR_COLUMNS.map((c) => (
+                    <td key={c.filter} className={s.tdNum}>
+                      {t.counts[c.filter] > 0 ? (
+                        <Link href={drillHref(c.filter, t.teacherId)} className={s.countLink}>
+                          {t.counts[c.filter]}
+                        </Link>
+                      ) : (
+                        <span className={s.muted}>0</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className={s.section}>
+        <div className={s.sectionHead}>
+          <h2 className={s.sectionTitle}>Upcoming tests</h2>
+          <span className={s.sectionCount}>Next {TEAM_UPCOMING_TEST_DAYS} days</span>
+        </div>
+        {health.upcomingTests.length === 0 ? (
+          <div className={s.empty}>No registered tests in the next {TEAM_UPCOMING_TEST_DAYS} days.</div>
+        ) : (
+          <ul className={s.testList}>
+            {health.upcomingTests.map((st) => (
+              <li key={st.studentId} className={s.testRow}>
+                <Link href={`/tutor/students/${st.studentId}`} className={s.nameLink}>
+                  {st.studentName}
+                </Link>
+                <span className={s.muted}>
+                  {st.teacherIds.map((id) => teacherNames.get(id)).filter(Boolean).join(', ')}
+                </span>
+                <span className={s.testDate}>
+                  {st.nextTestDate ? fmtTestDate(st.nextTestDate) : '—'}
+                  {' · '}
+                  {st.daysToTest === 0 ? 'today' : `in ${st.daysToTest}d`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </main>
+  );
+}
+
+function Header() {
+  return (
+    <header className={s.header}>
+      <div className={s.eyebrow}>Manager · Team</div>
+      <h1 className={s.h1}>Team home</h1>
+      <p className={s.sub}>
+        Every tutor&apos;s roster in one place. Click any number to open
+        the roster filtered to those students.
+      </p>
+    </header>
+  );
+}
+
+function Tile({
+  filter,
+  value,
+  sub,
+  tone,
+}: {
+  filter: TeamHealthFilter;
+  value: number;
+  sub?: string;
+  tone?: 'warn' | null;
+}) {
+  return (
+    <Link href={drillHref(filter)} className={s.tile}>
+      <span className={s.tileLabel}>{TEAM_HEALTH_FILTER_LABELS[filter]}</span>
+      <span className={tone === 'warn' && value > 0 ? `${s.tileValue} ${s.tileWarn}` : s.tileValue}>
+        {value}
+      </span>
+      {sub && <span className={s.tileSub}>{sub}</span>}
+    </Link>
+  );
+}
+
+// Stacked share of the team per adherence state, no-plan included so
+// the segments sum to the whole active roster.
+function AdherenceBar({ health }: { health: TeamHealth }) {
+  const total = health.students.length;
+  if (total === 0) return null;
+  const segments: { filter: TeamHealthFilter; className: string }[] = [
+    { filter: 'behind', className: s.segBehind },
+    { filter: 'not_started', className: s.segNotStarted },
+    { filter: 'on_track', className: s.segOnTrack },
+    { filter: 'ahead', className: s.segAhead },
+    { filter: 'no_plan', className: s.segNoPlan },
+  ];
+  return (
+    <div className={s.bar} role="img" aria-label="Plan adherence across the team">
+      {segments.map(({ filter, className }) =>
+        health.counts[filter] > 0 ? (
+          <span
+            key={filter}
+            className={`${s.seg} ${className}`}
+            style={{ flexGrow: health.counts[filter] }}
+            title={`${TEAM_HEALTH_FILTER_LABELS[filter]}: ${health.counts[filter]}`}
+          />
+        ) : null,
+      )}
+    </div>
+  );
+}
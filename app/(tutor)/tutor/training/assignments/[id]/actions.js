@@ -19,14 +19,15 @@
 'use server';
 
 import { redirect } from 'next/navigation';
-import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 
 export async function startTrainingAssignment(_prevState, formData) {
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error loading user');
@@ -37,13 +38,8 @@ export async function startTrainingAssignment(_prevState, formData) {
     return actionFail('Training is for teachers, managers, and admins.');
   }
 
-  const rl = await rateLimit(`training-start:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) {
-    return actionFail('Too many session starts. Please wait a moment and try again.');
-  }
+  const rl = await checkRateLimit('training.start', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const assignmentId = formData?.get?.('assignment_id');
   if (!assignmentId || typeof assignmentId !== 'string') {
@@ -7,9 +7,9 @@
 'use server';
 
 import { redirect } from 'next/navigation';
-import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { buildWeakQueue } from '@/lib/practice/weak-queue';
 
 const MAX_DRILL_SIZE = 25;
@@ -20,6 +20,7 @@ export async function createTrainingWeakQueueDrill(_prev, formData) {
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error loading user');
@@ -29,11 +30,8 @@ export async function createTrainingWeakQueueDrill(_prev, formData) {
     return actionFail('Training is for teachers, managers, and admins.');
   }
 
-  const rl = await rateLimit(`training-review:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) return actionFail('Too many review sessions. Please wait a moment.');
+  const rl = await checkRateLimit('training.review', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const size = clampSize(formData.get('size'));
   const scored = await buildWeakQueue(supabase, user.id);
@@ -50,6 +48,7 @@ export async function createTrainingSkillDrill(_prev, formData) {
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error loading user');
@@ -59,11 +58,8 @@ export async function createTrainingSkillDrill(_prev, formData) {
     return actionFail('Training is for teachers, managers, and admins.');
   }
 
-  const rl = await rateLimit(`training-skill:${user.id}`, {
-    limit: 20,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) return actionFail('Too many review sessions. Please wait a moment.');
+  const rl = await checkRateLimit('training.skill', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const skillName = String(formData.get('skill') ?? '').trim();
   if (!skillName) return actionFail('Missing skill.');
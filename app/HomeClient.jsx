@@ -337,6 +337,7 @@ export function HomeClient({ emailConfirmed }) {
                   <option value="" disabled>Select one</option>
                   <option value="student">a student</option>
                   <option value="teacher">a teacher</option>
+                  <option value="guardian">a parent or guardian</option>
                   <option value="exploring">just exploring</option>
                 </select>
               </div>
@@ -477,6 +478,14 @@ export function HomeClient({ emailConfirmed }) {
                 </div>
               )}
 
+              {userType === 'guardian' && (
+                <div className={s.trialNote}>
+                  <span className={s.trialNoteEmph}>Free</span> — a read-only view of your
+                  student&apos;s study plan, scores and assignments. After signing up, ask to
+                  link with their email address; they or their tutor approve the request.
+                </div>
+              )}
+
               {willNeedSubscription && !isExploringType && (
                 <div className={s.trialNote}>
                   {userType === 'teacher' ? (
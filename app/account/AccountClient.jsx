@@ -1,8 +1,9 @@
-// Client island for the Account page. Renders four sections —
-// profile, practice experience, teachers, subscription — from
-// snapshot data passed in by the Server Component. Forms call Server
-// Actions via useActionState; success messages clear after a few
-// seconds so the page stays calm. No fetch, no useEffect.
+// Client island for the Account page. Renders six sections —
+// profile, practice experience, weekly email, guardian accounts,
+// teachers, subscription — from snapshot data passed in by the
+// Server Component. Forms call Server Actions via useActionState;
+// success messages clear after a few seconds so the page stays calm.
+// No fetch, no useEffect.
 
 'use client';
 
@@ -11,6 +12,8 @@ import { DETOUR_COPY } from '@/lib/practice/detour-preference.mjs';
 import { Button } from '@/lib/ui/Button';
 import { Card } from '@/lib/ui/Card';
 import { Toggle } from '@/lib/ui/Toggle';
+import { WeeklyDigestSettings } from '@/lib/digest/WeeklyDigestSettings';
+import { GuardianLinksSettings } from '@/lib/guardian/GuardianLinksSettings';
 import { ManagePortalButton } from './billing/ManagePortalButton';
 import s from './Account.module.css';
 
@@ -34,16 +37,23 @@ export function AccountClient({
   updateEmailAction,
   updateDetourPreferenceAction,
   addTeacherCodeAction,
+  digestRecipients,
+  guardianLinks,
 }) {
   // /account is shared with staff roles; the practice settings only
   // mean anything for someone who actually works question sets.
   const isStudent = profile.role === 'student' || profile.role === 'practice';
+  // A guardian has no teachers or plan of their own; their home is the
+  // portal, not /dashboard.
+  const isGuardian = profile.role === 'guardian';
 
   return (
     <main className={s.page}>
       <div className={s.header}>
         <h1 className={s.h1}>Account</h1>
-        <Button href="/dashboard" variant="secondary" size="sm">Dashboard</Button>
+        <Button href={isGuardian ? '/guardian' : '/dashboard'} variant="secondary" size="sm">
+          {isGuardian ? 'My students' : 'Dashboard'}
+        </Button>
       </div>
 
       <ProfileSection
@@ -60,16 +70,48 @@ export function AccountClient({
         />
       )}
 
-      <TeachersSection
-        teachers={teachers}
-        userRole={profile.role}
-        addTeacherCodeAction={addTeacherCodeAction}
-      />
+      {isStudent && (
+        <Card className={s.card}>
+          <SectionHeader
+            title="Weekly progress email"
+            subtitle="A Sunday summary of your week, for you and your family."
+          />
+          <WeeklyDigestSettings
+            studentId={user.id}
+            recipients={digestRecipients}
+            viewer="student"
+          />
+        </Card>
+      )}
 
-      <SubscriptionSection
-        access={access}
-        subscription={subscription}
-      />
+      {isStudent && (
+        <Card className={s.card}>
+          <SectionHeader
+            title="Parent & guardian accounts"
+            subtitle="Family members who can follow your progress from their own account."
+          />
+          <GuardianLinksSettings
+            studentId={user.id}
+            links={guardianLinks}
+            viewer="student"
+          />
+        </Card>
+      )}
+
+      {!isGuardian && (
+        <TeachersSection
+          teachers={teachers}
+          userRole={profile.role}
+          addTeacherCodeAction={addTeacherCodeAction}
+        />
+      )}
+
+      {!isGuardian && (
+        <SubscriptionSection
+          access={access}
+          subscription={subscription}
+        />
+      )}
     </main>
   );
 }
@@ -5,6 +5,11 @@
 // legacy page fetched /api/billing/status in a useEffect, flashing
 // "Loading…" before the actual content rendered; this version
 // renders the final state in the first paint.
+//
+// A past_due subscriber in read-only grace (access.reason
+// 'payment_grace', lib/billing/dunning.ts) sees their subscription
+// with the portal button and when read-only ends; proxy.js sends them
+// here with ?paused=1 when they try to start practice.
 
 import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
@@ -16,7 +21,7 @@ import s from './Billing.module.css';
 
 export const dynamic = 'force-dynamic';
 
-export default async function BillingPage() {
+export default async function BillingPage({ searchParams }) {
   let ctx;
   try {
     ctx = await requireUser();
@@ -24,20 +29,38 @@ export default async function BillingPage() {
     redirect('/login?next=/account/billing');
   }
   const { user, supabase } = ctx;
+  const paused = (await searchParams)?.paused === '1';
 
   const access = await userHasAccess(supabase, user.id);
 
   let subscription = null;
-  if (access.reason === 'subscription') {
+  if (access.reason === 'subscription' || access.reason === 'payment_grace') {
     const { data } = await supabase
       .from('subscriptions')
       .select('plan, status, current_period_end, trial_end, cancel_at_period_end')
       .eq('user_id', user.id)
-      .in('status', ['active', 'trialing'])
+      .in('status', access.reason === 'payment_grace' ? ['past_due'] : ['active', 'trialing'])
       .maybeSingle();
     subscription = data;
   }
 
+  // School seat holders see which school covers them; org admins get a
+  // link to manage seats whatever their own access comes from.
+  const [{ data: seat }, { count: adminOf }] = await Promise.all([
+    access.reason === 'school_seat'
+      ? supabase
+          .from('organization_seats')
+          .select('organizations(name)')
+          .eq('user_id', user.id)
+          .is('released_at', null)
+          .maybeSingle()
+      : { data: null },
+    supabase
+      .from('organization_admins')
+      .select('organization_id', { count: 'exact', head: true })
+      .eq('user_id', user.id),
+  ]);
+
   const formatDate = (iso) =>
     new Date(iso).toLocaleDateString('en-US', {
       month: 'long',
@@ -70,6 +93,14 @@ export default async function BillingPage() {
                   {subscription?.plan ?? 'Subscribed'}
                 </span>
               )}
+              {access.reason === 'school_seat' && (
+                <span className={`${s.pill} ${s.pillSub}`}>School</span>
+              )}
+            </div>
+          ) : access.reason === 'payment_grace' ? (
+            <div className={s.statusRow}>
+              <span className={`${s.dot} ${s.dotInactive}`} aria-hidden="true" />
+              <span className={s.statusLabel}>Payment overdue · read-only</span>
             </div>
           ) : (
             <div className={s.statusRow}>
@@ -84,7 +115,11 @@ export default async function BillingPage() {
             <Row label="Plan" value={subscription.plan} capitalize />
             <Row
               label="Status"
-              value={subscription.status === 'trialing' ? 'Free Trial' : subscription.status}
+              value={
+                subscription.status === 'trialing' ? 'Free Trial'
+                : subscription.status === 'past_due' ? 'Past due'
+                : subscription.status
+              }
               tone={
                 subscription.status === 'active' ? 'good'
                 : subscription.status === 'trialing' ? 'accent'
@@ -116,9 +151,32 @@ export default async function BillingPage() {
           </section>
         )}
 
+        {access.reason === 'payment_grace' && (
+          <section className={s.graceNote}>
+            {paused && <><strong>New practice is paused.</strong>{' '}</>}
+            Your last payment didn&apos;t go through. Until {formatDate(access.graceEndsAt)} your
+            dashboard and history stay open, but you can&apos;t start new practice. Update your card
+            under <strong>Manage subscription</strong> and access comes back as soon as the payment
+            succeeds.
+          </section>
+        )}
+
+        {access.reason === 'school_seat' && (
+          <section className={s.exemptNote}>
+            Your access comes from a seat on
+            {seat?.organizations?.name ? ` ${seat.organizations.name}'s` : ' a'} school
+            plan. Billing is handled by the school; ask its coordinator about your seat.
+          </section>
+        )}
+
         <section className={s.actions}>
           {subscription && <ManagePortalButton />}
-          {!access.hasAccess && (
+          {adminOf > 0 && (
+            <Button href="/account/school" variant="secondary" size="sm">
+              Manage school seats
+            </Button>
+          )}
+          {!access.hasAccess && !subscription && (
             <Button href="/subscribe" variant="primary" size="sm">
               Choose a plan
             </Button>
@@ -4,9 +4,13 @@
 // loading flashes; the page renders fully formed in the first
 // paint. See docs/architecture-plan.md §3.4.
 //
-// Four sections render in the island:
+// Six sections render in the island:
 //   - Profile (name, school, grad year, target SAT, test date, email)
 //   - Practice experience (§3.2 step-back offers — students only)
+//   - Weekly progress email (opt-in digest + parent addresses —
+//     students only; lib/digest/WeeklyDigestSettings)
+//   - Parent & guardian accounts (approve / remove guardian links —
+//     students only; lib/guardian/GuardianLinksSettings)
 //   - Teachers (linked list + add-by-code form)
 //   - Subscription (status snapshot + manage / choose plan)
 //
@@ -17,6 +21,8 @@ import { redirect } from 'next/navigation';
 import { requireUser } from '@/lib/api/auth';
 import { resolveDetoursEnabled } from '@/lib/practice/detour-preference.mjs';
 import { userHasAccess } from '@/lib/subscription';
+import { loadDigestRecipients } from '@/lib/digest/load-weekly-digest';
+import { loadGuardianLinks } from '@/lib/guardian/load-guardian-links';
 import {
   updateProfile,
   updateEmail,
@@ -40,6 +46,8 @@ export default async function AccountPage() {
     { data: profile },
     access,
     { data: teacherLinks },
+    digestRecipients,
+    guardianLinks,
   ] = await Promise.all([
     supabase
       .from('profiles')
@@ -56,6 +64,9 @@ export default async function AccountPage() {
       .from('teacher_student_assignments')
       .select('teacher_id, teacher:profiles!teacher_student_assignments_teacher_id_fkey(id, first_name, last_name, email, subscription_exempt)')
       .eq('student_id', user.id),
+    // Only rendered for students; for staff this is an empty read.
+    loadDigestRecipients(supabase, user.id),
+    loadGuardianLinks(supabase, user.id),
   ]);
 
   let subscription = null;
@@ -97,6 +108,8 @@ export default async function AccountPage() {
       updateEmailAction={updateEmail}
       updateDetourPreferenceAction={updateDetourPreference}
       addTeacherCodeAction={addTeacherCode}
+      digestRecipients={digestRecipients}
+      guardianLinks={guardianLinks}
     />
   );
 }
@@ -0,0 +1,279 @@
+// Client islands for the school page: the create / invite / seat-count
+// forms (server actions), the checkout and portal buttons (POST to the
+// billing routes and follow the returned Stripe URL), the per-row
+// Release and Withdraw buttons, and the invitee's Accept / Decline.
+
+'use client';
+
+import { useActionState, useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/lib/ui/Button';
+import { useConfirm } from '@/lib/ui/ConfirmDialog';
+import {
+  createSchool,
+  inviteSeat,
+  releaseSeat,
+  respondToSeatInvite,
+  revokeSeatInvite,
+  updateSeatCount,
+} from './actions';
+import b from '../billing/Billing.module.css';
+import s from './School.module.css';
+
+export function CreateSchoolForm() {
+  const [state, formAction, pending] = useActionState(createSchool, null);
+  return (
+    <form action={formAction}>
+      <div className={s.inlineForm}>
+        <input
+          name="name"
+          type="text"
+          required
+          maxLength={200}
+          placeholder="School or organization name"
+          className={s.input}
+          disabled={pending}
+        />
+        <Button type="submit" variant="primary" size="sm" disabled={pending}>
+          {pending ? 'Creating…' : 'Create school'}
+        </Button>
+      </div>
+      {state && !state.ok && <div className={b.errorBanner}>{state.error}</div>}
+    </form>
+  );
+}
+
+export function InviteSeatForm({ orgId, disabled }: { orgId: string; disabled: boolean }) {
+  const [state, formAction, pending] = useActionState(inviteSeat, null);
+  return (
+    <form action={formAction}>
+      <input type="hidden" name="org_id" value={orgId} />
+      <div className={s.inlineForm}>
+        <input
+          name="email"
+          type="email"
+          required
+          placeholder="student@school.org"
+          className={s.input}
+          disabled={pending || disabled}
+        />
+        <Button type="submit" variant="primary" size="sm" disabled={pending || disabled}>
+          {pending ? 'Inviting…' : 'Invite'}
+        </Button>
+      </div>
+      {state?.ok && (
+        <div className={s.note}>
+          Invitation sent. The seat is theirs once they sign in with that email and
+          accept; until then it&apos;s held for 14 days.
+        </div>
+      )}
+      {state && !state.ok && <div className={b.errorBanner}>{state.error}</div>}
+    </form>
+  );
+}
+
+export function SeatCountForm({
+  orgId,
+  seatQuantity,
+  seatsUsed,
+}: {
+  orgId: string;
+  seatQuantity: number;
+  seatsUsed: number;
+}) {
+  const [state, formAction, pending] = useActionState(updateSeatCount, null);
+  return (
+    <form action={formAction}>
+      <input type="hidden" name="org_id" value={orgId} />
+      <div className={s.inlineForm}>
+        <input
+          name="seats"
+          type="number"
+          min={Math.max(1, seatsUsed)}
+          max={2000}
+          defaultValue={seatQuantity}
+          className={`${s.input} ${s.seatInput}`}
+          disabled={pending}
+          aria-label="Paid seats"
+        />
+        <Button type="submit" variant="secondary" size="sm" disabled={pending}>
+          {pending ? 'Updating…' : 'Change seats'}
+        </Button>
+      </div>
+      {state?.ok && (
+        <div className={s.note}>
+          Sent to Stripe. The new count shows here once Stripe confirms; the
+          difference is prorated onto the next invoice.
+        </div>
+      )}
+      {state && !state.ok && <div className={b.errorBanner}>{state.error}</div>}
+    </form>
+  );
+}
+
+/** POSTs to a billing route and follows the Stripe URL it returns. */
+function useStripeRedirect(path: string) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function go(body: Record<string, unknown>) {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Something went wrong');
+      window.location.href = data.url;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+      setLoading(false);
+    }
+  }
+
+  return { loading, error, go };
+}
+
+export function BuySeatsButton({ orgId, defaultSeats }: { orgId: string; defaultSeats: number }) {
+  const [seats, setSeats] = useState(String(Math.max(1, defaultSeats)));
+  const { loading, error, go } = useStripeRedirect('/api/billing/create-checkout');
+  return (
+    <div>
+      <div className={s.inlineForm}>
+        <input
+          type="number"
+          min={1}
+          max={2000}
+          value={seats}
+          onChange={(e) => setSeats(e.target.value)}
+          className={`${s.input} ${s.seatInput}`}
+          disabled={loading}
+          aria-label="Seats to buy"
+        />
+        <Button
+          variant="primary"
+          size="sm"
+          disabled={loading}
+          onClick={() => go({ plan: 'school', orgId, seats: Number(seats) })}
+        >
+          {loading ? 'Opening checkout…' : 'Buy seats'}
+        </Button>
+      </div>
+      {error && <div className={b.errorBanner}>{error}</div>}
+    </div>
+  );
+}
+
+export function SchoolPortalButton({ orgId }: { orgId: string }) {
+  const { loading, error, go } = useStripeRedirect('/api/billing/create-portal');
+  return (
+    <>
+      <Button variant="secondary" size="sm" onClick={() => go({ orgId })} disabled={loading}>
+        {loading ? 'Opening…' : 'Invoices & payment'}
+      </Button>
+      {error && <div className={b.errorBanner}>{error}</div>}
+    </>
+  );
+}
+
+export function ReleaseSeatButton({ seatId, name }: { seatId: string; name: string }) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+  const [confirm, confirmDialog] = useConfirm();
+
+  async function onRelease() {
+    const ok = await confirm({
+      title: `Release ${name}'s seat?`,
+      body: 'They lose school-plan access right away. Their practice history stays on their account.',
+      confirmLabel: 'Release',
+      tone: 'danger',
+    });
+    if (!ok) return;
+    startTransition(async () => {
+      const res = await releaseSeat(seatId);
+      if (!res.ok) {
+        window.alert(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={onRelease}
+        disabled={pending}
+        className={s.releaseBtn}
+        aria-label={`Release seat for ${name}`}
+      >
+        {pending ? '…' : 'Release'}
+      </button>
+      {confirmDialog}
+    </>
+  );
+}
+
+export function RevokeInviteButton({ inviteId, email }: { inviteId: string; email: string }) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+
+  function onRevoke() {
+    startTransition(async () => {
+      const res = await revokeSeatInvite(inviteId);
+      if (!res.ok) {
+        window.alert(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onRevoke}
+      disabled={pending}
+      className={s.releaseBtn}
+      aria-label={`Withdraw invitation for ${email}`}
+    >
+      {pending ? '…' : 'Withdraw'}
+    </button>
+  );
+}
+
+export function SeatInviteResponse({ inviteId }: { inviteId: string }) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+
+  function respond(accept: boolean) {
+    setError(null);
+    startTransition(async () => {
+      const res = await respondToSeatInvite(inviteId, accept);
+      if (!res.ok) {
+        setError(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <div>
+      <div className={s.inlineForm}>
+        <Button variant="primary" size="sm" disabled={pending} onClick={() => respond(true)}>
+          {pending ? 'Saving…' : 'Accept seat'}
+        </Button>
+        <Button variant="secondary" size="sm" disabled={pending} onClick={() => respond(false)}>
+          Decline
+        </Button>
+      </div>
+      {error && <div className={b.errorBanner}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+// School plan actions — creating the org, inviting people to seats
+// and releasing them, the invitee's accept / decline, and changing the
+// paid seat count.
+//
+// Seat writes go through SECURITY DEFINER functions in
+// 20261019310000_school_seats.sql and 20261019370000_org_seat_invites.sql,
+// which check org-admin membership (or, for accept / decline, that the
+// invitation is addressed to the caller's sign-in email) and lock the
+// org row so two admins can't both fill the last seat. An invitation
+// reports the same result for every address, so the form can't be
+// used to learn who has an account. The
+// seat count is changed in Stripe only: the webhook writes
+// organizations.seat_quantity back, same as it owns every other
+// subscription field.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { requireUser } from '@/lib/api/auth';
+import { actionFail, actionOk, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { sendSeatInvitationEmail } from '@/lib/email/seatInvitation';
+import { getStripe } from '@/lib/stripe';
+import type { ActionResult } from '@/lib/types';
+
+const MAX_SEATS = 2000;
+
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+const ACCEPT_MESSAGES: Record<string, string> = {
+  seated_elsewhere: 'You already have a seat with another school. Ask that school to release it first.',
+  not_eligible: 'School seats are for student and teacher accounts.',
+  full: 'Every seat in this school is taken right now. Ask the school to add one.',
+};
+
+async function userContext() {
+  try {
+    return { ctx: await requireUser() };
+  } catch (e) {
+    if (e instanceof ApiError) return { fail: e.toActionResult() };
+    return { fail: actionFail('Unexpected error') };
+  }
+}
+
+export async function createSchool(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  const { ctx, fail } = await userContext();
+  if (!ctx) return fail;
+
+  const name = String(formData.get('name') || '').trim();
+  if (!name) return actionFail('Give the school a name.');
+  if (name.length > 200) return actionFail('Name is too long (max 200 characters).');
+
+  const { error } = await ctx.supabase.rpc('create_organization', { p_name: name });
+  if (error) return actionFail(`Could not create the school: ${error.message}`);
+
+  revalidatePath('/account/school');
+  return actionOk();
+}
+
+export async function inviteSeat(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  const { ctx, fail } = await userContext();
+  if (!ctx) return fail;
+
+  const rl = await checkRateLimit('org.seat_invite', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
+
+  const orgId = String(formData.get('org_id') || '');
+  const email = String(formData.get('email') || '').trim().toLowerCase();
+  if (!orgId) return actionFail('org_id required');
+  if (!EMAIL_RE.test(email)) return actionFail('Enter a valid email address.');
+
+  const { data: outcome, error } = await ctx.supabase.rpc('invite_org_seat', {
+    p_org: orgId,
+    p_email: email,
+  });
+  if (error) return actionFail(`Could not send the invitation: ${error.message}`);
+  if (outcome === 'full') return actionFail('Every seat is taken or held by an invitation. Add seats or free one first.');
+
+  const { data: org } = await ctx.supabase.from('organizations').select('name').eq('id', orgId).maybeSingle();
+  await sendSeatInvitationEmail({
+    email,
+    schoolName: org?.name ?? 'A school',
+    inviterName: ctx.profile.first_name || 'Your school',
+    siteUrl: process.env.NEXT_PUBLIC_SITE_URL,
+  });
+
+  revalidatePath('/account/school');
+  return actionOk();
+}
+
+export async function revokeSeatInvite(inviteId: string): Promise<ActionResult> {
+  const { ctx, fail } = await userContext();
+  if (!ctx) return fail;
+  if (!inviteId) return actionFail('inviteId required');
+
+  const { error } = await ctx.supabase.rpc('revoke_org_seat_invite', { p_invite: inviteId });
+  if (error) return actionFail(`Could not withdraw the invitation: ${error.message}`);
+
+  revalidatePath('/account/school');
+  return actionOk();
+}
+
+/** The invitee's answer to a seat invitation addressed to their sign-in email. */
+export async function respondToSeatInvite(inviteId: string, accept: boolean): Promise<ActionResult> {
+  const { ctx, fail } = await userContext();
+  if (!ctx) return fail;
+  if (!inviteId) return actionFail('inviteId required');
+
+  if (!accept) {
+    const { error } = await ctx.supabase.rpc('decline_org_seat_invite', { p_invite: inviteId });
+    if (error) return actionFail(`Could not decline the invitation: ${error.message}`);
+  } else {
+    const { data: outcome, error } = await ctx.supabase.rpc('accept_org_seat_invite', { p_invite: inviteId });
+    if (error) return actionFail(`Could not accept the invitation: ${error.message}`);
+    if (outcome !== 'accepted') return actionFail(ACCEPT_MESSAGES[outcome] ?? 'Could not accept the invitation.');
+  }
+
+  revalidatePath('/account/school');
+  return actionOk();
+}
+
+export async function releaseSeat(seatId: string): Promise<ActionResult> {
+  const { ctx, fail } = await userContext();
+  if (!ctx) return fail;
+  if (!seatId) return actionFail('seatId required');
+
+  const { error } = await ctx.supabase.rpc('release_org_seat', { p_seat: seatId });
+  if (error) return actionFail(`Could not release the seat: ${error.message}`);
+
+  revalidatePath('/account/school');
+  return actionOk();
+}
+
+/**
+ * Change how many seats the school pays for. Stripe prorates the
+ * change onto the next invoice. Can't go below the seats in use — the
+ * admin releases seats first, so nobody loses access by surprise.
+ */
+export async function updateSeatCount(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  const { ctx, fail } = await userContext();
+  if (!ctx) return fail;
+  const { user, supabase } = ctx;
+
+  const orgId = String(formData.get('org_id') || '');
+  const seats = Number(formData.get('seats'));
+  if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS) {
+    return actionFail(`Seats must be 1 to ${MAX_SEATS}.`);
+  }
+
+  const { data: adminRow } = await supabase
+    .from('organization_admins')
+    .select('organization_id')
+    .eq('organization_id', orgId)
+    .eq('user_id', user.id)
+    .maybeSingle();
+  if (!adminRow) return actionFail('Not an admin of this school.');
+
+  const [{ data: org }, { count: used }] = await Promise.all([
+    supabase
+      .from('organizations')
+      .select('status, seat_quantity, stripe_subscription_id')
+      .eq('id', orgId)
+      .maybeSingle(),
+    supabase
+      .from('organization_seats')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', orgId)
+      .is('released_at', null),
+  ]);
+  if (!org?.stripe_subscription_id || !['active', 'trialing', 'past_due'].includes(org.status)) {
+    return actionFail('This school has no live subscription to change.');
+  }
+  if (seats === org.seat_quantity) return actionOk();
+  if (seats < (used ?? 0)) {
+    return actionFail(`${used} seats are in use. Release some before going down to ${seats}.`);
+  }
+
+  try {
+    const stripe = getStripe();
+    const sub = await stripe.subscriptions.retrieve(org.stripe_subscription_id);
+    const item = sub.items.data[0];
+    if (!item) return actionFail('The subscription has no seat item.');
+    await stripe.subscriptions.update(sub.id, {
+      items: [{ id: item.id, quantity: seats }],
+      proration_behavior: 'create_prorations',
+    });
+  } catch (e) {
+    return actionFail(`Stripe refused the change: ${e instanceof Error ? e.message : String(e)}`);
+  }
+
+  revalidatePath('/account/school');
+  return actionOk();
+}
@@ -0,0 +1,317 @@
+// School plan — the org admin's surface. One card per organization the
+// caller administers: subscription status and seat usage, buying or
+// changing seats (Stripe), inviting people to seats by email and
+// releasing them, plus recently released seats so the admin can see
+// who was reclaimed when a student was archived.
+//
+// It is also where an invitee answers: seat invitations addressed to
+// the caller's sign-in email (RLS matches them on the JWT email) show
+// above everything else with Accept / Decline.
+//
+// Seat holders are usually people the admin can't read under
+// can_view (another tutor's students, a colleague teacher), so their
+// names come from a service-role read scoped to the seat rows RLS
+// already returned for this admin.
+
+import { redirect } from 'next/navigation';
+import { requireServiceRole, requireUser } from '@/lib/api/auth';
+import { Button } from '@/lib/ui/Button';
+import { Card } from '@/lib/ui/Card';
+import { formatShortDate } from '@/lib/formatters';
+import {
+  BuySeatsButton,
+  CreateSchoolForm,
+  InviteSeatForm,
+  ReleaseSeatButton,
+  RevokeInviteButton,
+  SchoolPortalButton,
+  SeatCountForm,
+  SeatInviteResponse,
+} from './SchoolForms';
+import b from '../billing/Billing.module.css';
+import s from './School.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const LIVE_STATUSES = ['active', 'trialing', 'past_due'];
+const RELEASED_SHOWN = 20;
+
+const STATUS_LABELS: Record<string, string> = {
+  pending: 'Not purchased yet',
+  trialing: 'Free trial',
+  active: 'Active',
+  past_due: 'Payment overdue',
+  canceled: 'Canceled',
+  unpaid: 'Unpaid',
+};
+
+const RELEASE_LABELS: Record<string, string> = {
+  unassigned: 'Released',
+  archived: 'Account archived',
+};
+
+export default async function SchoolPage({
+  searchParams,
+}: {
+  searchParams: Promise<{ checkout?: string }>;
+}) {
+  let ctx;
+  try {
+    ctx = await requireUser();
+  } catch {
+    redirect('/login?next=/account/school');
+  }
+  const { user, profile, supabase } = ctx;
+  const { checkout } = await searchParams;
+
+  const now = new Date().toISOString();
+  const [{ data: adminRows }, { data: myInviteRows }] = await Promise.all([
+    supabase.from('organization_admins').select('organization_id').eq('user_id', user.id),
+    supabase
+      .from('organization_seat_invites')
+      .select('id, invited_at, expires_at, organizations(name)')
+      .eq('email', (user.email ?? '').toLowerCase())
+      .eq('status', 'pending')
+      .gt('expires_at', now)
+      .order('invited_at', { ascending: false }),
+  ]);
+  const orgIds = (adminRows ?? []).map((r) => r.organization_id);
+  const myInvites = myInviteRows ?? [];
+
+  const [{ data: orgRows }, { data: seatRows }, { data: inviteRows }] = orgIds.length
+    ? await Promise.all([
+        supabase
+          .from('organizations')
+          .select('id, name, status, seat_quantity, current_period_end, cancel_at_period_end, stripe_customer_id')
+          .in('id', orgIds)
+          .order('created_at', { ascending: true }),
+        supabase
+          .from('organization_seats')
+          .select('id, organization_id, user_id, assigned_at, released_at, release_reason')
+          .in('organization_id', orgIds)
+          .order('assigned_at', { ascending: false }),
+        supabase
+          .from('organization_seat_invites')
+          .select('id, organization_id, email, invited_at, expires_at')
+          .in('organization_id', orgIds)
+          .eq('status', 'pending')
+          .gt('expires_at', now)
+          .order('invited_at', { ascending: false }),
+      ])
+    : [{ data: [] }, { data: [] }, { data: [] }];
+  const seats = seatRows ?? [];
+  const invites = inviteRows ?? [];
+
+  const people = new Map<string, { name: string; email: string | null; role: string }>();
+  if (seats.length > 0) {
+    const { service } = await requireServiceRole('org admin seat roster names');
+    const { data: profileRows } = await service
+      .from('profiles')
+      .select('id, first_name, last_name, email, role')
+      .in('id', [...new Set(seats.map((seat) => seat.user_id))]);
+    for (const p of profileRows ?? []) {
+      people.set(p.id, {
+        name: [p.first_name, p.last_name].filter(Boolean).join(' ') || p.email || 'Unnamed',
+        email: p.email,
+        role: p.role,
+      });
+    }
+  }
+
+  const orgs = (orgRows ?? []).map((org) => {
+    const mine = seats.filter((seat) => seat.organization_id === org.id);
+    const live = mine.filter((seat) => seat.released_at == null);
+    const released = mine
+      .filter((seat) => seat.released_at != null)
+      .sort((x, y) => (y.released_at ?? '').localeCompare(x.released_at ?? ''))
+      .slice(0, RELEASED_SHOWN);
+    const pending = invites.filter((invite) => invite.organization_id === org.id);
+    return { ...org, live, released, pending, isLive: LIVE_STATUSES.includes(org.status) };
+  });
+
+  const canCreate = ['teacher', 'manager', 'admin'].includes(profile.role);
+
+  return (
+    <main className={`${b.page} ${s.page}`}>
+      <div className={b.header}>
+        <h1 className={b.h1}>School plan</h1>
+        <Button href="/account/billing" variant="secondary" size="sm">Billing</Button>
+      </div>
+
+      {checkout === 'success' && (
+        <div className={s.success}>
+          Payment received. Seats appear below as soon as Stripe confirms the subscription.
+        </div>
+      )}
+
+      {myInvites.map((invite) => (
+        <Card key={invite.id} className={b.card}>
+          <div className={b.eyebrow}>Seat invitation</div>
+          <p className={s.note}>
+            {invite.organizations?.name ?? 'A school'} offered you a seat on its school
+            plan: full access for as long as the school&apos;s subscription runs. Open
+            until {formatShortDate(invite.expires_at)}.
+          </p>
+          <SeatInviteResponse inviteId={invite.id} />
+        </Card>
+      ))}
+
+      {orgs.length === 0 && (
+        <Card className={b.card}>
+          <div className={b.eyebrow}>Buy seats for a school</div>
+          <p className={s.note}>
+            One subscription covers every seat, billed per seat. You invite students and
+            teachers by email and each accepts their own seat; a seat gives full access
+            for as long as the school&apos;s subscription is active.
+          </p>
+          {canCreate ? (
+            <CreateSchoolForm />
+          ) : (
+            <p className={s.note}>
+              Ask your school&apos;s coordinator or tutor to set up the school plan and
+              invite you to a seat. The invitation shows up here.
+            </p>
+          )}
+        </Card>
+      )}
+
+      {orgs.map((org) => (
+        <Card key={org.id} className={b.card}>
+          <section className={b.statusBlock}>
+            <div className={b.eyebrow}>{org.name}</div>
+            <div className={b.statusRow}>
+              <span
+                className={`${b.dot} ${org.isLive && org.status !== 'past_due' ? b.dotActive : b.dotInactive}`}
+                aria-hidden="true"
+              />
+              <span className={b.statusLabel}>{STATUS_LABELS[org.status] ?? org.status}</span>
+              {org.isLive && (
+                <span className={`${b.pill} ${b.pillSub}`}>
+                  {org.live.length} of {org.seat_quantity} seats used
+                  {org.pending.length > 0 && `, ${org.pending.length} held by invitations`}
+                </span>
+              )}
+            </div>
+          </section>
+
+          {org.isLive && org.current_period_end && (
+            <section className={b.subDetails}>
+              <div className={b.row}>
+                <span className={b.rowLabel}>
+                  {org.cancel_at_period_end ? 'Access until' : 'Next billing date'}
+                </span>
+                <span className={b.rowValue}>{formatShortDate(org.current_period_end)}</span>
+              </div>
+              {org.live.length > org.seat_quantity && (
+                <div className={b.cancelNote}>
+                  {org.live.length - org.seat_quantity} more seat
+                  {org.live.length - org.seat_quantity === 1 ? ' is' : 's are'} assigned than
+                  paid for. Add seats or release some.
+                </div>
+              )}
+              {org.status === 'past_due' && (
+                <div className={b.cancelNote}>
+                  The last payment failed. Seat holders keep access while Stripe retries;
+                  update the card under Invoices &amp; payment.
+                </div>
+              )}
+            </section>
+          )}
+
+          <section className={b.actions}>
+            {org.isLive ? (
+              <>
+                <SeatCountForm orgId={org.id} seatQuantity={org.seat_quantity} seatsUsed={org.live.length} />
+                {org.stripe_customer_id && <SchoolPortalButton orgId={org.id} />}
+              </>
+            ) : (
+              <BuySeatsButton orgId={org.id} defaultSeats={Math.max(org.seat_quantity, org.live.length, 10)} />
+            )}
+          </section>
+
+          <section className={s.section}>
+            <h2 className={s.sectionTitle}>Invite to a seat</h2>
+            <InviteSeatForm orgId={org.id} disabled={!org.isLive} />
+            {!org.isLive && (
+              <p className={s.note}>Invitations can go out once the subscription is active.</p>
+            )}
+          </section>
+
+          {org.pending.length > 0 && (
+            <section className={s.section}>
+              <h2 className={s.sectionTitle}>Waiting for an answer ({org.pending.length})</h2>
+              <table className={s.table}>
+                <tbody>
+                  {org.pending.map((invite) => (
+                    <tr key={invite.id}>
+                      <td>{invite.email}</td>
+                      <td className={s.muted}>Invited {formatShortDate(invite.invited_at)}</td>
+                      <td className={s.muted}>Open until {formatShortDate(invite.expires_at)}</td>
+                      <td>
+                        <RevokeInviteButton inviteId={invite.id} email={invite.email} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
+          <section className={s.section}>
+            <h2 className={s.sectionTitle}>Seats ({org.live.length})</h2>
+            {org.live.length === 0 ? (
+              <p className={s.note}>No seats assigned yet.</p>
+            ) : (
+              <table className={s.table}>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Assigned</th>
+                    <th aria-label="Actions" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {org.live.map((seat) => {
+                    const person = people.get(seat.user_id);
+                    return (
+                      <tr key={seat.id}>
+                        <td>{person?.name ?? 'Unknown'}</td>
+                        <td className={s.muted}>{person?.email ?? '—'}</td>
+                        <td className={b.capitalize}>{person?.role ?? '—'}</td>
+                        <td>{formatShortDate(seat.assigned_at)}</td>
+                        <td>
+                          <ReleaseSeatButton seatId={seat.id} name={person?.name ?? 'this person'} />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          {org.released.length > 0 && (
+            <section className={s.section}>
+              <h2 className={s.sectionTitle}>Recently released</h2>
+              <table className={s.table}>
+                <tbody>
+                  {org.released.map((seat) => (
+                    <tr key={seat.id}>
+                      <td>{people.get(seat.user_id)?.name ?? 'Unknown'}</td>
+                      <td className={s.muted}>
+                        {RELEASE_LABELS[seat.release_reason ?? ''] ?? 'Released'}
+                      </td>
+                      <td>{seat.released_at ? formatShortDate(seat.released_at) : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+        </Card>
+      ))}
+    </main>
+  );
+}
@@ -1,4 +1,5 @@
-import { apiRoute, ok, fail } from '@/lib/api/response';
+import { apiRoute, ok, fail, rateLimited, withRateLimitHeaders } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { requireRole } from '@/lib/api/auth';
 import { fetchClaudeMessages, extractToolUse } from '@/lib/admin/claude';
 import { uploadSvgFigure } from '@/lib/content/upload-figure-server';
@@ -55,6 +56,8 @@ interface GenerateBody {
 
 export const POST = apiRoute(async (request: Request) => {
   const ctx = await requireRole(['admin']);
+  const rl = await checkRateLimit('ai.generate', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return rateLimited(rl);
 
   let body: GenerateBody;
   try {
@@ -190,7 +193,7 @@ export const POST = apiRoute(async (request: Request) => {
   // Nothing is written to the DB here — the client previews this
   // draft (repeating through revision turns as needed) and persists
   // it via saveGeneratedLesson only when the admin confirms.
-  return ok({
+  return withRateLimitHeaders(ok({
     generated,
     title: generated.title.trim(),
     description,
@@ -199,5 +202,5 @@ export const POST = apiRoute(async (request: Request) => {
     // Desmos API and swap into `blocks` before saving.
     pendingGraphs: mapped.pendingGraphs,
     warnings: [...mapped.warnings, ...(validation.warnings ?? []).map(issueText)],
-  });
+  }), rl);
 });
@@ -0,0 +1,124 @@
+import { NextResponse } from 'next/server';
+import { apiRoute, fail } from '@/lib/api/response';
+import { requireRole } from '@/lib/api/auth';
+import { fetchAll } from '@/lib/supabase/fetchAll';
+import { extensionForMediaType, figureUrlsIn, type PackageFile } from '@/lib/qti/html';
+import { EXPORT_QUESTION_COLUMNS, bankHints, bankOptions, type ExportQuestion } from '@/lib/qti/item';
+import { buildQtiPackage } from '@/lib/qti/package';
+// Shared .mjs MathJax renderer; no type declarations.
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import { texToMathml } from '@/lib/content/render-math.mjs';
+
+// ============================================================
+// GET /api/admin/qti/export
+// ============================================================
+// Admin-only. Downloads a filtered slice of questions_v2 as a QTI 3.0
+// content package (lib/qti/package.ts has the layout). Query params,
+// all optional and ANDed:
+//
+//   domain   domain_code        skill    skill_code
+//   pattern  pattern_id         status   published (default) |
+//                                        unpublished | broken | all
+//
+// Soft-deleted rows are never exported. Figures stored as bucket
+// URLs are fetched and packaged so the ZIP is self-contained; a
+// figure that can't be fetched stays an absolute URL and is counted
+// in X-QTI-Unresolved-Figures. Rows whose type has no QTI mapping
+// are counted in X-QTI-Skipped.
+export const maxDuration = 300;
+
+const MAX_ITEMS = 2000;
+const MAX_FIGURE_BYTES = 5 * 1024 * 1024;
+const FIGURE_TIMEOUT_MS = 10_000;
+const FIGURE_CONCURRENCY = 6;
+const STATUSES = ['published', 'unpublished', 'broken', 'all'] as const;
+
+async function fetchFigure(url: string): Promise<PackageFile | null> {
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(FIGURE_TIMEOUT_MS) });
+    if (!res.ok) return null;
+    const mediaType = (res.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase();
+    if (!extensionForMediaType(mediaType)) return null;
+    const bytes = Buffer.from(await res.arrayBuffer());
+    if (bytes.length === 0 || bytes.length > MAX_FIGURE_BYTES) return null;
+    return { mediaType, bytes };
+  } catch {
+    return null;
+  }
+}
+
+async function fetchFigures(urls: string[]): Promise<Map<string, PackageFile>> {
+  const out = new Map<string, PackageFile>();
+  for (let i = 0; i < urls.length; i += FIGURE_CONCURRENCY) {
+    const batch = urls.slice(i, i + FIGURE_CONCURRENCY);
+    const files = await Promise.all(batch.map(fetchFigure));
+    batch.forEach((url, j) => {
+      const file = files[j];
+      if (file) out.set(url, file);
+    });
+  }
+  return out;
+}
+
+export const GET = apiRoute(async (request: Request) => {
+  const { supabase } = await requireRole(['admin']);
+
+  const params = new URL(request.url).searchParams;
+  const domain = params.get('domain')?.trim() || null;
+  const skill = params.get('skill')?.trim() || null;
+  const pattern = params.get('pattern')?.trim() || null;
+  const status = (params.get('status')?.trim() || 'published') as (typeof STATUSES)[number];
+  if (!STATUSES.includes(status)) return fail(`status must be one of ${STATUSES.join(', ')}`, 400);
+
+  const rows = await fetchAll<ExportQuestion>(
+    (from, to) => {
+      let q = supabase.from('questions_v2').select(EXPORT_QUESTION_COLUMNS).is('deleted_at', null);
+      if (domain) q = q.eq('domain_code', domain);
+      if (skill) q = q.eq('skill_code', skill);
+      if (pattern) q = q.eq('pattern_id', pattern);
+      if (status === 'published') q = q.eq('is_published', true).eq('is_broken', false);
+      if (status === 'unpublished') q = q.eq('is_published', false);
+      if (status === 'broken') q = q.eq('is_broken', true);
+      return q.order('display_code', { ascending: true }).order('id').range(from, to) as unknown as Promise<{
+        data: ExportQuestion[] | null;
+        error: unknown;
+      }>;
+    },
+    { hardCap: MAX_ITEMS + 1 },
+  );
+  if (rows.length === 0) return fail('No questions match that filter.', 404);
+  if (rows.length > MAX_ITEMS) {
+    return fail(`More than ${MAX_ITEMS} questions match — narrow the filter and export in parts.`, 400);
+  }
+
+  const urls = new Set<string>();
+  for (const r of rows) {
+    const html = [
+      r.stem_html,
+      r.stimulus_html,
+      r.rationale_html,
+      ...bankOptions(r.options).map((o) => o.content_html),
+      ...bankHints(r.hints),
+    ];
+    for (const h of html) for (const url of figureUrlsIn(h)) urls.add(url);
+  }
+  const remoteFigures = await fetchFigures([...urls]);
+
+  const built = buildQtiPackage(rows, { texToMathml, remoteFigures });
+  const stamp = new Date().toISOString().slice(0, 10);
+  const scope = [domain, skill, status === 'published' ? null : status].filter(Boolean).join('-');
+  const filename = `studyworks-qti-${scope ? `${scope.replace(/[^A-Za-z0-9-]+/g, '')}-` : ''}${stamp}.zip`;
+
+  return new NextResponse(new Uint8Array(built.zip), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': String(built.zip.length),
+      'X-QTI-Item-Count': String(built.itemCount),
+      'X-QTI-Skipped': String(built.skipped.length),
+      'X-QTI-Unresolved-Figures': String(built.unresolvedFigures.length),
+    },
+  });
+});
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { requireServiceRole } from '@/lib/api/auth';
-import { legacyApiRoute } from '@/lib/api/response';
+import { legacyApiRoute, rateLimited, withRateLimitHeaders } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { extractMcqCorrectId } from '@/lib/practice/correct-answer';
 import { fetchClaudeMessages, extractToolUse } from '@/lib/admin/claude';
 import {
@@ -25,10 +26,12 @@ import {
 export const maxDuration = 60;
 
 export const POST = legacyApiRoute(async (request) => {
-  const { service: admin } = await requireServiceRole(
+  const { service: admin, user, profile } = await requireServiceRole(
     'admin questions-v2 generate — read a question to seed AI generation',
     { allowedRoles: ['admin'] },
   );
+  const rl = await checkRateLimit('ai.generate', { key: user.id, role: profile.role });
+  if (!rl.ok) return rateLimited(rl, { legacy: true });
 
   let body;
   try { body = await request.json(); } catch { body = {}; }
@@ -71,7 +74,7 @@ export const POST = legacyApiRoute(async (request) => {
       );
     }
 
-    return NextResponse.json({
+    return withRateLimitHeaders(NextResponse.json({
       ok: true,
       generated: normalizeGenerated(generated, row.question_type),
       source: {
@@ -82,7 +85,7 @@ export const POST = legacyApiRoute(async (request) => {
         skill_name: row.skill_name,
         difficulty: row.difficulty,
       },
-    });
+    }), rl);
   } catch (e) {
     console.error('questions-v2/generate error:', e);
     return NextResponse.json({ error: e.message || 'Claude request failed' }, { status: 500 });
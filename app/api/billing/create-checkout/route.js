@@ -12,11 +12,16 @@ function getStripe() {
 const PRICE_IDS = {
   student: process.env.STRIPE_STUDENT_PRICE_ID,
   teacher: process.env.STRIPE_TEACHER_PRICE_ID,
+  // Per-seat price; the subscription's quantity is the seat count.
+  school: process.env.STRIPE_SCHOOL_SEAT_PRICE_ID,
 };
 
+const MAX_SCHOOL_SEATS = 2000;
+
 // POST /api/billing/create-checkout
 // Creates a Stripe Checkout session for the authenticated user.
 // Body: { plan: 'student' | 'teacher' }
+//    or { plan: 'school', orgId, seats } — the caller must admin the org.
 export const POST = legacyApiRoute(async (request) => {
   const { user, supabase } = await requireUser();
 
@@ -28,6 +33,10 @@ export const POST = legacyApiRoute(async (request) => {
     return NextResponse.json({ error: 'Invalid plan' }, { status: 400 });
   }
 
+  if (plan === 'school') {
+    return createSchoolCheckout(request, { user, supabase, body, priceId });
+  }
+
   // Check if user already has an active subscription
   const { data: existing } = await supabase
     .from('subscriptions')
@@ -75,3 +84,54 @@ export const POST = legacyApiRoute(async (request) => {
 
   return NextResponse.json({ url: session.url });
 });
+
+// School plan: one subscription for the organization, quantity = seats.
+// The buyer's own access is untouched — they get a seat only if an org
+// admin assigns them one. metadata.org_id routes every Stripe event for
+// this subscription to public.organizations (see the webhook).
+async function createSchoolCheckout(request, { user, supabase, body, priceId }) {
+  const seats = Number(body.seats);
+  if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SCHOOL_SEATS) {
+    return NextResponse.json({ error: `Seats must be 1 to ${MAX_SCHOOL_SEATS}.` }, { status: 400 });
+  }
+
+  const { data: adminRow } = await supabase
+    .from('organization_admins')
+    .select('organization_id')
+    .eq('organization_id', body.orgId ?? '')
+    .eq('user_id', user.id)
+    .maybeSingle();
+  if (!adminRow) {
+    return NextResponse.json({ error: 'Not an admin of this school' }, { status: 403 });
+  }
+
+  const { data: org } = await supabase
+    .from('organizations')
+    .select('id, status, stripe_customer_id')
+    .eq('id', adminRow.organization_id)
+    .maybeSingle();
+  if (!org) {
+    return NextResponse.json({ error: 'School not found' }, { status: 404 });
+  }
+  if (['active', 'trialing', 'past_due'].includes(org.status)) {
+    return NextResponse.json({ error: 'This school already has a subscription. Change seats from the school page.' }, { status: 400 });
+  }
+
+  const origin = request.headers.get('origin') || process.env.NEXT_PUBLIC_SITE_URL || 'https://studyworks.io';
+  const metadata = { org_id: org.id, plan: 'school', purchased_by: user.id };
+
+  const session = await getStripe().checkout.sessions.create({
+    mode: 'subscription',
+    payment_method_types: ['card'],
+    ...(org.stripe_customer_id
+      ? { customer: org.stripe_customer_id }
+      : { customer_email: user.email }),
+    line_items: [{ price: priceId, quantity: seats }],
+    metadata,
+    success_url: `${origin}/account/school?checkout=success`,
+    cancel_url: `${origin}/account/school?checkout=canceled`,
+    subscription_data: { metadata },
+  });
+
+  return NextResponse.json({ url: session.url });
+}
@@ -11,9 +11,38 @@ function getStripe() {
 
 // POST /api/billing/create-portal
 // Creates a Stripe Customer Portal session for subscription management.
+// Body (optional): { orgId } — a school's portal (invoices, card), for
+// that org's admins.
 export const POST = legacyApiRoute(async (request) => {
   const { user, supabase } = await requireUser();
 
+  const body = await request.json().catch(() => ({}));
+  const origin = request.headers.get('origin') || process.env.NEXT_PUBLIC_SITE_URL || 'https://studyworks.io';
+
+  if (body?.orgId) {
+    const { data: adminRow } = await supabase
+      .from('organization_admins')
+      .select('organization_id')
+      .eq('organization_id', body.orgId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    const { data: org } = adminRow
+      ? await supabase
+          .from('organizations')
+          .select('stripe_customer_id')
+          .eq('id', adminRow.organization_id)
+          .maybeSingle()
+      : { data: null };
+    if (!org?.stripe_customer_id) {
+      return NextResponse.json({ error: 'No school subscription found' }, { status: 404 });
+    }
+    const session = await getStripe().billingPortal.sessions.create({
+      customer: org.stripe_customer_id,
+      return_url: `${origin}/account/school`,
+    });
+    return NextResponse.json({ url: session.url });
+  }
+
   // Get the user's stripe customer ID
   const { data: sub } = await supabase
     .from('subscriptions')
@@ -25,8 +54,6 @@ export const POST = legacyApiRoute(async (request) => {
     return NextResponse.json({ error: 'No subscription found' }, { status: 404 });
   }
 
-  const origin = request.headers.get('origin') || process.env.NEXT_PUBLIC_SITE_URL || 'https://studyworks.io';
-
   const session = await getStripe().billingPortal.sessions.create({
     customer: sub.stripe_customer_id,
     return_url: `${origin}/dashboard`,
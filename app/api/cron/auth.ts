@@ -0,0 +1,24 @@
+// Shared auth for the /api/cron/* routes.
+//
+// Vercel Cron invokes each route's GET with
+// `Authorization: Bearer CRON_SECRET` (schedules live in vercel.json);
+// an admin session may also trigger any of them by hand (POST from a
+// tool, or GET in the browser). Anyone else gets requireRole's 401/403.
+//
+// Service role: the scheduled path has no authenticated caller, so a
+// cron route uses createServiceClient() directly (sanctioned pattern —
+// docs/database.md "Safe service-role usage") and logs
+// service_role_bypass with the caller returned here, for audit parity
+// with requireServiceRole.
+
+import { requireRole } from '@/lib/api/auth';
+
+export type CronCaller = 'cron' | 'admin';
+
+/** Admit Vercel Cron by its bearer secret, otherwise require an admin session. */
+export async function requireCronOrAdmin(request: Request): Promise<CronCaller> {
+  const cronSecret = request.headers.get('authorization')?.replace('Bearer ', '');
+  if (cronSecret && cronSecret === process.env.CRON_SECRET) return 'cron';
+  await requireRole(['admin']);
+  return 'admin';
+}
@@ -0,0 +1,207 @@
+// GET/POST /api/cron/calibrate-items — weekly item calibration.
+//
+// Re-estimates every question's 3PL difficulty and discrimination from
+// student responses (lib/practice-test/calibration.ts) and upserts
+// them into item_calibration with their sample sizes and label-
+// disagreement flags. The response population — first attempt per
+// (student, question), hinted and review/training attempts excluded —
+// comes from public.item_calibration_responses() (migrations
+// 20261019130000, 20261019380000), read in keyset pages on
+// (question_id, user_id) so each page starts where the last ended.
+// Rows arrive grouped by question, so the job fits QUESTIONS_PER_FIT
+// questions at a time and writes their calibrations before reading on:
+// memory holds one group's responses, not the population. Each group's
+// EM places students on the responses inside that group only, which is
+// wider than a whole-bank fit but the same model. Questions that
+// picked up no responses keep whatever row they had; nothing is
+// deleted.
+//
+// Vercel Cron or an admin (../auth.ts). Pass ?dryRun=1 to compute and
+// report without writing.
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { fetchAll } from '@/lib/supabase/fetchAll';
+import {
+  calibrateItems,
+  type CalibrationItem,
+  type CalibrationResponse,
+} from '@/lib/practice-test/calibration';
+import type { Insert } from '@/lib/types';
+
+export const dynamic = 'force-dynamic';
+// EM per group of questions takes seconds; the headroom is for the
+// paged reads of the response population.
+export const maxDuration = 300;
+
+// Bounds a runaway read. Reaching it is logged; the questions read in
+// full by then are still calibrated, the rest keep last week's rows.
+const RESPONSE_CAP = 1_000_000;
+// item_calibration_responses clamps its page to PostgREST's max-rows.
+const RESPONSE_PAGE = 1000;
+const QUESTIONS_PER_FIT = 1000;
+const UPSERT_BATCH = 500;
+
+type ResponseRow = { user_id: string; question_id: string; is_correct: boolean };
+type QuestionRow = { id: string; question_type: string | null; difficulty: number | null; score_band: number | null };
+
+/** Index of the first row of the last question in `rows` (rows are grouped by question). */
+function lastQuestionStart(rows: ResponseRow[]): number {
+  const lastId = rows[rows.length - 1].question_id;
+  let i = rows.length - 1;
+  while (i > 0 && rows[i - 1].question_id === lastId) i -= 1;
+  return i;
+}
+
+async function handleCalibrate(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const url = new URL(request.url);
+  const dryRun = url.searchParams.get('dryRun') === '1';
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'weekly item calibration',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const questionRows = await fetchAll<QuestionRow>(
+    async (from: number, to: number) =>
+      await svc
+        .from('questions_v2')
+        .select('id, question_type, difficulty, score_band')
+        .is('deleted_at', null)
+        .order('id', { ascending: true })
+        .range(from, to),
+  );
+  const itemById = new Map<string, CalibrationItem>(questionRows.map((q) => [q.id, {
+    questionId: q.id,
+    questionType: q.question_type,
+    difficulty: q.difficulty,
+    scoreBand: q.score_band,
+  }]));
+
+  const calibratedAt = new Date().toISOString();
+  const students = new Set<string>();
+  let written = 0;
+  const summary = {
+    responses: 0,
+    students: 0,
+    calibrated: 0,
+    reliable: 0,
+    harderThanLabeled: 0,
+    easierThanLabeled: 0,
+    capped: false,
+    dryRun,
+  };
+
+  /** Fit one group of whole questions and write it; returns the write error, if any. */
+  const fitGroup = async (rows: ResponseRow[]): Promise<string | null> => {
+    const responses: CalibrationResponse[] = rows.map((r) => ({
+      userId: r.user_id,
+      questionId: r.question_id,
+      correct: r.is_correct,
+    }));
+    const items = [...new Set(rows.map((r) => r.question_id))]
+      .map((id) => itemById.get(id))
+      .filter((it): it is CalibrationItem => !!it);
+    const calibrated = calibrateItems(items, responses);
+
+    summary.responses += responses.length;
+    for (const r of responses) students.add(r.userId);
+    summary.calibrated += calibrated.length;
+    summary.reliable += calibrated.filter((c) => c.reliable).length;
+    summary.harderThanLabeled += calibrated.filter((c) => c.labelFlag === 'harder_than_labeled').length;
+    summary.easierThanLabeled += calibrated.filter((c) => c.labelFlag === 'easier_than_labeled').length;
+    if (dryRun) return null;
+
+    const out: Insert<'item_calibration'>[] = calibrated.map((c) => ({
+      question_id: c.questionId,
+      n_attempts: c.nAttempts,
+      n_correct: c.nCorrect,
+      p_value: c.pValue,
+      a: c.a,
+      b: c.b,
+      authored_b: c.authoredB,
+      reliable: c.reliable,
+      label_flag: c.labelFlag,
+      calibrated_at: calibratedAt,
+    }));
+    for (let i = 0; i < out.length; i += UPSERT_BATCH) {
+      const { error } = await svc
+        .from('item_calibration')
+        .upsert(out.slice(i, i + UPSERT_BATCH), { onConflict: 'question_id' });
+      if (error) return error.message;
+      written += Math.min(UPSERT_BATCH, out.length - i);
+    }
+    return null;
+  };
+
+  // Keyset pages of responses: each call passes the last
+  // (question_id, user_id) it saw, so the function resumes from the
+  // index instead of re-reading earlier rows the way an OFFSET page
+  // would. `pending` holds rows not yet fitted; its last question may
+  // continue on the next page, so it is held back until it is whole.
+  let pending: ResponseRow[] = [];
+  let pendingQuestions = 0;
+  let last: ResponseRow | null = null;
+  let read = 0;
+  for (;;) {
+    const { data, error } = await svc.rpc('item_calibration_responses', {
+      p_after_question: last?.question_id,
+      p_after_user: last?.user_id,
+      p_limit: RESPONSE_PAGE,
+    });
+    if (error) throw error;
+    const page = (data ?? []) as ResponseRow[];
+    for (const r of page) {
+      if (pending.length === 0 || pending[pending.length - 1].question_id !== r.question_id) pendingQuestions += 1;
+      pending.push(r);
+    }
+    read += page.length;
+    const exhausted = page.length < RESPONSE_PAGE;
+    if (!exhausted && read >= RESPONSE_CAP) {
+      summary.capped = true;
+      logger.warn(
+        { event: 'item_calibration_cron', cap: RESPONSE_CAP, calibrated: summary.calibrated, written },
+        'calibration response cap reached',
+      );
+    }
+    const done = exhausted || summary.capped;
+    if (!done) last = page[page.length - 1];
+
+    if (pending.length > 0 && (done || pendingQuestions > QUESTIONS_PER_FIT)) {
+      // Hold back the last question unless the read is exhausted: it
+      // may continue on the next page, and when the cap stopped the
+      // read it is dropped rather than fitted on a partial sample.
+      const cut = exhausted ? pending.length : lastQuestionStart(pending);
+      const group = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      pendingQuestions = pending.length > 0 ? 1 : 0;
+      const writeError = group.length > 0 ? await fitGroup(group) : null;
+      if (writeError) {
+        logger.error(
+          { event: 'item_calibration_cron', err: writeError, written },
+          'calibration upsert failed',
+        );
+        return NextResponse.json({ error: writeError, written }, { status: 500 });
+      }
+    }
+    if (done) break;
+  }
+  summary.students = students.size;
+
+  logger.info({ event: 'item_calibration_cron', ...summary }, 'item_calibration_cron');
+  return NextResponse.json(summary);
+}
+
+export const GET = legacyApiRoute(handleCalibrate);
+export const POST = legacyApiRoute(handleCalibrate);
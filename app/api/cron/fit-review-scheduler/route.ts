@@ -0,0 +1,119 @@
+// GET/POST /api/cron/fit-review-scheduler — weekly FSRS weight fit.
+//
+// Re-fits each student's FSRS weights (lib/review/fsrs.ts
+// fitFsrsWeights) from their review_log history and upserts them into
+// review_fsrs_params (migration 20261019140000). Students below
+// MIN_FIT_REVIEWS predictions are skipped and keep whatever row they
+// had — the queue falls back to the default weights when there is
+// none. Fitting runs for every student with enough history, whichever
+// scheduler they are on today, so switching a student to FSRS picks
+// up personal weights immediately.
+//
+// Vercel Cron or an admin (../auth.ts). Pass ?dryRun=1 to fit and
+// report without writing.
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { fetchAll } from '@/lib/supabase/fetchAll';
+import { fitFsrsWeights, type ReviewHistoryEntry } from '@/lib/review/fsrs';
+import type { ReviewResult } from '@/lib/review/schedule';
+import type { Insert } from '@/lib/types';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// The whole log in one pass; fetchAll's default 50k cap is sized for
+// interactive reads.
+const LOG_CAP = 1_000_000;
+const UPSERT_BATCH = 500;
+
+async function handleFit(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const url = new URL(request.url);
+  const dryRun = url.searchParams.get('dryRun') === '1';
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'weekly FSRS weight fit',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const logRows = await fetchAll<{
+    student_id: string;
+    item_type: string;
+    item_ref: string;
+    result: string;
+    reviewed_at: string;
+  }>(
+    async (from: number, to: number) =>
+      await svc
+        .from('review_log')
+        .select('student_id, item_type, item_ref, result, reviewed_at')
+        .order('id', { ascending: true })
+        .range(from, to),
+    { hardCap: LOG_CAP },
+  );
+
+  const byStudent = new Map<string, ReviewHistoryEntry[]>();
+  for (const r of logRows) {
+    const entries = byStudent.get(r.student_id) ?? [];
+    entries.push({
+      itemKey: `${r.item_type}:${r.item_ref}`,
+      result: r.result as ReviewResult,
+      reviewedAtIso: r.reviewed_at,
+    });
+    byStudent.set(r.student_id, entries);
+  }
+
+  const fittedAt = new Date().toISOString();
+  const rows: Insert<'review_fsrs_params'>[] = [];
+  let improved = 0;
+  for (const [studentId, history] of byStudent) {
+    const fit = fitFsrsWeights(history);
+    if (!fit) continue;
+    if (fit.logLoss < fit.defaultLogLoss) improved++;
+    rows.push({
+      student_id: studentId,
+      weights: fit.weights,
+      n_reviews: fit.nReviews,
+      log_loss: Math.round(fit.logLoss * 10_000) / 10_000,
+      default_log_loss: Math.round(fit.defaultLogLoss * 10_000) / 10_000,
+      fitted_at: fittedAt,
+    });
+  }
+
+  const summary = {
+    reviews: logRows.length,
+    students: byStudent.size,
+    fitted: rows.length,
+    improvedOnDefaults: improved,
+    dryRun,
+  };
+
+  if (!dryRun) {
+    for (let i = 0; i < rows.length; i += UPSERT_BATCH) {
+      const { error } = await svc
+        .from('review_fsrs_params')
+        .upsert(rows.slice(i, i + UPSERT_BATCH), { onConflict: 'student_id' });
+      if (error) {
+        logger.error({ event: 'fsrs_fit_cron', err: error.message, written: i }, 'FSRS weight upsert failed');
+        return NextResponse.json({ error: error.message, written: i }, { status: 500 });
+      }
+    }
+  }
+
+  logger.info({ event: 'fsrs_fit_cron', ...summary }, 'fsrs_fit_cron');
+  return NextResponse.json(summary);
+}
+
+export const GET = legacyApiRoute(handleFit);
+export const POST = legacyApiRoute(handleFit);
@@ -0,0 +1,45 @@
+// GET/POST /api/cron/lti-grades — the LTI grade passback retry sweep.
+//
+// A completed practice set linked from an LMS queues one score per
+// resource link and attempts it right away (lib/lti/lti-server.ts
+// dispatchLtiScores); anything that failed is left pending on the
+// GRADE_RETRY_SECONDS schedule in lib/lti/launch.ts. This job sends
+// whatever has come due.
+//
+// Vercel Cron or an admin (../auth.ts); every 10 minutes.
+
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { processDueGradePushes } from '@/lib/lti/lti-server';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+const SWEEP_LIMIT = 500;
+const SWEEP_BUDGET_MS = 240_000;
+
+async function handleGradeSweep(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'lti grade passback sweep',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const summary = await processDueGradePushes(svc, { limit: SWEEP_LIMIT, budgetMs: SWEEP_BUDGET_MS });
+  logger.info({ event: 'lti_grade_sweep', ...summary }, 'lti_grade_sweep');
+  return NextResponse.json(summary);
+}
+
+export const GET = legacyApiRoute(handleGradeSweep);
+export const POST = legacyApiRoute(handleGradeSweep);
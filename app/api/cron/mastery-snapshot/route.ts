@@ -0,0 +1,130 @@
+// GET/POST /api/cron/mastery-snapshot — the nightly mastery.snapshot
+// webhook event. Replaces /api/admin/sync-lessonworks, which pushed
+// the same per-student payload straight to Lessonworks.
+//
+// For every active student with a tutor (or the `studentIds` in a
+// manual POST body), builds the Lessonworks-shaped student payload
+// (lib/lessonworksSync.js buildStudentPayload — practice stats, test
+// scores, domain mastery) once, then enqueues:
+//
+//   - standard subscriptions: one mastery.snapshot event per student,
+//     keyed (student, UTC day). No PDFs; partners fetch them through
+//     /api/external/score-report by external_test_id.
+//   - lessonworks_sync subscriptions: one batch of every student,
+//     keyed on the UTC day — the single POST the old sync made. The
+//     report PDFs are attached when it is sent (deliver.ts).
+//
+// A re-run on the same day enqueues nothing new. Delivery then goes
+// through the normal path: the tail of this run attempts what it can,
+// and the /api/cron/webhooks sweep retries the rest.
+//
+// Nothing is computed when no active subscription listens for
+// mastery.snapshot.
+//
+// Vercel Cron or an admin (../auth.ts); daily 06:00 UTC, the old
+// Lessonworks sync slot.
+
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient, type TypedSupabaseClient } from '@/lib/supabase/server';
+import { buildStudentPayload } from '@/lib/lessonworksSync';
+import { enqueueWebhookBatch, enqueueWebhookEvent, processDueDeliveries } from '@/lib/webhooks/deliver';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+const TEST_LIMIT = 10;
+// Leave the tail of the run for delivery; whatever doesn't fit goes
+// out with the next /api/cron/webhooks sweep.
+const DELIVERY_BUDGET_MS = 60_000;
+
+async function handleMasterySnapshot(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'nightly mastery.snapshot webhook event',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const { data: listeners, error: subErr } = await svc
+    .from('webhook_subscriptions')
+    .select('format')
+    .is('disabled_at', null)
+    .contains('events', ['mastery.snapshot']);
+  if (subErr) return NextResponse.json({ error: subErr.message }, { status: 500 });
+  if (!listeners?.length) return NextResponse.json({ message: 'No active mastery.snapshot subscriptions', enqueued: 0 });
+  const perStudent = listeners.some((l) => l.format === 'standard');
+
+  const body = request.method === 'POST' ? await request.json().catch(() => ({})) : {};
+  const requested: unknown = body?.studentIds;
+  const studentIds = Array.isArray(requested) && requested.length > 0
+    ? requested.filter((id): id is string => typeof id === 'string')
+    : await activeTutoredStudentIds(svc);
+
+  const day = new Date().toISOString().slice(0, 10);
+  let enqueued = 0;
+  let failed = 0;
+  const batch: { studentId: string; data: Record<string, unknown> }[] = [];
+
+  // Serial, like the Lessonworks sync it replaces: buildStudentPayload
+  // is a handful of queries per student.
+  for (const studentId of studentIds) {
+    try {
+      const payload = await buildStudentPayload(svc, studentId, { includePdfReports: false, testLimit: TEST_LIMIT });
+      if (!payload) continue;
+      batch.push({ studentId, data: payload });
+      if (!perStudent) continue;
+      const ids = await enqueueWebhookEvent(svc, 'mastery.snapshot', payload, {
+        studentId,
+        key: `${studentId}:${day}`,
+        format: 'standard',
+      });
+      enqueued += ids.length;
+    } catch (err) {
+      failed++;
+      logger.warn(
+        { event: 'mastery_snapshot_student_failed', student_id: studentId, err: (err as Error).message },
+        'mastery_snapshot_student_failed',
+      );
+    }
+  }
+  if (batch.length > 0) {
+    enqueued += (await enqueueWebhookBatch(svc, 'mastery.snapshot', batch, { key: day })).length;
+  }
+
+  const delivery = enqueued > 0
+    ? await processDueDeliveries(svc, { limit: enqueued, budgetMs: DELIVERY_BUDGET_MS })
+    : null;
+  const summary = { students: studentIds.length, enqueued, failed, delivery, day };
+  logger.info({ event: 'mastery_snapshot_cron', ...summary }, 'mastery_snapshot_cron');
+  return NextResponse.json(summary);
+}
+
+// Active students assigned to at least one tutor — the population the
+// Lessonworks sync always covered.
+async function activeTutoredStudentIds(svc: TypedSupabaseClient): Promise<string[]> {
+  const { data: assignments } = await svc
+    .from('teacher_student_assignments')
+    .select('student_id');
+  const uniqueIds = [...new Set((assignments ?? []).map((a) => a.student_id))];
+  if (uniqueIds.length === 0) return [];
+
+  const { data: activeProfiles } = await svc
+    .from('profiles')
+    .select('id')
+    .in('id', uniqueIds)
+    .eq('is_active', true);
+  return (activeProfiles ?? []).map((p) => p.id);
+}
+
+export const GET = legacyApiRoute(handleMasterySnapshot);
+export const POST = legacyApiRoute(handleMasterySnapshot);
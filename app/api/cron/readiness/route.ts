@@ -0,0 +1,193 @@
+// GET/POST /api/cron/readiness — the daily test-readiness job (§5.4).
+//
+// For every student with an upcoming registered test
+// (sat_test_registrations.test_date >= today), recomputes the
+// readiness verdict (lib/plan/load-readiness.ts → computeReadiness)
+// and stores it in student_readiness, where the roster's Readiness
+// column reads it. Rows for students whose registrations have all
+// passed are deleted so the roster never shows a stale verdict.
+//
+// Notification: when a student is at risk within AT_RISK_NOTIFY_DAYS
+// of the test and their tutors haven't been told during this at-risk
+// stretch (shouldNotifyAtRisk), every assigned tutor gets the at-risk
+// email (lib/email/readinessAlert.ts). The stamp is only written when
+// at least one email actually went out, so a Resend outage retries on
+// the next run instead of silently swallowing the alert.
+//
+// Vercel Cron or an admin (../auth.ts); daily 10:00 UTC.
+
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient, type TypedSupabaseClient } from '@/lib/supabase/server';
+import { loadStudentReadiness } from '@/lib/plan/load-readiness';
+import {
+  nextAtRiskNotifiedAt,
+  shouldNotifyAtRisk,
+  type Readiness,
+  type ReadinessVerdict,
+  type StoredReadiness,
+} from '@/lib/plan/readiness';
+import { sendReadinessAlert } from '@/lib/email/readinessAlert';
+
+export const dynamic = 'force-dynamic';
+
+async function handleReadiness(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'daily test-readiness cron',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const today = new Date().toISOString().slice(0, 10);
+  const nowIso = new Date().toISOString();
+  const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'https://www.studyworks.io';
+
+  const [{ data: registrations, error: regErr }, { data: storedRows, error: storedErr }] =
+    await Promise.all([
+      svc.from('sat_test_registrations').select('student_id').gte('test_date', today),
+      svc.from('student_readiness').select('student_id, verdict, test_date, at_risk_notified_at'),
+    ]);
+  if (regErr || storedErr) {
+    return NextResponse.json({ error: (regErr ?? storedErr)?.message }, { status: 500 });
+  }
+
+  const studentIds = [...new Set((registrations ?? []).map((r) => r.student_id))];
+  const stored = new Map<string, StoredReadiness>(
+    (storedRows ?? []).map((r) => [
+      r.student_id,
+      {
+        verdict: r.verdict as ReadinessVerdict,
+        testDate: r.test_date,
+        atRiskNotifiedAt: r.at_risk_notified_at,
+      },
+    ]),
+  );
+
+  const counts = { ready: 0, at_risk: 0, not_ready: 0 };
+  let notified = 0;
+  let emailsSent = 0;
+  let failed = 0;
+
+  // Serial on purpose, like the re-pace job: a handful of queries per
+  // student with an upcoming registration — a small slice of the
+  // active roster at any time.
+  for (const studentId of studentIds) {
+    try {
+      const readiness = await loadStudentReadiness(svc, studentId, today);
+      if (!readiness) continue;
+      counts[readiness.verdict]++;
+      const previous = stored.get(studentId) ?? null;
+
+      let notifiedAt: string | null = null;
+      if (shouldNotifyAtRisk(previous, readiness)) {
+        const sent = await notifyTutors(svc, studentId, readiness, siteUrl);
+        emailsSent += sent;
+        if (sent > 0) {
+          notifiedAt = nowIso;
+          notified++;
+        }
+      }
+
+      const { error: upErr } = await svc.from('student_readiness').upsert(
+        {
+          student_id: studentId,
+          test_date: readiness.testDate,
+          verdict: readiness.verdict,
+          reasons: readiness.reasons,
+          days_to_test: readiness.daysToTest,
+          computed_at: nowIso,
+          at_risk_notified_at: nextAtRiskNotifiedAt(previous, readiness, notifiedAt),
+        },
+        { onConflict: 'student_id' },
+      );
+      if (upErr) throw new Error(upErr.message);
+    } catch (err) {
+      failed++;
+      logger.warn(
+        { event: 'readiness_cron_student_failed', student_id: studentId, err: (err as Error).message },
+        'readiness_cron_student_failed',
+      );
+    }
+  }
+
+  // Test passed (or registration removed) → drop the verdict.
+  const current = new Set(studentIds);
+  const staleIds = [...stored.keys()].filter((id) => !current.has(id));
+  if (staleIds.length) {
+    const { error: delErr } = await svc.from('student_readiness').delete().in('student_id', staleIds);
+    if (delErr) {
+      logger.warn({ event: 'readiness_cron_cleanup_failed', err: delErr.message }, 'readiness_cron_cleanup_failed');
+    }
+  }
+
+  const summary = {
+    checked: studentIds.length,
+    ...counts,
+    notified,
+    emailsSent,
+    removed: staleIds.length,
+    failed,
+    today,
+  };
+  logger.info({ event: 'readiness_cron', ...summary }, 'readiness_cron');
+  return NextResponse.json(summary);
+}
+
+// Emails every assigned tutor; returns how many sends succeeded.
+async function notifyTutors(
+  svc: TypedSupabaseClient,
+  studentId: string,
+  readiness: Readiness,
+  siteUrl: string,
+): Promise<number> {
+  const [{ data: student }, { data: links }] = await Promise.all([
+    svc.from('profiles').select('first_name, last_name, email').eq('id', studentId).maybeSingle(),
+    svc.from('teacher_student_assignments').select('teacher_id').eq('student_id', studentId),
+  ]);
+  const teacherIds = (links ?? []).map((l) => l.teacher_id);
+  if (teacherIds.length === 0) return 0;
+
+  const { data: teachers } = await svc
+    .from('profiles')
+    .select('email, first_name')
+    .in('id', teacherIds);
+
+  const studentName =
+    [student?.first_name, student?.last_name].filter(Boolean).join(' ') || student?.email || 'A student';
+
+  let sent = 0;
+  for (const t of teachers ?? []) {
+    if (!t.email) continue;
+    const r = await sendReadinessAlert({
+      teacherEmail: t.email,
+      teacherFirstName: t.first_name,
+      studentId,
+      studentName,
+      testDate: readiness.testDate,
+      daysToTest: readiness.daysToTest,
+      reasons: readiness.reasons,
+      siteUrl,
+    });
+    if (r.sent) sent++;
+    else {
+      logger.warn(
+        { event: 'readiness_alert_not_sent', student_id: studentId, reason: r.reason },
+        'readiness_alert_not_sent',
+      );
+    }
+  }
+  return sent;
+}
+
+export const GET = legacyApiRoute(handleReadiness);
+export const POST = legacyApiRoute(handleReadiness);
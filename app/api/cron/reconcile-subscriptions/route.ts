@@ -9,36 +9,34 @@
 // This job re-reads every tracked subscription from Stripe (the source of
 // truth) and corrects drift. Because a correction means a webhook was
 // missed, the run also emails the admin: it is monitoring as much as
-// repair. A clean run is silent.
+// repair. A clean run is silent. School organizations are reconciled in
+// a second pass, which also reports orgs with more seats assigned than
+// Stripe bills for.
 //
-// Auth: Vercel Cron invokes GET with Authorization: Bearer CRON_SECRET
-// (same contract as /api/cron/repace); an admin session may also trigger
-// it manually. Pass ?dryRun=1 to report drift without writing — worth
-// doing on the first run after any billing change.
-//
-// Service role: a system-context cron with no authenticated caller for
-// the scheduled path, so it uses createServiceClient() directly
-// (sanctioned pattern — docs/database.md "Safe service-role usage"); the
-// structured service_role_bypass log below keeps audit parity with
-// requireServiceRole.
+// Vercel Cron or an admin (../auth.ts). Pass ?dryRun=1 to report drift
+// without writing — worth doing on the first run after any billing
+// change.
 import { NextResponse } from 'next/server';
-import { requireRole } from '@/lib/api/auth';
+import { requireCronOrAdmin } from '../auth';
 import { legacyApiRoute } from '@/lib/api/response';
 import { logger } from '@/lib/api/logger';
 import { createServiceClient } from '@/lib/supabase/server';
 import { getStripe } from '@/lib/stripe';
-import { reconcileSubscriptions, type SubscriptionRowLike } from '@/lib/billing/reconcile';
+import {
+  reconcileOrganizations,
+  reconcileSubscriptions,
+  type OrganizationRowLike,
+  type SubscriptionRowLike,
+} from '@/lib/billing/reconcile';
+import { fetchAll } from '@/lib/supabase/fetchAll';
 import type { Update } from '@/lib/types';
 import { sendReconciliationAlert } from '@/lib/email/reconciliationAlert';
 
 export const dynamic = 'force-dynamic';
 
 async function handleReconcile(request: Request): Promise<NextResponse> {
-  const cronSecret = request.headers.get('authorization')?.replace('Bearer ', '');
-  const isCron = Boolean(cronSecret && cronSecret === process.env.CRON_SECRET);
-  if (!isCron) {
-    await requireRole(['admin']);
-  }
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
 
   const url = new URL(request.url);
   const dryRun = url.searchParams.get('dryRun') === '1';
@@ -49,7 +47,7 @@ async function handleReconcile(request: Request): Promise<NextResponse> {
       event: 'service_role_bypass',
       reason: 'nightly subscription reconciliation',
       user_id: null,
-      caller_role: isCron ? 'cron' : 'admin',
+      caller_role: caller,
     },
     'service_role_bypass',
   );
@@ -62,7 +60,7 @@ async function handleReconcile(request: Request): Promise<NextResponse> {
         const { data, error } = await svc
           .from('subscriptions')
           .select(
-            'id, user_id, status, plan, stripe_customer_id, stripe_subscription_id, current_period_start, current_period_end, trial_end, cancel_at_period_end',
+            'id, user_id, status, plan, stripe_customer_id, stripe_subscription_id, current_period_start, current_period_end, trial_end, cancel_at_period_end, past_due_since',
           );
         if (error) {
           readError = error.message;
@@ -87,9 +85,55 @@ async function handleReconcile(request: Request): Promise<NextResponse> {
     return NextResponse.json({ error: readError }, { status: 500 });
   }
 
+  const organizations = await reconcileOrganizations(
+    {
+      async fetchOrganizations(): Promise<OrganizationRowLike[]> {
+        const [{ data: orgs, error }, seats] = await Promise.all([
+          svc
+            .from('organizations')
+            .select(
+              'id, name, status, seat_quantity, stripe_customer_id, stripe_subscription_id, current_period_end, cancel_at_period_end',
+            ),
+          fetchAll<{ organization_id: string }>(
+            async (from: number, to: number) =>
+              await svc
+                .from('organization_seats')
+                .select('organization_id')
+                .is('released_at', null)
+                .order('id', { ascending: true })
+                .range(from, to),
+          ),
+        ]);
+        if (error) {
+          readError = error.message;
+          return [];
+        }
+        const assigned = new Map<string, number>();
+        for (const seat of seats) {
+          assigned.set(seat.organization_id, (assigned.get(seat.organization_id) ?? 0) + 1);
+        }
+        return (orgs ?? []).map((o) => ({ ...o, assigned_seats: assigned.get(o.id) ?? 0 }));
+      },
+      async applyOrganizationCorrection(orgId: string, fields: Record<string, unknown>): Promise<void> {
+        const { error } = await svc
+          .from('organizations')
+          .update(fields as Update<'organizations'>)
+          .eq('id', orgId);
+        if (error) throw new Error(`correction failed: ${error.message}`);
+      },
+    },
+    getStripe(),
+    { dryRun },
+  );
+
+  if (readError) {
+    logger.error({ event: 'subscription_reconcile_cron', err: readError }, 'could not read organizations');
+    return NextResponse.json({ error: readError }, { status: 500 });
+  }
+
   // Awaited, not fired and forgotten: a floating promise dies when the
   // Vercel instance freezes at the end of the request.
-  const alert = await sendReconciliationAlert(summary);
+  const alert = await sendReconciliationAlert(summary, organizations);
 
   logger.info(
     {
@@ -101,13 +145,16 @@ async function handleReconcile(request: Request): Promise<NextResponse> {
       skipped: summary.skipped,
       errors: summary.errors,
       accessLosses: summary.accessLosses,
+      organizationsChecked: organizations.checked,
+      organizationsCorrected: organizations.corrected,
+      seatOverages: organizations.seatOverages,
       dryRun: summary.dryRun,
       alerted: alert.sent,
     },
     'subscription_reconcile_cron',
   );
 
-  return NextResponse.json({ ...summary, alerted: alert.sent });
+  return NextResponse.json({ ...summary, organizations, alerted: alert.sent });
 }
 
 export const GET = legacyApiRoute(handleReconcile);
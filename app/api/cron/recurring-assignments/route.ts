@@ -0,0 +1,57 @@
+// GET/POST /api/cron/recurring-assignments — the daily recurring
+// assignment sweep.
+//
+// Every active recurring template (assignment_templates with a
+// repeat_every) whose next_run_on has come due gets its occurrence
+// materialized: one assignment per student, drawn by the template's
+// generation rule, skipping students who still have the previous one
+// open (lib/practice/recurring-server.ts). Outcomes land in
+// assignment_template_runs, which the assignment page shows as the
+// series history.
+//
+// Vercel Cron or an admin (../auth.ts); daily 11:00 UTC.
+
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { processDueRecurringTemplates } from '@/lib/practice/recurring-server';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+const SWEEP_BUDGET_MS = 240_000;
+
+async function handleRecurringAssignments(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'recurring assignment sweep',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const today = new Date().toISOString().slice(0, 10);
+  const result = await processDueRecurringTemplates(svc, { today, budgetMs: SWEEP_BUDGET_MS });
+  const summary = {
+    today,
+    templates: result.templates,
+    deferred: result.deferred,
+    created: result.occurrences.reduce((n, o) => n + o.created, 0),
+    skippedOpen: result.occurrences.reduce((n, o) => n + o.skippedOpen, 0),
+    failed: result.occurrences.reduce((n, o) => n + o.failed, 0),
+    occurrences: result.occurrences,
+  };
+  logger.info({ event: 'recurring_assignments_cron', ...summary, occurrences: undefined }, 'recurring_assignments_cron');
+  return NextResponse.json(summary);
+}
+
+export const GET = legacyApiRoute(handleRecurringAssignments);
+export const POST = legacyApiRoute(handleRecurringAssignments);
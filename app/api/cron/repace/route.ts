@@ -12,20 +12,11 @@
 //     ("the app acting as the tutor"); the Today page tells the student
 //     their plan was updated (system drafts carry created_by = null)
 //
-// Auth: Vercel Cron invokes GET with Authorization: Bearer CRON_SECRET
-// (same contract as /api/admin/sync-lessonworks); an admin session may
-// also trigger it manually (POST from a tool, or GET in the browser)
-// and may pass ?threshold=N to override the drift threshold when
-// testing. Schedule lives in vercel.json (Mondays 11:00 UTC).
-//
-// Service role: this is a system-context cron with no authenticated
-// caller for the scheduled path, so it uses createServiceClient()
-// directly (sanctioned pattern — docs/database.md "Safe service-role
-// usage"); the structured service_role_bypass log below keeps audit
-// parity with requireServiceRole.
+// Vercel Cron or an admin (../auth.ts); Mondays 11:00 UTC. An admin may
+// pass ?threshold=N to override the drift threshold when testing.
 
 import { NextResponse } from 'next/server';
-import { requireRole } from '@/lib/api/auth';
+import { requireCronOrAdmin } from '../auth';
 import { legacyApiRoute } from '@/lib/api/response';
 import { logger } from '@/lib/api/logger';
 import { createServiceClient } from '@/lib/supabase/server';
@@ -35,11 +26,8 @@ import { runRepaceForStudent } from '@/lib/plan/repace-runner';
 export const dynamic = 'force-dynamic';
 
 async function handleRepace(request: Request): Promise<NextResponse> {
-  const cronSecret = request.headers.get('authorization')?.replace('Bearer ', '');
-  const isCron = Boolean(cronSecret && cronSecret === process.env.CRON_SECRET);
-  if (!isCron) {
-    await requireRole(['admin']);
-  }
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
 
   const url = new URL(request.url);
   const thresholdParam = url.searchParams.get('threshold');
@@ -54,7 +42,7 @@ async function handleRepace(request: Request): Promise<NextResponse> {
       event: 'service_role_bypass',
       reason: 'weekly plan re-pace cron',
       user_id: null,
-      caller_role: isCron ? 'cron' : 'admin',
+      caller_role: caller,
     },
     'service_role_bypass',
   );
@@ -0,0 +1,52 @@
+// GET/POST /api/cron/webhooks — the outbound webhook retry sweep.
+//
+// Events are enqueued and attempted once as they happen
+// (lib/webhooks/deliver.ts emitWebhookEvent); anything that failed is
+// left pending with a next_attempt_at on the backoff schedule in
+// lib/webhooks/events.ts. This job attempts every delivery that has
+// come due, up to SWEEP_LIMIT per run and within SWEEP_BUDGET_MS, and
+// dead-letters the ones that exhaust their attempts. Deliveries for
+// disabled subscriptions stay pending until the subscription is
+// re-enabled.
+//
+// Vercel Cron or an admin (../auth.ts); every 5 minutes.
+
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { processDueDeliveries } from '@/lib/webhooks/deliver';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// A healthy receiver answers in well under a second, so a run clears
+// a nightly mastery.snapshot batch quickly. The budget (plus one
+// DELIVERY_TIMEOUT_MS for the attempt in flight) keeps a run inside
+// maxDuration when receivers are hanging instead.
+const SWEEP_LIMIT = 500;
+const SWEEP_BUDGET_MS = 240_000;
+
+async function handleWebhookSweep(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'outbound webhook retry sweep',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const summary = await processDueDeliveries(svc, { limit: SWEEP_LIMIT, budgetMs: SWEEP_BUDGET_MS });
+  logger.info({ event: 'webhook_sweep', ...summary }, 'webhook_sweep');
+  return NextResponse.json(summary);
+}
+
+export const GET = legacyApiRoute(handleWebhookSweep);
+export const POST = legacyApiRoute(handleWebhookSweep);
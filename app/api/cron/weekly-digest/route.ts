@@ -0,0 +1,174 @@
+// GET/POST /api/cron/weekly-digest — the weekly progress email.
+//
+// Every opted-in address (weekly_digest_recipients confirmed and with
+// no unsubscribed_at) gets a digest of its student's last seven days:
+// practice minutes, questions answered, mastery movers, plan
+// adherence, upcoming assignments and the latest practice-test score
+// (lib/digest/load-weekly-digest.ts → buildWeeklyDigest, rendered by
+// lib/email/weeklyDigest.ts from emails/weekly-digest.html). Each
+// email carries the recipient's own unsubscribe link plus RFC 8058
+// one-click headers (/api/public/digest/unsubscribe). Parent and
+// guardian addresses count only once their owner has followed the
+// confirmation link (/api/public/digest/confirm).
+//
+// Send log: one weekly_digest_sends row per (recipient, week) —
+// sent / failed / skipped. Rows already sent or skipped for this week
+// are left alone, so a manual re-run (or Vercel retrying the cron)
+// only retries failures. Archived students are logged as skipped.
+//
+// Mail transport: getEmailClient() — Resend when RESEND_API_KEY is
+// set, otherwise the stub transport outside production, so the whole
+// job runs locally with the messages in the log instead of an inbox.
+//
+// Vercel Cron or an admin (../auth.ts); Sundays 14:00 UTC, so families
+// get it on Sunday morning in the US.
+
+import { NextResponse } from 'next/server';
+import { requireCronOrAdmin } from '../auth';
+import { legacyApiRoute } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { getEmailClient, getFromAddress } from '@/lib/email/client';
+import { sendWeeklyDigest, type DigestMailClient, type DigestRelationship } from '@/lib/email/weeklyDigest';
+import { digestWeek, type WeeklyDigest } from '@/lib/digest/weekly-digest';
+import { loadWeeklyDigest } from '@/lib/digest/load-weekly-digest';
+
+export const dynamic = 'force-dynamic';
+
+interface RecipientRow {
+  id: string;
+  student_id: string;
+  email: string;
+  relationship: string;
+  unsubscribe_token: string;
+}
+
+async function handleWeeklyDigest(request: Request): Promise<NextResponse> {
+  // Vercel Cron's bearer secret, or an admin session.
+  const caller = await requireCronOrAdmin(request);
+
+  const client = getEmailClient() as DigestMailClient | null;
+  if (!client) {
+    logger.warn({ event: 'weekly_digest_cron_no_client' }, 'weekly_digest_cron_no_client');
+    return NextResponse.json({ error: 'Email is not configured (RESEND_API_KEY)' }, { status: 503 });
+  }
+
+  const svc = createServiceClient();
+  logger.info(
+    {
+      event: 'service_role_bypass',
+      reason: 'weekly progress digest cron',
+      user_id: null,
+      caller_role: caller,
+    },
+    'service_role_bypass',
+  );
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { weekStart } = digestWeek(today);
+  const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'https://www.studyworks.io';
+  const from = getFromAddress();
+
+  const [{ data: recipients, error: recErr }, { data: doneRows, error: doneErr }] = await Promise.all([
+    svc
+      .from('weekly_digest_recipients')
+      .select('id, student_id, email, relationship, unsubscribe_token')
+      .is('unsubscribed_at', null)
+      .not('confirmed_at', 'is', null),
+    svc
+      .from('weekly_digest_sends')
+      .select('recipient_id')
+      .eq('week_start', weekStart)
+      .in('status', ['sent', 'skipped']),
+  ]);
+  if (recErr || doneErr) {
+    return NextResponse.json({ error: (recErr ?? doneErr)?.message }, { status: 500 });
+  }
+
+  const done = new Set((doneRows ?? []).map((r) => r.recipient_id));
+  const byStudent = new Map<string, RecipientRow[]>();
+  for (const r of recipients ?? []) {
+    if (done.has(r.id)) continue;
+    const list = byStudent.get(r.student_id) ?? [];
+    list.push(r);
+    byStudent.set(r.student_id, list);
+  }
+
+  const { data: students } = byStudent.size
+    ? await svc.from('profiles').select('id, is_active').in('id', [...byStudent.keys()])
+    : { data: [] as { id: string; is_active: boolean | null }[] };
+  const inactive = new Set((students ?? []).filter((p) => p.is_active === false).map((p) => p.id));
+
+  let sent = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  async function log(r: RecipientRow, status: 'sent' | 'failed' | 'skipped', extra: { id?: string; error?: string } = {}) {
+    const { error } = await svc.from('weekly_digest_sends').upsert(
+      {
+        recipient_id: r.id,
+        student_id: r.student_id,
+        email: r.email,
+        week_start: weekStart,
+        status,
+        provider_message_id: extra.id ?? null,
+        error: extra.error ?? null,
+        created_at: new Date().toISOString(),
+      },
+      { onConflict: 'recipient_id,week_start' },
+    );
+    if (error) {
+      logger.warn({ event: 'weekly_digest_log_failed', recipient_id: r.id, err: error.message }, 'weekly_digest_log_failed');
+    }
+  }
+
+  // Serial, one student at a time: a handful of reads per student and
+  // Resend's per-second limit make parallel sends a liability.
+  for (const [studentId, list] of byStudent) {
+    if (inactive.has(studentId)) {
+      for (const r of list) {
+        skipped++;
+        await log(r, 'skipped', { error: 'student archived' });
+      }
+      continue;
+    }
+
+    let digest: WeeklyDigest;
+    try {
+      digest = await loadWeeklyDigest(svc, studentId, today);
+    } catch (err) {
+      for (const r of list) {
+        failed++;
+        await log(r, 'failed', { error: (err as Error).message });
+      }
+      continue;
+    }
+
+    for (const r of list) {
+      const result = await sendWeeklyDigest(client, r.email, from, {
+        digest,
+        studentId,
+        relationship: r.relationship as DigestRelationship,
+        unsubscribeUrl: `${siteUrl}/api/public/digest/unsubscribe?token=${r.unsubscribe_token}`,
+        siteUrl,
+      });
+      if (result.sent) sent++;
+      else failed++;
+      await log(r, result.sent ? 'sent' : 'failed', result);
+    }
+  }
+
+  const summary = {
+    weekStart,
+    students: byStudent.size,
+    alreadyDone: done.size,
+    sent,
+    failed,
+    skipped,
+  };
+  logger.info({ event: 'weekly_digest_cron', ...summary }, 'weekly_digest_cron');
+  return NextResponse.json(summary);
+}
+
+export const GET = legacyApiRoute(handleWeeklyDigest);
+export const POST = legacyApiRoute(handleWeeklyDigest);
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { createServiceClient } from '../../../../../lib/supabase/server';
 import { requireExternalApiAccess } from '../../../../../lib/externalAuth';
+import { consumerMayAccessStudent } from '../../../../../lib/api/apiKeys';
 import { generateScoreReportPdf } from '../../../../../lib/generateScoreReportPdf';
 import { loadTestResults } from '../../../../../lib/practice-test/load-test-results';
 
@@ -8,7 +9,8 @@ import { loadTestResults } from '../../../../../lib/practice-test/load-test-resu
 // Returns the practice-test score report PDF for a completed
 // attempt. Authenticated via x-api-key header. Service-role client
 // bypasses RLS so external integrations can fetch any completed
-// attempt by id.
+// attempt by id — within the consumer's student allow-list, if it
+// has one (`score-report` scope).
 //
 // Built on the same loadTestResults loader the in-app results page
 // uses, so the PDF stays in sync with what students and tutors see
@@ -25,8 +27,10 @@ export async function GET(request, props) {
   if (!access.ok) {
     return NextResponse.json({ error: access.error }, { status: access.status });
   }
+  return access.track(() => scoreReport(request, params.attemptId, access.consumer));
+}
 
-  const { attemptId } = params;
+async function scoreReport(request, attemptId, consumer) {
   const supabase = createServiceClient();
 
   const { data: attempt, error: attErr } = await supabase
@@ -47,6 +51,9 @@ export async function GET(request, props) {
   if (expectedStudent && attempt.user_id !== expectedStudent) {
     return NextResponse.json({ error: 'Not found' }, { status: 404 });
   }
+  if (!consumerMayAccessStudent(consumer, attempt.user_id)) {
+    return NextResponse.json({ error: 'Not found' }, { status: 404 });
+  }
 
   if (attempt.status !== 'completed') {
     return NextResponse.json({ error: 'Attempt not yet completed' }, { status: 400 });
@@ -67,7 +74,7 @@ export async function GET(request, props) {
   }
 
   const { pdfData } = result.props;
-  const doc = generateScoreReportPdf(pdfData);
+  const doc = generateScoreReportPdf(pdfData, { watermarkUserId: attempt.user_id });
   const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
   const filename = `${(pdfData.test_name || 'Practice-Test').replace(/[^a-zA-Z0-9]+/g, '-')}-Score-Report.pdf`;
 
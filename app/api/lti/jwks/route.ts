@@ -0,0 +1,18 @@
+// GET /api/lti/jwks — the tool's public key set. Platforms verify our
+// deep-linking responses and AGS client assertions with it. Public by
+// design; proxy.js skips /api/lti/.
+
+import { NextResponse } from 'next/server';
+import { logger } from '@/lib/api/logger';
+import { toolJwks } from '@/lib/lti/lti-server';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    return NextResponse.json(toolJwks(), { headers: { 'cache-control': 'public, max-age=300' } });
+  } catch (err) {
+    logger.error({ event: 'lti_jwks_unavailable', err: (err as Error).message }, 'lti_jwks_unavailable');
+    return NextResponse.json({ error: 'LTI is not configured' }, { status: 503 });
+  }
+}
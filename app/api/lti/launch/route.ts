@@ -0,0 +1,126 @@
+// POST /api/lti/launch — LTI 1.3 launch (the OIDC redirect_uri). The
+// platform form-posts id_token + state after /api/lti/login.
+//
+//   1. Check the browser holds the state's cookie (set at login), then
+//      consume the state (single use, ten minutes) for its nonce and
+//      platform, then verify the id_token against that platform's JWKS
+//      and validateLaunch's claim checks (lib/lti/launch.ts).
+//   2. Map the platform user onto a profile (resolveLtiUser) and sign
+//      the browser in as it — the session cookies land on this
+//      response, so the redirect that follows is authenticated.
+//   3. A resource-link launch records the link (target, owner, AGS line
+//      item); a student is enrolled on it and lands on the assignment
+//      or lesson. A deep-linking launch (teachers only) lands on the
+//      picker at /lti/deep-link/<request id>.
+//
+// No session on the way in: proxy.js skips /api/lti/. Rate-limited
+// per IP. Service role for the same reason as /api/lti/login — and an
+// account may be created here.
+
+import { NextResponse, type NextRequest } from 'next/server';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { decodeJwt, JwtError } from '@/lib/lti/jwt';
+import { validateLaunch } from '@/lib/lti/launch';
+import {
+  clearLoginStateCookie,
+  consumeLoginState,
+  createDeepLinkRequest,
+  hasLoginStateCookie,
+  enrollLearner,
+  getPlatform,
+  landingPath,
+  ltiErrorPage,
+  recordResourceLink,
+  resolveLtiUser,
+  startLtiSession,
+  toolOrigin,
+  verifyPlatformToken,
+} from '@/lib/lti/lti-server';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request: NextRequest) {
+  const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() ?? 'unknown';
+  const rl = await checkRateLimit('lti.launch', { key: ip });
+  if (!rl.ok) return ltiErrorPage(`${rl.message} Try again in ${rl.retryAfter} seconds.`, 429);
+
+  const form = await request.formData().catch(() => null);
+  const idToken = form?.get('id_token');
+  const state = form?.get('state');
+  if (typeof idToken !== 'string' || typeof state !== 'string') {
+    const error = form?.get('error_description') ?? form?.get('error');
+    return ltiErrorPage(typeof error === 'string' ? `The LMS refused the launch: ${error}` : 'The LMS sent an incomplete launch.');
+  }
+
+  const svc = createServiceClient();
+  logger.info(
+    { event: 'service_role_bypass', reason: 'lti launch', user_id: null, caller_role: 'anonymous' },
+    'service_role_bypass',
+  );
+
+  if (!hasLoginStateCookie(request, state)) {
+    logger.warn({ event: 'lti_launch_rejected', err: 'state cookie missing' }, 'lti_launch_rejected');
+    return ltiErrorPage('This launch did not start in this browser. Open the link from your course again.', 401);
+  }
+  const login = await consumeLoginState(svc, state);
+  if (!login) return ltiErrorPage('This launch has expired or was already used.', 401);
+  const platform = await getPlatform(svc, login.platformId);
+  if (!platform) return ltiErrorPage('This LMS is no longer registered with Studyworks.', 404);
+
+  let check;
+  try {
+    // The unverified issuer is only compared, never trusted: a token
+    // for another platform fails here or at the signature check.
+    if (decodeJwt(idToken).payload.iss !== platform.issuer) throw new JwtError('Token issuer does not match the login');
+    check = validateLaunch(await verifyPlatformToken(platform, idToken), { platform, nonce: login.nonce });
+  } catch (err) {
+    logger.warn({ event: 'lti_launch_rejected', platform_id: platform.id, err: (err as Error).message }, 'lti_launch_rejected');
+    return ltiErrorPage(err instanceof JwtError ? `The launch could not be verified: ${err.message}.` : 'The launch could not be verified.', 401);
+  }
+  if (!check.ok) {
+    logger.warn({ event: 'lti_launch_rejected', platform_id: platform.id, err: check.error }, 'lti_launch_rejected');
+    return ltiErrorPage(`${check.error}.`, 401);
+  }
+  const { launch } = check;
+
+  if (launch.messageType === 'LtiDeepLinkingRequest' && launch.role !== 'teacher') {
+    return ltiErrorPage('Only instructors can add Studyworks content to a course.', 403);
+  }
+
+  const resolved = await resolveLtiUser(svc, platform, launch);
+  if (!resolved.ok) return ltiErrorPage(resolved.error, 403);
+  const { account } = resolved;
+
+  try {
+    let dest: string;
+    if (launch.messageType === 'LtiDeepLinkingRequest') {
+      dest = `/lti/deep-link/${await createDeepLinkRequest(svc, platform, launch, account.profileId)}`;
+    } else {
+      const link = await recordResourceLink(svc, platform, launch);
+      if (account.role === 'student') await enrollLearner(svc, link, account.profileId, launch.sub);
+      dest = landingPath(link, account.role);
+    }
+
+    const sessionErr = await startLtiSession(svc, account.email);
+    if (sessionErr) throw new Error(`session: ${sessionErr}`);
+
+    logger.info(
+      {
+        event: 'lti_launch',
+        platform_id: platform.id,
+        message_type: launch.messageType,
+        user_id: account.profileId,
+        role: account.role,
+      },
+      'lti_launch',
+    );
+    const res = NextResponse.redirect(new URL(dest, toolOrigin(request.url)), 303);
+    clearLoginStateCookie(res, state);
+    return res;
+  } catch (err) {
+    logger.error({ event: 'lti_launch_failed', platform_id: platform.id, err: (err as Error).message }, 'lti_launch_failed');
+    return ltiErrorPage('Something went wrong opening Studyworks.', 500);
+  }
+}
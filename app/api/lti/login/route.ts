@@ -0,0 +1,90 @@
+// GET/POST /api/lti/login — LTI 1.3 OIDC login initiation (third-party
+// initiated login). The platform sends iss, login_hint, target_link_uri
+// and optionally client_id, lti_deployment_id and lti_message_hint, as
+// a query string or a form post. We store a one-time state + nonce for
+// the registered platform and redirect to its authorization endpoint,
+// which form-posts the id_token to /api/lti/launch.
+//
+// No session: proxy.js skips /api/lti/. Rate-limited per IP.
+//
+// Service role: the login state table is service-only, and there is no
+// caller to act for yet (sanctioned system-context pattern — see
+// docs/database.md "Safe service-role usage"). The structured
+// service_role_bypass log keeps audit parity with requireServiceRole.
+
+import { NextResponse } from 'next/server';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { buildAuthRedirect } from '@/lib/lti/launch';
+import {
+  createLoginState,
+  findPlatform,
+  ltiErrorPage,
+  setLoginStateCookie,
+  toolEndpoints,
+  toolOrigin,
+} from '@/lib/lti/lti-server';
+
+export const dynamic = 'force-dynamic';
+
+async function readParams(request: Request): Promise<URLSearchParams> {
+  if (request.method === 'POST') {
+    const form = await request.formData().catch(() => null);
+    const params = new URLSearchParams();
+    form?.forEach((value, key) => {
+      if (typeof value === 'string') params.set(key, value);
+    });
+    return params;
+  }
+  return new URL(request.url).searchParams;
+}
+
+async function handleLogin(request: Request): Promise<NextResponse> {
+  const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim() ?? 'unknown';
+  const rl = await checkRateLimit('lti.launch', { key: ip });
+  if (!rl.ok) return ltiErrorPage(`${rl.message} Try again in ${rl.retryAfter} seconds.`, 429);
+
+  const params = await readParams(request);
+  const iss = params.get('iss');
+  const loginHint = params.get('login_hint');
+  if (!iss || !loginHint) return ltiErrorPage('The LMS sent an incomplete login request (iss and login_hint are required).');
+
+  const svc = createServiceClient();
+  logger.info(
+    { event: 'service_role_bypass', reason: 'lti login initiation', user_id: null, caller_role: 'anonymous' },
+    'service_role_bypass',
+  );
+
+  const platform = await findPlatform(svc, iss, params.get('client_id'));
+  if (!platform) {
+    logger.warn({ event: 'lti_unknown_platform', iss, client_id: params.get('client_id') }, 'lti_unknown_platform');
+    return ltiErrorPage('This LMS is not registered with Studyworks. Ask your school admin to set it up.', 404);
+  }
+  const deploymentId = params.get('lti_deployment_id');
+  if (deploymentId && !platform.deployment_ids.includes(deploymentId)) {
+    return ltiErrorPage(`Deployment ${deploymentId} is not registered for this LMS.`, 403);
+  }
+
+  const { state, nonce } = await createLoginState(svc, platform.id);
+  const res = NextResponse.redirect(
+    buildAuthRedirect(platform, {
+      loginHint,
+      ltiMessageHint: params.get('lti_message_hint'),
+      redirectUri: toolEndpoints(toolOrigin(request.url)).launch,
+      state,
+      nonce,
+    }),
+    302,
+  );
+  setLoginStateCookie(res, state);
+  return res;
+}
+
+export async function GET(request: Request) {
+  return handleLogin(request);
+}
+
+export async function POST(request: Request) {
+  return handleLogin(request);
+}
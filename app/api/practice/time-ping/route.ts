@@ -23,8 +23,8 @@
 // beacon racing a concurrent submit can't lose either delta.
 
 import { requireUser } from '@/lib/api/auth';
-import { ok, fail, apiRoute } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { ok, fail, apiRoute, rateLimited, withRateLimitHeaders } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 
 export const dynamic = 'force-dynamic';
 
@@ -35,7 +35,7 @@ export const POST = apiRoute(async (req: Request) => {
   // Auth before touching the (untrusted) body — an unauthenticated
   // caller gets 401 regardless of payload. requireUser throws
   // ApiError, which legacyApiRoute converts.
-  const { user, supabase } = await requireUser();
+  const { user, profile, supabase } = await requireUser();
 
   let body: unknown;
   try {
@@ -59,11 +59,8 @@ export const POST = apiRoute(async (req: Request) => {
   // Beacons fire on hide/nav — a real student produces a few per
   // minute. Same per-user limiter the submit action uses, sized
   // generously above any human rate.
-  const rl = await rateLimit(`practice-time-ping:${user.id}`, {
-    limit: 240,
-    windowMs: 60_000,
-  });
-  if (!rl.ok) return fail('Too many requests', 429);
+  const rl = await checkRateLimit('practice.time-ping', { key: user.id, role: profile.role });
+  if (!rl.ok) return rateLimited(rl);
 
   const { data: session } = await supabase
     .from('practice_sessions')
@@ -117,5 +114,5 @@ export const POST = apiRoute(async (req: Request) => {
   );
   if (error) return fail(`Could not record time: ${error.message}`, 500);
 
-  return ok({ recorded: true });
+  return withRateLimitHeaders(ok({ recorded: true }), rl);
 });
@@ -0,0 +1,80 @@
+// GET/POST /api/public/digest/confirm?token=<confirm_token>
+//
+// The link in the confirmation email a parent / guardian address gets
+// when someone adds it to a student's weekly digest
+// (lib/email/digestConfirmation.ts). Until it's followed the cron
+// skips the address. Same shape as ../unsubscribe: no session, the
+// per-address weekly_digest_recipients.confirm_token is the bearer,
+// and the lookup runs on the service client.
+//
+//   GET  → a page with a Confirm button. GET never changes anything —
+//          mail scanners fetch every link in a message, and one of
+//          them must not be able to opt a family in.
+//   POST → stamps confirmed_at (and clears unsubscribed_at: following
+//          the link is an explicit opt-in).
+//
+// Unknown or malformed tokens get the same neutral page, so the
+// endpoint can't be used to probe which tokens exist.
+
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { escapeHtml, page, TOKEN_RE } from '@/lib/digest/public-page';
+
+export const dynamic = 'force-dynamic';
+
+const NOT_FOUND_BODY =
+  '<p style="margin:0;font-size:15px;color:#6b7280;line-height:1.5;">This confirmation link is no longer valid. Ask whoever added your address to add it again and we\'ll send a fresh link.</p>';
+
+async function findRecipient(token: string | null) {
+  if (!token || !TOKEN_RE.test(token)) return null;
+  const svc = createServiceClient();
+  const { data } = await svc
+    .from('weekly_digest_recipients')
+    .select('id, email, confirmed_at, unsubscribed_at')
+    .eq('confirm_token', token)
+    .maybeSingle();
+  return data ? { svc, recipient: data } : null;
+}
+
+function confirmedPage(email: string) {
+  return page(
+    'You\'re all set',
+    `<p style="margin:0;font-size:15px;color:#6b7280;line-height:1.5;">${escapeHtml(email)} will get the weekly Studyworks progress email on Sunday mornings. Every email has an unsubscribe link.</p>`,
+  );
+}
+
+export async function GET(request: Request) {
+  const token = new URL(request.url).searchParams.get('token');
+  const found = await findRecipient(token);
+  if (!found) return page('Link not valid', NOT_FOUND_BODY, 404);
+
+  const { recipient } = found;
+  if (recipient.confirmed_at && !recipient.unsubscribed_at) return confirmedPage(recipient.email);
+  return page(
+    'Get weekly progress emails?',
+    `<p style="margin:0 0 20px;font-size:15px;color:#6b7280;line-height:1.5;">${escapeHtml(recipient.email)} will receive the weekly Studyworks progress digest. You can unsubscribe from any of them.</p>
+    <form method="post" action="?token=${escapeHtml(token)}">
+      <button type="submit" style="background:#2563eb;color:#ffffff;border:0;font-weight:700;font-size:15px;padding:12px 28px;border-radius:10px;cursor:pointer;">Confirm</button>
+    </form>`,
+  );
+}
+
+export async function POST(request: Request) {
+  const token = new URL(request.url).searchParams.get('token');
+  const found = await findRecipient(token);
+  if (!found) return page('Link not valid', NOT_FOUND_BODY, 404);
+
+  const { svc, recipient } = found;
+  if (!recipient.confirmed_at || recipient.unsubscribed_at) {
+    const { error } = await svc
+      .from('weekly_digest_recipients')
+      .update({ confirmed_at: recipient.confirmed_at ?? new Date().toISOString(), unsubscribed_at: null })
+      .eq('id', recipient.id);
+    if (error) {
+      logger.error({ event: 'weekly_digest_confirm_failed', recipient_id: recipient.id, err: error.message }, 'weekly_digest_confirm_failed');
+      return page('Something went wrong', '<p style="margin:0;font-size:15px;color:#6b7280;">Please try the link again in a minute.</p>', 500);
+    }
+    logger.info({ event: 'weekly_digest_confirmed', recipient_id: recipient.id }, 'weekly_digest_confirmed');
+  }
+  return confirmedPage(recipient.email);
+}
@@ -0,0 +1,84 @@
+// GET/POST /api/public/digest/unsubscribe?token=<unsubscribe_token>
+//
+// The weekly progress digest's unsubscribe link. No session — the
+// recipient is often a parent without an account — so the per-address
+// weekly_digest_recipients.unsubscribe_token is the bearer, and the
+// lookup runs on the service client.
+//
+//   GET  → a small confirmation page with an Unsubscribe button. GET
+//          never changes anything: mail scanners and link previewers
+//          fetch every URL in a message, and one of them must not be
+//          able to unsubscribe a family.
+//   POST → stamps unsubscribed_at on that one address (the other
+//          addresses for the student keep getting mail). Serves both
+//          the confirmation form and RFC 8058 one-click unsubscribe,
+//          which mail clients POST to the List-Unsubscribe URL.
+//
+// Unknown or malformed tokens get the same neutral page, so the
+// endpoint can't be used to probe which tokens exist. Re-subscribing
+// is done from the settings card (Account page or the tutor's student
+// page), which clears unsubscribed_at.
+
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import { escapeHtml, page, TOKEN_RE } from '@/lib/digest/public-page';
+
+export const dynamic = 'force-dynamic';
+
+const NOT_FOUND_BODY =
+  '<p style="margin:0;font-size:15px;color:#6b7280;line-height:1.5;">This unsubscribe link is no longer valid. If you keep getting weekly progress emails, reply to one and we\'ll take you off the list.</p>';
+
+async function findRecipient(token: string | null) {
+  if (!token || !TOKEN_RE.test(token)) return null;
+  const svc = createServiceClient();
+  const { data } = await svc
+    .from('weekly_digest_recipients')
+    .select('id, email, unsubscribed_at')
+    .eq('unsubscribe_token', token)
+    .maybeSingle();
+  return data ? { svc, recipient: data } : null;
+}
+
+export async function GET(request: Request) {
+  const token = new URL(request.url).searchParams.get('token');
+  const found = await findRecipient(token);
+  if (!found) return page('Link not valid', NOT_FOUND_BODY, 404);
+
+  const { recipient } = found;
+  if (recipient.unsubscribed_at) {
+    return page(
+      'Already unsubscribed',
+      `<p style="margin:0;font-size:15px;color:#6b7280;line-height:1.5;">${escapeHtml(recipient.email)} no longer receives weekly progress emails.</p>`,
+    );
+  }
+  return page(
+    'Unsubscribe from weekly progress emails?',
+    `<p style="margin:0 0 20px;font-size:15px;color:#6b7280;line-height:1.5;">${escapeHtml(recipient.email)} will stop receiving the weekly Studyworks progress digest. Other addresses on the same student are not affected.</p>
+    <form method="post" action="?token=${escapeHtml(token)}">
+      <button type="submit" style="background:#2563eb;color:#ffffff;border:0;font-weight:700;font-size:15px;padding:12px 28px;border-radius:10px;cursor:pointer;">Unsubscribe</button>
+    </form>`,
+  );
+}
+
+export async function POST(request: Request) {
+  const token = new URL(request.url).searchParams.get('token');
+  const found = await findRecipient(token);
+  if (!found) return page('Link not valid', NOT_FOUND_BODY, 404);
+
+  const { svc, recipient } = found;
+  if (!recipient.unsubscribed_at) {
+    const { error } = await svc
+      .from('weekly_digest_recipients')
+      .update({ unsubscribed_at: new Date().toISOString() })
+      .eq('id', recipient.id);
+    if (error) {
+      logger.error({ event: 'weekly_digest_unsubscribe_failed', recipient_id: recipient.id, err: error.message }, 'weekly_digest_unsubscribe_failed');
+      return page('Something went wrong', '<p style="margin:0;font-size:15px;color:#6b7280;">Please try the link again in a minute.</p>', 500);
+    }
+    logger.info({ event: 'weekly_digest_unsubscribed', recipient_id: recipient.id }, 'weekly_digest_unsubscribed');
+  }
+  return page(
+    'You\'re unsubscribed',
+    `<p style="margin:0;font-size:15px;color:#6b7280;line-height:1.5;">${escapeHtml(recipient.email)} won't receive weekly progress emails anymore.</p>`,
+  );
+}
@@ -1,12 +1,14 @@
 import { NextResponse } from 'next/server';
 import { createServiceClient } from '../../../../../../lib/supabase/server';
 import { requireExternalApiAccess } from '../../../../../../lib/externalAuth';
+import { consumerMayAccessStudent } from '../../../../../../lib/api/apiKeys';
 import { buildStudentPayload } from '../../../../../../lib/lessonworksSync';
 
 // GET /api/public/students/[studentId]/practice-data
 // Returns practice_stats, practice_tests, and domain_mastery for a student.
 // Same payload format as the push sync to LessonWorks.
-// Authenticated via x-api-key header.
+// Authenticated via x-api-key header (`practice-data` scope); a
+// student outside the consumer's allow-list is a 404.
 export async function GET(request, props) {
   const params = await props.params;
   const access = await requireExternalApiAccess(request, {
@@ -16,8 +18,14 @@ export async function GET(request, props) {
   if (!access.ok) {
     return NextResponse.json({ error: access.error }, { status: access.status });
   }
+  return access.track(() => practiceData(params.studentId, access.consumer));
+}
+
+async function practiceData(studentId, consumer) {
+  if (!consumerMayAccessStudent(consumer, studentId)) {
+    return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+  }
 
-  const { studentId } = params;
   const supabase = createServiceClient();
 
   // Verify student exists
@@ -31,13 +31,23 @@
 // and we stamp the LessonWorks link onto that row instead of
 // creating a new auth user.
 //
-// Auth. Single shared `EXTERNAL_API_KEY` env var, same secret the
-// existing GET /api/public/students/[studentId]/practice-data
-// route uses (lib/externalAuth.js). Not multi-tenant.
+// Auth. A registry API key with the `provision` scope
+// (lib/externalAuth.ts). For a consumer with a student allow-list,
+// the repeat and claim paths only resolve to students already on the
+// list — anyone else is a 404, so the answer doesn't confirm the
+// account exists — and a newly created student is appended to it
+// (api_consumer_allow_student) so the consumer can read the account
+// it just made.
+//
+// Webhooks. A create or a claim emits student.provisioned
+// (lib/webhooks/deliver.ts) so other subscribers learn about the
+// linked account; the idempotent repeat path emits nothing.
 
 import { NextResponse } from 'next/server';
 import { createServiceClient } from '@/lib/supabase/server';
 import { requireExternalApiAccess } from '@/lib/externalAuth';
+import { consumerMayAccessStudent } from '@/lib/api/apiKeys';
+import { emitWebhookEvent } from '@/lib/webhooks/deliver';
 import crypto from 'crypto';
 
 export const dynamic = 'force-dynamic';
@@ -74,7 +84,10 @@ export async function POST(request) {
   if (!access.ok) {
     return NextResponse.json({ error: access.error }, { status: access.status });
   }
+  return access.track(() => provisionStudent(request, access.consumer));
+}
 
+async function provisionStudent(request, consumer) {
   let body;
   try {
     body = await request.json();
@@ -115,6 +128,9 @@ export async function POST(request) {
     return NextResponse.json({ error: `Lookup failed: ${lookupErr.message}` }, { status: 500 });
   }
   if (existing) {
+    if (!consumerMayAccessStudent(consumer, existing.id)) {
+      return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+    }
     if (organizationId && existing.lessonworks_organization_id == null) {
       await svc
         .from('profiles')
@@ -141,6 +157,9 @@ export async function POST(request) {
   // steal a profile that's already linked to a different LW
   // student — that's a 409 the operator has to resolve.
   if (claimExistingId) {
+    if (!consumerMayAccessStudent(consumer, claimExistingId)) {
+      return NextResponse.json({ error: 'claim_existing_studyworks_id not found' }, { status: 404 });
+    }
     const { data: target, error: tgtErr } = await svc
       .from('profiles')
       .select('id, role, lessonworks_student_id, lessonworks_organization_id')
@@ -174,6 +193,7 @@ export async function POST(request) {
     if (stampErr) {
       return NextResponse.json({ error: `Claim failed: ${stampErr.message}` }, { status: 500 });
     }
+    emitProvisioned(consumer, claimExistingId, { lessonworksStudentId, organizationId, created: false });
     return NextResponse.json({ student_id: claimExistingId, created: false, claimed: true }, { status: 200 });
   }
 
@@ -237,5 +257,36 @@ export async function POST(request) {
     );
   }
 
-  return NextResponse.json({ student_id: newProfileId, created: true }, { status: 201 });
+  let warning;
+  if (consumer.id && consumer.studentIds) {
+    const { error: allowErr } = await svc.rpc('api_consumer_allow_student', {
+      p_consumer: consumer.id,
+      p_student: newProfileId,
+    });
+    // The student exists and is linked; only the consumer's follow-up
+    // reads are affected, and an admin can add the id by hand.
+    if (allowErr) warning = `Allow-list update failed: ${allowErr.message}`;
+  }
+
+  // After the allow-list append, so a subscription scoped to this
+  // consumer hears about the student it just created.
+  emitProvisioned(consumer, newProfileId, { lessonworksStudentId, organizationId, created: true });
+  return NextResponse.json(
+    { student_id: newProfileId, created: true, ...(warning ? { warning } : {}) },
+    { status: 201 },
+  );
+}
+
+function emitProvisioned(consumer, studentId, { lessonworksStudentId, organizationId, created }) {
+  emitWebhookEvent(
+    'student.provisioned',
+    {
+      student_id: studentId,
+      created,
+      lessonworks_student_id: lessonworksStudentId,
+      lessonworks_organization_id: organizationId,
+      consumer: consumer.name,
+    },
+    { studentId, key: `${studentId}:${lessonworksStudentId}` },
+  );
 }
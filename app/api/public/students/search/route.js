@@ -11,8 +11,9 @@
 // .js) or confirms "none of these" and lets provision create a
 // fresh one.
 //
-// Auth. Single shared `EXTERNAL_API_KEY`, same secret the existing
-// public endpoints use. Not multi-tenant.
+// Auth. A registry API key with the `search` scope
+// (lib/externalAuth.ts). A consumer with a student allow-list only
+// ever sees candidates on its list.
 //
 // Match logic.
 //
@@ -45,6 +46,7 @@
 import { NextResponse } from 'next/server';
 import { createServiceClient } from '@/lib/supabase/server';
 import { requireExternalApiAccess } from '@/lib/externalAuth';
+import { consumerMayAccessStudent } from '@/lib/api/apiKeys';
 
 export const dynamic = 'force-dynamic';
 
@@ -72,13 +74,16 @@ export async function GET(request) {
   // Returns student PII — throttle hard so a leaked key can't be
   // used for bulk roster scraping.
   const access = await requireExternalApiAccess(request, {
-    scope: 'student-search',
+    scope: 'search',
     limit: 30,
   });
   if (!access.ok) {
     return NextResponse.json({ error: access.error }, { status: access.status });
   }
+  return access.track(() => searchStudents(request, access.consumer));
+}
 
+async function searchStudents(request, consumer) {
   const url = new URL(request.url);
   const q = String(url.searchParams.get('q') ?? '').trim();
   const email = String(url.searchParams.get('email') ?? '').trim();
@@ -128,6 +133,7 @@ export async function GET(request) {
   const normTokens = tokens.map(normalize).filter(Boolean);
   const normEmail = email ? normalize(email) : null;
   const filtered = (candidates ?? []).filter((p) => {
+    if (!consumerMayAccessStudent(consumer, p.id)) return false;
     if (normTokens.length > 0) {
       const combined = normalize(`${p.first_name ?? ''} ${p.last_name ?? ''}`);
       if (normTokens.every((t) => combined.includes(t))) return true;
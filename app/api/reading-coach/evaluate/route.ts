@@ -0,0 +1,222 @@
+// POST /api/reading-coach/evaluate — evaluate one Reading Coach
+// response (docs/reading-coach-implementation-plan.md "Evaluation
+// API").
+//
+// Body: { sessionId, stepKey, responseText, clientRequestId }. The
+// client never sends a rubric, attempt number, model or verdict —
+// the step is re-derived server-side (lib/reading-coach/state.ts) and
+// a stepKey that doesn't match it is rejected with 409, so a stale
+// tab or a forged request can't skip a stage.
+//
+// Sequence: entitlement (402) + flag (404) → per-minute limit and the
+// persistent daily cap (429) → input validation (400) → replay of a
+// repeated clientRequestId (returns the stored turn, no second model
+// call) → session load through RLS, own sessions only → step check
+// (409) → insert the turn as `pending` BEFORE the paid call → evaluate
+// → complete (or fail) the stored turn → return feedback and the next
+// step.
+//
+// Evaluator: getReadingCoachEvaluator() — Claude with the
+// deterministic rubric evaluator as fallback, or the rubric evaluator
+// alone without a key. If even that throws, the turn is stored as
+// `failed`; MAX_FAILED_TURNS failures on a step scaffold it, so an
+// outage can't trap the student.
+//
+// Logs carry identifiers, stage, verdict, model, prompt version,
+// latency and token counts — never the student's text.
+
+import { assertWriter, requirePlan } from '@/lib/api/auth';
+import { apiRoute, fail, ok, rateLimited, withRateLimitHeaders } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { logger } from '@/lib/api/logger';
+import { readingCoachOpen } from '@/lib/flags-server';
+import type { Json } from '@/lib/types/database';
+import { buildEvaluationRequest } from '@/lib/reading-coach/evaluator';
+import { getReadingCoachEvaluator } from '@/lib/reading-coach/claude-evaluator';
+import {
+  DAILY_EVALUATION_CAP,
+  dailyCapWindowStart,
+  isUuid,
+  normalizeStudentResponse,
+} from '@/lib/reading-coach/limits';
+import { loadReadingCoachSession } from '@/lib/reading-coach/session';
+import { parseStepKey, stepKeyFor, type ReadingCoachState } from '@/lib/reading-coach/state';
+import type { ReadingCoachTurnRow } from '@/lib/reading-coach/types';
+
+export const dynamic = 'force-dynamic';
+
+const PG_UNIQUE_VIOLATION = '23505';
+
+function turnResult(turn: ReadingCoachTurnRow, state: ReadingCoachState) {
+  const step = state.steps.find((s) => s.stage === turn.stage && s.unitKey === turn.unit_key) ?? null;
+  return {
+    turnId: turn.id,
+    status: turn.status,
+    verdict: turn.verdict,
+    errorCode: turn.error_code,
+    feedback: turn.feedback_text,
+    stepResolution: step?.resolution ?? null,
+    next: { phase: state.phase, stepKey: state.current?.key ?? null },
+  };
+}
+
+export const POST = apiRoute(async (req: Request) => {
+  const ctx = await requirePlan('standard');
+  if (!(await readingCoachOpen())) return fail('Not found', 404);
+  assertWriter(ctx);
+  const { user, supabase } = ctx;
+
+  const rl = await checkRateLimit('reading-coach.evaluate', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return rateLimited(rl);
+
+  let body: Record<string, unknown>;
+  try {
+    body = ((await req.json()) ?? {}) as Record<string, unknown>;
+  } catch {
+    return fail('Invalid body', 400);
+  }
+  const { sessionId, clientRequestId } = body;
+  const stepKey = typeof body.stepKey === 'string' ? body.stepKey : '';
+  const step = parseStepKey(stepKey);
+  if (!isUuid(sessionId) || !isUuid(clientRequestId) || !step) {
+    return fail('sessionId, stepKey and clientRequestId are required', 400);
+  }
+  const response = normalizeStudentResponse(body.responseText);
+  if (!response.ok) return fail(response.error, 400);
+
+  // Replay: the same clientRequestId returns what was stored.
+  const { data: prior } = await supabase
+    .from('reading_coach_turns')
+    .select('*')
+    .eq('user_id', user.id)
+    .eq('client_request_id', clientRequestId)
+    .maybeSingle();
+  if (prior) {
+    if (prior.status === 'pending') return fail('Still evaluating that response', 409);
+    const loaded = await loadReadingCoachSession(supabase, prior.session_id);
+    if (!loaded) return fail('Session not found', 404);
+    return withRateLimitHeaders(ok({ ...turnResult(prior, loaded.state), replayed: true }), rl);
+  }
+
+  const { count: today } = await supabase
+    .from('reading_coach_turns')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', user.id)
+    .gte('created_at', dailyCapWindowStart(new Date()));
+  if ((today ?? 0) >= DAILY_EVALUATION_CAP) {
+    return fail('You’ve reached today’s Reading Coach limit. Come back tomorrow!', 429);
+  }
+
+  const loaded = await loadReadingCoachSession(supabase, sessionId);
+  // Tutors can read a student's session through can_view; only the
+  // owner can answer in it.
+  if (!loaded || loaded.session.user_id !== user.id) return fail('Session not found', 404);
+  if (loaded.session.status !== 'in_progress') return fail('This session is already finished', 409);
+
+  const current = loaded.state.current;
+  if (!current || current.key !== stepKeyFor(step.stage, step.unitKey)) {
+    return fail('This step is no longer current', 409, {
+      currentStepKey: current?.key ?? null,
+      phase: loaded.state.phase,
+    });
+  }
+
+  // Two concurrent submits compute the same attempt_number; the
+  // (session, stage, unit_key, attempt_number) unique index lets one
+  // through. A pending turn orphaned by a crash only reserves its
+  // number — the next submit takes the one after.
+  const { data: turn, error: insErr } = await supabase
+    .from('reading_coach_turns')
+    .insert({
+      session_id: loaded.session.id,
+      user_id: user.id,
+      client_request_id: clientRequestId,
+      stage: current.stage,
+      unit_key: current.unitKey,
+      attempt_number: current.nextAttemptNumber,
+      student_text: response.text,
+    })
+    .select('*')
+    .single();
+  if (insErr || !turn) {
+    if (insErr?.code === PG_UNIQUE_VIOLATION) return fail('That response was already submitted', 409);
+    return fail('Could not save your response', 500);
+  }
+
+  const request = buildEvaluationRequest({
+    version: loaded.version,
+    rubric: loaded.rubric,
+    stage: current.stage,
+    unitKey: current.unitKey,
+    responseText: response.text,
+    attemptNumber: current.misses + 1,
+    maxAttempts: current.maxAttempts,
+  });
+
+  let update;
+  try {
+    const run = await getReadingCoachEvaluator().evaluate(request);
+    const e = run.evaluation;
+    update = {
+      status: 'completed',
+      verdict: e.verdict,
+      error_code: e.errorCode,
+      feedback_text: e.studentFeedback,
+      evidence: e.evidenceKeys as unknown as Json,
+      evaluation_json: {
+        ...e,
+        ...(run.fallbackFrom ? { fallbackFrom: run.fallbackFrom } : {}),
+      } as unknown as Json,
+      model_id: run.modelId,
+      prompt_version: run.promptVersion,
+      input_tokens: run.usage?.inputTokens ?? null,
+      output_tokens: run.usage?.outputTokens ?? null,
+      cache_read_tokens: run.usage?.cacheReadTokens ?? null,
+      latency_ms: run.latencyMs,
+      completed_at: new Date().toISOString(),
+    };
+  } catch (err) {
+    update = {
+      status: 'failed',
+      feedback_text: 'We couldn’t check that one. Your text is saved — try again.',
+      evaluation_json: { failure: err instanceof Error ? err.name : 'Error' } as unknown as Json,
+      completed_at: new Date().toISOString(),
+    };
+  }
+
+  const { data: stored, error: updErr } = await supabase
+    .from('reading_coach_turns')
+    .update(update)
+    .eq('id', turn.id)
+    .select('*')
+    .single();
+  if (updErr || !stored) return fail('Could not save the evaluation', 500);
+
+  await supabase
+    .from('reading_coach_sessions')
+    .update({ last_activity_at: new Date().toISOString() })
+    .eq('id', loaded.session.id);
+
+  logger.info(
+    {
+      event: 'reading_coach_turn',
+      session_id: loaded.session.id,
+      turn_id: stored.id,
+      stage: stored.stage,
+      unit_key: stored.unit_key,
+      attempt: stored.attempt_number,
+      status: stored.status,
+      verdict: stored.verdict,
+      error_code: stored.error_code,
+      model_id: stored.model_id,
+      prompt_version: stored.prompt_version,
+      latency_ms: stored.latency_ms,
+      input_tokens: stored.input_tokens,
+      output_tokens: stored.output_tokens,
+    },
+    'reading_coach_turn',
+  );
+
+  const after = await loadReadingCoachSession(supabase, loaded.session.id);
+  return withRateLimitHeaders(ok(turnResult(stored, after?.state ?? loaded.state)), rl);
+});
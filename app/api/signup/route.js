@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { createServiceClient } from '../../../lib/supabase/server';
-import { rateLimit } from '../../../lib/api/rateLimit';
+import { checkRateLimit } from '../../../lib/api/rateLimitPolicy';
+import { rateLimited } from '../../../lib/api/response';
 import {
   sendAdminSignupNotification,
   sendTeacherNewStudentNotification,
@@ -16,20 +17,12 @@ function generateInviteCode() {
 export async function POST(request) {
   // Unauthenticated route that creates real auth users and validates
   // invite codes — rate-limit per IP so it can't be used for account
-  // spam or teacher-code brute forcing. 10 signups/hour per IP is
-  // far above any legitimate household/classroom rate.
+  // spam or teacher-code brute forcing. The 'signup' policy (10/hour
+  // per IP) is far above any legitimate household/classroom rate.
   const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
     ?? 'unknown';
-  const rl = await rateLimit(`signup:${ip}`, {
-    limit: 10,
-    windowMs: 3_600_000,
-  });
-  if (!rl.ok) {
-    return NextResponse.json(
-      { error: 'Too many signup attempts. Please try again later.' },
-      { status: 429 },
-    );
-  }
+  const rl = await checkRateLimit('signup', { key: ip });
+  if (!rl.ok) return rateLimited(rl, { legacy: true });
 
   const body = await request.json();
   const {
@@ -46,7 +39,7 @@ export async function POST(request) {
     );
   }
 
-  if (!['student', 'teacher', 'exploring'].includes(userType)) {
+  if (!['student', 'teacher', 'exploring', 'guardian'].includes(userType)) {
     return NextResponse.json({ error: 'Invalid user type.' }, { status: 400 });
   }
 
@@ -285,8 +278,10 @@ export async function POST(request) {
     });
   }
 
-  // Determine if the new user needs a subscription
-  const needsSubscription = !metadata.subscription_exempt && userType !== 'exploring';
+  // Determine if the new user needs a subscription. Guardians never do:
+  // the /guardian portal sits outside the subscription gate.
+  const needsSubscription =
+    !metadata.subscription_exempt && userType !== 'exploring' && userType !== 'guardian';
 
   return NextResponse.json({ ok: true, needsSubscription, emailVerificationRequired: true });
 }
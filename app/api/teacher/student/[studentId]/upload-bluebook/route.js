@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { requireServiceRole } from '@/lib/api/auth';
-import { legacyApiRoute } from '@/lib/api/response';
+import { legacyApiRoute, rateLimited, withRateLimitHeaders } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { parseBluebookReport, BluebookParseError } from '@/lib/bluebook/parse-report';
 import { chooseModule2Route } from '@/lib/practice-test/adaptive-routing';
 import { isHardRoute } from '../../../../../../lib/scoreConversion';
@@ -39,10 +40,12 @@ import { isHardRoute } from '../../../../../../lib/scoreConversion';
 export const POST = legacyApiRoute(async (request, props) => {
   const params = await props.params;
   const { studentId } = params;
-  const { supabase, user, service } = await requireServiceRole(
+  const { supabase, user, profile, service } = await requireServiceRole(
     'teacher uploads Bluebook practice test for student',
     { allowedRoles: ['teacher', 'manager', 'admin'] },
   );
+  const rl = await checkRateLimit('bluebook.upload', { key: user.id, role: profile.role });
+  if (!rl.ok) return rateLimited(rl, { legacy: true });
 
   // can_view covers admin, direct tutor->student, manager->tutor->student,
   // and class enrollments. teacher_can_view_student misses the manager paths.
@@ -129,13 +132,13 @@ export const POST = legacyApiRoute(async (request, props) => {
       return NextResponse.json({ error: `Failed to create attempt: ${attemptErr.message}` }, { status: 500 });
     }
 
-    return NextResponse.json({
+    return withRateLimitHeaders(NextResponse.json({
       attempt_id: attempt.id,
       composite_score: composite,
       rw_scaled: rwScaled,
       math_scaled: mathScaled,
       questions_imported: 0,
-    });
+    }), rl);
   }
 
   if (!correctCounts) {
@@ -332,13 +335,13 @@ export const POST = legacyApiRoute(async (request, props) => {
     }, { onConflict: 'test_id,section,module1_correct,module2_correct' });
   }
 
-  return NextResponse.json({
+  return withRateLimitHeaders(NextResponse.json({
     attempt_id: attempt.id,
     composite_score: composite,
     rw_scaled: rwScaled,
     math_scaled: mathScaled,
     questions_imported: questions.length,
-  });
+  }), rl);
 });
 
 // When the test was taken. An explicit test_date wins; otherwise fall
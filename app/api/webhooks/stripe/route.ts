@@ -34,6 +34,16 @@
  * 6. OUT-OF-ORDER EVENTS ARE REJECTED via subscriptions.last_stripe_event_at.
  *    Stripe does not guarantee order; without this a stale 'updated' can
  *    roll a row backwards.
+ *
+ * 7. SCHOOL SUBSCRIPTIONS WRITE public.organizations, NOT subscriptions.
+ *    create-checkout stamps metadata.org_id on a school checkout; those
+ *    events follow rules 3–6 against the org row (seat_quantity is the
+ *    item quantity) and never give the buyer a personal subscription.
+ *
+ * 8. REMINDERS FOLLOW THE WRITE. trial_will_end and payment_failed send
+ *    one dunning email per event (lib/billing/dunning.ts), after any
+ *    access write has landed. The billing_notices claim keeps a retried
+ *    delivery from emailing twice; a failed send is logged, not thrown.
  */
 import { NextResponse } from 'next/server';
 import type Stripe from 'stripe';
@@ -42,12 +52,27 @@ import { logger } from '@/lib/api/logger';
 import { createServiceClient } from '@/lib/supabase/server';
 import {
   idOf,
+  invoiceSubscriptionIdOf,
   mapStripeStatus,
   normalizePlan,
+  organizationFieldsOf,
+  organizationIdOf,
   periodDatesOf,
   unixToIso,
+  type StripeInvoiceLike,
   type StripeSubscriptionLike,
 } from '@/lib/billing/stripe-mapping';
+import { isPlanActivation } from '@/lib/billing/reconcile';
+import {
+  deliverDunningNotice,
+  graceStateOf,
+  pastDueSinceFor,
+  type DunningNotice,
+  type StripeEventLike,
+} from '@/lib/billing/dunning';
+import { billingGraceDays } from '@/lib/flags';
+import { sendBillingReminderEmail } from '@/lib/email/billingReminder';
+import { emitWebhookEvent } from '@/lib/webhooks/deliver';
 import type { Json } from '@/lib/types';
 
 export const runtime = 'nodejs';
@@ -174,11 +199,20 @@ async function handleEvent(svc: ServiceClient, event: Stripe.Event): Promise<str
 
     case 'customer.subscription.created':
     case 'customer.subscription.updated':
-    case 'customer.subscription.deleted':
-      return applySubscription(svc, event.data.object as Stripe.Subscription, event.created);
+    case 'customer.subscription.deleted': {
+      const subscription = event.data.object as Stripe.Subscription;
+      return organizationIdOf(subscription)
+        ? applyOrganizationSubscription(svc, subscription, event.created)
+        : applySubscription(svc, subscription, event.created, event.id);
+    }
 
-    case 'invoice.payment_failed':
-      return applyPaymentFailure(svc, event.data.object as Stripe.Invoice, event.created);
+    case 'invoice.payment_failed': {
+      const outcome = await applyPaymentFailure(svc, event.data.object as Stripe.Invoice, event.created);
+      return `${outcome};reminder:${await sendDunningReminder(svc, event)}`;
+    }
+
+    case 'customer.subscription.trial_will_end':
+      return `reminder:${await sendDunningReminder(svc, event)}`;
 
     default:
       // Recorded in stripe_webhook_events and marked processed. If we ever
@@ -202,6 +236,24 @@ async function bindCheckoutSession(svc: ServiceClient, session: Stripe.Checkout.
 
   const customerId = idOf(session.customer);
   const subscriptionId = idOf(session.subscription);
+
+  const orgId = organizationIdOf(session);
+  if (orgId) {
+    if (!customerId) {
+      throw new Error('checkout.session.completed: school session has no customer id');
+    }
+    const { data, error } = await svc
+      .from('organizations')
+      .update({
+        stripe_customer_id: customerId,
+        ...(subscriptionId ? { stripe_subscription_id: subscriptionId } : {}),
+      })
+      .eq('id', orgId)
+      .select('id');
+    if (error) throw new Error(`organization checkout binding failed: ${error.message}`);
+    if (!data?.length) throw new Error(`checkout.session.completed: no organization ${orgId}`);
+    return 'bound:organization';
+  }
   const plan = normalizePlan(session.metadata?.plan);
 
   const userId = await resolveUserId(svc, {
@@ -255,11 +307,16 @@ async function bindCheckoutSession(svc: ServiceClient, session: Stripe.Checkout.
 /**
  * customer.subscription.created / updated / deleted — the sole writer of
  * status, plan dates and trial_end.
+ *
+ * A write that starts a plan (isPlanActivation) also emits the
+ * plan.activated webhook event, keyed by the Stripe event id so a
+ * redelivered event is not announced twice.
  */
 async function applySubscription(
   svc: ServiceClient,
   subscription: Stripe.Subscription,
   eventCreated: number,
+  stripeEventId: string,
 ): Promise<string> {
   const customerId = idOf(subscription.customer);
 
@@ -275,7 +332,7 @@ async function applySubscription(
 
   const { data: existing } = await svc
     .from('subscriptions')
-    .select('id, last_stripe_event_at, plan')
+    .select('id, last_stripe_event_at, plan, status, past_due_since')
     .eq('user_id', userId)
     .maybeSingle();
 
@@ -288,22 +345,45 @@ async function applySubscription(
     subscription as unknown as StripeSubscriptionLike,
   );
 
+  const status = mapStripeStatus(subscription.status);
   const fields = {
     stripe_customer_id: customerId ?? undefined,
     stripe_subscription_id: subscription.id,
-    status: mapStripeStatus(subscription.status),
+    status,
     plan: normalizePlan(subscription.metadata?.plan ?? existing?.plan),
     current_period_start: unixToIso(periodStart),
     current_period_end: unixToIso(periodEnd),
     trial_end: unixToIso(subscription.trial_end),
     cancel_at_period_end: subscription.cancel_at_period_end ?? false,
+    past_due_since: pastDueSinceFor(existing, status, eventAt),
     last_stripe_event_at: eventAt.toISOString(),
     updated_at: new Date().toISOString(),
   };
 
+  // The status a subscription event last wrote. A row only
+  // bindCheckoutSession has touched carries its placeholder 'trialing',
+  // which must not hide the trial actually starting.
+  const priorStatus = existing?.last_stripe_event_at ? existing.status : null;
+  const announce = () => {
+    if (!isPlanActivation(priorStatus, fields.status)) return;
+    emitWebhookEvent(
+      'plan.activated',
+      {
+        user_id: userId,
+        plan: fields.plan,
+        status: fields.status,
+        previous_status: priorStatus,
+        trial_end: fields.trial_end,
+        current_period_end: fields.current_period_end,
+      },
+      { studentId: userId, key: stripeEventId },
+    );
+  };
+
   if (existing) {
     const { error } = await svc.from('subscriptions').update(fields).eq('id', existing.id);
     if (error) throw new Error(`subscription update failed: ${error.message}`);
+    announce();
     return `applied:${fields.status}`;
   }
 
@@ -315,9 +395,48 @@ async function applySubscription(
     .from('subscriptions')
     .insert({ ...fields, user_id: userId, stripe_customer_id: customerId });
   if (error) throw new Error(`subscription insert failed: ${error.message}`);
+  announce();
   return `applied:${fields.status}:inserted`;
 }
 
+/**
+ * customer.subscription.* for a school plan — the sole writer of an
+ * organization's status, seat_quantity and dates. The org is found by
+ * the metadata stamp, which create-checkout sets on the subscription.
+ */
+async function applyOrganizationSubscription(
+  svc: ServiceClient,
+  subscription: Stripe.Subscription,
+  eventCreated: number,
+): Promise<string> {
+  const orgId = organizationIdOf(subscription);
+  const { data: org, error: readErr } = await svc
+    .from('organizations')
+    .select('id, last_stripe_event_at')
+    .eq('id', orgId ?? '')
+    .maybeSingle();
+  if (readErr) throw new Error(`organization lookup failed: ${readErr.message}`);
+  if (!org) throw new Error(`subscription event: no organization ${orgId} (subscription=${subscription.id})`);
+
+  const eventAt = new Date(eventCreated * 1000);
+  if (org.last_stripe_event_at && new Date(org.last_stripe_event_at) > eventAt) {
+    return 'skipped:out_of_order';
+  }
+
+  const fields = organizationFieldsOf(subscription as unknown as StripeSubscriptionLike);
+  const customerId = idOf(subscription.customer);
+  const { error } = await svc
+    .from('organizations')
+    .update({
+      ...fields,
+      ...(customerId ? { stripe_customer_id: customerId } : {}),
+      last_stripe_event_at: eventAt.toISOString(),
+    })
+    .eq('id', org.id);
+  if (error) throw new Error(`organization update failed: ${error.message}`);
+  return `applied:organization:${fields.status}`;
+}
+
 /**
  * invoice.payment_failed — the event that actually revokes access when a
  * card fails at trial end. Matches on the subscription id when the
@@ -328,10 +447,10 @@ async function applyPaymentFailure(
   invoice: Stripe.Invoice,
   eventCreated: number,
 ): Promise<string> {
-  const subscriptionId = invoiceSubscriptionId(invoice);
+  const subscriptionId = invoiceSubscriptionIdOf(invoice as unknown as StripeInvoiceLike);
   const customerId = idOf(invoice.customer);
 
-  let query = svc.from('subscriptions').select('id, last_stripe_event_at');
+  let query = svc.from('subscriptions').select('id, last_stripe_event_at, status, past_due_since');
   if (subscriptionId) {
     query = query.eq('stripe_subscription_id', subscriptionId);
   } else if (customerId) {
@@ -342,6 +461,10 @@ async function applyPaymentFailure(
 
   const { data: existing, error: readErr } = await query.maybeSingle();
   if (readErr) throw new Error(`payment failure lookup failed: ${readErr.message}`);
+  if (!existing && subscriptionId) {
+    const outcome = await applyOrganizationPaymentFailure(svc, subscriptionId, eventCreated);
+    if (outcome) return outcome;
+  }
   if (!existing) {
     throw new Error(
       `invoice.payment_failed: no subscription row (subscription=${subscriptionId ?? 'none'}, customer=${customerId ?? 'none'})`,
@@ -357,6 +480,7 @@ async function applyPaymentFailure(
     .from('subscriptions')
     .update({
       status: 'past_due',
+      past_due_since: pastDueSinceFor(existing, 'past_due', eventAt),
       last_stripe_event_at: eventAt.toISOString(),
       updated_at: new Date().toISOString(),
     })
@@ -366,6 +490,102 @@ async function applyPaymentFailure(
   return 'applied:past_due';
 }
 
+/** invoice.payment_failed for a school subscription; null when it isn't one. */
+async function applyOrganizationPaymentFailure(
+  svc: ServiceClient,
+  subscriptionId: string,
+  eventCreated: number,
+): Promise<string | null> {
+  const { data: org, error: readErr } = await svc
+    .from('organizations')
+    .select('id, last_stripe_event_at')
+    .eq('stripe_subscription_id', subscriptionId)
+    .maybeSingle();
+  if (readErr) throw new Error(`organization payment failure lookup failed: ${readErr.message}`);
+  if (!org) return null;
+
+  const eventAt = new Date(eventCreated * 1000);
+  if (org.last_stripe_event_at && new Date(org.last_stripe_event_at) > eventAt) {
+    return 'skipped:out_of_order';
+  }
+  const { error } = await svc
+    .from('organizations')
+    .update({ status: 'past_due', last_stripe_event_at: eventAt.toISOString() })
+    .eq('id', org.id);
+  if (error) throw new Error(`organization payment failure update failed: ${error.message}`);
+  return 'applied:organization:past_due';
+}
+
+/**
+ * trial_will_end / payment_failed reminder for a personal subscriber.
+ * School plans have no single recipient and are skipped; their admins
+ * see the status on /account/school.
+ */
+async function sendDunningReminder(svc: ServiceClient, event: Stripe.Event): Promise<string> {
+  return deliverDunningNotice(event as unknown as StripeEventLike, {
+    findRecipient: async (notice) => {
+      const sub = await findNoticeSubscription(svc, notice);
+      if (!sub) return null;
+      const { data: profile } = await svc
+        .from('profiles')
+        .select('email, first_name')
+        .eq('id', sub.user_id)
+        .maybeSingle();
+      if (!profile?.email) return null;
+
+      let graceEndsAt: string | null = null;
+      if (notice.kind === 'payment_failed') {
+        const { data: flag } = await svc
+          .from('feature_flags')
+          .select('value')
+          .eq('key', 'billing_grace_days')
+          .maybeSingle();
+        graceEndsAt = graceStateOf(sub, billingGraceDays(flag?.value))?.graceEndsAt ?? null;
+      }
+      return { userId: sub.user_id, email: profile.email, firstName: profile.first_name, graceEndsAt };
+    },
+    claim: async ({ stripeEventId, userId, kind, email }) => {
+      const { error } = await svc
+        .from('billing_notices')
+        .insert({ stripe_event_id: stripeEventId, user_id: userId, kind, email });
+      if (error?.code === PG_UNIQUE_VIOLATION) return false;
+      if (error) throw new Error(`billing notice claim failed: ${error.message}`);
+      return true;
+    },
+    send: (notice, recipient) =>
+      sendBillingReminderEmail({
+        kind: notice.kind,
+        email: recipient.email,
+        firstName: recipient.firstName,
+        trialEnd: notice.trialEnd,
+        nextAttemptAt: notice.nextAttemptAt,
+        graceEndsAt: recipient.graceEndsAt,
+        amountDue: notice.amountDue,
+        currency: notice.currency,
+        siteUrl: process.env.NEXT_PUBLIC_SITE_URL,
+      }),
+    markSent: async (stripeEventId) => {
+      await svc
+        .from('billing_notices')
+        .update({ sent_at: new Date().toISOString() })
+        .eq('stripe_event_id', stripeEventId);
+    },
+  });
+}
+
+/** The subscriptions row a notice is about: by subscription id (rule 5), else customer. */
+async function findNoticeSubscription(svc: ServiceClient, notice: DunningNotice) {
+  const column = notice.subscriptionId ? 'stripe_subscription_id' : 'stripe_customer_id';
+  const value = notice.subscriptionId ?? notice.customerId;
+  if (!value) return null;
+  const { data } = await svc
+    .from('subscriptions')
+    .select('user_id, status, past_due_since')
+    .eq(column, value)
+    .maybeSingle();
+  return data;
+}
+
 /**
  * Resolve the owning user. Ordered cheapest-and-most-authoritative first;
  * the Stripe email lookup is last because it costs an API call.
@@ -419,16 +639,3 @@ async function resolveUserId(
 
   return null;
 }
-
-/**
- * The 2025-03-31.basil API version removed Invoice.subscription in favour
- * of invoice.parent.subscription_details.subscription. Read both so this
- * survives an API version bump in either direction.
- */
-function invoiceSubscriptionId(invoice: Stripe.Invoice): string | null {
-  const shape = invoice as unknown as {
-    subscription?: string | { id: string } | null;
-    parent?: { subscription_details?: { subscription?: string | { id: string } | null } | null } | null;
-  };
-  return idOf(shape.subscription) ?? idOf(shape.parent?.subscription_details?.subscription);
-}
@@ -25,6 +25,7 @@ export default async function NextLoginPage() {
       role === 'admin' ? '/admin'
       : role === 'teacher' || role === 'manager' ? '/tutor/dashboard'
       : role === 'contributor' ? '/contribute'
+      : role === 'guardian' ? '/guardian'
       : role === 'practice' ? '/practice'
       : '/dashboard';
     redirect(dest);
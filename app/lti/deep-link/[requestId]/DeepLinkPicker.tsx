@@ -0,0 +1,144 @@
+'use client';
+
+// Pick assignments and lessons for an LTI deep-linking response, then
+// hand the signed JWT back to the LMS. The spec's return is a browser
+// form POST of a single `JWT` field to deep_link_return_url, so the
+// picker renders that form and submits it once the action has signed.
+
+import { useEffect, useRef, useState, useTransition } from 'react';
+import { Button } from '@/lib/ui/Button';
+import { isQuestionSetType } from '@/lib/practice/adaptive';
+import { sendDeepLink, type DeepLinkPick } from './actions';
+import s from '../../Lti.module.css';
+
+export type PickerAssignment = {
+  id: string;
+  title: string;
+  type: string;
+  questions: number;
+  dueDate: string | null;
+};
+
+export type PickerLesson = { id: string; title: string; kind: string; domains: string[] };
+
+const pickKey = (p: DeepLinkPick) => `${p.type}:${p.id}`;
+
+export function DeepLinkPicker({
+  requestId,
+  acceptMultiple,
+  assignments,
+  lessons,
+}: {
+  requestId: string;
+  acceptMultiple: boolean;
+  assignments: PickerAssignment[];
+  lessons: PickerLesson[];
+}) {
+  const [picks, setPicks] = useState<DeepLinkPick[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [response, setResponse] = useState<{ returnUrl: string; jwt: string } | null>(null);
+  const [pending, startTransition] = useTransition();
+  const formRef = useRef<HTMLFormElement>(null);
+
+  useEffect(() => {
+    if (response) formRef.current?.submit();
+  }, [response]);
+
+  const picked = new Set(picks.map(pickKey));
+
+  function toggle(pick: DeepLinkPick) {
+    const key = pickKey(pick);
+    setPicks((prev) => {
+      if (prev.some((p) => pickKey(p) === key)) return prev.filter((p) => pickKey(p) !== key);
+      return acceptMultiple ? [...prev, pick] : [pick];
+    });
+  }
+
+  function submit() {
+    setError(null);
+    startTransition(async () => {
+      const res = await sendDeepLink({ requestId, picks });
+      if (!res.ok) {
+        setError(res.error);
+        return;
+      }
+      setResponse(res.data);
+    });
+  }
+
+  const inputType = acceptMultiple ? 'checkbox' : 'radio';
+
+  return (
+    <div className={s.picker}>
+      <section className={s.section}>
+        <h2 className={s.h2}>Your assignments</h2>
+        {assignments.length === 0 ? (
+          <p className={s.empty}>You have no live assignments. Create one in Studyworks first.</p>
+        ) : (
+          <ul className={s.list}>
+            {assignments.map((a) => {
+              const pick: DeepLinkPick = { type: 'assignment', id: a.id };
+              return (
+                <li key={a.id}>
+                  <label className={s.row}>
+                    <input
+                      type={inputType}
+                      name="pick"
+                      checked={picked.has(pickKey(pick))}
+                      onChange={() => toggle(pick)}
+                    />
+                    <span className={s.rowTitle}>{a.title}</span>
+                    <span className={s.rowMeta}>
+                      {isQuestionSetType(a.type) && a.questions > 0 ? `Graded · ${a.questions} questions` : a.type.replace('_', ' ')}
+                      {a.dueDate ? ` · due ${new Date(a.dueDate).toLocaleDateString()}` : ''}
+                    </span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+
+      <section className={s.section}>
+        <h2 className={s.h2}>Lessons</h2>
+        {lessons.length === 0 ? (
+          <p className={s.empty}>No published lessons yet.</p>
+        ) : (
+          <ul className={s.list}>
+            {lessons.map((l) => {
+              const pick: DeepLinkPick = { type: 'lesson', id: l.id };
+              return (
+                <li key={l.id}>
+                  <label className={s.row}>
+                    <input
+                      type={inputType}
+                      name="pick"
+                      checked={picked.has(pickKey(pick))}
+                      onChange={() => toggle(pick)}
+                    />
+                    <span className={s.rowTitle}>{l.title}</span>
+                    <span className={s.rowMeta}>{[l.kind, ...l.domains].join(' · ')}</span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+
+      <div className={s.footer}>
+        {error && <p className={s.error} role="alert">{error}</p>}
+        <Button onClick={submit} disabled={pending || response != null || picks.length === 0}>
+          {response ? 'Returning to your course…' : pending ? 'Adding…' : picks.length > 1 ? `Add ${picks.length} to course` : 'Add to course'}
+        </Button>
+      </div>
+
+      {response && (
+        <form ref={formRef} method="post" action={response.returnUrl} className={s.hidden}>
+          <input type="hidden" name="JWT" value={response.jwt} />
+        </form>
+      )}
+    </div>
+  );
+}
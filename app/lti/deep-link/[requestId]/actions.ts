@@ -0,0 +1,96 @@
+// Server Action for /lti/deep-link/[requestId] — send the teacher's
+// picks back to their LMS as a signed LtiDeepLinkingResponse.
+//
+// The picks are ids only; titles and grading come from the database,
+// and every pick is re-checked here (own, live assignment, or a
+// published lesson). completeDeepLink marks the request used, so a
+// second submit fails instead of signing twice.
+//
+// Service role (requireServiceRole logs the bypass): the platform row
+// and its request are admin-only under RLS.
+
+'use server';
+
+import { headers } from 'next/headers';
+import { requireServiceRole, type ServiceRoleContext } from '@/lib/api/auth';
+import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import type { DeepLinkItem, LtiTargetType } from '@/lib/lti/launch';
+import { completeDeepLink, toolOrigin } from '@/lib/lti/lti-server';
+import { isQuestionSetType, questionSetSize } from '@/lib/practice/adaptive';
+import type { ActionResult } from '@/lib/types';
+
+export type DeepLinkPick = { type: LtiTargetType; id: string };
+
+export async function sendDeepLink({
+  requestId,
+  picks,
+}: {
+  requestId: string;
+  picks: DeepLinkPick[];
+}): Promise<ActionResult<{ data: { returnUrl: string; jwt: string } }>> {
+  if (!Array.isArray(picks) || picks.length === 0) return actionFail('Pick something to add.');
+  if (picks.length > 50) return actionFail('Add at most 50 items at a time.');
+
+  let ctx: ServiceRoleContext;
+  try {
+    ctx = await requireServiceRole('lti deep-link response', { allowedRoles: ['teacher', 'manager', 'admin'] });
+  } catch (err) {
+    if (err instanceof ApiError) return err.toActionResult();
+    return actionFail('Unexpected error');
+  }
+
+  const assignmentIds = picks.filter((p) => p.type === 'assignment').map((p) => p.id);
+  const lessonIds = picks.filter((p) => p.type === 'lesson').map((p) => p.id);
+  const [{ data: assignments }, { data: lessons }] = await Promise.all([
+    assignmentIds.length
+      ? ctx.service
+          .from('assignments_v2')
+          .select('id, title, description, assignment_type, question_ids, filter_criteria')
+          .in('id', assignmentIds)
+          .eq('teacher_id', ctx.user.id)
+          .is('deleted_at', null)
+      : Promise.resolve({ data: [] }),
+    lessonIds.length
+      ? ctx.service.from('lessons').select('id, title, description').in('id', lessonIds).eq('status', 'published')
+      : Promise.resolve({ data: [] }),
+  ]);
+
+  const items: DeepLinkItem[] = [];
+  for (const pick of picks) {
+    if (pick.type === 'assignment') {
+      const a = assignments?.find((row) => row.id === pick.id);
+      if (!a) return actionFail('One of the picked assignments is no longer available.');
+      const title = a.title || 'Studyworks assignment';
+      // Practice sets report a score. An adaptive set's maximum is its
+      // target size; each student's draw is scored on its own length.
+      const questions = questionSetSize(a);
+      const graded = isQuestionSetType(a.assignment_type) && questions > 0;
+      items.push({
+        title,
+        text: a.description,
+        target: { type: 'assignment', id: a.id },
+        ownerId: ctx.user.id,
+        lineItem: graded ? { label: title, scoreMaximum: questions } : null,
+      });
+    } else if (pick.type === 'lesson') {
+      const l = lessons?.find((row) => row.id === pick.id);
+      if (!l) return actionFail('One of the picked lessons is no longer available.');
+      items.push({ title: l.title, text: l.description, target: { type: 'lesson', id: l.id }, ownerId: ctx.user.id });
+    } else {
+      return actionFail('Unknown item type.');
+    }
+  }
+
+  const h = await headers();
+  const origin = toolOrigin(`${h.get('x-forwarded-proto') ?? 'https'}://${h.get('host')}`);
+  try {
+    const result = await completeDeepLink(ctx.service, requestId, ctx.user.id, items, origin);
+    if (!result.ok) return actionFail(result.error);
+    logger.info({ event: 'lti_deep_link_sent', user_id: ctx.user.id, items: items.length }, 'lti_deep_link_sent');
+    return actionOk({ returnUrl: result.returnUrl, jwt: result.jwt });
+  } catch (err) {
+    logger.error({ err, user_id: ctx.user.id }, 'lti deep link: signing failed');
+    return actionFail('Could not sign the response for your LMS. Ask an admin to check the LTI key.');
+  }
+}
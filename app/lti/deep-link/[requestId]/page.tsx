@@ -0,0 +1,84 @@
+// LTI deep-linking picker. A teacher's LtiDeepLinkingRequest launch
+// (app/api/lti/launch) lands here signed in; they pick assignments or
+// lessons and the picker posts the signed response back to the LMS.
+//
+// Outside /tutor on purpose: the launch is the teacher's whole visit,
+// and the course context comes from the LMS, not the tutor nav.
+
+import { requireUserPage } from '@/lib/api/auth';
+import { loadLessonCatalog } from '@/lib/lesson/catalog-server';
+import { DEEP_LINK_TTL_MS } from '@/lib/lti/lti-server';
+import { questionSetSize } from '@/lib/practice/adaptive';
+import { DeepLinkPicker, type PickerAssignment, type PickerLesson } from './DeepLinkPicker';
+import s from '../../Lti.module.css';
+
+export const dynamic = 'force-dynamic';
+
+const STAFF_ROLES = new Set(['teacher', 'manager', 'admin']);
+
+export default async function DeepLinkPage({ params }: { params: Promise<{ requestId: string }> }) {
+  const { requestId } = await params;
+  const { user, profile, supabase } = await requireUserPage();
+
+  // RLS: a teacher reads only their own requests.
+  const { data: req } = await supabase
+    .from('lti_deep_link_requests')
+    .select('id, accept_multiple, context_title, used_at, created_at')
+    .eq('id', requestId)
+    .maybeSingle();
+
+  // eslint-disable-next-line react-hooks/purity
+  const expired = !req || req.used_at != null || Date.parse(req.created_at) < Date.now() - DEEP_LINK_TTL_MS;
+  if (!STAFF_ROLES.has(profile.role) || expired) {
+    return (
+      <main className={s.page}>
+        <h1 className={s.h1}>Add Studyworks content</h1>
+        <p className={s.sub}>
+          {expired
+            ? 'This selection has expired or was already sent. Start again from your course.'
+            : 'Only teachers can add Studyworks content to a course.'}
+        </p>
+      </main>
+    );
+  }
+
+  const [{ data: assignmentRows }, lessons] = await Promise.all([
+    supabase
+      .from('assignments_v2')
+      .select('id, title, assignment_type, question_ids, filter_criteria, due_date, created_at')
+      .eq('teacher_id', user.id)
+      .is('deleted_at', null)
+      .is('archived_at', null)
+      .order('created_at', { ascending: false })
+      .limit(200),
+    loadLessonCatalog(supabase, { status: 'published', visibility: 'shared' }),
+  ]);
+
+  const assignments: PickerAssignment[] = (assignmentRows ?? []).map((a) => ({
+    id: a.id,
+    title: a.title || 'Untitled assignment',
+    type: a.assignment_type,
+    questions: questionSetSize(a),
+    dueDate: a.due_date,
+  }));
+  const lessonItems: PickerLesson[] = lessons
+    .map((l) => ({ id: l.id, title: l.title, kind: l.kind, domains: l.domains }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  return (
+    <main className={s.page}>
+      <div className={s.eyebrow}>Add to {req.context_title || 'your course'}</div>
+      <h1 className={s.h1}>Add Studyworks content</h1>
+      <p className={s.sub}>
+        Practice sets create a gradebook column; students&apos; scores are sent when they submit.
+        Links open Studyworks in a new tab.
+      </p>
+      <DeepLinkPicker
+        requestId={req.id}
+        acceptMultiple={req.accept_multiple}
+        assignments={assignments}
+        lessons={lessonItems}
+      />
+    </main>
+  );
+}
@@ -61,6 +61,7 @@ export default async function NextTreeRoot(props) {
       role === 'admin' ? '/admin'
       : role === 'teacher' || role === 'manager' ? '/tutor/dashboard'
       : role === 'contributor' ? '/contribute'
+      : role === 'guardian' ? '/guardian'
       : role === 'practice' ? '/practice'
       : '/dashboard';
     redirect(dest);
@@ -140,6 +140,15 @@ export function SubscribeClient({ canceled, signedIn }) {
           free access.
         </p>
       </section>
+
+      <section className={s.exempt}>
+        <p className={s.exemptTitle}>Buying for a school?</p>
+        <p className={s.exemptBody}>
+          The school plan bills one subscription for as many seats as you need, and you
+          assign them to students and teachers yourself.{' '}
+          <a className={s.exemptLink} href="/account/school">Set up a school plan</a>.
+        </p>
+      </section>
     </main>
   );
 }
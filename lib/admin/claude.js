@@ -5,15 +5,19 @@
 // re-implement it. Mirrors the retry policy already proven in
 // app/api/admin/questions-v2/fix/route.js: retry transient 408/503/529
 // and network errors with exponential backoff, fail fast on the rest.
+//
+// Options (both optional): `signal` aborts the request (an abort is not
+// retried), and `maxAttempts` shortens the retry budget for callers a
+// person is waiting on, e.g. the Reading Coach evaluator.
 
 const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
 const ANTHROPIC_VERSION = '2023-06-01';
 
-export async function fetchClaudeMessages(requestBody) {
+export async function fetchClaudeMessages(requestBody, { signal, maxAttempts } = {}) {
   const apiKey = process.env.ANTHROPIC_API_KEY;
   if (!apiKey) throw new Error('ANTHROPIC_API_KEY env var is required');
 
-  const MAX_ATTEMPTS = 4;
+  const MAX_ATTEMPTS = maxAttempts ?? 4;
   const RETRYABLE = new Set([408, 503, 529]);
   const body = typeof requestBody === 'string' ? requestBody : JSON.stringify(requestBody);
 
@@ -29,8 +33,10 @@ export async function fetchClaudeMessages(requestBody) {
           'anthropic-version': ANTHROPIC_VERSION,
         },
         body,
+        signal,
       });
     } catch (networkErr) {
+      if (signal?.aborted) throw networkErr;
       lastError = new Error(`Claude API network error: ${networkErr.message || networkErr}`);
       if (attempt < MAX_ATTEMPTS - 1) { await sleep(backoffMs(attempt)); continue; }
       throw lastError;
@@ -0,0 +1,110 @@
+// External API key registry: key format, the per-call denial rules,
+// student allow-lists, rotation overlap and the usage roll-up.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  API_SCOPES,
+  apiKeyDenial,
+  apiKeyPrefix,
+  consumerMayAccessStudent,
+  generateApiKey,
+  hashApiKey,
+  identifyApiCaller,
+  isApiScope,
+  parseStudentAllowList,
+  rotatedKeyExpiry,
+  summarizeKeyUsage,
+} from './apiKeys.ts';
+import { createMemoryStore, createRateLimiter } from './rateLimit.ts';
+
+const STUDENT = '33333333-3333-3333-3333-333333333333';
+const consumer = (over = {}) => ({ id: 'c1', name: 'Partner', scopes: ['search'], studentIds: null, ...over });
+const record = (over = {}) => ({ id: 'k1', expiresAt: null, revokedAt: null, consumer: consumer(), ...over });
+
+test('generateApiKey: prefix round-trips, only the hash identifies it', () => {
+  const a = generateApiKey();
+  const b = generateApiKey();
+  assert.equal(apiKeyPrefix(a.key), a.prefix);
+  assert.equal(hashApiKey(a.key), a.hash);
+  assert.match(a.hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(a.key, b.key);
+  assert.equal(apiKeyPrefix('the-old-shared-secret'), null);
+  assert.ok(API_SCOPES.every(isApiScope));
+  assert.equal(isApiScope('admin'), false);
+});
+
+test('apiKeyDenial: revoked, expired, disabled and out-of-scope keys are refused', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.equal(apiKeyDenial(record(), 'search', now), null);
+  assert.equal(apiKeyDenial(record({ revokedAt: '2026-10-01T00:00:00Z' }), 'search', now), 'revoked');
+  assert.equal(apiKeyDenial(record({ expiresAt: '2026-10-19T12:00:00Z' }), 'search', now), 'expired');
+  assert.equal(apiKeyDenial(record({ expiresAt: '2026-10-19T12:00:01Z' }), 'search', now), null);
+  assert.equal(
+    apiKeyDenial(record({ consumer: consumer({ disabledAt: '2026-10-18T00:00:00Z' }) }), 'search', now),
+    'disabled',
+  );
+  assert.equal(apiKeyDenial(record(), 'provision', now), 'scope');
+});
+
+test('consumerMayAccessStudent: null allow-list means every student', () => {
+  assert.equal(consumerMayAccessStudent(consumer(), STUDENT), true);
+  assert.equal(consumerMayAccessStudent(consumer({ studentIds: [STUDENT] }), STUDENT), true);
+  assert.equal(consumerMayAccessStudent(consumer({ studentIds: [] }), STUDENT), false);
+  assert.equal(consumerMayAccessStudent(consumer({ studentIds: [STUDENT] }), null), false);
+});
+
+test('rotatedKeyExpiry: overlap from now, never extends an earlier expiry', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.equal(rotatedKeyExpiry(null, 72, now), '2026-10-22T12:00:00.000Z');
+  assert.equal(rotatedKeyExpiry('2026-10-20T00:00:00Z', 72, now), '2026-10-20T00:00:00.000Z');
+  assert.equal(rotatedKeyExpiry(null, 0, now), '2026-10-19T12:00:00.000Z');
+  assert.equal(rotatedKeyExpiry(null, -5, now), '2026-10-19T12:00:00.000Z');
+  assert.equal(rotatedKeyExpiry(null, 10_000, now), '2026-11-18T12:00:00.000Z');
+});
+
+test('parseStudentAllowList: blank is no list; junk is reported, ids deduped', () => {
+  assert.deepEqual(parseStudentAllowList('  \n '), { ids: null, invalid: [] });
+  assert.deepEqual(parseStudentAllowList(`${STUDENT}, ${STUDENT.toUpperCase()}\nnope`), {
+    ids: [STUDENT],
+    invalid: ['nope'],
+  });
+});
+
+test('summarizeKeyUsage: per key, legacy by name, unknown keys together', () => {
+  const row = (key_id, consumer_name, status, created_at) => ({ key_id, consumer_name, status, created_at });
+  const usage = summarizeKeyUsage([
+    row('k1', 'Partner', 200, '2026-10-19T10:00:00Z'),
+    row('k1', 'Partner', 404, '2026-10-19T11:00:00Z'),
+    row('k1', 'Partner', 200, '2026-10-19T09:00:00Z'),
+    row(null, 'legacy EXTERNAL_API_KEY', 200, '2026-10-18T00:00:00Z'),
+    row(null, null, 401, '2026-10-19T08:00:00Z'),
+  ]);
+  assert.deepEqual(usage.get('k1'), { calls: 3, errors: 1, lastAt: '2026-10-19T11:00:00Z', lastStatus: 404 });
+  assert.equal(usage.get('legacy EXTERNAL_API_KEY').calls, 1);
+  assert.equal(usage.get('unauthenticated').errors, 1);
+});
+
+test('identifyApiCaller: a throttled IP is refused before any key lookup; only failures count', async () => {
+  const limiter = createRateLimiter({ store: createMemoryStore(), fallback: null });
+  const good = { id: 'k1', expiresAt: null, revokedAt: null, consumer: consumer() };
+  let lookups = 0;
+  const lookup = async (key) => {
+    lookups += 1;
+    return key === 'good' ? good : null;
+  };
+  const call = (key, ip = '203.0.113.9') =>
+    identifyApiCaller({ key, ip, legacy: null, lookup, limiter, limit: 3, windowMs: 60_000 });
+
+  // Valid calls from the IP don't spend its failure budget.
+  for (let i = 0; i < 5; i++) assert.equal((await call('good')).ok, true);
+  for (let i = 0; i < 3; i++) assert.deepEqual(await call(`guess-${i}`), { ok: false, status: 401 });
+  assert.equal(lookups, 8);
+
+  assert.deepEqual(await call('guess-3'), { ok: false, status: 429 });
+  assert.deepEqual(await call('good'), { ok: false, status: 429 });
+  assert.equal(lookups, 8, 'no lookup once the IP is throttled');
+
+  // Another IP is unaffected.
+  assert.equal((await call('good', '198.51.100.7')).ok, true);
+});
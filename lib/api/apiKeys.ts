@@ -0,0 +1,185 @@
+// External API key registry — the pure half. The IO lives in
+// lib/externalAuth.ts (request-time lookup and usage logging) and
+// app/(admin)/admin/api-keys (issue, rotate, revoke); the tables in
+// supabase/migrations/20261019250000_api_key_registry.sql.
+//
+// A key is `swk_<prefix>_<secret>`. Only its SHA-256 is stored; the
+// prefix is kept in the clear so the admin page and the usage log can
+// name a key without holding it. Keys belong to a consumer (one per
+// partner), which carries the scopes and the optional student
+// allow-list, so rotating a key never re-grants anything.
+//
+// Import-free apart from node:crypto (and a type) so `node --test` can
+// drive it (lib/api/apiKeys.test.mjs).
+
+import { createHash, randomBytes } from 'node:crypto';
+import type { RateLimiter } from './rateLimit.ts';
+
+/** What a consumer may call. One per external endpoint family. */
+export const API_SCOPES = ['search', 'provision', 'practice-data', 'score-report'] as const;
+export type ApiScope = (typeof API_SCOPES)[number];
+
+export const API_SCOPE_LABELS: Record<ApiScope, string> = {
+  search: 'Student search',
+  provision: 'Student provisioning',
+  'practice-data': 'Practice data',
+  'score-report': 'Score-report PDFs',
+};
+
+const KEY_PATTERN = /^swk_([A-Za-z0-9]{8})_[A-Za-z0-9_-]{32,}$/;
+
+/** Default overlap when a key is rotated: long enough for a partner
+ *  to redeploy with the new secret, short enough that a leaked old
+ *  key dies on its own. */
+export const DEFAULT_ROTATION_OVERLAP_HOURS = 72;
+export const MAX_ROTATION_OVERLAP_HOURS = 24 * 30;
+
+export function isApiScope(value: unknown): value is ApiScope {
+  return typeof value === 'string' && (API_SCOPES as readonly string[]).includes(value);
+}
+
+export function hashApiKey(key: string): string {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/** Display prefix of a well-formed key, or null for anything else. */
+export function apiKeyPrefix(key: string): string | null {
+  return KEY_PATTERN.exec(key)?.[1] ?? null;
+}
+
+/** Mint a new key. `key` is shown to the admin once and never stored. */
+export function generateApiKey(): { key: string; prefix: string; hash: string } {
+  const alnum = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const prefix = Array.from(randomBytes(8), (b) => alnum[b % alnum.length]).join('');
+  const key = `swk_${prefix}_${randomBytes(32).toString('base64url')}`;
+  return { key, prefix, hash: hashApiKey(key) };
+}
+
+/** One api_keys row joined to its consumer, as the auth path reads it. */
+export interface ApiKeyRecord {
+  id: string;
+  expiresAt: string | null;
+  revokedAt: string | null;
+  consumer: ApiConsumer;
+}
+
+export interface ApiConsumer {
+  id: string | null;
+  name: string;
+  scopes: readonly string[];
+  /** null = every student; otherwise the only students it may touch. */
+  studentIds: readonly string[] | null;
+  disabledAt?: string | null;
+}
+
+export type ApiKeyDenial = 'revoked' | 'expired' | 'disabled' | 'scope';
+
+/** Why `record` may not call `scope` at `now`, or null when it may. */
+export function apiKeyDenial(record: ApiKeyRecord, scope: ApiScope, now: number = Date.now()): ApiKeyDenial | null {
+  if (record.revokedAt) return 'revoked';
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) return 'expired';
+  if (record.consumer.disabledAt) return 'disabled';
+  if (!record.consumer.scopes.includes(scope)) return 'scope';
+  return null;
+}
+
+export type ApiCaller =
+  | { ok: true; consumer: ApiConsumer; record: ApiKeyRecord | null }
+  | { ok: false; status: 401 | 429 };
+
+/**
+ * Resolve a request's caller, with failed attempts throttled per IP.
+ * The IP's failure budget is checked before the key is looked up, so
+ * a caller who has used it up costs no database query, and only a
+ * failure spends it — a partner's valid calls from a shared egress IP
+ * never count. `legacy` is the env-var consumer when the request
+ * carried that key (a constant-time compare, no IO).
+ */
+export async function identifyApiCaller({
+  key,
+  ip,
+  legacy,
+  lookup,
+  limiter,
+  limit,
+  windowMs,
+}: {
+  key: string | null;
+  ip: string;
+  legacy: ApiConsumer | null;
+  lookup: (key: string) => Promise<ApiKeyRecord | null>;
+  limiter: RateLimiter;
+  limit: number;
+  windowMs: number;
+}): Promise<ApiCaller> {
+  const bucket = `external:unauthorized:${ip}`;
+  const gate = await limiter.peek(bucket, { limit, windowMs });
+  if (!gate.ok) return { ok: false, status: 429 };
+
+  const record = key ? await lookup(key) : null;
+  const consumer = record?.consumer ?? legacy;
+  if (consumer) return { ok: true, consumer, record };
+
+  await limiter.limit(bucket, { limit, windowMs });
+  return { ok: false, status: 401 };
+}
+
+/** Is this student inside the consumer's allow-list (if it has one)? */
+export function consumerMayAccessStudent(consumer: ApiConsumer, studentId: string | null | undefined): boolean {
+  if (consumer.studentIds == null) return true;
+  return !!studentId && consumer.studentIds.includes(studentId);
+}
+
+/**
+ * New expiry for the key being rotated out: now + overlap, unless it
+ * already expires sooner. An overlap of 0 retires it immediately.
+ */
+export function rotatedKeyExpiry(currentExpiresAt: string | null, overlapHours: number, now: number = Date.now()): string {
+  const hours = Math.min(Math.max(0, overlapHours), MAX_ROTATION_OVERLAP_HOURS);
+  const overlapEnd = now + hours * 3_600_000;
+  const current = currentExpiresAt ? Date.parse(currentExpiresAt) : Infinity;
+  return new Date(Math.min(overlapEnd, current)).toISOString();
+}
+
+/** Parse the admin form's allow-list textarea: uuids separated by
+ *  whitespace or commas. Blank means no allow-list (null). */
+export function parseStudentAllowList(raw: string): { ids: string[] | null; invalid: string[] } {
+  const tokens = raw.split(/[\s,]+/).map((t) => t.trim()).filter(Boolean);
+  if (tokens.length === 0) return { ids: null, invalid: [] };
+  const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const ids = [...new Set(tokens.filter((t) => uuid.test(t)).map((t) => t.toLowerCase()))];
+  return { ids, invalid: tokens.filter((t) => !uuid.test(t)) };
+}
+
+export interface ApiKeyUsage {
+  calls: number;
+  /** 4xx + 5xx responses. */
+  errors: number;
+  lastAt: string | null;
+  lastStatus: number | null;
+}
+
+/** Usage bucket for a log row: its key, else the consumer name (the
+ *  legacy env caller), else 'unauthenticated' for unknown keys. */
+export function usageKey(row: { key_id: string | null; consumer_name: string | null }): string {
+  return row.key_id ?? row.consumer_name ?? 'unauthenticated';
+}
+
+/** Roll api_request_logs rows up per usageKey. */
+export function summarizeKeyUsage(
+  rows: readonly { key_id: string | null; consumer_name: string | null; status: number; created_at: string }[],
+): Map<string, ApiKeyUsage> {
+  const out = new Map<string, ApiKeyUsage>();
+  for (const row of rows) {
+    const k = usageKey(row);
+    const u = out.get(k) ?? { calls: 0, errors: 0, lastAt: null, lastStatus: null };
+    u.calls += 1;
+    if (row.status >= 400) u.errors += 1;
+    if (!u.lastAt || row.created_at > u.lastAt) {
+      u.lastAt = row.created_at;
+      u.lastStatus = row.status;
+    }
+    out.set(k, u);
+  }
+  return out;
+}
@@ -24,6 +24,7 @@
 //     - Use sparingly. Every call site is auditable via grep.
 
 import { cache } from 'react';
+import { headers } from 'next/headers';
 import { redirect } from 'next/navigation';
 import type { User } from '@supabase/supabase-js';
 import { createClient, createServiceClient } from '../supabase/server';
@@ -31,6 +32,7 @@ import type { TypedSupabaseClient } from '../supabase/server';
 import type { UserRole } from '@/lib/types/api';
 import { ApiError } from './response';
 import { logger } from './logger';
+import { GRACE_WRITE_REFUSAL, inBillingGrace } from '../billing/dunning';
 
 /** The profile shape every server entry point sees. `role` is cast to
  *  the UserRole union exactly once, here at the seam — the DB CHECK
@@ -177,6 +179,22 @@ export function assertWriter(
   }
 }
 
+/**
+ * Throw when the caller is a past_due subscriber in read-only billing
+ * grace (lib/billing/dunning.ts). proxy.js keeps them to read-only
+ * pages, but the pages' Server Actions still reach the server, so every
+ * write action on a read-only surface (the /tutor tree) calls this
+ * after its auth check:
+ *
+ *   const ctx = await requireRole(['teacher', 'manager', 'admin']);
+ *   await assertNotInBillingGrace();
+ */
+export async function assertNotInBillingGrace(): Promise<void> {
+  if (inBillingGrace(await headers())) {
+    throw new ApiError(GRACE_WRITE_REFUSAL, 402);
+  }
+}
+
 /**
  * Throw unless the authenticated user has one of the allowed roles.
  * e.g. requireRole(['admin']) or requireRole(['teacher', 'admin'])
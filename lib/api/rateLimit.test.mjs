@@ -0,0 +1,360 @@
+// Rate limiter + policy table. The multi-instance tests run two
+// limiters against a local stand-in for the Upstash REST API (INCR /
+// PEXPIRE NX / PTTL over /pipeline) on a shared fake clock, the way
+// two serverless instances share one Redis in production.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  createMemoryStore,
+  createRateLimiter,
+  createRedisRestStore,
+  RateLimitStoreTimeout,
+} from './rateLimit.ts';
+import {
+  RATE_LIMIT_POLICIES,
+  checkRateLimit,
+  isRateLimited,
+  rateLimitHeaders,
+  rateLimitMessage,
+  resolvePolicyLimits,
+  retryAfterText,
+} from './rateLimitPolicy.ts';
+
+function fakeClock(start = 1_000_000) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => { t += ms; };
+  return now;
+}
+
+// Minimal Redis-over-REST: just the commands the store sends.
+function startRedisStandIn(clock) {
+  const keys = new Map(); // key -> { value, expiresAt | null }
+  let down = false;
+  let stallMs = 0;
+  const live = (k) => {
+    const e = keys.get(k);
+    if (e && e.expiresAt != null && e.expiresAt <= clock()) {
+      keys.delete(k);
+      return undefined;
+    }
+    return e;
+  };
+  const run = ([cmd, key, arg, flag]) => {
+    switch (cmd) {
+      case 'INCR': {
+        const e = live(key) ?? { value: 0, expiresAt: null };
+        e.value += 1;
+        keys.set(key, e);
+        return { result: e.value };
+      }
+      case 'PEXPIRE': {
+        const e = live(key);
+        if (!e || (flag === 'NX' && e.expiresAt != null)) return { result: 0 };
+        e.expiresAt = clock() + Number(arg);
+        return { result: 1 };
+      }
+      case 'GET': {
+        const e = live(key);
+        return { result: e ? String(e.value) : null };
+      }
+      case 'PTTL': {
+        const e = live(key);
+        if (!e) return { result: -2 };
+        return { result: e.expiresAt == null ? -1 : e.expiresAt - clock() };
+      }
+      default:
+        return { error: `ERR unknown command '${cmd}'` };
+    }
+  };
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      if (down) {
+        res.writeHead(503).end();
+        return;
+      }
+      if (req.headers.authorization !== 'Bearer test-token' || req.url !== '/pipeline') {
+        res.writeHead(401).end();
+        return;
+      }
+      const reply = JSON.stringify(JSON.parse(body).map(run));
+      const send = () => {
+        if (res.destroyed) return;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(reply);
+      };
+      if (stallMs) setTimeout(send, stallMs);
+      else send();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        keys,
+        setDown: (v) => { down = v; },
+        setStall: (ms) => { stallMs = ms; },
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+const clock = fakeClock();
+let redis;
+before(async () => { redis = await startRedisStandIn(clock); });
+after(async () => { await redis.close(); });
+
+function redisInstance(extra = {}) {
+  return createRateLimiter({
+    store: createRedisRestStore({ url: redis.url, token: 'test-token', now: clock }),
+    fallback: createMemoryStore({ now: clock }),
+    ...extra,
+  });
+}
+
+async function hits(limiter, key, n, opts) {
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(await limiter.limit(key, opts));
+  return out;
+}
+
+test('memory store: fixed window allows `limit` hits, then resets', async () => {
+  const now = fakeClock();
+  const limiter = createRateLimiter({ store: createMemoryStore({ now }), fallback: null });
+  const opts = { limit: 3, windowMs: 10_000 };
+  const res = await hits(limiter, 'k', 4, opts);
+  assert.deepEqual(res.map((r) => r.ok), [true, true, true, false]);
+  assert.deepEqual(res.map((r) => r.remaining), [2, 1, 0, 0]);
+  assert.equal(res[3].resetAt, now() + 10_000);
+  now.advance(10_000);
+  assert.equal((await limiter.limit('k', opts)).ok, true);
+});
+
+test('two instances sharing the Redis stand-in enforce one limit', async () => {
+  const a = redisInstance();
+  const b = redisInstance();
+  const opts = { limit: 5, windowMs: 60_000 };
+  const fromA = await hits(a, 'shared:user-1', 3, opts);
+  const fromB = await hits(b, 'shared:user-1', 3, opts);
+  assert.deepEqual(fromA.map((r) => r.ok), [true, true, true]);
+  assert.deepEqual(fromB.map((r) => r.ok), [true, true, false]);
+  assert.equal(redis.keys.get('rl:shared:user-1').value, 6);
+  // Both instances see the same window close.
+  assert.equal(fromB[2].resetAt, fromA[0].resetAt);
+
+  clock.advance(60_000);
+  assert.equal((await b.limit('shared:user-1', opts)).ok, true);
+});
+
+test('peek reads the shared window without counting', async () => {
+  const a = redisInstance();
+  const b = redisInstance();
+  const opts = { limit: 2, windowMs: 60_000 };
+  assert.deepEqual((await a.peek('peek:k', opts)).ok, true);
+  await a.limit('peek:k', opts);
+  const seen = await b.peek('peek:k', opts);
+  assert.equal(seen.ok, true);
+  assert.equal(seen.remaining, 1);
+  await b.limit('peek:k', opts);
+  assert.equal((await a.peek('peek:k', opts)).ok, false, 'the next hit would be over');
+  assert.equal(redis.keys.get('rl:peek:k').value, 2, 'peeks never counted');
+  clock.advance(60_001);
+  assert.equal((await a.peek('peek:k', opts)).ok, true, 'a new window');
+});
+
+test('memory-only instances each allow the full limit (why production needs Redis)', async () => {
+  const a = createRateLimiter({ store: createMemoryStore({ now: clock }), fallback: null });
+  const b = createRateLimiter({ store: createMemoryStore({ now: clock }), fallback: null });
+  const opts = { limit: 5, windowMs: 60_000 };
+  const both = [...(await hits(a, 'split', 5, opts)), ...(await hits(b, 'split', 5, opts))];
+  assert.equal(both.filter((r) => r.ok).length, 10);
+});
+
+test('Redis outage degrades to the per-instance store instead of failing open', async () => {
+  const errors = [];
+  const a = redisInstance({ onStoreError: (e) => errors.push(e) });
+  const opts = { limit: 2, windowMs: 60_000 };
+  redis.setDown(true);
+  try {
+    const res = await hits(a, 'outage', 3, opts);
+    assert.deepEqual(res.map((r) => r.ok), [true, true, false]);
+    assert.equal(errors.length, 3);
+    assert.match(String(errors[0].message), /503/);
+  } finally {
+    redis.setDown(false);
+  }
+  // Back on the shared store, which never saw the outage hits.
+  assert.equal((await a.limit('outage', opts)).ok, true);
+});
+
+test('a stalled Redis times out and the limiter allows, uncounted', async () => {
+  const errors = [];
+  const a = createRateLimiter({
+    store: createRedisRestStore({ url: redis.url, token: 'test-token', now: clock, timeoutMs: 50 }),
+    fallback: createMemoryStore({ now: clock }),
+    onStoreError: (e) => errors.push(e),
+    now: clock,
+  });
+  const opts = { limit: 1, windowMs: 60_000 };
+  redis.setStall(500);
+  try {
+    const started = Date.now();
+    const res = await hits(a, 'stall-allow', 3, opts);
+    assert.ok(Date.now() - started < 1_000, 'each hit gives up after the timeout');
+    assert.deepEqual(res.map((r) => r.ok), [true, true, true]);
+    assert.equal(res[0].remaining, 1);
+    assert.equal(errors.length, 3);
+    assert.ok(errors[0] instanceof RateLimitStoreTimeout);
+  } finally {
+    redis.setStall(0);
+  }
+});
+
+test('a limiter configured to deny refuses when Redis times out', async () => {
+  const a = createRateLimiter({
+    store: createRedisRestStore({ url: redis.url, token: 'test-token', now: clock, timeoutMs: 50 }),
+    fallback: createMemoryStore({ now: clock }),
+    onTimeout: 'deny',
+    now: clock,
+  });
+  redis.setStall(500);
+  try {
+    const res = await a.limit('stall-deny', { limit: 10, windowMs: 60_000 });
+    assert.equal(res.ok, false);
+    assert.equal(res.remaining, 0);
+    assert.equal(res.resetAt, clock() + 60_000);
+  } finally {
+    redis.setStall(0);
+  }
+});
+
+test('a store error with no fallback propagates', async () => {
+  const limiter = createRateLimiter({
+    store: createRedisRestStore({ url: redis.url, token: 'wrong', now: clock }),
+    fallback: null,
+  });
+  await assert.rejects(limiter.limit('x'), /401/);
+});
+
+test('checkRateLimit: burst window denies a tight loop, sustained caps the minute', async () => {
+  const now = fakeClock();
+  const limiter = createRateLimiter({ store: createMemoryStore({ now }), fallback: null });
+  const subject = { key: 'student-1', role: 'student' };
+  const { burst, sustained } = resolvePolicyLimits('practice.submit', 'student');
+
+  for (let i = 0; i < burst.limit; i++) {
+    assert.equal((await checkRateLimit('practice.submit', subject, { limiter, now })).ok, true);
+  }
+  const denied = await checkRateLimit('practice.submit', subject, { limiter, now });
+  assert.equal(denied.ok, false);
+  assert.equal(denied.window, 'burst');
+  assert.equal(denied.retryAfter, burst.windowMs / 1000);
+
+  // Keep going one burst window at a time inside the same minute. The
+  // denied call above still spent sustained budget, so the minute runs
+  // out one allowed submission early.
+  const later = [];
+  for (let w = 1; w * burst.windowMs < sustained.windowMs; w++) {
+    now.advance(burst.windowMs);
+    for (let i = 0; i < burst.limit; i++) {
+      later.push(await checkRateLimit('practice.submit', subject, { limiter, now }));
+    }
+  }
+  assert.equal(burst.limit + later.filter((d) => d.ok).length, sustained.limit - 1);
+  const last = later.at(-1);
+  assert.equal(last.ok, false);
+  assert.equal(last.window, 'sustained');
+  assert.equal(last.retryAfter, burst.windowMs / 1000);
+});
+
+test('checkRateLimit: roles get their own limits; admins skip read policies', async () => {
+  const now = fakeClock();
+  const limiter = createRateLimiter({ store: createMemoryStore({ now }), fallback: null });
+  const run = async (role, n) => {
+    let d;
+    for (let i = 0; i < n; i++) d = await checkRateLimit('question.search', { key: `u-${role}`, role }, { limiter, now });
+    return d;
+  };
+  const studentBurst = resolvePolicyLimits('question.search', 'student').burst.limit;
+  assert.equal((await run('student', studentBurst + 1)).ok, false);
+  assert.equal((await run('teacher', studentBurst + 1)).ok, true);
+
+  const admin = await run('admin', 500);
+  assert.equal(admin.ok, true);
+  assert.equal(admin.limit, null);
+  assert.deepEqual(rateLimitHeaders(admin), {});
+
+  // No role at all is the anonymous caller, which falls back to default.
+  assert.equal(resolvePolicyLimits('question.search', null), RATE_LIMIT_POLICIES['question.search'].default);
+});
+
+test('checkRateLimit across instances shares one policy budget', async () => {
+  const a = redisInstance();
+  const b = redisInstance();
+  const subject = { key: 'bb-uploader', role: 'student' };
+  const { burst } = resolvePolicyLimits('bluebook.upload', 'student');
+  const results = [];
+  for (let i = 0; i < burst.limit + 1; i++) {
+    results.push(await checkRateLimit('bluebook.upload', subject, { limiter: i % 2 ? b : a, now: clock }));
+  }
+  assert.equal(results.filter((d) => d.ok).length, burst.limit);
+  assert.equal(results.at(-1).window, 'burst');
+});
+
+test('rateLimitHeaders: IETF fields for the deciding window, Retry-After on denial', async () => {
+  const now = fakeClock();
+  const limiter = createRateLimiter({ store: createMemoryStore({ now }), fallback: null });
+  const subject = { key: 's', role: 'student' };
+  const ok = await checkRateLimit('test.start', subject, { limiter, now });
+  assert.deepEqual(rateLimitHeaders(ok, now()), {
+    'RateLimit-Limit': '3',
+    'RateLimit-Remaining': '2',
+    'RateLimit-Reset': '60',
+    'RateLimit-Policy': '3;w=60, 10;w=3600',
+  });
+  await checkRateLimit('test.start', subject, { limiter, now });
+  await checkRateLimit('test.start', subject, { limiter, now });
+  now.advance(15_000);
+  const denied = await checkRateLimit('test.start', subject, { limiter, now });
+  const h = rateLimitHeaders(denied, now());
+  assert.equal(h['RateLimit-Remaining'], '0');
+  assert.equal(h['RateLimit-Reset'], '45');
+  assert.equal(h['Retry-After'], '45');
+  assert.equal(rateLimitMessage(denied), 'Too many practice tests started. Try again in 45 seconds.');
+});
+
+test('retryAfterText rounds to a readable unit', () => {
+  assert.equal(retryAfterText(1), 'Try again in 1 second.');
+  assert.equal(retryAfterText(45), 'Try again in 45 seconds.');
+  assert.equal(retryAfterText(200), 'Try again in 4 minutes.');
+  assert.equal(retryAfterText(3600), 'Try again in 60 minutes.');
+  assert.equal(retryAfterText(3 * 3600), 'Try again in 3 hours.');
+});
+
+test('isRateLimited narrows only the rate-limited failure', () => {
+  assert.equal(isRateLimited({ ok: false, error: 'x', code: 'rate_limited', retryAfter: 3 }), true);
+  assert.equal(isRateLimited({ ok: false, error: 'Session not found' }), false);
+  assert.equal(isRateLimited({ ok: true }), false);
+  assert.equal(isRateLimited(null), false);
+});
+
+test('policy table: every window is positive and burst fits inside sustained', () => {
+  for (const [name, policy] of Object.entries(RATE_LIMIT_POLICIES)) {
+    assert.ok(policy.message.trim(), `${name} message`);
+    for (const limits of [policy.default, ...Object.values(policy.roles ?? {})]) {
+      if (limits === 'unlimited') continue;
+      const windows = [limits.burst, limits.sustained].filter(Boolean);
+      assert.ok(windows.length > 0, `${name} has no windows`);
+      for (const w of windows) assert.ok(w.limit > 0 && w.windowMs > 0, `${name} window`);
+      if (limits.burst && limits.sustained) {
+        assert.ok(limits.burst.windowMs < limits.sustained.windowMs, `${name} burst window`);
+        assert.ok(limits.burst.limit <= limits.sustained.limit, `${name} burst limit`);
+      }
+    }
+  }
+});
@@ -0,0 +1,293 @@
+// Rate limiting for content endpoints. See docs/architecture-plan.md §3.7.
+//
+// Two layers live in lib/api:
+//
+//  - This module: fixed-window counters behind a pluggable store, and
+//    the low-level `rateLimit(key, opts)` call. It returns
+//    `{ ok: boolean, remaining: number, resetAt: number }`.
+//
+//  - lib/api/rateLimitPolicy.ts: the declarative per-route / per-role
+//    policy table (burst + sustained windows) that actions and routes
+//    actually call. New call sites should go through a policy rather
+//    than inventing a key and a limit inline.
+//
+// Two stores are supported:
+//
+//  1) Upstash Redis via REST API (production). Set UPSTASH_REDIS_REST_URL
+//     and UPSTASH_REDIS_REST_TOKEN. Counters are shared by every
+//     function instance, so a limit means the same thing no matter how
+//     many instances the deploy is running.
+//
+//  2) An in-memory store (development and tests). Each function
+//     instance keeps its own counters in a Map. Works for local dev and
+//     unit tests; do not rely on it in a multi-instance deploy.
+//
+// When Redis is configured but unreachable the limiter degrades to the
+// in-memory store rather than failing open or locking everyone out:
+// per-instance limits are looser than shared ones, but still bound a
+// single scraper hammering one instance.
+//
+// A slow Redis is different from a down one. Every Redis call carries a
+// timeout (DEFAULT_STORE_TIMEOUT_MS); when it fires, the limiter
+// answers with its `onTimeout` decision, 'allow' unless configured
+// otherwise. The limiter sits in front of answer submits, so a stalled
+// store must not add seconds to each one, and a few hundred ms of
+// unlimited traffic is cheaper than refusing every student while Redis
+// recovers.
+
+const DEFAULT_WINDOW_MS = 60_000;
+const DEFAULT_LIMIT = 60;
+const DEFAULT_STORE_TIMEOUT_MS = 300;
+
+export interface RateLimitResult {
+  ok: boolean;
+  remaining: number;
+  /** Epoch ms when the current window closes. */
+  resetAt: number;
+}
+
+export interface RateLimitOptions {
+  limit?: number;
+  windowMs?: number;
+}
+
+/** One fixed-window hit: the count after incrementing, and when it resets. */
+export interface WindowHit {
+  count: number;
+  resetAt: number;
+}
+
+/**
+ * Counter backend. `hit` increments the bucket for `key` (creating it
+ * with a `windowMs` expiry if absent) and returns the new count;
+ * `peek` reads it without counting (null when there is no live
+ * bucket). Both throw when the backend is unavailable so the limiter
+ * can fall back.
+ */
+export interface RateLimitStore {
+  readonly name: string;
+  hit(key: string, windowMs: number): Promise<WindowHit>;
+  peek(key: string): Promise<WindowHit | null>;
+}
+
+type Clock = () => number;
+
+/** Thrown by a store whose backend didn't answer within its timeout. */
+export class RateLimitStoreTimeout extends Error {
+  constructor(store: string, timeoutMs: number) {
+    super(`rate-limit store ${store} timed out after ${timeoutMs}ms`);
+    this.name = 'RateLimitStoreTimeout';
+  }
+}
+
+/**
+ * Per-instance store. Expired buckets are dropped lazily on access and
+ * swept once the map grows past `maxKeys`, so a long-lived instance
+ * doesn't accumulate one entry per user forever.
+ */
+export function createMemoryStore({
+  now = Date.now,
+  maxKeys = 10_000,
+}: { now?: Clock; maxKeys?: number } = {}): RateLimitStore {
+  const buckets = new Map<string, WindowHit>();
+  return {
+    name: 'memory',
+    async hit(key, windowMs) {
+      const t = now();
+      const existing = buckets.get(key);
+      if (!existing || existing.resetAt <= t) {
+        if (buckets.size >= maxKeys) {
+          for (const [k, v] of buckets) if (v.resetAt <= t) buckets.delete(k);
+        }
+        const fresh = { count: 1, resetAt: t + windowMs };
+        buckets.set(key, fresh);
+        return { ...fresh };
+      }
+      existing.count += 1;
+      return { ...existing };
+    },
+    async peek(key) {
+      const existing = buckets.get(key);
+      return existing && existing.resetAt > now() ? { ...existing } : null;
+    },
+  };
+}
+
+/**
+ * Shared store over the Upstash REST `/pipeline` endpoint (any server
+ * that speaks the same protocol works — the tests run against a local
+ * stand-in). INCR + PEXPIRE NX + PTTL in one round trip: the first hit
+ * in a window sets the expiry, later hits only increment; a peek is
+ * GET + PTTL. The request and its body read are aborted after
+ * `timeoutMs`, which surfaces as RateLimitStoreTimeout.
+ */
+export function createRedisRestStore({
+  url,
+  token,
+  fetchImpl = fetch,
+  now = Date.now,
+  prefix = 'rl:',
+  timeoutMs = DEFAULT_STORE_TIMEOUT_MS,
+}: {
+  url: string;
+  token: string;
+  fetchImpl?: typeof fetch;
+  now?: Clock;
+  prefix?: string;
+  timeoutMs?: number;
+}): RateLimitStore {
+  return {
+    name: 'redis',
+    async hit(key, windowMs) {
+      const bucketKey = `${prefix}${key}`;
+      const json = await pipeline([
+        ['INCR', bucketKey],
+        ['PEXPIRE', bucketKey, String(windowMs), 'NX'],
+        ['PTTL', bucketKey],
+      ]);
+      const count = Number(json?.[0]?.result);
+      if (!Number.isFinite(count)) throw new Error('rate-limit store returned no count');
+      const pttl = Number(json?.[2]?.result ?? windowMs);
+      return { count, resetAt: now() + (pttl > 0 ? pttl : windowMs) };
+    },
+    async peek(key) {
+      const bucketKey = `${prefix}${key}`;
+      const json = await pipeline([['GET', bucketKey], ['PTTL', bucketKey]]);
+      const count = Number(json?.[0]?.result);
+      const pttl = Number(json?.[1]?.result);
+      if (json?.[0]?.result == null || !Number.isFinite(count) || !(pttl > 0)) return null;
+      return { count, resetAt: now() + pttl };
+    },
+  };
+
+  async function pipeline(commands: string[][]): Promise<Array<{ result?: unknown; error?: string }>> {
+    try {
+      const res = await fetchImpl(`${url}/pipeline`, {
+        method: 'POST',
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(commands),
+      });
+      if (!res.ok) throw new Error(`rate-limit store responded ${res.status}`);
+      const json = (await res.json()) as Array<{ result?: unknown; error?: string }>;
+      const failed = json?.find?.((r) => r?.error);
+      if (failed) throw new Error(`rate-limit store error: ${failed.error}`);
+      return json;
+    } catch (err) {
+      if ((err as Error)?.name === 'TimeoutError') throw new RateLimitStoreTimeout('redis', timeoutMs);
+      throw err;
+    }
+  }
+}
+
+export interface RateLimiter {
+  /** Check-and-increment one fixed window. */
+  limit(key: string, opts?: RateLimitOptions): Promise<RateLimitResult>;
+  /**
+   * Would the next hit on `key` be allowed? Reads the window without
+   * counting, for budgets that only failures spend: peek first, then
+   * `limit` once the request has failed.
+   */
+  peek(key: string, opts?: RateLimitOptions): Promise<RateLimitResult>;
+}
+
+/**
+ * Build a limiter over `store`, degrading to `fallback` (per-instance
+ * memory by default) for any call where the store throws. A store
+ * timeout skips the fallback and returns the `onTimeout` decision:
+ * 'allow' lets the request through uncounted, 'deny' refuses it for
+ * the rest of the window.
+ */
+export function createRateLimiter({
+  store,
+  fallback = createMemoryStore(),
+  onStoreError,
+  onTimeout = 'allow',
+  now = Date.now,
+}: {
+  store: RateLimitStore;
+  fallback?: RateLimitStore | null;
+  onStoreError?: (err: unknown) => void;
+  onTimeout?: 'allow' | 'deny';
+  now?: Clock;
+}): RateLimiter {
+  // Run `op` on the store, or on the fallback when the store throws.
+  // A timeout short-circuits to the onTimeout decision instead.
+  async function withStore<T>(
+    op: (s: RateLimitStore) => Promise<T>,
+    limit: number,
+    windowMs: number,
+  ): Promise<{ value: T } | { decided: RateLimitResult }> {
+    try {
+      return { value: await op(store) };
+    } catch (err) {
+      if (err instanceof RateLimitStoreTimeout) {
+        onStoreError?.(err);
+        const resetAt = now() + windowMs;
+        return {
+          decided: onTimeout === 'deny'
+            ? { ok: false, remaining: 0, resetAt }
+            : { ok: true, remaining: limit, resetAt },
+        };
+      }
+      if (!fallback) throw err;
+      onStoreError?.(err);
+      return { value: await op(fallback) };
+    }
+  }
+
+  return {
+    async limit(key, opts = {}) {
+      const limit = Number(opts.limit ?? DEFAULT_LIMIT);
+      const windowMs = Number(opts.windowMs ?? DEFAULT_WINDOW_MS);
+      const r = await withStore((s) => s.hit(key, windowMs), limit, windowMs);
+      if ('decided' in r) return r.decided;
+      const hit = r.value;
+      if (hit.count > limit) return { ok: false, remaining: 0, resetAt: hit.resetAt };
+      return { ok: true, remaining: Math.max(0, limit - hit.count), resetAt: hit.resetAt };
+    },
+    async peek(key, opts = {}) {
+      const limit = Number(opts.limit ?? DEFAULT_LIMIT);
+      const windowMs = Number(opts.windowMs ?? DEFAULT_WINDOW_MS);
+      const r = await withStore((s) => s.peek(key), limit, windowMs);
+      if ('decided' in r) return r.decided;
+      const hit = r.value;
+      if (!hit) return { ok: true, remaining: limit, resetAt: now() + windowMs };
+      if (hit.count >= limit) return { ok: false, remaining: 0, resetAt: hit.resetAt };
+      return { ok: true, remaining: limit - hit.count, resetAt: hit.resetAt };
+    },
+  };
+}
+
+let defaultLimiter: RateLimiter | null = null;
+
+/** The process-wide limiter: Upstash when configured, memory otherwise. */
+export function getRateLimiter(): RateLimiter {
+  if (defaultLimiter) return defaultLimiter;
+  const url = process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.UPSTASH_REDIS_REST_TOKEN;
+  defaultLimiter = url && token
+    ? createRateLimiter({ store: createRedisRestStore({ url, token }), onTimeout: 'allow' })
+    : createRateLimiter({ store: createMemoryStore(), fallback: null });
+  return defaultLimiter;
+}
+
+/**
+ * Check-and-increment a rate limit bucket for `key`.
+ *
+ * Prefer `checkRateLimit(policy, …)` from lib/api/rateLimitPolicy.ts;
+ * this stays for one-off limits that don't belong in the policy table.
+ *
+ * @param key - Opaque bucket identifier (e.g. `questions:${userId}`).
+ * @param opts.limit - Max requests per window (default 60).
+ * @param opts.windowMs - Window length in ms (default 60000).
+ */
+export async function rateLimit(
+  key: string,
+  opts: RateLimitOptions = {},
+): Promise<RateLimitResult> {
+  return getRateLimiter().limit(key, opts);
+}
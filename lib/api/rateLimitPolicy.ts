@@ -0,0 +1,362 @@
+// Declarative rate-limit policies. See docs/architecture-plan.md §3.7.
+//
+// Every limited Server Action and route names a policy from
+// RATE_LIMIT_POLICIES instead of hand-rolling a bucket key and a
+// number. A policy gives each role (falling back to `default`) up to
+// two fixed windows:
+//
+//   burst      short window — absorbs a double-click, stops a tight loop
+//   sustained  long window — the rate a real student never reaches over
+//              a minute or an hour, however fast they work
+//
+// or 'unlimited'. A request is allowed only if it fits in both. The
+// numbers sit well above observed student cadence (the §3.7 "10x the
+// 99.9th percentile" rule); staff get more headroom because authoring
+// and roster work is bursty, and admins are exempt from the
+// read-side policies entirely.
+//
+// Callers:
+//
+//   const rl = await checkRateLimit('question.search', {
+//     key: user.id,
+//     role: profile.role,
+//   });
+//   if (!rl.ok) return actionRateLimited(rl);       // Server Action
+//   if (!rl.ok) return rateLimited(rl);             // route handler
+//
+// actionRateLimited / rateLimited live in lib/api/response.ts. Route
+// responses carry the IETF RateLimit-* headers from
+// rateLimitHeaders(); actions return a typed `code: 'rate_limited'`
+// failure with `retryAfter` seconds the UI can show.
+//
+// Pure module (no Next imports) so the unit tests can drive it with
+// an injected limiter.
+
+import { getRateLimiter, type RateLimiter } from './rateLimit.ts';
+import type { UserRole } from '../types/api.ts';
+import { EVALUATIONS_PER_MINUTE, SESSION_STARTS_PER_MINUTE } from '../reading-coach/limits.ts';
+
+export interface RateLimitWindow {
+  limit: number;
+  windowMs: number;
+}
+
+export interface RoleLimits {
+  burst?: RateLimitWindow;
+  sustained?: RateLimitWindow;
+}
+
+export type RateLimitRole = UserRole | 'anonymous';
+
+export interface RateLimitPolicy {
+  /** Shown to the user, followed by when to try again. */
+  message: string;
+  default: RoleLimits | 'unlimited';
+  roles?: Partial<Record<RateLimitRole, RoleLimits | 'unlimited'>>;
+}
+
+const SECOND = 1_000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const per = (limit: number, windowMs: number): RateLimitWindow => ({ limit, windowMs });
+
+const SESSION_START: RoleLimits = { burst: per(5, 10 * SECOND), sustained: per(20, MINUTE) };
+const STAFF_READ: RoleLimits = { burst: per(60, 10 * SECOND), sustained: per(600, MINUTE) };
+
+export const RATE_LIMIT_POLICIES = {
+  // ── Runner ─────────────────────────────────────────────────────────
+  // A real student submits roughly once every 30–180s.
+  'practice.submit': {
+    message: 'Too many submissions. Please slow down.',
+    default: { burst: per(20, 10 * SECOND), sustained: per(120, MINUTE) },
+    roles: {
+      teacher: { burst: per(40, 10 * SECOND), sustained: per(300, MINUTE) },
+      manager: { burst: per(40, 10 * SECOND), sustained: per(300, MINUTE) },
+      admin: 'unlimited',
+    },
+  },
+  // Beacons fire on hide/nav — a few per minute.
+  'practice.time-ping': {
+    message: 'Too many requests.',
+    default: { sustained: per(240, MINUTE) },
+  },
+  // Next/prev navigation and the per-question stats panel. The runner
+  // prefetches neighbours, so a fast reviewer makes ~3 loads per click.
+  'question.load': {
+    message: 'Too many questions loaded in a short time.',
+    default: { burst: per(30, 10 * SECOND), sustained: per(300, MINUTE) },
+    roles: { teacher: STAFF_READ, manager: STAFF_READ, admin: 'unlimited' },
+  },
+  // Applied instead of 'question.load' once scraper detection throttles
+  // an account (lib/api/scraperGuard.ts): roughly a careful student's
+  // pace, so a false positive can still work while a scraper crawls.
+  // No admin exemption — a throttled account is throttled.
+  'scraper.throttled': {
+    message: 'Question loading has been slowed on this account.',
+    default: { burst: per(1, 5 * SECOND), sustained: per(60, HOUR) },
+  },
+  'question.search': {
+    message: 'Too many searches.',
+    default: { burst: per(10, 10 * SECOND), sustained: per(60, MINUTE) },
+    roles: {
+      teacher: { burst: per(20, 10 * SECOND), sustained: per(240, MINUTE) },
+      manager: { burst: per(20, 10 * SECOND), sustained: per(240, MINUTE) },
+      admin: 'unlimited',
+    },
+  },
+  'practice.detour': {
+    message: 'Too many detours. Please slow down.',
+    default: { sustained: per(10, MINUTE) },
+  },
+
+  // ── Session starts ─────────────────────────────────────────────────
+  // One bucket for every way of starting a practice session (start
+  // page, Today, welcome, tests picker, assignments).
+  'practice.start': {
+    message: 'Too many sessions started.',
+    default: SESSION_START,
+  },
+  'test.start': {
+    message: 'Too many practice tests started.',
+    default: { burst: per(3, MINUTE), sustained: per(10, HOUR) },
+  },
+  'review.start': {
+    message: 'Too many review sessions started.',
+    default: SESSION_START,
+  },
+  'review.skill': {
+    message: 'Too many review sessions started.',
+    default: SESSION_START,
+  },
+  'training.start': {
+    message: 'Too many training sessions started.',
+    default: SESSION_START,
+  },
+  'training.review': {
+    message: 'Too many review sessions.',
+    default: SESSION_START,
+  },
+  'training.skill': {
+    message: 'Too many review sessions.',
+    default: SESSION_START,
+  },
+  'reading-coach.start': {
+    message: 'Too many starts.',
+    default: { sustained: per(SESSION_STARTS_PER_MINUTE, MINUTE) },
+  },
+  'reading-coach.evaluate': {
+    message: 'Slow down a little.',
+    default: { burst: per(3, 10 * SECOND), sustained: per(EVALUATIONS_PER_MINUTE, MINUTE) },
+  },
+
+  // ── Authoring ──────────────────────────────────────────────────────
+  'lesson-pack.create': {
+    message: 'Too many packs created in a short time.',
+    default: { sustained: per(20, MINUTE) },
+  },
+  'assignment.create': {
+    message: 'Too many assignments created in a short time.',
+    default: { sustained: per(10, MINUTE) },
+  },
+  // Every Claude-backed admin tool. Each call costs real money and can
+  // run for a minute, so even admins get a ceiling.
+  'ai.generate': {
+    message: 'Too many AI generation requests.',
+    default: { burst: per(5, MINUTE), sustained: per(60, HOUR) },
+  },
+
+  // ── Uploads ────────────────────────────────────────────────────────
+  // Bluebook score reports, by HTML upload, linked attempt or manual
+  // grid — from the student, the contributor or their tutor.
+  'bluebook.upload': {
+    message: 'Too many Bluebook uploads.',
+    default: { burst: per(3, MINUTE), sustained: per(20, HOUR) },
+    roles: {
+      teacher: { burst: per(10, MINUTE), sustained: per(100, HOUR) },
+      manager: { burst: per(10, MINUTE), sustained: per(100, HOUR) },
+      admin: 'unlimited',
+    },
+  },
+
+  // OneRoster roster bundles — the dry run and the commit both count,
+  // and a commit can create hundreds of accounts.
+  'roster.import': {
+    message: 'Too many roster imports.',
+    default: { burst: per(5, MINUTE), sustained: per(40, HOUR) },
+    roles: { admin: 'unlimited' },
+  },
+
+  // Each seat invitation emails the address, so an unlimited loop
+  // would be a way to mail-bomb strangers from our domain.
+  'org.seat_invite': {
+    message: 'Too many seat invitations in a short time.',
+    default: { burst: per(30, MINUTE), sustained: per(300, HOUR) },
+    roles: { admin: 'unlimited' },
+  },
+
+  // A guardian asks by a student's email and the answer says whether a
+  // student account holds it, so an unlimited loop would be a way to
+  // probe which addresses have accounts. A family links one or two
+  // children, so the limits sit well below seat invitations'.
+  'guardian.link_request': {
+    message: 'Too many link requests in a short time.',
+    default: { burst: per(5, MINUTE), sustained: per(20, HOUR) },
+  },
+
+  // ── Unauthenticated (keyed by IP) ──────────────────────────────────
+  // The external API keeps its per-scope limits in lib/externalAuth.ts.
+  signup: {
+    message: 'Too many signup attempts.',
+    default: { sustained: per(10, HOUR) },
+  },
+  // A class launching the same link from one school network shares an
+  // IP, so this only stops a loop or a flood.
+  'lti.launch': {
+    message: 'Too many LMS launches.',
+    default: { burst: per(120, MINUTE), sustained: per(3_000, HOUR) },
+  },
+} satisfies Record<string, RateLimitPolicy>;
+
+export type RateLimitPolicyName = keyof typeof RATE_LIMIT_POLICIES;
+
+export type RateLimitWindowName = 'burst' | 'sustained';
+
+export interface RateLimitDecision {
+  ok: boolean;
+  policy: RateLimitPolicyName;
+  /** The window that decided (the denying one, or the tightest). */
+  window: RateLimitWindowName | null;
+  /** null when the role is unlimited under this policy. */
+  limit: number | null;
+  remaining: number | null;
+  resetAt: number | null;
+  /** Seconds until the caller may retry; 0 when allowed. */
+  retryAfter: number;
+  /** Every window that applied, for the RateLimit-Policy header. */
+  windows: Array<RateLimitWindow & { name: RateLimitWindowName }>;
+  message: string;
+}
+
+/** The limits `role` gets under `policy` (role entry, else default). */
+export function resolvePolicyLimits(
+  policy: RateLimitPolicyName,
+  role: RateLimitRole | null | undefined,
+): RoleLimits | 'unlimited' {
+  const def: RateLimitPolicy = RATE_LIMIT_POLICIES[policy];
+  return (role && def.roles?.[role]) || def.default;
+}
+
+/**
+ * Check-and-increment every window of `policy` for one caller.
+ *
+ * @param subject.key - who is being limited: a user id, or an IP for
+ *   unauthenticated routes.
+ * @param subject.role - profiles.role; null / omitted = 'anonymous'.
+ * @param opts.limiter - injected in tests; the process limiter otherwise.
+ */
+export async function checkRateLimit(
+  policy: RateLimitPolicyName,
+  subject: { key: string; role?: RateLimitRole | null },
+  { limiter = getRateLimiter(), now = Date.now }: { limiter?: RateLimiter; now?: () => number } = {},
+): Promise<RateLimitDecision> {
+  const limits = resolvePolicyLimits(policy, subject.role ?? 'anonymous');
+  const message = RATE_LIMIT_POLICIES[policy].message;
+  if (limits === 'unlimited') {
+    return {
+      ok: true, policy, window: null, limit: null, remaining: null, resetAt: null,
+      retryAfter: 0, windows: [], message,
+    };
+  }
+
+  const windows = (['burst', 'sustained'] as const)
+    .filter((name) => limits[name])
+    .map((name) => ({ name, ...(limits[name] as RateLimitWindow) }));
+
+  // Both windows are hit in parallel: one round trip on the hot path
+  // (submitAnswer), and a caller stuck against the burst window keeps
+  // spending its sustained budget, so hammering doesn't pay off.
+  const results = await Promise.all(
+    windows.map((w) =>
+      limiter.limit(`${policy}:${w.name}:${subject.key}`, { limit: w.limit, windowMs: w.windowMs }),
+    ),
+  );
+
+  const denied = results
+    .map((r, i) => ({ r, w: windows[i] }))
+    .filter(({ r }) => !r.ok)
+    .sort((a, b) => b.r.resetAt - a.r.resetAt);
+  if (denied.length > 0) {
+    const { r, w } = denied[0];
+    return {
+      ok: false, policy, window: w.name, limit: w.limit, remaining: 0, resetAt: r.resetAt,
+      retryAfter: Math.max(1, Math.ceil((r.resetAt - now()) / 1000)), windows, message,
+    };
+  }
+
+  // Report the window closest to running out.
+  let tightest = 0;
+  for (let i = 1; i < results.length; i++) {
+    if (results[i].remaining < results[tightest].remaining) tightest = i;
+  }
+  const r = results[tightest];
+  return {
+    ok: true, policy, window: windows[tightest].name, limit: windows[tightest].limit,
+    remaining: r.remaining, resetAt: r.resetAt, retryAfter: 0, windows, message,
+  };
+}
+
+/**
+ * IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers):
+ * RateLimit-Limit / -Remaining / -Reset (delta seconds) for the window
+ * that decided, RateLimit-Policy listing every window, and Retry-After
+ * on a denial. Empty for unlimited callers.
+ */
+export function rateLimitHeaders(
+  decision: RateLimitDecision,
+  now: number = Date.now(),
+): Record<string, string> {
+  if (decision.limit == null || decision.resetAt == null) return {};
+  const headers: Record<string, string> = {
+    'RateLimit-Limit': String(decision.limit),
+    'RateLimit-Remaining': String(decision.remaining ?? 0),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((decision.resetAt - now) / 1000))),
+    'RateLimit-Policy': decision.windows
+      .map((w) => `${w.limit};w=${Math.round(w.windowMs / 1000)}`)
+      .join(', '),
+  };
+  if (!decision.ok) headers['Retry-After'] = String(decision.retryAfter);
+  return headers;
+}
+
+/** "Try again in 45 seconds." / "… in 3 minutes." */
+export function retryAfterText(seconds: number): string {
+  if (seconds < 90) {
+    const s = Math.max(1, Math.round(seconds));
+    return `Try again in ${s} second${s === 1 ? '' : 's'}.`;
+  }
+  const m = Math.ceil(seconds / 60);
+  if (m < 90) return `Try again in ${m} minutes.`;
+  const h = Math.ceil(m / 60);
+  return `Try again in ${h} hour${h === 1 ? '' : 's'}.`;
+}
+
+/** The policy's message plus when to retry. */
+export function rateLimitMessage(decision: RateLimitDecision): string {
+  return `${decision.message} ${retryAfterText(decision.retryAfter)}`;
+}
+
+/** Extra fields on a rate-limited ActionResult failure. */
+export interface RateLimitedExtra {
+  [key: string]: unknown;
+  code: 'rate_limited';
+  retryAfter: number;
+  policy: RateLimitPolicyName;
+}
+
+/** Narrow an ActionResult failure to the rate-limited shape. */
+export function isRateLimited(
+  res: { ok: boolean; code?: unknown } | null | undefined,
+): res is { ok: false; error: string } & RateLimitedExtra {
+  return !!res && res.ok === false && res.code === 'rate_limited';
+}
@@ -26,6 +26,12 @@ import { NextResponse } from 'next/server';
 import * as Sentry from '@sentry/nextjs';
 import type { Ok, Fail } from '@/lib/types';
 import { logger, newRequestId } from './logger';
+import {
+  rateLimitHeaders,
+  rateLimitMessage,
+  type RateLimitDecision,
+  type RateLimitedExtra,
+} from './rateLimitPolicy';
 
 // ---- Route-handler helpers ----
 
@@ -90,6 +96,43 @@ export function actionFail(
   return { ok: false, error: message, ...safeExtra } as Fail;
 }
 
+// ---- Rate-limit helpers ----
+// See lib/api/rateLimitPolicy.ts for the policy table and checkRateLimit.
+
+/**
+ * 429 for a denied checkRateLimit decision, with RateLimit-* and
+ * Retry-After headers. `legacy` returns the bare `{ error }` body for
+ * routes still on legacyApiRoute.
+ */
+export function rateLimited(
+  decision: RateLimitDecision,
+  { legacy = false }: { legacy?: boolean } = {},
+): NextResponse {
+  const error = rateLimitMessage(decision);
+  const body = legacy
+    ? { error, retryAfter: decision.retryAfter }
+    : { ok: false, error, code: 'rate_limited', retryAfter: decision.retryAfter };
+  return NextResponse.json(body, { status: 429, headers: rateLimitHeaders(decision) });
+}
+
+/** Attach RateLimit-* headers to an allowed route's response. */
+export function withRateLimitHeaders<R extends Response>(res: R, decision: RateLimitDecision): R {
+  for (const [k, v] of Object.entries(rateLimitHeaders(decision))) res.headers.set(k, v);
+  return res;
+}
+
+/**
+ * Server Action failure for a denied decision. The UI shows `error`
+ * as-is; `code` / `retryAfter` let it disable a button until then.
+ */
+export function actionRateLimited(decision: RateLimitDecision): Fail<RateLimitedExtra> {
+  return actionFail(rateLimitMessage(decision), {
+    code: 'rate_limited',
+    retryAfter: decision.retryAfter,
+    policy: decision.policy,
+  }) as Fail<RateLimitedExtra>;
+}
+
 // ---- Shared error class ----
 
 // Thrown by the auth helpers (lib/api/auth.js). Callable from both
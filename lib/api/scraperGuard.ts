@@ -0,0 +1,152 @@
+// Scraper guard for question-payload loads — the IO half of scraper
+// detection. See lib/api/scraperPolicy.ts for the policy and
+// supabase/migrations/20261019240000_scraper_enforcement.sql for the
+// tables and the flag stages.
+//
+// Called after the 'question.load' rate limit by the runner Server
+// Actions and pages:
+//
+//   const blocked = await guardQuestionLoad(ctx);
+//   if (blocked) return blocked;          // Server Action
+//
+// Each call measures cadence on this instance (scraperSignals.check)
+// and applies scraperDecision. Signals reach the caller's
+// scraper_signal_days row in batches (createSignalBatcher): a flagged
+// load is written at once, 'ok' loads at most once a minute per user.
+// The same RPC returns the caller's restriction + ban state; when what
+// this instance holds is RESTRICTION_TTL_MS old and no write is due,
+// scraper_restriction() re-reads it. So a restriction or ban an admin
+// sets is enforced within RESTRICTION_TTL_MS (10s) on every instance,
+// not at the next write. With the flag 'off' nothing is measured
+// or written. A throttled account is held to the
+// 'scraper.throttled' rate-limit policy; a denied one gets a
+// `code: 'scraper_denied'` failure with the reason.
+//
+// Detection must never take the runner down: if the flag read or the
+// RPC fails, the load proceeds on cadence and the last restriction
+// state this instance saw (none, if it never saw one), and the
+// unwritten batch rides along with the next write. Only then can
+// enforcement lag past RESTRICTION_TTL_MS: until a read succeeds.
+
+import { logger } from './logger';
+import { actionFail, actionRateLimited } from './response';
+import { checkRateLimit } from './rateLimitPolicy';
+import { check } from './scraperSignals';
+import {
+  SCRAPER_DENY_MESSAGES,
+  createSignalBatcher,
+  intervalBucket,
+  scraperDecision,
+  type AccountRestriction,
+  type RestrictionMode,
+  type ScraperDenyReason,
+  type SignalBatch,
+} from './scraperPolicy';
+import { scraperEnforcementStage } from '@/lib/flags-server';
+import type { AuthContext } from './auth';
+import type { Fail } from '@/lib/types';
+
+export type ScraperDeniedExtra = { code: 'scraper_denied'; reason: ScraperDenyReason };
+
+const NO_RESTRICTION: AccountRestriction = { mode: null, reauthAfter: null, banned: false };
+
+const batcher = createSignalBatcher();
+
+type RestrictionRow = { mode: string | null; reauth_after: string | null; banned: boolean };
+
+function toRestriction(row: RestrictionRow | undefined): AccountRestriction {
+  if (!row) return NO_RESTRICTION;
+  return {
+    mode: (row.mode as RestrictionMode | null) ?? null,
+    reauthAfter: row.reauth_after ?? null,
+    banned: !!row.banned,
+  };
+}
+
+/** Write one batch; returns the caller's restriction state, or null if the write failed. */
+async function writeSignals(
+  ctx: Pick<AuthContext, 'user' | 'supabase'>,
+  batch: SignalBatch,
+): Promise<AccountRestriction | null> {
+  const { data, error } = await ctx.supabase.rpc('record_scraper_signals', {
+    p_loads: batch.loads,
+    p_suspicious: batch.suspicious,
+    p_blocked: batch.blocked,
+    p_histogram: batch.histogram,
+    p_last_level: batch.lastLevel,
+    p_median_ms: batch.minMedianMs ?? undefined,
+  });
+  if (error) {
+    logger.warn({ userId: ctx.user.id, err: error.message, loads: batch.loads }, 'scraper_signal_persist_failed');
+    return null;
+  }
+  return toRestriction(data?.[0] as RestrictionRow | undefined);
+}
+
+/** Read the caller's restriction state without writing; null if the read failed. */
+async function readRestriction(
+  ctx: Pick<AuthContext, 'user' | 'supabase'>,
+): Promise<AccountRestriction | null> {
+  const { data, error } = await ctx.supabase.rpc('scraper_restriction');
+  if (error) {
+    logger.warn({ userId: ctx.user.id, err: error.message }, 'scraper_restriction_read_failed');
+    return null;
+  }
+  return toRestriction(data?.[0] as RestrictionRow | undefined);
+}
+
+/**
+ * Measure, persist and enforce for one question-payload load. Returns
+ * null to proceed, or the failure to hand back to the client.
+ */
+export async function guardQuestionLoad(
+  ctx: Pick<AuthContext, 'user' | 'profile' | 'supabase'>,
+): Promise<Fail | null> {
+  const stage = await scraperEnforcementStage();
+  if (stage === 'off') return null;
+
+  const signal = check(ctx.user.id);
+  const now = Date.now();
+  let restriction = batcher.restriction(ctx.user.id) ?? NO_RESTRICTION;
+  const batch = batcher.add(
+    ctx.user.id,
+    { level: signal.level, bucket: intervalBucket(signal.intervalMs), medianMs: signal.medianIntervalMs },
+    now,
+  );
+  if (batch) {
+    const fresh = await writeSignals(ctx, batch);
+    if (fresh) {
+      restriction = fresh;
+      batcher.flushed(ctx.user.id, fresh, now);
+    } else {
+      batcher.failed(ctx.user.id, batch);
+    }
+  } else if (batcher.restrictionStale(ctx.user.id, now)) {
+    const fresh = await readRestriction(ctx);
+    if (fresh) {
+      restriction = fresh;
+      batcher.refreshed(ctx.user.id, fresh, now);
+    }
+  }
+
+  const decision = scraperDecision({
+    stage,
+    level: signal.level,
+    restriction,
+    lastSignInAt: ctx.user.last_sign_in_at,
+  });
+  if (decision.action === 'allow') return null;
+
+  logger.info(
+    { userId: ctx.user.id, stage, level: signal.level, restriction: restriction.mode, decision },
+    'scraper_enforced',
+  );
+  if (decision.action === 'throttle') {
+    const rl = await checkRateLimit('scraper.throttled', { key: ctx.user.id, role: ctx.profile.role });
+    return rl.ok ? null : actionRateLimited(rl);
+  }
+  return actionFail(SCRAPER_DENY_MESSAGES[decision.reason], {
+    code: 'scraper_denied',
+    reason: decision.reason,
+  }) as Fail<ScraperDeniedExtra>;
+}
@@ -0,0 +1,172 @@
+// Scraper detection policy: cadence classification, histogram buckets,
+// the stage × restriction decision matrix, signal batching, and the
+// admin roll-up.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INTERVAL_BUCKETS,
+  MIN_REQUESTS_FOR_DECISION,
+  classifyCadence,
+  createSignalBatcher,
+  intervalBucket,
+  scraperDecision,
+  summarizeSignalDays,
+} from './scraperPolicy.ts';
+
+const every = (ms, n = 20) => Array.from({ length: n }, (_, i) => 1_000_000 + i * ms);
+const NONE = { mode: null, reauthAfter: null, banned: false };
+
+test('classifyCadence: too few samples is ok; tight medians escalate', () => {
+  assert.deepEqual(classifyCadence(every(10, MIN_REQUESTS_FOR_DECISION - 1)), {
+    level: 'ok',
+    medianIntervalMs: null,
+  });
+  assert.equal(classifyCadence(every(50)).level, 'blocked');
+  assert.equal(classifyCadence(every(200)).level, 'suspicious');
+  assert.equal(classifyCadence(every(45_000)).level, 'ok');
+  // One slow outlier doesn't hide a scraper: the median is what counts.
+  const mixed = every(40);
+  mixed.push(mixed.at(-1) + 600_000);
+  assert.equal(classifyCadence(mixed).level, 'blocked');
+});
+
+test('intervalBucket maps onto the seven persisted buckets', () => {
+  assert.equal(INTERVAL_BUCKETS.length, 7);
+  assert.equal(intervalBucket(null), 0);
+  assert.equal(intervalBucket(0), 1);
+  assert.equal(intervalBucket(149), 1);
+  assert.equal(intervalBucket(150), 2);
+  assert.equal(intervalBucket(4_999), 4);
+  assert.equal(intervalBucket(90_000), 6);
+  assert.equal(intervalBucket(3_600_000), 7);
+});
+
+test('shadow never acts on cadence; off ignores even restrictions', () => {
+  for (const level of ['ok', 'suspicious', 'blocked']) {
+    assert.deepEqual(scraperDecision({ stage: 'shadow', level, restriction: NONE, lastSignInAt: null }), { action: 'allow' });
+  }
+  assert.deepEqual(
+    scraperDecision({ stage: 'off', level: 'blocked', restriction: { ...NONE, banned: true }, lastSignInAt: null }),
+    { action: 'allow' },
+  );
+});
+
+test('throttle and enforce stages escalate by level', () => {
+  const d = (stage, level) => scraperDecision({ stage, level, restriction: NONE, lastSignInAt: null });
+  assert.deepEqual(d('throttle', 'suspicious'), { action: 'allow' });
+  assert.deepEqual(d('throttle', 'blocked'), { action: 'throttle' });
+  assert.deepEqual(d('enforce', 'ok'), { action: 'allow' });
+  assert.deepEqual(d('enforce', 'suspicious'), { action: 'throttle' });
+  assert.deepEqual(d('enforce', 'blocked'), { action: 'deny', reason: 'scraper_blocked' });
+});
+
+test('admin restrictions apply from shadow up', () => {
+  const d = (restriction, lastSignInAt = null) =>
+    scraperDecision({ stage: 'shadow', level: 'ok', restriction: { ...NONE, ...restriction }, lastSignInAt });
+  assert.deepEqual(d({ banned: true }), { action: 'deny', reason: 'suspended' });
+  assert.deepEqual(d({ mode: 'suspend' }), { action: 'deny', reason: 'suspended' });
+  assert.deepEqual(d({ mode: 'throttle' }), { action: 'throttle' });
+
+  const reauthAfter = '2026-10-19T12:00:00Z';
+  assert.deepEqual(d({ mode: 'reauth', reauthAfter }, '2026-10-19T11:59:00Z'), {
+    action: 'deny',
+    reason: 'reauth_required',
+  });
+  assert.deepEqual(d({ mode: 'reauth', reauthAfter }, null), { action: 'deny', reason: 'reauth_required' });
+  assert.deepEqual(d({ mode: 'reauth', reauthAfter }, '2026-10-19T12:05:00Z'), { action: 'allow' });
+});
+
+test('summarizeSignalDays rolls days up per account, worst first', () => {
+  const day = (user_id, d, over = {}) => ({
+    user_id,
+    day: d,
+    question_loads: 10,
+    suspicious: 0,
+    blocked: 0,
+    min_median_ms: null,
+    interval_histogram: [0, 0, 0, 0, 0, 0, 0],
+    last_seen_at: `${d}T12:00:00Z`,
+    ...over,
+  });
+  const out = summarizeSignalDays([
+    day('a', '2026-10-17', { suspicious: 4, min_median_ms: 220, interval_histogram: [0, 4, 2, 0, 0, 0, 3] }),
+    day('b', '2026-10-18', { blocked: 30, min_median_ms: 40, interval_histogram: [30] }),
+    day('a', '2026-10-18', { suspicious: 2, min_median_ms: 260, interval_histogram: [1, 1, 0, 0, 0, 0, 0] }),
+  ]);
+  assert.deepEqual(out.map((s) => s.userId), ['b', 'a']);
+  const a = out[1];
+  assert.equal(a.days, 2);
+  assert.equal(a.questionLoads, 20);
+  assert.equal(a.suspicious, 6);
+  assert.equal(a.minMedianMs, 220);
+  assert.deepEqual(a.histogram, [1, 5, 2, 0, 0, 0, 3]);
+  assert.equal(a.lastSeenAt, '2026-10-18T12:00:00Z');
+  // A short stored array is padded out to the full bucket count.
+  assert.deepEqual(out[0].histogram, [30, 0, 0, 0, 0, 0, 0]);
+});
+
+test('createSignalBatcher: ok loads wait a minute, flagged loads write at once', () => {
+  const b = createSignalBatcher({ flushMs: 60_000 });
+  const ok = (bucket = 5) => ({ level: 'ok', bucket, medianMs: null });
+  let t = 1_000_000;
+
+  // First load: no restriction state yet, so it writes.
+  const first = b.add('u1', ok(0), t);
+  assert.equal(first.loads, 1);
+  assert.deepEqual(first.histogram, [0, 0, 0, 0, 0, 0, 0]);
+  b.flushed('u1', NONE, t);
+  assert.deepEqual(b.restriction('u1'), NONE);
+
+  // Within the minute, ok loads accumulate.
+  for (let i = 0; i < 5; i += 1) assert.equal(b.add('u1', ok(), (t += 10_000)), null);
+
+  // A blocked load writes everything pending with it.
+  const flagged = b.add('u1', { level: 'blocked', bucket: 1, medianMs: 90 }, (t += 100));
+  assert.deepEqual(flagged, {
+    loads: 6, suspicious: 0, blocked: 1, minMedianMs: 90,
+    histogram: [1, 0, 0, 0, 5, 0, 0], lastLevel: 'blocked',
+  });
+  b.flushed('u1', { mode: 'throttle', reauthAfter: null, banned: false }, t);
+
+  // The minute rolls over from the last write.
+  assert.equal(b.add('u1', ok(), (t += 59_000)), null);
+  assert.equal(b.add('u1', ok(), (t += 1_000)).loads, 2);
+  assert.equal(b.restriction('u1').mode, 'throttle');
+  assert.equal(b.restriction('u2'), null);
+});
+
+test('createSignalBatcher: a failed write rides along with the next one', () => {
+  const b = createSignalBatcher({ flushMs: 60_000 });
+  const t = 1_000_000;
+  const lost = b.add('u1', { level: 'suspicious', bucket: 2, medianMs: 250 }, t);
+  b.failed('u1', lost);
+  assert.equal(b.restriction('u1'), null);
+  const retry = b.add('u1', { level: 'ok', bucket: 4, medianMs: 400 }, t + 1_000);
+  assert.deepEqual(retry, {
+    loads: 2, suspicious: 1, blocked: 0, minMedianMs: 250,
+    histogram: [0, 1, 0, 1, 0, 0, 0], lastLevel: 'ok',
+  });
+});
+
+test('createSignalBatcher: the restriction state goes stale on its own clock, between writes', () => {
+  const b = createSignalBatcher({ flushMs: 60_000, restrictionTtlMs: 10_000 });
+  const ok = { level: 'ok', bucket: 5, medianMs: null };
+  let t = 1_000_000;
+
+  assert.equal(b.restrictionStale('u1', t), true);
+  b.add('u1', ok, t);
+  b.flushed('u1', NONE, t);
+  assert.equal(b.restrictionStale('u1', (t += 9_000)), false);
+
+  // No write is due for a minute, but the state is re-read after 10s.
+  assert.equal(b.add('u1', ok, (t += 1_000)), null);
+  assert.equal(b.restrictionStale('u1', t), true);
+  b.refreshed('u1', { mode: 'suspend', reauthAfter: null, banned: false }, t);
+  assert.equal(b.restriction('u1').mode, 'suspend');
+  assert.equal(b.restrictionStale('u1', t + 9_999), false);
+
+  // A read doesn't reset the write clock.
+  assert.equal(b.add('u1', ok, (t = 1_000_000 + 60_000)).loads, 2);
+});
+
@@ -0,0 +1,313 @@
+// Scraper detection — the pure half. See docs/architecture-plan.md §3.7.
+//
+// Classifies request cadence, decides what a guarded question load
+// does with the result (given the feature_flags.scraper_enforcement
+// stage and any admin restriction on the account), and batches the
+// signals the guard persists. Import-free so
+// `node --test` can drive it (lib/api/scraperPolicy.test.mjs); the
+// per-instance history lives in scraperSignals.ts and the IO in
+// scraperGuard.ts.
+//
+// A real student spends 30–180 seconds per question. A scraper pages
+// through with millisecond spacing. The fingerprint is the median
+// inter-request interval over the last few dozen loads:
+//
+//   < 150ms  'blocked'     — no human pages that fast, sustained
+//   < 300ms  'suspicious'  — keyboard power users live near here
+//   else     'ok'
+
+import type { ScraperStage } from '../flags.ts';
+
+export type ScraperLevel = 'ok' | 'suspicious' | 'blocked';
+
+export const MIN_HUMAN_INTERVAL_MS = 150;
+export const MIN_REQUESTS_FOR_DECISION = 10;
+
+/**
+ * Upper bounds (exclusive, ms) of the inter-request interval histogram
+ * persisted in scraper_signal_days.interval_histogram. Seven buckets;
+ * the last is open-ended. Changing these changes what stored rows mean.
+ */
+export const INTERVAL_BUCKETS = [
+  { label: '<150ms', max: 150 },
+  { label: '<300ms', max: 300 },
+  { label: '<1s', max: 1_000 },
+  { label: '<5s', max: 5_000 },
+  { label: '<30s', max: 30_000 },
+  { label: '<2m', max: 120_000 },
+  { label: '2m+', max: Infinity },
+] as const;
+
+/** 1-based histogram bucket for an interval (Postgres arrays are
+ *  1-based); 0 when there is no interval yet (first request). */
+export function intervalBucket(intervalMs: number | null): number {
+  if (intervalMs == null || !Number.isFinite(intervalMs) || intervalMs < 0) return 0;
+  return INTERVAL_BUCKETS.findIndex((b) => intervalMs < b.max) + 1;
+}
+
+/** Classify a window of request timestamps (ms, oldest first). */
+export function classifyCadence(history: readonly number[]): {
+  level: ScraperLevel;
+  medianIntervalMs: number | null;
+} {
+  if (history.length < MIN_REQUESTS_FOR_DECISION) {
+    return { level: 'ok', medianIntervalMs: null };
+  }
+  const intervals: number[] = [];
+  for (let i = 1; i < history.length; i += 1) intervals.push(history[i] - history[i - 1]);
+  intervals.sort((a, b) => a - b);
+  const median = intervals[Math.floor(intervals.length / 2)] || 0;
+  let level: ScraperLevel = 'ok';
+  if (median < MIN_HUMAN_INTERVAL_MS) level = 'blocked';
+  else if (median < MIN_HUMAN_INTERVAL_MS * 2) level = 'suspicious';
+  return { level, medianIntervalMs: median };
+}
+
+export type RestrictionMode = 'throttle' | 'reauth' | 'suspend';
+
+export interface AccountRestriction {
+  mode: RestrictionMode | null;
+  /** reauth: sessions signed in before this are refused content. */
+  reauthAfter: string | null;
+  banned: boolean;
+}
+
+export type ScraperDenyReason = 'suspended' | 'reauth_required' | 'scraper_blocked';
+
+export type ScraperDecision =
+  | { action: 'allow' }
+  | { action: 'throttle' }
+  | { action: 'deny'; reason: ScraperDenyReason };
+
+export const SCRAPER_DENY_MESSAGES: Record<ScraperDenyReason, string> = {
+  suspended: 'This account has been suspended.',
+  reauth_required: 'Please sign out and sign in again to keep practicing.',
+  scraper_blocked: 'Questions are loading faster than anyone can read them, so loading has been paused.',
+};
+
+/**
+ * What a guarded question load does. Admin actions (ban, suspend,
+ * re-auth, throttle) apply whenever detection is on at all; the stage
+ * only governs the automatic response to cadence:
+ *
+ *   shadow    never acts on cadence
+ *   throttle  'blocked' → throttle
+ *   enforce   'blocked' → deny, 'suspicious' → throttle
+ */
+export function scraperDecision({
+  stage,
+  level,
+  restriction,
+  lastSignInAt,
+}: {
+  stage: ScraperStage;
+  level: ScraperLevel;
+  restriction: AccountRestriction;
+  lastSignInAt: string | null | undefined;
+}): ScraperDecision {
+  if (stage === 'off') return { action: 'allow' };
+  if (restriction.banned || restriction.mode === 'suspend') {
+    return { action: 'deny', reason: 'suspended' };
+  }
+  if (restriction.mode === 'reauth') {
+    const signedIn = lastSignInAt ? Date.parse(lastSignInAt) : NaN;
+    const after = restriction.reauthAfter ? Date.parse(restriction.reauthAfter) : NaN;
+    if (!(signedIn > after)) return { action: 'deny', reason: 'reauth_required' };
+  }
+  if (stage === 'enforce' && level === 'blocked') return { action: 'deny', reason: 'scraper_blocked' };
+  if (restriction.mode === 'throttle') return { action: 'throttle' };
+  if (stage === 'throttle' && level === 'blocked') return { action: 'throttle' };
+  if (stage === 'enforce' && level === 'suspicious') return { action: 'throttle' };
+  return { action: 'allow' };
+}
+
+/** Loads accumulated on one instance for one user, written as one
+ *  record_scraper_signals call. */
+export interface SignalBatch {
+  loads: number;
+  suspicious: number;
+  blocked: number;
+  minMedianMs: number | null;
+  /** Interval counts per INTERVAL_BUCKETS entry. */
+  histogram: number[];
+  lastLevel: ScraperLevel;
+}
+
+/** How long an instance holds 'ok' loads before writing again. */
+export const SIGNAL_FLUSH_MS = 60_000;
+
+/** How long an instance trusts the restriction state it last read —
+ *  from a write or a plain read — before reading it again. */
+export const RESTRICTION_TTL_MS = 10_000;
+
+export interface SignalBatcher {
+  /**
+   * Count one load. Returns the batch to write now — and forgets it —
+   * when the load is suspicious or blocked, when there is no restriction
+   * state for the user yet, or when the last write is SIGNAL_FLUSH_MS
+   * old; otherwise null, and the load waits for the next write.
+   */
+  add(userId: string, load: { level: ScraperLevel; bucket: number; medianMs: number | null }, now: number): SignalBatch | null;
+  /** Restriction state from the last successful write or read, if any. */
+  restriction(userId: string): AccountRestriction | null;
+  /** True when the held restriction state is RESTRICTION_TTL_MS old and
+   *  no write is carrying a fresh one. */
+  restrictionStale(userId: string, now: number): boolean;
+  /** A write succeeded and returned this restriction state. */
+  flushed(userId: string, restriction: AccountRestriction, now: number): void;
+  /** A read (without a write) returned this restriction state. */
+  refreshed(userId: string, restriction: AccountRestriction, now: number): void;
+  /** A write failed: fold the batch back in so the next one carries it. */
+  failed(userId: string, batch: SignalBatch): void;
+}
+
+/**
+ * Per-instance batching for the daily signal rows. A student's 'ok'
+ * loads cost one write a minute instead of one each; anything flagged
+ * is written at once, so /admin/scraping and the counts enforcement
+ * reads stay current where it matters. The restriction state is
+ * re-read on its own clock (restrictionTtlMs), so an admin restriction
+ * or ban is enforced on a user's loads at most RESTRICTION_TTL_MS after
+ * it is set, whatever the write batch is doing. 'ok' loads an instance
+ * hasn't written when it is recycled are lost, so question_loads is a
+ * floor.
+ */
+export function createSignalBatcher({
+  flushMs = SIGNAL_FLUSH_MS,
+  restrictionTtlMs = RESTRICTION_TTL_MS,
+  maxKeys = 10_000,
+}: { flushMs?: number; restrictionTtlMs?: number; maxKeys?: number } = {}): SignalBatcher {
+  const users = new Map<string, {
+    pending: SignalBatch | null;
+    restriction: AccountRestriction | null;
+    checkedAt: number;
+    readAt: number;
+  }>();
+
+  const merge = (into: SignalBatch | null, from: SignalBatch): SignalBatch => {
+    if (!into) return { ...from, histogram: [...from.histogram] };
+    return {
+      loads: into.loads + from.loads,
+      suspicious: into.suspicious + from.suspicious,
+      blocked: into.blocked + from.blocked,
+      minMedianMs: into.minMedianMs == null ? from.minMedianMs
+        : from.minMedianMs == null ? into.minMedianMs
+        : Math.min(into.minMedianMs, from.minMedianMs),
+      histogram: into.histogram.map((n, i) => n + (from.histogram[i] ?? 0)),
+      lastLevel: from.lastLevel,
+    };
+  };
+
+  return {
+    add(userId, { level, bucket, medianMs }, now) {
+      let entry = users.get(userId);
+      if (!entry) {
+        if (users.size >= maxKeys) {
+          for (const [k, v] of users) if (now - v.checkedAt >= flushMs * 10) users.delete(k);
+        }
+        entry = { pending: null, restriction: null, checkedAt: now, readAt: now };
+        users.set(userId, entry);
+      }
+      const histogram = INTERVAL_BUCKETS.map((_, i) => (i + 1 === bucket ? 1 : 0));
+      entry.pending = merge(entry.pending, {
+        loads: 1,
+        suspicious: level === 'suspicious' ? 1 : 0,
+        blocked: level === 'blocked' ? 1 : 0,
+        minMedianMs: medianMs,
+        histogram,
+        lastLevel: level,
+      });
+      if (level === 'ok' && entry.restriction && now - entry.checkedAt < flushMs) return null;
+      const batch = entry.pending;
+      entry.pending = null;
+      return batch;
+    },
+    restriction(userId) {
+      return users.get(userId)?.restriction ?? null;
+    },
+    restrictionStale(userId, now) {
+      const entry = users.get(userId);
+      return !entry?.restriction || now - entry.readAt >= restrictionTtlMs;
+    },
+    flushed(userId, restriction, now) {
+      const entry = users.get(userId);
+      if (!entry) return;
+      entry.restriction = restriction;
+      entry.checkedAt = now;
+      entry.readAt = now;
+    },
+    refreshed(userId, restriction, now) {
+      const entry = users.get(userId);
+      if (!entry) return;
+      entry.restriction = restriction;
+      entry.readAt = now;
+    },
+    failed(userId, batch) {
+      const entry = users.get(userId);
+      if (!entry) return;
+      // The failed batch is older than anything added since.
+      const pending = entry.pending;
+      entry.pending = pending ? merge(batch, pending) : merge(null, batch);
+    },
+  };
+}
+
+/** One scraper_signal_days row, as /admin/scraping reads it. */
+export interface SignalDay {
+  user_id: string;
+  day: string;
+  question_loads: number;
+  suspicious: number;
+  blocked: number;
+  min_median_ms: number | null;
+  interval_histogram: number[];
+  last_seen_at: string;
+}
+
+export interface AccountSignalSummary {
+  userId: string;
+  days: number;
+  questionLoads: number;
+  suspicious: number;
+  blocked: number;
+  minMedianMs: number | null;
+  /** Summed interval_histogram, always INTERVAL_BUCKETS.length long. */
+  histogram: number[];
+  lastSeenAt: string;
+}
+
+/**
+ * Roll a window of daily rows up to one summary per account, worst
+ * first: most blocked loads, then most suspicious, then most recent.
+ */
+export function summarizeSignalDays(rows: readonly SignalDay[]): AccountSignalSummary[] {
+  const byUser = new Map<string, AccountSignalSummary>();
+  for (const row of rows) {
+    let acc = byUser.get(row.user_id);
+    if (!acc) {
+      acc = {
+        userId: row.user_id,
+        days: 0,
+        questionLoads: 0,
+        suspicious: 0,
+        blocked: 0,
+        minMedianMs: null,
+        histogram: INTERVAL_BUCKETS.map(() => 0),
+        lastSeenAt: row.last_seen_at,
+      };
+      byUser.set(row.user_id, acc);
+    }
+    acc.days += 1;
+    acc.questionLoads += row.question_loads;
+    acc.suspicious += row.suspicious;
+    acc.blocked += row.blocked;
+    if (row.min_median_ms != null) {
+      acc.minMedianMs = acc.minMedianMs == null ? row.min_median_ms : Math.min(acc.minMedianMs, row.min_median_ms);
+    }
+    for (let i = 0; i < acc.histogram.length; i += 1) acc.histogram[i] += row.interval_histogram[i] ?? 0;
+    if (row.last_seen_at > acc.lastSeenAt) acc.lastSeenAt = row.last_seen_at;
+  }
+  return [...byUser.values()].sort(
+    (x, y) => y.blocked - x.blocked || y.suspicious - x.suspicious || y.lastSeenAt.localeCompare(x.lastSeenAt),
+  );
+}
@@ -0,0 +1,66 @@
+// Behavioral scraper detection — per-instance cadence tracking. See
+// docs/architecture-plan.md §3.7.
+//
+// Keeps the last few dozen request timestamps per key (user id) and
+// classifies them with classifyCadence (lib/api/scraperPolicy.ts):
+//
+//   'ok'         - looks normal.
+//   'suspicious' - cadence is tight; throttled once enforcement is on.
+//   'blocked'    - unambiguous scraper pattern.
+//
+// check() only measures and logs. What happens next — nothing in
+// shadow mode, a throttle or a refusal once enforcement is staged up —
+// is decided by lib/api/scraperGuard.ts from the scraper_enforcement
+// feature flag, which also persists each signal per user per day.
+
+import { logger } from './logger';
+import { classifyCadence, type ScraperLevel } from './scraperPolicy';
+
+const SESSION_HISTORY_LIMIT = 50;
+
+// Module-scoped map of key -> recent request timestamps (ms).
+// Reset on cold start; that's fine — scraper detection only needs a
+// few minutes of history, and a fresh instance will re-accumulate.
+const sessionHistory = new Map<string, number[]>();
+
+export interface ScraperSignal {
+  level: ScraperLevel;
+  samples: number;
+  medianIntervalMs: number | null;
+  /** Gap since this key's previous request on this instance. */
+  intervalMs: number | null;
+}
+
+/**
+ * Record a request and classify this key's recent cadence.
+ *
+ * @param sessionKey - user id, session id, or any stable id.
+ */
+export function check(sessionKey: string, { now = Date.now() }: { now?: number } = {}): ScraperSignal {
+  const history = sessionHistory.get(sessionKey) ?? [];
+  const previous = history.at(-1);
+  history.push(now);
+  // Trim to the most recent N entries so we can compute a rolling window.
+  while (history.length > SESSION_HISTORY_LIMIT) history.shift();
+  sessionHistory.set(sessionKey, history);
+
+  const { level, medianIntervalMs } = classifyCadence(history);
+  const signal = {
+    level,
+    samples: history.length,
+    medianIntervalMs,
+    intervalMs: previous == null ? null : now - previous,
+  };
+  if (medianIntervalMs != null) {
+    logger.info({ sessionKey, ...signal, computedLevel: level }, 'scraper_signal');
+  }
+  return signal;
+}
+
+/**
+ * Clear a session's history. Useful for tests and for manual unlocks
+ * after a false-positive block.
+ */
+export function reset(sessionKey: string): void {
+  sessionHistory.delete(sessionKey);
+}
@@ -0,0 +1,232 @@
+// Fixture tests for the dunning flow.
+//
+// The events in ./fixtures are synthetic, shaped like Stripe's
+// 2025-03-31.basil payloads (invoice.parent.subscription_details, period
+// dates on items[]). They stand in for live Stripe: each test feeds one
+// through the same functions the webhook calls, with the database and
+// the mailer replaced by in-memory fakes.
+//
+// The timeline they share: trial ends 2026-08-13T15:56:38Z, Stripe
+// warns three days earlier, the first charge fails a minute after the
+// trial ends and is retried three days later.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  deliverDunningNotice,
+  dunningNoticeOf,
+  graceStateOf,
+  inBillingGrace,
+  isReadOnlyPath,
+  pastDueSinceFor,
+  BILLING_GRACE_HEADER,
+} from './dunning.ts';
+import { mapStripeStatus } from './stripe-mapping.ts';
+import { diffSubscription } from './reconcile.ts';
+
+const fixture = (name) =>
+  JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+const trialWillEnd = fixture('customer.subscription.trial_will_end');
+const paymentFailed = fixture('invoice.payment_failed');
+const updatedPastDue = fixture('customer.subscription.updated.past_due');
+
+const FAILED_AT = new Date(paymentFailed.created * 1000);
+const DAY = 86_400_000;
+
+// ── Notices ───────────────────────────────────────────────────────
+
+test('trial_will_end calls for a trial_ending reminder with the trial end', () => {
+  const notice = dunningNoticeOf(trialWillEnd);
+  assert.equal(notice.kind, 'trial_ending');
+  assert.equal(notice.subscriptionId, 'sub_1QdunningFixture01');
+  assert.equal(notice.customerId, 'cus_QdunningFixture1');
+  assert.equal(notice.trialEnd, '2026-08-13T15:56:38.000Z');
+});
+
+test('trial_will_end for a trial already canceled sends nothing', () => {
+  const canceled = structuredClone(trialWillEnd);
+  canceled.data.object.status = 'canceled';
+  assert.equal(dunningNoticeOf(canceled), null);
+});
+
+test('payment_failed reads the basil invoice shape', () => {
+  const notice = dunningNoticeOf(paymentFailed);
+  assert.equal(notice.kind, 'payment_failed');
+  assert.equal(notice.subscriptionId, 'sub_1QdunningFixture01', 'from parent.subscription_details');
+  assert.equal(notice.attemptCount, 1);
+  assert.equal(notice.nextAttemptAt, '2026-08-16T15:57:40.000Z');
+  assert.equal(notice.amountDue, 2900);
+  assert.equal(notice.currency, 'usd');
+});
+
+test('payment_failed still finds the subscription on the pre-basil shape', () => {
+  const legacy = structuredClone(paymentFailed);
+  delete legacy.data.object.parent;
+  legacy.data.object.subscription = 'sub_legacy';
+  assert.equal(dunningNoticeOf(legacy).subscriptionId, 'sub_legacy');
+});
+
+test('other events call for no reminder', () => {
+  assert.equal(dunningNoticeOf(updatedPastDue), null);
+});
+
+// ── Delivery ──────────────────────────────────────────────────────
+
+function fakeDeps({ recipient = { userId: 'u1', email: 'sam@example.com', firstName: 'Sam', graceEndsAt: null }, sendOk = true } = {}) {
+  const notices = new Map();
+  const sent = [];
+  return {
+    notices,
+    sent,
+    deps: {
+      findRecipient: async () => recipient,
+      claim: async (row) => {
+        if (notices.has(row.stripeEventId)) return false;
+        notices.set(row.stripeEventId, { ...row, sentAt: null });
+        return true;
+      },
+      send: async (notice, to) => {
+        sent.push({ kind: notice.kind, to: to.email });
+        return sendOk;
+      },
+      markSent: async (id) => {
+        notices.get(id).sentAt = 'now';
+      },
+    },
+  };
+}
+
+test('a reminder is sent and recorded once per event, however often Stripe redelivers', async () => {
+  const { deps, notices, sent } = fakeDeps();
+
+  assert.equal(await deliverDunningNotice(paymentFailed, deps), 'payment_failed:sent');
+  assert.equal(await deliverDunningNotice(paymentFailed, deps), 'payment_failed:already_sent');
+
+  assert.deepEqual(sent, [{ kind: 'payment_failed', to: 'sam@example.com' }]);
+  assert.equal(notices.get(paymentFailed.id).sentAt, 'now');
+});
+
+test('a failed send is recorded unsent and not retried', async () => {
+  const { deps, notices, sent } = fakeDeps({ sendOk: false });
+
+  assert.equal(await deliverDunningNotice(trialWillEnd, deps), 'trial_ending:unsent');
+  assert.equal(await deliverDunningNotice(trialWillEnd, deps), 'trial_ending:already_sent');
+
+  assert.equal(sent.length, 1);
+  assert.equal(notices.get(trialWillEnd.id).sentAt, null);
+});
+
+test('no recipient (school plan, unknown subscription) sends and claims nothing', async () => {
+  const { deps, notices, sent } = fakeDeps({ recipient: null });
+  assert.equal(await deliverDunningNotice(paymentFailed, deps), 'payment_failed:no_recipient');
+  assert.equal(notices.size, 0);
+  assert.equal(sent.length, 0);
+});
+
+test('an event with no reminder never touches the database', async () => {
+  const deps = {
+    findRecipient: async () => assert.fail('should not look up'),
+    claim: async () => assert.fail('should not claim'),
+    send: async () => assert.fail('should not send'),
+    markSent: async () => assert.fail('should not mark'),
+  };
+  assert.equal(await deliverDunningNotice(updatedPastDue, deps), 'none');
+});
+
+// ── Grace ─────────────────────────────────────────────────────────
+
+test('the failure event starts the clock; Stripe retries do not restart it', () => {
+  const status = mapStripeStatus(updatedPastDue.data.object.status);
+  const since = pastDueSinceFor({ status: 'trialing', past_due_since: null }, status, FAILED_AT);
+  assert.equal(since, '2026-08-13T15:57:40.000Z');
+
+  const retryAt = new Date(FAILED_AT.getTime() + 3 * DAY);
+  assert.equal(pastDueSinceFor({ status: 'past_due', past_due_since: since }, 'past_due', retryAt), since);
+  assert.equal(pastDueSinceFor({ status: 'past_due', past_due_since: since }, 'active', retryAt), null);
+});
+
+test('grace is read-only for the configured window, then gone', () => {
+  const sub = { status: 'past_due', past_due_since: FAILED_AT.toISOString() };
+
+  const day2 = new Date(FAILED_AT.getTime() + 2 * DAY);
+  assert.deepEqual(graceStateOf(sub, 7, day2), { graceEndsAt: '2026-08-20T15:57:40.000Z' });
+
+  const day8 = new Date(FAILED_AT.getTime() + 8 * DAY);
+  assert.equal(graceStateOf(sub, 7, day8), null);
+  assert.equal(graceStateOf(sub, 0, day2), null, 'grace days 0 denies immediately');
+});
+
+test('grace needs a past_due row with a start', () => {
+  const day1 = new Date(FAILED_AT.getTime() + DAY);
+  assert.equal(graceStateOf(null, 7, day1), null);
+  assert.equal(graceStateOf({ status: 'canceled', past_due_since: FAILED_AT.toISOString() }, 7, day1), null);
+  assert.equal(graceStateOf({ status: 'past_due', past_due_since: null }, 7, day1), null);
+});
+
+test('read-only grace opens history surfaces and blocks new practice', () => {
+  for (const path of [
+    '/dashboard',
+    '/practice/history',
+    '/practice/review/abc',
+    '/practice/test/attempt/a1/results',
+    '/tutor/dashboard',
+  ]) {
+    assert.ok(isReadOnlyPath(path), path);
+  }
+  for (const path of [
+    '/practice/start',
+    '/practice/s/abc',
+    '/practice/tests',
+    '/practice/test/t1',
+    '/practice/test/attempt/a1',
+    // A module's pre-submit review hosts finishModule.
+    '/practice/test/attempt/a1/m/m1/review',
+    '/today',
+    '/dashboards',
+    // /review's actions build new drills from the error log.
+    '/review',
+    '/review/error-log',
+  ]) {
+    assert.ok(!isReadOnlyPath(path), path);
+  }
+});
+
+test('a past_due user in grace carries the read-only header into Server Actions', () => {
+  const sub = { status: 'past_due', past_due_since: FAILED_AT.toISOString() };
+  const grace = graceStateOf(sub, 7, new Date(FAILED_AT.getTime() + DAY));
+  // What proxy.js does for the page request the action POSTs to.
+  const inGrace = new Headers({ [BILLING_GRACE_HEADER]: grace.graceEndsAt });
+  assert.equal(inGrace.get('x-billing-grace-until'), grace.graceEndsAt);
+  assert.equal(inBillingGrace(inGrace), true);
+  assert.equal(inBillingGrace(new Headers()), false, 'paying users get no header');
+});
+
+test('reconcile starts the clock when it finds a missed payment failure', () => {
+  const sub = updatedPastDue.data.object;
+  const row = {
+    id: 'row-1',
+    user_id: 'u1',
+    status: 'trialing',
+    plan: 'student',
+    stripe_customer_id: sub.customer,
+    stripe_subscription_id: sub.id,
+    current_period_start: '2026-08-13T15:56:38.000Z',
+    current_period_end: '2026-09-12T15:56:38.000Z',
+    trial_end: '2026-08-13T15:56:38.000Z',
+    cancel_at_period_end: false,
+    past_due_since: null,
+  };
+
+  const { drifts, corrected } = diffSubscription(row, sub);
+  assert.deepEqual(drifts.map((d) => d.field), ['status']);
+  assert.equal(corrected.status, 'past_due');
+  assert.ok(corrected.past_due_since, 'the missed transition still gets a grace window');
+
+  const recovered = diffSubscription({ ...row, status: 'past_due', past_due_since: '2026-08-13T15:57:40.000Z' }, {
+    ...sub,
+    status: 'active',
+  });
+  assert.equal(recovered.corrected.past_due_since, null);
+});
@@ -0,0 +1,222 @@
+/**
+ * Dunning — the stretch between "your card failed" (or "your trial is
+ * about to end") and either a fixed card or lost access.
+ *
+ *   1. REMINDERS. customer.subscription.trial_will_end (Stripe sends it
+ *      three days before trial end) and invoice.payment_failed each
+ *      produce one email. deliverDunningNotice claims the Stripe event
+ *      id in billing_notices before sending, so a redelivered event
+ *      never emails twice.
+ *
+ *   2. GRACE. A past_due subscriber keeps READ-ONLY access for
+ *      billing_grace_days (lib/flags.ts) from past_due_since: history
+ *      pages open, new practice blocked, a banner on every page. After
+ *      the window they are denied exactly as before dunning existed.
+ *      Read-only is decided here and in proxy.js, never in
+ *      effective_plan() — it isn't a plan. The proxy can only gate
+ *      paths, and a page's Server Actions POST to the page's own path,
+ *      so the write actions on read-only pages also call
+ *      assertNotInBillingGrace() (lib/api/auth.ts).
+ *
+ * Everything below is pure or takes its I/O as arguments, so the tests
+ * drive it with recorded Stripe events (./fixtures) instead of live
+ * Stripe (see dunning.test.mjs).
+ */
+import {
+  idOf,
+  invoiceSubscriptionIdOf,
+  unixToIso,
+  type StripeInvoiceLike,
+} from './stripe-mapping.ts';
+
+const DAY_MS = 86_400_000;
+
+// ── Grace ─────────────────────────────────────────────────────────
+
+export interface GraceState {
+  /** When read-only access ends and the user is denied. */
+  graceEndsAt: string;
+}
+
+/**
+ * Is this subscription in its read-only grace window? Null for
+ * anything but a past_due row whose window is still open — including a
+ * past_due row with no past_due_since, which predates the column's
+ * writers and gets the old immediate denial rather than a guess.
+ */
+export function graceStateOf(
+  sub: { status: string; past_due_since: string | null } | null | undefined,
+  graceDays: number,
+  now: Date = new Date(),
+): GraceState | null {
+  if (!sub || sub.status !== 'past_due' || !sub.past_due_since || graceDays <= 0) return null;
+  const since = Date.parse(sub.past_due_since);
+  if (Number.isNaN(since)) return null;
+  const endsAt = since + graceDays * DAY_MS;
+  return endsAt > now.getTime() ? { graceEndsAt: new Date(endsAt).toISOString() } : null;
+}
+
+/**
+ * The past_due_since a write should store. Entering past_due starts
+ * the clock; staying past_due (Stripe retries the card and each
+ * failure re-fires the event) keeps it, so retries can't extend the
+ * window; leaving past_due clears it.
+ */
+export function pastDueSinceFor(
+  prior: { status: string; past_due_since?: string | null } | null | undefined,
+  nextStatus: string,
+  at: Date,
+): string | null {
+  if (nextStatus !== 'past_due') return null;
+  if (prior?.status === 'past_due' && prior.past_due_since) return prior.past_due_since;
+  return at.toISOString();
+}
+
+// Surfaces a user in grace can still open: their dashboard, history
+// and review of finished work, and a tutor's pages (whose write
+// actions refuse; see inBillingGrace). Everything else behind the
+// subscription gate (the practice picker and runner, test launch and
+// a module's pre-submit review, Today, /review — its actions build
+// new drills) starts new practice and is blocked. The student
+// actions a read-only page can still reach (history's submit and
+// abandon, finishModule) refuse the same way the tutor's do.
+const READ_ONLY_PREFIXES = ['/dashboard', '/practice/history', '/practice/review', '/tutor'];
+const READ_ONLY_PATTERNS = [
+  /^\/practice\/test\/attempt\/[^/]+\/results\/?$/,
+];
+
+/** Can a user in read-only grace open this gated path? */
+export function isReadOnlyPath(pathname: string): boolean {
+  return (
+    READ_ONLY_PREFIXES.some((p) => pathname === p || pathname.startsWith(`${p}/`))
+    || READ_ONLY_PATTERNS.some((re) => re.test(pathname))
+  );
+}
+
+/**
+ * The request header proxy.js sets for a user in read-only grace (to
+ * graceEndsAt), after stripping any copy the client sent.
+ */
+export const BILLING_GRACE_HEADER = 'x-billing-grace-until';
+
+export const GRACE_WRITE_REFUSAL =
+  'Your account is read-only until the overdue payment goes through. Update your card under Billing to make changes.';
+
+/**
+ * Is this request from a user in read-only grace? Server Actions run
+ * inside the POST to the page that called them, so the header the
+ * proxy set for the page is on the action's request too.
+ */
+export function inBillingGrace(requestHeaders: { get(name: string): string | null }): boolean {
+  return Boolean(requestHeaders.get(BILLING_GRACE_HEADER));
+}
+
+// ── Reminders ─────────────────────────────────────────────────────
+
+export type DunningKind = 'trial_ending' | 'payment_failed';
+
+export interface DunningNotice {
+  kind: DunningKind;
+  subscriptionId: string | null;
+  customerId: string | null;
+  /** trial_ending: when the trial converts (and the card is charged). */
+  trialEnd: string | null;
+  /** payment_failed: Stripe's attempt number and next retry, if any. */
+  attemptCount: number | null;
+  nextAttemptAt: string | null;
+  amountDue: number | null;
+  currency: string | null;
+}
+
+/** The minimal Stripe event shape this module reads. */
+export interface StripeEventLike {
+  id: string;
+  type: string;
+  created: number;
+  data: { object: unknown };
+}
+
+/** The reminder a Stripe event calls for, or null when it calls for none. */
+export function dunningNoticeOf(event: StripeEventLike): DunningNotice | null {
+  if (event.type === 'customer.subscription.trial_will_end') {
+    const sub = event.data.object as {
+      id: string;
+      customer?: string | { id: string } | null;
+      trial_end?: number | null;
+      status?: string;
+    };
+    // A trial canceled before the reminder fired needs no reminder.
+    if (sub.status && sub.status !== 'trialing') return null;
+    return {
+      kind: 'trial_ending',
+      subscriptionId: sub.id,
+      customerId: idOf(sub.customer),
+      trialEnd: unixToIso(sub.trial_end),
+      attemptCount: null,
+      nextAttemptAt: null,
+      amountDue: null,
+      currency: null,
+    };
+  }
+
+  if (event.type === 'invoice.payment_failed') {
+    const invoice = event.data.object as StripeInvoiceLike;
+    return {
+      kind: 'payment_failed',
+      subscriptionId: invoiceSubscriptionIdOf(invoice),
+      customerId: idOf(invoice.customer),
+      trialEnd: null,
+      attemptCount: invoice.attempt_count ?? null,
+      nextAttemptAt: unixToIso(invoice.next_payment_attempt),
+      amountDue: invoice.amount_due ?? null,
+      currency: invoice.currency ?? null,
+    };
+  }
+
+  return null;
+}
+
+export interface DunningRecipient {
+  userId: string;
+  email: string;
+  firstName: string | null;
+  /** Set when a payment_failed recipient is now in read-only grace. */
+  graceEndsAt: string | null;
+}
+
+export interface DunningDeps {
+  /** The personal subscriber a notice is for; null for a school plan or an unknown subscription. */
+  findRecipient(notice: DunningNotice): Promise<DunningRecipient | null>;
+  /** Insert the billing_notices row. False when this event already has one. */
+  claim(row: { stripeEventId: string; userId: string; kind: DunningKind; email: string }): Promise<boolean>;
+  /** Send the email; true when the provider accepted it. */
+  send(notice: DunningNotice, recipient: DunningRecipient): Promise<boolean>;
+  markSent(stripeEventId: string): Promise<void>;
+}
+
+/**
+ * Send the reminder a Stripe event calls for, at most once per event.
+ * Returns an outcome string for the webhook log. Email is a soft
+ * failure, like every sender in lib/email: the access write already
+ * happened, and a missing reminder is no reason for Stripe to retry.
+ */
+export async function deliverDunningNotice(event: StripeEventLike, deps: DunningDeps): Promise<string> {
+  const notice = dunningNoticeOf(event);
+  if (!notice) return 'none';
+
+  const recipient = await deps.findRecipient(notice);
+  if (!recipient) return `${notice.kind}:no_recipient`;
+
+  const claimed = await deps.claim({
+    stripeEventId: event.id,
+    userId: recipient.userId,
+    kind: notice.kind,
+    email: recipient.email,
+  });
+  if (!claimed) return `${notice.kind}:already_sent`;
+
+  const sent = await deps.send(notice, recipient);
+  if (!sent) return `${notice.kind}:unsent`;
+  await deps.markSent(event.id);
+  return `${notice.kind}:sent`;
+}
@@ -0,0 +1,117 @@
+// Read-only billing grace on the /tutor tree (lib/billing/dunning.ts).
+//
+// proxy.js lets a past_due tutor in grace open /tutor pages, and those
+// pages' Server Actions POST to the same paths, so the proxy can't
+// stop them. Each write action refuses instead, through
+// assertNotInBillingGrace() (lib/api/auth.ts) or a file-local helper
+// that calls it. This walks every app/(tutor) actions module and checks
+// that every exported action reaches the guard, unless it is listed
+// below as a read, and does the same for the student actions that
+// read-only pages still host.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+
+const ROOT = new URL('../../app/(tutor)/', import.meta.url).pathname;
+
+/** Exported actions that write nothing, or that only staff can call (staff never enter grace). */
+const EXEMPT = new Map([
+  ['countAvailable', 'counts questions for the session form'],
+  ['markCoachingThreadRead', 'a read receipt for opening the thread'],
+  ['searchQuestions', 'pack builder search'],
+  ['listDomainsAndSkills', 'pack builder filter options'],
+  ['listConceptTags', 'pack builder filter options'],
+  ['previewRosterImport', 'dry run; manager/admin only'],
+  ['commitRosterImport', 'manager/admin only'],
+]);
+
+function actionFiles(dir, out = []) {
+  for (const entry of readdirSync(dir)) {
+    const full = join(dir, entry);
+    if (statSync(full).isDirectory()) actionFiles(full, out);
+    else if (/^actions\.(js|ts)$/.test(entry)) out.push(full);
+  }
+  return out;
+}
+
+/** Top-level function name → body text, split at each top-level `function` line. */
+function functionsOf(source) {
+  const fns = new Map();
+  const re = /^(export )?(async )?function (\w+)/gm;
+  const starts = [...source.matchAll(re)];
+  starts.forEach((m, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].index : source.length;
+    fns.set(m[3], { exported: Boolean(m[1]), body: source.slice(m.index, end) });
+  });
+  return fns;
+}
+
+/** Names whose bodies reach assertNotInBillingGrace, directly or through another local helper. */
+function guardedNames(fns) {
+  const guarded = new Set();
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const [name, { body }] of fns) {
+      if (guarded.has(name)) continue;
+      const calls = body.slice(body.indexOf('{'));
+      if (/\bassertNotInBillingGrace\(/.test(calls)
+        || [...guarded].some((g) => new RegExp(`\\b${g}\\(`).test(calls))) {
+        guarded.add(name);
+        grew = true;
+      }
+    }
+  }
+  return guarded;
+}
+
+test('a past_due tutor in grace is refused by every /tutor write action', () => {
+  const files = actionFiles(ROOT);
+  assert.ok(files.length > 5, `found ${files.length} actions modules under app/(tutor)`);
+
+  const unguarded = [];
+  for (const file of files) {
+    const fns = functionsOf(readFileSync(file, 'utf8'));
+    const guarded = guardedNames(fns);
+    for (const [name, { exported }] of fns) {
+      if (!exported || EXEMPT.has(name) || guarded.has(name)) continue;
+      unguarded.push(`${file.slice(ROOT.length)}: ${name}`);
+    }
+  }
+  assert.deepEqual(unguarded, [], 'write actions without assertNotInBillingGrace()');
+});
+
+// Student pages a user in grace can still open (history) or reach
+// mid-test, and the write actions they host. The pages themselves are
+// gated by proxy.js; these refuse the POST.
+const STUDENT_ACTIONS = [
+  ['../../app/(student)/practice/test/actions.js', 'finishModule'],
+  ['../practice/session-actions.ts', 'submitPracticeSession'],
+  ['../practice/session-actions.ts', 'abandonPracticeSession'],
+];
+
+test('a student in grace is refused by finishModule and the history session actions', () => {
+  for (const [rel, name] of STUDENT_ACTIONS) {
+    const fns = functionsOf(readFileSync(new URL(rel, import.meta.url), 'utf8'));
+    assert.ok(fns.get(name)?.exported, `${name} is exported from ${rel}`);
+    assert.ok(guardedNames(fns).has(name), `${name} calls assertNotInBillingGrace()`);
+    // Refused before it reads or writes anything: the guard sits in
+    // the auth block, ahead of the first query.
+    const body = fns.get(name).body;
+    const guardAt = body.indexOf('assertNotInBillingGrace(');
+    const firstQuery = body.indexOf('.from(');
+    assert.ok(guardAt > 0 && (firstQuery < 0 || guardAt < firstQuery), `${name} checks grace before its first query`);
+  }
+});
+
+test('the exemptions still name real actions', () => {
+  const exported = new Set();
+  for (const file of actionFiles(ROOT)) {
+    for (const [name, { exported: isExported }] of functionsOf(readFileSync(file, 'utf8'))) {
+      if (isExported) exported.add(name);
+    }
+  }
+  for (const name of EXEMPT.keys()) assert.ok(exported.has(name), `${name} is exempt but no longer exists`);
+});
@@ -7,7 +7,15 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { diffSubscription, isAccessLoss, reconcileSubscriptions } from './reconcile.ts';
+import {
+  diffOrganization,
+  diffSubscription,
+  isAccessLoss,
+  isPlanActivation,
+  reconcileOrganizations,
+  reconcileSubscriptions,
+} from './reconcile.ts';
+import { organizationFieldsOf, organizationIdOf, seatQuantityOf } from './stripe-mapping.ts';
 
 const SECOND = 1000;
 const trialEndUnix = 1786636598; // 2026-08-13T15:56:38Z — Isabella's signup instant
@@ -116,6 +124,15 @@ test('isAccessLoss only fires when access is actually taken away', () => {
   assert.equal(isAccessLoss('past_due', 'canceled'), false);
 });
 
+test('isPlanActivation fires on a new trial, conversion and reactivation, not on renewals', () => {
+  assert.equal(isPlanActivation(null, 'trialing'), true);
+  assert.equal(isPlanActivation('trialing', 'active'), true);
+  assert.equal(isPlanActivation('canceled', 'active'), true);
+  assert.equal(isPlanActivation('active', 'active'), false);
+  assert.equal(isPlanActivation('active', 'past_due'), false);
+  assert.equal(isPlanActivation(null, 'incomplete'), false);
+});
+
 // ── orchestration ──────────────────────────────────────────────────
 
 function fakeStripe(subsById, listByCustomer = {}) {
@@ -228,3 +245,124 @@ test('one failing row does not abort the run', async () => {
   assert.equal(summary.checked, 2);
   assert.equal(summary.results[1].outcome, 'in_sync', 'the second row still ran');
 });
+
+// ── School organizations ──────────────────────────────────────────
+
+function orgRow(overrides = {}) {
+  return {
+    id: 'org-1',
+    name: 'Lincoln High',
+    status: 'active',
+    seat_quantity: 30,
+    stripe_customer_id: 'cus_org',
+    stripe_subscription_id: 'sub_org',
+    current_period_end: iso(trialEndUnix + 2592000),
+    cancel_at_period_end: false,
+    assigned_seats: 12,
+    ...overrides,
+  };
+}
+
+function orgSub(overrides = {}) {
+  return stripeSub({
+    id: 'sub_org',
+    metadata: { org_id: 'org-1', plan: 'school' },
+    items: { data: [{ quantity: 30, current_period_end: trialEndUnix + 2592000 }] },
+    ...overrides,
+  });
+}
+
+test('organizationFieldsOf reads the seat count from the item quantity', () => {
+  assert.equal(seatQuantityOf(orgSub()), 30);
+  assert.equal(seatQuantityOf(stripeSub()), 0, 'no items means no seats');
+  assert.equal(organizationIdOf(orgSub()), 'org-1');
+  assert.equal(organizationIdOf(stripeSub()), null);
+  assert.deepEqual(organizationFieldsOf(orgSub({ status: 'incomplete' })), {
+    status: 'unpaid',
+    seat_quantity: 30,
+    stripe_subscription_id: 'sub_org',
+    current_period_end: iso(trialEndUnix + 2592000),
+    cancel_at_period_end: false,
+  });
+});
+
+test('an organization that matches Stripe reports no drift and no overage', () => {
+  const { drifts, corrected, seatOverage } = diffOrganization(orgRow(), orgSub());
+  assert.deepEqual(drifts, []);
+  assert.deepEqual(corrected, {});
+  assert.equal(seatOverage, 0);
+});
+
+test('a missed quantity change is seat_quantity drift', () => {
+  // The school added seats in the portal and the webhook never landed.
+  const live = orgSub({ items: { data: [{ quantity: 45, current_period_end: trialEndUnix + 2592000 }] } });
+  const { drifts, corrected } = diffOrganization(orgRow(), live);
+  assert.deepEqual(drifts, [{ field: 'seat_quantity', stored: '30', actual: '45' }]);
+  assert.equal(corrected.seat_quantity, 45);
+});
+
+test('seat overage is measured against Stripe, not the stored quantity', () => {
+  // Stored row still says 30, Stripe now bills 10, 12 are assigned.
+  const live = orgSub({ items: { data: [{ quantity: 10, current_period_end: trialEndUnix + 2592000 }] } });
+  const { seatOverage, corrected } = diffOrganization(orgRow(), live);
+  assert.equal(seatOverage, 2);
+  assert.ok(!('assigned_seats' in corrected), 'seats are never auto-released');
+});
+
+test('reconcileOrganizations dry run counts overage and drift without writing', async () => {
+  const live = orgSub({ status: 'past_due', items: { data: [{ quantity: 10 }] } });
+  const db = {
+    fetchOrganizations: async () => [orgRow({ current_period_end: null })],
+    applyOrganizationCorrection: async () => assert.fail('dry run must not write'),
+  };
+
+  const summary = await reconcileOrganizations(db, fakeStripe({ sub_org: live }), { dryRun: true });
+
+  assert.equal(summary.seatOverages, 1);
+  assert.equal(summary.results[0].outcome, 'would_correct');
+  assert.equal(summary.results[0].seatOverage, 2);
+  assert.equal(summary.corrected, 0);
+});
+
+test('reconcileOrganizations corrects drift and reports overage even when in sync', async () => {
+  const writes = [];
+  const db = {
+    fetchOrganizations: async () => [
+      orgRow({ id: 'a', status: 'past_due' }),
+      orgRow({ id: 'b', stripe_subscription_id: 'sub_b', seat_quantity: 5, assigned_seats: 8 }),
+    ],
+    applyOrganizationCorrection: async (id, fields) => writes.push({ id, fields }),
+  };
+  const stripe = fakeStripe({
+    sub_org: orgSub(),
+    sub_b: orgSub({ id: 'sub_b', items: { data: [{ quantity: 5, current_period_end: trialEndUnix + 2592000 }] } }),
+  });
+
+  const summary = await reconcileOrganizations(db, stripe);
+
+  assert.equal(summary.corrected, 1);
+  assert.deepEqual(writes.map((w) => [w.id, w.fields.status]), [['a', 'active']]);
+  assert.equal(summary.inSync, 1);
+  assert.equal(summary.results[1].outcome, 'in_sync');
+  assert.equal(summary.results[1].seatOverage, 3);
+  assert.equal(summary.seatOverages, 1);
+});
+
+test('an organization missing from Stripe is canceled; one that never checked out is skipped', async () => {
+  const writes = [];
+  const db = {
+    fetchOrganizations: async () => [
+      orgRow(),
+      orgRow({ id: 'new', status: 'pending', stripe_customer_id: null, stripe_subscription_id: null }),
+    ],
+    applyOrganizationCorrection: async (id, fields) => writes.push({ id, fields }),
+  };
+
+  const summary = await reconcileOrganizations(db, fakeStripe({}));
+
+  assert.equal(summary.missingInStripe, 1);
+  assert.equal(summary.accessLosses, 1);
+  assert.equal(writes[0].fields.status, 'canceled');
+  assert.equal(summary.skipped, 1);
+  assert.equal(summary.results[1].outcome, 'skipped_no_stripe_ref');
+});
@@ -11,16 +11,23 @@
  * webhook was missed, so the summary doubles as monitoring. A run that
  * finds drift is a signal to go look at the endpoint, not a routine event.
  *
+ * School organizations get the same treatment (reconcileOrganizations),
+ * plus one check no webhook can repair: more seats assigned than Stripe
+ * is billing for. That is reported, never auto-corrected — which seats
+ * to take back is the school's call.
+ *
  * The pure diff is separated from the I/O so it can be unit-tested
  * without Stripe or a database (see reconcile.test.mjs).
  */
 import {
   mapStripeStatus,
   normalizePlan,
+  organizationFieldsOf,
   periodDatesOf,
   unixToIso,
   type StripeSubscriptionLike,
 } from './stripe-mapping.ts';
+import { pastDueSinceFor } from './dunning.ts';
 
 export interface SubscriptionRowLike {
   id: string;
@@ -33,6 +40,8 @@ export interface SubscriptionRowLike {
   current_period_end: string | null;
   trial_end: string | null;
   cancel_at_period_end: boolean | null;
+  /** Read so a status correction can start or clear the dunning clock. */
+  past_due_since?: string | null;
 }
 
 export interface FieldDrift {
@@ -54,6 +63,11 @@ export interface SubscriptionDiff {
  * current_period_start rather than Stripe's value) and Stripe deals in
  * whole seconds, so a naive string compare would report drift forever.
  *
+ * A status correction also moves past_due_since the way the webhook
+ * would (pastDueSinceFor), so a missed payment failure still gets its
+ * grace window. It is a consequence of the status drift, not a drift
+ * of its own.
+ *
  * NOTE: last_stripe_event_at is deliberately never written here.
  * Reconciliation is not an event; stamping it would let this job
  * suppress a legitimately newer webhook that simply arrived late.
@@ -106,6 +120,10 @@ export function diffSubscription(
     }
   }
 
+  if ('status' in corrected) {
+    const pastDueSince = pastDueSinceFor(row, String(corrected.status), new Date());
+    if (pastDueSince !== (row.past_due_since ?? null)) corrected.past_due_since = pastDueSince;
+  }
   if (drifts.length > 0) corrected.updated_at = new Date().toISOString();
 
   return { drifts, corrected };
@@ -121,7 +139,7 @@ function sameInstant(a: string | null, b: string | null): boolean {
   return Math.floor(ta / 1000) === Math.floor(tb / 1000);
 }
 
-function display(v: string | boolean | null | undefined): string | null {
+function display(v: string | number | boolean | null | undefined): string | null {
   if (v === null || v === undefined) return null;
   return String(v);
 }
@@ -132,6 +150,15 @@ export function isAccessLoss(fromStatus: string, toStatus: string): boolean {
   return ACCESS_STATUSES.has(fromStatus) && !ACCESS_STATUSES.has(toStatus);
 }
 
+/**
+ * Whether a status change (re)starts a plan: a new trial, a trial
+ * converting to paid, or a lapsed subscription coming back. `fromStatus`
+ * is null when there was no row yet. Drives the plan.activated webhook.
+ */
+export function isPlanActivation(fromStatus: string | null, toStatus: string): boolean {
+  return ACCESS_STATUSES.has(toStatus) && fromStatus !== toStatus;
+}
+
 export interface ReconcileRowResult {
   userId: string;
   subscriptionId: string | null;
@@ -291,7 +318,7 @@ export async function reconcileSubscriptions(
  */
 async function resolveStripeSubscription(
   stripe: MinimalStripe,
-  row: SubscriptionRowLike,
+  row: { stripe_subscription_id: string | null; stripe_customer_id: string | null },
 ): Promise<StripeSubscriptionLike | 'missing' | 'no_reference'> {
   if (row.stripe_subscription_id) {
     try {
@@ -319,3 +346,190 @@ function isResourceMissing(err: unknown): boolean {
   const e = err as { code?: string; statusCode?: number; type?: string } | null;
   return e?.code === 'resource_missing' || e?.statusCode === 404;
 }
+
+// ── School organizations ──────────────────────────────────────────
+
+export interface OrganizationRowLike {
+  id: string;
+  name: string;
+  status: string;
+  seat_quantity: number;
+  stripe_customer_id: string | null;
+  stripe_subscription_id: string | null;
+  current_period_end: string | null;
+  cancel_at_period_end: boolean | null;
+  /** Live (unreleased) seats, counted by the caller. */
+  assigned_seats: number;
+}
+
+export interface OrganizationDiff extends SubscriptionDiff {
+  /** Seats assigned beyond what Stripe bills for; 0 when within quota. */
+  seatOverage: number;
+}
+
+/**
+ * Compare an organization against its live Stripe subscription. Field
+ * drift (a missed webhook) is corrected like a user's subscription row;
+ * seat overage is compared against Stripe's quantity, not the stored
+ * one, so a stale seat_quantity can't hide it.
+ */
+export function diffOrganization(
+  row: OrganizationRowLike,
+  sub: StripeSubscriptionLike,
+): OrganizationDiff {
+  const expected = organizationFieldsOf(sub);
+  const stored: Record<string, string | number | boolean | null> = {
+    status: row.status,
+    seat_quantity: row.seat_quantity,
+    stripe_subscription_id: row.stripe_subscription_id,
+    current_period_end: row.current_period_end,
+    cancel_at_period_end: row.cancel_at_period_end ?? false,
+  };
+
+  const drifts: FieldDrift[] = [];
+  const corrected: Record<string, unknown> = {};
+  for (const [field, want] of Object.entries(expected)) {
+    const have = stored[field];
+    const same = field === 'current_period_end'
+      ? sameInstant(have as string | null, want as string | null)
+      : have === want;
+    if (!same) {
+      drifts.push({ field, stored: display(have), actual: display(want) });
+      corrected[field] = want;
+    }
+  }
+  if (drifts.length > 0) corrected.updated_at = new Date().toISOString();
+
+  return {
+    drifts,
+    corrected,
+    seatOverage: Math.max(0, row.assigned_seats - expected.seat_quantity),
+  };
+}
+
+export interface OrganizationReconcileResult {
+  organizationId: string;
+  name: string;
+  subscriptionId: string | null;
+  outcome: ReconcileRowResult['outcome'];
+  drifts?: FieldDrift[];
+  accessLoss?: boolean;
+  seatOverage?: number;
+  error?: string;
+}
+
+export interface OrganizationReconcileSummary {
+  checked: number;
+  inSync: number;
+  corrected: number;
+  missingInStripe: number;
+  skipped: number;
+  errors: number;
+  accessLosses: number;
+  /** Orgs with more seats assigned than Stripe bills for. */
+  seatOverages: number;
+  dryRun: boolean;
+  results: OrganizationReconcileResult[];
+}
+
+interface MinimalOrgDb {
+  fetchOrganizations(): Promise<OrganizationRowLike[]>;
+  applyOrganizationCorrection(orgId: string, fields: Record<string, unknown>): Promise<void>;
+}
+
+/**
+ * reconcileSubscriptions for school organizations. An org that never
+ * finished checkout (no Stripe ids) is skipped. Serial, like the
+ * per-user pass.
+ */
+export async function reconcileOrganizations(
+  db: MinimalOrgDb,
+  stripe: MinimalStripe,
+  opts: { dryRun?: boolean } = {},
+): Promise<OrganizationReconcileSummary> {
+  const dryRun = opts.dryRun ?? false;
+  const rows = await db.fetchOrganizations();
+
+  const summary: OrganizationReconcileSummary = {
+    checked: rows.length,
+    inSync: 0,
+    corrected: 0,
+    missingInStripe: 0,
+    skipped: 0,
+    errors: 0,
+    accessLosses: 0,
+    seatOverages: 0,
+    dryRun,
+    results: [],
+  };
+
+  for (const row of rows) {
+    const base = { organizationId: row.id, name: row.name };
+    try {
+      const sub = await resolveStripeSubscription(stripe, row);
+
+      if (sub === 'no_reference') {
+        summary.skipped++;
+        summary.results.push({ ...base, subscriptionId: null, outcome: 'skipped_no_stripe_ref' });
+        continue;
+      }
+
+      if (sub === 'missing') {
+        summary.missingInStripe++;
+        const accessLoss = isAccessLoss(row.status, 'canceled');
+        if (accessLoss) summary.accessLosses++;
+        if (!dryRun && row.status !== 'canceled') {
+          await db.applyOrganizationCorrection(row.id, {
+            status: 'canceled',
+            updated_at: new Date().toISOString(),
+          });
+        }
+        summary.results.push({
+          ...base,
+          subscriptionId: row.stripe_subscription_id,
+          outcome: 'missing_in_stripe',
+          accessLoss,
+          drifts: [{ field: 'status', stored: row.status, actual: 'canceled' }],
+        });
+        continue;
+      }
+
+      const { drifts, corrected, seatOverage } = diffOrganization(row, sub);
+      if (seatOverage > 0) summary.seatOverages++;
+      const overage = seatOverage > 0 ? { seatOverage } : {};
+
+      if (drifts.length === 0) {
+        summary.inSync++;
+        summary.results.push({ ...base, subscriptionId: sub.id, outcome: 'in_sync', ...overage });
+        continue;
+      }
+
+      const statusDrift = drifts.find((d) => d.field === 'status');
+      const accessLoss = statusDrift ? isAccessLoss(row.status, String(statusDrift.actual)) : false;
+      if (accessLoss) summary.accessLosses++;
+
+      if (dryRun) {
+        summary.results.push({
+          ...base, subscriptionId: sub.id, outcome: 'would_correct', drifts, accessLoss, ...overage,
+        });
+        continue;
+      }
+
+      await db.applyOrganizationCorrection(row.id, corrected);
+      summary.corrected++;
+      summary.results.push({
+        ...base, subscriptionId: sub.id, outcome: 'corrected', drifts, accessLoss, ...overage,
+      });
+    } catch (err) {
+      summary.errors++;
+      summary.results.push({
+        ...base,
+        subscriptionId: row.stripe_subscription_id,
+        outcome: 'error',
+        error: err instanceof Error ? err.message : String(err),
+      });
+    }
+  }
+
+  return summary;
+}
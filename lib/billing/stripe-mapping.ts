@@ -61,7 +61,13 @@ export interface StripeSubscriptionLike {
   cancel_at_period_end?: boolean | null;
   current_period_start?: number | null;
   current_period_end?: number | null;
-  items?: { data?: Array<{ current_period_start?: number | null; current_period_end?: number | null }> } | null;
+  items?: {
+    data?: Array<{
+      current_period_start?: number | null;
+      current_period_end?: number | null;
+      quantity?: number | null;
+    }>;
+  } | null;
   metadata?: Record<string, string> | null;
   customer?: string | { id: string } | null;
 }
@@ -84,3 +90,62 @@ export function periodDatesOf(sub: StripeSubscriptionLike): {
     periodEnd: sub.current_period_end ?? item?.current_period_end ?? null,
   };
 }
+
+/** The invoice fields the webhook and dunning read. */
+export interface StripeInvoiceLike {
+  id?: string;
+  customer?: string | { id: string } | null;
+  subscription?: string | { id: string } | null;
+  parent?: { subscription_details?: { subscription?: string | { id: string } | null } | null } | null;
+  attempt_count?: number | null;
+  next_payment_attempt?: number | null;
+  amount_due?: number | null;
+  currency?: string | null;
+  hosted_invoice_url?: string | null;
+}
+
+/**
+ * The 2025-03-31.basil API version removed Invoice.subscription in favour
+ * of invoice.parent.subscription_details.subscription. Read both so this
+ * survives an API version bump in either direction.
+ */
+export function invoiceSubscriptionIdOf(invoice: StripeInvoiceLike): string | null {
+  return idOf(invoice.subscription) ?? idOf(invoice.parent?.subscription_details?.subscription);
+}
+
+/**
+ * School-plan subscriptions carry the organization in metadata
+ * (create-checkout stamps it on both the session and the
+ * subscription). Those write public.organizations, never a user's
+ * public.subscriptions row.
+ */
+export function organizationIdOf(sub: { metadata?: Record<string, string> | null }): string | null {
+  return sub.metadata?.org_id || null;
+}
+
+/** Seats paid for: the quantity on the subscription's (single) item. */
+export function seatQuantityOf(sub: StripeSubscriptionLike): number {
+  const q = sub.items?.data?.[0]?.quantity;
+  return typeof q === 'number' && Number.isFinite(q) && q > 0 ? q : 0;
+}
+
+/**
+ * The organizations columns a Stripe subscription determines. The
+ * webhook writes these and the reconcile compares against them, so
+ * they cannot disagree about an org's seats or status.
+ */
+export function organizationFieldsOf(sub: StripeSubscriptionLike): {
+  status: string;
+  seat_quantity: number;
+  stripe_subscription_id: string;
+  current_period_end: string | null;
+  cancel_at_period_end: boolean;
+} {
+  return {
+    status: mapStripeStatus(sub.status),
+    seat_quantity: seatQuantityOf(sub),
+    stripe_subscription_id: sub.id,
+    current_period_end: unixToIso(periodDatesOf(sub).periodEnd),
+    cancel_at_period_end: sub.cancel_at_period_end ?? false,
+  };
+}
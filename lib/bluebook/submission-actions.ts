@@ -31,7 +31,8 @@
 
 import { randomUUID } from 'node:crypto';
 import { requireRole, requireServiceRole } from '@/lib/api/auth';
-import { actionOk, actionFail, ApiError } from '@/lib/api/response';
+import { actionOk, actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import type { ActionResult } from '@/lib/types';
 import {
   parseBluebookReport,
@@ -359,6 +360,9 @@ export async function createHtmlUploadSubmission(input: {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
   }
+  // One bucket for all three flows and the tutor upload route.
+  const rl = await checkRateLimit('bluebook.upload', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   if (!input?.practiceTestId) return actionFail('Select a practice test');
   if (typeof input.html !== 'string' || !input.html.trim()) {
@@ -477,6 +481,8 @@ export async function createAttemptLinkedSubmission(input: {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
   }
+  const rl = await checkRateLimit('bluebook.upload', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   if (!input?.attemptId) return actionFail('attemptId required');
   const scoreProblem = validateScores(input.meta ?? {});
@@ -594,6 +600,8 @@ export async function createManualGridSubmission(input: {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
   }
+  const rl = await checkRateLimit('bluebook.upload', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   if (!input?.practiceTestId) return actionFail('Select a practice test');
   const scoreProblem = validateScores(input.meta ?? {});
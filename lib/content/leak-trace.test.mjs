@@ -0,0 +1,72 @@
+// Leak tracing — phrase extraction, tag ranges and the access timeline.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildAccessTimeline,
+  likePattern,
+  rankPhraseMatches,
+  searchPhrases,
+  stripZeroWidth,
+  tagUuidRange,
+} from './leak-trace.ts';
+import { applyWatermark, findWatermarkTags } from './watermark.ts';
+
+const USER = '3f2a9c1e-0b7d-4e55-9a01-1234567890ab';
+
+test('a watermarked question pasted as text yields its tag and clean phrases', () => {
+  const html = applyWatermark('<p>The author most likely mentions the lighthouse keeper in order to illustrate a point.</p>', USER);
+  const pasted = html.replace(/<[^>]*>/g, '');
+  assert.deepEqual(findWatermarkTags(pasted), ['3f2a9c1e']);
+  assert.equal(stripZeroWidth(pasted).startsWith('The author'), true);
+  assert.deepEqual(searchPhrases(pasted), [
+    'The author most likely mentions the',
+    'lighthouse keeper in order to illustrate',
+  ]);
+});
+
+test('searchPhrases skips math-looking tokens and spreads picks across the text', () => {
+  assert.deepEqual(searchPhrases('If 3x + 2 = 11 what is x'), []);
+  const long = Array.from({ length: 60 }, (_, i) => `w${String.fromCharCode(97 + (i % 26))}`).join(' ');
+  const picks = searchPhrases(long, { words: 4, max: 3 });
+  assert.equal(picks.length, 3);
+  const all = long.split(' ');
+  assert.equal(picks[0], all.slice(0, 4).join(' '));
+  assert.equal(picks[2], all.slice(56, 60).join(' '));
+});
+
+test('tagUuidRange brackets every uuid with that first segment', () => {
+  const { from, to } = tagUuidRange('3f2a9c1e');
+  assert.ok(from <= USER && USER <= to);
+  assert.ok(!('3f2a9c1f-0000-0000-0000-000000000000' <= to));
+});
+
+test('likePattern escapes wildcards', () => {
+  assert.equal(likePattern('100% of_the'), '%100\\% of\\_the%');
+});
+
+test('rankPhraseMatches orders by distinct phrase hits', () => {
+  const ranked = rankPhraseMatches([
+    { phrase: 'a', questionIds: ['q1', 'q2'] },
+    { phrase: 'b', questionIds: ['q2'] },
+    { phrase: 'b', questionIds: ['q2'] },
+  ]);
+  assert.deepEqual(ranked, [
+    { questionId: 'q2', phrases: 2 },
+    { questionId: 'q1', phrases: 1 },
+  ]);
+});
+
+test('buildAccessTimeline merges sources newest first and marks matches', () => {
+  const events = buildAccessTimeline(
+    {
+      attempts: [{ question_id: 'q1', created_at: '2026-10-02T10:00:00Z' }],
+      sessions: [{ question_ids: ['q1', 'q2', 7], created_at: '2026-10-01T09:00:00Z' }],
+      tests: [{ question_ids: ['q3'], started_at: '2026-10-03T08:00:00Z' }],
+    },
+    ['q1'],
+  );
+  assert.deepEqual(events.map((e) => e.kind), ['practice_test', 'answered', 'practice_session']);
+  assert.deepEqual(events.map((e) => e.matched), [[], ['q1'], ['q1']]);
+  assert.deepEqual(events[2].questionIds, ['q1', 'q2']);
+});
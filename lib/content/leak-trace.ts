@@ -0,0 +1,143 @@
+// Leak tracing — the pure half of /admin/leak-trace.
+//
+// Staff paste text found outside the product. The watermark
+// (findWatermarkTags in lib/content/watermark.ts) gives one or more
+// 8-hex tags, each the first segment of a user id; the text itself
+// gives phrases to find the question(s) it came from. The page's
+// action does the lookups; this module decides what to look up and
+// how to lay out the answer.
+
+const ZW_CHARS = /[\u200B-\u200D\uFEFF]/g;
+
+// A word we can match against stored HTML: letters with inline
+// punctuation. Numbers and symbols are usually math, which is stored
+// as TeX or MathML and never matches the rendered text a leak carries.
+const PLAIN_WORD = /^[A-Za-z][A-Za-z'’-]*[.,;:?!]?$/;
+
+export const PHRASE_WORDS = 6;
+export const MAX_PHRASES = 3;
+
+/** The pasted text with every zero-width character removed. */
+export function stripZeroWidth(text: string): string {
+  return String(text ?? '').replace(ZW_CHARS, '');
+}
+
+/**
+ * The inclusive uuid range whose first segment is `tag`. A tag is 32
+ * bits, so on a bank of tens of thousands of users it almost always
+ * names one account, but the range lookup shows every candidate.
+ */
+export function tagUuidRange(tag: string): { from: string; to: string } {
+  return {
+    from: `${tag}-0000-0000-0000-000000000000`,
+    to: `${tag}-ffff-ffff-ffff-ffffffffffff`,
+  };
+}
+
+/**
+ * Up to `max` phrases of `words` consecutive plain words, spread
+ * across the text, for substring matching against question HTML.
+ * Phrases that span math or inline markup in the source won't match,
+ * so we take several from different places and rank questions by how
+ * many hit.
+ */
+export function searchPhrases(
+  text: string,
+  { words = PHRASE_WORDS, max = MAX_PHRASES }: { words?: number; max?: number } = {},
+): string[] {
+  const tokens = stripZeroWidth(text).split(/\s+/).filter(Boolean);
+  const windows: string[] = [];
+  let run: string[] = [];
+  const flush = () => {
+    for (let i = 0; i + words <= run.length; i += words) {
+      windows.push(run.slice(i, i + words).join(' '));
+    }
+    run = [];
+  };
+  for (const t of tokens) {
+    if (PLAIN_WORD.test(t)) run.push(t);
+    else flush();
+  }
+  flush();
+  if (windows.length <= max) return windows;
+  // Evenly spaced picks: first, last, and between.
+  const out: string[] = [];
+  for (let i = 0; i < max; i++) {
+    out.push(windows[Math.round((i * (windows.length - 1)) / (max - 1 || 1))]);
+  }
+  return [...new Set(out)];
+}
+
+/** Escape LIKE wildcards so a phrase is matched literally by ilike. */
+export function likePattern(phrase: string): string {
+  return `%${phrase.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+/**
+ * Rank candidate questions by how many phrases matched them. Ties keep
+ * first-seen order.
+ */
+export function rankPhraseMatches(hits: Array<{ phrase: string; questionIds: string[] }>): Array<{
+  questionId: string;
+  phrases: number;
+}> {
+  const counts = new Map<string, Set<string>>();
+  for (const { phrase, questionIds } of hits) {
+    for (const id of questionIds) {
+      if (!counts.has(id)) counts.set(id, new Set());
+      counts.get(id)!.add(phrase);
+    }
+  }
+  return [...counts.entries()]
+    .map(([questionId, phrases]) => ({ questionId, phrases: phrases.size }))
+    .sort((a, b) => b.phrases - a.phrases);
+}
+
+export type AccessKind = 'answered' | 'practice_session' | 'practice_test';
+
+export interface AccessEvent {
+  at: string;
+  kind: AccessKind;
+  /** Questions this event exposed (one for an answer, many for a set). */
+  questionIds: string[];
+  /** The subset of questionIds that matched the leaked text. */
+  matched: string[];
+}
+
+/**
+ * One user's question accesses, newest first. An answer exposes one
+ * question; a practice session or a practice test exposes every
+ * question in it from the moment it starts.
+ */
+export function buildAccessTimeline(
+  {
+    attempts,
+    sessions,
+    tests,
+  }: {
+    attempts: Array<{ question_id: string; created_at: string }>;
+    sessions: Array<{ question_ids: unknown; created_at: string }>;
+    tests: Array<{ question_ids: string[]; started_at: string }>;
+  },
+  matchedQuestionIds: Iterable<string>,
+): AccessEvent[] {
+  const matched = new Set(matchedQuestionIds);
+  const event = (kind: AccessKind, at: string, questionIds: string[]): AccessEvent => ({
+    at,
+    kind,
+    questionIds,
+    matched: questionIds.filter((id) => matched.has(id)),
+  });
+  const events = [
+    ...attempts.map((a) => event('answered', a.created_at, [a.question_id])),
+    ...sessions.map((s) =>
+      event(
+        'practice_session',
+        s.created_at,
+        Array.isArray(s.question_ids) ? s.question_ids.filter((id): id is string => typeof id === 'string') : [],
+      ),
+    ),
+    ...tests.map((t) => event('practice_test', t.started_at, t.question_ids)),
+  ];
+  return events.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+}
@@ -0,0 +1,120 @@
+// Question revision history — diff + rollback helpers.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  changedRevisionFields,
+  diffRevisionOptions,
+  diffText,
+  revisionContext,
+  rollbackPatch,
+  sameFieldValue,
+} from './question-revisions.ts';
+
+function content(over = {}) {
+  return {
+    question_type: 'mcq',
+    stem_html: '<p class="stem_paragraph">What is \\(x\\)?</p>',
+    stimulus_html: null,
+    rationale_html: '<p>Because.</p>',
+    options: [
+      { label: 'A', content_html: '1' },
+      { label: 'B', content_html: '2' },
+    ],
+    hints: ['Isolate x.'],
+    correct_answer: { option_label: 'B', option_labels: null, text: null, number: null, tolerance: null },
+    domain_code: 'H',
+    skill_code: 'H.A.',
+    difficulty: 2,
+    score_band: 4,
+    ...over,
+  };
+}
+
+function join(segments, ops) {
+  return segments.filter((s) => ops.includes(s.op)).map((s) => s.text).join('');
+}
+
+test('changedRevisionFields lists differing fields in display order', () => {
+  const a = content();
+  const b = content({
+    rationale_html: '<p>Because 2.</p>',
+    stem_html: '<p class="stem_paragraph">What is \\(y\\)?</p>',
+    difficulty: 3,
+  });
+  assert.deepEqual(changedRevisionFields(a, b), ['stem_html', 'rationale_html', 'difficulty']);
+  assert.deepEqual(changedRevisionFields(a, content()), []);
+});
+
+test('jsonb comparison ignores key order and treats empty string as null', () => {
+  assert.ok(sameFieldValue({ a: 1, b: [1, { c: 2, d: 3 }] }, { b: [1, { d: 3, c: 2 }], a: 1 }));
+  assert.ok(sameFieldValue('', null));
+  assert.ok(!sameFieldValue([1, 2], [2, 1]));
+  const a = content();
+  const b = content({
+    correct_answer: { tolerance: null, number: null, text: null, option_labels: null, option_label: 'B' },
+  });
+  assert.deepEqual(changedRevisionFields(a, b), []);
+});
+
+test('diffRevisionOptions reports edits, additions and removals by label', () => {
+  const before = [
+    { label: 'A', content_html: '1' },
+    { label: 'B', content_html: '2' },
+    { label: 'C', content_html: '3' },
+  ];
+  const after = [
+    { label: 'A', content_html: '1' },
+    { label: 'B', content_html: '22' },
+    { label: 'D', content_html: '4' },
+  ];
+  assert.deepEqual(diffRevisionOptions(before, after), [
+    { label: 'B', before: '2', after: '22' },
+    { label: 'C', before: '3', after: null },
+    { label: 'D', before: null, after: '4' },
+  ]);
+  assert.deepEqual(diffRevisionOptions(null, null), []);
+});
+
+test('diffText keeps the common text and isolates the edit', () => {
+  const segs = diffText('<p>The cat sat on the mat.</p>', '<p>The dog sat on the mat!</p>');
+  assert.equal(join(segs, ['same', 'del']), '<p>The cat sat on the mat.</p>');
+  assert.equal(join(segs, ['same', 'add']), '<p>The dog sat on the mat!</p>');
+  assert.equal(join(segs, ['del']), 'cat.');
+  assert.equal(join(segs, ['add']), 'dog!');
+});
+
+test('diffText keeps every character, including a bare < inside math', () => {
+  const before = '\\(0 < a < b\\)';
+  const after = '\\(0 < a \\le b\\)';
+  const segs = diffText(before, after);
+  assert.equal(join(segs, ['same', 'del']), before);
+  assert.equal(join(segs, ['same', 'add']), after);
+  assert.deepEqual(diffText(null, 'x'), [{ op: 'add', text: 'x' }]);
+  assert.deepEqual(diffText('same', 'same'), [{ op: 'same', text: 'same' }]);
+});
+
+test('rollbackPatch restores content and re-resolves taxonomy names', () => {
+  const patch = rollbackPatch(content());
+  assert.equal(patch.stem_html, content().stem_html);
+  assert.equal(patch.domain_name, 'Algebra');
+  assert.equal(patch.skill_name, 'Linear equations in one variable');
+  assert.deepEqual(patch.hints, ['Isolate x.']);
+  assert.ok(!('question_type' in patch));
+});
+
+test('rollbackPatch leaves hints alone for snapshot-era revisions', () => {
+  const patch = rollbackPatch(content({ hints: null, domain_code: 'NOPE', skill_code: 'NOPE' }));
+  assert.ok(!('hints' in patch));
+  assert.equal(patch.domain_name, null);
+  assert.equal(patch.skill_name, null);
+});
+
+test('revisionContext builds the trigger payload', () => {
+  assert.deepEqual(revisionContext('manual'), { source: 'manual' });
+  assert.deepEqual(revisionContext('rollback', { restored_from: 'r1', note: 'Rolled back to revision 2' }), {
+    source: 'rollback',
+    restored_from: 'r1',
+    note: 'Rolled back to revision 2',
+  });
+});
@@ -0,0 +1,289 @@
+// Question revision history — the pure half.
+//
+// Revisions are written by the record_question_revision trigger on
+// questions_v2 (migration 20261019230000), never by app code. What app
+// code does is (a) tell the trigger how it is writing, via the
+// transient revision_context column, and (b) read revisions back for
+// the admin history page and for attempt review. Both halves live
+// here so the writers, the history page and the review builder agree
+// on field names, source labels and what a rollback writes.
+
+import { findDomain, findSkill } from '../practice/sat-taxonomy.ts';
+
+export const REVISION_SOURCES = [
+  'manual',
+  'ai_fix',
+  'batch_script',
+  'draft',
+  'import',
+  'rollback',
+  'baseline',
+  'unknown',
+] as const;
+
+export type RevisionSource = (typeof REVISION_SOURCES)[number];
+
+export const REVISION_SOURCE_LABELS: Record<RevisionSource, string> = {
+  manual: 'Manual edit',
+  ai_fix: 'AI fix',
+  batch_script: 'Batch script',
+  draft: 'Draft promoted',
+  import: 'Imported',
+  rollback: 'Rollback',
+  baseline: 'Baseline',
+  unknown: 'Unknown',
+};
+
+/** Shape of questions_v2.revision_context. */
+// A type alias rather than an interface so it is assignable to the
+// generated Json column type.
+export type RevisionContext = {
+  source: Exclude<RevisionSource, 'baseline' | 'unknown'>;
+  /** Only read when there is no auth.uid() — i.e. service-role scripts. */
+  author_id?: string;
+  restored_from?: string;
+  note?: string;
+};
+
+/**
+ * The value a writer puts in questions_v2.revision_context alongside
+ * a content write. Writes without one still get a revision, recorded
+ * with source 'unknown'.
+ */
+export function revisionContext(
+  source: RevisionContext['source'],
+  extra: Omit<RevisionContext, 'source'> = {},
+): RevisionContext {
+  return { source, ...extra };
+}
+
+// The content columns the trigger compares, in display order.
+export const REVISION_FIELDS = [
+  'stimulus_html',
+  'stem_html',
+  'options',
+  'correct_answer',
+  'rationale_html',
+  'hints',
+  'domain_code',
+  'skill_code',
+  'difficulty',
+  'score_band',
+] as const;
+
+export type RevisionField = (typeof REVISION_FIELDS)[number];
+
+export const REVISION_FIELD_LABELS: Record<RevisionField, string> = {
+  stimulus_html: 'Passage',
+  stem_html: 'Question',
+  options: 'Answer choices',
+  correct_answer: 'Answer key',
+  rationale_html: 'Rationale',
+  hints: 'Hints',
+  domain_code: 'Domain',
+  skill_code: 'Skill',
+  difficulty: 'Difficulty',
+  score_band: 'Score band',
+};
+
+export interface RevisionContent {
+  question_type: string | null;
+  stem_html: string | null;
+  stimulus_html: string | null;
+  rationale_html: string | null;
+  options: unknown;
+  hints: unknown;
+  correct_answer: unknown;
+  domain_code: string | null;
+  skill_code: string | null;
+  difficulty: number | null;
+  score_band: number | null;
+}
+
+export interface QuestionRevision extends RevisionContent {
+  id: string;
+  question_id: string;
+  revision_number: number;
+  source: RevisionSource;
+  author_id: string | null;
+  changed_fields: string[];
+  restored_from: string | null;
+  note: string | null;
+  created_at: string;
+}
+
+export const REVISION_COLUMNS =
+  'id, question_id, revision_number, source, author_id, changed_fields, restored_from, note, ' +
+  'question_type, stem_html, stimulus_html, rationale_html, options, hints, correct_answer, ' +
+  'domain_code, skill_code, difficulty, score_band, created_at';
+
+export interface RevisionOption {
+  label: string;
+  content_html: string;
+}
+
+/** Options jsonb → [{label, content_html}], tolerating the legacy shapes. */
+export function revisionOptions(raw: unknown): RevisionOption[] {
+  if (!Array.isArray(raw)) return [];
+  return raw.map((o, idx) => {
+    const opt = (o ?? {}) as Record<string, unknown>;
+    const label = String(opt.label ?? opt.id ?? String.fromCharCode(65 + idx));
+    const html = opt.content_html ?? opt.text ?? '';
+    return { label, content_html: typeof html === 'string' ? html : String(html) };
+  });
+}
+
+export function revisionHints(raw: unknown): string[] {
+  return Array.isArray(raw) ? raw.filter((h): h is string => typeof h === 'string') : [];
+}
+
+// Key-order-insensitive equality for the jsonb columns; Postgres
+// normalises jsonb key order, JS objects read back from it may not.
+function stableJson(v: unknown): string {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    const o = v as Record<string, unknown>;
+    return `{${Object.keys(o)
+      .filter((k) => o[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableJson(o[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+export function sameFieldValue(a: unknown, b: unknown): boolean {
+  const norm = (v: unknown) => (v === '' ? null : v);
+  return stableJson(norm(a)) === stableJson(norm(b));
+}
+
+/** Fields whose values differ between two content states, in display order. */
+export function changedRevisionFields(older: RevisionContent, newer: RevisionContent): RevisionField[] {
+  return REVISION_FIELDS.filter((f) => !sameFieldValue(older[f], newer[f]));
+}
+
+export interface OptionChange {
+  label: string;
+  before: string | null;
+  after: string | null;
+}
+
+/**
+ * Per-label option changes: edited, added (before null) or removed
+ * (after null). Unchanged options are omitted.
+ */
+export function diffRevisionOptions(older: unknown, newer: unknown): OptionChange[] {
+  const a = new Map(revisionOptions(older).map((o) => [o.label, o.content_html]));
+  const b = new Map(revisionOptions(newer).map((o) => [o.label, o.content_html]));
+  const labels = [...new Set([...a.keys(), ...b.keys()])].sort();
+  const out: OptionChange[] = [];
+  for (const label of labels) {
+    const before = a.get(label) ?? null;
+    const after = b.get(label) ?? null;
+    if (before !== after) out.push({ label, before, after });
+  }
+  return out;
+}
+
+export interface TextSegment {
+  op: 'same' | 'add' | 'del';
+  text: string;
+}
+
+// LCS over tokens is O(n·m); past this many cells the diff degrades to
+// one delete + one insert, which is still correct, just not granular.
+const MAX_DIFF_CELLS = 4_000_000;
+
+function tokenize(s: string): string[] {
+  return s.match(/<[^<>]*>|\\[()[\]]|[A-Za-z0-9]+|\s+|[^\sA-Za-z0-9]/g) ?? [];
+}
+
+function pushSegment(out: TextSegment[], op: TextSegment['op'], text: string) {
+  const last = out[out.length - 1];
+  if (last && last.op === op) last.text += text;
+  else out.push({ op, text });
+}
+
+/**
+ * Token diff of two source strings (HTML tags, TeX delimiters, words,
+ * whitespace and punctuation are tokens), for the "source" view of a
+ * changed field — a moved comma or a TeX fix is invisible in the
+ * rendered side-by-side.
+ */
+export function diffText(before: string | null, after: string | null): TextSegment[] {
+  const a = tokenize(before ?? '');
+  const b = tokenize(after ?? '');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const out: TextSegment[] = [];
+  if (start > 0) pushSegment(out, 'same', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    if (midA.length) pushSegment(out, 'del', midA.join(''));
+    if (midB.length) pushSegment(out, 'add', midB.join(''));
+  } else {
+    const n = midA.length;
+    const m = midB.length;
+    const lcs: Uint32Array[] = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushSegment(out, 'same', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        pushSegment(out, 'del', midA[i++]);
+      } else {
+        pushSegment(out, 'add', midB[j++]);
+      }
+    }
+    while (i < n) pushSegment(out, 'del', midA[i++]);
+    while (j < m) pushSegment(out, 'add', midB[j++]);
+  }
+
+  if (endA < a.length) pushSegment(out, 'same', a.slice(endA).join(''));
+  return out;
+}
+
+/**
+ * The questions_v2 patch that restores a revision's content. Taxonomy
+ * names are re-resolved from the canonical table (revisions store
+ * codes only); question_type is never rewritten — a rollback across a
+ * type change is refused by the caller. Rendered columns are the
+ * caller's job since rendering needs MathJax.
+ */
+export function rollbackPatch(rev: RevisionContent) {
+  const domain = findDomain(rev.domain_code);
+  const skill = domain ? findSkill(domain.code, rev.skill_code) : null;
+  return {
+    stem_html: rev.stem_html,
+    stimulus_html: rev.stimulus_html,
+    rationale_html: rev.rationale_html,
+    options: rev.options ?? null,
+    // Revisions backfilled from snapshot-on-edit rows have no hints
+    // column; restoring one leaves the current hints alone.
+    ...(rev.hints == null ? {} : { hints: rev.hints }),
+    correct_answer: rev.correct_answer ?? null,
+    domain_code: rev.domain_code,
+    domain_name: domain?.name ?? null,
+    skill_code: rev.skill_code,
+    skill_name: skill?.name ?? null,
+    difficulty: rev.difficulty,
+    score_band: rev.score_band,
+  };
+}
@@ -29,6 +29,8 @@ import { SVG } from 'mathjax-full/js/output/svg.js';
 import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
 import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
 import { AllPackages } from 'mathjax-full/js/input/tex/AllPackages.js';
+import { SerializedMmlVisitor } from 'mathjax-full/js/core/MmlTree/SerializedMmlVisitor.js';
+import { STATE } from 'mathjax-full/js/core/MathItem.js';
 
 const adaptor = liteAdaptor();
 RegisterHTMLHandler(adaptor);
@@ -41,6 +43,28 @@ const tex = new TeX({
 const mml = new MathML();
 const svg = new SVG({ fontCache: 'none' });
 
+// TeX → MathML conversion (QTI export) stops before typesetting, so
+// it gets its own input jax: bussproofs needs an output jax to
+// initialize and fails in an output-less document.
+const texForMml = new TeX({ packages: AllPackages.filter((p) => p !== 'bussproofs') });
+const mmlDoc = mathjax.document('', { InputJax: texForMml });
+const mmlVisitor = new SerializedMmlVisitor();
+
+/**
+ * Convert one TeX expression (no delimiters) to Presentation MathML.
+ * Throws when MathJax reports a TeX error.
+ *
+ * @param {string} texSource
+ * @param {boolean} display - block (`\[…\]`) rather than inline
+ * @returns {string} `<math xmlns=…>…</math>`
+ */
+export function texToMathml(texSource, display) {
+  const node = mmlDoc.convert(texSource, { display, end: STATE.CONVERT });
+  const out = mmlVisitor.visitTree(node);
+  if (out.includes('<merror')) throw new Error(`TeX error in: ${texSource}`);
+  return out;
+}
+
 /**
  * Render all math (TeX delimiters + MathML) inside an HTML blob.
  * Throws on MathJax errors — callers should wrap in try/catch.
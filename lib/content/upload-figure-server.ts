@@ -1,6 +1,7 @@
 // Server-side counterpart of lib/content/upload-figure-client.js:
-// uploads a rendered SVG figure to the shared question-figures bucket
-// and returns its public URL. Content-addressed by SHA-256 so repeat
+// uploads a figure (a rendered SVG, or an image from an imported
+// package) to the shared question-figures bucket and returns its
+// public URL. Content-addressed by SHA-256 so repeat
 // uploads dedup and retries are idempotent (upsert: true) — the same
 // convention the client uploader uses for admin-picked images.
 
@@ -9,7 +10,7 @@ import { createHash } from 'crypto';
 // Structural slice of the Supabase client so any authed client
 // (route ctx, server action ctx) can be passed without coupling to a
 // specific generated client type.
-interface StorageClient {
+export interface StorageClient {
   storage: {
     from(bucket: string): {
       upload(
@@ -22,18 +23,30 @@ interface StorageClient {
   };
 }
 
-export async function uploadSvgFigure(supabase: StorageClient, svg: string): Promise<string> {
-  const hash = createHash('sha256').update(svg).digest('hex');
-  const path = `${hash}.svg`;
+/** Bucket path for a figure — `<sha256>.<ext>`, the name both
+ *  uploaders use. Pure, so a caller can compute the public URL (via
+ *  getPublicUrl) before deciding whether to upload. */
+export function figurePath(bytes: Buffer, ext: string): string {
+  return `${createHash('sha256').update(bytes).digest('hex')}.${ext}`;
+}
+
+export async function uploadFigureBytes(
+  supabase: StorageClient,
+  bytes: Buffer,
+  ext: string,
+  contentType: string,
+): Promise<string> {
+  const path = figurePath(bytes, ext);
   const bucket = supabase.storage.from('question-figures');
 
-  const { error } = await bucket.upload(path, Buffer.from(svg, 'utf8'), {
-    contentType: 'image/svg+xml',
-    upsert: true,
-  });
+  const { error } = await bucket.upload(path, bytes, { contentType, upsert: true });
   if (error) throw new Error(`figure upload failed: ${error.message}`);
 
   const { data } = bucket.getPublicUrl(path);
   if (!data?.publicUrl) throw new Error('figure upload succeeded but no public URL returned');
   return data.publicUrl;
 }
+
+export async function uploadSvgFigure(supabase: StorageClient, svg: string): Promise<string> {
+  return uploadFigureBytes(supabase, Buffer.from(svg, 'utf8'), 'svg', 'image/svg+xml');
+}
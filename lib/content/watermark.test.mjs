@@ -0,0 +1,104 @@
+// Question watermarking: encoding round-trips, placement, and
+// survival through the MathJax renderer in both orders.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyWatermark,
+  decodeAllPayloads,
+  decodePayload,
+  encodePayload,
+  findWatermarkTags,
+  pdfWatermarkKeyword,
+  watermarkMarkup,
+  watermarkTag,
+} from './watermark.ts';
+import { renderHtml } from './render-math.mjs';
+
+const USER = '3f2a9c1e-0b7d-4e55-9a01-1234567890ab';
+const OTHER = 'c0ffee00-1111-4222-8333-444455556666';
+const TAG = '3f2a9c1e';
+
+// What a leaker ends up with: rendered text, tags gone.
+const stripTags = (html) => html.replace(/<[^>]*>/g, '');
+
+test('encode/decode round-trips and the tag is the first uuid segment', () => {
+  assert.equal(watermarkTag(USER), TAG);
+  assert.equal(watermarkTag(null), '');
+  assert.equal(decodePayload(`copied ${encodePayload(TAG)} text`), TAG);
+  assert.equal(decodePayload('no watermark here'), null);
+});
+
+test('decodeAllPayloads finds every tag and ignores emoji ZWJ sequences', () => {
+  const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+  const text = `${family} Q1 ${encodePayload(TAG)} Q2 ${encodePayload('c0ffee00')} ${family} Q3 ${encodePayload(TAG)}`;
+  assert.deepEqual(decodeAllPayloads(text), [TAG, 'c0ffee00']);
+  // A truncated run (not a multiple of 16 bits) is rejected.
+  assert.deepEqual(decodeAllPayloads(encodePayload(TAG).slice(0, 20) + '\u200D'), []);
+});
+
+test('findWatermarkTags also reads the PDF keyword marker', () => {
+  assert.equal(pdfWatermarkKeyword(USER), `sw-wm:${TAG}`);
+  const pasted = `Keywords: SAT score report, sw-wm:C0FFEE00\n${encodePayload(TAG)}`;
+  assert.deepEqual(findWatermarkTags(pasted), [TAG, 'c0ffee00']);
+});
+
+test('payload sits in an aria-hidden span inside the first text element', () => {
+  const out = applyWatermark('<p>What is the value of <em>x</em>?</p>', USER);
+  assert.equal(out, `<p>${watermarkMarkup(USER)}What is the value of <em>x</em>?</p>`);
+  assert.match(watermarkMarkup(USER), /^<span aria-hidden="true">\u200D[\u200B\u200C]+\u200D<\/span>$/);
+});
+
+test('never lands in labelled, void, math, svg or table tags', () => {
+  const html = '<figure aria-label="Graph"><img alt="A line" src="x.png"><svg><text>y</text></svg></figure>'
+    + '<table><tr><td>1</td></tr></table><math><mi>x</mi></math><p>Which choice is best?</p>';
+  const out = applyWatermark(html, USER);
+  assert.ok(out.includes(`<p>${watermarkMarkup(USER)}Which`));
+  assert.equal(out.replace(watermarkMarkup(USER), ''), html);
+});
+
+test('skips elements that open inside a TeX run', () => {
+  const html = '\\(x + <span>y</span>\\) <span>then</span>';
+  const out = applyWatermark(html, USER);
+  assert.ok(out.endsWith(`<span>${watermarkMarkup(USER)}then</span>`));
+});
+
+test('plain text and pure-math fragments still carry the payload', () => {
+  assert.equal(applyWatermark('42', USER), `${watermarkMarkup(USER)}42`);
+  const mjx = '<mjx-container class="MathJax"><svg><g></g></svg></mjx-container>';
+  assert.equal(
+    applyWatermark(mjx, USER),
+    `<mjx-container class="MathJax">${watermarkMarkup(USER)}<svg><g></g></svg></mjx-container>`,
+  );
+});
+
+test('idempotent per user; no-op for no user or empty html', () => {
+  const once = applyWatermark('<p>Hi</p>', USER);
+  assert.equal(applyWatermark(once, USER), once);
+  assert.deepEqual(decodeAllPayloads(applyWatermark(once, OTHER)).sort(), ['3f2a9c1e', 'c0ffee00']);
+  assert.equal(applyWatermark('<p>Hi</p>', null), '<p>Hi</p>');
+  assert.equal(applyWatermark('', USER), '');
+  assert.equal(applyWatermark(null, USER), null);
+});
+
+test('survives render-math: render then watermark (the serve path)', () => {
+  const rendered = renderHtml('<p>If \\(3x + 2 = 11\\), what is \\(x\\)?</p>');
+  const out = applyWatermark(rendered, USER);
+  assert.equal(findWatermarkTags(stripTags(out))[0], TAG);
+  // Outside every math container.
+  const at = out.indexOf(watermarkMarkup(USER));
+  assert.ok(at < out.indexOf('<mjx-container'));
+});
+
+test('survives render-math: watermark then render', () => {
+  const sources = [
+    '<p>If \\(3x + 2 = 11\\), what is \\(x\\)?</p>',
+    '\\[y = mx + b\\]',
+    '<p><math><mi>x</mi><mo>=</mo><mn>2</mn></math></p>',
+  ];
+  for (const src of sources) {
+    const out = renderHtml(applyWatermark(src, USER));
+    assert.deepEqual(findWatermarkTags(stripTags(out)), [TAG], src);
+    assert.ok(out.includes('aria-hidden="true"'), src);
+  }
+});
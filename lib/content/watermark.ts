@@ -0,0 +1,224 @@
+// Per-user HTML watermarking. See docs/architecture-plan.md §3.7.
+//
+// Injects a zero-width character pattern derived from the viewer's
+// user id into rendered question HTML. The pattern is:
+//   - Invisible to normal rendering (uses U+200B, U+200C, U+200D).
+//   - Preserved across copy-paste into plain text editors.
+//   - Decodable from any leaked text by reversing the encoding
+//     (findWatermarkTags; the admin leak-trace page runs it).
+//   - Wrapped in an aria-hidden span and never placed inside an
+//     attribute, so screen readers don't announce it.
+//   - Placed outside math: never inside <math>, MathJax's
+//     <mjx-container> SVG, or a \( … \) / \[ … \] TeX run, so it
+//     survives lib/content/render-math.mjs in either order — render
+//     then watermark (the normal serve path) or watermark then render.
+//
+// Every server-rendered question payload goes through applyWatermark
+// with the id of the person it is being shown to: practice and test
+// runners, session and test reviews (including what a tutor presents
+// from a report), error notes, and the tutor question page. The score
+// report PDF carries no question text; it gets the viewer's tag in its
+// document keywords instead (pdfWatermarkKeyword).
+//
+// If a student pastes a question into a public Discord or a cheat-
+// sharing site, the watermark lets us trace back to the originating
+// user id. It's not a silver bullet (a motivated attacker can strip
+// the characters), but it's cheap deterrence against casual leaks.
+
+const ZW_SPACE = '\u200B'; // zero-width space — bit 0
+const ZW_NON_JOINER = '\u200C'; // zero-width non-joiner — bit 1
+const ZW_JOINER = '\u200D'; // zero-width joiner — delimiter
+
+// Attributes where a zero-width character would be harmful (screen
+// readers speak alt text literally; ARIA attributes may be parsed).
+// Tags carrying any of these never receive the payload.
+const SAFE_SKIP_ATTRS = ['alt', 'aria-label', 'aria-labelledby', 'aria-describedby', 'title'];
+
+// Elements whose content is not flowing text: a payload inside them is
+// dropped by the renderer, breaks math parsing, or gets foster-parented
+// out of a table. `mjx-*` is matched by prefix.
+const OPAQUE_TAGS = new Set([
+  'math', 'svg', 'script', 'style', 'textarea', 'select', 'option', 'template',
+  'object', 'iframe', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'colgroup',
+]);
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'source', 'track', 'wbr',
+]);
+
+/** Prefix of the PDF keyword marker; see pdfWatermarkKeyword. */
+export const PDF_WATERMARK_PREFIX = 'sw-wm:';
+
+/**
+ * Encode an arbitrary string payload as a zero-width character sequence.
+ * The output is a run of ZW_SPACE / ZW_NON_JOINER characters bounded by
+ * ZW_JOINER delimiters so decoders can find the payload inside leaked text.
+ */
+export function encodePayload(payload: string): string {
+  let bits = '';
+  for (const ch of String(payload)) {
+    const code = ch.charCodeAt(0);
+    bits += code.toString(2).padStart(16, '0');
+  }
+  let encoded = ZW_JOINER;
+  for (const b of bits) {
+    encoded += b === '1' ? ZW_NON_JOINER : ZW_SPACE;
+  }
+  encoded += ZW_JOINER;
+  return encoded;
+}
+
+function bitsToString(run: string): string | null {
+  let bits = '';
+  for (const ch of run) {
+    if (ch === ZW_SPACE) bits += '0';
+    else if (ch === ZW_NON_JOINER) bits += '1';
+    else return null;
+  }
+  if (bits.length === 0 || bits.length % 16 !== 0) return null;
+  let out = '';
+  for (let i = 0; i < bits.length; i += 16) {
+    out += String.fromCharCode(parseInt(bits.slice(i, i + 16), 2));
+  }
+  return out;
+}
+
+/**
+ * Decode the first zero-width payload run from leaked text. Returns
+ * null if no payload delimiters are found or the bitstream is not a
+ * valid multiple of 16 bits.
+ */
+export function decodePayload(text: string): string | null {
+  return decodeAllPayloads(text)[0] ?? null;
+}
+
+/**
+ * Every distinct payload in `text`, in order of first appearance. A
+ * leak often spans several questions (one payload each), and ZWJ also
+ * appears in emoji sequences, so runs are matched strictly rather than
+ * by pairing delimiters.
+ */
+export function decodeAllPayloads(text: string): string[] {
+  const out: string[] = [];
+  const re = /\u200D([\u200B\u200C]{16,})(?=\u200D)/g;
+  let m;
+  while ((m = re.exec(String(text ?? '')))) {
+    const decoded = bitsToString(m[1]);
+    if (decoded && !out.includes(decoded)) out.push(decoded);
+  }
+  return out;
+}
+
+/**
+ * Derive a short, reversible tag from a user id. We use a truncated
+ * form of the UUID's first segment (8 hex chars = 32 bits) so the
+ * watermark is ~10 bytes encoded, keeping the payload small. Reversing
+ * from the tag alone requires cross-referencing with the profiles
+ * table, which is intentional: leaked content + profiles lookup = trace.
+ */
+export function watermarkTag(userId: string | null | undefined): string {
+  if (!userId || typeof userId !== 'string') return '';
+  return userId.replace(/-/g, '').slice(0, 8);
+}
+
+/** A decoded value that is a well-formed tag (8 lowercase hex chars). */
+export function isWatermarkTag(value: string): boolean {
+  return /^[0-9a-f]{8}$/.test(value);
+}
+
+/**
+ * Every watermark tag in pasted text: zero-width payloads plus any
+ * `sw-wm:` PDF keyword markers (copied from a PDF's properties).
+ */
+export function findWatermarkTags(text: string): string[] {
+  const tags = decodeAllPayloads(text).filter(isWatermarkTag);
+  const re = new RegExp(`${PDF_WATERMARK_PREFIX}([0-9a-f]{8})\\b`, 'gi');
+  let m;
+  while ((m = re.exec(String(text ?? '')))) {
+    const tag = m[1].toLowerCase();
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+/** Keyword stamped into PDF document properties for `userId`. */
+export function pdfWatermarkKeyword(userId: string | null | undefined): string {
+  const tag = watermarkTag(userId);
+  return tag ? `${PDF_WATERMARK_PREFIX}${tag}` : '';
+}
+
+/** The markup applyWatermark inserts for `userId` ('' for no user). */
+export function watermarkMarkup(userId: string | null | undefined): string {
+  const tag = watermarkTag(userId);
+  return tag ? `<span aria-hidden="true">${encodePayload(tag)}</span>` : '';
+}
+
+// Is `index` inside an unclosed \( … \) or \[ … \] run?
+function insideTex(html: string, index: number): boolean {
+  const before = html.slice(0, index);
+  const count = (s: string) => before.split(s).length - 1;
+  return count('\\(') > count('\\)') || count('\\[') > count('\\]');
+}
+
+function isOpaque(name: string): boolean {
+  return OPAQUE_TAGS.has(name) || name.startsWith('mjx-');
+}
+
+/**
+ * Find where the payload goes: just inside the first text-bearing
+ * element that is outside every opaque element (math, SVG, tables…)
+ * and TeX run. Falls back to just inside a leading MathJax container
+ * (display math renders as a block, so a sibling would add a blank
+ * line), and finally to the start of the fragment.
+ */
+function insertionPoint(html: string): number {
+  const tagRe = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b([^>]*?)(\/?)>/g;
+  let opaqueDepth = 0;
+  let leadingMjx: number | null = null;
+  let sawContent = false;
+  let m;
+  while ((m = tagRe.exec(html))) {
+    if (!sawContent && html.slice(0, m.index).trim()) sawContent = true;
+    const closing = m[1] === '/';
+    const name = m[2].toLowerCase();
+    const selfClosing = m[4] === '/' || VOID_TAGS.has(name);
+    const end = m.index + m[0].length;
+
+    if (isOpaque(name)) {
+      if (closing) opaqueDepth = Math.max(0, opaqueDepth - 1);
+      else if (!selfClosing) {
+        if (opaqueDepth === 0 && !sawContent && leadingMjx == null && name === 'mjx-container') {
+          leadingMjx = end;
+        }
+        opaqueDepth += 1;
+      }
+      sawContent = true;
+      continue;
+    }
+    if (closing || selfClosing || opaqueDepth > 0) continue;
+    const attrs = m[3].toLowerCase();
+    if (SAFE_SKIP_ATTRS.some((a) => new RegExp(`(^|\\s)${a}\\s*=`).test(attrs))) continue;
+    if (insideTex(html, end)) continue;
+    return end;
+  }
+  return leadingMjx ?? 0;
+}
+
+/**
+ * Apply a watermark to an HTML string: an aria-hidden span holding the
+ * encoded tag, placed at the first safe insertion point (see
+ * insertionPoint). Idempotent per user; returns the input untouched for
+ * empty HTML or no user.
+ *
+ * Not a full HTML parser — the implementation uses regex-based tag
+ * scanning, which is safe for the already-rendered, trusted HTML we
+ * produce from question content (no user-controlled input).
+ */
+export function applyWatermark<T>(html: T, userId: string | null | undefined): T {
+  if (!html || typeof html !== 'string') return html;
+  const markup = watermarkMarkup(userId);
+  if (!markup || html.includes(markup)) return html;
+  const at = insertionPoint(html);
+  return (html.slice(0, at) + markup + html.slice(at)) as T;
+}
@@ -0,0 +1,178 @@
+// Weekly progress digest settings — who gets a student's weekly
+// email. Rendered inside a card on the student's Account page and on
+// the tutor's student page; both pass the same rows, loaded through
+// RLS (weekly_digest_recipients + the latest weekly_digest_sends row
+// per address).
+//
+// The switch is the student's own address (relationship 'student');
+// below it, parent / guardian addresses with pause/resume and remove,
+// and an add form. Nothing is sent until an address is on the list,
+// and a family address also waits until its owner follows the
+// confirmation link we email them.
+
+'use client';
+
+import { useActionState, useRef, useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { Toggle } from '@/lib/ui/Toggle';
+import type { ActionResult } from '@/lib/types';
+import { addDigestRecipient, removeDigestRecipient, setDigestRecipientActive } from './digest-actions';
+import s from './WeeklyDigestSettings.module.css';
+
+export interface DigestRecipientView {
+  id: string;
+  email: string;
+  relationship: 'student' | 'parent' | 'guardian';
+  active: boolean;
+  /** The address owner followed the confirmation link (always true for 'student'). */
+  confirmed: boolean;
+  lastSend: { weekStart: string; status: string } | null;
+}
+
+interface WeeklyDigestSettingsProps {
+  studentId: string;
+  recipients: DigestRecipientView[];
+  /** Copy only: "you" on the Account page, the student's name for tutors. */
+  viewer: 'student' | 'staff';
+  studentName?: string;
+}
+
+function fd(values: Record<string, string>): FormData {
+  const f = new FormData();
+  for (const [k, v] of Object.entries(values)) f.set(k, v);
+  return f;
+}
+
+function lastSendLine(r: DigestRecipientView): string {
+  if (!r.lastSend) return 'Not sent yet';
+  const week = new Date(`${r.lastSend.weekStart}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+  return r.lastSend.status === 'sent' ? `Last sent for week of ${week}` : `Week of ${week}: ${r.lastSend.status}`;
+}
+
+export function WeeklyDigestSettings({ studentId, recipients, viewer, studentName }: WeeklyDigestSettingsProps) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+  const formRef = useRef<HTMLFormElement>(null);
+
+  const own = recipients.find((r) => r.relationship === 'student') ?? null;
+  const family = recipients.filter((r) => r.relationship !== 'student');
+  const who = viewer === 'student' ? 'you' : studentName || 'the student';
+
+  const [addState, addAction, adding] = useActionState<ActionResult | null, FormData>(
+    async (prev, formData) => {
+      const result = await addDigestRecipient(prev, formData);
+      if (result?.ok) {
+        formRef.current?.reset();
+        router.refresh();
+      }
+      return result;
+    },
+    null,
+  );
+
+  function run(action: (prev: ActionResult | null, f: FormData) => Promise<ActionResult>, values: Record<string, string>) {
+    setError(null);
+    startTransition(async () => {
+      const res = await action(null, fd({ student_id: studentId, ...values }));
+      if (!res.ok) {
+        setError(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  function onOwnToggle(next: boolean) {
+    if (own) run(setDigestRecipientActive, { id: own.id, active: String(next) });
+    else if (next) run(addDigestRecipient, { relationship: 'student' });
+  }
+
+  return (
+    <div className={s.root}>
+      <div className={s.toggleRow}>
+        <Toggle
+          checked={Boolean(own?.active)}
+          onChange={onOwnToggle}
+          disabled={pending}
+          label="Weekly progress email"
+        />
+        <div className={s.toggleText}>
+          <span className={s.toggleLabel}>
+            {viewer === 'student' ? 'Email me a weekly summary' : `Email ${who} a weekly summary`}
+          </span>
+          <span className={s.help}>
+            Sunday mornings: practice time, questions answered, skills that moved, plan progress,
+            what&apos;s due next and the latest practice-test score.
+            {own ? ` ${own.email} · ${lastSendLine(own)}.` : ''}
+          </span>
+        </div>
+      </div>
+
+      <div className={s.subhead}>Parents &amp; guardians</div>
+      {family.length === 0 ? (
+        <p className={s.empty}>No family addresses yet.</p>
+      ) : (
+        <ul className={s.list}>
+          {family.map((r) => (
+            <li key={r.id} className={s.row}>
+              <div className={s.rowMain}>
+                <span className={r.active ? s.email : `${s.email} ${s.paused}`}>{r.email}</span>
+                <span className={s.meta}>
+                  {r.relationship === 'guardian' ? 'Guardian' : 'Parent'} ·{' '}
+                  {!r.active ? 'Unsubscribed' : r.confirmed ? lastSendLine(r) : 'Waiting for them to confirm by email'}
+                </span>
+              </div>
+              <button
+                type="button"
+                className={s.linkBtn}
+                disabled={pending}
+                onClick={() => run(setDigestRecipientActive, { id: r.id, active: String(!r.active) })}
+              >
+                {r.active ? 'Pause' : 'Resume'}
+              </button>
+              <button
+                type="button"
+                className={`${s.linkBtn} ${s.danger}`}
+                disabled={pending}
+                onClick={() => run(removeDigestRecipient, { id: r.id })}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form ref={formRef} action={addAction} className={s.addForm}>
+        <input type="hidden" name="student_id" value={studentId} />
+        <input
+          type="email"
+          name="email"
+          required
+          placeholder="parent@example.com"
+          className={s.input}
+          aria-label="Parent or guardian email"
+          disabled={adding}
+        />
+        <select name="relationship" className={s.select} defaultValue="parent" disabled={adding} aria-label="Relationship">
+          <option value="parent">Parent</option>
+          <option value="guardian">Guardian</option>
+        </select>
+        <button type="submit" className={s.addBtn} disabled={adding}>
+          {adding ? 'Adding…' : 'Add'}
+        </button>
+      </form>
+
+      {(error || (addState && !addState.ok)) && (
+        <p role="alert" className={s.error}>
+          {error ?? (addState && !addState.ok ? addState.error : null)}
+        </p>
+      )}
+    </div>
+  );
+}
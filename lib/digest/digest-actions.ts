@@ -0,0 +1,194 @@
+// Server Actions for weekly-digest recipients. Shared by the two
+// settings surfaces — the student's Account page and the tutor's
+// student page — through WeeklyDigestSettings.
+//
+// addDigestRecipient — opt an address in. relationship 'student'
+//   always uses the student's own profile email, so a student (or
+//   tutor) can't point "the student's" digest at someone else.
+//   Parent / guardian addresses are emailed a confirmation link and
+//   get nothing until it's followed; re-adding a pending address
+//   resends the link (at most once a day).
+// setDigestRecipientActive — pause / resume one address (the same
+//   unsubscribed_at the public unsubscribe link stamps).
+// removeDigestRecipient — drop an address entirely.
+//
+// RLS (can_view on student_id) is the real gate for all three; the
+// explicit can_view check up front turns a miss into a clean error
+// instead of a silent no-op update. Column grants
+// (20261019360000) limit client writes to those three operations:
+// insert the address, toggle unsubscribed_at, delete. The
+// confirmation token is read and stamped on the service client.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { requireServiceRole, requireUser } from '@/lib/api/auth';
+import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { logger } from '@/lib/api/logger';
+import { sendDigestConfirmationEmail } from '@/lib/email/digestConfirmation';
+import type { ActionResult } from '@/lib/types';
+
+const RELATIONSHIPS = ['student', 'parent', 'guardian'] as const;
+type Relationship = (typeof RELATIONSHIPS)[number];
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+/** Per student — a digest list, not a mailing list. */
+const MAX_RECIPIENTS = 5;
+/** A pending address gets at most one confirmation email per day. */
+const CONFIRMATION_RESEND_MS = 24 * 60 * 60 * 1000;
+
+async function authorize(studentId: string) {
+  let ctx;
+  try {
+    ctx = await requireUser();
+  } catch (e) {
+    if (e instanceof ApiError) return { ok: false as const, result: e.toActionResult() };
+    return { ok: false as const, result: actionFail('Unexpected error') };
+  }
+  const { data: canView } = await ctx.supabase.rpc('can_view', { target: studentId });
+  if (!canView) return { ok: false as const, result: actionFail('Forbidden') };
+  return { ok: true as const, ctx };
+}
+
+/**
+ * Emails the confirmation link for one pending recipient. Soft-fails:
+ * the row stays pending and can be re-added to try again.
+ */
+async function sendConfirmation(studentId: string, recipientId: string) {
+  try {
+    const { service, profile } = await requireServiceRole('weekly digest confirmation email');
+    const [{ data: row }, { data: student }] = await Promise.all([
+      service
+        .from('weekly_digest_recipients')
+        .select('email, confirm_token')
+        .eq('id', recipientId)
+        .eq('student_id', studentId)
+        .maybeSingle(),
+      service.from('profiles').select('first_name').eq('id', studentId).maybeSingle(),
+    ]);
+    if (!row) return;
+    const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || 'https://www.studyworks.io';
+    const sent = await sendDigestConfirmationEmail({
+      email: row.email,
+      confirmUrl: `${siteUrl}/api/public/digest/confirm?token=${row.confirm_token}`,
+      studentName: student?.first_name || 'your student',
+      addedByName: profile?.first_name || 'Someone at Studyworks',
+    });
+    if (sent) {
+      await service
+        .from('weekly_digest_recipients')
+        .update({ confirmation_sent_at: new Date().toISOString() })
+        .eq('id', recipientId);
+    }
+  } catch (err) {
+    logger.warn(
+      { event: 'weekly_digest_confirmation_failed', recipient_id: recipientId, err: (err as Error).message },
+      'weekly_digest_confirmation_failed',
+    );
+  }
+}
+
+function revalidate(studentId: string) {
+  revalidatePath('/account');
+  revalidatePath(`/tutor/students/${studentId}`);
+}
+
+export async function addDigestRecipient(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult<{ data: { id: string } }>> {
+  const studentId = String(formData.get('student_id') ?? '');
+  if (!studentId) return actionFail('student_id required');
+  const relationship = String(formData.get('relationship') ?? 'parent') as Relationship;
+  if (!RELATIONSHIPS.includes(relationship)) return actionFail('Unknown relationship');
+
+  const auth = await authorize(studentId);
+  if (!auth.ok) return auth.result;
+  const { supabase, user } = auth.ctx;
+
+  let email = String(formData.get('email') ?? '').trim().toLowerCase();
+  if (relationship === 'student') {
+    const { data: student } = await supabase.from('profiles').select('email').eq('id', studentId).maybeSingle();
+    email = student?.email?.trim().toLowerCase() ?? '';
+    if (!email) return actionFail('This student has no email address on file');
+  }
+  if (!EMAIL_RE.test(email)) return actionFail('Enter a valid email address');
+
+  const { data: existing } = await supabase
+    .from('weekly_digest_recipients')
+    .select('id, email, confirmed_at, confirmation_sent_at')
+    .eq('student_id', studentId);
+  const match = (existing ?? []).find((r) => r.email.toLowerCase() === email);
+  if (match) {
+    // Adding an address that unsubscribed re-enables it.
+    const { error } = await supabase
+      .from('weekly_digest_recipients')
+      .update({ unsubscribed_at: null })
+      .eq('id', match.id);
+    if (error) return actionFail('Could not update the address');
+    const lastSent = match.confirmation_sent_at ? Date.parse(match.confirmation_sent_at) : 0;
+    if (!match.confirmed_at && Date.now() - lastSent >= CONFIRMATION_RESEND_MS) {
+      await sendConfirmation(studentId, match.id);
+    }
+    revalidate(studentId);
+    return actionOk({ id: match.id });
+  }
+  if ((existing ?? []).length >= MAX_RECIPIENTS) {
+    return actionFail(`Up to ${MAX_RECIPIENTS} addresses per student`);
+  }
+
+  const { data, error } = await supabase
+    .from('weekly_digest_recipients')
+    .insert({ student_id: studentId, email, relationship, added_by: user.id })
+    .select('id')
+    .single();
+  if (error || !data) return actionFail('Could not add the address');
+  if (relationship !== 'student') await sendConfirmation(studentId, data.id);
+
+  revalidate(studentId);
+  return actionOk({ id: data.id });
+}
+
+export async function setDigestRecipientActive(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  const studentId = String(formData.get('student_id') ?? '');
+  const id = String(formData.get('id') ?? '');
+  if (!studentId || !id) return actionFail('student_id and id required');
+  const active = formData.get('active') === 'true';
+
+  const auth = await authorize(studentId);
+  if (!auth.ok) return auth.result;
+
+  const { error } = await auth.ctx.supabase
+    .from('weekly_digest_recipients')
+    .update({ unsubscribed_at: active ? null : new Date().toISOString() })
+    .eq('id', id)
+    .eq('student_id', studentId);
+  if (error) return actionFail('Could not update the address');
+
+  revalidate(studentId);
+  return actionOk();
+}
+
+export async function removeDigestRecipient(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  const studentId = String(formData.get('student_id') ?? '');
+  const id = String(formData.get('id') ?? '');
+  if (!studentId || !id) return actionFail('student_id and id required');
+
+  const auth = await authorize(studentId);
+  if (!auth.ok) return auth.result;
+
+  const { error } = await auth.ctx.supabase
+    .from('weekly_digest_recipients')
+    .delete()
+    .eq('id', id)
+    .eq('student_id', studentId);
+  if (error) return actionFail('Could not remove the address');
+
+  revalidate(studentId);
+  return actionOk();
+}
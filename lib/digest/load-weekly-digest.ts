@@ -0,0 +1,125 @@
+// Weekly digest loaders. loadWeeklyDigest reads one student's week
+// for the digest cron and hands it to the pure buildWeeklyDigest; it
+// runs on the cron's service client, so every query filters by
+// student explicitly — there is no RLS to lean on.
+// loadDigestRecipients feeds the settings card.
+
+import { buildWeeklyDigest, digestWeek, type WeeklyDigest } from './weekly-digest';
+import { loadStudentPlanState } from '@/lib/plan/load-plan-state';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import type { DigestRecipientView } from './WeeklyDigestSettings';
+
+export async function loadWeeklyDigest(
+  supabase: TypedSupabaseClient,
+  studentId: string,
+  today: string,
+): Promise<WeeklyDigest> {
+  const { weekStart } = digestWeek(today);
+
+  const [
+    { data: profile, error: profileErr },
+    { data: attempts, error: attemptsErr },
+    { data: masteryThen },
+    { data: masteryNow },
+    { data: coverage },
+    planState,
+    { data: assignmentRows },
+    { data: testRows },
+  ] = await Promise.all([
+    supabase.from('profiles').select('first_name').eq('id', studentId).maybeSingle(),
+    supabase
+      .from('attempts')
+      .select('created_at, is_correct, time_spent_ms')
+      .eq('user_id', studentId)
+      .gte('created_at', `${weekStart}T00:00:00Z`)
+      .lt('created_at', `${today}T00:00:00Z`),
+    supabase.rpc('get_skill_mastery_asof', { p_student: studentId, p_asof: weekStart }),
+    supabase.rpc('get_skill_mastery_asof', { p_student: studentId, p_asof: today }),
+    supabase.rpc('get_student_coverage', { p_student: studentId }),
+    loadStudentPlanState(supabase, studentId, today),
+    supabase
+      .from('assignment_students_v2')
+      .select('completed_at, assignment:assignments_v2!inner (title, due_date, archived_at, deleted_at)')
+      .eq('student_id', studentId)
+      .is('completed_at', null)
+      .gte('assignment.due_date', today),
+    supabase
+      .from('practice_test_attempts_v2')
+      .select('finished_at, composite_score, sections_only, practice_test:practice_tests_v2(name)')
+      .eq('user_id', studentId)
+      .eq('status', 'completed')
+      .not('finished_at', 'is', null)
+      .not('composite_score', 'is', null)
+      .order('finished_at', { ascending: false })
+      .limit(5),
+  ]);
+  if (profileErr) throw new Error(`digest profile: ${profileErr.message}`);
+  if (attemptsErr) throw new Error(`digest attempts: ${attemptsErr.message}`);
+
+  const satOnly = <T extends { test_type: string }>(rows: T[] | null) =>
+    (rows ?? []).filter((r) => r.test_type === 'sat');
+
+  return buildWeeklyDigest({
+    studentFirstName: profile?.first_name ?? null,
+    today,
+    attempts: (attempts ?? []).map((a) => ({
+      createdAt: a.created_at,
+      isCorrect: a.is_correct,
+      timeSpentMs: a.time_spent_ms,
+    })),
+    masteryThen: satOnly(masteryThen),
+    masteryNow: satOnly(masteryNow),
+    coverage: coverage ?? [],
+    adherence: planState.adherence,
+    assignments: (assignmentRows ?? [])
+      .filter((r) => r.assignment && !r.assignment.archived_at && !r.assignment.deleted_at)
+      .map((r) => ({
+        title: r.assignment!.title ?? 'Assignment',
+        dueDate: r.assignment!.due_date,
+        completedAt: r.completed_at,
+      })),
+    tests: (testRows ?? []).map((t) => ({
+      name: t.practice_test?.name ?? 'Practice test',
+      finishedAt: t.finished_at as string,
+      composite: t.composite_score as number,
+      sectionsOnly: Boolean(t.sections_only),
+    })),
+  });
+}
+
+/** Recipients + latest send per address for the settings card, read
+ *  through the caller's RLS-scoped client. */
+export async function loadDigestRecipients(
+  supabase: TypedSupabaseClient,
+  studentId: string,
+): Promise<DigestRecipientView[]> {
+  const [{ data: recipients }, { data: sends }] = await Promise.all([
+    supabase
+      .from('weekly_digest_recipients')
+      .select('id, email, relationship, unsubscribed_at, confirmed_at')
+      .eq('student_id', studentId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('weekly_digest_sends')
+      .select('recipient_id, week_start, status')
+      .eq('student_id', studentId)
+      .order('week_start', { ascending: false })
+      .limit(50),
+  ]);
+
+  const lastSend = new Map<string, { weekStart: string; status: string }>();
+  for (const row of sends ?? []) {
+    if (!lastSend.has(row.recipient_id)) {
+      lastSend.set(row.recipient_id, { weekStart: row.week_start, status: row.status });
+    }
+  }
+
+  return (recipients ?? []).map((r) => ({
+    id: r.id,
+    email: r.email,
+    relationship: r.relationship as DigestRecipientView['relationship'],
+    active: r.unsubscribed_at == null,
+    confirmed: r.confirmed_at != null,
+    lastSend: lastSend.get(r.id) ?? null,
+  }));
+}
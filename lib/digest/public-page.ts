@@ -0,0 +1,28 @@
+// The small standalone pages behind the digest's public links
+// (/api/public/digest/unsubscribe and /confirm). No session and no
+// app chrome: the visitor is usually a parent without an account.
+
+import { NextResponse } from 'next/server';
+
+export const TOKEN_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function escapeHtml(s: unknown): string {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function page(title: string, body: string, status = 200): NextResponse {
+  const html = `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><meta name="robots" content="noindex"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:48px 16px;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif;color:#111827;">
+  <div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;box-shadow:0 1px 3px rgba(0,0,0,0.08);">
+    <h1 style="margin:0 0 12px;font-size:20px;">${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body></html>`;
+  return new NextResponse(html, { status, headers: { 'content-type': 'text/html; charset=utf-8' } });
+}
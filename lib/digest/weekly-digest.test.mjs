@@ -0,0 +1,123 @@
+// Weekly progress digest tests — content + rendering.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWeeklyDigest, digestWeek, isQuietWeek, MAX_ATTEMPT_MS } from './weekly-digest.ts';
+import {
+  fillTemplate,
+  loadWeeklyDigestTemplate,
+  renderWeeklyDigestEmail,
+  sendWeeklyDigest,
+} from '../email/weeklyDigest.ts';
+
+const TODAY = '2026-10-18'; // a Sunday
+
+function input(overrides = {}) {
+  return {
+    studentFirstName: 'Ada',
+    today: TODAY,
+    attempts: [
+      { createdAt: '2026-10-11T15:00:00Z', isCorrect: true, timeSpentMs: 90_000 },
+      { createdAt: '2026-10-14T15:00:00Z', isCorrect: false, timeSpentMs: 60 * 60_000 },
+      { createdAt: '2026-10-17T23:00:00Z', isCorrect: true, timeSpentMs: 30_000 },
+      // Outside the week on both ends.
+      { createdAt: '2026-10-10T15:00:00Z', isCorrect: true, timeSpentMs: 60_000 },
+      { createdAt: '2026-10-18T08:00:00Z', isCorrect: true, timeSpentMs: 60_000 },
+    ],
+    masteryThen: [{ domain_code: 'H', skill_code: 'H.A.', mastery: 40, attempts_count: 10 }],
+    masteryNow: [{ domain_code: 'H', skill_code: 'H.A.', mastery: 52, attempts_count: 14 }],
+    coverage: [{ domain_code: 'H', skill_code: 'H.A.', title: 'Linear equations in one variable' }],
+    adherence: { status: 'behind', dueCount: 6, completedDue: 4, overdueCount: 2, completedAhead: 0, completionRate: 4 / 6 },
+    assignments: [
+      { title: 'Boundaries drill', dueDate: '2026-10-21', completedAt: null },
+      { title: 'Done already', dueDate: '2026-10-20', completedAt: '2026-10-16T00:00:00Z' },
+      { title: 'Far out', dueDate: '2026-11-30', completedAt: null },
+      { title: 'Overdue', dueDate: '2026-10-12', completedAt: null },
+    ],
+    tests: [
+      { name: 'Practice Test 4', finishedAt: '2026-10-12T16:00:00Z', composite: 1350, sectionsOnly: false },
+      { name: 'Math only', finishedAt: '2026-10-16T16:00:00Z', composite: 700, sectionsOnly: true },
+      { name: 'Practice Test 3', finishedAt: '2026-09-30T16:00:00Z', composite: 1300, sectionsOnly: false },
+    ],
+    ...overrides,
+  };
+}
+
+test('digest week is the seven days ending yesterday', () => {
+  assert.deepEqual(digestWeek(TODAY), { weekStart: '2026-10-11', weekEnd: '2026-10-17' });
+  assert.deepEqual(digestWeek('2026-03-01'), { weekStart: '2026-02-22', weekEnd: '2026-02-28' });
+});
+
+test('builds the week: capped minutes, movers, plan, upcoming work, latest full test', () => {
+  const d = buildWeeklyDigest(input());
+  assert.equal(d.questionsAnswered, 3);
+  assert.equal(d.accuracyPct, 67);
+  // 1.5 min + capped 5 min + 0.5 min.
+  assert.equal(d.practiceMinutes, Math.round((90_000 + MAX_ATTEMPT_MS + 30_000) / 60_000));
+  assert.deepEqual(d.movers.up.map((m) => [m.title, m.delta]), [['Linear equations in one variable', 12]]);
+  assert.deepEqual(d.plan, { label: 'Behind', line: '4 of 6 due done, 2 overdue' });
+  assert.deepEqual(d.upcomingAssignments, [{ title: 'Boundaries drill', dueDate: '2026-10-21' }]);
+  assert.equal(d.latestTest.name, 'Practice Test 4');
+  assert.equal(isQuietWeek(d), false);
+});
+
+test('a quiet week with no plan or tests still builds', () => {
+  const d = buildWeeklyDigest(input({ studentFirstName: null, attempts: [], assignments: [], tests: [], adherence: null }));
+  assert.equal(d.studentFirstName, 'Your student');
+  assert.equal(d.accuracyPct, null);
+  assert.equal(d.plan, null);
+  assert.equal(d.latestTest, null);
+  assert.equal(isQuietWeek(d), true);
+});
+
+test('template fill escapes text tokens and leaves unknown tokens alone', () => {
+  assert.equal(
+    fillTemplate('[A] [B_HTML] [C]', { A: '<b>&', B_HTML: '<i>ok</i>' }),
+    '&lt;b&gt;&amp; <i>ok</i> [C]',
+  );
+});
+
+test('renders parent and student variants with an unsubscribe link', () => {
+  const digest = buildWeeklyDigest(input({ studentFirstName: 'Ada <script>' }));
+  const template = loadWeeklyDigestTemplate();
+  const parent = renderWeeklyDigestEmail(
+    { digest, studentId: 's1', relationship: 'parent', unsubscribeUrl: 'https://x.test/u?token=t1' },
+    template,
+  );
+  assert.match(parent.subject, /^Ada <script>'s week on Studyworks/);
+  assert.ok(!parent.html.includes('<script>'));
+  assert.ok(!/\[[A-Z_]+\]/.test(parent.html), 'every template token is filled');
+  assert.match(parent.html, /href="https:\/\/x\.test\/u\?token=t1"/);
+  assert.match(parent.html, /Linear equations in one variable/);
+  assert.match(parent.text, /Latest practice test: 1350 on Practice Test 4/);
+  assert.match(parent.text, /added as a parent/);
+
+  const own = renderWeeklyDigestEmail(
+    { digest, studentId: 's1', relationship: 'student', unsubscribeUrl: 'https://x.test/u?token=t2' },
+    template,
+  );
+  assert.match(own.subject, /^Your week on Studyworks/);
+  assert.match(own.text, /dashboard/);
+});
+
+test('send reports provider ids and errors, with one-click unsubscribe headers', async () => {
+  const digest = buildWeeklyDigest(input());
+  const outbox = [];
+  const ok = await sendWeeklyDigest(
+    { emails: { send: async (m) => { outbox.push(m); return { data: { id: 'm1' }, error: null }; } } },
+    'parent@example.com',
+    'Studyworks <x@example.com>',
+    { digest, studentId: 's1', relationship: 'parent', unsubscribeUrl: 'https://x.test/u?token=t1' },
+  );
+  assert.deepEqual(ok, { sent: true, id: 'm1' });
+  assert.equal(outbox[0].headers['List-Unsubscribe'], '<https://x.test/u?token=t1>');
+  assert.equal(outbox[0].headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+
+  const failed = await sendWeeklyDigest(
+    { emails: { send: async () => ({ data: null, error: { message: 'rate limited' } }) } },
+    'parent@example.com',
+    'Studyworks <x@example.com>',
+    { digest, studentId: 's1', relationship: 'parent', unsubscribeUrl: 'https://x.test/u?token=t1' },
+  );
+  assert.deepEqual(failed, { sent: false, error: 'rate limited' });
+});
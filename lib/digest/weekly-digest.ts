@@ -0,0 +1,139 @@
+// Weekly progress digest — the numbers a family sees once a week.
+//
+// PURE in the plan-family pattern (adherence.ts, prep.ts): the cron's
+// loader (load-weekly-digest.ts) reads the rows, this turns them into
+// the digest's content, lib/email/weeklyDigest.ts renders it. No I/O
+// here, so the content is reproducible and unit-testable.
+//
+// The digest week is the seven days ending yesterday: a Sunday run
+// covers Sunday → Saturday. weekStart doubles as the send-log key
+// (weekly_digest_sends.week_start), so a re-run on the same day never
+// double-sends.
+//
+// Mastery movers reuse computeMasteryMovers from the tutor prep card
+// (§4.1) — one definition of "moved" across the tutor's pre-session
+// glance and the family's weekly email.
+
+import { ADHERENCE_LABELS, adherenceSummaryLine, type AdherenceSummary } from '../plan/adherence.ts';
+import {
+  computeMasteryMovers,
+  type CoveragePoint,
+  type MasteryMover,
+  type MasteryPoint,
+} from '../tutor/prep.ts';
+
+/** A single attempt counts for at most this long — a tab left open
+ *  on a question is not five hours of practice. */
+export const MAX_ATTEMPT_MS = 5 * 60_000;
+/** Upcoming assignments: due within this many days of the send. */
+export const UPCOMING_ASSIGNMENT_DAYS = 7;
+const MAX_UPCOMING_ASSIGNMENTS = 5;
+
+export interface DigestWeek {
+  /** First day covered (ISO yyyy-mm-dd); the send-log key. */
+  weekStart: string;
+  /** Last day covered, inclusive. */
+  weekEnd: string;
+}
+
+export interface DigestAttempt {
+  createdAt: string;
+  isCorrect: boolean;
+  timeSpentMs: number | null;
+}
+
+export interface DigestAssignment {
+  title: string;
+  dueDate: string | null;
+  completedAt: string | null;
+}
+
+export interface DigestTestAttempt {
+  name: string;
+  finishedAt: string;
+  composite: number;
+  sectionsOnly: boolean;
+}
+
+export interface WeeklyDigestInput {
+  studentFirstName: string | null;
+  /** The day the digest is built (the cron's "today"). */
+  today: string;
+  attempts: readonly DigestAttempt[];
+  masteryThen: readonly MasteryPoint[];
+  masteryNow: readonly MasteryPoint[];
+  coverage: readonly Pick<CoveragePoint, 'domain_code' | 'skill_code' | 'title'>[];
+  adherence: AdherenceSummary | null;
+  assignments: readonly DigestAssignment[];
+  tests: readonly DigestTestAttempt[];
+}
+
+export interface WeeklyDigest extends DigestWeek {
+  studentFirstName: string;
+  practiceMinutes: number;
+  questionsAnswered: number;
+  /** 0–100, null with no questions answered. */
+  accuracyPct: number | null;
+  movers: { up: MasteryMover[]; down: MasteryMover[] };
+  plan: { label: string; line: string } | null;
+  upcomingAssignments: { title: string; dueDate: string }[];
+  latestTest: { name: string; finishedAt: string; composite: number } | null;
+}
+
+function addDays(iso: string, days: number): string {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export function digestWeek(today: string): DigestWeek {
+  return { weekStart: addDays(today, -7), weekEnd: addDays(today, -1) };
+}
+
+export function buildWeeklyDigest(input: WeeklyDigestInput): WeeklyDigest {
+  const week = digestWeek(input.today);
+
+  let totalMs = 0;
+  let answered = 0;
+  let correct = 0;
+  for (const a of input.attempts) {
+    const day = a.createdAt.slice(0, 10);
+    if (day < week.weekStart || day > week.weekEnd) continue;
+    answered++;
+    if (a.isCorrect) correct++;
+    totalMs += Math.min(Math.max(a.timeSpentMs ?? 0, 0), MAX_ATTEMPT_MS);
+  }
+
+  const horizon = addDays(input.today, UPCOMING_ASSIGNMENT_DAYS);
+  const upcomingAssignments = input.assignments
+    .filter((a) => !a.completedAt && a.dueDate && a.dueDate.slice(0, 10) >= input.today && a.dueDate.slice(0, 10) <= horizon)
+    .map((a) => ({ title: a.title, dueDate: (a.dueDate as string).slice(0, 10) }))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .slice(0, MAX_UPCOMING_ASSIGNMENTS);
+
+  // Latest full-length test, whenever it was — a parent wants "where
+  // are they now", not only this week's score.
+  const latest = input.tests
+    .filter((t) => !t.sectionsOnly)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))[0];
+
+  return {
+    ...week,
+    studentFirstName: input.studentFirstName?.trim() || 'Your student',
+    practiceMinutes: Math.round(totalMs / 60_000),
+    questionsAnswered: answered,
+    accuracyPct: answered > 0 ? Math.round((correct / answered) * 100) : null,
+    movers: computeMasteryMovers(input.masteryThen, input.masteryNow, input.coverage as CoveragePoint[]),
+    plan: input.adherence
+      ? { label: ADHERENCE_LABELS[input.adherence.status], line: adherenceSummaryLine(input.adherence) }
+      : null,
+    upcomingAssignments,
+    latestTest: latest ? { name: latest.name, finishedAt: latest.finishedAt, composite: latest.composite } : null,
+  };
+}
+
+/** Nothing practiced and nothing coming up — the email still goes
+ *  out (a quiet week is news to a parent) but says so up front. */
+export function isQuietWeek(digest: WeeklyDigest): boolean {
+  return digest.questionsAnswered === 0 && digest.upcomingAssignments.length === 0;
+}
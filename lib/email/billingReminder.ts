@@ -0,0 +1,148 @@
+/**
+ * Billing reminders — "your trial ends soon" and "your payment
+ * failed". Both point at /account/billing, whose Manage subscription
+ * button opens the Stripe portal; a portal session URL can't go in an
+ * email because it expires within minutes.
+ *
+ * Sent from the Stripe webhook through lib/billing/dunning.ts, which
+ * owns the once-per-event guard (billing_notices). Soft failure, like
+ * the other notification senders: a mail problem never fails the
+ * webhook.
+ */
+import type { DunningKind } from '@/lib/billing/dunning';
+import { getResend, getFromAddress } from './client';
+
+export interface BillingReminderDetails {
+  kind: DunningKind;
+  email: string;
+  firstName: string | null;
+  /** trial_ending: when the card is first charged. */
+  trialEnd?: string | null;
+  /** payment_failed: Stripe's next retry, if it will retry. */
+  nextAttemptAt?: string | null;
+  /** payment_failed: end of read-only grace; null when grace is off. */
+  graceEndsAt?: string | null;
+  amountDue?: number | null;
+  currency?: string | null;
+  siteUrl?: string;
+}
+
+function escapeHtml(s: unknown): string {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDay(iso: string): string {
+  return new Date(iso).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+function formatAmount(amount: number, currency: string): string {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() })
+      .format(amount / 100);
+  } catch {
+    return `${(amount / 100).toFixed(2)} ${currency.toUpperCase()}`;
+  }
+}
+
+/** The reminder's lines, shared by the HTML and text bodies. */
+function reminderCopy(details: BillingReminderDetails): { subject: string; heading: string; lines: string[]; cta: string } {
+  if (details.kind === 'trial_ending') {
+    const when = details.trialEnd ? formatDay(details.trialEnd) : 'in a few days';
+    return {
+      subject: 'Your Studyworks trial ends soon',
+      heading: 'Your free trial ends soon',
+      lines: [
+        `Your Studyworks trial ends on ${when}, and your subscription starts then using the card you added at signup.`,
+        'Nothing to do if you want to keep practicing. To change your plan, update your card or cancel before you are charged, open your billing page.',
+      ],
+      cta: 'Manage your subscription',
+    };
+  }
+
+  const amount = details.amountDue != null && details.currency
+    ? `${formatAmount(details.amountDue, details.currency)} `
+    : '';
+  const lines = [`We couldn't collect your ${amount}Studyworks payment.`];
+  if (details.nextAttemptAt) {
+    lines.push(`We'll try the card again on ${formatDay(details.nextAttemptAt)}.`);
+  }
+  lines.push(
+    details.graceEndsAt
+      ? `Until ${formatDay(details.graceEndsAt)} your dashboard and history stay open, but new practice is paused. Update your card to pick up where you left off.`
+      : 'New practice is paused until the payment goes through. Update your card to pick up where you left off.',
+  );
+  return {
+    subject: 'Your Studyworks payment failed',
+    heading: 'Your payment didn’t go through',
+    lines,
+    cta: 'Update your payment method',
+  };
+}
+
+export function renderBillingReminderEmail(
+  details: BillingReminderDetails,
+): { subject: string; html: string; text: string } {
+  const { subject, heading, lines, cta } = reminderCopy(details);
+  const greeting = details.firstName?.trim() ? `Hi ${details.firstName.trim()},` : 'Hi,';
+  const billingUrl = `${details.siteUrl || 'https://www.studyworks.io'}/account/billing`;
+
+  const html = `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#0f172a;line-height:1.55;">
+  <table role="presentation" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <tr><td>
+      <h1 style="font-size:18px;margin:0 0 16px 0;">${escapeHtml(heading)}</h1>
+      <p style="margin:0 0 12px 0;">${escapeHtml(greeting)}</p>
+      ${lines.map((l) => `<p style="margin:0 0 12px 0;">${escapeHtml(l)}</p>`).join('\n      ')}
+      <p style="margin:0 0 12px 0;"><a href="${escapeHtml(billingUrl)}" style="color:#102a43;font-weight:600;">${escapeHtml(cta)} →</a></p>
+      <p style="margin:16px 0 0 0;">— The Studyworks team</p>
+    </td></tr>
+  </table>
+</body></html>`;
+
+  const text = [
+    heading,
+    '',
+    greeting,
+    '',
+    ...lines.flatMap((l) => [l, '']),
+    `${cta}: ${billingUrl}`,
+    '',
+    '— The Studyworks team',
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+/** @returns true when the email was handed to Resend successfully. */
+export async function sendBillingReminderEmail(details: BillingReminderDetails): Promise<boolean> {
+  try {
+    const resend = getResend();
+    if (!resend || !details.email) return false;
+    const { subject, html, text } = renderBillingReminderEmail(details);
+    const { error } = await resend.emails.send({
+      from: getFromAddress(),
+      to: details.email,
+      subject,
+      html,
+      text,
+    });
+    if (error) {
+      console.error('[billingReminder] send failed:', error);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('[billingReminder] send threw:', err);
+    return false;
+  }
+}
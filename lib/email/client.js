@@ -8,6 +8,7 @@
 // not a reason to break signup.
 
 import { Resend } from 'resend';
+import { logger } from '@/lib/api/logger';
 
 let _resend;
 
@@ -22,3 +23,31 @@ export function getResend() {
 export function getFromAddress() {
   return process.env.RESEND_FROM_ADDRESS || 'Studyworks <welcome@studyworksprep.com>';
 }
+
+// Stub transport for senders that must run end to end without a
+// Resend account (the weekly digest cron in local dev). Messages are
+// logged and kept in stubOutbox instead of sent; ids look like a real
+// send so send logs stay well-formed.
+export const stubOutbox = [];
+
+const stubClient = {
+  emails: {
+    async send(message) {
+      const id = `stub_${stubOutbox.length + 1}_${Date.now()}`;
+      stubOutbox.push({ id, ...message });
+      logger.info({ event: 'email_stub_send', id, to: message.to, subject: message.subject }, 'email_stub_send');
+      return { data: { id }, error: null };
+    },
+  },
+};
+
+// getResend(), except that with no RESEND_API_KEY outside production
+// (or anywhere with EMAIL_TRANSPORT=stub) it returns the stub instead
+// of null. Production without a key still returns null — a
+// misconfigured deploy fails soft rather than "sending" into a log.
+export function getEmailClient() {
+  if (process.env.EMAIL_TRANSPORT === 'stub') return stubClient;
+  const real = getResend();
+  if (real) return real;
+  return process.env.NODE_ENV === 'production' ? null : stubClient;
+}
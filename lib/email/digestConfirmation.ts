@@ -0,0 +1,93 @@
+// Weekly digest confirmation email — sent when someone adds a parent
+// or guardian address to a student's weekly progress digest
+// (lib/digest/digest-actions.ts). Nothing goes to that address until
+// its owner follows the link (/api/public/digest/confirm), so a digest
+// can't be pointed at an inbox that never asked for it.
+//
+// Soft failure like every sender in this module family: if Resend is
+// unconfigured or errors, the row stays unconfirmed and re-adding the
+// address from the settings card sends the link again.
+
+import { getResend, getFromAddress } from './client';
+
+function escapeHtml(s: unknown): string {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export interface DigestConfirmationDetails {
+  email: string;
+  confirmUrl: string;
+  studentName: string;
+  addedByName: string;
+}
+
+export function renderDigestConfirmationEmail({
+  confirmUrl,
+  studentName,
+  addedByName,
+}: DigestConfirmationDetails): { subject: string; html: string; text: string } {
+  const subject = `Confirm weekly Studyworks updates for ${studentName}`;
+
+  const html = `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#0f172a;">
+  <table role="presentation" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <tr><td>
+      <h1 style="font-size:18px;margin:0 0 12px 0;">Get ${escapeHtml(studentName)}'s weekly progress email?</h1>
+      <p style="font-size:14px;line-height:1.6;margin:0 0 16px 0;">
+        ${escapeHtml(addedByName)} added this address to ${escapeHtml(studentName)}'s
+        weekly Studyworks summary: practice time, questions answered, skills
+        that moved and the latest practice-test score, every Sunday.
+      </p>
+      <p style="font-size:14px;line-height:1.6;margin:0 0 8px 0;">
+        <a href="${escapeHtml(confirmUrl)}" style="color:#102a43;font-weight:600;">Yes, send me the weekly email →</a>
+      </p>
+      <p style="font-size:12px;color:#64748b;margin:16px 0 0 0;">
+        If you weren't expecting this, ignore this email — nothing will be sent to you.
+      </p>
+    </td></tr>
+  </table>
+</body></html>`;
+
+  const text = [
+    `Get ${studentName}'s weekly progress email?`,
+    '',
+    `${addedByName} added this address to ${studentName}'s weekly Studyworks summary: practice time, questions answered, skills that moved and the latest practice-test score, every Sunday.`,
+    '',
+    `Confirm: ${confirmUrl}`,
+    '',
+    "If you weren't expecting this, ignore this email — nothing will be sent to you.",
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+/** @returns true when the email was handed to Resend successfully. */
+export async function sendDigestConfirmationEmail(
+  details: DigestConfirmationDetails,
+): Promise<boolean> {
+  try {
+    const resend = getResend();
+    if (!resend) return false;
+    const { subject, html, text } = renderDigestConfirmationEmail(details);
+    const { error } = await resend.emails.send({
+      from: getFromAddress(),
+      to: details.email,
+      subject,
+      html,
+      text,
+    });
+    if (error) {
+      console.error('[digestConfirmation] send failed:', error);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('[digestConfirmation] send threw:', err);
+    return false;
+  }
+}
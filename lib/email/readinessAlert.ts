@@ -0,0 +1,102 @@
+/**
+ * At-risk readiness alert (§5.4) — tells a tutor that one of their
+ * students has moved into "at risk" inside the last three weeks
+ * before a registered test, with the readiness reasons so the email
+ * is actionable without opening the app.
+ *
+ * Sent by the daily readiness cron (app/api/cron/readiness), once per
+ * tutor per at-risk stretch — the cron owns the once-only guard
+ * (student_readiness.at_risk_notified_at). Soft failure, like the
+ * other notification senders: a mail problem never fails the cron.
+ */
+import { getResend, getFromAddress } from './client';
+
+export interface ReadinessAlertDetails {
+  teacherEmail: string;
+  teacherFirstName: string | null;
+  studentId: string;
+  studentName: string;
+  testDate: string; // ISO yyyy-mm-dd
+  daysToTest: number;
+  reasons: string[];
+  siteUrl?: string;
+}
+
+function escapeHtml(s: unknown): string {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTestDate(iso: string): string {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+export function renderReadinessAlertEmail(
+  details: ReadinessAlertDetails,
+): { subject: string; html: string; text: string } {
+  const { studentName, daysToTest, reasons } = details;
+  const greeting = details.teacherFirstName?.trim() ? `Hi ${details.teacherFirstName.trim()},` : 'Hi,';
+  const studentUrl = `${details.siteUrl || 'https://www.studyworks.io'}/tutor/students/${details.studentId}`;
+  const when = `${formatTestDate(details.testDate)} (${daysToTest === 0 ? 'today' : `${daysToTest} day${daysToTest === 1 ? '' : 's'} away`})`;
+  const subject = `${studentName} is at risk for their ${formatTestDate(details.testDate)} test`;
+
+  const html = `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#0f172a;line-height:1.55;">
+  <table role="presentation" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <tr><td>
+      <h1 style="font-size:18px;margin:0 0 16px 0;">${escapeHtml(studentName)} is at risk</h1>
+      <p style="margin:0 0 12px 0;">${escapeHtml(greeting)} ${escapeHtml(studentName)}'s readiness for their test on ${escapeHtml(when)} just moved to <strong>at risk</strong>.</p>
+      <ul style="margin:0 0 16px 0;padding-left:20px;">${reasons.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+      <p style="margin:0 0 12px 0;"><a href="${escapeHtml(studentUrl)}" style="color:#102a43;">Open ${escapeHtml(studentName)}'s page</a> to adjust their plan.</p>
+      <p style="margin:16px 0 0 0;">— The Studyworks team</p>
+    </td></tr>
+  </table>
+</body></html>`;
+
+  const text = [
+    `${studentName} is at risk`,
+    '',
+    `${greeting} ${studentName}'s readiness for their test on ${when} just moved to at risk.`,
+    '',
+    ...reasons.map((r) => `- ${r}`),
+    '',
+    `Open their page to adjust their plan: ${studentUrl}`,
+    '',
+    '— The Studyworks team',
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+export async function sendReadinessAlert(
+  details: ReadinessAlertDetails,
+): Promise<{ sent: boolean; reason?: string; id?: string }> {
+  try {
+    const resend = getResend();
+    if (!resend) return { sent: false, reason: 'no_api_key' };
+    if (!details.teacherEmail) return { sent: false, reason: 'no_teacher_email' };
+
+    const { subject, html, text } = renderReadinessAlertEmail(details);
+    const result = await resend.emails.send({
+      from: getFromAddress(),
+      to: details.teacherEmail,
+      subject,
+      html,
+      text,
+    });
+
+    if (result.error) return { sent: false, reason: 'send_error' };
+    return { sent: true, id: result.data?.id };
+  } catch {
+    return { sent: false, reason: 'exception' };
+  }
+}
@@ -40,6 +40,26 @@ interface Summary {
   results: RowResult[];
 }
 
+interface OrganizationResult {
+  organizationId: string;
+  name: string;
+  subscriptionId: string | null;
+  outcome: string;
+  drifts?: FieldDrift[];
+  accessLoss?: boolean;
+  seatOverage?: number;
+  error?: string;
+}
+
+interface OrganizationSummary {
+  checked: number;
+  corrected: number;
+  missingInStripe: number;
+  errors: number;
+  seatOverages: number;
+  results: OrganizationResult[];
+}
+
 function getAdminEmail(): string {
   return process.env.ADMIN_NOTIFICATION_EMAIL || 'julio@studyworksprep.com';
 }
@@ -58,12 +78,38 @@ function notable(results: RowResult[]): RowResult[] {
   return results.filter((r) => r.outcome !== 'in_sync' && r.outcome !== 'skipped_no_stripe_ref');
 }
 
-export function renderReconciliationEmail(summary: Summary): { subject: string; html: string; text: string } {
+/** School orgs worth a look: field drift as above, or seats over quota. */
+function notableOrganizations(results: OrganizationResult[]): OrganizationResult[] {
+  return results.filter(
+    (r) => (r.outcome !== 'in_sync' && r.outcome !== 'skipped_no_stripe_ref') || (r.seatOverage ?? 0) > 0,
+  );
+}
+
+function organizationDetail(r: OrganizationResult, esc: (s: unknown) => string, arrow: string): string {
+  const parts: string[] = [];
+  if (r.error) parts.push(`error: ${esc(r.error)}`);
+  for (const d of r.drifts ?? []) {
+    parts.push(`${esc(d.field)}: ${esc(d.stored ?? 'NULL')} ${arrow} ${esc(d.actual ?? 'NULL')}`);
+  }
+  if (r.seatOverage) parts.push(`${r.seatOverage} seat(s) assigned beyond the paid quantity`);
+  return parts.join('; ');
+}
+
+export function renderReconciliationEmail(
+  summary: Summary,
+  organizations: OrganizationSummary | null = null,
+): { subject: string; html: string; text: string } {
   const rows = notable(summary.results);
+  const orgRows = organizations ? notableOrganizations(organizations.results) : [];
   const prefix = summary.dryRun ? '[dry run] ' : '';
+  const corrected =
+    summary.corrected + summary.missingInStripe
+    + (organizations ? organizations.corrected + organizations.missingInStripe : 0);
+  const overages = organizations?.seatOverages ?? 0;
   const subject =
-    `${prefix}Subscription drift: ${summary.corrected + summary.missingInStripe} corrected, ` +
-    `${summary.accessLosses} access change${summary.accessLosses === 1 ? '' : 's'}`;
+    `${prefix}Subscription drift: ${corrected} corrected, ` +
+    `${summary.accessLosses} access change${summary.accessLosses === 1 ? '' : 's'}` +
+    (overages > 0 ? `, ${overages} school${overages === 1 ? '' : 's'} over seat quota` : '');
 
   const lines = rows.map((r) => {
     const detail = r.error
@@ -82,6 +128,17 @@ export function renderReconciliationEmail(summary: Summary): { subject: string;
     'not a one-off, check the endpoint in the Stripe dashboard.',
     '',
     ...lines,
+    ...(orgRows.length > 0
+      ? [
+          '',
+          `School organizations (${organizations?.checked ?? 0} checked):`,
+          ...orgRows.map(
+            (r) => `org ${r.name} (${r.organizationId}, ${r.subscriptionId ?? 'no subscription id'}) — ${r.outcome}${
+              r.accessLoss ? ' [ACCESS REVOKED]' : ''
+            }: ${organizationDetail(r, String, '→')}`,
+          ),
+        ]
+      : []),
   ].join('\n');
 
   const html = [
@@ -102,6 +159,17 @@ export function renderReconciliationEmail(summary: Summary): { subject: string;
       return `<li><code>${escapeHtml(r.userId)}</code> (${escapeHtml(r.subscriptionId ?? 'no subscription id')}) — ${escapeHtml(r.outcome)}${flag}: ${detail}</li>`;
     }),
     '</ul>',
+    ...(orgRows.length > 0
+      ? [
+          `<p>School organizations (${organizations?.checked ?? 0} checked):</p>`,
+          '<ul>',
+          ...orgRows.map((r) => {
+            const flag = r.accessLoss ? ' <strong style="color:#b91c1c;">[ACCESS REVOKED]</strong>' : '';
+            return `<li>${escapeHtml(r.name)} <code>${escapeHtml(r.organizationId)}</code> — ${escapeHtml(r.outcome)}${flag}: ${organizationDetail(r, escapeHtml, '&rarr;')}</li>`;
+          }),
+          '</ul>',
+        ]
+      : []),
   ].join('');
 
   return { subject, html, text };
@@ -109,11 +177,18 @@ export function renderReconciliationEmail(summary: Summary): { subject: string;
 
 export async function sendReconciliationAlert(
   summary: Summary,
+  organizations: OrganizationSummary | null = null,
 ): Promise<{ sent: boolean; reason?: string; id?: string }> {
   try {
     // A clean run is silent on purpose — an every-night email trains you
     // to ignore the one that matters.
-    if (summary.corrected === 0 && summary.missingInStripe === 0 && summary.errors === 0) {
+    const orgQuiet = !organizations || (
+      organizations.corrected === 0
+      && organizations.missingInStripe === 0
+      && organizations.errors === 0
+      && organizations.seatOverages === 0
+    );
+    if (summary.corrected === 0 && summary.missingInStripe === 0 && summary.errors === 0 && orgQuiet) {
       return { sent: false, reason: 'nothing_to_report' };
     }
 
@@ -123,7 +198,7 @@ export async function sendReconciliationAlert(
     const to = getAdminEmail();
     if (!to) return { sent: false, reason: 'no_admin_email' };
 
-    const { subject, html, text } = renderReconciliationEmail(summary);
+    const { subject, html, text } = renderReconciliationEmail(summary, organizations);
     const result = await resend.emails.send({ from: getFromAddress(), to, subject, html, text });
 
     if (result.error) return { sent: false, reason: 'send_error' };
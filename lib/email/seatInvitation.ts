@@ -0,0 +1,93 @@
+// School seat invitation email — sent when an org admin offers a seat
+// by email from /account/school. The seat is taken only when the
+// invitee signs in with this address and accepts on that page.
+//
+// Sent whether or not the address has an account (the admin's result
+// never depends on it), so the copy covers both: sign in, or sign up
+// with this email.
+//
+// Soft failure like every sender in this module family: the invitation
+// row exists either way and shows on the invitee's school page.
+
+import { getResend, getFromAddress } from './client';
+
+function escapeHtml(s: unknown): string {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export interface SeatInvitationDetails {
+  email: string;
+  schoolName: string;
+  inviterName: string;
+  siteUrl?: string;
+}
+
+export function renderSeatInvitationEmail({
+  schoolName,
+  inviterName,
+  siteUrl,
+}: SeatInvitationDetails): { subject: string; html: string; text: string } {
+  const acceptUrl = `${siteUrl || 'https://app.studyworksprep.com'}/account/school`;
+  const subject = `${schoolName} offered you a Studyworks seat`;
+
+  const html = `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#0f172a;">
+  <table role="presentation" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <tr><td>
+      <h1 style="font-size:18px;margin:0 0 12px 0;">A seat on ${escapeHtml(schoolName)}'s school plan</h1>
+      <p style="font-size:14px;line-height:1.6;margin:0 0 16px 0;">
+        ${escapeHtml(inviterName)} offered you a seat on ${escapeHtml(schoolName)}'s
+        Studyworks plan, which gives full access for as long as the school's
+        subscription runs. Sign in (or create an account) with this email
+        address and accept it on your School page. The offer is open for 14 days.
+      </p>
+      <p style="font-size:14px;line-height:1.6;margin:0 0 8px 0;">
+        <a href="${escapeHtml(acceptUrl)}" style="color:#102a43;font-weight:600;">Review the invitation →</a>
+      </p>
+      <p style="font-size:12px;color:#64748b;margin:16px 0 0 0;">
+        If you weren't expecting this, you can ignore this email — nothing changes until you accept.
+      </p>
+    </td></tr>
+  </table>
+</body></html>`;
+
+  const text = [
+    `A seat on ${schoolName}'s school plan`,
+    '',
+    `${inviterName} offered you a seat on ${schoolName}'s Studyworks plan, which gives full access for as long as the school's subscription runs.`,
+    'Sign in (or create an account) with this email address and accept it on your School page. The offer is open for 14 days.',
+    '',
+    `Review the invitation: ${acceptUrl}`,
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+/** @returns true when the email was handed to Resend successfully. */
+export async function sendSeatInvitationEmail(details: SeatInvitationDetails): Promise<boolean> {
+  try {
+    const resend = getResend();
+    if (!resend) return false;
+    const { subject, html, text } = renderSeatInvitationEmail(details);
+    const { error } = await resend.emails.send({
+      from: getFromAddress(),
+      to: details.email,
+      subject,
+      html,
+      text,
+    });
+    if (error) {
+      console.error('[seatInvitation] send failed:', error);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('[seatInvitation] send threw:', err);
+    return false;
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Weekly progress digest email — renders a WeeklyDigest
+ * (lib/digest/weekly-digest.ts) into emails/weekly-digest.html and
+ * sends it to one recipient.
+ *
+ * The template is a hand-editable HTML file in the same style as
+ * emails/teacher-invite.html: [UPPER_CASE] tokens are filled here,
+ * *_HTML tokens with pre-rendered rows, everything else escaped.
+ * next.config.js traces the file into the cron's bundle.
+ *
+ * Unlike the other senders this one takes the mail client as an
+ * argument — the cron passes getEmailClient(), which is the stub
+ * transport locally — and reports failures instead of swallowing
+ * them, because each outcome lands in weekly_digest_sends.
+ */
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { isQuietWeek, type WeeklyDigest } from '../digest/weekly-digest.ts';
+
+export type DigestRelationship = 'student' | 'parent' | 'guardian';
+
+export interface WeeklyDigestEmailOptions {
+  digest: WeeklyDigest;
+  studentId: string;
+  relationship: DigestRelationship;
+  unsubscribeUrl: string;
+  siteUrl?: string;
+}
+
+/** The subset of the Resend client (or the stub) the sender uses. */
+export interface DigestMailClient {
+  emails: {
+    send(message: {
+      from: string;
+      to: string;
+      subject: string;
+      html: string;
+      text: string;
+      headers?: Record<string, string>;
+    }): Promise<{ data: { id: string } | null; error: unknown }>;
+  };
+}
+
+let _template: string | null = null;
+
+export function loadWeeklyDigestTemplate(): string {
+  if (_template == null) {
+    _template = readFileSync(join(process.cwd(), 'emails', 'weekly-digest.html'), 'utf8');
+  }
+  return _template;
+}
+
+function escapeHtml(s: unknown): string {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function fmtDay(iso: string, withWeekday = false): string {
+  return new Date(`${iso.slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-US', {
+    ...(withWeekday ? { weekday: 'short' as const } : {}),
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/** Replaces every [TOKEN] in the template; *_HTML values go in raw. */
+export function fillTemplate(template: string, values: Record<string, string>): string {
+  return template.replace(/\[([A-Z_]+)\]/g, (match, key: string) => {
+    if (!(key in values)) return match;
+    return key.endsWith('_HTML') ? values[key] : escapeHtml(values[key]);
+  });
+}
+
+function statCell(value: string, label: string): string {
+  return `<td style="width:33%;text-align:center;padding:14px 8px;background:#f9fafb;border-radius:8px;">
+                    <p style="margin:0;font-size:22px;font-weight:800;color:#111827;">${escapeHtml(value)}</p>
+                    <p style="margin:4px 0 0;font-size:12px;color:#6b7280;">${escapeHtml(label)}</p>
+                  </td>`;
+}
+
+function section(title: string, rows: string[]): string {
+  return `<h2 style="margin:0 0 10px;font-size:16px;font-weight:700;color:#111827;">${escapeHtml(title)}</h2>
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:24px;">
+                ${rows.map((r) => `<tr><td style="padding:8px 0;border-bottom:1px solid #f3f4f6;font-size:14px;color:#374151;line-height:1.5;">${r}</td></tr>`).join('\n                ')}
+              </table>`;
+}
+
+export function renderWeeklyDigestEmail(
+  opts: WeeklyDigestEmailOptions,
+  template: string = loadWeeklyDigestTemplate(),
+): { subject: string; html: string; text: string } {
+  const { digest: d, relationship } = opts;
+  const siteUrl = opts.siteUrl || 'https://www.studyworks.io';
+  const name = d.studentFirstName;
+  const own = relationship === 'student';
+  const weekRange = `${fmtDay(d.weekStart)} – ${fmtDay(d.weekEnd)}`;
+  const quiet = isQuietWeek(d);
+
+  const subject = own ? `Your week on Studyworks (${weekRange})` : `${name}'s week on Studyworks (${weekRange})`;
+  const headline = own ? 'Your week in review' : `${name}'s week in review`;
+  const intro = quiet
+    ? `${own ? 'You' : name} didn't practice this week and nothing is due in the next few days.`
+    : `${own ? 'You' : name} answered ${d.questionsAnswered} question${d.questionsAnswered === 1 ? '' : 's'} in about ${d.practiceMinutes} minute${d.practiceMinutes === 1 ? '' : 's'} of practice.`;
+
+  const stats = [
+    statCell(String(d.practiceMinutes), 'Practice minutes'),
+    statCell(String(d.questionsAnswered), 'Questions answered'),
+    statCell(d.accuracyPct == null ? '—' : `${d.accuracyPct}%`, 'Accuracy'),
+  ].join('\n                  ');
+
+  const sections: string[] = [];
+  const textSections: string[] = [];
+
+  const moverRows = [
+    ...d.movers.up.map((m) => `<strong style="color:#047857;">▲ ${escapeHtml(m.title)}</strong> — mastery ${m.from} → ${m.to}`),
+    ...d.movers.down.map((m) => `<strong style="color:#b42318;">▼ ${escapeHtml(m.title)}</strong> — mastery ${m.from} → ${m.to}`),
+  ];
+  if (moverRows.length) {
+    sections.push(section('Skills that moved', moverRows));
+    textSections.push(
+      'Skills that moved:',
+      ...d.movers.up.map((m) => `  + ${m.title}: ${m.from} → ${m.to}`),
+      ...d.movers.down.map((m) => `  - ${m.title}: ${m.from} → ${m.to}`),
+    );
+  }
+
+  if (d.plan) {
+    sections.push(section('Study plan', [`<strong>${escapeHtml(d.plan.label)}</strong> · ${escapeHtml(d.plan.line)}`]));
+    textSections.push(`Study plan: ${d.plan.label} · ${d.plan.line}`);
+  }
+
+  if (d.upcomingAssignments.length) {
+    sections.push(
+      section(
+        'Coming up',
+        d.upcomingAssignments.map((a) => `${escapeHtml(a.title)} <span style="color:#6b7280;">· due ${escapeHtml(fmtDay(a.dueDate, true))}</span>`),
+      ),
+    );
+    textSections.push('Coming up:', ...d.upcomingAssignments.map((a) => `  ${a.title} · due ${fmtDay(a.dueDate, true)}`));
+  }
+
+  if (d.latestTest) {
+    const t = d.latestTest;
+    sections.push(
+      section('Latest practice test', [
+        `<strong>${t.composite}</strong> on ${escapeHtml(t.name)} <span style="color:#6b7280;">· ${escapeHtml(fmtDay(t.finishedAt))}</span>`,
+      ]),
+    );
+    textSections.push(`Latest practice test: ${t.composite} on ${t.name} (${fmtDay(t.finishedAt)})`);
+  }
+
+  const ctaUrl = own ? `${siteUrl}/dashboard` : siteUrl;
+  const ctaLabel = own ? 'Open your dashboard' : 'Visit Studyworks';
+  const recipientNote = own
+    ? 'you turned on weekly progress emails'
+    : `you were added as ${relationship === 'guardian' ? 'a guardian' : 'a parent'} for ${name}'s weekly progress emails`;
+
+  const html = fillTemplate(template, {
+    SUBJECT: subject,
+    PREHEADER: intro,
+    WEEK_RANGE: weekRange,
+    HEADLINE: headline,
+    INTRO: intro,
+    STATS_HTML: stats,
+    SECTIONS_HTML: sections.join('\n\n              '),
+    CTA_URL: ctaUrl,
+    CTA_LABEL: ctaLabel,
+    RECIPIENT_NOTE: recipientNote,
+    UNSUBSCRIBE_URL: opts.unsubscribeUrl,
+  });
+
+  const text = [
+    headline,
+    `Week of ${weekRange}`,
+    '',
+    intro,
+    '',
+    `Practice minutes: ${d.practiceMinutes}`,
+    `Questions answered: ${d.questionsAnswered}`,
+    `Accuracy: ${d.accuracyPct == null ? '—' : `${d.accuracyPct}%`}`,
+    '',
+    ...(textSections.length ? [...textSections, ''] : []),
+    `${ctaLabel}: ${ctaUrl}`,
+    '',
+    `You're receiving this because ${recipientNote}.`,
+    `Unsubscribe: ${opts.unsubscribeUrl}`,
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+export async function sendWeeklyDigest(
+  client: DigestMailClient,
+  to: string,
+  from: string,
+  opts: WeeklyDigestEmailOptions,
+): Promise<{ sent: boolean; id?: string; error?: string }> {
+  try {
+    const { subject, html, text } = renderWeeklyDigestEmail(opts);
+    const result = await client.emails.send({
+      from,
+      to,
+      subject,
+      html,
+      text,
+      // RFC 8058 one-click unsubscribe: mail clients POST to the same
+      // URL the footer link opens.
+      headers: {
+        'List-Unsubscribe': `<${opts.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+    if (result.error || !result.data) {
+      const err = result.error as { message?: string } | null;
+      return { sent: false, error: err?.message ?? 'send_error' };
+    }
+    return { sent: true, id: result.data.id };
+  } catch (err) {
+    return { sent: false, error: err instanceof Error ? err.message : 'exception' };
+  }
+}
@@ -1,9 +1,24 @@
 import { createHash, timingSafeEqual } from 'node:crypto';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { after } from 'next/server';
+import { getRateLimiter, rateLimit } from '@/lib/api/rateLimit';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient } from '@/lib/supabase/server';
+import {
+  API_SCOPES,
+  apiKeyDenial,
+  hashApiKey,
+  identifyApiCaller,
+  type ApiConsumer,
+  type ApiKeyDenial,
+  type ApiKeyRecord,
+  type ApiScope,
+} from '@/lib/api/apiKeys';
 
 /**
- * Validate an external API key from the x-api-key header.
- * Used for service-to-service calls (e.g. Lessonworks → Studyworks).
+ * Validate the legacy shared key from the x-api-key header against the
+ * EXTERNAL_API_KEY env var. Kept only so Lessonworks keeps working
+ * until it has a registry key (/admin/api-keys) and the env var is
+ * unset; requireExternalApiAccess tries the registry first.
  *
  * Comparison is constant-time (timingSafeEqual over fixed-length
  * digests) so the key can't be recovered byte-by-byte through a
@@ -23,18 +38,50 @@ export function validateExternalApiKey(request: Request): boolean {
   return timingSafeEqual(a, b);
 }
 
+/** The env-var caller: every scope, no allow-list, no registry row. */
+const LEGACY_CONSUMER: ApiConsumer = {
+  id: null,
+  name: 'legacy EXTERNAL_API_KEY',
+  scopes: API_SCOPES,
+  studentIds: null,
+};
+
+const DENIAL_RESPONSES: Record<ApiKeyDenial, { status: number; error: string }> = {
+  revoked: { status: 401, error: 'API key revoked' },
+  expired: { status: 401, error: 'API key expired' },
+  disabled: { status: 401, error: 'API consumer disabled' },
+  scope: { status: 403, error: 'API key not authorized for this endpoint' },
+};
+
 /**
- * Shared guard for the external/public HTTP surface: constant-time
- * key check + a per-caller rate limit so a leaked or brute-forced
- * key can't be used for high-volume scraping, and key-guessing
- * traffic is throttled. Returns `{ ok: true }` or
- * `{ ok: false, status, error }` for the route to return verbatim.
+ * Shared guard for the external/public HTTP surface. Resolves the
+ * x-api-key header to a registered consumer (lib/api/apiKeys.ts),
+ * checks the key is live and carries `scope`, and applies a
+ * per-consumer rate limit so one partner can't starve another.
+ * Failed attempts are throttled per caller IP, checked before the key
+ * lookup (identifyApiCaller), so key-guessing traffic is bounded and
+ * a throttled IP never reaches the database. Returns `{ ok: false, status, error }` for the route to
+ * return verbatim, or the consumer plus `track`:
+ *
+ *   const access = await requireExternalApiAccess(request, { scope: 'search', limit: 30 });
+ *   if (!access.ok) return NextResponse.json({ error: access.error }, { status: access.status });
+ *   return access.track(() => search(request, access.consumer));
  *
- * The bucket key includes the caller IP so one misbehaving consumer
- * can't starve the others once per-consumer keys exist.
+ * Every call that presented a key lands in api_request_logs with its
+ * consumer, endpoint and final status — refusals here, and whatever
+ * the route returned (or 500 if it threw) via track(). The write runs
+ * in after() so it never delays the response.
+ *
+ * Student-scoped routes also check consumerMayAccessStudent against
+ * `access.consumer`; an allow-listed consumer gets 404 for anyone
+ * outside its list.
  */
 export type ExternalApiAccess =
-  | { ok: true }
+  | {
+      ok: true;
+      consumer: ApiConsumer;
+      track: (run: () => Promise<Response>) => Promise<Response>;
+    }
   | { ok: false; status: number; error: string };
 
 export async function requireExternalApiAccess(
@@ -43,19 +90,112 @@ export async function requireExternalApiAccess(
     scope,
     limit = 60,
     windowMs = 60_000,
-  }: { scope?: string; limit?: number; windowMs?: number } = {},
+  }: { scope: ApiScope; limit?: number; windowMs?: number },
 ): Promise<ExternalApiAccess> {
   const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
     ?? 'unknown';
-  const rl = await rateLimit(`external:${scope ?? 'default'}:${ip}`, {
+  const key = request.headers.get('x-api-key');
+  const url = new URL(request.url);
+  const log = (consumer: ApiConsumer | null, keyId: string | null, status: number) =>
+    after(() => logRequest({ consumer, keyId, scope, method: request.method, endpoint: url.pathname, status, ip }));
+
+  const caller = await identifyApiCaller({
+    key,
+    ip,
+    legacy: validateExternalApiKey(request) ? LEGACY_CONSUMER : null,
+    lookup: lookupKey,
+    limiter: getRateLimiter(),
+    limit,
+    windowMs,
+  });
+  if (!caller.ok) {
+    if (caller.status === 429) return { ok: false, status: 429, error: 'Rate limit exceeded' };
+    if (key) log(null, null, 401);
+    return { ok: false, status: 401, error: 'Unauthorized' };
+  }
+
+  const { consumer, record } = caller;
+  const keyId = record?.id ?? null;
+  const denial = record
+    ? apiKeyDenial(record, scope)
+    : consumer.scopes.includes(scope) ? null : 'scope';
+  if (denial) {
+    const res = DENIAL_RESPONSES[denial];
+    log(consumer, keyId, res.status);
+    return { ok: false, ...res };
+  }
+
+  const rl = await rateLimit(`external:${scope}:${consumer.id ?? 'legacy'}`, {
     limit,
     windowMs,
   });
   if (!rl.ok) {
+    log(consumer, keyId, 429);
     return { ok: false, status: 429, error: 'Rate limit exceeded' };
   }
-  if (!validateExternalApiKey(request)) {
-    return { ok: false, status: 401, error: 'Unauthorized' };
+
+  return {
+    ok: true,
+    consumer,
+    track: async (run) => {
+      try {
+        const res = await run();
+        log(consumer, keyId, res.status);
+        return res;
+      } catch (err) {
+        log(consumer, keyId, 500);
+        throw err;
+      }
+    },
+  };
+}
+
+async function lookupKey(key: string): Promise<ApiKeyRecord | null> {
+  const svc = createServiceClient();
+  const { data, error } = await svc
+    .from('api_keys')
+    .select('id, expires_at, revoked_at, consumer:api_consumers(id, name, scopes, student_ids, disabled_at)')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+  if (error) {
+    logger.warn({ err: error.message }, 'api_key_lookup_failed');
+    return null;
   }
-  return { ok: true };
+  if (!data?.consumer) return null;
+  return {
+    id: data.id,
+    expiresAt: data.expires_at,
+    revokedAt: data.revoked_at,
+    consumer: {
+      id: data.consumer.id,
+      name: data.consumer.name,
+      scopes: data.consumer.scopes,
+      studentIds: data.consumer.student_ids,
+      disabledAt: data.consumer.disabled_at,
+    },
+  };
+}
+
+async function logRequest(entry: {
+  consumer: ApiConsumer | null;
+  keyId: string | null;
+  scope: ApiScope;
+  method: string;
+  endpoint: string;
+  status: number;
+  ip: string;
+}) {
+  const { error } = await createServiceClient()
+    .from('api_request_logs')
+    .insert({
+      consumer_id: entry.consumer?.id ?? null,
+      key_id: entry.keyId,
+      consumer_name: entry.consumer?.name ?? null,
+      scope: entry.scope,
+      method: entry.method,
+      endpoint: entry.endpoint,
+      status: entry.status,
+      ip: entry.ip,
+    });
+  if (error) logger.warn({ err: error.message, endpoint: entry.endpoint }, 'api_request_log_failed');
 }
@@ -12,7 +12,13 @@
 
 import { cache } from 'react';
 import { createClient } from './supabase/server';
-import { resolveSidebarStage } from './flags';
+import {
+  billingGraceDays,
+  readingCoachEnabled,
+  resolveScraperStage,
+  resolveSidebarStage,
+  type ScraperStage,
+} from './flags';
 
 /** Read one flag row's value. Wrapped in React.cache so layout +
  *  page in the same request share a single read. Any failure —
@@ -36,3 +42,18 @@ export const getFlag = cache(async (key: string): Promise<string | null> => {
 export async function sidebarEnabledFor(role: string): Promise<boolean> {
   return resolveSidebarStage(await getFlag('sidebar_shell'), role);
 }
+
+/** Is the student Reading Coach runner open? */
+export async function readingCoachOpen(): Promise<boolean> {
+  return readingCoachEnabled(await getFlag('reading_coach'));
+}
+
+/** Current scraper-detection stage (off | shadow | throttle | enforce). */
+export async function scraperEnforcementStage(): Promise<ScraperStage> {
+  return resolveScraperStage(await getFlag('scraper_enforcement'));
+}
+
+/** Read-only grace after a failed payment, in days (billing_grace_days). */
+export async function billingGraceWindowDays(): Promise<number> {
+  return billingGraceDays(await getFlag('billing_grace_days'));
+}
@@ -5,7 +5,14 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { entitlementsGateEnabled, resolveSidebarStage } from './flags.ts';
+import {
+  billingGraceDays,
+  entitlementsGateEnabled,
+  fsrsItemTypes,
+  readingCoachEnabled,
+  resolveScraperStage,
+  resolveSidebarStage,
+} from './flags.ts';
 
 test('off / missing / unknown values disable the sidebar for every role', () => {
   for (const value of ['off', null, undefined, '', 'on', 'true', 'STAFF', 'garbage']) {
@@ -40,3 +47,37 @@ test('entitlements gate: exactly "on" enables; everything else is legacy', () =>
     assert.equal(entitlementsGateEnabled(value), false, String(value));
   }
 });
+
+test('review_scheduler_fsrs: item-type list, "all", or nothing', () => {
+  assert.deepEqual(fsrsItemTypes('flashcard, vocab'), ['flashcard', 'vocab']);
+  assert.deepEqual(fsrsItemTypes('all'), ['question', 'skill', 'flashcard', 'vocab']);
+  for (const value of ['off', null, undefined, '', 'flashcards', 'ALL']) {
+    assert.deepEqual(fsrsItemTypes(value), [], String(value));
+  }
+});
+
+test('reading_coach: exactly "on" opens the runner', () => {
+  assert.equal(readingCoachEnabled('on'), true);
+  for (const value of ['off', null, undefined, '', 'ON', 'all', 'true']) {
+    assert.equal(readingCoachEnabled(value), false, String(value));
+  }
+});
+
+test('scraper_enforcement: known stages pass through, anything else is shadow', () => {
+  for (const stage of ['off', 'shadow', 'throttle', 'enforce']) {
+    assert.equal(resolveScraperStage(stage), stage);
+  }
+  for (const value of [null, undefined, '', 'on', 'ENFORCE', 'block']) {
+    assert.equal(resolveScraperStage(value), 'shadow', String(value));
+  }
+});
+
+test('billing_grace_days: whole days up to 30, default 7 otherwise', () => {
+  assert.equal(billingGraceDays('7'), 7);
+  assert.equal(billingGraceDays('0'), 0, '0 restores immediate denial');
+  assert.equal(billingGraceDays(' 14 '), 14);
+  assert.equal(billingGraceDays('30'), 30);
+  for (const value of [null, undefined, '', 'off', '-3', '2.5', '31', '365']) {
+    assert.equal(billingGraceDays(value), 7, String(value));
+  }
+});
@@ -38,3 +38,57 @@ export function resolveSidebarStage(
 export function entitlementsGateEnabled(value: string | null | undefined): boolean {
   return value === 'on';
 }
+
+const REVIEW_ITEM_TYPES = ['question', 'skill', 'flashcard', 'vocab'];
+
+/** Interpret a raw feature_flags.value for the review_scheduler_fsrs
+ *  flag: a comma-separated list of review_queue item types that use
+ *  the FSRS scheduler by default ('flashcard,vocab'), or 'all'.
+ *  'off', a missing row or anything unrecognised keeps every type on
+ *  SM-2-lite; a per-student choice overrides either way
+ *  (resolveScheduler in lib/review/schedule.ts). */
+export function fsrsItemTypes(value: string | null | undefined): string[] {
+  if (!value) return [];
+  if (value.trim() === 'all') return [...REVIEW_ITEM_TYPES];
+  return value
+    .split(',')
+    .map((t) => t.trim())
+    .filter((t) => REVIEW_ITEM_TYPES.includes(t));
+}
+
+/** Interpret a raw feature_flags.value for the reading_coach flag —
+ *  the student Reading Coach runner (docs/reading-coach-implementation-
+ *  plan.md PR 3). Exactly 'on' opens /reading-coach and the evaluate
+ *  route; anything else, including a missing row, keeps them 404. The
+ *  admin authoring surfaces are not behind it. */
+export function readingCoachEnabled(value: string | null | undefined): boolean {
+  return value === 'on';
+}
+
+export type ScraperStage = 'off' | 'shadow' | 'throttle' | 'enforce';
+
+/** Interpret a raw feature_flags.value for the scraper_enforcement
+ *  flag (lib/api/scraperPolicy.ts scraperDecision). 'off' skips
+ *  detection entirely; 'throttle' and 'enforce' act on cadence. A
+ *  missing row, an unreadable read or a typo resolves to 'shadow' —
+ *  measure and persist, never refuse — so a bad flag write can't start
+ *  turning students away. */
+export function resolveScraperStage(value: string | null | undefined): ScraperStage {
+  if (value === 'off' || value === 'throttle' || value === 'enforce') return value;
+  return 'shadow';
+}
+
+export const DEFAULT_BILLING_GRACE_DAYS = 7;
+const MAX_BILLING_GRACE_DAYS = 30;
+
+/** Interpret a raw feature_flags.value for the billing_grace_days
+ *  flag: how long a past_due subscriber keeps read-only access
+ *  (lib/billing/dunning.ts graceStateOf). Whole days 0–30; '0' denies
+ *  past_due immediately, the pre-dunning behavior. A missing row, an
+ *  unreadable read or a typo resolves to the default, so a bad flag
+ *  write can neither lock out every lapsed card nor grant a month. */
+export function billingGraceDays(value: string | null | undefined): number {
+  if (!value || !/^\d+$/.test(value.trim())) return DEFAULT_BILLING_GRACE_DAYS;
+  const days = Number(value.trim());
+  return days <= MAX_BILLING_GRACE_DAYS ? days : DEFAULT_BILLING_GRACE_DAYS;
+}
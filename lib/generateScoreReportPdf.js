@@ -1,5 +1,6 @@
 import { jsPDF } from 'jspdf';
 import { applyPlugin } from 'jspdf-autotable';
+import { pdfWatermarkKeyword } from './content/watermark';
 
 applyPlugin(jsPDF);
 
@@ -18,6 +19,8 @@ const RW_CODES = new Set(['RW', 'rw']);
  * @param {Object} data — the full results payload from /api/practice-tests/attempt/[attemptId]/results
  * @param {Object} [options]
  * @param {string|null} [options.logoDataUrl] — base64 data URL for logo (optional, skipped on server)
+ * @param {string|null} [options.watermarkUserId] — who the PDF is generated for; their
+ *   watermark tag goes in the document keywords (the report has no question text to mark)
  * @returns {jsPDF}
  */
 export function generateScoreReportPdf(data, options = {}) {
@@ -42,6 +45,8 @@ export function generateScoreReportPdf(data, options = {}) {
   };
 
   const doc = new jsPDF({ orientation: 'portrait', unit: 'pt', format: 'letter' });
+  const wmKeyword = pdfWatermarkKeyword(options.watermarkUserId);
+  if (wmKeyword) doc.setProperties({ keywords: `SAT score report, ${wmKeyword}` });
   const pageW = doc.internal.pageSize.getWidth();
   const pageH = doc.internal.pageSize.getHeight();
   const marginL = 40;
@@ -168,6 +173,50 @@ export function generateScoreReportPdf(data, options = {}) {
   });
   y += scoreBoxH + 8;
 
+  // ─── SCORE OUTLOOK ────────────────────────────────────
+  // Prediction as of the test's finish date (lib/practice-test/
+  // score-prediction.ts). Ranges are 80% intervals for one sitting.
+  const prediction = data?.prediction;
+  if (prediction) {
+    const cols = [
+      { value: String(prediction.point), label: 'Predicted Score Today', sub: `${prediction.low}–${prediction.high}` },
+    ];
+    if (prediction.projected) {
+      cols.push({
+        value: String(prediction.projected.point),
+        label: `Projected on ${fmtDate(prediction.test_date)}`,
+        sub: `${prediction.projected.low}–${prediction.projected.high}`,
+      });
+    }
+    if (prediction.official_superscore != null) {
+      cols.push({
+        value: String(prediction.projected_superscore ?? prediction.official_superscore),
+        label: prediction.projected_superscore != null ? 'Projected Superscore' : 'Official Superscore',
+        sub: prediction.projected_superscore != null ? `official now: ${prediction.official_superscore}` : '',
+      });
+    }
+    sectionTitle('Score Outlook');
+    const outlookBoxH = 56;
+    doc.setFillColor(248, 250, 252); doc.setDrawColor(226, 232, 240); doc.setLineWidth(0.5);
+    doc.roundedRect(marginL, y, contentW, outlookBoxH, 4, 4, 'FD');
+    const colW = contentW / cols.length;
+    cols.forEach((c, i) => {
+      const cx = marginL + colW * (i + 0.5);
+      doc.setFontSize(18); doc.setFont('helvetica', 'bold'); doc.setTextColor(30, 41, 59);
+      doc.text(c.value, cx, y + 24, { align: 'center' });
+      doc.setFontSize(8); doc.setFont('helvetica', 'normal'); doc.setTextColor(71, 85, 105);
+      doc.text(c.label, cx, y + 38, { align: 'center' });
+      if (c.sub) doc.text(c.sub, cx, y + 48, { align: 'center' });
+    });
+    y += outlookBoxH + 12;
+    doc.setFontSize(8); doc.setFont('helvetica', 'italic'); doc.setTextColor(120);
+    doc.text(
+      'Ranges show where 8 in 10 sittings would land, from practice tests, official scores and skill mastery to date.',
+      marginL, y,
+    );
+    y += 8;
+  }
+
   // ─── DOMAIN BREAKDOWN ─────────────────────────────────
   const renderDomains = (domains, label) => {
     if (!domains?.length) return;
@@ -0,0 +1,137 @@
+// Parent & guardian accounts linked to a student — the approval side of
+// a guardian link. Rendered inside a card on the student's Account page
+// and on the tutor's student page; both pass the same rows
+// (loadGuardianLinks). A guardian asks from their portal; the request
+// shows up here as pending until the student or a tutor answers it.
+// Approved guardians can be removed from here at any time.
+
+'use client';
+
+import { useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import type { ActionResult } from '@/lib/types';
+import { decideGuardianLink, revokeGuardianLink } from './guardian-link-actions';
+import s from './GuardianLinksSettings.module.css';
+
+export interface GuardianLinkView {
+  id: string;
+  name: string;
+  relationship: 'parent' | 'guardian';
+  status: 'pending' | 'approved';
+  requestedAt: string;
+}
+
+interface GuardianLinksSettingsProps {
+  studentId: string;
+  links: GuardianLinkView[];
+  /** Copy only: "your" on the Account page, the student's name for tutors. */
+  viewer: 'student' | 'staff';
+  studentName?: string;
+}
+
+function fd(values: Record<string, string>): FormData {
+  const f = new FormData();
+  for (const [k, v] of Object.entries(values)) f.set(k, v);
+  return f;
+}
+
+function requestedLine(l: GuardianLinkView): string {
+  const day = new Date(l.requestedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return `${l.relationship === 'guardian' ? 'Guardian' : 'Parent'} · asked ${day}`;
+}
+
+export function GuardianLinksSettings({ studentId, links, viewer, studentName }: GuardianLinksSettingsProps) {
+  const router = useRouter();
+  const [pending, startTransition] = useTransition();
+  const [error, setError] = useState<string | null>(null);
+
+  const requests = links.filter((l) => l.status === 'pending');
+  const approved = links.filter((l) => l.status === 'approved');
+  const whose = viewer === 'student' ? 'your' : `${studentName || 'the student'}'s`;
+
+  function run(action: (prev: ActionResult | null, f: FormData) => Promise<ActionResult>, values: Record<string, string>) {
+    setError(null);
+    startTransition(async () => {
+      const res = await action(null, fd({ student_id: studentId, ...values }));
+      if (!res.ok) {
+        setError(res.error);
+        return;
+      }
+      router.refresh();
+    });
+  }
+
+  return (
+    <div className={s.root}>
+      <p className={s.help}>
+        A linked parent or guardian can see {whose} study plan, scores, assignments and the tutor notes
+        marked to share — nothing else, and they can&apos;t change anything.
+      </p>
+
+      {requests.length > 0 && (
+        <>
+          <div className={s.subhead}>Waiting for approval</div>
+          <ul className={s.list}>
+            {requests.map((l) => (
+              <li key={l.id} className={s.row}>
+                <div className={s.rowMain}>
+                  <span className={s.name}>{l.name}</span>
+                  <span className={s.meta}>{requestedLine(l)}</span>
+                </div>
+                <button
+                  type="button"
+                  className={s.linkBtn}
+                  disabled={pending}
+                  onClick={() => run(decideGuardianLink, { id: l.id, approve: 'true' })}
+                >
+                  Approve
+                </button>
+                <button
+                  type="button"
+                  className={`${s.linkBtn} ${s.danger}`}
+                  disabled={pending}
+                  onClick={() => run(decideGuardianLink, { id: l.id, approve: 'false' })}
+                >
+                  Decline
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className={s.subhead}>Linked</div>
+      {approved.length === 0 ? (
+        <p className={s.empty}>
+          No linked accounts. A parent signs up as a parent or guardian and asks with {whose} email
+          address; the request appears here.
+        </p>
+      ) : (
+        <ul className={s.list}>
+          {approved.map((l) => (
+            <li key={l.id} className={s.row}>
+              <div className={s.rowMain}>
+                <span className={s.name}>{l.name}</span>
+                <span className={s.meta}>{l.relationship === 'guardian' ? 'Guardian' : 'Parent'}</span>
+              </div>
+              <button
+                type="button"
+                className={`${s.linkBtn} ${s.danger}`}
+                disabled={pending}
+                onClick={() => run(revokeGuardianLink, { id: l.id })}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p role="alert" className={s.error}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// Server Actions for deciding on and ending guardian links. Shared by
+// GuardianLinksSettings (the student's Account page, the tutor's
+// student page) and the guardian portal, which withdraws its own
+// requests through revokeGuardianLink.
+//
+// decideGuardianLink — approve or decline a pending request.
+// revokeGuardianLink — end a pending or approved link.
+//
+// Who may do either is decided in SQL (decide_guardian_link /
+// revoke_guardian_link in 20261019330000_guardians.sql); these map the
+// RPC's outcome to copy and refresh the three surfaces.
+
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { requireUser } from '@/lib/api/auth';
+import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import type { ActionResult } from '@/lib/types';
+
+const DECIDE_MESSAGES: Record<string, string> = {
+  not_found: 'That request is no longer available',
+  not_pending: 'That request has already been answered',
+};
+
+const REVOKE_MESSAGES: Record<string, string> = {
+  not_found: 'That link is no longer available',
+  not_active: 'That link has already ended',
+};
+
+function revalidate(studentId: string) {
+  revalidatePath('/account');
+  revalidatePath(`/tutor/students/${studentId}`);
+  revalidatePath('/guardian');
+}
+
+export async function decideGuardianLink(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  const id = String(formData.get('id') ?? '');
+  const studentId = String(formData.get('student_id') ?? '');
+  if (!id || !studentId) return actionFail('id and student_id required');
+  const approve = formData.get('approve') === 'true';
+
+  let ctx;
+  try {
+    ctx = await requireUser();
+  } catch (e) {
+    return e instanceof ApiError ? e.toActionResult() : actionFail('Unexpected error');
+  }
+
+  const { data: outcome, error } = await ctx.supabase.rpc('decide_guardian_link', {
+    p_link: id,
+    p_approve: approve,
+  });
+  if (error) return actionFail('Could not update the request');
+  if (outcome !== 'approved' && outcome !== 'declined') {
+    return actionFail(DECIDE_MESSAGES[outcome] ?? 'Could not update the request');
+  }
+
+  revalidate(studentId);
+  return actionOk();
+}
+
+export async function revokeGuardianLink(
+  _prev: ActionResult | null,
+  formData: FormData,
+): Promise<ActionResult> {
+  const id = String(formData.get('id') ?? '');
+  const studentId = String(formData.get('student_id') ?? '');
+  if (!id || !studentId) return actionFail('id and student_id required');
+
+  let ctx;
+  try {
+    ctx = await requireUser();
+  } catch (e) {
+    return e instanceof ApiError ? e.toActionResult() : actionFail('Unexpected error');
+  }
+
+  const { data: outcome, error } = await ctx.supabase.rpc('revoke_guardian_link', { p_link: id });
+  if (error) return actionFail('Could not remove the link');
+  if (outcome !== 'revoked') return actionFail(REVOKE_MESSAGES[outcome] ?? 'Could not remove the link');
+
+  revalidate(studentId);
+  return actionOk();
+}
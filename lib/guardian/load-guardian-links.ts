@@ -0,0 +1,81 @@
+// Guardian link loaders. Both read through the caller's RLS-scoped
+// client: guardian_links_select lets a guardian see their own links
+// and a student or tutor (can_view) the links on the student, and
+// profile_cards shows each side the other's name once a link exists.
+//
+// loadGuardianLinks feeds GuardianLinksSettings (student Account page,
+// tutor student page); loadLinkedStudents feeds the guardian portal.
+
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import { cardName } from './progress';
+import type { GuardianLinkView } from './GuardianLinksSettings';
+
+const LIVE = ['pending', 'approved'];
+
+/** Pending and approved links on one student, oldest first. */
+export async function loadGuardianLinks(
+  supabase: TypedSupabaseClient,
+  studentId: string,
+): Promise<GuardianLinkView[]> {
+  const { data: links } = await supabase
+    .from('guardian_links')
+    .select('id, guardian_id, relationship, status, requested_at')
+    .eq('student_id', studentId)
+    .in('status', LIVE)
+    .order('requested_at', { ascending: true });
+  if (!links?.length) return [];
+
+  const { data: cards } = await supabase
+    .from('profile_cards')
+    .select('id, first_name, last_name')
+    .in('id', links.map((l) => l.guardian_id));
+  const byId = new Map((cards ?? []).map((c) => [c.id, c]));
+
+  return links.map((l) => {
+    return {
+      id: l.id,
+      name: cardName(byId.get(l.guardian_id), 'Parent or guardian'),
+      relationship: l.relationship as GuardianLinkView['relationship'],
+      status: l.status as GuardianLinkView['status'],
+      requestedAt: l.requested_at,
+    };
+  });
+}
+
+export interface LinkedStudent {
+  linkId: string;
+  studentId: string;
+  status: 'pending' | 'approved';
+  /** The student's name once approved; the address the guardian typed
+   *  while pending — a request alone doesn't reveal who owns it. */
+  label: string;
+  requestedAt: string;
+}
+
+/** The signed-in guardian's pending and approved links. */
+export async function loadLinkedStudents(
+  supabase: TypedSupabaseClient,
+  guardianId: string,
+): Promise<LinkedStudent[]> {
+  const { data: links } = await supabase
+    .from('guardian_links')
+    .select('id, student_id, status, requested_email, requested_at')
+    .eq('guardian_id', guardianId)
+    .in('status', LIVE)
+    .order('requested_at', { ascending: true });
+  if (!links?.length) return [];
+
+  const approvedIds = links.filter((l) => l.status === 'approved').map((l) => l.student_id);
+  const { data: cards } = approvedIds.length
+    ? await supabase.from('profile_cards').select('id, first_name, last_name').in('id', approvedIds)
+    : { data: [] };
+  const byId = new Map((cards ?? []).map((c) => [c.id, c]));
+
+  return links.map((l) => ({
+    linkId: l.id,
+    studentId: l.student_id,
+    status: l.status as LinkedStudent['status'],
+    label: l.status === 'approved' ? cardName(byId.get(l.student_id), 'Student') : l.requested_email,
+    requestedAt: l.requested_at,
+  }));
+}
@@ -0,0 +1,122 @@
+// Guardian portal read model tests — score history and assignment state.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignmentProgressOf, cardName, scoreHistoryOf } from './progress.ts';
+
+const TODAY = '2026-10-19';
+
+function practice(overrides = {}) {
+  return {
+    id: 'pt1',
+    finished_at: '2026-10-04T15:00:00Z',
+    composite_score: 1280,
+    rw_scaled: 640,
+    math_scaled: 640,
+    sections_only: null,
+    testName: 'Practice Test 4',
+    ...overrides,
+  };
+}
+
+function assignment(id, { completed_at = null, due_date = null, ...rest } = {}) {
+  return {
+    completed_at,
+    assignment: {
+      id,
+      title: `Assignment ${id}`,
+      assignment_type: 'questions',
+      due_date,
+      archived_at: null,
+      deleted_at: null,
+      created_at: '2026-10-01T00:00:00Z',
+      ...rest,
+    },
+  };
+}
+
+// ── Score history ─────────────────────────────────────────────────
+
+test('practice tests and official scores share one timeline, newest first', () => {
+  const history = scoreHistoryOf(
+    [practice(), practice({ id: 'pt2', finished_at: '2026-09-20T15:00:00Z', composite_score: 1210 })],
+    [
+      { id: 'o1', test_date: '2026-10-04', composite_score: 1300, rw_score: 660, math_score: 640, test_type: null },
+      { id: 'o2', test_date: '2026-08-23', composite_score: 1150, rw_score: 580, math_score: 570, test_type: 'PSAT' },
+    ],
+  );
+  assert.deepEqual(history.map((p) => p.id), ['o1', 'pt1', 'pt2', 'o2'], 'official first on a shared date');
+  assert.equal(history[0].label, 'Official SAT');
+  assert.equal(history[3].label, 'Official PSAT');
+  assert.equal(history[1].label, 'Practice Test 4');
+  assert.equal(history[1].date, '2026-10-04');
+});
+
+test('unfinished, unscored and section-only practice tests are left out', () => {
+  const history = scoreHistoryOf(
+    [
+      practice({ id: 'a', finished_at: null }),
+      practice({ id: 'b', composite_score: null }),
+      practice({ id: 'c', sections_only: 'math' }),
+      practice({ id: 'd', testName: null }),
+    ],
+    [],
+  );
+  assert.deepEqual(history.map((p) => p.id), ['d']);
+  assert.equal(history[0].label, 'Practice test');
+});
+
+// ── Assignments ───────────────────────────────────────────────────
+
+test('assignments are late, open or completed as of today', () => {
+  const progress = assignmentProgressOf(
+    [
+      assignment('done', { completed_at: '2026-10-10T12:00:00Z', due_date: '2026-10-01' }),
+      assignment('late', { due_date: '2026-10-18' }),
+      assignment('today', { due_date: TODAY }),
+      assignment('undated'),
+    ],
+    TODAY,
+  );
+  assert.deepEqual(
+    progress.items.map((i) => [i.id, i.state]),
+    [
+      ['late', 'late'],
+      ['today', 'open'],
+      ['undated', 'open'],
+      ['done', 'completed'],
+    ],
+  );
+  assert.deepEqual([progress.late, progress.open, progress.completed], [1, 2, 1]);
+});
+
+test('completed assignments list newest first', () => {
+  const { items } = assignmentProgressOf(
+    [
+      assignment('older', { completed_at: '2026-10-01T00:00:00Z' }),
+      assignment('newer', { completed_at: '2026-10-15T00:00:00Z' }),
+    ],
+    TODAY,
+  );
+  assert.deepEqual(items.map((i) => i.id), ['newer', 'older']);
+});
+
+test('archived, deleted and missing assignments are dropped', () => {
+  const progress = assignmentProgressOf(
+    [
+      assignment('archived', { archived_at: '2026-10-02T00:00:00Z' }),
+      assignment('deleted', { deleted_at: '2026-10-02T00:00:00Z' }),
+      { completed_at: null, assignment: null },
+      assignment('live', { title: null, assignment_type: 'practice_test' }),
+    ],
+    TODAY,
+  );
+  assert.deepEqual(progress.items.map((i) => i.id), ['live']);
+  assert.equal(progress.items[0].title, 'practice_test', 'untitled falls back to the type');
+});
+
+test('cardName joins what the card has, else the fallback', () => {
+  assert.equal(cardName({ first_name: 'Ada', last_name: 'Lovelace' }, 'x'), 'Ada Lovelace');
+  assert.equal(cardName({ first_name: 'Ada', last_name: null }, 'x'), 'Ada');
+  assert.equal(cardName(null, 'Your tutor'), 'Your tutor');
+});
@@ -0,0 +1,153 @@
+// The guardian portal's read model. The student page loads rows through
+// the guardian's RLS-scoped client (the *_guardian_select policies in
+// 20261019330000_guardians.sql) and shapes them here, so the page is a
+// render and the rules — what counts as a score, when an assignment is
+// late — are unit-tested (progress.test.mjs).
+
+export interface PracticeTestScoreRow {
+  id: string;
+  finished_at: string | null;
+  composite_score: number | null;
+  rw_scaled: number | null;
+  math_scaled: number | null;
+  sections_only: string | null;
+  testName: string | null;
+}
+
+export interface OfficialScoreRow {
+  id: string;
+  test_date: string;
+  composite_score: number;
+  rw_score: number;
+  math_score: number;
+  /** 'SAT' or 'PSAT'; null on legacy rows, which are SATs. */
+  test_type: string | null;
+}
+
+export interface ScorePoint {
+  id: string;
+  /** YYYY-MM-DD. */
+  date: string;
+  source: 'practice' | 'official';
+  label: string;
+  composite: number;
+  rw: number | null;
+  math: number | null;
+}
+
+/**
+ * Practice tests and official SATs on one timeline, newest first.
+ * Section-only practice tests are left out: their composite isn't
+ * comparable to a full test's, and a parent reading the list can't be
+ * expected to know that.
+ */
+export function scoreHistoryOf(
+  practice: readonly PracticeTestScoreRow[],
+  official: readonly OfficialScoreRow[],
+): ScorePoint[] {
+  const points: ScorePoint[] = [];
+  for (const t of practice) {
+    if (!t.finished_at || t.composite_score == null || t.sections_only) continue;
+    points.push({
+      id: t.id,
+      date: t.finished_at.slice(0, 10),
+      source: 'practice',
+      label: t.testName ?? 'Practice test',
+      composite: t.composite_score,
+      rw: t.rw_scaled,
+      math: t.math_scaled,
+    });
+  }
+  for (const s of official) {
+    points.push({
+      id: s.id,
+      date: s.test_date.slice(0, 10),
+      source: 'official',
+      label: `Official ${s.test_type || 'SAT'}`,
+      composite: s.composite_score,
+      rw: s.rw_score,
+      math: s.math_score,
+    });
+  }
+  return points.sort((a, b) => b.date.localeCompare(a.date) || a.source.localeCompare(b.source));
+}
+
+export interface AssignmentRow {
+  completed_at: string | null;
+  assignment: {
+    id: string;
+    title: string | null;
+    assignment_type: string;
+    due_date: string | null;
+    archived_at: string | null;
+    deleted_at: string | null;
+    created_at: string;
+  } | null;
+}
+
+export type AssignmentState = 'completed' | 'late' | 'open';
+
+export interface AssignmentItem {
+  id: string;
+  title: string;
+  dueDate: string | null;
+  completedAt: string | null;
+  state: AssignmentState;
+}
+
+export interface AssignmentProgress {
+  items: AssignmentItem[];
+  completed: number;
+  late: number;
+  open: number;
+}
+
+/**
+ * Live assignments (archived and deleted dropped) with their state as
+ * of `today` (YYYY-MM-DD). An assignment due today is still open.
+ * Ordered: late first, then open by due date, then completed newest
+ * first — what needs a nudge sits at the top.
+ */
+export function assignmentProgressOf(rows: readonly AssignmentRow[], today: string): AssignmentProgress {
+  const items: AssignmentItem[] = [];
+  for (const r of rows) {
+    const a = r.assignment;
+    if (!a || a.archived_at || a.deleted_at) continue;
+    const due = a.due_date ? a.due_date.slice(0, 10) : null;
+    const state: AssignmentState = r.completed_at
+      ? 'completed'
+      : due && due < today
+        ? 'late'
+        : 'open';
+    items.push({
+      id: a.id,
+      title: a.title || a.assignment_type,
+      dueDate: due,
+      completedAt: r.completed_at,
+      state,
+    });
+  }
+
+  const rank: Record<AssignmentState, number> = { late: 0, open: 1, completed: 2 };
+  items.sort((x, y) => {
+    if (x.state !== y.state) return rank[x.state] - rank[y.state];
+    if (x.state === 'completed') return (y.completedAt ?? '').localeCompare(x.completedAt ?? '');
+    // Undated open work after dated.
+    return (x.dueDate ?? '9999').localeCompare(y.dueDate ?? '9999');
+  });
+
+  return {
+    items,
+    completed: items.filter((i) => i.state === 'completed').length,
+    late: items.filter((i) => i.state === 'late').length,
+    open: items.filter((i) => i.state === 'open').length,
+  };
+}
+
+/** "First Last", or the fallback when the card has no name. */
+export function cardName(
+  card: { first_name: string | null; last_name: string | null } | null | undefined,
+  fallback: string,
+): string {
+  return [card?.first_name, card?.last_name].filter(Boolean).join(' ') || fallback;
+}
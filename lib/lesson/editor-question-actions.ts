@@ -1,7 +1,8 @@
 'use server';
 
 import { requireRole } from '@/lib/api/auth';
-import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { actionFail, actionOk, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 
 const QUESTION_CARD_COLUMNS =
   'id, display_code, question_type, domain_name, skill_name, difficulty, score_band, stem_html';
@@ -24,6 +25,8 @@ export async function searchLessonEditorQuestions(input: {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error');
   }
+  const rl = await checkRateLimit('question.search', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   let query = ctx.supabase
     .from('questions_v2')
@@ -57,6 +60,8 @@ export async function getLessonEditorQuestion(id: string) {
     return actionFail('Unexpected error');
   }
   if (typeof id !== 'string' || !id) return actionFail('id required');
+  const rl = await checkRateLimit('question.load', { key: ctx.user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const { data, error } = await ctx.supabase
     .from('questions_v2')
@@ -1,11 +1,18 @@
-import { createServiceClient } from './supabase/server';
-import { logger } from './api/logger';
+// The Lessonworks-shaped per-student payload: practice stats, test
+// scores and domain mastery. Read by the partner pull endpoint
+// (/api/public/students/[studentId]/practice-data) and pushed nightly
+// as the mastery.snapshot webhook event (/api/cron/mastery-snapshot).
+// 'lessonworks_sync' subscriptions get the whole night as one
+// `{ students: [...] }` batch, the body Lessonworks' sync endpoint
+// takes, with report PDFs attached at send time (attachReportPdfs) so
+// they are never stored in webhook_deliveries. The old fixed-URL push
+// that lived here is now just that subscription.
+
 import { computeMastery } from './mastery';
 import { computeTestScores } from './testScoreHelper';
 import { generateScoreReportPdf } from './generateScoreReportPdf';
 import { loadTestResults } from './practice-test/load-test-results';
-
-const LESSONWORKS_SYNC_URL = 'https://www.lessonworks.net/api/integrations/studyworks/sync';
+import { reliableB } from './practice-test/calibration';
 
 // SAT math domains (by domain_name)
 const MATH_DOMAINS = new Set([
@@ -27,56 +34,7 @@ function masteryLevel(pct) {
 }
 
 /**
- * Sync one or more students' data to LessonWorks.
- *
- * @param {string[]} studentIds — array of Studyworks user UUIDs to sync
- * @param {Object} [options]
- * @param {boolean} [options.includePdfReports=true] — include base64 PDF reports
- * @param {number}  [options.testLimit=10] — max practice tests per student
- * @returns {Object} the LessonWorks response body
- */
-export async function syncStudentsToLessonworks(studentIds, options = {}) {
-  const { includePdfReports = true, testLimit = 10 } = options;
-  const apiKey = process.env.LESSONWORKS_SYNC_KEY;
-  if (!apiKey) throw new Error('LESSONWORKS_SYNC_KEY not configured');
-
-  // Raw service client (not requireServiceRole): the nightly Vercel
-  // cron invokes this with no user session, so the wrapper's
-  // authenticated-caller requirement can't be met. Emit the same
-  // audit event for parity.
-  logger.info(
-    { event: 'service_role_bypass', reason: 'lessonworks nightly sync', user_id: null, caller_role: 'cron' },
-    'service_role_bypass',
-  );
-  const supabase = createServiceClient();
-  const students = [];
-
-  for (const studentId of studentIds) {
-    const studentPayload = await buildStudentPayload(supabase, studentId, { includePdfReports, testLimit });
-    if (studentPayload) students.push(studentPayload);
-  }
-
-  if (!students.length) return { synced: 0, total: 0, results: [] };
-
-  const res = await fetch(LESSONWORKS_SYNC_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-    },
-    body: JSON.stringify({ students }),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`LessonWorks sync failed (${res.status}): ${text}`);
-  }
-
-  return res.json();
-}
-
-/**
- * Build the full sync payload for a single student.
+ * Build the full payload for a single student.
  */
 export async function buildStudentPayload(supabase, studentId, { includePdfReports, testLimit }) {
   // ── Parallel fetch all data ──
@@ -147,10 +105,20 @@ export async function buildStudentPayload(supabase, studentId, { includePdfRepor
   const allQids = [...new Set(practiceFirstAttempts.map(a => a.question_id))];
   const taxMap = {};
   if (allQids.length > 0) {
-    const { data: v2Rows } = await supabase
-      .from('questions_v2')
-      .select('id, domain_code, domain_name, skill_name, difficulty, score_band')
-      .in('id', allQids);
+    // item_calibration rides along so masteryWeight sees the same
+    // calibrated difficulty get_skill_mastery_asof does.
+    const [{ data: v2Rows }, { data: calibrationRows }] = await Promise.all([
+      supabase
+        .from('questions_v2')
+        .select('id, domain_code, domain_name, skill_name, difficulty, score_band')
+        .in('id', allQids),
+      supabase
+        .from('item_calibration')
+        .select('question_id, b, reliable')
+        .eq('reliable', true)
+        .in('question_id', allQids),
+    ]);
+    const calibrationById = new Map((calibrationRows || []).map((r) => [r.question_id, r]));
     for (const t of (v2Rows || [])) {
       taxMap[t.id] = {
         question_id: t.id,
@@ -159,6 +127,7 @@ export async function buildStudentPayload(supabase, studentId, { includePdfRepor
         skill_name: t.skill_name,
         difficulty: t.difficulty,
         score_band: t.score_band,
+        calibrated_b: reliableB(calibrationById.get(t.id)),
       };
     }
   }
@@ -180,28 +149,6 @@ export async function buildStudentPayload(supabase, studentId, { includePdfRepor
       metadata: {},
     };
 
-    if (includePdfReports) {
-      try {
-        // Shared loader the in-app results page uses. Service role
-        // bypasses RLS on every read inside; viewerUserId is the
-        // student so the watermark attributes to the test's owner.
-        const result = await loadTestResults({
-          supabase,
-          attemptId: t.attempt_id,
-          viewerUserId: studentId,
-          viewerRole: 'admin',
-        });
-        if (result.ok) {
-          const doc = generateScoreReportPdf(result.props.pdfData);
-          const arrayBuf = doc.output('arraybuffer');
-          entry.report_pdf_base64 = Buffer.from(arrayBuf).toString('base64');
-          entry.report_pdf_filename = `report_${entry.test_date || 'unknown'}.pdf`;
-        }
-      } catch {
-        // PDF generation failed for this test — skip PDF, still send scores
-      }
-    }
-
     practiceTests.push(entry);
   }
 
@@ -222,13 +169,50 @@ export async function buildStudentPayload(supabase, studentId, { includePdfRepor
   // ── Assignment completion stats (await the promise) ──
   const assignStats = await practiceStats;
 
-  return {
+  const payload = {
     external_student_id: studentId,
     target_score: studentProfile?.target_sat_score ? Number(studentProfile.target_sat_score) : null,
     practice_stats: assignStats,
     practice_tests: practiceTests,
     domain_mastery: domainMastery,
   };
+  return includePdfReports ? attachReportPdfs(supabase, payload) : payload;
+}
+
+/**
+ * A copy of a student payload with each practice test's score report
+ * PDF (base64) attached. A test whose PDF fails is sent with scores
+ * only.
+ */
+export async function attachReportPdfs(supabase, payload) {
+  const studentId = payload.external_student_id;
+  const practiceTests = [];
+  for (const t of payload.practice_tests || []) {
+    const entry = { ...t };
+    if (entry.test_type === 'practice') {
+      try {
+        // Shared loader the in-app results page uses. Service role
+        // bypasses RLS on every read inside; viewerUserId is the
+        // student so the watermark attributes to the test's owner.
+        const result = await loadTestResults({
+          supabase,
+          attemptId: entry.external_test_id,
+          viewerUserId: studentId,
+          viewerRole: 'admin',
+        });
+        if (result.ok) {
+          const doc = generateScoreReportPdf(result.props.pdfData, { watermarkUserId: studentId });
+          const arrayBuf = doc.output('arraybuffer');
+          entry.report_pdf_base64 = Buffer.from(arrayBuf).toString('base64');
+          entry.report_pdf_filename = `report_${entry.test_date || 'unknown'}.pdf`;
+        }
+      } catch {
+        // PDF generation failed for this test — skip PDF, still send scores
+      }
+    }
+    practiceTests.push(entry);
+  }
+  return { ...payload, practice_tests: practiceTests };
 }
 
 /**
@@ -0,0 +1,120 @@
+// Compact RS256 JWTs for LTI 1.3 — the only signing LTI needs.
+//
+// Platforms sign id_tokens with RS256 and publish the keys as a JWKS;
+// the tool signs its deep-linking responses and the client assertion
+// for the Assignment and Grade Services token request with its own RSA
+// key (LTI_PRIVATE_KEY), published at /api/lti/jwks. node:crypto
+// imports JWKs directly, so this is all a library would have done.
+//
+// Import-free apart from node:crypto so `node --test` can drive it
+// (lib/lti/lti.test.mjs).
+
+import { createPrivateKey, createPublicKey, sign, verify, type JsonWebKeyInput, type KeyObject } from 'node:crypto';
+
+export interface Jwk {
+  kty: string;
+  kid?: string;
+  alg?: string;
+  use?: string;
+  n?: string;
+  e?: string;
+  [key: string]: unknown;
+}
+
+export interface Jwks {
+  keys: Jwk[];
+}
+
+export type JwtPayload = Record<string, unknown>;
+
+/** Seconds of clock drift tolerated on exp / iat / nbf. */
+export const CLOCK_SKEW_SECONDS = 60;
+
+export class JwtError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+function encodeSegment(value: unknown): string {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment: string, what: string): JwtPayload {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value as JwtPayload;
+  } catch {
+    // fall through
+  }
+  throw new JwtError(`Malformed JWT ${what}`);
+}
+
+/** Parse a PEM private key, accepting the literal "\n" escapes an env
+ *  var tends to carry. */
+export function loadPrivateKey(pem: string): KeyObject {
+  return createPrivateKey(pem.includes('\\n') ? pem.replace(/\\n/g, '\n') : pem);
+}
+
+/** The public half of `privateKey` as a JWK for a JWKS document. */
+export function publicJwk(privateKey: KeyObject, kid: string): Jwk {
+  const jwk = createPublicKey(privateKey).export({ format: 'jwk' }) as Jwk;
+  return { ...jwk, kid, alg: 'RS256', use: 'sig' };
+}
+
+export function signJwt(payload: JwtPayload, privateKey: KeyObject, kid: string): string {
+  const head = encodeSegment({ alg: 'RS256', typ: 'JWT', kid });
+  const body = encodeSegment(payload);
+  const signature = sign('RSA-SHA256', Buffer.from(`${head}.${body}`), privateKey).toString('base64url');
+  return `${head}.${body}.${signature}`;
+}
+
+/** Header and payload without checking anything — for picking the
+ *  platform (iss / aud) before its keys are known. */
+export function decodeJwt(token: string): { header: JwtPayload; payload: JwtPayload } {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw new JwtError('Malformed JWT');
+  return { header: decodeSegment(parts[0], 'header'), payload: decodeSegment(parts[1], 'payload') };
+}
+
+/**
+ * Verify an RS256 `token` against `jwks` and its time claims, and
+ * return the payload. The key is picked by `kid`; a token without one
+ * is only accepted when the set holds a single key. Throws JwtError.
+ */
+export function verifyJwt(token: string, jwks: Jwks, { now = Date.now() }: { now?: number } = {}): JwtPayload {
+  const { header, payload } = decodeJwt(token);
+  if (header.alg !== 'RS256') throw new JwtError(`Unsupported JWT alg: ${String(header.alg)}`);
+
+  const candidates = (jwks.keys ?? []).filter((k) => k.kty === 'RSA' && (!k.use || k.use === 'sig'));
+  const jwk =
+    typeof header.kid === 'string'
+      ? candidates.find((k) => k.kid === header.kid)
+      : candidates.length === 1
+        ? candidates[0]
+        : undefined;
+  if (!jwk) throw new JwtError(`No signing key for kid ${String(header.kid ?? '(none)')}`);
+
+  let key: KeyObject;
+  try {
+    key = createPublicKey({ key: jwk, format: 'jwk' } as JsonWebKeyInput);
+  } catch {
+    throw new JwtError('Unusable signing key');
+  }
+  const [head, body, signature] = token.split('.');
+  if (!verify('RSA-SHA256', Buffer.from(`${head}.${body}`), key, Buffer.from(signature, 'base64url'))) {
+    throw new JwtError('Bad JWT signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (typeof payload.exp !== 'number') throw new JwtError('JWT has no exp');
+  if (payload.exp + CLOCK_SKEW_SECONDS < nowSeconds) throw new JwtError('JWT has expired');
+  if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new JwtError('JWT issued in the future');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new JwtError('JWT not valid yet');
+  }
+  return payload;
+}
@@ -0,0 +1,477 @@
+// LTI 1.3 — the pure half. Launch validation, role mapping, and the
+// messages the tool sends back (deep-linking response, AGS client
+// assertion, score). The IO lives in lib/lti/lti-server.ts, the
+// endpoints in app/api/lti, the tables in
+// supabase/migrations/20261019280000_lti.sql.
+//
+// The flow, for orientation:
+//
+//   1. The platform (Canvas, Schoology, …) hits /api/lti/login with
+//      iss + login_hint. The tool stores a state/nonce pair and
+//      redirects to the platform's OIDC auth endpoint.
+//   2. The platform form-posts an id_token + state to /api/lti/launch.
+//      The tool consumes the state, verifies the token against the
+//      platform's JWKS and validateLaunch's claim checks, maps the
+//      user onto a profile, and signs them in.
+//   3. A resource-link launch lands on the linked assignment or lesson;
+//      a deep-linking launch lands on /lti/deep-link, where a teacher
+//      picks items and the tool posts a signed LtiDeepLinkingResponse
+//      back to the platform.
+//   4. When a student completes a linked practice set, the score goes
+//      to the line item through Assignment and Grade Services.
+//
+// Import-free (bar a type and node:crypto) so `node --test` can drive
+// it (lib/lti/lti.test.mjs).
+
+import { createHash } from 'node:crypto';
+import type { JwtPayload } from './jwt.ts';
+
+export const LTI_VERSION = '1.3.0';
+
+export const CLAIM = {
+  messageType: 'https://purl.imsglobal.org/spec/lti/claim/message_type',
+  version: 'https://purl.imsglobal.org/spec/lti/claim/version',
+  deploymentId: 'https://purl.imsglobal.org/spec/lti/claim/deployment_id',
+  targetLinkUri: 'https://purl.imsglobal.org/spec/lti/claim/target_link_uri',
+  resourceLink: 'https://purl.imsglobal.org/spec/lti/claim/resource_link',
+  roles: 'https://purl.imsglobal.org/spec/lti/claim/roles',
+  context: 'https://purl.imsglobal.org/spec/lti/claim/context',
+  custom: 'https://purl.imsglobal.org/spec/lti/claim/custom',
+  ags: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint',
+  deepLinkingSettings: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+  contentItems: 'https://purl.imsglobal.org/spec/lti-dl/claim/content_items',
+  deepLinkingData: 'https://purl.imsglobal.org/spec/lti-dl/claim/data',
+} as const;
+
+export const AGS_SCOPE = {
+  lineItem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score',
+} as const;
+
+export type LtiMessageType = 'LtiResourceLinkRequest' | 'LtiDeepLinkingRequest';
+
+/** The tool-side role a launch maps onto. Admins and managers launch
+ *  as teachers; LTI never grants either role. */
+export type LtiRole = 'student' | 'teacher';
+
+/** Custom parameter a deep-linked resource link carries so its later
+ *  launches know what to open: `assignment:<uuid>` or `lesson:<uuid>`. */
+export const TARGET_PARAM = 'studyworks_target';
+/** Custom parameter naming the teacher who created the link. */
+export const OWNER_PARAM = 'studyworks_owner';
+
+export type LtiTargetType = 'assignment' | 'lesson';
+export interface LtiTarget {
+  type: LtiTargetType;
+  id: string;
+}
+
+/** What the tool keeps of a registered platform. */
+export interface LtiPlatformConfig {
+  id: string;
+  issuer: string;
+  client_id: string;
+  deployment_ids: string[];
+  auth_login_url: string;
+  auth_token_url: string;
+  jwks_url: string;
+}
+
+export interface LtiLaunch {
+  messageType: LtiMessageType;
+  deploymentId: string;
+  /** The platform's stable user id. */
+  sub: string;
+  role: LtiRole | null;
+  roles: string[];
+  email: string | null;
+  givenName: string | null;
+  familyName: string | null;
+  name: string | null;
+  context: { id: string; title: string | null } | null;
+  resourceLink: { id: string; title: string | null } | null;
+  custom: Record<string, string>;
+  target: LtiTarget | null;
+  /** Assignment and Grade Services endpoint, when the platform offers it. */
+  ags: { lineitem: string | null; lineitems: string | null; scope: string[] } | null;
+  deepLinking: {
+    returnUrl: string;
+    data: string | null;
+    acceptTypes: string[];
+    acceptMultiple: boolean;
+  } | null;
+}
+
+export type LaunchCheck = { ok: true; launch: LtiLaunch } | { ok: false; error: string };
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TEACHER_ROLES = new Set(['Instructor', 'TeachingAssistant', 'ContentDeveloper', 'Administrator', 'Faculty']);
+const STUDENT_ROLES = new Set(['Learner', 'Student']);
+
+const CONTEXT_ROLE_PREFIX = 'http://purl.imsglobal.org/vocab/lis/v2/membership';
+const INSTITUTION_ROLE_PREFIX = 'http://purl.imsglobal.org/vocab/lis/v2/institution/person';
+
+function str(value: unknown): string | null {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function obj(value: unknown): Record<string, unknown> | null {
+  return value && typeof value === 'object' && !Array.isArray(value) ? (value as Record<string, unknown>) : null;
+}
+
+/** The short role name (`Instructor`, `TeachingAssistant`, …) of a
+ *  context or institution role URI. Sub-roles (`…#Instructor#Grader`
+ *  style, `…/Instructor#TeachingAssistant`) resolve to the sub-role. */
+function roleName(uri: string, prefix: string): string | null {
+  if (!uri.startsWith(prefix)) return null;
+  const rest = uri.slice(prefix.length).replace(/^[#/]/, '');
+  const parts = rest.split(/[#/]/).filter(Boolean);
+  return parts[parts.length - 1] ?? null;
+}
+
+/**
+ * Map a launch's roles claim onto a tool role. Context (course)
+ * membership roles decide when there are any — a faculty member taking
+ * a course as a learner is a learner there — with institution roles as
+ * the fallback. Teaching roles outrank Learner. System roles are
+ * ignored. null means nothing the tool serves (e.g. an observer).
+ */
+export function mapLtiRoles(roles: readonly string[]): LtiRole | null {
+  const pick = (prefix: string) =>
+    roles.map((r) => roleName(r, prefix)).filter((r): r is string => r !== null);
+  const context = pick(CONTEXT_ROLE_PREFIX);
+  const names = context.length > 0 ? context : pick(INSTITUTION_ROLE_PREFIX);
+  if (names.some((n) => TEACHER_ROLES.has(n))) return 'teacher';
+  if (names.some((n) => STUDENT_ROLES.has(n))) return 'student';
+  return null;
+}
+
+/**
+ * Whether a launch as `launchRole` may use an existing account whose
+ * profiles.role is `profileRole`. LTI never raises a role beyond
+ * turning a practice account into a student (what joining a class
+ * means anywhere else); a mismatch is refused rather than guessed at.
+ * An instructor launch reaches teacher accounts only: a platform admin
+ * controls what its tokens say, so a manager or admin account signed
+ * in through one would be theirs for the asking.
+ */
+export function reconcileRole(
+  launchRole: LtiRole,
+  profileRole: string,
+): { ok: true; promote: boolean } | { ok: false; error: string } {
+  if (launchRole === 'student') {
+    if (profileRole === 'student') return { ok: true, promote: false };
+    if (profileRole === 'practice') return { ok: true, promote: true };
+    return { ok: false, error: 'This is a staff account. Open the link from the course as an instructor.' };
+  }
+  if (profileRole === 'teacher') return { ok: true, promote: false };
+  if (profileRole === 'manager' || profileRole === 'admin') {
+    return { ok: false, error: 'Studyworks staff accounts cannot be opened from an LMS. Sign in at Studyworks directly.' };
+  }
+  return { ok: false, error: 'This is a student account, but the course launched it as an instructor.' };
+}
+
+/**
+ * Stand-in address for a platform that withholds email. The account
+ * is reached through launches only. The local part is the sha256 of
+ * platform + sub, so two platform users can never share an address
+ * (subs are opaque and case-sensitive: 'A-1' and 'a1' are different
+ * people).
+ */
+export function placeholderEmail(platformId: string, sub: string): string {
+  const local = createHash('sha256').update(`${platformId}:${sub}`).digest('hex');
+  return `${local}@lti.studyworks.invalid`;
+}
+
+/**
+ * The role a launch with no existing account gets one as. Learners
+ * become students. An instructor gets a teacher account only where
+ * the platform's registration allows it: a course's roles are the
+ * school's to set, not ours, and a teacher account sees rosters.
+ */
+export function newAccountRole(
+  launchRole: LtiRole,
+  allowTeacherProvisioning: boolean,
+): { ok: true; role: LtiRole } | { ok: false; error: string } {
+  if (launchRole === 'student') return { ok: true, role: 'student' };
+  if (allowTeacherProvisioning) return { ok: true, role: 'teacher' };
+  return {
+    ok: false,
+    error: 'This LMS can\'t create Studyworks teacher accounts. Ask your school admin to set up your teacher account.',
+  };
+}
+
+export function parseTarget(value: string | null | undefined): LtiTarget | null {
+  const m = /^(assignment|lesson):(.+)$/.exec(value ?? '');
+  if (!m || !UUID_RE.test(m[2])) return null;
+  return { type: m[1] as LtiTargetType, id: m[2].toLowerCase() };
+}
+
+export function formatTarget(target: LtiTarget): string {
+  return `${target.type}:${target.id}`;
+}
+
+/** The platform's OIDC authorization URL for step 1's redirect. */
+export function buildAuthRedirect(
+  platform: LtiPlatformConfig,
+  p: { loginHint: string; ltiMessageHint: string | null; redirectUri: string; state: string; nonce: string },
+): string {
+  const url = new URL(platform.auth_login_url);
+  url.searchParams.set('scope', 'openid');
+  url.searchParams.set('response_type', 'id_token');
+  url.searchParams.set('response_mode', 'form_post');
+  url.searchParams.set('prompt', 'none');
+  url.searchParams.set('client_id', platform.client_id);
+  url.searchParams.set('redirect_uri', p.redirectUri);
+  url.searchParams.set('login_hint', p.loginHint);
+  if (p.ltiMessageHint) url.searchParams.set('lti_message_hint', p.ltiMessageHint);
+  url.searchParams.set('state', p.state);
+  url.searchParams.set('nonce', p.nonce);
+  return url.toString();
+}
+
+/**
+ * Check a signature-verified id_token's claims against the platform it
+ * claims to come from and the nonce stored with its state, and pull out
+ * what the tool uses. Signature and exp/iat are verifyJwt's job.
+ */
+export function validateLaunch(
+  payload: JwtPayload,
+  { platform, nonce }: { platform: LtiPlatformConfig; nonce: string },
+): LaunchCheck {
+  const fail = (error: string): LaunchCheck => ({ ok: false, error });
+
+  if (payload.iss !== platform.issuer) return fail('Token issuer does not match the platform');
+  const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!aud.includes(platform.client_id)) return fail('Token audience is not this tool');
+  if (aud.length > 1 && payload.azp !== platform.client_id) return fail('Token azp is not this tool');
+  if (payload.nonce !== nonce) return fail('Nonce mismatch');
+
+  if (payload[CLAIM.version] !== LTI_VERSION) return fail('Not an LTI 1.3 launch');
+  const messageType = payload[CLAIM.messageType];
+  if (messageType !== 'LtiResourceLinkRequest' && messageType !== 'LtiDeepLinkingRequest') {
+    return fail(`Unsupported message type: ${String(messageType)}`);
+  }
+  const deploymentId = str(payload[CLAIM.deploymentId]);
+  if (!deploymentId) return fail('Missing deployment id');
+  if (!platform.deployment_ids.includes(deploymentId)) return fail(`Deployment ${deploymentId} is not registered`);
+  const sub = str(payload.sub);
+  if (!sub) return fail('Anonymous launches are not supported');
+
+  const roles = Array.isArray(payload[CLAIM.roles])
+    ? (payload[CLAIM.roles] as unknown[]).filter((r): r is string => typeof r === 'string')
+    : [];
+
+  const customRaw = obj(payload[CLAIM.custom]) ?? {};
+  const custom: Record<string, string> = {};
+  for (const [k, v] of Object.entries(customRaw)) {
+    if (typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean') custom[k] = String(v);
+  }
+
+  const contextClaim = obj(payload[CLAIM.context]);
+  const context = contextClaim && str(contextClaim.id)
+    ? { id: str(contextClaim.id) as string, title: str(contextClaim.title) ?? str(contextClaim.label) }
+    : null;
+
+  let resourceLink: LtiLaunch['resourceLink'] = null;
+  if (messageType === 'LtiResourceLinkRequest') {
+    const rl = obj(payload[CLAIM.resourceLink]);
+    const id = rl ? str(rl.id) : null;
+    if (!rl || !id) return fail('Missing resource link id');
+    resourceLink = { id, title: str(rl.title) };
+  }
+
+  let deepLinking: LtiLaunch['deepLinking'] = null;
+  if (messageType === 'LtiDeepLinkingRequest') {
+    const settings = obj(payload[CLAIM.deepLinkingSettings]);
+    const returnUrl = settings ? str(settings.deep_link_return_url) : null;
+    if (!settings || !returnUrl) return fail('Missing deep_link_return_url');
+    const acceptTypes = Array.isArray(settings.accept_types)
+      ? settings.accept_types.filter((t): t is string => typeof t === 'string')
+      : [];
+    if (!acceptTypes.includes('ltiResourceLink')) return fail('The platform does not accept LTI resource links here');
+    deepLinking = {
+      returnUrl,
+      data: str(settings.data),
+      acceptTypes,
+      acceptMultiple: settings.accept_multiple !== false,
+    };
+  }
+
+  const agsClaim = obj(payload[CLAIM.ags]);
+  const ags = agsClaim
+    ? {
+        lineitem: str(agsClaim.lineitem),
+        lineitems: str(agsClaim.lineitems),
+        scope: Array.isArray(agsClaim.scope) ? agsClaim.scope.filter((s): s is string => typeof s === 'string') : [],
+      }
+    : null;
+
+  const email = str(payload.email)?.toLowerCase() ?? null;
+
+  return {
+    ok: true,
+    launch: {
+      messageType,
+      deploymentId,
+      sub,
+      role: mapLtiRoles(roles),
+      roles,
+      email: email && EMAIL_RE.test(email) ? email : null,
+      givenName: str(payload.given_name),
+      familyName: str(payload.family_name),
+      name: str(payload.name),
+      context,
+      resourceLink,
+      custom,
+      target: parseTarget(custom[TARGET_PARAM]),
+      ags,
+      deepLinking,
+    },
+  };
+}
+
+/** One picked item for a deep-linking response. */
+export interface DeepLinkItem {
+  title: string;
+  text?: string | null;
+  target: LtiTarget;
+  ownerId: string;
+  /** Set for items whose completion is graded (practice sets): the
+   *  platform creates a gradebook line item out of 0..scoreMaximum. */
+  lineItem?: { label: string; scoreMaximum: number } | null;
+}
+
+/** The ltiResourceLink content item for one picked item. Opens in a new
+ *  window — the session cookie is SameSite=Lax, so it isn't sent to
+ *  an iframe inside the LMS. */
+export function resourceLinkContentItem(item: DeepLinkItem, launchUrl: string): Record<string, unknown> {
+  return {
+    type: 'ltiResourceLink',
+    title: item.title,
+    ...(item.text ? { text: item.text } : {}),
+    url: launchUrl,
+    custom: { [TARGET_PARAM]: formatTarget(item.target), [OWNER_PARAM]: item.ownerId },
+    window: { targetName: 'studyworks' },
+    ...(item.lineItem
+      ? {
+          lineItem: {
+            label: item.lineItem.label,
+            scoreMaximum: item.lineItem.scoreMaximum,
+            resourceId: formatTarget(item.target),
+          },
+        }
+      : {}),
+  };
+}
+
+/** Payload of the LtiDeepLinkingResponse JWT the tool signs. */
+export function deepLinkingResponsePayload(p: {
+  platform: Pick<LtiPlatformConfig, 'issuer' | 'client_id'>;
+  deploymentId: string;
+  data: string | null;
+  items: DeepLinkItem[];
+  launchUrl: string;
+  nonce: string;
+  now?: number;
+}): JwtPayload {
+  const iat = Math.floor((p.now ?? Date.now()) / 1000);
+  return {
+    iss: p.platform.client_id,
+    aud: p.platform.issuer,
+    iat,
+    exp: iat + 300,
+    nonce: p.nonce,
+    [CLAIM.messageType]: 'LtiDeepLinkingResponse',
+    [CLAIM.version]: LTI_VERSION,
+    [CLAIM.deploymentId]: p.deploymentId,
+    [CLAIM.contentItems]: p.items.map((item) => resourceLinkContentItem(item, p.launchUrl)),
+    ...(p.data ? { [CLAIM.deepLinkingData]: p.data } : {}),
+  };
+}
+
+/** Payload of the client-credentials assertion for the platform's token
+ *  endpoint (RFC 7523, as LTI Security Framework §4.1 uses it). */
+export function clientAssertionPayload(p: {
+  platform: Pick<LtiPlatformConfig, 'client_id' | 'auth_token_url'>;
+  jti: string;
+  now?: number;
+}): JwtPayload {
+  const iat = Math.floor((p.now ?? Date.now()) / 1000);
+  return {
+    iss: p.platform.client_id,
+    sub: p.platform.client_id,
+    aud: p.platform.auth_token_url,
+    iat,
+    exp: iat + 300,
+    jti: p.jti,
+  };
+}
+
+/** The AGS scores endpoint of a line item URL (which may carry a query). */
+export function scoresUrl(lineitem: string): string {
+  const url = new URL(lineitem);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/scores`;
+  return url.toString();
+}
+
+export interface LtiScore {
+  userId: string;
+  scoreGiven: number;
+  scoreMaximum: number;
+  timestamp: string;
+  activityProgress: 'Completed';
+  gradingProgress: 'FullyGraded';
+}
+
+export function scorePayload(p: { userId: string; scoreGiven: number; scoreMaximum: number; timestamp: string }): LtiScore {
+  return {
+    userId: p.userId,
+    scoreGiven: p.scoreGiven,
+    scoreMaximum: p.scoreMaximum,
+    timestamp: p.timestamp,
+    activityProgress: 'Completed',
+    gradingProgress: 'FullyGraded',
+  };
+}
+
+/**
+ * A practice set's score: the questions whose most recent attempt (as
+ * of completion) was correct, out of the set size. An unanswered
+ * question counts as wrong, matching a submitted-early set.
+ */
+export function practiceSetScore(
+  questionIds: readonly string[],
+  attempts: ReadonlyArray<{ question_id: string; is_correct: boolean; created_at: string }>,
+): { scoreGiven: number; scoreMaximum: number } {
+  const wanted = new Set(questionIds);
+  const latest = new Map<string, { is_correct: boolean; created_at: string }>();
+  for (const a of attempts) {
+    if (!wanted.has(a.question_id)) continue;
+    const prev = latest.get(a.question_id);
+    if (!prev || a.created_at > prev.created_at) latest.set(a.question_id, a);
+  }
+  let correct = 0;
+  for (const a of latest.values()) if (a.is_correct) correct++;
+  return { scoreGiven: correct, scoreMaximum: wanted.size };
+}
+
+/** Seconds to wait after grade push attempt n (1-based) fails; one entry
+ *  per retry, about a day in all before it is given up on. */
+export const GRADE_RETRY_SECONDS = [60, 300, 1_800, 3_600, 4 * 3_600, 12 * 3_600] as const;
+export const MAX_GRADE_ATTEMPTS = GRADE_RETRY_SECONDS.length + 1;
+
+export function gradePushOutcome(
+  attempt: number,
+  statusCode: number | null,
+  now: number = Date.now(),
+): { status: 'sent' } | { status: 'pending'; nextAttemptAt: string } | { status: 'dead' } {
+  if (statusCode !== null && statusCode >= 200 && statusCode < 300) return { status: 'sent' };
+  // A 4xx other than 408/429 won't fix itself (unknown user, deleted
+  // line item); stop rather than hammer the platform for a day.
+  const permanent = statusCode !== null && statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429;
+  if (permanent || attempt >= MAX_GRADE_ATTEMPTS) return { status: 'dead' };
+  return { status: 'pending', nextAttemptAt: new Date(now + GRADE_RETRY_SECONDS[attempt - 1] * 1000).toISOString() };
+}
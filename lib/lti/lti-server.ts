@@ -0,0 +1,760 @@
+// LTI 1.3 — the IO half. Platform lookup and JWKS, login state, user
+// and resource-link mapping, session start, deep-link responses, and
+// the Assignment and Grade Services score outbox. The claim rules and
+// message shapes live in lib/lti/launch.ts; JWT signing in
+// lib/lti/jwt.ts.
+//
+// Every function takes the service-role client: a launch arrives with
+// no session, and the tables it writes are service-only under RLS.
+//
+// Trust. A platform is trusted for what its signed tokens say about
+// its own users, never beyond: an LTI user only links to an existing
+// account by email when the admin turned on match_email for that
+// platform, a launch can't raise a role or reach a staff account
+// (reconcileRole), and a link's owner and target are only honoured
+// when the owner is a teacher who has launched from the same platform
+// and owns the assignment.
+
+import { randomBytes, randomUUID } from 'node:crypto';
+import { NextResponse, type NextRequest } from 'next/server';
+import { logger } from '@/lib/api/logger';
+import { createClient, createServiceClient, type TypedSupabaseClient } from '@/lib/supabase/server';
+import { studentQuestionIds } from '@/lib/practice/adaptive';
+import type { UserRole } from '@/lib/types';
+import { loadPrivateKey, publicJwk, signJwt, verifyJwt, JwtError, type Jwks, type JwtPayload } from './jwt';
+import {
+  AGS_SCOPE,
+  OWNER_PARAM,
+  clientAssertionPayload,
+  deepLinkingResponsePayload,
+  gradePushOutcome,
+  newAccountRole,
+  placeholderEmail,
+  practiceSetScore,
+  reconcileRole,
+  scorePayload,
+  scoresUrl,
+  type DeepLinkItem,
+  type LtiLaunch,
+  type LtiPlatformConfig,
+  type LtiTarget,
+} from './launch';
+
+/** How long a login state waits for its launch. */
+export const LOGIN_STATE_TTL_MS = 10 * 60_000;
+/** How long a teacher has to finish picking in the deep-link picker. */
+export const DEEP_LINK_TTL_MS = 60 * 60_000;
+
+const JWKS_CACHE_MS = 10 * 60_000;
+const FETCH_TIMEOUT_MS = 10_000;
+const CLAIM_LEASE_MS = 5 * 60_000;
+const PG_UNIQUE_VIOLATION = '23505';
+
+export interface LtiPlatform extends LtiPlatformConfig {
+  name: string;
+  match_email: boolean;
+  allow_teacher_provisioning: boolean;
+}
+
+const PLATFORM_COLUMNS =
+  'id, name, issuer, client_id, deployment_ids, auth_login_url, auth_token_url, jwks_url, match_email, allow_teacher_provisioning';
+
+// ── Tool key ──────────────────────────────────────────────────────────
+
+/** The tool's signing key from LTI_PRIVATE_KEY (PKCS#8 or PKCS#1 PEM)
+ *  and its key id from LTI_KEY_ID. Throws when unset. */
+export function toolSigningKey(): { key: ReturnType<typeof loadPrivateKey>; kid: string } {
+  const pem = process.env.LTI_PRIVATE_KEY;
+  if (!pem) throw new Error('LTI_PRIVATE_KEY is not set');
+  return { key: loadPrivateKey(pem), kid: process.env.LTI_KEY_ID || 'studyworks-lti-1' };
+}
+
+export function toolJwks(): Jwks {
+  const { key, kid } = toolSigningKey();
+  return { keys: [publicJwk(key, kid)] };
+}
+
+/** The origin the tool is registered under. NEXT_PUBLIC_SITE_URL wins
+ *  so a preview deployment still hands out the registered URLs. */
+export function toolOrigin(requestUrl: string): string {
+  return process.env.NEXT_PUBLIC_SITE_URL || new URL(requestUrl).origin;
+}
+
+/** The tool endpoints a platform admin registers, for `origin`. */
+export function toolEndpoints(origin: string) {
+  return {
+    login: `${origin}/api/lti/login`,
+    launch: `${origin}/api/lti/launch`,
+    jwks: `${origin}/api/lti/jwks`,
+  };
+}
+
+/**
+ * A plain HTML page for a launch that can't go ahead. The user is
+ * inside their LMS, so the message says what to do there; the detail
+ * is in the log.
+ */
+export function ltiErrorPage(message: string, status = 400): NextResponse {
+  const esc = message.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  const body = `<!doctype html>
+<html><head><meta charset="utf-8"><title>Studyworks launch</title></head>
+<body style="font-family:system-ui;max-width:560px;margin:4rem auto;padding:0 1.5rem;color:#1f2937">
+  <h1 style="font-size:1.5rem;margin:0 0 0.5rem">Couldn't open Studyworks</h1>
+  <p>${esc}</p>
+  <p style="color:#6b7280">Go back to your course and try the link again. If it keeps happening, send this message to your teacher or school admin.</p>
+</body></html>`;
+  return new NextResponse(body, { status, headers: { 'content-type': 'text/html; charset=utf-8' } });
+}
+
+// ── Platforms ─────────────────────────────────────────────────────────
+
+/**
+ * The enabled platform for `issuer` (and `clientId`, when the login
+ * request carried one). An issuer registered more than once needs the
+ * client_id to tell them apart.
+ */
+export async function findPlatform(
+  svc: TypedSupabaseClient,
+  issuer: string,
+  clientId: string | null,
+): Promise<LtiPlatform | null> {
+  let q = svc.from('lti_platforms').select(PLATFORM_COLUMNS).eq('issuer', issuer).is('disabled_at', null);
+  if (clientId) q = q.eq('client_id', clientId);
+  const { data, error } = await q.limit(2);
+  if (error) throw new Error(`platform lookup failed: ${error.message}`);
+  return data?.length === 1 ? data[0] : null;
+}
+
+export async function getPlatform(svc: TypedSupabaseClient, id: string): Promise<LtiPlatform | null> {
+  const { data } = await svc.from('lti_platforms').select(PLATFORM_COLUMNS).eq('id', id).is('disabled_at', null).maybeSingle();
+  return data ?? null;
+}
+
+const jwksCache = new Map<string, { jwks: Jwks; fetchedAt: number }>();
+
+async function platformJwks(url: string, { refresh = false } = {}): Promise<Jwks> {
+  const cached = jwksCache.get(url);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < JWKS_CACHE_MS) return cached.jwks;
+  const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), cache: 'no-store' });
+  if (!res.ok) throw new Error(`platform JWKS fetch failed: HTTP ${res.status}`);
+  const jwks = (await res.json()) as Jwks;
+  if (!Array.isArray(jwks?.keys)) throw new Error('platform JWKS has no keys');
+  jwksCache.set(url, { jwks, fetchedAt: Date.now() });
+  return jwks;
+}
+
+/** Verify an id_token against the platform's JWKS. A kid the cached set
+ *  doesn't know triggers one refetch — platforms rotate keys. */
+export async function verifyPlatformToken(platform: LtiPlatform, idToken: string): Promise<JwtPayload> {
+  try {
+    return verifyJwt(idToken, await platformJwks(platform.jwks_url));
+  } catch (err) {
+    if (!(err instanceof JwtError) || !err.message.startsWith('No signing key')) throw err;
+    return verifyJwt(idToken, await platformJwks(platform.jwks_url, { refresh: true }));
+  }
+}
+
+// ── OIDC login state ──────────────────────────────────────────────────
+
+export async function createLoginState(
+  svc: TypedSupabaseClient,
+  platformId: string,
+): Promise<{ state: string; nonce: string }> {
+  const state = randomBytes(24).toString('base64url');
+  const nonce = randomBytes(24).toString('base64url');
+  const { error } = await svc.from('lti_login_states').insert({ state, nonce, platform_id: platformId });
+  if (error) throw new Error(`login state insert failed: ${error.message}`);
+  // Abandoned logins never reach a launch; sweep them as new ones arrive.
+  await svc
+    .from('lti_login_states')
+    .delete()
+    .lt('created_at', new Date(Date.now() - LOGIN_STATE_TTL_MS).toISOString());
+  return { state, nonce };
+}
+
+/** Take `state` (single use) and return its nonce and platform, or null
+ *  when it is unknown, already used, or stale. */
+export async function consumeLoginState(
+  svc: TypedSupabaseClient,
+  state: string,
+): Promise<{ nonce: string; platformId: string } | null> {
+  const { data } = await svc
+    .from('lti_login_states')
+    .delete()
+    .eq('state', state)
+    .select('nonce, platform_id, created_at')
+    .maybeSingle();
+  if (!data) return null;
+  if (Date.now() - new Date(data.created_at).getTime() > LOGIN_STATE_TTL_MS) return null;
+  return { nonce: data.nonce, platformId: data.platform_id };
+}
+
+/**
+ * The state also rides in a cookie on the browser that started the
+ * login, and the launch only goes ahead when that browser brings it
+ * back — otherwise anyone could complete a login they started
+ * themselves in someone else's browser (login CSRF). One cookie per
+ * state so parallel launches don't overwrite each other. SameSite=None:
+ * the launch is a cross-site form post from the platform.
+ */
+function loginStateCookieName(state: string): string {
+  return `lti_state_${state}`;
+}
+
+export function setLoginStateCookie(res: NextResponse, state: string): void {
+  res.cookies.set(loginStateCookieName(state), '1', {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    path: '/api/lti/launch',
+    maxAge: LOGIN_STATE_TTL_MS / 1000,
+  });
+}
+
+export function hasLoginStateCookie(req: NextRequest, state: string): boolean {
+  return req.cookies.get(loginStateCookieName(state))?.value === '1';
+}
+
+export function clearLoginStateCookie(res: NextResponse, state: string): void {
+  res.cookies.set(loginStateCookieName(state), '', { path: '/api/lti/launch', maxAge: 0 });
+}
+
+// ── Users ─────────────────────────────────────────────────────────────
+
+export interface LtiAccount {
+  profileId: string;
+  email: string;
+  role: UserRole;
+}
+
+/**
+ * The account a launch signs in as: the linked one, else (match_email
+ * platforms) the one with the launch's email, else a new account —
+ * a teacher one only where the platform allows it (newAccountRole).
+ * Links the platform user on first sight.
+ */
+export async function resolveLtiUser(
+  svc: TypedSupabaseClient,
+  platform: LtiPlatform,
+  launch: LtiLaunch,
+): Promise<{ ok: true; account: LtiAccount } | { ok: false; error: string }> {
+  if (!launch.role) return { ok: false, error: 'Your course role has no access to Studyworks.' };
+
+  const { data: link } = await svc
+    .from('lti_users')
+    .select('profile:profiles!lti_users_profile_id_fkey(id, email, role)')
+    .eq('platform_id', platform.id)
+    .eq('sub', launch.sub)
+    .maybeSingle();
+  let profile: { id: string; email: string | null; role: string } | null = link?.profile ?? null;
+  const linked = Boolean(profile);
+
+  if (!profile && platform.match_email && launch.email) {
+    const { data } = await svc.from('profiles').select('id, email, role').eq('email', launch.email).maybeSingle();
+    profile = data ?? null;
+  }
+
+  if (profile) {
+    const check = reconcileRole(launch.role, profile.role);
+    if (!check.ok) return check;
+    if (check.promote) {
+      const { error } = await svc.from('profiles').update({ role: 'student' }).eq('id', profile.id);
+      if (error) return { ok: false, error: `Could not update your account: ${error.message}` };
+      profile = { ...profile, role: 'student' };
+    }
+  } else {
+    const role = newAccountRole(launch.role, platform.allow_teacher_provisioning);
+    if (!role.ok) return role;
+    const email = launch.email ?? placeholderEmail(platform.id, launch.sub);
+    const { data, error } = await svc.auth.admin.createUser({
+      email,
+      email_confirm: true,
+      user_metadata: {
+        first_name: launch.givenName ?? launch.name ?? '',
+        last_name: launch.familyName ?? '',
+        user_type: role.role,
+        lti_platform: platform.name,
+      },
+    });
+    if (error || !data?.user?.id) {
+      if (launch.email && /already|registered|exists/i.test(error?.message ?? '')) {
+        return {
+          ok: false,
+          error: 'A Studyworks account already uses your email. Ask your school admin to turn on email matching for this LMS.',
+        };
+      }
+      return { ok: false, error: `Could not create your account: ${error?.message ?? 'unknown'}` };
+    }
+    profile = { id: data.user.id, email, role: role.role };
+  }
+
+  if (linked) {
+    await svc
+      .from('lti_users')
+      .update({ last_launch_at: new Date().toISOString() })
+      .eq('platform_id', platform.id)
+      .eq('sub', launch.sub);
+  } else {
+    const { error } = await svc
+      .from('lti_users')
+      .insert({ platform_id: platform.id, sub: launch.sub, profile_id: profile.id });
+    if (error && error.code !== PG_UNIQUE_VIOLATION) {
+      return { ok: false, error: `Could not link your account: ${error.message}` };
+    }
+  }
+
+  if (!profile.email) return { ok: false, error: 'Your account has no email to sign in with.' };
+  return { ok: true, account: { profileId: profile.id, email: profile.email, role: profile.role as UserRole } };
+}
+
+/**
+ * Sign the browser in as `email` on the cookie-aware client — the
+ * magic-link hashed_token exchange /auth/demo uses, so the session
+ * cookies land on the launch response. Route handlers only.
+ */
+export async function startLtiSession(svc: TypedSupabaseClient, email: string): Promise<string | null> {
+  const { data, error } = await svc.auth.admin.generateLink({ type: 'magiclink', email });
+  if (error || !data?.properties?.hashed_token) return error?.message ?? 'no token';
+  const supabase = await createClient();
+  const { error: verifyErr } = await supabase.auth.verifyOtp({
+    token_hash: data.properties.hashed_token,
+    type: 'email',
+  });
+  return verifyErr?.message ?? null;
+}
+
+// ── Resource links ────────────────────────────────────────────────────
+
+export interface LtiResourceLink {
+  id: string;
+  target_type: string | null;
+  target_id: string | null;
+  owner_id: string | null;
+  lineitem_url: string | null;
+}
+
+/**
+ * Check a link's claimed owner and target: the owner must be a teacher
+ * this platform has launched, and an assignment target must be theirs.
+ * Returns what to store; an unverifiable claim stores nothing.
+ */
+async function verifiedTarget(
+  svc: TypedSupabaseClient,
+  platform: LtiPlatform,
+  target: LtiTarget | null,
+  ownerId: string | null,
+): Promise<{ target: LtiTarget | null; ownerId: string | null }> {
+  const none = { target: null, ownerId: null };
+  if (!target || !ownerId) return none;
+  const { data: owner } = await svc
+    .from('lti_users')
+    .select('profile:profiles!lti_users_profile_id_fkey(role)')
+    .eq('platform_id', platform.id)
+    .eq('profile_id', ownerId)
+    .limit(1)
+    .maybeSingle();
+  if (!owner?.profile || !['teacher', 'manager', 'admin'].includes(owner.profile.role)) return none;
+
+  if (target.type === 'assignment') {
+    const { data } = await svc
+      .from('assignments_v2')
+      .select('id')
+      .eq('id', target.id)
+      .eq('teacher_id', ownerId)
+      .is('deleted_at', null)
+      .maybeSingle();
+    return data ? { target, ownerId } : none;
+  }
+  const { data } = await svc.from('lessons').select('id').eq('id', target.id).eq('status', 'published').maybeSingle();
+  return data ? { target, ownerId } : none;
+}
+
+/** Upsert the launched resource link with its context, target and AGS
+ *  line item. A link that already has a verified target keeps it. */
+export async function recordResourceLink(
+  svc: TypedSupabaseClient,
+  platform: LtiPlatform,
+  launch: LtiLaunch,
+): Promise<LtiResourceLink> {
+  if (!launch.resourceLink) throw new Error('not a resource link launch');
+  const { data: existing } = await svc
+    .from('lti_resource_links')
+    .select('id, target_type, target_id, owner_id, lineitem_url')
+    .eq('platform_id', platform.id)
+    .eq('resource_link_id', launch.resourceLink.id)
+    .maybeSingle();
+
+  const verified =
+    existing?.target_type && existing.owner_id
+      ? { target: null, ownerId: null }
+      : await verifiedTarget(svc, platform, launch.target, launch.custom[OWNER_PARAM] ?? null);
+  if (launch.target && !existing?.target_type && !verified.target) {
+    logger.warn(
+      { event: 'lti_target_rejected', platform_id: platform.id, resource_link_id: launch.resourceLink.id },
+      'lti_target_rejected',
+    );
+  }
+
+  const canScore = Boolean(launch.ags?.lineitem && launch.ags.scope.includes(AGS_SCOPE.score));
+  const row = {
+    platform_id: platform.id,
+    resource_link_id: launch.resourceLink.id,
+    deployment_id: launch.deploymentId,
+    context_id: launch.context?.id ?? null,
+    context_title: launch.context?.title ?? null,
+    title: launch.resourceLink.title,
+    ...(verified.target
+      ? { target_type: verified.target.type, target_id: verified.target.id, owner_id: verified.ownerId }
+      : {}),
+    ...(canScore ? { lineitem_url: launch.ags?.lineitem ?? null, ags_scopes: launch.ags?.scope ?? [] } : {}),
+    updated_at: new Date().toISOString(),
+  };
+  const { data, error } = await svc
+    .from('lti_resource_links')
+    .upsert(row, { onConflict: 'platform_id,resource_link_id' })
+    .select('id, target_type, target_id, owner_id, lineitem_url')
+    .single();
+  if (error || !data) throw new Error(`resource link upsert failed: ${error?.message ?? 'unknown'}`);
+  return data;
+}
+
+/**
+ * A student launched `link`: remember them for grade passback, put them
+ * on the owner's roster (the teacher_student_assignments edge can_view
+ * follows), and add them to the linked assignment.
+ */
+export async function enrollLearner(
+  svc: TypedSupabaseClient,
+  link: LtiResourceLink,
+  profileId: string,
+  sub: string,
+): Promise<void> {
+  const { error } = await svc
+    .from('lti_link_learners')
+    .upsert(
+      { resource_link_id: link.id, profile_id: profileId, lti_sub: sub, last_launch_at: new Date().toISOString() },
+      { onConflict: 'resource_link_id,profile_id' },
+    );
+  if (error) throw new Error(`link learner upsert failed: ${error.message}`);
+
+  if (link.owner_id) {
+    const { error: tsErr } = await svc
+      .from('teacher_student_assignments')
+      .upsert({ teacher_id: link.owner_id, student_id: profileId }, { onConflict: 'teacher_id,student_id', ignoreDuplicates: true });
+    if (tsErr) throw new Error(`roster link failed: ${tsErr.message}`);
+  }
+
+  if (link.target_type === 'assignment' && link.target_id) {
+    const { data: assignment } = await svc
+      .from('assignments_v2')
+      .select('test_type')
+      .eq('id', link.target_id)
+      .maybeSingle();
+    if (!assignment) return;
+    const { error: asErr } = await svc
+      .from('assignment_students_v2')
+      .upsert(
+        { assignment_id: link.target_id, student_id: profileId, test_type: assignment.test_type },
+        { onConflict: 'assignment_id,student_id', ignoreDuplicates: true },
+      );
+    if (asErr) throw new Error(`assignment enrollment failed: ${asErr.message}`);
+  }
+}
+
+/** Where a resource-link launch lands. */
+export function landingPath(link: LtiResourceLink | null, role: UserRole): string {
+  const staff = role === 'teacher' || role === 'manager' || role === 'admin';
+  if (link?.target_type === 'assignment' && link.target_id) {
+    return staff ? `/tutor/assignments/${link.target_id}` : `/assignments/${link.target_id}`;
+  }
+  if (link?.target_type === 'lesson' && link.target_id) {
+    return staff ? `/tutor/lessons/${link.target_id}/preview` : `/learn/${link.target_id}`;
+  }
+  return staff ? '/tutor/dashboard' : '/dashboard';
+}
+
+// ── Deep linking ──────────────────────────────────────────────────────
+
+export async function createDeepLinkRequest(
+  svc: TypedSupabaseClient,
+  platform: LtiPlatform,
+  launch: LtiLaunch,
+  profileId: string,
+): Promise<string> {
+  if (!launch.deepLinking) throw new Error('not a deep-linking launch');
+  const { data, error } = await svc
+    .from('lti_deep_link_requests')
+    .insert({
+      platform_id: platform.id,
+      deployment_id: launch.deploymentId,
+      profile_id: profileId,
+      return_url: launch.deepLinking.returnUrl,
+      data: launch.deepLinking.data,
+      accept_multiple: launch.deepLinking.acceptMultiple,
+      context_title: launch.context?.title ?? null,
+    })
+    .select('id')
+    .single();
+  if (error || !data) throw new Error(`deep-link request insert failed: ${error?.message ?? 'unknown'}`);
+  return data.id;
+}
+
+/**
+ * Sign the LtiDeepLinkingResponse for a teacher's picks and mark the
+ * request used. The caller has already checked the items are theirs.
+ */
+export async function completeDeepLink(
+  svc: TypedSupabaseClient,
+  requestId: string,
+  profileId: string,
+  items: DeepLinkItem[],
+  origin: string,
+): Promise<{ ok: true; returnUrl: string; jwt: string } | { ok: false; error: string }> {
+  const { data: req } = await svc
+    .from('lti_deep_link_requests')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', requestId)
+    .eq('profile_id', profileId)
+    .is('used_at', null)
+    .gte('created_at', new Date(Date.now() - DEEP_LINK_TTL_MS).toISOString())
+    .select('platform_id, deployment_id, return_url, data, accept_multiple')
+    .maybeSingle();
+  if (!req) return { ok: false, error: 'This selection has expired or was already sent. Start again from your course.' };
+  if (!req.accept_multiple && items.length > 1) return { ok: false, error: 'Your LMS accepts one item here.' };
+
+  const platform = await getPlatform(svc, req.platform_id);
+  if (!platform) return { ok: false, error: 'This LMS is no longer registered.' };
+
+  const { key, kid } = toolSigningKey();
+  const payload = deepLinkingResponsePayload({
+    platform,
+    deploymentId: req.deployment_id,
+    data: req.data,
+    items,
+    launchUrl: toolEndpoints(origin).launch,
+    nonce: randomBytes(16).toString('base64url'),
+  });
+  return { ok: true, returnUrl: req.return_url, jwt: signJwt(payload, key, kid) };
+}
+
+// ── Grade passback ────────────────────────────────────────────────────
+
+export type GradePushResult = 'sent' | 'pending' | 'dead' | 'skipped';
+
+const tokenCache = new Map<string, { token: string; expiresAt: number }>();
+
+/** An AGS access token from the platform's token endpoint, via a
+ *  client assertion signed with the tool key. Cached until a minute
+ *  before it expires. */
+async function platformAccessToken(platform: LtiPlatform, scope: string): Promise<string> {
+  const cacheKey = `${platform.id}:${scope}`;
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now() + 60_000) return cached.token;
+
+  const { key, kid } = toolSigningKey();
+  const assertion = signJwt(clientAssertionPayload({ platform, jti: randomUUID() }), key, kid);
+  const res = await fetch(platform.auth_token_url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: assertion,
+      scope,
+    }),
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  const body = (await res.json().catch(() => null)) as { access_token?: string; expires_in?: number } | null;
+  if (!res.ok || !body?.access_token) throw new Error(`token request failed: HTTP ${res.status}`);
+  tokenCache.set(cacheKey, { token: body.access_token, expiresAt: Date.now() + (body.expires_in ?? 3600) * 1000 });
+  return body.access_token;
+}
+
+/**
+ * Queue a score for every graded link `studentId` launched that points
+ * at `assignmentId`, and return the new push ids. Keyed on the
+ * completion time, so a repeated call queues nothing new.
+ */
+export async function enqueueLtiScores(
+  svc: TypedSupabaseClient,
+  studentId: string,
+  assignmentId: string,
+  completedAt: string,
+): Promise<string[]> {
+  const { data: links, error } = await svc
+    .from('lti_link_learners')
+    .select('resource_link_id, link:lti_resource_links!inner(id, lineitem_url, target_type, target_id)')
+    .eq('profile_id', studentId)
+    .eq('link.target_type', 'assignment')
+    .eq('link.target_id', assignmentId)
+    .not('link.lineitem_url', 'is', null);
+  if (error) throw new Error(`graded link lookup failed: ${error.message}`);
+  if (!links?.length) return [];
+
+  const [{ data: assignment }, { data: junction }] = await Promise.all([
+    svc.from('assignments_v2').select('assignment_type, question_ids').eq('id', assignmentId).maybeSingle(),
+    svc
+      .from('assignment_students_v2')
+      .select('question_ids')
+      .eq('assignment_id', assignmentId)
+      .eq('student_id', studentId)
+      .maybeSingle(),
+  ]);
+  // An adaptive assignment is scored on the student's own drawn set.
+  const questionIds = assignment ? studentQuestionIds(assignment, junction?.question_ids) : [];
+  if (questionIds.length === 0) return [];
+  const { data: attempts } = await svc
+    .from('attempts')
+    .select('question_id, is_correct, created_at')
+    .eq('user_id', studentId)
+    .in('question_id', questionIds)
+    .lte('created_at', completedAt);
+  const score = practiceSetScore(questionIds, attempts ?? []);
+
+  const { data: rows, error: insErr } = await svc
+    .from('lti_grade_pushes')
+    .upsert(
+      links.map((l) => ({
+        resource_link_id: l.resource_link_id,
+        profile_id: studentId,
+        assignment_id: assignmentId,
+        score_given: score.scoreGiven,
+        score_maximum: score.scoreMaximum,
+        completed_at: completedAt,
+      })),
+      { onConflict: 'resource_link_id,profile_id,completed_at', ignoreDuplicates: true },
+    )
+    .select('id');
+  if (insErr) throw new Error(`grade push insert failed: ${insErr.message}`);
+  return (rows ?? []).map((r) => r.id);
+}
+
+/**
+ * One attempt at a due grade push: claim it, post the score to the
+ * line item, and mark it sent, schedule a retry, or give up.
+ */
+export async function attemptGradePush(svc: TypedSupabaseClient, pushId: string): Promise<GradePushResult> {
+  const now = Date.now();
+  const { data: push, error: claimErr } = await svc
+    .from('lti_grade_pushes')
+    .update({ next_attempt_at: new Date(now + CLAIM_LEASE_MS).toISOString() })
+    .eq('id', pushId)
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date(now).toISOString())
+    .select(
+      'id, attempts, profile_id, score_given, score_maximum, completed_at, link:lti_resource_links(platform_id, lineitem_url)',
+    )
+    .maybeSingle();
+  if (claimErr) throw new Error(`grade push claim failed: ${claimErr.message}`);
+  if (!push?.link?.lineitem_url) return 'skipped';
+  const platform = await getPlatform(svc, push.link.platform_id);
+  if (!platform) return 'skipped';
+
+  const { data: learner } = await svc
+    .from('lti_users')
+    .select('sub')
+    .eq('platform_id', platform.id)
+    .eq('profile_id', push.profile_id)
+    .limit(1)
+    .maybeSingle();
+
+  const attempt = push.attempts + 1;
+  let statusCode: number | null = null;
+  let lastError: string | null = null;
+  if (!learner) {
+    statusCode = 404;
+    lastError = 'student is no longer linked to this platform';
+  } else {
+    try {
+      const token = await platformAccessToken(platform, AGS_SCOPE.score);
+      const res = await fetch(scoresUrl(push.link.lineitem_url), {
+        method: 'POST',
+        headers: {
+          authorization: `Bearer ${token}`,
+          'content-type': 'application/vnd.ims.lis.v1.score+json',
+        },
+        body: JSON.stringify(
+          scorePayload({
+            userId: learner.sub,
+            scoreGiven: Number(push.score_given),
+            scoreMaximum: Number(push.score_maximum),
+            timestamp: push.completed_at,
+          }),
+        ),
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+      statusCode = res.status;
+      if (!res.ok) lastError = (await res.text().catch(() => '')).slice(0, 500) || `HTTP ${res.status}`;
+    } catch (err) {
+      lastError = (err as Error).message;
+    }
+  }
+
+  const outcome = gradePushOutcome(attempt, statusCode);
+  const { error: updErr } = await svc
+    .from('lti_grade_pushes')
+    .update({
+      status: outcome.status,
+      attempts: attempt,
+      last_status_code: statusCode,
+      last_error: lastError,
+      ...(outcome.status === 'pending' ? { next_attempt_at: outcome.nextAttemptAt } : {}),
+      ...(outcome.status === 'sent' ? { sent_at: new Date().toISOString() } : {}),
+    })
+    .eq('id', pushId);
+  if (updErr) throw new Error(`grade push update failed: ${updErr.message}`);
+  if (outcome.status === 'dead') {
+    logger.warn({ event: 'lti_grade_push_dead', push_id: pushId, status_code: statusCode, last_error: lastError }, 'lti_grade_push_dead');
+  }
+  return outcome.status;
+}
+
+/** The cron sweep: attempt up to `limit` due pushes, oldest first,
+ *  starting none once `budgetMs` has elapsed. */
+export async function processDueGradePushes(
+  svc: TypedSupabaseClient,
+  { limit = 100, budgetMs = Infinity }: { limit?: number; budgetMs?: number } = {},
+): Promise<Record<GradePushResult, number> & { failed: number; deferred: number }> {
+  const started = Date.now();
+  const { data: due, error } = await svc
+    .from('lti_grade_pushes')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+  if (error) throw new Error(`grade push due lookup failed: ${error.message}`);
+
+  const counts = { sent: 0, pending: 0, dead: 0, skipped: 0, failed: 0, deferred: 0 };
+  for (const row of due ?? []) {
+    if (Date.now() - started > budgetMs) {
+      counts.deferred++;
+      continue;
+    }
+    try {
+      counts[await attemptGradePush(svc, row.id)]++;
+    } catch (err) {
+      counts.failed++;
+      logger.warn({ event: 'lti_grade_push_failed', push_id: row.id, err: (err as Error).message }, 'lti_grade_push_failed');
+    }
+  }
+  return counts;
+}
+
+/**
+ * Queue and attempt the scores for a completed practice set. Never
+ * throws — grade passback must not fail the student's submit; anything
+ * that didn't go out is left for /api/cron/lti-grades.
+ */
+export async function dispatchLtiScores(studentId: string, assignmentId: string, completedAt: string): Promise<void> {
+  try {
+    const svc = createServiceClient();
+    const ids = await enqueueLtiScores(svc, studentId, assignmentId, completedAt);
+    for (const id of ids) await attemptGradePush(svc, id);
+  } catch (err) {
+    logger.warn(
+      { event: 'lti_score_dispatch_failed', assignment_id: assignmentId, err: (err as Error).message },
+      'lti_score_dispatch_failed',
+    );
+  }
+}
@@ -0,0 +1,331 @@
+// LTI 1.3: RS256 JWT signing and verification against a JWKS, launch
+// claim validation for a mock platform, role mapping and
+// reconciliation, the deep-linking response and client assertion, and
+// the practice-set score and grade retry rules.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+import { decodeJwt, publicJwk, signJwt, verifyJwt } from './jwt.ts';
+import {
+  CLAIM,
+  LTI_VERSION,
+  MAX_GRADE_ATTEMPTS,
+  OWNER_PARAM,
+  TARGET_PARAM,
+  buildAuthRedirect,
+  clientAssertionPayload,
+  deepLinkingResponsePayload,
+  gradePushOutcome,
+  mapLtiRoles,
+  newAccountRole,
+  parseTarget,
+  placeholderEmail,
+  practiceSetScore,
+  reconcileRole,
+  scoresUrl,
+  validateLaunch,
+} from './launch.ts';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const T = Math.floor(NOW / 1000);
+const ASSIGNMENT = '11111111-1111-4111-8111-111111111111';
+const TEACHER = '22222222-2222-4222-8222-222222222222';
+
+const ROLE = {
+  instructor: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+  ta: 'http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant',
+  learner: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner',
+  mentor: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Mentor',
+  faculty: 'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Faculty',
+  student: 'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Student',
+  sysAdmin: 'http://purl.imsglobal.org/vocab/lis/v2/system/person#Administrator',
+};
+
+// A mock platform: its own key pair and registration.
+const platformKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const platformJwks = { keys: [publicJwk(platformKeys.privateKey, 'platform-1')] };
+const PLATFORM = {
+  id: '33333333-3333-4333-8333-333333333333',
+  issuer: 'https://lms.example.edu',
+  client_id: 'studyworks-client',
+  deployment_ids: ['dep-1'],
+  auth_login_url: 'https://lms.example.edu/api/lti/authorize_redirect',
+  auth_token_url: 'https://lms.example.edu/login/oauth2/token',
+  jwks_url: 'https://lms.example.edu/api/lti/security/jwks',
+};
+
+function launchClaims(overrides = {}) {
+  return {
+    iss: PLATFORM.issuer,
+    aud: PLATFORM.client_id,
+    sub: 'lms-user-42',
+    iat: T,
+    exp: T + 300,
+    nonce: 'nonce-1',
+    email: 'Ada@School.example.edu',
+    given_name: 'Ada',
+    family_name: 'Lovelace',
+    [CLAIM.version]: LTI_VERSION,
+    [CLAIM.messageType]: 'LtiResourceLinkRequest',
+    [CLAIM.deploymentId]: 'dep-1',
+    [CLAIM.roles]: [ROLE.learner],
+    [CLAIM.resourceLink]: { id: 'rl-1', title: 'Week 3 practice' },
+    [CLAIM.context]: { id: 'course-9', title: 'SAT Prep P3' },
+    [CLAIM.custom]: { [TARGET_PARAM]: `assignment:${ASSIGNMENT}`, [OWNER_PARAM]: TEACHER },
+    [CLAIM.ags]: {
+      scope: ['https://purl.imsglobal.org/spec/lti-ags/scope/score'],
+      lineitem: 'https://lms.example.edu/api/lti/courses/9/line_items/7?x=1',
+    },
+    ...overrides,
+  };
+}
+
+test('signJwt / verifyJwt: round-trip, tampering, alg and time checks', () => {
+  const token = signJwt({ hello: 'world', exp: T + 60 }, platformKeys.privateKey, 'platform-1');
+  assert.deepEqual(decodeJwt(token).header, { alg: 'RS256', typ: 'JWT', kid: 'platform-1' });
+  assert.equal(verifyJwt(token, platformJwks, { now: NOW }).hello, 'world');
+
+  const [h, , s] = token.split('.');
+  const forged = `${h}.${Buffer.from(JSON.stringify({ hello: 'admin', exp: T + 60 })).toString('base64url')}.${s}`;
+  assert.throws(() => verifyJwt(forged, platformJwks, { now: NOW }), /signature/);
+
+  const none = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${token.split('.')[1]}.`;
+  assert.throws(() => verifyJwt(none, platformJwks, { now: NOW }), /alg/);
+
+  assert.throws(() => verifyJwt(token, platformJwks, { now: NOW + 10 * 60_000 }), /expired/);
+  const noExp = signJwt({ hello: 'world' }, platformKeys.privateKey, 'platform-1');
+  assert.throws(() => verifyJwt(noExp, platformJwks, { now: NOW }), /exp/);
+
+  // Unknown kid, and a key from someone else entirely.
+  const otherKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const stranger = signJwt({ exp: T + 60 }, otherKeys.privateKey, 'platform-1');
+  assert.throws(() => verifyJwt(stranger, platformJwks, { now: NOW }), /signature/);
+  const unknownKid = signJwt({ exp: T + 60 }, platformKeys.privateKey, 'rotated');
+  assert.throws(() => verifyJwt(unknownKid, platformJwks, { now: NOW }), /No signing key/);
+  assert.throws(() => verifyJwt('not.a-jwt', platformJwks, { now: NOW }), /Malformed/);
+});
+
+test('validateLaunch: a resource-link launch from the mock platform', () => {
+  const token = signJwt(launchClaims(), platformKeys.privateKey, 'platform-1');
+  const check = validateLaunch(verifyJwt(token, platformJwks, { now: NOW }), { platform: PLATFORM, nonce: 'nonce-1' });
+  assert.equal(check.ok, true);
+  const { launch } = check;
+  assert.equal(launch.messageType, 'LtiResourceLinkRequest');
+  assert.equal(launch.role, 'student');
+  assert.equal(launch.email, 'ada@school.example.edu');
+  assert.deepEqual(launch.resourceLink, { id: 'rl-1', title: 'Week 3 practice' });
+  assert.deepEqual(launch.context, { id: 'course-9', title: 'SAT Prep P3' });
+  assert.deepEqual(launch.target, { type: 'assignment', id: ASSIGNMENT });
+  assert.equal(launch.custom[OWNER_PARAM], TEACHER);
+  assert.equal(launch.ags.lineitem, 'https://lms.example.edu/api/lti/courses/9/line_items/7?x=1');
+  assert.equal(launch.deepLinking, null);
+});
+
+test('validateLaunch: refuses tokens meant for someone else or replayed', () => {
+  const bad = (overrides, nonce = 'nonce-1') =>
+    validateLaunch(launchClaims(overrides), { platform: PLATFORM, nonce });
+  assert.match(bad({ iss: 'https://evil.example' }).error, /issuer/);
+  assert.match(bad({ aud: 'other-tool' }).error, /audience/);
+  assert.match(bad({ aud: ['other-tool', PLATFORM.client_id] }).error, /azp/);
+  assert.equal(bad({ aud: ['other-tool', PLATFORM.client_id], azp: PLATFORM.client_id }).ok, true);
+  assert.match(bad({}, 'a-different-nonce').error, /Nonce/);
+  assert.match(bad({ [CLAIM.version]: '1.1' }).error, /1\.3/);
+  assert.match(bad({ [CLAIM.messageType]: 'LtiSubmissionReviewRequest' }).error, /message type/);
+  assert.match(bad({ [CLAIM.deploymentId]: 'dep-2' }).error, /not registered/);
+  assert.match(bad({ sub: '' }).error, /Anonymous/);
+  assert.match(bad({ [CLAIM.resourceLink]: {} }).error, /resource link/);
+  // A bad email or target is dropped, not fatal.
+  const soft = bad({ email: 'not-an-email', [CLAIM.custom]: { [TARGET_PARAM]: 'assignment:42' } });
+  assert.equal(soft.ok, true);
+  assert.equal(soft.launch.email, null);
+  assert.equal(soft.launch.target, null);
+});
+
+test('validateLaunch: deep-linking request settings', () => {
+  const settings = {
+    deep_link_return_url: 'https://lms.example.edu/courses/9/deep_linking_response',
+    accept_types: ['ltiResourceLink', 'link'],
+    accept_multiple: false,
+    data: 'opaque-123',
+  };
+  const check = validateLaunch(
+    launchClaims({
+      [CLAIM.messageType]: 'LtiDeepLinkingRequest',
+      [CLAIM.roles]: [ROLE.instructor],
+      [CLAIM.resourceLink]: undefined,
+      [CLAIM.deepLinkingSettings]: settings,
+    }),
+    { platform: PLATFORM, nonce: 'nonce-1' },
+  );
+  assert.equal(check.ok, true);
+  assert.equal(check.launch.role, 'teacher');
+  assert.deepEqual(check.launch.deepLinking, {
+    returnUrl: settings.deep_link_return_url,
+    data: 'opaque-123',
+    acceptTypes: ['ltiResourceLink', 'link'],
+    acceptMultiple: false,
+  });
+
+  const noLinks = validateLaunch(
+    launchClaims({
+      [CLAIM.messageType]: 'LtiDeepLinkingRequest',
+      [CLAIM.deepLinkingSettings]: { ...settings, accept_types: ['file'] },
+    }),
+    { platform: PLATFORM, nonce: 'nonce-1' },
+  );
+  assert.match(noLinks.error, /resource links/);
+});
+
+test('mapLtiRoles / reconcileRole', () => {
+  assert.equal(mapLtiRoles([ROLE.instructor]), 'teacher');
+  assert.equal(mapLtiRoles([ROLE.ta]), 'teacher');
+  assert.equal(mapLtiRoles([ROLE.learner, ROLE.instructor]), 'teacher');
+  assert.equal(mapLtiRoles([ROLE.learner]), 'student');
+  // Course roles decide over institution roles.
+  assert.equal(mapLtiRoles([ROLE.faculty, ROLE.learner]), 'student');
+  assert.equal(mapLtiRoles([ROLE.faculty]), 'teacher');
+  assert.equal(mapLtiRoles([ROLE.student]), 'student');
+  assert.equal(mapLtiRoles([ROLE.mentor]), null);
+  assert.equal(mapLtiRoles([ROLE.sysAdmin]), null);
+  assert.equal(mapLtiRoles([]), null);
+
+  assert.deepEqual(reconcileRole('student', 'student'), { ok: true, promote: false });
+  assert.deepEqual(reconcileRole('student', 'practice'), { ok: true, promote: true });
+  assert.equal(reconcileRole('student', 'teacher').ok, false);
+  assert.deepEqual(reconcileRole('teacher', 'teacher'), { ok: true, promote: false });
+  // A platform's say-so never signs anyone in as staff.
+  assert.equal(reconcileRole('teacher', 'admin').ok, false);
+  assert.equal(reconcileRole('teacher', 'manager').ok, false);
+  assert.equal(reconcileRole('student', 'admin').ok, false);
+  assert.equal(reconcileRole('teacher', 'student').ok, false);
+  assert.equal(reconcileRole('teacher', 'practice').ok, false);
+});
+
+test('buildAuthRedirect, parseTarget and scoresUrl', () => {
+  const url = new URL(
+    buildAuthRedirect(PLATFORM, {
+      loginHint: 'hint',
+      ltiMessageHint: 'mhint',
+      redirectUri: 'https://app.example/api/lti/launch',
+      state: 's1',
+      nonce: 'n1',
+    }),
+  );
+  assert.equal(url.origin + url.pathname, PLATFORM.auth_login_url);
+  for (const [k, v] of Object.entries({
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: PLATFORM.client_id,
+    login_hint: 'hint',
+    lti_message_hint: 'mhint',
+    state: 's1',
+    nonce: 'n1',
+  })) {
+    assert.equal(url.searchParams.get(k), v, k);
+  }
+
+  assert.deepEqual(parseTarget(`lesson:${ASSIGNMENT.toUpperCase()}`), { type: 'lesson', id: ASSIGNMENT });
+  assert.equal(parseTarget('quiz:' + ASSIGNMENT), null);
+  assert.equal(parseTarget(undefined), null);
+
+  assert.equal(
+    scoresUrl('https://lms.example.edu/api/lti/courses/9/line_items/7?x=1'),
+    'https://lms.example.edu/api/lti/courses/9/line_items/7/scores?x=1',
+  );
+  assert.equal(scoresUrl('https://lms.example.edu/li/7/'), 'https://lms.example.edu/li/7/scores');
+});
+
+test('deep-linking response and client assertion verify against the tool JWKS', () => {
+  const toolKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const toolJwks = { keys: [publicJwk(toolKeys.privateKey, 'tool-1')] };
+
+  const payload = deepLinkingResponsePayload({
+    platform: PLATFORM,
+    deploymentId: 'dep-1',
+    data: 'opaque-123',
+    launchUrl: 'https://app.example/api/lti/launch',
+    nonce: 'dl-nonce',
+    now: NOW,
+    items: [
+      {
+        title: 'Week 3 practice',
+        target: { type: 'assignment', id: ASSIGNMENT },
+        ownerId: TEACHER,
+        lineItem: { label: 'Week 3 practice', scoreMaximum: 20 },
+      },
+      { title: 'Linear equations', target: { type: 'lesson', id: ASSIGNMENT }, ownerId: TEACHER },
+    ],
+  });
+  const claims = verifyJwt(signJwt(payload, toolKeys.privateKey, 'tool-1'), toolJwks, { now: NOW });
+  assert.equal(claims.iss, PLATFORM.client_id);
+  assert.equal(claims.aud, PLATFORM.issuer);
+  assert.equal(claims[CLAIM.messageType], 'LtiDeepLinkingResponse');
+  assert.equal(claims[CLAIM.deploymentId], 'dep-1');
+  assert.equal(claims[CLAIM.deepLinkingData], 'opaque-123');
+  const [graded, lesson] = claims[CLAIM.contentItems];
+  assert.equal(graded.type, 'ltiResourceLink');
+  assert.equal(graded.url, 'https://app.example/api/lti/launch');
+  assert.deepEqual(graded.custom, { [TARGET_PARAM]: `assignment:${ASSIGNMENT}`, [OWNER_PARAM]: TEACHER });
+  assert.deepEqual(graded.lineItem, { label: 'Week 3 practice', scoreMaximum: 20, resourceId: `assignment:${ASSIGNMENT}` });
+  assert.equal(lesson.lineItem, undefined);
+
+  const assertion = clientAssertionPayload({ platform: PLATFORM, jti: 'jti-1', now: NOW });
+  assert.deepEqual(assertion, {
+    iss: PLATFORM.client_id,
+    sub: PLATFORM.client_id,
+    aud: PLATFORM.auth_token_url,
+    iat: T,
+    exp: T + 300,
+    jti: 'jti-1',
+  });
+});
+
+test('practiceSetScore and gradePushOutcome', () => {
+  const q = ['q1', 'q2', 'q3', 'q4'];
+  const score = practiceSetScore(q, [
+    { question_id: 'q1', is_correct: false, created_at: '2026-10-19T10:00:00Z' },
+    { question_id: 'q1', is_correct: true, created_at: '2026-10-19T10:05:00Z' },
+    { question_id: 'q2', is_correct: true, created_at: '2026-10-19T10:01:00Z' },
+    { question_id: 'q2', is_correct: false, created_at: '2026-10-19T10:06:00Z' },
+    { question_id: 'q3', is_correct: true, created_at: '2026-10-19T10:02:00Z' },
+    { question_id: 'other', is_correct: true, created_at: '2026-10-19T10:02:00Z' },
+  ]);
+  assert.deepEqual(score, { scoreGiven: 2, scoreMaximum: 4 });
+
+  assert.deepEqual(gradePushOutcome(1, 200, NOW), { status: 'sent' });
+  assert.deepEqual(gradePushOutcome(1, 500, NOW), { status: 'pending', nextAttemptAt: new Date(NOW + 60_000).toISOString() });
+  assert.deepEqual(gradePushOutcome(2, null, NOW), { status: 'pending', nextAttemptAt: new Date(NOW + 300_000).toISOString() });
+  assert.equal(gradePushOutcome(1, 429, NOW).status, 'pending');
+  assert.equal(gradePushOutcome(1, 404, NOW).status, 'dead');
+  assert.equal(gradePushOutcome(MAX_GRADE_ATTEMPTS, 503, NOW).status, 'dead');
+});
+
+test('placeholder emails: subs that differ only in case or punctuation get their own address', () => {
+  const platform = '22222222-2222-4222-8222-222222222222';
+  // Each pair collapsed to one address when the sub was lowercased and
+  // stripped to [a-z0-9].
+  for (const [x, y] of [['A-1', 'a1'], ['user.x', 'userx']]) {
+    const ex = placeholderEmail(platform, x);
+    const ey = placeholderEmail(platform, y);
+    assert.notEqual(ex, ey, `${x} / ${y}`);
+    assert.match(ex, /^[0-9a-f]{64}@lti\.studyworks\.invalid$/);
+  }
+  assert.equal(placeholderEmail(platform, 'A-1'), placeholderEmail(platform, 'A-1'), 'stable per sub');
+  assert.notEqual(
+    placeholderEmail(platform, 'A-1'),
+    placeholderEmail('33333333-3333-4333-8333-333333333333', 'A-1'),
+    'the same sub on another platform is another person',
+  );
+});
+
+test('new accounts: instructors get a teacher account only where the platform allows it', () => {
+  assert.deepEqual(newAccountRole('student', false), { ok: true, role: 'student' });
+  assert.deepEqual(newAccountRole('student', true), { ok: true, role: 'student' });
+  assert.deepEqual(newAccountRole('teacher', true), { ok: true, role: 'teacher' });
+  const refused = newAccountRole('teacher', false);
+  assert.equal(refused.ok, false);
+  assert.match(refused.error, /teacher account/);
+});
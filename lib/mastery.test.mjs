@@ -30,6 +30,16 @@ test('masteryWeight applies difficulty × band weights with documented fallbacks
   assert.equal(masteryWeight(9, 9), 1.0 * 1.15); // out-of-range → fallbacks
 });
 
+test('a calibrated b overrides both authored labels (mirrors the 3-arg SQL mastery_weight)', () => {
+  // Labelled easy / band 1, but students find it band-7 hard.
+  assert.equal(masteryWeight(1, 1, 1.5), 1.5 * 1.7);
+  assert.equal(masteryWeight(3, 7, -1.5), 0.6 * 0.7);
+  assert.equal(masteryWeight(null, null, 0), 1.0 * 1.15);
+  // null / undefined calibrated b leaves the authored weight untouched.
+  assert.equal(masteryWeight(1, 3, null), masteryWeight(1, 3));
+  assert.equal(masteryWeight(1, 3, undefined), masteryWeight(1, 3));
+});
+
 test('computeMastery returns null on empty input and caps at 100', () => {
   assert.equal(computeMastery([], {}), null);
   const attempts = Array.from({ length: 200 }, (_, i) => ({
@@ -12,6 +12,8 @@
 // It now delegates its arithmetic to `masteryFromAggregates` so there is
 // exactly one formula.
 
+import { calibratedDifficulty, calibratedScoreBand } from './practice-test/calibration.ts';
+
 export const DIFF_WEIGHT: Record<number, number> = { 1: 0.6, 2: 1.0, 3: 1.5 };
 export const MASTERY_BAND_WEIGHT: Record<number, number> = {
   1: 0.7, 2: 0.85, 3: 1.0, 4: 1.15, 5: 1.3, 6: 1.5, 7: 1.7,
@@ -24,11 +26,20 @@ export const HINT_CORRECT_FACTOR = 0.5;
 
 /** Per-attempt weight: difficulty weight × score-band weight. Unknown or
  *  null difficulty falls back to 1.0; unknown or null band to 1.15 —
- *  matching the `|| 1.0` / `|| 1.15` fallbacks and the SQL mastery_weight. */
+ *  matching the `|| 1.0` / `|| 1.15` fallbacks and the SQL mastery_weight.
+ *
+ *  `calibratedB` is a reliable item_calibration b (reliableB in
+ *  lib/practice-test/calibration.ts); when present it replaces both
+ *  authored labels with the difficulty and band it implies. Mirrored by
+ *  the three-argument SQL mastery_weight (migration 20261019130000). */
 export function masteryWeight(
   difficulty: number | null | undefined,
   scoreBand: number | null | undefined,
+  calibratedB?: number | null,
 ): number {
+  if (typeof calibratedB === 'number' && Number.isFinite(calibratedB)) {
+    return masteryWeight(calibratedDifficulty(calibratedB), calibratedScoreBand(calibratedB));
+  }
   const dw = DIFF_WEIGHT[difficulty as number] || 1.0;
   const bw = MASTERY_BAND_WEIGHT[scoreBand as number] || 1.15;
   return dw * bw;
@@ -72,6 +83,8 @@ export interface MasteryAttempt {
 export interface MasteryTaxEntry {
   difficulty?: number | null;
   score_band?: number | null;
+  /** Reliable calibrated b, when the item has one. */
+  calibrated_b?: number | null;
 }
 
 /**
@@ -92,7 +105,7 @@ export function computeMastery(
   let weightedTotal = 0;
   for (const a of attempts) {
     const tax = taxMap[a.question_id];
-    const w = masteryWeight(tax?.difficulty, tax?.score_band);
+    const w = masteryWeight(tax?.difficulty, tax?.score_band, tax?.calibrated_b);
     weightedTotal += w;
     if (a.is_correct) {
       weightedCorrect += (a.hints_used ?? 0) > 0 ? w * HINT_CORRECT_FACTOR : w;
@@ -0,0 +1,74 @@
+// Gathers the four readiness inputs (§5.4) for one student and runs
+// the pure computeReadiness. The daily readiness cron calls this per
+// student through the service client; the tutor student page already
+// loads coverage / tests / adherence for its other cards, so it maps
+// its own rows through toReadinessFullTests instead of re-reading.
+
+import {
+  computeReadiness,
+  nextRegisteredTestDate,
+  type Readiness,
+  type ReadinessFullTest,
+} from './readiness';
+import { loadStudentPlanState } from './load-plan-state';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+
+interface CompletedAttemptRow {
+  finished_at: string | null;
+  composite_score: number | null;
+  sections_only: string | null;
+}
+
+/** Completed, full-length attempts only — a section-only attempt has
+ *  no composite worth trending. */
+export function toReadinessFullTests(rows: readonly CompletedAttemptRow[]): ReadinessFullTest[] {
+  const tests: ReadinessFullTest[] = [];
+  for (const r of rows) {
+    if (r.sections_only || !r.finished_at || r.composite_score == null) continue;
+    tests.push({ finishedAt: r.finished_at, composite: r.composite_score });
+  }
+  return tests;
+}
+
+/** null when the student has no upcoming registered test. */
+export async function loadStudentReadiness(
+  supabase: TypedSupabaseClient,
+  studentId: string,
+  today: string,
+): Promise<Readiness | null> {
+  const { data: registrations, error: regErr } = await supabase
+    .from('sat_test_registrations')
+    .select('test_date')
+    .eq('student_id', studentId)
+    .gte('test_date', today);
+  if (regErr) throw new Error(`readiness registrations: ${regErr.message}`);
+
+  const testDate = nextRegisteredTestDate((registrations ?? []).map((r) => r.test_date), today);
+  if (!testDate) return null;
+
+  const [{ data: profile }, { data: coverage, error: covErr }, { data: attempts }, planState] =
+    await Promise.all([
+      supabase.from('profiles').select('target_sat_score').eq('id', studentId).maybeSingle(),
+      supabase.rpc('get_student_coverage', { p_student: studentId }),
+      supabase
+        .from('practice_test_attempts_v2')
+        .select('finished_at, composite_score, sections_only')
+        .eq('user_id', studentId)
+        .eq('status', 'completed'),
+      loadStudentPlanState(supabase, studentId, today),
+    ]);
+  if (covErr) throw new Error(`readiness coverage: ${covErr.message}`);
+
+  return computeReadiness({
+    today,
+    testDate,
+    goalScore: profile?.target_sat_score ?? null,
+    coverage: (coverage ?? []).map((c) => ({
+      domainCode: c.domain_code,
+      skillCode: c.skill_code,
+      status: c.status,
+    })),
+    fullTests: toReadinessFullTests(attempts ?? []),
+    adherence: planState.adherence,
+  });
+}
@@ -0,0 +1,141 @@
+// Test-readiness tests (§5.4).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeReadiness,
+  isHighWeightSkill,
+  nextAtRiskNotifiedAt,
+  nextRegisteredTestDate,
+  shouldNotifyAtRisk,
+} from './readiness.ts';
+
+const TODAY = '2026-10-19';
+
+// Every SAT skill with a status; heavy skills get `heavy`, the rest `light`.
+const HEAVY = [
+  ['H', 'H.A.'], ['H', 'H.B.'], ['H', 'H.C.'], ['H', 'H.D.'], ['H', 'H.E.'],
+  ['P', 'P.A.'], ['P', 'P.B.'], ['P', 'P.C.'],
+  ['INI', 'CID'], ['INI', 'COE'], ['INI', 'INF'],
+  ['CAS', 'WIC'], ['CAS', 'TSP'], ['CAS', 'CTC'],
+  ['EOI', 'SYN'], ['EOI', 'TRA'],
+  ['SEC', 'BOU'], ['SEC', 'FSS'],
+];
+const LIGHT = [
+  ['Q', 'Q.A.'], ['Q', 'Q.B.'], ['Q', 'Q.C.'], ['Q', 'Q.D.'], ['Q', 'Q.E.'], ['Q', 'Q.F.'], ['Q', 'Q.G.'],
+  ['S', 'S.A.'], ['S', 'S.B.'], ['S', 'S.C.'], ['S', 'S.D.'],
+];
+function coverage(heavy, light = 'practiced') {
+  return [
+    ...HEAVY.map(([domainCode, skillCode], i) => ({
+      domainCode,
+      skillCode,
+      status: typeof heavy === 'function' ? heavy(i) : heavy,
+    })),
+    ...LIGHT.map(([domainCode, skillCode]) => ({ domainCode, skillCode, status: light })),
+  ];
+}
+
+const onTrack = { status: 'on_track', dueCount: 10, completedDue: 9, overdueCount: 1, completedAhead: 0, completionRate: 0.9 };
+const behind = { status: 'behind', dueCount: 10, completedDue: 5, overdueCount: 5, completedAhead: 0, completionRate: 0.5 };
+
+function input(overrides = {}) {
+  return {
+    today: TODAY,
+    testDate: '2026-11-07',
+    goalScore: 1400,
+    coverage: coverage('mastered'),
+    fullTests: [{ finishedAt: '2026-10-12T15:00:00Z', composite: 1410 }],
+    adherence: onTrack,
+    ...overrides,
+  };
+}
+
+test('high-weight skills are the heavy domains, not PSDA or geometry', () => {
+  assert.equal(isHighWeightSkill('P', 'P.A.'), true);
+  assert.equal(isHighWeightSkill('SEC', 'BOU'), true);
+  assert.equal(isHighWeightSkill('Q', 'Q.A.'), false);
+  assert.equal(isHighWeightSkill('S', 'S.D.'), false);
+  assert.equal(isHighWeightSkill('X', 'nope'), false);
+});
+
+test('a student on every signal is ready', () => {
+  const r = computeReadiness(input());
+  assert.equal(r.verdict, 'ready');
+  assert.equal(r.daysToTest, 19);
+  assert.deepEqual(r.reasons, []);
+});
+
+test('one miss makes a student at risk; two make them not ready, worst reasons first', () => {
+  const atRisk = computeReadiness(input({ adherence: behind }));
+  assert.equal(atRisk.verdict, 'at_risk');
+  assert.deepEqual(atRisk.reasons, ['Behind plan — 5 tasks overdue.']);
+
+  const notReady = computeReadiness(input({
+    adherence: behind,
+    coverage: coverage((i) => (i < 4 ? 'mastered' : 'in_progress')),
+    fullTests: [{ finishedAt: '2026-10-12', composite: 1300 }],
+  }));
+  assert.equal(notReady.verdict, 'not_ready');
+  assert.equal(notReady.reasons.length, 3);
+  assert.equal(notReady.reasons[0], '4 of 18 high-weight skills mastered.');
+  assert.match(notReady.reasons[1], /100 points short of the 1400 goal/);
+});
+
+test('full-test trend: stale tests, a falling score, and no goal', () => {
+  const stale = computeReadiness(input({ fullTests: [{ finishedAt: '2026-07-01', composite: 1450 }] }));
+  assert.equal(stale.signals.find((sig) => sig.key === 'full_tests').grade, 'bad');
+
+  const farOut = computeReadiness(input({ testDate: '2027-03-13', fullTests: [] }));
+  assert.equal(farOut.signals.find((sig) => sig.key === 'full_tests').grade, 'warn');
+
+  const falling = computeReadiness(input({
+    fullTests: [
+      { finishedAt: '2026-10-12', composite: 1400 },
+      { finishedAt: '2026-09-28', composite: 1450 },
+    ],
+  }));
+  const sig = falling.signals.find((x) => x.key === 'full_tests');
+  assert.equal(sig.grade, 'warn');
+  assert.match(sig.reason, /down from 1450/);
+
+  const noGoal = computeReadiness(input({ goalScore: null }));
+  assert.equal(noGoal.signals.find((x) => x.key === 'full_tests').grade, 'good');
+});
+
+test('no upcoming test → no verdict; the next registration wins', () => {
+  assert.equal(computeReadiness(input({ testDate: null })), null);
+  assert.equal(computeReadiness(input({ testDate: '2026-10-01' })), null);
+  assert.equal(
+    nextRegisteredTestDate(['2026-08-23', '2026-12-06', '2026-11-07'], TODAY),
+    '2026-11-07',
+  );
+  assert.equal(nextRegisteredTestDate(['2026-08-23'], TODAY), null);
+});
+
+test('at-risk notification fires once per stretch inside the window', () => {
+  const atRisk = computeReadiness(input({ adherence: behind })); // 19 days out
+  const stored = (verdict, notified = null, testDate = '2026-11-07') => ({
+    verdict,
+    testDate,
+    atRiskNotifiedAt: notified,
+  });
+
+  assert.equal(shouldNotifyAtRisk(null, atRisk), true);
+  assert.equal(shouldNotifyAtRisk(stored('ready'), atRisk), true);
+  // Already at risk outside the window, never told → tell now.
+  assert.equal(shouldNotifyAtRisk(stored('at_risk'), atRisk), true);
+  // Already told during this stretch.
+  assert.equal(shouldNotifyAtRisk(stored('at_risk', '2026-10-18T06:00:00Z'), atRisk), false);
+  // New test date restarts the stretch.
+  assert.equal(shouldNotifyAtRisk(stored('at_risk', '2026-10-18T06:00:00Z', '2026-10-03'), atRisk), true);
+  // Outside the window, or not at risk → never.
+  const farOut = computeReadiness(input({ adherence: behind, testDate: '2026-12-06' }));
+  assert.equal(farOut.verdict, 'at_risk');
+  assert.equal(shouldNotifyAtRisk(null, farOut), false);
+  assert.equal(shouldNotifyAtRisk(null, computeReadiness(input())), false);
+
+  assert.equal(nextAtRiskNotifiedAt(stored('at_risk', 'T1'), atRisk, null), 'T1');
+  assert.equal(nextAtRiskNotifiedAt(stored('at_risk', 'T1'), computeReadiness(input()), null), null);
+  assert.equal(nextAtRiskNotifiedAt(null, atRisk, 'T2'), 'T2');
+});
@@ -0,0 +1,303 @@
+// Test readiness (§5.4): a ready / at-risk / not-ready verdict for a
+// student ahead of their registered test, with the top reasons in
+// plain language.
+//
+// PURE function in the plan-family pattern (adherence.ts, today.ts):
+// `today` is an input, no I/O. The tutor student page computes it
+// live from data it already loads; the daily readiness cron
+// (app/api/cron/readiness) computes it through load-readiness.ts and
+// persists it for the roster column and the at-risk notification —
+// one implementation, so the verdict can't differ between surfaces.
+//
+// Four signals, each graded good / warn / bad:
+//   - COVERAGE: share of curriculum units the student has started
+//     (get_student_coverage status beyond not_started).
+//   - HIGH-WEIGHT MASTERY: share of the heavy skills mastered. A
+//     skill's weight is its domain's share of its section on the
+//     digital SAT blueprint, split evenly across the domain's skills;
+//     skills at or above HIGH_WEIGHT_SKILL_SHARE are the heavy ones
+//     (Algebra, Advanced Math and all four R&W domains — not PSDA or
+//     Geometry, whose weight is spread over many skills).
+//   - FULL-TEST TREND: the latest full practice test inside the
+//     recency window against the goal, with a falling trend
+//     (latest vs. the one before) costing a grade.
+//   - PLAN ADHERENCE: computeAdherence's status.
+//
+// Verdict: two or more bad signals → not ready; no bad and at most
+// one warning → ready; everything in between → at risk. Reasons are
+// the non-good signals, worst first, capped at MAX_REASONS.
+
+import { SAT_TAXONOMY } from '../practice/sat-taxonomy.ts';
+import type { AdherenceSummary } from './adherence.ts';
+
+export type ReadinessVerdict = 'ready' | 'at_risk' | 'not_ready';
+export type ReadinessGrade = 'good' | 'warn' | 'bad';
+export type ReadinessSignalKey = 'coverage' | 'high_weight' | 'full_tests' | 'adherence';
+
+export const READINESS_LABELS: Record<ReadinessVerdict, string> = {
+  ready: 'Ready',
+  at_risk: 'At risk',
+  not_ready: 'Not ready',
+};
+
+/** Tutors hear about an at-risk student inside this many days of the test. */
+export const AT_RISK_NOTIFY_DAYS = 21;
+/** Only full tests this recent count toward the trend. */
+export const FULL_TEST_RECENCY_DAYS = 60;
+/** A drop of at least this many points between the last two tests is a falling trend. */
+export const FALLING_TREND_POINTS = 30;
+/** Within this many points of goal is a warning, not a miss. */
+export const NEAR_GOAL_POINTS = 60;
+/** Skills worth at least this share of their section count as high-weight. */
+export const HIGH_WEIGHT_SKILL_SHARE = 0.06;
+export const MAX_REASONS = 3;
+
+// Share of each section's questions per domain (College Board digital
+// SAT specifications).
+export const SAT_DOMAIN_SHARE: Record<string, number> = {
+  H: 0.35, // Algebra
+  P: 0.35, // Advanced Math
+  Q: 0.15, // Problem-Solving and Data Analysis
+  S: 0.15, // Geometry and Trigonometry
+  INI: 0.26, // Information and Ideas
+  CAS: 0.28, // Craft and Structure
+  EOI: 0.2, // Expression of Ideas
+  SEC: 0.26, // Standard English Conventions
+};
+
+/** Per-skill share of its section, keyed `${domain}:${skill}`. */
+export const SAT_SKILL_WEIGHTS: ReadonlyMap<string, number> = new Map(
+  SAT_TAXONOMY.flatMap((domain) =>
+    domain.skills.map((skill) => [
+      `${domain.code}:${skill.code}`,
+      (SAT_DOMAIN_SHARE[domain.code] ?? 0) / domain.skills.length,
+    ]),
+  ),
+);
+
+export function isHighWeightSkill(domainCode: string, skillCode: string): boolean {
+  return (SAT_SKILL_WEIGHTS.get(`${domainCode}:${skillCode}`) ?? 0) >= HIGH_WEIGHT_SKILL_SHARE;
+}
+
+export interface ReadinessCoverageUnit {
+  domainCode: string;
+  skillCode: string;
+  /** get_student_coverage status. */
+  status: string;
+}
+
+export interface ReadinessFullTest {
+  /** ISO date or timestamp the test was finished. */
+  finishedAt: string;
+  composite: number;
+}
+
+export interface ReadinessInput {
+  today: string; // ISO yyyy-mm-dd
+  /** Next registered test date (TestRegistrationsCard); null = none. */
+  testDate: string | null;
+  goalScore: number | null;
+  coverage: readonly ReadinessCoverageUnit[];
+  /** Completed full-length practice tests, any order. */
+  fullTests: readonly ReadinessFullTest[];
+  /** Active plan's adherence; null = no active plan. */
+  adherence: AdherenceSummary | null;
+}
+
+export interface ReadinessSignal {
+  key: ReadinessSignalKey;
+  grade: ReadinessGrade;
+  /** Plain-language reason, phrased for a tutor. */
+  reason: string;
+}
+
+export interface Readiness {
+  verdict: ReadinessVerdict;
+  testDate: string;
+  daysToTest: number;
+  signals: ReadinessSignal[];
+  /** Non-good signals' reasons, worst first, at most MAX_REASONS. */
+  reasons: string[];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromIso: string, toIso: string): number {
+  return Math.round(
+    (Date.parse(`${toIso.slice(0, 10)}T00:00:00Z`) - Date.parse(`${fromIso.slice(0, 10)}T00:00:00Z`)) / DAY_MS,
+  );
+}
+
+function pct(n: number): string {
+  return `${Math.round(n * 100)}%`;
+}
+
+/** Earliest registration on or after today; null when none is upcoming. */
+export function nextRegisteredTestDate(
+  registrationDates: readonly string[],
+  today: string,
+): string | null {
+  let next: string | null = null;
+  for (const d of registrationDates) {
+    const day = d.slice(0, 10);
+    if (day >= today && (next === null || day < next)) next = day;
+  }
+  return next;
+}
+
+function coverageSignal(units: readonly ReadinessCoverageUnit[]): ReadinessSignal {
+  if (units.length === 0) {
+    return { key: 'coverage', grade: 'warn', reason: 'No curriculum coverage data yet.' };
+  }
+  const started = units.filter((u) => u.status !== 'not_started').length;
+  const share = started / units.length;
+  const untouched = units.length - started;
+  if (share >= 0.85) {
+    return { key: 'coverage', grade: 'good', reason: `Has worked ${pct(share)} of the curriculum.` };
+  }
+  return {
+    key: 'coverage',
+    grade: share >= 0.6 ? 'warn' : 'bad',
+    reason: `${untouched} of ${units.length} curriculum units not started yet.`,
+  };
+}
+
+function highWeightSignal(units: readonly ReadinessCoverageUnit[]): ReadinessSignal {
+  const heavy = units.filter((u) => isHighWeightSkill(u.domainCode, u.skillCode));
+  if (heavy.length === 0) {
+    return { key: 'high_weight', grade: 'warn', reason: 'No mastery data on the high-weight skills yet.' };
+  }
+  const mastered = heavy.filter((u) => u.status === 'mastered').length;
+  const share = mastered / heavy.length;
+  const text = `${mastered} of ${heavy.length} high-weight skills mastered.`;
+  if (share >= 0.7) return { key: 'high_weight', grade: 'good', reason: text };
+  return { key: 'high_weight', grade: share >= 0.4 ? 'warn' : 'bad', reason: text };
+}
+
+function fullTestSignal(
+  tests: readonly ReadinessFullTest[],
+  goalScore: number | null,
+  today: string,
+  daysToTest: number,
+): ReadinessSignal {
+  const recent = tests
+    .filter((t) => {
+      const age = daysBetween(t.finishedAt, today);
+      return age >= 0 && age <= FULL_TEST_RECENCY_DAYS;
+    })
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+
+  if (recent.length === 0) {
+    return {
+      key: 'full_tests',
+      grade: daysToTest <= AT_RISK_NOTIFY_DAYS ? 'bad' : 'warn',
+      reason: `No full practice test in the last ${FULL_TEST_RECENCY_DAYS} days.`,
+    };
+  }
+
+  const latest = recent[0].composite;
+  const falling = recent.length >= 2 && recent[1].composite - latest >= FALLING_TREND_POINTS;
+  const fallingText = falling ? `, down from ${recent[1].composite}` : '';
+
+  let grade: ReadinessGrade;
+  let reason: string;
+  if (goalScore == null) {
+    grade = falling ? 'warn' : 'good';
+    reason = `Latest full test ${latest}${fallingText} (no goal score set).`;
+  } else {
+    const gap = goalScore - latest;
+    grade = gap <= 0 ? 'good' : gap <= NEAR_GOAL_POINTS ? 'warn' : 'bad';
+    reason = gap <= 0
+      ? `Latest full test ${latest}${fallingText} meets the ${goalScore} goal.`
+      : `Latest full test ${latest}${fallingText} is ${gap} points short of the ${goalScore} goal.`;
+    if (falling && grade !== 'bad') grade = grade === 'good' ? 'warn' : 'bad';
+  }
+  return { key: 'full_tests', grade, reason };
+}
+
+function adherenceSignal(adherence: AdherenceSummary | null): ReadinessSignal {
+  if (!adherence) {
+    return { key: 'adherence', grade: 'warn', reason: 'No active study plan.' };
+  }
+  switch (adherence.status) {
+    case 'behind':
+      return {
+        key: 'adherence',
+        grade: 'bad',
+        reason: `Behind plan — ${adherence.overdueCount} task${adherence.overdueCount === 1 ? '' : 's'} overdue.`,
+      };
+    case 'not_started':
+      return { key: 'adherence', grade: 'warn', reason: 'Study plan not started yet.' };
+    default:
+      return { key: 'adherence', grade: 'good', reason: 'Keeping up with the study plan.' };
+  }
+}
+
+const GRADE_ORDER: Record<ReadinessGrade, number> = { bad: 0, warn: 1, good: 2 };
+
+/** null when the student has no upcoming registered test. */
+export function computeReadiness(input: ReadinessInput): Readiness | null {
+  if (!input.testDate || input.testDate < input.today) return null;
+  const daysToTest = daysBetween(input.today, input.testDate);
+
+  const signals = [
+    highWeightSignal(input.coverage),
+    fullTestSignal(input.fullTests, input.goalScore, input.today, daysToTest),
+    coverageSignal(input.coverage),
+    adherenceSignal(input.adherence),
+  ];
+  const bad = signals.filter((sig) => sig.grade === 'bad').length;
+  const warn = signals.filter((sig) => sig.grade === 'warn').length;
+
+  const verdict: ReadinessVerdict =
+    bad >= 2 ? 'not_ready' : bad === 0 && warn <= 1 ? 'ready' : 'at_risk';
+
+  // Stable sort keeps the signal order above (mastery, tests,
+  // coverage, plan) as the tiebreak within a grade.
+  const reasons = signals
+    .filter((sig) => sig.grade !== 'good')
+    .sort((a, b) => GRADE_ORDER[a.grade] - GRADE_ORDER[b.grade])
+    .slice(0, MAX_REASONS)
+    .map((sig) => sig.reason);
+
+  return { verdict, testDate: input.testDate, daysToTest, signals, reasons };
+}
+
+/** The last persisted verdict (student_readiness row), as the
+ *  notification check needs it. */
+export interface StoredReadiness {
+  verdict: ReadinessVerdict;
+  testDate: string;
+  atRiskNotifiedAt: string | null;
+}
+
+/**
+ * Should this run notify the tutor? Once per stretch of "at risk
+ * inside the window": the student is at risk, the test is within
+ * AT_RISK_NOTIFY_DAYS, and no notification has gone out since the
+ * verdict last left at-risk or the test date last changed. Moving
+ * INTO at-risk inside the window notifies; so does already being at
+ * risk when the window opens, since the tutor hasn't heard yet.
+ */
+export function shouldNotifyAtRisk(
+  previous: StoredReadiness | null,
+  next: Readiness,
+): boolean {
+  if (next.verdict !== 'at_risk' || next.daysToTest > AT_RISK_NOTIFY_DAYS) return false;
+  if (!previous) return true;
+  if (previous.testDate !== next.testDate || previous.verdict !== 'at_risk') return true;
+  return previous.atRiskNotifiedAt === null;
+}
+
+/** The notified stamp to persist alongside `next`: kept while the
+ *  stretch continues, cleared when it ends, set when `notifiedAt`. */
+export function nextAtRiskNotifiedAt(
+  previous: StoredReadiness | null,
+  next: Readiness,
+  notifiedAt: string | null,
+): string | null {
+  if (notifiedAt) return notifiedAt;
+  if (!previous || next.verdict !== 'at_risk') return null;
+  if (previous.testDate !== next.testDate || previous.verdict !== 'at_risk') return null;
+  return previous.atRiskNotifiedAt;
+}
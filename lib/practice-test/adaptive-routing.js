@@ -6,15 +6,25 @@
 //   - Module 2 is either "easy" or "hard" depending on how the
 //     student did on module 1.
 //
-// The decision is a simple threshold compare: if the student's
-// raw-correct count in module 1 is ≥ the section's threshold,
-// they get the hard module; otherwise the easy one. Thresholds
-// are stored per test in practice_tests_v2.{rw,math}_route_threshold.
+// Two routers, one decision:
+//   - chooseModule2RouteByAbility — the live router. Estimates the
+//     student's ability (θ) from the module-1 response pattern with
+//     the IRT model in ./irt.ts and compares it to the section's
+//     threshold translated onto the θ scale, so how hard the items
+//     a student got right were matters, not just how many.
+//   - chooseModule2Route — the raw threshold compare: module-1
+//     correct count ≥ the section's threshold → hard, else easy.
+//     Used directly where only counts exist (Bluebook uploads) and
+//     as the fallback when module 1's items lack IRT parameters.
+// Thresholds are stored per test in
+// practice_tests_v2.{rw,math}_route_threshold.
 //
 // This module is pure function — no DB, no side effects. Callers
-// pass in the raw count and threshold; we return a route_code the
-// caller can then use to select the right practice_test_modules_v2
-// row for module 2.
+// pass in the responses / raw count and threshold; we return a
+// route_code the caller can then use to select the right
+// practice_test_modules_v2 row for module 2.
+
+import { itemParamsFromAuthored, routeOnAbility } from './irt.ts';
 
 // Default thresholds, used when a test row is missing its inline
 // rw_route_threshold / math_route_threshold values. These mirror
@@ -46,6 +56,50 @@ export function chooseModule2Route({ subject, module1CorrectCount, threshold })
   return module1CorrectCount >= effective ? 'hard' : 'easy';
 }
 
+/**
+ * Route module 2 on the IRT ability estimate from module 1, falling
+ * back to the raw threshold when the module's items don't carry
+ * enough parameters (see MIN_PARAM_COVERAGE in ./irt.ts). Unanswered
+ * items count as incorrect, exactly as they do in the raw count.
+ *
+ * @param {object} args
+ * @param {'RW' | 'MATH'} args.subject
+ * @param {Array<{
+ *   questionType: string | null,
+ *   difficulty: number | null,
+ *   scoreBand: number | null,
+ *   calibrated?: { a?: number | null, b?: number | null } | null,
+ *   correct: boolean,
+ * }>} args.items - every module-1 item, answered or not
+ * @param {number | null | undefined} args.threshold - from practice_tests_v2
+ * @returns {{
+ *   route: 'easy' | 'hard',
+ *   method: 'irt' | 'threshold',
+ *   theta: number | null,
+ *   se: number | null,
+ * }}
+ */
+export function chooseModule2RouteByAbility({ subject, items, threshold }) {
+  const effective = Number.isFinite(threshold)
+    ? threshold
+    : (DEFAULT_THRESHOLDS[subject] ?? 15);
+  const responses = items.map((it) => ({
+    params: itemParamsFromAuthored(it),
+    correct: !!it.correct,
+  }));
+  const irt = routeOnAbility({ responses, threshold: effective });
+  if (irt) {
+    return { route: irt.route, method: 'irt', theta: irt.theta, se: irt.se };
+  }
+  const correctCount = items.filter((it) => it.correct).length;
+  return {
+    route: chooseModule2Route({ subject, module1CorrectCount: correctCount, threshold }),
+    method: 'threshold',
+    theta: null,
+    se: null,
+  };
+}
+
 /**
  * Which modules this test exposes for a given subject. Useful for
  * validating that the test actually has the route the router picked
@@ -0,0 +1,23 @@
+// Module-2 routing tests. Loads adaptive-routing.js under plain
+// `node --test`, so its ./irt.ts import has to stay relative.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chooseModule2RouteByAbility } from './adaptive-routing.js';
+
+const item = (scoreBand, correct) => ({ questionType: 'mcq', difficulty: null, scoreBand, correct });
+
+test('chooseModule2RouteByAbility routes on θ when module 1 carries parameters', () => {
+  const strong = Array.from({ length: 22 }, (_, i) => item((i % 7) + 1, i < 20));
+  const out = chooseModule2RouteByAbility({ subject: 'RW', items: strong, threshold: 14 });
+  assert.equal(out.method, 'irt');
+  assert.equal(out.route, 'hard');
+  assert.ok(Number.isFinite(out.theta) && Number.isFinite(out.se));
+});
+
+test('chooseModule2RouteByAbility falls back to the raw threshold without parameters', () => {
+  const unrated = Array.from({ length: 22 }, (_, i) => ({ ...item(null, i < 15), questionType: null }));
+  const out = chooseModule2RouteByAbility({ subject: 'MATH', items: unrated, threshold: null });
+  assert.deepEqual(out, { route: 'hard', method: 'threshold', theta: null, se: null });
+});
@@ -0,0 +1,162 @@
+// Item calibration tests. Runs under `npm run test:unit`; imports the
+// .ts source directly like irt.test.mjs does. Responses are simulated
+// from known parameters with a seeded generator, so the assertions are
+// about recovering those parameters, not about exact numbers.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calibrateItems,
+  fitItem,
+  labelFlag,
+  calibratedScoreBand,
+  calibratedDifficulty,
+  reliableB,
+  reliableParams,
+  MIN_CALIBRATION_N,
+  LABEL_DISAGREEMENT,
+} from './calibration.ts';
+import { itemParamsFromAuthored, probabilityCorrect } from './irt.ts';
+
+function rng(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 2 ** 32;
+  };
+}
+
+// `students` (default 160) with abilities spread evenly over −2..2, each answering every
+// item once; items given as { questionId, trueB, scoreBand }.
+function simulate(items, { students = 160, seed = 7 } = {}) {
+  const rand = rng(seed);
+  const responses = [];
+  for (let u = 0; u < students; u++) {
+    const theta = -2 + (4 * u) / (students - 1);
+    for (const it of items) {
+      const p = probabilityCorrect(theta, { a: 1, b: it.trueB, c: 0.25 });
+      responses.push({ userId: `u${u}`, questionId: it.questionId, correct: rand() < p });
+    }
+  }
+  const catalog = items.map((it) => ({
+    questionId: it.questionId,
+    questionType: 'mcq',
+    difficulty: null,
+    scoreBand: it.scoreBand,
+  }));
+  return { catalog, responses };
+}
+
+test('recovers the true difficulties and their ordering', () => {
+  const items = [1, 2, 3, 4, 5, 6, 7].map((band) => ({
+    questionId: `q${band}`, trueB: (band - 4) * 0.5, scoreBand: band,
+  }));
+  // Adjacent bands are half a logit apart; resolving them takes a
+  // larger sample than the other tests need.
+  const { catalog, responses } = simulate(items, { students: 400 });
+  const byId = new Map(calibrateItems(catalog, responses).map((c) => [c.questionId, c]));
+  for (let band = 1; band < 7; band++) {
+    assert.ok(byId.get(`q${band}`).b < byId.get(`q${band + 1}`).b, `band ${band} vs ${band + 1}`);
+  }
+  for (const it of items) {
+    assert.ok(Math.abs(byId.get(it.questionId).a - 1) < 0.7, `${it.questionId} a`);
+    assert.ok(Math.abs(byId.get(it.questionId).b - it.trueB) < 0.5, it.questionId);
+  }
+});
+
+test('flags a reliable item whose label is far from its empirical difficulty', () => {
+  const items = [
+    ...[2, 3, 4, 5, 6].map((band) => ({ questionId: `ok${band}`, trueB: (band - 4) * 0.5, scoreBand: band })),
+    // Labelled band 1 (b = −1.5) but behaves like band 7.
+    { questionId: 'mislabeled', trueB: 1.5, scoreBand: 1 },
+  ];
+  const { catalog, responses } = simulate(items);
+  const byId = new Map(calibrateItems(catalog, responses).map((c) => [c.questionId, c]));
+  const bad = byId.get('mislabeled');
+  assert.equal(bad.reliable, true);
+  assert.equal(bad.authoredB, -1.5);
+  assert.equal(bad.labelFlag, 'harder_than_labeled');
+  assert.equal(byId.get('ok4').labelFlag, null);
+});
+
+test('reports sample sizes and marks thin items unreliable and unflagged', () => {
+  const items = [{ questionId: 'thin', trueB: 2, scoreBand: 1 }];
+  const { catalog, responses } = simulate(items, { students: MIN_CALIBRATION_N - 1 });
+  const [row] = calibrateItems(catalog, responses);
+  assert.equal(row.nAttempts, MIN_CALIBRATION_N - 1);
+  assert.equal(row.nCorrect, responses.filter((r) => r.correct).length);
+  assert.equal(row.pValue, Math.round((row.nCorrect / row.nAttempts) * 1000) / 1000);
+  assert.equal(row.reliable, false);
+  assert.equal(row.labelFlag, null);
+});
+
+test('unlabelled items are calibrated but never flagged', () => {
+  // Labelled anchors put the students on the θ scale first.
+  const items = [
+    ...[1, 3, 5, 7].map((band) => ({ questionId: `anchor${band}`, trueB: (band - 4) * 0.5, scoreBand: band })),
+    { questionId: 'bare', trueB: 1.5, scoreBand: null },
+  ];
+  const { catalog, responses } = simulate(items);
+  const row = calibrateItems(catalog, responses).find((c) => c.questionId === 'bare');
+  assert.equal(row.authoredB, null);
+  assert.equal(row.labelFlag, null);
+  assert.ok(row.b > 0.5);
+});
+
+test('responses to unknown items are ignored; items without responses are omitted', () => {
+  const out = calibrateItems(
+    [{ questionId: 'q', questionType: 'mcq', difficulty: 2, scoreBand: null }, { questionId: 'silent', questionType: 'mcq', difficulty: 2, scoreBand: null }],
+    [{ userId: 'u', questionId: 'q', correct: true }, { userId: 'u', questionId: 'ghost', correct: false }],
+  );
+  assert.deepEqual(out.map((r) => r.questionId), ['q']);
+});
+
+test('the prior keeps a perfect record finite', () => {
+  const fit = fitItem([{ theta: 0, n: 3, r: 3 }], 0.25, 0);
+  assert.ok(fit.b > -4 && fit.b < 0);
+  assert.ok(fit.a >= 0.3 && fit.a <= 2.5);
+});
+
+test('labelFlag needs a full LABEL_DISAGREEMENT either way', () => {
+  assert.equal(labelFlag(0.5 + LABEL_DISAGREEMENT, 0.5), 'harder_than_labeled');
+  assert.equal(labelFlag(0.5 - LABEL_DISAGREEMENT, 0.5), 'easier_than_labeled');
+  assert.equal(labelFlag(0.5 + LABEL_DISAGREEMENT - 0.01, 0.5), null);
+  assert.equal(labelFlag(3, null), null);
+});
+
+test('b maps back onto score bands and difficulty', () => {
+  assert.equal(calibratedScoreBand(0), 4);
+  assert.equal(calibratedScoreBand(-1.5), 1);
+  assert.equal(calibratedScoreBand(1.5), 7);
+  assert.equal(calibratedScoreBand(0.25), 5); // ties round up, as in SQL
+  assert.equal(calibratedScoreBand(-9), 1);
+  assert.equal(calibratedScoreBand(9), 7);
+  assert.equal(calibratedDifficulty(-0.6), 1);
+  assert.equal(calibratedDifficulty(0.5), 2);
+  assert.equal(calibratedDifficulty(0.51), 3);
+});
+
+test('reliableB only trusts reliable rows and parses numeric strings', () => {
+  assert.equal(reliableB({ b: '0.750', reliable: true }), 0.75);
+  assert.equal(reliableB({ b: 0.75, reliable: false }), null);
+  assert.equal(reliableB({ b: null, reliable: true }), null);
+  assert.equal(reliableB(undefined), null);
+});
+
+test('reliableParams feeds a reliable embed into the router\'s item parameters', () => {
+  const embed = { a: '1.400', b: '1.250', reliable: true };
+  assert.deepEqual(reliableParams(embed), { a: 1.4, b: 1.25 });
+  assert.deepEqual(reliableParams([embed]), { a: 1.4, b: 1.25 });
+  assert.deepEqual(reliableParams({ a: '0', b: '-0.5', reliable: true }), { a: null, b: -0.5 });
+  assert.equal(reliableParams({ ...embed, reliable: false }), null);
+  assert.equal(reliableParams([]), null);
+  assert.equal(reliableParams(null), null);
+
+  // A band-4 item students find hard routes on its calibrated b.
+  const authored = { questionType: 'mcq', difficulty: 2, scoreBand: 4 };
+  assert.equal(itemParamsFromAuthored(authored).b, 0);
+  assert.deepEqual(
+    itemParamsFromAuthored({ ...authored, calibrated: reliableParams(embed) }),
+    { a: 1.4, b: 1.25, c: 0.25 },
+  );
+});
@@ -0,0 +1,345 @@
+// Item calibration — empirical 3PL parameters from student responses.
+//
+// Authored difficulty is a hand label (1–3 `difficulty`, 1–7
+// `score_band`) and some questions carry neither. This module
+// estimates each item's difficulty b and discrimination a from the
+// responses students actually gave, on the same θ scale the module-2
+// router uses (./irt.ts), so a calibrated item drops straight into
+// itemParamsFromAuthored's `calibrated` override. Items are
+// questions_v2 rows: ACT questions — whose English / Reading
+// difficulty lib/act-import/difficulty.ts leaves null for a
+// student-performance pass like this one — answer into act_attempts,
+// which the job does not read yet; the math here is bank-agnostic.
+//
+// Method: marginal maximum a posteriori by EM (Bock–Aitkin), over a
+// quadrature grid for θ with a N(0, 1) population prior.
+//   E-step: each student's posterior over the grid under the current
+//     item parameters (authored ones on the first pass), accumulated
+//     per item into expected responders / expected correct at each
+//     grid node.
+//   M-step: each item's (a, b) is the MAP of that expected
+//     likelihood, with priors b ~ N(authored b, 1) — N(0, 1) for
+//     unlabelled items — and log a ~ N(0, 0.5²). The priors matter:
+//     most items have a handful of responses, and without them a
+//     3-for-3 item runs off to b = −∞.
+// Marginal rather than plugging in a point θ per student: a student
+// with six responses has a wide posterior, and treating its mean as
+// exact shrinks the ability spread and inflates every discrimination.
+// c stays fixed at the irt.ts guessing floor (¼ MCQ, 0 SPR); a free c
+// needs far more data than a practice bank has.
+//
+// PURE: no I/O. The cron job (/api/cron/calibrate-items) supplies the
+// response population — first attempt per (student, question), hinted
+// attempts excluded — and writes the result to item_calibration.
+
+import {
+  D,
+  itemParamsFromAuthored,
+  probabilityCorrect,
+  type ItemParams,
+} from './irt.ts';
+
+export interface CalibrationItem {
+  questionId: string;
+  questionType: string | null;
+  difficulty: number | null;
+  scoreBand: number | null;
+}
+
+export interface CalibrationResponse {
+  userId: string;
+  questionId: string;
+  correct: boolean;
+}
+
+export interface ItemCalibration {
+  questionId: string;
+  nAttempts: number;
+  nCorrect: number;
+  /** Proportion correct in the calibration sample. */
+  pValue: number;
+  a: number;
+  b: number;
+  /** The b the authored labels imply; null for unlabelled items. */
+  authoredB: number | null;
+  /** nAttempts ≥ MIN_CALIBRATION_N — safe to override the label. */
+  reliable: boolean;
+  labelFlag: 'harder_than_labeled' | 'easier_than_labeled' | null;
+}
+
+// ── Tunable knobs ─────────────────────────────────────────────────
+/** Responses an item needs before its calibration is used anywhere. */
+export const MIN_CALIBRATION_N = 30;
+/** |b − authored b| (logits) at which a reliable item is flagged. Two
+ *  score bands; about one step of the 1–3 difficulty scale. */
+export const LABEL_DISAGREEMENT = 1.0;
+const EM_ITERATIONS = 8;
+const MCQ_GUESSING = 0.25;
+const B_PRIOR_SD = 1;
+const LOG_A_PRIOR_SD = 0.5;
+const B_MIN = -4;
+const B_MAX = 4;
+/** Bounds on discrimination: below 0.3 an item barely separates
+ *  students at all; above 2.5 is a step function. */
+const LOG_A_MIN = Math.log(0.3);
+const LOG_A_MAX = Math.log(2.5);
+const MAX_SCORING_STEPS = 25;
+const SCORING_TOLERANCE = 1e-4;
+
+/** θ quadrature for the E-step. */
+const QUAD_STEP = 0.2;
+const MIN_NODE_WEIGHT = 1e-3;
+
+const QUAD = grid(B_MIN, B_MAX, QUAD_STEP);
+const QUAD_LOG_PRIOR = QUAD.map((t) => -0.5 * t * t);
+
+/**
+ * Calibrate every item that has at least one response. Items without
+ * responses are omitted; responses to items not in `items` are ignored.
+ */
+export function calibrateItems(
+  items: readonly CalibrationItem[],
+  responses: readonly CalibrationResponse[],
+): ItemCalibration[] {
+  const itemById = new Map(items.map((it) => [it.questionId, it]));
+  const byItem = new Map<string, CalibrationResponse[]>();
+  const byUser = new Map<string, CalibrationResponse[]>();
+  for (const r of responses) {
+    if (!itemById.has(r.questionId)) continue;
+    push(byItem, r.questionId, r);
+    push(byUser, r.userId, r);
+  }
+
+  const authored = new Map<string, ItemParams | null>();
+  const guessing = new Map<string, number>();
+  for (const it of items) {
+    const p = itemParamsFromAuthored(it);
+    authored.set(it.questionId, p);
+    guessing.set(it.questionId, p?.c ?? (it.questionType === 'spr' ? 0 : MCQ_GUESSING));
+  }
+
+  // Item parameters the E-step sees: authored to start (unlabelled
+  // items sit out the first pass), then each pass's fit.
+  const current = new Map<string, ItemParams | null>(authored);
+  const fitted = new Map<string, { a: number; b: number }>();
+
+  for (let pass = 0; pass < EM_ITERATIONS; pass++) {
+    // E-step: expected responders (n) and correct (r) per item × node.
+    const expected = new Map<string, { n: number[]; r: number[] }>();
+    for (const questionId of byItem.keys()) {
+      expected.set(questionId, { n: QUAD.map(() => 0), r: QUAD.map(() => 0) });
+    }
+    for (const rs of byUser.values()) {
+      const logPost = QUAD.map((theta, k) => {
+        let lp = QUAD_LOG_PRIOR[k];
+        for (const r of rs) {
+          const params = current.get(r.questionId);
+          if (!params) continue;
+          const p = probabilityCorrect(theta, params);
+          lp += Math.log(r.correct ? p : 1 - p);
+        }
+        return lp;
+      });
+      const maxLp = Math.max(...logPost);
+      const weights = logPost.map((lp) => Math.exp(lp - maxLp));
+      const total = weights.reduce((sum, w) => sum + w, 0);
+      for (const r of rs) {
+        const acc = expected.get(r.questionId)!;
+        for (let k = 0; k < QUAD.length; k++) {
+          const w = weights[k] / total;
+          acc.n[k] += w;
+          if (r.correct) acc.r[k] += w;
+        }
+      }
+    }
+
+    // M-step.
+    for (const [questionId, acc] of expected) {
+      const c = guessing.get(questionId) ?? MCQ_GUESSING;
+      // Nodes carrying next to no expected responders add nothing to
+      // the fit but cost as much as the busy ones; drop them.
+      const counts = [];
+      for (let k = 0; k < QUAD.length; k++) {
+        if (acc.n[k] >= MIN_NODE_WEIGHT) counts.push({ theta: QUAD[k], n: acc.n[k], r: acc.r[k] });
+      }
+      const fit = fitItem(
+        counts,
+        c,
+        authored.get(questionId)?.b ?? null,
+        fitted.get(questionId),
+      );
+      fitted.set(questionId, fit);
+      current.set(questionId, { ...fit, c });
+    }
+  }
+
+  const out: ItemCalibration[] = [];
+  for (const [questionId, rs] of byItem) {
+    const fit = fitted.get(questionId)!;
+    const nCorrect = rs.filter((r) => r.correct).length;
+    const authoredB = authored.get(questionId)?.b ?? null;
+    const reliable = rs.length >= MIN_CALIBRATION_N;
+    out.push({
+      questionId,
+      nAttempts: rs.length,
+      nCorrect,
+      pValue: round3(nCorrect / rs.length),
+      a: fit.a,
+      b: fit.b,
+      authoredB,
+      reliable,
+      labelFlag: reliable ? labelFlag(fit.b, authoredB) : null,
+    });
+  }
+  return out;
+}
+
+/**
+ * MAP (a, b) for one item from expected counts at each θ node: `n`
+ * responders, `r` of them correct (fractional under EM; whole counts
+ * work too). Fisher scoring on (log a, b) with step halving, warm-
+ * started from `start` — the previous EM pass's fit — when given.
+ * Exported for tests; calibrateItems is the entry point.
+ */
+export function fitItem(
+  counts: readonly { theta: number; n: number; r: number }[],
+  c: number,
+  priorB: number | null,
+  start?: { a: number; b: number },
+): { a: number; b: number } {
+  const bMean = priorB ?? 0;
+  const aPrec = 1 / LOG_A_PRIOR_SD ** 2;
+  const bPrec = 1 / B_PRIOR_SD ** 2;
+  const logPosterior = (alpha: number, b: number): number => {
+    let lp = -0.5 * aPrec * alpha * alpha - 0.5 * bPrec * (b - bMean) ** 2;
+    const params = { a: Math.exp(alpha), b, c };
+    for (const node of counts) {
+      const p = probabilityCorrect(node.theta, params);
+      lp += node.r * Math.log(p) + (node.n - node.r) * Math.log(1 - p);
+    }
+    return lp;
+  };
+
+  let alpha = Math.log(start?.a ?? 1);
+  let b = start?.b ?? bMean;
+  let current = logPosterior(alpha, b);
+  for (let iter = 0; iter < MAX_SCORING_STEPS; iter++) {
+    const a = Math.exp(alpha);
+    // Gradient and expected information, prior terms included — the
+    // prior keeps the information matrix positive definite.
+    let gA = -aPrec * alpha;
+    let gB = -bPrec * (b - bMean);
+    let iAA = aPrec;
+    let iBB = bPrec;
+    let iAB = 0;
+    for (const node of counts) {
+      const l = 1 / (1 + Math.exp(-D * a * (node.theta - b)));
+      const p = c + (1 - c) * l;
+      const dPdz = (1 - c) * l * (1 - l);
+      const dPdAlpha = dPdz * D * a * (node.theta - b);
+      const dPdB = -dPdz * D * a;
+      const pq = p * (1 - p);
+      const resid = (node.r - node.n * p) / pq;
+      gA += resid * dPdAlpha;
+      gB += resid * dPdB;
+      const w = node.n / pq;
+      iAA += w * dPdAlpha * dPdAlpha;
+      iBB += w * dPdB * dPdB;
+      iAB += w * dPdAlpha * dPdB;
+    }
+    const det = iAA * iBB - iAB * iAB;
+    const stepA = (iBB * gA - iAB * gB) / det;
+    const stepB = (iAA * gB - iAB * gA) / det;
+
+    let accepted = false;
+    for (let scale = 1; scale >= 1 / 64; scale /= 2) {
+      const nextAlpha = clamp(alpha + scale * stepA, LOG_A_MIN, LOG_A_MAX);
+      const nextB = clamp(b + scale * stepB, B_MIN, B_MAX);
+      const value = logPosterior(nextAlpha, nextB);
+      if (value >= current) {
+        const moved = Math.max(Math.abs(nextAlpha - alpha), Math.abs(nextB - b));
+        alpha = nextAlpha;
+        b = nextB;
+        current = value;
+        accepted = moved >= SCORING_TOLERANCE;
+        break;
+      }
+    }
+    if (!accepted) break;
+  }
+  return { a: round3(Math.exp(alpha)), b: round3(b) };
+}
+
+/** Which way a calibrated b disagrees with the authored one, if by at
+ *  least LABEL_DISAGREEMENT. Unlabelled items are never flagged. */
+export function labelFlag(
+  b: number,
+  authoredB: number | null,
+): ItemCalibration['labelFlag'] {
+  if (authoredB == null) return null;
+  if (b - authoredB >= LABEL_DISAGREEMENT) return 'harder_than_labeled';
+  if (authoredB - b >= LABEL_DISAGREEMENT) return 'easier_than_labeled';
+  return null;
+}
+
+/** The 1–7 score band a calibrated b falls in (inverse of irt.ts's
+ *  band → b mapping). Mirrored in SQL by the three-argument
+ *  public.mastery_weight (migration 20261019130000). */
+export function calibratedScoreBand(b: number): number {
+  return Math.min(7, Math.max(1, Math.round(b / 0.5 + 4)));
+}
+
+/** The 1–3 difficulty a calibrated b corresponds to: below −0.5 easy,
+ *  above +0.5 hard. Same mirror as calibratedScoreBand. */
+export function calibratedDifficulty(b: number): 1 | 2 | 3 {
+  if (b < -0.5) return 1;
+  if (b > 0.5) return 3;
+  return 2;
+}
+
+/** A calibration row's b when it is safe to use, else null. Accepts
+ *  item_calibration rows as PostgREST returns them (numeric → string
+ *  or number). */
+export function reliableB(
+  row: { b: number | string | null; reliable: boolean | null } | null | undefined,
+): number | null {
+  if (!row || !row.reliable || row.b == null) return null;
+  const b = Number(row.b);
+  return Number.isFinite(b) ? b : null;
+}
+
+/** A calibration row as irt.ts's `calibrated` override when it is
+ *  reliable, else null. Takes the one-to-one PostgREST embed in
+ *  either shape (object, or the array older versions return). */
+export function reliableParams(
+  embed: CalibrationRow | CalibrationRow[] | null | undefined,
+): { a: number | null; b: number } | null {
+  const row = Array.isArray(embed) ? embed[0] : embed;
+  const b = reliableB(row);
+  if (b == null || !row) return null;
+  const a = Number(row.a);
+  return { a: Number.isFinite(a) && a > 0 ? a : null, b };
+}
+
+type CalibrationRow = { a: number | string | null; b: number | string | null; reliable: boolean | null };
+
+function clamp(n: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, n));
+}
+
+function push<T>(map: Map<string, T[]>, key: string, value: T): void {
+  const list = map.get(key);
+  if (list) list.push(value);
+  else map.set(key, [value]);
+}
+
+function grid(min: number, max: number, step: number): number[] {
+  const out: number[] = [];
+  const steps = Math.round((max - min) / step);
+  for (let i = 0; i <= steps; i++) out.push(round3(min + i * step));
+  return out;
+}
+
+function round3(n: number): number {
+  return Math.round(n * 1000) / 1000;
+}
@@ -0,0 +1,136 @@
+// IRT ability estimation + module-2 routing tests. Runs under
+// `npm run test:unit`; imports the .ts source directly like
+// lib/review/schedule.test.mjs does.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  itemParamsFromAuthored,
+  probabilityCorrect,
+  estimateAbility,
+  expectedScore,
+  thetaForExpectedScore,
+  referenceCutTheta,
+  routeOnAbility,
+  MIN_PARAM_COVERAGE,
+} from './irt.ts';
+
+function mcq(scoreBand, correct) {
+  return {
+    params: itemParamsFromAuthored({ questionType: 'mcq', difficulty: null, scoreBand }),
+    correct,
+  };
+}
+
+test('score band sets b, centred on band 4', () => {
+  assert.deepEqual(
+    itemParamsFromAuthored({ questionType: 'mcq', difficulty: 3, scoreBand: 4 }),
+    { a: 1, b: 0, c: 0.25 },
+  );
+  assert.equal(itemParamsFromAuthored({ questionType: 'mcq', difficulty: null, scoreBand: 1 }).b, -1.5);
+  assert.equal(itemParamsFromAuthored({ questionType: 'mcq', difficulty: null, scoreBand: 7 }).b, 1.5);
+});
+
+test('difficulty is the fallback when no score band is authored', () => {
+  assert.equal(itemParamsFromAuthored({ questionType: 'mcq', difficulty: 1, scoreBand: null }).b, -1);
+  assert.equal(itemParamsFromAuthored({ questionType: 'mcq', difficulty: 3, scoreBand: null }).b, 1);
+});
+
+test('SPR items have no guessing floor', () => {
+  assert.equal(itemParamsFromAuthored({ questionType: 'spr', difficulty: 2, scoreBand: null }).c, 0);
+});
+
+test('calibrated a and b override the authored labels', () => {
+  const p = itemParamsFromAuthored({
+    questionType: 'mcq', difficulty: 1, scoreBand: 2, calibrated: { a: 1.4, b: 0.7 },
+  });
+  assert.deepEqual(p, { a: 1.4, b: 0.7, c: 0.25 });
+  // A non-positive calibrated a is ignored rather than inverting the curve.
+  assert.equal(
+    itemParamsFromAuthored({ questionType: 'mcq', difficulty: 1, scoreBand: null, calibrated: { a: -0.2 } }).a,
+    1,
+  );
+});
+
+test('unlabelled items get no parameters', () => {
+  assert.equal(itemParamsFromAuthored({ questionType: 'mcq', difficulty: null, scoreBand: null }), null);
+  assert.equal(itemParamsFromAuthored({ questionType: 'mcq', difficulty: 9, scoreBand: 0 }), null);
+});
+
+test('probability rises with ability and respects the guessing floor', () => {
+  const p = { a: 1, b: 0, c: 0.25 };
+  assert.ok(probabilityCorrect(-4, p) > 0.25 && probabilityCorrect(-4, p) < 0.26);
+  assert.equal(probabilityCorrect(0, p), 0.625);
+  assert.ok(probabilityCorrect(1, p) > probabilityCorrect(0, p));
+});
+
+test('all-correct and all-wrong patterns stay finite under the prior', () => {
+  const right = estimateAbility(Array.from({ length: 22 }, () => mcq(4, true)));
+  const wrong = estimateAbility(Array.from({ length: 22 }, () => mcq(4, false)));
+  assert.ok(right.theta > 1.5 && right.theta < 4);
+  assert.ok(wrong.theta < -1 && wrong.theta > -4);
+  assert.ok(right.se > 0 && wrong.se > 0);
+});
+
+test('more items shrink the standard error', () => {
+  const half = (n) => Array.from({ length: n }, (_, i) => mcq(4, i % 2 === 0));
+  assert.ok(estimateAbility(half(40)).se < estimateAbility(half(10)).se);
+});
+
+test('the same raw score on a harder form estimates higher ability', () => {
+  // 11 of 22 right either way, once on an easy form and once on a hard one.
+  const easyForm = Array.from({ length: 22 }, (_, i) => mcq(2, i < 11));
+  const hardForm = Array.from({ length: 22 }, (_, i) => mcq(6, i < 11));
+  assert.ok(estimateAbility(hardForm).theta > estimateAbility(easyForm).theta);
+});
+
+test('items without parameters are skipped; none at all is null', () => {
+  const est = estimateAbility([mcq(4, true), { params: null, correct: false }]);
+  assert.equal(est.itemCount, 1);
+  assert.equal(estimateAbility([{ params: null, correct: true }]), null);
+});
+
+test('thetaForExpectedScore inverts the characteristic curve', () => {
+  const params = Array.from({ length: 20 }, (_, i) =>
+    itemParamsFromAuthored({ questionType: 'mcq', difficulty: null, scoreBand: (i % 7) + 1 }));
+  const theta = thetaForExpectedScore(params, 14);
+  assert.ok(Math.abs(expectedScore(theta, params) - 14) < 0.01);
+  // Below the guessing floor / above the item count clamp to the grid.
+  assert.equal(thetaForExpectedScore(params, 2), -4);
+  assert.equal(thetaForExpectedScore(params, 20), 4);
+});
+
+test('referenceCutTheta matches the threshold on a typical form', () => {
+  const typical = Array.from({ length: 27 }, (_, i) =>
+    itemParamsFromAuthored({ questionType: 'mcq', difficulty: null, scoreBand: (i % 7) + 1 }));
+  const cut = referenceCutTheta(15, 27);
+  assert.ok(Math.abs(expectedScore(cut, typical) - 15) < 0.01);
+  assert.ok(referenceCutTheta(20, 27) > cut);
+});
+
+test('routeOnAbility splits equal raw scores by how hard the form was', () => {
+  const easyForm = Array.from({ length: 22 }, (_, i) => mcq(2, i < 15));
+  const hardForm = Array.from({ length: 22 }, (_, i) => mcq(6, i < 15));
+  const a = routeOnAbility({ responses: easyForm, threshold: 14 });
+  const b = routeOnAbility({ responses: hardForm, threshold: 14 });
+  assert.equal(a.cutTheta, b.cutTheta);
+  assert.equal(a.route, 'easy');
+  assert.equal(b.route, 'hard');
+});
+
+test('a strong module-1 result routes hard, a weak one easy', () => {
+  const strong = Array.from({ length: 22 }, (_, i) => mcq((i % 7) + 1, i < 20));
+  const weak = Array.from({ length: 22 }, (_, i) => mcq((i % 7) + 1, i < 6));
+  assert.equal(routeOnAbility({ responses: strong, threshold: 14 }).route, 'hard');
+  assert.equal(routeOnAbility({ responses: weak, threshold: 14 }).route, 'easy');
+});
+
+test('routeOnAbility declines when too few items carry parameters', () => {
+  const n = 10;
+  const withParams = Math.ceil(n * MIN_PARAM_COVERAGE) - 1;
+  const responses = Array.from({ length: n }, (_, i) =>
+    i < withParams ? mcq(4, true) : { params: null, correct: true });
+  assert.equal(routeOnAbility({ responses, threshold: 5 }), null);
+  assert.equal(routeOnAbility({ responses: [], threshold: 5 }), null);
+  assert.equal(routeOnAbility({ responses: [mcq(4, true)], threshold: NaN }), null);
+});
@@ -0,0 +1,247 @@
+// Item-response-theory ability estimation for practice tests.
+//
+// The threshold router (adaptive-routing.js) routes module 2 on a raw
+// correct count, so 15 right on a module-1 form full of easy items and
+// 15 right on a form full of hard ones land on the same route. This
+// module puts every response on one ability scale instead: each item
+// carries 3PL parameters
+//
+//   P(correct | θ) = c + (1 − c) / (1 + exp(−D·a·(θ − b)))
+//
+// and the student's ability θ is the posterior mean (EAP) under a
+// standard-normal prior, with the posterior SD as its standard error.
+// EAP rather than maximum likelihood because ML diverges on all-right
+// or all-wrong patterns, which are common on a 22-item module.
+//
+// PURE: no I/O, no Date.now(), like the rest of lib/practice-test —
+// callers pass item rows + correctness in, get numbers back
+// (irt.test.mjs).
+//
+// Where the parameters come from. Until items are calibrated against
+// real attempts, parameters are DERIVED from the authored labels on
+// questions_v2: `score_band` (1–7, College Board's band — 1 is the
+// easiest) sets b when present, else the coarser 1–3 `difficulty`
+// does; discrimination defaults to 1; the guessing floor c is 1/4 for
+// four-option MCQ and 0 for student-produced response. Callers that
+// have calibrated values pass them through `calibrated` and they win.
+// Items with no usable label get no parameters, and when too few items
+// in a module have them the router falls back to the raw threshold
+// (routeOnAbility returns null).
+
+export interface ItemParams {
+  /** Discrimination — slope of the item characteristic curve. */
+  a: number;
+  /** Difficulty — the θ where the curve is halfway between c and 1. */
+  b: number;
+  /** Pseudo-guessing floor. */
+  c: number;
+}
+
+/** The questions_v2 columns parameter derivation reads. */
+export interface AuthoredItem {
+  questionType: string | null;
+  difficulty: number | null;
+  scoreBand: number | null;
+  /** Empirically calibrated a / b, when available; overrides the
+   *  authored-label derivation field by field. */
+  calibrated?: { a?: number | null; b?: number | null } | null;
+}
+
+export interface ItemResponse {
+  params: ItemParams | null;
+  correct: boolean;
+}
+
+export interface AbilityEstimate {
+  /** Posterior-mean ability on the logistic θ scale (0 = average). */
+  theta: number;
+  /** Posterior SD — the standard error of θ. */
+  se: number;
+  /** Items that contributed (those with parameters). */
+  itemCount: number;
+}
+
+export interface AbilityRoute {
+  route: 'easy' | 'hard';
+  theta: number;
+  se: number;
+  /** The θ equivalent of the test's raw-correct threshold. */
+  cutTheta: number;
+}
+
+// ── Tunable knobs ─────────────────────────────────────────────────
+/** Logistic-to-normal-ogive scaling constant. */
+export const D = 1.7;
+const MCQ_GUESSING = 0.25;
+const DEFAULT_DISCRIMINATION = 1;
+/** score_band → b: band 4 is centred on θ = 0, each band ±0.5. */
+const SCORE_BAND_CENTER = 4;
+const SCORE_BAND_STEP = 0.5;
+/** difficulty (1–3) → b: easy −1, medium 0, hard +1. */
+const DIFFICULTY_CENTER = 2;
+const DIFFICULTY_STEP = 1;
+/** Quadrature grid for EAP. ±4 covers effectively all prior mass. */
+const THETA_MIN = -4;
+const THETA_MAX = 4;
+const THETA_STEP = 0.05;
+/** Share of a module's items that must carry parameters before the
+ *  ability estimate is trusted over the raw threshold. */
+export const MIN_PARAM_COVERAGE = 0.8;
+
+const GRID: number[] = (() => {
+  const out: number[] = [];
+  const steps = Math.round((THETA_MAX - THETA_MIN) / THETA_STEP);
+  for (let i = 0; i <= steps; i++) out.push(THETA_MIN + i * THETA_STEP);
+  return out;
+})();
+
+/**
+ * Derive 3PL parameters for one item. Returns null when the item has
+ * neither a score band nor a difficulty label and no calibrated b.
+ */
+export function itemParamsFromAuthored(item: AuthoredItem): ItemParams | null {
+  const c = item.questionType === 'spr' ? 0 : MCQ_GUESSING;
+
+  const calibratedA = item.calibrated?.a;
+  const calibratedB = item.calibrated?.b;
+
+  let b: number | null = null;
+  if (isFiniteNumber(calibratedB)) {
+    b = calibratedB;
+  } else if (isFiniteNumber(item.scoreBand) && item.scoreBand >= 1 && item.scoreBand <= 7) {
+    b = (item.scoreBand - SCORE_BAND_CENTER) * SCORE_BAND_STEP;
+  } else if (isFiniteNumber(item.difficulty) && item.difficulty >= 1 && item.difficulty <= 3) {
+    b = (item.difficulty - DIFFICULTY_CENTER) * DIFFICULTY_STEP;
+  }
+  if (b == null) return null;
+
+  const a = isFiniteNumber(calibratedA) && calibratedA > 0
+    ? calibratedA
+    : DEFAULT_DISCRIMINATION;
+  return { a, b, c };
+}
+
+/** P(correct | θ) under the 3PL model. */
+export function probabilityCorrect(theta: number, p: ItemParams): number {
+  return p.c + (1 - p.c) / (1 + Math.exp(-D * p.a * (theta - p.b)));
+}
+
+/**
+ * EAP ability estimate from a response pattern. Items without
+ * parameters are skipped; returns null when none remain.
+ */
+export function estimateAbility(responses: readonly ItemResponse[]): AbilityEstimate | null {
+  const usable = responses.filter((r): r is { params: ItemParams; correct: boolean } => r.params != null);
+  if (usable.length === 0) return null;
+
+  // Work in log space: a 54-item product of probabilities underflows
+  // comfortably before it reaches the normalizer.
+  const logPost = GRID.map((theta) => {
+    let lp = -0.5 * theta * theta; // N(0,1) prior, constant dropped
+    for (const r of usable) {
+      const p = probabilityCorrect(theta, r.params);
+      lp += Math.log(r.correct ? p : 1 - p);
+    }
+    return lp;
+  });
+  const maxLp = Math.max(...logPost);
+  const weights = logPost.map((lp) => Math.exp(lp - maxLp));
+  const total = weights.reduce((s, w) => s + w, 0);
+
+  let mean = 0;
+  for (let i = 0; i < GRID.length; i++) mean += GRID[i] * weights[i];
+  mean /= total;
+  let variance = 0;
+  for (let i = 0; i < GRID.length; i++) variance += (GRID[i] - mean) ** 2 * weights[i];
+  variance /= total;
+
+  return { theta: round3(mean), se: round3(Math.sqrt(variance)), itemCount: usable.length };
+}
+
+/** Expected raw score at θ — the test characteristic curve. */
+export function expectedScore(theta: number, params: readonly ItemParams[]): number {
+  let sum = 0;
+  for (const p of params) sum += probabilityCorrect(theta, p);
+  return sum;
+}
+
+/**
+ * The θ at which the expected raw score equals `rawScore` (inverse of
+ * the test characteristic curve, by bisection). Clamped to the grid
+ * when the score is below the guessing floor or above the item count.
+ */
+export function thetaForExpectedScore(params: readonly ItemParams[], rawScore: number): number {
+  if (params.length === 0) return 0;
+  if (rawScore <= expectedScore(THETA_MIN, params)) return THETA_MIN;
+  if (rawScore >= expectedScore(THETA_MAX, params)) return THETA_MAX;
+  let lo = THETA_MIN;
+  let hi = THETA_MAX;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (expectedScore(mid, params) < rawScore) lo = mid;
+    else hi = mid;
+  }
+  return round3((lo + hi) / 2);
+}
+
+/**
+ * The θ cut equivalent to a raw-correct threshold: where a REFERENCE
+ * module — the same length, MCQ items spread evenly across the seven
+ * score bands — has that expected score. Anchoring the cut to a
+ * reference rather than to the student's actual module is the point:
+ * 15 right on a module-1 form that skews hard estimates a higher θ
+ * than 15 right on one that skews easy, and only the first clears a
+ * cut that means "15 of 27 on a typical form". The per-test
+ * thresholds in practice_tests_v2 keep their meaning on that
+ * typical form.
+ */
+export function referenceCutTheta(threshold: number, itemCount: number): number {
+  const reference: ItemParams[] = [];
+  for (let i = 0; i < itemCount; i++) {
+    reference.push({
+      a: DEFAULT_DISCRIMINATION,
+      b: ((i % 7) + 1 - SCORE_BAND_CENTER) * SCORE_BAND_STEP,
+      c: MCQ_GUESSING,
+    });
+  }
+  return thetaForExpectedScore(reference, threshold);
+}
+
+/**
+ * Route module 2 on the ability estimate from module 1, against the
+ * reference cut for the test's raw-correct threshold (unanswered items
+ * belong in `responses` as incorrect).
+ *
+ * Returns null when fewer than MIN_PARAM_COVERAGE of the items carry
+ * parameters; the caller then uses the raw-threshold router.
+ */
+export function routeOnAbility({
+  responses,
+  threshold,
+}: {
+  responses: readonly ItemResponse[];
+  threshold: number;
+}): AbilityRoute | null {
+  if (responses.length === 0 || !Number.isFinite(threshold)) return null;
+  const withParams = responses.filter((r) => r.params != null).length;
+  if (withParams / responses.length < MIN_PARAM_COVERAGE) return null;
+
+  const estimate = estimateAbility(responses);
+  if (!estimate) return null;
+
+  const cutTheta = referenceCutTheta(threshold, responses.length);
+  return {
+    route: estimate.theta >= cutTheta ? 'hard' : 'easy',
+    theta: estimate.theta,
+    se: estimate.se,
+    cutTheta,
+  };
+}
+
+function isFiniteNumber(n: unknown): n is number {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+function round3(n: number): number {
+  return Math.round(n * 1000) / 1000;
+}
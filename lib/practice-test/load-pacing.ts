@@ -0,0 +1,78 @@
+// Loader for the pacing model (./pacing.ts). One home for the two
+// reads every pacing surface needs: the student's time-per-difficulty
+// history and a module's item difficulties. The runner page calls
+// loadModulePacingPlan once per module (only when the tutor has
+// turned the pacing coach on); the results loader calls
+// loadPacingHistory once and builds a plan per module itself.
+//
+// History is the student's recent timed answers — practice and
+// practice tests — split by section, since a Math minute and a
+// Reading minute aren't the same budget. `beforeIso` keeps a finished
+// test's own answers out of the history it's judged against.
+
+import { avgTimeByDifficulty } from '@/lib/analytics';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import { buildPacingPlan, type PacingPlan, type TimeByDifficulty } from './pacing';
+
+export type PacingSubject = 'RW' | 'MATH';
+
+/** Most recent timed answers that feed the history. */
+export const HISTORY_ATTEMPTS = 400;
+
+const MATH_DOMAINS = new Set(['H', 'P', 'Q', 'S']);
+
+export async function loadPacingHistory(
+  supabase: TypedSupabaseClient,
+  userId: string,
+  subject: PacingSubject,
+  beforeIso: string | null = null,
+): Promise<TimeByDifficulty | null> {
+  let q = supabase
+    .from('attempts')
+    .select('question_id, time_spent_ms')
+    .eq('user_id', userId)
+    .in('source', ['practice', 'practice_test'])
+    .gt('time_spent_ms', 0)
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_ATTEMPTS);
+  if (beforeIso) q = q.lt('created_at', beforeIso);
+  const { data: attempts } = await q;
+  if (!attempts?.length) return null;
+
+  const ids = [...new Set(attempts.map((a) => a.question_id))];
+  const { data: questions } = await supabase
+    .from('questions_v2')
+    .select('id, difficulty, domain_code')
+    .in('id', ids);
+  const byId = new Map((questions ?? []).map((row) => [row.id, row]));
+
+  const rows = [];
+  for (const a of attempts) {
+    const meta = byId.get(a.question_id);
+    if (!meta?.domain_code) continue;
+    if (MATH_DOMAINS.has(meta.domain_code) !== (subject === 'MATH')) continue;
+    rows.push({ difficulty: meta.difficulty, time_spent_ms: a.time_spent_ms });
+  }
+  if (rows.length === 0) return null;
+  return avgTimeByDifficulty(rows) as TimeByDifficulty;
+}
+
+export async function loadModulePacingPlan(
+  supabase: TypedSupabaseClient,
+  input: { userId: string; moduleId: string; subject: PacingSubject; timeLimitSeconds: number },
+): Promise<PacingPlan | null> {
+  const [{ data: items }, history] = await Promise.all([
+    supabase
+      .from('practice_test_module_items_v2')
+      .select('ordinal, question:questions_v2(difficulty)')
+      .eq('practice_test_module_id', input.moduleId)
+      .order('ordinal', { ascending: true }),
+    loadPacingHistory(supabase, input.userId, input.subject),
+  ]);
+  if (!items?.length) return null;
+  return buildPacingPlan({
+    difficulties: items.map((it) => it.question?.difficulty ?? null),
+    timeLimitMs: input.timeLimitSeconds * 1000,
+    history,
+  });
+}
@@ -0,0 +1,137 @@
+// One home for "load this student's score prediction". The student
+// dashboard, the tutor student page and the score-report PDF
+// (loadTestResults) all show the same prediction, so they share this
+// read and the pure predictScore (./score-prediction.ts) behind it.
+//
+// Everything is read as of `asOf` (yyyy-mm-dd): the dashboards pass
+// today, the PDF passes the attempt's finish date so a report
+// re-downloaded next month still shows the outlook it was issued
+// with. The client is whatever the caller has — RLS-scoped on the
+// pages (can_view covers the tutor), service role on the external
+// score-report route.
+//
+// That as-of outlook never changes once the test is finished, so the
+// PDF's copy is computed once and kept on the attempt
+// (practice_test_attempts_v2.score_prediction, via
+// storeScorePrediction) rather than re-read on every results load.
+//
+// Test date: the soonest registration on or after asOf, else the
+// profile's sat_test_date — the same precedence the dashboard's
+// "days to test" uses (a registration is a real exam, the profile
+// date a goal).
+
+import { fetchAll } from '@/lib/supabase/fetchAll';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import type { Json } from '@/lib/types/database';
+import {
+  MASTERY_WINDOW_DAYS,
+  masteryHistoryFromSnapshots,
+  officialSatScores,
+  predictScore,
+  type ScorePrediction,
+} from './score-prediction';
+
+function addDays(iso: string, days: number): string {
+  const d = new Date(iso + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export async function loadScorePrediction(
+  supabase: TypedSupabaseClient,
+  studentId: string,
+  asOf: string,
+): Promise<ScorePrediction | null> {
+  const endOfDay = `${addDays(asOf, 1)}T00:00:00Z`;
+  const [
+    { data: testRows },
+    { data: officialRows },
+    { data: registrationRow },
+    { data: profileRow },
+    snapshotRows,
+  ] = await Promise.all([
+    supabase
+      .from('practice_test_attempts_v2')
+      .select('finished_at, composite_score, rw_scaled, math_scaled')
+      .eq('user_id', studentId)
+      .eq('status', 'completed')
+      .is('sections_only', null)
+      .lt('finished_at', endOfDay),
+    supabase
+      .from('sat_official_scores')
+      .select('test_date, rw_score, math_score, composite_score, test_type')
+      .eq('student_id', studentId)
+      .lte('test_date', asOf),
+    supabase
+      .from('sat_test_registrations')
+      .select('test_date')
+      .eq('student_id', studentId)
+      .gte('test_date', asOf)
+      .order('test_date', { ascending: true })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('profiles')
+      .select('sat_test_date')
+      .eq('id', studentId)
+      .maybeSingle(),
+    // One row per skill per snapshot date — past the PostgREST row
+    // cap for an active student, hence the paged read.
+    fetchAll<{ snapshot_date: string; mastery: number }>(
+      async (from: number, to: number) =>
+        await supabase
+          .from('skill_mastery_snapshots')
+          .select('snapshot_date, mastery')
+          .eq('student_id', studentId)
+          .eq('test_type', 'sat')
+          .gte('snapshot_date', addDays(asOf, -MASTERY_WINDOW_DAYS))
+          .lte('snapshot_date', asOf)
+          .order('snapshot_date', { ascending: true })
+          .range(from, to),
+    ),
+  ]);
+
+  const profileTestDate = profileRow?.sat_test_date ?? null;
+  return predictScore({
+    practiceTests: (testRows ?? [])
+      .filter((r) => r.finished_at)
+      .map((r) => ({
+        date: r.finished_at!.slice(0, 10),
+        rw: r.rw_scaled,
+        math: r.math_scaled,
+        composite: r.composite_score,
+      })),
+    officialScores: officialSatScores(officialRows ?? []),
+    masteryHistory: masteryHistoryFromSnapshots(snapshotRows),
+    testDate: registrationRow?.test_date
+      ?? (profileTestDate && profileTestDate >= asOf ? profileTestDate : null),
+    today: asOf,
+  });
+}
+
+/**
+ * Compute the outlook as of the attempt's finish date and keep it on
+ * the attempt. Called at close, after an import re-scores attempts,
+ * and by loadTestResults for attempts finished before the column
+ * existed. The write is best-effort: ptav2_update_self only admits
+ * the owner and admins, so a tutor's load still gets the prediction
+ * back and the owner's next load stores it.
+ */
+export async function storeScorePrediction(
+  supabase: TypedSupabaseClient,
+  attempt: { id: string; user_id: string; finished_at: string | null },
+): Promise<ScorePrediction | null> {
+  if (!attempt.finished_at) return null;
+  const prediction = await loadScorePrediction(
+    supabase,
+    attempt.user_id,
+    attempt.finished_at.slice(0, 10),
+  );
+  if (prediction) {
+    await supabase
+      .from('practice_test_attempts_v2')
+      .update({ score_prediction: prediction as unknown as Json })
+      .eq('id', attempt.id);
+  }
+  return prediction;
+}
@@ -5,21 +5,25 @@
 // loader the action wraps, and lib/practice/load-question-action.ts
 // for the practice-session twin this mirrors.
 //
-// Auth: requireUser() runs on every call. The loader does its own
-// ownership check via `practice_test_attempts_v2.user_id = caller`.
-// RLS still gates the underlying tables, so a forged
-// moduleAttemptId returns not_found rather than another user's
-// module.
+// Auth: requireUser() runs on every call, then the 'question.load'
+// rate-limit policy and the scraper guard (lib/api/scraperGuard.ts).
+// The loader does its own ownership check via
+// `practice_test_attempts_v2.user_id = caller`. RLS still gates the
+// underlying tables, so a forged moduleAttemptId returns not_found
+// rather than another user's module.
 
 'use server';
 
 import { requireUser } from '@/lib/api/auth';
+import { actionRateLimited } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { guardQuestionLoad } from '@/lib/api/scraperGuard';
 import { loadTestQuestion } from './load-test-question';
 import type {
   LoadTestQuestionInput,
   LoadTestQuestionResult,
 } from './load-test-question';
-import type { ActionResult, UserRole } from '@/lib/types';
+import type { ActionResult, AuthContext, UserRole } from '@/lib/types';
 
 /**
  * Load the runner payload for one (moduleAttemptId, position) tuple.
@@ -30,11 +34,12 @@ import type { ActionResult, UserRole } from '@/lib/types';
 export async function loadTestQuestionAction(
   input: LoadTestQuestionInput,
 ): Promise<ActionResult<{ result: LoadTestQuestionResult }>> {
+  let ctx: AuthContext;
   let user: { id: string };
   let role: UserRole;
   let supabase: unknown;
   try {
-    const ctx = await requireUser();
+    ctx = await requireUser();
     user = ctx.user;
     role = ctx.profile.role as UserRole;
     supabase = ctx.supabase;
@@ -43,6 +48,13 @@ export async function loadTestQuestionAction(
     return { ok: false, error: message };
   }
 
+  // Per-question payloads are what a scraper walks; 'question.load'
+  // sits far above a student clicking Next.
+  const rl = await checkRateLimit('question.load', { key: user.id, role });
+  if (!rl.ok) return actionRateLimited(rl);
+  const blocked = await guardQuestionLoad(ctx);
+  if (blocked) return blocked;
+
   try {
     const result = await loadTestQuestion(
       { userId: user.id, role, supabase },
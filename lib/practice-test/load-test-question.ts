@@ -85,6 +85,7 @@ export interface TestQuestionVM {
 }
 
 export interface TestModuleInfo {
+  moduleId: string;
   subject: string;
   moduleNumber: number;
   routeCode: string | null;
@@ -288,6 +289,7 @@ export async function loadTestQuestion(
   const mod = moduleAttempt.practice_test_module;
   const mult = Number(moduleAttempt.practice_test_attempt.time_multiplier) || 1;
   const moduleInfo: TestModuleInfo = {
+    moduleId: mod.id,
     subject: mod.subject_code,
     moduleNumber: mod.module_number,
     routeCode: mod.route_code,
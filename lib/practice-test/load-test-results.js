@@ -27,6 +27,10 @@ import { loadQuestionNotesByQuestion } from '@/lib/practice/load-question-notes'
 import { loadStudentNotesByQuestion } from '@/app/(student)/notes/loaders';
 import { inferLayoutMode } from '@/lib/ui/question-layout';
 import { loadPatternCatalog, canTagPatterns } from '@/lib/practice/load-question-patterns';
+import { estimateSectionAbility } from '@/lib/practice-test/scoring';
+import { storeScorePrediction } from '@/lib/practice-test/load-score-prediction';
+import { buildPacingPlan, findTimeSinks } from '@/lib/practice-test/pacing';
+import { loadPacingHistory } from '@/lib/practice-test/load-pacing';
 
 // Opportunity-index weight tables. Mirror the legacy route's
 // constants so the v2 OI scores line up with the live site.
@@ -51,7 +55,7 @@ export async function loadTestResults({ supabase, attemptId, viewerUserId, viewe
     .select(`
       id, user_id, status, started_at, finished_at,
       composite_score, rw_scaled, math_scaled, sections_only,
-      practice_test_id, time_multiplier,
+      practice_test_id, time_multiplier, score_prediction,
       practice_test:practice_tests_v2(id, code, name)
     `)
     .eq('id', attemptId)
@@ -283,6 +287,9 @@ export async function loadTestResults({ supabase, attemptId, viewerUserId, viewe
     { data: conceptCatalog },
     { data: conceptLinks },
     { data: teacherProfileRow },
+    prediction,
+    pacingHistoryRw,
+    pacingHistoryMath,
   ] = await Promise.all([
     // SAT practice-test results loader; ACT practice tests have their
     // own loader path (act_practice_test_attempts).
@@ -338,7 +345,25 @@ export async function loadTestResults({ supabase, attemptId, viewerUserId, viewe
           .eq('id', teacherAssignment.teacher_id)
           .maybeSingle()
       : Promise.resolve({ data: null }),
+    // Score outlook for the PDF, as of the day this test was finished
+    // so a re-download later shows the outlook the report was issued
+    // with (this attempt included). Stored on the attempt at close;
+    // only attempts finished before that column get it computed here,
+    // once.
+    attempt.score_prediction
+      ? Promise.resolve(attempt.score_prediction)
+      : storeScorePrediction(supabase, attempt),
+    // Time-per-difficulty history for the pacing section, from before
+    // this test started so its own answers don't set their budgets.
+    loadPacingHistory(supabase, ownerUserId, 'RW', attempt.started_at),
+    loadPacingHistory(supabase, ownerUserId, 'MATH', attempt.started_at),
   ]);
+  const pacing = buildPacing(
+    reviewItems,
+    moduleAttemptList,
+    attempt.time_multiplier,
+    { RW: pacingHistoryRw, MATH: pacingHistoryMath },
+  );
 
   {
     const byQid = new Map((savedRows ?? []).map((r) => [r.question_id, r.state_json]));
@@ -407,7 +432,7 @@ export async function loadTestResults({ supabase, attemptId, viewerUserId, viewe
   // 10) PDF data payload — shaped to match the legacy JSON the
   //     existing generateScoreReportPdf consumes.
   const pdfData = buildPdfPayload({
-    attempt, sections, domains, opportunity, reviewItems, studentProfile, teacher,
+    attempt, sections, domains, opportunity, reviewItems, studentProfile, teacher, prediction,
   });
 
   return {
@@ -426,6 +451,7 @@ export async function loadTestResults({ supabase, attemptId, viewerUserId, viewe
       domains,
       opportunity,
       timing,
+      pacing,
       reviewItems,
       pdfData,
       viewerRole,
@@ -470,6 +496,18 @@ function buildSections(attempt, items, moduleAttemptList) {
       if (it.studentAnswer?.isCorrect) slot.m2Correct += 1;
     }
   }
+  // IRT ability per section over every item seen (null when the
+  // items lack difficulty labels — see estimateSectionAbility).
+  const abilityItems = { RW: [], MATH: [] };
+  for (const it of items) {
+    if (it.missing || !abilityItems[it.subject]) continue;
+    abilityItems[it.subject].push({
+      questionType: it.questionType ?? null,
+      difficulty: it.taxonomy?.difficulty ?? null,
+      scoreBand: it.taxonomy?.score_band ?? null,
+      correct: !!it.studentAnswer?.isCorrect,
+    });
+  }
   const routeBySubject = { RW: 'std', MATH: 'std' };
   for (const ma of moduleAttemptList) {
     const m = ma.practice_test_module;
@@ -483,6 +521,7 @@ function buildSections(attempt, items, moduleAttemptList) {
       correct: counts.RW.correct,
       total: counts.RW.total,
       routeCode: routeBySubject.RW,
+      ability: estimateSectionAbility(abilityItems.RW),
       ...perModule.RW,
     },
     MATH: {
@@ -490,6 +529,7 @@ function buildSections(attempt, items, moduleAttemptList) {
       correct: counts.MATH.correct,
       total: counts.MATH.total,
       routeCode: routeBySubject.MATH,
+      ability: estimateSectionAbility(abilityItems.MATH),
       ...perModule.MATH,
     },
   };
@@ -725,7 +765,59 @@ function buildTiming(items, moduleAttempts, timeMultiplier) {
   };
 }
 
-function buildPdfPayload({ attempt, sections, domains, opportunity, reviewItems, studentProfile, teacher }) {
+// Pacing: each module's items get the budget the live pacing coach
+// would have given them (lib/practice-test/pacing.ts), and the missed
+// items that ran well past it are where the time went. Shown whether
+// or not the coach was on during the test.
+function buildPacing(items, moduleAttempts, timeMultiplier, historyBySubject) {
+  const mult = Number.isFinite(Number(timeMultiplier)) && Number(timeMultiplier) > 0
+    ? Number(timeMultiplier)
+    : 1;
+  const modules = [];
+  for (const ma of moduleAttempts ?? []) {
+    const m = ma.practice_test_module;
+    if (!m || m.time_limit_seconds == null) continue;
+    const moduleItems = items.filter(
+      (it) => it.subject === m.subject_code && it.moduleNumber === m.module_number,
+    );
+    if (moduleItems.length === 0) continue;
+    const plan = buildPacingPlan({
+      difficulties: moduleItems.map((it) => it.taxonomy?.difficulty ?? null),
+      timeLimitMs: Math.round(m.time_limit_seconds * 1000 * mult),
+      history: historyBySubject[m.subject_code] ?? null,
+    });
+    const summary = findTimeSinks(moduleItems.map((it, i) => ({
+      ordinal: it.ordinal,
+      modulePosition: it.modulePosition,
+      skillName: it.taxonomy?.skill_name ?? null,
+      budgetMs: plan.budgetsMs[i],
+      timeSpentMs: it.studentAnswer?.timeSpentMs ?? null,
+      correct: !!it.studentAnswer?.isCorrect,
+    })));
+    modules.push({
+      subject: m.subject_code,
+      moduleNumber: m.module_number,
+      basis: plan.basis,
+      missedMs: summary.missedMs,
+      missedBudgetMs: summary.missedBudgetMs,
+      overrunMs: summary.overrunMs,
+      sinks: summary.sinks.map((it) => ({
+        ordinal: it.ordinal,
+        modulePosition: it.modulePosition,
+        skillName: it.skillName,
+        budgetMs: it.budgetMs,
+        timeSpentMs: it.timeSpentMs,
+        overrunMs: it.overrunMs,
+      })),
+    });
+  }
+  return {
+    modules,
+    anySinks: modules.some((m) => m.sinks.length > 0),
+  };
+}
+
+function buildPdfPayload({ attempt, sections, domains, opportunity, reviewItems, studentProfile, teacher, prediction }) {
   return {
     test_name: attempt.practice_test?.name ?? '',
     test_code: attempt.practice_test?.code ?? '',
@@ -788,5 +880,15 @@ function buildPdfPayload({ attempt, sections, domains, opportunity, reviewItems,
       target_sat_score: studentProfile.target_sat_score ?? null,
     } : null,
     teacher,
+    prediction: prediction ? {
+      as_of: prediction.asOf,
+      point: prediction.point,
+      low: prediction.low,
+      high: prediction.high,
+      test_date: prediction.testDate,
+      projected: prediction.projected,
+      official_superscore: prediction.officialSuperscore,
+      projected_superscore: prediction.projectedSuperscore,
+    } : null,
   };
 }
@@ -0,0 +1,90 @@
+// Pacing model tests. Runs under `npm run test:unit`; imports the .ts
+// source directly like ./irt.test.mjs does.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPacingPlan,
+  difficultyWeights,
+  findTimeSinks,
+  pacingStatus,
+  DEFAULT_DIFFICULTY_WEIGHTS,
+  MIN_TOLERANCE_MS,
+  REVIEW_RESERVE_SHARE,
+  TIME_SINK_FACTOR,
+} from './pacing.ts';
+
+const MINUTE = 60_000;
+
+test('budgets fill the time limit less the review reserve', () => {
+  const plan = buildPacingPlan({
+    difficulties: [1, 2, 3, 2, null],
+    timeLimitMs: 10 * MINUTE,
+    history: null,
+  });
+  assert.equal(plan.basis, 'default');
+  assert.equal(plan.reserveMs, 10 * MINUTE * REVIEW_RESERVE_SHARE);
+  const sum = plan.budgetsMs.reduce((a, b) => a + b, 0);
+  assert.ok(Math.abs(sum + plan.reserveMs - 10 * MINUTE) <= plan.budgetsMs.length);
+  // Harder items get more time; unlabelled counts as medium.
+  assert.ok(plan.budgetsMs[0] < plan.budgetsMs[1]);
+  assert.ok(plan.budgetsMs[1] < plan.budgetsMs[2]);
+  assert.equal(plan.budgetsMs[4], plan.budgetsMs[1]);
+});
+
+test('history sets the difficulty shape, not the scale', () => {
+  // A slow but evenly paced student: same ratio for every difficulty.
+  const flat = difficultyWeights({ 1: 120_000, 2: 120_000, 3: 120_000 });
+  assert.equal(flat.basis, 'history');
+  assert.equal(flat.weights[1], flat.weights[3]);
+
+  const plan = buildPacingPlan({
+    difficulties: [1, 3],
+    timeLimitMs: 4 * MINUTE,
+    history: { 1: 30_000, 2: null, 3: 90_000 },
+  });
+  assert.equal(plan.budgetsMs[1], 3 * plan.budgetsMs[0]);
+});
+
+test('missing difficulties fill in from the defaults at the student\'s scale', () => {
+  const { weights } = difficultyWeights({ 1: null, 2: 80_000, 3: null });
+  assert.equal(weights[2], DEFAULT_DIFFICULTY_WEIGHTS[2]);
+  assert.equal(weights[1], DEFAULT_DIFFICULTY_WEIGHTS[1]);
+  assert.equal(weights[3], DEFAULT_DIFFICULTY_WEIGHTS[3]);
+});
+
+test('on pace while the current question is within its budget', () => {
+  const plan = buildPacingPlan({ difficulties: Array(10).fill(2), timeLimitMs: 20 * MINUTE, history: null });
+  const answered = Array(10).fill(false);
+  // A minute into question 1 with nothing answered yet.
+  assert.equal(pacingStatus(plan, { elapsedMs: MINUTE, answered, position: 0 }).state, 'on_pace');
+  // Half the items answered in half the budget: plenty of slack.
+  const half = answered.map((_, i) => i < 5);
+  const st = pacingStatus(plan, { elapsedMs: 8 * MINUTE, answered: half, position: 5 });
+  assert.equal(st.state, 'on_pace');
+  assert.ok(st.slackMs > 0);
+});
+
+test('behind once the shortfall passes the current item\'s budget', () => {
+  const plan = buildPacingPlan({ difficulties: Array(10).fill(2), timeLimitMs: 20 * MINUTE, history: null });
+  const answered = Array(10).fill(false).map((_, i) => i < 2);
+  // Two answered after 12 of 20 minutes: 8 left for 8 items + reserve.
+  const st = pacingStatus(plan, { elapsedMs: 12 * MINUTE, answered, position: 2 });
+  assert.equal(st.state, 'behind');
+  assert.ok(st.slackMs < -MIN_TOLERANCE_MS);
+});
+
+test('time sinks are missed items well past budget, worst first', () => {
+  const summary = findTimeSinks([
+    { id: 'a', budgetMs: 60_000, timeSpentMs: 200_000, correct: false },
+    { id: 'b', budgetMs: 60_000, timeSpentMs: 60_000 * TIME_SINK_FACTOR - 1, correct: false },
+    { id: 'c', budgetMs: 60_000, timeSpentMs: 300_000, correct: true },
+    { id: 'd', budgetMs: 90_000, timeSpentMs: 150_000, correct: false },
+    { id: 'e', budgetMs: 60_000, timeSpentMs: null, correct: false },
+  ]);
+  assert.deepEqual(summary.sinks.map((s) => s.id), ['a', 'd']);
+  assert.equal(summary.sinks[0].overrunMs, 140_000);
+  assert.equal(summary.overrunMs, 140_000 + 60_000);
+  assert.equal(summary.missedMs, 200_000 + 89_999 + 150_000);
+  assert.equal(summary.missedBudgetMs, 210_000);
+});
@@ -0,0 +1,141 @@
+// Pacing model for a timed practice-test module: "how long should
+// each question get, and is the student keeping up?"
+//
+// PURE: no I/O, elapsed time is an input. The student's history comes
+// in as avgTimeByDifficulty (lib/analytics.js) output, loaded by
+// ./load-pacing.ts; the runner (TestRunnerInteractive) asks
+// pacingStatus every tick, and the results page runs findTimeSinks
+// over the finished module.
+//
+// Budget, in plain language:
+//   - Every item gets a share of the module's time limit, minus a
+//     REVIEW_RESERVE_SHARE kept back for checking marked questions.
+//   - The share follows difficulty. Shape comes from the student's
+//     own average time per difficulty (practice is untimed, so only
+//     the RATIO between difficulties is used — the time limit sets
+//     the scale). Difficulties with no history fill in from
+//     DEFAULT_DIFFICULTY_WEIGHTS, scaled to the ones that have it;
+//     no history at all uses the defaults outright.
+//   - Unlabelled items count as medium.
+//
+// Status: the time left is compared with what the unanswered items
+// still need. Behind when the shortfall exceeds the current item's own
+// budget (or MIN_TOLERANCE_MS) — time spent on the question in front
+// of the student isn't a shortfall until it runs past that item's
+// budget.
+
+export type Difficulty = 1 | 2 | 3;
+
+/** avgTimeByDifficulty output: mean ms per difficulty, null = no data. */
+export type TimeByDifficulty = Record<Difficulty, number | null>;
+
+export interface PacingPlan {
+  /** Per-item budget, in module order. */
+  budgetsMs: number[];
+  /** Time kept back for review after the last item. */
+  reserveMs: number;
+  timeLimitMs: number;
+  /** Where the difficulty shape came from. */
+  basis: 'history' | 'default';
+}
+
+export type PaceState = 'on_pace' | 'behind';
+
+export interface PaceStatus {
+  state: PaceState;
+  /** Time left minus time still needed (reserve included). Negative = short. */
+  slackMs: number;
+}
+
+export const DEFAULT_DIFFICULTY_WEIGHTS: Record<Difficulty, number> = { 1: 0.75, 2: 1, 3: 1.35 };
+export const REVIEW_RESERVE_SHARE = 0.1;
+export const MIN_TOLERANCE_MS = 60_000;
+/** A missed item is a time sink past this multiple of its budget. */
+export const TIME_SINK_FACTOR = 1.5;
+
+function toDifficulty(d: number | null | undefined): Difficulty {
+  return d === 1 || d === 3 ? d : 2;
+}
+
+/** Relative time per difficulty, from history where there is some. */
+export function difficultyWeights(history: TimeByDifficulty | null): {
+  weights: Record<Difficulty, number>;
+  basis: PacingPlan['basis'];
+} {
+  const known = ([1, 2, 3] as const).filter((d) => (history?.[d] ?? 0) > 0);
+  if (!history || known.length === 0) return { weights: DEFAULT_DIFFICULTY_WEIGHTS, basis: 'default' };
+  // Scale of the student's times relative to the defaults, averaged
+  // over the difficulties they have history for.
+  const scale = known.reduce((sum, d) => sum + history[d]! / DEFAULT_DIFFICULTY_WEIGHTS[d], 0) / known.length;
+  const weights = { ...DEFAULT_DIFFICULTY_WEIGHTS };
+  for (const d of [1, 2, 3] as const) {
+    weights[d] = (history[d] ?? 0) > 0 ? history[d]! / scale : DEFAULT_DIFFICULTY_WEIGHTS[d];
+  }
+  return { weights, basis: 'history' };
+}
+
+export function buildPacingPlan(input: {
+  difficulties: readonly (number | null)[];
+  timeLimitMs: number;
+  history: TimeByDifficulty | null;
+}): PacingPlan {
+  const { difficulties, timeLimitMs } = input;
+  const { weights, basis } = difficultyWeights(input.history);
+  const reserveMs = Math.round(timeLimitMs * REVIEW_RESERVE_SHARE);
+  const raw = difficulties.map((d) => weights[toDifficulty(d)]);
+  const total = raw.reduce((a, b) => a + b, 0);
+  const budgetsMs = raw.map((w) => (total > 0 ? Math.round(((timeLimitMs - reserveMs) * w) / total) : 0));
+  return { budgetsMs, reserveMs, timeLimitMs, basis };
+}
+
+export function pacingStatus(
+  plan: PacingPlan,
+  input: { elapsedMs: number; answered: readonly boolean[]; position: number },
+): PaceStatus {
+  const leftMs = plan.timeLimitMs - Math.max(0, input.elapsedMs);
+  let needMs = plan.reserveMs;
+  plan.budgetsMs.forEach((b, i) => {
+    if (!input.answered[i]) needMs += b;
+  });
+  const slackMs = leftMs - needMs;
+  const tolerance = Math.max(MIN_TOLERANCE_MS, plan.budgetsMs[input.position] ?? 0);
+  return { state: slackMs < -tolerance ? 'behind' : 'on_pace', slackMs };
+}
+
+export interface TimedItem {
+  budgetMs: number;
+  timeSpentMs: number | null;
+  correct: boolean;
+}
+
+export interface TimeSinkSummary<T extends TimedItem> {
+  /** Missed items over TIME_SINK_FACTOR × budget, worst overrun first. */
+  sinks: (T & { overrunMs: number })[];
+  /** Time past budget across those items. */
+  overrunMs: number;
+  /** Time on every missed item, and what the plan gave them. */
+  missedMs: number;
+  missedBudgetMs: number;
+}
+
+/** Where time went on items the student then got wrong. */
+export function findTimeSinks<T extends TimedItem>(items: readonly T[]): TimeSinkSummary<T> {
+  const sinks: (T & { overrunMs: number })[] = [];
+  let missedMs = 0;
+  let missedBudgetMs = 0;
+  for (const it of items) {
+    if (it.correct || it.timeSpentMs == null || it.timeSpentMs <= 0) continue;
+    missedMs += it.timeSpentMs;
+    missedBudgetMs += it.budgetMs;
+    if (it.timeSpentMs > it.budgetMs * TIME_SINK_FACTOR) {
+      sinks.push({ ...it, overrunMs: it.timeSpentMs - it.budgetMs });
+    }
+  }
+  sinks.sort((a, b) => b.overrunMs - a.overrunMs);
+  return {
+    sinks,
+    overrunMs: sinks.reduce((sum, it) => sum + it.overrunMs, 0),
+    missedMs,
+    missedBudgetMs,
+  };
+}
@@ -0,0 +1,196 @@
+// Score prediction tests. Runs under `npm run test:unit`; imports the
+// .ts source directly like calibration.test.mjs does.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  predictScore,
+  masteryTrendPerWeek,
+  masteryHistoryFromSnapshots,
+  officialSatScores,
+  expectedMax,
+  roundComposite,
+  POPULATION_GROWTH_PER_WEEK,
+} from './score-prediction.ts';
+
+const TODAY = '2026-10-19';
+
+function practice(date, composite) {
+  return { date, rw: null, math: null, composite };
+}
+
+test('no practice test and no official score: no prediction', () => {
+  assert.equal(
+    predictScore({ practiceTests: [], officialScores: [], masteryHistory: [], testDate: null, today: TODAY }),
+    null,
+  );
+});
+
+test('one recent test: point near it, interval brackets it, growth from the population prior', () => {
+  const p = predictScore({
+    practiceTests: [practice('2026-10-18', 1200)],
+    officialScores: [],
+    masteryHistory: [],
+    testDate: null,
+    today: TODAY,
+  });
+  assert.ok(Math.abs(p.point - 1200) <= 10);
+  assert.ok(p.low < 1200 && p.high > 1200);
+  assert.ok(p.high - p.low >= 100 && p.high - p.low <= 200, `${p.low}–${p.high}`);
+  assert.equal(p.projected, null);
+  assert.ok(Math.abs(p.growthPerWeek - POPULATION_GROWTH_PER_WEEK) < 0.5);
+  assert.deepEqual(p.basis, { practiceTests: 1, officialScores: 0, masteryTrend: false });
+});
+
+test('a rising series projects upward and the projection interval is wider', () => {
+  const p = predictScore({
+    practiceTests: [
+      practice('2026-08-24', 1050),
+      practice('2026-09-07', 1090),
+      practice('2026-09-21', 1120),
+      practice('2026-10-05', 1160),
+      practice('2026-10-19', 1190),
+    ],
+    officialScores: [],
+    masteryHistory: [],
+    testDate: '2026-12-07',
+    today: TODAY,
+  });
+  // ~17 pts/week observed, shrunk toward the prior by practice-test noise.
+  assert.ok(p.growthPerWeek > POPULATION_GROWTH_PER_WEEK + 3, `growth ${p.growthPerWeek}`);
+  assert.equal(p.projected.daysOut, 49);
+  assert.ok(p.projected.point > p.point + 40);
+  assert.ok(p.projected.high - p.projected.low > p.high - p.low);
+});
+
+test('officials outweigh practice and feed the superscore', () => {
+  const p = predictScore({
+    practiceTests: [practice('2026-10-10', 1100)],
+    officialScores: [
+      { date: '2026-10-04', rw: 620, math: 560, composite: 1180 },
+      { date: '2026-08-23', rw: 580, math: 590, composite: 1170 },
+    ],
+    masteryHistory: [],
+    testDate: '2026-11-07',
+    today: TODAY,
+  });
+  assert.ok(p.point > 1140, `point ${p.point}`);
+  assert.equal(p.officialSuperscore, 1210);
+  assert.ok(p.projectedSuperscore >= 1210);
+  assert.deepEqual(p.basis, { practiceTests: 1, officialScores: 2, masteryTrend: false });
+});
+
+test('scores dated after today are ignored; a past test date has no projection', () => {
+  const p = predictScore({
+    practiceTests: [practice('2026-10-01', 1000), practice('2026-11-01', 1500)],
+    officialScores: [{ date: '2026-12-01', rw: 800, math: 800, composite: 1600 }],
+    masteryHistory: [],
+    testDate: '2026-10-01',
+    today: TODAY,
+  });
+  assert.ok(p.point < 1100);
+  assert.equal(p.officialSuperscore, null);
+  assert.equal(p.projected, null);
+  assert.equal(p.basis.practiceTests, 1);
+});
+
+test('composite falls back to RW + Math when the row has no composite', () => {
+  const p = predictScore({
+    practiceTests: [{ date: TODAY, rw: 500, math: 500, composite: null }],
+    officialScores: [],
+    masteryHistory: [],
+    testDate: null,
+    today: TODAY,
+  });
+  assert.ok(Math.abs(p.point - 1000) <= 10);
+});
+
+test('the mastery trend moves the growth prior', () => {
+  const flat = { practiceTests: [practice('2026-10-12', 1100)], officialScores: [], testDate: '2026-12-07', today: TODAY };
+  const rising = predictScore({
+    ...flat,
+    masteryHistory: [
+      { date: '2026-09-28', mastery: 40 },
+      { date: '2026-10-05', mastery: 42 },
+      { date: '2026-10-12', mastery: 44 },
+      { date: '2026-10-19', mastery: 46 },
+    ],
+  });
+  const falling = predictScore({
+    ...flat,
+    masteryHistory: [
+      { date: '2026-09-28', mastery: 46 },
+      { date: '2026-10-05', mastery: 45 },
+      { date: '2026-10-12', mastery: 44 },
+      { date: '2026-10-19', mastery: 43 },
+    ],
+  });
+  assert.equal(rising.basis.masteryTrend, true);
+  assert.ok(rising.growthPerWeek > 8, `rising ${rising.growthPerWeek}`);
+  assert.ok(falling.growthPerWeek < 0, `falling ${falling.growthPerWeek}`);
+  assert.ok(rising.projected.point > falling.projected.point);
+});
+
+test('masteryTrendPerWeek needs three snapshots inside the window', () => {
+  assert.equal(masteryTrendPerWeek([{ date: '2026-10-12', mastery: 40 }, { date: TODAY, mastery: 42 }], TODAY), null);
+  assert.equal(
+    masteryTrendPerWeek([
+      { date: '2026-01-01', mastery: 10 },
+      { date: '2026-10-12', mastery: 40 },
+      { date: TODAY, mastery: 42 },
+    ], TODAY),
+    null,
+  );
+  assert.ok(Math.abs(masteryTrendPerWeek([
+    { date: '2026-10-05', mastery: 40 },
+    { date: '2026-10-12', mastery: 41 },
+    { date: TODAY, mastery: 42 },
+  ], TODAY) - 1) < 1e-9);
+});
+
+test('expectedMax is never below either argument and tends to the floor', () => {
+  assert.ok(expectedMax(1200, 1100, 50) > 1200);
+  assert.ok(expectedMax(1200, 1100, 50) < 1210);
+  assert.ok(expectedMax(1200, 1400, 50) > 1399);
+  assert.equal(expectedMax(1200, 1100, 0), 1200);
+});
+
+test('roundComposite rounds to 10 and clamps to 400–1600', () => {
+  assert.equal(roundComposite(1234), 1230);
+  assert.equal(roundComposite(1235), 1240);
+  assert.equal(roundComposite(300), 400);
+  assert.equal(roundComposite(1700), 1600);
+});
+
+test('masteryHistoryFromSnapshots averages skills per date', () => {
+  assert.deepEqual(
+    masteryHistoryFromSnapshots([
+      { snapshot_date: '2026-10-12', mastery: 40 },
+      { snapshot_date: '2026-10-05', mastery: 30 },
+      { snapshot_date: '2026-10-12', mastery: '60' },
+      { snapshot_date: '2026-10-05', mastery: null },
+    ]),
+    [{ date: '2026-10-05', mastery: 30 }, { date: '2026-10-12', mastery: 50 }],
+  );
+});
+
+test('official rows: stored upper-case SAT rows count, PSAT rows stay out', () => {
+  const rows = [
+    { test_date: '2026-08-22', rw_score: 640, math_score: 660, composite_score: 1300, test_type: 'SAT' },
+    { test_date: '2026-06-06', rw_score: 600, math_score: 600, composite_score: 1200, test_type: null },
+    { test_date: '2026-04-10', rw_score: 500, math_score: 520, composite_score: 1020, test_type: 'PSAT' },
+  ];
+  const officials = officialSatScores(rows);
+  assert.deepEqual(officials.map((o) => o.composite), [1300, 1200]);
+
+  const p = predictScore({
+    practiceTests: [],
+    officialScores: officials,
+    masteryHistory: [],
+    testDate: null,
+    today: TODAY,
+  });
+  assert.ok(p, 'an official SAT row alone yields a prediction');
+  assert.equal(p.basis.officialScores, 2);
+  assert.equal(p.officialSuperscore, 1300);
+});
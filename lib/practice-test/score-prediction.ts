@@ -0,0 +1,302 @@
+// Score prediction: "what would this student score on the SAT today,
+// and on their registered test date?"
+//
+// PURE: no I/O, `today` is an input (the lib/plan/adherence.ts
+// pattern), so the backtest (scripts/backtest-score-prediction.mjs)
+// can replay the exact same model as of any past date. The DB read
+// lives in ./load-score-prediction.ts; the student dashboard, the
+// tutor student page and the score-report PDF all go through it.
+//
+// Model, in plain language:
+//   - Every full practice test (composite from ./scoring.ts) and every
+//     official score is a noisy reading of one underlying composite
+//     that moves linearly in time: y = level + growth · weeks.
+//     Officials are the tighter reading (OFFICIAL_SD vs PRACTICE_SD),
+//     and a reading's variance doubles every RECENCY_HALF_LIFE_DAYS of
+//     age, so last month's test outweighs last spring's.
+//   - Growth has a prior. Its centre comes from the skill-mastery
+//     trend (mean mastery slope over the last MASTERY_WINDOW_DAYS of
+//     snapshots × SCALED_PER_MASTERY_POINT); without snapshots it is
+//     the population's POPULATION_GROWTH_PER_WEEK. With one test the
+//     prior IS the growth; with several the tests take over.
+//   - The posterior of (level, growth) is Gaussian and closed-form.
+//     The 80% interval is for a single sitting, so it adds
+//     SITTING_SD (test-day noise) on top of the model's uncertainty.
+//   - The projection carries the line forward to the test date; its
+//     interval widens with the horizon through Var(growth).
+//
+// Official superscore: the superscore helper in
+// lib/practice/superscore.js (best RW + best Math). The projected
+// superscore is E[max(superscore, next sitting)] — sitting again can
+// only help a superscore — taken at the composite level.
+//
+// Returns null with no full practice test and no official score:
+// mastery alone moves growth, not level.
+
+import { superscore } from '../practice/superscore.js';
+import { compositeScore } from './scoring.ts';
+
+export interface PredictionScore {
+  date: string; // ISO yyyy-mm-dd
+  rw: number | null;
+  math: number | null;
+  composite: number | null;
+}
+
+export interface MasteryPoint {
+  date: string; // ISO yyyy-mm-dd
+  /** Mean skill mastery (0–100) on that snapshot date. */
+  mastery: number;
+}
+
+export interface ScorePredictionInput {
+  practiceTests: readonly PredictionScore[];
+  officialScores: readonly PredictionScore[];
+  masteryHistory: readonly MasteryPoint[];
+  /** Registered (or target) test date; null when none is on file. */
+  testDate: string | null;
+  today: string;
+}
+
+export interface ScoreRange {
+  point: number;
+  low: number;
+  high: number;
+}
+
+export interface ScorePrediction extends ScoreRange {
+  asOf: string;
+  testDate: string | null;
+  /** Null when there is no test date on or after `asOf`. */
+  projected: (ScoreRange & { daysOut: number }) | null;
+  officialSuperscore: number | null;
+  /** Expected superscore after sitting on testDate; null without both. */
+  projectedSuperscore: number | null;
+  /** Posterior mean growth, scaled points per week, to one decimal. */
+  growthPerWeek: number;
+  basis: {
+    practiceTests: number;
+    officialScores: number;
+    masteryTrend: boolean;
+  };
+}
+
+export const PRACTICE_SD = 45;
+export const OFFICIAL_SD = 30;
+export const SITTING_SD = 30;
+export const RECENCY_HALF_LIFE_DAYS = 120;
+export const POPULATION_GROWTH_PER_WEEK = 4;
+export const GROWTH_PRIOR_SD = 6;
+export const SCALED_PER_MASTERY_POINT = 6;
+export const MASTERY_WINDOW_DAYS = 56;
+/** Central 80%: Φ⁻¹(0.9). */
+export const Z80 = 1.2816;
+
+// A deliberately vague level prior — it only keeps the 2×2 system
+// invertible; one practice test overwhelms it.
+const LEVEL_PRIOR_MEAN = 1000;
+const LEVEL_PRIOR_SD = 300;
+// Mastery-implied growth is clamped to what students actually do; a
+// burst of snapshots after a long gap can imply nonsense slopes.
+const GROWTH_PRIOR_MIN = -5;
+const GROWTH_PRIOR_MAX = 15;
+const MIN_MASTERY_POINTS = 3;
+
+const DAY_MS = 86_400_000;
+
+function dayNumber(iso: string): number {
+  return Math.floor(Date.parse(iso.slice(0, 10) + 'T00:00:00Z') / DAY_MS);
+}
+
+/** Round to the nearest 10 and clamp to the 400–1600 composite scale. */
+export function roundComposite(x: number): number {
+  return Math.min(1600, Math.max(400, Math.round(x / 10) * 10));
+}
+
+function compositeOf(s: PredictionScore): number | null {
+  if (typeof s.composite === 'number' && Number.isFinite(s.composite)) return s.composite;
+  return compositeScore({ rwScaled: s.rw, mathScaled: s.math });
+}
+
+/**
+ * Least-squares slope of mean mastery over the window ending `today`,
+ * in mastery points per week. Null with fewer than MIN_MASTERY_POINTS
+ * snapshot dates or no spread in time.
+ */
+export function masteryTrendPerWeek(
+  history: readonly MasteryPoint[],
+  today: string,
+): number | null {
+  const t0 = dayNumber(today);
+  const pts = history
+    .map((h) => ({ t: (dayNumber(h.date) - t0) / 7, y: h.mastery }))
+    .filter((p) => p.t <= 0 && p.t >= -MASTERY_WINDOW_DAYS / 7 && Number.isFinite(p.y));
+  if (pts.length < MIN_MASTERY_POINTS) return null;
+  const mt = pts.reduce((s, p) => s + p.t, 0) / pts.length;
+  const my = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of pts) {
+    sxx += (p.t - mt) ** 2;
+    sxy += (p.t - mt) * (p.y - my);
+  }
+  return sxx > 0 ? sxy / sxx : null;
+}
+
+/**
+ * The SAT rows of sat_official_scores as prediction inputs. test_type
+ * is stored upper-case ('SAT' / 'PSAT'); legacy rows predate the
+ * column and are all SAT. PSAT rows are on a different scale and stay
+ * out.
+ */
+export function officialSatScores(
+  rows: readonly {
+    test_date: string;
+    rw_score: number | null;
+    math_score: number | null;
+    composite_score: number | null;
+    test_type?: string | null;
+  }[],
+): PredictionScore[] {
+  return rows
+    .filter((r) => (r.test_type ?? 'SAT') === 'SAT')
+    .map((r) => ({
+      date: r.test_date,
+      rw: r.rw_score,
+      math: r.math_score,
+      composite: r.composite_score,
+    }));
+}
+
+/**
+ * Mean mastery per snapshot date from raw skill_mastery_snapshots rows
+ * (one row per skill per date), sorted by date.
+ */
+export function masteryHistoryFromSnapshots(
+  rows: readonly { snapshot_date: string; mastery: number | string | null }[],
+): MasteryPoint[] {
+  const byDate = new Map<string, { sum: number; n: number }>();
+  for (const r of rows) {
+    const m = Number(r.mastery);
+    if (r.mastery == null || !Number.isFinite(m)) continue;
+    const agg = byDate.get(r.snapshot_date) ?? { sum: 0, n: 0 };
+    agg.sum += m;
+    agg.n++;
+    byDate.set(r.snapshot_date, agg);
+  }
+  return [...byDate.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([date, { sum, n }]) => ({ date, mastery: sum / n }));
+}
+
+// Standard normal pdf / cdf (Abramowitz–Stegun 7.1.26 erf, |ε| < 1.5e-7).
+function phi(z: number): number {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+function Phi(z: number): number {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/** E[max(floor, X)] for X ~ N(mean, sd²). */
+export function expectedMax(floor: number, mean: number, sd: number): number {
+  if (sd <= 0) return Math.max(floor, mean);
+  const z = (mean - floor) / sd;
+  return floor + (mean - floor) * Phi(z) + sd * phi(z);
+}
+
+export function predictScore(input: ScorePredictionInput): ScorePrediction | null {
+  const { today } = input;
+  const t0 = dayNumber(today);
+
+  const readings: { t: number; y: number; v: number }[] = [];
+  const add = (scores: readonly PredictionScore[], sd: number): number => {
+    let n = 0;
+    for (const s of scores) {
+      const y = compositeOf(s);
+      const age = t0 - dayNumber(s.date);
+      if (y == null || age < 0) continue;
+      readings.push({ t: -age / 7, y, v: sd * sd * 2 ** (age / RECENCY_HALF_LIFE_DAYS) });
+      n++;
+    }
+    return n;
+  };
+  const practiceCount = add(input.practiceTests, PRACTICE_SD);
+  const officialCount = add(input.officialScores, OFFICIAL_SD);
+  if (readings.length === 0) return null;
+
+  const masterySlope = masteryTrendPerWeek(input.masteryHistory, today);
+  const g0 = masterySlope == null
+    ? POPULATION_GROWTH_PER_WEEK
+    : Math.min(GROWTH_PRIOR_MAX, Math.max(GROWTH_PRIOR_MIN, masterySlope * SCALED_PER_MASTERY_POINT));
+
+  // Posterior precision A and A·mean for x = [1, t], diagonal prior.
+  let a11 = 1 / LEVEL_PRIOR_SD ** 2;
+  let a12 = 0;
+  let a22 = 1 / GROWTH_PRIOR_SD ** 2;
+  let b1 = LEVEL_PRIOR_MEAN / LEVEL_PRIOR_SD ** 2;
+  let b2 = g0 / GROWTH_PRIOR_SD ** 2;
+  for (const r of readings) {
+    const w = 1 / r.v;
+    a11 += w;
+    a12 += w * r.t;
+    a22 += w * r.t * r.t;
+    b1 += w * r.y;
+    b2 += w * r.t * r.y;
+  }
+  const det = a11 * a22 - a12 * a12;
+  const varL = a22 / det;
+  const varG = a11 / det;
+  const cov = -a12 / det;
+  const level = (a22 * b1 - a12 * b2) / det;
+  const growth = (a11 * b2 - a12 * b1) / det;
+
+  const range = (mean: number, variance: number): ScoreRange => {
+    const sd = Math.sqrt(variance + SITTING_SD ** 2);
+    return {
+      point: roundComposite(mean),
+      low: roundComposite(mean - Z80 * sd),
+      high: roundComposite(mean + Z80 * sd),
+    };
+  };
+
+  const now = range(level, varL);
+  const officialSuperscore = superscore(
+    input.officialScores
+      .filter((s) => dayNumber(s.date) <= t0)
+      .map((s) => ({ rw_score: s.rw, math_score: s.math })),
+  );
+
+  const testDate = input.testDate ? input.testDate.slice(0, 10) : null;
+  let projected: ScorePrediction['projected'] = null;
+  let projectedSuperscore: number | null = null;
+  if (testDate && dayNumber(testDate) >= t0) {
+    const daysOut = dayNumber(testDate) - t0;
+    const h = daysOut / 7;
+    const mean = level + growth * h;
+    const variance = varL + 2 * h * cov + h * h * varG;
+    projected = { ...range(mean, variance), daysOut };
+    if (officialSuperscore != null) {
+      projectedSuperscore = roundComposite(
+        expectedMax(officialSuperscore, mean, Math.sqrt(variance + SITTING_SD ** 2)),
+      );
+    }
+  }
+
+  return {
+    asOf: today,
+    ...now,
+    testDate,
+    projected,
+    officialSuperscore,
+    projectedSuperscore,
+    growthPerWeek: Math.round(growth * 10) / 10,
+    basis: {
+      practiceTests: practiceCount,
+      officialScores: officialCount,
+      masteryTrend: masterySlope != null,
+    },
+  };
+}
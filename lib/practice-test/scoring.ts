@@ -27,10 +27,19 @@
 // scoreConversion.js behavior exactly so the next tree and legacy tree
 // produce the same number for the same inputs.
 //
+// Alongside the scaled score, estimateSectionAbility reports the IRT
+// ability estimate (θ ± SE, see ./irt.ts) over every item the student
+// saw in a section — module 1 and whichever module 2 they were routed
+// to, since both are on one θ scale. The scaled score stays the number
+// of record; θ is the "how sure are we" companion the results page
+// shows next to it.
+//
 // First TypeScript canary in the new tree — pure functions, no
 // I/O, narrow public surface.
 
 import type { SubjectCode, RouteCode } from '@/lib/types';
+import { estimateAbility, itemParamsFromAuthored, MIN_PARAM_COVERAGE } from './irt.ts';
+import type { AuthoredItem } from './irt.ts';
 
 export interface SectionScoreInput {
   subject: SubjectCode;
@@ -211,6 +220,36 @@ export function compositeScore({
   return rwScaled + mathScaled;
 }
 
+export interface SectionAbilityItem extends AuthoredItem {
+  correct: boolean;
+}
+
+export interface SectionAbility {
+  theta: number;
+  se: number;
+  /** Items with IRT parameters that fed the estimate. */
+  itemCount: number;
+}
+
+/**
+ * IRT ability estimate for one section from every item the student
+ * saw (unanswered items count as incorrect). Returns null when fewer
+ * than MIN_PARAM_COVERAGE of the items carry parameters — the same
+ * bar the module-2 router uses before trusting θ over the raw count.
+ */
+export function estimateSectionAbility(
+  items: readonly SectionAbilityItem[],
+): SectionAbility | null {
+  if (items.length === 0) return null;
+  const responses = items.map((it) => ({
+    params: itemParamsFromAuthored(it),
+    correct: it.correct,
+  }));
+  const withParams = responses.filter((r) => r.params != null).length;
+  if (withParams / items.length < MIN_PARAM_COVERAGE) return null;
+  return estimateAbility(responses);
+}
+
 // ──────────────────────────────────────────────────────────────
 // Internal helpers — kept in lockstep with the legacy
 // lib/scoreConversion.js so both trees produce identical numbers.
@@ -81,6 +81,10 @@ export function AssignmentReport({
   // v1 attempt ids). Set on the session view; null on the
   // already-rebuilt per-trainee view.
   rebuildHref = null,
+  // 'skill' groups the question map by skill instead of one run of
+  // positions. Adaptive assignments use it: students saw different
+  // questions, so the skill is what a tutor compares across them.
+  groupBy = 'position',
 }) {
   // Live Desmos calc handle for the saved-state button. The
   // FloatingCalculator below renders a single panel for the whole
@@ -90,23 +94,36 @@ export function AssignmentReport({
   // Assignments are linear by nature — a single ordered list,
   // no domain/skill split. The metrics card above already shows
   // the per-domain breakdown, so the question map stays a flat
-  // run of positions.
-  const groups = useMemo(
-    () => [{
-      key: 'all',
-      label: '',
-      items: items.map((it) => ({
-        id: it.position,
-        ordinalLabel: it.position + 1,
-        status: it.status,
-        difficulty: it.taxonomy?.difficulty ?? null,
-        marked: !!it.marked,
-        missing: it.missing,
-        ariaLabel: `Question ${it.position + 1}, ${it.status}${it.marked ? ', marked' : ''}`,
-      })),
-    }],
-    [items],
-  );
+  // run of positions. Skill grouping keeps each cell's position
+  // number so the map still lines up with the session.
+  const groups = useMemo(() => {
+    const toCell = (it) => ({
+      id: it.position,
+      ordinalLabel: it.position + 1,
+      status: it.status,
+      difficulty: it.taxonomy?.difficulty ?? null,
+      marked: !!it.marked,
+      missing: it.missing,
+      ariaLabel: `Question ${it.position + 1}, ${it.status}${it.marked ? ', marked' : ''}`,
+    });
+    if (groupBy !== 'skill') {
+      return [{ key: 'all', label: '', items: items.map(toCell) }];
+    }
+    const bySkill = new Map();
+    for (const it of items) {
+      const skill = it.taxonomy?.skill_name ?? 'Other';
+      if (!bySkill.has(skill)) bySkill.set(skill, []);
+      bySkill.get(skill).push(it);
+    }
+    return [...bySkill.entries()].map(([skill, its]) => {
+      const correct = its.filter((it) => it.status === 'correct').length;
+      return {
+        key: skill,
+        label: `${skill} · ${correct}/${its.length}`,
+        items: its.map(toCell),
+      };
+    });
+  }, [items, groupBy]);
 
   const firstReal = items.find((it) => !it.missing) ?? items[0];
   const [selectedPosition, setSelectedPosition] = useState(
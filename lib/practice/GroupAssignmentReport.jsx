@@ -14,6 +14,12 @@
 //      attempters got it right, 'unanswered' if nobody attempted)
 //   - the per-question detail card has a CohortBreakdown panel
 //     instead of a student's answer + result
+//
+// Adaptive assignments give every student a different set, so the
+// page passes groupBy='skill' (map grouped by skill, not position)
+// and a skillComparison matrix — students down, skills across — as
+// the like-for-like view. Each item's cohort then only counts the
+// students who drew it.
 
 'use client';
 
@@ -62,28 +68,39 @@ export function GroupAssignmentReport({
   currentUserId = null,
   canFlagBroken = false,
   canViewStats = false,
+  groupBy = 'position',
+  skillComparison = null,
 }) {
   // Live Desmos calc handle for the saved-state button. One panel
   // serves every selected question — same pattern AssignmentReport
   // uses.
   const calcRef = useRef(null);
   const [refOpen, setRefOpen] = useState(false);
-  const groups = useMemo(
-    () => [{
-      key: 'all',
-      label: '',
-      items: items.map((it) => ({
-        id: it.position,
-        ordinalLabel: it.position + 1,
-        status: it.status,
-        difficulty: it.taxonomy?.difficulty ?? null,
-        marked: false,
-        missing: it.missing,
-        ariaLabel: `Question ${it.position + 1}, ${cohortAriaLabel(it.cohort)}`,
-      })),
-    }],
-    [items],
-  );
+  const groups = useMemo(() => {
+    const toCell = (it) => ({
+      id: it.position,
+      ordinalLabel: it.position + 1,
+      status: it.status,
+      difficulty: it.taxonomy?.difficulty ?? null,
+      marked: false,
+      missing: it.missing,
+      ariaLabel: `Question ${it.position + 1}, ${cohortAriaLabel(it.cohort)}`,
+    });
+    if (groupBy !== 'skill') {
+      return [{ key: 'all', label: '', items: items.map(toCell) }];
+    }
+    const bySkill = new Map();
+    for (const it of items) {
+      const skill = it.taxonomy?.skill_name ?? 'Other';
+      if (!bySkill.has(skill)) bySkill.set(skill, []);
+      bySkill.get(skill).push(it);
+    }
+    return [...bySkill.entries()].map(([skill, its]) => ({
+      key: skill,
+      label: skill,
+      items: its.map(toCell),
+    }));
+  }, [items, groupBy]);
 
   const firstReal = items.find((it) => !it.missing) ?? items[0];
   const [selectedPosition, setSelectedPosition] = useState(
@@ -144,7 +161,9 @@ export function GroupAssignmentReport({
               {metrics.completedCount} of {metrics.totalStudents} marked complete
             </span>
             <span className={s.dot}>·</span>
-            <span>{metrics.totalQuestions} questions</span>
+            <span>
+              {metrics.totalQuestions} questions{skillComparison ? ' per student' : ''}
+            </span>
           </div>
         </div>
         <Button
@@ -175,7 +194,7 @@ export function GroupAssignmentReport({
           },
           {
             label: 'Questions w/ a wrong answer',
-            value: `${metrics.wrongQuestionCount} / ${metrics.totalQuestions}`,
+            value: `${metrics.wrongQuestionCount} / ${items.length}`,
             sub:
               metrics.wrongQuestionCount === 0
                 ? metrics.cohortDone === 0
@@ -187,7 +206,7 @@ export function GroupAssignmentReport({
                 ? 'neutral'
                 : metrics.wrongQuestionCount === 0
                   ? 'good'
-                  : metrics.wrongQuestionCount > metrics.totalQuestions / 3
+                  : metrics.wrongQuestionCount > items.length / 3
                     ? 'bad'
                     : 'ok',
           },
@@ -245,6 +264,10 @@ export function GroupAssignmentReport({
         </section>
       )}
 
+      {skillComparison && (
+        <SkillComparisonCard comparison={skillComparison} students={students} />
+      )}
+
       {/* ---------- Cohort accuracy by score band ---------- */}
       {(metrics.byScoreBand ?? []).length > 0 && (
         <section className={s.card}>
@@ -579,6 +602,63 @@ function CohortSegment({ label, tone, people, totalStudents }) {
   );
 }
 
+// Students down, skills across; each cell is that student's correct
+// / attempted on the skill's questions they drew. Adaptive sets are
+// compared here because no two students share positions.
+function SkillComparisonCard({ comparison, students }) {
+  return (
+    <section className={s.card}>
+      <div className={s.cardHead}>
+        <div className={s.cardHeadMain}>
+          <h2 className={s.h2}>By skill, per student</h2>
+          <p className={s.cardHint}>
+            Each student drew their own questions, so compare them skill by skill.
+            Correct / answered, out of the questions drawn for that skill.
+          </p>
+        </div>
+      </div>
+      <div className={s.compareScroll}>
+        <table className={s.compareTable}>
+          <thead>
+            <tr>
+              <th className={s.compareTh}>Student</th>
+              {comparison.skills.map((sk) => (
+                <th key={sk} className={s.compareTh}>{sk}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {students.map((stu) => (
+              <tr key={stu.id}>
+                <td className={s.compareName}>{stu.name}</td>
+                {comparison.skills.map((sk) => {
+                  const cell = comparison.cells[stu.id]?.[sk];
+                  if (!cell || cell.drawn === 0) {
+                    return <td key={sk} className={s.compareCell}>—</td>;
+                  }
+                  const tone = cell.answered === 0
+                    ? ''
+                    : cell.correct / cell.answered >= 0.7
+                      ? s.compareGood
+                      : cell.correct / cell.answered < 0.5
+                        ? s.compareBad
+                        : '';
+                  return (
+                    <td key={sk} className={`${s.compareCell} ${tone}`}>
+                      {cell.correct} / {cell.answered}
+                      <span className={s.compareDrawn}> of {cell.drawn}</span>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
 function cohortAriaLabel(cohort) {
   const c = cohort.correct.length;
   const i = cohort.incorrect.length;
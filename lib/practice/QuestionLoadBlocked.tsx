@@ -0,0 +1,22 @@
+// Full-page notice for a runner entry route whose question load was
+// refused by the scraper guard (lib/api/scraperGuard.ts) — suspended
+// account, re-auth required, a blocked cadence, or a throttle window.
+// The Server Actions hand the same message back to the island; this
+// covers direct hits and refreshes, which skip the actions. Sign-out
+// for the re-auth case is the nav's own button.
+
+import Link from 'next/link';
+import s from './QuestionLoadBlocked.module.css';
+
+export function QuestionLoadBlocked({ message }: { message: string }) {
+  return (
+    <main className={s.main}>
+      <div className={s.card}>
+        <div className={s.eyebrow}>Questions paused</div>
+        <h1 className={s.h1}>We can&apos;t load this question right now</h1>
+        <p className={s.sub}>{message}</p>
+        <Link href="/dashboard" className={s.link}>Back to dashboard</Link>
+      </div>
+    </main>
+  );
+}
@@ -32,14 +32,17 @@ import { BrokenButton } from '@/lib/practice/BrokenButton';
 import { loadBrokenData } from '@/lib/practice/load-broken-data';
 import { QuestionStatsButton } from '@/lib/practice/QuestionStatsButton';
 import { QUESTION_STATS_ROLES } from '@/lib/practice/question-stats';
+import { applyWatermark } from '@/lib/content/watermark';
 
 /**
  * @param {object} props
  * @param {string} props.questionId
- * @param {{ backHref: string, backLabel: string, baseHref: string }} props.chrome
+ * @param {{ backHref: string, backLabel: string, baseHref: string, generateHref?: string, historyHref?: string }} props.chrome
  *   - backHref / backLabel: the breadcrumb at the top of the page
  *   - baseHref: prefix for prev/next links (e.g. '/tutor/review' or
  *     '/admin/questions'); the next/prev question id is appended.
+ *   - historyHref (optional): the admin revision-history page; the
+ *     link is only rendered when set.
  */
 export async function QuestionReviewPage({ questionId, chrome }) {
   const { user, profile, supabase } = await requireUser();
@@ -109,17 +112,21 @@ export async function QuestionReviewPage({ questionId, chrome }) {
     return {
       id: label,
       label,
-      content_html:
+      content_html: applyWatermark(
         opt.content_html_rendered ?? opt.content_html ?? opt.text ?? '',
+        user.id,
+      ),
     };
   });
 
+  // Staff copies leak too, so the viewer's tag goes on everything
+  // here just as it does on the student surfaces.
   const layout = inferLayoutMode(question.domain_code);
   const questionVM = {
     questionId: question.id,
     questionType: question.question_type,
-    stimulusHtml: question.stimulus_rendered ?? question.stimulus_html,
-    stemHtml: question.stem_rendered ?? question.stem_html,
+    stimulusHtml: applyWatermark(question.stimulus_rendered ?? question.stimulus_html, user.id),
+    stemHtml: applyWatermark(question.stem_rendered ?? question.stem_html, user.id),
     options: wmOptions,
     taxonomy: {
       domain_name: question.domain_name,
@@ -133,7 +140,7 @@ export async function QuestionReviewPage({ questionId, chrome }) {
   const resultVM = {
     correctOptionId: !isSpr ? extractMcqCorrectId(question.correct_answer) : null,
     correctAnswerDisplay: isSpr ? formatSprCorrect(question.correct_answer) : null,
-    rationaleHtml: question.rationale_rendered ?? question.rationale_html,
+    rationaleHtml: applyWatermark(question.rationale_rendered ?? question.rationale_html, user.id),
   };
 
   const [conceptTags, questionPattern, questionNotes, brokenData] = await Promise.all([
@@ -177,6 +184,11 @@ export async function QuestionReviewPage({ questionId, chrome }) {
               ✨ Generate alternate version with AI
             </Link>
           )}
+          {chrome.historyHref && (
+            <Link href={chrome.historyHref} style={S.historyBtn} title="Every content revision, with diff and rollback">
+              History
+            </Link>
+          )}
           {!question.is_published && <Pill tone="warn">Unpublished</Pill>}
           {question.is_broken && <Pill tone="danger">Flagged</Pill>}
           {/* Lazy: nothing is fetched until the button is clicked. */}
@@ -352,4 +364,14 @@ const S = {
     color: '#fff',
     textDecoration: 'none',
   },
+  historyBtn: {
+    display: 'inline-block',
+    padding: '0.3rem 0.7rem',
+    borderRadius: 6,
+    fontSize: '0.8rem',
+    fontWeight: 600,
+    border: '1px solid #d1d5db',
+    color: '#374151',
+    textDecoration: 'none',
+  },
 };
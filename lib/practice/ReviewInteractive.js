@@ -340,6 +340,14 @@ export function ReviewInteractive({
             {selected.externalId && (
               <span className={s.questionCode}>{selected.externalId}</span>
             )}
+            {selected.answeredRevisionNumber != null && (
+              <span
+                className={s.questionEdited}
+                title="This question was edited after it was answered. You're seeing the version that was answered."
+              >
+                Version answered
+              </span>
+            )}
             {selected.taxonomy && (
               <span className={s.questionMeta}>
                 {selected.taxonomy.domain_name}
@@ -0,0 +1,137 @@
+// Section score history chart for the shared stats view. One line
+// per section (SAT: RW + Math; ACT: English, Math, Reading, Science)
+// on the test's own scale, x = when the sitting finished. Official
+// SAT scores are drawn as hollow rings so they stand apart from
+// practice tests. The legend to the right shows each section's
+// latest and best score.
+//
+// Data comes from ./section-score-history.ts. Hand-rolled SVG like
+// WeeklyTrendChart — a handful of points doesn't need a chart
+// library. Server-rendered, no hydration cost.
+
+import type { SectionScoreHistory } from './section-score-history';
+import s from './SectionScoreHistoryChart.module.css';
+
+const WIDTH = 560;
+const HEIGHT = 180;
+const MARGIN = { top: 12, right: 16, bottom: 24, left: 36 };
+const INNER_W = WIDTH - MARGIN.left - MARGIN.right;
+const INNER_H = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+const TONE: Record<string, string> = {
+  rw: s.toneRw,
+  english: s.toneViolet,
+  math: s.toneMath,
+  reading: s.toneRw,
+  science: s.toneSuccess,
+};
+
+interface Props {
+  history: SectionScoreHistory;
+}
+
+export function SectionScoreHistoryChart({ history }: Props) {
+  const series = history.series.filter((sr) => sr.points.length > 0);
+  if (series.length === 0) return null;
+
+  const all = series.flatMap((sr) => sr.points);
+  const tMin = Math.min(...all.map((p) => p.ms));
+  const tMax = Math.max(...all.map((p) => p.ms));
+  const tSpan = tMax - tMin;
+
+  // Y range: the data's own span, padded and clamped to the scale,
+  // so a 560→610 climb doesn't flatten against a 200–800 axis.
+  const step = history.test === 'sat' ? 50 : 2;
+  const yMin = Math.max(history.scaleMin, Math.floor(Math.min(...all.map((p) => p.score)) / step) * step - step);
+  const yMax = Math.min(history.scaleMax, Math.ceil(Math.max(...all.map((p) => p.score)) / step) * step + step);
+  const ySpan = Math.max(1, yMax - yMin);
+  const yTicks = [0, 1, 2, 3, 4].map((i) => yMin + (ySpan * i) / 4);
+
+  const xFor = (ms: number) =>
+    tSpan === 0 ? MARGIN.left + INNER_W / 2 : MARGIN.left + ((ms - tMin) / tSpan) * INNER_W;
+  const yFor = (score: number) => MARGIN.top + (1 - (score - yMin) / ySpan) * INNER_H;
+
+  return (
+    <div className={s.wrap}>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className={s.chart}
+        role="img"
+        aria-label={`${history.test.toUpperCase()} section score history`}
+      >
+        {yTicks.map((tick) => (
+          <g key={tick}>
+            <line
+              x1={MARGIN.left}
+              x2={MARGIN.left + INNER_W}
+              y1={yFor(tick)}
+              y2={yFor(tick)}
+              className={s.gridLine}
+            />
+            <text x={MARGIN.left - 6} y={yFor(tick) + 3} textAnchor="end" className={s.tickLabel}>
+              {Math.round(tick)}
+            </text>
+          </g>
+        ))}
+
+        {series.map((sr) => (
+          <g key={sr.key} className={TONE[sr.key]}>
+            {sr.points.length > 1 && (
+              <path
+                className={s.line}
+                d={sr.points
+                  .map((p, i) => `${i === 0 ? 'M' : 'L'} ${xFor(p.ms).toFixed(1)} ${yFor(p.score).toFixed(1)}`)
+                  .join(' ')}
+              />
+            )}
+            {sr.points.map((p, i) => (
+              <circle
+                key={`${p.ms}-${i}`}
+                cx={xFor(p.ms)}
+                cy={yFor(p.score)}
+                r={p.official ? 4.5 : 3.5}
+                className={p.official ? s.dotOfficial : s.dot}
+              >
+                <title>{`${sr.label}: ${p.score}${p.official ? ' (official)' : ''} · ${formatShort(p.ms)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+
+        <text x={MARGIN.left} y={HEIGHT - 6} textAnchor="start" className={s.tickLabel}>
+          {formatShort(tMin)}
+        </text>
+        {tSpan > 0 && (
+          <text x={MARGIN.left + INNER_W} y={HEIGHT - 6} textAnchor="end" className={s.tickLabel}>
+            {formatShort(tMax)}
+          </text>
+        )}
+      </svg>
+
+      <div className={s.legend}>
+        {series.map((sr) => {
+          const latest = sr.points[sr.points.length - 1].score;
+          const best = Math.max(...sr.points.map((p) => p.score));
+          return (
+            <div key={sr.key} className={`${s.legendStat} ${TONE[sr.key]}`}>
+              <div className={s.legendLabel}>
+                <span className={s.swatch} aria-hidden="true" />
+                {sr.label}
+              </div>
+              <div className={s.legendValue}>{latest}</div>
+              <div className={s.legendSub}>
+                {best > latest ? `Best ${best}` : 'Best so far'}
+                {' · '}
+                {sr.points.length} {sr.points.length === 1 ? 'sitting' : 'sittings'}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function formatShort(ms: number) {
+  return new Date(ms).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
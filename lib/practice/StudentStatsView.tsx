@@ -8,16 +8,20 @@
 //   - Stat strip (attempts, accuracy, last 7d, days practiced,
 //     test date, target)
 //   - Performance grid (Math + RW SkillBreakdownCard pair)
+//   - Section score history (SAT RW/Math, ACT per section — all
+//     time, not just the lookback window)
 //   - Weekly accuracy trend (90d)
 //   - Daily activity heatmap (90d)
 //   - By-difficulty + by-score-band cards
 //   - Per-skill ranked table (weakest first)
 //
-// All three loads run in parallel — loadDashboardAggregate gives
-// the per-domain skill breakdown, get_roster_weekly_trend gives
-// the 13-week trend, get_student_extended_stats gives the day /
-// difficulty / score-band rollups. RLS uses can_view() on
-// attempts so a tutor only sees their own students' rows.
+// All loads run in parallel — loadDashboardAggregate gives the
+// per-domain skill breakdown, get_roster_weekly_trend gives the
+// 13-week trend, get_student_extended_stats gives the day /
+// difficulty / score-band rollups, and the three score reads
+// (SAT practice tests, official SAT scores, ACT practice tests)
+// feed the section history. RLS uses can_view() on each table so
+// a tutor only sees their own students' rows.
 
 import { notFound } from 'next/navigation';
 import Link from 'next/link';
@@ -27,6 +31,9 @@ import { loadDashboardAggregate } from './load-dashboard-aggregate';
 import { SkillBreakdownCard } from './SkillBreakdownCard';
 import { WeeklyTrendChart } from './WeeklyTrendChart';
 import { ReviewDailyMap } from './ReviewDailyMap';
+import { SectionScoreHistoryChart } from './SectionScoreHistoryChart';
+import { buildActSectionHistory, buildSatSectionHistory } from './section-score-history';
+import { actSuperscore } from './superscore';
 import { PerformanceIcon, ProgressIcon } from '@/lib/ui/icons';
 import { IconTile } from '@/lib/ui/IconTile';
 import s from './StudentStatsView.module.css';
@@ -72,6 +79,9 @@ export async function StudentStatsView({
     aggregate,
     { data: trendRows },
     { data: extendedRows },
+    { data: satPracticeRows },
+    { data: satOfficialRows },
+    { data: actPracticeRows },
   ] = await Promise.all([
     supabase
       .from('student_practice_stats')
@@ -86,6 +96,23 @@ export async function StudentStatsView({
       p_user_id: userId,
       p_lookback_start: lookbackStart,
     }),
+    supabase
+      .from('practice_test_attempts_v2')
+      .select('finished_at, rw_scaled, math_scaled')
+      .eq('user_id', userId)
+      .eq('status', 'completed')
+      .order('finished_at', { ascending: true }),
+    supabase
+      .from('sat_official_scores')
+      .select('test_date, test_type, rw_score, math_score')
+      .eq('student_id', userId)
+      .order('test_date', { ascending: true }),
+    supabase
+      .from('act_practice_test_attempts')
+      .select('finished_at, english_scaled, math_scaled, reading_scaled, science_scaled')
+      .eq('user_id', userId)
+      .eq('status', 'completed')
+      .order('finished_at', { ascending: true }),
   ]);
 
   if (!studentRows || studentRows.length === 0) notFound();
@@ -116,6 +143,10 @@ export async function StudentStatsView({
     }),
   );
 
+  const satHistory = buildSatSectionHistory(satPracticeRows ?? [], satOfficialRows ?? []);
+  const actHistory = buildActSectionHistory(actPracticeRows ?? []);
+  const actBest = actSuperscore(actPracticeRows ?? []);
+
   const ext = (extendedRows as Array<{
     by_day:         Array<{ date: string; attempts: number | string; correct: number | string }> | null;
     by_difficulty:  Array<{ difficulty: number; attempts: number | string; correct: number | string }> | null;
@@ -227,6 +258,41 @@ export async function StudentStatsView({
         </section>
       )}
 
+      {/* ---------- Section score history ---------- */}
+      {satHistory && (
+        <section className={s.card}>
+          <div className={s.cardHead}>
+            <div className={s.sectionLabel}>
+              <IconTile icon={ProgressIcon} palette="navy" size="sm" />
+              SAT section scores
+            </div>
+            <p className={s.cardHint}>
+              Every completed practice test and official SAT, by
+              section. Hollow rings are official scores.
+            </p>
+          </div>
+          <SectionScoreHistoryChart history={satHistory} />
+        </section>
+      )}
+      {actHistory && (
+        <section className={s.card}>
+          <div className={s.cardHead}>
+            <div className={s.sectionLabel}>
+              <IconTile icon={ProgressIcon} palette="navy" size="sm" />
+              ACT section scores
+            </div>
+            <p className={s.cardHint}>
+              Every completed ACT practice test, by section —
+              section-only sittings add to their own line.
+              {actBest?.composite != null && (
+                <> Superscore composite: <strong>{actBest.composite}</strong> (best of each section).</>
+              )}
+            </p>
+          </div>
+          <SectionScoreHistoryChart history={actHistory} />
+        </section>
+      )}
+
       {/* ---------- Weekly accuracy trend ---------- */}
       {weeklyTrend.length > 0 && (
         <section className={s.card}>
@@ -0,0 +1,185 @@
+// IO half of adaptive assignments (./adaptive.ts is the pure planner).
+//
+// drawAdaptiveSet runs when a student starts an adaptive assignment:
+// one candidate query per skill, their mastery as of today and their
+// attempt history, then the planner. stepAdaptiveSession runs inside
+// submitAnswer after a first answer and rewrites the session's later
+// same-skill questions at the stepped level.
+//
+// Both run on the student's own client: questions_v2 is readable,
+// get_skill_mastery_asof is SECURITY INVOKER, and the student may
+// update their own junction row and session.
+
+import { fetchAll, fetchInChunks } from '@/lib/supabase/fetchAll';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import type { Json } from '@/lib/types/database';
+import {
+  parseAdaptiveCriteria,
+  planAdaptiveSet,
+  stepAdaptiveSet,
+  stepLevel,
+  type AdaptiveCandidate,
+  type AdaptiveState,
+} from './adaptive';
+
+// Per-skill candidate cap — the same order of magnitude as the
+// questions-type sampler's limit(500).
+const POOL_LIMIT = 500;
+async function attemptedAmong(
+  supabase: TypedSupabaseClient,
+  userId: string,
+  ids: string[],
+  since?: string,
+): Promise<Set<string>> {
+  const rows = await fetchInChunks(ids, (chunk) => {
+    let q = supabase.from('attempts').select('question_id').eq('user_id', userId).in('question_id', chunk);
+    if (since) q = q.gte('created_at', since);
+    return q;
+  });
+  return new Set(rows.map((r) => r.question_id));
+}
+
+/**
+ * Draw and persist one student's set for an adaptive assignment.
+ * Returns { error } when the recipe can't produce a single question —
+ * every skill's pool is empty.
+ */
+export async function drawAdaptiveSet(
+  supabase: TypedSupabaseClient,
+  userId: string,
+  assignment: { id: string; filter_criteria: unknown },
+): Promise<{ questionIds: string[]; state: AdaptiveState } | { error: string }> {
+  const criteria = parseAdaptiveCriteria(assignment.filter_criteria);
+  if (!criteria || criteria.skillSelections.length === 0 || criteria.size === 0) {
+    return { error: 'This assignment has no skills to draw from.' };
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const [pools, { data: mastery }, attemptedRows] = await Promise.all([
+    Promise.all(
+      criteria.skillSelections.map(async (sel) => {
+        const { data } = await supabase
+          .from('questions_v2')
+          .select('id, skill_code, difficulty')
+          .eq('is_published', true)
+          .eq('is_broken', false)
+          .is('deleted_at', null)
+          .eq('domain_name', sel.domain)
+          .eq('skill_name', sel.skill)
+          .limit(POOL_LIMIT);
+        return (data ?? [])
+          .filter((q) => q.skill_code)
+          .map((q): AdaptiveCandidate => ({ id: q.id, skill: q.skill_code!, difficulty: q.difficulty }));
+      }),
+    ),
+    supabase.rpc('get_skill_mastery_asof', { p_student: userId, p_asof: today }),
+    fetchAll<{ question_id: string }>(
+      async (from: number, to: number) =>
+        await supabase
+          .from('attempts')
+          .select('question_id')
+          .eq('user_id', userId)
+          .order('id', { ascending: true })
+          .range(from, to),
+    ),
+  ]);
+
+  const masteryBySkill = new Map(
+    (mastery ?? []).map((m) => [m.skill_code, { mastery: m.mastery, attempts: m.attempts_count }]),
+  );
+  const { questionIds, state } = planAdaptiveSet({
+    skills: criteria.skillSelections.map((sel, i) => {
+      const skill = pools[i][0]?.skill ?? sel.skill;
+      return { skill, weight: sel.weight, mastery: masteryBySkill.get(skill) ?? null, pool: pools[i] };
+    }),
+    size: criteria.size,
+    goal: criteria.masteryGoal,
+    attempted: new Set(attemptedRows.map((r) => r.question_id)),
+  });
+  if (questionIds.length === 0) {
+    return { error: 'No questions are available for these skills right now.' };
+  }
+
+  const { error } = await supabase
+    .from('assignment_students_v2')
+    .update({ question_ids: questionIds })
+    .eq('assignment_id', assignment.id)
+    .eq('student_id', userId);
+  if (error) return { error: `Could not save your questions: ${error.message}` };
+
+  return { questionIds, state };
+}
+
+/**
+ * After a first answer at `position` in an adaptive session, step that
+ * skill's level and redraw its later unanswered questions. Best-effort:
+ * the caller has already recorded the attempt, and a failed redraw just
+ * leaves the set as drawn.
+ */
+export async function stepAdaptiveSession(
+  supabase: TypedSupabaseClient,
+  userId: string,
+  session: {
+    id: string;
+    question_ids: string[];
+    filter_criteria: Record<string, unknown>;
+    current_position: number | null;
+    created_at: string;
+  },
+  state: AdaptiveState,
+  position: number,
+  correct: boolean,
+): Promise<void> {
+  const skill = state.slots[position]?.skill;
+  const assignmentId = session.filter_criteria.assignment_id;
+  if (!skill || typeof assignmentId !== 'string') return;
+
+  const target = stepLevel(state.levels[skill] ?? state.slots[position].level, correct);
+  const { data: poolRows } = await supabase
+    .from('questions_v2')
+    .select('id, skill_code, difficulty')
+    .eq('skill_code', skill)
+    .eq('is_published', true)
+    .eq('is_broken', false)
+    .is('deleted_at', null)
+    .eq('difficulty', target)
+    .limit(POOL_LIMIT);
+  const pool = (poolRows ?? []).map((q): AdaptiveCandidate => ({ id: q.id, skill, difficulty: q.difficulty }));
+
+  const [attempted, answered] = await Promise.all([
+    attemptedAmong(supabase, userId, pool.map((c) => c.id)),
+    attemptedAmong(supabase, userId, session.question_ids, session.created_at),
+  ]);
+
+  const next = stepAdaptiveSet({
+    questionIds: session.question_ids,
+    state,
+    position,
+    correct,
+    lockedThrough: session.current_position ?? 0,
+    answered,
+    pool,
+    attempted,
+  });
+
+  const writes: PromiseLike<unknown>[] = [
+    supabase
+      .from('practice_sessions')
+      .update({
+        question_ids: next.questionIds,
+        filter_criteria: { ...session.filter_criteria, adaptive: next.state } as unknown as Json,
+      })
+      .eq('id', session.id)
+      .eq('status', 'in_progress'),
+  ];
+  if (next.changed > 0) {
+    writes.push(
+      supabase
+        .from('assignment_students_v2')
+        .update({ question_ids: next.questionIds })
+        .eq('assignment_id', assignmentId)
+        .eq('student_id', userId),
+    );
+  }
+  await Promise.all(writes);
+}
@@ -0,0 +1,243 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  allocateByWeight,
+  needFactor,
+  parseAdaptiveCriteria,
+  parseAdaptiveState,
+  planAdaptiveSet,
+  questionSetSize,
+  startingLevel,
+  stepAdaptiveSet,
+  stepLevel,
+  studentQuestionIds,
+} from './adaptive.ts';
+
+// Deterministic rng so tie-breaks and shuffles are reproducible.
+function seeded(seed = 1) {
+  let s = seed;
+  return () => {
+    s = (s * 16807) % 2147483647;
+    return (s - 1) / 2147483646;
+  };
+}
+
+function pool(skill, counts) {
+  const out = [];
+  for (const [difficulty, n] of Object.entries(counts)) {
+    for (let i = 0; i < n; i += 1) {
+      out.push({ id: `${skill}-${difficulty}-${i}`, skill, difficulty: Number(difficulty) });
+    }
+  }
+  return out;
+}
+
+test('parseAdaptiveCriteria reads the recipe and rejects other types', () => {
+  assert.equal(parseAdaptiveCriteria({ type: 'questions', skillSelections: [] }), null);
+  assert.equal(parseAdaptiveCriteria(null), null);
+  const c = parseAdaptiveCriteria({
+    type: 'adaptive',
+    skillSelections: [{ domain: 'Algebra', skill: 'Linear equations', weight: 2 }, { skill: 'x' }],
+    size: 12,
+    masteryGoal: 85,
+  });
+  assert.deepEqual(c, {
+    type: 'adaptive',
+    skillSelections: [{ domain: 'Algebra', skill: 'Linear equations', weight: 2 }],
+    size: 12,
+    masteryGoal: 85,
+  });
+});
+
+test('parseAdaptiveState clamps levels and is null outside an adaptive session', () => {
+  assert.equal(parseAdaptiveState({ assignment_id: 'a' }), null);
+  const st = parseAdaptiveState({
+    adaptive: { goal: 80, levels: { LIN: 7 }, slots: [{ skill: 'LIN', level: 0 }] },
+  });
+  assert.deepEqual(st, { goal: 80, levels: { LIN: 3 }, slots: [{ skill: 'LIN', level: 1 }] });
+});
+
+test('studentQuestionIds and questionSetSize pick the per-student set for adaptive only', () => {
+  const shared = { assignment_type: 'questions', question_ids: ['a', 'b'] };
+  assert.deepEqual(studentQuestionIds(shared, ['z']), ['a', 'b']);
+  assert.equal(questionSetSize(shared), 2);
+
+  const adaptive = {
+    assignment_type: 'adaptive',
+    question_ids: null,
+    filter_criteria: { type: 'adaptive', skillSelections: [], size: 15 },
+  };
+  assert.deepEqual(studentQuestionIds(adaptive, null), []);
+  assert.equal(questionSetSize(adaptive), 15);
+  assert.equal(questionSetSize(adaptive, ['x', 'y', 'z']), 3);
+});
+
+test('startingLevel follows mastery, defaulting to Medium when unseen', () => {
+  assert.equal(startingLevel(null), 2);
+  assert.equal(startingLevel({ mastery: 10, attempts: 0 }), 2);
+  assert.equal(startingLevel({ mastery: 20, attempts: 5 }), 1);
+  assert.equal(startingLevel({ mastery: 55, attempts: 5 }), 2);
+  assert.equal(startingLevel({ mastery: 90, attempts: 5 }), 3);
+});
+
+test('needFactor shrinks toward the at-goal share as mastery rises', () => {
+  assert.equal(needFactor(null, 80), 1);
+  assert.equal(needFactor(80, 80), 0.25);
+  assert.equal(needFactor(95, 80), 0.25);
+  assert.ok(needFactor(20, 80) > needFactor(60, 80));
+  assert.ok(needFactor(0, 80) <= 1);
+});
+
+test('stepLevel moves one level and clamps at the ends', () => {
+  assert.equal(stepLevel(2, true), 3);
+  assert.equal(stepLevel(3, true), 3);
+  assert.equal(stepLevel(2, false), 1);
+  assert.equal(stepLevel(1, false), 1);
+});
+
+test('allocateByWeight always sums to size', () => {
+  const rng = seeded(7);
+  for (const size of [1, 5, 10, 23]) {
+    const out = allocateByWeight([1, 0.5, 2, 1], size, rng);
+    assert.equal(out.reduce((a, b) => a + b, 0), size);
+  }
+  assert.deepEqual(allocateByWeight([0, 0], 5), [0, 0]);
+});
+
+test('planAdaptiveSet fills the size, interleaves skills, and starts at each skill’s level', () => {
+  const { questionIds, state } = planAdaptiveSet({
+    skills: [
+      { skill: 'LIN', weight: 1, mastery: { mastery: 20, attempts: 10 }, pool: pool('LIN', { 1: 10, 2: 10, 3: 10 }) },
+      { skill: 'PCT', weight: 1, mastery: { mastery: 90, attempts: 10 }, pool: pool('PCT', { 1: 10, 2: 10, 3: 10 }) },
+    ],
+    size: 8,
+    goal: 80,
+    attempted: new Set(),
+    rng: seeded(3),
+  });
+  assert.equal(questionIds.length, 8);
+  assert.equal(new Set(questionIds).size, 8);
+  assert.equal(state.slots.length, 8);
+  assert.deepEqual(state.levels, { LIN: 1, PCT: 3 });
+  // The weaker skill gets the larger share.
+  const lin = state.slots.filter((s) => s.skill === 'LIN').length;
+  assert.ok(lin > 8 - lin);
+  // Each slot's level is the picked question's difficulty.
+  for (const [i, slot] of state.slots.entries()) {
+    assert.equal(Number(questionIds[i].split('-')[1]), slot.level);
+  }
+  // Round-robin: the first two slots are different skills.
+  assert.notEqual(state.slots[0].skill, state.slots[1].skill);
+});
+
+test('planAdaptiveSet caps a skill at its pool and hands the rest to the others', () => {
+  const { questionIds, state } = planAdaptiveSet({
+    skills: [
+      { skill: 'LIN', weight: 1, mastery: null, pool: pool('LIN', { 2: 2 }) },
+      { skill: 'PCT', weight: 1, mastery: null, pool: pool('PCT', { 2: 20 }) },
+      { skill: 'NONE', weight: 5, mastery: null, pool: [] },
+    ],
+    size: 10,
+    goal: 80,
+    attempted: new Set(),
+    rng: seeded(11),
+  });
+  assert.equal(questionIds.length, 10);
+  assert.equal(state.slots.filter((s) => s.skill === 'LIN').length, 2);
+  assert.equal(state.slots.filter((s) => s.skill === 'NONE').length, 0);
+});
+
+test('planAdaptiveSet prefers questions the student has not attempted', () => {
+  const p = pool('LIN', { 2: 6 });
+  const attempted = new Set(p.slice(0, 3).map((c) => c.id));
+  const { questionIds } = planAdaptiveSet({
+    skills: [{ skill: 'LIN', weight: 1, mastery: null, pool: p }],
+    size: 3,
+    goal: 80,
+    attempted,
+    rng: seeded(5),
+  });
+  assert.ok(questionIds.every((id) => !attempted.has(id)));
+});
+
+function fixedSet() {
+  return {
+    questionIds: ['L0', 'P0', 'L1', 'P1', 'L2'],
+    state: {
+      goal: 80,
+      levels: { LIN: 2, PCT: 2 },
+      slots: [
+        { skill: 'LIN', level: 2 },
+        { skill: 'PCT', level: 2 },
+        { skill: 'LIN', level: 2 },
+        { skill: 'PCT', level: 2 },
+        { skill: 'LIN', level: 2 },
+      ],
+    },
+  };
+}
+
+test('stepAdaptiveSet raises only later unanswered slots of the answered skill', () => {
+  const { questionIds, state } = fixedSet();
+  const next = stepAdaptiveSet({
+    questionIds,
+    state,
+    position: 0,
+    correct: true,
+    lockedThrough: 0,
+    answered: new Set(['L0']),
+    pool: pool('LIN', { 3: 4 }),
+    attempted: new Set(),
+    rng: seeded(2),
+  });
+  assert.equal(next.changed, 2);
+  assert.equal(next.state.levels.LIN, 3);
+  assert.equal(next.state.levels.PCT, 2);
+  assert.equal(next.questionIds[0], 'L0');
+  assert.equal(next.questionIds[1], 'P0');
+  assert.equal(next.questionIds[3], 'P1');
+  assert.match(next.questionIds[2], /^LIN-3-/);
+  assert.match(next.questionIds[4], /^LIN-3-/);
+  assert.equal(next.state.slots[2].level, 3);
+  // The input isn't mutated.
+  assert.deepEqual(questionIds, ['L0', 'P0', 'L1', 'P1', 'L2']);
+});
+
+test('stepAdaptiveSet leaves positions the student may have seen', () => {
+  const { questionIds, state } = fixedSet();
+  const next = stepAdaptiveSet({
+    questionIds,
+    state,
+    position: 0,
+    correct: false,
+    lockedThrough: 2,
+    answered: new Set(['L0']),
+    pool: pool('LIN', { 1: 4 }),
+    attempted: new Set(),
+    rng: seeded(2),
+  });
+  assert.equal(next.changed, 1);
+  assert.equal(next.questionIds[2], 'L1');
+  assert.match(next.questionIds[4], /^LIN-1-/);
+  assert.equal(next.state.levels.LIN, 1);
+});
+
+test('stepAdaptiveSet keeps a slot when the pool has nothing closer', () => {
+  const { questionIds, state } = fixedSet();
+  const next = stepAdaptiveSet({
+    questionIds,
+    state,
+    position: 0,
+    correct: true,
+    lockedThrough: 0,
+    answered: new Set(['L0', 'L1']),
+    pool: pool('LIN', { 2: 4 }),
+    attempted: new Set(),
+    rng: seeded(2),
+  });
+  assert.equal(next.changed, 0);
+  assert.deepEqual(next.questionIds, questionIds);
+  // The level still steps, so the next answer builds on it.
+  assert.equal(next.state.levels.LIN, 3);
+});
@@ -0,0 +1,352 @@
+// Adaptive assignments: per-student question sets drawn from the
+// tutor's recipe. See supabase/migrations/20261019290000_adaptive_assignments.sql.
+//
+// PURE: the IO half is ./adaptive-server.ts. Everything here takes the
+// rows it needs (candidate pools, mastery, attempted ids) and an rng,
+// so the draw and the stepping are testable without a database.
+//
+// The recipe (assignments_v2.filter_criteria) is
+//   { type: 'adaptive', skillSelections: [{ domain, skill, weight }],
+//     size, masteryGoal }
+// and a running session carries its planner state on
+// practice_sessions.filter_criteria.adaptive:
+//   { goal, levels: { [skill_code]: 1|2|3 }, slots: [{ skill, level }] }
+// slots[i] describes question_ids[i] — its skill and the difficulty it
+// was drawn at — so a redraw knows which later positions belong to the
+// skill that was just answered.
+//
+// The student's set lives on their assignment_students_v2 row
+// (question_ids) once drawn. Code that needs "this student's questions"
+// for any question-set assignment goes through studentQuestionIds().
+
+export type AdaptiveLevel = 1 | 2 | 3;
+
+export const DEFAULT_MASTERY_GOAL = 80;
+export const MIN_MASTERY_GOAL = 50;
+export const MAX_MASTERY_GOAL = 95;
+
+// A skill the student already has at the goal keeps this share of its
+// weight: still represented, but the set leans on the gaps.
+const AT_GOAL_SHARE = 0.25;
+
+// Assignment types whose work is a list of questions run through the
+// practice runner. 'adaptive' lists are per student.
+export const QUESTION_SET_TYPES: ReadonlySet<string> = new Set(['questions', 'lesson_pack', 'adaptive']);
+
+export function isQuestionSetType(type: string | null | undefined): boolean {
+  return QUESTION_SET_TYPES.has(type ?? '');
+}
+
+export interface AdaptiveSkillSelection {
+  domain: string;
+  skill: string;
+  weight: number;
+}
+
+export interface AdaptiveCriteria {
+  type: 'adaptive';
+  skillSelections: AdaptiveSkillSelection[];
+  size: number;
+  masteryGoal: number;
+}
+
+export interface AdaptiveSlot {
+  /** questions_v2.skill_code */
+  skill: string;
+  level: AdaptiveLevel;
+}
+
+export interface AdaptiveState {
+  goal: number;
+  levels: Record<string, AdaptiveLevel>;
+  slots: AdaptiveSlot[];
+}
+
+export interface AdaptiveCandidate {
+  id: string;
+  skill: string;
+  difficulty: number | null;
+}
+
+function asRecord(raw: unknown): Record<string, unknown> | null {
+  return raw && typeof raw === 'object' && !Array.isArray(raw) ? (raw as Record<string, unknown>) : null;
+}
+
+function toLevel(n: unknown): AdaptiveLevel {
+  const v = Math.round(Number(n));
+  return v <= 1 ? 1 : v >= 3 ? 3 : 2;
+}
+
+/** The recipe from assignments_v2.filter_criteria; null when it isn't an adaptive one. */
+export function parseAdaptiveCriteria(raw: unknown): AdaptiveCriteria | null {
+  const fc = asRecord(raw);
+  if (!fc || fc.type !== 'adaptive' || !Array.isArray(fc.skillSelections)) return null;
+  const skillSelections: AdaptiveSkillSelection[] = [];
+  for (const entry of fc.skillSelections) {
+    const e = asRecord(entry);
+    if (!e || typeof e.domain !== 'string' || typeof e.skill !== 'string') continue;
+    const w = Number(e.weight);
+    skillSelections.push({ domain: e.domain, skill: e.skill, weight: Number.isFinite(w) && w > 0 ? w : 1 });
+  }
+  const size = Math.floor(Number(fc.size));
+  const goal = Number(fc.masteryGoal);
+  return {
+    type: 'adaptive',
+    skillSelections,
+    size: Number.isFinite(size) && size > 0 ? size : 0,
+    masteryGoal: Number.isFinite(goal) ? goal : DEFAULT_MASTERY_GOAL,
+  };
+}
+
+/** Planner state from practice_sessions.filter_criteria; null outside an adaptive session. */
+export function parseAdaptiveState(raw: unknown): AdaptiveState | null {
+  const st = asRecord(asRecord(raw)?.adaptive);
+  if (!st || !Array.isArray(st.slots)) return null;
+  const levels: Record<string, AdaptiveLevel> = {};
+  for (const [skill, lvl] of Object.entries(asRecord(st.levels) ?? {})) levels[skill] = toLevel(lvl);
+  const slots: AdaptiveSlot[] = st.slots.map((s) => {
+    const r = asRecord(s);
+    return { skill: typeof r?.skill === 'string' ? r.skill : '', level: toLevel(r?.level) };
+  });
+  const goal = Number(st.goal);
+  return { goal: Number.isFinite(goal) ? goal : DEFAULT_MASTERY_GOAL, levels, slots };
+}
+
+/**
+ * The question list one student works: their own drawn set for an
+ * adaptive assignment (empty before they start), the shared list for
+ * everything else.
+ */
+export function studentQuestionIds(
+  assignment: { assignment_type: string; question_ids?: string[] | null },
+  own: string[] | null | undefined,
+): string[] {
+  const ids = assignment.assignment_type === 'adaptive' ? own : assignment.question_ids;
+  return Array.isArray(ids) ? ids : [];
+}
+
+/**
+ * How many questions a student's set has, or will have: the drawn or
+ * shared list when there is one, else an adaptive recipe's size.
+ */
+export function questionSetSize(
+  assignment: { assignment_type: string; question_ids?: string[] | null; filter_criteria?: unknown },
+  own?: string[] | null,
+): number {
+  const ids = studentQuestionIds(assignment, own);
+  if (ids.length > 0 || assignment.assignment_type !== 'adaptive') return ids.length;
+  return parseAdaptiveCriteria(assignment.filter_criteria)?.size ?? 0;
+}
+
+/**
+ * Where a skill starts: Easy for a shaky skill, Medium for a middling
+ * or unseen one, Hard once the student is solid.
+ */
+export function startingLevel(m: { mastery: number; attempts: number } | null | undefined): AdaptiveLevel {
+  if (!m || m.attempts <= 0) return 2;
+  if (m.mastery < 40) return 1;
+  if (m.mastery < 70) return 2;
+  return 3;
+}
+
+/** Weight multiplier for a skill: the further below the goal, the more questions. */
+export function needFactor(mastery: number | null, goal: number): number {
+  if (mastery == null) return 1;
+  if (mastery >= goal) return AT_GOAL_SHARE;
+  return AT_GOAL_SHARE + ((1 - AT_GOAL_SHARE) * (goal - mastery)) / goal;
+}
+
+export function stepLevel(level: AdaptiveLevel, correct: boolean): AdaptiveLevel {
+  return toLevel(level + (correct ? 1 : -1));
+}
+
+// Largest-remainder allocation: each weight gets floor(size * w/W)
+// questions, then the leftover units go to the selections with the
+// largest fractional remainders. Guarantees the sum is exactly `size`.
+export function allocateByWeight(weights: number[], size: number, rng: () => number = Math.random): number[] {
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (total <= 0 || weights.length === 0) return weights.map(() => 0);
+
+  const raw = weights.map((w) => (size * w) / total);
+  const floored = raw.map((r) => Math.floor(r));
+  const leftover = size - floored.reduce((a, b) => a + b, 0);
+
+  if (leftover > 0) {
+    // Largest-remainder distribution. When fractional parts tie
+    // (the common case is uniform weights with size < N: every
+    // selection raw = size/N, every frac equal), break ties with
+    // a per-call random tag rather than ascending array index.
+    // Without this, a tutor who hit "Add all in domain" for
+    // Reading first and then Math at size=10 with all weights=1
+    // ended up with 0 Math questions: every leftover unit went
+    // to the first leftover-many indices in input order, which
+    // were entirely RW. The random tiebreaker spreads the units
+    // across the tied set in expectation. Two assignments built
+    // with the same shape get independent draws.
+    const order = raw
+      .map((r, i) => ({ i, frac: r - Math.floor(r), tieBreak: rng() }))
+      .sort((a, b) => b.frac - a.frac || a.tieBreak - b.tieBreak);
+    for (let k = 0; k < leftover; k += 1) {
+      floored[order[k % order.length].i] += 1;
+    }
+  }
+  return floored;
+}
+
+// Unrated questions sit between Medium and Hard, so they're a last
+// resort at every level rather than a free pick at one.
+function distance(c: AdaptiveCandidate, level: AdaptiveLevel): number {
+  return Math.abs((c.difficulty ?? 2.5) - level);
+}
+
+/**
+ * Best candidate for a level: never one already in the set, then
+ * unattempted before attempted, then the closest difficulty. Ties are
+ * broken at random so two students at the same level get different
+ * questions.
+ */
+export function pickCandidate(
+  pool: AdaptiveCandidate[],
+  level: AdaptiveLevel,
+  exclude: ReadonlySet<string>,
+  attempted: ReadonlySet<string>,
+  rng: () => number = Math.random,
+): AdaptiveCandidate | null {
+  let best: AdaptiveCandidate | null = null;
+  let bestKey = Infinity;
+  for (const c of pool) {
+    if (exclude.has(c.id)) continue;
+    const key = (attempted.has(c.id) ? 10 : 0) + distance(c, level) + rng() * 0.01;
+    if (key < bestKey) {
+      best = c;
+      bestKey = key;
+    }
+  }
+  return best;
+}
+
+function knownMastery(m: { mastery: number; attempts: number } | null): number | null {
+  return m && m.attempts > 0 ? m.mastery : null;
+}
+
+export interface AdaptiveSkillInput {
+  /** questions_v2.skill_code of the pool. */
+  skill: string;
+  weight: number;
+  mastery: { mastery: number; attempts: number } | null;
+  pool: AdaptiveCandidate[];
+}
+
+/**
+ * Draw one student's set. Each skill's share is its weight scaled by
+ * needFactor; a skill whose pool runs dry passes its remainder to the
+ * others. Skills are interleaved round-robin so stepping has later
+ * same-skill questions to act on, and each skill starts at
+ * startingLevel for the student's mastery.
+ */
+export function planAdaptiveSet(input: {
+  skills: AdaptiveSkillInput[];
+  size: number;
+  goal: number;
+  attempted: ReadonlySet<string>;
+  rng?: () => number;
+}): { questionIds: string[]; state: AdaptiveState } {
+  const rng = input.rng ?? Math.random;
+  const skills = input.skills.filter((s) => s.pool.length > 0);
+  const levels: Record<string, AdaptiveLevel> = {};
+  for (const s of skills) levels[s.skill] = startingLevel(s.mastery);
+
+  // Allocate, capping each skill at its pool and re-allocating the
+  // overflow among the skills that still have room.
+  const counts = skills.map(() => 0);
+  let remaining = input.size;
+  for (let round = 0; round < skills.length && remaining > 0; round += 1) {
+    const open = skills.map((s, i) => (counts[i] < s.pool.length ? i : -1)).filter((i) => i >= 0);
+    if (open.length === 0) break;
+    const shares = allocateByWeight(
+      open.map((i) => skills[i].weight * needFactor(knownMastery(skills[i].mastery), input.goal)),
+      remaining,
+      rng,
+    );
+    open.forEach((i, k) => {
+      const take = Math.min(shares[k], skills[i].pool.length - counts[i]);
+      counts[i] += take;
+      remaining -= take;
+    });
+  }
+
+  const order = skills.map((_, i) => i);
+  for (let i = order.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const taken = new Set<string>();
+  const questionIds: string[] = [];
+  const slots: AdaptiveSlot[] = [];
+  const left = [...counts];
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const i of order) {
+      if (left[i] <= 0) continue;
+      const s = skills[i];
+      const pick = pickCandidate(s.pool, levels[s.skill], taken, input.attempted, rng);
+      left[i] -= 1;
+      if (!pick) continue;
+      taken.add(pick.id);
+      questionIds.push(pick.id);
+      slots.push({ skill: s.skill, level: toLevel(pick.difficulty ?? 2) });
+      progress = true;
+    }
+  }
+
+  return { questionIds, state: { goal: input.goal, levels, slots } };
+}
+
+/**
+ * Step a skill after an answer at `position` and redraw its later
+ * unanswered questions at the new level. Positions at or before
+ * `lockedThrough` are never touched — the student may have seen them.
+ * A slot only changes when the pool has something strictly closer to
+ * the new level than what's there.
+ */
+export function stepAdaptiveSet(input: {
+  questionIds: string[];
+  state: AdaptiveState;
+  position: number;
+  correct: boolean;
+  lockedThrough: number;
+  answered: ReadonlySet<string>;
+  pool: AdaptiveCandidate[];
+  attempted: ReadonlySet<string>;
+  rng?: () => number;
+}): { questionIds: string[]; state: AdaptiveState; changed: number } {
+  const rng = input.rng ?? Math.random;
+  const skill = input.state.slots[input.position]?.skill;
+  if (!skill) return { questionIds: input.questionIds, state: input.state, changed: 0 };
+
+  const level = stepLevel(input.state.levels[skill] ?? input.state.slots[input.position].level, input.correct);
+  const questionIds = [...input.questionIds];
+  const slots = input.state.slots.map((s) => ({ ...s }));
+  const inSet = new Set(questionIds);
+  let changed = 0;
+
+  for (let p = Math.max(input.position, input.lockedThrough) + 1; p < questionIds.length; p += 1) {
+    const slot = slots[p];
+    if (!slot || slot.skill !== skill || slot.level === level || input.answered.has(questionIds[p])) continue;
+    const pick = pickCandidate(input.pool, level, inSet, input.attempted, rng);
+    if (!pick || distance(pick, level) >= Math.abs(slot.level - level)) continue;
+    inSet.delete(questionIds[p]);
+    inSet.add(pick.id);
+    questionIds[p] = pick.id;
+    slots[p] = { skill, level: toLevel(pick.difficulty ?? 2) };
+    changed += 1;
+  }
+
+  return {
+    questionIds,
+    state: { ...input.state, levels: { ...input.state.levels, [skill]: level }, slots },
+    changed,
+  };
+}
@@ -22,6 +22,7 @@ import { revalidatePath } from 'next/cache';
 import { requireRole } from '@/lib/api/auth';
 import { actionFail, actionOk, ApiError } from '@/lib/api/response';
 import { renderRow } from '@/lib/content/render-math.mjs';
+import { revisionContext } from '@/lib/content/question-revisions';
 import { loadBrokenData } from './load-broken-data';
 
 const EDIT_ROLES = ['manager', 'admin'];
@@ -218,6 +219,9 @@ export async function saveQuestionCorrections({
   // pass worth recording.
   patch.last_fixed_by = user.id;
   patch.last_fixed_at = new Date().toISOString();
+  // Consumed by the revision trigger; a save that changes no content
+  // column records no revision.
+  patch.revision_context = revisionContext('manual');
 
   const { error: updErr } = await supabase
     .from('questions_v2')
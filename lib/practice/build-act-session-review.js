@@ -174,14 +174,14 @@ export async function buildActSessionReview({
       };
     }
 
-    const stimulusHtml = applyWatermark(q.stimulus_html ?? '', targetUser.id);
-    const stemHtml = applyWatermark(q.stem_html ?? '', targetUser.id);
+    const stimulusHtml = applyWatermark(q.stimulus_html ?? '', user.id);
+    const stemHtml = applyWatermark(q.stem_html ?? '', user.id);
 
     const options = (q.options ?? []).map((opt, idx) => ({
       id: opt.id,
       ordinal: idx,
       label: opt.label,
-      content_html: applyWatermark(opt.content_html ?? '', targetUser.id),
+      content_html: applyWatermark(opt.content_html ?? '', user.id),
     }));
 
     return {
@@ -223,7 +223,7 @@ export async function buildActSessionReview({
       reveal: {
         correctOptionId: extractMcqCorrectId(q.correct_answer),
         correctAnswerDisplay: null,
-        rationaleHtml: applyWatermark(q.rationale_html ?? '', targetUser.id),
+        rationaleHtml: applyWatermark(q.rationale_html ?? '', user.id),
       },
       status: a ? (a.is_correct ? 'correct' : 'incorrect') : 'unanswered',
       marked,
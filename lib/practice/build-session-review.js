@@ -26,6 +26,7 @@ import { inferLayoutMode } from '@/lib/ui/question-layout';
 import { buildActSessionReview } from '@/lib/practice/build-act-session-review';
 import { recommendLessonsForSkills } from '@/lib/lesson/recommend';
 import { loadPatternCatalog, canTagPatterns } from '@/lib/practice/load-question-patterns';
+import { loadAnsweredRevisions } from '@/lib/practice/load-answered-revisions';
 
 const MATH_DOMAIN_CODES = new Set(['H', 'P', 'Q', 'S']);
 // Cap on the §3.3 "Learn it first" recommendations in the report.
@@ -43,14 +44,14 @@ const CONCEPT_TAGS_CAN_TAG_ROLES = new Set(['manager', 'admin']);
  * @param {object} args
  * @param {import('@supabase/supabase-js').SupabaseClient} args.supabase
  * @param {{ id: string }} args.user - the auth'd caller (viewer).
- *   Used for visibility-scoped data like question notes and the
- *   watermark when the viewer is also the session owner.
+ *   Used for visibility-scoped data like question notes, and it is
+ *   the identifier the watermark embeds — the person the HTML is
+ *   served to, so a tutor's copy traces to the tutor.
  * @param {{ id: string }} [args.target] - the owner of the
  *   session being reviewed. For student review and tutor self-
  *   training this equals `user`; for a tutor reviewing a
  *   student's session it's the student. Defaults to `user`.
- *   Drives which user_id the attempts query filters on and
- *   whose identifier the watermark embeds.
+ *   Drives which user_id the attempts query filters on.
  * @param {string} [args.role] - caller's profile.role; controls
  *   whether per-question Desmos states are loaded for the saved-state
  *   button (manager/admin → save; teacher → load only).
@@ -142,7 +143,7 @@ export async function buildSessionReview({
     supabase
       .from('questions_v2')
       .select(
-        'id, question_type, stimulus_html, stem_html, options, stimulus_rendered, stem_rendered, options_rendered, rationale_html, rationale_rendered, correct_answer, domain_code, domain_name, skill_code, skill_name, difficulty, score_band, display_code, pattern_id',
+        'id, question_type, stimulus_html, stem_html, options, stimulus_rendered, stem_rendered, options_rendered, rationale_html, rationale_rendered, correct_answer, domain_code, domain_name, skill_code, skill_name, difficulty, score_band, display_code, pattern_id, current_revision_id',
       )
       .in('id', v2QueryIds),
     // Attempts against these questions, scoped to after the session
@@ -151,7 +152,7 @@ export async function buildSessionReview({
     // session_id column, so the timestamp is the binding.
     supabase
       .from('attempts')
-      .select('question_id, is_correct, selected_option_id, response_text, created_at, time_spent_ms')
+      .select('question_id, is_correct, selected_option_id, response_text, created_at, time_spent_ms, question_revision_id')
       .eq('user_id', targetUser.id)
       .in('question_id', attemptQuestionIds)
       .gte('created_at', attemptsFloor)
@@ -176,6 +177,15 @@ export async function buildSessionReview({
     }
   }
 
+  // Questions edited since the student answered them: show the
+  // revision they answered (text, choices, key, rationale), not
+  // today's. Keyed by question id; empty when nothing was edited.
+  const answeredRevisions = await loadAnsweredRevisions(
+    supabase,
+    firstAttemptByQid.values(),
+    new Map((questions ?? []).map((q) => [q.id, q.current_revision_id])),
+  );
+
   // Mark-for-review positions live on the session row as int[]
   // (migration 20240101000037). Synthetic-session callers pass an
   // object without marked_positions; treat it as an empty set so
@@ -185,7 +195,9 @@ export async function buildSessionReview({
   );
 
   const items = questionIds.map((qid, position) => {
-    const q = questionsById.get(qid);
+    const answeredRevision = answeredRevisions.get(qid) ?? null;
+    const liveQ = questionsById.get(qid);
+    const q = liveQ && answeredRevision ? { ...liveQ, ...answeredRevision } : liveQ;
     const a = firstAttemptByQid.get(qid) ?? null;
     const marked = markedSet.has(position);
 
@@ -207,11 +219,11 @@ export async function buildSessionReview({
 
     const stimulusHtml = applyWatermark(
       q.stimulus_rendered ?? q.stimulus_html,
-      targetUser.id,
+      user.id,
     );
     const stemHtml = applyWatermark(
       q.stem_rendered ?? q.stem_html,
-      targetUser.id,
+      user.id,
     );
 
     const optionsSource = Array.isArray(q.options_rendered)
@@ -226,7 +238,7 @@ export async function buildSessionReview({
         id: label,
         ordinal: idx,
         label,
-        content_html: applyWatermark(content, targetUser.id),
+        content_html: applyWatermark(content, user.id),
       };
     });
 
@@ -248,6 +260,9 @@ export async function buildSessionReview({
         difficulty: q.difficulty,
         score_band: q.score_band,
       },
+      // Set when the question has been edited since this attempt and
+      // the content above is the revision the student answered.
+      answeredRevisionNumber: answeredRevision?.revisionNumber ?? null,
       // Current sub-skill classification, for the pattern picker in
       // the review surfaces (foundations-and-question-patterns §3.4).
       patternId: q.pattern_id ?? null,
@@ -282,7 +297,7 @@ export async function buildSessionReview({
         correctAnswerDisplay: isSpr ? formatSprCorrect(q.correct_answer) : null,
         rationaleHtml: applyWatermark(
           q.rationale_rendered ?? q.rationale_html,
-          targetUser.id,
+          user.id,
         ),
       },
       status: a ? (a.is_correct ? 'correct' : 'incorrect') : 'unanswered',
@@ -0,0 +1,88 @@
+// Loader: the question text a student actually answered.
+//
+// attempts.question_revision_id pins every attempt to the revision
+// that was live when it was submitted (migration 20261019230000). When
+// that is not the question's current revision, review surfaces show
+// the answered revision — stem, passage, choices, answer key and
+// rationale as they were — instead of today's edit. NULL revision ids
+// (attempts that predate revision tracking on never-edited questions)
+// read as "current".
+//
+// Revisions store source HTML only, so stale ones are rendered here.
+// That is rare, so the MathJax renderer is imported lazily and pages
+// with no edited questions never load it.
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { REVISION_COLUMNS, type QuestionRevision } from '@/lib/content/question-revisions';
+
+/** Content overlay in questions_v2 column names, plus the revision number. */
+export interface AnsweredRevision {
+  revisionNumber: number;
+  stem_html: string | null;
+  stimulus_html: string | null;
+  rationale_html: string | null;
+  options: unknown;
+  correct_answer: unknown;
+  stem_rendered: string | null;
+  stimulus_rendered: string | null;
+  rationale_rendered: string | null;
+  options_rendered: unknown;
+}
+
+/**
+ * @param attempts - one attempt per question (the one being reviewed).
+ * @param currentRevisionByQuestion - questions_v2.current_revision_id.
+ * @returns question_id → overlay, only for questions edited since.
+ */
+export async function loadAnsweredRevisions(
+  supabase: SupabaseClient,
+  attempts: Iterable<{ question_id: string; question_revision_id?: string | null }>,
+  currentRevisionByQuestion: Map<string, string | null | undefined>,
+): Promise<Map<string, AnsweredRevision>> {
+  const wanted = new Map<string, string>();
+  for (const a of attempts) {
+    const rev = a.question_revision_id;
+    const current = currentRevisionByQuestion.get(a.question_id);
+    if (rev && current && rev !== current) wanted.set(rev, a.question_id);
+  }
+  const out = new Map<string, AnsweredRevision>();
+  if (wanted.size === 0) return out;
+
+  const { data, error } = await supabase
+    .from('question_revisions')
+    .select(REVISION_COLUMNS)
+    .in('id', [...wanted.keys()]);
+  // Best-effort: on failure the review falls back to current content.
+  if (error || !data?.length) return out;
+
+  // eslint-disable-next-line @typescript-eslint/ban-ts-comment
+  // @ts-ignore — shared .mjs MathJax renderer; no type declarations.
+  const { renderRow } = await import('@/lib/content/render-math.mjs');
+  for (const rev of data as unknown as QuestionRevision[]) {
+    let rendered;
+    try {
+      rendered = renderRow({
+        id: rev.id,
+        stem_html: rev.stem_html,
+        stimulus_html: rev.stimulus_html,
+        rationale_html: rev.rationale_html,
+        options: rev.options,
+      });
+    } catch {
+      rendered = {};
+    }
+    out.set(rev.question_id, {
+      revisionNumber: rev.revision_number,
+      stem_html: rev.stem_html,
+      stimulus_html: rev.stimulus_html,
+      rationale_html: rev.rationale_html,
+      options: rev.options,
+      correct_answer: rev.correct_answer,
+      stem_rendered: rendered.stem_rendered ?? null,
+      stimulus_rendered: rendered.stimulus_rendered ?? null,
+      rationale_rendered: rendered.rationale_rendered ?? null,
+      options_rendered: rendered.options_rendered ?? null,
+    });
+  }
+  return out;
+}
@@ -5,20 +5,25 @@
 // action wraps and docs/architecture-plan.md §3.7 for why this is
 // the sanctioned shape (vs. a bare client fetch).
 //
-// Auth: requireUser() runs on every call. The loader does its own
-// session-ownership check via `practice_sessions.user_id =
-// caller`. RLS still gates the underlying tables, so a forged
-// sessionId returns not_found rather than another user's data.
+// Auth: requireUser() runs on every call, then the 'question.load'
+// rate-limit policy and the scraper guard (lib/api/scraperGuard.ts).
+// The loader does its own session-ownership check via
+// `practice_sessions.user_id = caller`. RLS still gates the
+// underlying tables, so a forged sessionId returns not_found rather
+// than another user's data.
 
 'use server';
 
 import { requireUser } from '@/lib/api/auth';
+import { actionRateLimited } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
+import { guardQuestionLoad } from '@/lib/api/scraperGuard';
 import { loadQuestion } from './load-question';
 import type {
   LoadQuestionInput,
   LoadQuestionResult,
 } from './load-question';
-import type { ActionResult, UserRole } from '@/lib/types';
+import type { ActionResult, AuthContext, UserRole } from '@/lib/types';
 
 /**
  * Load the runner payload for one (sessionId, position) tuple.
@@ -31,11 +36,12 @@ import type { ActionResult, UserRole } from '@/lib/types';
 export async function loadQuestionAction(
   input: LoadQuestionInput,
 ): Promise<ActionResult<{ result: LoadQuestionResult }>> {
+  let ctx: AuthContext;
   let user: { id: string };
   let role: UserRole;
   let supabase: unknown;
   try {
-    const ctx = await requireUser();
+    ctx = await requireUser();
     user = ctx.user;
     role = ctx.profile.role as UserRole;
     supabase = ctx.supabase;
@@ -44,6 +50,13 @@ export async function loadQuestionAction(
     return { ok: false, error: message };
   }
 
+  // Per-question payloads are what a scraper walks; 'question.load'
+  // sits far above a student clicking Next.
+  const rl = await checkRateLimit('question.load', { key: user.id, role });
+  if (!rl.ok) return actionRateLimited(rl);
+  const blocked = await guardQuestionLoad(ctx);
+  if (blocked) return blocked;
+
   try {
     const result = await loadQuestion(
       { userId: user.id, role, supabase },
@@ -190,6 +190,9 @@ export interface QuestionPayload {
     sectionLabel: string | null;
     sourceTest: string | null;
   } | null;
+  /** Adaptive-assignment session: later questions are redrawn as the
+   *  student answers, so the runner turns off step-back detours. */
+  adaptive: boolean;
 }
 
 export type LoadQuestionResult =
@@ -618,6 +621,7 @@ export async function loadQuestion(
       errorNote,
       studentNote,
       practiceTest,
+      adaptive: !!fcAny?.adaptive,
       marked: markedSet.has(position),
     },
   };
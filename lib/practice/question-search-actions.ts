@@ -25,7 +25,8 @@
 'use server';
 
 import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 
 const MAX_RESULTS = 25;
 const TAG_SEARCH_ROLES = new Set(['manager', 'admin']);
@@ -67,7 +68,11 @@ export async function searchQuestions(
     if (err instanceof ApiError) return err.toActionResult() as { ok: false; error: string };
     return actionFail('Unexpected error loading user');
   }
-  const { profile, supabase } = ctx;
+  const { user, profile, supabase } = ctx;
+
+  // Stem/stimulus ilike search is the cheapest way to dump the bank.
+  const rl = await checkRateLimit('question.search', { key: user.id, role: profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   // Tag filtering is privileged — students don't see concept tags
   // anywhere in the UI, so don't let a forged form widen visibility
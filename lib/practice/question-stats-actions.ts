@@ -13,7 +13,8 @@
 'use server';
 
 import { requireRole } from '@/lib/api/auth';
-import { actionFail, actionOk, ApiError } from '@/lib/api/response';
+import { actionFail, actionOk, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import type { ActionResult } from '@/lib/types';
 import {
   QUESTION_STATS_ROLES,
@@ -37,6 +38,9 @@ export async function loadQuestionStatsAction(
     throw e;
   }
 
+  const rl = await checkRateLimit('question.load', { key: profile.id, role: profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
+
   const { data, error } = await supabase.rpc('get_question_stats', {
     p_question_id: questionId,
   });
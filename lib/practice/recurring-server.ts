@@ -0,0 +1,411 @@
+// Recurring assignment templates — the IO half (./recurring.ts is the
+// pure schedule math). Driven by /api/cron/recurring-assignments on
+// the service role.
+//
+// Each due occurrence becomes one 'questions' assignment per student,
+// because two of the three rules (weak skills, review queue) are
+// per-student by nature and it keeps "is the previous one still open"
+// a per-student question. Every outcome is written to
+// assignment_template_runs: the run row is inserted first as a
+// 'pending' claim (unique per template × occurrence × student), so an
+// overlapping or retried sweep never generates a second assignment
+// for the same slot. A claim still pending after STALE_CLAIM_MS was
+// left by an invocation that died before settling it; the next sweep
+// takes it over and retries the slot.
+
+import { logger } from '@/lib/api/logger';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import type { Json } from '@/lib/types/database';
+import { buildReviewSessionQuestionIds, getDueReviewItems } from '@/lib/review/queue';
+import {
+  addDays,
+  dueOccurrence,
+  isGenerationRule,
+  occurrenceTitle,
+  parseRepeatSchedule,
+  weakSkillSelections,
+  WEAKNESS_ACCURACY_BELOW,
+  WEAKNESS_MIN_SKILL_ATTEMPTS,
+  WEAKNESS_MIN_STUDENT_ATTEMPTS,
+  WEAKNESS_WINDOW_DAYS,
+  type GenerationRule,
+  type RunOutcome,
+} from './recurring';
+import { fetchAttemptedIds, sampleWeightedQuestions, type SkillSelection } from './sample-questions';
+
+const DAY_MS = 86_400_000;
+const SWEEP_LIMIT = 200;
+const INTERRUPTED = 'Interrupted before the assignment was created.';
+// Past the cron's maxDuration (300s), so a claim this old has no live
+// sweep behind it.
+const STALE_CLAIM_MS = 15 * 60_000;
+
+export const RECURRING_TEMPLATE_COLUMNS =
+  'id, teacher_id, name, generation_rule, filter_criteria, repeat_every, repeat_weekday, repeat_interval_days, due_offset_days, student_ids, next_run_on, paused_at';
+
+export interface RecurringTemplateRow {
+  id: string;
+  teacher_id: string;
+  name: string;
+  generation_rule: string;
+  filter_criteria: Json;
+  repeat_every: string | null;
+  repeat_weekday: number | null;
+  repeat_interval_days: number | null;
+  due_offset_days: number | null;
+  student_ids: string[];
+  next_run_on: string | null;
+  paused_at: string | null;
+}
+
+export interface OccurrenceSummary {
+  templateId: string;
+  occurrence: string;
+  created: number;
+  skippedOpen: number;
+  skippedEmpty: number;
+  skippedRoster: number;
+  failed: number;
+  /** Students left unclaimed when the sweep's budget ran out. */
+  deferred: number;
+}
+
+type Generated =
+  | { ok: true; questionIds: string[]; filterCriteria: Record<string, unknown> }
+  | { ok: false; empty: true; detail: string }
+  | { ok: false; empty: false; detail: string };
+
+function criteriaOf(raw: Json): Record<string, unknown> {
+  return raw && typeof raw === 'object' && !Array.isArray(raw) ? (raw as Record<string, unknown>) : {};
+}
+
+function sizeOf(fc: Record<string, unknown>): number {
+  const n = Math.floor(Number(fc.size));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 50) : 10;
+}
+
+// The stored recipe was validated by createAssignment when it was
+// saved; this only guards against a hand-edited row.
+function storedSelections(fc: Record<string, unknown>): SkillSelection[] {
+  if (!Array.isArray(fc.skillSelections)) return [];
+  return fc.skillSelections.flatMap((e) => {
+    const r = e && typeof e === 'object' ? (e as Record<string, unknown>) : null;
+    if (!r || typeof r.domain !== 'string' || typeof r.skill !== 'string') return [];
+    const weight = Number(r.weight);
+    return [{
+      domain: r.domain,
+      skill: r.skill,
+      scoreBands: Array.isArray(r.scoreBands) ? r.scoreBands.map(Number).filter(Number.isFinite) : [],
+      weight: Number.isFinite(weight) && weight > 0 ? weight : 1,
+    }];
+  });
+}
+
+async function generateForStudent(
+  svc: TypedSupabaseClient,
+  rule: GenerationRule,
+  fc: Record<string, unknown>,
+  studentId: string,
+  now: Date,
+): Promise<Generated> {
+  const size = sizeOf(fc);
+
+  if (rule === 'review_queue') {
+    const due = await getDueReviewItems(svc, studentId, now.toISOString());
+    const questionIds = await buildReviewSessionQuestionIds(svc, studentId, due, size);
+    if (questionIds.length === 0) return { ok: false, empty: true, detail: 'Nothing due for review.' };
+    return { ok: true, questionIds, filterCriteria: { size, generationRule: rule } };
+  }
+
+  let selections: SkillSelection[];
+  let difficulties: number[] = [];
+  let exclude = new Set<string>();
+  if (rule === 'weak_skills') {
+    const { data: perfRows, error } = await svc.rpc('get_roster_skill_performance', {
+      p_roster: [studentId],
+      p_since: new Date(now.getTime() - WEAKNESS_WINDOW_DAYS * DAY_MS).toISOString(),
+      p_min_skill_attempts: WEAKNESS_MIN_SKILL_ATTEMPTS,
+      p_min_student_attempts: WEAKNESS_MIN_STUDENT_ATTEMPTS,
+      p_struggling_threshold: WEAKNESS_ACCURACY_BELOW,
+    });
+    if (error) return { ok: false, empty: false, detail: `Could not load weak skills: ${error.message}` };
+    selections = weakSkillSelections(perfRows ?? [], Math.max(1, Math.floor(Number(fc.topN)) || 3));
+    if (selections.length === 0) {
+      return { ok: false, empty: true, detail: `No weak skills in the last ${WEAKNESS_WINDOW_DAYS} days.` };
+    }
+  } else {
+    selections = storedSelections(fc);
+    difficulties = Array.isArray(fc.difficulties) ? fc.difficulties.map(Number).filter(Number.isFinite) : [];
+    if (fc.unansweredOnly === true) {
+      const attempted = await fetchAttemptedIds(svc, [studentId]);
+      if (attempted.error) return { ok: false, empty: false, detail: attempted.error };
+      exclude = attempted.ids;
+    }
+  }
+
+  const sampled = await sampleWeightedQuestions(svc, { selections, difficulties, size, exclude });
+  if (!sampled.ok) return { ok: false, empty: false, detail: sampled.error };
+  if (sampled.questionIds.length === 0) {
+    return { ok: false, empty: true, detail: 'No questions match these skills.' };
+  }
+  return {
+    ok: true,
+    questionIds: sampled.questionIds,
+    filterCriteria: {
+      skillSelections: selections,
+      difficulties,
+      size,
+      unansweredOnly: fc.unansweredOnly === true,
+      generationRule: rule,
+    },
+  };
+}
+
+// Students whose latest assignment in this series is still open:
+// enrolled, not completed, and not archived or deleted by the tutor.
+async function studentsWithOpenPrevious(
+  svc: TypedSupabaseClient,
+  templateId: string,
+  studentIds: string[],
+  occurrence: string,
+): Promise<Set<string>> {
+  const { data: prior } = await svc
+    .from('assignment_template_runs')
+    .select('student_id, assignment_id, occurrence_on')
+    .eq('template_id', templateId)
+    .in('student_id', studentIds)
+    .lt('occurrence_on', occurrence)
+    .not('assignment_id', 'is', null)
+    .order('occurrence_on', { ascending: false });
+
+  const latestByStudent = new Map<string, string>();
+  for (const r of prior ?? []) {
+    if (r.assignment_id && !latestByStudent.has(r.student_id)) latestByStudent.set(r.student_id, r.assignment_id);
+  }
+  const open = new Set<string>();
+  if (latestByStudent.size === 0) return open;
+
+  const [{ data: junctions }, { data: assignments }] = await Promise.all([
+    svc
+      .from('assignment_students_v2')
+      .select('assignment_id, student_id, completed_at')
+      .in('assignment_id', [...latestByStudent.values()]),
+    svc
+      .from('assignments_v2')
+      .select('id, archived_at, deleted_at')
+      .in('id', [...latestByStudent.values()]),
+  ]);
+  const live = new Set((assignments ?? []).filter((a) => !a.archived_at && !a.deleted_at).map((a) => a.id));
+  for (const j of junctions ?? []) {
+    if (latestByStudent.get(j.student_id) === j.assignment_id && !j.completed_at && live.has(j.assignment_id)) {
+      open.add(j.student_id);
+    }
+  }
+  return open;
+}
+
+// Claim one slot: a fresh 'pending' row, or — when the row exists — a
+// pending claim gone stale. The takeover is one conditional update,
+// so two sweeps can't both win it. Null means someone else has it.
+async function claimSlot(
+  svc: TypedSupabaseClient,
+  templateId: string,
+  occurrence: string,
+  studentId: string,
+): Promise<string | null> {
+  const claimedAt = new Date().toISOString();
+  const { data: claim } = await svc
+    .from('assignment_template_runs')
+    .insert({
+      template_id: templateId,
+      occurrence_on: occurrence,
+      student_id: studentId,
+      outcome: 'pending',
+      claimed_at: claimedAt,
+    })
+    .select('id')
+    .maybeSingle();
+  if (claim) return claim.id;
+
+  const { data: resumed } = await svc
+    .from('assignment_template_runs')
+    .update({ claimed_at: claimedAt })
+    .eq('template_id', templateId)
+    .eq('occurrence_on', occurrence)
+    .eq('student_id', studentId)
+    .eq('outcome', 'pending')
+    .lt('claimed_at', new Date(Date.now() - STALE_CLAIM_MS).toISOString())
+    .select('id')
+    .maybeSingle();
+  return resumed?.id ?? null;
+}
+
+/**
+ * Materialize a template's due occurrence, if it has one, and move
+ * next_run_on past today. Returns null when nothing was due. Past
+ * `deadline` (epoch ms) the remaining students are left unclaimed and
+ * next_run_on stays put, so the next sweep finishes the occurrence.
+ */
+export async function runRecurringTemplate(
+  svc: TypedSupabaseClient,
+  template: RecurringTemplateRow,
+  today: string,
+  now: Date = new Date(),
+  deadline: number = Infinity,
+): Promise<OccurrenceSummary | null> {
+  const schedule = parseRepeatSchedule(template);
+  if (!schedule || !template.next_run_on || template.paused_at) return null;
+  const due = dueOccurrence(schedule, template.next_run_on, today);
+  if (!due) return null;
+
+  const { occurrence } = due;
+  const summary: OccurrenceSummary = {
+    templateId: template.id,
+    occurrence,
+    created: 0,
+    skippedOpen: 0,
+    skippedEmpty: 0,
+    skippedRoster: 0,
+    failed: 0,
+    deferred: 0,
+  };
+  const rule: GenerationRule = isGenerationRule(template.generation_rule) ? template.generation_rule : 'fixed_skills';
+  const fc = criteriaOf(template.filter_criteria);
+  const studentIds = [...new Set(template.student_ids ?? [])];
+
+  // A stale claim on an occurrence this one replaced (the cron missed
+  // days in between) can't be resumed; record it as what it was.
+  await svc
+    .from('assignment_template_runs')
+    .update({ outcome: 'failed', detail: INTERRUPTED })
+    .eq('template_id', template.id)
+    .eq('outcome', 'pending')
+    .lt('occurrence_on', occurrence)
+    .lt('claimed_at', new Date(Date.now() - STALE_CLAIM_MS).toISOString());
+
+  const [{ data: owner }, open] = await Promise.all([
+    svc.from('profiles').select('role').eq('id', template.teacher_id).maybeSingle(),
+    studentIds.length > 0
+      ? studentsWithOpenPrevious(svc, template.id, studentIds, occurrence)
+      : Promise.resolve(new Set<string>()),
+  ]);
+
+  for (const [i, studentId] of studentIds.entries()) {
+    if (Date.now() > deadline) {
+      summary.deferred = studentIds.length - i;
+      break;
+    }
+
+    const claimId = await claimSlot(svc, template.id, occurrence, studentId);
+    if (!claimId) continue;
+
+    const settle = (outcome: RunOutcome, detail: string | null, assignmentId: string | null = null) =>
+      svc
+        .from('assignment_template_runs')
+        .update({ outcome, detail, assignment_id: assignmentId })
+        .eq('id', claimId);
+
+    // The owner may have lost the student since the series was set
+    // up; the service role would not notice, so check explicitly.
+    if (owner?.role !== 'admin') {
+      const { data: visible } = await svc.rpc('can_view_from', { viewer: template.teacher_id, target: studentId });
+      if (!visible) {
+        await settle('skipped_roster', 'No longer on your roster.');
+        summary.skippedRoster += 1;
+        continue;
+      }
+    }
+    if (open.has(studentId)) {
+      await settle('skipped_open', 'The previous one is still open.');
+      summary.skippedOpen += 1;
+      continue;
+    }
+
+    try {
+      const generated = await generateForStudent(svc, rule, fc, studentId, now);
+      if (!generated.ok) {
+        await settle(generated.empty ? 'skipped_empty' : 'failed', generated.detail);
+        if (generated.empty) summary.skippedEmpty += 1;
+        else summary.failed += 1;
+        continue;
+      }
+
+      const { data: assignment, error: insertErr } = await svc
+        .from('assignments_v2')
+        .insert({
+          teacher_id: template.teacher_id,
+          assignment_type: 'questions',
+          title: occurrenceTitle(template.name, occurrence),
+          due_date: template.due_offset_days != null ? addDays(occurrence, template.due_offset_days) : null,
+          created_by: template.teacher_id,
+          updated_by: template.teacher_id,
+          test_type: 'sat',
+          question_ids: generated.questionIds,
+          filter_criteria: generated.filterCriteria as Json,
+          template_id: template.id,
+        })
+        .select('id')
+        .single();
+      if (insertErr || !assignment) throw new Error(insertErr?.message ?? 'insert failed');
+
+      const { error: junctionErr } = await svc
+        .from('assignment_students_v2')
+        .insert({ assignment_id: assignment.id, student_id: studentId, test_type: 'sat' });
+      if (junctionErr) {
+        await svc.from('assignments_v2').delete().eq('id', assignment.id);
+        throw new Error(junctionErr.message);
+      }
+
+      await settle('created', null, assignment.id);
+      summary.created += 1;
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      logger.warn({ event: 'recurring_assignment_failed', template_id: template.id, student_id: studentId, err: message }, 'recurring_assignment_failed');
+      await settle('failed', message.slice(0, 500));
+      summary.failed += 1;
+    }
+  }
+
+  if (summary.deferred === 0) {
+    await svc
+      .from('assignment_templates')
+      .update({ next_run_on: due.nextRunOn })
+      .eq('id', template.id);
+  }
+
+  return summary;
+}
+
+/** Run every active recurring template with an occurrence due by `today`. */
+export async function processDueRecurringTemplates(
+  svc: TypedSupabaseClient,
+  opts: { today: string; budgetMs: number },
+): Promise<{ templates: number; occurrences: OccurrenceSummary[]; deferred: number }> {
+  const started = Date.now();
+  const { data: rows, error } = await svc
+    .from('assignment_templates')
+    .select(RECURRING_TEMPLATE_COLUMNS)
+    .not('repeat_every', 'is', null)
+    .is('paused_at', null)
+    .lte('next_run_on', opts.today)
+    .order('next_run_on', { ascending: true })
+    .limit(SWEEP_LIMIT);
+  if (error) throw new Error(error.message);
+
+  const occurrences: OccurrenceSummary[] = [];
+  const deadline = started + opts.budgetMs;
+  let deferred = 0;
+  for (const row of rows ?? []) {
+    // Whatever doesn't fit the budget stays due for the next run —
+    // whole templates here, the rest of a large one's roster inside
+    // runRecurringTemplate.
+    if (Date.now() > deadline) {
+      deferred += 1;
+      continue;
+    }
+    const summary = await runRecurringTemplate(svc, row, opts.today, new Date(), deadline);
+    if (summary) occurrences.push(summary);
+    if (summary?.deferred) deferred += 1;
+  }
+  return { templates: (rows ?? []).length, occurrences, deferred };
+}
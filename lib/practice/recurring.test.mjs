@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addDays,
+  describeRule,
+  describeSchedule,
+  dueOccurrence,
+  firstOccurrence,
+  isGenerationRule,
+  nextOccurrence,
+  occurrenceTitle,
+  parseRepeatSchedule,
+  weakSkillSelections,
+} from './recurring.ts';
+
+const MONDAY = { every: 'week', weekday: 1 };
+// 2026-10-19 is a Monday.
+
+test('addDays crosses month and year boundaries in UTC', () => {
+  assert.equal(addDays('2026-10-31', 1), '2026-11-01');
+  assert.equal(addDays('2026-12-30', 5), '2027-01-04');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('parseRepeatSchedule reads weekly and every-N-days rows, null otherwise', () => {
+  assert.deepEqual(
+    parseRepeatSchedule({ repeat_every: 'week', repeat_weekday: 1, repeat_interval_days: null }),
+    MONDAY,
+  );
+  assert.deepEqual(
+    parseRepeatSchedule({ repeat_every: 'days', repeat_weekday: null, repeat_interval_days: 3 }),
+    { every: 'days', days: 3 },
+  );
+  assert.equal(parseRepeatSchedule({ repeat_every: null, repeat_weekday: null, repeat_interval_days: null }), null);
+  assert.equal(parseRepeatSchedule({ repeat_every: 'week', repeat_weekday: null, repeat_interval_days: 7 }), null);
+  assert.equal(parseRepeatSchedule({ repeat_every: 'days', repeat_weekday: null, repeat_interval_days: 0 }), null);
+});
+
+test('firstOccurrence lands on the next matching weekday, today included', () => {
+  assert.equal(firstOccurrence(MONDAY, '2026-10-19'), '2026-10-19');
+  assert.equal(firstOccurrence(MONDAY, '2026-10-20'), '2026-10-26');
+  assert.equal(firstOccurrence({ every: 'week', weekday: 0 }, '2026-10-19'), '2026-10-25');
+  assert.equal(firstOccurrence({ every: 'days', days: 4 }, '2026-10-20'), '2026-10-20');
+});
+
+test('nextOccurrence steps a week or N days', () => {
+  assert.equal(nextOccurrence(MONDAY, '2026-10-19'), '2026-10-26');
+  assert.equal(nextOccurrence({ every: 'days', days: 3 }, '2026-10-30'), '2026-11-02');
+});
+
+test('dueOccurrence is null before the next run', () => {
+  assert.equal(dueOccurrence(MONDAY, '2026-10-26', '2026-10-19'), null);
+});
+
+test('dueOccurrence runs today’s occurrence and schedules the next', () => {
+  assert.deepEqual(dueOccurrence(MONDAY, '2026-10-19', '2026-10-19'), {
+    occurrence: '2026-10-19',
+    nextRunOn: '2026-10-26',
+  });
+});
+
+test('dueOccurrence collapses missed runs into the latest due one', () => {
+  // Cron was down for two and a half weeks: only Nov 2 runs.
+  assert.deepEqual(dueOccurrence(MONDAY, '2026-10-19', '2026-11-04'), {
+    occurrence: '2026-11-02',
+    nextRunOn: '2026-11-09',
+  });
+  // Every 3 days from Oct 19, checked on Oct 27: Oct 25 was the last due.
+  assert.deepEqual(dueOccurrence({ every: 'days', days: 3 }, '2026-10-19', '2026-10-27'), {
+    occurrence: '2026-10-25',
+    nextRunOn: '2026-10-28',
+  });
+});
+
+test('describeSchedule and describeRule word the series', () => {
+  assert.equal(describeSchedule(MONDAY), 'Weekly on Monday');
+  assert.equal(describeSchedule({ every: 'days', days: 1 }), 'Every day');
+  assert.equal(describeSchedule({ every: 'days', days: 5 }), 'Every 5 days');
+  assert.equal(
+    describeRule('weak_skills', { size: 10, topN: 3 }),
+    "10 questions from each student's top 3 weak skills",
+  );
+  assert.equal(describeRule('review_queue', { size: 8 }), "Up to 8 questions from each student's due reviews");
+});
+
+test('isGenerationRule accepts the three rules only', () => {
+  assert.ok(isGenerationRule('fixed_skills'));
+  assert.ok(isGenerationRule('weak_skills'));
+  assert.ok(isGenerationRule('review_queue'));
+  assert.ok(!isGenerationRule('adaptive'));
+  assert.ok(!isGenerationRule(null));
+});
+
+test('occurrenceTitle appends the occurrence date', () => {
+  assert.equal(occurrenceTitle('Weekly drill', '2026-10-19'), 'Weekly drill · Oct 19');
+});
+
+test('weakSkillSelections keeps low-accuracy skills, most-missed first, weighted', () => {
+  const rows = [
+    { domain_name: 'Algebra', skill_name: 'Linear equations', attempts: 20, missed: 4, accuracy: 0.8 },
+    { domain_name: 'Algebra', skill_name: 'Systems', attempts: 10, missed: 6, accuracy: 0.4 },
+    { domain_name: 'Geometry', skill_name: 'Circles', attempts: 10, missed: 8, accuracy: 0.2 },
+    { domain_name: 'Geometry', skill_name: 'Triangles', attempts: 10, missed: 6, accuracy: 0.3 },
+    { domain_name: 'Craft', skill_name: 'Words in context', attempts: 12, missed: 5, accuracy: 0.55 },
+  ];
+  const picked = weakSkillSelections(rows, 3);
+  assert.deepEqual(
+    picked.map((p) => [p.skill, p.weight]),
+    [['Circles', 2], ['Triangles', 1.5], ['Systems', 1]],
+  );
+  assert.deepEqual(picked[0], { domain: 'Geometry', skill: 'Circles', scoreBands: [], weight: 2 });
+  assert.deepEqual(weakSkillSelections([], 3), []);
+});
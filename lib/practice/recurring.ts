@@ -0,0 +1,152 @@
+// Recurring assignment templates — the pure half (schedule math,
+// weak-skill picking, row parsing). ./recurring-server.ts does the IO
+// for /api/cron/recurring-assignments.
+//
+// Dates are UTC calendar days (YYYY-MM-DD), the same day math the
+// other crons use. A schedule is aligned to its first occurrence:
+// weekly series land on their weekday, every-N-days series step N
+// days from the first run.
+
+import type { SkillSelection } from './sample-questions';
+
+export type GenerationRule = 'fixed_skills' | 'weak_skills' | 'review_queue';
+export const GENERATION_RULES: readonly GenerationRule[] = ['fixed_skills', 'weak_skills', 'review_queue'];
+
+export type RepeatSchedule =
+  | { every: 'week'; weekday: number }
+  | { every: 'days'; days: number };
+
+/**
+ * assignment_template_runs.outcome — one per student per occurrence.
+ * 'pending' is a sweep's claim on the slot until it settles.
+ */
+export type RunOutcome = 'pending' | 'created' | 'skipped_open' | 'skipped_empty' | 'skipped_roster' | 'failed';
+
+export const RUN_OUTCOME_LABELS: Record<RunOutcome, string> = {
+  pending: 'In progress',
+  created: 'Assigned',
+  skipped_open: 'Skipped · previous set open',
+  skipped_empty: 'Skipped · nothing to assign',
+  skipped_roster: 'Skipped · no longer on roster',
+  failed: 'Failed',
+};
+
+export const WEEKDAY_NAMES = [
+  'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday',
+] as const;
+
+export const MAX_INTERVAL_DAYS = 90;
+export const MAX_DUE_OFFSET_DAYS = 60;
+export const MAX_WEAK_SKILLS = 6;
+
+// "Assign from weaknesses" floors — the new-assignment prefill and the
+// weak_skills rule read the same 30-day window as the performance page.
+export const WEAKNESS_WINDOW_DAYS = 30;
+export const WEAKNESS_MIN_SKILL_ATTEMPTS = 3;
+export const WEAKNESS_MIN_STUDENT_ATTEMPTS = 3;
+export const WEAKNESS_ACCURACY_BELOW = 0.6;
+
+export function isGenerationRule(v: unknown): v is GenerationRule {
+  return typeof v === 'string' && (GENERATION_RULES as readonly string[]).includes(v);
+}
+
+export function addDays(iso: string, n: number): string {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(iso: string): number {
+  return new Date(`${iso}T00:00:00Z`).getUTCDay();
+}
+
+/** The schedule stored on an assignment_templates row; null for a plain template. */
+export function parseRepeatSchedule(row: {
+  repeat_every: string | null;
+  repeat_weekday: number | null;
+  repeat_interval_days: number | null;
+}): RepeatSchedule | null {
+  if (row.repeat_every === 'week' && row.repeat_weekday != null) {
+    return { every: 'week', weekday: row.repeat_weekday };
+  }
+  if (row.repeat_every === 'days' && row.repeat_interval_days != null && row.repeat_interval_days > 0) {
+    return { every: 'days', days: row.repeat_interval_days };
+  }
+  return null;
+}
+
+/** First occurrence on or after `today`. */
+export function firstOccurrence(schedule: RepeatSchedule, today: string): string {
+  if (schedule.every === 'days') return today;
+  return addDays(today, (schedule.weekday - weekdayOf(today) + 7) % 7);
+}
+
+export function nextOccurrence(schedule: RepeatSchedule, occurrence: string): string {
+  return addDays(occurrence, schedule.every === 'week' ? 7 : schedule.days);
+}
+
+/**
+ * The occurrence to materialize today, if any, and where the series
+ * goes next. A cron that missed days runs the latest due occurrence
+ * once rather than replaying every missed one.
+ */
+export function dueOccurrence(
+  schedule: RepeatSchedule,
+  nextRunOn: string,
+  today: string,
+): { occurrence: string; nextRunOn: string } | null {
+  if (nextRunOn > today) return null;
+  let occurrence = nextRunOn;
+  let next = nextOccurrence(schedule, occurrence);
+  while (next <= today) {
+    occurrence = next;
+    next = nextOccurrence(schedule, occurrence);
+  }
+  return { occurrence, nextRunOn: next };
+}
+
+export function describeSchedule(schedule: RepeatSchedule): string {
+  if (schedule.every === 'week') return `Weekly on ${WEEKDAY_NAMES[schedule.weekday]}`;
+  return schedule.days === 1 ? 'Every day' : `Every ${schedule.days} days`;
+}
+
+export function describeRule(rule: GenerationRule, criteria: { size?: number; topN?: number }): string {
+  const size = criteria.size ?? 0;
+  if (rule === 'weak_skills') {
+    return `${size} questions from each student's top ${criteria.topN ?? 0} weak skills`;
+  }
+  if (rule === 'review_queue') return `Up to ${size} questions from each student's due reviews`;
+  return `${size} questions from a fixed set of skills`;
+}
+
+/** "Weekly drill · Oct 19" — the occurrence date keeps the titles apart. */
+export function occurrenceTitle(name: string, occurrence: string): string {
+  const d = new Date(`${occurrence}T00:00:00Z`);
+  const label = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return `${name} · ${label}`;
+}
+
+export interface SkillPerformanceRow {
+  domain_name: string;
+  skill_name: string;
+  attempts: number;
+  missed: number;
+  accuracy: number;
+}
+
+/**
+ * Low-accuracy skills, most-missed first, as weighted selections: the
+ * heaviest-missed skills get more of the set (2× / 1.5× / 1×).
+ */
+export function weakSkillSelections(rows: readonly SkillPerformanceRow[], max: number): SkillSelection[] {
+  return rows
+    .filter((r) => r.attempts > 0 && r.accuracy < WEAKNESS_ACCURACY_BELOW)
+    .sort((a, b) => b.missed - a.missed || a.accuracy - b.accuracy)
+    .slice(0, max)
+    .map((r, i) => ({
+      domain: r.domain_name,
+      skill: r.skill_name,
+      scoreBands: [],
+      weight: i === 0 ? 2 : i === 1 ? 1.5 : 1,
+    }));
+}
@@ -0,0 +1,162 @@
+// Weighted per-skill question sampling for 'questions' assignments.
+//
+// Shared by createAssignment (app/(tutor)/tutor/assignments/new) and
+// the recurring-assignments cron, which re-samples a saved recipe for
+// every occurrence. Each skill selection gets an allocation
+// proportional to its weight; each skill's candidate pool is shuffled
+// and sliced independently and the IDs unioned. If a skill has fewer
+// matches than its allocation, the deficit is redistributed across
+// the others.
+
+import { fetchAll } from '@/lib/supabase/fetchAll';
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import { allocateByWeight } from './adaptive';
+
+export type SkillSelection = {
+  domain: string;
+  skill: string;
+  scoreBands: number[];
+  weight: number;
+};
+
+function shuffleInPlace<T>(arr: T[]): void {
+  for (let i = arr.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+/**
+ * Sample up to `size` question ids across the selections. Candidates
+ * in `exclude` are dropped before sampling, so the deficit
+ * redistribution works against the post-filter pools. An empty
+ * result is not an error — the caller words that case.
+ */
+export async function sampleWeightedQuestions(
+  supabase: TypedSupabaseClient,
+  opts: {
+    selections: SkillSelection[];
+    difficulties: number[];
+    size: number;
+    exclude?: ReadonlySet<string>;
+  },
+): Promise<{ ok: true; questionIds: string[] } | { ok: false; error: string }> {
+  const { selections, difficulties, size, exclude } = opts;
+
+  // Allocate the `size` across selections proportional to weight,
+  // using the largest-remainder method so the sum is exactly `size`.
+  const allocations = allocateByWeight(
+    selections.map((s) => s.weight),
+    size,
+  );
+
+  // Fetch candidates per selection in parallel. Each query applies
+  // that skill's own score-band filter plus the global difficulty
+  // filter; the is_published + is_broken=false gate is shared.
+  const candidatePools = await Promise.all(
+    selections.map(async (sel) => {
+      let q = supabase
+        .from('questions_v2')
+        .select('id')
+        .eq('is_published', true)
+        .eq('is_broken', false)
+        .eq('domain_name', sel.domain)
+        .eq('skill_name', sel.skill);
+
+      if (sel.scoreBands.length > 0) {
+        q = q.in('score_band', sel.scoreBands);
+      }
+      if (difficulties.length > 0) {
+        q = q.in('difficulty', difficulties);
+      }
+
+      const { data, error } = await q.limit(500);
+      if (error) return { ids: [] as string[], error: error.message };
+      return { ids: (data ?? []).map((r) => r.id) };
+    }),
+  );
+
+  const firstErr = candidatePools.find((p) => p.error);
+  if (firstErr) {
+    return { ok: false, error: `Failed to load questions: ${firstErr.error}` };
+  }
+
+  if (exclude && exclude.size > 0) {
+    for (const pool of candidatePools) {
+      pool.ids = pool.ids.filter((id) => !exclude.has(id));
+    }
+  }
+
+  // Sample per skill; if any skill's pool is smaller than its
+  // allocation, the overflow is passed to the next skill with
+  // remaining capacity. That keeps the total close to `size` even
+  // when the tutor picks a very narrow skill.
+  const picked = new Set<string>();
+  let deficit = 0;
+
+  for (let i = 0; i < selections.length; i += 1) {
+    const ids = [...candidatePools[i].ids].filter((id) => !picked.has(id));
+    shuffleInPlace(ids);
+    const want = allocations[i] + deficit;
+    const take = ids.slice(0, Math.min(want, ids.length));
+    take.forEach((id) => picked.add(id));
+    deficit = want - take.length;
+  }
+
+  // If still under size after a first pass, top up from any pool
+  // that had spare candidates. This is rare.
+  if (picked.size < size && deficit > 0) {
+    for (let i = 0; i < selections.length && picked.size < size; i += 1) {
+      const leftovers = candidatePools[i].ids.filter((id) => !picked.has(id));
+      shuffleInPlace(leftovers);
+      const want = size - picked.size;
+      leftovers.slice(0, want).forEach((id) => picked.add(id));
+    }
+  }
+
+  const questionIds = Array.from(picked);
+  shuffleInPlace(questionIds);
+  return { ok: true, questionIds };
+}
+
+// Collect every question_id that any of the given students has at
+// least one `attempts` row for. A question counts as "attempted" for
+// the set if even one selected student has touched it, so the Set is
+// the union across all students.
+//
+// On createAssignment's RLS-scoped client, the attempts_select policy
+// (`can_view(user_id)`) already grants a teacher their own students'
+// (and a manager their trainees') attempt rows — every person the New
+// Assignment picker can list — so no service-role bypass is needed
+// there. Paged via fetchAll rather than a single capped query, since
+// PostgREST silently truncates at max-rows (CLAUDE.md, Finding #1).
+//
+// Only v2-era attempts match: `attempts.question_id` holds whichever
+// id space the question was practiced under, and v1 ids never collide
+// with questions_v2 ids, so legacy v1 practice is not considered.
+export async function fetchAttemptedIds(
+  supabase: TypedSupabaseClient,
+  studentIds: string[],
+): Promise<{ ids: Set<string>; error?: string }> {
+  const ids = new Set<string>();
+  if (studentIds.length === 0) return { ids };
+
+  try {
+    const rows = await fetchAll<{ question_id: string }>(
+      async (from: number, to: number) =>
+        await supabase
+          .from('attempts')
+          .select('question_id')
+          .in('user_id', studentIds)
+          .order('id', { ascending: true })
+          .range(from, to),
+    );
+    for (const r of rows) ids.add(r.question_id);
+  } catch (err) {
+    return {
+      ids,
+      error: err instanceof Error ? err.message : 'Failed to load attempt history.',
+    };
+  }
+  return { ids };
+}
@@ -0,0 +1,39 @@
+// Section score history tests. Runs under `npm run test:unit`;
+// imports the .ts source directly.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildActSectionHistory, buildSatSectionHistory } from './section-score-history.ts';
+
+test('SAT history merges practice and official SAT rows, oldest first', () => {
+  const h = buildSatSectionHistory(
+    [
+      { finished_at: '2026-05-01T00:00:00Z', rw_scaled: 600, math_scaled: 620 },
+      { finished_at: '2026-03-01T00:00:00Z', rw_scaled: 560, math_scaled: null },
+      { finished_at: null, rw_scaled: 700, math_scaled: 700 },
+    ],
+    [
+      { test_date: '2026-04-01', test_type: 'SAT', rw_score: 590, math_score: 610 },
+      { test_date: '2026-02-01', test_type: 'PSAT', rw_score: 520, math_score: 540 },
+    ],
+  );
+  assert.equal(h.test, 'sat');
+  const [rw, math] = h.series;
+  assert.deepEqual(rw.points.map((p) => p.score), [560, 590, 600]);
+  assert.deepEqual(rw.points.map((p) => p.official), [false, true, false]);
+  assert.deepEqual(math.points.map((p) => p.score), [610, 620]);
+});
+
+test('ACT section-only sittings only add to their own sections', () => {
+  const h = buildActSectionHistory([
+    { finished_at: '2026-05-01T00:00:00Z', english_scaled: 25, math_scaled: null, reading_scaled: null, science_scaled: null },
+    { finished_at: '2026-05-08T00:00:00Z', english_scaled: 27, math_scaled: 24, reading_scaled: 26, science_scaled: 23 },
+  ]);
+  const byKey = Object.fromEntries(h.series.map((sr) => [sr.key, sr.points.map((p) => p.score)]));
+  assert.deepEqual(byKey, { english: [25, 27], math: [24], reading: [26], science: [23] });
+});
+
+test('no section scores means no chart', () => {
+  assert.equal(buildSatSectionHistory([], []), null);
+  assert.equal(buildActSectionHistory([{ finished_at: '2026-05-01T00:00:00Z', english_scaled: null, math_scaled: null, reading_scaled: null, science_scaled: null }]), null);
+});
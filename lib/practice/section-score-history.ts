@@ -0,0 +1,112 @@
+// Per-section score history for the stats page's "Section scores"
+// chart (./SectionScoreHistoryChart.tsx). One series per section, one
+// point per sitting that reported it, oldest first.
+//
+// PURE: the rows come in as the stats view loaded them.
+//   - SAT: completed practice_test_attempts_v2 (rw_scaled /
+//     math_scaled) plus SAT rows from sat_official_scores, flagged
+//     `official` so the chart can mark them.
+//   - ACT: completed act_practice_test_attempts. Section-only
+//     sittings add a point to the sections they covered and nothing
+//     to the rest, so each line is that section's own history.
+//
+// Returns null when no sitting reported any section — the caller
+// skips the card.
+
+export type SectionTest = 'sat' | 'act';
+
+export interface ScorePoint {
+  ms: number;
+  score: number;
+  official: boolean;
+}
+
+export interface SectionSeries {
+  key: string;
+  label: string;
+  points: ScorePoint[];
+}
+
+export interface SectionScoreHistory {
+  test: SectionTest;
+  /** Score scale bounds for the y-axis. */
+  scaleMin: number;
+  scaleMax: number;
+  series: SectionSeries[];
+}
+
+interface SatPracticeRow {
+  finished_at: string | null;
+  rw_scaled: number | null;
+  math_scaled: number | null;
+}
+
+interface SatOfficialRow {
+  test_date: string;
+  test_type?: string | null;
+  rw_score: number | null;
+  math_score: number | null;
+}
+
+interface ActPracticeRow {
+  finished_at: string | null;
+  english_scaled: number | null;
+  math_scaled: number | null;
+  reading_scaled: number | null;
+  science_scaled: number | null;
+}
+
+export const SAT_SECTION_SERIES = [
+  { key: 'rw', label: 'Reading & Writing' },
+  { key: 'math', label: 'Math' },
+] as const;
+
+export const ACT_SECTION_SERIES = [
+  { key: 'english', label: 'English' },
+  { key: 'math', label: 'Math' },
+  { key: 'reading', label: 'Reading' },
+  { key: 'science', label: 'Science' },
+] as const;
+
+function pushPoint(series: SectionSeries, ms: number, score: number | null, official: boolean) {
+  if (!Number.isFinite(ms)) return;
+  if (typeof score !== 'number' || !Number.isFinite(score)) return;
+  series.points.push({ ms, score, official });
+}
+
+function finish(test: SectionTest, scaleMin: number, scaleMax: number, series: SectionSeries[]): SectionScoreHistory | null {
+  for (const sr of series) sr.points.sort((a, b) => a.ms - b.ms);
+  if (series.every((sr) => sr.points.length === 0)) return null;
+  return { test, scaleMin, scaleMax, series };
+}
+
+export function buildSatSectionHistory(
+  practice: readonly SatPracticeRow[],
+  official: readonly SatOfficialRow[],
+): SectionScoreHistory | null {
+  const [rw, math] = SAT_SECTION_SERIES.map((d) => ({ ...d, points: [] as ScorePoint[] }));
+  for (const r of practice) {
+    const ms = Date.parse(r.finished_at ?? '');
+    pushPoint(rw, ms, r.rw_scaled, false);
+    pushPoint(math, ms, r.math_scaled, false);
+  }
+  for (const r of official) {
+    // PSAT sits on a different scale; keep it off the SAT lines.
+    if ((r.test_type ?? 'SAT') !== 'SAT') continue;
+    const ms = Date.parse(r.test_date);
+    pushPoint(rw, ms, r.rw_score, true);
+    pushPoint(math, ms, r.math_score, true);
+  }
+  return finish('sat', 200, 800, [rw, math]);
+}
+
+export function buildActSectionHistory(practice: readonly ActPracticeRow[]): SectionScoreHistory | null {
+  const series = ACT_SECTION_SERIES.map((d) => ({ ...d, points: [] as ScorePoint[] }));
+  for (const r of practice) {
+    const ms = Date.parse(r.finished_at ?? '');
+    for (const sr of series) {
+      pushPoint(sr, ms, r[`${sr.key}_scaled` as keyof ActPracticeRow] as number | null, false);
+    }
+  }
+  return finish('act', 1, 36, series);
+}
@@ -18,15 +18,19 @@
 'use server';
 
 import { after } from 'next/server';
-import { requireUser } from '@/lib/api/auth';
-import { actionFail, ApiError } from '@/lib/api/response';
-import { rateLimit } from '@/lib/api/rateLimit';
+import { assertNotInBillingGrace, requireUser } from '@/lib/api/auth';
+import { actionFail, actionRateLimited, ApiError } from '@/lib/api/response';
+import { checkRateLimit } from '@/lib/api/rateLimitPolicy';
 import { applyWatermark } from '@/lib/content/watermark';
 import { extractMcqCorrectId, formatSprCorrect } from '@/lib/practice/correct-answer';
 import { gradeActMcq } from '@/lib/practice/load-act-question';
 import { recordQuestionOutcome } from '@/lib/review/queue';
 import { recommendLessonsForSkills } from '@/lib/lesson/recommend';
 import { loadDetourPreference } from '@/lib/practice/detour-preference.mjs';
+import { dispatchWebhookEvent } from '@/lib/webhooks/deliver';
+import { dispatchLtiScores } from '@/lib/lti/lti-server';
+import { isQuestionSetType, parseAdaptiveState, studentQuestionIds } from '@/lib/practice/adaptive';
+import { stepAdaptiveSession } from '@/lib/practice/adaptive-server';
 import type { ActionResult, QuestionType } from '@/lib/types';
 
 type SubmitAnswerResult = ActionResult<{
@@ -47,10 +51,12 @@ type SessionLifecycleResult = ActionResult<{
 
 // practice_sessions.filter_criteria is jsonb; these are the keys the
 // session actions read from it. Written by session creation
-// (assignment start / practice-test start).
+// (assignment start / practice-test start). `adaptive` is the planner
+// state of an adaptive assignment's session (lib/practice/adaptive.ts).
 type SessionFilterCriteria = {
   assignment_id?: string;
   kind?: string;
+  adaptive?: unknown;
 } | null;
 
 function sessionCriteria(raw: unknown): SessionFilterCriteria {
@@ -140,21 +146,19 @@ export async function submitAnswer(
   // action layer is where the fork lives, the action interface stays
   // unified.
   //
-  // Rate limit (120 submits/min per user — a real student does ~1
+  // Rate limit (the 'practice.submit' policy — a real student does ~1
   // every 30–180s) runs concurrently with the session fetch: both are
   // network round-trips with no data dependency, and nothing is
   // written until both have resolved.
   const [rl, { data: session, error: sessionErr }] = await Promise.all([
-    rateLimit(`practice-submit:${user.id}`, { limit: 120, windowMs: 60_000 }),
+    checkRateLimit('practice.submit', { key: user.id, role: ctx.profile.role }),
     supabase
       .from('practice_sessions')
-      .select('id, user_id, question_ids, filter_criteria, created_at, test_type, mode')
+      .select('id, user_id, question_ids, filter_criteria, created_at, test_type, mode, current_position')
       .eq('id', sessionId)
       .maybeSingle(),
   ]);
-  if (!rl.ok) {
-    return actionFail('Too many submissions. Please slow down.');
-  }
+  if (!rl.ok) return actionRateLimited(rl);
   if (sessionErr || !session) return actionFail('Session not found');
   if (session.user_id !== user.id) return actionFail('Session not found');
 
@@ -300,6 +304,32 @@ export async function submitAnswer(
         return actionFail(`Failed to record attempt: ${insertErr.message}`);
       }
 
+      // Adaptive assignments step this skill's later questions up or
+      // down a level. Awaited, not deferred: the runner refetches the
+      // next position as soon as this returns, and must see the
+      // redraw. Keyed to the first answer like the queue intake below.
+      const adaptive = parseAdaptiveState(session.filter_criteria);
+      if (adaptive) {
+        try {
+          await stepAdaptiveSession(
+            supabase,
+            user.id,
+            {
+              id: session.id,
+              question_ids: questionIds,
+              filter_criteria: session.filter_criteria as Record<string, unknown>,
+              current_position: session.current_position,
+              created_at: sessionFloor,
+            },
+            adaptive,
+            position,
+            isCorrect,
+          );
+        } catch {
+          // Swallow — the set stays as drawn.
+        }
+      }
+
       // Spaced-repetition intake (§3.1): a wrong answer enqueues the
       // question for review; a correct answer advances it if it was
       // already queued. Keyed to the attempt insert (first-attempt-
@@ -384,6 +414,7 @@ export async function submitPracticeSession(
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error loading user');
@@ -480,6 +511,7 @@ export async function abandonPracticeSession(
   let ctx;
   try {
     ctx = await requireUser();
+    await assertNotInBillingGrace();
   } catch (err) {
     if (err instanceof ApiError) return err.toActionResult();
     return actionFail('Unexpected error loading user');
@@ -670,6 +702,11 @@ async function loadDetourSession(
   if (detourCount >= DETOUR_MAX_PER_SESSION) {
     return { session: null, error: 'No more detours in this session' };
   }
+  // An adaptive assignment already steps difficulty itself, and an
+  // appended question would have no planner slot.
+  if (fc.adaptive) {
+    return { session: null, error: 'Detours are not available in this session' };
+  }
   const questionIds: string[] = Array.isArray(session.question_ids)
     ? session.question_ids.filter((q): q is string => typeof q === 'string')
     : [];
@@ -780,8 +817,8 @@ export async function injectEasierQuestion(
   }
   const { user, supabase } = ctx;
 
-  const rl = await rateLimit(`detour:${user.id}`, { limit: 10, windowMs: 60_000 });
-  if (!rl.ok) return actionFail('Too many detours. Please slow down.');
+  const rl = await checkRateLimit('practice.detour', { key: user.id, role: ctx.profile.role });
+  if (!rl.ok) return actionRateLimited(rl);
 
   const sessionId = String(formData.get('sessionId') ?? '');
   const position = Number(formData.get('position') ?? -1);
@@ -866,8 +903,10 @@ export async function injectEasierQuestion(
 // simultaneous attempts can't race-set it twice, and once set, it
 // stays set.
 //
-// Only runs for 'questions' assignments: for 'practice_test' and
-// 'lesson', completion is a different concept and lives elsewhere.
+// Only runs for question-set assignments (questions, lesson_pack,
+// adaptive): for 'practice_test' and 'lesson', completion is a
+// different concept and lives elsewhere. An adaptive assignment
+// counts the student's own drawn set from their junction row.
 async function markAssignmentCompletedIfDone(
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   supabase: any,
@@ -875,11 +914,19 @@ async function markAssignmentCompletedIfDone(
   assignmentId: string,
   sessionFloor: string,
 ): Promise<void> {
-  const { data: assignment } = await supabase
-    .from('assignments_v2')
-    .select('id, assignment_type, question_ids')
-    .eq('id', assignmentId)
-    .maybeSingle();
+  const [{ data: assignment }, { data: junction }] = await Promise.all([
+    supabase
+      .from('assignments_v2')
+      .select('id, assignment_type, question_ids')
+      .eq('id', assignmentId)
+      .maybeSingle(),
+    supabase
+      .from('assignment_students_v2')
+      .select('question_ids')
+      .eq('assignment_id', assignmentId)
+      .eq('student_id', userId)
+      .maybeSingle(),
+  ]);
   if (!assignment) return;
   // lesson_pack materializes its pack's question_ids into the same
   // column at creation and is started / displayed / progressed exactly
@@ -889,12 +936,9 @@ async function markAssignmentCompletedIfDone(
   // "pending" forever, the detail CTA stays "Continue" instead of
   // flipping to "Redo" + "View report", and Continue mints a fresh
   // blank session past the answers' created_at floor.
-  if (assignment.assignment_type !== 'questions'
-      && assignment.assignment_type !== 'lesson_pack') return;
+  if (!isQuestionSetType(assignment.assignment_type)) return;
 
-  const questionIds: string[] = Array.isArray(assignment.question_ids)
-    ? assignment.question_ids
-    : [];
+  const questionIds = studentQuestionIds(assignment, junction?.question_ids);
   if (questionIds.length === 0) return;
 
   const { data: attempted } = await supabase
@@ -909,14 +953,21 @@ async function markAssignmentCompletedIfDone(
   );
   if (distinct.size < questionIds.length) return;
 
-  await supabase
+  const { data: completed } = await supabase
     .from('assignment_students_v2')
     .update({ completed_at: new Date().toISOString() })
     .eq('assignment_id', assignmentId)
     .eq('student_id', userId)
-    .is('completed_at', null);
+    .is('completed_at', null)
+    .select('completed_at');
 
   await closeOpenSessionsForAssignment(supabase, userId, assignmentId);
+
+  // Only the crossing that actually set completed_at reports it.
+  const completedAt: string | undefined = completed?.[0]?.completed_at;
+  if (completedAt) {
+    await emitAssignmentCompleted(userId, assignment, completedAt, 'auto');
+  }
 }
 
 // Submit Set companion to markAssignmentCompletedIfDone. The
@@ -940,19 +991,51 @@ async function markAssignmentCompletedOnSubmit(
     .eq('id', assignmentId)
     .maybeSingle();
   if (!assignment) return;
-  // lesson_pack is treated like 'questions' everywhere else; include it
-  // here too so Submit Set stamps completed_at (and closes the session)
-  // for a finished lesson_pack. See markAssignmentCompletedIfDone.
-  if (assignment.assignment_type !== 'questions'
-      && assignment.assignment_type !== 'lesson_pack') return;
+  // lesson_pack and adaptive are treated like 'questions' everywhere
+  // else; include them here too so Submit Set stamps completed_at (and
+  // closes the session). See markAssignmentCompletedIfDone.
+  if (!isQuestionSetType(assignment.assignment_type)) return;
 
-  await supabase
+  const completedAt = new Date().toISOString();
+  const { data: completed } = await supabase
     .from('assignment_students_v2')
-    .update({ completed_at: new Date().toISOString() })
+    .update({ completed_at: completedAt })
     .eq('assignment_id', assignmentId)
-    .eq('student_id', userId);
+    .eq('student_id', userId)
+    .select('assignment_id');
 
   await closeOpenSessionsForAssignment(supabase, userId, assignmentId);
+
+  // Every submit is a completion (a re-do re-completes), so each one
+  // is its own event, keyed by its timestamp.
+  if (completed?.length) {
+    await emitAssignmentCompleted(userId, assignment, completedAt, 'submit');
+  }
+}
+
+// assignment.completed webhook event for the question / lesson_pack
+// paths above (practice-test assignments emit theirs from the test
+// runner's closeTestAttempt). Both callers already run inside after().
+async function emitAssignmentCompleted(
+  userId: string,
+  assignment: { id: string; assignment_type: string },
+  completedAt: string,
+  via: 'auto' | 'submit',
+): Promise<void> {
+  await dispatchWebhookEvent(
+    'assignment.completed',
+    {
+      student_id: userId,
+      assignment_id: assignment.id,
+      assignment_type: assignment.assignment_type,
+      completed_at: completedAt,
+      via,
+    },
+    { studentId: userId, key: `${assignment.id}:${userId}:${completedAt}` },
+  );
+  // Practice sets launched from an LMS also report their score to the
+  // gradebook (AGS). A no-op for assignments no LTI link points at.
+  await dispatchLtiScores(userId, assignment.id, completedAt);
 }
 
 // Flip every in_progress practice_session for this (user, assignment)
@@ -20,6 +20,30 @@
 //   Target reach % = round(final / target * 100). Null when target
 //                    is unset or final is null.
 //
+// ACT (the act* helpers below) follows ACT's own conventions:
+//
+//   Composite      = mean of the section scale scores (1–36), rounded
+//                    half up — 25.5 → 26, 25.25 → 25. The classic
+//                    ACT averages English, Math, Reading and Science;
+//                    the enhanced ACT (2025+) averages English, Math
+//                    and Reading and reports Science on its own.
+//
+//   Superscore     = best score per section across every sitting,
+//                    composite recomputed from those bests. ACT
+//                    practice tests can be taken one section per
+//                    session, so the superscore is also how a
+//                    composite forms from section-only sittings.
+//
+//   Starting score = ACT superscore of the practice tests finished
+//                    before start_date; failing that, of those in
+//                    the ACT_BASELINE_DAYS after it (several
+//                    section-only sittings make up one baseline).
+//
+//   Final score    = ACT superscore across the whole history.
+//
+// ACT official scores aren't recorded yet (sat_official_scores is
+// SAT/PSAT only), so the ACT archive summary runs on practice tests.
+//
 // Tolerant of empty inputs — every helper returns null rather than
 // throwing when the relevant data is missing, so the caller can
 // render an em-dash without branching.
@@ -43,6 +67,87 @@
  * @property {number|null} targetReachPct
  */
 
+/**
+ * @typedef {'english'|'math'|'reading'|'science'} ActSection
+ * @typedef {'classic'|'enhanced'} ActFormat
+ *
+ * @typedef {object} ActSectionRow
+ * @property {string|null} [finished_at]
+ * @property {string|null} [started_at]
+ * @property {number|null} [english_scaled]
+ * @property {number|null} [math_scaled]
+ * @property {number|null} [reading_scaled]
+ * @property {number|null} [science_scaled]
+ *
+ * @typedef {object} ActSuperscore
+ * @property {Record<ActSection, number|null>} sections
+ * @property {number|null} composite
+ */
+
+export const ACT_SECTIONS = /** @type {const} */ (['english', 'math', 'reading', 'science']);
+
+/** Sections that make up the composite, per ACT format. */
+export const ACT_COMPOSITE_SECTIONS = {
+  classic: ['english', 'math', 'reading', 'science'],
+  enhanced: ['english', 'math', 'reading'],
+};
+
+/** Days after start_date that still count toward an ACT baseline. */
+export const ACT_BASELINE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** ACT rounding: fractions of one-half or more round up. */
+export function roundActComposite(mean) {
+  // The small epsilon keeps a mean that should be exactly x.5 from
+  // rounding down on floating-point error.
+  return Math.floor(mean + 0.5 + 1e-9);
+}
+
+/**
+ * ACT composite from section scale scores. Null unless every section
+ * the format averages is present.
+ *
+ * @param {Partial<Record<ActSection, number|null>>} scores
+ * @param {ActFormat} [format]
+ * @returns {number|null}
+ */
+export function actComposite(scores, format = 'classic') {
+  const sections = ACT_COMPOSITE_SECTIONS[format] ?? ACT_COMPOSITE_SECTIONS.classic;
+  let sum = 0;
+  for (const sec of sections) {
+    const v = scores?.[sec];
+    if (typeof v !== 'number' || !Number.isFinite(v)) return null;
+    sum += v;
+  }
+  return roundActComposite(sum / sections.length);
+}
+
+/**
+ * Best score per section across ACT sittings (rows shaped like
+ * act_practice_test_attempts), composite recomputed from the bests.
+ * Null when no row carries any section score.
+ *
+ * @param {ActSectionRow[]} tests
+ * @param {ActFormat} [format]
+ * @returns {ActSuperscore|null}
+ */
+export function actSuperscore(tests, format = 'classic') {
+  if (!tests || tests.length === 0) return null;
+  const sections = { english: null, math: null, reading: null, science: null };
+  let any = false;
+  for (const t of tests) {
+    for (const sec of ACT_SECTIONS) {
+      const v = t[`${sec}_scaled`];
+      if (typeof v !== 'number' || !Number.isFinite(v)) continue;
+      any = true;
+      if (sections[sec] == null || v > sections[sec]) sections[sec] = v;
+    }
+  }
+  if (!any) return null;
+  return { sections, composite: actComposite(sections, format) };
+}
+
 /** Highest RW + highest Math across a set of test rows. */
 export function superscore(tests) {
   if (!tests || tests.length === 0) return null;
@@ -131,3 +236,41 @@ export function buildArchiveSummary({
 
   return { startingScore, finalScore, impact, targetReachPct };
 }
+
+/** Compute the ACT archive summary for one student from their
+ *  act_practice_test_attempts rows, start_date (already defaulted)
+ *  and target ACT composite. Same shape as buildArchiveSummary. */
+export function buildActArchiveSummary({
+  practiceTests = [],
+  startDate,
+  targetScore,
+  format = 'classic',
+}) {
+  const startMs = startDate ? Date.parse(startDate) : null;
+  const finishedMs = (t) => Date.parse(t.finished_at ?? t.started_at ?? '');
+
+  let startingScore = null;
+  if (startMs != null) {
+    const preStart = practiceTests.filter((t) => finishedMs(t) < startMs);
+    startingScore = actSuperscore(preStart, format)?.composite ?? null;
+    if (startingScore == null) {
+      const baseline = practiceTests.filter((t) => {
+        const ms = finishedMs(t);
+        return ms >= startMs && ms < startMs + ACT_BASELINE_DAYS * DAY_MS;
+      });
+      startingScore = actSuperscore(baseline, format)?.composite ?? null;
+    }
+  }
+
+  const finalScore = actSuperscore(practiceTests, format)?.composite ?? null;
+
+  const impact = (finalScore != null && startingScore != null)
+    ? finalScore - startingScore
+    : null;
+
+  const targetReachPct = (finalScore != null && typeof targetScore === 'number' && targetScore > 0)
+    ? Math.round((finalScore / targetScore) * 100)
+    : null;
+
+  return { startingScore, finalScore, impact, targetReachPct };
+}
@@ -0,0 +1,73 @@
+// ACT superscore / composite tests. Runs under `npm run test:unit`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  actComposite,
+  actSuperscore,
+  buildActArchiveSummary,
+  roundActComposite,
+  ACT_BASELINE_DAYS,
+} from './superscore.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const iso = (ms) => new Date(ms).toISOString();
+
+test('composite rounds half up, like ACT', () => {
+  assert.equal(roundActComposite(25.5), 26);
+  assert.equal(roundActComposite(25.25), 25);
+  assert.equal(roundActComposite(25.75), 26);
+  // 24 + 25 + 25 + 24 = 98 / 4 = 24.5 → 25
+  assert.equal(actComposite({ english: 24, math: 25, reading: 25, science: 24 }), 25);
+});
+
+test('composite needs every section the format averages', () => {
+  const scores = { english: 30, math: 28, reading: 33, science: null };
+  assert.equal(actComposite(scores, 'classic'), null);
+  // Enhanced ACT leaves Science out: (30 + 28 + 33) / 3 = 30.33 → 30
+  assert.equal(actComposite(scores, 'enhanced'), 30);
+});
+
+test('superscore takes the best of each section across section-only sittings', () => {
+  const best = actSuperscore([
+    { english_scaled: 26, math_scaled: 24, reading_scaled: null, science_scaled: null },
+    { english_scaled: 22, math_scaled: 27, reading_scaled: null, science_scaled: null },
+    { english_scaled: null, math_scaled: null, reading_scaled: 29, science_scaled: 25 },
+  ]);
+  assert.deepEqual(best.sections, { english: 26, math: 27, reading: 29, science: 25 });
+  // (26 + 27 + 29 + 25) / 4 = 26.75 → 27
+  assert.equal(best.composite, 27);
+  assert.equal(actSuperscore([{ english_scaled: null }]), null);
+  assert.equal(actSuperscore([]), null);
+});
+
+test('ACT archive summary: baseline window, final superscore, target reach', () => {
+  const start = Date.parse('2026-01-10T00:00:00Z');
+  const practiceTests = [
+    // Baseline built from two sittings inside the window.
+    { finished_at: iso(start + 3 * DAY), english_scaled: 20, math_scaled: 21, reading_scaled: null, science_scaled: null },
+    { finished_at: iso(start + 10 * DAY), english_scaled: null, math_scaled: null, reading_scaled: 22, science_scaled: 19 },
+    // Outside the window — counts toward the final only.
+    { finished_at: iso(start + (ACT_BASELINE_DAYS + 5) * DAY), english_scaled: 27, math_scaled: 25, reading_scaled: 28, science_scaled: 26 },
+  ];
+  const out = buildActArchiveSummary({ practiceTests, startDate: iso(start), targetScore: 30 });
+  assert.equal(out.startingScore, 21); // (20 + 21 + 22 + 19) / 4 = 20.5 → 21
+  assert.equal(out.finalScore, 27); // 26.5 → 27
+  assert.equal(out.impact, 6);
+  assert.equal(out.targetReachPct, 90);
+});
+
+test('ACT archive summary prefers pre-start sittings for the starting score', () => {
+  const start = Date.parse('2026-03-01T00:00:00Z');
+  const out = buildActArchiveSummary({
+    practiceTests: [
+      { finished_at: iso(start - 2 * DAY), english_scaled: 18, math_scaled: 18, reading_scaled: 18, science_scaled: 18 },
+      { finished_at: iso(start + 2 * DAY), english_scaled: 24, math_scaled: 24, reading_scaled: 24, science_scaled: 24 },
+    ],
+    startDate: iso(start),
+    targetScore: null,
+  });
+  assert.equal(out.startingScore, 18);
+  assert.equal(out.finalScore, 24);
+  assert.equal(out.targetReachPct, null);
+});
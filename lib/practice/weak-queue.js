@@ -15,12 +15,19 @@
 // + min(daysSince/7, 4) * 10              // stale = bump, capped at 4 weeks
 // + (difficulty - 1) * 5                  // harder = small bump
 //
+// `difficulty` is the calibrated one (item_calibration, via
+// calibratedDifficulty) when the question has a reliable calibration,
+// else the authored 1–3 label — so a question students find much
+// harder than labelled gets its bump, and the drill's easy→hard ramp
+// follows the same number.
+//
 // Returns rows sorted desc. Only questions the student has got
 // wrong at least once are candidates — an always-right question
 // is not a weak-queue item no matter how long ago the attempt was.
 // Unpublished / broken / deleted questions are dropped.
 
 import { fetchAll } from '@/lib/supabase/fetchAll';
+import { calibratedDifficulty, reliableB } from '@/lib/practice-test/calibration';
 
 const DAY_MS = 24 * 60 * 60 * 1000;
 
@@ -103,6 +110,36 @@ export async function resolveQuestionV2Meta(supabase, attemptQids, selectClause)
   );
 }
 
+/**
+ * Reliable calibrated b per question (item_calibration rows that
+ * cleared MIN_CALIBRATION_N). Questions without one are absent from
+ * the map. Chunked for the same URL-length reason as
+ * resolveQuestionV2Meta.
+ *
+ * @param {object} supabase
+ * @param {string[]} questionIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function resolveCalibratedB(supabase, questionIds) {
+  const out = new Map();
+  for (let i = 0; i < questionIds.length; i += IN_CHUNK_SIZE) {
+    const chunk = questionIds.slice(i, i + IN_CHUNK_SIZE);
+    const rows = await fetchAll((from, to) =>
+      supabase
+        .from('item_calibration')
+        .select('question_id, b, reliable')
+        .eq('reliable', true)
+        .in('question_id', chunk)
+        .range(from, to),
+    );
+    for (const r of rows) {
+      const b = reliableB(r);
+      if (b != null) out.set(r.question_id, b);
+    }
+  }
+  return out;
+}
+
 /**
  * @param {import('@supabase/supabase-js').SupabaseClient} supabase
  * @param {string} userId
@@ -162,6 +199,10 @@ export async function buildWeakQueue(supabase, userId, options = {}) {
     'id, difficulty, skill_name, domain_name, is_published, is_broken, deleted_at',
   );
 
+  //    Reliable calibrations for the same ids override the authored
+  //    difficulty below.
+  const calibratedBById = await resolveCalibratedB(supabase, Array.from(metaById.keys()));
+
   // 5) Score and collapse to v2 question ids. Multiple v1
   //    attempt-ids can map to the same v2 row (different
   //    versions of the same question); collapsing here keeps
@@ -182,18 +223,21 @@ export async function buildWeakQueue(supabase, userId, options = {}) {
       ? (now - new Date(stat.last_at).getTime()) / DAY_MS
       : 30;
 
+    const calibratedB = calibratedBById.get(q.id);
+    const difficulty = calibratedB != null ? calibratedDifficulty(calibratedB) : q.difficulty;
+
     const priority =
       (stat.last_is_correct ? 0 : 40) +
       (1 - accuracy) * 30 +
       Math.min(daysSince / 7, 4) * 10 +
-      ((q.difficulty || 1) - 1) * 5;
+      ((difficulty || 1) - 1) * 5;
 
     const entry = {
       question_id: q.id,
       priority,
       skill_name: q.skill_name,
       domain_name: q.domain_name,
-      difficulty: q.difficulty,
+      difficulty,
       accuracy,
       count: stat.count,
       correct: stat.correct,
@@ -0,0 +1,438 @@
+// Bank HTML ↔ QTI 3.0 XHTML content conversion.
+//
+// questions_v2 content is HTML with two conventions QTI can't carry
+// as-is (lib/content/bank-html.ts has the full spec):
+//
+//   - math is either Presentation MathML (<math>, the bulk of the
+//     College Board rows) or literal \( … \) / \[ … \] TeX with raw,
+//     unescaped `<` inside it;
+//   - figures are <img> URLs into the question-figures bucket, legacy
+//     base64 data: URIs, or inline <svg>.
+//
+// Export (bankHtmlToQti) makes well-formed XHTML for an item body:
+// TeX becomes MathML through the caller's converter, wrapped in
+// <semantics> with the source as an application/x-tex annotation so
+// an import back into the bank restores the exact TeX; figures are
+// packaged as files through a PackageFigures sink and referenced by
+// relative path; attributes QTI doesn't define (style, align, ids)
+// are dropped and unknown elements unwrapped.
+//
+// Import (qtiToBankHtml) walks parsed item XML back to bank HTML:
+// annotated math returns to TeX delimiters, other MathML stays
+// MathML, package-relative images resolve through the caller to
+// bucket URLs, and the result goes through sanitizeQuestionHtml —
+// partner packages are untrusted input. TeX is spliced in after the
+// sanitizer so its raw `<` survives, the same reason bank-html.ts
+// never sanitizes math.
+//
+// Pure module — qti.test.mjs imports it directly.
+
+import { createHash } from 'node:crypto';
+import { parseHTML } from 'linkedom';
+import { sanitizeQuestionHtml } from '../sanitize.ts';
+
+export const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TEX_ENCODINGS = new Set(['application/x-tex', 'tex', 'latex', 'application/x-latex']);
+
+/** TeX → Presentation MathML (`<math>…</math>`). Throws on bad TeX. */
+export type TexToMathml = (tex: string, display: boolean) => string;
+
+export interface PackageFile {
+  mediaType: string;
+  bytes: Buffer;
+}
+
+// Minimal structural DOM slice — linkedom's HTML and XML documents
+// both satisfy it, and it keeps this module off the DOM lib types.
+export interface XNode {
+  nodeType: number;
+  nodeName: string;
+  textContent: string | null;
+  childNodes: ArrayLike<XNode>;
+  attributes?: ArrayLike<{ name: string; value: string }>;
+  getAttribute?(name: string): string | null;
+}
+
+export function escapeXml(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const ENTITIES: Record<string, string> = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(s: string): string {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e: string) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+/** Element name without namespace prefix, lowercased. */
+export function localName(node: XNode): string {
+  const name = node.nodeName.toLowerCase();
+  const colon = name.indexOf(':');
+  return colon >= 0 ? name.slice(colon + 1) : name;
+}
+
+export function elementChildren(node: XNode): XNode[] {
+  return Array.from(node.childNodes).filter((c) => c.nodeType === 1);
+}
+
+export function attr(node: XNode | null | undefined, name: string): string | null {
+  return node?.getAttribute?.(name) ?? null;
+}
+
+const MEDIA_TYPES: Record<string, string> = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+export function mediaTypeForPath(path: string): string | null {
+  const ext = path.split('.').pop()?.toLowerCase() ?? '';
+  return MEDIA_TYPES[ext] ?? null;
+}
+
+export function extensionForMediaType(mediaType: string): string | null {
+  const type = mediaType.split(';')[0].trim().toLowerCase();
+  const hit = Object.entries(MEDIA_TYPES).find(([, t]) => t === type);
+  return hit ? hit[0] : null;
+}
+
+/** Figures collected while exporting, content-addressed so a figure
+ *  shared by several questions is packaged once. `remote` holds the
+ *  bytes the caller already fetched for bucket URLs; a URL it doesn't
+ *  have stays absolute in the item and is reported in `unresolved`. */
+export class PackageFigures {
+  readonly files = new Map<string, PackageFile>();
+  readonly unresolved = new Set<string>();
+  private readonly remote: Map<string, PackageFile>;
+
+  constructor(remote: Map<string, PackageFile> = new Map()) {
+    this.remote = remote;
+  }
+
+  add(file: PackageFile): string {
+    const ext = extensionForMediaType(file.mediaType) ?? 'bin';
+    const hash = createHash('sha256').update(file.bytes).digest('hex').slice(0, 32);
+    const path = `figures/${hash}.${ext}`;
+    if (!this.files.has(path)) this.files.set(path, file);
+    return path;
+  }
+
+  /** Package path for an <img src>, or null to keep the src. */
+  resolveSrc(src: string): string | null {
+    const data = /^data:([^;,]+)(;base64)?,([\s\S]*)$/i.exec(src);
+    if (data) {
+      if (!extensionForMediaType(data[1])) return null;
+      const bytes = data[2]
+        ? Buffer.from(data[3], 'base64')
+        : Buffer.from(decodeURIComponent(data[3]), 'utf8');
+      return this.add({ mediaType: data[1].toLowerCase(), bytes });
+    }
+    const fetched = this.remote.get(src);
+    if (fetched) return this.add(fetched);
+    if (/^https?:\/\//i.test(src)) this.unresolved.add(src);
+    return null;
+  }
+}
+
+/** Every http(s) <img src> in a bank HTML fragment — what the export
+ *  route fetches before building the package. */
+export function figureUrlsIn(html: string | null | undefined): string[] {
+  if (!html) return [];
+  const urls = new Set<string>();
+  for (const m of html.matchAll(/<img\b[^>]*?\bsrc\s*=\s*("([^"]*)"|'([^']*)')/gi)) {
+    const src = decodeEntities(m[2] ?? m[3] ?? '');
+    if (/^https?:\/\//i.test(src)) urls.add(src);
+  }
+  return [...urls];
+}
+
+// ── Export: bank HTML → QTI XHTML ───────────────────────────────
+
+const DROP = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'form', 'input', 'button',
+  'textarea', 'select', 'link', 'meta', 'noscript', 'template',
+]);
+
+const XHTML_ELEMENTS = new Set([
+  'p', 'br', 'hr', 'div', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'code',
+  'strong', 'em', 'b', 'i', 'u', 'sub', 'sup', 'small', 'big', 'q', 'cite', 'abbr',
+  'a', 'img', 'figure', 'figcaption',
+  'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+]);
+
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'dl',
+  'blockquote', 'pre', 'figure', 'table',
+]);
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'col']);
+
+const XHTML_ATTRS: Record<string, string[]> = {
+  '*': ['class', 'lang', 'dir', 'title'],
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  th: ['colspan', 'rowspan', 'scope', 'headers', 'abbr'],
+  td: ['colspan', 'rowspan', 'headers'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'type'],
+};
+
+interface ExportState {
+  texToMathml: TexToMathml;
+  figures: PackageFigures;
+  tex: Array<{ tex: string; display: boolean }>;
+  svgs: string[];
+}
+
+function annotatedMath(tex: string, display: boolean, texToMathml: TexToMathml): string {
+  let inner: string;
+  try {
+    const m = /^\s*<math\b[^>]*>([\s\S]*)<\/math>\s*$/.exec(texToMathml(tex, display));
+    inner = m ? m[1].trim() : `<mtext>${escapeXml(tex)}</mtext>`;
+  } catch {
+    inner = `<mtext>${escapeXml(tex)}</mtext>`;
+  }
+  return (
+    `<math xmlns="${MATHML_NS}"${display ? ' display="block"' : ''}>` +
+    `<semantics><mrow>${inner}</mrow>` +
+    `<annotation encoding="application/x-tex">${escapeXml(tex)}</annotation></semantics></math>`
+  );
+}
+
+function serializeAttrs(node: XNode, allowed: (name: string) => boolean, override: Record<string, string> = {}): string {
+  let out = '';
+  for (const a of Array.from(node.attributes ?? [])) {
+    const name = a.name.toLowerCase();
+    if (name in override || !allowed(name)) continue;
+    out += ` ${name}="${escapeXml(a.value)}"`;
+  }
+  for (const [name, value] of Object.entries(override)) out += ` ${name}="${escapeXml(value)}"`;
+  return out;
+}
+
+function mathToXml(node: XNode, root: boolean): string {
+  if (node.nodeType === 3) return escapeXml(node.textContent ?? '');
+  if (node.nodeType !== 1) return '';
+  const name = localName(node);
+  const attrs = serializeAttrs(
+    node,
+    (n) => !n.startsWith('on') && n !== 'style' && n !== 'xmlns' && !n.includes(':'),
+    root ? { xmlns: MATHML_NS } : {},
+  );
+  const inner = Array.from(node.childNodes).map((c) => mathToXml(c, false)).join('');
+  return `<${name}${attrs}>${inner}</${name}>`;
+}
+
+function nodeToXhtml(node: XNode, state: ExportState): string {
+  if (node.nodeType === 3) return escapeXml(node.textContent ?? '');
+  if (node.nodeType !== 1) return '';
+  const name = localName(node);
+  if (DROP.has(name)) return '';
+
+  if (name === 'sw-tex') {
+    const entry = state.tex[Number(attr(node, 'data-n'))];
+    return entry ? annotatedMath(entry.tex, entry.display, state.texToMathml) : '';
+  }
+  if (name === 'sw-svg') {
+    let svg = state.svgs[Number(attr(node, 'data-n'))] ?? '';
+    if (!svg) return '';
+    if (!/^<svg\b[^>]*\bxmlns\s*=/i.test(svg)) svg = svg.replace(/^<svg\b/i, `<svg xmlns="${SVG_NS}"`);
+    const path = state.figures.add({ mediaType: 'image/svg+xml', bytes: Buffer.from(svg, 'utf8') });
+    return `<img src="${path}" alt=""/>`;
+  }
+  if (name === 'math') return mathToXml(node, true);
+
+  const inner = () => Array.from(node.childNodes).map((c) => nodeToXhtml(c, state)).join('');
+  if (!XHTML_ELEMENTS.has(name)) return inner();
+
+  const allowed = new Set([...XHTML_ATTRS['*'], ...(XHTML_ATTRS[name] ?? [])]);
+  const override: Record<string, string> = {};
+  if (name === 'img') {
+    const src = attr(node, 'src') ?? '';
+    if (!src) return '';
+    override.src = state.figures.resolveSrc(src) ?? src;
+    override.alt = attr(node, 'alt') ?? '';
+  }
+  if (name === 'a') {
+    const href = attr(node, 'href') ?? '';
+    if (!/^https?:\/\//i.test(href)) return inner();
+  }
+  const attrs = serializeAttrs(node, (n) => allowed.has(n), override);
+  if (VOID_ELEMENTS.has(name)) return `<${name}${attrs}/>`;
+  return `<${name}${attrs}>${inner()}</${name}>`;
+}
+
+function isBlockNode(node: XNode): boolean {
+  if (node.nodeType !== 1) return false;
+  const name = localName(node);
+  return BLOCK_ELEMENTS.has(name) || name === 'sw-block-tex';
+}
+
+/** Parse a bank fragment with TeX and inline SVG lifted out first —
+ *  raw `<` inside TeX would otherwise be read as markup, and the HTML
+ *  parser lowercases SVG's camelCase attributes. */
+function parseBankFragment(html: string, state: Pick<ExportState, 'tex' | 'svgs'>): XNode {
+  const lifted = html
+    .replace(/<svg\b[\s\S]*?<\/svg>/gi, (svg) => {
+      state.svgs.push(svg);
+      return `<sw-svg data-n="${state.svgs.length - 1}"></sw-svg>`;
+    })
+    .replace(/\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]/g, (_m, inline?: string, display?: string) => {
+      state.tex.push({ tex: decodeEntities((inline ?? display ?? '').trim()), display: display !== undefined });
+      return `<sw-tex data-n="${state.tex.length - 1}"></sw-tex>`;
+    });
+  const { document } = parseHTML(`<html><body><div id="sw-root">${lifted}</div></body></html>`);
+  return document.getElementById('sw-root') as unknown as XNode;
+}
+
+export interface BankToQtiOptions {
+  texToMathml: TexToMathml;
+  figures: PackageFigures;
+  /** Wrap top-level inline runs in <p> (item-body flow content). */
+  block?: boolean;
+}
+
+export function bankHtmlToQti(html: string | null | undefined, opts: BankToQtiOptions): string {
+  if (!html || !html.trim()) return '';
+  const state: ExportState = { texToMathml: opts.texToMathml, figures: opts.figures, tex: [], svgs: [] };
+  const root = parseBankFragment(html, state);
+  const nodes = Array.from(root.childNodes);
+  if (!opts.block) return nodes.map((n) => nodeToXhtml(n, state)).join('').trim();
+
+  const out: string[] = [];
+  let run = '';
+  const flush = () => {
+    if (run.trim()) out.push(`<p>${run.trim()}</p>`);
+    run = '';
+  };
+  for (const n of nodes) {
+    if (isBlockNode(n)) {
+      flush();
+      out.push(nodeToXhtml(n, state));
+    } else {
+      run += nodeToXhtml(n, state);
+    }
+  }
+  flush();
+  return out.join('');
+}
+
+// ── Import: QTI XHTML → bank HTML ───────────────────────────────
+
+function escapeHtmlText(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export interface QtiToBankContext {
+  /** Resolve a package-relative image path to the URL stored in the
+   *  bank; null drops the image and records a warning. */
+  resolveImage(src: string): string | null;
+  warnings: string[];
+}
+
+// Interactions, scoring and feedback live in their own bank columns —
+// item.ts reads them separately — so a content walk skips them. Other
+// qti-* wrappers (qti-content-body, qti-printed-variable …) unwrap.
+const QTI_NON_CONTENT = /^qti-(.*-interaction|rubric-block|modal-feedback|feedback-(block|inline)|prompt|template-(block|inline))$/;
+
+interface ImportState extends QtiToBankContext {
+  tex: string[];
+}
+
+function texAnnotation(math: XNode): string | null {
+  const stack = [...elementChildren(math)];
+  while (stack.length > 0) {
+    const n = stack.shift() as XNode;
+    if (localName(n) === 'annotation' && TEX_ENCODINGS.has((attr(n, 'encoding') ?? '').toLowerCase())) {
+      const tex = (n.textContent ?? '').trim();
+      return tex || null;
+    }
+    stack.push(...elementChildren(n));
+  }
+  return null;
+}
+
+function mathToHtml(node: XNode): string {
+  if (node.nodeType === 3) return escapeHtmlText(node.textContent ?? '');
+  if (node.nodeType !== 1) return '';
+  const name = localName(node);
+  let attrs = '';
+  for (const a of Array.from(node.attributes ?? [])) {
+    const n = a.name.toLowerCase();
+    if (n === 'xmlns' || n.includes(':') || n.startsWith('on')) continue;
+    attrs += ` ${n}="${escapeXml(a.value)}"`;
+  }
+  return `<${name}${attrs}>${Array.from(node.childNodes).map(mathToHtml).join('')}</${name}>`;
+}
+
+function nodeToBank(node: XNode, state: ImportState): string {
+  if (node.nodeType === 3) return escapeHtmlText(node.textContent ?? '');
+  if (node.nodeType !== 1) return '';
+  const name = localName(node);
+  if (DROP.has(name) || QTI_NON_CONTENT.test(name)) return '';
+
+  if (name === 'math') {
+    const tex = texAnnotation(node);
+    if (tex) {
+      // The TeX is spliced back after the sanitizer has run, so it goes
+      // in as escaped text — markup in an annotation must not survive.
+      const display = (attr(node, 'display') ?? '').toLowerCase() === 'block';
+      const text = escapeHtmlText(tex);
+      state.tex.push(display ? `\\[${text}\\]` : `\\(${text}\\)`);
+      return `⟦sw-tex-${state.tex.length - 1}⟧`;
+    }
+    return mathToHtml(node);
+  }
+
+  const inner = () => Array.from(node.childNodes).map((c) => nodeToBank(c, state)).join('');
+  if (!XHTML_ELEMENTS.has(name)) return inner();
+
+  const override: Record<string, string> = {};
+  if (name === 'img') {
+    const src = attr(node, 'src') ?? '';
+    const resolved = /^(https?:|data:)/i.test(src) ? src : state.resolveImage(src);
+    if (!resolved) {
+      state.warnings.push(`Image "${src}" is missing from the package and was dropped.`);
+      return '';
+    }
+    override.src = resolved;
+    override.alt = attr(node, 'alt') ?? '';
+  }
+  const allowed = new Set([...XHTML_ATTRS['*'], ...(XHTML_ATTRS[name] ?? [])]);
+  const attrs = serializeAttrs(node, (n) => allowed.has(n), override);
+  if (VOID_ELEMENTS.has(name)) return `<${name}${attrs}>`;
+  return `<${name}${attrs}>${inner()}</${name}>`;
+}
+
+/** Bank HTML for a run of item-content nodes. Returns null when the
+ *  nodes carry no content. */
+export function qtiToBankHtml(nodes: XNode[], ctx: QtiToBankContext): string | null {
+  const state: ImportState = { ...ctx, tex: [] };
+  const html = nodes.map((n) => nodeToBank(n, state)).join('').trim();
+  if (!html) return null;
+  const clean = sanitizeQuestionHtml(html)
+    .replace(/<p>\s*<\/p>/g, '')
+    .replace(/⟦sw-tex-(\d+)⟧/g, (m, i: string) => state.tex[Number(i)] ?? m);
+  return clean.trim() || null;
+}
+
+/** The nodes inside a single wrapping <p> (options and hints are bare
+ *  inline content in the bank), or the nodes themselves. */
+export function unwrapSingleParagraph(nodes: XNode[]): XNode[] {
+  const meaningful = nodes.filter((n) => n.nodeType === 1 || (n.textContent ?? '').trim() !== '');
+  if (meaningful.length === 1 && meaningful[0].nodeType === 1 && localName(meaningful[0]) === 'p') {
+    return Array.from(meaningful[0].childNodes);
+  }
+  return nodes;
+}
@@ -0,0 +1,297 @@
+// Turn a parsed QTI package into question_content_drafts rows.
+//
+// Every item lands in the drafts review queue — an import never
+// writes questions_v2 directly. Matching, in order:
+//
+//   1. an SW-<uuid> identifier naming a live question (our own export
+//      coming back after offline editing);
+//   2. a live question whose source_external_id is the item
+//      identifier under the import's source label (a partner package
+//      imported before);
+//   3. otherwise a new-question draft (question_id NULL, bank
+//      metadata in new_question) that promotion inserts.
+//
+// For a matched question only the fields that differ are drafted, so
+// the review screen shows exactly what the package changes. "Differ"
+// is measured after both sides take the same trip through the QTI
+// conversion — canonicalQuestion() exports the live row and reads it
+// back — so an untouched re-import of our own export is "unchanged"
+// rather than a draft full of serializer noise. Drafts carry content
+// only; an answer-key difference is reported in the draft notes for
+// the reviewer to apply on the question page.
+//
+// Pure module — qti.test.mjs imports it directly. The caller loads
+// the live rows, open drafts and pattern ids this module needs.
+
+import { findDomain, findSkill } from '../practice/sat-taxonomy.ts';
+import { PackageFigures, type TexToMathml } from './html.ts';
+import {
+  buildQtiItem,
+  correctLabels,
+  parseQtiItem,
+  questionIdFromIdentifier,
+  sprAnswers,
+  type BankCorrectAnswer,
+  type BankOption,
+  type ExportQuestion,
+  type ParsedItem,
+} from './item.ts';
+import { parseXml, type ReadPackageItem } from './package.ts';
+
+export const DEFAULT_IMPORT_SOURCE = 'qti-import';
+
+/** new_question on a draft with no question_id — what promotion
+ *  needs beyond the content columns. */
+export interface NewQuestionMeta {
+  question_type: 'mcq' | 'spr';
+  correct_answer: BankCorrectAnswer;
+  domain_code: string | null;
+  domain_name: string | null;
+  skill_code: string | null;
+  skill_name: string | null;
+  difficulty: number | null;
+  score_band: number | null;
+  pattern_id: string | null;
+  source: string;
+  source_external_id: string;
+  title: string | null;
+}
+
+export interface DraftInsert {
+  question_id: string | null;
+  new_question: NewQuestionMeta | null;
+  stem_html: string | null;
+  stimulus_html: string | null;
+  rationale_html: string | null;
+  options: BankOption[] | null;
+  hints: string[] | null;
+  notes: string;
+  status: 'pending';
+}
+
+export type PlanEntry =
+  | {
+      kind: 'update';
+      identifier: string;
+      questionId: string;
+      displayCode: string | null;
+      fields: string[];
+      draft: DraftInsert;
+      figures: string[];
+    }
+  | { kind: 'create'; identifier: string; draft: DraftInsert; figures: string[] }
+  | { kind: 'unchanged'; identifier: string; questionId: string; displayCode: string | null }
+  | { kind: 'skip'; identifier: string; reason: string };
+
+export interface ImportPlan {
+  entries: PlanEntry[];
+  counts: Record<PlanEntry['kind'], number>;
+}
+
+export interface PlanContext {
+  fileName: string;
+  source: string;
+  /** Live rows matched by SW-<uuid>, keyed by questions_v2.id. */
+  byId: Map<string, ExportQuestion>;
+  /** Live rows with source = `source`, keyed by source_external_id. */
+  byExternalId: Map<string, ExportQuestion>;
+  /** question_ids with a pending/review draft. */
+  openDraftQuestionIds: Set<string>;
+  /** source_external_ids of open new-question drafts from `source`. */
+  openNewDraftExternalIds: Set<string>;
+  patternIds: Set<string>;
+  /** Same URL mapping the package read used, for canonicalQuestion. */
+  figureUrl(path: string, file: { mediaType: string; bytes: Buffer }): string;
+}
+
+// The canonical trip only needs the annotation to carry the TeX back;
+// the MathML rendering is discarded on import.
+const identityTex: TexToMathml = (tex) => `<math><mtext>${tex.replace(/[<&]/g, ' ')}</mtext></math>`;
+
+/** A live row as an import of its own export would see it. Null when
+ *  the row can't be exported (its type has no QTI mapping). */
+export function canonicalQuestion(
+  q: ExportQuestion,
+  figureUrl: PlanContext['figureUrl'],
+): ParsedItem | null {
+  const figures = new PackageFigures();
+  const built = buildQtiItem(q, { texToMathml: identityTex, figures });
+  if ('skipped' in built) return null;
+  const root = parseXml(built.xml);
+  if (!root) return null;
+  return parseQtiItem(root, {
+    warnings: [],
+    resolveImage(src) {
+      const file = figures.files.get(src);
+      return file ? figureUrl(src, file) : null;
+    },
+    loadStimulus: () => null,
+  });
+}
+
+function sameList(a: string[], b: string[], fold = false): boolean {
+  const norm = (xs: string[]) => xs.map((x) => (fold ? x.toLowerCase() : x)).sort();
+  return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+function answerSummary(type: string, answer: unknown): string {
+  return type === 'mcq' ? correctLabels(answer).join(', ') : sprAnswers(answer).join(' or ');
+}
+
+function notesFor(ctx: PlanContext, identifier: string, lines: string[]): string {
+  return [`QTI import · ${ctx.fileName} · item ${identifier}`, ...lines.map((l) => `- ${l}`)].join('\n');
+}
+
+function emptyDraft(questionId: string | null, notes: string): DraftInsert {
+  return {
+    question_id: questionId,
+    new_question: null,
+    stem_html: null,
+    stimulus_html: null,
+    rationale_html: null,
+    options: null,
+    hints: null,
+    notes,
+    status: 'pending',
+  };
+}
+
+function planUpdate(
+  entry: ReadPackageItem,
+  item: ParsedItem,
+  live: ExportQuestion,
+  ctx: PlanContext,
+): PlanEntry {
+  const identifier = item.identifier;
+  if (ctx.openDraftQuestionIds.has(live.id)) {
+    return { kind: 'skip', identifier, reason: `${live.display_code ?? live.id} already has an open draft` };
+  }
+  if (item.questionType !== live.question_type) {
+    return {
+      kind: 'skip',
+      identifier,
+      reason: `the package has a ${item.questionType} item but ${live.display_code ?? live.id} is ${live.question_type}`,
+    };
+  }
+  const current = canonicalQuestion(live, ctx.figureUrl);
+  if (!current) return { kind: 'skip', identifier, reason: 'the live question cannot be compared' };
+
+  const fields: string[] = [];
+  const draft = emptyDraft(live.id, '');
+  if (item.stemHtml !== current.stemHtml) {
+    fields.push('stem');
+    draft.stem_html = item.stemHtml;
+  }
+  if ((item.stimulusHtml ?? '') !== (current.stimulusHtml ?? '')) {
+    fields.push('stimulus');
+    draft.stimulus_html = item.stimulusHtml ?? '';
+  }
+  if ((item.rationaleHtml ?? '') !== (current.rationaleHtml ?? '')) {
+    fields.push('rationale');
+    draft.rationale_html = item.rationaleHtml ?? '';
+  }
+  if (JSON.stringify(item.options) !== JSON.stringify(current.options)) {
+    fields.push('options');
+    draft.options = item.options;
+  }
+  if (JSON.stringify(item.hints) !== JSON.stringify(current.hints)) {
+    fields.push('hints');
+    draft.hints = item.hints;
+  }
+
+  const lines = [...item.warnings];
+  const answerDiffers =
+    item.questionType === 'mcq'
+      ? !sameList(correctLabels(item.correctAnswer), correctLabels(live.correct_answer))
+      : !sameList(sprAnswers(item.correctAnswer), sprAnswers(live.correct_answer), true);
+  if (answerDiffers) {
+    lines.push(
+      `The package's answer key (${answerSummary(item.questionType, item.correctAnswer)}) differs from the ` +
+        `bank's (${answerSummary(live.question_type, live.correct_answer)}). Drafts don't change answers — ` +
+        'update it on the question page if the package is right.',
+    );
+  }
+
+  if (fields.length === 0 && !answerDiffers) {
+    return { kind: 'unchanged', identifier, questionId: live.id, displayCode: live.display_code };
+  }
+  draft.notes = notesFor(ctx, identifier, lines);
+  return {
+    kind: 'update',
+    identifier,
+    questionId: live.id,
+    displayCode: live.display_code,
+    fields,
+    draft,
+    figures: entry.figures,
+  };
+}
+
+function planCreate(entry: ReadPackageItem, item: ParsedItem, ctx: PlanContext): PlanEntry {
+  const identifier = item.identifier;
+  if (ctx.openNewDraftExternalIds.has(identifier)) {
+    return { kind: 'skip', identifier, reason: 'an open new-question draft from this source already exists' };
+  }
+  const meta = entry.metadata;
+  const lines = [...item.warnings];
+
+  const domain = findDomain(meta.domainCode);
+  const skill = domain ? findSkill(domain.code, meta.skillCode) : null;
+  if (meta.domainCode && !domain) lines.push(`Unknown domain "${meta.domainCode}" — set it after promotion.`);
+  if (domain && meta.skillCode && !skill) {
+    lines.push(`Unknown skill "${meta.skillCode}" in ${domain.code} — set it after promotion.`);
+  }
+  const patternId = meta.patternId && ctx.patternIds.has(meta.patternId) ? meta.patternId : null;
+  if (meta.patternId && !patternId) lines.push(`Pattern ${meta.patternId} is not in this catalog.`);
+  if (meta.displayCode || meta.source) {
+    lines.push(`Packaged as ${[meta.displayCode, meta.source].filter(Boolean).join(' from ')}.`);
+  }
+
+  const draft = emptyDraft(null, notesFor(ctx, identifier, lines));
+  draft.new_question = {
+    question_type: item.questionType,
+    correct_answer: item.correctAnswer,
+    domain_code: domain?.code ?? null,
+    domain_name: domain?.name ?? null,
+    skill_code: skill?.code ?? null,
+    skill_name: skill?.name ?? null,
+    difficulty: meta.difficulty,
+    score_band: meta.scoreBand,
+    pattern_id: patternId,
+    source: ctx.source,
+    source_external_id: identifier,
+    title: item.title,
+  };
+  draft.stem_html = item.stemHtml;
+  draft.stimulus_html = item.stimulusHtml;
+  draft.rationale_html = item.rationaleHtml;
+  draft.options = item.options;
+  draft.hints = item.hints.length > 0 ? item.hints : null;
+  return { kind: 'create', identifier, draft, figures: entry.figures };
+}
+
+export function planQtiImport(items: ReadPackageItem[], ctx: PlanContext): ImportPlan {
+  const entries: PlanEntry[] = [];
+  const seen = new Set<string>();
+
+  for (const entry of items) {
+    const item = entry.item;
+    if (!item) {
+      entries.push({ kind: 'skip', identifier: entry.identifier, reason: entry.error ?? 'unreadable item' });
+      continue;
+    }
+    if (seen.has(item.identifier)) {
+      entries.push({ kind: 'skip', identifier: item.identifier, reason: 'duplicate identifier in the package' });
+      continue;
+    }
+    seen.add(item.identifier);
+
+    const ownId = questionIdFromIdentifier(item.identifier);
+    const live = (ownId ? ctx.byId.get(ownId) : undefined) ?? ctx.byExternalId.get(item.identifier);
+    entries.push(live ? planUpdate(entry, item, live, ctx) : planCreate(entry, item, ctx));
+  }
+
+  const counts: ImportPlan['counts'] = { update: 0, create: 0, unchanged: 0, skip: 0 };
+  for (const e of entries) counts[e.kind] += 1;
+  return { entries, counts };
+}
@@ -0,0 +1,463 @@
+// QTI 3.0 assessment items ↔ questions_v2 rows.
+//
+// Export layout (one qti-assessment-item per question):
+//
+//   identifier       SW-<questions_v2.id> — what an import matches on
+//   item body        <div class="sw-stimulus"> (passage, when present),
+//                    <div class="sw-stem">, then the interaction, then
+//                    one qti-rubric-block use="hint" per hint
+//   mcq              qti-choice-interaction, one qti-simple-choice per
+//                    option with the option label as its identifier
+//   spr              qti-text-entry-interaction; every accepted answer
+//                    is a case-insensitive qti-map-entry. Numeric
+//                    tolerance has no QTI string-match equivalent and
+//                    is not exported.
+//   scoring          SCORE = map-response, so option_labels' "any of
+//                    these" semantics survive (a correct-response of
+//                    single cardinality can only name one value)
+//   rationale        qti-modal-feedback RATIONALE, always shown after
+//                    response processing
+//
+// Import accepts that layout plus what partner packages commonly
+// send: one choice or text-entry interaction, a qti-prompt, a
+// referenced qti-assessment-stimulus, hints and feedback in any
+// position. Anything else (multiple interactions, other interaction
+// types) is reported as unsupported rather than half-imported.
+//
+// Pure module — qti.test.mjs imports it directly.
+
+import {
+  attr,
+  bankHtmlToQti,
+  elementChildren,
+  escapeXml,
+  localName,
+  qtiToBankHtml,
+  unwrapSingleParagraph,
+  type PackageFigures,
+  type QtiToBankContext,
+  type TexToMathml,
+  type XNode,
+} from './html.ts';
+
+export const QTI_ITEM_NS = 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0';
+const QTI_ITEM_XSD = 'https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+export const ITEM_ID_PREFIX = 'SW-';
+
+export interface BankOption {
+  label: string;
+  ordinal: number;
+  content_html: string;
+}
+
+export interface BankCorrectAnswer {
+  option_label: string | null;
+  option_labels: string[] | null;
+  text: string | null;
+  number: number | null;
+  tolerance: number | null;
+}
+
+/** The questions_v2 columns an export reads. */
+export interface ExportQuestion {
+  id: string;
+  display_code: string | null;
+  question_type: string;
+  stem_html: string;
+  stimulus_html: string | null;
+  rationale_html: string | null;
+  options: unknown;
+  correct_answer: unknown;
+  hints: unknown;
+  domain_code: string | null;
+  domain_name: string | null;
+  skill_code: string | null;
+  skill_name: string | null;
+  difficulty: number | null;
+  score_band: number | null;
+  pattern_id: string | null;
+  source: string;
+  source_external_id: string | null;
+}
+
+/** select() list for ExportQuestion. */
+export const EXPORT_QUESTION_COLUMNS =
+  'id, display_code, question_type, stem_html, stimulus_html, rationale_html, options, correct_answer, hints, ' +
+  'domain_code, domain_name, skill_code, skill_name, difficulty, score_band, pattern_id, source, source_external_id';
+
+export interface BuildItemOptions {
+  texToMathml: TexToMathml;
+  figures: PackageFigures;
+}
+
+export function itemIdentifierFor(questionId: string): string {
+  return `${ITEM_ID_PREFIX}${questionId}`;
+}
+
+/** questions_v2 id from one of our identifiers, or null. */
+export function questionIdFromIdentifier(identifier: string): string | null {
+  const m = /^SW-([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i.exec(identifier);
+  return m ? m[1].toLowerCase() : null;
+}
+
+export function bankOptions(raw: unknown): BankOption[] {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((o): o is Record<string, unknown> => o != null && typeof o === 'object')
+    .map((o, i) => ({
+      label: String(o.label ?? String.fromCharCode(65 + i)),
+      ordinal: typeof o.ordinal === 'number' ? o.ordinal : i + 1,
+      content_html: typeof o.content_html === 'string' ? o.content_html : '',
+    }))
+    .sort((a, b) => a.ordinal - b.ordinal);
+}
+
+export function bankHints(raw: unknown): string[] {
+  return Array.isArray(raw) ? raw.filter((h): h is string => typeof h === 'string' && h.trim() !== '') : [];
+}
+
+/** Accepted MCQ labels — option_label, else option_labels. */
+export function correctLabels(raw: unknown): string[] {
+  if (raw == null || typeof raw !== 'object' || Array.isArray(raw)) return [];
+  const c = raw as Record<string, unknown>;
+  if (typeof c.option_label === 'string' && c.option_label) return [c.option_label];
+  if (Array.isArray(c.option_labels)) return c.option_labels.map(String).filter(Boolean);
+  return [];
+}
+
+/** Accepted SPR strings — the JSON array in `text`, else `number`. */
+export function sprAnswers(raw: unknown): string[] {
+  if (raw == null || typeof raw !== 'object' || Array.isArray(raw)) return [];
+  const c = raw as Record<string, unknown>;
+  if (typeof c.text === 'string' && c.text) {
+    try {
+      const parsed = JSON.parse(c.text);
+      if (Array.isArray(parsed)) return parsed.map((a) => String(a).trim()).filter(Boolean);
+    } catch {
+      // not JSON — the string itself is the answer
+    }
+    return [c.text.trim()];
+  }
+  if (typeof c.number === 'number') return [String(c.number)];
+  return [];
+}
+
+/** Build the bank correct_answer for an SPR answer list — the same
+ *  shape the authoring form writes. */
+export function sprCorrectAnswer(answers: string[]): BankCorrectAnswer {
+  const numeric = answers.length === 1 && Number.isFinite(Number(answers[0])) ? Number(answers[0]) : null;
+  return { text: JSON.stringify(answers), number: numeric, tolerance: null, option_label: null, option_labels: null };
+}
+
+export function mcqCorrectAnswer(labels: string[]): BankCorrectAnswer {
+  return {
+    option_label: labels.length === 1 ? labels[0] : null,
+    option_labels: labels.length > 1 ? labels : null,
+    text: null,
+    number: null,
+    tolerance: null,
+  };
+}
+
+function responseDeclaration(baseType: 'identifier' | 'string', values: string[], caseSensitive: boolean): string {
+  const entries = values
+    .map(
+      (v) =>
+        `<qti-map-entry map-key="${escapeXml(v)}" mapped-value="1"${caseSensitive ? '' : ' case-sensitive="false"'}/>`,
+    )
+    .join('');
+  return (
+    `<qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="${baseType}">` +
+    `<qti-correct-response><qti-value>${escapeXml(values[0])}</qti-value></qti-correct-response>` +
+    `<qti-mapping default-value="0" upper-bound="1">${entries}</qti-mapping>` +
+    `</qti-response-declaration>`
+  );
+}
+
+const RESPONSE_PROCESSING =
+  '<qti-response-processing>' +
+  '<qti-response-condition><qti-response-if>' +
+  '<qti-is-null><qti-variable identifier="RESPONSE"/></qti-is-null>' +
+  '<qti-set-outcome-value identifier="SCORE"><qti-base-value base-type="float">0</qti-base-value></qti-set-outcome-value>' +
+  '</qti-response-if><qti-response-else>' +
+  '<qti-set-outcome-value identifier="SCORE"><qti-map-response identifier="RESPONSE"/></qti-set-outcome-value>' +
+  '</qti-response-else></qti-response-condition>' +
+  '<qti-set-outcome-value identifier="FEEDBACK"><qti-base-value base-type="identifier">RATIONALE</qti-base-value></qti-set-outcome-value>' +
+  '</qti-response-processing>';
+
+export interface BuiltItem {
+  identifier: string;
+  xml: string;
+}
+
+/** One question as a qti-assessment-item document. Returns a reason
+ *  string instead when the row can't be expressed. */
+export function buildQtiItem(q: ExportQuestion, opts: BuildItemOptions): BuiltItem | { skipped: string } {
+  const identifier = itemIdentifierFor(q.id);
+  const content = (html: string | null | undefined, block = true) =>
+    bankHtmlToQti(html, { texToMathml: opts.texToMathml, figures: opts.figures, block });
+
+  let declaration: string;
+  let interaction: string;
+  if (q.question_type === 'mcq') {
+    const options = bankOptions(q.options);
+    const labels = correctLabels(q.correct_answer).filter((l) => options.some((o) => o.label === l));
+    if (options.length < 2) return { skipped: 'fewer than two answer choices' };
+    if (labels.length === 0) return { skipped: 'no correct answer choice' };
+    declaration = responseDeclaration('identifier', labels, true);
+    interaction =
+      '<qti-choice-interaction response-identifier="RESPONSE" shuffle="false" max-choices="1">' +
+      options
+        .map((o) => `<qti-simple-choice identifier="${escapeXml(o.label)}">${content(o.content_html, false)}</qti-simple-choice>`)
+        .join('') +
+      '</qti-choice-interaction>';
+  } else if (q.question_type === 'spr') {
+    const answers = sprAnswers(q.correct_answer);
+    if (answers.length === 0) return { skipped: 'no accepted answers' };
+    declaration = responseDeclaration('string', answers, false);
+    const width = Math.max(5, ...answers.map((a) => a.length));
+    interaction = `<p><qti-text-entry-interaction response-identifier="RESPONSE" expected-length="${width}"/></p>`;
+  } else {
+    return { skipped: `question type "${q.question_type}" has no QTI mapping` };
+  }
+
+  const stimulus = content(q.stimulus_html);
+  const hints = bankHints(q.hints)
+    .map(
+      (h) =>
+        `<qti-rubric-block use="hint" view="candidate"><qti-content-body><p>${content(h, false)}</p></qti-content-body></qti-rubric-block>`,
+    )
+    .join('');
+  const rationale = content(q.rationale_html);
+  const title = q.display_code || identifier;
+
+  const xml =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<qti-assessment-item xmlns="${QTI_ITEM_NS}" xmlns:xsi="${XSI_NS}" ` +
+    `xsi:schemaLocation="${QTI_ITEM_NS} ${QTI_ITEM_XSD}" ` +
+    `identifier="${escapeXml(identifier)}" title="${escapeXml(title)}" adaptive="false" time-dependent="false" xml:lang="en-US">` +
+    declaration +
+    '<qti-outcome-declaration identifier="SCORE" cardinality="single" base-type="float">' +
+    '<qti-default-value><qti-value>0</qti-value></qti-default-value></qti-outcome-declaration>' +
+    '<qti-outcome-declaration identifier="FEEDBACK" cardinality="single" base-type="identifier"/>' +
+    '<qti-item-body>' +
+    (stimulus ? `<div class="sw-stimulus">${stimulus}</div>` : '') +
+    `<div class="sw-stem">${content(q.stem_html)}</div>` +
+    interaction +
+    hints +
+    '</qti-item-body>' +
+    RESPONSE_PROCESSING +
+    (rationale
+      ? `<qti-modal-feedback outcome-identifier="FEEDBACK" identifier="RATIONALE" show-hide="show" title="Rationale">` +
+        `<qti-content-body>${rationale}</qti-content-body></qti-modal-feedback>`
+      : '') +
+    '</qti-assessment-item>\n';
+
+  return { identifier, xml };
+}
+
+// ── Import ──────────────────────────────────────────────────────
+
+export interface ParsedItem {
+  identifier: string;
+  title: string | null;
+  questionType: 'mcq' | 'spr';
+  stemHtml: string;
+  stimulusHtml: string | null;
+  rationaleHtml: string | null;
+  options: BankOption[] | null;
+  hints: string[];
+  correctAnswer: BankCorrectAnswer;
+  warnings: string[];
+}
+
+export interface ParseItemContext extends QtiToBankContext {
+  /** Body nodes and image resolver of a referenced
+   *  qti-assessment-stimulus, or null when the package lacks it. */
+  loadStimulus(href: string): { nodes: XNode[]; ctx: QtiToBankContext } | null;
+}
+
+export class QtiItemError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'QtiItemError';
+  }
+}
+
+export function findAll(root: XNode, name: string): XNode[] {
+  const out: XNode[] = [];
+  const walk = (n: XNode) => {
+    for (const c of elementChildren(n)) {
+      if (localName(c) === name) out.push(c);
+      walk(c);
+    }
+  };
+  walk(root);
+  return out;
+}
+
+export function findFirst(root: XNode, name: string): XNode | null {
+  return findAll(root, name)[0] ?? null;
+}
+
+function classes(node: XNode): string[] {
+  return (attr(node, 'class') ?? '').split(/\s+/).filter(Boolean);
+}
+
+/** Children of a qti-content-body when there is one. */
+function contentNodes(node: XNode): XNode[] {
+  const body = elementChildren(node).find((c) => localName(c) === 'qti-content-body');
+  return Array.from((body ?? node).childNodes);
+}
+
+function values(node: XNode | null): string[] {
+  if (!node) return [];
+  return findAll(node, 'qti-value')
+    .map((v) => (v.textContent ?? '').trim())
+    .filter(Boolean);
+}
+
+function isInteraction(node: XNode): boolean {
+  return /^qti-.*-interaction$/.test(localName(node));
+}
+
+/** Parse a qti-assessment-item document element into bank fields.
+ *  Throws QtiItemError for items outside the supported subset. */
+export function parseQtiItem(root: XNode, ctx: ParseItemContext): ParsedItem {
+  if (localName(root) !== 'qti-assessment-item') {
+    throw new QtiItemError(`expected qti-assessment-item, found ${localName(root)}`);
+  }
+  const identifier = (attr(root, 'identifier') ?? '').trim();
+  if (!identifier) throw new QtiItemError('item has no identifier');
+  const warnings = ctx.warnings;
+  const convert = (nodes: XNode[], c: QtiToBankContext = ctx) => qtiToBankHtml(nodes, c);
+
+  const body = elementChildren(root).find((c) => localName(c) === 'qti-item-body');
+  if (!body) throw new QtiItemError('item has no qti-item-body');
+
+  const interactions = collectInteractions(body);
+  if (interactions.length !== 1) {
+    throw new QtiItemError(`expected one interaction, found ${interactions.length}`);
+  }
+  const interaction = interactions[0];
+  const kind = localName(interaction);
+  if (kind !== 'qti-choice-interaction' && kind !== 'qti-text-entry-interaction') {
+    throw new QtiItemError(`${kind} is not supported`);
+  }
+  const responseId = attr(interaction, 'response-identifier') ?? 'RESPONSE';
+  const declaration = elementChildren(root).find(
+    (c) => localName(c) === 'qti-response-declaration' && attr(c, 'identifier') === responseId,
+  );
+  if (!declaration) throw new QtiItemError(`no response declaration for ${responseId}`);
+
+  const correct = values(elementChildren(declaration).find((c) => localName(c) === 'qti-correct-response') ?? null);
+  const mapped = findAll(declaration, 'qti-map-entry')
+    .filter((e) => Number(attr(e, 'mapped-value') ?? '0') > 0)
+    .map((e) => (attr(e, 'map-key') ?? '').trim())
+    .filter(Boolean);
+  const accepted = [...new Set([...correct, ...mapped])];
+
+  // ── Stimulus: our wrapper div, else a referenced stimulus ──────
+  const stimulusParts: string[] = [];
+  for (const ref of findAll(root, 'qti-assessment-stimulus-ref')) {
+    const href = attr(ref, 'href') ?? '';
+    const loaded = href ? ctx.loadStimulus(href) : null;
+    if (!loaded) {
+      warnings.push(`Stimulus "${href}" is missing from the package.`);
+      continue;
+    }
+    const html = convert(loaded.nodes, loaded.ctx);
+    if (html) stimulusParts.push(html);
+  }
+  const stemNodes: XNode[] = [];
+  for (const child of Array.from(body.childNodes)) {
+    if (child.nodeType === 1 && localName(child) === 'div' && classes(child).includes('sw-stimulus')) {
+      const html = convert(Array.from(child.childNodes));
+      if (html) stimulusParts.push(html);
+    } else if (child.nodeType === 1 && localName(child) === 'div' && classes(child).includes('sw-stem')) {
+      stemNodes.push(...Array.from(child.childNodes));
+    } else {
+      stemNodes.push(child);
+    }
+  }
+
+  // ── Stem: body content (interactions skip), then the prompt ────
+  const prompt = elementChildren(interaction).find((c) => localName(c) === 'qti-prompt');
+  const stemParts = [convert(stemNodes), prompt ? convert(Array.from(prompt.childNodes)) : null].filter(
+    (p): p is string => p != null,
+  );
+  if (stemParts.length === 0) throw new QtiItemError('item has no stem content');
+
+  // ── Interaction → options + correct answer ─────────────────────
+  let questionType: 'mcq' | 'spr';
+  let options: BankOption[] | null = null;
+  let correctAnswer: BankCorrectAnswer;
+  if (kind === 'qti-choice-interaction') {
+    const choices = elementChildren(interaction).filter((c) => localName(c) === 'qti-simple-choice');
+    if (choices.length < 2) throw new QtiItemError('choice interaction has fewer than two choices');
+    const ids = choices.map((c) => attr(c, 'identifier') ?? '');
+    const keepIds = ids.every((id) => /^[A-Z]$/.test(id)) && new Set(ids).size === ids.length;
+    const labelFor = new Map(ids.map((id, i) => [id, keepIds ? id : String.fromCharCode(65 + i)]));
+    options = choices.map((c, i) => ({
+      label: labelFor.get(ids[i]) as string,
+      ordinal: i + 1,
+      content_html: convert(unwrapSingleParagraph(Array.from(c.childNodes))) ?? '',
+    }));
+    const empty = options.find((o) => !o.content_html);
+    if (empty) throw new QtiItemError(`choice ${empty.label} is empty`);
+    const labels = accepted.map((id) => labelFor.get(id)).filter((l): l is string => l != null);
+    if (labels.length === 0) throw new QtiItemError('no correct choice is declared');
+    if (Number(attr(interaction, 'max-choices') ?? '1') !== 1) {
+      warnings.push('Multiple-selection item imported as single-select with every correct choice accepted.');
+    }
+    questionType = 'mcq';
+    correctAnswer = mcqCorrectAnswer(labels);
+  } else {
+    if (accepted.length === 0) throw new QtiItemError('no accepted answer is declared');
+    questionType = 'spr';
+    correctAnswer = sprCorrectAnswer(accepted);
+  }
+
+  // ── Hints and rationale ────────────────────────────────────────
+  const hints: string[] = [];
+  for (const block of findAll(body, 'qti-rubric-block')) {
+    const isHint = attr(block, 'use') === 'hint' || classes(block).includes('hint');
+    if (!isHint) {
+      warnings.push(`Rubric block (view "${attr(block, 'view') ?? ''}") was not imported.`);
+      continue;
+    }
+    const html = convert(unwrapSingleParagraph(contentNodes(block)));
+    if (html) hints.push(html);
+  }
+  const feedback = elementChildren(root)
+    .filter((c) => localName(c) === 'qti-modal-feedback')
+    .map((f) => convert(contentNodes(f)))
+    .filter((h): h is string => h != null);
+
+  return {
+    identifier,
+    title: attr(root, 'title'),
+    questionType,
+    stemHtml: stemParts.join(''),
+    stimulusHtml: stimulusParts.length > 0 ? stimulusParts.join('') : null,
+    rationaleHtml: feedback.length > 0 ? feedback.join('') : null,
+    options,
+    hints,
+    correctAnswer,
+    warnings,
+  };
+}
+
+function collectInteractions(root: XNode): XNode[] {
+  const out: XNode[] = [];
+  const walk = (n: XNode) => {
+    for (const c of elementChildren(n)) {
+      if (isInteraction(c)) out.push(c);
+      else walk(c);
+    }
+  };
+  walk(root);
+  return out;
+}
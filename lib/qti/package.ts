@@ -0,0 +1,411 @@
+// QTI 3.0 content packages — imsmanifest.xml plus item and figure
+// files in a ZIP.
+//
+// Export layout:
+//
+//   imsmanifest.xml         one imsqti_item_xmlv3p0 resource per item,
+//                           each with inline LOM metadata and a
+//                           dependency on every figure it shows
+//   SW-<uuid>.xml           the items, at the root so their figure
+//                           srcs are plain "figures/…" paths
+//   figures/<sha>.<ext>     webcontent resources, content-addressed
+//
+// Taxonomy rides in LOM classification taxonPaths whose source is a
+// studyworks:* string (domain, skill, pattern, score_band); the bank
+// identity (display_code, source, source_external_id) rides in
+// general identifiers under studyworks:* catalogs. Difficulty maps to
+// the LOM vocabulary — 1 easy, 2 medium, 3 difficult. Other systems
+// ignore the catalogs they don't know; our import reads them back.
+//
+// Import walks the manifest rather than the ZIP listing: only item
+// resources become drafts, hrefs resolve relative to the file that
+// names them, and figures must be inside the package, of an allowed
+// image type, and (for SVG) free of script.
+//
+// Pure module — qti.test.mjs imports it directly.
+
+import { DOMParser } from 'linkedom';
+import { createZip, normalizeZipPath, readZip, ZipFormatError } from './zip.ts';
+import {
+  attr,
+  elementChildren,
+  escapeXml,
+  localName,
+  mediaTypeForPath,
+  PackageFigures,
+  type PackageFile,
+  type QtiToBankContext,
+  type TexToMathml,
+  type XNode,
+} from './html.ts';
+import {
+  buildQtiItem,
+  findAll,
+  findFirst,
+  parseQtiItem,
+  QtiItemError,
+  type ExportQuestion,
+  type ParsedItem,
+} from './item.ts';
+
+const IMSCP_NS = 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1';
+const IMSMD_NS = 'http://ltsc.ieee.org/xsd/LOM';
+export const ITEM_RESOURCE_TYPE = 'imsqti_item_xmlv3p0';
+const MANIFEST = 'imsmanifest.xml';
+
+const DIFFICULTY_TO_LOM: Record<number, string> = { 1: 'easy', 2: 'medium', 3: 'difficult' };
+const LOM_TO_DIFFICULTY: Record<string, number> = {
+  'very easy': 1,
+  easy: 1,
+  medium: 2,
+  difficult: 3,
+  'very difficult': 3,
+};
+
+export class QtiPackageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'QtiPackageError';
+  }
+}
+
+/** Bank identity and taxonomy carried in an item's LOM metadata. */
+export interface ItemMetadata {
+  displayCode: string | null;
+  source: string | null;
+  sourceExternalId: string | null;
+  domainCode: string | null;
+  domainName: string | null;
+  skillCode: string | null;
+  skillName: string | null;
+  patternId: string | null;
+  scoreBand: number | null;
+  difficulty: number | null;
+}
+
+// ── Export ──────────────────────────────────────────────────────
+
+function lomIdentifier(catalog: string, entry: string | null): string {
+  if (!entry) return '';
+  return (
+    `<imsmd:identifier><imsmd:catalog>studyworks:${catalog}</imsmd:catalog>` +
+    `<imsmd:entry>${escapeXml(entry)}</imsmd:entry></imsmd:identifier>`
+  );
+}
+
+function lomTaxonPath(source: string, id: string | null, entry: string | null): string {
+  if (!id) return '';
+  return (
+    `<imsmd:taxonPath><imsmd:source><imsmd:string>studyworks:${source}</imsmd:string></imsmd:source>` +
+    `<imsmd:taxon><imsmd:id>${escapeXml(id)}</imsmd:id>` +
+    `<imsmd:entry><imsmd:string>${escapeXml(entry ?? id)}</imsmd:string></imsmd:entry></imsmd:taxon></imsmd:taxonPath>`
+  );
+}
+
+function lomFor(q: ExportQuestion): string {
+  const difficulty = q.difficulty != null ? DIFFICULTY_TO_LOM[q.difficulty] : undefined;
+  return (
+    '<imsmd:lom>' +
+    '<imsmd:general>' +
+    lomIdentifier('display_code', q.display_code) +
+    lomIdentifier('source', q.source) +
+    lomIdentifier('source_external_id', q.source_external_id) +
+    '</imsmd:general>' +
+    (difficulty
+      ? '<imsmd:educational><imsmd:difficulty><imsmd:source>LOMv1.0</imsmd:source>' +
+        `<imsmd:value>${difficulty}</imsmd:value></imsmd:difficulty></imsmd:educational>`
+      : '') +
+    '<imsmd:classification><imsmd:purpose><imsmd:source>LOMv1.0</imsmd:source>' +
+    '<imsmd:value>discipline</imsmd:value></imsmd:purpose>' +
+    lomTaxonPath('domain', q.domain_code, q.domain_name) +
+    lomTaxonPath('skill', q.skill_code, q.skill_name) +
+    lomTaxonPath('pattern', q.pattern_id, null) +
+    lomTaxonPath('score_band', q.score_band != null ? String(q.score_band) : null, null) +
+    '</imsmd:classification>' +
+    '</imsmd:lom>'
+  );
+}
+
+function figureResourceId(path: string): string {
+  return `FIG-${path.replace(/^figures\//, '').replace(/\.[^.]+$/, '')}`;
+}
+
+export interface BuildPackageOptions {
+  texToMathml: TexToMathml;
+  /** Bytes for http(s) figure URLs, fetched by the caller. */
+  remoteFigures?: Map<string, PackageFile>;
+  now?: Date;
+}
+
+export interface BuildPackageResult {
+  zip: Buffer;
+  itemCount: number;
+  skipped: Array<{ id: string; displayCode: string | null; reason: string }>;
+  /** Figure URLs left absolute because their bytes weren't fetched. */
+  unresolvedFigures: string[];
+}
+
+export function buildQtiPackage(questions: ExportQuestion[], opts: BuildPackageOptions): BuildPackageResult {
+  const figures = new PackageFigures(opts.remoteFigures);
+  const files: Array<{ path: string; data: string | Uint8Array }> = [];
+  const resources: string[] = [];
+  const skipped: BuildPackageResult['skipped'] = [];
+
+  for (const q of questions) {
+    const built = buildQtiItem(q, { texToMathml: opts.texToMathml, figures });
+    if ('skipped' in built) {
+      skipped.push({ id: q.id, displayCode: q.display_code, reason: built.skipped });
+      continue;
+    }
+    const href = `${built.identifier}.xml`;
+    files.push({ path: href, data: built.xml });
+    const deps = [...new Set([...built.xml.matchAll(/\bsrc="(figures\/[^"]+)"/g)].map((m) => m[1]))];
+    resources.push(
+      `<resource identifier="${escapeXml(built.identifier)}" type="${ITEM_RESOURCE_TYPE}" href="${escapeXml(href)}">` +
+        `<metadata>${lomFor(q)}</metadata>` +
+        `<file href="${escapeXml(href)}"/>` +
+        deps.map((d) => `<dependency identifierref="${figureResourceId(d)}"/>`).join('') +
+        '</resource>',
+    );
+  }
+
+  for (const [path, file] of figures.files) {
+    files.push({ path, data: file.bytes });
+    resources.push(
+      `<resource identifier="${figureResourceId(path)}" type="webcontent" href="${path}"><file href="${path}"/></resource>`,
+    );
+  }
+
+  const manifest =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<manifest xmlns="${IMSCP_NS}" xmlns:imsmd="${IMSMD_NS}" identifier="MANIFEST-studyworks-${(opts.now ?? new Date()).getTime().toString(36)}">` +
+    '<metadata><schema>QTI Package</schema><schemaversion>3.0.0</schemaversion></metadata>' +
+    '<organizations/>' +
+    `<resources>${resources.join('')}</resources>` +
+    '</manifest>\n';
+
+  return {
+    zip: createZip([{ path: MANIFEST, data: manifest }, ...files], opts.now),
+    itemCount: questions.length - skipped.length,
+    skipped,
+    unresolvedFigures: [...figures.unresolved],
+  };
+}
+
+// ── Import ──────────────────────────────────────────────────────
+
+export function parseXml(text: string): XNode | null {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  return (doc.documentElement as unknown as XNode | null) ?? null;
+}
+
+function child(node: XNode | null | undefined, name: string): XNode | null {
+  return node ? (elementChildren(node).find((c) => localName(c) === name) ?? null) : null;
+}
+
+function text(node: XNode | null): string | null {
+  const t = node?.textContent?.trim();
+  return t ? t : null;
+}
+
+/** LOM langstring: a <string> child, else the element's own text. */
+function langString(node: XNode | null): string | null {
+  return text(child(node, 'string') ?? node);
+}
+
+export function readItemMetadata(resource: XNode): ItemMetadata {
+  const meta: ItemMetadata = {
+    displayCode: null,
+    source: null,
+    sourceExternalId: null,
+    domainCode: null,
+    domainName: null,
+    skillCode: null,
+    skillName: null,
+    patternId: null,
+    scoreBand: null,
+    difficulty: null,
+  };
+  const lom = findFirst(resource, 'lom');
+  if (!lom) return meta;
+
+  for (const id of findAll(lom, 'identifier')) {
+    const entry = text(child(id, 'entry'));
+    switch (text(child(id, 'catalog'))) {
+      case 'studyworks:display_code': meta.displayCode = entry; break;
+      case 'studyworks:source': meta.source = entry; break;
+      case 'studyworks:source_external_id': meta.sourceExternalId = entry; break;
+    }
+  }
+  for (const path of findAll(lom, 'taxonpath')) {
+    const taxon = child(path, 'taxon');
+    const id = text(child(taxon, 'id'));
+    const entry = langString(child(taxon, 'entry'));
+    switch (langString(child(path, 'source'))) {
+      case 'studyworks:domain': meta.domainCode = id; meta.domainName = entry; break;
+      case 'studyworks:skill': meta.skillCode = id; meta.skillName = entry; break;
+      case 'studyworks:pattern': meta.patternId = id; break;
+      case 'studyworks:score_band': meta.scoreBand = id && /^[1-7]$/.test(id) ? Number(id) : null; break;
+    }
+  }
+  const difficulty = text(child(child(findFirst(lom, 'educational'), 'difficulty'), 'value'));
+  meta.difficulty = difficulty ? (LOM_TO_DIFFICULTY[difficulty.toLowerCase()] ?? null) : null;
+  return meta;
+}
+
+/** Resolve an href relative to the package file that contains it. */
+export function resolveHref(fromFile: string, href: string): string | null {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('/')) return null;
+  const dir = fromFile.includes('/') ? fromFile.slice(0, fromFile.lastIndexOf('/') + 1) : '';
+  const clean = decodeURIComponent(href.split(/[?#]/)[0]);
+  const parts: string[] = [];
+  for (const part of `${dir}${clean}`.split('/')) {
+    if (part === '..') {
+      if (parts.length === 0) return null;
+      parts.pop();
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  }
+  return normalizeZipPath(parts.join('/'));
+}
+
+const UNSAFE_SVG = /<script\b|<foreignObject\b|\son[a-z]+\s*=|javascript:/i;
+
+export interface ReadPackageItem {
+  /** Package path of the item file. */
+  file: string;
+  identifier: string;
+  metadata: ItemMetadata;
+  item: ParsedItem | null;
+  error: string | null;
+  /** Package paths of the figures the item's HTML now points at. */
+  figures: string[];
+}
+
+export interface ReadPackageResult {
+  items: ReadPackageItem[];
+  figures: Map<string, PackageFile>;
+  warnings: string[];
+}
+
+export interface ReadPackageOptions {
+  /** URL a packaged figure will have once uploaded to the bank. */
+  figureUrl(path: string, file: PackageFile): string;
+  maxItems?: number;
+}
+
+/** Parse an uploaded package. Per-item problems are reported on the
+ *  item; a package that can't be read at all throws QtiPackageError. */
+export function readQtiPackage(bytes: Uint8Array, opts: ReadPackageOptions): ReadPackageResult {
+  let entries: Map<string, Buffer>;
+  try {
+    entries = readZip(bytes);
+  } catch (err) {
+    if (err instanceof ZipFormatError) throw new QtiPackageError(`Not a readable package: ${err.message}`);
+    throw err;
+  }
+  const manifestBytes = entries.get(MANIFEST);
+  if (!manifestBytes) throw new QtiPackageError('The package has no imsmanifest.xml at its root.');
+  const manifest = parseXml(manifestBytes.toString('utf8'));
+  if (!manifest || localName(manifest) !== 'manifest') {
+    throw new QtiPackageError('imsmanifest.xml is not an IMS content package manifest.');
+  }
+
+  const warnings: string[] = [];
+  const figures = new Map<string, PackageFile>();
+  const rejectedFigures = new Set<string>();
+
+  const figureFor = (path: string): PackageFile | null => {
+    const cached = figures.get(path);
+    if (cached) return cached;
+    const bytes = entries.get(path);
+    const mediaType = mediaTypeForPath(path);
+    if (!bytes || !mediaType) return null;
+    if (mediaType === 'image/svg+xml' && UNSAFE_SVG.test(bytes.toString('utf8'))) {
+      if (!rejectedFigures.has(path)) warnings.push(`${path} contains script and was not imported.`);
+      rejectedFigures.add(path);
+      return null;
+    }
+    const file = { mediaType, bytes };
+    figures.set(path, file);
+    return file;
+  };
+
+  const contextFor = (fromFile: string, used: Set<string>, itemWarnings: string[]): QtiToBankContext => ({
+    warnings: itemWarnings,
+    resolveImage(src) {
+      const path = resolveHref(fromFile, src);
+      const file = path ? figureFor(path) : null;
+      if (!path || !file) return null;
+      used.add(path);
+      return opts.figureUrl(path, file);
+    },
+  });
+
+  const resources = findAll(manifest, 'resource').filter((r) =>
+    (attr(r, 'type') ?? '').toLowerCase().startsWith('imsqti_item_xmlv3p0'),
+  );
+  const other = findAll(manifest, 'resource')
+    .map((r) => attr(r, 'type') ?? '')
+    .filter((t) => /^imsqti_item_xmlv2/i.test(t));
+  if (resources.length === 0) {
+    throw new QtiPackageError(
+      other.length > 0
+        ? 'This is a QTI 2.x package; only QTI 3.0 items (imsqti_item_xmlv3p0) can be imported.'
+        : 'The manifest lists no QTI 3.0 item resources.',
+    );
+  }
+  const maxItems = opts.maxItems ?? 2000;
+  if (resources.length > maxItems) {
+    throw new QtiPackageError(`The package has ${resources.length} items; the limit is ${maxItems} per import.`);
+  }
+
+  const items: ReadPackageItem[] = [];
+  for (const resource of resources) {
+    const href = attr(resource, 'href') ?? attr(child(resource, 'file'), 'href') ?? '';
+    const file = resolveHref(MANIFEST, href) ?? href;
+    const entry: ReadPackageItem = {
+      file,
+      identifier: attr(resource, 'identifier') ?? file,
+      metadata: readItemMetadata(resource),
+      item: null,
+      error: null,
+      figures: [],
+    };
+    items.push(entry);
+
+    const xml = entries.get(file);
+    if (!xml) {
+      entry.error = `${file} is missing from the package`;
+      continue;
+    }
+    const root = parseXml(xml.toString('utf8'));
+    if (!root) {
+      entry.error = `${file} is not well-formed XML`;
+      continue;
+    }
+    const used = new Set<string>();
+    const itemWarnings: string[] = [];
+    try {
+      entry.item = parseQtiItem(root, {
+        ...contextFor(file, used, itemWarnings),
+        loadStimulus(stimulusHref) {
+          const path = resolveHref(file, stimulusHref);
+          const stimulusXml = path ? entries.get(path) : null;
+          const stimulus = stimulusXml ? parseXml(stimulusXml.toString('utf8')) : null;
+          const body = child(stimulus, 'qti-stimulus-body');
+          if (!path || !body) return null;
+          return { nodes: Array.from(body.childNodes), ctx: contextFor(path, used, itemWarnings) };
+        },
+      });
+      entry.identifier = entry.item.identifier;
+      entry.figures = [...used];
+    } catch (err) {
+      if (!(err instanceof QtiItemError)) throw err;
+      entry.error = err.message;
+    }
+  }
+
+  return { items, figures, warnings };
+}
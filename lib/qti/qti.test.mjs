@@ -0,0 +1,314 @@
+// Unit tests for QTI 3.0 export/import: bank HTML ↔ QTI XHTML, item
+// build/parse, the content package and the draft import planner.
+//
+// The headline property is the round trip — exporting a question and
+// importing the package back plans nothing ("unchanged"), so a
+// partner can edit one item in a large export without the review
+// queue filling with serializer noise.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { texToMathml } from '../content/render-math.mjs';
+import { createZip } from './zip.ts';
+import { PackageFigures, bankHtmlToQti, figureUrlsIn } from './html.ts';
+import { questionIdFromIdentifier } from './item.ts';
+import { QtiPackageError, buildQtiPackage, readQtiPackage } from './package.ts';
+import { planQtiImport } from './import-plan.ts';
+
+const ID_MCQ = '11111111-2222-4333-8444-555555555555';
+const ID_SPR = '66666666-7777-4888-9999-aaaaaaaaaaaa';
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001', 'hex');
+const PNG_URI = `data:image/png;base64,${PNG.toString('base64')}`;
+
+function question(overrides = {}) {
+  return {
+    id: ID_MCQ,
+    display_code: 'M-00042',
+    question_type: 'mcq',
+    stem_html: '<p class="stem_paragraph">If \\(x < 3\\) and <math><mi>y</mi><mo>=</mo><mn>2</mn></math>, what is <b>x</b>?</p>',
+    stimulus_html: '<p class="stimulus_paragraph" style="color:red">A table.</p><img src="' + PNG_URI + '" alt="graph" style="max-width:100%;" />',
+    rationale_html: '<p>Choice B is correct because \\[x = 2\\].</p>',
+    options: [
+      { label: 'A', ordinal: 1, content_html: '\\(1\\)' },
+      { label: 'B', ordinal: 2, content_html: '\\(2\\)' },
+      { label: 'C', ordinal: 3, content_html: 'three' },
+      { label: 'D', ordinal: 4, content_html: '<math><mn>4</mn></math>' },
+    ],
+    correct_answer: { option_label: 'B', option_labels: null, text: null, number: null, tolerance: null },
+    hints: ['Start from \\(x < 3\\).', 'Try <em>each</em> choice.'],
+    domain_code: 'H',
+    domain_name: 'Algebra',
+    skill_code: 'H.A.',
+    skill_name: 'Linear equations in one variable',
+    difficulty: 2,
+    score_band: 4,
+    pattern_id: null,
+    source: 'studyworks',
+    source_external_id: null,
+    ...overrides,
+  };
+}
+
+const spr = question({
+  id: ID_SPR,
+  display_code: 'M-00043',
+  question_type: 'spr',
+  stimulus_html: null,
+  options: null,
+  correct_answer: { text: '["1/4", ".25"]', number: null, tolerance: null, option_label: null, option_labels: null },
+  hints: [],
+});
+
+const figureUrl = (path) => `https://cdn.example/question-figures/${path.split('/').pop()}`;
+
+function planContext(live, overrides = {}) {
+  return {
+    fileName: 'export.zip',
+    source: 'qti-import',
+    byId: new Map(live.map((q) => [q.id, q])),
+    byExternalId: new Map(),
+    openDraftQuestionIds: new Set(),
+    openNewDraftExternalIds: new Set(),
+    patternIds: new Set(),
+    figureUrl,
+    ...overrides,
+  };
+}
+
+function exportAndRead(questions) {
+  const built = buildQtiPackage(questions, { texToMathml, now: new Date('2026-10-19T12:00:00Z') });
+  return { built, read: readQtiPackage(built.zip, { figureUrl }) };
+}
+
+// ---------- HTML conversion ----------
+
+test('bankHtmlToQti emits XHTML with annotated TeX and packaged figures', () => {
+  const figures = new PackageFigures();
+  const out = bankHtmlToQti(question().stimulus_html + question().stem_html, { texToMathml, figures, block: true });
+  assert.match(out, /<annotation encoding="application\/x-tex">x &lt; 3<\/annotation>/);
+  assert.match(out, /<math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML"><mi>y<\/mi>/);
+  assert.match(out, /<img src="figures\/[0-9a-f]{32}\.png" alt="graph"\/>/);
+  assert.ok(!out.includes('style='));
+  assert.equal(figures.files.size, 1);
+});
+
+test('bankHtmlToQti wraps loose inline runs and drops scripts', () => {
+  const figures = new PackageFigures();
+  const out = bankHtmlToQti('Loose <i>text</i><script>alert(1)</script><p>block</p>tail', {
+    texToMathml,
+    figures,
+    block: true,
+  });
+  assert.equal(out, '<p>Loose <i>text</i></p><p>block</p><p>tail</p>');
+});
+
+test('inline SVG figures become packaged files with camelCase intact', () => {
+  const figures = new PackageFigures();
+  const out = bankHtmlToQti('<p><svg viewBox="0 0 10 10"><path d="M0 0"/></svg></p>', { texToMathml, figures });
+  assert.match(out, /<img src="figures\/[0-9a-f]+\.svg" alt=""\/>/);
+  const [file] = figures.files.values();
+  assert.match(file.bytes.toString('utf8'), /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox=/);
+});
+
+test('figureUrlsIn lists remote image URLs once', () => {
+  const html = '<img src="https://x/a.png"><img src=\'https://x/a.png\'><img src="data:image/png;base64,AA">';
+  assert.deepEqual(figureUrlsIn(html), ['https://x/a.png']);
+  assert.deepEqual(figureUrlsIn(null), []);
+});
+
+// ---------- Package round trip ----------
+
+test('a package lists every item with LOM metadata and its figures', () => {
+  const { built, read } = exportAndRead([question(), spr, question({ id: 'x', question_type: 'grid' })]);
+  assert.equal(built.itemCount, 2);
+  assert.equal(built.skipped.length, 1);
+  assert.match(built.skipped[0].reason, /no QTI mapping/);
+
+  assert.equal(read.items.length, 2);
+  const [mcq, text] = read.items;
+  assert.equal(questionIdFromIdentifier(mcq.identifier), ID_MCQ);
+  assert.equal(mcq.metadata.displayCode, 'M-00042');
+  assert.equal(mcq.metadata.domainCode, 'H');
+  assert.equal(mcq.metadata.skillName, 'Linear equations in one variable');
+  assert.equal(mcq.metadata.difficulty, 2);
+  assert.equal(mcq.metadata.scoreBand, 4);
+  assert.equal(mcq.figures.length, 1);
+  assert.equal(read.figures.size, 1);
+
+  assert.equal(mcq.item.questionType, 'mcq');
+  assert.deepEqual(mcq.item.options.map((o) => o.label), ['A', 'B', 'C', 'D']);
+  assert.equal(mcq.item.options[0].content_html, '\\(1\\)');
+  assert.equal(mcq.item.correctAnswer.option_label, 'B');
+  // TeX comes back HTML-escaped: the same markup as the bank's raw `<`.
+  assert.deepEqual(mcq.item.hints, ['Start from \\(x &lt; 3\\).', 'Try <em>each</em> choice.']);
+  assert.match(mcq.item.stemHtml, /If \\\(x &lt; 3\\\) and <math><mi>y<\/mi>/);
+  assert.match(mcq.item.rationaleHtml, /\\\[x = 2\\\]/);
+  assert.match(mcq.item.stimulusHtml, /https:\/\/cdn\.example\/question-figures\/[0-9a-f]+\.png/);
+
+  assert.equal(text.item.questionType, 'spr');
+  assert.equal(text.item.correctAnswer.text, '["1/4",".25"]');
+  assert.equal(text.item.stimulusHtml, null);
+});
+
+test('re-importing an untouched export plans no drafts', () => {
+  const live = [question(), spr];
+  const { read } = exportAndRead(live);
+  const plan = planQtiImport(read.items, planContext(live));
+  assert.deepEqual(plan.counts, { update: 0, create: 0, unchanged: 2, skip: 0 });
+});
+
+test('an edited item drafts only the fields that changed', () => {
+  const live = [question()];
+  const edited = question({
+    stem_html: question().stem_html.replace('what is', 'find'),
+    correct_answer: { option_label: 'C', option_labels: null, text: null, number: null, tolerance: null },
+  });
+  const { read } = exportAndRead([edited]);
+  const plan = planQtiImport(read.items, planContext(live));
+  assert.equal(plan.counts.update, 1);
+  const [entry] = plan.entries;
+  assert.deepEqual(entry.fields, ['stem']);
+  assert.equal(entry.draft.question_id, ID_MCQ);
+  assert.match(entry.draft.stem_html, /find <b>x<\/b>/);
+  assert.equal(entry.draft.options, null);
+  assert.equal(entry.draft.hints, null);
+  assert.match(entry.draft.notes, /^QTI import · export\.zip · item SW-/);
+  assert.match(entry.draft.notes, /answer key \(C\) differs from the bank's \(B\)/);
+});
+
+test('open drafts and type changes are skipped, not overwritten', () => {
+  const { read } = exportAndRead([question()]);
+  const busy = planQtiImport(read.items, planContext([question()], { openDraftQuestionIds: new Set([ID_MCQ]) }));
+  assert.equal(busy.entries[0].kind, 'skip');
+  assert.match(busy.entries[0].reason, /open draft/);
+
+  const retyped = planQtiImport(read.items, planContext([question({ question_type: 'spr' })]));
+  assert.equal(retyped.entries[0].kind, 'skip');
+});
+
+test('unknown items become new-question drafts with validated taxonomy', () => {
+  const { read } = exportAndRead([question({ domain_code: 'H', skill_code: 'nope', pattern_id: 'p-1' })]);
+  const plan = planQtiImport(read.items, planContext([]));
+  assert.equal(plan.counts.create, 1);
+  const { draft } = plan.entries[0];
+  assert.equal(draft.question_id, null);
+  assert.equal(draft.new_question.question_type, 'mcq');
+  assert.equal(draft.new_question.domain_code, 'H');
+  assert.equal(draft.new_question.skill_code, null);
+  assert.equal(draft.new_question.pattern_id, null);
+  assert.equal(draft.new_question.source, 'qti-import');
+  assert.equal(draft.new_question.source_external_id, `SW-${ID_MCQ}`);
+  assert.equal(draft.new_question.correct_answer.option_label, 'B');
+  assert.match(draft.notes, /Unknown skill "nope"/);
+  assert.ok(draft.stem_html && draft.options.length === 4);
+
+  const again = planQtiImport(
+    read.items,
+    planContext([], { openNewDraftExternalIds: new Set([`SW-${ID_MCQ}`]) }),
+  );
+  assert.equal(again.entries[0].kind, 'skip');
+});
+
+// ---------- Partner packages ----------
+
+const MANIFEST = `<?xml version="1.0"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1" identifier="M1">
+  <resources>
+    <resource identifier="item-7" type="imsqti_item_xmlv3p0" href="items/item-7.xml"><file href="items/item-7.xml"/></resource>
+    <resource identifier="item-8" type="imsqti_item_xmlv3p0" href="items/item-8.xml"><file href="items/item-8.xml"/></resource>
+    <resource identifier="st-1" type="imsqti_stimulus_xmlv3p0" href="stimuli/st-1.xml"><file href="stimuli/st-1.xml"/></resource>
+  </resources>
+</manifest>`;
+
+const PARTNER_ITEM = `<?xml version="1.0"?>
+<qti-assessment-item xmlns="http://www.imsglobal.org/xsd/imsqtiasi_v3p0" identifier="item-7" title="Partner 7">
+  <qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="identifier">
+    <qti-correct-response><qti-value>choice2</qti-value></qti-correct-response>
+  </qti-response-declaration>
+  <qti-assessment-stimulus-ref identifier="st-1" href="../stimuli/st-1.xml"/>
+  <qti-item-body>
+    <p>Which word <span onclick="x()">fits</span>?</p>
+    <qti-choice-interaction response-identifier="RESPONSE" max-choices="1">
+      <qti-prompt>Choose one.</qti-prompt>
+      <qti-simple-choice identifier="choice1"><p>alpha</p></qti-simple-choice>
+      <qti-simple-choice identifier="choice2">beta <img src="../img/evil.svg"/></qti-simple-choice>
+    </qti-choice-interaction>
+  </qti-item-body>
+</qti-assessment-item>`;
+
+const STIMULUS = `<?xml version="1.0"?>
+<qti-assessment-stimulus xmlns="http://www.imsglobal.org/xsd/imsqtiasi_v3p0" identifier="st-1" title="Passage">
+  <qti-stimulus-body><p>The passage <img src="../img/fig.png" alt="fig"/></p></qti-stimulus-body>
+</qti-assessment-stimulus>`;
+
+const HOTSPOT_ITEM = `<?xml version="1.0"?>
+<qti-assessment-item xmlns="http://www.imsglobal.org/xsd/imsqtiasi_v3p0" identifier="item-8">
+  <qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="identifier"/>
+  <qti-item-body><qti-hotspot-interaction response-identifier="RESPONSE"/></qti-item-body>
+</qti-assessment-item>`;
+
+test('partner packages: prompts, stimulus refs, relabelled choices, unsafe SVG', () => {
+  const zip = createZip([
+    { path: 'imsmanifest.xml', data: MANIFEST },
+    { path: 'items/item-7.xml', data: PARTNER_ITEM },
+    { path: 'items/item-8.xml', data: HOTSPOT_ITEM },
+    { path: 'stimuli/st-1.xml', data: STIMULUS },
+    { path: 'img/fig.png', data: PNG },
+    { path: 'img/evil.svg', data: '<svg onload="alert(1)"></svg>' },
+  ]);
+  const read = readQtiPackage(zip, { figureUrl });
+  const [seven, eight] = read.items;
+
+  assert.equal(seven.item.stemHtml, '<p>Which word <span>fits</span>?</p>Choose one.');
+  assert.match(seven.item.stimulusHtml, /^<p>The passage <img src="https:\/\/cdn\.example\/question-figures\/fig\.png" alt="fig" \/><\/p>$/);
+  assert.deepEqual(seven.item.options.map((o) => [o.label, o.content_html]), [['A', 'alpha'], ['B', 'beta']]);
+  assert.equal(seven.item.correctAnswer.option_label, 'B');
+  assert.deepEqual(seven.figures, ['img/fig.png']);
+  assert.ok(read.warnings.some((w) => /evil\.svg contains script/.test(w)));
+  assert.ok(seven.item.warnings.some((w) => /evil\.svg/.test(w)));
+
+  assert.equal(eight.item, null);
+  assert.match(eight.error, /hotspot-interaction is not supported/);
+
+  const plan = planQtiImport(read.items, planContext([], { source: 'acme' }));
+  assert.deepEqual(plan.counts, { update: 0, create: 1, unchanged: 0, skip: 1 });
+  assert.equal(plan.entries[0].draft.new_question.source, 'acme');
+  assert.equal(plan.entries[0].draft.new_question.title, 'Partner 7');
+});
+
+test('markup in a TeX annotation comes back as text, never as HTML', () => {
+  const item = `<?xml version="1.0"?>
+<qti-assessment-item xmlns="http://www.imsglobal.org/xsd/imsqtiasi_v3p0" identifier="item-9">
+  <qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="string">
+    <qti-correct-response><qti-value>2</qti-value></qti-correct-response>
+  </qti-response-declaration>
+  <qti-item-body>
+    <p>Solve <math xmlns="http://www.w3.org/1998/Math/MathML"><semantics><mi>x</mi>` +
+    `<annotation encoding="application/x-tex">x &lt;img src=x onerror=alert(1)&gt; &amp; y</annotation></semantics></math>.</p>
+    <qti-text-entry-interaction response-identifier="RESPONSE"/>
+  </qti-item-body>
+</qti-assessment-item>`;
+  const manifest = MANIFEST.replace(/<resource identifier="item-8"[\s\S]*<\/resources>/, '</resources>')
+    .replaceAll('item-7', 'item-9');
+  const zip = createZip([
+    { path: 'imsmanifest.xml', data: manifest },
+    { path: 'items/item-9.xml', data: item },
+  ]);
+  const [nine] = readQtiPackage(zip, { figureUrl }).items;
+
+  assert.equal(nine.item.stemHtml, '<p>Solve \\(x &lt;img src=x onerror=alert(1)&gt; &amp; y\\).</p>');
+  assert.doesNotMatch(nine.item.stemHtml, /<img/);
+});
+
+test('readQtiPackage rejects packages it cannot import', () => {
+  assert.throws(() => readQtiPackage(Buffer.from('nope'), { figureUrl }), QtiPackageError);
+  assert.throws(
+    () => readQtiPackage(createZip([{ path: 'a.xml', data: '<x/>' }]), { figureUrl }),
+    /no imsmanifest\.xml/,
+  );
+  const qti2 = MANIFEST.replaceAll('imsqti_item_xmlv3p0', 'imsqti_item_xmlv2p2');
+  assert.throws(
+    () => readQtiPackage(createZip([{ path: 'imsmanifest.xml', data: qti2 }]), { figureUrl }),
+    /QTI 2\.x package/,
+  );
+});
@@ -0,0 +1,56 @@
+// Unit tests for the QTI package ZIP reader/writer.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { ZipFormatError, crc32, createZip, normalizeZipPath, readZip } from './zip.ts';
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+test('createZip → readZip round-trips text and binary entries', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]);
+  const xml = '<?xml version="1.0"?><x>' + 'é'.repeat(500) + '</x>';
+  const zip = createZip([
+    { path: 'imsmanifest.xml', data: xml },
+    { path: 'figures/a.png', data: png },
+    { path: './items\\b.xml', data: '' },
+  ]);
+  const files = readZip(zip);
+  assert.deepEqual([...files.keys()], ['imsmanifest.xml', 'figures/a.png', 'items/b.xml']);
+  assert.equal(files.get('imsmanifest.xml').toString('utf8'), xml);
+  assert.deepEqual(files.get('figures/a.png'), png);
+  assert.equal(files.get('items/b.xml').length, 0);
+});
+
+test('normalizeZipPath refuses to climb out of the archive', () => {
+  assert.equal(normalizeZipPath('a/./b//c.xml'), 'a/b/c.xml');
+  assert.equal(normalizeZipPath('../etc/passwd'), null);
+  assert.equal(normalizeZipPath('a/../../b'), null);
+  assert.equal(normalizeZipPath('/'), null);
+  assert.throws(() => createZip([{ path: 'a.xml', data: '' }, { path: 'a.xml', data: '' }]), ZipFormatError);
+});
+
+test('readZip rejects garbage, corruption and oversize archives', () => {
+  assert.throws(() => readZip(Buffer.from('not a zip at all, definitely not')), ZipFormatError);
+
+  const zip = createZip([{ path: 'a.txt', data: 'hello hello hello hello hello' }]);
+  const corrupt = Buffer.from(zip);
+  corrupt[35] ^= 0xff; // inside the entry body
+  assert.throws(() => readZip(corrupt), ZipFormatError);
+
+  assert.throws(() => readZip(zip, { maxTotalBytes: 10 }), /size limit/);
+  const many = createZip([{ path: 'a', data: 'x' }, { path: 'b', data: 'y' }]);
+  assert.throws(() => readZip(many, { maxEntries: 1 }), /Too many entries/);
+});
+
+test('readZip refuses an entry that inflates past its declared size', () => {
+  const big = Buffer.alloc(4096, 0x61);
+  const zip = createZip([{ path: 'a.txt', data: big }]);
+  // Lie about the uncompressed size in the central directory.
+  const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  zip.writeUInt32LE(16, central + 24);
+  assert.throws(() => readZip(zip), ZipFormatError);
+  assert.ok(deflateRawSync(big).length < big.length);
+});
@@ -0,0 +1,221 @@
+// Minimal ZIP reader/writer for QTI content packages.
+//
+// A QTI package is an IMS content package: a plain ZIP with
+// imsmanifest.xml at the root. No archive library is installed, and
+// the subset a package needs is small — stored and deflated entries,
+// UTF-8 names, no encryption, no ZIP64 — so this module implements
+// exactly that on node:zlib.
+//
+// The reader is the trust boundary for uploaded packages. It refuses
+// what it doesn't implement rather than guessing, and caps the entry
+// count and total inflated size so a zip bomb fails fast instead of
+// exhausting the function's memory.
+//
+// Pure module — zip.test.mjs imports it directly.
+
+import { deflateRawSync, inflateRawSync } from 'node:zlib';
+
+export interface ZipEntryInput {
+  path: string;
+  data: Uint8Array | string;
+}
+
+export interface ReadZipOptions {
+  maxEntries?: number;
+  maxTotalBytes?: number;
+}
+
+export class ZipFormatError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ZipFormatError';
+  }
+}
+
+const LOCAL_SIG = 0x04034b50;
+const CENTRAL_SIG = 0x02014b50;
+const END_SIG = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+
+// Already-compressed formats are stored; deflating them again only
+// costs CPU.
+const STORE_EXT = /\.(png|jpe?g|gif|webp|zip)$/i;
+
+let crcTable: Uint32Array | null = null;
+
+export function crc32(data: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d: Date): { time: number; date: number } {
+  const year = Math.max(1980, d.getUTCFullYear());
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate(),
+  };
+}
+
+/** Archive paths are relative, forward-slashed and never climb out. */
+export function normalizeZipPath(path: string): string | null {
+  const parts: string[] = [];
+  for (const part of path.replace(/\\/g, '/').split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') return null;
+    parts.push(part);
+  }
+  return parts.length > 0 ? parts.join('/') : null;
+}
+
+export function createZip(entries: ZipEntryInput[], now: Date = new Date()): Buffer {
+  const { time, date } = dosDateTime(now);
+  const locals: Buffer[] = [];
+  const centrals: Buffer[] = [];
+  let offset = 0;
+  const seen = new Set<string>();
+
+  for (const entry of entries) {
+    const path = normalizeZipPath(entry.path);
+    if (!path) throw new ZipFormatError(`Invalid archive path: ${entry.path}`);
+    if (seen.has(path)) throw new ZipFormatError(`Duplicate archive path: ${path}`);
+    seen.add(path);
+
+    const raw = typeof entry.data === 'string' ? Buffer.from(entry.data, 'utf8') : Buffer.from(entry.data);
+    const deflated = STORE_EXT.test(path) ? null : deflateRawSync(raw);
+    const useDeflate = deflated !== null && deflated.length < raw.length;
+    const body = useDeflate ? deflated : raw;
+    const method = useDeflate ? METHOD_DEFLATE : METHOD_STORE;
+    const name = Buffer.from(path, 'utf8');
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIG, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIG, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_SIG, 0);
+  end.writeUInt16LE(seen.size, 8);
+  end.writeUInt16LE(seen.size, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function findEnd(buf: Buffer): number {
+  const min = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === END_SIG) return i;
+  }
+  throw new ZipFormatError('Not a ZIP archive');
+}
+
+/** Read every file entry into memory, keyed by normalized path.
+ *  Directory entries are skipped. */
+export function readZip(input: Uint8Array, options: ReadZipOptions = {}): Map<string, Buffer> {
+  const maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  const maxTotal = options.maxTotalBytes ?? DEFAULT_MAX_TOTAL_BYTES;
+  const buf = Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+  if (buf.length < 22) throw new ZipFormatError('Not a ZIP archive');
+
+  const end = findEnd(buf);
+  const count = buf.readUInt16LE(end + 10);
+  const centralOffset = buf.readUInt32LE(end + 16);
+  if (count === 0xffff || centralOffset === 0xffffffff) {
+    throw new ZipFormatError('ZIP64 archives are not supported');
+  }
+  if (count > maxEntries) throw new ZipFormatError(`Too many entries (${count} > ${maxEntries})`);
+
+  const files = new Map<string, Buffer>();
+  let total = 0;
+  let p = centralOffset;
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== CENTRAL_SIG) {
+      throw new ZipFormatError('Corrupt central directory');
+    }
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const crc = buf.readUInt32LE(p + 16);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const rawName = buf.subarray(p + 46, p + 46 + nameLen).toString(flags & UTF8_FLAG ? 'utf8' : 'latin1');
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (rawName.endsWith('/')) continue;
+    if (flags & 0x1) throw new ZipFormatError(`Encrypted entry: ${rawName}`);
+    if (method !== METHOD_STORE && method !== METHOD_DEFLATE) {
+      throw new ZipFormatError(`Unsupported compression for ${rawName}`);
+    }
+    const path = normalizeZipPath(rawName);
+    if (!path) throw new ZipFormatError(`Invalid entry path: ${rawName}`);
+
+    total += size;
+    if (total > maxTotal) throw new ZipFormatError('Archive expands beyond the size limit');
+
+    if (localOffset + 30 > buf.length || buf.readUInt32LE(localOffset) !== LOCAL_SIG) {
+      throw new ZipFormatError(`Corrupt local header for ${rawName}`);
+    }
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    if (dataStart + compressedSize > buf.length) throw new ZipFormatError(`Truncated entry: ${rawName}`);
+    const body = buf.subarray(dataStart, dataStart + compressedSize);
+
+    let data: Buffer;
+    try {
+      data = method === METHOD_STORE ? Buffer.from(body) : inflateRawSync(body, { maxOutputLength: size + 1 });
+    } catch {
+      throw new ZipFormatError(`Could not inflate ${rawName}`);
+    }
+    if (data.length !== size || crc32(data) !== crc) {
+      throw new ZipFormatError(`Checksum mismatch for ${rawName}`);
+    }
+    files.set(path, data);
+  }
+  return files;
+}
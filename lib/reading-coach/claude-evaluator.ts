@@ -0,0 +1,107 @@
+// Claude-backed Reading Coach evaluator, and the server-side choice of
+// evaluator for the runner.
+//
+// One Messages API call per turn with a forced, strict tool
+// (prompt.ts) and no extended thinking; the tool input goes through
+// parseEvaluatorOutput, so anything off-contract throws and the
+// fallback answers instead. Calls go through the shared raw-fetch
+// helper (lib/admin/claude.js) with a short retry budget and an abort
+// timeout — a student is waiting on this.
+//
+// getReadingCoachEvaluator() picks the implementation:
+//   READING_COACH_EVALUATOR=rubric → the deterministic evaluator only
+//   otherwise, with ANTHROPIC_API_KEY → Claude, falling back to the
+//                                      rubric evaluator on any failure
+//   no key                          → the deterministic evaluator
+// The model is READING_COACH_MODEL (server-only); the actual model ID
+// the API reports is what lands on the turn.
+
+import { fetchClaudeMessages, extractToolUse } from '@/lib/admin/claude';
+import { logger } from '@/lib/api/logger';
+import {
+  EvaluatorOutputError,
+  parseEvaluatorOutput,
+  withFallback,
+  type EvaluatorRun,
+  type ReadingCoachEvaluator,
+} from './evaluator.ts';
+import {
+  EVALUATION_TOOL_NAME,
+  READING_COACH_PROMPT_VERSION,
+  buildEvaluationTool,
+  buildEvaluatorSystemPrompt,
+  buildEvaluatorUserMessage,
+} from './prompt.ts';
+import { createRubricEvaluator } from './rubric-evaluator.ts';
+
+const DEFAULT_MODEL = 'claude-sonnet-4-6';
+const TIMEOUT_MS = 20_000;
+const MAX_TOKENS = 600;
+
+interface MessagesResponse {
+  model?: string;
+  stop_reason?: string;
+  usage?: {
+    input_tokens?: number;
+    output_tokens?: number;
+    cache_read_input_tokens?: number;
+  };
+}
+
+export function createClaudeEvaluator(opts: { model?: string; timeoutMs?: number } = {}): ReadingCoachEvaluator {
+  const model = opts.model ?? DEFAULT_MODEL;
+  return {
+    name: `claude:${model}`,
+    async evaluate(request): Promise<EvaluatorRun> {
+      const started = Date.now();
+      const unitKeys = request.units.map((u) => u.key);
+      const response = (await fetchClaudeMessages(
+        {
+          model,
+          max_tokens: MAX_TOKENS,
+          system: buildEvaluatorSystemPrompt(),
+          tools: [buildEvaluationTool(unitKeys)],
+          tool_choice: { type: 'tool', name: EVALUATION_TOOL_NAME },
+          messages: [{ role: 'user', content: buildEvaluatorUserMessage(request) }],
+        },
+        { signal: AbortSignal.timeout(opts.timeoutMs ?? TIMEOUT_MS), maxAttempts: 2 },
+      )) as MessagesResponse;
+
+      const input = extractToolUse(response, EVALUATION_TOOL_NAME);
+      if (!input) {
+        throw new EvaluatorOutputError(`No ${EVALUATION_TOOL_NAME} call (stop_reason ${response.stop_reason ?? 'unknown'})`);
+      }
+      return {
+        evaluation: parseEvaluatorOutput(input, unitKeys),
+        modelId: response.model ?? model,
+        promptVersion: READING_COACH_PROMPT_VERSION,
+        usage: {
+          inputTokens: response.usage?.input_tokens ?? null,
+          outputTokens: response.usage?.output_tokens ?? null,
+          cacheReadTokens: response.usage?.cache_read_input_tokens ?? null,
+        },
+        latencyMs: Date.now() - started,
+      };
+    },
+  };
+}
+
+export function getReadingCoachEvaluator(): ReadingCoachEvaluator {
+  const rubric = createRubricEvaluator();
+  if (process.env.READING_COACH_EVALUATOR === 'rubric' || !process.env.ANTHROPIC_API_KEY) {
+    return rubric;
+  }
+  const claude = createClaudeEvaluator({ model: process.env.READING_COACH_MODEL || undefined });
+  return withFallback(claude, rubric, (err) => {
+    // Failure class only — never the student's text or the raw
+    // provider body (plan "Limits, privacy, and failure handling").
+    logger.warn(
+      {
+        event: 'reading_coach_evaluator_fallback',
+        evaluator: claude.name,
+        failure: err instanceof Error ? err.name : 'Error',
+      },
+      'reading_coach_evaluator_fallback',
+    );
+  });
+}
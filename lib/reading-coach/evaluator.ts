@@ -0,0 +1,330 @@
+// Reading Coach evaluator contract.
+//
+// The runner never talks to a model directly: it builds an
+// EvaluationRequest from the session's immutable item version and
+// hands it to a ReadingCoachEvaluator. Two implementations exist:
+//
+//   claude-evaluator.ts — the Claude-backed evaluator (forced tool
+//                         output, server-only; plan "Claude evaluator")
+//   rubric-evaluator.ts — deterministic matching against the stored
+//                         StoredVersionRubric, for development, tests
+//                         and fallback when the model is unavailable
+//
+// withFallback() chains them: a thrown primary (timeout, 5xx, schema-
+// invalid output) is answered by the fallback, so a provider outage
+// degrades feedback quality instead of trapping the student.
+//
+// Both produce the same normalized ReadingCoachEvaluation. Rubric
+// strings (missingIdeas etc.) stay server-side — the route returns
+// only the verdict, error code and student feedback.
+//
+// Pure module: no IO, no `@/` runtime imports — the evaluator tests
+// import it directly.
+
+import { htmlTextContent } from './schema.ts';
+import type {
+  ReadingCoachStage,
+  ReadingCoachTaskType,
+  ReadingCoachVerdict,
+  StoredVersionRubric,
+} from './types.ts';
+
+/** Normalized evaluator error codes. Authored choices carry their own
+ *  error_code vocabulary (reversal, wrong_actor, …); the evaluator
+ *  codes overlap it deliberately so a debrief can line the two up. */
+export const READING_COACH_ERROR_CODES = [
+  'missing_idea',
+  'missing_relation',
+  'unsupported_addition',
+  'reversal',
+  'wrong_actor',
+  'wrong_task',
+  'excessive_inference',
+  'too_vague',
+] as const;
+export type ReadingCoachErrorCode = (typeof READING_COACH_ERROR_CODES)[number];
+
+const ERROR_LABELS: Record<string, string> = {
+  missing_idea: 'Left out an important idea',
+  missing_relation: 'Missed how the ideas connect',
+  unsupported_addition: 'Added something the passage never says',
+  reversal: 'Reversed what the passage says',
+  wrong_actor: 'Attributed a view to the wrong person',
+  wrong_task: 'Answered a different question',
+  excessive_inference: 'Went further than the passage supports',
+  too_vague: 'Too vague to pin down',
+  contradicted_detail: 'Contradicts a detail in the passage',
+  wrong_relation: 'Misread how the parts relate',
+};
+
+/** Student-facing label for an evaluator or authored-choice error
+ *  code. Unknown authored codes are humanized rather than hidden. */
+export function readingCoachErrorLabel(code: string): string {
+  if (ERROR_LABELS[code]) return ERROR_LABELS[code];
+  const words = code.replace(/_/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/** One stage's rubric, flattened to a common shape. Fields a stage
+ *  doesn't author are empty arrays (e.g. `wrongTasks` outside task). */
+export interface StageRubric {
+  canonical: string;
+  requiredIdeas: string[];
+  requiredRelations: string[];
+  acceptableVariants: string[];
+  prohibited: string[];
+  wrongTasks: string[];
+  acceptableOmissions: string[];
+}
+
+export interface EvaluationRequest {
+  stage: ReadingCoachStage;
+  unitKey: string | null;
+  taskType: ReadingCoachTaskType;
+  /** Plain text — HTML is stripped before it reaches any evaluator. */
+  questionStem: string;
+  passage: string;
+  /** The text this step is about: the unit for processing_unit,
+   *  otherwise the whole passage. Null for the task stage, where the
+   *  student hasn't seen the passage yet. */
+  focusText: string | null;
+  units: Array<{ key: string; text: string }>;
+  rubric: StageRubric;
+  responseText: string;
+  attemptNumber: number;
+  maxAttempts: number;
+}
+
+export interface ReadingCoachEvaluation {
+  verdict: ReadingCoachVerdict;
+  errorCode: ReadingCoachErrorCode | null;
+  studentFeedback: string;
+  /** Authored unit keys the judgment rests on. */
+  evidenceKeys: string[];
+  missingIdeas: string[];
+  unsupportedClaims: string[];
+  confidence: number;
+}
+
+export interface EvaluatorUsage {
+  inputTokens: number | null;
+  outputTokens: number | null;
+  cacheReadTokens: number | null;
+}
+
+export interface EvaluatorRun {
+  evaluation: ReadingCoachEvaluation;
+  /** Actual model ID, or the deterministic evaluator's name. */
+  modelId: string;
+  promptVersion: string;
+  usage: EvaluatorUsage | null;
+  latencyMs: number;
+  /** Set when withFallback answered because the primary failed. */
+  fallbackFrom?: { evaluator: string; reason: string };
+}
+
+export interface ReadingCoachEvaluator {
+  readonly name: string;
+  evaluate(request: EvaluationRequest): Promise<EvaluatorRun>;
+}
+
+/** Thrown when an evaluator's output fails the structured contract.
+ *  withFallback treats it like any other primary failure. */
+export class EvaluatorOutputError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'EvaluatorOutputError';
+  }
+}
+
+export function stageRubricFor(
+  rubric: StoredVersionRubric,
+  stage: ReadingCoachStage,
+  unitKey: string | null,
+): StageRubric {
+  const empty = {
+    requiredRelations: [] as string[],
+    acceptableVariants: [] as string[],
+    prohibited: [] as string[],
+    wrongTasks: [] as string[],
+    acceptableOmissions: [] as string[],
+  };
+  switch (stage) {
+    case 'task':
+      return {
+        ...empty,
+        canonical: rubric.taskRubric.canonicalTask,
+        requiredIdeas: rubric.taskRubric.requiredIdeas,
+        acceptableVariants: rubric.taskRubric.acceptableVariants,
+        wrongTasks: rubric.taskRubric.commonWrongTasks,
+      };
+    case 'passage':
+      return {
+        ...empty,
+        canonical: rubric.passageRubric.canonicalSummary,
+        requiredIdeas: rubric.passageRubric.requiredIdeas,
+        requiredRelations: rubric.passageRubric.requiredRelations,
+        prohibited: rubric.passageRubric.prohibitedDistortions,
+        acceptableOmissions: rubric.passageRubric.acceptableOmissions,
+      };
+    case 'processing_unit': {
+      const unit = rubric.processingUnits.find((u) => u.key === unitKey);
+      if (!unit) throw new Error(`Unknown processing unit "${unitKey}"`);
+      return {
+        ...empty,
+        // Units have no authored canonical paraphrase; the required
+        // ideas together are the model.
+        canonical: unit.requiredIdeas.join('; '),
+        requiredIdeas: unit.requiredIdeas,
+        requiredRelations: unit.requiredRelations,
+        prohibited: unit.prohibitedDistortions,
+        acceptableOmissions: unit.acceptableOmissions,
+      };
+    }
+    case 'preanswer':
+      return {
+        ...empty,
+        canonical: rubric.preanswerRubric.canonicalPreanswer,
+        requiredIdeas: rubric.preanswerRubric.requiredIdeas,
+        acceptableVariants: rubric.preanswerRubric.acceptableVariants,
+        prohibited: rubric.preanswerRubric.prohibitedClaims,
+      };
+  }
+}
+
+/** The model shown at the scaffold limit or after an `uncertain`. */
+export function modelAnswerFor(
+  rubric: StoredVersionRubric,
+  stage: ReadingCoachStage,
+  unitKey: string | null,
+): string {
+  return stageRubricFor(rubric, stage, unitKey).canonical;
+}
+
+export interface EvaluationRequestInput {
+  version: {
+    question_stem_html: string;
+    passage_html: string;
+    task_type: string;
+  };
+  rubric: StoredVersionRubric;
+  stage: ReadingCoachStage;
+  unitKey: string | null;
+  responseText: string;
+  attemptNumber: number;
+  maxAttempts: number;
+}
+
+export function buildEvaluationRequest(input: EvaluationRequestInput): EvaluationRequest {
+  const { version, rubric, stage, unitKey } = input;
+  const units = rubric.processingUnits.map((u) => ({ key: u.key, text: htmlTextContent(u.textHtml) }));
+  const passage = htmlTextContent(version.passage_html);
+  let focusText: string | null = null;
+  if (stage === 'processing_unit') {
+    focusText = units.find((u) => u.key === unitKey)?.text ?? null;
+  } else if (stage !== 'task') {
+    focusText = passage;
+  }
+  return {
+    stage,
+    unitKey,
+    taskType: version.task_type as ReadingCoachTaskType,
+    questionStem: htmlTextContent(version.question_stem_html),
+    passage,
+    focusText,
+    units,
+    rubric: stageRubricFor(rubric, stage, unitKey),
+    responseText: input.responseText,
+    attemptNumber: input.attemptNumber,
+    maxAttempts: input.maxAttempts,
+  };
+}
+
+const MAX_FEEDBACK_CHARS = 280;
+
+function stringArray(v: unknown, field: string): string[] {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v) || v.some((x) => typeof x !== 'string')) {
+    throw new EvaluatorOutputError(`${field} must be an array of strings`);
+  }
+  return (v as string[]).map((s) => s.trim()).filter(Boolean);
+}
+
+/** Validate raw structured output (the forced tool input) against the
+ *  evaluator contract. Evidence keys outside the authored units are
+ *  dropped rather than failing the turn; everything else that doesn't
+ *  fit throws EvaluatorOutputError. */
+export function parseEvaluatorOutput(
+  raw: unknown,
+  allowedEvidenceKeys: readonly string[],
+): ReadingCoachEvaluation {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new EvaluatorOutputError('Evaluator output must be an object');
+  }
+  const o = raw as Record<string, unknown>;
+
+  const verdict = o.verdict;
+  if (verdict !== 'pass' && verdict !== 'revise' && verdict !== 'uncertain') {
+    throw new EvaluatorOutputError(`Unknown verdict: ${String(verdict)}`);
+  }
+
+  let errorCode: ReadingCoachErrorCode | null = null;
+  if (o.error_code !== null && o.error_code !== undefined) {
+    if (!READING_COACH_ERROR_CODES.includes(o.error_code as ReadingCoachErrorCode)) {
+      throw new EvaluatorOutputError(`Unknown error_code: ${String(o.error_code)}`);
+    }
+    errorCode = o.error_code as ReadingCoachErrorCode;
+  }
+  // A pass carries no error; a revise must name one.
+  if (verdict === 'pass') errorCode = null;
+  if (verdict === 'revise' && !errorCode) {
+    throw new EvaluatorOutputError('A revise verdict requires an error_code');
+  }
+
+  const feedback = typeof o.student_feedback === 'string' ? o.student_feedback.trim() : '';
+  if (!feedback) throw new EvaluatorOutputError('student_feedback is required');
+
+  const confidence = typeof o.confidence === 'number' ? o.confidence : Number.NaN;
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    throw new EvaluatorOutputError('confidence must be a number from 0 to 1');
+  }
+
+  const allowed = new Set(allowedEvidenceKeys);
+  return {
+    verdict,
+    errorCode,
+    studentFeedback:
+      feedback.length > MAX_FEEDBACK_CHARS ? `${feedback.slice(0, MAX_FEEDBACK_CHARS - 1)}…` : feedback,
+    evidenceKeys: stringArray(o.evidence_keys, 'evidence_keys').filter((k) => allowed.has(k)),
+    missingIdeas: stringArray(o.missing_ideas, 'missing_ideas'),
+    unsupportedClaims: stringArray(o.unsupported_claims, 'unsupported_claims'),
+    confidence,
+  };
+}
+
+/** Answer with `fallback` whenever `primary` throws. `onFallback`
+ *  receives the failure (for logging — never the student text). */
+export function withFallback(
+  primary: ReadingCoachEvaluator,
+  fallback: ReadingCoachEvaluator,
+  onFallback?: (err: unknown) => void,
+): ReadingCoachEvaluator {
+  return {
+    name: `${primary.name}+${fallback.name}`,
+    async evaluate(request) {
+      try {
+        return await primary.evaluate(request);
+      } catch (err) {
+        onFallback?.(err);
+        const run = await fallback.evaluate(request);
+        return {
+          ...run,
+          fallbackFrom: {
+            evaluator: primary.name,
+            reason: err instanceof Error ? err.name : 'Error',
+          },
+        };
+      }
+    },
+  };
+}
@@ -0,0 +1,49 @@
+// Reading Coach input and usage limits (plan "Limits, privacy, and
+// failure handling").
+//
+//   - Responses are capped at MAX_RESPONSE_CHARS after normalization
+//     (control characters stripped, whitespace runs collapsed).
+//   - Short-window per-user limits are the 'reading-coach.*' policies
+//     in lib/api/rateLimitPolicy.ts, sized from EVALUATIONS_PER_MINUTE
+//     and SESSION_STARTS_PER_MINUTE.
+//   - DAILY_EVALUATION_CAP is the persistent cap, counted from the
+//     caller's own reading_coach_turns since UTC midnight.
+//
+// Pure module.
+
+export const MAX_RESPONSE_CHARS = 1500;
+export const EVALUATIONS_PER_MINUTE = 10;
+export const SESSION_STARTS_PER_MINUTE = 5;
+/** ~25 items at the plan's 3–5 evaluations per item. */
+export const DAILY_EVALUATION_CAP = 120;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(v: unknown): v is string {
+  return typeof v === 'string' && UUID_RE.test(v);
+}
+
+export type NormalizedResponse = { ok: true; text: string } | { ok: false; error: string };
+
+/** Normalize a student response for storage and evaluation. Control
+ *  characters other than newlines/tabs go; runs of spaces and blank
+ *  lines collapse; the result must be non-empty and within the cap. */
+export function normalizeStudentResponse(raw: unknown): NormalizedResponse {
+  if (typeof raw !== 'string') return { ok: false, error: 'Response text is required' };
+  const text = raw
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u200B-\u200F\u2028\u2029\uFEFF]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  if (!text) return { ok: false, error: 'Write a response first' };
+  if (text.length > MAX_RESPONSE_CHARS) {
+    return { ok: false, error: `Keep it under ${MAX_RESPONSE_CHARS} characters` };
+  }
+  return { ok: true, text };
+}
+
+/** Start of the caller's current daily-cap window (UTC midnight). */
+export function dailyCapWindowStart(now: Date): string {
+  return `${now.toISOString().slice(0, 10)}T00:00:00Z`;
+}
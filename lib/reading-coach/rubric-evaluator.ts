@@ -0,0 +1,339 @@
+// Deterministic Reading Coach evaluator — rubric matching without a
+// model call.
+//
+// Used in development (no ANTHROPIC_API_KEY), in tests, and as the
+// fallback behind the Claude evaluator. It judges a response by
+// content-word overlap with the stage's authored rubric:
+//
+//   - too few content words              → revise / too_vague
+//   - task stage: a common wrong task
+//     matched better than the real one   → revise / wrong_task
+//   - a prohibited distortion's distinctive
+//     words (the ones the required ideas
+//     don't share) are present           → revise / unsupported_addition
+//   - every required idea and relation
+//     matched, or an authored variant    → pass
+//   - nothing matched, but a substantial
+//     response                           → uncertain (could be a valid
+//                                          paraphrase in other words —
+//                                          never trap the student)
+//   - otherwise                          → revise / missing_idea or
+//                                          missing_relation
+//
+// Feedback escalates with the attempt number the way the plan's retry
+// policy describes: the first miss names the kind of problem, the
+// second points at the evidence (a few of the missing idea's own
+// words) without stating the answer. The scaffold limit itself is the
+// state machine's call (state.ts), not this module's.
+//
+// Meaning-level judgments (reversals, wrong actors) are beyond word
+// overlap; the confidence it reports is honest about that, and the QA
+// lab compares it against the Claude evaluator like any other model.
+//
+// Pure module — the evaluator tests import it directly.
+
+import type {
+  EvaluationRequest,
+  EvaluatorRun,
+  ReadingCoachErrorCode,
+  ReadingCoachEvaluation,
+  ReadingCoachEvaluator,
+} from './evaluator.ts';
+import type { ReadingCoachTaskType } from './types.ts';
+
+export const RUBRIC_EVALUATOR_NAME = 'rubric-v1';
+export const RUBRIC_PROMPT_VERSION = 'rubric-match-2026-10';
+
+const STOPWORDS = new Set(
+  (
+    'a about above after again all also am an and any are as at be been before being both by can could did do does ' +
+    'doing during each even every for from had has have having he her here hers him his how i if in into is it its ' +
+    'itself just me more most my no nor not of off on once only or other our out over own same she should so some ' +
+    'such than that the their them then there these they this those through to too under up very was we were what ' +
+    'when where which while who whom why will with would you your one ones thing things really like'
+  ).split(' '),
+);
+
+const SUFFIXES = ['ingly', 'edly', 'ing', 'ed', 'ly', 'es', 's', 'e'];
+
+function stem(word: string): string {
+  let w = word.replace(/'s$/, '');
+  for (const suf of SUFFIXES) {
+    if (w.length - suf.length >= 3 && w.endsWith(suf)) {
+      w = w.slice(0, -suf.length);
+      break;
+    }
+  }
+  return w;
+}
+
+interface Term {
+  word: string;
+  stem: string;
+}
+
+/** Content words of a text, stemmed, first occurrence wins. */
+export function contentTerms(text: string): Term[] {
+  const seen = new Set<string>();
+  const out: Term[] = [];
+  for (const raw of text.toLowerCase().match(/[a-z][a-z']*/g) ?? []) {
+    const word = raw.replace(/'+$/, '');
+    if (word.length < 2 || STOPWORDS.has(word)) continue;
+    const s = stem(word);
+    if (seen.has(s)) continue;
+    seen.add(s);
+    out.push({ word, stem: s });
+  }
+  return out;
+}
+
+/** Same stem, or one a ≥5-letter prefix of the other (visib/visibl). */
+function stemsMatch(a: string, b: string): boolean {
+  if (a === b) return true;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short.length >= 5 && long.startsWith(short);
+}
+
+function present(term: Term, response: Term[]): boolean {
+  return response.some((r) => stemsMatch(term.stem, r.stem));
+}
+
+/** Fraction of `phrase`'s content words present in the response. */
+function coverage(phrase: string, response: Term[]): number {
+  const terms = contentTerms(phrase);
+  if (terms.length === 0) return 0;
+  return terms.filter((t) => present(t, response)).length / terms.length;
+}
+
+const IDEA_THRESHOLD = 0.5;
+const VARIANT_THRESHOLD = 0.6;
+const WRONG_TASK_THRESHOLD = 0.6;
+const DISTORTION_THRESHOLD = 0.67;
+const MIN_TERMS = 3;
+const MIN_TASK_TERMS = 2;
+const UNCERTAIN_MIN_TERMS = 8;
+
+const RELATION_CUES: Array<{ match: RegExp; cues: string[]; hint: string }> = [
+  {
+    match: /contrast|differ|versus|unlike|but |while |despite|although/,
+    cues: ['but', 'however', 'although', 'though', 'while', 'whereas', 'yet', 'despite', 'instead', 'unlike', 'until', 'rather', 'only', 'contrast', 'differ'],
+    hint: 'How does one part differ from the other?',
+  },
+  {
+    match: /cause|produce|lead|result|because|effect/,
+    cues: ['because', 'so', 'therefore', 'thus', 'cause', 'causes', 'leads', 'lead', 'results', 'result', 'produces', 'since', 'makes', 'due'],
+    hint: 'What leads to what?',
+  },
+];
+
+// The task-stage cue words a student uses to name each job. A task
+// translation is short, so one cue plus the right shape is enough.
+const TASK_CUES: Record<ReadingCoachTaskType, { cues: string[]; hint: string }> = {
+  main_idea: {
+    cues: ['main', 'central', 'overall', 'mostly', 'gist', 'whole', 'big', 'summary', 'summarize'],
+    hint: "state the passage's overall point, not one detail",
+  },
+  detail: {
+    cues: ['detail', 'specific', 'says', 'states', 'according', 'find', 'exactly'],
+    hint: 'find one specific thing the passage says',
+  },
+  function: {
+    cues: ['function', 'purpose', 'role', 'doing', 'why', 'job', 'serves', 'structure'],
+    hint: 'explain what part of the text is doing, not what it says',
+  },
+  inference: {
+    cues: ['infer', 'imply', 'implies', 'suggest', 'suggests', 'conclude', 'conclusion', 'reasonably', 'supported', 'hint', 'implied'],
+    hint: 'work out what the passage suggests without saying it directly',
+  },
+};
+
+function relationMatched(relation: string, response: Term[], responseWords: Set<string>): boolean {
+  const cov = coverage(relation, response);
+  if (cov >= IDEA_THRESHOLD) return true;
+  const kind = RELATION_CUES.find((r) => r.match.test(relation.toLowerCase()));
+  return Boolean(kind && kind.cues.some((c) => responseWords.has(c)) && cov >= 0.2);
+}
+
+function relationHint(relation: string): string {
+  const kind = RELATION_CUES.find((r) => r.match.test(relation.toLowerCase()));
+  return kind ? kind.hint : 'Say how the ideas relate to each other.';
+}
+
+/** A few of a phrase's own content words, quoted — the second-miss
+ *  pointer at the evidence. */
+function keywordsOf(phrase: string, response: Term[], n = 2): string {
+  const missing = contentTerms(phrase).filter((t) => !present(t, response));
+  const pick = (missing.length ? missing : contentTerms(phrase)).slice(0, n);
+  return pick.map((t) => `“${t.word}”`).join(' and ');
+}
+
+/** Distinctive distortion words: its content words that no required
+ *  idea, relation or canonical text shares. "acts quickly" is flagged
+ *  by "quickly", not by "natural selection". */
+function distortionHit(distortion: string, sharedStems: Term[], response: Term[]): Term[] | null {
+  const distinctive = contentTerms(distortion).filter((t) => !present(t, sharedStems));
+  if (distinctive.length === 0) return null;
+  const hits = distinctive.filter((t) => present(t, response));
+  if (hits.length / distinctive.length < DISTORTION_THRESHOLD) return null;
+  return response.filter((r) => hits.some((h) => stemsMatch(h.stem, r.stem)));
+}
+
+function bestUnitFor(idea: string, units: EvaluationRequest['units']): string | null {
+  let best: { key: string; score: number } | null = null;
+  for (const u of units) {
+    const score = coverage(idea, contentTerms(u.text));
+    if (!best || score > best.score) best = { key: u.key, score };
+  }
+  return best && best.score >= 0.3 ? best.key : null;
+}
+
+const MISSING_IDEA_FIRST: Record<EvaluationRequest['stage'], string> = {
+  task: 'Check what the question is really asking you to do.',
+  passage: 'Almost — an important idea from the passage is missing.',
+  processing_unit: 'Almost — an important idea from this part of the passage is missing.',
+  preanswer: 'Almost — your answer leaves out part of what the question needs.',
+};
+
+export function evaluateAgainstRubric(req: EvaluationRequest): ReadingCoachEvaluation {
+  const response = contentTerms(req.responseText);
+  const responseWords = new Set((req.responseText.toLowerCase().match(/[a-z]+/g) ?? []));
+  const { rubric } = req;
+  const second = req.attemptNumber >= 2;
+  const evidenceFor = (idea: string | null): string[] => {
+    if (req.stage === 'processing_unit' && req.unitKey) return [req.unitKey];
+    if (!idea) return [];
+    const key = bestUnitFor(idea, req.units);
+    return key ? [key] : [];
+  };
+  const result = (
+    verdict: ReadingCoachEvaluation['verdict'],
+    errorCode: ReadingCoachErrorCode | null,
+    studentFeedback: string,
+    confidence: number,
+    extra: Partial<ReadingCoachEvaluation> = {},
+  ): ReadingCoachEvaluation => ({
+    verdict,
+    errorCode,
+    studentFeedback,
+    evidenceKeys: [],
+    missingIdeas: [],
+    unsupportedClaims: [],
+    confidence: Math.round(confidence * 100) / 100,
+    ...extra,
+  });
+
+  const minTerms = req.stage === 'task' ? MIN_TASK_TERMS : MIN_TERMS;
+  if (response.length < minTerms) {
+    return result('revise', 'too_vague', 'Say a bit more — put the whole idea in your own words.', 0.9);
+  }
+
+  const accepted = [rubric.canonical, ...rubric.acceptableVariants];
+  const bestAccepted = Math.max(0, ...accepted.map((a) => coverage(a, response)));
+
+  if (req.stage === 'task') {
+    const cue = TASK_CUES[req.taskType] ?? TASK_CUES.main_idea;
+    const bestIdea = Math.max(bestAccepted, ...rubric.requiredIdeas.map((i) => coverage(i, response)));
+    const wrong = rubric.wrongTasks
+      .map((w) => ({ w, cov: coverage(w, response) }))
+      .sort((a, b) => b.cov - a.cov)[0];
+    if (wrong && wrong.cov >= WRONG_TASK_THRESHOLD && wrong.cov > bestIdea) {
+      return result(
+        'revise',
+        'wrong_task',
+        second
+          ? `That's a different job. Hint: the question wants you to ${cue.hint}.`
+          : 'Check the question again — that is a different job than the one it asks for.',
+        wrong.cov,
+        { missingIdeas: [rubric.canonical], unsupportedClaims: [wrong.w] },
+      );
+    }
+    const hasCue = cue.cues.some((c) => responseWords.has(c));
+    if (bestIdea >= IDEA_THRESHOLD || hasCue) {
+      return result('pass', null, 'Ready.', Math.max(bestIdea, hasCue ? 0.7 : 0));
+    }
+    return result(
+      'revise',
+      'wrong_task',
+      second ? `Hint: the question wants you to ${cue.hint}.` : MISSING_IDEA_FIRST.task,
+      0.5,
+      { missingIdeas: [rubric.canonical] },
+    );
+  }
+
+  const shared = contentTerms(
+    [rubric.canonical, ...rubric.requiredIdeas, ...rubric.requiredRelations, ...rubric.acceptableVariants].join(' '),
+  );
+  for (const distortion of rubric.prohibited) {
+    const hits = distortionHit(distortion, shared, response);
+    if (hits) {
+      const words = hits.slice(0, 2).map((t) => `“${t.word}”`).join(' and ');
+      return result(
+        'revise',
+        'unsupported_addition',
+        second
+          ? `This adds something the passage never states — check your words ${words} against the text.`
+          : 'This adds something the passage never states.',
+        0.7,
+        { unsupportedClaims: [distortion], evidenceKeys: evidenceFor(distortion) },
+      );
+    }
+  }
+
+  const missingIdeas = rubric.requiredIdeas.filter((i) => coverage(i, response) < IDEA_THRESHOLD);
+  const missingRelations = rubric.requiredRelations.filter((r) => !relationMatched(r, response, responseWords));
+  const required = rubric.requiredIdeas.length + rubric.requiredRelations.length;
+  const matched = required - missingIdeas.length - missingRelations.length;
+
+  if (bestAccepted >= VARIANT_THRESHOLD || (missingIdeas.length === 0 && missingRelations.length === 0)) {
+    return result('pass', null, 'Ready.', Math.max(bestAccepted, required ? matched / required : 1));
+  }
+
+  if (matched === 0 && response.length >= UNCERTAIN_MIN_TERMS) {
+    return result(
+      'uncertain',
+      null,
+      "Your wording is different enough that I can't tell for sure — compare it with the model.",
+      0.3,
+      { missingIdeas, evidenceKeys: evidenceFor(missingIdeas[0] ?? null) },
+    );
+  }
+
+  const confidence = 0.5 + 0.4 * (matched / Math.max(1, required));
+  if (missingIdeas.length > 0) {
+    const idea = missingIdeas[0];
+    return result(
+      'revise',
+      'missing_idea',
+      second
+        ? `Look again at what the text says about ${keywordsOf(idea, response)}.`
+        : MISSING_IDEA_FIRST[req.stage],
+      confidence,
+      { missingIdeas, evidenceKeys: evidenceFor(idea) },
+    );
+  }
+  const relation = missingRelations[0];
+  return result(
+    'revise',
+    'missing_relation',
+    second ? `You have the pieces. ${relationHint(relation)}` : 'You have the pieces — now say how they connect.',
+    confidence,
+    { missingIdeas: missingRelations, evidenceKeys: evidenceFor(relation) },
+  );
+}
+
+export function createRubricEvaluator(): ReadingCoachEvaluator {
+  return {
+    name: RUBRIC_EVALUATOR_NAME,
+    async evaluate(request): Promise<EvaluatorRun> {
+      const started = Date.now();
+      const evaluation = evaluateAgainstRubric(request);
+      return {
+        evaluation,
+        modelId: RUBRIC_EVALUATOR_NAME,
+        promptVersion: RUBRIC_PROMPT_VERSION,
+        usage: null,
+        latencyMs: Date.now() - started,
+      };
+    },
+  };
+}
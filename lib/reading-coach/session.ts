@@ -0,0 +1,131 @@
+// Reading Coach student-session data access (runner, PR 3 scope).
+//
+// Same contract as content.ts: every function takes the caller's
+// RLS-scoped client. Students read and write only their own sessions
+// and turns (user_id = auth.uid() policies); tutors can read through
+// can_view. Nothing here uses the service role.
+//
+// loadReadingCoachSession() is the one place a session's state is
+// derived: it reads the session, its immutable item version and its
+// turns, and runs buildReadingCoachState. The runner page, the
+// evaluate route and the choice action all go through it, so they
+// agree on the current step.
+
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import { buildReadingCoachState, type ReadingCoachState } from './state.ts';
+import type {
+  ReadingCoachItemVersionRow,
+  ReadingCoachProcessingMode,
+  ReadingCoachSessionRow,
+  ReadingCoachTurnRow,
+  StoredVersionRubric,
+} from './types.ts';
+
+export interface LoadedReadingCoachSession {
+  session: ReadingCoachSessionRow;
+  version: ReadingCoachItemVersionRow;
+  itemTitle: string;
+  rubric: StoredVersionRubric;
+  turns: ReadingCoachTurnRow[];
+  state: ReadingCoachState;
+}
+
+export async function loadReadingCoachSession(
+  supabase: TypedSupabaseClient,
+  sessionId: string,
+): Promise<LoadedReadingCoachSession | null> {
+  const { data: session, error } = await supabase
+    .from('reading_coach_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load session: ${error.message}`);
+  if (!session) return null;
+
+  const [{ data: version, error: vErr }, { data: turns, error: tErr }] = await Promise.all([
+    supabase
+      .from('reading_coach_item_versions')
+      .select('*, reading_coach_items!item_id (title)')
+      .eq('id', session.item_version_id)
+      .maybeSingle(),
+    supabase
+      .from('reading_coach_turns')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: true }),
+  ]);
+  if (vErr) throw new Error(`Failed to load item version: ${vErr.message}`);
+  if (tErr) throw new Error(`Failed to load turns: ${tErr.message}`);
+  if (!version) return null;
+
+  const { reading_coach_items: item, ...versionRow } = version;
+  const rubric = versionRow.rubric as unknown as StoredVersionRubric;
+  const state = buildReadingCoachState({
+    processingMode: versionRow.processing_mode as ReadingCoachProcessingMode,
+    unitKeys: rubric.processingUnits.map((u) => u.key),
+    sessionStatus: session.status,
+    turns: turns ?? [],
+  });
+
+  return {
+    session,
+    version: versionRow,
+    itemTitle: item?.title ?? rubric.itemMeta.title,
+    rubric,
+    turns: turns ?? [],
+    state,
+  };
+}
+
+export interface ReadingCoachLibraryEntry {
+  itemId: string;
+  title: string;
+  genre: string;
+  difficulty: number;
+  currentVersionId: string;
+  /** The caller's open session on any version of this item. */
+  inProgressSessionId: string | null;
+  completedCount: number;
+  lastCompletion: { mode: string | null; correct: boolean | null } | null;
+}
+
+/** Published items with the caller's own progress on each. */
+export async function listReadingCoachLibrary(
+  supabase: TypedSupabaseClient,
+  userId: string,
+): Promise<ReadingCoachLibraryEntry[]> {
+  const [{ data: items, error }, { data: sessions, error: sErr }] = await Promise.all([
+    supabase
+      .from('reading_coach_items')
+      .select('id, title, genre, difficulty, current_version_id')
+      .eq('status', 'published')
+      .not('current_version_id', 'is', null)
+      .order('difficulty', { ascending: true })
+      .order('title', { ascending: true }),
+    supabase
+      .from('reading_coach_sessions')
+      .select('id, status, completion_mode, choice_correct, completed_at, last_activity_at, reading_coach_item_versions!item_version_id (item_id)')
+      .eq('user_id', userId)
+      .neq('status', 'abandoned')
+      .order('last_activity_at', { ascending: false }),
+  ]);
+  if (error) throw new Error(`Failed to list items: ${error.message}`);
+  if (sErr) throw new Error(`Failed to list sessions: ${sErr.message}`);
+
+  return (items ?? []).map((item) => {
+    const own = (sessions ?? []).filter((s) => s.reading_coach_item_versions?.item_id === item.id);
+    const open = own.find((s) => s.status === 'in_progress') ?? null;
+    const completed = own.filter((s) => s.status === 'completed');
+    const last = completed[0] ?? null;
+    return {
+      itemId: item.id,
+      title: item.title,
+      genre: item.genre,
+      difficulty: item.difficulty,
+      currentVersionId: item.current_version_id as string,
+      inProgressSessionId: open?.id ?? null,
+      completedCount: completed.length,
+      lastCompletion: last ? { mode: last.completion_mode, correct: last.choice_correct } : null,
+    };
+  });
+}
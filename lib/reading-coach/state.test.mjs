@@ -0,0 +1,201 @@
+// Unit tests for the Reading Coach step machine (PR 3).
+//
+// Turns are built inline — only the fields the state reads. The
+// sequences mirror the plan's "Student workflow" and "Retry policy".
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_ATTEMPTS,
+  MAX_FAILED_TURNS,
+  buildReadingCoachDebrief,
+  buildReadingCoachState,
+  completionModeFor,
+  parseStepKey,
+  stepKeyFor,
+} from './state.ts';
+
+let n = 0;
+function turn(stage, verdict, opts = {}) {
+  n += 1;
+  return {
+    stage,
+    unit_key: opts.unitKey ?? null,
+    attempt_number: opts.attempt ?? n,
+    status: opts.status ?? 'completed',
+    verdict: opts.status && opts.status !== 'completed' ? null : verdict,
+    error_code: verdict === 'revise' ? (opts.errorCode ?? 'missing_idea') : null,
+    feedback_text: null,
+    student_text: opts.text ?? `${stage} attempt`,
+  };
+}
+
+function state(turns, opts = {}) {
+  return buildReadingCoachState({
+    processingMode: opts.mode ?? 'whole_passage',
+    unitKeys: opts.unitKeys ?? ['a', 'b'],
+    sessionStatus: opts.status ?? 'in_progress',
+    turns,
+  });
+}
+
+test('a fresh session starts at the task step with the passage hidden', () => {
+  const s = state([]);
+  assert.equal(s.phase, 'task');
+  assert.equal(s.current.key, 'task');
+  assert.equal(s.current.nextAttemptNumber, 1);
+  assert.equal(s.passageRevealed, false);
+  assert.equal(s.choicesRevealed, false);
+});
+
+test('a passed task reveals the passage', () => {
+  const s = state([turn('task', 'pass', { attempt: 1 })]);
+  assert.equal(s.phase, 'passage');
+  assert.equal(s.current.key, 'passage');
+  assert.equal(s.passageRevealed, true);
+  assert.equal(s.steps[0].resolution, 'passed');
+});
+
+test('the task scaffolds after its attempt limit and marks the session', () => {
+  const misses = Array.from({ length: MAX_ATTEMPTS.task }, (_, i) =>
+    turn('task', 'revise', { attempt: i + 1, errorCode: 'wrong_task' }),
+  );
+  const s = state(misses);
+  assert.equal(s.steps[0].resolution, 'scaffolded');
+  assert.equal(s.current.key, 'passage');
+  assert.equal(s.scaffolded, true);
+  assert.equal(completionModeFor(s), 'scaffolded');
+});
+
+test('adaptive: a miss on the passage branches into the unit steps', () => {
+  const s = state(
+    [turn('task', 'pass', { attempt: 1 }), turn('passage', 'revise', { attempt: 1 })],
+    { mode: 'adaptive' },
+  );
+  assert.equal(s.steps[1].resolution, 'branched');
+  assert.equal(s.current.key, 'unit:a');
+  assert.equal(s.phase, 'passage');
+  // Branching is not a scaffold.
+  assert.equal(s.scaffolded, false);
+});
+
+test('adaptive: a passed passage skips the units', () => {
+  const s = state(
+    [turn('task', 'pass', { attempt: 1 }), turn('passage', 'pass', { attempt: 1 })],
+    { mode: 'adaptive' },
+  );
+  assert.equal(s.current.key, 'preanswer');
+  assert.equal(s.phase, 'preanswer');
+});
+
+test('sentence_chunks walks the units in authored order', () => {
+  const mode = { mode: 'sentence_chunks', unitKeys: ['first', 'second'] };
+  let s = state([turn('task', 'pass', { attempt: 1 })], mode);
+  assert.equal(s.current.key, 'unit:first');
+  s = state(
+    [turn('task', 'pass', { attempt: 1 }), turn('processing_unit', 'pass', { attempt: 1, unitKey: 'first' })],
+    mode,
+  );
+  assert.equal(s.current.key, 'unit:second');
+  assert.equal(s.current.unitKey, 'second');
+});
+
+test('uncertain resolves the step and moves on', () => {
+  const s = state([turn('task', 'pass', { attempt: 1 }), turn('passage', 'uncertain', { attempt: 1 })]);
+  assert.equal(s.steps[1].resolution, 'uncertain');
+  assert.equal(s.current.key, 'preanswer');
+  assert.equal(s.scaffolded, false);
+});
+
+test('repeated infrastructure failures scaffold the step', () => {
+  const failures = Array.from({ length: MAX_FAILED_TURNS }, (_, i) =>
+    turn('task', null, { attempt: i + 1, status: 'failed' }),
+  );
+  const s = state(failures);
+  assert.equal(s.steps[0].resolution, 'scaffolded');
+  assert.equal(s.steps[0].failures, MAX_FAILED_TURNS);
+  assert.equal(s.steps[0].misses, 0);
+  assert.equal(s.current.key, 'passage');
+});
+
+test('a pending turn resolves nothing but reserves its attempt number', () => {
+  const s = state([turn('task', null, { attempt: 1, status: 'pending' })]);
+  assert.equal(s.current.key, 'task');
+  assert.equal(s.current.resolution, null);
+  assert.equal(s.current.attempts.length, 0);
+  assert.equal(s.current.pending, true);
+  assert.equal(s.current.nextAttemptNumber, 2);
+});
+
+test('after the pre-answer the phase follows the session status', () => {
+  const turns = [
+    turn('task', 'pass', { attempt: 1 }),
+    turn('passage', 'pass', { attempt: 1 }),
+    turn('preanswer', 'pass', { attempt: 1 }),
+  ];
+  const open = state(turns);
+  assert.equal(open.phase, 'choice');
+  assert.equal(open.current, null);
+  assert.equal(open.choicesRevealed, true);
+  assert.equal(state(turns, { status: 'completed' }).phase, 'debrief');
+});
+
+test('step keys round-trip and reject junk', () => {
+  for (const [stage, unitKey] of [
+    ['task', null],
+    ['passage', null],
+    ['preanswer', null],
+    ['processing_unit', 'scrutiny'],
+  ]) {
+    assert.deepEqual(parseStepKey(stepKeyFor(stage, unitKey)), { stage, unitKey });
+  }
+  assert.equal(parseStepKey('unit:'), null);
+  assert.equal(parseStepKey('choice'), null);
+  assert.equal(parseStepKey(''), null);
+});
+
+const CHOICES = [
+  { id: 'c-a', label: 'A', is_correct: true, error_code: null },
+  { id: 'c-b', label: 'B', is_correct: false, error_code: 'too_narrow' },
+  { id: 'c-c', label: 'C', is_correct: false, error_code: null },
+];
+
+function completedTurns(taskTurns) {
+  return [
+    ...taskTurns,
+    turn('passage', 'revise', { attempt: 1, text: 'first try' }),
+    turn('passage', 'pass', { attempt: 2, text: 'selection keeps good variations slowly' }),
+    turn('preanswer', 'pass', { attempt: 1, text: 'slow invisible improvement' }),
+  ];
+}
+
+test('debrief: a correct answer carries the chain and no divergence', () => {
+  const s = state(completedTurns([turn('task', 'pass', { attempt: 1, text: 'main point' })]), {
+    status: 'completed',
+  });
+  const d = buildReadingCoachDebrief(s, CHOICES, 'c-a');
+  assert.equal(d.correct, true);
+  assert.equal(d.divergence, null);
+  assert.equal(d.taskText, 'main point');
+  assert.deepEqual(d.passageMap, [{ key: 'passage', text: 'selection keeps good variations slowly' }]);
+  assert.equal(d.preanswerText, 'slow invisible improvement');
+  assert.equal(d.selectedLabel, 'A');
+  assert.equal(d.correctLabel, 'A');
+});
+
+test('debrief: a wrong answer names the distractor error, or the task', () => {
+  const clean = state(completedTurns([turn('task', 'pass', { attempt: 1 })]), { status: 'completed' });
+  assert.equal(buildReadingCoachDebrief(clean, CHOICES, 'c-b').divergence.code, 'too_narrow');
+  assert.equal(buildReadingCoachDebrief(clean, CHOICES, 'c-c').divergence.code, 'other');
+
+  const taskMiss = state(
+    completedTurns([
+      turn('task', 'revise', { attempt: 1, errorCode: 'wrong_task' }),
+      turn('task', 'revise', { attempt: 2, errorCode: 'wrong_task' }),
+    ]),
+    { status: 'completed' },
+  );
+  const d = buildReadingCoachDebrief(taskMiss, CHOICES, 'c-b');
+  assert.equal(d.correct, false);
+  assert.equal(d.divergence.code, 'wrong_task');
+});
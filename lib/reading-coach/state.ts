@@ -0,0 +1,271 @@
+// Reading Coach session state — the server-authoritative step
+// machine (plan "Student workflow" / "Retry policy").
+//
+// buildReadingCoachState() derives where a session stands purely from
+// the immutable item version (processing mode + authored unit keys),
+// the session row and its recorded turns. Nothing client-supplied
+// feeds it: the evaluate route re-derives the current step on every
+// request and rejects a stepKey that doesn't match (409), so a forged
+// or stale tab can't skip ahead.
+//
+// Step sequence:
+//   task → processing → preanswer → choice → debrief
+// where processing is, by processing_mode:
+//   whole_passage   — one `passage` step
+//   sentence_chunks — one `unit:<key>` step per authored unit, in order
+//   adaptive        — a single-attempt `passage` step; a `revise` on
+//                     it "branches" into the unit steps, a pass or
+//                     uncertain goes straight to the pre-answer
+//
+// A step resolves as
+//   passed     — a completed turn with verdict pass
+//   uncertain  — a completed turn with verdict uncertain (shows the
+//                model and moves on; uncertain never traps)
+//   scaffolded — misses reached the stage's attempt limit, or
+//                MAX_FAILED_TURNS infrastructure failures; the model
+//                is revealed and the session completes as scaffolded
+//   branched   — the adaptive passage miss described above
+//
+// Pending turns (an evaluation in flight, or one orphaned by a crash)
+// never resolve anything; they only reserve their attempt_number.
+//
+// Pure module — state.test.mjs imports it directly.
+
+import { readingCoachErrorLabel } from './evaluator.ts';
+import type {
+  ReadingCoachProcessingMode,
+  ReadingCoachStage,
+  ReadingCoachTurnRow,
+} from './types.ts';
+
+/** Attempts before the scaffold. Task translation gets one retry, the
+ *  paraphrase stages two (plan "Retry policy"). */
+export const MAX_ATTEMPTS: Record<ReadingCoachStage, number> = {
+  task: 2,
+  passage: 3,
+  processing_unit: 3,
+  preanswer: 3,
+};
+
+/** Failed (infrastructure) turns on one step before it scaffolds. */
+export const MAX_FAILED_TURNS = 2;
+
+export type ReadingCoachPhase = 'task' | 'passage' | 'preanswer' | 'choice' | 'debrief';
+export type StepResolution = 'passed' | 'uncertain' | 'scaffolded' | 'branched';
+
+export type ReadingCoachTurnInput = Pick<
+  ReadingCoachTurnRow,
+  'stage' | 'unit_key' | 'attempt_number' | 'status' | 'verdict' | 'error_code' | 'feedback_text' | 'student_text'
+>;
+
+export interface ReadingCoachStepState {
+  key: string;
+  stage: ReadingCoachStage;
+  unitKey: string | null;
+  maxAttempts: number;
+  /** Completed and failed turns, in attempt order. */
+  attempts: ReadingCoachTurnInput[];
+  misses: number;
+  failures: number;
+  pending: boolean;
+  resolution: StepResolution | null;
+  nextAttemptNumber: number;
+}
+
+export interface ReadingCoachState {
+  phase: ReadingCoachPhase;
+  /** Steps reached so far — resolved ones plus the current one. */
+  steps: ReadingCoachStepState[];
+  current: ReadingCoachStepState | null;
+  passageRevealed: boolean;
+  choicesRevealed: boolean;
+  /** Any step resolved by the scaffold → completion_mode scaffolded. */
+  scaffolded: boolean;
+}
+
+export interface ReadingCoachStateInput {
+  processingMode: ReadingCoachProcessingMode;
+  unitKeys: string[];
+  sessionStatus: string;
+  turns: ReadingCoachTurnInput[];
+}
+
+export function stepKeyFor(stage: ReadingCoachStage, unitKey: string | null): string {
+  return stage === 'processing_unit' ? `unit:${unitKey}` : stage;
+}
+
+export function parseStepKey(key: string): { stage: ReadingCoachStage; unitKey: string | null } | null {
+  if (key === 'task' || key === 'passage' || key === 'preanswer') return { stage: key, unitKey: null };
+  if (key.startsWith('unit:') && key.length > 5) return { stage: 'processing_unit', unitKey: key.slice(5) };
+  return null;
+}
+
+export function phaseForStage(stage: ReadingCoachStage): ReadingCoachPhase {
+  if (stage === 'task') return 'task';
+  if (stage === 'preanswer') return 'preanswer';
+  return 'passage';
+}
+
+function buildStep(
+  stage: ReadingCoachStage,
+  unitKey: string | null,
+  turns: ReadingCoachTurnInput[],
+  opts: { branchOnMiss?: boolean } = {},
+): ReadingCoachStepState {
+  const own = turns
+    .filter((t) => t.stage === stage && (t.unit_key ?? null) === unitKey)
+    .sort((a, b) => a.attempt_number - b.attempt_number);
+  const maxAttempts = opts.branchOnMiss ? 1 : MAX_ATTEMPTS[stage];
+
+  const attempts: ReadingCoachTurnInput[] = [];
+  let misses = 0;
+  let failures = 0;
+  let resolution: StepResolution | null = null;
+  for (const t of own) {
+    if (t.status === 'pending') continue;
+    attempts.push(t);
+    if (t.status === 'failed') {
+      failures++;
+      if (failures >= MAX_FAILED_TURNS) resolution = 'scaffolded';
+    } else if (t.verdict === 'pass') {
+      resolution = 'passed';
+    } else if (t.verdict === 'uncertain') {
+      resolution = 'uncertain';
+    } else if (t.verdict === 'revise') {
+      misses++;
+      if (misses >= maxAttempts) resolution = opts.branchOnMiss ? 'branched' : 'scaffolded';
+    }
+    if (resolution) break;
+  }
+
+  return {
+    key: stepKeyFor(stage, unitKey),
+    stage,
+    unitKey,
+    maxAttempts,
+    attempts,
+    misses,
+    failures,
+    pending: !resolution && own.some((t) => t.status === 'pending'),
+    resolution,
+    nextAttemptNumber: own.reduce((m, t) => Math.max(m, t.attempt_number), 0) + 1,
+  };
+}
+
+export function buildReadingCoachState(input: ReadingCoachStateInput): ReadingCoachState {
+  const { processingMode, unitKeys, turns } = input;
+  const steps: ReadingCoachStepState[] = [];
+
+  const finish = (current: ReadingCoachStepState | null): ReadingCoachState => {
+    const phase: ReadingCoachPhase = current
+      ? phaseForStage(current.stage)
+      : input.sessionStatus === 'completed'
+        ? 'debrief'
+        : 'choice';
+    return {
+      phase,
+      steps,
+      current,
+      passageRevealed: phase !== 'task',
+      choicesRevealed: phase === 'choice' || phase === 'debrief',
+      scaffolded: steps.some((s) => s.resolution === 'scaffolded'),
+    };
+  };
+
+  // Walk the sequence; the first unresolved step is current.
+  const visit = (step: ReadingCoachStepState): boolean => {
+    steps.push(step);
+    return step.resolution !== null;
+  };
+
+  const task = buildStep('task', null, turns);
+  if (!visit(task)) return finish(task);
+
+  let runUnits = processingMode === 'sentence_chunks';
+  if (processingMode !== 'sentence_chunks') {
+    const passage = buildStep('passage', null, turns, { branchOnMiss: processingMode === 'adaptive' });
+    if (!visit(passage)) return finish(passage);
+    runUnits = passage.resolution === 'branched';
+  }
+  if (runUnits) {
+    for (const key of unitKeys) {
+      const unit = buildStep('processing_unit', key, turns);
+      if (!visit(unit)) return finish(unit);
+    }
+  }
+
+  const preanswer = buildStep('preanswer', null, turns);
+  if (!visit(preanswer)) return finish(preanswer);
+
+  return finish(null);
+}
+
+export function completionModeFor(state: ReadingCoachState): 'independent' | 'scaffolded' {
+  return state.scaffolded ? 'scaffolded' : 'independent';
+}
+
+/** The text a step ended on: the passing (or last) attempt. */
+export function finalTextFor(step: ReadingCoachStepState): string | null {
+  const completed = step.attempts.filter((a) => a.status === 'completed');
+  const passing = completed.find((a) => a.verdict === 'pass');
+  return (passing ?? completed[completed.length - 1])?.student_text ?? null;
+}
+
+export interface DebriefChoice {
+  id: string;
+  label: string;
+  is_correct: boolean;
+  error_code: string | null;
+}
+
+export interface ReadingCoachDebrief {
+  taskText: string | null;
+  passageMap: Array<{ key: string; text: string }>;
+  preanswerText: string | null;
+  selectedLabel: string | null;
+  correctLabel: string | null;
+  correct: boolean;
+  /** Where the reasoning chain diverged, for a wrong answer. */
+  divergence: { code: string; label: string } | null;
+}
+
+/** Debrief comparison (plan "E. Debrief"). A wrong answer after a
+ *  scaffolded wrong-task translation is traced to the task; otherwise
+ *  the chosen distractor's authored error code names the divergence. */
+export function buildReadingCoachDebrief(
+  state: ReadingCoachState,
+  choices: DebriefChoice[],
+  selectedChoiceId: string | null,
+): ReadingCoachDebrief {
+  const selected = choices.find((c) => c.id === selectedChoiceId) ?? null;
+  const correctChoice = choices.find((c) => c.is_correct) ?? null;
+  const task = state.steps.find((s) => s.stage === 'task') ?? null;
+  const preanswer = state.steps.find((s) => s.stage === 'preanswer') ?? null;
+  const passageMap = state.steps
+    .filter((s) => s.stage === 'passage' || s.stage === 'processing_unit')
+    .filter((s) => s.resolution !== 'branched')
+    .map((s) => ({ key: s.key, text: finalTextFor(s) }))
+    .filter((e): e is { key: string; text: string } => e.text !== null);
+
+  const correct = Boolean(selected?.is_correct);
+  let divergence: ReadingCoachDebrief['divergence'] = null;
+  if (selected && !correct) {
+    const taskMiss = task?.resolution === 'scaffolded'
+      && task.attempts.some((a) => a.error_code === 'wrong_task');
+    const code = taskMiss ? 'wrong_task' : selected.error_code ?? 'other';
+    divergence = {
+      code,
+      label: code === 'other' ? 'This choice doesn’t match the passage' : readingCoachErrorLabel(code),
+    };
+  }
+
+  return {
+    taskText: task ? finalTextFor(task) : null,
+    passageMap,
+    preanswerText: preanswer ? finalTextFor(preanswer) : null,
+    selectedLabel: selected?.label ?? null,
+    correctLabel: correctChoice?.label ?? null,
+    correct,
+    divergence,
+  };
+}
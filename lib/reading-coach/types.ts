@@ -148,3 +148,21 @@ export interface ValidationIssue {
   path: string;
   message: string;
 }
+
+// ── Student sessions (runner) ────────────────────────────────────
+
+/** reading_coach_turns.stage. `processing_unit` turns carry the
+ *  authored unit key; the other three stages have unit_key null. */
+export const READING_COACH_STAGES = [
+  'task',
+  'processing_unit',
+  'passage',
+  'preanswer',
+] as const;
+export type ReadingCoachStage = (typeof READING_COACH_STAGES)[number];
+
+export const READING_COACH_VERDICTS = ['pass', 'revise', 'uncertain'] as const;
+export type ReadingCoachVerdict = (typeof READING_COACH_VERDICTS)[number];
+
+export type ReadingCoachSessionRow = Row<'reading_coach_sessions'>;
+export type ReadingCoachTurnRow = Row<'reading_coach_turns'>;
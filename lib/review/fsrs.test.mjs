@@ -0,0 +1,160 @@
+// Unit tests for the FSRS scheduler. Runs under `npm run test:unit`;
+// imports the .ts source directly like schedule.test.mjs does.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FSRS_WEIGHTS,
+  MIN_FIT_REVIEWS,
+  fitFsrsWeights,
+  intervalForStability,
+  maxIntervalForTest,
+  memoryFromSm2,
+  nextFsrsSchedule,
+  nextMemory,
+  parseFsrsWeights,
+  retrievability,
+} from './fsrs.ts';
+import { MAX_INTERVAL_DAYS, resolveScheduler } from './schedule.ts';
+
+const NOW = '2026-10-19T12:00:00.000Z';
+const DAY_MS = 86_400_000;
+
+function daysAfter(iso, days) {
+  return new Date(new Date(iso).getTime() + days * DAY_MS).toISOString();
+}
+
+test('retrievability is 90% at t = S and decays with time', () => {
+  assert.ok(Math.abs(retrievability(10, 10) - 0.9) < 1e-9);
+  assert.equal(retrievability(0, 10), 1);
+  assert.ok(retrievability(20, 10) < retrievability(10, 10));
+  assert.ok(Math.abs(intervalForStability(10) - 10) < 1e-9);
+});
+
+test('first sighting seeds stability and difficulty by outcome', () => {
+  const again = nextMemory(null, 'again', 0, DEFAULT_FSRS_WEIGHTS);
+  const good = nextMemory(null, 'good', 0, DEFAULT_FSRS_WEIGHTS);
+  const easy = nextMemory(null, 'easy', 0, DEFAULT_FSRS_WEIGHTS);
+  assert.ok(again.stability < good.stability && good.stability < easy.stability);
+  assert.ok(again.difficulty > good.difficulty && good.difficulty > easy.difficulty);
+});
+
+test('success grows stability, a lapse shrinks it and raises difficulty', () => {
+  const mem = { stability: 10, difficulty: 5 };
+  const good = nextMemory(mem, 'good', 10, DEFAULT_FSRS_WEIGHTS);
+  const easy = nextMemory(mem, 'easy', 10, DEFAULT_FSRS_WEIGHTS);
+  const again = nextMemory(mem, 'again', 10, DEFAULT_FSRS_WEIGHTS);
+  assert.ok(good.stability > 10);
+  assert.ok(easy.stability > good.stability);
+  assert.ok(again.stability < 10);
+  assert.ok(again.difficulty > 5);
+});
+
+test('a successful review after a longer gap earns a bigger stability boost', () => {
+  const mem = { stability: 10, difficulty: 5 };
+  assert.ok(
+    nextMemory(mem, 'good', 15, DEFAULT_FSRS_WEIGHTS).stability
+      > nextMemory(mem, 'good', 3, DEFAULT_FSRS_WEIGHTS).stability,
+  );
+});
+
+test('the interval cap follows the test date', () => {
+  assert.equal(maxIntervalForTest(null), MAX_INTERVAL_DAYS);
+  assert.equal(maxIntervalForTest(-3), MAX_INTERVAL_DAYS);
+  assert.equal(maxIntervalForTest(20), 10);
+  assert.equal(maxIntervalForTest(1), 1);
+  assert.equal(maxIntervalForTest(200), 100);
+  assert.equal(maxIntervalForTest(1000), 180);
+
+  const prev = { intervalDays: 30, ease: 2.5, lapses: 0, memory: { stability: 60, difficulty: 4 }, lastReviewedAtIso: daysAfter(NOW, -60) };
+  assert.equal(nextFsrsSchedule(prev, 'good', NOW, { daysToTest: 14 }).intervalDays, 7);
+  assert.ok(nextFsrsSchedule(prev, 'good', NOW, { daysToTest: 365 }).intervalDays > MAX_INTERVAL_DAYS);
+  assert.equal(nextFsrsSchedule(prev, 'good', NOW).intervalDays, MAX_INTERVAL_DAYS);
+});
+
+test('nextFsrsSchedule writes a valid queue row', () => {
+  const first = nextFsrsSchedule(null, 'again', NOW);
+  assert.equal(first.intervalDays, 1);
+  assert.equal(first.lapses, 1);
+  assert.equal(first.ease, 2.5);
+  assert.equal(first.retrievability, null);
+  assert.equal(first.lastReviewedAtIso, NOW);
+  assert.equal(first.dueAtIso, daysAfter(NOW, 1));
+
+  const second = nextFsrsSchedule(
+    { intervalDays: first.intervalDays, ease: first.ease, lapses: first.lapses, memory: first.memory, lastReviewedAtIso: NOW },
+    'good',
+    daysAfter(NOW, 1),
+  );
+  assert.equal(second.lapses, 1);
+  assert.ok(second.retrievability > 0 && second.retrievability < 1);
+  assert.ok(second.memory.stability > first.memory.stability);
+});
+
+test('an SM-2-lite item switching to FSRS starts from its interval and ease', () => {
+  assert.deepEqual(memoryFromSm2(10, 3.0), { stability: 10, difficulty: 1 });
+  assert.equal(memoryFromSm2(10, 1.3).difficulty, 10);
+  const s = nextFsrsSchedule(
+    { intervalDays: 10, ease: 2.5, lapses: 0, memory: null, lastReviewedAtIso: daysAfter(NOW, -10) },
+    'good',
+    NOW,
+  );
+  assert.ok(Math.abs(s.retrievability - 0.9) < 1e-9);
+  assert.ok(s.memory.stability > 10);
+});
+
+test('parseFsrsWeights rejects malformed arrays', () => {
+  assert.deepEqual(parseFsrsWeights([...DEFAULT_FSRS_WEIGHTS]), [...DEFAULT_FSRS_WEIGHTS]);
+  assert.equal(parseFsrsWeights(DEFAULT_FSRS_WEIGHTS.slice(1)), null);
+  assert.equal(parseFsrsWeights([...DEFAULT_FSRS_WEIGHTS.slice(1), 'x']), null);
+  assert.equal(parseFsrsWeights(null), null);
+});
+
+test('resolveScheduler: student choice wins, else the flagged item types', () => {
+  assert.equal(resolveScheduler('fsrs', [], 'question'), 'fsrs');
+  assert.equal(resolveScheduler('sm2_lite', ['question'], 'question'), 'sm2_lite');
+  assert.equal(resolveScheduler(null, ['flashcard'], 'flashcard'), 'fsrs');
+  assert.equal(resolveScheduler(null, ['flashcard'], 'question'), 'sm2_lite');
+  assert.equal(resolveScheduler('garbage', [], 'skill'), 'sm2_lite');
+});
+
+// A student who forgets faster than the defaults assume: recall at a
+// review t days after the previous one follows R(t, S_true) with every
+// stability a third of what the default model would carry.
+function fastForgetterLog(items, seed = 11) {
+  let s = seed >>> 0;
+  const rand = () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 2 ** 32;
+  };
+  const log = [];
+  for (let i = 0; i < items; i++) {
+    let mem = null;
+    let t = 0;
+    for (let k = 0; k < 5; k++) {
+      let result = 'good';
+      if (mem) {
+        const p = retrievability(3 + (i % 5), mem.stability / 3);
+        result = rand() < p ? 'good' : 'again';
+        t += 3 + (i % 5);
+      }
+      log.push({ itemKey: `q${i}`, result, reviewedAtIso: daysAfter(NOW, t) });
+      mem = nextMemory(mem, result, mem ? 3 + (i % 5) : 0, DEFAULT_FSRS_WEIGHTS);
+    }
+  }
+  return log;
+}
+
+test('fitFsrsWeights needs MIN_FIT_REVIEWS predictions', () => {
+  // 4 predictions per item (5 reviews, the first has none).
+  const items = Math.floor((MIN_FIT_REVIEWS - 1) / 4);
+  assert.equal(fitFsrsWeights(fastForgetterLog(items)), null);
+});
+
+test('fitFsrsWeights beats the defaults on a student who forgets fast', () => {
+  const fit = fitFsrsWeights(fastForgetterLog(80));
+  assert.ok(fit);
+  assert.equal(fit.nReviews, 320);
+  assert.ok(fit.logLoss < fit.defaultLogLoss, `${fit.logLoss} vs ${fit.defaultLogLoss}`);
+  assert.equal(fit.weights.length, DEFAULT_FSRS_WEIGHTS.length);
+});
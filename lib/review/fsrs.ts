@@ -0,0 +1,283 @@
+// FSRS scheduling for the spaced-repetition queue — the second
+// scheduler next to SM-2-lite (./schedule.ts). PURE: no I/O, `now`
+// and the weights are inputs, so the fitter (/api/cron/fit-review-
+// scheduler), the live queue (./queue.ts) and the offline simulator
+// (./simulate.ts) all run exactly this math.
+//
+// FSRS-4.5 memory model, in plain language:
+//   - stability S: days until recall probability falls to 90%.
+//   - difficulty D (1–10): how hard the item is for THIS student;
+//     it scales how fast S grows on success.
+//   - retrievability R(t, S) = (1 + FACTOR·t/S)^DECAY — the recall
+//     probability t days after the last review. The next review is
+//     scheduled when R reaches DESIRED_RETENTION.
+// Our three outcomes map onto FSRS grades again=1, good=3, easy=4;
+// FSRS's "hard" (2) has no counterpart, so w[1] and w[15] are inert.
+//
+// Personalisation: DEFAULT_FSRS_WEIGHTS are the published FSRS-4.5
+// defaults. fitFsrsWeights re-estimates the handful of weights a
+// student's own review log can pin down (initial stabilities, initial
+// difficulty, success/lapse stability scale) once there are
+// MIN_FIT_REVIEWS of them, shrunk toward the defaults so a thin log
+// can't run away.
+//
+// Horizon: SM-2-lite caps every interval at a fixed 30 days. Here the
+// cap follows the test date — half the days left, so anything reviewed
+// now comes round at least once more before the test — and falls back
+// to the same 30 days with no (future) test date on file.
+
+import { MAX_INTERVAL_DAYS } from './schedule.ts';
+import type { ReviewResult, ReviewSchedule, ReviewScheduleState } from './schedule.ts';
+
+export type FsrsWeights = readonly number[];
+
+export interface FsrsMemory {
+  stability: number;
+  difficulty: number;
+}
+
+/** Queue state the FSRS scheduler reads. SM-2-lite columns ride along
+ *  so an item can switch schedulers without losing its history. */
+export interface FsrsPrevState extends ReviewScheduleState {
+  memory: FsrsMemory | null;
+  lastReviewedAtIso: string | null;
+}
+
+export interface FsrsSchedule extends ReviewSchedule {
+  memory: FsrsMemory;
+  /** Recall probability at the moment of this review; null on intake. */
+  retrievability: number | null;
+}
+
+export const DEFAULT_FSRS_WEIGHTS: FsrsWeights = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+  1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+export const DESIRED_RETENTION = 0.9;
+/** Share of the days left before the test that one interval may use. */
+export const TEST_DATE_CAP_SHARE = 0.5;
+/** Upper bound on the test-date cap, however far out the test is. */
+export const MAX_TEST_DATE_CAP_DAYS = 180;
+/** Reviews with a prior review (i.e. a recall prediction) needed
+ *  before a student gets fitted weights. */
+export const MIN_FIT_REVIEWS = 100;
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // R(S, S) = 0.9
+const MIN_STABILITY = 0.1;
+const DAY_MS = 86_400_000;
+
+const GRADE: Record<ReviewResult, number> = { again: 1, good: 3, easy: 4 };
+
+function clampDifficulty(d: number): number {
+  return Math.min(10, Math.max(1, d));
+}
+
+export function retrievability(elapsedDays: number, stability: number): number {
+  return (1 + (FACTOR * Math.max(elapsedDays, 0)) / stability) ** DECAY;
+}
+
+/** Days until recall falls to `retention`; DESIRED_RETENTION gives S. */
+export function intervalForStability(stability: number, retention = DESIRED_RETENTION): number {
+  return (stability / FACTOR) * (retention ** (1 / DECAY) - 1);
+}
+
+/** Longest interval allowed `daysToTest` days before the test. */
+export function maxIntervalForTest(daysToTest: number | null): number {
+  if (daysToTest == null || daysToTest <= 0) return MAX_INTERVAL_DAYS;
+  return Math.max(1, Math.min(MAX_TEST_DATE_CAP_DAYS, Math.floor(daysToTest * TEST_DATE_CAP_SHARE)));
+}
+
+/**
+ * Seed FSRS memory from SM-2-lite state when an item switches over:
+ * its interval already approximates the 90%-recall horizon, and ease
+ * 1.3–3.0 runs opposite to difficulty 10–1.
+ */
+export function memoryFromSm2(intervalDays: number, ease: number): FsrsMemory {
+  return {
+    stability: Math.max(MIN_STABILITY, intervalDays),
+    difficulty: clampDifficulty(1 + (9 * (3.0 - ease)) / 1.7),
+  };
+}
+
+/** Memory after one review. `prev` null = first sighting. */
+export function nextMemory(
+  prev: FsrsMemory | null,
+  result: ReviewResult,
+  elapsedDays: number,
+  w: FsrsWeights,
+): FsrsMemory {
+  const g = GRADE[result];
+  if (!prev) {
+    return {
+      stability: Math.max(MIN_STABILITY, w[g - 1]),
+      difficulty: clampDifficulty(w[4] - (g - 3) * w[5]),
+    };
+  }
+  const r = retrievability(elapsedDays, prev.stability);
+  const d0Easy = w[4] - w[5];
+  const difficulty = clampDifficulty(w[7] * d0Easy + (1 - w[7]) * (prev.difficulty - w[6] * (g - 3)));
+  let stability: number;
+  if (result === 'again') {
+    stability = w[11] * difficulty ** -w[12] * ((prev.stability + 1) ** w[13] - 1) * Math.exp(w[14] * (1 - r));
+    stability = Math.min(stability, prev.stability);
+  } else {
+    const easyBonus = result === 'easy' ? w[16] : 1;
+    stability = prev.stability * (
+      1 + Math.exp(w[8]) * (11 - difficulty) * prev.stability ** -w[9] * (Math.exp(w[10] * (1 - r)) - 1) * easyBonus
+    );
+  }
+  return { stability: Math.max(MIN_STABILITY, stability), difficulty };
+}
+
+/**
+ * Compute the next scheduling state after a review — the FSRS twin of
+ * nextSchedule. SM-2-lite bookkeeping (lapses, ease) is carried so the
+ * row stays valid for either scheduler; ease is left untouched.
+ */
+export function nextFsrsSchedule(
+  prev: FsrsPrevState | null,
+  result: ReviewResult,
+  nowIso: string,
+  opts: { weights?: FsrsWeights | null; daysToTest?: number | null } = {},
+): FsrsSchedule {
+  const w = opts.weights ?? DEFAULT_FSRS_WEIGHTS;
+  const now = new Date(nowIso);
+  const elapsed = prev?.lastReviewedAtIso
+    ? Math.max(0, (now.getTime() - new Date(prev.lastReviewedAtIso).getTime()) / DAY_MS)
+    : 0;
+  const prior = prev
+    ? prev.memory ?? (prev.lastReviewedAtIso ? memoryFromSm2(prev.intervalDays, prev.ease) : null)
+    : null;
+  const memory = nextMemory(prior, result, elapsed, w);
+  const interval = Math.max(
+    1,
+    Math.min(Math.round(intervalForStability(memory.stability)), maxIntervalForTest(opts.daysToTest ?? null)),
+  );
+  const due = new Date(now.getTime() + interval * DAY_MS);
+  return {
+    intervalDays: interval,
+    ease: prev?.ease ?? 2.5,
+    lapses: Math.max(prev?.lapses ?? 0, 0) + (result === 'again' ? 1 : 0),
+    lastResult: result,
+    lastReviewedAtIso: now.toISOString(),
+    dueAtIso: due.toISOString(),
+    memory,
+    retrievability: prior ? retrievability(elapsed, prior.stability) : null,
+  };
+}
+
+// ── Fitting ──────────────────────────────────────────────────────────
+
+export interface ReviewHistoryEntry {
+  /** Anything unique per queue item, e.g. `${item_type}:${item_ref}`. */
+  itemKey: string;
+  result: ReviewResult;
+  reviewedAtIso: string;
+}
+
+export interface FsrsFit {
+  weights: number[];
+  /** Reviews that carried a recall prediction (not first sightings). */
+  nReviews: number;
+  logLoss: number;
+  /** Log loss of DEFAULT_FSRS_WEIGHTS on the same reviews. */
+  defaultLogLoss: number;
+}
+
+// Weights a personal log can identify: initial stability for
+// again/good/easy, initial difficulty, success-growth scale, lapse
+// stability scale. The rest stay at the defaults.
+const FIT_INDICES = [0, 2, 3, 4, 8, 11];
+// Shrinkage toward the defaults, in pseudo-reviews per weight.
+const PRIOR_STRENGTH = 5;
+const INITIAL_LOG_STEP = 0.5;
+const MIN_LOG_STEP = 0.02;
+const MAX_FIT_ROUNDS = 60;
+const EPS = 1e-6;
+
+type Sequence = { t: number; recalled: boolean; result: ReviewResult }[];
+
+/** Group a review log into per-item sequences in time order. */
+export function toSequences(history: readonly ReviewHistoryEntry[]): Sequence[] {
+  const byItem = new Map<string, Sequence>();
+  for (const h of history) {
+    const seq = byItem.get(h.itemKey) ?? [];
+    seq.push({ t: new Date(h.reviewedAtIso).getTime() / DAY_MS, recalled: h.result !== 'again', result: h.result });
+    byItem.set(h.itemKey, seq);
+  }
+  return [...byItem.values()].map((s) => s.sort((a, b) => a.t - b.t));
+}
+
+function sequenceLoss(sequences: readonly Sequence[], w: FsrsWeights): { loss: number; n: number } {
+  let loss = 0;
+  let n = 0;
+  for (const seq of sequences) {
+    let mem: FsrsMemory | null = null;
+    let lastT = 0;
+    for (const rv of seq) {
+      const elapsed = rv.t - lastT;
+      if (mem) {
+        const p = Math.min(1 - EPS, Math.max(EPS, retrievability(elapsed, mem.stability)));
+        loss -= rv.recalled ? Math.log(p) : Math.log(1 - p);
+        n++;
+      }
+      mem = nextMemory(mem, rv.result, elapsed, w);
+      lastT = rv.t;
+    }
+  }
+  return { loss, n };
+}
+
+/**
+ * Fit a student's weights by pattern search on log-step multipliers
+ * (log loss of predicted recall + a quadratic pull toward the default
+ * in log space). Null below MIN_FIT_REVIEWS predictions.
+ */
+export function fitFsrsWeights(history: readonly ReviewHistoryEntry[]): FsrsFit | null {
+  const sequences = toSequences(history);
+  const base = sequenceLoss(sequences, DEFAULT_FSRS_WEIGHTS);
+  if (base.n < MIN_FIT_REVIEWS) return null;
+
+  const w = [...DEFAULT_FSRS_WEIGHTS];
+  const objective = (cand: number[]) => {
+    let penalty = 0;
+    for (const i of FIT_INDICES) penalty += Math.log(cand[i] / DEFAULT_FSRS_WEIGHTS[i]) ** 2;
+    return sequenceLoss(sequences, cand).loss + PRIOR_STRENGTH * penalty;
+  };
+  let best = objective(w);
+  let step = INITIAL_LOG_STEP;
+  for (let round = 0; round < MAX_FIT_ROUNDS && step >= MIN_LOG_STEP; round++) {
+    let improved = false;
+    for (const i of FIT_INDICES) {
+      for (const dir of [1, -1]) {
+        const cand = [...w];
+        cand[i] = w[i] * Math.exp(dir * step);
+        if (i === 4) cand[i] = clampDifficulty(cand[i]);
+        const val = objective(cand);
+        if (val < best - 1e-9) {
+          best = val;
+          w[i] = cand[i];
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+
+  const fitted = sequenceLoss(sequences, w);
+  return {
+    weights: w.map((x) => Math.round(x * 10_000) / 10_000),
+    nReviews: fitted.n,
+    logLoss: fitted.loss / fitted.n,
+    defaultLogLoss: base.loss / base.n,
+  };
+}
+
+/** Parse a stored weights array; anything malformed → null (defaults). */
+export function parseFsrsWeights(raw: unknown): FsrsWeights | null {
+  if (!Array.isArray(raw) || raw.length !== DEFAULT_FSRS_WEIGHTS.length) return null;
+  const nums = raw.map(Number);
+  return nums.every((x) => Number.isFinite(x) && x > 0) ? nums : null;
+}
@@ -17,6 +17,13 @@
 //        scheduling (replacing weighted-random as the selection
 //        policy; the rating scale stays the student-facing 0..5).
 //
+// Every scheduled review picks its scheduler — SM-2-lite or FSRS
+// (./fsrs.ts), per student or per item type (resolveScheduler) — with
+// the student's fitted FSRS weights and days-to-test loaded alongside,
+// and writes the new schedule plus a review_log row in one
+// record_review call: the log is the history the FSRS fitter and the
+// scheduler simulator replay.
+//
 // All writes are best-effort from the caller's perspective: callers
 // wrap these in after()/try-catch because a queue bookkeeping failure
 // must never break the answer/rating that triggered it.
@@ -25,11 +32,23 @@ import {
   isDue,
   masteryToResult,
   nextSchedule,
+  resolveScheduler,
+} from './schedule';
+import type {
+  ReviewItemType,
+  ReviewResult,
+  ReviewScheduler,
+  ReviewScheduleState,
 } from './schedule';
-import type { ReviewItemType, ReviewScheduleState } from './schedule';
+import { nextFsrsSchedule, parseFsrsWeights } from './fsrs';
+import type { FsrsMemory, FsrsWeights } from './fsrs';
+import { fsrsItemTypes } from '@/lib/flags';
 import type { TypedSupabaseClient } from '@/lib/supabase/server';
 
 const QUEUE_CONFLICT_KEY = 'student_id,item_type,item_ref';
+const QUEUE_COLUMNS =
+  'id, item_type, item_ref, due_at, interval_days, ease, lapses, last_reviewed_at, scheduler, stability, difficulty';
+const DAY_MS = 86_400_000;
 
 /** How many skill micro-drill questions a due skill item contributes
  *  to a review session. */
@@ -44,6 +63,10 @@ export interface ReviewQueueItem {
   itemRef: string;
   dueAt: string;
   state: ReviewScheduleState;
+  scheduler: ReviewScheduler;
+  /** FSRS memory; null until FSRS has scheduled the item. */
+  memory: FsrsMemory | null;
+  lastReviewedAt: string | null;
 }
 
 type QueueRow = {
@@ -54,6 +77,10 @@ type QueueRow = {
   interval_days: number;
   ease: number;
   lapses: number;
+  last_reviewed_at: string | null;
+  scheduler: string;
+  stability: number | null;
+  difficulty: number | null;
 };
 
 function toItem(row: QueueRow): ReviewQueueItem {
@@ -67,6 +94,65 @@ function toItem(row: QueueRow): ReviewQueueItem {
       ease: Number(row.ease),
       lapses: row.lapses,
     },
+    scheduler: row.scheduler === 'fsrs' ? 'fsrs' : 'sm2_lite',
+    memory: row.stability != null && row.difficulty != null
+      ? { stability: Number(row.stability), difficulty: Number(row.difficulty) }
+      : null,
+    lastReviewedAt: row.last_reviewed_at,
+  };
+}
+
+/** What a scheduling decision needs beyond the item itself. */
+export interface SchedulerContext {
+  /** profiles.review_scheduler — null defers to the flag. */
+  studentChoice: string | null;
+  /** Item types the review_scheduler_fsrs flag puts on FSRS. */
+  fsrsItemTypes: string[];
+  /** Fitted weights (review_fsrs_params); null = defaults. */
+  weights: FsrsWeights | null;
+  /** Days to the next registered (else profile) test date. */
+  daysToTest: number | null;
+}
+
+export async function loadSchedulerContext(
+  supabase: TypedSupabaseClient,
+  userId: string,
+  nowIso: string,
+): Promise<SchedulerContext> {
+  const today = nowIso.slice(0, 10);
+  const [{ data: profile }, { data: registration }, { data: params }, { data: flag }] = await Promise.all([
+    supabase
+      .from('profiles')
+      .select('review_scheduler, sat_test_date')
+      .eq('id', userId)
+      .maybeSingle(),
+    supabase
+      .from('sat_test_registrations')
+      .select('test_date')
+      .eq('student_id', userId)
+      .gte('test_date', today)
+      .order('test_date', { ascending: true })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('review_fsrs_params')
+      .select('weights')
+      .eq('student_id', userId)
+      .maybeSingle(),
+    supabase
+      .from('feature_flags')
+      .select('value')
+      .eq('key', 'review_scheduler_fsrs')
+      .maybeSingle(),
+  ]);
+  const testDate = registration?.test_date ?? profile?.sat_test_date ?? null;
+  return {
+    studentChoice: profile?.review_scheduler ?? null,
+    fsrsItemTypes: fsrsItemTypes(flag?.value),
+    weights: parseFsrsWeights(params?.weights),
+    daysToTest: testDate
+      ? Math.floor((Date.parse(`${testDate.slice(0, 10)}T00:00:00Z`) - new Date(nowIso).getTime()) / DAY_MS)
+      : null,
   };
 }
 
@@ -78,7 +164,7 @@ async function fetchItem(
 ): Promise<ReviewQueueItem | null> {
   const { data } = await supabase
     .from('review_queue')
-    .select('id, item_type, item_ref, due_at, interval_days, ease, lapses')
+    .select(QUEUE_COLUMNS)
     .eq('student_id', userId)
     .eq('item_type', itemType)
     .eq('item_ref', itemRef)
@@ -91,25 +177,52 @@ async function upsertSchedule(
   userId: string,
   itemType: ReviewItemType,
   itemRef: string,
-  prev: ReviewScheduleState | null,
-  result: 'again' | 'good' | 'easy',
+  prev: ReviewQueueItem | null,
+  result: ReviewResult,
   nowIso: string,
 ): Promise<void> {
-  const next = nextSchedule(prev, result, nowIso);
-  await supabase.from('review_queue').upsert(
-    {
-      student_id: userId,
-      item_type: itemType,
-      item_ref: itemRef,
-      due_at: next.dueAtIso,
-      interval_days: next.intervalDays,
-      ease: next.ease,
-      lapses: next.lapses,
-      last_result: next.lastResult,
-      last_reviewed_at: next.lastReviewedAtIso,
-    },
-    { onConflict: QUEUE_CONFLICT_KEY },
-  );
+  const ctx = await loadSchedulerContext(supabase, userId, nowIso);
+  const scheduler = resolveScheduler(ctx.studentChoice, ctx.fsrsItemTypes, itemType);
+
+  let next: ReturnType<typeof nextSchedule>;
+  let memory: FsrsMemory | null = null;
+  let retrievability: number | null = null;
+  if (scheduler === 'fsrs') {
+    const fsrs = nextFsrsSchedule(
+      prev ? { ...prev.state, memory: prev.memory, lastReviewedAtIso: prev.lastReviewedAt } : null,
+      result,
+      nowIso,
+      { weights: ctx.weights, daysToTest: ctx.daysToTest },
+    );
+    next = fsrs;
+    memory = fsrs.memory;
+    retrievability = fsrs.retrievability;
+  } else {
+    next = nextSchedule(prev?.state ?? null, result, nowIso);
+  }
+
+  // One call, one transaction: the queue row and its review_log entry
+  // land together (record_review, migration 20261019400000), and the
+  // log's insert policy checks the review against a real attempt or
+  // rating.
+  const { error } = await supabase.rpc('record_review', {
+    p_item_type: itemType,
+    p_item_ref: itemRef,
+    p_result: result,
+    p_reviewed_at: next.lastReviewedAtIso,
+    p_scheduler: scheduler,
+    p_due_at: next.dueAtIso,
+    p_interval_days: next.intervalDays,
+    p_ease: next.ease,
+    p_lapses: next.lapses,
+    p_stability: memory?.stability,
+    p_difficulty: memory?.difficulty,
+    p_elapsed_days: prev?.lastReviewedAt
+      ? (new Date(nowIso).getTime() - new Date(prev.lastReviewedAt).getTime()) / DAY_MS
+      : undefined,
+    p_retrievability: retrievability == null ? undefined : Math.round(retrievability * 1000) / 1000,
+  });
+  if (error) throw new Error(`record_review: ${error.message}`);
 }
 
 /**
@@ -128,7 +241,7 @@ export async function recordQuestionOutcome(
   if (!existing && isCorrect) return;
   await upsertSchedule(
     supabase, userId, 'question', questionId,
-    existing?.state ?? null,
+    existing,
     isCorrect ? 'good' : 'again',
     nowIso,
   );
@@ -147,7 +260,7 @@ export async function recordFlashcardRating(
   const existing = await fetchItem(supabase, userId, 'flashcard', cardId);
   await upsertSchedule(
     supabase, userId, 'flashcard', cardId,
-    existing?.state ?? null,
+    existing,
     masteryToResult(mastery),
     nowIso,
   );
@@ -227,7 +340,7 @@ export async function getDueReviewItems(
 ): Promise<ReviewQueueItem[]> {
   const { data } = await supabase
     .from('review_queue')
-    .select('id, item_type, item_ref, due_at, interval_days, ease, lapses')
+    .select(QUEUE_COLUMNS)
     .eq('student_id', userId)
     .lte('due_at', nowIso)
     .order('due_at', { ascending: true })
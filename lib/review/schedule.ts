@@ -9,6 +9,9 @@
 // past ~a month has left the useful range. The state columns map
 // 1:1 onto review_queue (interval_days, ease, lapses, last_result,
 // due_at, last_reviewed_at).
+//
+// The FSRS alternative lives in ./fsrs.ts; resolveScheduler below
+// decides which of the two schedules a given item.
 
 export type ReviewItemType = 'question' | 'skill' | 'flashcard' | 'vocab';
 
@@ -18,6 +21,11 @@ export type ReviewItemType = 'question' | 'skill' | 'flashcard' | 'vocab';
  *  easy  — got it comfortably (grows faster, ease creeps up) */
 export type ReviewResult = 'again' | 'good' | 'easy';
 
+/** Which scheduler owns an item's next due date. */
+export type ReviewScheduler = 'sm2_lite' | 'fsrs';
+
+export const REVIEW_SCHEDULERS: readonly ReviewScheduler[] = ['sm2_lite', 'fsrs'];
+
 /** The scheduling state stored per review_queue row. */
 export interface ReviewScheduleState {
   intervalDays: number;
@@ -37,7 +45,7 @@ export interface ReviewSchedule extends ReviewScheduleState {
 const LAPSE_INTERVAL_DAYS = 1;   // §3.1: wrong answers come back at 1-2 days
 const FIRST_GOOD_INTERVAL_DAYS = 3;
 const FIRST_EASY_INTERVAL_DAYS = 5;
-const MAX_INTERVAL_DAYS = 30;    // test-prep horizon, not language-learning
+export const MAX_INTERVAL_DAYS = 30; // test-prep horizon, not language-learning
 const DEFAULT_EASE = 2.5;        // classic SM-2 starting ease
 const MIN_EASE = 1.3;
 const MAX_EASE = 3.0;
@@ -118,3 +126,19 @@ export function masteryToResult(mastery: number): ReviewResult {
 export function isDue(dueAtIso: string, nowIso: string): boolean {
   return new Date(dueAtIso).getTime() <= new Date(nowIso).getTime();
 }
+
+/**
+ * Pick the scheduler for one item. A per-student choice
+ * (profiles.review_scheduler) wins for every item type; unset, the
+ * item types listed in the review_scheduler_fsrs flag
+ * (fsrsItemTypes in lib/flags.ts) get FSRS and everything else stays
+ * on SM-2-lite.
+ */
+export function resolveScheduler(
+  studentChoice: string | null | undefined,
+  fsrsItemTypes: readonly string[],
+  itemType: ReviewItemType,
+): ReviewScheduler {
+  if (studentChoice === 'fsrs' || studentChoice === 'sm2_lite') return studentChoice;
+  return fsrsItemTypes.includes(itemType) ? 'fsrs' : 'sm2_lite';
+}
@@ -0,0 +1,78 @@
+// Scheduler simulator tests. Runs under `npm run test:unit`; imports
+// the .ts source directly like fsrs.test.mjs does.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateSchedulers, CALIBRATION_BINS } from './simulate.ts';
+import { DEFAULT_FSRS_WEIGHTS, nextMemory, retrievability } from './fsrs.ts';
+
+const START = Date.parse('2026-06-01T15:00:00.000Z');
+const DAY_MS = 86_400_000;
+
+// One student, `items` questions, five reviews each at a fixed gap;
+// recall drawn from an FSRS memory whose stability is `scale` times
+// the default model's.
+function studentLog(studentId, items, scale, seed) {
+  let s = seed >>> 0;
+  const rand = () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 2 ** 32;
+  };
+  const out = [];
+  for (let i = 0; i < items; i++) {
+    const gap = 2 + (i % 6);
+    let mem = null;
+    for (let k = 0; k < 5; k++) {
+      let result = 'good';
+      if (mem) result = rand() < retrievability(gap, mem.stability * scale) ? 'good' : 'again';
+      out.push({
+        studentId,
+        itemType: 'question',
+        itemRef: `q${i}`,
+        result,
+        // Items interleave in time so the train/test split cuts
+        // across items, not between them.
+        reviewedAtIso: new Date(START + (k * gap + i * 0.01) * DAY_MS).toISOString(),
+      });
+      mem = nextMemory(mem, result, mem ? gap : 0, DEFAULT_FSRS_WEIGHTS);
+    }
+  }
+  return out;
+}
+
+test('scores every scheduler on the same held-out reviews', () => {
+  const report = simulateSchedulers([
+    ...studentLog('a', 60, 1, 3),
+    ...studentLog('b', 10, 1, 5),
+  ]);
+  assert.equal(report.students, 2);
+  assert.equal(report.reviews, 350);
+  const [sm2, fsrsDefault, fsrsFitted] = report.schedulers;
+  assert.deepEqual(report.schedulers.map((r) => r.scheduler), ['sm2_lite', 'fsrs_default', 'fsrs_fitted']);
+  assert.ok(report.scored > 0);
+  assert.equal(sm2.n, report.scored);
+  assert.equal(fsrsDefault.n, report.scored);
+  assert.equal(fsrsFitted.n, report.scored);
+  assert.equal(sm2.bins.length, CALIBRATION_BINS);
+  assert.equal(sm2.bins.reduce((s, b) => s + b.n, 0), sm2.n);
+  assert.ok(sm2.meanIntervalDays >= 1 && sm2.meanIntervalDays <= 30);
+});
+
+test('fitted weights win on a student the defaults misjudge', () => {
+  const report = simulateSchedulers(studentLog('fast', 150, 0.3, 9));
+  assert.equal(report.fittedStudents, 1);
+  const byName = Object.fromEntries(report.schedulers.map((r) => [r.scheduler, r]));
+  assert.ok(
+    byName.fsrs_fitted.logLoss < byName.fsrs_default.logLoss,
+    `${byName.fsrs_fitted.logLoss} vs ${byName.fsrs_default.logLoss}`,
+  );
+  // The defaults over-predict recall for a fast forgetter.
+  assert.ok(byName.fsrs_default.meanPredicted > byName.fsrs_default.actualRecall);
+});
+
+test('a student with too little history falls back to the default weights', () => {
+  const report = simulateSchedulers(studentLog('thin', 5, 1, 1));
+  assert.equal(report.fittedStudents, 0);
+  const byName = Object.fromEntries(report.schedulers.map((r) => [r.scheduler, r]));
+  assert.equal(byName.fsrs_fitted.logLoss, byName.fsrs_default.logLoss);
+});
@@ -0,0 +1,219 @@
+// Offline scheduler simulator: replays historical reviews (review_log)
+// through SM-2-lite and FSRS and scores how well each one predicted
+// whether the student would recall the item. PURE — the I/O half is
+// scripts/simulate-review-schedulers.mjs.
+//
+// Replay: each item's reviews run in time order through both
+// schedulers, driven by the outcomes that actually happened (the
+// schedulers can't change history, only predict it). At every review
+// after the first, each scheduler states a recall probability:
+//   - FSRS: R(elapsed, S) from its memory model, once with the default
+//     weights and once with weights fitted on the student's EARLIER
+//     reviews (the first TRAIN_SHARE of their log by time) — so the
+//     fitted column is never scored on reviews it was fitted to.
+//   - SM-2-lite has no memory model; the usual stand-in is that its
+//     interval targets DESIRED_RETENTION at the due date with
+//     exponential forgetting: p = 0.9^(elapsed / interval).
+// Only reviews in each student's held-out tail are scored, for every
+// scheduler alike.
+//
+// Report per scheduler: log loss (lower is better), RMSE between
+// predicted and actual recall over CALIBRATION_BINS, mean predicted vs
+// actual recall, the calibration table itself, and the mean interval
+// the scheduler would have assigned (the workload it implies; both
+// under the no-test-date 30-day cap, since the log doesn't record
+// what the test date was at the time).
+
+import { nextSchedule } from './schedule.ts';
+import type { ReviewResult, ReviewScheduleState } from './schedule.ts';
+import {
+  DEFAULT_FSRS_WEIGHTS,
+  DESIRED_RETENTION,
+  fitFsrsWeights,
+  intervalForStability,
+  maxIntervalForTest,
+  nextMemory,
+  retrievability,
+  type FsrsMemory,
+  type FsrsWeights,
+} from './fsrs.ts';
+
+export interface ReplayReview {
+  studentId: string;
+  itemType: string;
+  itemRef: string;
+  result: ReviewResult;
+  reviewedAtIso: string;
+}
+
+export type SimulatedScheduler = 'sm2_lite' | 'fsrs_default' | 'fsrs_fitted';
+
+export interface CalibrationBin {
+  lo: number;
+  hi: number;
+  n: number;
+  predicted: number;
+  actual: number;
+}
+
+export interface SchedulerReport {
+  scheduler: SimulatedScheduler;
+  n: number;
+  logLoss: number;
+  rmseBins: number;
+  meanPredicted: number;
+  actualRecall: number;
+  meanIntervalDays: number;
+  bins: CalibrationBin[];
+}
+
+export interface SimulationReport {
+  students: number;
+  /** Students whose training share was large enough to fit weights. */
+  fittedStudents: number;
+  reviews: number;
+  scored: number;
+  schedulers: SchedulerReport[];
+}
+
+export const TRAIN_SHARE = 0.7;
+export const CALIBRATION_BINS = 10;
+
+const DAY_MS = 86_400_000;
+const EPS = 1e-6;
+const SCHEDULERS: SimulatedScheduler[] = ['sm2_lite', 'fsrs_default', 'fsrs_fitted'];
+
+interface Tally {
+  preds: { p: number; y: number }[];
+  intervalSum: number;
+  intervalN: number;
+}
+
+function groupBy<T>(rows: readonly T[], key: (r: T) => string): Map<string, T[]> {
+  const out = new Map<string, T[]>();
+  for (const r of rows) {
+    const k = key(r);
+    const arr = out.get(k) ?? [];
+    arr.push(r);
+    out.set(k, arr);
+  }
+  return out;
+}
+
+function summarize(scheduler: SimulatedScheduler, t: Tally): SchedulerReport {
+  const n = t.preds.length;
+  let loss = 0;
+  let pSum = 0;
+  let ySum = 0;
+  const bins: CalibrationBin[] = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    lo: i / CALIBRATION_BINS, hi: (i + 1) / CALIBRATION_BINS, n: 0, predicted: 0, actual: 0,
+  }));
+  for (const { p, y } of t.preds) {
+    const pc = Math.min(1 - EPS, Math.max(EPS, p));
+    loss -= y ? Math.log(pc) : Math.log(1 - pc);
+    pSum += p;
+    ySum += y;
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(p * CALIBRATION_BINS))];
+    bin.n++;
+    bin.predicted += p;
+    bin.actual += y;
+  }
+  let sq = 0;
+  for (const b of bins) {
+    if (b.n === 0) continue;
+    b.predicted /= b.n;
+    b.actual /= b.n;
+    sq += b.n * (b.predicted - b.actual) ** 2;
+  }
+  return {
+    scheduler,
+    n,
+    logLoss: n ? loss / n : NaN,
+    rmseBins: n ? Math.sqrt(sq / n) : NaN,
+    meanPredicted: n ? pSum / n : NaN,
+    actualRecall: n ? ySum / n : NaN,
+    meanIntervalDays: t.intervalN ? t.intervalSum / t.intervalN : NaN,
+    bins,
+  };
+}
+
+export function simulateSchedulers(reviews: readonly ReplayReview[]): SimulationReport {
+  const tallies = new Map<SimulatedScheduler, Tally>(
+    SCHEDULERS.map((s) => [s, { preds: [], intervalSum: 0, intervalN: 0 }]),
+  );
+  let fittedStudents = 0;
+
+  const byStudent = groupBy(reviews, (r) => r.studentId);
+  for (const studentReviews of byStudent.values()) {
+    const sorted = [...studentReviews].sort((a, b) => a.reviewedAtIso.localeCompare(b.reviewedAtIso));
+    const cut = Math.floor(sorted.length * TRAIN_SHARE);
+    const testFrom = sorted[cut]?.reviewedAtIso ?? null;
+    if (testFrom == null) continue;
+
+    const fit = fitFsrsWeights(
+      sorted.slice(0, cut).map((r) => ({
+        itemKey: `${r.itemType}:${r.itemRef}`,
+        result: r.result,
+        reviewedAtIso: r.reviewedAtIso,
+      })),
+    );
+    if (fit) fittedStudents++;
+    const weights: Record<'fsrs_default' | 'fsrs_fitted', FsrsWeights> = {
+      fsrs_default: DEFAULT_FSRS_WEIGHTS,
+      fsrs_fitted: fit?.weights ?? DEFAULT_FSRS_WEIGHTS,
+    };
+
+    for (const item of groupBy(sorted, (r) => `${r.itemType}:${r.itemRef}`).values()) {
+      let sm2: ReviewScheduleState | null = null;
+      const mem: Record<'fsrs_default' | 'fsrs_fitted', FsrsMemory | null> = {
+        fsrs_default: null,
+        fsrs_fitted: null,
+      };
+      let lastMs: number | null = null;
+      for (const rv of item) {
+        const nowMs = new Date(rv.reviewedAtIso).getTime();
+        const elapsed = lastMs == null ? 0 : (nowMs - lastMs) / DAY_MS;
+        const scored = lastMs != null && rv.reviewedAtIso >= testFrom;
+        const y = rv.result === 'again' ? 0 : 1;
+
+        if (scored && sm2) {
+          const t = tallies.get('sm2_lite')!;
+          t.preds.push({ p: DESIRED_RETENTION ** (elapsed / sm2.intervalDays), y });
+        }
+        sm2 = nextSchedule(sm2, rv.result, rv.reviewedAtIso);
+        if (rv.reviewedAtIso >= testFrom) {
+          const t = tallies.get('sm2_lite')!;
+          t.intervalSum += sm2.intervalDays;
+          t.intervalN++;
+        }
+
+        for (const key of ['fsrs_default', 'fsrs_fitted'] as const) {
+          const prev = mem[key];
+          if (scored && prev) {
+            tallies.get(key)!.preds.push({ p: retrievability(elapsed, prev.stability), y });
+          }
+          const next = nextMemory(prev, rv.result, elapsed, weights[key]);
+          mem[key] = next;
+          if (rv.reviewedAtIso >= testFrom) {
+            const t = tallies.get(key)!;
+            t.intervalSum += Math.max(1, Math.min(
+              Math.round(intervalForStability(next.stability)),
+              maxIntervalForTest(null),
+            ));
+            t.intervalN++;
+          }
+        }
+        lastMs = nowMs;
+      }
+    }
+  }
+
+  const schedulers = SCHEDULERS.map((s) => summarize(s, tallies.get(s)!));
+  return {
+    students: byStudent.size,
+    fittedStudents,
+    reviews: reviews.length,
+    scored: schedulers[0].n,
+    schedulers,
+  };
+}
@@ -0,0 +1,345 @@
+// OneRoster roster import — the IO half. Reads the rostered state a
+// bundle touches and applies a plan from lib/roster/oneroster.ts.
+//
+// Both functions take the service-role client: matching by email has
+// to see profiles outside the importer's RLS scope, creating accounts
+// goes through auth.admin, and the relationship tables only accept
+// admin writes. The Server Actions gate on requireServiceRole, and a
+// manager's reach is bounded by `visibleProfileIds` — the planner
+// refuses to link an account outside it.
+//
+// Apply is row-at-a-time where a row can fail on its own (account
+// creation, class writes) and batched where it can't, so one bad
+// account reports its line instead of failing the whole roster.
+
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import type { Json } from '@/lib/types';
+import {
+  summarizeRosterPlan,
+  type RosterBundle,
+  type RosterIssue,
+  type RosterPlan,
+  type RosterPlanSummary,
+  type RosterState,
+} from './oneroster';
+
+const IN_CHUNK_SIZE = 300;
+const WRITE_CHUNK_SIZE = 500;
+/** Dropped students kept on the import row for the page to list. */
+const LOGGED_DROPS = 500;
+
+type QueryResult<T> = PromiseLike<{ data: T[] | null; error: { message: string } | null }>;
+
+async function inChunks<T>(values: string[], run: (chunk: string[]) => QueryResult<T>): Promise<T[]> {
+  const out: T[] = [];
+  for (let i = 0; i < values.length; i += IN_CHUNK_SIZE) {
+    const { data, error } = await run(values.slice(i, i + IN_CHUNK_SIZE));
+    if (error) throw new Error(error.message);
+    out.push(...(data ?? []));
+  }
+  return out;
+}
+
+function uniq(values: Iterable<string>): string[] {
+  return [...new Set(values)];
+}
+
+/**
+ * Everything planRosterImport needs about `bundle`: links for its
+ * users, classes and enrollments under its orgs or sourcedIds, the
+ * profiles behind them plus any matching an unlinked user's email,
+ * and the teacher → student pairs that already exist.
+ *
+ * `visibleProfileIds` is null for an admin (every account is
+ * linkable); for a manager it's list_visible_users. `managerId` adds
+ * their current team so new teachers can join it.
+ */
+export async function loadRosterState(
+  svc: TypedSupabaseClient,
+  bundle: RosterBundle,
+  { managerId, visibleProfileIds }: { managerId: string | null; visibleProfileIds: ReadonlySet<string> | null },
+): Promise<RosterState> {
+  const orgIds = bundle.orgs.map((o) => o.sourcedId);
+  const userIds = bundle.users.map((u) => u.sourcedId);
+  const classIds = bundle.classes.map((c) => c.sourcedId);
+
+  const linkSelect = 'sourced_id, profile_id, role, org_sourced_ids, dropped_at';
+  const linkRows = await inChunks(userIds, (chunk) =>
+    svc.from('roster_users').select(linkSelect).in('sourced_id', chunk),
+  );
+  // Links under these orgs that the bundle no longer lists — the
+  // candidates for a drop.
+  if (orgIds.length > 0) {
+    const { data, error } = await svc.from('roster_users').select(linkSelect).overlaps('org_sourced_ids', orgIds);
+    if (error) throw new Error(error.message);
+    linkRows.push(...(data ?? []));
+  }
+  const links = [...new Map(linkRows.map((l) => [l.sourced_id, l])).values()].map((l) => ({
+    sourcedId: l.sourced_id,
+    profileId: l.profile_id,
+    role: l.role as 'student' | 'teacher',
+    orgSourcedIds: l.org_sourced_ids,
+    droppedAt: l.dropped_at,
+  }));
+
+  const classRows = [
+    ...(await inChunks(classIds, (chunk) =>
+      svc.from('classes').select('id, sourced_id, name, teacher_id, org_sourced_id').in('sourced_id', chunk),
+    )),
+    ...(await inChunks(orgIds, (chunk) =>
+      svc.from('classes').select('id, sourced_id, name, teacher_id, org_sourced_id').in('org_sourced_id', chunk),
+    )),
+  ];
+  const classes = [...new Map(classRows.map((c) => [c.id, c])).values()].map((c) => ({
+    id: c.id,
+    sourcedId: c.sourced_id,
+    name: c.name,
+    teacherId: c.teacher_id,
+    orgSourcedId: c.org_sourced_id,
+  }));
+
+  const enrollmentRows = await inChunks(classes.map((c) => c.id), (chunk) =>
+    svc.from('class_enrollments').select('class_id, student_id, rostered, dropped_at').in('class_id', chunk),
+  );
+
+  const linkedSourcedIds = new Set(links.map((l) => l.sourcedId));
+  const emails = uniq(
+    bundle.users.filter((u) => u.email && !linkedSourcedIds.has(u.sourcedId)).map((u) => u.email as string),
+  );
+  const profileRows = [
+    ...(await inChunks(uniq([...links.map((l) => l.profileId), ...enrollmentRows.map((e) => e.student_id)]), (chunk) =>
+      svc.from('profiles').select('id, email, role, first_name, last_name').in('id', chunk),
+    )),
+    ...(await inChunks(emails, (chunk) =>
+      svc.from('profiles').select('id, email, role, first_name, last_name').in('email', chunk),
+    )),
+  ];
+  const profiles = [...new Map(profileRows.map((p) => [p.id, p])).values()].map((p) => ({
+    id: p.id,
+    email: p.email,
+    role: p.role,
+    firstName: p.first_name,
+    lastName: p.last_name,
+    linkable: visibleProfileIds === null || visibleProfileIds.has(p.id),
+  }));
+
+  const teacherRoles = new Set(['teacher', 'manager', 'admin']);
+  const pairRows = await inChunks(
+    profiles.filter((p) => teacherRoles.has(p.role)).map((p) => p.id),
+    (chunk) => svc.from('teacher_student_assignments').select('teacher_id, student_id').in('teacher_id', chunk),
+  );
+
+  let managedTeacherIds: string[] | null = null;
+  if (managerId) {
+    const { data, error } = await svc
+      .from('manager_teacher_assignments')
+      .select('teacher_id')
+      .eq('manager_id', managerId);
+    if (error) throw new Error(error.message);
+    managedTeacherIds = (data ?? []).map((r) => r.teacher_id);
+  }
+
+  return {
+    links,
+    profiles,
+    classes,
+    enrollments: enrollmentRows.map((e) => ({
+      classId: e.class_id,
+      studentId: e.student_id,
+      rostered: e.rostered,
+      droppedAt: e.dropped_at,
+    })),
+    teacherStudentPairs: pairRows.map((r) => ({ teacherId: r.teacher_id, studentId: r.student_id })),
+    managedTeacherIds,
+  };
+}
+
+export type RosterImportResult = {
+  importId: string;
+  summary: RosterPlanSummary;
+  /** Plan issues plus anything that failed while writing. */
+  issues: RosterIssue[];
+};
+
+/**
+ * Write `plan`. Accounts are created confirmed and without a password
+ * (handle_new_user copies user_type into the role); rostered users
+ * sign in through "Forgot password" with their roster email.
+ */
+export async function applyRosterPlan(
+  svc: TypedSupabaseClient,
+  plan: RosterPlan,
+  { actorId, managerId }: { actorId: string; managerId: string | null },
+): Promise<RosterImportResult> {
+  const issues = [...plan.issues];
+  const nowIso = new Date().toISOString();
+  const summary = summarizeRosterPlan(plan);
+
+  const { data: importRow, error: importErr } = await svc
+    .from('roster_imports')
+    .insert({ imported_by: actorId, org_sourced_ids: plan.orgs.map((o) => o.sourcedId) })
+    .select('id')
+    .single();
+  if (importErr || !importRow) throw new Error(importErr?.message ?? 'Could not record the import');
+  const importId = importRow.id;
+
+  if (plan.orgs.length > 0) {
+    const { error } = await svc.from('roster_orgs').upsert(
+      plan.orgs.map((o) => ({
+        sourced_id: o.sourcedId,
+        name: o.name,
+        type: o.type,
+        identifier: o.identifier,
+        parent_sourced_id: o.parentSourcedId,
+        last_import_id: importId,
+        updated_at: nowIso,
+      })),
+      { onConflict: 'sourced_id' },
+    );
+    if (error) throw new Error(`Could not save orgs: ${error.message}`);
+  }
+
+  // ── Users ──
+  const profileBySourcedId = new Map<string, string>();
+  for (const u of plan.users) {
+    let profileId = u.profileId;
+    if (u.action === 'create') {
+      const { data, error } = await svc.auth.admin.createUser({
+        email: u.email ?? undefined,
+        email_confirm: true,
+        user_metadata: { first_name: u.firstName, last_name: u.lastName, user_type: u.role },
+      });
+      if (error || !data?.user?.id) {
+        issues.push({ file: 'users', line: u.line, message: `could not create ${u.email}: ${error?.message ?? 'unknown'}` });
+        continue;
+      }
+      profileId = data.user.id;
+    } else if (profileId && (u.promote || u.fillName)) {
+      const { error } = await svc
+        .from('profiles')
+        .update({
+          ...(u.promote ? { role: 'student' } : {}),
+          ...(u.fillName ? { first_name: u.firstName, last_name: u.lastName } : {}),
+        })
+        .eq('id', profileId);
+      if (error) issues.push({ file: 'users', line: u.line, message: `could not update ${u.name}: ${error.message}` });
+    }
+    if (profileId) profileBySourcedId.set(u.sourcedId, profileId);
+  }
+
+  const linkRows = plan.users
+    .filter((u) => profileBySourcedId.has(u.sourcedId))
+    .map((u) => ({
+      sourced_id: u.sourcedId,
+      profile_id: profileBySourcedId.get(u.sourcedId) as string,
+      role: u.role,
+      org_sourced_ids: u.orgSourcedIds,
+      dropped_at: null,
+      last_import_id: importId,
+      updated_at: nowIso,
+    }));
+  for (let i = 0; i < linkRows.length; i += WRITE_CHUNK_SIZE) {
+    const { error } = await svc.from('roster_users').upsert(linkRows.slice(i, i + WRITE_CHUNK_SIZE), {
+      onConflict: 'sourced_id',
+    });
+    if (error) throw new Error(`Could not save roster links: ${error.message}`);
+  }
+  const droppedIds = plan.userDrops.map((d) => d.sourcedId);
+  for (let i = 0; i < droppedIds.length; i += IN_CHUNK_SIZE) {
+    const { error } = await svc
+      .from('roster_users')
+      .update({ dropped_at: nowIso, updated_at: nowIso })
+      .in('sourced_id', droppedIds.slice(i, i + IN_CHUNK_SIZE));
+    if (error) throw new Error(`Could not flag dropped users: ${error.message}`);
+  }
+
+  // ── Classes ──
+  const classBySourcedId = new Map<string, string>();
+  for (const c of plan.classes) {
+    const teacherId = profileBySourcedId.get(c.ownerSourcedId);
+    if (!teacherId) {
+      issues.push({ file: 'classes', line: c.line, message: `"${c.title}" skipped: its teacher's account wasn't created` });
+      continue;
+    }
+    const fields = { name: c.title, teacher_id: teacherId, org_sourced_id: c.orgSourcedId, roster_import_id: importId };
+    if (c.action === 'create') {
+      const { data, error } = await svc
+        .from('classes')
+        .insert({ ...fields, sourced_id: c.sourcedId })
+        .select('id')
+        .single();
+      if (error || !data) {
+        issues.push({ file: 'classes', line: c.line, message: `could not create "${c.title}": ${error?.message ?? 'unknown'}` });
+        continue;
+      }
+      classBySourcedId.set(c.sourcedId, data.id);
+    } else if (c.classId) {
+      if (c.action === 'update') {
+        const { error } = await svc.from('classes').update(fields).eq('id', c.classId);
+        if (error) issues.push({ file: 'classes', line: c.line, message: `could not update "${c.title}": ${error.message}` });
+      }
+      classBySourcedId.set(c.sourcedId, c.classId);
+    }
+  }
+
+  // ── Enrollments, drops, relationships ──
+  const enrollmentRows = plan.enrollments.flatMap((e) => {
+    const classId = classBySourcedId.get(e.classSourcedId);
+    const studentId = profileBySourcedId.get(e.userSourcedId);
+    return classId && studentId ? [{ class_id: classId, student_id: studentId, rostered: true, dropped_at: null }] : [];
+  });
+  for (let i = 0; i < enrollmentRows.length; i += WRITE_CHUNK_SIZE) {
+    const { error } = await svc
+      .from('class_enrollments')
+      .upsert(enrollmentRows.slice(i, i + WRITE_CHUNK_SIZE), { onConflict: 'class_id,student_id' });
+    if (error) throw new Error(`Could not save enrollments: ${error.message}`);
+  }
+
+  const dropsByClass = new Map<string, string[]>();
+  for (const d of plan.drops) dropsByClass.set(d.classId, [...(dropsByClass.get(d.classId) ?? []), d.studentId]);
+  for (const [classId, studentIds] of dropsByClass) {
+    const { error } = await svc
+      .from('class_enrollments')
+      .update({ dropped_at: nowIso })
+      .eq('class_id', classId)
+      .in('student_id', studentIds);
+    if (error) throw new Error(`Could not flag dropped students: ${error.message}`);
+  }
+
+  const pairRows = plan.teacherLinks.flatMap((l) => {
+    const teacherId = profileBySourcedId.get(l.teacherSourcedId);
+    const studentId = profileBySourcedId.get(l.studentSourcedId);
+    return teacherId && studentId ? [{ teacher_id: teacherId, student_id: studentId }] : [];
+  });
+  for (let i = 0; i < pairRows.length; i += WRITE_CHUNK_SIZE) {
+    const { error } = await svc
+      .from('teacher_student_assignments')
+      .upsert(pairRows.slice(i, i + WRITE_CHUNK_SIZE), { onConflict: 'teacher_id,student_id', ignoreDuplicates: true });
+    if (error) throw new Error(`Could not link teachers to students: ${error.message}`);
+  }
+
+  if (managerId && plan.managerLinks.length > 0) {
+    const rows = plan.managerLinks.flatMap((sourcedId) => {
+      const teacherId = profileBySourcedId.get(sourcedId);
+      return teacherId ? [{ manager_id: managerId, teacher_id: teacherId }] : [];
+    });
+    const { error } = await svc
+      .from('manager_teacher_assignments')
+      .upsert(rows, { onConflict: 'manager_id,teacher_id', ignoreDuplicates: true });
+    if (error) throw new Error(`Could not add teachers to your team: ${error.message}`);
+  }
+
+  const logged = {
+    ...summary,
+    issues: issues.length,
+    drops: plan.drops.slice(0, LOGGED_DROPS).map((d) => ({
+      student_id: d.studentId,
+      student_name: d.studentName,
+      class_name: d.className,
+      left_roster: d.leftRoster,
+    })),
+  };
+  await svc.from('roster_imports').update({ summary: logged as unknown as Json }).eq('id', importId);
+
+  return { importId, summary: { ...summary, issues: issues.length }, issues };
+}
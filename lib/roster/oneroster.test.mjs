@@ -0,0 +1,272 @@
+// OneRoster import: bundle parsing, the first-import plan, matching
+// existing accounts, idempotent re-imports, and drop flagging.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bundleFileKey,
+  parseOneRosterBundle,
+  planRosterImport,
+  rosterPlanIsNoop,
+  summarizeRosterPlan,
+} from './oneroster.ts';
+
+const ORGS = [
+  'sourcedId,status,dateLastModified,name,type,identifier,parentSourcedId',
+  'd1,,,Lakeside District,district,,',
+  's1,,,Lakeside High,school,LHS,d1',
+].join('\n');
+
+const USERS_HEADER =
+  'sourcedId,status,dateLastModified,enabledUser,orgSourcedIds,role,username,userIds,givenName,familyName,middleName,identifier,email,sms,phone,agentSourcedIds,grades,password';
+const user = (id, role, given, family, email, orgs = 's1') =>
+  `${id},,,true,"${orgs}",${role},${id},,${given},${family},,,${email},,,,,`;
+
+const CLASSES = [
+  'sourcedId,status,dateLastModified,title,grades,courseSourcedId,classCode,classType,location,schoolSourcedId,termSourcedIds,subjects,subjectCodes,periods',
+  'c1,,,SAT Prep P3,11,co1,SAT-3,scheduled,,s1,t1,,,3',
+].join('\n');
+
+const ENROLL_HEADER = 'sourcedId,status,dateLastModified,classSourcedId,schoolSourcedId,userSourcedId,role,primary,beginDate,endDate';
+const enroll = (id, cls, userId, role, primary = 'false') => `${id},,,${cls},s1,${userId},${role},${primary},,`;
+
+function bundle({ users, enrollments, manifest } = {}) {
+  return parseOneRosterBundle({
+    orgs: ORGS,
+    users: [
+      USERS_HEADER,
+      ...(users ?? [
+        user('t1', 'teacher', 'Tess', 'Nguyen', 'tess@lakeside.org'),
+        user('u1', 'student', 'Ana', 'Diaz', 'ana@lakeside.org'),
+        user('u2', 'student', 'Ben', 'Okafor', 'ben@lakeside.org'),
+        user('g1', 'guardian', 'Gus', 'Diaz', 'gus@example.com'),
+      ]),
+    ].join('\n'),
+    classes: CLASSES,
+    enrollments: [
+      ENROLL_HEADER,
+      ...(enrollments ?? [
+        enroll('e1', 'c1', 't1', 'teacher', 'true'),
+        enroll('e2', 'c1', 'u1', 'student'),
+        enroll('e3', 'c1', 'u2', 'student'),
+      ]),
+    ].join('\n'),
+    ...(manifest ? { manifest } : {}),
+  });
+}
+
+const EMPTY_STATE = {
+  links: [],
+  profiles: [],
+  classes: [],
+  enrollments: [],
+  teacherStudentPairs: [],
+  managedTeacherIds: null,
+};
+
+/** The state an import of `plan` leaves behind, with created profiles
+ *  given ids p-<sourcedId>. */
+function stateAfter(plan, previous = EMPTY_STATE) {
+  const idOf = (sourcedId) => plan.users.find((u) => u.sourcedId === sourcedId)?.profileId ?? `p-${sourcedId}`;
+  const profiles = new Map(previous.profiles.map((p) => [p.id, p]));
+  for (const u of plan.users) {
+    profiles.set(idOf(u.sourcedId), {
+      id: idOf(u.sourcedId),
+      email: u.email,
+      role: u.role,
+      firstName: u.firstName,
+      lastName: u.lastName,
+      linkable: true,
+    });
+  }
+  const classId = (sourcedId) => plan.classes.find((c) => c.sourcedId === sourcedId)?.classId ?? `k-${sourcedId}`;
+  const enrollments = previous.enrollments.filter(
+    (e) => !plan.enrollments.some((p) => classId(p.classSourcedId) === e.classId && idOf(p.userSourcedId) === e.studentId),
+  );
+  return {
+    links: plan.users.map((u) => ({
+      sourcedId: u.sourcedId,
+      profileId: idOf(u.sourcedId),
+      role: u.role,
+      orgSourcedIds: u.orgSourcedIds,
+      droppedAt: null,
+    })),
+    profiles: [...profiles.values()],
+    classes: plan.classes.map((c) => ({
+      id: classId(c.sourcedId),
+      sourcedId: c.sourcedId,
+      name: c.title,
+      teacherId: idOf(c.ownerSourcedId),
+      orgSourcedId: c.orgSourcedId,
+    })),
+    enrollments: [
+      ...enrollments.map((e) =>
+        plan.drops.some((d) => d.classId === e.classId && d.studentId === e.studentId) ? { ...e, droppedAt: 'then' } : e,
+      ),
+      ...plan.enrollments.map((e) => ({
+        classId: classId(e.classSourcedId),
+        studentId: idOf(e.userSourcedId),
+        rostered: true,
+        droppedAt: null,
+      })),
+    ],
+    teacherStudentPairs: [
+      ...previous.teacherStudentPairs,
+      ...plan.teacherLinks.map((l) => ({ teacherId: idOf(l.teacherSourcedId), studentId: idOf(l.studentSourcedId) })),
+    ],
+    managedTeacherIds: previous.managedTeacherIds,
+  };
+}
+
+test('bundleFileKey maps uploaded names to bundle files', () => {
+  assert.equal(bundleFileKey('users.csv'), 'users');
+  assert.equal(bundleFileKey('export/Enrollments.CSV'), 'enrollments');
+  assert.equal(bundleFileKey('manifest.csv'), 'manifest');
+  assert.equal(bundleFileKey('courses.csv'), null);
+});
+
+test('parseOneRosterBundle: reads the four files, skips guardians and deleted rows, splits orgSourcedIds', () => {
+  const b = bundle({
+    users: [
+      user('t1', 'teacher', 'Tess', 'Nguyen', 'TESS@lakeside.org', 's1,s2'),
+      user('u1', 'student', 'Ana', 'Diaz', 'ana@lakeside.org'),
+      user('g1', 'guardian', 'Gus', 'Diaz', 'gus@example.com'),
+      `u9,tobedeleted,,true,s1,student,u9,,Old,Row,,,old@lakeside.org,,,,,`,
+      `u8,,,false,s1,student,u8,,Off,Line,,,off@lakeside.org,,,,,`,
+      user('u1', 'student', 'Ana', 'Again', 'ana2@lakeside.org'),
+    ],
+  });
+  assert.deepEqual(b.fatal, []);
+  assert.equal(b.orgs.length, 2);
+  assert.deepEqual(b.users.map((u) => u.sourcedId), ['t1', 'u1']);
+  assert.deepEqual(b.users[0].orgSourcedIds, ['s1', 's2']);
+  assert.equal(b.users[0].email, 'tess@lakeside.org');
+  assert.equal(b.ignoredUsers, 2);
+  assert.equal(b.issues.length, 1);
+  assert.match(b.issues[0].message, /duplicate sourcedId "u1"/);
+  assert.equal(b.enrollments.find((e) => e.userSourcedId === 't1').primary, true);
+});
+
+test('parseOneRosterBundle: missing files, missing columns and delta exports are fatal', () => {
+  assert.match(parseOneRosterBundle({ orgs: ORGS }).fatal[0], /Missing users\.csv, classes\.csv, enrollments\.csv/);
+
+  const noEmailColumn = parseOneRosterBundle({
+    orgs: ORGS,
+    users: 'sourcedId,role,givenName\nu1,student,Ana',
+    classes: CLASSES,
+    enrollments: ENROLL_HEADER,
+  });
+  assert.match(noEmailColumn.fatal[0], /users\.csv is missing columns: orgSourcedIds, familyName/);
+
+  const delta = bundle({ manifest: 'propertyName,value\noneroster.version,1.1\nfile.users,delta\nfile.orgs,bulk' });
+  assert.match(delta.fatal[0], /users\.csv is a delta export/);
+});
+
+test('planRosterImport: a first import creates accounts, the class group, enrollments and teacher links', () => {
+  const b = bundle({
+    users: [
+      user('t1', 'teacher', 'Tess', 'Nguyen', 'tess@lakeside.org'),
+      user('u1', 'student', 'Ana', 'Diaz', 'ana@lakeside.org'),
+      user('u2', 'student', 'Ben', 'Okafor', ''),
+    ],
+  });
+  const plan = planRosterImport(b, { ...EMPTY_STATE, managedTeacherIds: [] });
+  const summary = summarizeRosterPlan(plan);
+
+  assert.equal(summary.usersCreated, 2);
+  assert.equal(summary.classesCreated, 1);
+  assert.equal(plan.classes[0].ownerSourcedId, 't1');
+  assert.deepEqual(plan.enrollments, [{ classSourcedId: 'c1', userSourcedId: 'u1', returning: false }]);
+  assert.deepEqual(plan.teacherLinks, [{ teacherSourcedId: 't1', studentSourcedId: 'u1' }]);
+  assert.deepEqual(plan.managerLinks, ['t1']);
+  // No email and no earlier link: nothing to sign in with, so it's an
+  // issue — and its enrollment isn't reported a second time.
+  assert.equal(plan.issues.length, 1);
+  assert.match(plan.issues[0].message, /no email/);
+});
+
+test('planRosterImport: matches existing accounts by email, within role and team', () => {
+  const profiles = [
+    { id: 'P-ana', email: 'ana@lakeside.org', role: 'practice', firstName: null, lastName: null, linkable: true },
+    { id: 'P-ben', email: 'ben@lakeside.org', role: 'teacher', firstName: 'Ben', lastName: 'O', linkable: true },
+    { id: 'P-tess', email: 'tess@lakeside.org', role: 'teacher', firstName: 'Tess', lastName: 'N', linkable: false },
+  ];
+  const plan = planRosterImport(bundle(), { ...EMPTY_STATE, profiles });
+
+  const ana = plan.users.find((u) => u.sourcedId === 'u1');
+  assert.equal(ana.action, 'link');
+  assert.equal(ana.profileId, 'P-ana');
+  assert.equal(ana.promote, true);
+  assert.equal(ana.fillName, true);
+
+  const messages = plan.issues.map((i) => i.message).join('\n');
+  assert.match(messages, /ben@lakeside\.org is a teacher account, not a student/);
+  assert.match(messages, /tess@lakeside\.org exists outside your team/);
+  // With its only teacher rejected, the class has no owner.
+  assert.match(messages, /"SAT Prep P3" has no teacher enrollment/);
+  assert.equal(plan.classes.length, 0);
+});
+
+test('planRosterImport: re-importing the same bundle is a no-op', () => {
+  const first = planRosterImport(bundle(), EMPTY_STATE);
+  const again = planRosterImport(bundle(), stateAfter(first));
+  const summary = summarizeRosterPlan(again);
+  assert.equal(summary.usersUnchanged, 3);
+  assert.equal(summary.classesUnchanged, 1);
+  assert.equal(rosterPlanIsNoop(summary), true);
+  assert.deepEqual(again.drops, []);
+});
+
+test('planRosterImport: students who leave are flagged, and come back on a later import', () => {
+  const first = planRosterImport(bundle(), EMPTY_STATE);
+  const afterFirst = stateAfter(first);
+
+  // Ben leaves the class but stays in the district; Ana leaves entirely.
+  const second = planRosterImport(
+    bundle({
+      users: [
+        user('t1', 'teacher', 'Tess', 'Nguyen', 'tess@lakeside.org'),
+        user('u2', 'student', 'Ben', 'Okafor', 'ben@lakeside.org'),
+      ],
+      enrollments: [enroll('e1', 'c1', 't1', 'teacher', 'true')],
+    }),
+    afterFirst,
+  );
+  assert.deepEqual(
+    second.drops.map((d) => [d.studentName, d.className, d.leftRoster]).sort(),
+    [['Ana Diaz', 'SAT Prep P3', true], ['Ben Okafor', 'SAT Prep P3', false]],
+  );
+  assert.deepEqual(second.userDrops.map((d) => d.sourcedId), ['u1']);
+  assert.equal(rosterPlanIsNoop(summarizeRosterPlan(second)), false);
+
+  const afterSecond = stateAfter(second, afterFirst);
+  afterSecond.links = afterFirst.links.map((l) => (l.sourcedId === 'u1' ? { ...l, droppedAt: 'then' } : l));
+
+  const third = planRosterImport(bundle(), afterSecond);
+  assert.deepEqual(
+    third.enrollments.map((e) => [e.userSourcedId, e.returning]).sort(),
+    [['u1', true], ['u2', true]],
+  );
+  assert.equal(third.users.find((u) => u.sourcedId === 'u1').returning, true);
+  assert.deepEqual(third.drops, []);
+});
+
+test('planRosterImport: dangling references are issues on their line', () => {
+  const plan = planRosterImport(
+    bundle({
+      enrollments: [
+        enroll('e1', 'c1', 't1', 'teacher', 'true'),
+        enroll('e2', 'c9', 'u1', 'student'),
+        enroll('e3', 'c1', 'u7', 'student'),
+      ],
+    }),
+    EMPTY_STATE,
+  );
+  assert.deepEqual(
+    plan.issues.map((i) => [i.file, i.line, i.message]),
+    [
+      ['enrollments', 3, 'class c9 is not in classes.csv'],
+      ['enrollments', 4, 'user u7 is not in users.csv'],
+    ],
+  );
+});
@@ -0,0 +1,717 @@
+// OneRoster 1.1 CSV roster import — the pure half. Parses a bulk
+// bundle (orgs.csv, users.csv, classes.csv, enrollments.csv, and an
+// optional manifest.csv) and plans what an import would do against
+// the rostered state the server read (lib/roster/oneroster-server.ts).
+//
+// The dry run and the commit both call planRosterImport on state read
+// at that moment, so the diff an importer approves is the plan the
+// commit executes — re-derived, in case the roster moved in between.
+//
+// Identity. A OneRoster sourcedId is the key: roster_users maps it to
+// a profile once, and every later import of the same sourcedId lands
+// on that profile whatever its email has become. An unlinked user is
+// matched by email, and only created when no profile has that address.
+//
+// Bundles are full snapshots of the orgs they list. Anything rostered
+// under those orgs by an earlier import that this bundle no longer
+// carries is dropped: the enrollment is flagged, never deleted, so a
+// teacher keeps the student's history and the next import can bring
+// them back.
+//
+// Pure module — no Supabase, no React.
+
+// Relative + explicit .ts so `node --test` can load this module
+// directly; the CSV reader is the one the pattern importer uses.
+import { parseDelimitedText } from '../admin/questionPatternCsv.ts';
+
+export const ONEROSTER_FILES = ['orgs', 'users', 'classes', 'enrollments'] as const;
+export type OneRosterFile = (typeof ONEROSTER_FILES)[number];
+
+export type RosterRole = 'student' | 'teacher';
+
+/** Columns each file must carry. Other OneRoster columns (status,
+ *  enabledUser, email, identifier, classCode, primary) are read when
+ *  present; the rest are ignored. */
+const REQUIRED_COLUMNS: Record<OneRosterFile, string[]> = {
+  orgs: ['sourcedId', 'name', 'type'],
+  users: ['sourcedId', 'role', 'orgSourcedIds', 'givenName', 'familyName'],
+  classes: ['sourcedId', 'title', 'schoolSourcedId'],
+  enrollments: ['sourcedId', 'classSourcedId', 'userSourcedId', 'role'],
+};
+
+/** Teacher-side roles that may own a rostered teacher account. */
+const TEACHER_PROFILE_ROLES = new Set(['teacher', 'manager', 'admin']);
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export interface RosterIssue {
+  file: OneRosterFile | 'manifest';
+  /** 1-based source line; 0 for a whole-file problem. */
+  line: number;
+  message: string;
+}
+
+export interface RosterOrg {
+  line: number;
+  sourcedId: string;
+  name: string;
+  type: string;
+  identifier: string | null;
+  parentSourcedId: string | null;
+}
+
+export interface RosterUser {
+  line: number;
+  sourcedId: string;
+  role: string;
+  orgSourcedIds: string[];
+  givenName: string;
+  familyName: string;
+  email: string | null;
+  identifier: string | null;
+}
+
+export interface RosterClass {
+  line: number;
+  sourcedId: string;
+  title: string;
+  classCode: string | null;
+  schoolSourcedId: string;
+}
+
+export interface RosterEnrollment {
+  line: number;
+  sourcedId: string;
+  classSourcedId: string;
+  userSourcedId: string;
+  role: string;
+  primary: boolean;
+}
+
+export interface RosterBundle {
+  orgs: RosterOrg[];
+  users: RosterUser[];
+  classes: RosterClass[];
+  enrollments: RosterEnrollment[];
+  /** Row-level rejections; the rest of the bundle still imports. */
+  issues: RosterIssue[];
+  /** Bundle-level problems (a missing file, a missing column, a delta
+   *  export). Any entry blocks the import. */
+  fatal: string[];
+  /** Users in the file with a role we don't roster (guardians, aides…)
+   *  or with enabledUser=false. */
+  ignoredUsers: number;
+}
+
+/** Which bundle file an uploaded file name is, or null. */
+export function bundleFileKey(fileName: string): OneRosterFile | 'manifest' | null {
+  const base = fileName.split(/[\\/]/).pop()?.toLowerCase().replace(/\.csv$/, '') ?? '';
+  if (base === 'manifest') return 'manifest';
+  return (ONEROSTER_FILES as readonly string[]).includes(base) ? (base as OneRosterFile) : null;
+}
+
+type Row = { line: number; get: (column: string) => string };
+
+/** Header-keyed rows of one file; OneRoster headers are camelCase but
+ *  exporters disagree on case, so matching ignores it. */
+function readFile(
+  file: OneRosterFile,
+  text: string,
+  fatal: string[],
+): Row[] {
+  const records = parseDelimitedText(text);
+  if (records.length === 0) {
+    fatal.push(`${file}.csv is empty.`);
+    return [];
+  }
+  const index = new Map<string, number>();
+  records[0].cells.forEach((cell, i) => index.set(cell.trim().toLowerCase(), i));
+  const missing = REQUIRED_COLUMNS[file].filter((c) => !index.has(c.toLowerCase()));
+  if (missing.length > 0) {
+    fatal.push(`${file}.csv is missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}.`);
+    return [];
+  }
+  return records.slice(1).map((record) => ({
+    line: record.line,
+    get: (column: string) => {
+      const i = index.get(column.toLowerCase());
+      return i === undefined ? '' : (record.cells[i] ?? '').trim();
+    },
+  }));
+}
+
+/** A row marked tobedeleted is not in the roster; bulk exports leave
+ *  status blank. */
+function isDeleted(row: Row): boolean {
+  return row.get('status').toLowerCase() === 'tobedeleted';
+}
+
+function readManifest(text: string, fatal: string[], issues: RosterIssue[]) {
+  for (const record of parseDelimitedText(text).slice(1)) {
+    const [property = '', value = ''] = record.cells.map((c) => c.trim());
+    if (property === 'oneroster.version' && value && value !== '1.1') {
+      issues.push({ file: 'manifest', line: record.line, message: `OneRoster version ${value}; reading it as 1.1.` });
+    }
+    const file = property.startsWith('file.') ? property.slice(5) : null;
+    if (file && (ONEROSTER_FILES as readonly string[]).includes(file) && value.toLowerCase() === 'delta') {
+      fatal.push(`${file}.csv is a delta export. Export the roster in bulk mode — a delta can't show who dropped.`);
+    }
+  }
+}
+
+/** Rows whose sourcedId already appeared earlier in the same file. */
+function firstBySourcedId<T extends { sourcedId: string; line: number }>(
+  file: OneRosterFile,
+  rows: T[],
+  issues: RosterIssue[],
+): T[] {
+  const seen = new Map<string, number>();
+  const out: T[] = [];
+  for (const row of rows) {
+    const earlier = seen.get(row.sourcedId);
+    if (earlier !== undefined) {
+      issues.push({ file, line: row.line, message: `duplicate sourcedId "${row.sourcedId}" (first on line ${earlier})` });
+      continue;
+    }
+    seen.set(row.sourcedId, row.line);
+    out.push(row);
+  }
+  return out;
+}
+
+/**
+ * Parse a bundle. `files` is keyed by bundle file (see bundleFileKey);
+ * the four data files are required, manifest.csv is optional.
+ */
+export function parseOneRosterBundle(files: Partial<Record<OneRosterFile | 'manifest', string>>): RosterBundle {
+  const fatal: string[] = [];
+  const issues: RosterIssue[] = [];
+  const empty: RosterBundle = { orgs: [], users: [], classes: [], enrollments: [], issues, fatal, ignoredUsers: 0 };
+
+  const absent = ONEROSTER_FILES.filter((f) => !files[f]?.trim());
+  if (absent.length > 0) {
+    fatal.push(`Missing ${absent.map((f) => `${f}.csv`).join(', ')}.`);
+    return empty;
+  }
+  if (files.manifest) readManifest(files.manifest, fatal, issues);
+
+  const rows = Object.fromEntries(
+    ONEROSTER_FILES.map((f) => [f, readFile(f, files[f] ?? '', fatal)]),
+  ) as Record<OneRosterFile, Row[]>;
+  if (fatal.length > 0) return empty;
+
+  const required = (file: OneRosterFile, row: Row, columns: string[]): boolean => {
+    const blank = columns.filter((c) => !row.get(c));
+    if (blank.length === 0) return true;
+    issues.push({ file, line: row.line, message: `${blank.join(', ')} ${blank.length === 1 ? 'is' : 'are'} blank` });
+    return false;
+  };
+
+  const orgs = firstBySourcedId(
+    'orgs',
+    rows.orgs
+      .filter((r) => !isDeleted(r) && required('orgs', r, ['sourcedId', 'name']))
+      .map((r) => ({
+        line: r.line,
+        sourcedId: r.get('sourcedId'),
+        name: r.get('name'),
+        type: r.get('type').toLowerCase() || 'school',
+        identifier: r.get('identifier') || null,
+        parentSourcedId: r.get('parentSourcedId') || null,
+      })),
+    issues,
+  );
+
+  let ignoredUsers = 0;
+  const users: RosterUser[] = [];
+  for (const r of rows.users) {
+    if (isDeleted(r)) continue;
+    const role = r.get('role').toLowerCase();
+    if ((role !== 'student' && role !== 'teacher') || r.get('enabledUser').toLowerCase() === 'false') {
+      ignoredUsers += 1;
+      continue;
+    }
+    if (!required('users', r, ['sourcedId', 'givenName', 'familyName'])) continue;
+    const email = r.get('email').toLowerCase() || null;
+    if (email && !EMAIL_RE.test(email)) {
+      issues.push({ file: 'users', line: r.line, message: `email "${email}" is not an address` });
+      continue;
+    }
+    users.push({
+      line: r.line,
+      sourcedId: r.get('sourcedId'),
+      role,
+      orgSourcedIds: r.get('orgSourcedIds').split(',').map((s) => s.trim()).filter(Boolean),
+      givenName: r.get('givenName'),
+      familyName: r.get('familyName'),
+      email,
+      identifier: r.get('identifier') || null,
+    });
+  }
+
+  const classes = firstBySourcedId(
+    'classes',
+    rows.classes
+      .filter((r) => !isDeleted(r) && required('classes', r, ['sourcedId', 'title', 'schoolSourcedId']))
+      .map((r) => ({
+        line: r.line,
+        sourcedId: r.get('sourcedId'),
+        title: r.get('title'),
+        classCode: r.get('classCode') || null,
+        schoolSourcedId: r.get('schoolSourcedId'),
+      })),
+    issues,
+  );
+
+  const enrollments = rows.enrollments
+    .filter((r) => !isDeleted(r) && required('enrollments', r, ['classSourcedId', 'userSourcedId', 'role']))
+    .map((r) => ({
+      line: r.line,
+      sourcedId: r.get('sourcedId'),
+      classSourcedId: r.get('classSourcedId'),
+      userSourcedId: r.get('userSourcedId'),
+      role: r.get('role').toLowerCase(),
+      primary: r.get('primary').toLowerCase() === 'true',
+    }));
+
+  return {
+    orgs,
+    users: firstBySourcedId('users', users, issues),
+    classes,
+    enrollments,
+    issues,
+    fatal,
+    ignoredUsers,
+  };
+}
+
+// ── Planning ────────────────────────────────────────────────────
+
+/** roster_users: a sourcedId an earlier import tied to a profile. */
+export interface RosterLink {
+  sourcedId: string;
+  profileId: string;
+  role: RosterRole;
+  orgSourcedIds: string[];
+  droppedAt: string | null;
+}
+
+export interface RosterProfile {
+  id: string;
+  email: string | null;
+  role: string;
+  firstName: string | null;
+  lastName: string | null;
+  /** False when the importer may not claim this account — a manager
+   *  importing a profile outside their team. */
+  linkable: boolean;
+}
+
+export interface RosterClassRow {
+  id: string;
+  sourcedId: string | null;
+  name: string;
+  teacherId: string;
+  orgSourcedId: string | null;
+}
+
+export interface RosterEnrollmentRow {
+  classId: string;
+  studentId: string;
+  rostered: boolean;
+  droppedAt: string | null;
+}
+
+/** What the server read before planning. Links, classes and
+ *  enrollments cover both this bundle's sourcedIds and everything
+ *  earlier imports rostered under its orgs. */
+export interface RosterState {
+  links: RosterLink[];
+  profiles: RosterProfile[];
+  classes: RosterClassRow[];
+  enrollments: RosterEnrollmentRow[];
+  teacherStudentPairs: { teacherId: string; studentId: string }[];
+  /** Teachers already on the importing manager's team; null for an
+   *  admin import, which links no manager. */
+  managedTeacherIds: string[] | null;
+}
+
+export interface PlannedUser {
+  line: number;
+  sourcedId: string;
+  role: RosterRole;
+  firstName: string;
+  lastName: string;
+  name: string;
+  email: string | null;
+  orgSourcedIds: string[];
+  /** create — new account; link — existing account matched by email;
+   *  keep — already linked by sourcedId. */
+  action: 'create' | 'link' | 'keep';
+  profileId: string | null;
+  /** A self-signup practice account becoming a rostered student. */
+  promote: boolean;
+  /** Blank profile names filled from the roster. */
+  fillName: boolean;
+  /** Dropped by an earlier import and back in this one. */
+  returning: boolean;
+}
+
+export interface PlannedClass {
+  line: number;
+  sourcedId: string;
+  title: string;
+  orgSourcedId: string;
+  /** The teacher who owns the class group (classes.teacher_id): the
+   *  primary teacher enrollment, else the first one. */
+  ownerSourcedId: string;
+  teacherSourcedIds: string[];
+  action: 'create' | 'update' | 'keep';
+  classId: string | null;
+  changes: string[];
+}
+
+export interface PlannedEnrollment {
+  classSourcedId: string;
+  userSourcedId: string;
+  returning: boolean;
+}
+
+export interface PlannedTeacherLink {
+  teacherSourcedId: string;
+  studentSourcedId: string;
+}
+
+export interface PlannedDrop {
+  classId: string;
+  className: string;
+  studentId: string;
+  studentName: string;
+  /** The student is gone from the roster altogether, not just this class. */
+  leftRoster: boolean;
+}
+
+export interface PlannedUserDrop {
+  sourcedId: string;
+  profileId: string;
+  role: RosterRole;
+  name: string;
+}
+
+export interface RosterPlan {
+  orgs: RosterOrg[];
+  users: PlannedUser[];
+  classes: PlannedClass[];
+  enrollments: PlannedEnrollment[];
+  teacherLinks: PlannedTeacherLink[];
+  /** Teacher sourcedIds to add to the importing manager's team. */
+  managerLinks: string[];
+  drops: PlannedDrop[];
+  userDrops: PlannedUserDrop[];
+  issues: RosterIssue[];
+  ignoredUsers: number;
+}
+
+export interface RosterPlanSummary {
+  orgs: number;
+  usersCreated: number;
+  usersLinked: number;
+  usersUpdated: number;
+  usersUnchanged: number;
+  classesCreated: number;
+  classesUpdated: number;
+  classesUnchanged: number;
+  enrollmentsAdded: number;
+  teacherLinksAdded: number;
+  managerLinksAdded: number;
+  studentsDropped: number;
+  usersDropped: number;
+  issues: number;
+  ignoredUsers: number;
+}
+
+function displayName(first: string | null, last: string | null, fallback: string | null): string {
+  return [first, last].filter(Boolean).join(' ') || fallback || 'Unnamed';
+}
+
+/**
+ * Decide what importing `bundle` would do given `state`. Never throws;
+ * anything that can't be imported becomes an issue on its line and
+ * the rest of the bundle still plans.
+ */
+export function planRosterImport(bundle: RosterBundle, state: RosterState): RosterPlan {
+  const issues = [...bundle.issues];
+  const profileById = new Map(state.profiles.map((p) => [p.id, p]));
+  const profileByEmail = new Map<string, RosterProfile>();
+  for (const p of state.profiles) if (p.email) profileByEmail.set(p.email.toLowerCase(), p);
+  const linkBySourcedId = new Map(state.links.map((l) => [l.sourcedId, l]));
+
+  // ── Users ──
+  const users: PlannedUser[] = [];
+  const userBySourcedId = new Map<string, PlannedUser>();
+  const emailInFile = new Map<string, number>();
+  for (const u of bundle.users) {
+    const role = u.role as RosterRole;
+    const fail = (message: string) => issues.push({ file: 'users', line: u.line, message });
+    if (u.email) {
+      const earlier = emailInFile.get(u.email);
+      if (earlier !== undefined) {
+        fail(`email ${u.email} is also on line ${earlier}`);
+        continue;
+      }
+      emailInFile.set(u.email, u.line);
+    }
+
+    const link = linkBySourcedId.get(u.sourcedId);
+    let profile = link ? profileById.get(link.profileId) : undefined;
+    let action: PlannedUser['action'] = 'keep';
+    if (link && !profile) {
+      fail(`sourcedId ${u.sourcedId} is linked to an account that no longer exists`);
+      continue;
+    }
+    if (!profile) {
+      profile = u.email ? profileByEmail.get(u.email) : undefined;
+      // An account already linked under another sourcedId (a student
+      // who moved schools within the district) links again: both ids
+      // land on the one profile.
+      action = profile ? 'link' : 'create';
+    }
+    if (action === 'create' && !u.email) {
+      fail('no email, so no account can be created for this user');
+      continue;
+    }
+    if (profile && !profile.linkable) {
+      fail(`${profile.email ?? 'this account'} exists outside your team — an admin has to import it`);
+      continue;
+    }
+    if (profile) {
+      const ok = role === 'student'
+        ? profile.role === 'student' || profile.role === 'practice'
+        : TEACHER_PROFILE_ROLES.has(profile.role);
+      if (!ok) {
+        fail(`${profile.email ?? 'the matching account'} is a ${profile.role} account, not a ${role}`);
+        continue;
+      }
+    }
+
+    const planned: PlannedUser = {
+      line: u.line,
+      sourcedId: u.sourcedId,
+      role,
+      firstName: u.givenName,
+      lastName: u.familyName,
+      name: displayName(u.givenName, u.familyName, u.email),
+      email: u.email,
+      orgSourcedIds: u.orgSourcedIds,
+      action,
+      profileId: profile?.id ?? null,
+      promote: role === 'student' && profile?.role === 'practice',
+      fillName: Boolean(profile && !profile.firstName && !profile.lastName),
+      returning: Boolean(link?.droppedAt),
+    };
+    users.push(planned);
+    userBySourcedId.set(u.sourcedId, planned);
+  }
+
+  // ── Classes ──
+  const orgIds = new Set(bundle.orgs.map((o) => o.sourcedId));
+  const classStateBySourcedId = new Map<string, RosterClassRow>();
+  for (const c of state.classes) if (c.sourcedId) classStateBySourcedId.set(c.sourcedId, c);
+
+  const bundleUserIds = new Set(bundle.users.map((u) => u.sourcedId));
+  const teachersByClass = new Map<string, RosterEnrollment[]>();
+  const studentsByClass = new Map<string, RosterEnrollment[]>();
+  const bundleClassIds = new Set(bundle.classes.map((c) => c.sourcedId));
+  for (const e of bundle.enrollments) {
+    if (e.role !== 'student' && e.role !== 'teacher') continue;
+    if (!bundleClassIds.has(e.classSourcedId)) {
+      issues.push({ file: 'enrollments', line: e.line, message: `class ${e.classSourcedId} is not in classes.csv` });
+      continue;
+    }
+    // A user rejected above already has an issue of their own; one per
+    // person is enough.
+    if (!userBySourcedId.has(e.userSourcedId)) {
+      if (!bundleUserIds.has(e.userSourcedId)) {
+        issues.push({ file: 'enrollments', line: e.line, message: `user ${e.userSourcedId} is not in users.csv` });
+      }
+      continue;
+    }
+    const target = e.role === 'teacher' ? teachersByClass : studentsByClass;
+    const list = target.get(e.classSourcedId) ?? [];
+    list.push(e);
+    target.set(e.classSourcedId, list);
+  }
+
+  const classes: PlannedClass[] = [];
+  for (const c of bundle.classes) {
+    if (!orgIds.has(c.schoolSourcedId)) {
+      issues.push({ file: 'classes', line: c.line, message: `school ${c.schoolSourcedId} is not in orgs.csv` });
+      continue;
+    }
+    const teachers = (teachersByClass.get(c.sourcedId) ?? []).filter(
+      (e) => userBySourcedId.get(e.userSourcedId)?.role === 'teacher',
+    );
+    if (teachers.length === 0) {
+      issues.push({ file: 'classes', line: c.line, message: `"${c.title}" has no teacher enrollment, so it has no owner` });
+      continue;
+    }
+    const owner = teachers.find((e) => e.primary) ?? teachers[0];
+    const existing = classStateBySourcedId.get(c.sourcedId);
+    const changes: string[] = [];
+    if (existing) {
+      const ownerProfile = userBySourcedId.get(owner.userSourcedId)?.profileId;
+      if (existing.name !== c.title) changes.push('title');
+      if (existing.teacherId !== ownerProfile) changes.push('teacher');
+      if (existing.orgSourcedId !== c.schoolSourcedId) changes.push('school');
+    }
+    classes.push({
+      line: c.line,
+      sourcedId: c.sourcedId,
+      title: c.title,
+      orgSourcedId: c.schoolSourcedId,
+      ownerSourcedId: owner.userSourcedId,
+      teacherSourcedIds: [...new Set(teachers.map((e) => e.userSourcedId))],
+      action: existing ? (changes.length > 0 ? 'update' : 'keep') : 'create',
+      classId: existing?.id ?? null,
+      changes,
+    });
+  }
+
+  // ── Enrollments and teacher links ──
+  const enrollmentByKey = new Map<string, RosterEnrollmentRow>();
+  for (const e of state.enrollments) enrollmentByKey.set(`${e.classId}|${e.studentId}`, e);
+  const pairs = new Set(state.teacherStudentPairs.map((p) => `${p.teacherId}|${p.studentId}`));
+
+  const enrollments: PlannedEnrollment[] = [];
+  const teacherLinks: PlannedTeacherLink[] = [];
+  const linkKeys = new Set<string>();
+  for (const c of classes) {
+    const seen = new Set<string>();
+    for (const e of studentsByClass.get(c.sourcedId) ?? []) {
+      const student = userBySourcedId.get(e.userSourcedId);
+      if (!student || student.role !== 'student' || seen.has(student.sourcedId)) continue;
+      seen.add(student.sourcedId);
+
+      const existing = c.classId && student.profileId
+        ? enrollmentByKey.get(`${c.classId}|${student.profileId}`)
+        : undefined;
+      if (!existing || existing.droppedAt) {
+        enrollments.push({
+          classSourcedId: c.sourcedId,
+          userSourcedId: student.sourcedId,
+          returning: Boolean(existing?.droppedAt),
+        });
+      }
+
+      for (const teacherSourcedId of c.teacherSourcedIds) {
+        const teacher = userBySourcedId.get(teacherSourcedId);
+        const key = `${teacherSourcedId}|${student.sourcedId}`;
+        if (!teacher || linkKeys.has(key)) continue;
+        linkKeys.add(key);
+        if (teacher.profileId && student.profileId && pairs.has(`${teacher.profileId}|${student.profileId}`)) continue;
+        teacherLinks.push({ teacherSourcedId, studentSourcedId: student.sourcedId });
+      }
+    }
+  }
+
+  const managed = state.managedTeacherIds ? new Set(state.managedTeacherIds) : null;
+  const managerLinks = managed
+    ? users
+        .filter((u) => u.role === 'teacher' && !(u.profileId && managed.has(u.profileId)))
+        .map((u) => u.sourcedId)
+    : [];
+
+  // ── Drops ──
+  // Judged against the raw bundle, not the plan: a row rejected for a
+  // data problem is still on the roster and must not read as a drop.
+  const activeUserIds = new Set(bundle.users.map((u) => u.sourcedId));
+  const activePairs = new Set(
+    bundle.enrollments.filter((e) => e.role === 'student').map((e) => `${e.classSourcedId}|${e.userSourcedId}`),
+  );
+  const sourcedIdsByProfile = new Map<string, string[]>();
+  for (const l of state.links) {
+    const list = sourcedIdsByProfile.get(l.profileId) ?? [];
+    list.push(l.sourcedId);
+    sourcedIdsByProfile.set(l.profileId, list);
+  }
+  const inScope = (orgSourcedIds: string[]) => orgSourcedIds.some((o) => orgIds.has(o));
+
+  const userDrops: PlannedUserDrop[] = [];
+  for (const l of state.links) {
+    if (l.droppedAt || activeUserIds.has(l.sourcedId) || !inScope(l.orgSourcedIds)) continue;
+    const p = profileById.get(l.profileId);
+    userDrops.push({
+      sourcedId: l.sourcedId,
+      profileId: l.profileId,
+      role: l.role,
+      name: displayName(p?.firstName ?? null, p?.lastName ?? null, p?.email ?? null),
+    });
+  }
+  const leftRoster = new Set(
+    userDrops
+      .filter((d) => (sourcedIdsByProfile.get(d.profileId) ?? []).every((s) => !activeUserIds.has(s)))
+      .map((d) => d.profileId),
+  );
+
+  const classById = new Map(state.classes.map((c) => [c.id, c]));
+  const drops: PlannedDrop[] = [];
+  for (const e of state.enrollments) {
+    if (!e.rostered || e.droppedAt) continue;
+    const cls = classById.get(e.classId);
+    if (!cls?.sourcedId || !cls.orgSourcedId || !orgIds.has(cls.orgSourcedId)) continue;
+    const stillEnrolled = bundleClassIds.has(cls.sourcedId)
+      && (sourcedIdsByProfile.get(e.studentId) ?? []).some((s) => activePairs.has(`${cls.sourcedId}|${s}`));
+    if (stillEnrolled) continue;
+    const p = profileById.get(e.studentId);
+    drops.push({
+      classId: cls.id,
+      className: cls.name,
+      studentId: e.studentId,
+      studentName: displayName(p?.firstName ?? null, p?.lastName ?? null, p?.email ?? null),
+      leftRoster: leftRoster.has(e.studentId),
+    });
+  }
+
+  return {
+    orgs: bundle.orgs,
+    users,
+    classes,
+    enrollments,
+    teacherLinks,
+    managerLinks,
+    drops,
+    userDrops,
+    issues,
+    ignoredUsers: bundle.ignoredUsers,
+  };
+}
+
+export function summarizeRosterPlan(plan: RosterPlan): RosterPlanSummary {
+  const count = <T>(rows: T[], pred: (row: T) => boolean) => rows.filter(pred).length;
+  return {
+    orgs: plan.orgs.length,
+    usersCreated: count(plan.users, (u) => u.action === 'create'),
+    usersLinked: count(plan.users, (u) => u.action === 'link'),
+    usersUpdated: count(plan.users, (u) => u.action === 'keep' && (u.promote || u.fillName || u.returning)),
+    usersUnchanged: count(plan.users, (u) => u.action === 'keep' && !u.promote && !u.fillName && !u.returning),
+    classesCreated: count(plan.classes, (c) => c.action === 'create'),
+    classesUpdated: count(plan.classes, (c) => c.action === 'update'),
+    classesUnchanged: count(plan.classes, (c) => c.action === 'keep'),
+    enrollmentsAdded: plan.enrollments.length,
+    teacherLinksAdded: plan.teacherLinks.length,
+    managerLinksAdded: plan.managerLinks.length,
+    studentsDropped: new Set(plan.drops.map((d) => d.studentId)).size,
+    usersDropped: plan.userDrops.length,
+    issues: plan.issues.length,
+    ignoredUsers: plan.ignoredUsers,
+  };
+}
+
+/** True when committing would write nothing but bookkeeping. */
+export function rosterPlanIsNoop(summary: RosterPlanSummary): boolean {
+  return (
+    summary.usersCreated + summary.usersLinked + summary.usersUpdated
+    + summary.classesCreated + summary.classesUpdated
+    + summary.enrollmentsAdded + summary.teacherLinksAdded + summary.managerLinksAdded
+    + summary.studentsDropped + summary.usersDropped
+  ) === 0;
+}
@@ -7,6 +7,7 @@
  *   2. User has subscription_exempt = true (Studyworks tutors + the
  *      students they sponsor)
  *   3. User has an active or trialing subscription
+ *   4. User holds a seat in a school organization (has_org_seat)
  *
  * With the gate ON, the ACCESS VERDICT comes from the has_plan() SQL
  * resolver instead (the same one proxy.js consults — the two must
@@ -19,12 +20,18 @@
  * 'entitlement'. A resolver ERROR falls back to the legacy verdict —
  * a failed query must never change who gets in.
  *
+ * A denied user whose card failed recently reports reason
+ * 'payment_grace' with graceEndsAt: still no access, but proxy.js lets
+ * them read their history until then (lib/billing/dunning.ts), and the
+ * billing page shows the portal instead of the plan picker.
+ *
  * @param {Object} supabase — Supabase client (the caller's RLS-scoped one)
  * @param {string} userId
- * @returns {Promise<{ hasAccess: boolean, reason: string, plan?: string }>}
+ * @returns {Promise<{ hasAccess: boolean, reason: string, plan?: string, graceEndsAt?: string }>}
  */
+import { graceStateOf } from './billing/dunning';
 import { entitlementsGateEnabled } from './flags';
-import { getFlag } from './flags-server';
+import { billingGraceWindowDays, getFlag } from './flags-server';
 
 export async function userHasAccess(supabase, userId) {
   let gateVerdict = null; // null = gate off or resolver unavailable
@@ -40,7 +47,7 @@ export async function userHasAccess(supabase, userId) {
   if (gateVerdict === false) {
     // Same reason string the legacy path uses for "needs to subscribe"
     // so the subscribe/billing surfaces don't need a new branch.
-    return { hasAccess: false, reason: 'no_subscription' };
+    return (await paymentGrace(supabase, userId)) ?? { hasAccess: false, reason: 'no_subscription' };
   }
 
   // Legacy checks — the verdict when the gate is off, and the
@@ -76,7 +83,28 @@ export async function userHasAccess(supabase, userId) {
     return { hasAccess: true, reason: 'subscription', plan: sub.plan };
   }
 
-  return gateVerdict === true
-    ? { hasAccess: true, reason: 'entitlement' }
-    : { hasAccess: false, reason: 'no_subscription' };
+  // A seat in a school organization with a live subscription. The
+  // resolver applies the org's status and period grace.
+  const { data: seated } = await supabase.rpc('has_org_seat', { p_user: userId });
+  if (seated) {
+    return { hasAccess: true, reason: 'school_seat', plan: 'school' };
+  }
+
+  if (gateVerdict === true) return { hasAccess: true, reason: 'entitlement' };
+  return (await paymentGrace(supabase, userId)) ?? { hasAccess: false, reason: 'no_subscription' };
+}
+
+// The denied verdict for a past_due subscriber still inside the
+// billing_grace_days window; null otherwise.
+async function paymentGrace(supabase, userId) {
+  const { data: sub } = await supabase
+    .from('subscriptions')
+    .select('status, plan, past_due_since')
+    .eq('user_id', userId)
+    .eq('status', 'past_due')
+    .maybeSingle();
+  const grace = graceStateOf(sub, await billingGraceWindowDays());
+  return grace
+    ? { hasAccess: false, reason: 'payment_grace', plan: sub.plan, graceEndsAt: grace.graceEndsAt }
+    : null;
 }
@@ -53,3 +53,31 @@ export async function fetchAll(queryFn, options = {}) {
   }
   return rows;
 }
+
+// Companion for long `.in()` lists: PostgREST takes filters in the
+// URL, so a few hundred uuids is the practical ceiling per request.
+// Runs queryFn once per chunk of `values`, in order, and concatenates
+// the rows. Rows that share one value land in one chunk, so their
+// relative order is the query's own.
+//
+//   const rows = await fetchInChunks(questionIds, (ids) =>
+//     supabase.from('attempts').select('question_id').in('question_id', ids),
+//   );
+const DEFAULT_IN_CHUNK = 400;
+
+/**
+ * @template T, V
+ * @param {V[]} values
+ * @param {(chunk: V[]) => PromiseLike<{data: T[] | null, error: any}>} queryFn
+ * @param {number} [chunkSize]
+ * @returns {Promise<T[]>}
+ */
+export async function fetchInChunks(values, queryFn, chunkSize = DEFAULT_IN_CHUNK) {
+  const rows = [];
+  for (let i = 0; i < values.length; i += chunkSize) {
+    const { data, error } = await queryFn(values.slice(i, i + chunkSize));
+    if (error) throw error;
+    rows.push(...(data ?? []));
+  }
+  return rows;
+}
@@ -0,0 +1,58 @@
+// Coaching channel tests. Runs under `npm run test:unit`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  countUnreadThreads,
+  isCoachingCategory,
+  isCoachingSignal,
+  isThreadUnread,
+  threadsBySignal,
+} from './coaching.ts';
+
+const MANAGER = 'm1';
+const TUTOR = 't1';
+
+test('a thread is unread when someone else posted since the last read', () => {
+  const thread = { lastActivityAt: '2026-10-01T12:00:00Z', lastActivityBy: MANAGER };
+  assert.equal(isThreadUnread(thread, null, TUTOR), true);
+  assert.equal(isThreadUnread(thread, '2026-10-01T11:00:00Z', TUTOR), true);
+  assert.equal(isThreadUnread(thread, '2026-10-01T12:00:00Z', TUTOR), false);
+});
+
+test('your own last reply never leaves a thread unread for you', () => {
+  const thread = { lastActivityAt: '2026-10-02T09:00:00Z', lastActivityBy: TUTOR };
+  assert.equal(isThreadUnread(thread, null, TUTOR), false);
+  // ...but it is unread for the other side.
+  assert.equal(isThreadUnread(thread, '2026-10-01T12:00:00Z', MANAGER), true);
+});
+
+test('unread count across an inbox', () => {
+  const n = countUnreadThreads([
+    { lastActivityAt: '2026-10-01T12:00:00Z', lastActivityBy: MANAGER, lastReadAt: null },
+    { lastActivityAt: '2026-10-01T12:00:00Z', lastActivityBy: MANAGER, lastReadAt: '2026-10-03T00:00:00Z' },
+    { lastActivityAt: '2026-10-04T12:00:00Z', lastActivityBy: TUTOR, lastReadAt: null },
+  ], TUTOR);
+  assert.equal(n, 1);
+});
+
+test('signal links prefer the open thread, then the newest', () => {
+  const map = threadsBySignal([
+    { id: 'old-open', teacherId: TUTOR, relatedSignal: 'mastery', status: 'open', lastActivityAt: '2026-09-01T00:00:00Z' },
+    { id: 'new-resolved', teacherId: TUTOR, relatedSignal: 'mastery', status: 'resolved', lastActivityAt: '2026-10-01T00:00:00Z' },
+    { id: 'c1', teacherId: TUTOR, relatedSignal: 'completion', status: 'resolved', lastActivityAt: '2026-08-01T00:00:00Z' },
+    { id: 'c2', teacherId: TUTOR, relatedSignal: 'completion', status: 'resolved', lastActivityAt: '2026-09-01T00:00:00Z' },
+    { id: 'none', teacherId: TUTOR, relatedSignal: null, status: 'open', lastActivityAt: '2026-10-01T00:00:00Z' },
+  ]);
+  assert.equal(map.get(`${TUTOR}:mastery`).id, 'old-open');
+  assert.equal(map.get(`${TUTOR}:completion`).id, 'c2');
+  assert.equal(map.has(`${TUTOR}:adherence`), false);
+  assert.equal(map.size, 2);
+});
+
+test('category and signal guards', () => {
+  assert.equal(isCoachingCategory('planning'), true);
+  assert.equal(isCoachingCategory('ranking'), false);
+  assert.equal(isCoachingSignal('adherence'), true);
+  assert.equal(isCoachingSignal(''), false);
+});
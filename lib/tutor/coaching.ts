@@ -0,0 +1,102 @@
+// Coaching channel (§5.1): manager → tutor threads — pure helpers, no I/O.
+//
+// The vocabulary (categories, the effectiveness signals a thread can
+// be about) and the unread rule live here so the sidebar count, the
+// inbox, the teacher page and the Teachers tab's signal links all
+// agree. Loaders are in ./load-coaching.ts; writes in
+// app/(tutor)/tutor/coaching/actions.ts.
+//
+// Unread, in plain language: a thread is unread for a participant
+// when its last activity (the opening note or a reply) was someone
+// else's and came after that participant last opened the thread.
+// Your own reply never makes a thread unread for you.
+
+export const COACHING_CATEGORIES = [
+  'general',
+  'instruction',
+  'planning',
+  'assignments',
+  'communication',
+  'content',
+] as const;
+export type CoachingCategory = (typeof COACHING_CATEGORIES)[number];
+
+export const COACHING_CATEGORY_LABELS: Record<CoachingCategory, string> = {
+  general: 'General',
+  instruction: 'Instruction',
+  planning: 'Study plans',
+  assignments: 'Assignments',
+  communication: 'Communication',
+  content: 'Content knowledge',
+};
+
+/** The §5.2 effectiveness signals a thread can be tied to. */
+export const COACHING_SIGNALS = ['mastery', 'completion', 'adherence'] as const;
+export type CoachingSignal = (typeof COACHING_SIGNALS)[number];
+
+export const COACHING_SIGNAL_LABELS: Record<CoachingSignal, string> = {
+  mastery: 'Mastery movement',
+  completion: 'Assignment completion',
+  adherence: 'Plan adherence',
+};
+
+export function isCoachingCategory(v: unknown): v is CoachingCategory {
+  return typeof v === 'string' && (COACHING_CATEGORIES as readonly string[]).includes(v);
+}
+
+export function isCoachingSignal(v: unknown): v is CoachingSignal {
+  return typeof v === 'string' && (COACHING_SIGNALS as readonly string[]).includes(v);
+}
+
+export interface ThreadActivity {
+  lastActivityAt: string;
+  lastActivityBy: string | null;
+}
+
+export function isThreadUnread(
+  thread: ThreadActivity,
+  lastReadAt: string | null | undefined,
+  userId: string,
+): boolean {
+  if (thread.lastActivityBy === userId) return false;
+  if (!lastReadAt) return true;
+  return Date.parse(thread.lastActivityAt) > Date.parse(lastReadAt);
+}
+
+export function countUnreadThreads(
+  threads: readonly (ThreadActivity & { lastReadAt: string | null })[],
+  userId: string,
+): number {
+  let n = 0;
+  for (const t of threads) if (isThreadUnread(t, t.lastReadAt, userId)) n += 1;
+  return n;
+}
+
+export interface SignalThread {
+  id: string;
+  teacherId: string;
+  relatedSignal: string | null;
+  status: string;
+  lastActivityAt: string;
+}
+
+/**
+ * The thread each (teacher, signal) pair links to from the Teachers
+ * tab: the most recently active open thread about it, else the most
+ * recently active resolved one. Keyed `${teacherId}:${signal}`.
+ */
+export function threadsBySignal(threads: readonly SignalThread[]): Map<string, SignalThread> {
+  const out = new Map<string, SignalThread>();
+  for (const t of threads) {
+    if (!isCoachingSignal(t.relatedSignal)) continue;
+    const key = `${t.teacherId}:${t.relatedSignal}`;
+    const cur = out.get(key);
+    if (!cur || rank(t) > rank(cur)) out.set(key, t);
+  }
+  return out;
+}
+
+function rank(t: SignalThread): number {
+  // Open beats resolved; within a status, newer activity wins.
+  return (t.status === 'open' ? 1e15 : 0) + Date.parse(t.lastActivityAt);
+}
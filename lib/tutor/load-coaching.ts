@@ -0,0 +1,227 @@
+// Coaching-channel loaders (§5.1) — the I/O half of ./coaching.ts.
+//
+// Every read rides the caller's RLS-scoped client: tutor_feedback is
+// participant-only (plus admins), replies follow their thread, and
+// tutor_feedback_reads only ever returns the caller's own marker — so
+// the embedded `reads` below is "my read marker for this thread" with
+// no extra filter. Names come from profile_cards, which (unlike
+// profiles) is readable up the hierarchy too, so a tutor sees their
+// manager's name.
+//
+// The sidebar count is best-effort: a failed read shows no badge
+// rather than failing the layout.
+
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import { countUnreadThreads, isThreadUnread, threadsBySignal, type SignalThread } from './coaching';
+
+const THREAD_COLUMNS = `
+  id, manager_id, teacher_id, category, body, related_student_id,
+  related_assignment_id, related_signal, status, acknowledged_at,
+  created_at, last_activity_at, last_activity_by,
+  related_assignment:assignments_v2 (id, title, assignment_type),
+  replies:tutor_feedback_replies (count),
+  reads:tutor_feedback_reads (last_read_at)
+`;
+
+export interface CoachingThreadSummary {
+  id: string;
+  managerId: string;
+  managerName: string;
+  teacherId: string;
+  teacherName: string;
+  category: string;
+  body: string;
+  relatedStudent: { id: string; name: string } | null;
+  relatedAssignment: { id: string; title: string } | null;
+  relatedSignal: string | null;
+  status: string;
+  acknowledgedAt: string | null;
+  createdAt: string;
+  lastActivityAt: string;
+  replyCount: number;
+  unread: boolean;
+}
+
+export interface CoachingReply {
+  id: string;
+  authorId: string;
+  authorName: string;
+  body: string;
+  createdAt: string;
+}
+
+async function loadNames(supabase: TypedSupabaseClient, ids: readonly (string | null)[]) {
+  const unique = [...new Set(ids.filter((id): id is string => !!id))];
+  const names = new Map<string, string>();
+  if (unique.length === 0) return names;
+  const { data } = await supabase
+    .from('profile_cards')
+    .select('id, first_name, last_name')
+    .in('id', unique);
+  for (const row of data ?? []) {
+    if (!row.id) continue;
+    names.set(row.id, [row.first_name, row.last_name].filter(Boolean).join(' ') || 'Unnamed');
+  }
+  return names;
+}
+
+type ThreadRow = {
+  id: string;
+  manager_id: string;
+  teacher_id: string;
+  category: string;
+  body: string;
+  related_student_id: string | null;
+  related_signal: string | null;
+  status: string;
+  acknowledged_at: string | null;
+  created_at: string;
+  last_activity_at: string;
+  last_activity_by: string | null;
+  related_assignment: { id: string; title: string | null } | null;
+  reads: { last_read_at: string }[] | null;
+};
+
+function toSummary(
+  r: ThreadRow,
+  names: Map<string, string>,
+  userId: string,
+  replyCount: number,
+): CoachingThreadSummary {
+  return {
+    id: r.id,
+    managerId: r.manager_id,
+    managerName: names.get(r.manager_id) ?? 'Manager',
+    teacherId: r.teacher_id,
+    teacherName: names.get(r.teacher_id) ?? 'Tutor',
+    category: r.category,
+    body: r.body,
+    relatedStudent: r.related_student_id
+      ? { id: r.related_student_id, name: names.get(r.related_student_id) ?? 'Student' }
+      : null,
+    relatedAssignment: r.related_assignment
+      ? { id: r.related_assignment.id, title: r.related_assignment.title ?? 'Assignment' }
+      : null,
+    relatedSignal: r.related_signal,
+    status: r.status,
+    acknowledgedAt: r.acknowledged_at,
+    createdAt: r.created_at,
+    lastActivityAt: r.last_activity_at,
+    replyCount,
+    unread: isThreadUnread(
+      { lastActivityAt: r.last_activity_at, lastActivityBy: r.last_activity_by },
+      r.reads?.[0]?.last_read_at ?? null,
+      userId,
+    ),
+  };
+}
+
+/**
+ * Threads the user is part of, newest activity first. Pass
+ * `teacherId` to narrow to one tutor (the manager's teacher page).
+ */
+export async function loadCoachingThreads(
+  supabase: TypedSupabaseClient,
+  userId: string,
+  options: { teacherId?: string; limit?: number } = {},
+): Promise<CoachingThreadSummary[]> {
+  let q = supabase
+    .from('tutor_feedback')
+    .select(THREAD_COLUMNS)
+    .or(`manager_id.eq.${userId},teacher_id.eq.${userId}`)
+    .order('last_activity_at', { ascending: false })
+    .limit(options.limit ?? 100);
+  if (options.teacherId) q = q.eq('teacher_id', options.teacherId);
+  const { data: rows } = await q;
+  if (!rows?.length) return [];
+
+  const names = await loadNames(
+    supabase,
+    rows.flatMap((r) => [r.manager_id, r.teacher_id, r.related_student_id]),
+  );
+
+  return rows.map((r) => toSummary(r, names, userId, r.replies?.[0]?.count ?? 0));
+}
+
+/** One thread with its replies, or null when the caller can't see it. */
+export async function loadCoachingThread(
+  supabase: TypedSupabaseClient,
+  userId: string,
+  threadId: string,
+): Promise<{ thread: CoachingThreadSummary; replies: CoachingReply[] } | null> {
+  const [{ data: row }, { data: replyRows }] = await Promise.all([
+    supabase.from('tutor_feedback').select(THREAD_COLUMNS).eq('id', threadId).maybeSingle(),
+    supabase
+      .from('tutor_feedback_replies')
+      .select('id, author_id, body, created_at')
+      .eq('feedback_id', threadId)
+      .order('created_at', { ascending: true }),
+  ]);
+  if (!row) return null;
+
+  const names = await loadNames(supabase, [
+    row.manager_id,
+    row.teacher_id,
+    row.related_student_id,
+    ...(replyRows ?? []).map((r) => r.author_id),
+  ]);
+
+  const thread = toSummary(row, names, userId, replyRows?.length ?? 0);
+
+  const replies = (replyRows ?? []).map((r) => ({
+    id: r.id,
+    authorId: r.author_id,
+    authorName: names.get(r.author_id) ?? 'Unknown',
+    body: r.body,
+    createdAt: r.created_at,
+  }));
+  return { thread, replies };
+}
+
+/** Sidebar badge: threads with someone else's activity since the user last looked. */
+export async function loadCoachingUnreadCount(
+  supabase: TypedSupabaseClient,
+  userId: string,
+): Promise<number> {
+  const { data, error } = await supabase
+    .from('tutor_feedback')
+    .select('last_activity_at, last_activity_by, reads:tutor_feedback_reads (last_read_at)')
+    .or(`manager_id.eq.${userId},teacher_id.eq.${userId}`);
+  if (error || !data) return 0;
+  return countUnreadThreads(
+    data.map((r) => ({
+      lastActivityAt: r.last_activity_at,
+      lastActivityBy: r.last_activity_by,
+      lastReadAt: r.reads?.[0]?.last_read_at ?? null,
+    })),
+    userId,
+  );
+}
+
+/**
+ * Signal-tied threads a manager has opened for their tutors, keyed
+ * `${teacherId}:${signal}` (see threadsBySignal) — the Teachers tab's
+ * effectiveness links.
+ */
+export async function loadSignalThreads(
+  supabase: TypedSupabaseClient,
+  managerId: string,
+  teacherIds: readonly string[],
+): Promise<Map<string, SignalThread>> {
+  if (teacherIds.length === 0) return new Map();
+  const { data } = await supabase
+    .from('tutor_feedback')
+    .select('id, teacher_id, related_signal, status, last_activity_at')
+    .eq('manager_id', managerId)
+    .in('teacher_id', teacherIds)
+    .not('related_signal', 'is', null);
+  return threadsBySignal(
+    (data ?? []).map((r) => ({
+      id: r.id,
+      teacherId: r.teacher_id,
+      relatedSignal: r.related_signal,
+      status: r.status,
+      lastActivityAt: r.last_activity_at,
+    })),
+  );
+}
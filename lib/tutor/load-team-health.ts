@@ -0,0 +1,57 @@
+// Team roster health loader (§5.3) — the I/O half of
+// lib/tutor/team-health.ts.
+//
+// One get_team_roster_health call returns every (tutor, student) row
+// across the caller's managed tutors — names, last activity, next
+// registered test, active-plan tasks and any parked draft — so the
+// manager home and the roster drill-down share a single RLS-scoped
+// round trip instead of walking the team tutor by tutor.
+//
+// Unlike the effectiveness loader this one throws: the manager home
+// has nothing to show without it, so the page renders its error card
+// (the tutor dashboard's treatment of loadTutorDashboard).
+
+import type { TypedSupabaseClient } from '@/lib/supabase/server';
+import {
+  buildTeamHealth,
+  parsePlanTasks,
+  type TeamHealth,
+  type TeamHealthOptions,
+  type TeamRosterRow,
+} from './team-health';
+
+function nameOf(first: string | null, last: string | null, fallback: string): string {
+  return [first, last].filter(Boolean).join(' ') || fallback;
+}
+
+export async function loadTeamRoster(
+  supabase: TypedSupabaseClient,
+  testType: 'sat' | 'act' = 'sat',
+): Promise<TeamRosterRow[]> {
+  const { data, error } = await supabase.rpc('get_team_roster_health', {
+    p_test_type: testType,
+  });
+  if (error) throw new Error(error.message);
+
+  return (data ?? []).map((r) => ({
+    teacherId: r.teacher_id,
+    teacherName: nameOf(r.teacher_first_name, r.teacher_last_name, 'Tutor'),
+    studentId: r.student_id,
+    studentName: nameOf(r.student_first_name, r.student_last_name, 'Student'),
+    isActive: r.is_active !== false,
+    lastActivityAt: r.last_activity_at,
+    nextTestDate: r.next_test_date,
+    planTasks: parsePlanTasks(r.active_plan_tasks),
+    draftCreatedAt: r.draft_created_at,
+    draftFromRepace: r.draft_from_repace === true,
+  }));
+}
+
+export async function loadTeamHealth(
+  supabase: TypedSupabaseClient,
+  options: TeamHealthOptions & { testType?: 'sat' | 'act' } = {},
+): Promise<TeamHealth> {
+  const rows = await loadTeamRoster(supabase, options.testType);
+  const today = new Date().toISOString().slice(0, 10);
+  return buildTeamHealth(rows, today, options);
+}
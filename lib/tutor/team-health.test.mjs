@@ -0,0 +1,116 @@
+// Team roster health tests (§5.3).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildTeamHealth,
+  isTeamHealthFilter,
+  parsePlanTasks,
+  studentIdsForFilter,
+} from './team-health.ts';
+
+const TODAY = '2026-10-19';
+
+function row(overrides) {
+  return {
+    teacherId: 't1',
+    teacherName: 'Ana Tutor',
+    studentId: 's1',
+    studentName: 'Sam Student',
+    isActive: true,
+    lastActivityAt: '2026-10-18T15:00:00Z',
+    nextTestDate: null,
+    planTasks: null,
+    draftCreatedAt: null,
+    draftFromRepace: false,
+    ...overrides,
+  };
+}
+
+const behindTasks = [
+  { scheduledDate: '2026-10-10', status: 'pending' },
+  { scheduledDate: '2026-10-12', status: 'pending' },
+  { scheduledDate: '2026-10-14', status: 'completed' },
+];
+const onTrackTasks = [
+  { scheduledDate: '2026-10-10', status: 'completed' },
+  { scheduledDate: '2026-10-25', status: 'pending' },
+];
+
+test('buildTeamHealth classifies adherence with computeAdherence and counts no-plan students', () => {
+  const health = buildTeamHealth(
+    [
+      row({ studentId: 's1', studentName: 'A', planTasks: behindTasks }),
+      row({ studentId: 's2', studentName: 'B', planTasks: onTrackTasks }),
+      row({ studentId: 's3', studentName: 'C', planTasks: null }),
+      row({ studentId: 's4', studentName: 'D', planTasks: [] }),
+    ],
+    TODAY,
+  );
+  assert.equal(health.counts.behind, 1);
+  assert.equal(health.counts.on_track, 1);
+  assert.equal(health.counts.no_plan, 1);
+  assert.equal(health.counts.not_started, 1);
+  assert.equal(health.students.find((st) => st.studentId === 's1').overdueCount, 2);
+});
+
+test('stale covers old and missing activity; test_soon respects the window', () => {
+  const health = buildTeamHealth(
+    [
+      row({ studentId: 's1', lastActivityAt: '2026-10-01T12:00:00Z' }),
+      row({ studentId: 's2', lastActivityAt: null }),
+      row({ studentId: 's3', lastActivityAt: '2026-10-10T12:00:00Z', nextTestDate: '2026-11-07' }),
+      row({ studentId: 's4', nextTestDate: '2027-03-13' }),
+    ],
+    TODAY,
+  );
+  assert.deepEqual([...studentIdsForFilter(health, 'stale')].sort(), ['s1', 's2']);
+  assert.deepEqual(health.upcomingTests.map((st) => [st.studentId, st.daysToTest]), [['s3', 19]]);
+  assert.equal(
+    buildTeamHealth([row({ lastActivityAt: '2026-10-10T12:00:00Z' })], TODAY, { staleDays: 7 }).counts.stale,
+    1,
+  );
+});
+
+test('team counts are per distinct student; tutor counts credit every roster', () => {
+  const health = buildTeamHealth(
+    [
+      row({ teacherId: 't1', teacherName: 'Ana', studentId: 's1', draftFromRepace: true, draftCreatedAt: '2026-10-13T06:00:00Z' }),
+      row({ teacherId: 't2', teacherName: 'Ben', studentId: 's1', draftFromRepace: true, draftCreatedAt: '2026-10-13T06:00:00Z' }),
+      row({ teacherId: 't2', teacherName: 'Ben', studentId: 's2', draftCreatedAt: '2026-10-15T06:00:00Z' }),
+    ],
+    TODAY,
+  );
+  assert.equal(health.students.length, 2);
+  assert.equal(health.counts.repace_draft, 1); // tutor-authored drafts don't count
+  assert.deepEqual(
+    health.teachers.map((t) => [t.teacherName, t.students, t.counts.repace_draft]),
+    [['Ana', 1, 1], ['Ben', 2, 1]],
+  );
+  assert.deepEqual([...studentIdsForFilter(health, 'no_plan', 't1')], ['s1']);
+});
+
+test('archived students drop out, but their tutor still gets a row', () => {
+  const health = buildTeamHealth([row({ isActive: false })], TODAY);
+  assert.equal(health.students.length, 0);
+  assert.deepEqual(health.teachers.map((t) => [t.teacherId, t.students]), [['t1', 0]]);
+});
+
+test('parsePlanTasks and isTeamHealthFilter guard untrusted input', () => {
+  assert.equal(parsePlanTasks(null), null);
+  assert.deepEqual(
+    parsePlanTasks([
+      { scheduled_date: '2026-10-20', status: 'pending' },
+      { scheduled_date: null, status: 'completed' },
+      { scheduled_date: '2026-10-21', status: 'bogus' },
+      'junk',
+    ]),
+    [
+      { scheduledDate: '2026-10-20', status: 'pending' },
+      { scheduledDate: null, status: 'completed' },
+    ],
+  );
+  assert.equal(isTeamHealthFilter('stale'), true);
+  assert.equal(isTeamHealthFilter('everything'), false);
+  assert.equal(isTeamHealthFilter(undefined), false);
+});
@@ -0,0 +1,254 @@
+// Team roster health (§5.3) — pure computation, no I/O.
+//
+// The manager home's cross-tutor view: one row per (tutor, student)
+// from the get_team_roster_health RPC, classified here into the tiles
+// a manager scans — plan adherence (via computeAdherence, so the
+// signal matches the roster and plan pages exactly), no plan, stale,
+// a registered test coming up, and a re-pace draft waiting for
+// review. `today` is an input, same as the plan family, so the
+// windows are reproducible under test.
+//
+// Team-level counts are over DISTINCT active students (a student on
+// two rosters is one student to the manager); per-tutor counts credit
+// each tutor the student is rostered with, the same convention as
+// rollupAdherence. Archived students (is_active = false) are out of
+// scope everywhere — they aren't anyone's to nudge.
+
+import { computeAdherence, type AdherenceStatus, type AdherenceTask } from '../plan/adherence.ts';
+
+/** No attempts in this many days → stale. */
+export const TEAM_STALE_DAYS = 14;
+/** A registered test inside this many days counts as upcoming. */
+export const TEAM_UPCOMING_TEST_DAYS = 60;
+
+export const TEAM_HEALTH_FILTERS = [
+  'behind',
+  'not_started',
+  'on_track',
+  'ahead',
+  'no_plan',
+  'stale',
+  'test_soon',
+  'repace_draft',
+] as const;
+export type TeamHealthFilter = (typeof TEAM_HEALTH_FILTERS)[number];
+
+export const TEAM_HEALTH_FILTER_LABELS: Record<TeamHealthFilter, string> = {
+  behind: 'Behind plan',
+  not_started: 'Plan not started',
+  on_track: 'On track',
+  ahead: 'Ahead',
+  no_plan: 'No plan',
+  stale: 'No recent activity',
+  test_soon: 'Test coming up',
+  repace_draft: 'Re-pace draft to review',
+};
+
+export function isTeamHealthFilter(value: unknown): value is TeamHealthFilter {
+  return typeof value === 'string' && (TEAM_HEALTH_FILTERS as readonly string[]).includes(value);
+}
+
+/** One get_team_roster_health row, camel-cased and name-joined. */
+export interface TeamRosterRow {
+  teacherId: string;
+  teacherName: string;
+  studentId: string;
+  studentName: string;
+  isActive: boolean;
+  lastActivityAt: string | null;
+  /** ISO yyyy-mm-dd, already filtered to today or later by the RPC. */
+  nextTestDate: string | null;
+  /** Active plan's tasks; null when the student has no active plan. */
+  planTasks: AdherenceTask[] | null;
+  draftCreatedAt: string | null;
+  /** The parked draft was written by the weekly re-pace job. */
+  draftFromRepace: boolean;
+}
+
+export interface TeamStudentHealth {
+  studentId: string;
+  studentName: string;
+  teacherIds: string[];
+  /** null = no active plan. */
+  adherence: AdherenceStatus | null;
+  overdueCount: number;
+  lastActivityAt: string | null;
+  /** Whole days since the last attempt; null = never practiced. */
+  daysSinceActivity: number | null;
+  nextTestDate: string | null;
+  daysToTest: number | null;
+  repaceDraftAt: string | null;
+}
+
+export type TeamHealthCounts = Record<TeamHealthFilter, number>;
+
+export interface TeamTeacherHealth {
+  teacherId: string;
+  teacherName: string;
+  students: number;
+  counts: TeamHealthCounts;
+}
+
+export interface TeamHealth {
+  /** Distinct active students across the team, by name. */
+  students: TeamStudentHealth[];
+  counts: TeamHealthCounts;
+  /** Per tutor, by name. */
+  teachers: TeamTeacherHealth[];
+  /** Students with a test inside the upcoming window, soonest first. */
+  upcomingTests: TeamStudentHealth[];
+}
+
+export interface TeamHealthOptions {
+  staleDays?: number;
+  upcomingDays?: number;
+}
+
+/** Defensive parse of the RPC's active_plan_tasks jsonb. */
+export function parsePlanTasks(json: unknown): AdherenceTask[] | null {
+  if (!Array.isArray(json)) return null;
+  const tasks: AdherenceTask[] = [];
+  for (const item of json) {
+    if (!item || typeof item !== 'object') continue;
+    const { scheduled_date, status } = item as Record<string, unknown>;
+    if (status !== 'pending' && status !== 'completed' && status !== 'skipped') continue;
+    tasks.push({
+      scheduledDate: typeof scheduled_date === 'string' ? scheduled_date.slice(0, 10) : null,
+      status,
+    });
+  }
+  return tasks;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromIsoDate: string, toIsoDate: string): number {
+  const from = Date.parse(`${fromIsoDate.slice(0, 10)}T00:00:00Z`);
+  const to = Date.parse(`${toIsoDate.slice(0, 10)}T00:00:00Z`);
+  return Math.round((to - from) / DAY_MS);
+}
+
+function emptyCounts(): TeamHealthCounts {
+  return {
+    behind: 0,
+    not_started: 0,
+    on_track: 0,
+    ahead: 0,
+    no_plan: 0,
+    stale: 0,
+    test_soon: 0,
+    repace_draft: 0,
+  };
+}
+
+/** Does this student belong on the tile / drill-down for `filter`? */
+export function matchesTeamFilter(
+  student: TeamStudentHealth,
+  filter: TeamHealthFilter,
+  { staleDays = TEAM_STALE_DAYS, upcomingDays = TEAM_UPCOMING_TEST_DAYS }: TeamHealthOptions = {},
+): boolean {
+  switch (filter) {
+    case 'no_plan':
+      return student.adherence === null;
+    case 'stale':
+      return student.daysSinceActivity === null || student.daysSinceActivity >= staleDays;
+    case 'test_soon':
+      return student.daysToTest !== null && student.daysToTest <= upcomingDays;
+    case 'repace_draft':
+      return student.repaceDraftAt !== null;
+    default:
+      return student.adherence === filter;
+  }
+}
+
+function addCounts(
+  counts: TeamHealthCounts,
+  student: TeamStudentHealth,
+  options: TeamHealthOptions,
+): void {
+  for (const filter of TEAM_HEALTH_FILTERS) {
+    if (matchesTeamFilter(student, filter, options)) counts[filter] += 1;
+  }
+}
+
+export function buildTeamHealth(
+  rows: readonly TeamRosterRow[],
+  today: string,
+  options: TeamHealthOptions = {},
+): TeamHealth {
+  const byStudent = new Map<string, TeamStudentHealth>();
+  const teacherNames = new Map<string, string>();
+
+  for (const row of rows) {
+    if (!teacherNames.has(row.teacherId)) teacherNames.set(row.teacherId, row.teacherName);
+    if (!row.isActive) continue;
+
+    const existing = byStudent.get(row.studentId);
+    if (existing) {
+      if (!existing.teacherIds.includes(row.teacherId)) existing.teacherIds.push(row.teacherId);
+      continue;
+    }
+
+    const adherence = row.planTasks ? computeAdherence(row.planTasks, today) : null;
+    byStudent.set(row.studentId, {
+      studentId: row.studentId,
+      studentName: row.studentName,
+      teacherIds: [row.teacherId],
+      adherence: adherence?.status ?? null,
+      overdueCount: adherence?.overdueCount ?? 0,
+      lastActivityAt: row.lastActivityAt,
+      daysSinceActivity: row.lastActivityAt ? Math.max(0, daysBetween(row.lastActivityAt, today)) : null,
+      nextTestDate: row.nextTestDate,
+      daysToTest: row.nextTestDate ? daysBetween(today, row.nextTestDate) : null,
+      repaceDraftAt: row.draftFromRepace ? row.draftCreatedAt : null,
+    });
+  }
+
+  const students = [...byStudent.values()].sort((a, b) =>
+    a.studentName.localeCompare(b.studentName),
+  );
+
+  const counts = emptyCounts();
+  const teacherAgg = new Map<string, TeamTeacherHealth>(
+    [...teacherNames].map(([teacherId, teacherName]) => [
+      teacherId,
+      { teacherId, teacherName, students: 0, counts: emptyCounts() },
+    ]),
+  );
+  for (const student of students) {
+    addCounts(counts, student, options);
+    for (const teacherId of student.teacherIds) {
+      const agg = teacherAgg.get(teacherId);
+      if (!agg) continue;
+      agg.students += 1;
+      addCounts(agg.counts, student, options);
+    }
+  }
+
+  const upcomingTests = students
+    .filter((st) => matchesTeamFilter(st, 'test_soon', options))
+    .sort((a, b) => (a.daysToTest ?? 0) - (b.daysToTest ?? 0));
+
+  return {
+    students,
+    counts,
+    teachers: [...teacherAgg.values()].sort((a, b) => a.teacherName.localeCompare(b.teacherName)),
+    upcomingTests,
+  };
+}
+
+/** Student ids behind one tile, optionally narrowed to one tutor —
+ *  the roster drill-down's filter set. */
+export function studentIdsForFilter(
+  health: TeamHealth,
+  filter: TeamHealthFilter,
+  teacherId: string | null = null,
+  options: TeamHealthOptions = {},
+): Set<string> {
+  return new Set(
+    health.students
+      .filter((st) => (teacherId ? st.teacherIds.includes(teacherId) : true))
+      .filter((st) => matchesTeamFilter(st, filter, options))
+      .map((st) => st.studentId),
+  );
+}
@@ -51,8 +51,20 @@ export type ApiResult<T extends Record<string, unknown> = Record<string, unknown
  *  calibration data. It is NOT how tutors contribute: profiles.role is
  *  single-valued, so a tutor switching to it would lose their roster.
  *  For "may this session submit?", ask the DB's can_contribute() (staff
- *  or contributor), not this union. */
-export type UserRole = 'practice' | 'student' | 'teacher' | 'manager' | 'admin' | 'contributor';
+ *  or contributor), not this union.
+ *
+ *  `guardian` is a parent account: no practice, no subscription, read-
+ *  only access to the students it is linked to (guardian_links, approved
+ *  by the student or their tutor). Its visibility is guardian_can_view(),
+ *  not can_view(). */
+export type UserRole =
+  | 'practice'
+  | 'student'
+  | 'teacher'
+  | 'manager'
+  | 'admin'
+  | 'contributor'
+  | 'guardian';
 
 /** The real AuthContext now lives beside its implementation in
  *  lib/api/auth.ts (typed user, profile, and Database-generic
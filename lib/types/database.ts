@@ -439,11 +439,165 @@ export type Database = {
           },
         ]
       }
+      api_consumers: {
+        Row: {
+          created_at: string
+          created_by: string | null
+          disabled_at: string | null
+          id: string
+          name: string
+          scopes: string[]
+          student_ids: string[] | null
+        }
+        Insert: {
+          created_at?: string
+          created_by?: string | null
+          disabled_at?: string | null
+          id?: string
+          name: string
+          scopes?: string[]
+          student_ids?: string[] | null
+        }
+        Update: {
+          created_at?: string
+          created_by?: string | null
+          disabled_at?: string | null
+          id?: string
+          name?: string
+          scopes?: string[]
+          student_ids?: string[] | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "api_consumers_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      api_keys: {
+        Row: {
+          consumer_id: string
+          created_at: string
+          created_by: string | null
+          expires_at: string | null
+          id: string
+          key_hash: string
+          key_prefix: string
+          label: string | null
+          revoked_at: string | null
+          rotated_from: string | null
+        }
+        Insert: {
+          consumer_id: string
+          created_at?: string
+          created_by?: string | null
+          expires_at?: string | null
+          id?: string
+          key_hash: string
+          key_prefix: string
+          label?: string | null
+          revoked_at?: string | null
+          rotated_from?: string | null
+        }
+        Update: {
+          consumer_id?: string
+          created_at?: string
+          created_by?: string | null
+          expires_at?: string | null
+          id?: string
+          key_hash?: string
+          key_prefix?: string
+          label?: string | null
+          revoked_at?: string | null
+          rotated_from?: string | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "api_keys_consumer_id_fkey"
+            columns: ["consumer_id"]
+            isOneToOne: false
+            referencedRelation: "api_consumers"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "api_keys_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "api_keys_rotated_from_fkey"
+            columns: ["rotated_from"]
+            isOneToOne: false
+            referencedRelation: "api_keys"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      api_request_logs: {
+        Row: {
+          consumer_id: string | null
+          consumer_name: string | null
+          created_at: string
+          endpoint: string
+          id: number
+          ip: string | null
+          key_id: string | null
+          method: string
+          scope: string
+          status: number
+        }
+        Insert: {
+          consumer_id?: string | null
+          consumer_name?: string | null
+          created_at?: string
+          endpoint: string
+          id?: number
+          ip?: string | null
+          key_id?: string | null
+          method: string
+          scope: string
+          status: number
+        }
+        Update: {
+          consumer_id?: string | null
+          consumer_name?: string | null
+          created_at?: string
+          endpoint?: string
+          id?: number
+          ip?: string | null
+          key_id?: string | null
+          method?: string
+          scope?: string
+          status?: number
+        }
+        Relationships: [
+          {
+            foreignKeyName: "api_request_logs_consumer_id_fkey"
+            columns: ["consumer_id"]
+            isOneToOne: false
+            referencedRelation: "api_consumers"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "api_request_logs_key_id_fkey"
+            columns: ["key_id"]
+            isOneToOne: false
+            referencedRelation: "api_keys"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       assignment_students_v2: {
         Row: {
           assignment_id: string
           completed_at: string | null
           created_at: string
+          question_ids: string[] | null
           student_id: string
           test_type: string
         }
@@ -451,6 +605,7 @@ export type Database = {
           assignment_id: string
           completed_at?: string | null
           created_at?: string
+          question_ids?: string[] | null
           student_id: string
           test_type?: string
         }
@@ -458,6 +613,7 @@ export type Database = {
           assignment_id?: string
           completed_at?: string | null
           created_at?: string
+          question_ids?: string[] | null
           student_id?: string
           test_type?: string
         }
@@ -492,31 +648,113 @@ export type Database = {
           },
         ]
       }
+      assignment_template_runs: {
+        Row: {
+          assignment_id: string | null
+          claimed_at: string | null
+          created_at: string
+          detail: string | null
+          id: string
+          occurrence_on: string
+          outcome: string
+          student_id: string
+          template_id: string
+        }
+        Insert: {
+          assignment_id?: string | null
+          claimed_at?: string | null
+          created_at?: string
+          detail?: string | null
+          id?: string
+          occurrence_on: string
+          outcome: string
+          student_id: string
+          template_id: string
+        }
+        Update: {
+          assignment_id?: string | null
+          claimed_at?: string | null
+          created_at?: string
+          detail?: string | null
+          id?: string
+          occurrence_on?: string
+          outcome?: string
+          student_id?: string
+          template_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "assignment_template_runs_assignment_id_fkey"
+            columns: ["assignment_id"]
+            isOneToOne: false
+            referencedRelation: "assignments_v2"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "assignment_template_runs_student_id_fkey"
+            columns: ["student_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "assignment_template_runs_template_id_fkey"
+            columns: ["template_id"]
+            isOneToOne: false
+            referencedRelation: "assignment_templates"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       assignment_templates: {
         Row: {
           assignment_type: string
           created_at: string
+          due_offset_days: number | null
           filter_criteria: Json
+          generation_rule: string
           id: string
           name: string
+          next_run_on: string | null
+          paused_at: string | null
+          repeat_every: string | null
+          repeat_interval_days: number | null
+          repeat_weekday: number | null
+          student_ids: string[]
           teacher_id: string
           updated_at: string
         }
         Insert: {
           assignment_type?: string
           created_at?: string
+          due_offset_days?: number | null
           filter_criteria: Json
+          generation_rule?: string
           id?: string
           name: string
+          next_run_on?: string | null
+          paused_at?: string | null
+          repeat_every?: string | null
+          repeat_interval_days?: number | null
+          repeat_weekday?: number | null
+          student_ids?: string[]
           teacher_id: string
           updated_at?: string
         }
         Update: {
           assignment_type?: string
           created_at?: string
+          due_offset_days?: number | null
           filter_criteria?: Json
+          generation_rule?: string
           id?: string
           name?: string
+          next_run_on?: string | null
+          paused_at?: string | null
+          repeat_every?: string | null
+          repeat_interval_days?: number | null
+          repeat_weekday?: number | null
+          student_ids?: string[]
           teacher_id?: string
           updated_at?: string
         }
@@ -538,6 +776,7 @@ export type Database = {
           practice_test_id: string | null
           question_ids: string[] | null
           teacher_id: string
+          template_id: string | null
           test_type: string
           title: string | null
           updated_at: string
@@ -558,6 +797,7 @@ export type Database = {
           practice_test_id?: string | null
           question_ids?: string[] | null
           teacher_id: string
+          template_id?: string | null
           test_type?: string
           title?: string | null
           updated_at?: string
@@ -578,6 +818,7 @@ export type Database = {
           practice_test_id?: string | null
           question_ids?: string[] | null
           teacher_id?: string
+          template_id?: string | null
           test_type?: string
           title?: string | null
           updated_at?: string
@@ -636,6 +877,7 @@ export type Database = {
           id: string
           is_correct: boolean
           question_id: string
+          question_revision_id: string | null
           response_json: Json | null
           response_text: string | null
           selected_option_id: string | null
@@ -650,6 +892,7 @@ export type Database = {
           id?: string
           is_correct: boolean
           question_id: string
+          question_revision_id?: string | null
           response_json?: Json | null
           response_text?: string | null
           selected_option_id?: string | null
@@ -664,6 +907,7 @@ export type Database = {
           id?: string
           is_correct?: boolean
           question_id?: string
+          question_revision_id?: string | null
           response_json?: Json | null
           response_text?: string | null
           selected_option_id?: string | null
@@ -671,7 +915,50 @@ export type Database = {
           time_spent_ms?: number | null
           user_id?: string
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "attempts_question_revision_id_fkey"
+            columns: ["question_revision_id"]
+            isOneToOne: false
+            referencedRelation: "question_revisions"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      billing_notices: {
+        Row: {
+          created_at: string
+          email: string | null
+          kind: string
+          sent_at: string | null
+          stripe_event_id: string
+          user_id: string
+        }
+        Insert: {
+          created_at?: string
+          email?: string | null
+          kind: string
+          sent_at?: string | null
+          stripe_event_id: string
+          user_id: string
+        }
+        Update: {
+          created_at?: string
+          email?: string | null
+          kind?: string
+          sent_at?: string | null
+          stripe_event_id?: string
+          user_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "billing_notices_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+        ]
       }
       bluebook_calibration_campaigns: {
         Row: {
@@ -986,16 +1273,22 @@ export type Database = {
         Row: {
           class_id: string
           created_at: string | null
+          dropped_at: string | null
+          rostered: boolean
           student_id: string
         }
         Insert: {
           class_id: string
           created_at?: string | null
+          dropped_at?: string | null
+          rostered?: boolean
           student_id: string
         }
         Update: {
           class_id?: string
           created_at?: string | null
+          dropped_at?: string | null
+          rostered?: boolean
           student_id?: string
         }
         Relationships: [
@@ -1072,18 +1365,27 @@ export type Database = {
           created_at: string | null
           id: string
           name: string
+          org_sourced_id: string | null
+          roster_import_id: string | null
+          sourced_id: string | null
           teacher_id: string
         }
         Insert: {
           created_at?: string | null
           id?: string
           name: string
+          org_sourced_id?: string | null
+          roster_import_id?: string | null
+          sourced_id?: string | null
           teacher_id: string
         }
         Update: {
           created_at?: string | null
           id?: string
           name?: string
+          org_sourced_id?: string | null
+          roster_import_id?: string | null
+          sourced_id?: string | null
           teacher_id?: string
         }
         Relationships: [
@@ -1508,6 +1810,114 @@ export type Database = {
           },
         ]
       }
+      guardian_links: {
+        Row: {
+          created_at: string
+          decided_at: string | null
+          decided_by: string | null
+          guardian_id: string
+          id: string
+          relationship: string
+          requested_at: string
+          requested_email: string
+          status: string
+          student_id: string
+        }
+        Insert: {
+          created_at?: string
+          decided_at?: string | null
+          decided_by?: string | null
+          guardian_id: string
+          id?: string
+          relationship?: string
+          requested_at?: string
+          requested_email: string
+          status?: string
+          student_id: string
+        }
+        Update: {
+          created_at?: string
+          decided_at?: string | null
+          decided_by?: string | null
+          guardian_id?: string
+          id?: string
+          relationship?: string
+          requested_at?: string
+          requested_email?: string
+          status?: string
+          student_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "guardian_links_decided_by_fkey"
+            columns: ["decided_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "guardian_links_guardian_id_fkey"
+            columns: ["guardian_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "guardian_links_student_id_fkey"
+            columns: ["student_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      item_calibration: {
+        Row: {
+          a: number
+          authored_b: number | null
+          b: number
+          calibrated_at: string
+          label_flag: string | null
+          n_attempts: number
+          n_correct: number
+          p_value: number | null
+          question_id: string
+          reliable: boolean
+        }
+        Insert: {
+          a: number
+          authored_b?: number | null
+          b: number
+          calibrated_at?: string
+          label_flag?: string | null
+          n_attempts?: number
+          n_correct?: number
+          p_value?: number | null
+          question_id: string
+          reliable?: boolean
+        }
+        Update: {
+          a?: number
+          authored_b?: number | null
+          b?: number
+          calibrated_at?: string
+          label_flag?: string | null
+          n_attempts?: number
+          n_correct?: number
+          p_value?: number | null
+          question_id?: string
+          reliable?: boolean
+        }
+        Relationships: [
+          {
+            foreignKeyName: "item_calibration_question_id_fkey"
+            columns: ["question_id"]
+            isOneToOne: true
+            referencedRelation: "questions_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       item_stats: {
         Row: {
           avg_time_ms: number | null
@@ -2100,553 +2510,1113 @@ export type Database = {
           },
         ]
       }
-      manager_teacher_assignments: {
+      lti_deep_link_requests: {
         Row: {
-          created_at: string | null
-          manager_id: string
-          teacher_id: string
+          accept_multiple: boolean
+          context_title: string | null
+          created_at: string
+          data: string | null
+          deployment_id: string
+          id: string
+          platform_id: string
+          profile_id: string
+          return_url: string
+          used_at: string | null
         }
         Insert: {
-          created_at?: string | null
-          manager_id: string
-          teacher_id: string
+          accept_multiple?: boolean
+          context_title?: string | null
+          created_at?: string
+          data?: string | null
+          deployment_id: string
+          id?: string
+          platform_id: string
+          profile_id: string
+          return_url: string
+          used_at?: string | null
         }
         Update: {
-          created_at?: string | null
-          manager_id?: string
-          teacher_id?: string
+          accept_multiple?: boolean
+          context_title?: string | null
+          created_at?: string
+          data?: string | null
+          deployment_id?: string
+          id?: string
+          platform_id?: string
+          profile_id?: string
+          return_url?: string
+          used_at?: string | null
         }
         Relationships: [
           {
-            foreignKeyName: "manager_teacher_assignments_manager_id_fkey"
-            columns: ["manager_id"]
+            foreignKeyName: "lti_deep_link_requests_platform_id_fkey"
+            columns: ["platform_id"]
             isOneToOne: false
-            referencedRelation: "profile_cards"
+            referencedRelation: "lti_platforms"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "manager_teacher_assignments_manager_id_fkey"
-            columns: ["manager_id"]
+            foreignKeyName: "lti_deep_link_requests_profile_id_fkey"
+            columns: ["profile_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
-          {
-            foreignKeyName: "manager_teacher_assignments_manager_id_fkey"
-            columns: ["manager_id"]
-            isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
-          },
-          {
-            foreignKeyName: "manager_teacher_assignments_teacher_id_fkey"
-            columns: ["teacher_id"]
+        ]
+      }
+      lti_grade_pushes: {
+        Row: {
+          assignment_id: string
+          attempts: number
+          completed_at: string
+          created_at: string
+          id: string
+          last_error: string | null
+          last_status_code: number | null
+          next_attempt_at: string
+          profile_id: string
+          resource_link_id: string
+          score_given: number
+          score_maximum: number
+          sent_at: string | null
+          status: string
+        }
+        Insert: {
+          assignment_id: string
+          attempts?: number
+          completed_at: string
+          created_at?: string
+          id?: string
+          last_error?: string | null
+          last_status_code?: number | null
+          next_attempt_at?: string
+          profile_id: string
+          resource_link_id: string
+          score_given: number
+          score_maximum: number
+          sent_at?: string | null
+          status?: string
+        }
+        Update: {
+          assignment_id?: string
+          attempts?: number
+          completed_at?: string
+          created_at?: string
+          id?: string
+          last_error?: string | null
+          last_status_code?: number | null
+          next_attempt_at?: string
+          profile_id?: string
+          resource_link_id?: string
+          score_given?: number
+          score_maximum?: number
+          sent_at?: string | null
+          status?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "lti_grade_pushes_resource_link_id_fkey"
+            columns: ["resource_link_id"]
             isOneToOne: false
-            referencedRelation: "profile_cards"
+            referencedRelation: "lti_resource_links"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "manager_teacher_assignments_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "lti_grade_pushes_profile_id_fkey"
+            columns: ["profile_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
+        ]
+      }
+      lti_link_learners: {
+        Row: {
+          last_launch_at: string
+          lti_sub: string
+          profile_id: string
+          resource_link_id: string
+        }
+        Insert: {
+          last_launch_at?: string
+          lti_sub: string
+          profile_id: string
+          resource_link_id: string
+        }
+        Update: {
+          last_launch_at?: string
+          lti_sub?: string
+          profile_id?: string
+          resource_link_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "lti_link_learners_resource_link_id_fkey"
+            columns: ["resource_link_id"]
+            isOneToOne: false
+            referencedRelation: "lti_resource_links"
+            referencedColumns: ["id"]
+          },
           {
-            foreignKeyName: "manager_teacher_assignments_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "lti_link_learners_profile_id_fkey"
+            columns: ["profile_id"]
             isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
           },
         ]
       }
-      plan_tasks: {
+      lti_login_states: {
         Row: {
-          completed_at: string | null
-          completed_via: string | null
           created_at: string
-          id: string
-          payload: Json
-          plan_id: string
-          scheduled_date: string | null
-          source: string
-          status: string
-          task_type: string
-          updated_at: string
-          week_index: number
+          nonce: string
+          platform_id: string
+          state: string
         }
         Insert: {
-          completed_at?: string | null
-          completed_via?: string | null
           created_at?: string
-          id?: string
-          payload?: Json
-          plan_id: string
-          scheduled_date?: string | null
-          source?: string
-          status?: string
-          task_type: string
-          updated_at?: string
-          week_index?: number
+          nonce: string
+          platform_id: string
+          state: string
         }
         Update: {
-          completed_at?: string | null
-          completed_via?: string | null
           created_at?: string
-          id?: string
-          payload?: Json
-          plan_id?: string
-          scheduled_date?: string | null
-          source?: string
-          status?: string
-          task_type?: string
-          updated_at?: string
-          week_index?: number
+          nonce?: string
+          platform_id?: string
+          state?: string
         }
         Relationships: [
           {
-            foreignKeyName: "plan_tasks_plan_id_fkey"
-            columns: ["plan_id"]
+            foreignKeyName: "lti_login_states_platform_id_fkey"
+            columns: ["platform_id"]
             isOneToOne: false
-            referencedRelation: "study_plans"
+            referencedRelation: "lti_platforms"
             referencedColumns: ["id"]
           },
         ]
       }
-      practice_sessions: {
+      lti_platforms: {
         Row: {
+          allow_teacher_provisioning: boolean
+          auth_login_url: string
+          auth_token_url: string
+          client_id: string
           created_at: string
-          current_position: number
-          draft_answers: Json
-          expires_at: string
-          filter_criteria: Json
+          created_by: string | null
+          deployment_ids: string[]
+          disabled_at: string | null
           id: string
-          last_activity_at: string
-          marked_positions: number[]
-          mode: string
-          plan_task_id: string | null
-          question_ids: Json
-          status: string
-          test_type: string
-          user_id: string
+          issuer: string
+          jwks_url: string
+          match_email: boolean
+          name: string
+          updated_at: string
         }
         Insert: {
+          allow_teacher_provisioning?: boolean
+          auth_login_url: string
+          auth_token_url: string
+          client_id: string
           created_at?: string
-          current_position?: number
-          draft_answers?: Json
-          expires_at?: string
-          filter_criteria?: Json
+          created_by?: string | null
+          deployment_ids?: string[]
+          disabled_at?: string | null
           id?: string
-          last_activity_at?: string
-          marked_positions?: number[]
-          mode?: string
-          plan_task_id?: string | null
-          question_ids?: Json
-          status?: string
-          test_type?: string
-          user_id: string
+          issuer: string
+          jwks_url: string
+          match_email?: boolean
+          name: string
+          updated_at?: string
         }
         Update: {
+          allow_teacher_provisioning?: boolean
+          auth_login_url?: string
+          auth_token_url?: string
+          client_id?: string
           created_at?: string
-          current_position?: number
-          draft_answers?: Json
-          expires_at?: string
-          filter_criteria?: Json
+          created_by?: string | null
+          deployment_ids?: string[]
+          disabled_at?: string | null
           id?: string
-          last_activity_at?: string
-          marked_positions?: number[]
-          mode?: string
-          plan_task_id?: string | null
-          question_ids?: Json
-          status?: string
-          test_type?: string
-          user_id?: string
+          issuer?: string
+          jwks_url?: string
+          match_email?: boolean
+          name?: string
+          updated_at?: string
         }
         Relationships: [
           {
-            foreignKeyName: "practice_sessions_plan_task_id_fkey"
-            columns: ["plan_task_id"]
+            foreignKeyName: "lti_platforms_created_by_fkey"
+            columns: ["created_by"]
             isOneToOne: false
-            referencedRelation: "plan_tasks"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
         ]
       }
-      practice_test_attempts_v2: {
+      lti_resource_links: {
         Row: {
-          adaptive_version: string | null
-          composite_score: number | null
-          finished_at: string | null
+          ags_scopes: string[]
+          context_id: string | null
+          context_title: string | null
+          created_at: string
+          deployment_id: string
           id: string
-          math_scaled: number | null
-          official_source: string | null
-          officialized_at: string | null
-          plan_task_id: string | null
-          practice_test_id: string
-          rw_scaled: number | null
-          sections_only: string | null
-          source: string
-          started_at: string
-          status: string
-          time_multiplier: number
-          uploaded_by: string | null
-          user_id: string
+          lineitem_url: string | null
+          owner_id: string | null
+          platform_id: string
+          resource_link_id: string
+          target_id: string | null
+          target_type: string | null
+          title: string | null
+          updated_at: string
         }
         Insert: {
-          adaptive_version?: string | null
-          composite_score?: number | null
-          finished_at?: string | null
+          ags_scopes?: string[]
+          context_id?: string | null
+          context_title?: string | null
+          created_at?: string
+          deployment_id: string
           id?: string
-          math_scaled?: number | null
-          official_source?: string | null
-          officialized_at?: string | null
-          plan_task_id?: string | null
-          practice_test_id: string
-          rw_scaled?: number | null
-          sections_only?: string | null
-          source?: string
-          started_at?: string
-          status: string
-          time_multiplier?: number
-          uploaded_by?: string | null
-          user_id: string
+          lineitem_url?: string | null
+          owner_id?: string | null
+          platform_id: string
+          resource_link_id: string
+          target_id?: string | null
+          target_type?: string | null
+          title?: string | null
+          updated_at?: string
         }
         Update: {
-          adaptive_version?: string | null
-          composite_score?: number | null
-          finished_at?: string | null
+          ags_scopes?: string[]
+          context_id?: string | null
+          context_title?: string | null
+          created_at?: string
+          deployment_id?: string
           id?: string
-          math_scaled?: number | null
-          official_source?: string | null
-          officialized_at?: string | null
-          plan_task_id?: string | null
-          practice_test_id?: string
-          rw_scaled?: number | null
-          sections_only?: string | null
-          source?: string
-          started_at?: string
-          status?: string
-          time_multiplier?: number
-          uploaded_by?: string | null
-          user_id?: string
+          lineitem_url?: string | null
+          owner_id?: string | null
+          platform_id?: string
+          resource_link_id?: string
+          target_id?: string | null
+          target_type?: string | null
+          title?: string | null
+          updated_at?: string
         }
         Relationships: [
           {
-            foreignKeyName: "practice_test_attempts_v2_plan_task_id_fkey"
-            columns: ["plan_task_id"]
+            foreignKeyName: "lti_resource_links_platform_id_fkey"
+            columns: ["platform_id"]
             isOneToOne: false
-            referencedRelation: "plan_tasks"
+            referencedRelation: "lti_platforms"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "practice_test_attempts_v2_practice_test_id_fkey"
-            columns: ["practice_test_id"]
+            foreignKeyName: "lti_resource_links_owner_id_fkey"
+            columns: ["owner_id"]
             isOneToOne: false
-            referencedRelation: "practice_tests_v2"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
         ]
       }
-      practice_test_item_attempts_v2: {
+      lti_users: {
         Row: {
-          attempt_id: string
-          id: string
-          marked_for_review: boolean
-          practice_test_module_attempt_id: string
-          practice_test_module_item_id: string
+          created_at: string
+          last_launch_at: string
+          platform_id: string
+          profile_id: string
+          sub: string
         }
         Insert: {
-          attempt_id: string
-          id?: string
-          marked_for_review?: boolean
-          practice_test_module_attempt_id: string
-          practice_test_module_item_id: string
+          created_at?: string
+          last_launch_at?: string
+          platform_id: string
+          profile_id: string
+          sub: string
         }
         Update: {
-          attempt_id?: string
-          id?: string
-          marked_for_review?: boolean
-          practice_test_module_attempt_id?: string
-          practice_test_module_item_id?: string
+          created_at?: string
+          last_launch_at?: string
+          platform_id?: string
+          profile_id?: string
+          sub?: string
         }
         Relationships: [
           {
-            foreignKeyName: "practice_test_item_attempts_v_practice_test_module_attempt_fkey"
-            columns: ["practice_test_module_attempt_id"]
-            isOneToOne: false
-            referencedRelation: "practice_test_module_attempts_v2"
-            referencedColumns: ["id"]
-          },
-          {
-            foreignKeyName: "practice_test_item_attempts_v_practice_test_module_item_id_fkey"
-            columns: ["practice_test_module_item_id"]
+            foreignKeyName: "lti_users_platform_id_fkey"
+            columns: ["platform_id"]
             isOneToOne: false
-            referencedRelation: "practice_test_module_items_v2"
+            referencedRelation: "lti_platforms"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "practice_test_item_attempts_v2_attempt_id_fkey"
-            columns: ["attempt_id"]
+            foreignKeyName: "lti_users_profile_id_fkey"
+            columns: ["profile_id"]
             isOneToOne: false
-            referencedRelation: "attempts"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
         ]
       }
-      practice_test_module_attempts_v2: {
+      manager_teacher_assignments: {
         Row: {
-          correct_count: number | null
-          finished_at: string | null
-          id: string
-          paused_at: string | null
-          paused_at_position: number | null
-          practice_test_attempt_id: string
-          practice_test_module_id: string
-          raw_score: number | null
-          started_at: string
+          created_at: string | null
+          manager_id: string
+          teacher_id: string
         }
         Insert: {
-          correct_count?: number | null
-          finished_at?: string | null
-          id?: string
-          paused_at?: string | null
-          paused_at_position?: number | null
-          practice_test_attempt_id: string
-          practice_test_module_id: string
-          raw_score?: number | null
-          started_at?: string
+          created_at?: string | null
+          manager_id: string
+          teacher_id: string
         }
         Update: {
-          correct_count?: number | null
-          finished_at?: string | null
-          id?: string
-          paused_at?: string | null
-          paused_at_position?: number | null
-          practice_test_attempt_id?: string
-          practice_test_module_id?: string
-          raw_score?: number | null
-          started_at?: string
+          created_at?: string | null
+          manager_id?: string
+          teacher_id?: string
         }
         Relationships: [
           {
-            foreignKeyName: "practice_test_module_attempts_v2_practice_test_attempt_id_fkey"
-            columns: ["practice_test_attempt_id"]
+            foreignKeyName: "manager_teacher_assignments_manager_id_fkey"
+            columns: ["manager_id"]
             isOneToOne: false
-            referencedRelation: "practice_test_attempts_v2"
+            referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "practice_test_module_attempts_v2_practice_test_module_id_fkey"
-            columns: ["practice_test_module_id"]
+            foreignKeyName: "manager_teacher_assignments_manager_id_fkey"
+            columns: ["manager_id"]
             isOneToOne: false
-            referencedRelation: "practice_test_modules_v2"
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "manager_teacher_assignments_manager_id_fkey"
+            columns: ["manager_id"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
+          {
+            foreignKeyName: "manager_teacher_assignments_teacher_id_fkey"
+            columns: ["teacher_id"]
+            isOneToOne: false
+            referencedRelation: "profile_cards"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "manager_teacher_assignments_teacher_id_fkey"
+            columns: ["teacher_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
+          {
+            foreignKeyName: "manager_teacher_assignments_teacher_id_fkey"
+            columns: ["teacher_id"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
         ]
       }
-      practice_test_module_items_v2: {
+      organization_admins: {
         Row: {
           created_at: string
-          created_by: string | null
-          id: string
-          ordinal: number
-          practice_test_module_id: string
-          question_id: string
-          updated_at: string
-          updated_by: string | null
+          organization_id: string
+          user_id: string
         }
         Insert: {
           created_at?: string
-          created_by?: string | null
-          id?: string
-          ordinal: number
-          practice_test_module_id: string
-          question_id: string
-          updated_at?: string
-          updated_by?: string | null
+          organization_id: string
+          user_id: string
         }
         Update: {
           created_at?: string
-          created_by?: string | null
-          id?: string
-          ordinal?: number
-          practice_test_module_id?: string
-          question_id?: string
-          updated_at?: string
-          updated_by?: string | null
+          organization_id?: string
+          user_id?: string
         }
         Relationships: [
           {
-            foreignKeyName: "practice_test_module_items_v2_practice_test_module_id_fkey"
-            columns: ["practice_test_module_id"]
+            foreignKeyName: "organization_admins_organization_id_fkey"
+            columns: ["organization_id"]
             isOneToOne: false
-            referencedRelation: "practice_test_modules_v2"
+            referencedRelation: "organizations"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "practice_test_module_items_v2_question_id_fkey"
-            columns: ["question_id"]
+            foreignKeyName: "organization_admins_user_id_fkey"
+            columns: ["user_id"]
             isOneToOne: false
-            referencedRelation: "questions_v2"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
         ]
       }
-      practice_test_modules_v2: {
+      organization_seat_invites: {
         Row: {
-          created_at: string
-          created_by: string | null
+          email: string
+          expires_at: string
           id: string
-          module_number: number
-          practice_test_id: string
-          route_code: string
-          subject_code: string
-          time_limit_seconds: number
-          updated_at: string
-          updated_by: string | null
+          invited_at: string
+          invited_by: string | null
+          organization_id: string
+          responded_at: string | null
+          seat_id: string | null
+          status: string
         }
         Insert: {
-          created_at?: string
-          created_by?: string | null
+          email: string
+          expires_at?: string
           id?: string
-          module_number: number
-          practice_test_id: string
-          route_code: string
-          subject_code: string
-          time_limit_seconds: number
-          updated_at?: string
-          updated_by?: string | null
+          invited_at?: string
+          invited_by?: string | null
+          organization_id: string
+          responded_at?: string | null
+          seat_id?: string | null
+          status?: string
         }
         Update: {
-          created_at?: string
-          created_by?: string | null
+          email?: string
+          expires_at?: string
           id?: string
-          module_number?: number
-          practice_test_id?: string
-          route_code?: string
-          subject_code?: string
-          time_limit_seconds?: number
-          updated_at?: string
-          updated_by?: string | null
+          invited_at?: string
+          invited_by?: string | null
+          organization_id?: string
+          responded_at?: string | null
+          seat_id?: string | null
+          status?: string
         }
         Relationships: [
           {
-            foreignKeyName: "practice_test_modules_v2_practice_test_id_fkey"
-            columns: ["practice_test_id"]
+            foreignKeyName: "organization_seat_invites_invited_by_fkey"
+            columns: ["invited_by"]
             isOneToOne: false
-            referencedRelation: "practice_tests_v2"
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "organization_seat_invites_organization_id_fkey"
+            columns: ["organization_id"]
+            isOneToOne: false
+            referencedRelation: "organizations"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "organization_seat_invites_seat_id_fkey"
+            columns: ["seat_id"]
+            isOneToOne: false
+            referencedRelation: "organization_seats"
             referencedColumns: ["id"]
           },
         ]
       }
-      practice_test_routing_rules: {
+      organization_seats: {
         Row: {
-          created_at: string
-          from_module_number: number
+          assigned_at: string
+          assigned_by: string | null
           id: string
-          metric: string
-          operator: string
-          practice_test_id: string
-          subject_code: string
-          threshold: number
-          to_route_code: string
+          organization_id: string
+          release_reason: string | null
+          released_at: string | null
+          user_id: string
         }
         Insert: {
-          created_at?: string
-          from_module_number: number
+          assigned_at?: string
+          assigned_by?: string | null
           id?: string
-          metric: string
-          operator: string
-          practice_test_id: string
-          subject_code: string
-          threshold: number
-          to_route_code: string
+          organization_id: string
+          release_reason?: string | null
+          released_at?: string | null
+          user_id: string
         }
         Update: {
-          created_at?: string
-          from_module_number?: number
+          assigned_at?: string
+          assigned_by?: string | null
           id?: string
-          metric?: string
-          operator?: string
-          practice_test_id?: string
-          subject_code?: string
-          threshold?: number
-          to_route_code?: string
+          organization_id?: string
+          release_reason?: string | null
+          released_at?: string | null
+          user_id?: string
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "organization_seats_assigned_by_fkey"
+            columns: ["assigned_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "organization_seats_organization_id_fkey"
+            columns: ["organization_id"]
+            isOneToOne: false
+            referencedRelation: "organizations"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "organization_seats_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+        ]
       }
-      practice_tests_v2: {
+      organizations: {
         Row: {
-          adaptive_version: string | null
-          code: string
+          cancel_at_period_end: boolean
           created_at: string
           created_by: string | null
-          deleted_at: string | null
+          current_period_end: string | null
           id: string
-          is_adaptive: boolean
-          is_frozen: boolean
-          is_published: boolean
-          math_route_threshold: number | null
+          last_stripe_event_at: string | null
           name: string
-          rw_route_threshold: number | null
+          seat_quantity: number
+          status: string
+          stripe_customer_id: string | null
+          stripe_subscription_id: string | null
           updated_at: string
-          updated_by: string | null
         }
         Insert: {
-          adaptive_version?: string | null
-          code: string
+          cancel_at_period_end?: boolean
           created_at?: string
           created_by?: string | null
-          deleted_at?: string | null
+          current_period_end?: string | null
           id?: string
-          is_adaptive?: boolean
-          is_frozen?: boolean
-          is_published?: boolean
-          math_route_threshold?: number | null
+          last_stripe_event_at?: string | null
           name: string
-          rw_route_threshold?: number | null
+          seat_quantity?: number
+          status?: string
+          stripe_customer_id?: string | null
+          stripe_subscription_id?: string | null
           updated_at?: string
-          updated_by?: string | null
         }
         Update: {
-          adaptive_version?: string | null
-          code?: string
+          cancel_at_period_end?: boolean
           created_at?: string
           created_by?: string | null
-          deleted_at?: string | null
+          current_period_end?: string | null
           id?: string
-          is_adaptive?: boolean
-          is_frozen?: boolean
-          is_published?: boolean
-          math_route_threshold?: number | null
+          last_stripe_event_at?: string | null
           name?: string
-          rw_route_threshold?: number | null
+          seat_quantity?: number
+          status?: string
+          stripe_customer_id?: string | null
+          stripe_subscription_id?: string | null
           updated_at?: string
-          updated_by?: string | null
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "organizations_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+        ]
       }
-      profiles: {
+      plan_tasks: {
         Row: {
-          banned_at: string | null
-          created_at: string | null
-          email: string | null
-          first_name: string | null
-          graduation_year: number | null
-          high_school: string | null
+          completed_at: string | null
+          completed_via: string | null
+          created_at: string
           id: string
-          is_active: boolean
-          is_demo: boolean
-          last_name: string | null
-          lessonworks_organization_id: string | null
-          lessonworks_student_id: string | null
+          payload: Json
+          plan_id: string
+          scheduled_date: string | null
+          source: string
+          status: string
+          task_type: string
+          updated_at: string
+          week_index: number
+        }
+        Insert: {
+          completed_at?: string | null
+          completed_via?: string | null
+          created_at?: string
+          id?: string
+          payload?: Json
+          plan_id: string
+          scheduled_date?: string | null
+          source?: string
+          status?: string
+          task_type: string
+          updated_at?: string
+          week_index?: number
+        }
+        Update: {
+          completed_at?: string | null
+          completed_via?: string | null
+          created_at?: string
+          id?: string
+          payload?: Json
+          plan_id?: string
+          scheduled_date?: string | null
+          source?: string
+          status?: string
+          task_type?: string
+          updated_at?: string
+          week_index?: number
+        }
+        Relationships: [
+          {
+            foreignKeyName: "plan_tasks_plan_id_fkey"
+            columns: ["plan_id"]
+            isOneToOne: false
+            referencedRelation: "study_plans"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      practice_sessions: {
+        Row: {
+          created_at: string
+          current_position: number
+          draft_answers: Json
+          expires_at: string
+          filter_criteria: Json
+          id: string
+          last_activity_at: string
+          marked_positions: number[]
+          mode: string
+          plan_task_id: string | null
+          question_ids: Json
+          status: string
+          test_type: string
+          user_id: string
+        }
+        Insert: {
+          created_at?: string
+          current_position?: number
+          draft_answers?: Json
+          expires_at?: string
+          filter_criteria?: Json
+          id?: string
+          last_activity_at?: string
+          marked_positions?: number[]
+          mode?: string
+          plan_task_id?: string | null
+          question_ids?: Json
+          status?: string
+          test_type?: string
+          user_id: string
+        }
+        Update: {
+          created_at?: string
+          current_position?: number
+          draft_answers?: Json
+          expires_at?: string
+          filter_criteria?: Json
+          id?: string
+          last_activity_at?: string
+          marked_positions?: number[]
+          mode?: string
+          plan_task_id?: string | null
+          question_ids?: Json
+          status?: string
+          test_type?: string
+          user_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "practice_sessions_plan_task_id_fkey"
+            columns: ["plan_task_id"]
+            isOneToOne: false
+            referencedRelation: "plan_tasks"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      practice_test_attempts_v2: {
+        Row: {
+          adaptive_version: string | null
+          composite_score: number | null
+          finished_at: string | null
+          id: string
+          math_scaled: number | null
+          official_source: string | null
+          officialized_at: string | null
+          plan_task_id: string | null
+          practice_test_id: string
+          rw_scaled: number | null
+          score_prediction: Json | null
+          sections_only: string | null
+          source: string
+          started_at: string
+          status: string
+          time_multiplier: number
+          uploaded_by: string | null
+          user_id: string
+        }
+        Insert: {
+          adaptive_version?: string | null
+          composite_score?: number | null
+          finished_at?: string | null
+          id?: string
+          math_scaled?: number | null
+          official_source?: string | null
+          officialized_at?: string | null
+          plan_task_id?: string | null
+          practice_test_id: string
+          rw_scaled?: number | null
+          score_prediction?: Json | null
+          sections_only?: string | null
+          source?: string
+          started_at?: string
+          status: string
+          time_multiplier?: number
+          uploaded_by?: string | null
+          user_id: string
+        }
+        Update: {
+          adaptive_version?: string | null
+          composite_score?: number | null
+          finished_at?: string | null
+          id?: string
+          math_scaled?: number | null
+          official_source?: string | null
+          officialized_at?: string | null
+          plan_task_id?: string | null
+          practice_test_id?: string
+          rw_scaled?: number | null
+          score_prediction?: Json | null
+          sections_only?: string | null
+          source?: string
+          started_at?: string
+          status?: string
+          time_multiplier?: number
+          uploaded_by?: string | null
+          user_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "practice_test_attempts_v2_plan_task_id_fkey"
+            columns: ["plan_task_id"]
+            isOneToOne: false
+            referencedRelation: "plan_tasks"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "practice_test_attempts_v2_practice_test_id_fkey"
+            columns: ["practice_test_id"]
+            isOneToOne: false
+            referencedRelation: "practice_tests_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      practice_test_item_attempts_v2: {
+        Row: {
+          attempt_id: string
+          id: string
+          marked_for_review: boolean
+          practice_test_module_attempt_id: string
+          practice_test_module_item_id: string
+        }
+        Insert: {
+          attempt_id: string
+          id?: string
+          marked_for_review?: boolean
+          practice_test_module_attempt_id: string
+          practice_test_module_item_id: string
+        }
+        Update: {
+          attempt_id?: string
+          id?: string
+          marked_for_review?: boolean
+          practice_test_module_attempt_id?: string
+          practice_test_module_item_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "practice_test_item_attempts_v_practice_test_module_attempt_fkey"
+            columns: ["practice_test_module_attempt_id"]
+            isOneToOne: false
+            referencedRelation: "practice_test_module_attempts_v2"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "practice_test_item_attempts_v_practice_test_module_item_id_fkey"
+            columns: ["practice_test_module_item_id"]
+            isOneToOne: false
+            referencedRelation: "practice_test_module_items_v2"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "practice_test_item_attempts_v2_attempt_id_fkey"
+            columns: ["attempt_id"]
+            isOneToOne: false
+            referencedRelation: "attempts"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      practice_test_module_attempts_v2: {
+        Row: {
+          correct_count: number | null
+          finished_at: string | null
+          id: string
+          paused_at: string | null
+          paused_at_position: number | null
+          practice_test_attempt_id: string
+          practice_test_module_id: string
+          raw_score: number | null
+          route_method: string | null
+          started_at: string
+          theta: number | null
+          theta_se: number | null
+        }
+        Insert: {
+          correct_count?: number | null
+          finished_at?: string | null
+          id?: string
+          paused_at?: string | null
+          paused_at_position?: number | null
+          practice_test_attempt_id: string
+          practice_test_module_id: string
+          raw_score?: number | null
+          route_method?: string | null
+          started_at?: string
+          theta?: number | null
+          theta_se?: number | null
+        }
+        Update: {
+          correct_count?: number | null
+          finished_at?: string | null
+          id?: string
+          paused_at?: string | null
+          paused_at_position?: number | null
+          practice_test_attempt_id?: string
+          practice_test_module_id?: string
+          raw_score?: number | null
+          route_method?: string | null
+          started_at?: string
+          theta?: number | null
+          theta_se?: number | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "practice_test_module_attempts_v2_practice_test_attempt_id_fkey"
+            columns: ["practice_test_attempt_id"]
+            isOneToOne: false
+            referencedRelation: "practice_test_attempts_v2"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "practice_test_module_attempts_v2_practice_test_module_id_fkey"
+            columns: ["practice_test_module_id"]
+            isOneToOne: false
+            referencedRelation: "practice_test_modules_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      practice_test_module_items_v2: {
+        Row: {
+          created_at: string
+          created_by: string | null
+          id: string
+          ordinal: number
+          practice_test_module_id: string
+          question_id: string
+          updated_at: string
+          updated_by: string | null
+        }
+        Insert: {
+          created_at?: string
+          created_by?: string | null
+          id?: string
+          ordinal: number
+          practice_test_module_id: string
+          question_id: string
+          updated_at?: string
+          updated_by?: string | null
+        }
+        Update: {
+          created_at?: string
+          created_by?: string | null
+          id?: string
+          ordinal?: number
+          practice_test_module_id?: string
+          question_id?: string
+          updated_at?: string
+          updated_by?: string | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "practice_test_module_items_v2_practice_test_module_id_fkey"
+            columns: ["practice_test_module_id"]
+            isOneToOne: false
+            referencedRelation: "practice_test_modules_v2"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "practice_test_module_items_v2_question_id_fkey"
+            columns: ["question_id"]
+            isOneToOne: false
+            referencedRelation: "questions_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      practice_test_modules_v2: {
+        Row: {
+          created_at: string
+          created_by: string | null
+          id: string
+          module_number: number
+          practice_test_id: string
+          route_code: string
+          subject_code: string
+          time_limit_seconds: number
+          updated_at: string
+          updated_by: string | null
+        }
+        Insert: {
+          created_at?: string
+          created_by?: string | null
+          id?: string
+          module_number: number
+          practice_test_id: string
+          route_code: string
+          subject_code: string
+          time_limit_seconds: number
+          updated_at?: string
+          updated_by?: string | null
+        }
+        Update: {
+          created_at?: string
+          created_by?: string | null
+          id?: string
+          module_number?: number
+          practice_test_id?: string
+          route_code?: string
+          subject_code?: string
+          time_limit_seconds?: number
+          updated_at?: string
+          updated_by?: string | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "practice_test_modules_v2_practice_test_id_fkey"
+            columns: ["practice_test_id"]
+            isOneToOne: false
+            referencedRelation: "practice_tests_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      practice_test_routing_rules: {
+        Row: {
+          created_at: string
+          from_module_number: number
+          id: string
+          metric: string
+          operator: string
+          practice_test_id: string
+          subject_code: string
+          threshold: number
+          to_route_code: string
+        }
+        Insert: {
+          created_at?: string
+          from_module_number: number
+          id?: string
+          metric: string
+          operator: string
+          practice_test_id: string
+          subject_code: string
+          threshold: number
+          to_route_code: string
+        }
+        Update: {
+          created_at?: string
+          from_module_number?: number
+          id?: string
+          metric?: string
+          operator?: string
+          practice_test_id?: string
+          subject_code?: string
+          threshold?: number
+          to_route_code?: string
+        }
+        Relationships: []
+      }
+      practice_tests_v2: {
+        Row: {
+          adaptive_version: string | null
+          code: string
+          created_at: string
+          created_by: string | null
+          deleted_at: string | null
+          id: string
+          is_adaptive: boolean
+          is_frozen: boolean
+          is_published: boolean
+          math_route_threshold: number | null
+          name: string
+          rw_route_threshold: number | null
+          updated_at: string
+          updated_by: string | null
+        }
+        Insert: {
+          adaptive_version?: string | null
+          code: string
+          created_at?: string
+          created_by?: string | null
+          deleted_at?: string | null
+          id?: string
+          is_adaptive?: boolean
+          is_frozen?: boolean
+          is_published?: boolean
+          math_route_threshold?: number | null
+          name: string
+          rw_route_threshold?: number | null
+          updated_at?: string
+          updated_by?: string | null
+        }
+        Update: {
+          adaptive_version?: string | null
+          code?: string
+          created_at?: string
+          created_by?: string | null
+          deleted_at?: string | null
+          id?: string
+          is_adaptive?: boolean
+          is_frozen?: boolean
+          is_published?: boolean
+          math_route_threshold?: number | null
+          name?: string
+          rw_route_threshold?: number | null
+          updated_at?: string
+          updated_by?: string | null
+        }
+        Relationships: []
+      }
+      profiles: {
+        Row: {
+          banned_at: string | null
+          created_at: string | null
+          email: string | null
+          first_name: string | null
+          graduation_year: number | null
+          high_school: string | null
+          id: string
+          is_active: boolean
+          is_demo: boolean
+          last_name: string | null
+          lessonworks_organization_id: string | null
+          lessonworks_student_id: string | null
+          pacing_coach_enabled: boolean
           practice_detours_enabled: boolean | null
           practice_test_v2_imported_at: string | null
+          review_scheduler: string | null
           role: string
           sat_test_date: string | null
           start_date: string | null
           subscription_exempt: boolean
+          target_act_score: number | null
           target_sat_score: number | null
           teacher_invite_code: string | null
           tutor_name: string | null
@@ -2654,185 +3624,700 @@ export type Database = {
           welcome_email_sent_at: string | null
         }
         Insert: {
-          banned_at?: string | null
+          banned_at?: string | null
+          created_at?: string | null
+          email?: string | null
+          first_name?: string | null
+          graduation_year?: number | null
+          high_school?: string | null
+          id: string
+          is_active?: boolean
+          is_demo?: boolean
+          last_name?: string | null
+          lessonworks_organization_id?: string | null
+          lessonworks_student_id?: string | null
+          pacing_coach_enabled?: boolean
+          practice_detours_enabled?: boolean | null
+          practice_test_v2_imported_at?: string | null
+          review_scheduler?: string | null
+          role?: string
+          sat_test_date?: string | null
+          start_date?: string | null
+          subscription_exempt?: boolean
+          target_act_score?: number | null
+          target_sat_score?: number | null
+          teacher_invite_code?: string | null
+          tutor_name?: string | null
+          user_type?: string | null
+          welcome_email_sent_at?: string | null
+        }
+        Update: {
+          banned_at?: string | null
+          created_at?: string | null
+          email?: string | null
+          first_name?: string | null
+          graduation_year?: number | null
+          high_school?: string | null
+          id?: string
+          is_active?: boolean
+          is_demo?: boolean
+          last_name?: string | null
+          lessonworks_organization_id?: string | null
+          lessonworks_student_id?: string | null
+          pacing_coach_enabled?: boolean
+          practice_detours_enabled?: boolean | null
+          practice_test_v2_imported_at?: string | null
+          review_scheduler?: string | null
+          role?: string
+          sat_test_date?: string | null
+          start_date?: string | null
+          subscription_exempt?: boolean
+          target_act_score?: number | null
+          target_sat_score?: number | null
+          teacher_invite_code?: string | null
+          tutor_name?: string | null
+          user_type?: string | null
+          welcome_email_sent_at?: string | null
+        }
+        Relationships: []
+      }
+      question_availability: {
+        Row: {
+          difficulty: number
+          domain_name: string
+          question_count: number
+          skill_name: string
+        }
+        Insert: {
+          difficulty?: number
+          domain_name: string
+          question_count?: number
+          skill_name: string
+        }
+        Update: {
+          difficulty?: number
+          domain_name?: string
+          question_count?: number
+          skill_name?: string
+        }
+        Relationships: []
+      }
+      question_concept_tags: {
+        Row: {
+          created_at: string
+          created_by: string | null
+          id: string
+          question_id: string
+          tag_id: string
+        }
+        Insert: {
+          created_at?: string
+          created_by?: string | null
+          id?: string
+          question_id: string
+          tag_id: string
+        }
+        Update: {
+          created_at?: string
+          created_by?: string | null
+          id?: string
+          question_id?: string
+          tag_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "question_concept_tags_question_id_fkey"
+            columns: ["question_id"]
+            isOneToOne: false
+            referencedRelation: "questions_v2"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "question_concept_tags_tag_id_fkey"
+            columns: ["tag_id"]
+            isOneToOne: false
+            referencedRelation: "concept_tags"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      question_content_drafts: {
+        Row: {
+          created_at: string
+          created_by: string | null
+          hints: Json | null
+          id: string
+          new_question: Json | null
+          notes: string | null
+          options: Json | null
+          pattern_id: string | null
+          promoted_at: string | null
+          promoted_by: string | null
+          question_id: string | null
+          rationale_html: string | null
+          reviewed_at: string | null
+          reviewed_by: string | null
+          status: string
+          stem_html: string | null
+          stimulus_html: string | null
+          updated_at: string
+        }
+        Insert: {
+          created_at?: string
+          created_by?: string | null
+          hints?: Json | null
+          id?: string
+          new_question?: Json | null
+          notes?: string | null
+          options?: Json | null
+          pattern_id?: string | null
+          promoted_at?: string | null
+          promoted_by?: string | null
+          question_id?: string | null
+          rationale_html?: string | null
+          reviewed_at?: string | null
+          reviewed_by?: string | null
+          status?: string
+          stem_html?: string | null
+          stimulus_html?: string | null
+          updated_at?: string
+        }
+        Update: {
+          created_at?: string
+          created_by?: string | null
+          hints?: Json | null
+          id?: string
+          new_question?: Json | null
+          notes?: string | null
+          options?: Json | null
+          pattern_id?: string | null
+          promoted_at?: string | null
+          promoted_by?: string | null
+          question_id?: string | null
+          rationale_html?: string | null
+          reviewed_at?: string | null
+          reviewed_by?: string | null
+          status?: string
+          stem_html?: string | null
+          stimulus_html?: string | null
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "question_content_drafts_pattern_id_fkey"
+            columns: ["pattern_id"]
+            isOneToOne: false
+            referencedRelation: "question_patterns"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "question_content_drafts_question_id_fkey"
+            columns: ["question_id"]
+            isOneToOne: false
+            referencedRelation: "questions_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      question_content_history: {
+        Row: {
+          correct_answer: Json | null
+          difficulty: number | null
+          domain_code: string | null
+          edited_by: string | null
+          id: string
+          options: Json | null
+          prior_updated_at: string | null
+          question_id: string
+          question_type: string | null
+          rationale_html: string | null
+          score_band: number | null
+          skill_code: string | null
+          snapshotted_at: string
+          stem_html: string | null
+          stimulus_html: string | null
+        }
+        Insert: {
+          correct_answer?: Json | null
+          difficulty?: number | null
+          domain_code?: string | null
+          edited_by?: string | null
+          id?: string
+          options?: Json | null
+          prior_updated_at?: string | null
+          question_id: string
+          question_type?: string | null
+          rationale_html?: string | null
+          score_band?: number | null
+          skill_code?: string | null
+          snapshotted_at?: string
+          stem_html?: string | null
+          stimulus_html?: string | null
+        }
+        Update: {
+          correct_answer?: Json | null
+          difficulty?: number | null
+          domain_code?: string | null
+          edited_by?: string | null
+          id?: string
+          options?: Json | null
+          prior_updated_at?: string | null
+          question_id?: string
+          question_type?: string | null
+          rationale_html?: string | null
+          score_band?: number | null
+          skill_code?: string | null
+          snapshotted_at?: string
+          stem_html?: string | null
+          stimulus_html?: string | null
+        }
+        Relationships: [
+          {
+            foreignKeyName: "question_content_history_question_id_fkey"
+            columns: ["question_id"]
+            isOneToOne: false
+            referencedRelation: "questions_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      question_error_notes: {
+        Row: {
+          body: string
+          created_at: string
+          question_id: string
+          test_type: string
+          updated_at: string
+          user_id: string
+        }
+        Insert: {
+          body: string
+          created_at?: string
+          question_id: string
+          test_type?: string
+          updated_at?: string
+          user_id: string
+        }
+        Update: {
+          body?: string
+          created_at?: string
+          question_id?: string
+          test_type?: string
+          updated_at?: string
+          user_id?: string
+        }
+        Relationships: []
+      }
+      question_notes: {
+        Row: {
+          author_id: string
+          content: string
+          created_at: string
+          id: string
+          question_id: string
+          test_type: string
+          updated_at: string
+        }
+        Insert: {
+          author_id: string
+          content: string
+          created_at?: string
+          id?: string
+          question_id: string
+          test_type?: string
+          updated_at?: string
+        }
+        Update: {
+          author_id?: string
+          content?: string
+          created_at?: string
+          id?: string
+          question_id?: string
+          test_type?: string
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "question_notes_author_id_fkey"
+            columns: ["author_id"]
+            isOneToOne: false
+            referencedRelation: "profile_cards"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "question_notes_author_id_fkey"
+            columns: ["author_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "question_notes_author_id_fkey"
+            columns: ["author_id"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
+        ]
+      }
+      question_patterns: {
+        Row: {
+          created_at: string | null
+          domain_code: string
+          id: string
+          name: string
+          process_summary: string | null
+          recognition_cue: string
+          sequence: number
+          skill_code: string
+          test_type: string
+          updated_at: string | null
+        }
+        Insert: {
           created_at?: string | null
-          email?: string | null
-          first_name?: string | null
-          graduation_year?: number | null
-          high_school?: string | null
-          id: string
-          is_active?: boolean
-          is_demo?: boolean
-          last_name?: string | null
-          lessonworks_organization_id?: string | null
-          lessonworks_student_id?: string | null
-          practice_detours_enabled?: boolean | null
-          practice_test_v2_imported_at?: string | null
-          role?: string
-          sat_test_date?: string | null
-          start_date?: string | null
-          subscription_exempt?: boolean
-          target_sat_score?: number | null
-          teacher_invite_code?: string | null
-          tutor_name?: string | null
-          user_type?: string | null
-          welcome_email_sent_at?: string | null
+          domain_code: string
+          id?: string
+          name: string
+          process_summary?: string | null
+          recognition_cue: string
+          sequence?: number
+          skill_code: string
+          test_type?: string
+          updated_at?: string | null
         }
         Update: {
-          banned_at?: string | null
           created_at?: string | null
-          email?: string | null
-          first_name?: string | null
-          graduation_year?: number | null
-          high_school?: string | null
+          domain_code?: string
           id?: string
-          is_active?: boolean
-          is_demo?: boolean
-          last_name?: string | null
-          lessonworks_organization_id?: string | null
-          lessonworks_student_id?: string | null
-          practice_detours_enabled?: boolean | null
-          practice_test_v2_imported_at?: string | null
-          role?: string
-          sat_test_date?: string | null
-          start_date?: string | null
-          subscription_exempt?: boolean
-          target_sat_score?: number | null
-          teacher_invite_code?: string | null
-          tutor_name?: string | null
-          user_type?: string | null
-          welcome_email_sent_at?: string | null
+          name?: string
+          process_summary?: string | null
+          recognition_cue?: string
+          sequence?: number
+          skill_code?: string
+          test_type?: string
+          updated_at?: string | null
         }
         Relationships: []
       }
-      question_availability: {
+      question_revisions: {
         Row: {
-          difficulty: number
-          domain_name: string
-          question_count: number
-          skill_name: string
+          author_id: string | null
+          changed_fields: string[]
+          correct_answer: Json | null
+          created_at: string
+          difficulty: number | null
+          domain_code: string | null
+          hints: Json | null
+          id: string
+          note: string | null
+          options: Json | null
+          question_id: string
+          question_type: string | null
+          rationale_html: string | null
+          restored_from: string | null
+          revision_number: number
+          score_band: number | null
+          skill_code: string | null
+          source: string
+          stem_html: string | null
+          stimulus_html: string | null
         }
         Insert: {
-          difficulty?: number
-          domain_name: string
-          question_count?: number
-          skill_name: string
+          author_id?: string | null
+          changed_fields?: string[]
+          correct_answer?: Json | null
+          created_at?: string
+          difficulty?: number | null
+          domain_code?: string | null
+          hints?: Json | null
+          id?: string
+          note?: string | null
+          options?: Json | null
+          question_id: string
+          question_type?: string | null
+          rationale_html?: string | null
+          restored_from?: string | null
+          revision_number: number
+          score_band?: number | null
+          skill_code?: string | null
+          source?: string
+          stem_html?: string | null
+          stimulus_html?: string | null
         }
         Update: {
-          difficulty?: number
-          domain_name?: string
-          question_count?: number
-          skill_name?: string
+          author_id?: string | null
+          changed_fields?: string[]
+          correct_answer?: Json | null
+          created_at?: string
+          difficulty?: number | null
+          domain_code?: string | null
+          hints?: Json | null
+          id?: string
+          note?: string | null
+          options?: Json | null
+          question_id?: string
+          question_type?: string | null
+          rationale_html?: string | null
+          restored_from?: string | null
+          revision_number?: number
+          score_band?: number | null
+          skill_code?: string | null
+          source?: string
+          stem_html?: string | null
+          stimulus_html?: string | null
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "question_revisions_author_id_fkey"
+            columns: ["author_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "question_revisions_question_id_fkey"
+            columns: ["question_id"]
+            isOneToOne: false
+            referencedRelation: "questions_v2"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "question_revisions_restored_from_fkey"
+            columns: ["restored_from"]
+            isOneToOne: false
+            referencedRelation: "question_revisions"
+            referencedColumns: ["id"]
+          },
+        ]
       }
-      question_concept_tags: {
+      questions_v2: {
         Row: {
+          approved_at: string | null
+          approved_by: string | null
+          attempt_count: number
+          correct_answer: Json | null
+          correct_count: number
           created_at: string
           created_by: string | null
+          current_revision_id: string | null
+          deleted_at: string | null
+          difficulty: number | null
+          display_code: string | null
+          domain_code: string | null
+          domain_name: string | null
+          hints: Json
           id: string
-          question_id: string
-          tag_id: string
+          is_broken: boolean
+          is_published: boolean
+          last_fixed_at: string | null
+          last_fixed_by: string | null
+          options: Json | null
+          options_rendered: Json | null
+          pattern_id: string | null
+          pattern_tagged_at: string | null
+          pattern_tagged_by: string | null
+          question_type: string
+          rationale_html: string | null
+          rationale_rendered: string | null
+          rendered_at: string | null
+          rendered_source_hash: string | null
+          revision_context: Json | null
+          score_band: number | null
+          skill_code: string | null
+          skill_name: string | null
+          source: string
+          source_external_id: string | null
+          source_id: string | null
+          stem_html: string
+          stem_rendered: string | null
+          stimulus_html: string | null
+          stimulus_rendered: string | null
+          updated_at: string
+          updated_by: string | null
         }
         Insert: {
+          approved_at?: string | null
+          approved_by?: string | null
+          attempt_count?: number
+          correct_answer?: Json | null
+          correct_count?: number
           created_at?: string
           created_by?: string | null
+          current_revision_id?: string | null
+          deleted_at?: string | null
+          difficulty?: number | null
+          display_code?: string | null
+          domain_code?: string | null
+          domain_name?: string | null
+          hints?: Json
           id?: string
-          question_id: string
-          tag_id: string
+          is_broken?: boolean
+          is_published?: boolean
+          last_fixed_at?: string | null
+          last_fixed_by?: string | null
+          options?: Json | null
+          options_rendered?: Json | null
+          pattern_id?: string | null
+          pattern_tagged_at?: string | null
+          pattern_tagged_by?: string | null
+          question_type: string
+          rationale_html?: string | null
+          rationale_rendered?: string | null
+          rendered_at?: string | null
+          rendered_source_hash?: string | null
+          revision_context?: Json | null
+          score_band?: number | null
+          skill_code?: string | null
+          skill_name?: string | null
+          source?: string
+          source_external_id?: string | null
+          source_id?: string | null
+          stem_html: string
+          stem_rendered?: string | null
+          stimulus_html?: string | null
+          stimulus_rendered?: string | null
+          updated_at?: string
+          updated_by?: string | null
         }
         Update: {
+          approved_at?: string | null
+          approved_by?: string | null
+          attempt_count?: number
+          correct_answer?: Json | null
+          correct_count?: number
           created_at?: string
           created_by?: string | null
+          current_revision_id?: string | null
+          deleted_at?: string | null
+          difficulty?: number | null
+          display_code?: string | null
+          domain_code?: string | null
+          domain_name?: string | null
+          hints?: Json
           id?: string
-          question_id?: string
-          tag_id?: string
+          is_broken?: boolean
+          is_published?: boolean
+          last_fixed_at?: string | null
+          last_fixed_by?: string | null
+          options?: Json | null
+          options_rendered?: Json | null
+          pattern_id?: string | null
+          pattern_tagged_at?: string | null
+          pattern_tagged_by?: string | null
+          question_type?: string
+          rationale_html?: string | null
+          rationale_rendered?: string | null
+          rendered_at?: string | null
+          rendered_source_hash?: string | null
+          revision_context?: Json | null
+          score_band?: number | null
+          skill_code?: string | null
+          skill_name?: string | null
+          source?: string
+          source_external_id?: string | null
+          source_id?: string | null
+          stem_html?: string
+          stem_rendered?: string | null
+          stimulus_html?: string | null
+          stimulus_rendered?: string | null
+          updated_at?: string
+          updated_by?: string | null
         }
         Relationships: [
           {
-            foreignKeyName: "question_concept_tags_question_id_fkey"
-            columns: ["question_id"]
+            foreignKeyName: "questions_v2_pattern_id_fkey"
+            columns: ["pattern_id"]
             isOneToOne: false
-            referencedRelation: "questions_v2"
+            referencedRelation: "question_patterns"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "question_concept_tags_tag_id_fkey"
-            columns: ["tag_id"]
+            foreignKeyName: "questions_v2_pattern_tagged_by_fkey"
+            columns: ["pattern_tagged_by"]
             isOneToOne: false
-            referencedRelation: "concept_tags"
+            referencedRelation: "profile_cards"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "questions_v2_pattern_tagged_by_fkey"
+            columns: ["pattern_tagged_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
+          {
+            foreignKeyName: "questions_v2_pattern_tagged_by_fkey"
+            columns: ["pattern_tagged_by"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
         ]
       }
-      question_content_drafts: {
+      questions_v2_fix_suggestions: {
         Row: {
-          created_at: string
-          created_by: string | null
-          hints: Json | null
+          batch_id: string | null
+          collected_at: string | null
+          custom_id: string | null
+          diff_classification: string | null
+          error_message: string | null
           id: string
-          notes: string | null
-          options: Json | null
-          pattern_id: string | null
-          promoted_at: string | null
-          promoted_by: string | null
+          model: string | null
           question_id: string
-          rationale_html: string | null
           reviewed_at: string | null
           reviewed_by: string | null
+          source_options: Json | null
+          source_stem_html: string | null
+          source_stimulus_html: string | null
           status: string
-          stem_html: string | null
-          stimulus_html: string | null
-          updated_at: string
+          submitted_at: string
+          suggested_options: Json | null
+          suggested_stem_html: string | null
+          suggested_stimulus_html: string | null
         }
         Insert: {
-          created_at?: string
-          created_by?: string | null
-          hints?: Json | null
+          batch_id?: string | null
+          collected_at?: string | null
+          custom_id?: string | null
+          diff_classification?: string | null
+          error_message?: string | null
           id?: string
-          notes?: string | null
-          options?: Json | null
-          pattern_id?: string | null
-          promoted_at?: string | null
-          promoted_by?: string | null
+          model?: string | null
           question_id: string
-          rationale_html?: string | null
           reviewed_at?: string | null
           reviewed_by?: string | null
+          source_options?: Json | null
+          source_stem_html?: string | null
+          source_stimulus_html?: string | null
           status?: string
-          stem_html?: string | null
-          stimulus_html?: string | null
-          updated_at?: string
+          submitted_at?: string
+          suggested_options?: Json | null
+          suggested_stem_html?: string | null
+          suggested_stimulus_html?: string | null
         }
         Update: {
-          created_at?: string
-          created_by?: string | null
-          hints?: Json | null
+          batch_id?: string | null
+          collected_at?: string | null
+          custom_id?: string | null
+          diff_classification?: string | null
+          error_message?: string | null
           id?: string
-          notes?: string | null
-          options?: Json | null
-          pattern_id?: string | null
-          promoted_at?: string | null
-          promoted_by?: string | null
+          model?: string | null
           question_id?: string
-          rationale_html?: string | null
           reviewed_at?: string | null
           reviewed_by?: string | null
+          source_options?: Json | null
+          source_stem_html?: string | null
+          source_stimulus_html?: string | null
           status?: string
-          stem_html?: string | null
-          stimulus_html?: string | null
-          updated_at?: string
+          submitted_at?: string
+          suggested_options?: Json | null
+          suggested_stem_html?: string | null
+          suggested_stimulus_html?: string | null
         }
         Relationships: [
           {
-            foreignKeyName: "question_content_drafts_pattern_id_fkey"
-            columns: ["pattern_id"]
-            isOneToOne: false
-            referencedRelation: "question_patterns"
-            referencedColumns: ["id"]
-          },
-          {
-            foreignKeyName: "question_content_drafts_question_id_fkey"
+            foreignKeyName: "questions_v2_fix_suggestions_question_id_fkey"
             columns: ["question_id"]
             isOneToOne: false
             referencedRelation: "questions_v2"
@@ -2840,1591 +4325,1985 @@ export type Database = {
           },
         ]
       }
-      question_content_history: {
+      reading_coach_choices: {
         Row: {
-          correct_answer: Json | null
-          difficulty: number | null
-          domain_code: string | null
-          edited_by: string | null
+          choice_html: string
+          error_code: string | null
           id: string
-          options: Json | null
-          prior_updated_at: string | null
-          question_id: string
-          question_type: string | null
-          rationale_html: string | null
-          score_band: number | null
-          skill_code: string | null
-          snapshotted_at: string
-          stem_html: string | null
-          stimulus_html: string | null
+          is_correct: boolean
+          item_version_id: string
+          label: string
+          rationale_html: string
+          sort_order: number
         }
         Insert: {
-          correct_answer?: Json | null
-          difficulty?: number | null
-          domain_code?: string | null
-          edited_by?: string | null
+          choice_html: string
+          error_code?: string | null
           id?: string
-          options?: Json | null
-          prior_updated_at?: string | null
-          question_id: string
-          question_type?: string | null
-          rationale_html?: string | null
-          score_band?: number | null
-          skill_code?: string | null
-          snapshotted_at?: string
-          stem_html?: string | null
-          stimulus_html?: string | null
+          is_correct: boolean
+          item_version_id: string
+          label: string
+          rationale_html: string
+          sort_order: number
         }
         Update: {
-          correct_answer?: Json | null
-          difficulty?: number | null
-          domain_code?: string | null
-          edited_by?: string | null
+          choice_html?: string
+          error_code?: string | null
           id?: string
-          options?: Json | null
-          prior_updated_at?: string | null
-          question_id?: string
-          question_type?: string | null
-          rationale_html?: string | null
-          score_band?: number | null
-          skill_code?: string | null
-          snapshotted_at?: string
-          stem_html?: string | null
-          stimulus_html?: string | null
+          is_correct?: boolean
+          item_version_id?: string
+          label?: string
+          rationale_html?: string
+          sort_order?: number
         }
         Relationships: [
           {
-            foreignKeyName: "question_content_history_question_id_fkey"
-            columns: ["question_id"]
+            foreignKeyName: "reading_coach_choices_item_version_id_fkey"
+            columns: ["item_version_id"]
             isOneToOne: false
-            referencedRelation: "questions_v2"
+            referencedRelation: "reading_coach_item_versions"
             referencedColumns: ["id"]
           },
         ]
       }
-      question_error_notes: {
+      reading_coach_item_versions: {
         Row: {
-          body: string
           created_at: string
-          question_id: string
-          test_type: string
-          updated_at: string
-          user_id: string
+          created_by: string
+          id: string
+          item_id: string
+          passage_html: string
+          processing_mode: string
+          published_at: string | null
+          question_stem_html: string
+          rubric: Json
+          task_type: string
+          version_number: number
         }
         Insert: {
-          body: string
           created_at?: string
-          question_id: string
-          test_type?: string
-          updated_at?: string
-          user_id: string
+          created_by: string
+          id?: string
+          item_id: string
+          passage_html: string
+          processing_mode: string
+          published_at?: string | null
+          question_stem_html: string
+          rubric: Json
+          task_type: string
+          version_number: number
         }
         Update: {
-          body?: string
           created_at?: string
-          question_id?: string
-          test_type?: string
-          updated_at?: string
-          user_id?: string
+          created_by?: string
+          id?: string
+          item_id?: string
+          passage_html?: string
+          processing_mode?: string
+          published_at?: string | null
+          question_stem_html?: string
+          rubric?: Json
+          task_type?: string
+          version_number?: number
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "reading_coach_item_versions_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "profile_cards"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "reading_coach_item_versions_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "reading_coach_item_versions_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
+          {
+            foreignKeyName: "reading_coach_item_versions_item_id_fkey"
+            columns: ["item_id"]
+            isOneToOne: false
+            referencedRelation: "reading_coach_items"
+            referencedColumns: ["id"]
+          },
+        ]
       }
-      question_notes: {
+      reading_coach_items: {
         Row: {
-          author_id: string
-          content: string
           created_at: string
+          created_by: string
+          current_version_id: string | null
+          difficulty: number
+          genre: string
           id: string
-          question_id: string
-          test_type: string
+          slug: string
+          source_metadata: Json
+          status: string
+          title: string
           updated_at: string
         }
         Insert: {
-          author_id: string
-          content: string
           created_at?: string
+          created_by: string
+          current_version_id?: string | null
+          difficulty: number
+          genre: string
           id?: string
-          question_id: string
-          test_type?: string
+          slug: string
+          source_metadata?: Json
+          status?: string
+          title: string
           updated_at?: string
         }
         Update: {
-          author_id?: string
-          content?: string
           created_at?: string
+          created_by?: string
+          current_version_id?: string | null
+          difficulty?: number
+          genre?: string
           id?: string
-          question_id?: string
-          test_type?: string
+          slug?: string
+          source_metadata?: Json
+          status?: string
+          title?: string
           updated_at?: string
         }
         Relationships: [
           {
-            foreignKeyName: "question_notes_author_id_fkey"
-            columns: ["author_id"]
+            foreignKeyName: "reading_coach_items_created_by_fkey"
+            columns: ["created_by"]
             isOneToOne: false
             referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "question_notes_author_id_fkey"
-            columns: ["author_id"]
+            foreignKeyName: "reading_coach_items_created_by_fkey"
+            columns: ["created_by"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "question_notes_author_id_fkey"
-            columns: ["author_id"]
+            foreignKeyName: "reading_coach_items_created_by_fkey"
+            columns: ["created_by"]
             isOneToOne: false
             referencedRelation: "student_practice_stats"
             referencedColumns: ["user_id"]
           },
+          {
+            foreignKeyName: "reading_coach_items_current_version_fk"
+            columns: ["current_version_id"]
+            isOneToOne: false
+            referencedRelation: "reading_coach_item_versions"
+            referencedColumns: ["id"]
+          },
         ]
       }
-      question_patterns: {
-        Row: {
-          created_at: string | null
-          domain_code: string
-          id: string
-          name: string
-          process_summary: string | null
-          recognition_cue: string
-          sequence: number
-          skill_code: string
-          test_type: string
-          updated_at: string | null
-        }
-        Insert: {
-          created_at?: string | null
-          domain_code: string
-          id?: string
-          name: string
-          process_summary?: string | null
-          recognition_cue: string
-          sequence?: number
-          skill_code: string
-          test_type?: string
-          updated_at?: string | null
-        }
-        Update: {
-          created_at?: string | null
-          domain_code?: string
-          id?: string
-          name?: string
-          process_summary?: string | null
-          recognition_cue?: string
-          sequence?: number
-          skill_code?: string
-          test_type?: string
-          updated_at?: string | null
-        }
-        Relationships: []
-      }
-      questions_v2: {
+      reading_coach_sessions: {
         Row: {
-          approved_at: string | null
-          approved_by: string | null
-          attempt_count: number
-          correct_answer: Json | null
-          correct_count: number
-          created_at: string
-          created_by: string | null
-          deleted_at: string | null
-          difficulty: number | null
-          display_code: string | null
-          domain_code: string | null
-          domain_name: string | null
-          hints: Json
+          choice_correct: boolean | null
+          completed_at: string | null
+          completion_mode: string | null
           id: string
-          is_broken: boolean
-          is_published: boolean
-          last_fixed_at: string | null
-          last_fixed_by: string | null
-          options: Json | null
-          options_rendered: Json | null
-          pattern_id: string | null
-          pattern_tagged_at: string | null
-          pattern_tagged_by: string | null
-          question_type: string
-          rationale_html: string | null
-          rationale_rendered: string | null
-          rendered_at: string | null
-          rendered_source_hash: string | null
-          score_band: number | null
-          skill_code: string | null
-          skill_name: string | null
+          item_version_id: string
+          last_activity_at: string
+          selected_choice_id: string | null
           source: string
-          source_external_id: string | null
           source_id: string | null
-          stem_html: string
-          stem_rendered: string | null
-          stimulus_html: string | null
-          stimulus_rendered: string | null
-          updated_at: string
-          updated_by: string | null
+          started_at: string
+          status: string
+          user_id: string
         }
         Insert: {
-          approved_at?: string | null
-          approved_by?: string | null
-          attempt_count?: number
-          correct_answer?: Json | null
-          correct_count?: number
-          created_at?: string
-          created_by?: string | null
-          deleted_at?: string | null
-          difficulty?: number | null
-          display_code?: string | null
-          domain_code?: string | null
-          domain_name?: string | null
-          hints?: Json
+          choice_correct?: boolean | null
+          completed_at?: string | null
+          completion_mode?: string | null
           id?: string
-          is_broken?: boolean
-          is_published?: boolean
-          last_fixed_at?: string | null
-          last_fixed_by?: string | null
-          options?: Json | null
-          options_rendered?: Json | null
-          pattern_id?: string | null
-          pattern_tagged_at?: string | null
-          pattern_tagged_by?: string | null
-          question_type: string
-          rationale_html?: string | null
-          rationale_rendered?: string | null
-          rendered_at?: string | null
-          rendered_source_hash?: string | null
-          score_band?: number | null
-          skill_code?: string | null
-          skill_name?: string | null
+          item_version_id: string
+          last_activity_at?: string
+          selected_choice_id?: string | null
           source?: string
-          source_external_id?: string | null
           source_id?: string | null
-          stem_html: string
-          stem_rendered?: string | null
-          stimulus_html?: string | null
-          stimulus_rendered?: string | null
-          updated_at?: string
-          updated_by?: string | null
+          started_at?: string
+          status?: string
+          user_id: string
         }
         Update: {
-          approved_at?: string | null
-          approved_by?: string | null
-          attempt_count?: number
-          correct_answer?: Json | null
-          correct_count?: number
-          created_at?: string
-          created_by?: string | null
-          deleted_at?: string | null
-          difficulty?: number | null
-          display_code?: string | null
-          domain_code?: string | null
-          domain_name?: string | null
-          hints?: Json
+          choice_correct?: boolean | null
+          completed_at?: string | null
+          completion_mode?: string | null
           id?: string
-          is_broken?: boolean
-          is_published?: boolean
-          last_fixed_at?: string | null
-          last_fixed_by?: string | null
-          options?: Json | null
-          options_rendered?: Json | null
-          pattern_id?: string | null
-          pattern_tagged_at?: string | null
-          pattern_tagged_by?: string | null
-          question_type?: string
-          rationale_html?: string | null
-          rationale_rendered?: string | null
-          rendered_at?: string | null
-          rendered_source_hash?: string | null
-          score_band?: number | null
-          skill_code?: string | null
-          skill_name?: string | null
+          item_version_id?: string
+          last_activity_at?: string
+          selected_choice_id?: string | null
           source?: string
-          source_external_id?: string | null
           source_id?: string | null
-          stem_html?: string
-          stem_rendered?: string | null
-          stimulus_html?: string | null
-          stimulus_rendered?: string | null
-          updated_at?: string
-          updated_by?: string | null
+          started_at?: string
+          status?: string
+          user_id?: string
         }
         Relationships: [
           {
-            foreignKeyName: "questions_v2_pattern_id_fkey"
-            columns: ["pattern_id"]
+            foreignKeyName: "reading_coach_sessions_item_version_id_fkey"
+            columns: ["item_version_id"]
+            isOneToOne: false
+            referencedRelation: "reading_coach_item_versions"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "reading_coach_sessions_selected_choice_id_fkey"
+            columns: ["selected_choice_id"]
+            isOneToOne: false
+            referencedRelation: "reading_coach_choices"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "reading_coach_sessions_user_id_fkey"
+            columns: ["user_id"]
             isOneToOne: false
-            referencedRelation: "question_patterns"
+            referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "questions_v2_pattern_tagged_by_fkey"
-            columns: ["pattern_tagged_by"]
+            foreignKeyName: "reading_coach_sessions_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "reading_coach_sessions_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
+        ]
+      }
+      reading_coach_turn_reviews: {
+        Row: {
+          disposition: string
+          notes: string | null
+          reviewed_at: string
+          reviewer_id: string
+          turn_id: string
+        }
+        Insert: {
+          disposition: string
+          notes?: string | null
+          reviewed_at?: string
+          reviewer_id: string
+          turn_id: string
+        }
+        Update: {
+          disposition?: string
+          notes?: string | null
+          reviewed_at?: string
+          reviewer_id?: string
+          turn_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "reading_coach_turn_reviews_reviewer_id_fkey"
+            columns: ["reviewer_id"]
             isOneToOne: false
             referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "questions_v2_pattern_tagged_by_fkey"
-            columns: ["pattern_tagged_by"]
+            foreignKeyName: "reading_coach_turn_reviews_reviewer_id_fkey"
+            columns: ["reviewer_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "questions_v2_pattern_tagged_by_fkey"
-            columns: ["pattern_tagged_by"]
+            foreignKeyName: "reading_coach_turn_reviews_reviewer_id_fkey"
+            columns: ["reviewer_id"]
             isOneToOne: false
             referencedRelation: "student_practice_stats"
             referencedColumns: ["user_id"]
           },
+          {
+            foreignKeyName: "reading_coach_turn_reviews_turn_id_fkey"
+            columns: ["turn_id"]
+            isOneToOne: true
+            referencedRelation: "reading_coach_turns"
+            referencedColumns: ["id"]
+          },
         ]
       }
-      questions_v2_fix_suggestions: {
+      reading_coach_turns: {
         Row: {
-          batch_id: string | null
-          collected_at: string | null
-          custom_id: string | null
-          diff_classification: string | null
-          error_message: string | null
+          attempt_number: number
+          cache_read_tokens: number | null
+          client_request_id: string
+          completed_at: string | null
+          created_at: string
+          error_code: string | null
+          evaluation_json: Json | null
+          evidence: Json | null
+          feedback_text: string | null
           id: string
-          model: string | null
-          question_id: string
-          reviewed_at: string | null
-          reviewed_by: string | null
-          source_options: Json | null
-          source_stem_html: string | null
-          source_stimulus_html: string | null
+          input_tokens: number | null
+          latency_ms: number | null
+          model_id: string | null
+          output_tokens: number | null
+          prompt_version: string | null
+          session_id: string
+          stage: string
           status: string
-          submitted_at: string
-          suggested_options: Json | null
-          suggested_stem_html: string | null
-          suggested_stimulus_html: string | null
+          student_text: string
+          unit_key: string | null
+          user_id: string
+          verdict: string | null
         }
         Insert: {
-          batch_id?: string | null
-          collected_at?: string | null
-          custom_id?: string | null
-          diff_classification?: string | null
-          error_message?: string | null
+          attempt_number: number
+          cache_read_tokens?: number | null
+          client_request_id: string
+          completed_at?: string | null
+          created_at?: string
+          error_code?: string | null
+          evaluation_json?: Json | null
+          evidence?: Json | null
+          feedback_text?: string | null
           id?: string
-          model?: string | null
-          question_id: string
-          reviewed_at?: string | null
-          reviewed_by?: string | null
-          source_options?: Json | null
-          source_stem_html?: string | null
-          source_stimulus_html?: string | null
+          input_tokens?: number | null
+          latency_ms?: number | null
+          model_id?: string | null
+          output_tokens?: number | null
+          prompt_version?: string | null
+          session_id: string
+          stage: string
           status?: string
-          submitted_at?: string
-          suggested_options?: Json | null
-          suggested_stem_html?: string | null
-          suggested_stimulus_html?: string | null
+          student_text: string
+          unit_key?: string | null
+          user_id: string
+          verdict?: string | null
         }
         Update: {
-          batch_id?: string | null
-          collected_at?: string | null
-          custom_id?: string | null
-          diff_classification?: string | null
-          error_message?: string | null
+          attempt_number?: number
+          cache_read_tokens?: number | null
+          client_request_id?: string
+          completed_at?: string | null
+          created_at?: string
+          error_code?: string | null
+          evaluation_json?: Json | null
+          evidence?: Json | null
+          feedback_text?: string | null
           id?: string
-          model?: string | null
-          question_id?: string
-          reviewed_at?: string | null
-          reviewed_by?: string | null
-          source_options?: Json | null
-          source_stem_html?: string | null
-          source_stimulus_html?: string | null
+          input_tokens?: number | null
+          latency_ms?: number | null
+          model_id?: string | null
+          output_tokens?: number | null
+          prompt_version?: string | null
+          session_id?: string
+          stage?: string
           status?: string
-          submitted_at?: string
-          suggested_options?: Json | null
-          suggested_stem_html?: string | null
-          suggested_stimulus_html?: string | null
+          student_text?: string
+          unit_key?: string | null
+          user_id?: string
+          verdict?: string | null
         }
         Relationships: [
           {
-            foreignKeyName: "questions_v2_fix_suggestions_question_id_fkey"
-            columns: ["question_id"]
+            foreignKeyName: "reading_coach_turns_session_id_user_id_fkey"
+            columns: ["session_id", "user_id"]
             isOneToOne: false
-            referencedRelation: "questions_v2"
+            referencedRelation: "reading_coach_sessions"
+            referencedColumns: ["id", "user_id"]
+          },
+          {
+            foreignKeyName: "reading_coach_turns_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "profile_cards"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "reading_coach_turns_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
+          {
+            foreignKeyName: "reading_coach_turns_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
         ]
       }
-      reading_coach_choices: {
+      review_fsrs_params: {
         Row: {
-          choice_html: string
-          error_code: string | null
+          default_log_loss: number
+          fitted_at: string
+          log_loss: number
+          n_reviews: number
+          student_id: string
+          weights: number[]
+        }
+        Insert: {
+          default_log_loss: number
+          fitted_at?: string
+          log_loss: number
+          n_reviews: number
+          student_id: string
+          weights: number[]
+        }
+        Update: {
+          default_log_loss?: number
+          fitted_at?: string
+          log_loss?: number
+          n_reviews?: number
+          student_id?: string
+          weights?: number[]
+        }
+        Relationships: []
+      }
+      review_log: {
+        Row: {
+          created_at: string
+          elapsed_days: number | null
           id: string
-          is_correct: boolean
-          item_version_id: string
-          label: string
-          rationale_html: string
-          sort_order: number
+          interval_days: number
+          item_ref: string
+          item_type: string
+          result: string
+          retrievability: number | null
+          reviewed_at: string
+          scheduler: string
+          student_id: string
+        }
+        Insert: {
+          created_at?: string
+          elapsed_days?: number | null
+          id?: string
+          interval_days: number
+          item_ref: string
+          item_type: string
+          result: string
+          retrievability?: number | null
+          reviewed_at: string
+          scheduler: string
+          student_id: string
+        }
+        Update: {
+          created_at?: string
+          elapsed_days?: number | null
+          id?: string
+          interval_days?: number
+          item_ref?: string
+          item_type?: string
+          result?: string
+          retrievability?: number | null
+          reviewed_at?: string
+          scheduler?: string
+          student_id?: string
+        }
+        Relationships: []
+      }
+      review_queue: {
+        Row: {
+          created_at: string
+          difficulty: number | null
+          due_at: string
+          ease: number
+          id: string
+          interval_days: number
+          item_ref: string
+          item_type: string
+          lapses: number
+          last_result: string | null
+          last_reviewed_at: string | null
+          scheduler: string
+          stability: number | null
+          student_id: string
+          updated_at: string
         }
         Insert: {
-          choice_html: string
-          error_code?: string | null
+          created_at?: string
+          difficulty?: number | null
+          due_at?: string
+          ease?: number
           id?: string
-          is_correct: boolean
-          item_version_id: string
-          label: string
-          rationale_html: string
-          sort_order: number
+          interval_days?: number
+          item_ref: string
+          item_type: string
+          lapses?: number
+          last_result?: string | null
+          last_reviewed_at?: string | null
+          scheduler?: string
+          stability?: number | null
+          student_id: string
+          updated_at?: string
         }
         Update: {
-          choice_html?: string
-          error_code?: string | null
+          created_at?: string
+          difficulty?: number | null
+          due_at?: string
+          ease?: number
           id?: string
-          is_correct?: boolean
-          item_version_id?: string
-          label?: string
-          rationale_html?: string
-          sort_order?: number
+          interval_days?: number
+          item_ref?: string
+          item_type?: string
+          lapses?: number
+          last_result?: string | null
+          last_reviewed_at?: string | null
+          scheduler?: string
+          stability?: number | null
+          student_id?: string
+          updated_at?: string
         }
-        Relationships: [
-          {
-            foreignKeyName: "reading_coach_choices_item_version_id_fkey"
-            columns: ["item_version_id"]
-            isOneToOne: false
-            referencedRelation: "reading_coach_item_versions"
-            referencedColumns: ["id"]
-          },
-        ]
+        Relationships: []
       }
-      reading_coach_item_versions: {
+      roster_imports: {
         Row: {
           created_at: string
-          created_by: string
           id: string
-          item_id: string
-          passage_html: string
-          processing_mode: string
-          published_at: string | null
-          question_stem_html: string
-          rubric: Json
-          task_type: string
-          version_number: number
+          imported_by: string | null
+          org_sourced_ids: string[]
+          summary: Json
         }
         Insert: {
           created_at?: string
-          created_by: string
           id?: string
-          item_id: string
-          passage_html: string
-          processing_mode: string
-          published_at?: string | null
-          question_stem_html: string
-          rubric: Json
-          task_type: string
-          version_number: number
+          imported_by?: string | null
+          org_sourced_ids?: string[]
+          summary?: Json
         }
         Update: {
           created_at?: string
-          created_by?: string
           id?: string
-          item_id?: string
-          passage_html?: string
-          processing_mode?: string
-          published_at?: string | null
-          question_stem_html?: string
-          rubric?: Json
-          task_type?: string
-          version_number?: number
+          imported_by?: string | null
+          org_sourced_ids?: string[]
+          summary?: Json
         }
         Relationships: [
           {
-            foreignKeyName: "reading_coach_item_versions_created_by_fkey"
-            columns: ["created_by"]
-            isOneToOne: false
-            referencedRelation: "profile_cards"
-            referencedColumns: ["id"]
-          },
-          {
-            foreignKeyName: "reading_coach_item_versions_created_by_fkey"
-            columns: ["created_by"]
+            foreignKeyName: "roster_imports_imported_by_fkey"
+            columns: ["imported_by"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
+        ]
+      }
+      roster_orgs: {
+        Row: {
+          identifier: string | null
+          last_import_id: string | null
+          name: string
+          parent_sourced_id: string | null
+          sourced_id: string
+          type: string
+          updated_at: string
+        }
+        Insert: {
+          identifier?: string | null
+          last_import_id?: string | null
+          name: string
+          parent_sourced_id?: string | null
+          sourced_id: string
+          type: string
+          updated_at?: string
+        }
+        Update: {
+          identifier?: string | null
+          last_import_id?: string | null
+          name?: string
+          parent_sourced_id?: string | null
+          sourced_id?: string
+          type?: string
+          updated_at?: string
+        }
+        Relationships: [
           {
-            foreignKeyName: "reading_coach_item_versions_created_by_fkey"
-            columns: ["created_by"]
-            isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
-          },
-          {
-            foreignKeyName: "reading_coach_item_versions_item_id_fkey"
-            columns: ["item_id"]
+            foreignKeyName: "roster_orgs_last_import_id_fkey"
+            columns: ["last_import_id"]
             isOneToOne: false
-            referencedRelation: "reading_coach_items"
+            referencedRelation: "roster_imports"
             referencedColumns: ["id"]
           },
         ]
       }
-      reading_coach_items: {
+      roster_users: {
         Row: {
           created_at: string
-          created_by: string
-          current_version_id: string | null
-          difficulty: number
-          genre: string
-          id: string
-          slug: string
-          source_metadata: Json
-          status: string
-          title: string
+          dropped_at: string | null
+          last_import_id: string | null
+          org_sourced_ids: string[]
+          profile_id: string
+          role: string
+          sourced_id: string
           updated_at: string
         }
         Insert: {
           created_at?: string
-          created_by: string
-          current_version_id?: string | null
-          difficulty: number
-          genre: string
-          id?: string
-          slug: string
-          source_metadata?: Json
-          status?: string
-          title: string
+          dropped_at?: string | null
+          last_import_id?: string | null
+          org_sourced_ids?: string[]
+          profile_id: string
+          role: string
+          sourced_id: string
           updated_at?: string
         }
         Update: {
           created_at?: string
-          created_by?: string
-          current_version_id?: string | null
-          difficulty?: number
-          genre?: string
-          id?: string
-          slug?: string
-          source_metadata?: Json
-          status?: string
-          title?: string
+          dropped_at?: string | null
+          last_import_id?: string | null
+          org_sourced_ids?: string[]
+          profile_id?: string
+          role?: string
+          sourced_id?: string
           updated_at?: string
         }
         Relationships: [
           {
-            foreignKeyName: "reading_coach_items_created_by_fkey"
-            columns: ["created_by"]
+            foreignKeyName: "roster_users_last_import_id_fkey"
+            columns: ["last_import_id"]
             isOneToOne: false
-            referencedRelation: "profile_cards"
+            referencedRelation: "roster_imports"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "reading_coach_items_created_by_fkey"
-            columns: ["created_by"]
+            foreignKeyName: "roster_users_profile_id_fkey"
+            columns: ["profile_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
-          {
-            foreignKeyName: "reading_coach_items_created_by_fkey"
-            columns: ["created_by"]
-            isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
-          },
-          {
-            foreignKeyName: "reading_coach_items_current_version_fk"
-            columns: ["current_version_id"]
-            isOneToOne: false
-            referencedRelation: "reading_coach_item_versions"
-            referencedColumns: ["id"]
-          },
         ]
       }
-      reading_coach_sessions: {
+      sat_official_scores: {
+        Row: {
+          composite_score: number
+          created_at: string | null
+          created_by: string | null
+          domain_alg: number | null
+          domain_atm: number | null
+          domain_cas: number | null
+          domain_eoi: number | null
+          domain_geo: number | null
+          domain_ini: number | null
+          domain_pam: number | null
+          domain_sec: number | null
+          id: string
+          math_score: number
+          rw_score: number
+          student_id: string
+          test_date: string
+          test_type: string | null
+        }
+        Insert: {
+          composite_score: number
+          created_at?: string | null
+          created_by?: string | null
+          domain_alg?: number | null
+          domain_atm?: number | null
+          domain_cas?: number | null
+          domain_eoi?: number | null
+          domain_geo?: number | null
+          domain_ini?: number | null
+          domain_pam?: number | null
+          domain_sec?: number | null
+          id?: string
+          math_score: number
+          rw_score: number
+          student_id: string
+          test_date: string
+          test_type?: string | null
+        }
+        Update: {
+          composite_score?: number
+          created_at?: string | null
+          created_by?: string | null
+          domain_alg?: number | null
+          domain_atm?: number | null
+          domain_cas?: number | null
+          domain_eoi?: number | null
+          domain_geo?: number | null
+          domain_ini?: number | null
+          domain_pam?: number | null
+          domain_sec?: number | null
+          id?: string
+          math_score?: number
+          rw_score?: number
+          student_id?: string
+          test_date?: string
+          test_type?: string | null
+        }
+        Relationships: []
+      }
+      sat_test_registrations: {
+        Row: {
+          created_at: string | null
+          created_by: string | null
+          id: string
+          student_id: string
+          test_date: string
+        }
+        Insert: {
+          created_at?: string | null
+          created_by?: string | null
+          id?: string
+          student_id: string
+          test_date: string
+        }
+        Update: {
+          created_at?: string | null
+          created_by?: string | null
+          id?: string
+          student_id?: string
+          test_date?: string
+        }
+        Relationships: []
+      }
+      sat_vocabulary: {
         Row: {
-          choice_correct: boolean | null
-          completed_at: string | null
-          completion_mode: string | null
-          id: string
-          item_version_id: string
-          last_activity_at: string
-          selected_choice_id: string | null
-          source: string
-          source_id: string | null
-          started_at: string
-          status: string
+          definition: string
+          example: string | null
+          id: number
+          set_number: number
+          word: string
+        }
+        Insert: {
+          definition: string
+          example?: string | null
+          id?: number
+          set_number: number
+          word: string
+        }
+        Update: {
+          definition?: string
+          example?: string | null
+          id?: number
+          set_number?: number
+          word?: string
+        }
+        Relationships: []
+      }
+      sat_vocabulary_progress: {
+        Row: {
+          last_reviewed_at: string | null
+          mastery: number
           user_id: string
+          vocabulary_id: number
         }
         Insert: {
-          choice_correct?: boolean | null
-          completed_at?: string | null
-          completion_mode?: string | null
-          id?: string
-          item_version_id: string
-          last_activity_at?: string
-          selected_choice_id?: string | null
-          source?: string
-          source_id?: string | null
-          started_at?: string
-          status?: string
+          last_reviewed_at?: string | null
+          mastery?: number
           user_id: string
+          vocabulary_id: number
         }
         Update: {
-          choice_correct?: boolean | null
-          completed_at?: string | null
-          completion_mode?: string | null
-          id?: string
-          item_version_id?: string
-          last_activity_at?: string
-          selected_choice_id?: string | null
-          source?: string
-          source_id?: string | null
-          started_at?: string
-          status?: string
+          last_reviewed_at?: string | null
+          mastery?: number
           user_id?: string
+          vocabulary_id?: number
         }
         Relationships: [
           {
-            foreignKeyName: "reading_coach_sessions_item_version_id_fkey"
-            columns: ["item_version_id"]
-            isOneToOne: false
-            referencedRelation: "reading_coach_item_versions"
-            referencedColumns: ["id"]
-          },
-          {
-            foreignKeyName: "reading_coach_sessions_selected_choice_id_fkey"
-            columns: ["selected_choice_id"]
-            isOneToOne: false
-            referencedRelation: "reading_coach_choices"
-            referencedColumns: ["id"]
-          },
-          {
-            foreignKeyName: "reading_coach_sessions_user_id_fkey"
+            foreignKeyName: "sat_vocabulary_progress_user_id_fkey"
             columns: ["user_id"]
             isOneToOne: false
             referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "reading_coach_sessions_user_id_fkey"
+            foreignKeyName: "sat_vocabulary_progress_user_id_fkey"
             columns: ["user_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "reading_coach_sessions_user_id_fkey"
+            foreignKeyName: "sat_vocabulary_progress_user_id_fkey"
             columns: ["user_id"]
             isOneToOne: false
             referencedRelation: "student_practice_stats"
             referencedColumns: ["user_id"]
           },
+          {
+            foreignKeyName: "sat_vocabulary_progress_vocabulary_id_fkey"
+            columns: ["vocabulary_id"]
+            isOneToOne: false
+            referencedRelation: "sat_vocabulary"
+            referencedColumns: ["id"]
+          },
         ]
       }
-      reading_coach_turn_reviews: {
+      score_conversion: {
         Row: {
-          disposition: string
-          notes: string | null
-          reviewed_at: string
-          reviewer_id: string
-          turn_id: string
+          attempt_id: string | null
+          created_at: string | null
+          flagged_at: string | null
+          id: string
+          module1_correct: number
+          module2_correct: number
+          scaled_score: number
+          section: string
+          submission_id: string | null
+          test_id: string
+          test_name: string
         }
         Insert: {
-          disposition: string
-          notes?: string | null
-          reviewed_at?: string
-          reviewer_id: string
-          turn_id: string
+          attempt_id?: string | null
+          created_at?: string | null
+          flagged_at?: string | null
+          id?: string
+          module1_correct: number
+          module2_correct: number
+          scaled_score: number
+          section: string
+          submission_id?: string | null
+          test_id: string
+          test_name: string
         }
         Update: {
-          disposition?: string
-          notes?: string | null
-          reviewed_at?: string
-          reviewer_id?: string
-          turn_id?: string
+          attempt_id?: string | null
+          created_at?: string | null
+          flagged_at?: string | null
+          id?: string
+          module1_correct?: number
+          module2_correct?: number
+          scaled_score?: number
+          section?: string
+          submission_id?: string | null
+          test_id?: string
+          test_name?: string
         }
         Relationships: [
           {
-            foreignKeyName: "reading_coach_turn_reviews_reviewer_id_fkey"
-            columns: ["reviewer_id"]
-            isOneToOne: false
-            referencedRelation: "profile_cards"
-            referencedColumns: ["id"]
-          },
-          {
-            foreignKeyName: "reading_coach_turn_reviews_reviewer_id_fkey"
-            columns: ["reviewer_id"]
+            foreignKeyName: "score_conversion_attempt_id_fkey"
+            columns: ["attempt_id"]
             isOneToOne: false
-            referencedRelation: "profiles"
+            referencedRelation: "practice_test_attempts_v2"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "reading_coach_turn_reviews_reviewer_id_fkey"
-            columns: ["reviewer_id"]
+            foreignKeyName: "score_conversion_submission_id_fkey"
+            columns: ["submission_id"]
             isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
-          },
-          {
-            foreignKeyName: "reading_coach_turn_reviews_turn_id_fkey"
-            columns: ["turn_id"]
-            isOneToOne: true
-            referencedRelation: "reading_coach_turns"
+            referencedRelation: "bluebook_submissions"
             referencedColumns: ["id"]
           },
         ]
       }
-      reading_coach_turns: {
+      scraper_restrictions: {
         Row: {
-          attempt_number: number
-          cache_read_tokens: number | null
-          client_request_id: string
-          completed_at: string | null
           created_at: string
-          error_code: string | null
-          evaluation_json: Json | null
-          evidence: Json | null
-          feedback_text: string | null
-          id: string
-          input_tokens: number | null
-          latency_ms: number | null
-          model_id: string | null
-          output_tokens: number | null
-          prompt_version: string | null
-          session_id: string
-          stage: string
-          status: string
-          student_text: string
-          unit_key: string | null
+          created_by: string | null
+          mode: string
+          reason: string | null
+          reauth_after: string | null
           user_id: string
-          verdict: string | null
         }
         Insert: {
-          attempt_number: number
-          cache_read_tokens?: number | null
-          client_request_id: string
-          completed_at?: string | null
           created_at?: string
-          error_code?: string | null
-          evaluation_json?: Json | null
-          evidence?: Json | null
-          feedback_text?: string | null
-          id?: string
-          input_tokens?: number | null
-          latency_ms?: number | null
-          model_id?: string | null
-          output_tokens?: number | null
-          prompt_version?: string | null
-          session_id: string
-          stage: string
-          status?: string
-          student_text: string
-          unit_key?: string | null
+          created_by?: string | null
+          mode: string
+          reason?: string | null
+          reauth_after?: string | null
           user_id: string
-          verdict?: string | null
         }
         Update: {
-          attempt_number?: number
-          cache_read_tokens?: number | null
-          client_request_id?: string
-          completed_at?: string | null
           created_at?: string
-          error_code?: string | null
-          evaluation_json?: Json | null
-          evidence?: Json | null
-          feedback_text?: string | null
-          id?: string
-          input_tokens?: number | null
-          latency_ms?: number | null
-          model_id?: string | null
-          output_tokens?: number | null
-          prompt_version?: string | null
-          session_id?: string
-          stage?: string
-          status?: string
-          student_text?: string
-          unit_key?: string | null
+          created_by?: string | null
+          mode?: string
+          reason?: string | null
+          reauth_after?: string | null
           user_id?: string
-          verdict?: string | null
         }
         Relationships: [
           {
-            foreignKeyName: "reading_coach_turns_session_id_user_id_fkey"
-            columns: ["session_id", "user_id"]
+            foreignKeyName: "scraper_restrictions_created_by_fkey"
+            columns: ["created_by"]
             isOneToOne: false
-            referencedRelation: "reading_coach_sessions"
-            referencedColumns: ["id", "user_id"]
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "reading_coach_turns_user_id_fkey"
+            foreignKeyName: "scraper_restrictions_user_id_fkey"
             columns: ["user_id"]
             isOneToOne: false
-            referencedRelation: "profile_cards"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
+        ]
+      }
+      scraper_signal_days: {
+        Row: {
+          blocked: number
+          day: string
+          interval_histogram: number[]
+          last_level: string
+          last_seen_at: string
+          min_median_ms: number | null
+          question_loads: number
+          suspicious: number
+          user_id: string
+        }
+        Insert: {
+          blocked?: number
+          day: string
+          interval_histogram?: number[]
+          last_level?: string
+          last_seen_at?: string
+          min_median_ms?: number | null
+          question_loads?: number
+          suspicious?: number
+          user_id: string
+        }
+        Update: {
+          blocked?: number
+          day?: string
+          interval_histogram?: number[]
+          last_level?: string
+          last_seen_at?: string
+          min_median_ms?: number | null
+          question_loads?: number
+          suspicious?: number
+          user_id?: string
+        }
+        Relationships: [
           {
-            foreignKeyName: "reading_coach_turns_user_id_fkey"
+            foreignKeyName: "scraper_signal_days_user_id_fkey"
             columns: ["user_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
-          {
-            foreignKeyName: "reading_coach_turns_user_id_fkey"
-            columns: ["user_id"]
-            isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
-          },
         ]
       }
-      review_queue: {
+      skill_learnability: {
         Row: {
-          created_at: string
-          due_at: string
-          ease: number
-          id: string
-          interval_days: number
-          item_ref: string
-          item_type: string
-          lapses: number
-          last_result: string | null
-          last_reviewed_at: string | null
-          student_id: string
+          learnability: number
+          skill_code: string
           updated_at: string
         }
         Insert: {
-          created_at?: string
-          due_at?: string
-          ease?: number
-          id?: string
-          interval_days?: number
-          item_ref: string
-          item_type: string
-          lapses?: number
-          last_result?: string | null
-          last_reviewed_at?: string | null
-          student_id: string
+          learnability?: number
+          skill_code: string
           updated_at?: string
         }
         Update: {
-          created_at?: string
-          due_at?: string
-          ease?: number
-          id?: string
-          interval_days?: number
-          item_ref?: string
-          item_type?: string
-          lapses?: number
-          last_result?: string | null
-          last_reviewed_at?: string | null
-          student_id?: string
+          learnability?: number
+          skill_code?: string
           updated_at?: string
         }
         Relationships: []
       }
-      sat_official_scores: {
-        Row: {
-          composite_score: number
-          created_at: string | null
-          created_by: string | null
-          domain_alg: number | null
-          domain_atm: number | null
-          domain_cas: number | null
-          domain_eoi: number | null
-          domain_geo: number | null
-          domain_ini: number | null
-          domain_pam: number | null
-          domain_sec: number | null
-          id: string
-          math_score: number
-          rw_score: number
-          student_id: string
-          test_date: string
-          test_type: string | null
-        }
-        Insert: {
-          composite_score: number
-          created_at?: string | null
-          created_by?: string | null
-          domain_alg?: number | null
-          domain_atm?: number | null
-          domain_cas?: number | null
-          domain_eoi?: number | null
-          domain_geo?: number | null
-          domain_ini?: number | null
-          domain_pam?: number | null
-          domain_sec?: number | null
-          id?: string
-          math_score: number
-          rw_score: number
-          student_id: string
-          test_date: string
-          test_type?: string | null
-        }
-        Update: {
-          composite_score?: number
-          created_at?: string | null
-          created_by?: string | null
-          domain_alg?: number | null
-          domain_atm?: number | null
-          domain_cas?: number | null
-          domain_eoi?: number | null
-          domain_geo?: number | null
-          domain_ini?: number | null
-          domain_pam?: number | null
-          domain_sec?: number | null
-          id?: string
-          math_score?: number
-          rw_score?: number
-          student_id?: string
-          test_date?: string
-          test_type?: string | null
-        }
-        Relationships: []
-      }
-      sat_test_registrations: {
+      skill_mastery_snapshots: {
         Row: {
-          created_at: string | null
-          created_by: string | null
+          attempts_count: number
+          avg_difficulty: number | null
+          correct_count: number
+          created_at: string
+          domain_code: string
           id: string
+          mastery: number
+          skill_code: string
+          snapshot_date: string
           student_id: string
-          test_date: string
+          test_type: string
         }
         Insert: {
-          created_at?: string | null
-          created_by?: string | null
+          attempts_count?: number
+          avg_difficulty?: number | null
+          correct_count?: number
+          created_at?: string
+          domain_code: string
           id?: string
+          mastery: number
+          skill_code: string
+          snapshot_date: string
           student_id: string
-          test_date: string
+          test_type?: string
         }
         Update: {
-          created_at?: string | null
-          created_by?: string | null
+          attempts_count?: number
+          avg_difficulty?: number | null
+          correct_count?: number
+          created_at?: string
+          domain_code?: string
           id?: string
+          mastery?: number
+          skill_code?: string
+          snapshot_date?: string
           student_id?: string
-          test_date?: string
+          test_type?: string
         }
         Relationships: []
       }
-      sat_vocabulary: {
+      stripe_webhook_events: {
         Row: {
-          definition: string
-          example: string | null
-          id: number
-          set_number: number
-          word: string
+          api_version: string | null
+          attempts: number
+          error: string | null
+          event_id: string
+          event_type: string
+          payload: Json
+          processed_at: string | null
+          received_at: string
+          stripe_created_at: string
         }
         Insert: {
-          definition: string
-          example?: string | null
-          id?: number
-          set_number: number
-          word: string
+          api_version?: string | null
+          attempts?: number
+          error?: string | null
+          event_id: string
+          event_type: string
+          payload: Json
+          processed_at?: string | null
+          received_at?: string
+          stripe_created_at: string
         }
         Update: {
-          definition?: string
-          example?: string | null
-          id?: number
-          set_number?: number
-          word?: string
+          api_version?: string | null
+          attempts?: number
+          error?: string | null
+          event_id?: string
+          event_type?: string
+          payload?: Json
+          processed_at?: string | null
+          received_at?: string
+          stripe_created_at?: string
         }
         Relationships: []
       }
-      sat_vocabulary_progress: {
+      student_invite_codes: {
         Row: {
-          last_reviewed_at: string | null
-          mastery: number
-          user_id: string
-          vocabulary_id: number
+          code: string
+          created_at: string
+          created_by: string | null
+          email: string
+          id: string
+          teacher_id: string
+          used_at: string | null
+          used_by: string | null
         }
         Insert: {
-          last_reviewed_at?: string | null
-          mastery?: number
-          user_id: string
-          vocabulary_id: number
+          code: string
+          created_at?: string
+          created_by?: string | null
+          email: string
+          id?: string
+          teacher_id: string
+          used_at?: string | null
+          used_by?: string | null
         }
         Update: {
-          last_reviewed_at?: string | null
-          mastery?: number
-          user_id?: string
-          vocabulary_id?: number
+          code?: string
+          created_at?: string
+          created_by?: string | null
+          email?: string
+          id?: string
+          teacher_id?: string
+          used_at?: string | null
+          used_by?: string | null
         }
         Relationships: [
           {
-            foreignKeyName: "sat_vocabulary_progress_user_id_fkey"
-            columns: ["user_id"]
+            foreignKeyName: "student_invite_codes_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "profile_cards"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "student_invite_codes_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "student_invite_codes_created_by_fkey"
+            columns: ["created_by"]
+            isOneToOne: false
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
+          {
+            foreignKeyName: "student_invite_codes_teacher_id_fkey"
+            columns: ["teacher_id"]
             isOneToOne: false
             referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "sat_vocabulary_progress_user_id_fkey"
-            columns: ["user_id"]
+            foreignKeyName: "student_invite_codes_teacher_id_fkey"
+            columns: ["teacher_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "sat_vocabulary_progress_user_id_fkey"
-            columns: ["user_id"]
+            foreignKeyName: "student_invite_codes_teacher_id_fkey"
+            columns: ["teacher_id"]
             isOneToOne: false
             referencedRelation: "student_practice_stats"
             referencedColumns: ["user_id"]
           },
           {
-            foreignKeyName: "sat_vocabulary_progress_vocabulary_id_fkey"
-            columns: ["vocabulary_id"]
+            foreignKeyName: "student_invite_codes_used_by_fkey"
+            columns: ["used_by"]
             isOneToOne: false
-            referencedRelation: "sat_vocabulary"
+            referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
-        ]
-      }
-      score_conversion: {
-        Row: {
-          attempt_id: string | null
-          created_at: string | null
-          flagged_at: string | null
-          id: string
-          module1_correct: number
-          module2_correct: number
-          scaled_score: number
-          section: string
-          submission_id: string | null
-          test_id: string
-          test_name: string
-        }
-        Insert: {
-          attempt_id?: string | null
-          created_at?: string | null
-          flagged_at?: string | null
-          id?: string
-          module1_correct: number
-          module2_correct: number
-          scaled_score: number
-          section: string
-          submission_id?: string | null
-          test_id: string
-          test_name: string
-        }
-        Update: {
-          attempt_id?: string | null
-          created_at?: string | null
-          flagged_at?: string | null
-          id?: string
-          module1_correct?: number
-          module2_correct?: number
-          scaled_score?: number
-          section?: string
-          submission_id?: string | null
-          test_id?: string
-          test_name?: string
-        }
-        Relationships: [
           {
-            foreignKeyName: "score_conversion_attempt_id_fkey"
-            columns: ["attempt_id"]
+            foreignKeyName: "student_invite_codes_used_by_fkey"
+            columns: ["used_by"]
             isOneToOne: false
-            referencedRelation: "practice_test_attempts_v2"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "score_conversion_submission_id_fkey"
-            columns: ["submission_id"]
+            foreignKeyName: "student_invite_codes_used_by_fkey"
+            columns: ["used_by"]
             isOneToOne: false
-            referencedRelation: "bluebook_submissions"
-            referencedColumns: ["id"]
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
           },
         ]
       }
-      skill_learnability: {
+      student_notes: {
         Row: {
-          learnability: number
-          skill_code: string
+          body_json: Json
+          body_text: string
+          created_at: string
+          domain_code: string | null
+          domain_name: string | null
+          id: string
+          question_id: string | null
+          skill_code: string | null
+          skill_name: string | null
+          subject_code: string | null
+          tags: string[]
+          test_type: string
+          title: string | null
           updated_at: string
+          user_id: string
         }
         Insert: {
-          learnability?: number
-          skill_code: string
+          body_json?: Json
+          body_text?: string
+          created_at?: string
+          domain_code?: string | null
+          domain_name?: string | null
+          id?: string
+          question_id?: string | null
+          skill_code?: string | null
+          skill_name?: string | null
+          subject_code?: string | null
+          tags?: string[]
+          test_type?: string
+          title?: string | null
           updated_at?: string
+          user_id: string
         }
         Update: {
-          learnability?: number
-          skill_code?: string
+          body_json?: Json
+          body_text?: string
+          created_at?: string
+          domain_code?: string | null
+          domain_name?: string | null
+          id?: string
+          question_id?: string | null
+          skill_code?: string | null
+          skill_name?: string | null
+          subject_code?: string | null
+          tags?: string[]
+          test_type?: string
+          title?: string | null
           updated_at?: string
+          user_id?: string
         }
         Relationships: []
       }
-      skill_mastery_snapshots: {
+      student_readiness: {
         Row: {
-          attempts_count: number
-          avg_difficulty: number | null
-          correct_count: number
+          at_risk_notified_at: string | null
+          computed_at: string
+          days_to_test: number
+          reasons: Json
+          student_id: string
+          test_date: string
+          verdict: string
+        }
+        Insert: {
+          at_risk_notified_at?: string | null
+          computed_at?: string
+          days_to_test: number
+          reasons?: Json
+          student_id: string
+          test_date: string
+          verdict: string
+        }
+        Update: {
+          at_risk_notified_at?: string | null
+          computed_at?: string
+          days_to_test?: number
+          reasons?: Json
+          student_id?: string
+          test_date?: string
+          verdict?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "student_readiness_student_id_fkey"
+            columns: ["student_id"]
+            isOneToOne: true
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      study_plans: {
+        Row: {
+          config: Json
           created_at: string
-          domain_code: string
+          created_by: string | null
+          goal_score: number | null
           id: string
-          mastery: number
-          skill_code: string
-          snapshot_date: string
+          starting_score: number | null
+          status: string
           student_id: string
+          test_date: string | null
           test_type: string
+          updated_at: string
         }
         Insert: {
-          attempts_count?: number
-          avg_difficulty?: number | null
-          correct_count?: number
+          config?: Json
           created_at?: string
-          domain_code: string
+          created_by?: string | null
+          goal_score?: number | null
           id?: string
-          mastery: number
-          skill_code: string
-          snapshot_date: string
+          starting_score?: number | null
+          status?: string
           student_id: string
+          test_date?: string | null
           test_type?: string
+          updated_at?: string
         }
         Update: {
-          attempts_count?: number
-          avg_difficulty?: number | null
-          correct_count?: number
+          config?: Json
           created_at?: string
-          domain_code?: string
+          created_by?: string | null
+          goal_score?: number | null
           id?: string
-          mastery?: number
-          skill_code?: string
-          snapshot_date?: string
+          starting_score?: number | null
+          status?: string
           student_id?: string
+          test_date?: string | null
           test_type?: string
+          updated_at?: string
         }
         Relationships: []
       }
-      stripe_webhook_events: {
+      subscriptions: {
         Row: {
-          api_version: string | null
-          attempts: number
-          error: string | null
-          event_id: string
-          event_type: string
-          payload: Json
-          processed_at: string | null
-          received_at: string
-          stripe_created_at: string
+          cancel_at_period_end: boolean | null
+          created_at: string | null
+          current_period_end: string | null
+          current_period_start: string | null
+          id: string
+          last_stripe_event_at: string | null
+          past_due_since: string | null
+          plan: string
+          status: string
+          stripe_customer_id: string
+          stripe_subscription_id: string | null
+          trial_end: string | null
+          updated_at: string | null
+          user_id: string
         }
         Insert: {
-          api_version?: string | null
-          attempts?: number
-          error?: string | null
-          event_id: string
-          event_type: string
-          payload: Json
-          processed_at?: string | null
-          received_at?: string
-          stripe_created_at: string
+          cancel_at_period_end?: boolean | null
+          created_at?: string | null
+          current_period_end?: string | null
+          current_period_start?: string | null
+          id?: string
+          last_stripe_event_at?: string | null
+          past_due_since?: string | null
+          plan?: string
+          status?: string
+          stripe_customer_id: string
+          stripe_subscription_id?: string | null
+          trial_end?: string | null
+          updated_at?: string | null
+          user_id: string
         }
         Update: {
-          api_version?: string | null
-          attempts?: number
-          error?: string | null
-          event_id?: string
-          event_type?: string
-          payload?: Json
-          processed_at?: string | null
-          received_at?: string
-          stripe_created_at?: string
+          cancel_at_period_end?: boolean | null
+          created_at?: string | null
+          current_period_end?: string | null
+          current_period_start?: string | null
+          id?: string
+          last_stripe_event_at?: string | null
+          past_due_since?: string | null
+          plan?: string
+          status?: string
+          stripe_customer_id?: string
+          stripe_subscription_id?: string | null
+          trial_end?: string | null
+          updated_at?: string | null
+          user_id?: string
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "subscriptions_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: true
+            referencedRelation: "profile_cards"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "subscriptions_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: true
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "subscriptions_user_id_fkey"
+            columns: ["user_id"]
+            isOneToOne: true
+            referencedRelation: "student_practice_stats"
+            referencedColumns: ["user_id"]
+          },
+        ]
       }
-      student_invite_codes: {
+      teacher_codes: {
         Row: {
           code: string
-          created_at: string
-          created_by: string | null
-          email: string
+          created_at: string | null
           id: string
-          teacher_id: string
           used_at: string | null
           used_by: string | null
         }
         Insert: {
           code: string
-          created_at?: string
-          created_by?: string | null
-          email: string
+          created_at?: string | null
           id?: string
-          teacher_id: string
           used_at?: string | null
           used_by?: string | null
         }
         Update: {
           code?: string
-          created_at?: string
-          created_by?: string | null
-          email?: string
+          created_at?: string | null
           id?: string
-          teacher_id?: string
           used_at?: string | null
           used_by?: string | null
         }
         Relationships: [
           {
-            foreignKeyName: "student_invite_codes_created_by_fkey"
-            columns: ["created_by"]
+            foreignKeyName: "teacher_codes_used_by_fkey"
+            columns: ["used_by"]
             isOneToOne: false
             referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "student_invite_codes_created_by_fkey"
-            columns: ["created_by"]
+            foreignKeyName: "teacher_codes_used_by_fkey"
+            columns: ["used_by"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "student_invite_codes_created_by_fkey"
-            columns: ["created_by"]
+            foreignKeyName: "teacher_codes_used_by_fkey"
+            columns: ["used_by"]
             isOneToOne: false
             referencedRelation: "student_practice_stats"
             referencedColumns: ["user_id"]
           },
+        ]
+      }
+      teacher_student_assignments: {
+        Row: {
+          created_at: string | null
+          student_id: string
+          teacher_id: string
+        }
+        Insert: {
+          created_at?: string | null
+          student_id: string
+          teacher_id: string
+        }
+        Update: {
+          created_at?: string | null
+          student_id?: string
+          teacher_id?: string
+        }
+        Relationships: [
           {
-            foreignKeyName: "student_invite_codes_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "teacher_student_assignments_student_id_fkey"
+            columns: ["student_id"]
             isOneToOne: false
             referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "student_invite_codes_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "teacher_student_assignments_student_id_fkey"
+            columns: ["student_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "student_invite_codes_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "teacher_student_assignments_student_id_fkey"
+            columns: ["student_id"]
             isOneToOne: false
             referencedRelation: "student_practice_stats"
             referencedColumns: ["user_id"]
           },
           {
-            foreignKeyName: "student_invite_codes_used_by_fkey"
-            columns: ["used_by"]
+            foreignKeyName: "teacher_student_assignments_teacher_id_fkey"
+            columns: ["teacher_id"]
             isOneToOne: false
             referencedRelation: "profile_cards"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "student_invite_codes_used_by_fkey"
-            columns: ["used_by"]
+            foreignKeyName: "teacher_student_assignments_teacher_id_fkey"
+            columns: ["teacher_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "student_invite_codes_used_by_fkey"
-            columns: ["used_by"]
+            foreignKeyName: "teacher_student_assignments_teacher_id_fkey"
+            columns: ["teacher_id"]
             isOneToOne: false
             referencedRelation: "student_practice_stats"
             referencedColumns: ["user_id"]
           },
         ]
       }
-      student_notes: {
+      tutor_feedback: {
         Row: {
-          body_json: Json
-          body_text: string
+          acknowledged_at: string | null
+          body: string
+          category: string
           created_at: string
-          domain_code: string | null
-          domain_name: string | null
           id: string
-          question_id: string | null
-          skill_code: string | null
-          skill_name: string | null
-          subject_code: string | null
-          tags: string[]
-          test_type: string
-          title: string | null
+          last_activity_at: string
+          last_activity_by: string | null
+          manager_id: string
+          related_assignment_id: string | null
+          related_signal: string | null
+          related_student_id: string | null
+          status: string
+          teacher_id: string
           updated_at: string
-          user_id: string
         }
         Insert: {
-          body_json?: Json
-          body_text?: string
+          acknowledged_at?: string | null
+          body: string
+          category?: string
           created_at?: string
-          domain_code?: string | null
-          domain_name?: string | null
           id?: string
-          question_id?: string | null
-          skill_code?: string | null
-          skill_name?: string | null
-          subject_code?: string | null
-          tags?: string[]
-          test_type?: string
-          title?: string | null
+          last_activity_at?: string
+          last_activity_by?: string | null
+          manager_id: string
+          related_assignment_id?: string | null
+          related_signal?: string | null
+          related_student_id?: string | null
+          status?: string
+          teacher_id: string
           updated_at?: string
-          user_id: string
         }
         Update: {
-          body_json?: Json
-          body_text?: string
+          acknowledged_at?: string | null
+          body?: string
+          category?: string
           created_at?: string
-          domain_code?: string | null
-          domain_name?: string | null
           id?: string
-          question_id?: string | null
-          skill_code?: string | null
-          skill_name?: string | null
-          subject_code?: string | null
-          tags?: string[]
-          test_type?: string
-          title?: string | null
+          last_activity_at?: string
+          last_activity_by?: string | null
+          manager_id?: string
+          related_assignment_id?: string | null
+          related_signal?: string | null
+          related_student_id?: string | null
+          status?: string
+          teacher_id?: string
           updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "tutor_feedback_related_assignment_id_fkey"
+            columns: ["related_assignment_id"]
+            isOneToOne: false
+            referencedRelation: "assignments_v2"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      tutor_feedback_reads: {
+        Row: {
+          feedback_id: string
+          last_read_at: string
+          user_id: string
+        }
+        Insert: {
+          feedback_id: string
+          last_read_at?: string
+          user_id: string
+        }
+        Update: {
+          feedback_id?: string
+          last_read_at?: string
           user_id?: string
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "tutor_feedback_reads_feedback_id_fkey"
+            columns: ["feedback_id"]
+            isOneToOne: false
+            referencedRelation: "tutor_feedback"
+            referencedColumns: ["id"]
+          },
+        ]
       }
-      study_plans: {
+      tutor_feedback_replies: {
         Row: {
-          config: Json
+          author_id: string
+          body: string
           created_at: string
-          created_by: string | null
-          goal_score: number | null
+          feedback_id: string
           id: string
-          starting_score: number | null
-          status: string
+        }
+        Insert: {
+          author_id: string
+          body: string
+          created_at?: string
+          feedback_id: string
+          id?: string
+        }
+        Update: {
+          author_id?: string
+          body?: string
+          created_at?: string
+          feedback_id?: string
+          id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "tutor_feedback_replies_feedback_id_fkey"
+            columns: ["feedback_id"]
+            isOneToOne: false
+            referencedRelation: "tutor_feedback"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      tutor_notes: {
+        Row: {
+          author_id: string
+          body: string
+          created_at: string
+          id: string
+          session_at: string
+          shareable: boolean
           student_id: string
-          test_date: string | null
-          test_type: string
           updated_at: string
         }
         Insert: {
-          config?: Json
+          author_id: string
+          body: string
           created_at?: string
-          created_by?: string | null
-          goal_score?: number | null
           id?: string
-          starting_score?: number | null
-          status?: string
+          session_at?: string
+          shareable?: boolean
           student_id: string
-          test_date?: string | null
-          test_type?: string
           updated_at?: string
         }
         Update: {
-          config?: Json
+          author_id?: string
+          body?: string
           created_at?: string
-          created_by?: string | null
-          goal_score?: number | null
           id?: string
-          starting_score?: number | null
-          status?: string
+          session_at?: string
+          shareable?: boolean
           student_id?: string
-          test_date?: string | null
-          test_type?: string
           updated_at?: string
         }
         Relationships: []
       }
-      subscriptions: {
+      webhook_dead_letters: {
         Row: {
-          cancel_at_period_end: boolean | null
-          created_at: string | null
-          current_period_end: string | null
-          current_period_start: string | null
-          id: string
-          last_stripe_event_at: string | null
-          plan: string
-          status: string
-          stripe_customer_id: string
-          stripe_subscription_id: string | null
-          trial_end: string | null
-          updated_at: string | null
-          user_id: string
-        }
-        Insert: {
-          cancel_at_period_end?: boolean | null
-          created_at?: string | null
-          current_period_end?: string | null
-          current_period_start?: string | null
+          attempts: number
+          created_at: string
+          delivery_id: string
+          event_type: string
+          id: string
+          last_error: string | null
+          last_status_code: number | null
+          replay_delivery_id: string | null
+          resolved_at: string | null
+          resolved_by: string | null
+          subscription_id: string
+        }
+        Insert: {
+          attempts: number
+          created_at?: string
+          delivery_id: string
+          event_type: string
           id?: string
-          last_stripe_event_at?: string | null
-          plan?: string
-          status?: string
-          stripe_customer_id: string
-          stripe_subscription_id?: string | null
-          trial_end?: string | null
-          updated_at?: string | null
-          user_id: string
+          last_error?: string | null
+          last_status_code?: number | null
+          replay_delivery_id?: string | null
+          resolved_at?: string | null
+          resolved_by?: string | null
+          subscription_id: string
         }
         Update: {
-          cancel_at_period_end?: boolean | null
-          created_at?: string | null
-          current_period_end?: string | null
-          current_period_start?: string | null
+          attempts?: number
+          created_at?: string
+          delivery_id?: string
+          event_type?: string
           id?: string
-          last_stripe_event_at?: string | null
-          plan?: string
-          status?: string
-          stripe_customer_id?: string
-          stripe_subscription_id?: string | null
-          trial_end?: string | null
-          updated_at?: string | null
-          user_id?: string
+          last_error?: string | null
+          last_status_code?: number | null
+          replay_delivery_id?: string | null
+          resolved_at?: string | null
+          resolved_by?: string | null
+          subscription_id?: string
         }
         Relationships: [
           {
-            foreignKeyName: "subscriptions_user_id_fkey"
-            columns: ["user_id"]
-            isOneToOne: true
-            referencedRelation: "profile_cards"
+            foreignKeyName: "webhook_dead_letters_delivery_id_fkey"
+            columns: ["delivery_id"]
+            isOneToOne: false
+            referencedRelation: "webhook_deliveries"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "subscriptions_user_id_fkey"
-            columns: ["user_id"]
-            isOneToOne: true
+            foreignKeyName: "webhook_dead_letters_replay_delivery_id_fkey"
+            columns: ["replay_delivery_id"]
+            isOneToOne: false
+            referencedRelation: "webhook_deliveries"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "webhook_dead_letters_resolved_by_fkey"
+            columns: ["resolved_by"]
+            isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "subscriptions_user_id_fkey"
-            columns: ["user_id"]
-            isOneToOne: true
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
+            foreignKeyName: "webhook_dead_letters_subscription_id_fkey"
+            columns: ["subscription_id"]
+            isOneToOne: false
+            referencedRelation: "webhook_subscriptions"
+            referencedColumns: ["id"]
           },
         ]
       }
-      teacher_codes: {
+      webhook_deliveries: {
         Row: {
-          code: string
-          created_at: string | null
+          attempts: number
+          created_at: string
+          created_by: string | null
+          delivered_at: string | null
+          event_id: string
+          event_type: string
           id: string
-          used_at: string | null
-          used_by: string | null
+          last_error: string | null
+          last_status_code: number | null
+          next_attempt_at: string
+          payload: Json
+          replay_of: string | null
+          status: string
+          student_id: string | null
+          subscription_id: string
         }
         Insert: {
-          code: string
-          created_at?: string | null
+          attempts?: number
+          created_at?: string
+          created_by?: string | null
+          delivered_at?: string | null
+          event_id: string
+          event_type: string
           id?: string
-          used_at?: string | null
-          used_by?: string | null
+          last_error?: string | null
+          last_status_code?: number | null
+          next_attempt_at?: string
+          payload: Json
+          replay_of?: string | null
+          status?: string
+          student_id?: string | null
+          subscription_id: string
         }
         Update: {
-          code?: string
-          created_at?: string | null
+          attempts?: number
+          created_at?: string
+          created_by?: string | null
+          delivered_at?: string | null
+          event_id?: string
+          event_type?: string
           id?: string
-          used_at?: string | null
-          used_by?: string | null
+          last_error?: string | null
+          last_status_code?: number | null
+          next_attempt_at?: string
+          payload?: Json
+          replay_of?: string | null
+          status?: string
+          student_id?: string | null
+          subscription_id?: string
         }
         Relationships: [
           {
-            foreignKeyName: "teacher_codes_used_by_fkey"
-            columns: ["used_by"]
+            foreignKeyName: "webhook_deliveries_created_by_fkey"
+            columns: ["created_by"]
             isOneToOne: false
-            referencedRelation: "profile_cards"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "teacher_codes_used_by_fkey"
-            columns: ["used_by"]
+            foreignKeyName: "webhook_deliveries_replay_of_fkey"
+            columns: ["replay_of"]
+            isOneToOne: false
+            referencedRelation: "webhook_deliveries"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "webhook_deliveries_student_id_fkey"
+            columns: ["student_id"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "teacher_codes_used_by_fkey"
-            columns: ["used_by"]
+            foreignKeyName: "webhook_deliveries_subscription_id_fkey"
+            columns: ["subscription_id"]
             isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
+            referencedRelation: "webhook_subscriptions"
+            referencedColumns: ["id"]
           },
         ]
       }
-      teacher_student_assignments: {
+      webhook_delivery_attempts: {
         Row: {
-          created_at: string | null
-          student_id: string
-          teacher_id: string
+          attempt: number
+          created_at: string
+          delivery_id: string
+          duration_ms: number
+          error: string | null
+          id: number
+          response_excerpt: string | null
+          status_code: number | null
         }
         Insert: {
-          created_at?: string | null
-          student_id: string
-          teacher_id: string
+          attempt: number
+          created_at?: string
+          delivery_id: string
+          duration_ms: number
+          error?: string | null
+          id?: number
+          response_excerpt?: string | null
+          status_code?: number | null
         }
         Update: {
-          created_at?: string | null
-          student_id?: string
-          teacher_id?: string
+          attempt?: number
+          created_at?: string
+          delivery_id?: string
+          duration_ms?: number
+          error?: string | null
+          id?: number
+          response_excerpt?: string | null
+          status_code?: number | null
         }
         Relationships: [
           {
-            foreignKeyName: "teacher_student_assignments_student_id_fkey"
-            columns: ["student_id"]
+            foreignKeyName: "webhook_delivery_attempts_delivery_id_fkey"
+            columns: ["delivery_id"]
             isOneToOne: false
-            referencedRelation: "profile_cards"
+            referencedRelation: "webhook_deliveries"
             referencedColumns: ["id"]
           },
+        ]
+      }
+      webhook_subscriptions: {
+        Row: {
+          consumer_id: string | null
+          created_at: string
+          created_by: string | null
+          disabled_at: string | null
+          events: string[]
+          format: string
+          id: string
+          name: string
+          secret: string
+          updated_at: string
+          url: string
+        }
+        Insert: {
+          consumer_id?: string | null
+          created_at?: string
+          created_by?: string | null
+          disabled_at?: string | null
+          events?: string[]
+          format?: string
+          id?: string
+          name: string
+          secret: string
+          updated_at?: string
+          url: string
+        }
+        Update: {
+          consumer_id?: string | null
+          created_at?: string
+          created_by?: string | null
+          disabled_at?: string | null
+          events?: string[]
+          format?: string
+          id?: string
+          name?: string
+          secret?: string
+          updated_at?: string
+          url?: string
+        }
+        Relationships: [
           {
-            foreignKeyName: "teacher_student_assignments_student_id_fkey"
-            columns: ["student_id"]
+            foreignKeyName: "webhook_subscriptions_consumer_id_fkey"
+            columns: ["consumer_id"]
             isOneToOne: false
-            referencedRelation: "profiles"
+            referencedRelation: "api_consumers"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "teacher_student_assignments_student_id_fkey"
-            columns: ["student_id"]
-            isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
-          },
-          {
-            foreignKeyName: "teacher_student_assignments_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "webhook_subscriptions_created_by_fkey"
+            columns: ["created_by"]
             isOneToOne: false
-            referencedRelation: "profile_cards"
+            referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
+        ]
+      }
+      weekly_digest_recipients: {
+        Row: {
+          added_by: string | null
+          confirm_token: string
+          confirmation_sent_at: string | null
+          confirmed_at: string | null
+          created_at: string
+          email: string
+          id: string
+          relationship: string
+          student_id: string
+          unsubscribe_token: string
+          unsubscribed_at: string | null
+        }
+        Insert: {
+          added_by?: string | null
+          confirm_token?: string
+          confirmation_sent_at?: string | null
+          confirmed_at?: string | null
+          created_at?: string
+          email: string
+          id?: string
+          relationship?: string
+          student_id: string
+          unsubscribe_token?: string
+          unsubscribed_at?: string | null
+        }
+        Update: {
+          added_by?: string | null
+          confirm_token?: string
+          confirmation_sent_at?: string | null
+          confirmed_at?: string | null
+          created_at?: string
+          email?: string
+          id?: string
+          relationship?: string
+          student_id?: string
+          unsubscribe_token?: string
+          unsubscribed_at?: string | null
+        }
+        Relationships: [
           {
-            foreignKeyName: "teacher_student_assignments_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "weekly_digest_recipients_added_by_fkey"
+            columns: ["added_by"]
             isOneToOne: false
             referencedRelation: "profiles"
             referencedColumns: ["id"]
           },
           {
-            foreignKeyName: "teacher_student_assignments_teacher_id_fkey"
-            columns: ["teacher_id"]
+            foreignKeyName: "weekly_digest_recipients_student_id_fkey"
+            columns: ["student_id"]
             isOneToOne: false
-            referencedRelation: "student_practice_stats"
-            referencedColumns: ["user_id"]
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
           },
         ]
       }
-      tutor_notes: {
+      weekly_digest_sends: {
         Row: {
-          author_id: string
-          body: string
           created_at: string
+          email: string
+          error: string | null
           id: string
-          session_at: string
+          provider_message_id: string | null
+          recipient_id: string
+          status: string
           student_id: string
-          updated_at: string
+          week_start: string
         }
         Insert: {
-          author_id: string
-          body: string
           created_at?: string
+          email: string
+          error?: string | null
           id?: string
-          session_at?: string
+          provider_message_id?: string | null
+          recipient_id: string
+          status: string
           student_id: string
-          updated_at?: string
+          week_start: string
         }
         Update: {
-          author_id?: string
-          body?: string
           created_at?: string
+          email?: string
+          error?: string | null
           id?: string
-          session_at?: string
+          provider_message_id?: string | null
+          recipient_id?: string
+          status?: string
           student_id?: string
-          updated_at?: string
+          week_start?: string
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "weekly_digest_sends_recipient_id_fkey"
+            columns: ["recipient_id"]
+            isOneToOne: false
+            referencedRelation: "weekly_digest_recipients"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "weekly_digest_sends_student_id_fkey"
+            columns: ["student_id"]
+            isOneToOne: false
+            referencedRelation: "profiles"
+            referencedColumns: ["id"]
+          },
+        ]
       }
     }
     Views: {
@@ -4506,7 +6385,10 @@ export type Database = {
       }
     }
     Functions: {
+      accept_org_seat_invite: { Args: { p_invite: string }; Returns: string }
       activate_study_plan: { Args: { p_plan_id: string }; Returns: string }
+      api_consumer_allow_student: { Args: { p_consumer: string; p_student: string }; Returns: undefined }
+      assignment_has_guardian_student: { Args: { p_assignment_id: string }; Returns: boolean }
       assignment_has_visible_student: {
         Args: { p_assignment_id: string }
         Returns: boolean
@@ -4549,6 +6431,9 @@ export type Database = {
         Args: { p_base_lesson_id?: string; p_title?: string }
         Returns: string
       }
+      create_organization: { Args: { p_name: string }; Returns: string }
+      decide_guardian_link: { Args: { p_approve: boolean; p_link: string }; Returns: string }
+      decline_org_seat_invite: { Args: { p_invite: string }; Returns: boolean }
       effective_plan: { Args: { p_user: string }; Returns: string }
       get_plan_inputs: {
         Args: { p_student: string; p_test_type?: string }
@@ -4702,6 +6587,24 @@ export type Database = {
           by_score_band: Json
         }[]
       }
+      get_team_roster_health: {
+        Args: { p_test_type?: string }
+        Returns: {
+          active_plan_tasks: Json | null
+          draft_created_at: string | null
+          draft_from_repace: boolean
+          draft_plan_id: string | null
+          is_active: boolean
+          last_activity_at: string | null
+          next_test_date: string | null
+          student_first_name: string | null
+          student_id: string
+          student_last_name: string | null
+          teacher_first_name: string | null
+          teacher_id: string
+          teacher_last_name: string | null
+        }[]
+      }
       get_tutor_mastery_movement: {
         Args: { p_days?: number; p_teachers: string[]; p_test_type?: string }
         Returns: {
@@ -4722,6 +6625,8 @@ export type Database = {
           total_unique_attempted: number
         }[]
       }
+      guardian_can_view: { Args: { target: string }; Returns: boolean }
+      has_org_seat: { Args: { p_user: string }; Returns: boolean }
       has_plan: {
         Args: { p_min_plan: string; p_user: string }
         Returns: boolean
@@ -4738,9 +6643,11 @@ export type Database = {
         Args: { p_attempt_id: string; p_delta_ms: number }
         Returns: undefined
       }
+      invite_org_seat: { Args: { p_email: string; p_org: string }; Returns: string }
       is_admin: { Args: never; Returns: boolean }
       is_contributor: { Args: never; Returns: boolean }
       is_demo: { Args: never; Returns: boolean }
+      is_guardian: { Args: never; Returns: boolean }
       is_lesson_assignment_student: {
         Args: { p_assignment_id: string; p_student_id: string }
         Returns: boolean
@@ -4751,6 +6658,7 @@ export type Database = {
       }
       is_lesson_author: { Args: { p_lesson_id: string }; Returns: boolean }
       is_manager: { Args: never; Returns: boolean }
+      is_org_admin: { Args: { p_org: string }; Returns: boolean }
       is_teacher: { Args: never; Returns: boolean }
       is_v2_assignment_student: {
         Args: { p_assignment_id: string; p_student_id: string }
@@ -4760,6 +6668,18 @@ export type Database = {
         Args: { p_assignment_id: string; p_teacher_id: string }
         Returns: boolean
       }
+      item_calibration_responses: {
+        Args: {
+          p_after_question?: string
+          p_after_user?: string
+          p_limit?: number
+        }
+        Returns: {
+          is_correct: boolean
+          question_id: string
+          user_id: string
+        }[]
+      }
       link_self_to_teacher_by_code: { Args: { p_code: string }; Returns: Json }
       list_visible_users: {
         Args: { role_filter?: string }
@@ -4768,10 +6688,19 @@ export type Database = {
           user_id: string
         }[]
       }
-      mastery_weight: {
-        Args: { p_difficulty: number; p_score_band: number }
-        Returns: number
-      }
+      mastery_weight:
+        | {
+            Args: { p_difficulty: number; p_score_band: number }
+            Returns: number
+          }
+        | {
+            Args: {
+              p_calibrated_b: number
+              p_difficulty: number
+              p_score_band: number
+            }
+            Returns: number
+          }
       merge_concept_tags: {
         Args: { p_source_tag_id: string; p_target_tag_id: string }
         Returns: Json
@@ -4785,6 +6714,7 @@ export type Database = {
           total_questions: number
         }[]
       }
+      org_seat_live: { Args: { p_user: string }; Returns: boolean }
       plan_rank: { Args: { p_plan: string }; Returns: number }
       publish_lesson_revision: {
         Args: { p_force?: boolean; p_revision_id: string }
@@ -4815,13 +6745,50 @@ export type Database = {
         Args: { domain_code: string }
         Returns: string
       }
+      record_review: {
+        Args: {
+          p_difficulty?: number
+          p_due_at: string
+          p_ease: number
+          p_elapsed_days?: number
+          p_interval_days: number
+          p_item_ref: string
+          p_item_type: string
+          p_lapses: number
+          p_result: string
+          p_retrievability?: number
+          p_reviewed_at: string
+          p_scheduler: string
+          p_stability?: number
+        }
+        Returns: undefined
+      }
+      record_scraper_signals: {
+        Args: {
+          p_blocked: number
+          p_histogram: number[]
+          p_last_level: string
+          p_loads: number
+          p_median_ms?: number
+          p_suspicious: number
+        }
+        Returns: { banned: boolean; mode: string; reauth_after: string }[]
+      }
       redeem_class_invite: { Args: { invite_code: string }; Returns: string }
       refresh_feature_efficacy: { Args: never; Returns: number }
       refresh_item_stats: { Args: never; Returns: number }
+      release_org_seat: { Args: { p_seat: string }; Returns: boolean }
+      request_guardian_link: { Args: { p_email: string; p_relationship: string }; Returns: string }
+      revoke_guardian_link: { Args: { p_link: string }; Returns: string }
+      revoke_org_seat_invite: { Args: { p_invite: string }; Returns: boolean }
       sat_scaled_for_raw: {
         Args: { p_raw: number; p_section: string }
         Returns: number
       }
+      scraper_restriction: {
+        Args: never
+        Returns: { banned: boolean; mode: string; reauth_after: string }[]
+      }
       set_question_pattern: {
         Args: { p_pattern_id: string; p_question_id: string }
         Returns: Json
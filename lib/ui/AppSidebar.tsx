@@ -274,6 +274,11 @@ function SidebarLink({
         <span className={s.linkTilePlaceholder} aria-hidden="true" />
       )}
       <SidebarLinkLabel label={link.label} />
+      {link.badge ? (
+        <span className={s.linkBadge} aria-label={`${link.badge} unread`}>
+          {link.badge > 99 ? '99+' : link.badge}
+        </span>
+      ) : null}
     </Link>
   );
 }
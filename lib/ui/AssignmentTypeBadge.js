@@ -14,6 +14,9 @@
 
 const TYPE_META = {
   questions:     { bg: 'var(--tile-violet-bg, #ede9fe)', fg: 'var(--tile-violet-fg, #5e3fbf)', full: 'Questions',     short: 'Q'  },
+  // Adaptive sets are question sets drawn per student — same violet
+  // family as Questions, "A" in the compact variant.
+  adaptive:      { bg: 'var(--tile-violet-bg, #ede9fe)', fg: 'var(--tile-violet-fg, #5e3fbf)', full: 'Adaptive',      short: 'A'  },
   lesson:        { bg: '#ecfdf5', fg: '#047857', full: 'Lesson',        short: 'L'  },
   // Lesson packs reuse the lesson palette — same family, more
   // specific source. Short label is "LP" so it doesn't collide
@@ -26,7 +29,7 @@ const FALLBACK = { bg: '#f3f4f6', fg: '#374151', full: '?', short: '?' };
 
 /**
  * @param {object} props
- * @param {'questions'|'lesson'|'lesson_pack'|'practice_test'} props.type
+ * @param {'questions'|'adaptive'|'lesson'|'lesson_pack'|'practice_test'} props.type
  * @param {'pill'|'compact'} [props.variant='pill']
  */
 export function AssignmentTypeBadge({ type, variant = 'pill' }) {
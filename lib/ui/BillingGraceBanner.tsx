@@ -0,0 +1,45 @@
+// Read-only grace banner (lib/billing/dunning.ts). proxy.js sets
+// x-billing-grace-until for a past_due subscriber inside the
+// billing_grace_days window; the student and tutor layouts pass it
+// here. The button opens the Stripe portal directly (POST
+// /api/billing/create-portal, same as the billing page) so fixing the
+// card is one click from wherever the banner shows.
+
+'use client';
+
+import { useState } from 'react';
+import s from './BillingGraceBanner.module.css';
+
+export function BillingGraceBanner({ graceEndsAt }: { graceEndsAt: string }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const until = new Date(graceEndsAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+
+  async function openPortal() {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/billing/create-portal', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to open portal');
+      window.location.href = data.url;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className={s.banner} role="status">
+      <div className={s.text}>
+        <strong>Your last payment failed.</strong> New practice is paused; your history stays
+        open until {until}. Update your card to pick up where you left off.
+        {error && <span className={s.error}> {error}</span>}
+      </div>
+      <button type="button" className={s.button} onClick={openPortal} disabled={loading}>
+        {loading ? 'Opening…' : 'Update payment'}
+      </button>
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import assert from 'node:assert/strict';
 import {
   STUDENT_LINKS,
   adminLinks,
+  guardianSections,
   isActive,
   isShellSuppressedPath,
   studentSections,
@@ -94,7 +95,9 @@ test('manager gets the Team section; teacher does not', () => {
   const managerHrefs = hrefs(flatLinks(tutorSectionsForRole('manager')));
   const teacherHrefs = hrefs(flatLinks(tutorSectionsForRole('teacher')));
   assert.ok(managerHrefs.includes('/tutor/teachers'));
+  assert.ok(managerHrefs.includes('/tutor/team'));
   assert.ok(!teacherHrefs.includes('/tutor/teachers'));
+  assert.ok(!teacherHrefs.includes('/tutor/team'));
 });
 
 test('admin sections mirror the admin top-nav union', () => {
@@ -109,6 +112,7 @@ test('no duplicate hrefs within any role\'s sections', () => {
     ['teacher', tutorSectionsForRole('teacher')],
     ['manager', tutorSectionsForRole('manager')],
     ['admin', tutorSectionsForRole('admin')],
+    ['guardian', guardianSections()],
   ]) {
     const all = hrefs(flatLinks(sections));
     assert.equal(new Set(all).size, all.length, `${label} has duplicate hrefs`);
@@ -121,6 +125,7 @@ test('every section link carries an icon key', () => {
     tutorSectionsForRole('teacher'),
     tutorSectionsForRole('manager'),
     tutorSectionsForRole('admin'),
+    guardianSections(),
   ]) {
     for (const link of flatLinks(sections)) {
       assert.ok(link.icon, `${link.href} is missing an icon key`);
@@ -128,6 +133,11 @@ test('every section link carries an icon key', () => {
   }
 });
 
+test('guardian nav only reaches the portal and help', () => {
+  assert.deepEqual(hrefs(flatLinks(guardianSections())), ['/guardian', '/help']);
+  assert.equal(isActive('/guardian/students/s1', flatLinks(guardianSections())[0]), true);
+});
+
 // ── shell suppression ────────────────────────────────────────────
 
 test('live runner surfaces suppress the shell', () => {
@@ -150,3 +160,17 @@ test('lobby, instruction, and results surfaces keep the shell', () => {
   assert.equal(isShellSuppressedPath('/tutor/dashboard'), false);
   assert.equal(isShellSuppressedPath('/dashboard'), false);
 });
+
+test('Coaching sits under Train for teachers and Team for managers, badged when unread', () => {
+  const find = (sections, href) =>
+    sections.find((sec) => sec.links.some((l) => l.href === href));
+  const teacher = tutorSectionsForRole('teacher', { coachingUnread: 2 });
+  assert.equal(find(teacher, '/tutor/coaching').title, 'Train');
+  assert.equal(flatLinks(teacher).find((l) => l.href === '/tutor/coaching').badge, 2);
+
+  const manager = tutorSectionsForRole('manager');
+  assert.equal(find(manager, '/tutor/coaching').title, 'Team');
+  assert.equal(flatLinks(manager).find((l) => l.href === '/tutor/coaching').badge, undefined);
+
+  assert.ok(!hrefs(flatLinks(tutorSectionsForRole('admin', { coachingUnread: 3 }))).includes('/tutor/coaching'));
+});
@@ -57,6 +57,9 @@ export interface NavLink {
   matchPrefix?: string | readonly string[];
   /** Sidebar icon key (resolved by AppSidebar). AppNav ignores it. */
   icon?: NavIconName;
+  /** Sidebar count badge (e.g. unread coaching threads); hidden at 0.
+   *  AppNav ignores it. */
+  badge?: number;
 }
 
 export interface NavDivider {
@@ -179,6 +182,20 @@ const TUTOR_TRAIN: NavLink = {
   href: '/tutor/training', label: 'Train', icon: 'train',
   matchPrefix: ['/tutor/training', '/practice/test', '/flashcards'],
 };
+// Coaching channel (§5.1) — sidebar-only, like Lesson packs. A
+// teacher finds it under Train (it's about their own practice as a
+// tutor); a manager under Team, next to Teachers. Carries the unread
+// badge (tutorSectionsForRole's coachingUnread).
+const TUTOR_COACHING: NavLink = {
+  href: '/tutor/coaching', label: 'Coaching', icon: 'inbox',
+  matchPrefix: '/tutor/coaching',
+};
+// Team home (§5.3): every managed tutor's roster rolled up, with
+// drill-downs into the filtered roster.
+const MANAGER_TEAM: NavLink = {
+  href: '/tutor/team', label: 'Team home', icon: 'users',
+  matchPrefix: '/tutor/team',
+};
 const MANAGER_TEACHERS: NavLink = {
   href: '/tutor/teachers', label: 'Teachers', icon: 'teachers',
   matchPrefix: '/tutor/teachers',
@@ -288,6 +305,24 @@ export function contributorSections(): NavSection[] {
   return [{ title: null, links: [CONTRIBUTE, STUDENT_HELP] }];
 }
 
+// The guardian portal. A parent's reason to be here is one or more
+// linked students, each a card on /guardian; everything else in the
+// app redirects them home, so like a contributor's nav it is short.
+const GUARDIAN_HOME: NavLink = {
+  href: '/guardian', label: 'My students', icon: 'roster',
+  matchPrefix: '/guardian',
+};
+
+/** Nav for the `guardian` role — a parent account with read-only
+ *  access to its linked students (guardian_can_view). */
+export function guardianLinks(): NavItem[] {
+  return [GUARDIAN_HOME, STUDENT_HELP];
+}
+
+export function guardianSections(): NavSection[] {
+  return [{ title: null, links: [GUARDIAN_HOME, STUDENT_HELP] }];
+}
+
 /** Top-bar links for the tutor tree (AppNav). Admins get the unified
  *  admin nav (Operate · Teach · Train) on every tree — keeps
  *  "Dashboard" pointing at /admin instead of silently rebinding to
@@ -295,7 +330,7 @@ export function contributorSections(): NavSection[] {
 export function tutorLinksForRole(role: string): NavItem[] {
   if (role === 'admin') return adminLinks();
   if (role === 'manager') {
-    return [...BASE_TUTOR_LINKS, MANAGER_TEACHERS, CONTRIBUTE];
+    return [...BASE_TUTOR_LINKS, MANAGER_TEAM, MANAGER_TEACHERS, CONTRIBUTE];
   }
   return [...BASE_TUTOR_LINKS, CONTRIBUTE];
 }
@@ -333,6 +368,10 @@ const TEACHER_SECTIONS: readonly NavSection[] = [
   { title: 'Contribute', links: [CONTRIBUTE] },
 ];
 
+function withBadge(link: NavLink, badge: number): NavLink {
+  return badge > 0 ? { ...link, badge } : link;
+}
+
 const ADMIN_SECTIONS: readonly NavSection[] = [
   { title: 'Operate', links: OPERATE_LINKS },
   { title: 'Teach', links: TEACH_LINKS_FOR_ADMIN },
@@ -340,13 +379,22 @@ const ADMIN_SECTIONS: readonly NavSection[] = [
 ];
 
 /** Sidebar sections for the tutor/admin trees. Mirrors
- *  tutorLinksForRole's role semantics. */
-export function tutorSectionsForRole(role: string): NavSection[] {
+ *  tutorLinksForRole's role semantics, plus the sidebar-only Coaching
+ *  link (teacher: under Train; manager: under Team) badged with
+ *  `coachingUnread`. Admins aren't in coaching threads, so their
+ *  union stays as is. */
+export function tutorSectionsForRole(
+  role: string,
+  { coachingUnread = 0 }: { coachingUnread?: number } = {},
+): NavSection[] {
   if (role === 'admin') return [...ADMIN_SECTIONS];
+  const coaching = withBadge(TUTOR_COACHING, coachingUnread);
   if (role === 'manager') {
-    return [...TEACHER_SECTIONS, { title: 'Team', links: [MANAGER_TEACHERS] }];
+    return [...TEACHER_SECTIONS, { title: 'Team', links: [MANAGER_TEAM, MANAGER_TEACHERS, coaching] }];
   }
-  return [...TEACHER_SECTIONS];
+  return TEACHER_SECTIONS.map((section) =>
+    section.title === 'Train' ? { ...section, links: [...section.links, coaching] } : section,
+  );
 }
 
 // ── Active-link matching ─────────────────────────────────────────
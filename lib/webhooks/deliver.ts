@@ -0,0 +1,355 @@
+// Outbound webhooks — the IO half. Enqueue an event for every
+// subscription that wants it, attempt deliveries, schedule retries,
+// dead-letter the ones that run out, and replay on request. The pure
+// rules (signing, body formats, backoff, matching) live in
+// lib/webhooks/events.ts.
+//
+// Every function here takes the service-role client: subscriptions
+// and deliveries are admin-only under RLS, and events fire from
+// student actions, Stripe and cron where the caller can't read them.
+//
+// Concurrency. A delivery can be picked up by the after() attempt that
+// follows its enqueue and by the /api/cron/webhooks sweep at the same
+// moment. attemptDelivery claims a row by pushing next_attempt_at out
+// by CLAIM_LEASE_MS in one conditional UPDATE; whoever loses the race
+// skips it, and a claimant that dies mid-send leaves the row due again
+// once the lease lapses.
+
+import { after } from 'next/server';
+import { logger } from '@/lib/api/logger';
+import { createServiceClient, type TypedSupabaseClient } from '@/lib/supabase/server';
+import type { Json } from '@/lib/types';
+import {
+  DELIVERY_TIMEOUT_MS,
+  LESSONWORKS_SYNC_URL,
+  buildEnvelope,
+  deliveryOutcome,
+  postWebhook,
+  renderWebhookRequest,
+  subscriptionWants,
+  type WebhookEnvelope,
+  type WebhookEventType,
+  type WebhookFormat,
+} from './events';
+
+const PG_UNIQUE_VIOLATION = '23505';
+const CLAIM_LEASE_MS = 5 * 60_000;
+// A Lessonworks batch carries every student's report PDFs, built just
+// before the send; its endpoint has always taken longer than a ping.
+const LESSONWORKS_TIMEOUT_MS = 120_000;
+
+export type AttemptResult = 'delivered' | 'pending' | 'dead' | 'skipped';
+
+/**
+ * Record `type` for every active subscription that wants it and
+ * return the new delivery ids. `studentId` is who the event is about
+ * (allow-listed subscriptions only see their students); `key` makes
+ * the event id deterministic so a repeated emit is enqueued once;
+ * `format` limits it to subscriptions with that body format.
+ */
+export async function enqueueWebhookEvent(
+  svc: TypedSupabaseClient,
+  type: WebhookEventType,
+  data: Record<string, unknown>,
+  { studentId = null, key, format }: { studentId?: string | null; key?: string; format?: WebhookFormat } = {},
+): Promise<string[]> {
+  let q = svc
+    .from('webhook_subscriptions')
+    .select('id, events, disabled_at, consumer:api_consumers(student_ids)')
+    .is('disabled_at', null)
+    .contains('events', [type]);
+  if (format) q = q.eq('format', format);
+  const { data: subs, error } = await q;
+  if (error) throw new Error(`webhook subscription lookup failed: ${error.message}`);
+
+  const targets = (subs ?? []).filter((s) =>
+    subscriptionWants(s, type, studentId, s.consumer?.student_ids ?? null),
+  );
+  if (targets.length === 0) return [];
+
+  const envelope = buildEnvelope(type, data, { key });
+  const ids: string[] = [];
+  // One insert per subscription: a duplicate for one must not drop
+  // the others, and the list is a handful of partners.
+  for (const sub of targets) {
+    const { data: row, error: insErr } = await svc
+      .from('webhook_deliveries')
+      .insert({
+        subscription_id: sub.id,
+        event_id: envelope.id,
+        event_type: type,
+        student_id: studentId,
+        payload: envelope as unknown as Json,
+      })
+      .select('id')
+      .single();
+    if (insErr?.code === PG_UNIQUE_VIOLATION) continue;
+    if (insErr || !row) {
+      logger.warn(
+        { event: 'webhook_enqueue_failed', subscription_id: sub.id, event_type: type, err: insErr?.message },
+        'webhook_enqueue_failed',
+      );
+      continue;
+    }
+    ids.push(row.id);
+  }
+  return ids;
+}
+
+/**
+ * Record one batched `type` event per active lessonworks_sync
+ * subscription: `{ students: [...] }` with every payload the
+ * subscription may see (its consumer's allow-list, when it has one).
+ * Returns the new delivery ids; `key` dedupes as in enqueueWebhookEvent.
+ */
+export async function enqueueWebhookBatch(
+  svc: TypedSupabaseClient,
+  type: WebhookEventType,
+  students: { studentId: string; data: Record<string, unknown> }[],
+  { key }: { key: string },
+): Promise<string[]> {
+  const { data: subs, error } = await svc
+    .from('webhook_subscriptions')
+    .select('id, events, disabled_at, consumer:api_consumers(student_ids)')
+    .is('disabled_at', null)
+    .eq('format', 'lessonworks_sync')
+    .contains('events', [type]);
+  if (error) throw new Error(`webhook subscription lookup failed: ${error.message}`);
+
+  const ids: string[] = [];
+  for (const sub of subs ?? []) {
+    const allowList = sub.consumer?.student_ids ?? null;
+    const batch = students.filter((s) => subscriptionWants(sub, type, s.studentId, allowList)).map((s) => s.data);
+    if (batch.length === 0) continue;
+    const envelope = buildEnvelope(type, { students: batch }, { key: `${sub.id}:${key}` });
+    const { data: row, error: insErr } = await svc
+      .from('webhook_deliveries')
+      .insert({
+        subscription_id: sub.id,
+        event_id: envelope.id,
+        event_type: type,
+        payload: envelope as unknown as Json,
+      })
+      .select('id')
+      .single();
+    if (insErr?.code === PG_UNIQUE_VIOLATION) continue;
+    if (insErr || !row) {
+      logger.warn(
+        { event: 'webhook_enqueue_failed', subscription_id: sub.id, event_type: type, err: insErr?.message },
+        'webhook_enqueue_failed',
+      );
+      continue;
+    }
+    ids.push(row.id);
+  }
+  return ids;
+}
+
+/**
+ * Enqueue an event and make the first attempt at each delivery, now.
+ * Failures are logged, never thrown — the action that caused the event
+ * has already succeeded, and anything that was enqueued is retried by
+ * the cron sweep. For code already running inside after(); request
+ * handlers use emitWebhookEvent.
+ */
+export async function dispatchWebhookEvent(
+  type: WebhookEventType,
+  data: Record<string, unknown>,
+  opts: { studentId?: string | null; key?: string } = {},
+): Promise<void> {
+  try {
+    const svc = createServiceClient();
+    const ids = await enqueueWebhookEvent(svc, type, data, opts);
+    for (const id of ids) await attemptDelivery(svc, id);
+  } catch (err) {
+    logger.warn(
+      { event: 'webhook_emit_failed', event_type: type, err: (err as Error).message },
+      'webhook_emit_failed',
+    );
+  }
+}
+
+/** dispatchWebhookEvent once the response has been sent. */
+export function emitWebhookEvent(
+  type: WebhookEventType,
+  data: Record<string, unknown>,
+  opts: { studentId?: string | null; key?: string } = {},
+): void {
+  after(() => dispatchWebhookEvent(type, data, opts));
+}
+
+/**
+ * Make one attempt at a due, pending delivery: claim it, send, log the
+ * attempt, then mark it delivered, schedule the next retry, or move it
+ * to webhook_dead_letters. 'skipped' means it wasn't ours to send —
+ * not due, already handled, or its subscription is disabled.
+ */
+export async function attemptDelivery(svc: TypedSupabaseClient, deliveryId: string): Promise<AttemptResult> {
+  const now = Date.now();
+  const { data: claimed, error: claimErr } = await svc
+    .from('webhook_deliveries')
+    .update({ next_attempt_at: new Date(now + CLAIM_LEASE_MS).toISOString() })
+    .eq('id', deliveryId)
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date(now).toISOString())
+    .select('id, attempts, payload, subscription_id, subscription:webhook_subscriptions(url, secret, format, disabled_at)')
+    .maybeSingle();
+  if (claimErr) throw new Error(`webhook claim failed: ${claimErr.message}`);
+  if (!claimed?.subscription || claimed.subscription.disabled_at) return 'skipped';
+
+  const attempt = claimed.attempts + 1;
+  const envelope = claimed.payload as unknown as WebhookEnvelope;
+  const lessonworks = claimed.subscription.format === 'lessonworks_sync';
+  const request = renderWebhookRequest(
+    { ...claimed.subscription, apiKey: lessonworks ? lessonworksApiKey(claimed.subscription.url) : null },
+    lessonworks ? await withReportPdfs(svc, envelope) : envelope,
+    { deliveryId },
+  );
+  const result = await postWebhook(claimed.subscription.url, request, {
+    timeoutMs: lessonworks ? LESSONWORKS_TIMEOUT_MS : DELIVERY_TIMEOUT_MS,
+  });
+
+  await svc.from('webhook_delivery_attempts').insert({
+    delivery_id: deliveryId,
+    attempt,
+    status_code: result.statusCode,
+    error: result.error,
+    duration_ms: result.durationMs,
+    response_excerpt: result.responseExcerpt,
+  });
+
+  const outcome = deliveryOutcome(attempt, result.statusCode);
+  const { error: updErr } = await svc
+    .from('webhook_deliveries')
+    .update({
+      status: outcome.status,
+      attempts: attempt,
+      last_status_code: result.statusCode,
+      last_error: result.error,
+      ...(outcome.status === 'pending' ? { next_attempt_at: outcome.nextAttemptAt } : {}),
+      ...(outcome.status === 'delivered' ? { delivered_at: new Date().toISOString() } : {}),
+    })
+    .eq('id', deliveryId);
+  if (updErr) throw new Error(`webhook delivery update failed: ${updErr.message}`);
+
+  if (outcome.status === 'dead') {
+    const { error: dlErr } = await svc.from('webhook_dead_letters').insert({
+      delivery_id: deliveryId,
+      subscription_id: claimed.subscription_id,
+      event_type: envelope.type,
+      attempts: attempt,
+      last_status_code: result.statusCode,
+      last_error: result.error,
+    });
+    if (dlErr && dlErr.code !== PG_UNIQUE_VIOLATION) {
+      throw new Error(`webhook dead-letter insert failed: ${dlErr.message}`);
+    }
+    logger.warn(
+      { event: 'webhook_dead_lettered', delivery_id: deliveryId, event_type: envelope.type, last_error: result.error },
+      'webhook_dead_lettered',
+    );
+  }
+  return outcome.status;
+}
+
+/**
+ * LESSONWORKS_SYNC_KEY, the key Lessonworks has always been sent, for
+ * a subscription pointing at Lessonworks — so the seeded subscription
+ * works without pasting the key into the database. Any other URL gets
+ * the subscription's own secret.
+ */
+function lessonworksApiKey(url: string): string | null {
+  const key = process.env.LESSONWORKS_SYNC_KEY;
+  if (!key) return null;
+  try {
+    return new URL(url).origin === new URL(LESSONWORKS_SYNC_URL).origin ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/** A Lessonworks batch with each student's report PDFs attached. Built
+ *  per attempt rather than stored: a night of PDFs is too big to keep
+ *  in webhook_deliveries. */
+async function withReportPdfs(svc: TypedSupabaseClient, envelope: WebhookEnvelope): Promise<WebhookEnvelope> {
+  const { attachReportPdfs } = await import('@/lib/lessonworksSync');
+  const students = Array.isArray(envelope.data.students) ? envelope.data.students : [envelope.data];
+  const withPdfs = [];
+  for (const student of students) withPdfs.push(await attachReportPdfs(svc, student));
+  return { ...envelope, data: { students: withPdfs } };
+}
+
+/**
+ * The cron sweep: attempt up to `limit` due deliveries, oldest first,
+ * starting no new attempt once `budgetMs` has elapsed. Whatever is
+ * left stays due for the next run.
+ */
+export async function processDueDeliveries(
+  svc: TypedSupabaseClient,
+  { limit = 100, budgetMs = Infinity }: { limit?: number; budgetMs?: number } = {},
+): Promise<Record<AttemptResult, number> & { failed: number; deferred: number }> {
+  const started = Date.now();
+  const { data: due, error } = await svc
+    .from('webhook_deliveries')
+    .select('id, subscription:webhook_subscriptions!inner(disabled_at)')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .is('subscription.disabled_at', null)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+  if (error) throw new Error(`webhook due lookup failed: ${error.message}`);
+
+  const counts = { delivered: 0, pending: 0, dead: 0, skipped: 0, failed: 0, deferred: 0 };
+  // Serial: one slow receiver should not fan out into many open
+  // sockets, and the timeout bounds each send.
+  for (const row of due ?? []) {
+    if (Date.now() - started > budgetMs) {
+      counts.deferred++;
+      continue;
+    }
+    try {
+      counts[await attemptDelivery(svc, row.id)]++;
+    } catch (err) {
+      counts.failed++;
+      logger.warn(
+        { event: 'webhook_attempt_failed', delivery_id: row.id, err: (err as Error).message },
+        'webhook_attempt_failed',
+      );
+    }
+  }
+  return counts;
+}
+
+/**
+ * Send a delivery again as a new row (replay_of → the original), with a
+ * fresh retry budget, and make its first attempt now. The event id is
+ * unchanged so a receiver that already processed it can dedupe.
+ */
+export async function replayDelivery(
+  svc: TypedSupabaseClient,
+  deliveryId: string,
+  actorId: string,
+): Promise<{ ok: true; deliveryId: string; result: AttemptResult } | { ok: false; error: string }> {
+  const { data: original } = await svc
+    .from('webhook_deliveries')
+    .select('subscription_id, event_id, event_type, student_id, payload')
+    .eq('id', deliveryId)
+    .maybeSingle();
+  if (!original) return { ok: false, error: 'Delivery not found' };
+
+  const { data: replay, error } = await svc
+    .from('webhook_deliveries')
+    .insert({ ...original, replay_of: deliveryId, created_by: actorId })
+    .select('id')
+    .single();
+  if (error || !replay) return { ok: false, error: `Replay failed: ${error?.message ?? 'unknown'}` };
+
+  await svc
+    .from('webhook_dead_letters')
+    .update({ resolved_at: new Date().toISOString(), resolved_by: actorId, replay_delivery_id: replay.id })
+    .eq('delivery_id', deliveryId)
+    .is('resolved_at', null);
+
+  const result = await attemptDelivery(svc, replay.id);
+  return { ok: true, deliveryId: replay.id, result };
+}
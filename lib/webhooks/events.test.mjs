@@ -0,0 +1,182 @@
+// Outbound webhooks: signing and verification, envelope ids, body
+// formats, the retry schedule, subscription matching, and postWebhook
+// against a real local HTTP receiver.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  MAX_DELIVERY_ATTEMPTS,
+  RETRY_BACKOFF_SECONDS,
+  SIGNATURE_HEADER,
+  WEBHOOK_EVENTS,
+  buildEnvelope,
+  deliveryOutcome,
+  generateWebhookSecret,
+  isWebhookEvent,
+  postWebhook,
+  renderWebhookRequest,
+  signWebhook,
+  subscriptionWants,
+  verifyWebhookSignature,
+  webhookUrlError,
+} from './events.ts';
+
+const SECRET = 'whsec_test_secret_0123456789';
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const STUDENT = '33333333-3333-3333-3333-333333333333';
+
+test('signWebhook / verifyWebhookSignature: round-trip, tampering and stale timestamps', () => {
+  const body = JSON.stringify({ hello: 'world' });
+  const t = Math.floor(NOW / 1000);
+  const header = signWebhook(SECRET, body, t);
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookSignature(SECRET, body, header, { now: NOW }), true);
+  assert.equal(verifyWebhookSignature(SECRET, `${body} `, header, { now: NOW }), false);
+  assert.equal(verifyWebhookSignature('whsec_other_secret_000000', body, header, { now: NOW }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, header, { now: NOW + 301_000 }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, 'v1=abc', { now: NOW }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, null, { now: NOW }), false);
+  // Several v1 values (a receiver mid secret-rotation) — any match wins.
+  assert.equal(verifyWebhookSignature(SECRET, body, `${header},v1=${'0'.repeat(64)}`, { now: NOW }), true);
+});
+
+test('buildEnvelope: keyed ids are stable per (type, key); unkeyed ids are unique', () => {
+  const a = buildEnvelope('practice_test.completed', { attempt_id: 'x' }, { key: 'x', now: NOW });
+  const b = buildEnvelope('practice_test.completed', { attempt_id: 'x' }, { key: 'x', now: NOW + 5 });
+  const c = buildEnvelope('assignment.completed', {}, { key: 'x', now: NOW });
+  assert.equal(a.id, b.id);
+  assert.notEqual(a.id, c.id);
+  assert.match(a.id, /^evt_[0-9a-f]{32}$/);
+  assert.notEqual(buildEnvelope('plan.activated', {}).id, buildEnvelope('plan.activated', {}).id);
+  assert.equal(a.created_at, '2026-10-19T12:00:00.000Z');
+  assert.ok(WEBHOOK_EVENTS.every(isWebhookEvent));
+  assert.equal(isWebhookEvent('student.deleted'), false);
+  assert.match(generateWebhookSecret(), /^whsec_[A-Za-z0-9_-]{32}$/);
+});
+
+test('renderWebhookRequest: standard signs the envelope; lessonworks_sync wraps data and sends x-api-key', () => {
+  const env = buildEnvelope('mastery.snapshot', { external_student_id: STUDENT }, { key: 'k', now: NOW });
+
+  const std = renderWebhookRequest({ format: 'standard', secret: SECRET }, env, { deliveryId: 'd1', now: NOW });
+  assert.deepEqual(JSON.parse(std.body), env);
+  assert.equal(std.headers['x-studyworks-event'], 'mastery.snapshot');
+  assert.equal(std.headers['x-studyworks-delivery'], 'd1');
+  assert.equal(std.headers['x-api-key'], undefined);
+  assert.equal(verifyWebhookSignature(SECRET, std.body, std.headers[SIGNATURE_HEADER], { now: NOW }), true);
+
+  const lw = renderWebhookRequest({ format: 'lessonworks_sync', secret: SECRET }, env, { deliveryId: 'd2', now: NOW });
+  assert.deepEqual(JSON.parse(lw.body), { students: [{ external_student_id: STUDENT }] });
+  assert.equal(lw.headers['x-api-key'], SECRET);
+  assert.equal(verifyWebhookSignature(SECRET, lw.body, lw.headers[SIGNATURE_HEADER], { now: NOW }), true);
+});
+
+test('renderWebhookRequest: a lessonworks_sync batch goes out as one body with the given api key', () => {
+  const students = [{ external_student_id: STUDENT }, { external_student_id: 'other' }];
+  const env = buildEnvelope('mastery.snapshot', { students }, { key: 'batch', now: NOW });
+  const lw = renderWebhookRequest(
+    { format: 'lessonworks_sync', secret: SECRET, apiKey: 'lw-key' },
+    env,
+    { deliveryId: 'd3', now: NOW },
+  );
+  assert.deepEqual(JSON.parse(lw.body), { students });
+  assert.equal(lw.headers['x-api-key'], 'lw-key');
+  assert.equal(verifyWebhookSignature(SECRET, lw.body, lw.headers[SIGNATURE_HEADER], { now: NOW }), true);
+});
+
+test('deliveryOutcome: 2xx delivers, failures back off, the last attempt dead-letters', () => {
+  assert.deepEqual(deliveryOutcome(1, 204, NOW), { status: 'delivered' });
+  assert.deepEqual(deliveryOutcome(1, 500, NOW), {
+    status: 'pending',
+    nextAttemptAt: new Date(NOW + RETRY_BACKOFF_SECONDS[0] * 1000).toISOString(),
+  });
+  assert.deepEqual(deliveryOutcome(3, null, NOW), {
+    status: 'pending',
+    nextAttemptAt: new Date(NOW + RETRY_BACKOFF_SECONDS[2] * 1000).toISOString(),
+  });
+  // A redirect is not a delivery.
+  assert.equal(deliveryOutcome(1, 302, NOW).status, 'pending');
+  assert.equal(deliveryOutcome(MAX_DELIVERY_ATTEMPTS - 1, 503, NOW).status, 'pending');
+  assert.deepEqual(deliveryOutcome(MAX_DELIVERY_ATTEMPTS, 503, NOW), { status: 'dead' });
+  assert.deepEqual(deliveryOutcome(MAX_DELIVERY_ATTEMPTS, 200, NOW), { status: 'delivered' });
+});
+
+test('subscriptionWants: disabled, unsubscribed and off-allow-list events are skipped', () => {
+  const sub = (over = {}) => ({ events: ['assignment.completed'], disabled_at: null, ...over });
+  assert.equal(subscriptionWants(sub(), 'assignment.completed', STUDENT, null), true);
+  assert.equal(subscriptionWants(sub(), 'plan.activated', STUDENT, null), false);
+  assert.equal(subscriptionWants(sub({ disabled_at: '2026-10-01T00:00:00Z' }), 'assignment.completed', STUDENT, null), false);
+  assert.equal(subscriptionWants(sub(), 'assignment.completed', STUDENT, [STUDENT]), true);
+  assert.equal(subscriptionWants(sub(), 'assignment.completed', STUDENT, []), false);
+  assert.equal(subscriptionWants(sub(), 'assignment.completed', null, [STUDENT]), false);
+});
+
+test('webhookUrlError: https anywhere, http only for localhost in development', () => {
+  assert.equal(webhookUrlError('https://partner.example.com/hooks'), null);
+  assert.equal(webhookUrlError('http://partner.example.com/hooks'), 'URL must use https');
+  assert.equal(webhookUrlError('http://localhost:4000/hooks', { allowLocalHttp: true }), null);
+  assert.equal(webhookUrlError('http://127.0.0.1:4000/hooks', { allowLocalHttp: true }), null);
+  assert.match(webhookUrlError('http://localhost:4000/hooks'), /development/);
+  assert.match(webhookUrlError('https://user:pw@partner.example.com/'), /Credentials/);
+  assert.equal(webhookUrlError('partner.example.com'), 'Not a valid URL');
+});
+
+/** Local receiver: verifies every request and answers with the next
+ *  queued status (default 200). */
+async function withReceiver(statuses, fn) {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      received.push({
+        body,
+        headers: req.headers,
+        verified: verifyWebhookSignature(SECRET, body, req.headers[SIGNATURE_HEADER]),
+      });
+      const status = statuses.shift() ?? 200;
+      if (status === 'hang') return;
+      res.writeHead(status, { 'content-type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'receiver unavailable');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hooks`;
+  try {
+    return await fn(url, received);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('postWebhook: a local receiver gets a verifiable body; failures and timeouts come back, not throw', async () => {
+  await withReceiver([503, 200, 'hang'], async (url, received) => {
+    const env = buildEnvelope('assignment.completed', { student_id: STUDENT, assignment_id: 'a1' });
+    const request = renderWebhookRequest({ format: 'standard', secret: SECRET }, env, { deliveryId: 'd1' });
+
+    const first = await postWebhook(url, request);
+    assert.equal(first.statusCode, 503);
+    assert.equal(first.error, 'HTTP 503');
+    assert.equal(first.responseExcerpt, 'receiver unavailable');
+    assert.equal(deliveryOutcome(1, first.statusCode).status, 'pending');
+
+    const second = await postWebhook(url, request);
+    assert.equal(second.statusCode, 200);
+    assert.equal(second.error, null);
+    assert.equal(deliveryOutcome(2, second.statusCode).status, 'delivered');
+
+    const third = await postWebhook(url, request, { timeoutMs: 200 });
+    assert.equal(third.statusCode, null);
+    assert.match(third.error, /Timed out/);
+
+    assert.equal(received.length, 3);
+    assert.ok(received.every((r) => r.verified));
+    assert.equal(JSON.parse(received[0].body).data.assignment_id, 'a1');
+    assert.equal(received[0].headers['x-studyworks-event'], 'assignment.completed');
+  });
+
+  const refused = await postWebhook('http://127.0.0.1:9/nothing-listens-here', { body: '{}', headers: {} });
+  assert.equal(refused.statusCode, null);
+  assert.ok(refused.error);
+});
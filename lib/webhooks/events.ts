@@ -0,0 +1,260 @@
+// Outbound webhooks — the pure half. The IO lives in
+// lib/webhooks/deliver.ts (enqueue, attempt, retry, dead-letter) and
+// app/(admin)/admin/webhooks (subscriptions, delivery log, replay);
+// the tables in supabase/migrations/20261019260000_webhooks.sql.
+//
+// Every delivery is a JSON envelope `{ id, type, created_at, data }`
+// signed with the subscription's secret. The signature header is
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`, so a
+// receiver can reject both forged and replayed bodies; see
+// verifyWebhookSignature and scripts/webhook-receiver.mjs.
+//
+// Import-free apart from node:crypto so `node --test` can drive it
+// (lib/webhooks/events.test.mjs).
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+export const WEBHOOK_EVENTS = [
+  'practice_test.completed',
+  'assignment.completed',
+  'mastery.snapshot',
+  'student.provisioned',
+  'plan.activated',
+] as const;
+export type WebhookEventType = (typeof WEBHOOK_EVENTS)[number];
+
+export const WEBHOOK_EVENT_LABELS: Record<WebhookEventType, string> = {
+  'practice_test.completed': 'Practice test completed',
+  'assignment.completed': 'Assignment completed',
+  'mastery.snapshot': 'Nightly mastery snapshot',
+  'student.provisioned': 'Student provisioned via the API',
+  'plan.activated': 'Plan activated (trial or paid)',
+};
+
+/**
+ * Body shapes. 'standard' is the signed envelope. 'lessonworks_sync'
+ * is the bespoke `{ students: [...] }` body Lessonworks' sync endpoint
+ * already accepts, authenticated with an x-api-key — it only makes
+ * sense for mastery.snapshot, which reaches it as one batch a night.
+ */
+export const WEBHOOK_FORMATS = ['standard', 'lessonworks_sync'] as const;
+export type WebhookFormat = (typeof WEBHOOK_FORMATS)[number];
+
+/** Where the seeded Lessonworks subscription points; deliver.ts sends
+ *  LESSONWORKS_SYNC_KEY only to this origin. */
+export const LESSONWORKS_SYNC_URL = 'https://www.lessonworks.net/api/integrations/studyworks/sync';
+
+export const SIGNATURE_HEADER = 'x-studyworks-signature';
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/** Seconds to wait after attempt n (1-based) fails. One entry per
+ *  retry, so a delivery gets RETRY_BACKOFF_SECONDS.length + 1 attempts
+ *  spread over about two days before it is dead-lettered. */
+export const RETRY_BACKOFF_SECONDS = [60, 300, 1_800, 3_600, 3 * 3_600, 6 * 3_600, 12 * 3_600, 24 * 3_600] as const;
+export const MAX_DELIVERY_ATTEMPTS = RETRY_BACKOFF_SECONDS.length + 1;
+
+export function isWebhookEvent(value: unknown): value is WebhookEventType {
+  return typeof value === 'string' && (WEBHOOK_EVENTS as readonly string[]).includes(value);
+}
+
+export function isWebhookFormat(value: unknown): value is WebhookFormat {
+  return typeof value === 'string' && (WEBHOOK_FORMATS as readonly string[]).includes(value);
+}
+
+/**
+ * Why `url` can't be a subscription endpoint, or null when it can.
+ * HTTPS only; plain http is accepted for localhost when
+ * `allowLocalHttp` is set (dev, against scripts/webhook-receiver.mjs).
+ */
+export function webhookUrlError(url: string, { allowLocalHttp = false }: { allowLocalHttp?: boolean } = {}): string | null {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Not a valid URL';
+  }
+  if (parsed.username || parsed.password) return 'Credentials in the URL are not allowed';
+  if (parsed.protocol === 'https:') return null;
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol === 'http:' && local && allowLocalHttp) return null;
+  return local ? 'Plain http is only allowed for localhost in development' : 'URL must use https';
+}
+
+/** New signing secret, shown to the admin once on creation. */
+export function generateWebhookSecret(): string {
+  return `whsec_${randomBytes(24).toString('base64url')}`;
+}
+
+export interface WebhookEnvelope {
+  id: string;
+  type: WebhookEventType;
+  created_at: string;
+  data: Record<string, unknown>;
+}
+
+/**
+ * Envelope for one event. `key` makes the id deterministic — pass the
+ * natural identity of the occurrence (an attempt id, a Stripe event
+ * id) so a retried emitter enqueues it once per subscription.
+ */
+export function buildEnvelope(
+  type: WebhookEventType,
+  data: Record<string, unknown>,
+  { key, now = Date.now() }: { key?: string; now?: number } = {},
+): WebhookEnvelope {
+  const id = key
+    ? `evt_${createHmac('sha256', 'studyworks-webhook-event').update(`${type}:${key}`).digest('hex').slice(0, 32)}`
+    : `evt_${randomBytes(16).toString('hex')}`;
+  return { id, type, created_at: new Date(now).toISOString(), data };
+}
+
+export function signWebhook(secret: string, body: string, timestampSeconds: number): string {
+  const mac = createHmac('sha256', secret).update(`${timestampSeconds}.${body}`).digest('hex');
+  return `t=${timestampSeconds},v1=${mac}`;
+}
+
+/**
+ * Receiver-side check: the header parses, its timestamp is within
+ * `toleranceSeconds` of `now`, and one of its v1 signatures matches.
+ */
+export function verifyWebhookSignature(
+  secret: string,
+  body: string,
+  header: string | null | undefined,
+  { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() }: { toleranceSeconds?: number; now?: number } = {},
+): boolean {
+  if (!header) return false;
+  let t: number | null = null;
+  const sigs: string[] = [];
+  for (const part of header.split(',')) {
+    const [k, v] = part.split('=', 2).map((s) => s.trim());
+    if (k === 't' && /^\d+$/.test(v ?? '')) t = Number(v);
+    else if (k === 'v1' && v) sigs.push(v);
+  }
+  if (t == null || sigs.length === 0) return false;
+  if (Math.abs(now / 1000 - t) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhook(secret, body, t).split('v1=')[1], 'hex');
+  return sigs.some((s) => {
+    const got = Buffer.from(s, 'hex');
+    return got.length === expected.length && timingSafeEqual(got, expected);
+  });
+}
+
+export interface WebhookRequest {
+  body: string;
+  headers: Record<string, string>;
+}
+
+/**
+ * The HTTP request one delivery attempt sends. A lessonworks_sync body
+ * is the batch's `students` as they are, or a single student's data
+ * wrapped as a batch of one; its x-api-key is `apiKey` when given,
+ * else the secret.
+ */
+export function renderWebhookRequest(
+  subscription: { format: string; secret: string; apiKey?: string | null },
+  envelope: WebhookEnvelope,
+  { deliveryId, now = Date.now() }: { deliveryId: string; now?: number },
+): WebhookRequest {
+  const students = Array.isArray(envelope.data.students) ? envelope.data.students : [envelope.data];
+  const body = subscription.format === 'lessonworks_sync'
+    ? JSON.stringify({ students })
+    : JSON.stringify(envelope);
+  const headers: Record<string, string> = {
+    'content-type': 'application/json',
+    'user-agent': 'Studyworks-Webhooks/1',
+    'x-studyworks-event': envelope.type,
+    'x-studyworks-event-id': envelope.id,
+    'x-studyworks-delivery': deliveryId,
+    [SIGNATURE_HEADER]: signWebhook(subscription.secret, body, Math.floor(now / 1000)),
+  };
+  if (subscription.format === 'lessonworks_sync') headers['x-api-key'] = subscription.apiKey || subscription.secret;
+  return { body, headers };
+}
+
+export type DeliveryOutcome =
+  | { status: 'delivered' }
+  | { status: 'pending'; nextAttemptAt: string }
+  | { status: 'dead' };
+
+/**
+ * Where a delivery stands after attempt number `attempt` (1-based).
+ * Any 2xx is delivered; everything else — non-2xx, timeout, refused
+ * connection — retries on the backoff until MAX_DELIVERY_ATTEMPTS.
+ */
+export function deliveryOutcome(
+  attempt: number,
+  statusCode: number | null,
+  now: number = Date.now(),
+): DeliveryOutcome {
+  if (statusCode != null && statusCode >= 200 && statusCode < 300) return { status: 'delivered' };
+  if (attempt >= MAX_DELIVERY_ATTEMPTS) return { status: 'dead' };
+  const wait = RETRY_BACKOFF_SECONDS[Math.max(0, attempt - 1)];
+  return { status: 'pending', nextAttemptAt: new Date(now + wait * 1000).toISOString() };
+}
+
+/**
+ * Should `subscription` receive an event about `studentId`? Disabled
+ * subscriptions and unsubscribed events never do; a subscription tied
+ * to an allow-listed API consumer only hears about those students
+ * (and nothing that isn't about a student).
+ */
+export function subscriptionWants(
+  subscription: { events: readonly string[]; disabled_at: string | null },
+  type: WebhookEventType,
+  studentId: string | null,
+  allowList: readonly string[] | null,
+): boolean {
+  if (subscription.disabled_at) return false;
+  if (!subscription.events.includes(type)) return false;
+  if (allowList == null) return true;
+  return !!studentId && allowList.includes(studentId);
+}
+
+export interface DeliveryAttemptResult {
+  statusCode: number | null;
+  error: string | null;
+  durationMs: number;
+  responseExcerpt: string | null;
+}
+
+const RESPONSE_EXCERPT_CHARS = 500;
+export const DELIVERY_TIMEOUT_MS = 10_000;
+
+/**
+ * Send one rendered request. Never throws: a transport failure or
+ * timeout comes back as `statusCode: null` with the error message,
+ * which deliveryOutcome treats like any other failure.
+ */
+export async function postWebhook(
+  url: string,
+  request: WebhookRequest,
+  { timeoutMs = DELIVERY_TIMEOUT_MS, fetchImpl = fetch }: { timeoutMs?: number; fetchImpl?: typeof fetch } = {},
+): Promise<DeliveryAttemptResult> {
+  const started = Date.now();
+  try {
+    const res = await fetchImpl(url, {
+      method: 'POST',
+      headers: request.headers,
+      body: request.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const text = await res.text().catch(() => '');
+    return {
+      statusCode: res.status,
+      error: res.ok ? null : `HTTP ${res.status}`,
+      durationMs: Date.now() - started,
+      responseExcerpt: text ? text.slice(0, RESPONSE_EXCERPT_CHARS) : null,
+    };
+  } catch (err) {
+    const e = err as Error;
+    return {
+      statusCode: null,
+      error: e.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : e.message || String(err),
+      durationMs: Date.now() - started,
+      responseExcerpt: null,
+    };
+  }
+}
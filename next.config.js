@@ -27,6 +27,12 @@ const nextConfig = {
   // resolve unchanged. Only the admin draft-preview Server Component
   // imports mathjax-full; other route chunks are unaffected.
   serverExternalPackages: ['mathjax-full'],
+  // The weekly digest cron reads emails/weekly-digest.html at send
+  // time (lib/email/weeklyDigest.ts); nothing imports it, so trace it
+  // into that function's bundle explicitly.
+  outputFileTracingIncludes: {
+    '/api/cron/weekly-digest': ['./emails/weekly-digest.html'],
+  },
 };
 
 // Sentry source-map upload + auto-instrumentation. Activates only
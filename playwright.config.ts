@@ -6,9 +6,9 @@
 //                 project depends on it via { dependencies: ['setup'] }.
 //   2. anonymous — no storage state. Used to assert that protected
 //                 routes / pages reject unauthenticated callers.
-//   3. student / teacher / admin — load the matching storage state
-//                 so every test in the project authenticates as
-//                 that role automatically.
+//   3. student / teacher / admin / guardian — load the matching
+//                 storage state so every test in the project
+//                 authenticates as that role automatically.
 //
 // Tests run against a NEXT_PUBLIC_BASE_URL pointed at the dev
 // preview (or local dev server when set). Default is the local
@@ -21,6 +21,7 @@
 //   teacher@test.studyworks    / devseed123
 //   student1@test.studyworks   / devseed123 (assigned to teacher)
 //   student2@test.studyworks   / devseed123 (NOT assigned to teacher)
+//   guardian@test.studyworks   / devseed123 (approved link to student1)
 
 import { defineConfig, devices } from '@playwright/test';
 
@@ -84,6 +85,15 @@ export default defineConfig({
         storageState: 'tests/.auth/admin.json',
       },
     },
+    {
+      name: 'guardian',
+      testMatch: /\.guardian\.spec\.ts$/,
+      dependencies: ['setup'],
+      use: {
+        ...devices['Desktop Chrome'],
+        storageState: 'tests/.auth/guardian.json',
+      },
+    },
 
     // ---- Marketing screenshots. Runs against the demo accounts
     //      seeded by the demo-accounts migration + scripts/seed-
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@supabase/ssr';
-import { entitlementsGateEnabled } from './lib/flags';
+import { billingGraceDays, entitlementsGateEnabled } from './lib/flags';
+import { BILLING_GRACE_HEADER, graceStateOf, isReadOnlyPath } from './lib/billing/dunning';
 
 // entitlements_gate (§1.5 switchover): when 'on', the subscription gate
 // below resolves access through the has_plan() SQL resolver instead of
@@ -30,6 +31,40 @@ async function entitlementsGateOn(supabase) {
   return enabled;
 }
 
+// billing_grace_days: same TTL cache and fail-safe as the gate flag; an
+// unreadable row resolves to the default window (lib/flags.ts).
+let billingGraceDaysCache = { days: billingGraceDays(null), expiresAt: 0 };
+
+async function graceDays(supabase) {
+  const now = Date.now();
+  if (now < billingGraceDaysCache.expiresAt) return billingGraceDaysCache.days;
+  let value = null;
+  try {
+    const { data } = await supabase
+      .from('feature_flags')
+      .select('value')
+      .eq('key', 'billing_grace_days')
+      .maybeSingle();
+    value = data?.value ?? null;
+  } catch {
+    value = null;
+  }
+  billingGraceDaysCache = { days: billingGraceDays(value), expiresAt: now + ENTITLEMENTS_GATE_TTL_MS };
+  return billingGraceDaysCache.days;
+}
+
+// A denied user whose card just failed: read-only grace, or null.
+async function billingGraceFor(supabase, userId) {
+  const { data: sub } = await supabase
+    .from('subscriptions')
+    .select('status, past_due_since')
+    .eq('user_id', userId)
+    .eq('status', 'past_due')
+    .maybeSingle();
+  if (!sub) return null;
+  return graceStateOf(sub, await graceDays(supabase));
+}
+
 // Routes that practice-only users cannot access. They get redirected to
 // /practice/start (the picker — what was /practice in the legacy tree).
 const BLOCKED_FOR_PRACTICE = [
@@ -47,7 +82,8 @@ const BLOCKED_FOR_PRACTICE = [
 // /contribute is deliberately absent. Contributors donate calibration
 // data; the `contributor` role has no subscription and never will, and
 // gating the one surface they exist to use behind /subscribe would put
-// them in a redirect loop.
+// them in a redirect loop. /guardian is absent for the same reason:
+// parents read a linked student's progress without a plan of their own.
 const SUBSCRIPTION_REQUIRED = ['/practice', '/review', '/dashboard', '/tutor', '/today'];
 
 // Routes that are always accessible (no subscription check).
@@ -91,11 +127,12 @@ function matchLegacyRedirect(pathname) {
 }
 
 export async function proxy(request) {
-  // External/public API routes and webhooks handle their own auth — skip session logic.
+  // External/public API routes, webhooks and LTI launches handle their own auth — skip session logic.
   if (
     request.nextUrl.pathname.startsWith(EXTERNAL_API_PREFIX) ||
     request.nextUrl.pathname.startsWith('/api/public/') ||
-    request.nextUrl.pathname.startsWith('/api/webhooks/')
+    request.nextUrl.pathname.startsWith('/api/webhooks/') ||
+    request.nextUrl.pathname.startsWith('/api/lti/')
   ) {
     return NextResponse.next();
   }
@@ -121,6 +158,8 @@ export async function proxy(request) {
   }
 
   const requestHeaders = new Headers(request.headers);
+  // Set below only for a user in billing grace; never trust a client copy.
+  requestHeaders.delete(BILLING_GRACE_HEADER);
   const cookiesToSet = [];
 
   const supabase = createServerClient(
@@ -208,6 +247,16 @@ export async function proxy(request) {
         return NextResponse.redirect(url);
       }
 
+      // A guardian reaches linked students through /guardian only and
+      // holds no subscription, so every gated surface sends them home
+      // rather than to /subscribe.
+      if (role === 'guardian') {
+        const url = request.nextUrl.clone();
+        url.pathname = '/guardian';
+        url.search = '';
+        return NextResponse.redirect(url);
+      }
+
       // Access rule (owner policy, 2026-07-16): admin/manager are staff and
       // always pass. Teachers are NOT unconditionally staff — a Studyworks
       // tutor carries subscription_exempt=true (set by redeeming an
@@ -242,12 +291,31 @@ export async function proxy(request) {
             .in('status', ['active', 'trialing'])
             .maybeSingle();
           denied = !sub;
+          // School plan: a seat in an org with a live subscription.
+          if (denied) {
+            const { data: seated } = await supabase.rpc('has_org_seat', { p_user: user.id });
+            denied = !seated;
+          }
         }
 
+        // Dunning (lib/billing/dunning.ts): a past_due subscriber inside
+        // the billing_grace_days window keeps read-only access — history
+        // surfaces open with a banner (the layouts read the header),
+        // anything that starts practice goes to /account/billing. Past
+        // the window, or never past_due, it's /subscribe as before.
         if (denied) {
+          const grace = await billingGraceFor(supabase, user.id);
           const url = request.nextUrl.clone();
-          url.pathname = '/subscribe';
-          return NextResponse.redirect(url);
+          if (!grace) {
+            url.pathname = '/subscribe';
+            return NextResponse.redirect(url);
+          }
+          if (!isReadOnlyPath(pathname)) {
+            url.pathname = '/account/billing';
+            url.search = '?paused=1';
+            return NextResponse.redirect(url);
+          }
+          requestHeaders.set(BILLING_GRACE_HEADER, grace.graceEndsAt);
         }
       }
     }
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// Score-prediction back-test. Measures how well calibrated
+// lib/practice-test/score-prediction.ts is against students who later
+// reported an official SAT score.
+//
+// For every official score (sat_official_scores, SAT rows) the script
+// rewinds to HORIZONS days before that sitting, rebuilds the model's
+// inputs from only what existed then — practice tests finished, earlier
+// official scores, mastery snapshots — sets the test date to the
+// sitting, and compares the projection with the score the student
+// actually got. Per horizon it reports:
+//
+//   coverage  share of actual scores inside the projected 80% range
+//             (a calibrated model lands near 0.80)
+//   MAE       mean absolute error of the projected point
+//   bias      mean (projected − actual); positive = optimistic
+//
+// Usage:
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+//     node scripts/backtest-score-prediction.mjs
+//
+// Needs a Node that runs .ts directly (the same one `npm run
+// test:unit` uses): the script imports the model source so the
+// back-test can never drift from what the app runs.
+//
+// The script is READ-ONLY. It connects with the service-role key so it
+// can see every student's scores without RLS filtering.
+//
+// Output: a table per horizon; exits 0 when the overall coverage is
+// within COVERAGE_TOLERANCE of 0.80, 1 otherwise (2 on setup errors).
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  masteryHistoryFromSnapshots,
+  officialSatScores,
+  predictScore,
+  MASTERY_WINDOW_DAYS,
+} from '../lib/practice-test/score-prediction.ts';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SERVICE_ROLE_KEY) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+  process.exit(2);
+}
+
+const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+  auth: { persistSession: false },
+});
+
+// Days before the sitting at which to predict.
+const HORIZONS = [1, 30, 60, 90];
+const COVERAGE_TOLERANCE = 0.1;
+
+async function fetchAll(build) {
+  const pageSize = 1000;
+  const all = [];
+  let from = 0;
+  while (true) {
+    const { data, error } = await build().range(from, from + pageSize - 1);
+    if (error) throw new Error(error.message);
+    if (!data || data.length === 0) break;
+    all.push(...data);
+    if (data.length < pageSize) break;
+    from += pageSize;
+  }
+  return all;
+}
+
+function addDays(iso, days) {
+  const d = new Date(iso.slice(0, 10) + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function groupBy(rows, key) {
+  const out = new Map();
+  for (const r of rows) {
+    const k = r[key];
+    if (!out.has(k)) out.set(k, []);
+    out.get(k).push(r);
+  }
+  return out;
+}
+
+async function main() {
+  const officialRows = (await fetchAll(() =>
+    supabase
+      .from('sat_official_scores')
+      .select('student_id, test_date, rw_score, math_score, composite_score, test_type')
+      .order('id'),
+  )).filter((r) => (r.test_type ?? 'SAT') === 'SAT');
+
+  const officialsByStudent = groupBy(officialRows, 'student_id');
+  const studentIds = [...officialsByStudent.keys()];
+  console.log(`${officialRows.length} official SAT scores across ${studentIds.length} students`);
+
+  const stats = new Map(HORIZONS.map((h) => [h, { n: 0, covered: 0, absErr: 0, err: 0, skipped: 0 }]));
+
+  for (const studentId of studentIds) {
+    const [tests, snapshots] = await Promise.all([
+      fetchAll(() =>
+        supabase
+          .from('practice_test_attempts_v2')
+          .select('id, finished_at, composite_score, rw_scaled, math_scaled')
+          .eq('user_id', studentId)
+          .eq('status', 'completed')
+          .is('sections_only', null)
+          .not('finished_at', 'is', null)
+          .order('id'),
+      ),
+      fetchAll(() =>
+        supabase
+          .from('skill_mastery_snapshots')
+          .select('id, snapshot_date, mastery')
+          .eq('student_id', studentId)
+          .eq('test_type', 'sat')
+          .order('id'),
+      ),
+    ]);
+    const practice = tests.map((t) => ({
+      date: t.finished_at.slice(0, 10),
+      rw: t.rw_scaled,
+      math: t.math_scaled,
+      composite: t.composite_score,
+    }));
+    const officials = officialSatScores(officialsByStudent.get(studentId));
+
+    for (const target of officials) {
+      for (const h of HORIZONS) {
+        const asOf = addDays(target.date, -h);
+        const windowStart = addDays(asOf, -MASTERY_WINDOW_DAYS);
+        const prediction = predictScore({
+          practiceTests: practice.filter((p) => p.date <= asOf),
+          officialScores: officials.filter((o) => o.date <= asOf),
+          masteryHistory: masteryHistoryFromSnapshots(
+            snapshots.filter((s) => s.snapshot_date >= windowStart && s.snapshot_date <= asOf),
+          ),
+          testDate: target.date,
+          today: asOf,
+        });
+        const s = stats.get(h);
+        if (!prediction?.projected) {
+          s.skipped++;
+          continue;
+        }
+        const actual = target.composite;
+        const { point, low, high } = prediction.projected;
+        s.n++;
+        if (actual >= low && actual <= high) s.covered++;
+        s.absErr += Math.abs(point - actual);
+        s.err += point - actual;
+      }
+    }
+  }
+
+  const fmt = (x, digits = 1) => (Number.isFinite(x) ? x.toFixed(digits) : '—');
+  console.log('\nhorizon   n     coverage  MAE     bias    no-data');
+  let n = 0;
+  let covered = 0;
+  for (const h of HORIZONS) {
+    const s = stats.get(h);
+    n += s.n;
+    covered += s.covered;
+    console.log(
+      `${String(h).padStart(4)}d  ${String(s.n).padStart(6)}  ${fmt(s.covered / s.n, 3).padStart(8)}  `
+      + `${fmt(s.absErr / s.n).padStart(6)}  ${fmt(s.err / s.n).padStart(6)}  ${String(s.skipped).padStart(7)}`,
+    );
+  }
+  const coverage = covered / n;
+  console.log(`\noverall 80% coverage: ${fmt(coverage, 3)} over ${n} predictions`);
+  if (!(Math.abs(coverage - 0.8) <= COVERAGE_TOLERANCE)) {
+    console.log('Coverage is outside tolerance — revisit the SDs in score-prediction.ts.');
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(2);
+});
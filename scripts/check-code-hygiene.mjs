@@ -21,11 +21,11 @@ import { fileURLToPath } from 'node:url';
 const ROOT = fileURLToPath(new URL('..', import.meta.url));
 
 // ── 1. TypeScript ratchet ────────────────────────────────────────────
-// Baseline last lowered 2026-08-15: app/api/webhooks/stripe/route.js →
-// route.ts. The Stripe webhook handler was rewritten for the billing
-// hardening work (idempotency + no silent event drops), so it converted
-// as part of a substantial refactor rather than a bare rename.
-const JS_FILE_BASELINE = 311;
+// Baseline last lowered 2026-10-19: app/api/admin/sync-lessonworks/
+// route.js deleted. The hard-coded Lessonworks push became a webhook
+// subscription, and its nightly trigger is now the TypeScript
+// /api/cron/mastery-snapshot route.
+const JS_FILE_BASELINE = 307;
 
 function walk(dir, out = []) {
   for (const entry of readdirSync(dir)) {
@@ -33,7 +33,10 @@ insert into auth.users (
    '{"role":"student"}'::jsonb, '{}'::jsonb, false, false),
   ('44444444-4444-4444-4444-444444444444', '00000000-0000-0000-0000-000000000000',
    'authenticated', 'authenticated', 'student2@test.studyworks', 'x', now(), now(), now(),
-   '{"role":"student"}'::jsonb, '{}'::jsonb, false, false)
+   '{"role":"student"}'::jsonb, '{}'::jsonb, false, false),
+  ('55555555-5555-5555-5555-555555555555', '00000000-0000-0000-0000-000000000000',
+   'authenticated', 'authenticated', 'guardian@test.studyworks', 'x', now(), now(), now(),
+   '{"role":"guardian"}'::jsonb, '{}'::jsonb, false, false)
 on conflict (id) do nothing;
 
 -- Profiles are auto-created by trigger when auth.users rows land.
@@ -47,7 +50,8 @@ insert into public.profiles (
   ('11111111-1111-1111-1111-111111111111', 'admin',   'admin@test.studyworks',    'Test', 'Admin',   true, null, null, null),
   ('22222222-2222-2222-2222-222222222222', 'teacher', 'teacher@test.studyworks',  'Test', 'Teacher', true, null, null, null),
   ('33333333-3333-3333-3333-333333333333', 'student', 'student1@test.studyworks', 'Stu',  'One',     true, 1400, 'Test High', 2026),
-  ('44444444-4444-4444-4444-444444444444', 'student', 'student2@test.studyworks', 'Stu',  'Two',     true, 1200, 'Test High', 2025)
+  ('44444444-4444-4444-4444-444444444444', 'student', 'student2@test.studyworks', 'Stu',  'Two',     true, 1200, 'Test High', 2025),
+  ('55555555-5555-5555-5555-555555555555', 'guardian', 'guardian@test.studyworks', 'Par', 'Ent',     true, null, null, null)
 on conflict (id) do update set
   role             = excluded.role,
   email            = excluded.email,
@@ -76,7 +80,8 @@ where id in (
   '11111111-1111-1111-1111-111111111111',
   '22222222-2222-2222-2222-222222222222',
   '33333333-3333-3333-3333-333333333333',
-  '44444444-4444-4444-4444-444444444444'
+  '44444444-4444-4444-4444-444444444444',
+  '55555555-5555-5555-5555-555555555555'
 );
 
 -- GoTrue's Go SQL scanner can't read NULL token columns: a direct
@@ -114,7 +119,8 @@ where u.id in (
   '11111111-1111-1111-1111-111111111111',
   '22222222-2222-2222-2222-222222222222',
   '33333333-3333-3333-3333-333333333333',
-  '44444444-4444-4444-4444-444444444444'
+  '44444444-4444-4444-4444-444444444444',
+  '55555555-5555-5555-5555-555555555555'
 )
 on conflict (id) do nothing;
 
@@ -123,6 +129,17 @@ insert into public.teacher_student_assignments (teacher_id, student_id)
 values ('22222222-2222-2222-2222-222222222222', '33333333-3333-3333-3333-333333333333')
 on conflict do nothing;
 
+-- The guardian is linked to student1 (approved) and not to student2 —
+-- drives the guardian_can_view cases in api-auth.guardian.spec.ts.
+-- Written directly: request_guardian_link() needs the guardian's JWT.
+insert into public.guardian_links (
+  guardian_id, student_id, relationship, status, requested_email, decided_by, decided_at
+) values (
+  '55555555-5555-5555-5555-555555555555', '33333333-3333-3333-3333-333333333333',
+  'parent', 'approved', 'student1@test.studyworks', '33333333-3333-3333-3333-333333333333', now()
+)
+on conflict (guardian_id, student_id) do update set status = 'approved';
+
 -- ============================================================
 -- 2. QUESTIONS v2 — eight across four domains, varied difficulty
 --    and score band, one flagged broken for the content page.
@@ -6,6 +6,11 @@
 //   - Server Actions:  files containing 'use server' (exported async fns)
 //   - Middleware:      proxy.js
 //
+// and, per role in the UserRole union (lib/types/api.ts), how many of
+// those entry points admit it through requireRole, plus the RLS read
+// path for roles that have their own (the guardian's *_guardian_select
+// policies in supabase/migrations).
+//
 // Guard detection is file-level (which guard calls appear in the file),
 // not per-function — precise enough to answer "does this entry point
 // have ANY auth?" and to diff over time, without needing a full AST
@@ -35,17 +40,28 @@ function walk(dir, out = []) {
 const GUARDS = [
   // [display name, detection regex]
   ['requireRole', /requireRole\(\s*\[([^\]]*)\]/g],
+  ['cron secret', /\brequireCronOrAdmin\(/],
   ['requireUser', /\brequireUser\(/],
   ['requireWriter', /\brequireWriter\(/],
   ['assertWriter', /\bassertWriter\(/],
+  ['billingGrace', /\bassertNotInBillingGrace\(/],
   ['requireServiceRole', /requireServiceRole\(/],
   ['requireExternalApiAccess', /requireExternalApiAccess\(/],
   ['validateExternalApiKey', /validateExternalApiKey\(/],
   ['stripe signature', /constructEvent\(/],
-  ['rateLimit', /\brateLimit\(/],
+  ['rateLimit', /\b(?:rateLimit|checkRateLimit)\(/],
   ['service client (RLS bypass)', /createServiceClient\(/],
 ];
 
+// Shared helpers that call requireRole themselves, with the roles
+// they admit.
+const ROLE_HELPERS = [
+  // app/api/cron/auth.ts: the cron secret, else an admin session.
+  [/\brequireCronOrAdmin\(/, ['admin']],
+  // app/(admin)/admin/adminActions.ts
+  [/\badminActionContext\(/, ['admin']],
+];
+
 // Find `NAME ... = [ 'a', 'b' ]` in a file's text. Returns the raw
 // bracket contents or null.
 function findArrayLiteral(text, name) {
@@ -87,6 +103,9 @@ function detectGuards(text, file = null) {
           .filter(Boolean)
           .forEach((r) => roles.add(r));
       }
+      for (const [helper, admits] of ROLE_HELPERS) {
+        if (helper.test(text)) admits.forEach((r) => roles.add(r));
+      }
       if (roles.size > 0) {
         found.push(`requireRole[${[...roles].sort().join('|')}]`);
       } else {
@@ -170,6 +189,42 @@ actions.sort((a, b) => a.file.localeCompare(b.file));
 const proxyText = readFileSync(join(ROOT, 'proxy.js'), 'utf8');
 const proxyGuards = detectGuards(proxyText);
 
+// ── Roles ────────────────────────────────────────────────────────────
+
+const apiTypes = readFileSync(join(ROOT, 'lib/types/api.ts'), 'utf8');
+const roleUnion = apiTypes.match(/export type UserRole\s*=([^;]*);/);
+const ROLES = roleUnion ? [...roleUnion[1].matchAll(/'(\w+)'/g)].map((m) => m[1]) : [];
+
+// Roles named in a file's requireRole[...] guard; null when the file has
+// no literal role gate (requireUser alone admits every signed-in role).
+function gatedRoles(guards) {
+  const g = guards.find((x) => x.startsWith('requireRole['));
+  return g ? g.slice('requireRole['.length, -1).split('|') : null;
+}
+
+// Roles with this few role-gated entry points get them listed by name.
+const LIST_AT_MOST = 5;
+
+const roleRows = ROLES.map((role) => {
+  const admits = (e) => gatedRoles(e.guards)?.includes(role) ?? false;
+  return {
+    role,
+    routes: routes.filter(admits),
+    actions: actions.filter(admits),
+  };
+});
+
+// RLS policies named <x>_guardian_select — the guardian's read-only
+// path (guardian_can_view()), one per table the portal reads.
+const guardianPolicies = new Map();
+for (const file of readdirSync(join(ROOT, 'supabase/migrations')).sort()) {
+  if (!file.endsWith('.sql')) continue;
+  const sql = readFileSync(join(ROOT, 'supabase/migrations', file), 'utf8');
+  for (const m of sql.matchAll(/create policy (\w+_guardian_select)\s+on\s+public\.(\w+)/gi)) {
+    guardianPolicies.set(m[2], m[1]);
+  }
+}
+
 const unguardedRoutes = routes.filter((r) => r.guards.length === 0);
 const unguardedActions = actions.filter((a) => a.guards.length === 0);
 
@@ -193,6 +248,36 @@ lines.push('## Middleware (`proxy.js`)');
 lines.push('');
 lines.push(`Runs on every matched request. Detected: ${proxyGuards.join(', ') || 'session refresh only'}.`);
 lines.push('');
+lines.push('## Roles');
+lines.push('');
+lines.push('From the `UserRole` union in `lib/types/api.ts`. Counts are entry');
+lines.push('points whose `requireRole` admits the role; `requireUser` alone');
+lines.push('admits every signed-in role and is not counted here.');
+lines.push('');
+lines.push('| Role | Role-gated route handlers | Role-gated action modules |');
+lines.push('|---|---|---|');
+for (const r of roleRows) {
+  lines.push(`| \`${r.role}\` | ${r.routes.length} | ${r.actions.length} |`);
+}
+for (const r of roleRows) {
+  const total = r.routes.length + r.actions.length;
+  if (total === 0 || total > LIST_AT_MOST) continue;
+  lines.push('');
+  lines.push(`Admitting \`${r.role}\`:`);
+  lines.push('');
+  for (const x of r.routes) lines.push(`- Route \`${x.path}\``);
+  for (const x of r.actions) lines.push(`- Actions module \`${x.file}\``);
+}
+if (guardianPolicies.size > 0) {
+  lines.push('');
+  lines.push('`guardian` reads through `guardian_can_view()`, its own path beside');
+  lines.push('`can_view()`, via select-only policies:');
+  lines.push('');
+  for (const [table, policy] of [...guardianPolicies].sort((a, b) => a[0].localeCompare(b[0]))) {
+    lines.push(`- \`${table}\` — \`${policy}\``);
+  }
+}
+lines.push('');
 lines.push('## HTTP route handlers');
 lines.push('');
 lines.push('| Path | Methods | Guards (file-level) |');
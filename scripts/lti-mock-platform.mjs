@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+// Local LTI 1.3 platform for testing the LTI tool end to end: OIDC
+// login, signed launches, deep linking and grade passback, against a
+// dev build. Plays the LMS: it has its own signing key and key set,
+// one course, one instructor and two learners, and remembers the links
+// placed through deep linking.
+//
+// Usage:
+//   node scripts/lti-mock-platform.mjs [--port=4100] [--tool=http://localhost:3000] [--fail=N]
+//
+//   --port  port to listen on (default 4100)
+//   --tool  the Studyworks origin (default http://localhost:3000)
+//   --fail  answer 500 to the first N score posts, then 200
+//
+// On start it prints the values to register at /admin/lti (plain http
+// is only accepted for localhost outside production). Then open
+// http://localhost:4100/ and:
+//   1. "Add content" launches deep linking as the instructor; pick a
+//      practice set and it comes back here as a placed link with a
+//      gradebook column.
+//   2. "Launch as learner" on that link signs a learner in, enrolls
+//      them and opens the assignment. Finish it, and the score arrives
+//      at /lineitems/<id>/scores and is printed (hit
+//      /api/cron/lti-grades to push retries after --fail).
+//
+// The tool needs LTI_PRIVATE_KEY set (see docs/runbook.md "LTI 1.3")
+// for deep linking and scores. Each run generates a new platform key;
+// the tool refetches the key set when it sees an unknown kid.
+//
+// Needs a Node that runs .ts directly (the same one `npm run
+// test:unit` uses): signing and verification import lib/lti so the
+// mock can never drift from the tool's own JWT handling.
+//
+// Exits 0 on Ctrl-C; 2 on setup errors.
+
+import { createServer } from 'node:http';
+import { generateKeyPairSync, randomBytes, randomUUID } from 'node:crypto';
+import { publicJwk, signJwt, verifyJwt } from '../lib/lti/jwt.ts';
+import { AGS_SCOPE, CLAIM, LTI_VERSION } from '../lib/lti/launch.ts';
+
+function arg(name, fallback) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : fallback;
+}
+
+const port = Number(arg('port', '4100'));
+const tool = arg('tool', 'http://localhost:3000').replace(/\/$/, '');
+let failuresLeft = Number(arg('fail', '0'));
+
+if (!Number.isInteger(port) || !Number.isInteger(failuresLeft)) {
+  console.error('--port and --fail take integers.');
+  process.exit(2);
+}
+
+const issuer = `http://localhost:${port}`;
+const clientId = 'studyworks-mock-client';
+const deploymentId = 'mock-deployment-1';
+const kid = `mock-${randomBytes(4).toString('hex')}`;
+const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const platformJwks = { keys: [publicJwk(privateKey, kid)] };
+const toolUrls = {
+  login: `${tool}/api/lti/login`,
+  launch: `${tool}/api/lti/launch`,
+  jwks: `${tool}/api/lti/jwks`,
+};
+
+const course = { id: 'mock-course-1', label: 'SAT-101', title: 'SAT Prep (mock course)' };
+const USERS = {
+  instructor: {
+    sub: 'mock-instructor-1',
+    name: 'Ines Instructor',
+    email: 'instructor@mock-lms.test',
+    roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor'],
+  },
+  learner: {
+    sub: 'mock-learner-1',
+    name: 'Lee Learner',
+    email: 'learner1@mock-lms.test',
+    roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Learner'],
+  },
+  learner2: {
+    sub: 'mock-learner-2',
+    name: 'Lou Learner',
+    email: 'learner2@mock-lms.test',
+    roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Learner'],
+  },
+};
+
+/** Placed links, from deep-linking responses. The first is a plain
+ *  link with no Studyworks target, like one added by URL. */
+const links = [{ id: 'link-plain', title: 'Studyworks (plain link)', custom: {}, lineItem: null }];
+/** login_hint → pending launch, between /launch and /auth. */
+const pending = new Map();
+/** Issued AGS access tokens. */
+const accessTokens = new Set();
+
+const esc = (s) => String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function html(res, status, body) {
+  res.writeHead(status, { 'content-type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html><meta charset="utf-8"><title>Mock LMS</title><body style="font-family:sans-serif;max-width:760px;margin:32px auto">${body}</body>`);
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function autoPost(res, action, fields) {
+  const inputs = Object.entries(fields)
+    .map(([k, v]) => `<input type="hidden" name="${esc(k)}" value="${esc(v)}">`)
+    .join('');
+  html(res, 200, `<form id="f" method="post" action="${esc(action)}">${inputs}<noscript><button>Continue</button></noscript></form><script>document.getElementById('f').submit()</script>`);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+let toolJwksCache = null;
+async function toolJwks() {
+  if (!toolJwksCache) {
+    const res = await fetch(toolUrls.jwks);
+    if (!res.ok) throw new Error(`tool key set: HTTP ${res.status} (is LTI_PRIVATE_KEY set?)`);
+    toolJwksCache = await res.json();
+  }
+  return toolJwksCache;
+}
+
+function index(res) {
+  const rows = links
+    .map((l) => {
+      const graded = l.lineItem ? ` · graded out of ${l.lineItem.scoreMaximum}` : '';
+      const launches = Object.keys(USERS)
+        .map((as) => `<a href="/launch?as=${as}&link=${l.id}" target="studyworks">as ${as}</a>`)
+        .join(' · ');
+      return `<li><strong>${esc(l.title)}</strong>${graded}<br><small>${esc(JSON.stringify(l.custom))}</small><br>Launch ${launches}</li>`;
+    })
+    .join('');
+  html(
+    res,
+    200,
+    `<h1>${esc(course.title)}</h1>
+     <p><a href="/launch?as=instructor&deep=1">Add content</a> (deep linking as the instructor)</p>
+     <ul>${rows}</ul>`,
+  );
+}
+
+/** Third-party initiated login: send the browser to the tool. */
+function startLaunch(res, url) {
+  const as = url.searchParams.get('as') ?? 'learner';
+  const user = USERS[as];
+  const deep = url.searchParams.get('deep') === '1';
+  const link = links.find((l) => l.id === url.searchParams.get('link')) ?? links[0];
+  if (!user) return html(res, 400, `Unknown user ${esc(as)}`);
+
+  const loginHint = randomUUID();
+  pending.set(loginHint, { user, deep, link });
+  const login = new URL(toolUrls.login);
+  login.search = new URLSearchParams({
+    iss: issuer,
+    login_hint: loginHint,
+    target_link_uri: toolUrls.launch,
+    client_id: clientId,
+    lti_deployment_id: deploymentId,
+    lti_message_hint: deep ? 'deep-link' : link.id,
+  }).toString();
+  res.writeHead(302, { location: login.toString() });
+  res.end();
+}
+
+/** The OIDC authorization endpoint: check the tool's request, then
+ *  form-post a signed id_token to its redirect_uri. */
+function authorize(res, url) {
+  const p = url.searchParams;
+  const launch = pending.get(p.get('login_hint') ?? '');
+  const problems = [
+    p.get('client_id') !== clientId && 'client_id',
+    p.get('redirect_uri') !== toolUrls.launch && 'redirect_uri',
+    p.get('response_type') !== 'id_token' && 'response_type',
+    p.get('response_mode') !== 'form_post' && 'response_mode',
+    !p.get('nonce') && 'nonce',
+    !p.get('state') && 'state',
+    !launch && 'login_hint',
+  ].filter(Boolean);
+  if (problems.length) {
+    console.log(`auth rejected: bad ${problems.join(', ')}`);
+    return html(res, 400, `Bad authorization request: ${problems.join(', ')}`);
+  }
+  pending.delete(p.get('login_hint'));
+
+  const { user, deep, link } = launch;
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: issuer,
+    aud: clientId,
+    sub: user.sub,
+    iat: now,
+    exp: now + 300,
+    nonce: p.get('nonce'),
+    name: user.name,
+    given_name: user.name.split(' ')[0],
+    family_name: user.name.split(' ').slice(1).join(' '),
+    email: user.email,
+    [CLAIM.version]: LTI_VERSION,
+    [CLAIM.deploymentId]: deploymentId,
+    [CLAIM.targetLinkUri]: toolUrls.launch,
+    [CLAIM.roles]: user.roles,
+    [CLAIM.context]: { id: course.id, label: course.label, title: course.title },
+  };
+  if (deep) {
+    Object.assign(claims, {
+      [CLAIM.messageType]: 'LtiDeepLinkingRequest',
+      [CLAIM.deepLinkingSettings]: {
+        deep_link_return_url: `${issuer}/deep-link-return`,
+        accept_types: ['ltiResourceLink'],
+        accept_presentation_document_targets: ['window'],
+        accept_multiple: true,
+        data: `mock-${randomBytes(4).toString('hex')}`,
+      },
+    });
+  } else {
+    Object.assign(claims, {
+      [CLAIM.messageType]: 'LtiResourceLinkRequest',
+      [CLAIM.resourceLink]: { id: link.id, title: link.title },
+      [CLAIM.custom]: link.custom,
+      ...(link.lineItem
+        ? {
+            [CLAIM.ags]: {
+              scope: [AGS_SCOPE.lineItem, AGS_SCOPE.score],
+              lineitem: `${issuer}/lineitems/${link.id}`,
+            },
+          }
+        : {}),
+    });
+  }
+  console.log(`launch: ${deep ? 'deep linking' : `link ${link.id}`} as ${user.sub}`);
+  autoPost(res, p.get('redirect_uri'), { id_token: signJwt(claims, privateKey, kid), state: p.get('state') });
+}
+
+/** Deep-linking return: verify the tool's response and place links. */
+async function deepLinkReturn(res, body) {
+  const token = new URLSearchParams(body).get('JWT');
+  let payload;
+  try {
+    payload = verifyJwt(token ?? '', await toolJwks());
+    if (payload.iss !== clientId) throw new Error(`iss ${payload.iss}`);
+    if (payload.aud !== issuer) throw new Error(`aud ${payload.aud}`);
+    if (payload[CLAIM.messageType] !== 'LtiDeepLinkingResponse') throw new Error('message type');
+  } catch (err) {
+    console.log(`deep-link response rejected: ${err.message}`);
+    return html(res, 400, `Deep-linking response rejected: ${esc(err.message)}`);
+  }
+  const items = payload[CLAIM.contentItems] ?? [];
+  for (const item of items) {
+    const id = `link-${links.length}`;
+    links.push({ id, title: item.title, custom: item.custom ?? {}, lineItem: item.lineItem ?? null });
+    console.log(`placed ${id}: ${item.title}${item.lineItem ? ` (graded /${item.lineItem.scoreMaximum})` : ''}`);
+  }
+  res.writeHead(303, { location: '/' });
+  res.end();
+}
+
+/** client_credentials with a JWT client assertion (LTI Security §4.1). */
+async function token(res, body) {
+  const p = new URLSearchParams(body);
+  try {
+    if (p.get('grant_type') !== 'client_credentials') throw new Error('grant_type');
+    const assertion = verifyJwt(p.get('client_assertion') ?? '', await toolJwks());
+    if (assertion.iss !== clientId || assertion.sub !== clientId) throw new Error('iss/sub');
+    if (assertion.aud !== `${issuer}/token`) throw new Error(`aud ${assertion.aud}`);
+  } catch (err) {
+    console.log(`token rejected: ${err.message}`);
+    return json(res, 400, { error: 'invalid_client', error_description: err.message });
+  }
+  const accessToken = randomBytes(24).toString('base64url');
+  accessTokens.add(accessToken);
+  json(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 3600, scope: p.get('scope') });
+}
+
+function score(req, res, body, lineItemId) {
+  const bearer = req.headers.authorization?.replace(/^Bearer /, '');
+  if (!bearer || !accessTokens.has(bearer)) return json(res, 401, { error: 'unauthorized' });
+  if (req.headers['content-type'] !== 'application/vnd.ims.lis.v1.score+json') {
+    return json(res, 415, { error: 'content-type' });
+  }
+  if (failuresLeft > 0) {
+    failuresLeft -= 1;
+    console.log(`score for ${lineItemId} → 500 (failing on purpose)`);
+    return json(res, 500, { error: 'mock failure' });
+  }
+  const s = JSON.parse(body);
+  const learner = Object.values(USERS).find((u) => u.sub === s.userId);
+  console.log(
+    `score for ${lineItemId}: ${learner?.name ?? s.userId} ${s.scoreGiven}/${s.scoreMaximum} ` +
+      `${s.activityProgress}/${s.gradingProgress} at ${s.timestamp}`,
+  );
+  json(res, 200, {});
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url ?? '/', issuer);
+  const body = req.method === 'POST' ? await readBody(req) : '';
+  try {
+    if (req.method === 'GET' && url.pathname === '/') return index(res);
+    if (req.method === 'GET' && url.pathname === '/jwks') return json(res, 200, platformJwks);
+    if (req.method === 'GET' && url.pathname === '/launch') return startLaunch(res, url);
+    if (url.pathname === '/auth') return authorize(res, url);
+    if (req.method === 'POST' && url.pathname === '/deep-link-return') return await deepLinkReturn(res, body);
+    if (req.method === 'POST' && url.pathname === '/token') return await token(res, body);
+    const scoreMatch = url.pathname.match(/^\/lineitems\/([^/]+)\/scores$/);
+    if (req.method === 'POST' && scoreMatch) return score(req, res, body, scoreMatch[1]);
+    json(res, 404, { error: 'not found' });
+  } catch (err) {
+    console.error(err);
+    json(res, 500, { error: err.message });
+  }
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Mock LMS on ${issuer}/ — register it at ${tool}/admin/lti with:`);
+  console.log(`  Issuer            ${issuer}`);
+  console.log(`  Client ID         ${clientId}`);
+  console.log(`  Deployment IDs    ${deploymentId}`);
+  console.log(`  Authorization URL ${issuer}/auth`);
+  console.log(`  Token URL         ${issuer}/token`);
+  console.log(`  Key set URL       ${issuer}/jwks`);
+  if (failuresLeft) console.log(`Failing the first ${failuresLeft} score post(s).`);
+});
+
+process.on('SIGINT', () => {
+  server.close();
+  process.exit(0);
+});
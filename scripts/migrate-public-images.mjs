@@ -193,6 +193,9 @@ async function rewriteRows(rowsWithRefs, mapping) {
     update.options_rendered     = null;
     update.rendered_source_hash = null;
     update.rendered_at          = null;
+    // Recorded as one question_revisions row per question
+    // (migration 20261019230000).
+    update.revision_context     = { source: 'batch_script', note: 'migrate-public-images' };
 
     if (dryRun) {
       console.log(`[dry-run] would update row ${row.id} (fields: ${Object.keys(update).filter(k => !k.startsWith('rendered') && k !== 'rendered_at' && k !== 'rendered_source_hash').join(',')})`);
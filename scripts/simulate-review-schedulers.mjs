@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Review-scheduler simulator. Replays the review history in review_log
+// through SM-2-lite and FSRS (default and per-student fitted weights)
+// and reports predicted-vs-actual recall for each — the evidence for
+// whether FSRS should replace SM-2-lite, before flipping the
+// review_scheduler_fsrs flag. The replay and the metrics live in
+// lib/review/simulate.ts; this script only loads the log and prints.
+//
+// Usage:
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+//     node scripts/simulate-review-schedulers.mjs [--item-type=question] [--bins]
+//
+//   --item-type  restrict to one review_queue item type
+//   --bins       also print each scheduler's calibration table
+//
+// Needs a Node that runs .ts directly (the same one `npm run
+// test:unit` uses): the script imports the scheduler source so the
+// simulation can never drift from what the queue runs.
+//
+// The script is READ-ONLY. It connects with the service-role key so it
+// can see every student's review history without RLS filtering.
+//
+// Output: one row per scheduler — log loss (lower is better), binned
+// calibration RMSE, mean predicted vs actual recall, mean interval.
+// Exits 0; 2 on setup errors.
+
+import { createClient } from '@supabase/supabase-js';
+import { simulateSchedulers } from '../lib/review/simulate.ts';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SERVICE_ROLE_KEY) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+  process.exit(2);
+}
+
+const args = process.argv.slice(2);
+const itemType = args.find((a) => a.startsWith('--item-type='))?.split('=')[1] ?? null;
+const showBins = args.includes('--bins');
+
+const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+  auth: { persistSession: false },
+});
+
+async function fetchLog() {
+  const pageSize = 1000;
+  const all = [];
+  let from = 0;
+  while (true) {
+    let q = supabase
+      .from('review_log')
+      .select('id, student_id, item_type, item_ref, result, reviewed_at')
+      .order('id');
+    if (itemType) q = q.eq('item_type', itemType);
+    const { data, error } = await q.range(from, from + pageSize - 1);
+    if (error) throw new Error(`fetch review_log: ${error.message}`);
+    if (!data || data.length === 0) break;
+    all.push(...data);
+    if (data.length < pageSize) break;
+    from += pageSize;
+  }
+  return all;
+}
+
+async function main() {
+  const rows = await fetchLog();
+  const report = simulateSchedulers(rows.map((r) => ({
+    studentId: r.student_id,
+    itemType: r.item_type,
+    itemRef: r.item_ref,
+    result: r.result,
+    reviewedAtIso: r.reviewed_at,
+  })));
+
+  console.log(
+    `${report.reviews} reviews, ${report.students} students `
+    + `(${report.fittedStudents} with enough history to fit), `
+    + `${report.scored} held-out predictions scored${itemType ? ` — item type ${itemType}` : ''}`,
+  );
+  const fmt = (x, digits = 3) => (Number.isFinite(x) ? x.toFixed(digits) : '—');
+  console.log('\nscheduler       n       log-loss  RMSE(bins)  predicted  actual  interval');
+  for (const r of report.schedulers) {
+    console.log(
+      `${r.scheduler.padEnd(14)}  ${String(r.n).padStart(6)}  ${fmt(r.logLoss).padStart(8)}  `
+      + `${fmt(r.rmseBins).padStart(10)}  ${fmt(r.meanPredicted).padStart(9)}  ${fmt(r.actualRecall).padStart(6)}  `
+      + `${fmt(r.meanIntervalDays, 1).padStart(7)}d`,
+    );
+  }
+
+  if (showBins) {
+    for (const r of report.schedulers) {
+      console.log(`\n${r.scheduler}: predicted-recall bin → n, mean predicted, actual`);
+      for (const b of r.bins) {
+        if (b.n === 0) continue;
+        console.log(`  ${b.lo.toFixed(1)}–${b.hi.toFixed(1)}  ${String(b.n).padStart(6)}  ${fmt(b.predicted)}  ${fmt(b.actual)}`);
+      }
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(2);
+});
@@ -0,0 +1,112 @@
+-- School seat invitation verification (20261019370000).
+--
+-- Run the WHOLE file as ONE statement batch against studyworks-dev
+-- (Supabase MCP execute_sql, or psql -f). It is fully transactional:
+-- every mutation rolls back at the end, and the final SELECT reports
+-- each check as pass/fail. Expected: every row has pass = true.
+--
+-- Personas come from the seeded fixtures: a teacher who runs a
+-- two-seat school, a student they invite, and an admin account the
+-- teacher tries to probe. Claims carry the email, as real tokens do,
+-- because the invitee is matched on it.
+
+begin;
+
+create temp table os_checks(
+  ts timestamptz default clock_timestamp(),
+  name text,
+  pass boolean,
+  note text
+);
+grant select, insert on os_checks to authenticated;
+
+create function pg_temp.become(p_sub uuid, p_role text)
+returns void language plpgsql as $fn$
+begin
+  perform set_config('request.jwt.claims', json_build_object(
+    'sub', p_sub,
+    'role', 'authenticated',
+    'email', (select email from auth.users where id = p_sub),
+    'app_metadata', json_build_object('role', p_role, 'is_demo', false)
+  )::text, true);
+  perform set_config('role', 'authenticated', true);
+end;
+$fn$;
+
+do $$
+declare
+  v_teacher uuid;
+  v_student uuid;
+  v_student_email text;
+  v_admin_email text;
+  v_org uuid;
+  v_invite uuid;
+  r text;
+  b boolean;
+  n int;
+begin
+  select id into strict v_teacher from public.profiles where role = 'teacher' order by id limit 1;
+  select p.id, lower(u.email) into strict v_student, v_student_email
+    from public.profiles p join auth.users u on u.id = p.id
+   where p.role = 'student' and coalesce(p.is_active, true)
+     and not exists (select 1 from public.organization_seats s
+                      where s.user_id = p.id and s.released_at is null)
+   order by p.id limit 1;
+  select lower(u.email) into strict v_admin_email
+    from public.profiles p join auth.users u on u.id = p.id
+   where p.role = 'admin' order by p.id limit 1;
+
+  insert into public.organizations (name, status, seat_quantity, created_by)
+    values ('Seat invite check', 'active', 2, v_teacher)
+    returning id into v_org;
+  insert into public.organization_admins (organization_id, user_id) values (v_org, v_teacher);
+
+  -- ══ org admin: one answer for every address ══
+  perform pg_temp.become(v_teacher, 'teacher');
+
+  r := public.invite_org_seat(v_org, v_admin_email);
+  insert into os_checks(name, pass, note) values ('staff address gets the generic answer', r = 'invited', r);
+  r := public.invite_org_seat(v_org, 'nobody-' || gen_random_uuid() || '@example.com');
+  insert into os_checks(name, pass, note) values ('unknown address gets the generic answer', r = 'invited', r);
+  r := public.invite_org_seat(v_org, 'one-more@example.com');
+  insert into os_checks(name, pass, note) values ('pending invitations hold seats', r = 'full', r);
+
+  select count(*) into n from public.organization_seats where organization_id = v_org;
+  insert into os_checks(name, pass, note) values ('inviting seats nobody', n = 0, 'seats ' || n);
+
+  b := public.has_org_seat(v_student);
+  insert into os_checks(name, pass, note) values ('has_org_seat is false for someone else', b is false, b::text);
+
+  -- Withdrawing frees the held seats.
+  perform public.revoke_org_seat_invite(i.id) from public.organization_seat_invites i
+   where i.organization_id = v_org and i.status = 'pending';
+  r := public.invite_org_seat(v_org, v_student_email);
+  insert into os_checks(name, pass, note) values ('withdrawing frees the seats', r = 'invited', r);
+  select id into v_invite from public.organization_seat_invites
+   where organization_id = v_org and email = v_student_email and status = 'pending';
+
+  -- ══ a different user can't take the invitation ══
+  begin
+    perform public.accept_org_seat_invite(v_invite);
+    insert into os_checks(name, pass, note) values ('only the addressee can accept', false, 'accept succeeded');
+  exception when others then
+    insert into os_checks(name, pass) values ('only the addressee can accept', true);
+  end;
+
+  -- ══ the invitee sees it and accepts ══
+  perform pg_temp.become(v_student, 'student');
+  select count(*) into n from public.organization_seat_invites where id = v_invite;
+  insert into os_checks(name, pass, note) values ('invitee can read their invitation', n = 1, 'rows ' || n);
+  select count(*) into n from public.organizations where id = v_org;
+  insert into os_checks(name, pass, note) values ('invitee can read the school name', n = 1, 'rows ' || n);
+
+  r := public.accept_org_seat_invite(v_invite);
+  insert into os_checks(name, pass, note) values ('invitee accepts', r = 'accepted', r);
+  b := public.has_org_seat(v_student);
+  insert into os_checks(name, pass, note) values ('has_org_seat answers for the caller', b is true, b::text);
+end;
+$$;
+
+select name, pass, note from os_checks order by ts;
+
+rollback;
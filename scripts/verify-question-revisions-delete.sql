@@ -0,0 +1,105 @@
+-- question_revisions delete-path verification (20261019340000).
+--
+-- Run the WHOLE file as ONE statement batch against studyworks-dev
+-- (Supabase MCP execute_sql, or psql -f). It is fully transactional:
+-- every mutation rolls back at the end, and the final SELECT reports
+-- each check as pass/fail. Expected: every row has pass = true.
+--
+-- Covers the two `on delete set null` paths into the append-only
+-- table — deleting a revision's author, and deleting a question whose
+-- revisions point at each other through restored_from — and that the
+-- immutability guard still refuses a real edit.
+
+begin;
+
+create temp table qr_checks(
+  ts timestamptz default clock_timestamp(),
+  name text,
+  pass boolean,
+  note text
+);
+
+do $$
+declare
+  v_author uuid := gen_random_uuid();
+  v_question uuid;
+  v_rev1 uuid;
+  v_rev uuid;
+  n int;
+begin
+  insert into auth.users (
+    id, instance_id, aud, role, email, encrypted_password,
+    email_confirmed_at, created_at, updated_at,
+    raw_app_meta_data, raw_user_meta_data, is_sso_user, is_anonymous
+  ) values (
+    v_author, '00000000-0000-0000-0000-000000000000', 'authenticated', 'authenticated',
+    'qrev-author-' || v_author || '@test.studyworks', 'x', now(), now(), now(),
+    '{"role":"teacher"}'::jsonb, '{}'::jsonb, false, false
+  );
+  insert into public.profiles (id, role, email, first_name, last_name, is_active)
+    values (v_author, 'teacher', 'qrev-author-' || v_author || '@test.studyworks', 'Rev', 'Author', true)
+    on conflict (id) do nothing;
+
+  -- A question with three revisions: created, edited by v_author, and
+  -- rolled back to revision 1.
+  insert into public.questions_v2 (
+    question_type, stem_html, correct_answer, domain_code, skill_code,
+    difficulty, score_band, source, is_published, revision_context
+  ) values (
+    'spr', '<p>qrev check</p>', '"4"'::jsonb, 'INI', 'CID',
+    1, 1, 'custom', false, '{"source": "manual"}'
+  )
+    returning id, current_revision_id into v_question, v_rev1;
+  update public.questions_v2
+    set stem_html = '<p>qrev check, edited</p>',
+        revision_context = jsonb_build_object('source', 'manual', 'author_id', v_author)
+    where id = v_question;
+  update public.questions_v2
+    set stem_html = '<p>qrev check</p>',
+        revision_context = jsonb_build_object('source', 'rollback', 'restored_from', v_rev1)
+    where id = v_question
+    returning current_revision_id into v_rev;
+
+  select count(*) into n from public.question_revisions where question_id = v_question;
+  insert into qr_checks(name, pass, note) values ('fixture has three revisions', n = 3, 'saw ' || n);
+
+  -- ══ a real edit is still refused ══
+  begin
+    update public.question_revisions set stem_html = '<p>tampered</p>' where id = v_rev1;
+    insert into qr_checks(name, pass, note) values ('content update is refused', false, 'update succeeded');
+  exception when others then
+    insert into qr_checks(name, pass) values ('content update is refused', true);
+  end;
+
+  begin
+    update public.question_revisions set author_id = v_author where id = v_rev1;
+    insert into qr_checks(name, pass, note) values ('setting an author is refused', false, 'update succeeded');
+  exception when others then
+    insert into qr_checks(name, pass) values ('setting an author is refused', true);
+  end;
+
+  -- ══ deleting the author nulls author_id ══
+  begin
+    delete from public.profiles where id = v_author;
+    select count(*) into n from public.question_revisions
+      where question_id = v_question and author_id is null;
+    insert into qr_checks(name, pass, note)
+      values ('deleting an author keeps their revisions, unattributed', n = 3, 'null authors ' || n);
+  exception when others then
+    insert into qr_checks(name, pass, note) values ('deleting an author keeps their revisions, unattributed', false, sqlerrm);
+  end;
+
+  -- ══ deleting the question takes its self-referencing revisions ══
+  begin
+    delete from public.questions_v2 where id = v_question;
+    select count(*) into n from public.question_revisions where question_id = v_question;
+    insert into qr_checks(name, pass, note) values ('deleting a rolled-back question removes its revisions', n = 0, 'left ' || n);
+  exception when others then
+    insert into qr_checks(name, pass, note) values ('deleting a rolled-back question removes its revisions', false, sqlerrm);
+  end;
+end;
+$$;
+
+select name, pass, note from qr_checks order by ts;
+
+rollback;
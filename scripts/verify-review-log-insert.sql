@@ -0,0 +1,120 @@
+-- review_log insert-policy verification (20261019400000).
+--
+-- Run the WHOLE file as ONE statement batch against studyworks-dev
+-- (Supabase MCP execute_sql, or psql -f). It is fully transactional:
+-- every mutation rolls back at the end, and the final SELECT reports
+-- each check as pass/fail. Expected: every row has pass = true.
+--
+-- A seeded student answers one question wrong (inserted as the
+-- owner, the way submitAnswer's insert lands), then logs the review
+-- through record_review(). Covers: the real review logs once, a
+-- second log for the same attempt, a result that contradicts the
+-- attempt, an unanswered question and a row for another student are
+-- all refused, and a refused log leaves the queue untouched.
+
+begin;
+
+create temp table rl_checks(
+  ts timestamptz default clock_timestamp(),
+  name text,
+  pass boolean,
+  note text
+);
+grant select, insert on rl_checks to authenticated;
+
+create function pg_temp.become(p_sub uuid, p_role text)
+returns void language plpgsql as $fn$
+begin
+  perform set_config('request.jwt.claims', json_build_object(
+    'sub', p_sub,
+    'role', 'authenticated',
+    'app_metadata', json_build_object('role', p_role, 'is_demo', false)
+  )::text, true);
+  perform set_config('role', 'authenticated', true);
+end;
+$fn$;
+
+do $$
+declare
+  v_student uuid;
+  v_other uuid;
+  v_answered uuid;
+  v_unanswered uuid;
+  n int;
+begin
+  select id into strict v_student from public.profiles
+    where role = 'student' and coalesce(is_demo, false) = false order by id limit 1;
+  select id into strict v_other from public.profiles
+    where role = 'student' and id <> v_student order by id limit 1;
+  select id into strict v_answered from public.questions_v2
+    where deleted_at is null order by id limit 1;
+  select id into strict v_unanswered from public.questions_v2 q
+    where q.deleted_at is null and q.id <> v_answered
+      and not exists (select 1 from public.attempts a where a.user_id = v_student and a.question_id = q.id)
+    order by id limit 1;
+
+  delete from public.review_log where student_id = v_student and item_ref in (v_answered::text, v_unanswered::text);
+  delete from public.review_queue where student_id = v_student and item_ref in (v_answered::text, v_unanswered::text);
+  insert into public.attempts (user_id, question_id, is_correct, source)
+    values (v_student, v_answered, false, 'practice');
+
+  perform pg_temp.become(v_student, 'student');
+
+  -- ══ the real review ══
+  begin
+    perform public.record_review('question', v_answered::text, 'again', now(), 'sm2_lite',
+                                 now() + interval '1 day', 1, 2.3, 1);
+    select count(*) into n from public.review_log where student_id = v_student and item_ref = v_answered::text;
+    insert into rl_checks(name, pass, note) values ('a real review logs', n = 1, 'rows ' || n);
+  exception when others then
+    insert into rl_checks(name, pass, note) values ('a real review logs', false, sqlerrm);
+  end;
+
+  -- ══ fabricated reviews ══
+  begin
+    perform public.record_review('question', v_answered::text, 'again', now(), 'sm2_lite',
+                                 now() + interval '1 day', 1, 2.3, 1);
+    insert into rl_checks(name, pass, note) values ('one attempt backs one log row', false, 'second log accepted');
+  exception when others then
+    insert into rl_checks(name, pass) values ('one attempt backs one log row', true);
+  end;
+
+  begin
+    perform public.record_review('question', v_answered::text, 'easy', now(), 'sm2_lite',
+                                 now() + interval '30 days', 30, 2.5, 0);
+    insert into rl_checks(name, pass, note) values ('a result that contradicts the attempt is refused', false, 'log accepted');
+  exception when others then
+    insert into rl_checks(name, pass) values ('a result that contradicts the attempt is refused', true);
+  end;
+
+  begin
+    perform public.record_review('question', v_unanswered::text, 'easy', now(), 'sm2_lite',
+                                 now() + interval '30 days', 30, 2.5, 0);
+    insert into rl_checks(name, pass, note) values ('an unanswered question is refused', false, 'log accepted');
+  exception when others then
+    insert into rl_checks(name, pass) values ('an unanswered question is refused', true);
+  end;
+  select count(*) into n from public.review_queue where student_id = v_student and item_ref = v_unanswered::text;
+  insert into rl_checks(name, pass, note) values ('a refused log leaves the queue untouched', n = 0, 'rows ' || n);
+
+  begin
+    insert into public.review_log (student_id, item_type, item_ref, result, reviewed_at, scheduler, interval_days)
+      values (v_other, 'question', v_answered::text, 'again', now(), 'sm2_lite', 1);
+    insert into rl_checks(name, pass, note) values ('another student''s log is refused', false, 'insert succeeded');
+  exception when others then
+    insert into rl_checks(name, pass) values ('another student''s log is refused', true);
+  end;
+
+  begin
+    insert into public.review_log (student_id, item_type, item_ref, result, reviewed_at, scheduler, interval_days)
+      values (v_student, 'skill', 'H.1', 'good', now(), 'sm2_lite', 3);
+    insert into rl_checks(name, pass, note) values ('skill logs have no client writer', false, 'insert succeeded');
+  exception when others then
+    insert into rl_checks(name, pass) values ('skill logs have no client writer', true);
+  end;
+end;
+$$;
+
+select name, pass, note from rl_checks order by ts;
+
+rollback;
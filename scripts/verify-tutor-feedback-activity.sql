@@ -0,0 +1,97 @@
+-- tutor_feedback activity-stamp verification (20261019390000).
+--
+-- Run the WHOLE file as ONE statement batch against studyworks-dev
+-- (Supabase MCP execute_sql, or psql -f). It is fully transactional:
+-- every mutation rolls back at the end, and the final SELECT reports
+-- each check as pass/fail. Expected: every row has pass = true.
+--
+-- Uses the first seeded manager_teacher_assignments pair. Covers:
+-- neither participant can rewrite last_activity_at / last_activity_by
+-- or created_at, acknowledging still works, and a reply still bumps
+-- the stamps through the definer trigger.
+
+begin;
+
+create temp table tf_checks(
+  ts timestamptz default clock_timestamp(),
+  name text,
+  pass boolean,
+  note text
+);
+grant select, insert on tf_checks to authenticated;
+
+create function pg_temp.become(p_sub uuid, p_role text)
+returns void language plpgsql as $fn$
+begin
+  perform set_config('request.jwt.claims', json_build_object(
+    'sub', p_sub,
+    'role', 'authenticated',
+    'app_metadata', json_build_object('role', p_role, 'is_demo', false)
+  )::text, true);
+  perform set_config('role', 'authenticated', true);
+end;
+$fn$;
+
+do $$
+declare
+  v_manager uuid;
+  v_teacher uuid;
+  v_thread uuid;
+  v_by uuid;
+  v_ack timestamptz;
+begin
+  select manager_id, teacher_id into strict v_manager, v_teacher
+    from public.manager_teacher_assignments order by manager_id, teacher_id limit 1;
+
+  -- ══ manager opens a thread ══
+  perform pg_temp.become(v_manager, 'manager');
+  insert into public.tutor_feedback (manager_id, teacher_id, body)
+    values (v_manager, v_teacher, 'Activity guard check')
+    returning id into v_thread;
+
+  begin
+    update public.tutor_feedback set last_activity_by = v_teacher where id = v_thread;
+    insert into tf_checks(name, pass, note) values ('manager can''t restamp last_activity_by', false, 'update succeeded');
+  exception when others then
+    insert into tf_checks(name, pass) values ('manager can''t restamp last_activity_by', true);
+  end;
+
+  -- ══ the tutor ══
+  perform pg_temp.become(v_teacher, 'teacher');
+
+  begin
+    update public.tutor_feedback set last_activity_at = now() - interval '30 days' where id = v_thread;
+    insert into tf_checks(name, pass, note) values ('tutor can''t back-date last_activity_at', false, 'update succeeded');
+  exception when others then
+    insert into tf_checks(name, pass) values ('tutor can''t back-date last_activity_at', true);
+  end;
+
+  begin
+    update public.tutor_feedback set created_at = now() - interval '30 days' where id = v_thread;
+    insert into tf_checks(name, pass, note) values ('tutor can''t rewrite created_at', false, 'update succeeded');
+  exception when others then
+    insert into tf_checks(name, pass) values ('tutor can''t rewrite created_at', true);
+  end;
+
+  begin
+    update public.tutor_feedback set acknowledged_at = now() where id = v_thread
+      returning acknowledged_at into v_ack;
+    insert into tf_checks(name, pass, note) values ('tutor can still acknowledge', v_ack is not null, coalesce(v_ack::text, 'null'));
+  exception when others then
+    insert into tf_checks(name, pass, note) values ('tutor can still acknowledge', false, sqlerrm);
+  end;
+
+  begin
+    insert into public.tutor_feedback_replies (feedback_id, author_id, body)
+      values (v_thread, v_teacher, 'Thanks');
+    select last_activity_by into v_by from public.tutor_feedback where id = v_thread;
+    insert into tf_checks(name, pass, note) values ('a reply still bumps the thread', v_by = v_teacher, coalesce(v_by::text, 'null'));
+  exception when others then
+    insert into tf_checks(name, pass, note) values ('a reply still bumps the thread', false, sqlerrm);
+  end;
+end;
+$$;
+
+select name, pass, note from tf_checks order by ts;
+
+rollback;
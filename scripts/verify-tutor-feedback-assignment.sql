@@ -0,0 +1,98 @@
+-- tutor_feedback manager-assignment verification (20261019440000).
+--
+-- Run the WHOLE file as ONE statement batch against studyworks-dev
+-- (Supabase MCP execute_sql, or psql -f). It is fully transactional:
+-- every mutation rolls back at the end, and the final SELECT reports
+-- each check as pass/fail. Expected: every row has pass = true.
+--
+-- Uses the first seeded manager_teacher_assignments pair. The manager
+-- opens a thread and the tutor replies; then the assignment is
+-- removed. Covers: the unassigned manager can no longer read the
+-- thread or its replies, edit it, reply or delete it, and the tutor
+-- still sees it.
+
+begin;
+
+create temp table fa_checks(
+  ts timestamptz default clock_timestamp(),
+  name text,
+  pass boolean,
+  note text
+);
+grant select, insert on fa_checks to authenticated;
+
+create function pg_temp.become(p_sub uuid, p_role text)
+returns void language plpgsql as $fn$
+begin
+  perform set_config('request.jwt.claims', json_build_object(
+    'sub', p_sub,
+    'role', 'authenticated',
+    'app_metadata', json_build_object('role', p_role, 'is_demo', false)
+  )::text, true);
+  perform set_config('role', 'authenticated', true);
+end;
+$fn$;
+
+do $$
+declare
+  v_manager uuid;
+  v_teacher uuid;
+  v_thread uuid;
+  n int;
+begin
+  select manager_id, teacher_id into strict v_manager, v_teacher
+    from public.manager_teacher_assignments order by manager_id, teacher_id limit 1;
+
+  -- ══ while assigned ══
+  perform pg_temp.become(v_manager, 'manager');
+  insert into public.tutor_feedback (manager_id, teacher_id, body)
+    values (v_manager, v_teacher, 'Assignment check')
+    returning id into v_thread;
+
+  perform pg_temp.become(v_teacher, 'teacher');
+  insert into public.tutor_feedback_replies (feedback_id, author_id, body)
+    values (v_thread, v_teacher, 'Will do');
+
+  perform pg_temp.become(v_manager, 'manager');
+  select count(*) into n from public.tutor_feedback where id = v_thread;
+  insert into fa_checks(name, pass, note) values ('assigned manager reads the thread', n = 1, 'rows ' || n);
+
+  -- ══ unassign ══
+  perform set_config('role', 'none', true);
+  delete from public.manager_teacher_assignments
+   where manager_id = v_manager and teacher_id = v_teacher;
+
+  perform pg_temp.become(v_manager, 'manager');
+
+  select count(*) into n from public.tutor_feedback where id = v_thread;
+  insert into fa_checks(name, pass, note) values ('unassigned manager can''t read the thread', n = 0, 'rows ' || n);
+
+  select count(*) into n from public.tutor_feedback_replies where feedback_id = v_thread;
+  insert into fa_checks(name, pass, note) values ('unassigned manager can''t read the replies', n = 0, 'rows ' || n);
+
+  begin
+    insert into public.tutor_feedback_replies (feedback_id, author_id, body)
+      values (v_thread, v_manager, 'Following up');
+    insert into fa_checks(name, pass, note) values ('unassigned manager can''t reply', false, 'insert succeeded');
+  exception when others then
+    insert into fa_checks(name, pass) values ('unassigned manager can''t reply', true);
+  end;
+
+  update public.tutor_feedback set status = 'resolved' where id = v_thread;
+  get diagnostics n = row_count;
+  insert into fa_checks(name, pass, note) values ('unassigned manager can''t edit the thread', n = 0, 'rows ' || n);
+
+  delete from public.tutor_feedback where id = v_thread;
+  get diagnostics n = row_count;
+  insert into fa_checks(name, pass, note) values ('unassigned manager can''t delete the thread', n = 0, 'rows ' || n);
+
+  -- ══ the tutor ══
+  perform pg_temp.become(v_teacher, 'teacher');
+  select count(*) into n from public.tutor_feedback where id = v_thread;
+  insert into fa_checks(name, pass, note) values ('the tutor still reads the thread', n = 1, 'rows ' || n);
+end;
+$$;
+
+select name, pass, note from fa_checks order by ts;
+
+rollback;
@@ -0,0 +1,138 @@
+-- weekly_digest_recipients write-surface verification (20261019360000).
+--
+-- Run the WHOLE file as ONE statement batch against studyworks-dev
+-- (Supabase MCP execute_sql, or psql -f). It is fully transactional:
+-- every mutation rolls back at the end, and the final SELECT reports
+-- each check as pass/fail. Expected: every row has pass = true.
+--
+-- Runs as a seeded student managing their own digest list (can_view
+-- on themself). Covers: only unsubscribed_at is client-updatable, the
+-- confirmation columns can't be written or the token read, a
+-- 'student' row must carry the student's own email and confirms
+-- itself, and a parent row starts unconfirmed.
+
+begin;
+
+create temp table wd_checks(
+  ts timestamptz default clock_timestamp(),
+  name text,
+  pass boolean,
+  note text
+);
+grant select, insert on wd_checks to authenticated;
+
+create function pg_temp.become(p_sub uuid, p_role text)
+returns void language plpgsql as $fn$
+begin
+  perform set_config('request.jwt.claims', json_build_object(
+    'sub', p_sub,
+    'role', 'authenticated',
+    'app_metadata', json_build_object('role', p_role, 'is_demo', false)
+  )::text, true);
+  perform set_config('role', 'authenticated', true);
+end;
+$fn$;
+
+do $$
+declare
+  v_student uuid;
+  v_email text;
+  v_own uuid;
+  v_parent uuid;
+  v_confirmed timestamptz;
+begin
+  select id, lower(email) into strict v_student, v_email from public.profiles
+    where role = 'student' and email is not null and coalesce(is_demo, false) = false
+    order by id limit 1;
+  delete from public.weekly_digest_recipients where student_id = v_student;
+
+  perform pg_temp.become(v_student, 'student');
+
+  -- ══ inserts ══
+  begin
+    insert into public.weekly_digest_recipients (student_id, email, relationship, added_by)
+      values (v_student, v_email, 'student', v_student)
+      returning id into v_own;
+    select confirmed_at into v_confirmed from public.weekly_digest_recipients where id = v_own;
+    insert into wd_checks(name, pass, note)
+      values ('own student row confirms itself', v_confirmed is not null, coalesce(v_confirmed::text, 'null'));
+  exception when others then
+    insert into wd_checks(name, pass, note) values ('own student row confirms itself', false, sqlerrm);
+  end;
+
+  begin
+    insert into public.weekly_digest_recipients (student_id, email, relationship, added_by)
+      values (v_student, 'someone-else@example.com', 'student', v_student);
+    insert into wd_checks(name, pass, note) values ('student row with a foreign email is refused', false, 'insert succeeded');
+  exception when others then
+    insert into wd_checks(name, pass) values ('student row with a foreign email is refused', true);
+  end;
+
+  begin
+    insert into public.weekly_digest_recipients (student_id, email, relationship, added_by)
+      values (v_student, 'wd-parent@example.com', 'parent', v_student)
+      returning id into v_parent;
+    select confirmed_at into v_confirmed from public.weekly_digest_recipients where id = v_parent;
+    insert into wd_checks(name, pass, note)
+      values ('parent row starts unconfirmed', v_confirmed is null, coalesce(v_confirmed::text, 'null'));
+  exception when others then
+    insert into wd_checks(name, pass, note) values ('parent row starts unconfirmed', false, sqlerrm);
+  end;
+
+  begin
+    insert into public.weekly_digest_recipients (student_id, email, relationship, added_by, confirmed_at)
+      values (v_student, 'wd-self-confirmed@example.com', 'parent', v_student, now());
+    insert into wd_checks(name, pass, note) values ('inserting confirmed_at is refused', false, 'insert succeeded');
+  exception when others then
+    insert into wd_checks(name, pass) values ('inserting confirmed_at is refused', true);
+  end;
+
+  -- ══ updates ══
+  begin
+    update public.weekly_digest_recipients set unsubscribed_at = now() where id = v_parent;
+    insert into wd_checks(name, pass) values ('pausing an address is allowed', found);
+  exception when others then
+    insert into wd_checks(name, pass, note) values ('pausing an address is allowed', false, sqlerrm);
+  end;
+
+  begin
+    update public.weekly_digest_recipients set email = 'wd-swapped@example.com' where id = v_parent;
+    insert into wd_checks(name, pass, note) values ('rewriting email is refused', false, 'update succeeded');
+  exception when others then
+    insert into wd_checks(name, pass) values ('rewriting email is refused', true);
+  end;
+
+  begin
+    update public.weekly_digest_recipients set relationship = 'student' where id = v_parent;
+    insert into wd_checks(name, pass, note) values ('relabelling relationship is refused', false, 'update succeeded');
+  exception when others then
+    insert into wd_checks(name, pass) values ('relabelling relationship is refused', true);
+  end;
+
+  begin
+    update public.weekly_digest_recipients set unsubscribe_token = gen_random_uuid() where id = v_parent;
+    insert into wd_checks(name, pass, note) values ('resetting unsubscribe_token is refused', false, 'update succeeded');
+  exception when others then
+    insert into wd_checks(name, pass) values ('resetting unsubscribe_token is refused', true);
+  end;
+
+  begin
+    update public.weekly_digest_recipients set confirmed_at = now() where id = v_parent;
+    insert into wd_checks(name, pass, note) values ('self-confirming is refused', false, 'update succeeded');
+  exception when others then
+    insert into wd_checks(name, pass) values ('self-confirming is refused', true);
+  end;
+
+  -- ══ the confirmation token stays server-side ══
+  begin
+    perform confirm_token from public.weekly_digest_recipients where id = v_parent;
+    insert into wd_checks(name, pass, note) values ('confirm_token is not readable', false, 'select succeeded');
+  exception when others then
+    insert into wd_checks(name, pass) values ('confirm_token is not readable', true);
+  end;
+end;
+$$;
+
+select name, pass, note from wd_checks order by ts;
+
+rollback;
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Local webhook receiver for testing outbound webhook subscriptions
+// end to end. Listens on localhost, verifies each request's
+// x-studyworks-signature against the subscription secret, and prints
+// the event — or, with --fail, answers 500 to the first N requests so
+// the retry path and the dead-letter list can be exercised.
+//
+// Usage:
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.mjs [--port=4000] [--fail=N]
+//
+//   --port  port to listen on (default 4000)
+//   --fail  answer 500 to the first N requests, then 200
+//
+// Then, in a dev build (plain http is only accepted for localhost
+// outside production), create a subscription at /admin/webhooks with
+// URL http://localhost:4000/hooks and paste WEBHOOK_SECRET as its
+// signing secret. Trigger an event (finish a practice set, or POST
+// /api/cron/mastery-snapshot as an admin) and watch it arrive; hit
+// /api/cron/webhooks to push retries without waiting for the cron.
+//
+// Needs a Node that runs .ts directly (the same one `npm run
+// test:unit` uses): verification imports lib/webhooks/events.ts so it
+// can never drift from the signer.
+//
+// Exits 0 on Ctrl-C; 2 on setup errors.
+
+import { createServer } from 'node:http';
+import { SIGNATURE_HEADER, verifyWebhookSignature } from '../lib/webhooks/events.ts';
+
+function arg(name, fallback) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.slice(name.length + 3) : fallback;
+}
+
+const secret = process.env.WEBHOOK_SECRET;
+const port = Number(arg('port', '4000'));
+let failuresLeft = Number(arg('fail', '0'));
+
+if (!secret) {
+  console.error('Set WEBHOOK_SECRET to the subscription\'s signing secret.');
+  process.exit(2);
+}
+if (!Number.isInteger(port) || !Number.isInteger(failuresLeft)) {
+  console.error('--port and --fail take integers.');
+  process.exit(2);
+}
+
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const verified = verifyWebhookSignature(secret, body, req.headers[SIGNATURE_HEADER]);
+    const event = req.headers['x-studyworks-event'] ?? '?';
+    const delivery = req.headers['x-studyworks-delivery'] ?? '?';
+
+    let status = verified ? 200 : 401;
+    if (verified && failuresLeft > 0) {
+      failuresLeft -= 1;
+      status = 500;
+    }
+
+    console.log(
+      `${new Date().toISOString()} ${req.method} ${req.url} ${event} delivery=${delivery} ` +
+        `signature=${verified ? 'ok' : 'INVALID'} → ${status}`,
+    );
+    if (verified) {
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch {
+        console.log(body);
+      }
+    }
+
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ received: status === 200 }));
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Webhook receiver on http://localhost:${port}/hooks${failuresLeft ? ` (failing the first ${failuresLeft})` : ''}`);
+});
+process.on('SIGINT', () => server.close(() => process.exit(0)));
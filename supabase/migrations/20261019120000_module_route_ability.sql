@@ -0,0 +1,27 @@
+-- IRT ability estimate behind each module-2 routing decision.
+--
+-- finishModule now routes module 2 on the student's ability (θ)
+-- estimated from the module-1 response pattern
+-- (lib/practice-test/irt.ts) instead of the raw correct count alone,
+-- falling back to the raw threshold when module 1's items lack the
+-- difficulty / score-band labels the model needs. These columns are
+-- stamped on the MODULE-1 attempt when it closes, so a tutor asking
+-- "why the easy module with 16 right?" has the answer:
+--
+--   route_method  'irt' | 'threshold' — which router decided
+--   theta         posterior-mean ability (null under 'threshold')
+--   theta_se      its standard error (posterior SD)
+--
+-- All nullable: module-2 attempts, attempts routed before this
+-- change, and Bluebook imports (counts only) leave them null.
+
+alter table public.practice_test_module_attempts_v2
+  add column if not exists route_method text
+    check (route_method in ('irt', 'threshold')),
+  add column if not exists theta        numeric(6, 3),
+  add column if not exists theta_se     numeric(6, 3);
+
+comment on column public.practice_test_module_attempts_v2.route_method is
+  'Which router chose module 2 when this module-1 attempt closed: irt (ability estimate, lib/practice-test/irt.ts) or threshold (raw-correct fallback). Null on module-2 attempts and pre-IRT rows.';
+comment on column public.practice_test_module_attempts_v2.theta is
+  'EAP ability estimate from this module''s response pattern (logistic θ scale, 0 = average). Null unless route_method = irt.';
@@ -0,0 +1,198 @@
+-- =========================================================
+-- item_calibration — empirical IRT parameters per question
+-- =========================================================
+-- Item difficulty has so far been hand-labelled: a 1–3 `difficulty`
+-- plus College Board's 1–7 `score_band`. The calibration job
+-- (/api/cron/calibrate-items → lib/practice-test/calibration.ts)
+-- estimates each question's 3PL difficulty `b` and discrimination `a`
+-- from real student responses and writes them here, with the sample
+-- size they rest on and a flag when the empirical difficulty
+-- disagrees with the authored label.
+--
+-- Response population (item_calibration_responses below): the FIRST
+-- attempt per (student, question) — the same population item_stats
+-- and mastery use — from standalone practice and practice tests.
+-- Excluded:
+--   * hint-assisted first attempts (response_json.hints_used > 0):
+--     a hinted correct says little about the item's difficulty. The
+--     pair is dropped entirely rather than falling through to the
+--     student's second attempt, which is no longer a naive response.
+--   * review-queue attempts (source = 'review') — re-exposures by
+--     construction — and tutor training sessions (context_type =
+--     'training'), which are staff, not students.
+--
+-- Consumers read a row only when `reliable` (n_attempts at or above
+-- the job's MIN_CALIBRATION_N); below that the authored label wins:
+--   * masteryWeight (lib/mastery.ts) and its SQL twin, via the new
+--     three-argument public.mastery_weight overload below;
+--   * the weak-queue priority (lib/practice/weak-queue.js);
+--   * the admin question list (/admin/questions).
+--
+-- Scale: b and a are on the logistic θ scale of
+-- lib/practice-test/irt.ts (θ = 0 is the average student; the
+-- authored score band maps to b = (band − 4) × 0.5), so a calibrated
+-- b drops into the module-2 router unchanged.
+
+create table if not exists public.item_calibration (
+  question_id   uuid primary key references public.questions_v2(id) on delete cascade,
+  n_attempts    integer not null default 0,
+  n_correct     integer not null default 0,
+  p_value       numeric(4, 3),             -- proportion correct in the calibration sample
+  a             numeric(5, 3) not null,    -- discrimination (3PL slope)
+  b             numeric(5, 3) not null,    -- difficulty on the θ scale
+  authored_b    numeric(5, 3),             -- b implied by score_band / difficulty; NULL if unlabelled
+  reliable      boolean not null default false,
+  label_flag    text check (label_flag in ('harder_than_labeled', 'easier_than_labeled')),
+  calibrated_at timestamptz not null default now()
+);
+
+create index if not exists item_calibration_label_flag_idx
+  on public.item_calibration (label_flag)
+  where label_flag is not null;
+
+comment on table public.item_calibration is
+  'Empirical 3PL parameters per question from first, unhinted student '
+  'attempts. Written by /api/cron/calibrate-items; consumers use a row '
+  'only when reliable.';
+comment on column public.item_calibration.reliable is
+  'n_attempts >= MIN_CALIBRATION_N (lib/practice-test/calibration.ts). '
+  'Unreliable rows are kept for the sample-size readout but never '
+  'override the authored label.';
+comment on column public.item_calibration.label_flag is
+  'Set when a reliable b sits a full logit or more away from the b the '
+  'authored score band / difficulty implies. Review the label.';
+
+-- RLS: readable by every signed-in user, unlike item_stats. The
+-- mastery chain (get_skill_mastery_asof) runs SECURITY INVOKER and is
+-- called with student sessions too; a staff-only policy would make the
+-- left join come back empty there and a student's mastery would differ
+-- depending on who asked. A difficulty estimate carries no answer
+-- information or student PII. Admins write; the job runs with the
+-- service role.
+alter table public.item_calibration enable row level security;
+
+drop policy if exists item_calibration_select      on public.item_calibration;
+drop policy if exists item_calibration_admin_write on public.item_calibration;
+
+create policy item_calibration_select on public.item_calibration
+  for select to authenticated using (true);
+create policy item_calibration_admin_write on public.item_calibration
+  for all to public using (public.is_admin()) with check (public.is_admin());
+
+-- ── Response population for the job ────────────────────────────────
+-- One row per (student, question): the first attempt, unhinted, from
+-- practice or a practice test. SECURITY DEFINER + service_role only,
+-- like refresh_item_stats — it reads every student's attempts.
+create or replace function public.item_calibration_responses()
+returns table (user_id uuid, question_id uuid, is_correct boolean)
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  with fa as (
+    select distinct on (a.user_id, a.question_id)
+      a.user_id, a.question_id, a.is_correct,
+      coalesce(nullif(a.response_json->>'hints_used', '')::int, 0) > 0 as hint_assisted
+    from public.attempts a
+    join public.profiles p on p.id = a.user_id and p.role = 'student'
+    where a.source in ('practice', 'practice_test')
+      and (a.context_type is null or a.context_type <> 'training')
+    order by a.user_id, a.question_id, a.created_at asc
+  )
+  select fa.user_id, fa.question_id, fa.is_correct
+  from fa
+  join public.questions_v2 q on q.id = fa.question_id
+  where not fa.hint_assisted
+    and q.deleted_at is null
+  order by fa.question_id, fa.user_id;
+$$;
+
+revoke execute on function public.item_calibration_responses() from public;
+grant execute on function public.item_calibration_responses() to service_role;
+
+-- ── mastery_weight with a calibrated difficulty ────────────────────
+-- Three-argument overload: a non-null calibrated b replaces BOTH
+-- authored labels with the band / difficulty it implies, so a
+-- question students find much harder than labelled weighs like one.
+-- The mapping mirrors calibratedScoreBand / calibratedDifficulty in
+-- lib/practice-test/calibration.ts; masteryWeight in lib/mastery.ts
+-- takes the same optional third argument. Callers pass NULL unless
+-- the calibration row is reliable; NULL reproduces the two-argument
+-- weight exactly.
+create or replace function public.mastery_weight(
+  p_difficulty   integer,
+  p_score_band   integer,
+  p_calibrated_b double precision
+) returns double precision
+language sql
+immutable
+as $$
+  select case
+    when p_calibrated_b is null then public.mastery_weight(p_difficulty, p_score_band)
+    else public.mastery_weight(
+      case when p_calibrated_b < -0.5 then 1
+           when p_calibrated_b >  0.5 then 3
+           else 2 end,
+      -- floor(x + 0.5), not round(): round(double precision) breaks
+      -- ties to even, JS Math.round breaks them upward.
+      greatest(1, least(7, floor(p_calibrated_b / 0.5 + 4.5)::integer))
+    )
+  end;
+$$;
+
+-- ── get_skill_mastery_asof: weight on calibrated difficulty ────────
+-- Body from 20260718121000_hint_weighted_mastery.sql; the only change
+-- is the item_calibration join feeding the three-argument weight.
+-- compute_mastery_score (pinned by lib/mastery.fixtures.json) is
+-- untouched.
+create or replace function public.get_skill_mastery_asof(p_student uuid, p_asof date, p_test_type text default 'sat'::text)
+ returns table(test_type text, domain_code text, skill_code text, mastery integer, attempts_count integer, correct_count integer, avg_difficulty numeric)
+ language sql
+ stable
+ set search_path to 'public', 'pg_temp'
+as $function$
+  with first_attempts as (
+    select distinct on (a.question_id)
+      a.question_id, a.is_correct, a.created_at,
+      coalesce(nullif(a.response_json->>'hints_used', '')::int, 0) > 0 as hint_assisted
+    from public.attempts a
+    where a.user_id = p_student
+      and a.source = 'practice'
+      and a.created_at::date <= p_asof
+    order by a.question_id, a.created_at asc
+  ),
+  tax as (
+    select
+      q.domain_code, q.skill_code, q.difficulty,
+      fa.is_correct, fa.created_at, fa.hint_assisted,
+      public.mastery_weight(
+        q.difficulty, q.score_band,
+        case when ic.reliable then ic.b::double precision end
+      ) as w
+    from first_attempts fa
+    join public.questions_v2 q on q.id = fa.question_id
+    left join public.item_calibration ic on ic.question_id = fa.question_id
+    where q.domain_code is not null and q.skill_code is not null
+  ),
+  agg as (
+    select
+      domain_code, skill_code,
+      count(*)::integer                             as attempts_count,
+      count(*) filter (where is_correct)::integer   as correct_count,
+      sum(w)::double precision                      as weighted_total,
+      sum(w * case when hint_assisted then 0.5 else 1.0 end)
+        filter (where is_correct)::double precision as weighted_correct,
+      count(*) filter (where created_at::date >= p_asof - 13)::integer as recent_total,
+      count(*) filter (where created_at::date >= p_asof - 13 and is_correct)::integer as recent_correct,
+      avg(difficulty)::numeric                      as avg_difficulty
+    from tax
+    group by domain_code, skill_code
+  )
+  select
+    p_test_type, domain_code, skill_code,
+    public.compute_mastery_score(weighted_correct, weighted_total,
+                                 attempts_count, recent_total, recent_correct),
+    attempts_count, correct_count, round(avg_difficulty, 2)
+  from agg;
+$function$;
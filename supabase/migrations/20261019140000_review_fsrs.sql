@@ -0,0 +1,147 @@
+-- =========================================================
+-- FSRS scheduler for review_queue
+-- =========================================================
+-- review_queue has so far been scheduled by SM-2-lite alone
+-- (lib/review/schedule.ts): three outcomes, one ease per item, a fixed
+-- 30-day cap. This adds FSRS (lib/review/fsrs.ts) as a second
+-- scheduler, per student or per item type, with weights fitted to the
+-- student's own review history.
+--
+--   * review_queue gains the FSRS memory state (stability,
+--     difficulty) and the scheduler that last wrote the row. SM-2-lite
+--     columns stay valid either way, so an item can switch back.
+--   * review_log (new) is the review history the queue never kept:
+--     one row per review with its outcome and the interval it earned.
+--     The fitter and the offline simulator
+--     (scripts/simulate-review-schedulers.mjs) both read it. Question
+--     reviews before this migration are backfilled from `attempts`.
+--   * review_fsrs_params (new) holds each student's fitted weights,
+--     written by the weekly /api/cron/fit-review-scheduler once the
+--     student has MIN_FIT_REVIEWS predictions' worth of history.
+--   * Choosing: profiles.review_scheduler (per student, set from the
+--     tutor student page) wins; unset, the review_scheduler_fsrs flag
+--     lists the item types that default to FSRS (resolveScheduler in
+--     lib/review/schedule.ts). The flag starts 'off' — nothing changes
+--     until someone opts in.
+
+-- ── review_queue: FSRS state ───────────────────────────────────────
+alter table public.review_queue
+  add column if not exists scheduler  text not null default 'sm2_lite',
+  add column if not exists stability  numeric,
+  add column if not exists difficulty numeric;
+
+alter table public.review_queue drop constraint if exists review_queue_scheduler_check;
+alter table public.review_queue
+  add constraint review_queue_scheduler_check check (scheduler in ('sm2_lite', 'fsrs'));
+alter table public.review_queue drop constraint if exists review_queue_difficulty_check;
+alter table public.review_queue
+  add constraint review_queue_difficulty_check check (difficulty is null or (difficulty >= 1 and difficulty <= 10));
+
+comment on column public.review_queue.stability is
+  'FSRS stability in days (recall falls to 90% after this long). NULL '
+  'until FSRS first schedules the item; SM-2-lite writes clear it.';
+
+-- ── review_log ─────────────────────────────────────────────────────
+create table if not exists public.review_log (
+  id              uuid primary key default gen_random_uuid(),
+  student_id      uuid not null references auth.users(id) on delete cascade,
+  item_type       text not null check (item_type in ('question', 'skill', 'flashcard', 'vocab')),
+  item_ref        text not null,
+  result          text not null check (result in ('again', 'good', 'easy')),
+  reviewed_at     timestamptz not null,
+  scheduler       text not null check (scheduler in ('sm2_lite', 'fsrs')),
+  elapsed_days    numeric,          -- since the item's previous review; NULL on intake
+  interval_days   numeric not null, -- interval this review earned
+  retrievability  numeric(4, 3),    -- FSRS's recall prediction at review time; NULL under SM-2-lite
+  created_at      timestamptz not null default now()
+);
+
+comment on table public.review_log is
+  'Append-only review history behind review_queue: one row per '
+  'scheduled review. Feeds FSRS fitting and the scheduler simulator.';
+
+create index if not exists review_log_student_reviewed_idx
+  on public.review_log (student_id, reviewed_at);
+
+-- Same gate as review_queue — the student's own session writes both
+-- in the same deferred step. Append-only: no update/delete policies.
+alter table public.review_log enable row level security;
+drop policy if exists review_log_select on public.review_log;
+drop policy if exists review_log_insert on public.review_log;
+create policy review_log_select on public.review_log
+  for select to authenticated using (public.can_view(student_id));
+create policy review_log_insert on public.review_log
+  for insert to authenticated with check (public.can_view(student_id));
+grant select, insert on public.review_log to authenticated;
+grant all on public.review_log to service_role;
+
+-- Backfill question reviews from attempts: for every queued question,
+-- the student's attempts from the first miss on (the miss is the
+-- intake — correct first sightings never enter the queue). Interval is
+-- unknown for history, so it records the elapsed gap to the next
+-- attempt, or 1 for the latest one; scheduler is 'sm2_lite', the only
+-- one that existed.
+insert into public.review_log
+  (student_id, item_type, item_ref, result, reviewed_at, scheduler, elapsed_days, interval_days)
+select
+  h.user_id, 'question', h.question_id::text,
+  case when h.is_correct then 'good' else 'again' end,
+  h.created_at, 'sm2_lite',
+  extract(epoch from h.created_at - h.prev_at) / 86400.0,
+  greatest(coalesce(extract(epoch from h.next_at - h.created_at) / 86400.0, 1), 0.001)
+from (
+  select
+    a.user_id, a.question_id, a.is_correct, a.created_at,
+    lag(a.created_at)  over w as prev_at,
+    lead(a.created_at) over w as next_at,
+    min(a.created_at) filter (where not a.is_correct) over (partition by a.user_id, a.question_id) as first_miss_at
+  from public.attempts a
+  join public.review_queue rq
+    on rq.student_id = a.user_id and rq.item_type = 'question' and rq.item_ref = a.question_id::text
+  where a.source in ('practice', 'review')
+  window w as (partition by a.user_id, a.question_id order by a.created_at)
+) h
+where h.first_miss_at is not null
+  and h.created_at >= h.first_miss_at
+  and not exists (select 1 from public.review_log);
+
+-- ── review_fsrs_params ─────────────────────────────────────────────
+create table if not exists public.review_fsrs_params (
+  student_id        uuid primary key references auth.users(id) on delete cascade,
+  weights           double precision[] not null,
+  n_reviews         integer not null,
+  log_loss          numeric(6, 4) not null,
+  default_log_loss  numeric(6, 4) not null,
+  fitted_at         timestamptz not null default now()
+);
+
+comment on table public.review_fsrs_params is
+  'Per-student FSRS weights fitted from review_log by '
+  '/api/cron/fit-review-scheduler (lib/review/fsrs.ts fitFsrsWeights). '
+  'No row = default weights.';
+
+-- Readable wherever the queue is; written only by the cron (service
+-- role), so no write policies.
+alter table public.review_fsrs_params enable row level security;
+drop policy if exists review_fsrs_params_select on public.review_fsrs_params;
+create policy review_fsrs_params_select on public.review_fsrs_params
+  for select to authenticated using (public.can_view(student_id));
+grant select on public.review_fsrs_params to authenticated;
+grant all on public.review_fsrs_params to service_role;
+
+-- ── Choosing the scheduler ─────────────────────────────────────────
+alter table public.profiles
+  add column if not exists review_scheduler text;
+alter table public.profiles drop constraint if exists profiles_review_scheduler_check;
+alter table public.profiles
+  add constraint profiles_review_scheduler_check
+  check (review_scheduler is null or review_scheduler in ('sm2_lite', 'fsrs'));
+
+comment on column public.profiles.review_scheduler is
+  'Per-student review scheduler: sm2_lite | fsrs. NULL defers to the '
+  'review_scheduler_fsrs flag''s item-type list.';
+
+insert into public.feature_flags (key, value, description)
+values ('review_scheduler_fsrs', 'off',
+  'Review-queue item types scheduled by FSRS by default: off | all | comma list of question,skill,flashcard,vocab. A per-student profiles.review_scheduler overrides. See lib/flags.ts + lib/review/fsrs.ts.')
+on conflict (key) do nothing;
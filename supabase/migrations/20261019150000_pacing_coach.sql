@@ -0,0 +1,20 @@
+-- =========================================================
+-- Pacing coach toggle
+-- =========================================================
+-- The practice-test runner can show a live "on pace / behind pace"
+-- indicator built from lib/practice-test/pacing.ts: a per-question
+-- time budget from the module's time limit, item difficulties and
+-- the student's own time-per-difficulty history. It's a coaching
+-- aid, not Bluebook parity, so it's off unless the student's tutor
+-- turns it on from the tutor student page (written through
+-- updateStudentProfile in app/(tutor)/tutor/roster/actions.ts).
+--
+-- The results page's pacing section (time sunk into missed items)
+-- doesn't depend on this flag — it's after-the-fact review.
+
+alter table public.profiles
+  add column if not exists pacing_coach_enabled boolean not null default false;
+
+comment on column public.profiles.pacing_coach_enabled is
+  'Show the live pacing indicator in the practice-test runner. '
+  'Tutor-controlled from the student page; see lib/practice-test/pacing.ts.';
@@ -0,0 +1,21 @@
+-- =========================================================
+-- ACT target score
+-- =========================================================
+-- profiles.target_sat_score has been the only target, so the
+-- roster's archived view could only report "target reach %" for
+-- SAT students. ACT students get their own target on the ACT
+-- composite scale (1–36); the archive summary for an ACT student
+-- (buildActArchiveSummary in lib/practice/superscore.js) reads it.
+-- Tutors edit it from the roster's quick-edit modal, through the
+-- updateStudentProfile allowlist.
+
+alter table public.profiles
+  add column if not exists target_act_score smallint;
+
+alter table public.profiles drop constraint if exists profiles_target_act_score_check;
+alter table public.profiles
+  add constraint profiles_target_act_score_check
+  check (target_act_score is null or (target_act_score between 1 and 36));
+
+comment on column public.profiles.target_act_score is
+  'Target ACT composite (1–36). The SAT twin is target_sat_score.';
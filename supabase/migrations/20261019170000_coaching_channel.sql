@@ -0,0 +1,254 @@
+-- =========================================================
+-- tutor_feedback — manager → tutor coaching channel (upgrade plan §5.1)
+-- =========================================================
+-- The manager equivalent of tutor_notes: threaded coaching notes a
+-- manager leaves for one of their tutors. A thread opens with the
+-- manager's note and can be tied to what it's about — one of the
+-- tutor's students, one of their assignments (and so its report),
+-- or one of the §5.2 effectiveness signals on the Teachers tab
+-- (mastery movement, assignment completion, plan adherence). Both
+-- sides reply; the tutor acknowledges; the manager resolves.
+--
+-- Three tables:
+--   tutor_feedback          — the thread and its opening note.
+--   tutor_feedback_replies  — replies from either side.
+--   tutor_feedback_reads    — per-user read marker, for the sidebar's
+--                             unread count.
+--
+-- Unread is derived, not stored per message: each thread carries
+-- last_activity_at / last_activity_by (maintained by triggers), and a
+-- thread is unread for a participant when the last activity is
+-- someone else's and newer than their read marker.
+--
+-- Visibility: the two participants, plus admins. Deliberately not
+-- can_view(teacher_id) — that would also open the thread to any other
+-- manager the tutor reports to, and coaching is between the two
+-- people in it. Students never see it. Opening
+-- a thread requires a manager_teacher_assignments row for the pair,
+-- the same relationship the Teachers tab is built on, and any linked
+-- student or assignment has to belong to that tutor.
+
+create table if not exists public.tutor_feedback (
+  id                    uuid primary key default gen_random_uuid(),
+  manager_id            uuid not null references auth.users(id) on delete cascade,
+  teacher_id            uuid not null references auth.users(id) on delete cascade,
+  category              text not null default 'general'
+                          check (category in ('general', 'instruction', 'planning', 'assignments', 'communication', 'content')),
+  body                  text not null check (char_length(body) between 1 and 8000),
+  related_student_id    uuid references auth.users(id) on delete set null,
+  related_assignment_id uuid references public.assignments_v2(id) on delete set null,
+  related_signal        text check (related_signal in ('mastery', 'completion', 'adherence')),
+  status                text not null default 'open' check (status in ('open', 'resolved')),
+  acknowledged_at       timestamptz,
+  last_activity_at      timestamptz not null default now(),
+  last_activity_by      uuid references auth.users(id) on delete set null,
+  created_at            timestamptz not null default now(),
+  updated_at            timestamptz not null default now()
+);
+
+comment on table public.tutor_feedback is
+  'Manager → tutor coaching threads (§5.1). Participant-only RLS; '
+  'opening a thread requires a manager_teacher_assignments row.';
+
+-- Hot queries: "this tutor''s threads, newest activity first" (both
+-- the manager's teacher page and the tutor's inbox), and the
+-- manager's own inbox.
+create index if not exists tutor_feedback_teacher_activity_idx
+  on public.tutor_feedback (teacher_id, last_activity_at desc);
+create index if not exists tutor_feedback_manager_activity_idx
+  on public.tutor_feedback (manager_id, last_activity_at desc);
+
+create table if not exists public.tutor_feedback_replies (
+  id          uuid primary key default gen_random_uuid(),
+  feedback_id uuid not null references public.tutor_feedback(id) on delete cascade,
+  author_id   uuid not null references auth.users(id) on delete cascade,
+  body        text not null check (char_length(body) between 1 and 8000),
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists tutor_feedback_replies_thread_idx
+  on public.tutor_feedback_replies (feedback_id, created_at);
+
+create table if not exists public.tutor_feedback_reads (
+  feedback_id  uuid not null references public.tutor_feedback(id) on delete cascade,
+  user_id      uuid not null references auth.users(id) on delete cascade,
+  last_read_at timestamptz not null default now(),
+  primary key (feedback_id, user_id)
+);
+
+-- ── Triggers ───────────────────────────────────────────────────────
+
+drop trigger if exists trg_tutor_feedback_updated_at on public.tutor_feedback;
+create trigger trg_tutor_feedback_updated_at
+  before update on public.tutor_feedback
+  for each row execute function public.set_updated_at();
+
+-- The opening note is the thread's first activity.
+create or replace function public.tutor_feedback_stamp_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.last_activity_at := new.created_at;
+  new.last_activity_by := new.manager_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_tutor_feedback_stamp_insert on public.tutor_feedback;
+create trigger trg_tutor_feedback_stamp_insert
+  before insert on public.tutor_feedback
+  for each row execute function public.tutor_feedback_stamp_insert();
+
+-- Who may change what. The note itself and what it's attached to are
+-- fixed once posted; only the tutor acknowledges; only the manager
+-- (or an admin) resolves and reopens. Applies to API callers only:
+-- the reply trigger below (SECURITY DEFINER, so current_user is the
+-- owner) and the service role pass through.
+create or replace function public.tutor_feedback_guard_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user <> 'authenticated' then
+    return new;
+  end if;
+  if new.manager_id <> old.manager_id
+     or new.teacher_id <> old.teacher_id
+     or new.body <> old.body
+     or new.category <> old.category
+     or new.related_student_id is distinct from old.related_student_id
+     or new.related_assignment_id is distinct from old.related_assignment_id
+     or new.related_signal is distinct from old.related_signal then
+    raise exception 'A coaching note can''t be edited once posted';
+  end if;
+  if new.acknowledged_at is distinct from old.acknowledged_at
+     and auth.uid() is distinct from old.teacher_id then
+    raise exception 'Only the tutor can acknowledge a coaching note';
+  end if;
+  if new.status <> old.status
+     and auth.uid() is distinct from old.manager_id
+     and not public.is_admin() then
+    raise exception 'Only the manager can resolve or reopen a thread';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_tutor_feedback_guard_update on public.tutor_feedback;
+create trigger trg_tutor_feedback_guard_update
+  before update on public.tutor_feedback
+  for each row execute function public.tutor_feedback_guard_update();
+
+-- A reply bumps the thread's activity and reopens a resolved thread.
+-- SECURITY DEFINER so the bump doesn't depend on the replier's update
+-- rights (the guard above would refuse a tutor reopening the thread).
+create or replace function public.tutor_feedback_reply_bump()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.tutor_feedback
+     set last_activity_at = new.created_at,
+         last_activity_by = new.author_id,
+         status = 'open'
+   where id = new.feedback_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_tutor_feedback_reply_bump on public.tutor_feedback_replies;
+create trigger trg_tutor_feedback_reply_bump
+  after insert on public.tutor_feedback_replies
+  for each row execute function public.tutor_feedback_reply_bump();
+
+-- ── RLS ────────────────────────────────────────────────────────────
+
+alter table public.tutor_feedback enable row level security;
+alter table public.tutor_feedback_replies enable row level security;
+alter table public.tutor_feedback_reads enable row level security;
+
+drop policy if exists tutor_feedback_select on public.tutor_feedback;
+drop policy if exists tutor_feedback_insert on public.tutor_feedback;
+drop policy if exists tutor_feedback_update on public.tutor_feedback;
+drop policy if exists tutor_feedback_delete on public.tutor_feedback;
+
+create policy tutor_feedback_select on public.tutor_feedback
+  for select to authenticated
+  using (manager_id = auth.uid() or teacher_id = auth.uid() or is_admin());
+create policy tutor_feedback_insert on public.tutor_feedback
+  for insert to authenticated
+  with check (
+    manager_id = auth.uid()
+    and (
+      is_admin()
+      or exists (
+        select 1 from public.manager_teacher_assignments mta
+         where mta.manager_id = auth.uid() and mta.teacher_id = tutor_feedback.teacher_id
+      )
+    )
+    and (
+      related_student_id is null
+      or exists (
+        select 1 from public.teacher_student_assignments tsa
+         where tsa.teacher_id = tutor_feedback.teacher_id
+           and tsa.student_id = tutor_feedback.related_student_id
+      )
+    )
+    and (
+      related_assignment_id is null
+      or exists (
+        select 1 from public.assignments_v2 a
+         where a.id = tutor_feedback.related_assignment_id
+           and a.teacher_id = tutor_feedback.teacher_id
+      )
+    )
+  );
+create policy tutor_feedback_update on public.tutor_feedback
+  for update to authenticated
+  using (manager_id = auth.uid() or teacher_id = auth.uid() or is_admin())
+  with check (manager_id = auth.uid() or teacher_id = auth.uid() or is_admin());
+create policy tutor_feedback_delete on public.tutor_feedback
+  for delete to authenticated
+  using (manager_id = auth.uid() or is_admin());
+
+drop policy if exists tutor_feedback_replies_select on public.tutor_feedback_replies;
+drop policy if exists tutor_feedback_replies_insert on public.tutor_feedback_replies;
+drop policy if exists tutor_feedback_replies_delete on public.tutor_feedback_replies;
+
+-- Replies ride the parent's visibility: the subquery is itself
+-- filtered by tutor_feedback_select.
+create policy tutor_feedback_replies_select on public.tutor_feedback_replies
+  for select to authenticated
+  using (exists (select 1 from public.tutor_feedback f where f.id = feedback_id));
+create policy tutor_feedback_replies_insert on public.tutor_feedback_replies
+  for insert to authenticated
+  with check (
+    author_id = auth.uid()
+    and exists (
+      select 1 from public.tutor_feedback f
+       where f.id = feedback_id
+         and (f.manager_id = auth.uid() or f.teacher_id = auth.uid())
+    )
+  );
+create policy tutor_feedback_replies_delete on public.tutor_feedback_replies
+  for delete to authenticated
+  using (author_id = auth.uid() or is_admin());
+
+drop policy if exists tutor_feedback_reads_own on public.tutor_feedback_reads;
+create policy tutor_feedback_reads_own on public.tutor_feedback_reads
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.tutor_feedback f where f.id = feedback_id)
+  );
+
+grant select, insert, update, delete on public.tutor_feedback to authenticated;
+grant select, insert, delete on public.tutor_feedback_replies to authenticated;
+grant select, insert, update, delete on public.tutor_feedback_reads to authenticated;
+grant all on public.tutor_feedback to service_role;
+grant all on public.tutor_feedback_replies to service_role;
+grant all on public.tutor_feedback_reads to service_role;
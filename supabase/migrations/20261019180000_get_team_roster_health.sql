@@ -0,0 +1,132 @@
+-- =========================================================
+-- get_team_roster_health — one row per (tutor, student) across a
+-- manager's team (§5.3 team-scoped home)
+-- =========================================================
+-- The manager home aggregates every managed tutor's roster in one
+-- place: plan adherence, students with no plan, stale students,
+-- upcoming registered test dates, and draft plans awaiting review.
+-- Before this, a manager walked the team tutor by tutor and each
+-- surface issued its own per-tutor queries. This function returns
+-- the raw per-student facts in one round trip; the classification
+-- (adherence via computeAdherence, staleness and test-date windows)
+-- stays in TypeScript — lib/tutor/team-health.ts — so the adherence
+-- rules keep their one home in lib/plan/adherence.ts.
+--
+-- Columns per row:
+--   - teacher / student names (profiles, so the page needs no second
+--     lookup) and the student's is_active flag;
+--   - last_activity_at: newest attempts row of any source;
+--   - next_test_date: the earliest future sat_test_registrations
+--     date, falling back to a future profiles.sat_test_date (the same
+--     precedence load-score-prediction uses);
+--   - active_plan_tasks: the active plan's tasks as a jsonb array of
+--     {scheduled_date, status}, or null when there is no active plan;
+--   - draft_plan_id / draft_created_at / draft_from_repace: the parked
+--     draft, if any. draft_from_repace is created_by IS NULL — the
+--     weekly re-pace cron writes drafts with no author (writeDraftPlan).
+--
+-- Scope is the caller's manager_teacher_assignments rows. SECURITY
+-- INVOKER: every table read stays under the caller's RLS, so a row
+-- the manager couldn't read via can_view() simply doesn't appear —
+-- the function grants nothing new, it only saves round trips.
+
+create or replace function public.get_team_roster_health(
+  p_test_type text default 'sat'
+)
+returns table (
+  teacher_id uuid,
+  teacher_first_name text,
+  teacher_last_name text,
+  student_id uuid,
+  student_first_name text,
+  student_last_name text,
+  is_active boolean,
+  last_activity_at timestamptz,
+  next_test_date date,
+  active_plan_tasks jsonb,
+  draft_plan_id uuid,
+  draft_created_at timestamptz,
+  draft_from_repace boolean
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with team as (
+    select distinct mta.teacher_id
+    from manager_teacher_assignments mta
+    where mta.manager_id = auth.uid()
+  ),
+  roster as (
+    select distinct tsa.teacher_id, tsa.student_id
+    from teacher_student_assignments tsa
+    join team t on t.teacher_id = tsa.teacher_id
+  )
+  select
+    r.teacher_id,
+    tp.first_name,
+    tp.last_name,
+    r.student_id,
+    sp.first_name,
+    sp.last_name,
+    coalesce(sp.is_active, true),
+    activity.last_at,
+    coalesce(
+      reg.next_date,
+      case when sp.sat_test_date >= current_date then sp.sat_test_date end
+    ),
+    active_plan.tasks,
+    draft.id,
+    draft.created_at,
+    draft.id is not null and draft.created_by is null
+  from roster r
+  join profiles sp on sp.id = r.student_id and sp.role = 'student'
+  left join profiles tp on tp.id = r.teacher_id
+  left join lateral (
+    select max(a.created_at) as last_at
+    from attempts a
+    where a.user_id = r.student_id
+  ) activity on true
+  left join lateral (
+    select min(str.test_date) as next_date
+    from sat_test_registrations str
+    where str.student_id = r.student_id
+      and str.test_date >= current_date
+  ) reg on true
+  left join lateral (
+    select coalesce(
+             jsonb_agg(jsonb_build_object(
+               'scheduled_date', pt.scheduled_date,
+               'status', pt.status
+             )) filter (where pt.id is not null),
+             '[]'::jsonb
+           ) as tasks
+    from study_plans sp2
+    left join plan_tasks pt on pt.plan_id = sp2.id
+    where sp2.student_id = r.student_id
+      and sp2.status = 'active'
+      and sp2.test_type = p_test_type
+    group by sp2.id
+    limit 1
+  ) active_plan on true
+  left join lateral (
+    select d.id, d.created_at, d.created_by
+    from study_plans d
+    where d.student_id = r.student_id
+      and d.status = 'draft'
+      and d.test_type = p_test_type
+    order by d.created_at desc
+    limit 1
+  ) draft on true
+$$;
+
+comment on function public.get_team_roster_health(text) is
+  'Per (tutor, student) roster facts across the caller''s managed tutors '
+  '(§5.3 team-scoped home): last activity, next registered test date, '
+  'active-plan tasks for adherence, and any parked draft plan. SECURITY '
+  'INVOKER — RLS-scoped, one round trip instead of a per-tutor waterfall.';
+
+revoke all on function public.get_team_roster_health(text) from public;
+revoke all on function public.get_team_roster_health(text) from anon;
+grant execute on function public.get_team_roster_health(text) to authenticated;
@@ -0,0 +1,48 @@
+-- =========================================================
+-- student_readiness — last computed test-readiness verdict (§5.4)
+-- =========================================================
+-- The readiness verdict (lib/plan/readiness.ts: ready / at_risk /
+-- not_ready plus the top reasons) is computed live on the tutor
+-- student page, but two consumers need it stored:
+--
+--   - the roster's Readiness column — computing coverage + tests +
+--     adherence per student on every roster load would be N RPCs;
+--   - the at-risk notification — "moved INTO at risk" is a transition,
+--     so the previous verdict has to live somewhere.
+--
+-- One row per student, against their next registered test
+-- (sat_test_registrations — the TestRegistrationsCard date). Written
+-- only by the daily readiness cron (app/api/cron/readiness) through
+-- the service client; a student with no upcoming registration has
+-- their row deleted so the roster never shows a verdict for a test
+-- that has passed.
+--
+-- at_risk_notified_at is the once-per-stretch guard: set when the
+-- cron emails the tutor(s), cleared when the verdict leaves at_risk
+-- or the test date changes (shouldNotifyAtRisk / nextAtRiskNotifiedAt).
+
+create table if not exists public.student_readiness (
+  student_id          uuid primary key references public.profiles(id) on delete cascade,
+  test_date           date not null,
+  verdict             text not null check (verdict in ('ready', 'at_risk', 'not_ready')),
+  reasons             jsonb not null default '[]'::jsonb,
+  days_to_test        integer not null,
+  computed_at         timestamptz not null default now(),
+  at_risk_notified_at timestamptz
+);
+
+comment on table public.student_readiness is
+  'Last computed test-readiness verdict per student (§5.4), written by the '
+  'daily readiness cron. Read by the roster; drives the at-risk tutor email.';
+
+-- ── RLS ────────────────────────────────────────────────────────────
+-- Read: whoever can see the student (the student, their tutor chain,
+-- admins). No write policies — the cron's service client is the only
+-- writer.
+
+alter table public.student_readiness enable row level security;
+drop policy if exists student_readiness_select on public.student_readiness;
+create policy student_readiness_select on public.student_readiness
+  for select to authenticated using (public.can_view(student_id));
+
+grant select on public.student_readiness to authenticated;
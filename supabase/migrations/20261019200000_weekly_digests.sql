@@ -0,0 +1,99 @@
+-- =========================================================
+-- Weekly progress digests — recipients + per-recipient send log
+-- =========================================================
+-- Families get a recurring email: once a week, every opted-in
+-- address for a student receives a digest of that student's week
+-- (practice minutes, questions answered, mastery movers, plan
+-- adherence, upcoming assignments, latest practice-test score).
+-- Sent by app/api/cron/weekly-digest; rendered from
+-- emails/weekly-digest.html by lib/email/weeklyDigest.ts.
+--
+-- weekly_digest_recipients — the opt-in. A student with no active
+-- row gets no digest; nothing is sent by default. relationship
+-- 'student' is the student's own address (the Account page switch);
+-- 'parent' / 'guardian' rows are extra addresses the student or a
+-- tutor who can see them adds. unsubscribe_token is the bearer for
+-- the public unsubscribe link (/api/public/digest/unsubscribe) —
+-- unguessable, per address, so one parent unsubscribing never stops
+-- the other's mail. Unsubscribing stamps unsubscribed_at rather than
+-- deleting, so the address can be re-enabled from the settings card
+-- without a second opt-in round trip.
+--
+-- weekly_digest_sends — one row per (recipient, digest week): sent,
+-- failed, or skipped, with the provider message id. The unique key
+-- is the cron's idempotency guard: a re-run in the same week only
+-- retries the failed rows. Written only by the cron's service client.
+
+create table if not exists public.weekly_digest_recipients (
+  id                uuid primary key default gen_random_uuid(),
+  student_id        uuid not null references public.profiles(id) on delete cascade,
+  email             text not null check (email ~ '^[^@\s]+@[^@\s]+\.[^@\s]+$'),
+  relationship      text not null default 'parent'
+                      check (relationship in ('student', 'parent', 'guardian')),
+  unsubscribe_token uuid not null default gen_random_uuid(),
+  unsubscribed_at   timestamptz,
+  added_by          uuid references public.profiles(id) on delete set null,
+  created_at        timestamptz not null default now()
+);
+
+create unique index if not exists weekly_digest_recipients_student_email_key
+  on public.weekly_digest_recipients (student_id, lower(email));
+create unique index if not exists weekly_digest_recipients_token_key
+  on public.weekly_digest_recipients (unsubscribe_token);
+
+comment on table public.weekly_digest_recipients is
+  'Opt-in addresses for the weekly progress digest, per student. '
+  'unsubscribe_token backs the public unsubscribe link.';
+
+create table if not exists public.weekly_digest_sends (
+  id                  uuid primary key default gen_random_uuid(),
+  recipient_id        uuid not null references public.weekly_digest_recipients(id) on delete cascade,
+  student_id          uuid not null references public.profiles(id) on delete cascade,
+  email               text not null,
+  week_start          date not null,
+  status              text not null check (status in ('sent', 'failed', 'skipped')),
+  provider_message_id text,
+  error               text,
+  created_at          timestamptz not null default now(),
+  unique (recipient_id, week_start)
+);
+
+create index if not exists weekly_digest_sends_student_idx
+  on public.weekly_digest_sends (student_id, week_start desc);
+
+comment on table public.weekly_digest_sends is
+  'Per-recipient send log for the weekly digest cron. One row per '
+  'recipient per digest week; re-runs retry only failed rows.';
+
+-- ── RLS ────────────────────────────────────────────────────────────
+-- Recipients: anyone who can see the student manages the list —
+-- can_view covers the student themself, their tutor chain and
+-- admins. Sends: read-only to the same audience; the cron's service
+-- client is the only writer.
+
+alter table public.weekly_digest_recipients enable row level security;
+alter table public.weekly_digest_sends enable row level security;
+
+drop policy if exists weekly_digest_recipients_select on public.weekly_digest_recipients;
+drop policy if exists weekly_digest_recipients_insert on public.weekly_digest_recipients;
+drop policy if exists weekly_digest_recipients_update on public.weekly_digest_recipients;
+drop policy if exists weekly_digest_recipients_delete on public.weekly_digest_recipients;
+
+create policy weekly_digest_recipients_select on public.weekly_digest_recipients
+  for select to authenticated using (public.can_view(student_id));
+create policy weekly_digest_recipients_insert on public.weekly_digest_recipients
+  for insert to authenticated
+  with check (public.can_view(student_id) and added_by = auth.uid());
+create policy weekly_digest_recipients_update on public.weekly_digest_recipients
+  for update to authenticated
+  using (public.can_view(student_id))
+  with check (public.can_view(student_id));
+create policy weekly_digest_recipients_delete on public.weekly_digest_recipients
+  for delete to authenticated using (public.can_view(student_id));
+
+drop policy if exists weekly_digest_sends_select on public.weekly_digest_sends;
+create policy weekly_digest_sends_select on public.weekly_digest_sends
+  for select to authenticated using (public.can_view(student_id));
+
+grant select, insert, update, delete on public.weekly_digest_recipients to authenticated;
+grant select on public.weekly_digest_sends to authenticated;
@@ -0,0 +1,22 @@
+-- =========================================================
+-- reading_coach feature flag — student runner rollout (OFF)
+-- =========================================================
+-- Gates the student Reading Coach surfaces: the /reading-coach
+-- landing page, the session runner and POST /api/reading-coach/
+-- evaluate (docs/reading-coach-implementation-plan.md, PR 3 "Keep
+-- the production feature flag off"). Resolved by lib/flags.ts
+-- readingCoachEnabled():
+--
+--   'on'  — students with the entitlement can start and resume
+--           sessions.
+--   'off' — every student surface 404s (default; also the behavior
+--           if this row is missing or unreadable).
+--
+-- The admin authoring pages are not behind this flag, and the
+-- session/turn tables already exist (20260810154651), so this is a
+-- data-only migration: no schema change, no type regeneration.
+
+insert into public.feature_flags (key, value, description)
+values ('reading_coach', 'off',
+  'Student Reading Coach runner: on | off. Off (or missing) 404s /reading-coach and /api/reading-coach/evaluate. See lib/flags.ts + lib/reading-coach/state.ts.')
+on conflict (key) do nothing;
@@ -0,0 +1,48 @@
+-- =========================================================
+-- question_content_drafts — new-question drafts (QTI import)
+-- =========================================================
+-- The QTI 3.0 import (lib/qti/, /admin/content/qti) stages every
+-- packaged item as a draft so nothing reaches questions_v2 without
+-- review. Items that match a live question use the existing shape
+-- (question_id + the changed content fields). Items that don't match
+-- have no question to point at yet, so:
+--
+--   question_id  becomes nullable — NULL means "promotion creates the
+--                question" rather than "promotion edits one".
+--   new_question jsonb — what promotion needs beyond the content
+--                columns: question_type, correct_answer, domain/skill
+--                codes and names, difficulty, score_band, pattern_id,
+--                source, source_external_id, title. Ignored when
+--                question_id is set.
+--
+-- Promotion (drafts/[draftId]/actions.js promoteDraft) inserts the
+-- questions_v2 row unpublished and writes its id back onto the
+-- draft, so a promoted draft always has a question_id again.
+--
+-- RLS is unchanged (admin-only, qcd_admin_all).
+
+alter table public.question_content_drafts
+  alter column question_id drop not null;
+
+alter table public.question_content_drafts
+  add column if not exists new_question jsonb;
+
+alter table public.question_content_drafts
+  drop constraint if exists question_content_drafts_target_check;
+alter table public.question_content_drafts
+  add constraint question_content_drafts_target_check
+  check (
+    question_id is not null
+    or (new_question is not null and jsonb_typeof(new_question) = 'object')
+  );
+
+comment on column public.question_content_drafts.new_question is
+  'Bank metadata for a draft that creates a question (question_id NULL): '
+  'question_type, correct_answer, taxonomy, source, source_external_id. '
+  'Written by the QTI import; read by promoteDraft.';
+
+-- Re-import dedup: "is there already an open new-question draft for
+-- this partner item?"
+create index if not exists idx_qcd_new_question_external_id
+  on public.question_content_drafts ((new_question->>'source'), (new_question->>'source_external_id'))
+  where question_id is null;
@@ -0,0 +1,282 @@
+-- =========================================================
+-- question_revisions — immutable content history for questions_v2
+-- =========================================================
+-- Supersedes the snapshot-on-edit decision of 20260713230000 for the
+-- browsable-history use case. question_content_history keeps capturing
+-- PRIOR content of published questions (and question_edited_since
+-- keeps working); this table records EVERY content state as a numbered
+-- revision, published or not, with who/when/how:
+--
+--   revision_number  1, 2, 3 … per question (1 = as created, or the
+--                    baseline captured by this migration)
+--   source           manual | ai_fix | batch_script | draft | import |
+--                    rollback | baseline | unknown
+--   author_id        auth.uid() of the writer; scripts running on the
+--                    service role pass it in revision_context instead
+--   changed_fields   which content columns differ from the previous
+--                    revision (every field on revision 1)
+--   restored_from    for source = 'rollback', the revision restored
+--
+-- Writers say HOW they are writing through questions_v2.revision_context,
+-- a transient jsonb column the trigger consumes and clears in the same
+-- statement (it is always NULL at rest):
+--
+--   update questions_v2 set stem_html = …,
+--     revision_context = '{"source": "manual"}'
+--
+-- Keys: source (required to avoid 'unknown'), author_id, restored_from,
+-- note. A write that changes no content column creates no revision, so
+-- rendered_* refreshes, counters, flags and approvals stay out of the
+-- history exactly as they do for the snapshot trigger.
+--
+-- questions_v2.current_revision_id always points at the newest revision.
+-- attempts.question_revision_id is stamped from it on insert, which is
+-- the version key the 2026-07-13 note said full versioning would need:
+-- an attempt now resolves to the exact text the student answered.
+
+-- ── Table ───────────────────────────────────────────────────────────
+create table if not exists public.question_revisions (
+  id               uuid primary key default gen_random_uuid(),
+  -- Deferrable so the BEFORE INSERT trigger can write revision 1 for a
+  -- questions_v2 row that does not exist until the statement finishes.
+  question_id      uuid not null references public.questions_v2(id)
+                     on delete cascade deferrable initially deferred,
+  revision_number  integer not null check (revision_number > 0),
+  source           text not null default 'unknown'
+    check (source in ('manual', 'ai_fix', 'batch_script', 'draft', 'import',
+                      'rollback', 'baseline', 'unknown')),
+  author_id        uuid references public.profiles(id) on delete set null,
+  changed_fields   text[] not null default '{}',
+  restored_from    uuid references public.question_revisions(id) on delete set null,
+  note             text,
+  -- the content AS OF this revision
+  question_type    text,
+  stem_html        text,
+  stimulus_html    text,
+  rationale_html   text,
+  options          jsonb,
+  hints            jsonb,
+  correct_answer   jsonb,
+  domain_code      text,
+  skill_code       text,
+  difficulty       integer,
+  score_band       integer,
+  created_at       timestamptz not null default now(),
+  constraint question_revisions_number_key unique (question_id, revision_number)
+);
+
+comment on table public.question_revisions is
+  'Immutable numbered content revisions of questions_v2, one per content '
+  'change (trigger record_question_revision). attempts.question_revision_id '
+  'pins each attempt to the revision the student saw.';
+
+-- Staff-facing, same audience as question_content_history. No write
+-- policies: rows come only from the SECURITY DEFINER trigger, and the
+-- update guard below makes them append-only even for the service role.
+alter table public.question_revisions enable row level security;
+drop policy if exists qrev_staff_select on public.question_revisions;
+create policy qrev_staff_select on public.question_revisions
+  for select to authenticated using (
+    public.is_admin()
+    or exists (select 1 from public.profiles p
+               where p.id = auth.uid() and p.role in ('teacher', 'manager'))
+  );
+
+-- Students (and anyone else) may read a revision they answered: the
+-- session review shows the text of the attempt, not today's text. The
+-- answer key and rationale were already revealed to them at the time.
+drop policy if exists qrev_attempt_owner_select on public.question_revisions;
+create policy qrev_attempt_owner_select on public.question_revisions
+  for select to authenticated using (
+    exists (select 1 from public.attempts a
+            where a.question_revision_id = question_revisions.id
+              and a.user_id = auth.uid())
+  );
+
+create or replace function public.guard_question_revision_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'question_revisions rows are immutable; roll back by writing a new revision';
+end;
+$$;
+
+drop trigger if exists trg_question_revisions_immutable on public.question_revisions;
+create trigger trg_question_revisions_immutable
+  before update on public.question_revisions
+  for each row execute function public.guard_question_revision_update();
+
+-- ── questions_v2 / attempts columns ─────────────────────────────────
+alter table public.questions_v2
+  add column if not exists revision_context jsonb,
+  add column if not exists current_revision_id uuid;
+
+comment on column public.questions_v2.revision_context is
+  'Transient: {source, author_id?, restored_from?, note?} for the revision '
+  'this write creates. Consumed and cleared by record_question_revision.';
+comment on column public.questions_v2.current_revision_id is
+  'Newest question_revisions.id; maintained by record_question_revision.';
+
+alter table public.attempts
+  add column if not exists question_revision_id uuid
+    references public.question_revisions(id) on delete set null;
+
+-- ── Baseline backfill ───────────────────────────────────────────────
+-- Existing snapshot-on-edit rows are the only record of what published
+-- questions looked like before; they become the earliest revisions, in
+-- order, and the live row becomes the newest. Snapshots carry no hints,
+-- so those revisions have hints = NULL. Runs before the trigger exists
+-- so setting current_revision_id below creates no revisions.
+with snaps as (
+  select h.*,
+         row_number() over (partition by h.question_id order by h.snapshotted_at, h.id) as n
+  from public.question_content_history h
+  join public.questions_v2 q on q.id = h.question_id
+)
+insert into public.question_revisions (
+  question_id, revision_number, source, changed_fields,
+  question_type, stem_html, stimulus_html, rationale_html, options, correct_answer,
+  domain_code, skill_code, difficulty, score_band, created_at
+)
+select question_id, n, 'baseline', '{}',
+       question_type, stem_html, stimulus_html, rationale_html, options, correct_answer,
+       domain_code, skill_code, difficulty, score_band,
+       coalesce(prior_updated_at, snapshotted_at)
+from snaps;
+
+insert into public.question_revisions (
+  question_id, revision_number, source, changed_fields,
+  question_type, stem_html, stimulus_html, rationale_html, options, hints, correct_answer,
+  domain_code, skill_code, difficulty, score_band, created_at
+)
+select q.id,
+       coalesce((select max(r.revision_number) from public.question_revisions r
+                 where r.question_id = q.id), 0) + 1,
+       'baseline', '{}',
+       q.question_type, q.stem_html, q.stimulus_html, q.rationale_html, q.options, q.hints,
+       q.correct_answer, q.domain_code, q.skill_code, q.difficulty, q.score_band,
+       coalesce(q.updated_at, q.created_at, now())
+from public.questions_v2 q;
+
+update public.questions_v2 q
+set current_revision_id = r.id
+from public.question_revisions r
+where r.question_id = q.id
+  and r.revision_number = (select max(r2.revision_number) from public.question_revisions r2
+                           where r2.question_id = q.id);
+
+-- Attempts on questions that have snapshots resolve by timestamp, the
+-- way 20260713230000 described: an attempt before snapshot k saw
+-- revision k. Every other attempt saw the current content. Attempts on
+-- never-edited questions are left NULL — NULL reads as "current".
+update public.attempts a
+set question_revision_id = coalesce(
+  (select r.id
+   from public.question_revisions r
+   join public.question_content_history h
+     on h.question_id = r.question_id
+    and coalesce(h.prior_updated_at, h.snapshotted_at) = r.created_at
+   where r.question_id = a.question_id
+     and r.source = 'baseline'
+     and a.created_at < h.snapshotted_at
+   order by r.revision_number
+   limit 1),
+  (select q.current_revision_id from public.questions_v2 q where q.id = a.question_id))
+where exists (select 1 from public.question_content_history h where h.question_id = a.question_id);
+
+create index if not exists attempts_question_revision_idx
+  on public.attempts (question_revision_id)
+  where question_revision_id is not null;
+
+-- ── The revision trigger ────────────────────────────────────────────
+create or replace function public.record_question_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  ctx      jsonb := coalesce(NEW.revision_context, '{}'::jsonb);
+  changed  text[] := '{}';
+  next_n   integer;
+  rev_id   uuid;
+  src      text;
+begin
+  NEW.revision_context := null;
+
+  if TG_OP = 'INSERT' then
+    changed := array['stem_html', 'stimulus_html', 'rationale_html', 'options', 'hints',
+                     'correct_answer', 'domain_code', 'skill_code', 'difficulty', 'score_band'];
+    next_n := 1;
+  else
+    if OLD.stem_html      is distinct from NEW.stem_html      then changed := changed || 'stem_html'::text; end if;
+    if OLD.stimulus_html  is distinct from NEW.stimulus_html  then changed := changed || 'stimulus_html'::text; end if;
+    if OLD.rationale_html is distinct from NEW.rationale_html then changed := changed || 'rationale_html'::text; end if;
+    if OLD.options        is distinct from NEW.options        then changed := changed || 'options'::text; end if;
+    if OLD.hints          is distinct from NEW.hints          then changed := changed || 'hints'::text; end if;
+    if OLD.correct_answer is distinct from NEW.correct_answer then changed := changed || 'correct_answer'::text; end if;
+    if OLD.domain_code    is distinct from NEW.domain_code    then changed := changed || 'domain_code'::text; end if;
+    if OLD.skill_code     is distinct from NEW.skill_code     then changed := changed || 'skill_code'::text; end if;
+    if OLD.difficulty     is distinct from NEW.difficulty     then changed := changed || 'difficulty'::text; end if;
+    if OLD.score_band     is distinct from NEW.score_band     then changed := changed || 'score_band'::text; end if;
+    if cardinality(changed) = 0 then
+      return NEW;
+    end if;
+    select coalesce(max(revision_number), 0) + 1 into next_n
+    from public.question_revisions where question_id = NEW.id;
+  end if;
+
+  src := coalesce(ctx->>'source', 'unknown');
+  if src not in ('manual', 'ai_fix', 'batch_script', 'draft', 'import', 'rollback') then
+    src := 'unknown';
+  end if;
+
+  insert into public.question_revisions (
+    question_id, revision_number, source, author_id, changed_fields, restored_from, note,
+    question_type, stem_html, stimulus_html, rationale_html, options, hints, correct_answer,
+    domain_code, skill_code, difficulty, score_band
+  ) values (
+    NEW.id, next_n, src,
+    coalesce(auth.uid(), nullif(ctx->>'author_id', '')::uuid),
+    changed,
+    case when src = 'rollback' then nullif(ctx->>'restored_from', '')::uuid end,
+    left(nullif(ctx->>'note', ''), 500),
+    NEW.question_type, NEW.stem_html, NEW.stimulus_html, NEW.rationale_html, NEW.options,
+    NEW.hints, NEW.correct_answer, NEW.domain_code, NEW.skill_code, NEW.difficulty, NEW.score_band
+  )
+  returning id into rev_id;
+
+  NEW.current_revision_id := rev_id;
+  return NEW;
+end;
+$$;
+
+drop trigger if exists trg_questions_v2_record_revision on public.questions_v2;
+create trigger trg_questions_v2_record_revision
+  before insert or update on public.questions_v2
+  for each row execute function public.record_question_revision();
+
+-- ── Stamp attempts with the revision on screen ──────────────────────
+-- Every attempt writer (practice sessions, practice tests, the
+-- Bluebook upload, time-ping) goes through this; none of them need to
+-- know revisions exist.
+create or replace function public.stamp_attempt_question_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+begin
+  if NEW.question_revision_id is null then
+    select q.current_revision_id into NEW.question_revision_id
+    from public.questions_v2 q where q.id = NEW.question_id;
+  end if;
+  return NEW;
+end;
+$$;
+
+drop trigger if exists trg_attempts_stamp_question_revision on public.attempts;
+create trigger trg_attempts_stamp_question_revision
+  before insert on public.attempts
+  for each row execute function public.stamp_attempt_question_revision();
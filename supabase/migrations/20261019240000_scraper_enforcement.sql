@@ -0,0 +1,146 @@
+-- =========================================================
+-- Scraper detection — persisted signals, restrictions, staged flag
+-- =========================================================
+-- lib/api/scraperSignals.ts has classified per-user request cadence
+-- (ok / suspicious / blocked) since Phase 1, but only in shadow mode:
+-- it logged and always answered 'ok'. This migration gives it
+-- somewhere to write and a switch to act on:
+--
+--   scraper_signal_days   one row per user per UTC day: question loads,
+--                         how many were classified suspicious/blocked,
+--                         the tightest median cadence seen, and a
+--                         histogram of inter-request intervals
+--                         (bucket bounds: lib/api/scraperPolicy.ts
+--                         INTERVAL_BUCKETS).
+--   scraper_restrictions  manual actions an admin took from
+--                         /admin/scraping through banUser: throttle,
+--                         reauth (sessions signed in before reauth_after
+--                         are refused content) or suspend (profiles.
+--                         banned_at is set as well).
+--   record_scraper_signal the one writer: bumps the caller's day row
+--                         and returns their restriction + ban state, so
+--                         the guard needs a single round trip per load.
+--
+-- feature_flags.scraper_enforcement stages (lib/flags.ts
+-- resolveScraperStage):
+--
+--   'off'      — no classification, no writes.
+--   'shadow'   — classify, log and persist; never refuse (default, and
+--                the behavior for a missing or unknown value).
+--   'throttle' — 'blocked' cadence is slowed to the scraper.throttled
+--                rate-limit policy instead of served at full speed.
+--   'enforce'  — 'blocked' cadence is refused; 'suspicious' is throttled.
+--
+-- Admin restrictions and bans apply at every stage except 'off'.
+
+-- ── Daily signals ───────────────────────────────────────────────────
+create table if not exists public.scraper_signal_days (
+  user_id            uuid not null references public.profiles(id) on delete cascade,
+  day                date not null,
+  question_loads     integer not null default 0,
+  suspicious         integer not null default 0,
+  blocked            integer not null default 0,
+  min_median_ms      integer,
+  interval_histogram integer[] not null default '{0,0,0,0,0,0,0}',
+  last_level         text not null default 'ok'
+                     check (last_level in ('ok', 'suspicious', 'blocked')),
+  last_seen_at       timestamptz not null default now(),
+  primary key (user_id, day)
+);
+
+create index if not exists scraper_signal_days_flagged_idx
+  on public.scraper_signal_days (day desc)
+  where suspicious > 0 or blocked > 0;
+
+comment on table public.scraper_signal_days is
+  'Per-user per-day scraper cadence signals. Written only by '
+  'record_scraper_signal(); read by /admin/scraping.';
+
+alter table public.scraper_signal_days enable row level security;
+drop policy if exists ssd_admin_select on public.scraper_signal_days;
+create policy ssd_admin_select on public.scraper_signal_days
+  for select to authenticated using (public.is_admin());
+grant select on public.scraper_signal_days to authenticated;
+
+-- ── Restrictions ────────────────────────────────────────────────────
+create table if not exists public.scraper_restrictions (
+  user_id      uuid primary key references public.profiles(id) on delete cascade,
+  mode         text not null check (mode in ('throttle', 'reauth', 'suspend')),
+  reauth_after timestamptz,
+  reason       text,
+  created_by   uuid references public.profiles(id) on delete set null,
+  created_at   timestamptz not null default now()
+);
+
+comment on table public.scraper_restrictions is
+  'Admin scraper actions (throttle | reauth | suspend), one per user. '
+  'Written by the banUser admin action; cleared by unbanUser.';
+
+alter table public.scraper_restrictions enable row level security;
+drop policy if exists sr_admin_all on public.scraper_restrictions;
+create policy sr_admin_all on public.scraper_restrictions
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+grant select, insert, update, delete on public.scraper_restrictions to authenticated;
+
+-- ── Writer ──────────────────────────────────────────────────────────
+-- Called once per guarded question load by the loading user. SECURITY
+-- DEFINER because students can neither read nor write either table;
+-- auth.uid() pins the row to the caller, so nobody can write another
+-- user's signals.
+create or replace function public.record_scraper_signal(
+  p_level     text,
+  p_bucket    integer,
+  p_median_ms integer default null
+)
+returns table (mode text, reauth_after timestamptz, banned boolean)
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  uid uuid := auth.uid();
+  d   date := (now() at time zone 'utc')::date;
+begin
+  if uid is null then
+    return;
+  end if;
+  if p_level not in ('ok', 'suspicious', 'blocked') then
+    raise exception 'invalid scraper level %', p_level;
+  end if;
+
+  insert into public.scraper_signal_days as s
+    (user_id, day, question_loads, suspicious, blocked, min_median_ms, last_level)
+  values
+    (uid, d, 1,
+     (p_level = 'suspicious')::int, (p_level = 'blocked')::int,
+     p_median_ms, p_level)
+  on conflict (user_id, day) do update set
+    question_loads = s.question_loads + 1,
+    suspicious     = s.suspicious + (p_level = 'suspicious')::int,
+    blocked        = s.blocked + (p_level = 'blocked')::int,
+    min_median_ms  = least(s.min_median_ms, excluded.min_median_ms),
+    last_level     = p_level,
+    last_seen_at   = now();
+
+  if p_bucket between 1 and 7 then
+    update public.scraper_signal_days
+       set interval_histogram[p_bucket] = interval_histogram[p_bucket] + 1
+     where user_id = uid and day = d;
+  end if;
+
+  return query
+    select r.mode, r.reauth_after, (p.banned_at is not null)
+      from public.profiles p
+      left join public.scraper_restrictions r on r.user_id = p.id
+     where p.id = uid;
+end;
+$$;
+
+revoke execute on function public.record_scraper_signal(text, integer, integer) from public, anon;
+grant execute on function public.record_scraper_signal(text, integer, integer) to authenticated;
+
+-- ── Flag ────────────────────────────────────────────────────────────
+insert into public.feature_flags (key, value, description)
+values ('scraper_enforcement', 'shadow',
+  'Scraper detection stage: off | shadow | throttle | enforce. Shadow (or missing/unknown) logs and persists signals without refusing anything. See lib/flags.ts resolveScraperStage.')
+on conflict (key) do nothing;
@@ -0,0 +1,117 @@
+-- =========================================================
+-- External API key registry — consumers, hashed keys, usage log
+-- =========================================================
+-- /api/public/students/* and /api/external/score-report used to
+-- share one EXTERNAL_API_KEY env secret between every caller. This
+-- replaces it with a registry the admin page
+-- (/admin/api-keys) manages:
+--
+--   api_consumers     one row per partner: the scopes it may call
+--                     (lib/api/apiKeys.ts API_SCOPES) and an optional
+--                     student allow-list (null = every student).
+--   api_keys          SHA-256 of each issued key plus its display
+--                     prefix. A consumer can hold several at once —
+--                     that is how rotation overlaps: the new key is
+--                     live immediately and the old one gets an
+--                     expires_at a few days out.
+--   api_request_logs  one row per call, including refused ones:
+--                     consumer, key, endpoint, scope and status.
+--
+-- The request path (lib/externalAuth.ts) runs on the service-role
+-- client — the caller has no session — so every table is admin-only
+-- under RLS. The env secret keeps working as a 'legacy' consumer
+-- until it is unset; its calls are logged with a null key_id.
+
+-- ── Consumers ───────────────────────────────────────────────────────
+create table if not exists public.api_consumers (
+  id           uuid primary key default gen_random_uuid(),
+  name         text not null unique check (length(btrim(name)) > 0),
+  scopes       text[] not null default '{}'
+               check (scopes <@ array['search', 'provision', 'practice-data', 'score-report']::text[]),
+  student_ids  uuid[],
+  disabled_at  timestamptz,
+  created_by   uuid references public.profiles(id) on delete set null,
+  created_at   timestamptz not null default now()
+);
+
+comment on column public.api_consumers.student_ids is
+  'Optional allow-list. null = the consumer may reach every student; '
+  'otherwise only these (provisioning appends the students it creates).';
+
+-- ── Keys ────────────────────────────────────────────────────────────
+create table if not exists public.api_keys (
+  id           uuid primary key default gen_random_uuid(),
+  consumer_id  uuid not null references public.api_consumers(id) on delete cascade,
+  key_prefix   text not null,
+  key_hash     text not null unique,
+  label        text,
+  expires_at   timestamptz,
+  revoked_at   timestamptz,
+  rotated_from uuid references public.api_keys(id) on delete set null,
+  created_by   uuid references public.profiles(id) on delete set null,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists api_keys_consumer_idx on public.api_keys (consumer_id, created_at desc);
+
+-- ── Usage log ───────────────────────────────────────────────────────
+create table if not exists public.api_request_logs (
+  id            bigint generated always as identity primary key,
+  consumer_id   uuid references public.api_consumers(id) on delete set null,
+  key_id        uuid references public.api_keys(id) on delete set null,
+  consumer_name text,
+  scope         text not null,
+  method        text not null,
+  endpoint      text not null,
+  status        integer not null,
+  ip            text,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists api_request_logs_key_idx on public.api_request_logs (key_id, created_at desc);
+create index if not exists api_request_logs_created_idx on public.api_request_logs (created_at desc);
+
+-- ── RLS: admins only; the request path uses the service role ───────
+alter table public.api_consumers enable row level security;
+alter table public.api_keys enable row level security;
+alter table public.api_request_logs enable row level security;
+
+drop policy if exists ac_admin_all on public.api_consumers;
+create policy ac_admin_all on public.api_consumers
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists ak_admin_all on public.api_keys;
+create policy ak_admin_all on public.api_keys
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists arl_admin_select on public.api_request_logs;
+create policy arl_admin_select on public.api_request_logs
+  for select to authenticated using (public.is_admin());
+
+grant select, insert, update, delete on public.api_consumers to authenticated;
+grant select, insert, update, delete on public.api_keys to authenticated;
+grant select on public.api_request_logs to authenticated;
+grant all on public.api_consumers to service_role;
+grant all on public.api_keys to service_role;
+grant all on public.api_request_logs to service_role;
+
+-- ── Allow-list append ───────────────────────────────────────────────
+-- Provisioning a new student through a consumer that has an
+-- allow-list adds that student to it, atomically (two concurrent
+-- provisions must not drop each other's id). No-op for a consumer
+-- without an allow-list. Service role only.
+create or replace function public.api_consumer_allow_student(p_consumer uuid, p_student uuid)
+returns void
+language sql
+security definer
+set search_path = public, pg_temp
+as $$
+  update public.api_consumers
+     set student_ids = array_append(student_ids, p_student)
+   where id = p_consumer
+     and student_ids is not null
+     and not (p_student = any(student_ids));
+$$;
+
+revoke execute on function public.api_consumer_allow_student(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.api_consumer_allow_student(uuid, uuid) to service_role;
@@ -0,0 +1,172 @@
+-- =========================================================
+-- Outbound webhooks — subscriptions, deliveries, attempt log,
+-- dead letters
+-- =========================================================
+-- Replaces the hard-coded Lessonworks push (lib/lessonworksSync.js
+-- POSTing to a fixed URL from /api/admin/sync-lessonworks) with
+-- general subscriptions the admin page (/admin/webhooks) manages:
+--
+--   webhook_subscriptions      one row per receiver: URL, signing
+--                              secret, the events it wants
+--                              (lib/webhooks/events.ts WEBHOOK_EVENTS),
+--                              body format, and optionally the API
+--                              consumer whose student allow-list
+--                              bounds what it is sent.
+--   webhook_deliveries         one row per (event, subscription).
+--                              'pending' until a 2xx, retried on the
+--                              backoff in RETRY_BACKOFF_SECONDS, then
+--                              'dead'. A manual replay is a new row
+--                              pointing at the original (replay_of).
+--   webhook_delivery_attempts  every HTTP attempt: status code or
+--                              transport error, duration, and the
+--                              start of the response body.
+--   webhook_dead_letters       deliveries that exhausted their
+--                              retries, kept until someone replays
+--                              or dismisses them.
+--
+-- Delivery runs on the service role (lib/webhooks/deliver.ts) from
+-- after() and the /api/cron/webhooks sweep, so every table is
+-- admin-only under RLS. The secret is stored in the clear because
+-- signing needs it; only admins can read it.
+--
+-- Lessonworks is seeded as a disabled 'lessonworks_sync' subscription
+-- to mastery.snapshot. Paste LESSONWORKS_SYNC_KEY in as its secret and
+-- enable it (docs/runbook.md "Outbound webhooks").
+
+-- ── Subscriptions ───────────────────────────────────────────────────
+create table if not exists public.webhook_subscriptions (
+  id           uuid primary key default gen_random_uuid(),
+  name         text not null unique check (length(btrim(name)) > 0),
+  url          text not null check (url ~ '^https?://'),
+  secret       text not null check (length(secret) >= 16),
+  events       text[] not null default '{}'
+               check (events <@ array[
+                 'practice_test.completed',
+                 'assignment.completed',
+                 'mastery.snapshot',
+                 'student.provisioned',
+                 'plan.activated'
+               ]::text[]),
+  format       text not null default 'standard'
+               check (format in ('standard', 'lessonworks_sync')),
+  consumer_id  uuid references public.api_consumers(id) on delete set null,
+  disabled_at  timestamptz,
+  created_by   uuid references public.profiles(id) on delete set null,
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now()
+);
+
+comment on column public.webhook_subscriptions.consumer_id is
+  'Optional API consumer. When it has a student allow-list, only events '
+  'about those students are delivered.';
+
+-- ── Deliveries ──────────────────────────────────────────────────────
+create table if not exists public.webhook_deliveries (
+  id               uuid primary key default gen_random_uuid(),
+  subscription_id  uuid not null references public.webhook_subscriptions(id) on delete cascade,
+  event_id         text not null,
+  event_type       text not null,
+  student_id       uuid references public.profiles(id) on delete set null,
+  payload          jsonb not null,
+  status           text not null default 'pending'
+                   check (status in ('pending', 'delivered', 'dead')),
+  attempts         integer not null default 0,
+  next_attempt_at  timestamptz not null default now(),
+  last_status_code integer,
+  last_error       text,
+  delivered_at     timestamptz,
+  replay_of        uuid references public.webhook_deliveries(id) on delete set null,
+  created_by       uuid references public.profiles(id) on delete set null,
+  created_at       timestamptz not null default now()
+);
+
+-- An event is enqueued at most once per subscription; replays are
+-- exempt because they deliberately repeat it.
+create unique index if not exists webhook_deliveries_event_uniq
+  on public.webhook_deliveries (subscription_id, event_id)
+  where replay_of is null;
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+create index if not exists webhook_deliveries_sub_idx
+  on public.webhook_deliveries (subscription_id, created_at desc);
+
+-- ── Attempt log ─────────────────────────────────────────────────────
+create table if not exists public.webhook_delivery_attempts (
+  id           bigint generated always as identity primary key,
+  delivery_id  uuid not null references public.webhook_deliveries(id) on delete cascade,
+  attempt      integer not null,
+  status_code  integer,
+  error        text,
+  duration_ms  integer not null,
+  response_excerpt text,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists webhook_delivery_attempts_delivery_idx
+  on public.webhook_delivery_attempts (delivery_id, attempt);
+
+-- ── Dead letters ────────────────────────────────────────────────────
+create table if not exists public.webhook_dead_letters (
+  id                 uuid primary key default gen_random_uuid(),
+  delivery_id        uuid not null unique references public.webhook_deliveries(id) on delete cascade,
+  subscription_id    uuid not null references public.webhook_subscriptions(id) on delete cascade,
+  event_type         text not null,
+  attempts           integer not null,
+  last_status_code   integer,
+  last_error         text,
+  resolved_at        timestamptz,
+  resolved_by        uuid references public.profiles(id) on delete set null,
+  replay_delivery_id uuid references public.webhook_deliveries(id) on delete set null,
+  created_at         timestamptz not null default now()
+);
+
+create index if not exists webhook_dead_letters_open_idx
+  on public.webhook_dead_letters (created_at desc)
+  where resolved_at is null;
+
+-- ── RLS: admins only; delivery uses the service role ───────────────
+alter table public.webhook_subscriptions enable row level security;
+alter table public.webhook_deliveries enable row level security;
+alter table public.webhook_delivery_attempts enable row level security;
+alter table public.webhook_dead_letters enable row level security;
+
+drop policy if exists ws_admin_all on public.webhook_subscriptions;
+create policy ws_admin_all on public.webhook_subscriptions
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists wd_admin_all on public.webhook_deliveries;
+create policy wd_admin_all on public.webhook_deliveries
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists wda_admin_select on public.webhook_delivery_attempts;
+create policy wda_admin_select on public.webhook_delivery_attempts
+  for select to authenticated using (public.is_admin());
+
+drop policy if exists wdl_admin_all on public.webhook_dead_letters;
+create policy wdl_admin_all on public.webhook_dead_letters
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+grant select, insert, update, delete on public.webhook_subscriptions to authenticated;
+grant select, insert, update on public.webhook_deliveries to authenticated;
+grant select on public.webhook_delivery_attempts to authenticated;
+grant select, update on public.webhook_dead_letters to authenticated;
+grant all on public.webhook_subscriptions to service_role;
+grant all on public.webhook_deliveries to service_role;
+grant all on public.webhook_delivery_attempts to service_role;
+grant all on public.webhook_dead_letters to service_role;
+
+-- ── Lessonworks, as a subscription ──────────────────────────────────
+-- Disabled until an admin sets the real secret: Lessonworks
+-- authenticates the push with it (x-api-key), so the placeholder
+-- below would be refused anyway.
+insert into public.webhook_subscriptions (name, url, secret, events, format, disabled_at)
+values (
+  'Lessonworks',
+  'https://www.lessonworks.net/api/integrations/studyworks/sync',
+  'whsec_' || replace(gen_random_uuid()::text, '-', '') || replace(gen_random_uuid()::text, '-', ''),
+  array['mastery.snapshot'],
+  'lessonworks_sync',
+  now()
+)
+on conflict (name) do nothing;
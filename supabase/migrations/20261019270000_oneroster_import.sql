@@ -0,0 +1,110 @@
+-- =========================================================
+-- OneRoster roster import — orgs, user links, import log, and
+-- rostered class groups
+-- =========================================================
+-- Backs the OneRoster 1.1 CSV import at /tutor/roster/import
+-- (lib/roster/oneroster.ts plans, lib/roster/oneroster-server.ts
+-- writes). Admins and managers run it:
+--
+--   roster_imports    one row per committed import: who ran it, the
+--                     orgs the bundle covered, and the plan summary
+--                     plus the students it dropped, which is what the
+--                     import page shows afterwards.
+--   roster_orgs       the districts and schools imports have seen.
+--   roster_users      OneRoster user sourcedId → profile. The identity
+--                     every later import matches on first, before
+--                     email. dropped_at marks a user an import no
+--                     longer carried; a later import clears it.
+--
+-- A rostered class is a row in the original classes table (teacher_id
+-- = the class's primary teacher) with class_enrollments for its
+-- students, so it is a class group the new-assignment form can select
+-- and teacher_can_view_student / can_view already honour it. Imported
+-- rows carry the class sourcedId and school; an enrollment the roster
+-- drops is flagged (dropped_at), not deleted.
+--
+-- Every write runs on the service role behind requireServiceRole —
+-- an import creates auth users — so the new tables only need read
+-- policies.
+
+-- ── Import log ──────────────────────────────────────────────────────
+create table if not exists public.roster_imports (
+  id               uuid primary key default gen_random_uuid(),
+  imported_by      uuid references public.profiles(id) on delete set null,
+  org_sourced_ids  text[] not null default '{}',
+  summary          jsonb not null default '{}'::jsonb,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists roster_imports_by_idx
+  on public.roster_imports (imported_by, created_at desc);
+
+-- ── Orgs ────────────────────────────────────────────────────────────
+create table if not exists public.roster_orgs (
+  sourced_id         text primary key,
+  name               text not null,
+  type               text not null,
+  identifier         text,
+  parent_sourced_id  text,
+  last_import_id     uuid references public.roster_imports(id) on delete set null,
+  updated_at         timestamptz not null default now()
+);
+
+-- ── User links ──────────────────────────────────────────────────────
+create table if not exists public.roster_users (
+  sourced_id       text primary key,
+  profile_id       uuid not null references public.profiles(id) on delete cascade,
+  role             text not null check (role in ('student', 'teacher')),
+  org_sourced_ids  text[] not null default '{}',
+  dropped_at       timestamptz,
+  last_import_id   uuid references public.roster_imports(id) on delete set null,
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+
+create index if not exists roster_users_profile_idx on public.roster_users (profile_id);
+create index if not exists roster_users_orgs_idx on public.roster_users using gin (org_sourced_ids);
+
+-- ── Rostered classes ────────────────────────────────────────────────
+alter table public.classes
+  add column if not exists sourced_id        text,
+  add column if not exists org_sourced_id    text,
+  add column if not exists roster_import_id  uuid references public.roster_imports(id) on delete set null;
+
+create unique index if not exists classes_sourced_id_key
+  on public.classes (sourced_id) where sourced_id is not null;
+create index if not exists classes_org_sourced_id_idx
+  on public.classes (org_sourced_id) where org_sourced_id is not null;
+
+alter table public.class_enrollments
+  add column if not exists rostered    boolean not null default false,
+  add column if not exists dropped_at  timestamptz;
+
+comment on column public.class_enrollments.dropped_at is
+  'Set when a roster import no longer lists this student in the class. '
+  'The row stays so the teacher keeps visibility and history; class '
+  'pickers skip it, and a later import that lists the student clears it.';
+
+-- ── RLS ─────────────────────────────────────────────────────────────
+alter table public.roster_imports enable row level security;
+alter table public.roster_orgs enable row level security;
+alter table public.roster_users enable row level security;
+
+drop policy if exists ri_select on public.roster_imports;
+create policy ri_select on public.roster_imports
+  for select using (public.is_admin() or imported_by = auth.uid());
+
+drop policy if exists ro_admin_select on public.roster_orgs;
+create policy ro_admin_select on public.roster_orgs
+  for select using (public.is_admin());
+
+drop policy if exists ru_admin_select on public.roster_users;
+create policy ru_admin_select on public.roster_users
+  for select using (public.is_admin());
+
+grant select on public.roster_imports to authenticated;
+grant select on public.roster_orgs to authenticated;
+grant select on public.roster_users to authenticated;
+grant all on public.roster_imports to service_role;
+grant all on public.roster_orgs to service_role;
+grant all on public.roster_users to service_role;
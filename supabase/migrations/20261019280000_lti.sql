@@ -0,0 +1,194 @@
+-- =========================================================
+-- LTI 1.3 tool provider — platforms, launches, resource links and
+-- grade passback
+-- =========================================================
+-- Backs /api/lti/{login,launch,jwks}, the deep-link picker at
+-- /lti/deep-link and the platform registry at /admin/lti
+-- (lib/lti/launch.ts is the pure half, lib/lti/lti-server.ts the IO):
+--
+--   lti_platforms           one row per registered LMS (issuer +
+--                           client_id), with its OIDC, token and JWKS
+--                           endpoints and the deployment ids allowed
+--                           to launch.
+--   lti_login_states        state + nonce from an OIDC login initiation,
+--                           consumed once by the launch that follows.
+--   lti_users               platform user (iss + sub) → profile. The
+--                           identity every later launch matches on.
+--   lti_deep_link_requests  a teacher's pending deep-linking session:
+--                           where to post the response and the opaque
+--                           data to echo.
+--   lti_resource_links      a placed link in a course, with what it
+--                           opens (an assignment or a lesson), the
+--                           teacher it belongs to, and the AGS line item.
+--   lti_link_learners       which students launched which link — who
+--                           gets a grade pushed to it.
+--   lti_grade_pushes        AGS score outbox: one row per completion per
+--                           link, retried by /api/cron/lti-grades.
+--
+-- Launches, accounts and grade pushes are written on the service role
+-- (there is no session yet at launch time). Admins manage platforms on
+-- their own client and can read the rest for the admin page; teachers
+-- read their own deep-link requests.
+
+-- ── Platforms ───────────────────────────────────────────────────────
+create table if not exists public.lti_platforms (
+  id               uuid primary key default gen_random_uuid(),
+  name             text not null unique,
+  issuer           text not null,
+  client_id        text not null,
+  deployment_ids   text[] not null default '{}',
+  auth_login_url   text not null,
+  auth_token_url   text not null,
+  jwks_url         text not null,
+  -- Link a first launch to an existing account with the same email.
+  -- Only for platforms whose emails the school controls.
+  match_email      boolean not null default false,
+  disabled_at      timestamptz,
+  created_by       uuid references public.profiles(id) on delete set null,
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now(),
+  unique (issuer, client_id)
+);
+
+-- ── OIDC login state ────────────────────────────────────────────────
+create table if not exists public.lti_login_states (
+  state        text primary key,
+  nonce        text not null,
+  platform_id  uuid not null references public.lti_platforms(id) on delete cascade,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists lti_login_states_created_idx on public.lti_login_states (created_at);
+
+-- ── Users ───────────────────────────────────────────────────────────
+create table if not exists public.lti_users (
+  platform_id     uuid not null references public.lti_platforms(id) on delete cascade,
+  sub             text not null,
+  profile_id      uuid not null references public.profiles(id) on delete cascade,
+  last_launch_at  timestamptz not null default now(),
+  created_at      timestamptz not null default now(),
+  primary key (platform_id, sub)
+);
+
+create index if not exists lti_users_profile_idx on public.lti_users (profile_id);
+
+-- ── Deep linking ────────────────────────────────────────────────────
+create table if not exists public.lti_deep_link_requests (
+  id               uuid primary key default gen_random_uuid(),
+  platform_id      uuid not null references public.lti_platforms(id) on delete cascade,
+  deployment_id    text not null,
+  profile_id       uuid not null references public.profiles(id) on delete cascade,
+  return_url       text not null,
+  data             text,
+  accept_multiple  boolean not null default true,
+  context_title    text,
+  used_at          timestamptz,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists lti_deep_link_requests_profile_idx
+  on public.lti_deep_link_requests (profile_id, created_at desc);
+
+-- ── Resource links ──────────────────────────────────────────────────
+create table if not exists public.lti_resource_links (
+  id                uuid primary key default gen_random_uuid(),
+  platform_id       uuid not null references public.lti_platforms(id) on delete cascade,
+  resource_link_id  text not null,
+  deployment_id     text not null,
+  context_id        text,
+  context_title     text,
+  title             text,
+  target_type       text check (target_type in ('assignment', 'lesson')),
+  target_id         uuid,
+  owner_id          uuid references public.profiles(id) on delete set null,
+  lineitem_url      text,
+  ags_scopes        text[] not null default '{}',
+  created_at        timestamptz not null default now(),
+  updated_at        timestamptz not null default now(),
+  unique (platform_id, resource_link_id)
+);
+
+create index if not exists lti_resource_links_target_idx
+  on public.lti_resource_links (target_type, target_id);
+
+create table if not exists public.lti_link_learners (
+  resource_link_id  uuid not null references public.lti_resource_links(id) on delete cascade,
+  profile_id        uuid not null references public.profiles(id) on delete cascade,
+  lti_sub           text not null,
+  last_launch_at    timestamptz not null default now(),
+  primary key (resource_link_id, profile_id)
+);
+
+create index if not exists lti_link_learners_profile_idx on public.lti_link_learners (profile_id);
+
+-- ── Grade passback ──────────────────────────────────────────────────
+create table if not exists public.lti_grade_pushes (
+  id                uuid primary key default gen_random_uuid(),
+  resource_link_id  uuid not null references public.lti_resource_links(id) on delete cascade,
+  profile_id        uuid not null references public.profiles(id) on delete cascade,
+  assignment_id     uuid not null,
+  score_given       numeric not null,
+  score_maximum     numeric not null,
+  completed_at      timestamptz not null,
+  status            text not null default 'pending' check (status in ('pending', 'sent', 'dead')),
+  attempts          integer not null default 0,
+  next_attempt_at   timestamptz not null default now(),
+  last_status_code  integer,
+  last_error        text,
+  sent_at           timestamptz,
+  created_at        timestamptz not null default now(),
+  -- One push per completion per link; a re-emitted completion is a no-op.
+  unique (resource_link_id, profile_id, completed_at)
+);
+
+create index if not exists lti_grade_pushes_due_idx
+  on public.lti_grade_pushes (next_attempt_at) where status = 'pending';
+
+-- ── RLS ─────────────────────────────────────────────────────────────
+alter table public.lti_platforms enable row level security;
+alter table public.lti_login_states enable row level security;
+alter table public.lti_users enable row level security;
+alter table public.lti_deep_link_requests enable row level security;
+alter table public.lti_resource_links enable row level security;
+alter table public.lti_link_learners enable row level security;
+alter table public.lti_grade_pushes enable row level security;
+
+drop policy if exists lp_admin_all on public.lti_platforms;
+create policy lp_admin_all on public.lti_platforms
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists lu_admin_select on public.lti_users;
+create policy lu_admin_select on public.lti_users
+  for select to authenticated using (public.is_admin());
+
+drop policy if exists ldl_own_select on public.lti_deep_link_requests;
+create policy ldl_own_select on public.lti_deep_link_requests
+  for select to authenticated using (profile_id = auth.uid() or public.is_admin());
+
+drop policy if exists lrl_select on public.lti_resource_links;
+create policy lrl_select on public.lti_resource_links
+  for select to authenticated using (owner_id = auth.uid() or public.is_admin());
+
+drop policy if exists lll_admin_select on public.lti_link_learners;
+create policy lll_admin_select on public.lti_link_learners
+  for select to authenticated using (public.is_admin());
+
+drop policy if exists lgp_admin_select on public.lti_grade_pushes;
+create policy lgp_admin_select on public.lti_grade_pushes
+  for select to authenticated using (public.is_admin());
+
+-- lti_login_states has no policies: only the service role touches it.
+
+grant select, insert, update, delete on public.lti_platforms to authenticated;
+grant select on public.lti_users to authenticated;
+grant select on public.lti_deep_link_requests to authenticated;
+grant select on public.lti_resource_links to authenticated;
+grant select on public.lti_link_learners to authenticated;
+grant select on public.lti_grade_pushes to authenticated;
+grant all on public.lti_platforms to service_role;
+grant all on public.lti_login_states to service_role;
+grant all on public.lti_users to service_role;
+grant all on public.lti_deep_link_requests to service_role;
+grant all on public.lti_resource_links to service_role;
+grant all on public.lti_link_learners to service_role;
+grant all on public.lti_grade_pushes to service_role;
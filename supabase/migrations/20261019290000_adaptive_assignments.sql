@@ -0,0 +1,44 @@
+-- =========================================================
+-- Adaptive assignments — each student's set drawn at start time
+-- =========================================================
+-- An 'adaptive' assignment stores the tutor's recipe instead of a
+-- question list: filter_criteria = { type: 'adaptive',
+-- skillSelections: [{ domain, skill, weight }], size, masteryGoal }.
+-- When a student starts it, lib/practice/adaptive-server.ts draws
+-- their own set from their mastery and attempt history, and steps
+-- the remaining same-skill questions up or down a difficulty level
+-- as they answer.
+--
+-- The student's drawn set lives on their junction row, so reports
+-- and completion read it without going through the session.
+-- assignment_students_v2 RLS already lets a student update their
+-- own row (asv2_update_self_or_teacher); the draw and the redraws
+-- run on the student's client.
+
+ALTER TABLE public.assignments_v2
+  DROP CONSTRAINT IF EXISTS assignments_v2_assignment_type_check;
+ALTER TABLE public.assignments_v2
+  ADD CONSTRAINT assignments_v2_assignment_type_check
+  CHECK (assignment_type = ANY (
+    ARRAY['questions'::text, 'lesson'::text, 'practice_test'::text, 'lesson_pack'::text, 'adaptive'::text]
+  ));
+
+-- An adaptive row has no question_ids of its own; the recipe in
+-- filter_criteria is its payload.
+ALTER TABLE public.assignments_v2
+  DROP CONSTRAINT IF EXISTS assignments_v2_type_payload_present;
+ALTER TABLE public.assignments_v2
+  ADD CONSTRAINT assignments_v2_type_payload_present CHECK (
+       (assignment_type = 'questions'     AND question_ids     IS NOT NULL)
+    OR (assignment_type = 'lesson'        AND lesson_id        IS NOT NULL)
+    OR (assignment_type = 'practice_test' AND practice_test_id IS NOT NULL)
+    OR (assignment_type = 'lesson_pack'   AND lesson_pack_id   IS NOT NULL
+                                          AND question_ids     IS NOT NULL)
+    OR (assignment_type = 'adaptive'      AND filter_criteria  IS NOT NULL)
+  );
+
+ALTER TABLE public.assignment_students_v2
+  ADD COLUMN IF NOT EXISTS question_ids uuid[];
+
+COMMENT ON COLUMN public.assignment_students_v2.question_ids IS
+  'Adaptive assignments only: this student''s drawn set, in order. Null until they start; rewritten as later questions step difficulty.';
@@ -0,0 +1,106 @@
+-- =========================================================
+-- Recurring assignments — templates that regenerate on a schedule
+-- =========================================================
+-- A recurring template is an assignment_templates row with a
+-- schedule, a roster and a generation rule. /api/cron/recurring-
+-- assignments (lib/practice/recurring-server.ts) materializes each
+-- due occurrence as one 'questions' assignment per student:
+--
+--   generation_rule  'fixed_skills'  the saved weighted-skill recipe
+--                                    (filter_criteria as the shelf
+--                                    stores it), re-sampled each time.
+--                    'weak_skills'   the student's top-N weak skills
+--                                    from get_roster_skill_performance;
+--                                    filter_criteria = { size, topN }.
+--                    'review_queue'  the student's due review queue
+--                                    (lib/review/queue.ts);
+--                                    filter_criteria = { size }.
+--   repeat_every     'week' on repeat_weekday (0 = Sunday, UTC), or
+--                    'days' every repeat_interval_days.
+--   due_offset_days  each occurrence is due this many days after it
+--                    goes out; null leaves it undated.
+--
+-- A student who still has the previous occurrence open is skipped for
+-- the new one. Every per-student outcome — created or skipped — is a
+-- row in assignment_template_runs, which is the series history the
+-- assignment page shows. Plain templates (repeat_every null) keep
+-- their current meaning and stay on the new-assignment shelf.
+
+alter table public.assignment_templates
+  add column if not exists generation_rule text not null default 'fixed_skills'
+    check (generation_rule in ('fixed_skills', 'weak_skills', 'review_queue')),
+  add column if not exists repeat_every text
+    check (repeat_every in ('week', 'days')),
+  add column if not exists repeat_weekday smallint
+    check (repeat_weekday between 0 and 6),
+  add column if not exists repeat_interval_days smallint
+    check (repeat_interval_days between 1 and 90),
+  add column if not exists due_offset_days smallint
+    check (due_offset_days between 0 and 60),
+  add column if not exists student_ids uuid[] not null default '{}',
+  add column if not exists next_run_on date,
+  add column if not exists paused_at timestamptz;
+
+alter table public.assignment_templates
+  drop constraint if exists assignment_templates_repeat_shape;
+alter table public.assignment_templates
+  add constraint assignment_templates_repeat_shape check (
+       repeat_every is null
+    or (repeat_every = 'week' and repeat_weekday is not null and next_run_on is not null)
+    or (repeat_every = 'days' and repeat_interval_days is not null and next_run_on is not null)
+  );
+
+create index if not exists assignment_templates_due_idx
+  on public.assignment_templates (next_run_on)
+  where repeat_every is not null and paused_at is null;
+
+-- Which series an assignment was generated by.
+alter table public.assignments_v2
+  add column if not exists template_id uuid
+    references public.assignment_templates(id) on delete set null;
+create index if not exists assignments_v2_template_idx
+  on public.assignments_v2 (template_id)
+  where template_id is not null;
+
+-- ── Series history ──────────────────────────────────────────────────
+create table if not exists public.assignment_template_runs (
+  id             uuid primary key default gen_random_uuid(),
+  template_id    uuid not null references public.assignment_templates(id) on delete cascade,
+  occurrence_on  date not null,
+  student_id     uuid not null references public.profiles(id) on delete cascade,
+  assignment_id  uuid references public.assignments_v2(id) on delete set null,
+  outcome        text not null
+    check (outcome in ('created', 'skipped_open', 'skipped_empty', 'skipped_roster', 'failed')),
+  detail         text,
+  created_at     timestamptz not null default now(),
+  unique (template_id, occurrence_on, student_id)
+);
+
+comment on table public.assignment_template_runs is
+  'One row per student per occurrence of a recurring template: the '
+  'assignment it created, or why it was skipped. Written by the '
+  'recurring-assignments cron on the service role.';
+
+create index if not exists assignment_template_runs_template_idx
+  on public.assignment_template_runs (template_id, occurrence_on desc);
+create index if not exists assignment_template_runs_student_idx
+  on public.assignment_template_runs (template_id, student_id, occurrence_on desc);
+
+alter table public.assignment_template_runs enable row level security;
+drop policy if exists atr_owner_select on public.assignment_template_runs;
+create policy atr_owner_select on public.assignment_template_runs
+  for select to authenticated
+  using (
+    is_admin() or exists (
+      select 1 from public.assignment_templates t
+      where t.id = assignment_template_runs.template_id
+        and t.teacher_id = auth.uid()
+    )
+  );
+
+grant select on public.assignment_template_runs to authenticated;
+grant all on public.assignment_template_runs to service_role;
+
+-- The cron re-checks each student against the template owner's
+-- visibility before generating, on the service role.
+grant execute on function public.can_view_from(uuid, uuid) to service_role;
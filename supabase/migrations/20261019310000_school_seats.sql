@@ -0,0 +1,341 @@
+-- =========================================================
+-- School plan — organizations buying seats on one subscription
+-- =========================================================
+-- Until now every paid account was its own Stripe checkout. A school
+-- buys N seats instead: one organizations row, one Stripe subscription
+-- whose item quantity is the seat count, one invoice. An org admin
+-- (organization_admins) assigns seats to students and teachers; a seat
+-- holder gets 'full' from effective_plan() while the org's
+-- subscription is live.
+--
+--   organizations        the billing entity. Stripe fields mirror
+--                        public.subscriptions and are written the same
+--                        way: only by the Stripe webhook (status,
+--                        seat_quantity, dates) and corrected by the
+--                        nightly reconcile, which also reports seats
+--                        assigned beyond the paid quantity.
+--   organization_admins  who manages an org's seats and billing.
+--   organization_seats   one row per assignment. A seat is released by
+--                        stamping released_at, never deleted, so the
+--                        org admin can see who was reclaimed and why.
+--
+-- Seats are written only through the SECURITY DEFINER functions below,
+-- which take a row lock on the org so two admins can't both fill the
+-- last seat. Archiving a user (profiles.is_active → false, from the
+-- roster or the admin console) releases their seats in a trigger, so
+-- no code path can forget to.
+
+create table if not exists public.organizations (
+  id                      uuid primary key default gen_random_uuid(),
+  name                    text not null check (char_length(name) between 1 and 200),
+  status                  text not null default 'pending'
+    check (status in ('pending', 'trialing', 'active', 'past_due', 'canceled', 'unpaid')),
+  seat_quantity           integer not null default 0 check (seat_quantity >= 0),
+  stripe_customer_id      text,
+  stripe_subscription_id  text unique,
+  current_period_end      timestamptz,
+  cancel_at_period_end    boolean not null default false,
+  last_stripe_event_at    timestamptz,
+  created_by              uuid references public.profiles(id) on delete set null,
+  created_at              timestamptz not null default now(),
+  updated_at              timestamptz not null default now()
+);
+
+comment on table public.organizations is
+  'A school on the seat-based plan: one Stripe subscription, quantity = '
+  'seat_quantity. Status and seat_quantity are written by the Stripe '
+  'webhook only; see organization_seats for who holds the seats.';
+
+drop trigger if exists trg_organizations_updated_at on public.organizations;
+create trigger trg_organizations_updated_at
+  before update on public.organizations
+  for each row execute function public.set_updated_at();
+
+create table if not exists public.organization_admins (
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  user_id         uuid not null references public.profiles(id) on delete cascade,
+  created_at      timestamptz not null default now(),
+  primary key (organization_id, user_id)
+);
+create index if not exists organization_admins_user_idx
+  on public.organization_admins (user_id);
+
+create table if not exists public.organization_seats (
+  id              uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  user_id         uuid not null references public.profiles(id) on delete cascade,
+  assigned_by     uuid references public.profiles(id) on delete set null,
+  assigned_at     timestamptz not null default now(),
+  released_at     timestamptz,
+  release_reason  text check (release_reason in ('unassigned', 'archived')),
+  check ((released_at is null) = (release_reason is null))
+);
+
+-- One live seat per person, across every org: a second school can't
+-- silently double-bill for the same student.
+create unique index if not exists organization_seats_one_live_idx
+  on public.organization_seats (user_id) where released_at is null;
+create index if not exists organization_seats_org_idx
+  on public.organization_seats (organization_id, released_at);
+
+create or replace function public.is_org_admin(p_org uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  select exists (
+    select 1 from public.organization_admins a
+     where a.organization_id = p_org and a.user_id = auth.uid());
+$$;
+
+-- ── RLS ─────────────────────────────────────────────────────────────
+-- Reads only; every write goes through the functions below or the
+-- service role (Stripe webhook, reconcile).
+alter table public.organizations enable row level security;
+alter table public.organization_admins enable row level security;
+alter table public.organization_seats enable row level security;
+
+drop policy if exists org_select on public.organizations;
+create policy org_select on public.organizations
+  for select to authenticated
+  using (
+    public.is_admin() or public.is_org_admin(id) or exists (
+      select 1 from public.organization_seats s
+       where s.organization_id = organizations.id
+         and s.user_id = auth.uid() and s.released_at is null)
+  );
+
+drop policy if exists org_admins_select on public.organization_admins;
+create policy org_admins_select on public.organization_admins
+  for select to authenticated
+  using (public.is_admin() or user_id = auth.uid() or public.is_org_admin(organization_id));
+
+drop policy if exists org_seats_select on public.organization_seats;
+create policy org_seats_select on public.organization_seats
+  for select to authenticated
+  using (public.is_admin() or user_id = auth.uid() or public.is_org_admin(organization_id));
+
+grant select on public.organizations, public.organization_admins, public.organization_seats to authenticated;
+grant all on public.organizations, public.organization_admins, public.organization_seats to service_role;
+
+-- ── Seat holder check ───────────────────────────────────────────────
+-- A live seat in an org whose subscription grants access. Same status
+-- set and three-day period grace as the stripe candidate in
+-- effective_plan() (20260818214228), for the same reasons.
+create or replace function public.has_org_seat(p_user uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  select exists (
+    select 1
+      from public.organization_seats s
+      join public.organizations o on o.id = s.organization_id
+     where s.user_id = p_user
+       and s.released_at is null
+       and o.status in ('active', 'trialing')
+       and (o.current_period_end is null
+            or o.current_period_end > now() - interval '3 days'));
+$$;
+
+revoke execute on function public.has_org_seat(uuid) from public, anon;
+grant execute on function public.has_org_seat(uuid) to authenticated, service_role;
+
+-- effective_plan() with an org-seat candidate. Every other candidate is
+-- copied verbatim from 20260818214228_effective_plan_date_guard.sql.
+create or replace function public.effective_plan(p_user uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  with candidates as (
+    select case when p.role in ('admin', 'manager') then 'full' end as plan
+      from public.profiles p where p.id = p_user
+    union all
+    select 'full' from public.profiles p
+      where p.id = p_user and p.role = 'teacher' and p.subscription_exempt
+    union all
+    select 'full' where exists (
+      select 1
+        from public.teacher_student_assignments t
+        join public.profiles tp on tp.id = t.teacher_id
+       where t.student_id = p_user and tp.subscription_exempt)
+    union all
+    -- stripe: an active/trialing subscription whose period has not
+    -- lapsed beyond the grace window.
+    select 'full' where exists (
+      select 1 from public.subscriptions s
+      where s.user_id = p_user
+        and s.status in ('active', 'trialing')
+        and (s.current_period_end is null
+             or s.current_period_end > now() - interval '3 days'))
+    union all
+    -- school: a live seat in an org with a live subscription.
+    select 'full' where public.has_org_seat(p_user)
+    union all
+    select e.plan from public.entitlements e
+      where e.user_id = p_user and e.status = 'active'
+        and (e.expires_at is null or e.expires_at > now())
+  )
+  select plan from candidates
+  where plan is not null
+  order by public.plan_rank(plan) desc
+  limit 1;
+$$;
+
+-- ── Writers ─────────────────────────────────────────────────────────
+-- Create an org with the caller as its first admin. Billing starts at
+-- checkout (/api/billing/create-checkout, plan 'school').
+create or replace function public.create_organization(p_name text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  uid    uuid := auth.uid();
+  org_id uuid;
+begin
+  if uid is null then
+    raise exception 'not signed in';
+  end if;
+  if not exists (
+    select 1 from public.profiles p
+     where p.id = uid and p.role in ('teacher', 'manager', 'admin')
+  ) then
+    raise exception 'only tutors and staff can set up a school plan';
+  end if;
+
+  insert into public.organizations (name, created_by)
+  values (btrim(p_name), uid)
+  returning id into org_id;
+  insert into public.organization_admins (organization_id, user_id)
+  values (org_id, uid);
+  return org_id;
+end;
+$$;
+
+-- Assign a seat by email. Returns one of:
+--   'assigned' | 'already_here' | 'seated_elsewhere' | 'no_user'
+--   | 'wrong_role' | 'inactive' | 'full'
+-- Lookup by email because an org admin assigns teachers they can't see
+-- under can_view. Only students and teachers hold seats.
+create or replace function public.assign_org_seat(p_org uuid, p_email text)
+returns text
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  target public.profiles%rowtype;
+  quota  integer;
+  used   integer;
+begin
+  if not (public.is_org_admin(p_org) or public.is_admin()) then
+    raise exception 'not an admin of this organization';
+  end if;
+
+  -- Serializes seat writes per org; the count below is then exact.
+  select seat_quantity into quota
+    from public.organizations where id = p_org
+     for update;
+  if not found then
+    raise exception 'organization not found';
+  end if;
+
+  select * into target from public.profiles
+   where lower(email) = lower(btrim(p_email))
+   limit 1;
+  if not found then
+    return 'no_user';
+  end if;
+  if target.role not in ('student', 'teacher') then
+    return 'wrong_role';
+  end if;
+  if target.is_active is false then
+    return 'inactive';
+  end if;
+
+  if exists (select 1 from public.organization_seats
+              where user_id = target.id and released_at is null) then
+    return case when exists (
+      select 1 from public.organization_seats
+       where user_id = target.id and released_at is null and organization_id = p_org)
+      then 'already_here' else 'seated_elsewhere' end;
+  end if;
+
+  select count(*) into used from public.organization_seats
+   where organization_id = p_org and released_at is null;
+  if used >= quota then
+    return 'full';
+  end if;
+
+  insert into public.organization_seats (organization_id, user_id, assigned_by)
+  values (p_org, target.id, auth.uid());
+  return 'assigned';
+end;
+$$;
+
+create or replace function public.release_org_seat(p_seat uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  org uuid;
+begin
+  select organization_id into org from public.organization_seats
+   where id = p_seat and released_at is null;
+  if org is null then
+    return false;
+  end if;
+  if not (public.is_org_admin(org) or public.is_admin()) then
+    raise exception 'not an admin of this organization';
+  end if;
+
+  update public.organization_seats
+     set released_at = now(), release_reason = 'unassigned'
+   where id = p_seat and released_at is null;
+  return true;
+end;
+$$;
+
+revoke execute on function public.is_org_admin(uuid) from public, anon;
+revoke execute on function public.create_organization(text) from public, anon;
+revoke execute on function public.assign_org_seat(uuid, text) from public, anon;
+revoke execute on function public.release_org_seat(uuid) from public, anon;
+grant execute on function public.is_org_admin(uuid) to authenticated;
+grant execute on function public.create_organization(text) to authenticated;
+grant execute on function public.assign_org_seat(uuid, text) to authenticated;
+grant execute on function public.release_org_seat(uuid) to authenticated;
+
+-- ── Reclamation ─────────────────────────────────────────────────────
+-- Archiving a user gives their seat back to the org. Reactivating does
+-- not re-seat them; the org admin assigns again if they still want to.
+create or replace function public.release_seats_on_archive()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+begin
+  update public.organization_seats
+     set released_at = now(), release_reason = 'archived'
+   where user_id = new.id and released_at is null;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_profiles_release_seats on public.profiles;
+create trigger trg_profiles_release_seats
+  after update of is_active on public.profiles
+  for each row
+  when (new.is_active is false and old.is_active is distinct from false)
+  execute function public.release_seats_on_archive();
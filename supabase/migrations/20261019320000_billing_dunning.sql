@@ -0,0 +1,71 @@
+-- =========================================================
+-- Dunning — payment-failure grace and billing reminder log
+-- =========================================================
+-- Until now a failed card meant past_due, and past_due meant denied on
+-- the next page load with no warning. Now a past_due subscriber gets a
+-- grace window in READ-ONLY mode: dashboard, history and review pages
+-- stay open, new practice is blocked, and every page carries a banner
+-- pointing at the billing portal. Once the window closes they are
+-- denied exactly as before. effective_plan() is unchanged — read-only
+-- is not a plan, so has_plan() still says no for past_due.
+--
+--   subscriptions.past_due_since  when the current past_due stretch
+--                                 began. Written by the Stripe webhook
+--                                 (and the reconcile, when it finds a
+--                                 missed transition); cleared when the
+--                                 subscription leaves past_due. The
+--                                 grace window runs from here.
+--   billing_notices               one row per reminder email, keyed by
+--                                 the Stripe event that caused it. The
+--                                 insert is the claim, so a redelivered
+--                                 event never emails twice; the row is
+--                                 also the "did they get told?" record.
+--
+-- The window length is the billing_grace_days feature flag (lib/flags.ts
+-- billingGraceDays): whole days 0–30, '0' restoring immediate denial.
+
+alter table public.subscriptions
+  add column if not exists past_due_since timestamptz;
+
+comment on column public.subscriptions.past_due_since is
+  'Start of the current past_due stretch; null unless status = past_due. '
+  'The read-only grace window (billing_grace_days flag) runs from here.';
+
+-- Rows already past_due get the best start we have. last_stripe_event_at
+-- is the payment-failure event for any row the webhook moved there.
+update public.subscriptions
+   set past_due_since = coalesce(last_stripe_event_at, updated_at, now())
+ where status = 'past_due'
+   and past_due_since is null;
+
+create table if not exists public.billing_notices (
+  stripe_event_id text primary key,
+  user_id         uuid not null references public.profiles(id) on delete cascade,
+  kind            text not null check (kind in ('trial_ending', 'payment_failed')),
+  email           text,
+  sent_at         timestamptz,
+  created_at      timestamptz not null default now()
+);
+
+comment on table public.billing_notices is
+  'Billing reminder emails (trial ending, payment failed), one per Stripe '
+  'event. Written by the Stripe webhook only; sent_at is null when the '
+  'send failed or email is unconfigured.';
+
+create index if not exists billing_notices_user_idx
+  on public.billing_notices (user_id, created_at desc);
+
+alter table public.billing_notices enable row level security;
+
+drop policy if exists billing_notices_select on public.billing_notices;
+create policy billing_notices_select on public.billing_notices
+  for select to authenticated
+  using (public.is_admin() or user_id = auth.uid());
+
+grant select on public.billing_notices to authenticated;
+grant all on public.billing_notices to service_role;
+
+insert into public.feature_flags (key, value, description)
+values ('billing_grace_days', '7',
+  'Read-only grace after a failed payment, in whole days (0-30). 0 denies past_due immediately; missing or unreadable means 7. See lib/flags.ts billingGraceDays.')
+on conflict (key) do nothing;
@@ -0,0 +1,421 @@
+-- =========================================================
+-- Guardians — read-only parent accounts linked to students
+-- =========================================================
+-- Until now a parent only saw what a tutor forwarded (the weekly
+-- digest email). A `guardian` account signs in and reads a linked
+-- student's progress: the Today plan, score history, assignments and
+-- their completion, and the tutor notes marked shareable. Nothing else,
+-- and never a write.
+--
+--   guardian_links  one row per (guardian, student). The guardian
+--                   requests by the student's email; the student, or a
+--                   tutor who can see them, approves or declines. Any
+--                   of the three can revoke later. Rows are written only
+--                   through the SECURITY DEFINER functions below.
+--
+-- Visibility is its own path, guardian_can_view(target), and it is
+-- deliberately NOT a branch of can_view_from(). can_view() gates
+-- writes as well as reads on several tables (study_plans, plan_tasks,
+-- review_queue, practice_sessions, weekly_digest_recipients), so
+-- folding guardians into it would let a parent edit the plan they are
+-- only meant to watch. Instead each table the portal reads gets one
+-- extra FOR SELECT policy on guardian_can_view — additive (policies
+-- OR together), read-only by construction, and greppable as
+-- *_guardian_select.
+
+-- ─────────────────────────────────────────────────────────────────
+-- 1. The guardian role
+-- ─────────────────────────────────────────────────────────────────
+
+alter table public.profiles drop constraint if exists profiles_role_check;
+alter table public.profiles add constraint profiles_role_check
+  check (role = any (array[
+    'practice'::text, 'student'::text, 'teacher'::text,
+    'manager'::text, 'admin'::text, 'contributor'::text, 'guardian'::text
+  ]));
+
+alter table public.profiles drop constraint if exists profiles_user_type_check;
+alter table public.profiles add constraint profiles_user_type_check
+  check (user_type in ('student', 'teacher', 'exploring', 'guardian'));
+
+-- JWT-based, matching is_admin() / is_contributor().
+create or replace function public.is_guardian()
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'guardian';
+$$;
+
+comment on function public.is_guardian() is
+  'True when the calling session''s base role is guardian (a parent account with read-only access to linked students).';
+
+-- Signup: user_type 'guardian' (the "a parent or guardian" option on
+-- the signup form) maps to the guardian role. Guardians are never
+-- exempt and need no subscription — the portal sits outside the
+-- subscription gate. Otherwise unchanged from 20230101000014.
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql security definer set search_path = public
+as $$
+declare
+  v_meta jsonb;
+  v_user_type text;
+  v_role text;
+  v_exempt boolean;
+begin
+  v_meta := coalesce(new.raw_user_meta_data, '{}'::jsonb);
+  v_user_type := v_meta->>'user_type';
+  v_exempt := coalesce((v_meta->>'subscription_exempt')::boolean, false);
+
+  case v_user_type
+    when 'student' then v_role := 'student';
+    when 'teacher' then v_role := 'teacher';
+    when 'guardian' then v_role := 'guardian'; v_exempt := false;
+    else v_role := 'practice';
+  end case;
+
+  insert into public.profiles (
+    id, email, role, first_name, last_name, user_type,
+    high_school, graduation_year, target_sat_score, tutor_name,
+    subscription_exempt
+  )
+  values (
+    new.id,
+    new.email,
+    v_role,
+    v_meta->>'first_name',
+    v_meta->>'last_name',
+    v_user_type,
+    v_meta->>'high_school',
+    (v_meta->>'graduation_year')::int,
+    (v_meta->>'target_sat_score')::int,
+    v_meta->>'tutor_name',
+    v_exempt
+  )
+  on conflict (id) do update set
+    email = excluded.email,
+    role = coalesce(excluded.role, profiles.role),
+    first_name = coalesce(excluded.first_name, profiles.first_name),
+    last_name = coalesce(excluded.last_name, profiles.last_name),
+    user_type = coalesce(excluded.user_type, profiles.user_type),
+    high_school = coalesce(excluded.high_school, profiles.high_school),
+    graduation_year = coalesce(excluded.graduation_year, profiles.graduation_year),
+    target_sat_score = coalesce(excluded.target_sat_score, profiles.target_sat_score),
+    tutor_name = coalesce(excluded.tutor_name, profiles.tutor_name),
+    subscription_exempt = coalesce(excluded.subscription_exempt, profiles.subscription_exempt);
+
+  return new;
+end;
+$$;
+
+-- ─────────────────────────────────────────────────────────────────
+-- 2. guardian_links
+-- ─────────────────────────────────────────────────────────────────
+
+create table if not exists public.guardian_links (
+  id              uuid primary key default gen_random_uuid(),
+  guardian_id     uuid not null references public.profiles(id) on delete cascade,
+  student_id      uuid not null references public.profiles(id) on delete cascade,
+  relationship    text not null default 'parent'
+    check (relationship in ('parent', 'guardian')),
+  status          text not null default 'pending'
+    check (status in ('pending', 'approved', 'declined', 'revoked')),
+  -- What the guardian typed, so their pending list can say which
+  -- child a request is for before anyone has approved showing a name.
+  requested_email text not null,
+  requested_at    timestamptz not null default now(),
+  decided_by      uuid references public.profiles(id) on delete set null,
+  decided_at      timestamptz,
+  created_at      timestamptz not null default now(),
+  unique (guardian_id, student_id)
+);
+
+comment on table public.guardian_links is
+  'Parent/guardian → student links. Pending until the student or one of '
+  'their tutors approves; only approved links grant guardian_can_view. '
+  'Written through request/decide/revoke_guardian_link only.';
+
+create index if not exists guardian_links_student_idx
+  on public.guardian_links (student_id, status);
+create index if not exists guardian_links_guardian_idx
+  on public.guardian_links (guardian_id, status);
+
+alter table public.guardian_links enable row level security;
+drop policy if exists guardian_links_select on public.guardian_links;
+-- The guardian sees their own requests; the student and their tutor
+-- chain see requests about the student (can_view covers self + admin).
+create policy guardian_links_select on public.guardian_links
+  for select to authenticated
+  using (guardian_id = auth.uid() or public.can_view(student_id));
+
+grant select on public.guardian_links to authenticated;
+grant all on public.guardian_links to service_role;
+
+-- ─────────────────────────────────────────────────────────────────
+-- 3. guardian_can_view — the guardian read path
+-- ─────────────────────────────────────────────────────────────────
+-- is_guardian() in the predicate means changing someone's role away
+-- from guardian ends their access without touching the links.
+
+create or replace function public.guardian_can_view(target uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_guardian() and exists (
+    select 1
+    from public.guardian_links gl
+    where gl.guardian_id = auth.uid()
+      and gl.student_id = target
+      and gl.status = 'approved'
+  );
+$$;
+
+comment on function public.guardian_can_view(uuid) is
+  'True when the caller is a guardian with an approved link to target. Read-only path: used only in FOR SELECT policies (*_guardian_select), never folded into can_view(), which also gates writes.';
+
+revoke all on function public.guardian_can_view(uuid) from public;
+revoke all on function public.guardian_can_view(uuid) from anon;
+grant execute on function public.guardian_can_view(uuid) to authenticated;
+
+-- ─────────────────────────────────────────────────────────────────
+-- 4. Requests and decisions
+-- ─────────────────────────────────────────────────────────────────
+-- Each returns an outcome string the Server Action maps to copy
+-- (lib/guardian/guardian-links.ts). Requests are by email, so the
+-- action is rate-limited ('guardian.link_request') for the same reason
+-- seat assignment is.
+
+create or replace function public.request_guardian_link(p_email text, p_relationship text)
+returns text
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  target public.profiles%rowtype;
+  link   public.guardian_links%rowtype;
+  v_email text := lower(btrim(coalesce(p_email, '')));
+begin
+  if not public.is_guardian() then
+    return 'not_guardian';
+  end if;
+  if p_relationship not in ('parent', 'guardian') then
+    return 'bad_relationship';
+  end if;
+
+  select * into target from public.profiles
+   where lower(email) = v_email
+   limit 1;
+  if not found or target.role <> 'student' or target.is_active is false then
+    return 'no_student';
+  end if;
+
+  select * into link from public.guardian_links
+   where guardian_id = auth.uid() and student_id = target.id
+     for update;
+  if found then
+    if link.status = 'approved' then
+      return 'already_linked';
+    end if;
+    if link.status = 'pending' then
+      return 'already_pending';
+    end if;
+    -- Declined or revoked: asking again reopens the same row.
+    update public.guardian_links
+       set status = 'pending', relationship = p_relationship,
+           requested_email = v_email, requested_at = now(),
+           decided_by = null, decided_at = null
+     where id = link.id;
+    return 'requested';
+  end if;
+
+  insert into public.guardian_links (guardian_id, student_id, relationship, requested_email)
+  values (auth.uid(), target.id, p_relationship, v_email);
+  return 'requested';
+end;
+$$;
+
+create or replace function public.decide_guardian_link(p_link uuid, p_approve boolean)
+returns text
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  link public.guardian_links%rowtype;
+begin
+  select * into link from public.guardian_links where id = p_link for update;
+  -- Not deciding on it reads the same as it not existing.
+  if not found
+     or not (link.student_id = auth.uid()
+             or (public.is_teacher() and public.can_view(link.student_id))) then
+    return 'not_found';
+  end if;
+  if link.status <> 'pending' then
+    return 'not_pending';
+  end if;
+
+  update public.guardian_links
+     set status = case when p_approve then 'approved' else 'declined' end,
+         decided_by = auth.uid(), decided_at = now()
+   where id = link.id;
+  return case when p_approve then 'approved' else 'declined' end;
+end;
+$$;
+
+create or replace function public.revoke_guardian_link(p_link uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  link public.guardian_links%rowtype;
+begin
+  select * into link from public.guardian_links where id = p_link for update;
+  if not found
+     or not (link.guardian_id = auth.uid()
+             or link.student_id = auth.uid()
+             or (public.is_teacher() and public.can_view(link.student_id))) then
+    return 'not_found';
+  end if;
+  if link.status not in ('pending', 'approved') then
+    return 'not_active';
+  end if;
+
+  update public.guardian_links
+     set status = 'revoked', decided_by = auth.uid(), decided_at = now()
+   where id = link.id;
+  return 'revoked';
+end;
+$$;
+
+revoke all on function public.request_guardian_link(text, text) from public, anon;
+revoke all on function public.decide_guardian_link(uuid, boolean) from public, anon;
+revoke all on function public.revoke_guardian_link(uuid) from public, anon;
+grant execute on function public.request_guardian_link(text, text) to authenticated;
+grant execute on function public.decide_guardian_link(uuid, boolean) to authenticated;
+grant execute on function public.revoke_guardian_link(uuid) to authenticated;
+
+-- ─────────────────────────────────────────────────────────────────
+-- 5. Shareable tutor notes
+-- ─────────────────────────────────────────────────────────────────
+-- Tutor notes stay the tutor's private working notes by default; the
+-- author ticks "share with family" per note. Toggling is an ordinary
+-- update under the existing author-only policy.
+
+alter table public.tutor_notes
+  add column if not exists shareable boolean not null default false;
+
+comment on column public.tutor_notes.shareable is
+  'Author-set: visible to the student''s approved guardians (tutor_notes_guardian_select). Off by default.';
+
+-- ─────────────────────────────────────────────────────────────────
+-- 6. Read-only guardian policies
+-- ─────────────────────────────────────────────────────────────────
+
+drop policy if exists study_plans_guardian_select on public.study_plans;
+create policy study_plans_guardian_select on public.study_plans
+  for select to authenticated
+  using (status <> 'draft' and public.guardian_can_view(student_id));
+
+drop policy if exists plan_tasks_guardian_select on public.plan_tasks;
+create policy plan_tasks_guardian_select on public.plan_tasks
+  for select to authenticated
+  using (exists (
+    select 1 from public.study_plans p
+    where p.id = plan_tasks.plan_id
+      and p.status <> 'draft'
+      and public.guardian_can_view(p.student_id)));
+
+drop policy if exists ptav2_guardian_select on public.practice_test_attempts_v2;
+create policy ptav2_guardian_select on public.practice_test_attempts_v2
+  for select to authenticated
+  using (public.guardian_can_view(user_id));
+
+drop policy if exists sat_official_scores_guardian_select on public.sat_official_scores;
+create policy sat_official_scores_guardian_select on public.sat_official_scores
+  for select to authenticated
+  using (public.guardian_can_view(student_id));
+
+drop policy if exists asv2_guardian_select on public.assignment_students_v2;
+create policy asv2_guardian_select on public.assignment_students_v2
+  for select to authenticated
+  using (public.guardian_can_view(student_id));
+
+-- Same shape as assignment_has_visible_student (20260508000000): a
+-- definer helper so the assignments_v2 policy doesn't recurse through
+-- assignment_students_v2's own RLS.
+create or replace function public.assignment_has_guardian_student(p_assignment_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.assignment_students_v2 asv
+    where asv.assignment_id = p_assignment_id
+      and public.guardian_can_view(asv.student_id)
+  );
+$$;
+
+drop policy if exists av2_guardian_select on public.assignments_v2;
+create policy av2_guardian_select on public.assignments_v2
+  for select to authenticated
+  using (public.assignment_has_guardian_student(id));
+
+drop policy if exists tutor_notes_guardian_select on public.tutor_notes;
+create policy tutor_notes_guardian_select on public.tutor_notes
+  for select to authenticated
+  using (shareable and public.guardian_can_view(student_id));
+
+-- ─────────────────────────────────────────────────────────────────
+-- 7. profile_cards — names across the link
+-- ─────────────────────────────────────────────────────────────────
+-- Three guardian clauses on top of 20240101000023's forward/reverse
+-- pair, still limited to the card's columns:
+--   - a guardian reads their approved students' cards;
+--   - a guardian reads the cards of those students' tutors, so a
+--     shared note can say who wrote it;
+--   - the student and their tutor chain read the card of anyone with a
+--     live request or link, so they know whom they are approving.
+
+create or replace view public.profile_cards
+with (security_invoker = false)
+as
+select
+  p.id,
+  p.first_name,
+  p.last_name,
+  p.role,
+  p.tutor_name
+from public.profiles p
+where
+  public.can_view(p.id)
+  or public.can_view_from(p.id, auth.uid())
+  or public.guardian_can_view(p.id)
+  or exists (
+    select 1 from public.guardian_links gl
+    where gl.guardian_id = auth.uid()
+      and gl.status = 'approved'
+      and public.is_guardian()
+      and public.can_view_from(p.id, gl.student_id)
+  )
+  or exists (
+    select 1 from public.guardian_links gl
+    where gl.guardian_id = p.id
+      and gl.status in ('pending', 'approved')
+      and public.can_view(gl.student_id)
+  );
+
+revoke all on public.profile_cards from public, anon;
+grant select on public.profile_cards to authenticated;
+
+notify pgrst, 'reload schema';
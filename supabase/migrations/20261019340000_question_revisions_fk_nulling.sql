@@ -0,0 +1,30 @@
+-- =========================================================
+-- question_revisions — let FK actions null author_id / restored_from
+-- =========================================================
+-- 20261019230000 made question_revisions append-only with a BEFORE
+-- UPDATE trigger that raises on every update. But author_id and
+-- restored_from are `on delete set null`, and Postgres carries those
+-- out as UPDATEs on the referencing rows — so deleting a profile that
+-- authored a revision (the admin deleteUser flow) failed, and so could
+-- deleting a question whose revisions restore one another.
+--
+-- The guard now lets an update through when the only change is one or
+-- both of those columns going to NULL. That is exactly what the FK
+-- actions do; content, numbering and provenance stay immutable.
+--
+-- Verify with scripts/verify-question-revisions-delete.sql.
+
+create or replace function public.guard_question_revision_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (to_jsonb(NEW) - 'author_id' - 'restored_from')
+       = (to_jsonb(OLD) - 'author_id' - 'restored_from')
+     and (NEW.author_id is null or NEW.author_id = OLD.author_id)
+     and (NEW.restored_from is null or NEW.restored_from = OLD.restored_from) then
+    return NEW;
+  end if;
+  raise exception 'question_revisions rows are immutable; roll back by writing a new revision';
+end;
+$$;
@@ -0,0 +1,20 @@
+-- =========================================================
+-- Lessonworks subscription — enabled on deploy
+-- =========================================================
+-- 20261019260000 seeded the Lessonworks subscription disabled until an
+-- admin pasted LESSONWORKS_SYNC_KEY in as its secret, so the nightly
+-- push stopped the day the webhook path shipped. Delivery now sends
+-- LESSONWORKS_SYNC_KEY itself to a subscription pointing at
+-- Lessonworks (lib/webhooks/deliver.ts lessonworksApiKey), as the old
+-- /api/admin/sync-lessonworks did, so the seeded row can run as is.
+--
+-- Only the untouched seed is enabled: a subscription an admin has
+-- since pointed elsewhere or changed format is left alone.
+
+update public.webhook_subscriptions
+   set disabled_at = null,
+       updated_at = now()
+ where name = 'Lessonworks'
+   and url = 'https://www.lessonworks.net/api/integrations/studyworks/sync'
+   and format = 'lessonworks_sync'
+   and disabled_at is not null;
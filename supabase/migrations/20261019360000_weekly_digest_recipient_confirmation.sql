@@ -0,0 +1,94 @@
+-- =========================================================
+-- weekly_digest_recipients — column-limited writes + confirmation
+-- =========================================================
+-- 20261019200000 granted table-wide UPDATE to authenticated behind a
+-- can_view policy, so anyone who could see a student could rewrite
+-- any recipient row — swap a parent's email for another address,
+-- relabel it 'student', or read and reset unsubscribe_token. And an
+-- address went on the list the moment someone typed it, so the
+-- digest (minutes, scores, weak skills) could be pointed at any inbox.
+--
+-- Now:
+--   * authenticated may UPDATE only unsubscribed_at (pause / resume)
+--     and INSERT only student_id, email, relationship, added_by.
+--     Everything else is written by the service role.
+--   * A 'student' row must carry the student's own profile email —
+--     enforced here, not only in addDigestRecipient.
+--   * Parent / guardian rows start unconfirmed. addDigestRecipient
+--     emails a link to /api/public/digest/confirm?token=<confirm_token>
+--     and the cron skips rows with no confirmed_at. confirm_token is
+--     not selectable by authenticated, so whoever added the address
+--     cannot confirm it on the recipient's behalf.
+--   * 'student' rows are confirmed on insert by trigger: the address
+--     is the student's own.
+--
+-- Existing rows: student rows, and parent / guardian rows that have
+-- already been sent a digest, count as confirmed (every one of those
+-- emails carried an unsubscribe link). Rows that never received one
+-- wait for confirmation like a new address.
+
+alter table public.weekly_digest_recipients
+  add column if not exists confirmed_at timestamptz,
+  add column if not exists confirm_token uuid not null default gen_random_uuid(),
+  add column if not exists confirmation_sent_at timestamptz;
+
+create unique index if not exists weekly_digest_recipients_confirm_token_key
+  on public.weekly_digest_recipients (confirm_token);
+
+update public.weekly_digest_recipients r
+   set confirmed_at = r.created_at
+ where r.confirmed_at is null
+   and (
+     r.relationship = 'student'
+     or exists (
+       select 1 from public.weekly_digest_sends s
+        where s.recipient_id = r.id and s.status = 'sent'
+     )
+   );
+
+comment on column public.weekly_digest_recipients.confirmed_at is
+  'When the address owner clicked the confirmation link (student rows: '
+  'on insert). The weekly digest cron sends only to confirmed rows.';
+comment on column public.weekly_digest_recipients.confirm_token is
+  'Bearer for /api/public/digest/confirm. Not selectable by authenticated.';
+
+-- ── Student rows confirm themselves ────────────────────────────────
+create or replace function public.weekly_digest_recipient_autoconfirm()
+returns trigger
+language plpgsql
+as $$
+begin
+  if NEW.relationship = 'student' and NEW.confirmed_at is null then
+    NEW.confirmed_at := now();
+  end if;
+  return NEW;
+end;
+$$;
+
+drop trigger if exists weekly_digest_recipients_autoconfirm on public.weekly_digest_recipients;
+create trigger weekly_digest_recipients_autoconfirm
+  before insert on public.weekly_digest_recipients
+  for each row execute function public.weekly_digest_recipient_autoconfirm();
+
+-- ── RLS: a 'student' row is the student's own address ──────────────
+drop policy if exists weekly_digest_recipients_insert on public.weekly_digest_recipients;
+create policy weekly_digest_recipients_insert on public.weekly_digest_recipients
+  for insert to authenticated
+  with check (
+    public.can_view(student_id)
+    and added_by = auth.uid()
+    and (
+      relationship <> 'student'
+      or lower(email) = (select lower(p.email) from public.profiles p where p.id = student_id)
+    )
+  );
+
+-- ── Column grants ──────────────────────────────────────────────────
+revoke select, insert, update on public.weekly_digest_recipients from authenticated;
+grant select (id, student_id, email, relationship, unsubscribe_token, unsubscribed_at,
+              confirmed_at, confirmation_sent_at, added_by, created_at)
+  on public.weekly_digest_recipients to authenticated;
+grant insert (student_id, email, relationship, added_by)
+  on public.weekly_digest_recipients to authenticated;
+grant update (unsubscribed_at)
+  on public.weekly_digest_recipients to authenticated;
@@ -0,0 +1,328 @@
+-- =========================================================
+-- School seats — invite and accept, and a private seat check
+-- =========================================================
+-- 20261019310000 let an org admin put any account on a seat by email,
+-- and told them exactly what it found: 'no_user', 'wrong_role',
+-- 'inactive', 'seated_elsewhere'. That made assign_org_seat an oracle
+-- for which addresses have Studyworks accounts, what role they hold
+-- and whether another school pays for them — and it seated people
+-- without asking them. has_org_seat(p_user) answered the same
+-- question about any user id for any signed-in caller.
+--
+-- Now:
+--   * invite_org_seat(org, email) records a pending invitation and
+--     returns 'invited' whatever the address is (or 'full', which is
+--     about the org's own seat count). It never looks at profiles.
+--   * The invitee sees the invitation on /account/school, matched on
+--     their verified sign-in email, and accepts or declines it. All
+--     the eligibility checks run at accept time, and their answers go
+--     to the invitee only.
+--   * A pending, unexpired invitation holds a seat, so the org can't
+--     invite more people than it pays for.
+--   * has_org_seat(p_user) answers for the caller themself, staff and
+--     the service role; for anyone else it returns false. The real
+--     check moves to org_seat_live(), which only definer functions
+--     (effective_plan) and the service role can call.
+
+-- ── Private seat check ──────────────────────────────────────────────
+create or replace function public.org_seat_live(p_user uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  select exists (
+    select 1
+      from public.organization_seats s
+      join public.organizations o on o.id = s.organization_id
+     where s.user_id = p_user
+       and s.released_at is null
+       and o.status in ('active', 'trialing')
+       and (o.current_period_end is null
+            or o.current_period_end > now() - interval '3 days'));
+$$;
+
+revoke execute on function public.org_seat_live(uuid) from public, anon, authenticated;
+grant execute on function public.org_seat_live(uuid) to service_role;
+
+create or replace function public.has_org_seat(p_user uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  select case
+    when auth.uid() is null or p_user = auth.uid() or public.is_admin() or public.is_manager()
+      then public.org_seat_live(p_user)
+    else false
+  end;
+$$;
+
+-- effective_plan() takes any user id (has_plan() passes it through),
+-- so it reads the private check directly rather than the guarded
+-- wrapper. Otherwise verbatim from 20261019310000.
+create or replace function public.effective_plan(p_user uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  with candidates as (
+    select case when p.role in ('admin', 'manager') then 'full' end as plan
+      from public.profiles p where p.id = p_user
+    union all
+    select 'full' from public.profiles p
+      where p.id = p_user and p.role = 'teacher' and p.subscription_exempt
+    union all
+    select 'full' where exists (
+      select 1
+        from public.teacher_student_assignments t
+        join public.profiles tp on tp.id = t.teacher_id
+       where t.student_id = p_user and tp.subscription_exempt)
+    union all
+    -- stripe: an active/trialing subscription whose period has not
+    -- lapsed beyond the grace window.
+    select 'full' where exists (
+      select 1 from public.subscriptions s
+      where s.user_id = p_user
+        and s.status in ('active', 'trialing')
+        and (s.current_period_end is null
+             or s.current_period_end > now() - interval '3 days'))
+    union all
+    -- school: a live seat in an org with a live subscription.
+    select 'full' where public.org_seat_live(p_user)
+    union all
+    select e.plan from public.entitlements e
+      where e.user_id = p_user and e.status = 'active'
+        and (e.expires_at is null or e.expires_at > now())
+  )
+  select plan from candidates
+  where plan is not null
+  order by public.plan_rank(plan) desc
+  limit 1;
+$$;
+
+-- ── Invitations ─────────────────────────────────────────────────────
+create table if not exists public.organization_seat_invites (
+  id              uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  email           text not null check (email = lower(btrim(email)) and email ~ '^[^@\s]+@[^@\s]+\.[^@\s]+$'),
+  status          text not null default 'pending'
+    check (status in ('pending', 'accepted', 'declined', 'revoked')),
+  invited_by      uuid references public.profiles(id) on delete set null,
+  invited_at      timestamptz not null default now(),
+  expires_at      timestamptz not null default now() + interval '14 days',
+  responded_at    timestamptz,
+  seat_id         uuid references public.organization_seats(id) on delete set null,
+  check ((status = 'pending') = (responded_at is null))
+);
+
+-- One open invitation per address per school; re-inviting refreshes it.
+create unique index if not exists organization_seat_invites_pending_idx
+  on public.organization_seat_invites (organization_id, email) where status = 'pending';
+create index if not exists organization_seat_invites_email_idx
+  on public.organization_seat_invites (email) where status = 'pending';
+
+comment on table public.organization_seat_invites is
+  'Seat offers from a school to an email address. The invitee accepts '
+  'from /account/school (accept_org_seat_invite); a pending, unexpired '
+  'invite holds one of the org''s seats. Written only by the functions '
+  'in 20261019370000.';
+
+alter table public.organization_seat_invites enable row level security;
+
+-- The invitee is matched on the email in their JWT, which Supabase
+-- Auth only issues for a verified sign-in.
+drop policy if exists org_seat_invites_select on public.organization_seat_invites;
+create policy org_seat_invites_select on public.organization_seat_invites
+  for select to authenticated
+  using (
+    public.is_admin() or public.is_org_admin(organization_id)
+    or email = lower(coalesce(auth.jwt() ->> 'email', ''))
+  );
+
+-- An invitee sees the name of the school that invited them.
+drop policy if exists org_select_invitee on public.organizations;
+create policy org_select_invitee on public.organizations
+  for select to authenticated
+  using (exists (
+    select 1 from public.organization_seat_invites i
+     where i.organization_id = organizations.id
+       and i.status = 'pending'
+       and i.email = lower(coalesce(auth.jwt() ->> 'email', ''))));
+
+grant select on public.organization_seat_invites to authenticated;
+grant all on public.organization_seat_invites to service_role;
+
+-- ── Writers ─────────────────────────────────────────────────────────
+drop function if exists public.assign_org_seat(uuid, text);
+
+-- Offer a seat to an address. Returns 'invited' | 'full'. The answer
+-- never depends on whether, or as whom, the address is registered.
+create or replace function public.invite_org_seat(p_org uuid, p_email text)
+returns text
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  addr  text := lower(btrim(p_email));
+  quota integer;
+  held  integer;
+begin
+  if not (public.is_org_admin(p_org) or public.is_admin()) then
+    raise exception 'not an admin of this organization';
+  end if;
+  if addr !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' then
+    raise exception 'enter a valid email address';
+  end if;
+
+  -- Same per-org lock as every seat write.
+  select seat_quantity into quota
+    from public.organizations where id = p_org
+     for update;
+  if not found then
+    raise exception 'organization not found';
+  end if;
+
+  if exists (select 1 from public.organization_seat_invites
+              where organization_id = p_org and email = addr
+                and status = 'pending' and expires_at > now()) then
+    update public.organization_seat_invites
+       set invited_by = auth.uid(), invited_at = now(), expires_at = now() + interval '14 days'
+     where organization_id = p_org and email = addr and status = 'pending';
+    return 'invited';
+  end if;
+
+  select (select count(*) from public.organization_seats
+           where organization_id = p_org and released_at is null)
+       + (select count(*) from public.organization_seat_invites
+           where organization_id = p_org and status = 'pending' and expires_at > now())
+    into held;
+  if held >= quota then
+    return 'full';
+  end if;
+
+  -- A lapsed pending row would block the unique index; retire it.
+  update public.organization_seat_invites
+     set status = 'revoked', responded_at = now()
+   where organization_id = p_org and email = addr and status = 'pending';
+  insert into public.organization_seat_invites (organization_id, email, invited_by)
+  values (p_org, addr, auth.uid());
+  return 'invited';
+end;
+$$;
+
+-- Take up an invitation addressed to the caller's sign-in email.
+-- Returns 'accepted' | 'seated_elsewhere' | 'not_eligible' | 'full'.
+create or replace function public.accept_org_seat_invite(p_invite uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  uid   uuid := auth.uid();
+  inv   public.organization_seat_invites%rowtype;
+  me    public.profiles%rowtype;
+  quota integer;
+  used  integer;
+  seat  uuid;
+begin
+  if uid is null then
+    raise exception 'not signed in';
+  end if;
+
+  select i.* into inv from public.organization_seat_invites i
+   where i.id = p_invite
+     and i.status = 'pending'
+     and i.expires_at > now()
+     and i.email = (select lower(u.email) from auth.users u where u.id = uid);
+  if not found then
+    raise exception 'invitation not found';
+  end if;
+
+  select * into me from public.profiles where id = uid;
+  if not found or me.role not in ('student', 'teacher') or me.is_active is false then
+    return 'not_eligible';
+  end if;
+
+  select seat_quantity into quota
+    from public.organizations where id = inv.organization_id
+     for update;
+
+  if exists (select 1 from public.organization_seats
+              where user_id = uid and released_at is null) then
+    return 'seated_elsewhere';
+  end if;
+
+  select count(*) into used from public.organization_seats
+   where organization_id = inv.organization_id and released_at is null;
+  if used >= quota then
+    return 'full';
+  end if;
+
+  insert into public.organization_seats (organization_id, user_id, assigned_by)
+  values (inv.organization_id, uid, inv.invited_by)
+  returning id into seat;
+  update public.organization_seat_invites
+     set status = 'accepted', responded_at = now(), seat_id = seat
+   where id = inv.id;
+  return 'accepted';
+end;
+$$;
+
+-- Turn down an invitation addressed to the caller.
+create or replace function public.decline_org_seat_invite(p_invite uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+begin
+  update public.organization_seat_invites
+     set status = 'declined', responded_at = now()
+   where id = p_invite
+     and status = 'pending'
+     and email = (select lower(u.email) from auth.users u where u.id = auth.uid());
+  return found;
+end;
+$$;
+
+-- Withdraw an invitation (org admin), freeing the seat it held.
+create or replace function public.revoke_org_seat_invite(p_invite uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  org uuid;
+begin
+  select organization_id into org from public.organization_seat_invites
+   where id = p_invite and status = 'pending';
+  if org is null then
+    return false;
+  end if;
+  if not (public.is_org_admin(org) or public.is_admin()) then
+    raise exception 'not an admin of this organization';
+  end if;
+
+  update public.organization_seat_invites
+     set status = 'revoked', responded_at = now()
+   where id = p_invite and status = 'pending';
+  return true;
+end;
+$$;
+
+revoke execute on function public.invite_org_seat(uuid, text) from public, anon;
+revoke execute on function public.accept_org_seat_invite(uuid) from public, anon;
+revoke execute on function public.decline_org_seat_invite(uuid) from public, anon;
+revoke execute on function public.revoke_org_seat_invite(uuid) from public, anon;
+grant execute on function public.invite_org_seat(uuid, text) to authenticated;
+grant execute on function public.accept_org_seat_invite(uuid) to authenticated;
+grant execute on function public.decline_org_seat_invite(uuid) to authenticated;
+grant execute on function public.revoke_org_seat_invite(uuid) to authenticated;
@@ -0,0 +1,151 @@
+-- =========================================================
+-- item_calibration — keyset-paged responses, calibrated backfill
+-- =========================================================
+-- Two follow-ups to 20261019130000.
+--
+-- 1) item_calibration_responses() returned the whole response
+--    population and the cron paged it with .range(). Every page
+--    re-ran the function from the start — DISTINCT ON over all of
+--    attempts, then OFFSET — so a bank with N responses cost O(N²)
+--    rows read per run. It now takes a (question_id, user_id) cursor
+--    and a page size, and the new partial index lets each page start
+--    where the last one ended:
+--
+--      select * from item_calibration_responses(<last q>, <last u>, 1000);
+--
+--    The first page passes NULLs. Rows come in (question_id, user_id)
+--    order; the cron stops at a short page. The cursor filters on the
+--    DISTINCT ON key itself, so it never changes which attempt counts
+--    as a pair's first.
+--
+-- 2) backfill_skill_mastery_snapshots (20260713120000) still weighed
+--    every response with the two-argument mastery_weight, so a
+--    backfilled series ignored item_calibration while the nightly
+--    snapshots (get_skill_mastery_asof) used it. Its per-day aggregate
+--    now mirrors get_skill_mastery_asof: the three-argument weight on
+--    a reliable calibrated b, and half credit for a hinted correct
+--    (20260718121000), which the backfill had also missed.
+
+-- ── 1. Keyset-paged response population ────────────────────────────
+create index if not exists attempts_calibration_keyset_idx
+  on public.attempts (question_id, user_id, created_at)
+  where source in ('practice', 'practice_test');
+
+drop function if exists public.item_calibration_responses();
+
+create or replace function public.item_calibration_responses(
+  p_after_question uuid default null,
+  p_after_user     uuid default null,
+  p_limit          integer default 1000
+)
+returns table (user_id uuid, question_id uuid, is_correct boolean)
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  with fa as (
+    select distinct on (a.question_id, a.user_id)
+      a.user_id, a.question_id, a.is_correct,
+      coalesce(nullif(a.response_json->>'hints_used', '')::int, 0) > 0 as hint_assisted
+    from public.attempts a
+    where a.source in ('practice', 'practice_test')
+      and (a.context_type is null or a.context_type <> 'training')
+      and (p_after_question is null
+           or (a.question_id, a.user_id) > (p_after_question, p_after_user))
+    order by a.question_id, a.user_id, a.created_at asc
+  )
+  select fa.user_id, fa.question_id, fa.is_correct
+  from fa
+  join public.profiles p on p.id = fa.user_id and p.role = 'student'
+  join public.questions_v2 q on q.id = fa.question_id
+  where not fa.hint_assisted
+    and q.deleted_at is null
+  order by fa.question_id, fa.user_id
+  limit greatest(1, least(coalesce(p_limit, 1000), 1000));
+$$;
+
+revoke execute on function public.item_calibration_responses(uuid, uuid, integer) from public;
+grant execute on function public.item_calibration_responses(uuid, uuid, integer) to service_role;
+
+-- ── 2. Backfill on the calibrated weight ───────────────────────────
+-- Body from 20260713120000; `tax` and the weighted_correct sum follow
+-- get_skill_mastery_asof (20261019130000).
+create or replace function public.backfill_skill_mastery_snapshots(
+  p_test_type text default 'sat'
+) returns integer
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_student uuid;
+  v_total   integer := 0;
+  v_rows    integer;
+begin
+  for v_student in
+    select distinct user_id from public.attempts where source = 'practice'
+  loop
+    with first_attempts as (
+      select distinct on (a.question_id)
+        a.question_id, a.is_correct, a.created_at,
+        coalesce(nullif(a.response_json->>'hints_used', '')::int, 0) > 0 as hint_assisted
+      from public.attempts a
+      where a.user_id = v_student and a.source = 'practice'
+      order by a.question_id, a.created_at asc
+    ),
+    tax as (
+      select
+        q.domain_code, q.skill_code, q.difficulty,
+        fa.is_correct, fa.created_at, fa.hint_assisted,
+        public.mastery_weight(
+          q.difficulty, q.score_band,
+          case when ic.reliable then ic.b::double precision end
+        ) as w
+      from first_attempts fa
+      join public.questions_v2 q on q.id = fa.question_id
+      left join public.item_calibration ic on ic.question_id = fa.question_id
+      where q.domain_code is not null and q.skill_code is not null
+    ),
+    activity_dates as (
+      select distinct created_at::date as d from tax
+    ),
+    per as (
+      select
+        d.d as snapshot_date, t.domain_code, t.skill_code,
+        count(*)::integer                                         as attempts_count,
+        count(*) filter (where t.is_correct)::integer             as correct_count,
+        sum(t.w)::double precision                                as weighted_total,
+        sum(t.w * case when t.hint_assisted then 0.5 else 1.0 end)
+          filter (where t.is_correct)::double precision           as weighted_correct,
+        count(*) filter (where t.created_at::date >= d.d - 13)::integer as recent_total,
+        count(*) filter (where t.created_at::date >= d.d - 13 and t.is_correct)::integer as recent_correct,
+        avg(t.difficulty)::numeric                                as avg_difficulty
+      from activity_dates d
+      join tax t on t.created_at::date <= d.d
+      group by d.d, t.domain_code, t.skill_code
+    )
+    insert into public.skill_mastery_snapshots
+      (student_id, test_type, domain_code, skill_code, snapshot_date,
+       mastery, attempts_count, correct_count, avg_difficulty)
+    select
+      v_student, p_test_type, domain_code, skill_code, snapshot_date,
+      public.compute_mastery_score(weighted_correct, weighted_total,
+                                   attempts_count, recent_total, recent_correct),
+      attempts_count, correct_count, round(avg_difficulty, 2)
+    from per
+    on conflict (student_id, test_type, domain_code, skill_code, snapshot_date)
+    do update set
+      mastery        = excluded.mastery,
+      attempts_count = excluded.attempts_count,
+      correct_count  = excluded.correct_count,
+      avg_difficulty = excluded.avg_difficulty;
+    get diagnostics v_rows = row_count;
+    v_total := v_total + v_rows;
+  end loop;
+  return v_total;
+end;
+$$;
+
+revoke execute on function public.backfill_skill_mastery_snapshots(text) from public;
+grant execute on function public.backfill_skill_mastery_snapshots(text) to service_role;
@@ -0,0 +1,50 @@
+-- =========================================================
+-- tutor_feedback — activity stamps are trigger-only
+-- =========================================================
+-- 20261019170000's update guard fixed the note and its links but left
+-- last_activity_at / last_activity_by (and created_at) to the update
+-- policy, which admits both participants. Unread state is derived
+-- from those stamps, so either side could rewrite them straight
+-- through PostgREST: back-date the thread to clear the other side's
+-- badge, or stamp it with the other person's id to make their own
+-- message look read.
+--
+-- Only the triggers write them: tutor_feedback_stamp_insert on insert
+-- and the SECURITY DEFINER tutor_feedback_reply_bump on reply, which
+-- runs as the owner and so passes the guard's current_user check.
+-- The function is otherwise verbatim from 20261019170000.
+
+create or replace function public.tutor_feedback_guard_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user <> 'authenticated' then
+    return new;
+  end if;
+  if new.manager_id <> old.manager_id
+     or new.teacher_id <> old.teacher_id
+     or new.body <> old.body
+     or new.category <> old.category
+     or new.related_student_id is distinct from old.related_student_id
+     or new.related_assignment_id is distinct from old.related_assignment_id
+     or new.related_signal is distinct from old.related_signal then
+    raise exception 'A coaching note can''t be edited once posted';
+  end if;
+  if new.last_activity_at is distinct from old.last_activity_at
+     or new.last_activity_by is distinct from old.last_activity_by
+     or new.created_at is distinct from old.created_at then
+    raise exception 'Thread activity is recorded by replies, not edited';
+  end if;
+  if new.acknowledged_at is distinct from old.acknowledged_at
+     and auth.uid() is distinct from old.teacher_id then
+    raise exception 'Only the tutor can acknowledge a coaching note';
+  end if;
+  if new.status <> old.status
+     and auth.uid() is distinct from old.manager_id
+     and not public.is_admin() then
+    raise exception 'Only the manager can resolve or reopen a thread';
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,121 @@
+-- =========================================================
+-- review_log — one write per review, own and backed by a real answer
+-- =========================================================
+-- 20261019140000 had lib/review/queue.ts write each review as two
+-- PostgREST calls (upsert review_queue, then insert review_log), and
+-- let anyone who can_view() the student insert any log row. The log
+-- is what the FSRS fitter trains each student's weights on, so a
+-- student (or their tutor) could append fabricated history — a run
+-- of 'easy' reviews nobody answered — and stretch that student's
+-- intervals.
+--
+-- Now:
+--   * record_review() schedules and logs in one call and one
+--     transaction, always for the caller. SECURITY INVOKER, so the
+--     review_queue and review_log policies still apply.
+--   * review_log_insert only admits the caller's own rows, and only
+--     for a review that happened:
+--       question  — an attempt on that question in the last hour
+--                   whose correctness matches the result, not
+--                   already logged;
+--       flashcard — the caller's own card, rated at exactly this
+--                   reviewed_at (flashcards.reviewed_at is stamped
+--                   with the same timestamp), not already logged.
+--     skill and vocab reviews have no client writer and are refused.
+
+drop policy if exists review_log_insert on public.review_log;
+create policy review_log_insert on public.review_log
+  for insert to authenticated
+  with check (
+    student_id = auth.uid()
+    and reviewed_at between now() - interval '1 hour' and now() + interval '5 minutes'
+    and (
+      (item_type = 'question' and exists (
+        select 1 from public.attempts a
+         where a.user_id = auth.uid()
+           and a.question_id::text = review_log.item_ref
+           and a.created_at >= now() - interval '1 hour'
+           and a.is_correct = (review_log.result <> 'again')
+           -- one log row per attempt (a minute's slack for clock skew
+           -- between the app server's reviewed_at and the database's
+           -- created_at)
+           and not exists (
+             select 1 from public.review_log l
+              where l.student_id = auth.uid()
+                and l.item_type = 'question'
+                and l.item_ref = review_log.item_ref
+                and l.reviewed_at >= a.created_at - interval '1 minute')))
+      or (item_type = 'flashcard' and exists (
+        select 1 from public.flashcards f
+          join public.flashcard_sets s on s.id = f.set_id
+         where f.id::text = review_log.item_ref
+           and s.user_id = auth.uid()
+           and f.reviewed_at = review_log.reviewed_at
+           and not exists (
+             select 1 from public.review_log l
+              where l.student_id = auth.uid()
+                and l.item_type = 'flashcard'
+                and l.item_ref = review_log.item_ref
+                and l.reviewed_at = review_log.reviewed_at)))
+    )
+  );
+
+-- Schedule one review and append its log row. The scheduling math
+-- stays in lib/review (schedule.ts / fsrs.ts); this only writes what
+-- it computed.
+create or replace function public.record_review(
+  p_item_type      text,
+  p_item_ref       text,
+  p_result         text,
+  p_reviewed_at    timestamptz,
+  p_scheduler      text,
+  p_due_at         timestamptz,
+  p_interval_days  numeric,
+  p_ease           numeric,
+  p_lapses         integer,
+  p_stability      numeric default null,  -- FSRS memory; NULL under SM-2-lite
+  p_difficulty     numeric default null,
+  p_elapsed_days   numeric default null,  -- NULL on intake
+  p_retrievability numeric default null
+) returns void
+language plpgsql
+security invoker
+set search_path = public, pg_temp
+as $$
+declare
+  uid uuid := auth.uid();
+begin
+  if uid is null then
+    raise exception 'not signed in';
+  end if;
+
+  insert into public.review_queue (
+    student_id, item_type, item_ref, due_at, interval_days, ease, lapses,
+    last_result, last_reviewed_at, scheduler, stability, difficulty
+  ) values (
+    uid, p_item_type, p_item_ref, p_due_at, p_interval_days, p_ease, p_lapses,
+    p_result, p_reviewed_at, p_scheduler, p_stability, p_difficulty
+  )
+  on conflict (student_id, item_type, item_ref) do update set
+    due_at           = excluded.due_at,
+    interval_days    = excluded.interval_days,
+    ease             = excluded.ease,
+    lapses           = excluded.lapses,
+    last_result      = excluded.last_result,
+    last_reviewed_at = excluded.last_reviewed_at,
+    scheduler        = excluded.scheduler,
+    stability        = excluded.stability,
+    difficulty       = excluded.difficulty;
+
+  insert into public.review_log (
+    student_id, item_type, item_ref, result, reviewed_at, scheduler,
+    elapsed_days, interval_days, retrievability
+  ) values (
+    uid, p_item_type, p_item_ref, p_result, p_reviewed_at, p_scheduler,
+    p_elapsed_days, p_interval_days, p_retrievability
+  );
+end;
+$$;
+
+revoke execute on function public.record_review(text, text, text, timestamptz, text, timestamptz, numeric, numeric, integer, numeric, numeric, numeric, numeric) from public, anon;
+grant execute on function public.record_review(text, text, text, timestamptz, text, timestamptz, numeric, numeric, integer, numeric, numeric, numeric, numeric) to authenticated;
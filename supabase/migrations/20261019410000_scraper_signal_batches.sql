@@ -0,0 +1,75 @@
+-- =========================================================
+-- Scraper signals — batched writes
+-- =========================================================
+-- 20261019240000's record_scraper_signal() took one load at a time, so
+-- at every stage but 'off' each question load paid an RPC and a row
+-- update, mostly to count 'ok' loads. lib/api/scraperGuard.ts now
+-- batches per instance (createSignalBatcher in scraperPolicy.ts): a
+-- suspicious or blocked load is written at once, 'ok' loads at most
+-- once a minute per user. record_scraper_signals() takes a batch —
+-- counts, an interval histogram to add and the tightest median — and
+-- still returns the caller's restriction + ban state.
+--
+-- The caller can only write their own row (auth.uid()), as before; the
+-- checks below keep a hand-made call from storing nonsense.
+
+drop function if exists public.record_scraper_signal(text, integer, integer);
+
+create or replace function public.record_scraper_signals(
+  p_loads      integer,
+  p_suspicious integer,
+  p_blocked    integer,
+  p_histogram  integer[],
+  p_last_level text,
+  p_median_ms  integer default null
+)
+returns table (mode text, reauth_after timestamptz, banned boolean)
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  uid uuid := auth.uid();
+  d   date := (now() at time zone 'utc')::date;
+begin
+  if uid is null then
+    return;
+  end if;
+  if p_last_level not in ('ok', 'suspicious', 'blocked') then
+    raise exception 'invalid scraper level %', p_last_level;
+  end if;
+  if p_loads not between 1 and 100000
+     or p_suspicious < 0 or p_blocked < 0
+     or p_suspicious + p_blocked > p_loads
+     or coalesce(array_length(p_histogram, 1), 0) <> 7
+     or exists (select 1 from unnest(p_histogram) h where h is null or h < 0)
+     or (select sum(h) from unnest(p_histogram) h) > p_loads then
+    raise exception 'invalid scraper signal batch';
+  end if;
+
+  insert into public.scraper_signal_days as s
+    (user_id, day, question_loads, suspicious, blocked, min_median_ms,
+     interval_histogram, last_level)
+  values
+    (uid, d, p_loads, p_suspicious, p_blocked, p_median_ms, p_histogram, p_last_level)
+  on conflict (user_id, day) do update set
+    question_loads     = s.question_loads + excluded.question_loads,
+    suspicious         = s.suspicious + excluded.suspicious,
+    blocked            = s.blocked + excluded.blocked,
+    min_median_ms      = least(s.min_median_ms, excluded.min_median_ms),
+    interval_histogram = array(
+      select s.interval_histogram[i] + excluded.interval_histogram[i]
+        from generate_series(1, 7) i order by i),
+    last_level         = excluded.last_level,
+    last_seen_at       = now();
+
+  return query
+    select r.mode, r.reauth_after, (p.banned_at is not null)
+      from public.profiles p
+      left join public.scraper_restrictions r on r.user_id = p.id
+     where p.id = uid;
+end;
+$$;
+
+revoke execute on function public.record_scraper_signals(integer, integer, integer, integer[], text, integer) from public, anon;
+grant execute on function public.record_scraper_signals(integer, integer, integer, integer[], text, integer) to authenticated;
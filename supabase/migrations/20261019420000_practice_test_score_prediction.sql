@@ -0,0 +1,21 @@
+-- =========================================================
+-- practice_test_attempts_v2.score_prediction — the report's outlook
+-- =========================================================
+-- loadTestResults recomputed the score outlook for the PDF on every
+-- results-page load: five reads (one of them a paged snapshot scan)
+-- for a value that is fixed once the test is finished, since it is
+-- taken as of the finish date.
+--
+-- It is now computed once and kept on the attempt
+-- (storeScorePrediction in lib/practice-test/load-score-prediction.ts):
+-- at close, after an import re-scores the attempt, and — for attempts
+-- finished before this column — the first time the results are
+-- loaded by someone allowed to update the row. The value is the
+-- ScorePrediction object from lib/practice-test/score-prediction.ts.
+-- ptav2_update_self already limits writes to the owner and admins.
+
+alter table public.practice_test_attempts_v2
+  add column if not exists score_prediction jsonb;
+
+comment on column public.practice_test_attempts_v2.score_prediction is
+  'Score outlook as of finished_at (ScorePrediction), shown on the score-report PDF. Null until stored.';
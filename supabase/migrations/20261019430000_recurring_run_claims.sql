@@ -0,0 +1,36 @@
+-- =========================================================
+-- assignment_template_runs — pending claims a later sweep can resume
+-- =========================================================
+-- 20261019300000's sweep claimed each (template, occurrence, student)
+-- slot by inserting its run row up front as outcome 'failed' /
+-- 'Interrupted before the assignment was created.', then settled it.
+-- An invocation that timed out or crashed in between left the row
+-- failed for good: every later sweep saw the slot as claimed, so that
+-- student never got the occurrence and nothing retried it.
+--
+-- A claim is now outcome 'pending' stamped with claimed_at. A sweep
+-- that finds a pending claim older than STALE_CLAIM_MS
+-- (lib/practice/recurring-server.ts — longer than the cron's
+-- maxDuration, so it can't be a live run) takes it over and retries
+-- the slot; a stale claim on an occurrence a later one has replaced
+-- is settled as failed. Rows the old code left stuck are turned back
+-- into stale claims so the next sweep picks them up.
+
+alter table public.assignment_template_runs
+  add column if not exists claimed_at timestamptz;
+
+alter table public.assignment_template_runs
+  drop constraint if exists assignment_template_runs_outcome_check;
+alter table public.assignment_template_runs
+  add constraint assignment_template_runs_outcome_check
+  check (outcome in ('pending', 'created', 'skipped_open', 'skipped_empty', 'skipped_roster', 'failed'));
+
+update public.assignment_template_runs
+   set outcome = 'pending', detail = null, claimed_at = created_at
+ where outcome = 'failed'
+   and assignment_id is null
+   and detail = 'Interrupted before the assignment was created.';
+
+create index if not exists assignment_template_runs_pending_idx
+  on public.assignment_template_runs (template_id, claimed_at)
+  where outcome = 'pending';
@@ -0,0 +1,73 @@
+-- =========================================================
+-- tutor_feedback — a manager's access follows the assignment
+-- =========================================================
+-- 20261019170000 checked manager_teacher_assignments only when a
+-- thread was opened. Select, update, delete and reply insert admitted
+-- any row with manager_id = auth.uid(), so a manager unassigned from a
+-- tutor could still read the whole thread, edit it and reply.
+--
+-- The manager branch of each policy now requires the assignment to
+-- still exist (admins keep their is_admin() branch). The tutor's
+-- branch is unchanged: the notes are about their own work. Replies'
+-- select already rides the parent's visibility.
+
+drop policy if exists tutor_feedback_select on public.tutor_feedback;
+create policy tutor_feedback_select on public.tutor_feedback
+  for select to authenticated
+  using (
+    teacher_id = auth.uid()
+    or is_admin()
+    or (manager_id = auth.uid() and exists (
+      select 1 from public.manager_teacher_assignments mta
+       where mta.manager_id = auth.uid() and mta.teacher_id = tutor_feedback.teacher_id
+    ))
+  );
+
+drop policy if exists tutor_feedback_update on public.tutor_feedback;
+create policy tutor_feedback_update on public.tutor_feedback
+  for update to authenticated
+  using (
+    teacher_id = auth.uid()
+    or is_admin()
+    or (manager_id = auth.uid() and exists (
+      select 1 from public.manager_teacher_assignments mta
+       where mta.manager_id = auth.uid() and mta.teacher_id = tutor_feedback.teacher_id
+    ))
+  )
+  with check (
+    teacher_id = auth.uid()
+    or is_admin()
+    or (manager_id = auth.uid() and exists (
+      select 1 from public.manager_teacher_assignments mta
+       where mta.manager_id = auth.uid() and mta.teacher_id = tutor_feedback.teacher_id
+    ))
+  );
+
+drop policy if exists tutor_feedback_delete on public.tutor_feedback;
+create policy tutor_feedback_delete on public.tutor_feedback
+  for delete to authenticated
+  using (
+    is_admin()
+    or (manager_id = auth.uid() and exists (
+      select 1 from public.manager_teacher_assignments mta
+       where mta.manager_id = auth.uid() and mta.teacher_id = tutor_feedback.teacher_id
+    ))
+  );
+
+drop policy if exists tutor_feedback_replies_insert on public.tutor_feedback_replies;
+create policy tutor_feedback_replies_insert on public.tutor_feedback_replies
+  for insert to authenticated
+  with check (
+    author_id = auth.uid()
+    and exists (
+      select 1 from public.tutor_feedback f
+       where f.id = feedback_id
+         and (
+           f.teacher_id = auth.uid()
+           or (f.manager_id = auth.uid() and exists (
+             select 1 from public.manager_teacher_assignments mta
+              where mta.manager_id = auth.uid() and mta.teacher_id = f.teacher_id
+           ))
+         )
+    )
+  );
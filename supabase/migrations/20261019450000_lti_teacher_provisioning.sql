@@ -0,0 +1,18 @@
+-- =========================================================
+-- lti_platforms.allow_teacher_provisioning
+-- =========================================================
+-- 20261019280000 created a new account with whatever role the launch
+-- carried, so any course that sent Instructor for someone got them a
+-- Studyworks teacher account — roster access and all — with nobody
+-- on our side deciding. New teacher accounts from a launch now need
+-- this per-platform switch (off by default, including for platforms
+-- already registered). Off, an instructor launch still reaches an
+-- existing teacher account (linked, or by email on match_email
+-- platforms); it just can't create one. Student launches are
+-- unaffected.
+
+alter table public.lti_platforms
+  add column if not exists allow_teacher_provisioning boolean not null default false;
+
+comment on column public.lti_platforms.allow_teacher_provisioning is
+  'Whether an instructor launch with no existing account creates a teacher account. Off: refused.';
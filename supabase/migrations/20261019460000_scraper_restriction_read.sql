@@ -0,0 +1,30 @@
+-- =========================================================
+-- Scraper restrictions — a read that doesn't wait for a write
+-- =========================================================
+-- 20261019410000 returned the caller's restriction + ban state only
+-- from record_scraper_signals(), and an instance writes a user's 'ok'
+-- loads once a minute, so a restriction or ban an admin set could take
+-- a minute to reach an instance the user kept loading from.
+-- lib/api/scraperGuard.ts now re-reads the state through
+-- scraper_restriction() whenever what it holds is more than
+-- RESTRICTION_TTL_MS (lib/api/scraperPolicy.ts) old, whether or not a
+-- batch is due.
+--
+-- Students can't read scraper_restrictions (admin-only RLS), hence
+-- SECURITY DEFINER; auth.uid() pins the read to the caller.
+
+create or replace function public.scraper_restriction()
+returns table (mode text, reauth_after timestamptz, banned boolean)
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  select r.mode, r.reauth_after, (p.banned_at is not null)
+    from public.profiles p
+    left join public.scraper_restrictions r on r.user_id = p.id
+   where p.id = auth.uid();
+$$;
+
+revoke execute on function public.scraper_restriction() from public, anon;
+grant execute on function public.scraper_restriction() to authenticated;
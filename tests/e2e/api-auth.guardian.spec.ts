@@ -0,0 +1,71 @@
+// Guardian → the portal and nothing else.
+//
+// A guardian cookie is valid auth, but the role has no tree of its own
+// beyond /guardian: the (admin), (tutor), (contributor) and (student)
+// layouts, and proxy.js for the subscription-gated paths, must all send
+// it home without rendering their surface. Same assertion shape as the
+// student spec — the privileged heading is absent, however the layout
+// chose to refuse.
+//
+// The green paths and the guardian_can_view boundary follow: the seeded
+// guardian has an approved link to student1 and none to student2, so
+// student2's page must 404 rather than render empty cards.
+
+import { test, expect } from '@playwright/test';
+import {
+  ADMIN_ONLY_PAGES,
+  CONTRIBUTOR_PAGES,
+  GUARDIAN_PAGES,
+  STUDENT_PAGES,
+  TUTOR_PAGES,
+  USERS,
+} from './helpers/fixtures';
+
+test.describe('Guardian authenticated — role boundary', () => {
+  for (const { path, heading } of [
+    ...ADMIN_ONLY_PAGES,
+    ...TUTOR_PAGES,
+    ...CONTRIBUTOR_PAGES,
+    ...STUDENT_PAGES,
+  ]) {
+    test(`guardian does not see ${path}`, async ({ page }) => {
+      await page.goto(path);
+      await expect(
+        page.getByRole('heading', { name: heading }),
+        `guardian should not see the heading at ${path}`,
+      ).toHaveCount(0);
+    });
+  }
+
+  test('the tutor view of a linked student stays closed', async ({ page }) => {
+    await page.goto(`/tutor/students/${USERS.student1.id}`);
+    await expect(page.getByRole('heading', { name: 'Snapshot' })).toHaveCount(0);
+  });
+});
+
+test.describe('Guardian — portal', () => {
+  for (const { path, heading } of GUARDIAN_PAGES) {
+    test(`guardian can reach ${path}`, async ({ page }) => {
+      await page.goto(path);
+      await expect(page.getByRole('heading', { name: heading })).toBeVisible();
+    });
+  }
+
+  test('the linked student page shows every read-only section', async ({ page }) => {
+    await page.goto(`/guardian/students/${USERS.student1.id}`);
+    for (const name of [/today.s plan/i, /score history/i, /assignments/i, /notes from the tutor/i]) {
+      await expect(page.getByRole('heading', { name })).toBeVisible();
+    }
+  });
+
+  test('GET /guardian/students/<unlinked> 404s', async ({ page }) => {
+    const res = await page.goto(`/guardian/students/${USERS.student2.id}`);
+    // No approved link, so guardian_can_view() is false and the page
+    // calls notFound(). As in page-auth.teacher.spec.ts, the dev server
+    // renders not-found with a 200, so accept either signal.
+    await expect(page.getByRole('heading', { name: /score history/i })).toHaveCount(0);
+    if (res?.status() !== 404) {
+      await expect(page.getByText(/could not be found|not found/i)).toBeVisible();
+    }
+  });
+});
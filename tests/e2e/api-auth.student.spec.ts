@@ -1,4 +1,4 @@
-// Student → blocked from every tutor + admin surface.
+// Student → blocked from every tutor + admin + guardian surface.
 //
 // Rewritten 2026-07-13 against the generated matrix. Role-gating no
 // longer lives on GET-able HTTP routes (it moved to Server Actions +
@@ -12,10 +12,17 @@
 // an implementation detail, so we assert the heading is absent.
 
 import { test, expect } from '@playwright/test';
-import { ADMIN_ONLY_PAGES, TUTOR_PAGES, CONTRIBUTOR_PAGES } from './helpers/fixtures';
+import { ADMIN_ONLY_PAGES, TUTOR_PAGES, CONTRIBUTOR_PAGES, GUARDIAN_PAGES } from './helpers/fixtures';
 
 test.describe('Student authenticated — role boundary', () => {
-  for (const { path, heading } of [...ADMIN_ONLY_PAGES, ...TUTOR_PAGES, ...CONTRIBUTOR_PAGES]) {
+  for (const { path, heading } of [
+    ...ADMIN_ONLY_PAGES,
+    ...TUTOR_PAGES,
+    ...CONTRIBUTOR_PAGES,
+    // Including the portal page for the student's own id: being the
+    // linked student doesn't make you the guardian.
+    ...GUARDIAN_PAGES,
+  ]) {
     test(`student does not see ${path}`, async ({ page }) => {
       await page.goto(path);
       await expect(
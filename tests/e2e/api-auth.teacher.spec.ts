@@ -11,7 +11,7 @@
 // page-auth.teacher.spec.ts.
 
 import { test, expect } from '@playwright/test';
-import { ADMIN_ONLY_PAGES, CONTRIBUTOR_PAGES } from './helpers/fixtures';
+import { ADMIN_ONLY_PAGES, CONTRIBUTOR_PAGES, GUARDIAN_PAGES } from './helpers/fixtures';
 
 test.describe('Teacher authenticated — admin boundary', () => {
   for (const { path, heading } of ADMIN_ONLY_PAGES) {
@@ -38,3 +38,15 @@ test.describe('Teacher — contribution surfaces are open', () => {
     });
   }
 });
+
+// The guardian portal is the guardian role's alone. A teacher who can
+// see student1 already has the tutor student page; the (guardian)
+// layout must not render the portal to them.
+test.describe('Teacher — guardian portal is closed', () => {
+  for (const { path, heading } of GUARDIAN_PAGES) {
+    test(`teacher does not see ${path}`, async ({ page }) => {
+      await page.goto(path);
+      await expect(page.getByRole('heading', { name: heading })).toHaveCount(0);
+    });
+  }
+});
@@ -17,6 +17,7 @@
 //   teacher@test.studyworks     — role=teacher, has student1 in roster
 //   student1@test.studyworks    — role=student, on teacher's roster
 //   student2@test.studyworks    — role=student, NOT on teacher's roster
+//   guardian@test.studyworks    — role=guardian, approved link to student1
 
 import { test as setup, expect } from '@playwright/test';
 import path from 'node:path';
@@ -55,3 +56,8 @@ setup('authenticate as student', async ({ page }) => {
   await loginAs(page, 'student1@test.studyworks', 'student.json');
   expect(fs.existsSync(path.join(AUTH_DIR, 'student.json'))).toBe(true);
 });
+
+setup('authenticate as guardian', async ({ page }) => {
+  await loginAs(page, 'guardian@test.studyworks', 'guardian.json');
+  expect(fs.existsSync(path.join(AUTH_DIR, 'guardian.json'))).toBe(true);
+});
@@ -23,6 +23,9 @@
 //   teacher -> student1 (assigned)
 //   teacher -> student2 (NOT assigned — drives the cross-roster case in
 //                        page-auth.teacher.spec.ts)
+//   guardian -> student1 (approved guardian_links row)
+//   guardian -> student2 (no link — drives the guardian_can_view case in
+//                        api-auth.guardian.spec.ts)
 
 export const USERS = {
   admin: {
@@ -41,6 +44,10 @@ export const USERS = {
     id: '44444444-4444-4444-4444-444444444444',
     email: 'student2@test.studyworks',
   },
+  guardian: {
+    id: '55555555-5555-5555-5555-555555555555',
+    email: 'guardian@test.studyworks',
+  },
 } as const;
 
 /** HTTP routes guarded by requireUser (generated matrix). An anonymous
@@ -104,6 +111,20 @@ export const CONTRIBUTOR_PAGES: ReadonlyArray<{ path: string; heading: RegExp }>
   { path: '/contribute/new', heading: /new submission/i },
 ];
 
+/** The guardian portal. Only the `guardian` role reaches it; every
+ *  other role is sent to its own home by the (guardian) layout. */
+export const GUARDIAN_PAGES: ReadonlyArray<{ path: string; heading: RegExp }> = [
+  { path: '/guardian', heading: /link a student/i },
+  { path: `/guardian/students/${USERS.student1.id}`, heading: /score history/i },
+];
+
+/** Student-tree pages. A guardian reads a linked student's progress
+ *  through the portal only, never the student's own surfaces. */
+export const STUDENT_PAGES: ReadonlyArray<{ path: string; heading: RegExp }> = [
+  { path: '/today', heading: /what.s next/i },
+  { path: '/assignments', heading: /your assignments/i },
+];
+
 /** A page that requires a signed-in user of any role. Anonymous callers
  *  land on /login (the layout's requireUser redirects). */
 export const REQUIRE_USER_PAGE = '/dashboard';